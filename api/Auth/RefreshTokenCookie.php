@@ -0,0 +1,107 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Auth;
+
+use Symfony\Component\HttpFoundation\Cookie;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Refresh Token Cookie
+ *
+ * Cookie-bound refresh tokens for browser clients that keep the access token
+ * in memory only. A client opts in by sending "X-Auth-Session-Mode: cookie"
+ * on login and refresh; the refresh token is then set as an HttpOnly,
+ * SameSite cookie scoped to the auth endpoints and removed from the JSON body,
+ * so it is never readable by scripts.
+ */
+class RefreshTokenCookie
+{
+    /** Request header used to opt in */
+    public const MODE_HEADER = 'X-Auth-Session-Mode';
+
+    /**
+     * Whether the client asked for a cookie-bound refresh token
+     *
+     * @param Request $request The HTTP request
+     * @return bool
+     */
+    public static function requested(Request $request): bool
+    {
+        return strtolower((string) $request->headers->get(self::MODE_HEADER)) === 'cookie';
+    }
+
+    /**
+     * Read the refresh token sent by the browser
+     *
+     * @param Request $request The HTTP request
+     * @return string|null Refresh token or null when no cookie is present
+     */
+    public static function read(Request $request): ?string
+    {
+        $token = $request->cookies->get(self::name());
+
+        return is_string($token) && $token !== '' ? $token : null;
+    }
+
+    /**
+     * Move the refresh token from a token response into the cookie
+     *
+     * Without "remember me" the cookie lasts for the browser session only.
+     *
+     * @param Response $response Response to attach the cookie to
+     * @param Request $request The HTTP request
+     * @param string $refreshToken Refresh token to store
+     * @param bool $remember Whether the session should survive a browser restart
+     */
+    public static function attach(Response $response, Request $request, string $refreshToken, bool $remember): void
+    {
+        $expires = $remember ? time() + (int) config('session.refresh_token_lifetime', 604800) : 0;
+
+        $response->headers->setCookie(self::create($request, $refreshToken, $expires));
+    }
+
+    /**
+     * Expire the refresh token cookie
+     *
+     * @param Response $response Response to attach the expired cookie to
+     * @param Request $request The HTTP request
+     */
+    public static function clear(Response $response, Request $request): void
+    {
+        $response->headers->setCookie(self::create($request, '', 1));
+    }
+
+    private static function create(Request $request, string $value, int $expires): Cookie
+    {
+        return Cookie::create(
+            self::name(),
+            $value,
+            $expires,
+            self::path($request),
+            null,
+            $request->isSecure(),
+            true,
+            false,
+            config('session.refresh_cookie.same_site', Cookie::SAMESITE_STRICT)
+        );
+    }
+
+    private static function name(): string
+    {
+        return (string) config('session.refresh_cookie.name', 'glueful_refresh_token');
+    }
+
+    /**
+     * Scope the cookie to the auth route group (e.g. /api/v1/auth)
+     */
+    private static function path(Request $request): string
+    {
+        $path = (string) parse_url($request->getRequestUri(), PHP_URL_PATH);
+        $position = strrpos($path, '/auth/');
+
+        return $position === false ? '/' : substr($path, 0, $position) . '/auth';
+    }
+}
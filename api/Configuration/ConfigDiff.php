@@ -0,0 +1,117 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Configuration;
+
+/**
+ * Configuration Diff
+ *
+ * Lists the differences between two versions of a configuration as
+ * changed, added and removed settings by dot path. Groups are compared
+ * key by key; lists and single values are compared as a whole. Secret
+ * values are masked in the result, so the diff can be shown to anyone who
+ * can see the configuration.
+ *
+ * @package Glueful\Configuration
+ */
+class ConfigDiff
+{
+    /**
+     * Compare two versions of a configuration
+     *
+     * @param array $old Values before
+     * @param array $new Values after
+     * @param string $prefix Dot path of the values
+     * @return array Changes: path, type (added, removed or changed), old, new and secret
+     */
+    public static function compare(array $old, array $new, string $prefix = ''): array
+    {
+        $changes = [];
+
+        foreach (array_keys($old + $new) as $key) {
+            $path = $prefix === '' ? (string)$key : "{$prefix}.{$key}";
+            $inOld = array_key_exists($key, $old);
+            $inNew = array_key_exists($key, $new);
+
+            if ($inOld && $inNew && self::isGroup($old[$key]) && self::isGroup($new[$key])) {
+                array_push($changes, ...self::compare($old[$key], $new[$key], $path));
+                continue;
+            }
+
+            if ($inOld && $inNew && $old[$key] === $new[$key]) {
+                continue;
+            }
+
+            $changes[] = self::change(
+                $key,
+                $path,
+                match (true) {
+                    !$inNew => 'removed',
+                    !$inOld => 'added',
+                    default => 'changed',
+                },
+                $inOld ? $old[$key] : null,
+                $inNew ? $new[$key] : null
+            );
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Describe one change, masking secrets
+     *
+     * @param string|int $key Key of the setting
+     * @param string $path Dot path of the setting
+     * @param string $type added, removed or changed
+     * @param mixed $old Value before
+     * @param mixed $new Value after
+     * @return array Change
+     */
+    private static function change(string|int $key, string $path, string $type, mixed $old, mixed $new): array
+    {
+        $secret = ConfigFormSchema::isSecretKey($key) && (is_string($old) || is_string($new));
+
+        return [
+            'path' => $path,
+            'type' => $type,
+            'old' => $secret ? self::maskValue($old) : self::maskNested($old),
+            'new' => $secret ? self::maskValue($new) : self::maskNested($new),
+            'secret' => $secret,
+        ];
+    }
+
+    /**
+     * Mask a secret value, keeping whether it was set
+     *
+     * @param mixed $value Secret value
+     * @return string|null Mask, or the value when empty
+     */
+    private static function maskValue(mixed $value): ?string
+    {
+        return $value === null || $value === '' ? $value : ConfigFormSchema::MASK;
+    }
+
+    /**
+     * Mask secrets inside an added, removed or replaced group
+     *
+     * @param mixed $value Value
+     * @return mixed Value with nested secrets masked
+     */
+    private static function maskNested(mixed $value): mixed
+    {
+        return is_array($value) ? ConfigFormSchema::mask($value) : $value;
+    }
+
+    /**
+     * Check whether a value is a group of keyed settings
+     *
+     * @param mixed $value Value
+     * @return bool True for non-empty arrays with keys
+     */
+    private static function isGroup(mixed $value): bool
+    {
+        return is_array($value) && $value !== [] && !array_is_list($value);
+    }
+}
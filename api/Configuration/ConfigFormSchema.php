@@ -0,0 +1,352 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Configuration;
+
+use Symfony\Component\Config\Definition\ArrayNode;
+use Symfony\Component\Config\Definition\BaseNode;
+use Symfony\Component\Config\Definition\BooleanNode;
+use Symfony\Component\Config\Definition\EnumNode;
+use Symfony\Component\Config\Definition\FloatNode;
+use Symfony\Component\Config\Definition\IntegerNode;
+use Symfony\Component\Config\Definition\NodeInterface;
+use Symfony\Component\Config\Definition\NumericNode;
+use Symfony\Component\Config\Definition\PrototypedArrayNode;
+use Symfony\Component\Config\Definition\ScalarNode;
+
+/**
+ * Configuration Form Schema
+ *
+ * Describes the fields of a configuration file for the settings editor.
+ * Fields follow the file's values: where a schema is registered with the
+ * ConfigurationProcessor its nodes give each field a type, allowed values,
+ * range and description; keys the schema does not cover are typed from their
+ * current values.
+ *
+ * Field types:
+ * - group: nested settings, with children
+ * - boolean, integer, float, string: single values; numbers may have min/max
+ * - enum: one of a fixed list of values
+ * - list: a list of single values
+ * - json: anything else, edited as JSON
+ *
+ * String fields whose key names a password, secret, key or token are
+ * secret: their values are masked before they leave the server and a
+ * masked value sent back keeps the stored one.
+ *
+ * @package Glueful\Configuration
+ */
+class ConfigFormSchema
+{
+    /** @var string Placeholder replacing secret values */
+    public const MASK = '[REDACTED]';
+
+    /** @var array<string> Key fragments that mark a value as secret */
+    private const SECRET_PATTERNS = [
+        'password', 'secret', 'key', 'token', 'private_key',
+        'public_key', 'api_key', 'auth_key', 'encryption_key'
+    ];
+
+    /**
+     * Describe the fields of a configuration
+     *
+     * @param array $values Configuration values
+     * @param NodeInterface|null $node Schema node of the values, if any
+     * @param string $prefix Dot path of the values
+     * @return array Fields in the order of the values
+     */
+    public static function build(array $values, ?NodeInterface $node = null, string $prefix = ''): array
+    {
+        $children = $node instanceof ArrayNode && !$node instanceof PrototypedArrayNode ? $node->getChildren() : [];
+
+        $fields = [];
+        foreach ($values as $key => $value) {
+            $key = (string)$key;
+            $path = $prefix === '' ? $key : "{$prefix}.{$key}";
+            $fields[] = self::field($key, $value, $children[$key] ?? null, $path);
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Check values against their fields
+     *
+     * Keys without a field are not checked. Null is accepted for every field
+     * except enums that do not list it.
+     *
+     * @param array $fields Fields from build()
+     * @param array $values Values to check
+     * @return array<string, string> Error message by dot path
+     */
+    public static function validate(array $fields, array $values): array
+    {
+        $errors = [];
+
+        foreach ($fields as $field) {
+            if (!array_key_exists($field['key'], $values)) {
+                continue;
+            }
+
+            $value = $values[$field['key']];
+            $error = self::check($field, $value);
+
+            if ($error !== null) {
+                $errors[$field['path']] = $error;
+            } elseif ($field['type'] === 'group' && is_array($value)) {
+                $errors += self::validate($field['children'], $value);
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Check whether a key names a secret
+     *
+     * @param string|int $key Configuration key
+     * @return bool True if values under the key are secret
+     */
+    public static function isSecretKey(string|int $key): bool
+    {
+        $key = strtolower((string)$key);
+
+        foreach (self::SECRET_PATTERNS as $pattern) {
+            if (str_contains($key, $pattern)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Replace secret values with the mask
+     *
+     * @param array $values Configuration values
+     * @return array Values with non-empty secrets masked
+     */
+    public static function mask(array $values): array
+    {
+        foreach ($values as $key => $value) {
+            if (is_array($value)) {
+                $values[$key] = self::mask($value);
+            } elseif (is_string($value) && $value !== '' && self::isSecretKey($key)) {
+                $values[$key] = self::MASK;
+            }
+        }
+
+        return $values;
+    }
+
+    /**
+     * Put stored secrets back where the mask was sent
+     *
+     * @param array $values Submitted values
+     * @param array $current Stored values
+     * @return array Submitted values with masks replaced by stored values
+     */
+    public static function unmask(array $values, array $current): array
+    {
+        foreach ($values as $key => $value) {
+            if ($value === self::MASK && array_key_exists($key, $current)) {
+                $values[$key] = $current[$key];
+            } elseif (is_array($value) && is_array($current[$key] ?? null)) {
+                $values[$key] = self::unmask($value, $current[$key]);
+            }
+        }
+
+        return $values;
+    }
+
+    /**
+     * Describe one field
+     *
+     * @param string $key Key of the value
+     * @param mixed $value Current value
+     * @param NodeInterface|null $node Schema node, if any
+     * @param string $path Dot path of the value
+     * @return array Field
+     */
+    private static function field(string $key, mixed $value, ?NodeInterface $node, string $path): array
+    {
+        $type = $node !== null ? self::nodeType($node, $value) : self::valueType($value);
+        $field = [
+            'key' => $key,
+            'path' => $path,
+            'type' => $type,
+            'typed' => $node !== null,
+            'secret' => $type === 'string' && self::isSecretKey($key),
+        ];
+
+        if ($node instanceof BaseNode && $node->getInfo()) {
+            $field['info'] = $node->getInfo();
+        }
+        if ($node !== null && $type !== 'group' && $node->hasDefaultValue()) {
+            $field['default'] = $node->getDefaultValue();
+        }
+
+        if ($type === 'group') {
+            $field['children'] = self::build($value, $node, $path);
+        } elseif ($type === 'enum' && $node instanceof EnumNode) {
+            $field['values'] = $node->getValues();
+        } elseif ($node instanceof NumericNode) {
+            $field['min'] = self::bound($node, 'min');
+            $field['max'] = self::bound($node, 'max');
+        }
+
+        return $field;
+    }
+
+    /**
+     * Type of a field with a schema node
+     *
+     * Falls back to the type of the value when the node does not fit it,
+     * such as a scalar node holding an array.
+     *
+     * @param NodeInterface $node Schema node
+     * @param mixed $value Current value
+     * @return string Field type
+     */
+    private static function nodeType(NodeInterface $node, mixed $value): string
+    {
+        $type = match (true) {
+            $node instanceof EnumNode => 'enum',
+            $node instanceof BooleanNode => 'boolean',
+            $node instanceof IntegerNode => 'integer',
+            $node instanceof FloatNode => 'float',
+            $node instanceof PrototypedArrayNode => self::valueType($value) === 'list' ? 'list' : 'json',
+            $node instanceof ArrayNode => 'group',
+            $node instanceof ScalarNode => 'string',
+            default => null,
+        };
+
+        $valueType = self::valueType($value);
+        if ($type === null || (is_array($value) xor in_array($type, ['group', 'list', 'json'], true))) {
+            return $valueType;
+        }
+        if ($type === 'group' && $valueType !== 'group') {
+            return $valueType;
+        }
+
+        return $type;
+    }
+
+    /**
+     * Type of a field without a schema node
+     *
+     * @param mixed $value Current value
+     * @return string Field type
+     */
+    private static function valueType(mixed $value): string
+    {
+        return match (true) {
+            is_bool($value) => 'boolean',
+            is_int($value) => 'integer',
+            is_float($value) => 'float',
+            is_array($value) && array_is_list($value) => self::isScalarList($value) ? 'list' : 'json',
+            is_array($value) => 'group',
+            is_string($value), $value === null => 'string',
+            default => 'json',
+        };
+    }
+
+    /**
+     * Check one value against its field
+     *
+     * @param array $field Field
+     * @param mixed $value Value
+     * @return string|null Error message, or null if the value fits
+     */
+    private static function check(array $field, mixed $value): ?string
+    {
+        if ($field['type'] === 'enum') {
+            return in_array($value, $field['values'], true)
+                ? null
+                : 'Must be one of: ' . implode(', ', array_map(fn($v) => var_export($v, true), $field['values']));
+        }
+
+        if ($value === null) {
+            return null;
+        }
+
+        switch ($field['type']) {
+            case 'boolean':
+                return is_bool($value) ? null : 'Must be true or false';
+            case 'integer':
+                if (!is_int($value) && !(is_string($value) && preg_match('/^-?\d+$/', $value))) {
+                    return 'Must be a whole number';
+                }
+                return self::checkRange($field, (int)$value);
+            case 'float':
+                if (!is_int($value) && !is_float($value) && !(is_string($value) && is_numeric($value))) {
+                    return 'Must be a number';
+                }
+                return self::checkRange($field, (float)$value);
+            case 'string':
+                return is_scalar($value) ? null : 'Must be text';
+            case 'list':
+                return is_array($value) && array_is_list($value) && self::isScalarList($value)
+                    ? null
+                    : 'Must be a list of values';
+            case 'group':
+                return is_array($value) ? null : 'Must be a group of settings';
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a number against the range of its field
+     *
+     * @param array $field Field with optional min and max
+     * @param int|float $value Number
+     * @return string|null Error message, or null if the number is in range
+     */
+    private static function checkRange(array $field, int|float $value): ?string
+    {
+        if (isset($field['min']) && $value < $field['min']) {
+            return "Must be at least {$field['min']}";
+        }
+        if (isset($field['max']) && $value > $field['max']) {
+            return "Must be at most {$field['max']}";
+        }
+
+        return null;
+    }
+
+    /**
+     * Read the minimum or maximum of a numeric node
+     *
+     * Symfony keeps the range of numeric nodes in protected properties
+     * without accessors.
+     *
+     * @param NumericNode $node Numeric node
+     * @param string $bound "min" or "max"
+     * @return int|float|null Bound, or null if the node has none
+     */
+    private static function bound(NumericNode $node, string $bound): int|float|null
+    {
+        $property = new \ReflectionProperty(NumericNode::class, $bound);
+
+        return $property->getValue($node);
+    }
+
+    /**
+     * Check whether every item of a list is a single value
+     *
+     * @param array $list List
+     * @return bool True if no item is an array or object
+     */
+    private static function isScalarList(array $list): bool
+    {
+        foreach ($list as $item) {
+            if (!is_scalar($item) && $item !== null) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+}
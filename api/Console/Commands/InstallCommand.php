@@ -9,6 +9,8 @@ use Glueful\Services\HealthService;
 use Glueful\Database\Connection;
 use Glueful\Helpers\Utils;
 use Glueful\DI\Container;
+use Glueful\Setup\Services\HeadlessSetup;
+use Glueful\Setup\Services\SetupAnswers;
 use Symfony\Component\Console\Attribute\AsCommand;
 use Symfony\Component\Console\Input\InputInterface;
 use Symfony\Component\Console\Input\InputOption;
@@ -31,8 +33,13 @@ use Symfony\Component\Console\Output\OutputInterface;
 )]
 class InstallCommand extends BaseCommand
 {
+    /** @var string Line prefix for machine-readable progress events */
+    public const PROGRESS_PREFIX = '@glueful-progress ';
+
     protected Container $installContainer;
 
+    private bool $emitProgress = false;
+
     public function __construct()
     {
         parent::__construct();
@@ -84,24 +91,42 @@ class InstallCommand extends BaseCommand
                  'q',
                  InputOption::VALUE_NONE,
                  'Non-interactive mode using environment variables'
+             )
+             ->addOption(
+                 'progress',
+                 null,
+                 InputOption::VALUE_NONE,
+                 'Emit machine-readable progress events for each step'
+             )
+             ->addOption(
+                 'answers',
+                 null,
+                 InputOption::VALUE_REQUIRED,
+                 'Run the setup wizard unattended from a JSON or YAML answers file'
              );
     }
 
     protected function execute(InputInterface $input, OutputInterface $output): int
     {
+        if ($input->getOption('answers') !== null) {
+            return $this->runHeadlessSetup($input->getOption('answers'), (bool) $input->getOption('force'));
+        }
+
         $skipDatabase = $input->getOption('skip-database') || $input->getOption('skip-db');
         $skipKeys = $input->getOption('skip-keys');
         $skipAdmin = $input->getOption('skip-admin');
         $skipCache = $input->getOption('skip-cache');
         $force = $input->getOption('force');
-        $quiet = $input->getOption('quiet');
+        // --no-interaction has no one to answer prompts, so it implies environment-variable mode
+        $quiet = $input->getOption('quiet') || !$input->isInteractive();
+        $this->emitProgress = (bool) $input->getOption('progress');
 
         try {
             if (!$quiet) {
                 $this->showWelcomeMessage();
             } else {
                 // In quiet mode, confirm environment variables are set
-                $this->showQuietModeConfirmation();
+                $this->showQuietModeConfirmation($input->isInteractive());
             }
 
             $this->runInstallationSteps(
@@ -147,6 +172,37 @@ class InstallCommand extends BaseCommand
         }
     }
 
+    /**
+     * Run the setup wizard's steps from an answers file
+     *
+     * Prints a single JSON document describing each step, so callers can parse
+     * stdout regardless of verbosity.
+     */
+    private function runHeadlessSetup(string $answersFile, bool $force): int
+    {
+        $projectRoot = dirname(__DIR__, 3);
+
+        if (!$force && file_exists($projectRoot . '/storage/setup.lock')) {
+            $result = ['success' => false, 'error' => 'Setup has already been completed. Use --force to run it again.'];
+        } else {
+            try {
+                $result = (new HeadlessSetup($projectRoot))->run(SetupAnswers::fromFile($answersFile));
+            } catch (\InvalidArgumentException $e) {
+                $result = ['success' => false, 'error' => $e->getMessage()];
+            }
+        }
+
+        // The installer restores extensions itself on success; make sure a failed run does too
+        $this->restoreExtensionsJson();
+
+        $this->output->writeln(
+            json_encode($result, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES),
+            OutputInterface::VERBOSITY_QUIET | OutputInterface::OUTPUT_RAW
+        );
+
+        return $result['success'] ? self::SUCCESS : self::FAILURE;
+    }
+
     private function runInstallationSteps(
         bool $skipDatabase,
         bool $skipKeys,
@@ -160,9 +216,16 @@ class InstallCommand extends BaseCommand
 
         foreach ($steps as $step) {
             $this->info("Step {$step['number']}: {$step['description']}");
+            $this->reportProgress($step['key'], 'running');
 
-            $step['callback']($force, $quiet);
+            try {
+                $step['callback']($force, $quiet);
+            } catch (\Throwable $e) {
+                $this->reportProgress($step['key'], 'failed', $e->getMessage());
+                throw $e;
+            }
 
+            $this->reportProgress($step['key'], 'done');
             $progressBar->advance();
             $this->line(''); // Add spacing between steps
         }
@@ -176,6 +239,7 @@ class InstallCommand extends BaseCommand
         $steps = [
             [
                 'number' => 1,
+                'key' => 'environment',
                 'description' => 'Environment validation',
                 'callback' => [$this, 'validateEnvironment']
             ]
@@ -184,6 +248,7 @@ class InstallCommand extends BaseCommand
         if (!$skipKeys) {
             $steps[] = [
                 'number' => count($steps) + 1,
+                'key' => 'security_keys',
                 'description' => 'Generate security keys',
                 'callback' => [$this, 'generateSecurityKeys']
             ];
@@ -192,6 +257,7 @@ class InstallCommand extends BaseCommand
         if (!$skipDatabase) {
             $steps[] = [
                 'number' => count($steps) + 1,
+                'key' => 'database',
                 'description' => 'Database setup and migrations',
                 'callback' => [$this, 'setupDatabase']
             ];
@@ -200,6 +266,7 @@ class InstallCommand extends BaseCommand
         if (!$skipCache) {
             $steps[] = [
                 'number' => count($steps) + 1,
+                'key' => 'cache',
                 'description' => 'Initialize cache system',
                 'callback' => [$this, 'initializeCache']
             ];
@@ -207,6 +274,7 @@ class InstallCommand extends BaseCommand
 
         $steps[] = [
             'number' => count($steps) + 1,
+            'key' => 'api_definitions',
             'description' => 'Generate API definitions',
             'callback' => [$this, 'generateApiDefinitions']
         ];
@@ -214,6 +282,7 @@ class InstallCommand extends BaseCommand
         if (!$skipAdmin) {
             $steps[] = [
                 'number' => count($steps) + 1,
+                'key' => 'admin_user',
                 'description' => 'Create admin user',
                 'callback' => [$this, 'createAdminUser']
             ];
@@ -221,6 +290,7 @@ class InstallCommand extends BaseCommand
 
         $steps[] = [
             'number' => count($steps) + 1,
+            'key' => 'final_validation',
             'description' => 'Final validation',
             'callback' => [$this, 'performFinalValidation']
         ];
@@ -228,6 +298,28 @@ class InstallCommand extends BaseCommand
         return $steps;
     }
 
+    /**
+     * Write a progress event for callers that drive the installer, such as the web setup wizard
+     *
+     * Events are written even in quiet mode so they survive output suppression.
+     */
+    private function reportProgress(string $step, string $status, ?string $message = null): void
+    {
+        if (!$this->emitProgress) {
+            return;
+        }
+
+        $event = ['step' => $step, 'status' => $status];
+        if ($message !== null) {
+            $event['message'] = $message;
+        }
+
+        $this->output->writeln(
+            self::PROGRESS_PREFIX . json_encode($event),
+            OutputInterface::VERBOSITY_QUIET | OutputInterface::OUTPUT_RAW
+        );
+    }
+
     private function showWelcomeMessage(): void
     {
         $this->line('');
@@ -239,7 +331,7 @@ class InstallCommand extends BaseCommand
         $this->line('');
     }
 
-    private function showQuietModeConfirmation(): void
+    private function showQuietModeConfirmation(bool $interactive): void
     {
         $this->line('');
         $this->info('Running in quiet mode - using environment variables for configuration');
@@ -250,7 +342,8 @@ class InstallCommand extends BaseCommand
         $this->line('• Security: TOKEN_SALT, JWT_KEY (generated if missing)');
         $this->line('');
 
-        if (!$this->confirm('Have you set all required environment variables?', false)) {
+        // Unattended runs (--no-interaction) have no one to answer the prompt
+        if ($interactive && !$this->confirm('Have you set all required environment variables?', false)) {
             throw new \Exception('Installation cancelled. Please set required environment variables and try again.');
         }
     }
@@ -675,6 +768,8 @@ Examples:
   glueful install --skip-database           # Skip database setup
   glueful install --skip-db                 # Skip database setup (alias)
   glueful install --skip-cache              # Skip cache initialization
+  glueful install -n --progress             # Unattended run with machine-readable progress
+  glueful install --answers=setup.yaml      # Headless setup from an answers file (JSON result)
 
 Options allow you to customize which steps are performed during installation.
 HELP;
@@ -602,8 +602,16 @@ class SchedulerCommand extends BaseCommand
         $this->io->title(($enable ? '✅ Enabling' : '❌ Disabling') . " Job: {$jobName}");
 
         try {
-            // Note: toggleJob method would need to be implemented in JobScheduler
-            $this->io->text('Job toggle functionality not yet implemented');
+            if ($this->scheduler->getJob($jobName) === null) {
+                $this->io->error("Job '{$jobName}' not found");
+                return self::FAILURE;
+            }
+
+            if ($enable) {
+                $this->scheduler->resumeJob($jobName);
+            } else {
+                $this->scheduler->pauseJob($jobName);
+            }
             $this->io->success("Job '{$jobName}' " . ($enable ? 'enabled' : 'disabled') . " successfully");
         } catch (\Exception $e) {
             $this->io->error("Failed to {$action} job: " . $e->getMessage());
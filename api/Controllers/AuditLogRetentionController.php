@@ -0,0 +1,315 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Controllers;
+
+use Glueful\Helpers\RequestHelper;
+use Glueful\Http\Response;
+use Glueful\Logging\AuditLogQuery;
+use Glueful\Logging\AuditLogRetention;
+
+/**
+ * Audit Log Retention Controller
+ *
+ * Backs the Retention tab of the Audit Logs page:
+ * - Listing, saving and deleting retention rules per category and severity
+ * - Running the audit_log_retention job on demand
+ * - Browsing audit log archives and restoring them into the log
+ *
+ * Reading rules and archives needs audit.access; changing rules, running
+ * the job and restoring need audit.manage. Every change is recorded in the
+ * audit log.
+ *
+ * @package Glueful\Controllers
+ */
+class AuditLogRetentionController extends BaseController
+{
+    /** @var int Longest retention a rule can have, in days */
+    private const MAX_RETENTION_DAYS = 3650;
+
+    /** @var int Maximum archives or archived entries per page */
+    private const MAX_PER_PAGE = 200;
+
+    /**
+     * List the retention rules with the number of entries each would remove now
+     *
+     * @return mixed HTTP response
+     */
+    public function index(): mixed
+    {
+        $this->requirePermission('audit.access');
+
+        $retention = new AuditLogRetention($this->getConnection());
+        $available = $retention->isAvailable();
+
+        return Response::success([
+            'available' => $available,
+            'rules' => $available ? $retention->rules() : [],
+            'severities' => AuditLogQuery::SEVERITIES,
+            'default_hold_days' => AuditLogRetention::DEFAULT_HOLD_DAYS,
+        ], 'Retention rules retrieved successfully');
+    }
+
+    /**
+     * Save a retention rule, replacing the rule for the same category and severity
+     *
+     * @return mixed HTTP response
+     */
+    public function saveRule(): mixed
+    {
+        $this->requirePermission('audit.manage');
+
+        $data = RequestHelper::getRequestData();
+        $rule = [
+            'category' => $this->optional($data['category'] ?? null),
+            'severity' => $this->optional($data['severity'] ?? null),
+            'retention_days' => (int)($data['retention_days'] ?? 0),
+            'archive' => filter_var($data['archive'] ?? true, FILTER_VALIDATE_BOOLEAN),
+            'enabled' => filter_var($data['enabled'] ?? true, FILTER_VALIDATE_BOOLEAN),
+        ];
+
+        if ($rule['category'] !== null && mb_strlen($rule['category']) > 50) {
+            return Response::error('Category must not exceed 50 characters', Response::HTTP_BAD_REQUEST);
+        }
+        if ($rule['severity'] !== null && !in_array($rule['severity'], AuditLogQuery::SEVERITIES, true)) {
+            return Response::error(
+                'Severity must be one of: ' . implode(', ', AuditLogQuery::SEVERITIES),
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+        if ($rule['retention_days'] < 1 || $rule['retention_days'] > self::MAX_RETENTION_DAYS) {
+            return Response::error(
+                'Retention must be between 1 and ' . self::MAX_RETENTION_DAYS . ' days',
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+
+        $repository = $this->repositoryFactory->auditLogRetentionRules();
+        if (!$repository->isAvailable()) {
+            return Response::error(
+                'Retention rules need the audit_log_retention_rules migration',
+                Response::HTTP_SERVICE_UNAVAILABLE
+            );
+        }
+
+        $saved = $repository->saveRule($rule, $this->getCurrentUserUuid());
+        $this->recordAudit('audit_retention_rule_saved', $saved['uuid'], $rule);
+
+        return Response::success($saved, 'Retention rule saved successfully');
+    }
+
+    /**
+     * Delete a retention rule
+     *
+     * Entries the rule applied to fall back to the next most specific rule.
+     *
+     * @param array $params Route parameters containing uuid
+     * @return mixed HTTP response
+     */
+    public function deleteRule(array $params): mixed
+    {
+        $this->requirePermission('audit.manage');
+
+        $repository = $this->repositoryFactory->auditLogRetentionRules();
+        $rule = $repository->isAvailable() ? $repository->find((string)($params['uuid'] ?? '')) : null;
+
+        if (!$rule) {
+            return Response::error('Retention rule not found', Response::HTTP_NOT_FOUND);
+        }
+
+        $repository->delete($rule['uuid']);
+        $this->recordAudit('audit_retention_rule_deleted', $rule['uuid'], [
+            'category' => $rule['category'],
+            'severity' => $rule['severity'],
+            'retention_days' => (int)$rule['retention_days'],
+        ]);
+
+        return Response::success(['uuid' => $rule['uuid']], 'Retention rule deleted successfully');
+    }
+
+    /**
+     * Archive and delete expired entries now instead of waiting for the scheduled job
+     *
+     * @return mixed HTTP response
+     */
+    public function run(): mixed
+    {
+        $this->requirePermission('audit.manage');
+
+        // Apply rate limiting: 10 runs per hour
+        $this->rateLimit('run_audit_log_retention', 10, 3600);
+
+        $retention = new AuditLogRetention($this->getConnection());
+        if (!$retention->isAvailable()) {
+            return Response::error(
+                'Retention rules need the audit_log_retention_rules migration',
+                Response::HTTP_SERVICE_UNAVAILABLE
+            );
+        }
+
+        set_time_limit(0);
+        $result = $retention->enforce();
+        $failed = count(array_filter(array_column($result['rules'], 'error')));
+
+        $this->recordAudit('audit_retention_run', 'all', [
+            'archived' => $result['archived'],
+            'deleted' => $result['deleted'],
+            'failed_rules' => $failed,
+        ], $failed > 0 ? 'error' : 'warning');
+
+        return Response::success(
+            $result,
+            "Archived {$result['archived']} and deleted {$result['deleted']} audit log entries"
+        );
+    }
+
+    /**
+     * List audit log archives newest first
+     *
+     * @return mixed HTTP response
+     */
+    public function archives(): mixed
+    {
+        $this->requirePermission('audit.access');
+
+        $data = RequestHelper::getRequestData();
+        $page = max(1, (int)($data['page'] ?? 1));
+        $perPage = min(self::MAX_PER_PAGE, max(1, (int)($data['per_page'] ?? 25)));
+
+        $retention = new AuditLogRetention($this->getConnection());
+        if (!$retention->isAvailable()) {
+            return Response::successWithMeta([], ['current_page' => $page, 'per_page' => $perPage, 'total' => 0]);
+        }
+
+        $results = $retention->archives($page, $perPage);
+        $archives = $results['data'];
+        unset($results['data']);
+
+        return Response::successWithMeta($archives, $results, 'Archives retrieved successfully');
+    }
+
+    /**
+     * Get an archive with a page of its entries
+     *
+     * @param array $params Route parameters containing uuid
+     * @return mixed HTTP response
+     */
+    public function showArchive(array $params): mixed
+    {
+        $this->requirePermission('audit.access');
+
+        $data = RequestHelper::getRequestData();
+        $page = max(1, (int)($data['page'] ?? 1));
+        $perPage = min(self::MAX_PER_PAGE, max(1, (int)($data['per_page'] ?? 50)));
+
+        $retention = new AuditLogRetention($this->getConnection());
+        $archive = $retention->isAvailable() ? $retention->findArchive((string)($params['uuid'] ?? '')) : null;
+        if (!$archive) {
+            return Response::error('Archive not found', Response::HTTP_NOT_FOUND);
+        }
+
+        try {
+            $entries = $retention->entries($archive, $page, $perPage);
+        } catch (\RuntimeException $e) {
+            return Response::error($e->getMessage(), Response::HTTP_NOT_FOUND);
+        }
+
+        unset($archive['file_path']);
+
+        return Response::success([
+            'archive' => $archive,
+            'entries' => $entries,
+            'current_page' => $page,
+            'per_page' => $perPage,
+            'total' => $archive['record_count'],
+            'last_page' => max(1, (int)ceil($archive['record_count'] / $perPage)),
+        ], 'Archive retrieved successfully');
+    }
+
+    /**
+     * Restore the entries of an archive into the audit log
+     *
+     * Restored entries are kept for hold_days (default 7) before the
+     * retention rules apply to them again; 0 keeps them indefinitely.
+     *
+     * @param array $params Route parameters containing uuid
+     * @return mixed HTTP response
+     */
+    public function restore(array $params): mixed
+    {
+        $this->requirePermission('audit.manage');
+
+        // Apply rate limiting: 10 restores per hour
+        $this->rateLimit('restore_audit_log_archive', 10, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $holdDays = (int)($data['hold_days'] ?? AuditLogRetention::DEFAULT_HOLD_DAYS);
+        if ($holdDays < 0 || $holdDays > self::MAX_RETENTION_DAYS) {
+            return Response::error(
+                'Hold must be between 0 and ' . self::MAX_RETENTION_DAYS . ' days',
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+
+        $retention = new AuditLogRetention($this->getConnection());
+        $archive = $retention->isAvailable() ? $retention->findArchive((string)($params['uuid'] ?? '')) : null;
+        if (!$archive) {
+            return Response::error('Archive not found', Response::HTTP_NOT_FOUND);
+        }
+
+        set_time_limit(0);
+
+        try {
+            $restored = $retention->restore($archive, $holdDays, $this->getCurrentUserUuid());
+        } catch (\RuntimeException $e) {
+            return Response::error($e->getMessage(), Response::HTTP_CONFLICT);
+        }
+
+        $this->recordAudit('audit_archive_restored', $archive['uuid'], [
+            'restored' => $restored,
+            'records' => $archive['record_count'],
+            'hold_days' => $holdDays,
+        ]);
+
+        return Response::success(
+            ['restored' => $restored, 'skipped' => $archive['record_count'] - $restored],
+            "Restored {$restored} audit log entries"
+        );
+    }
+
+    /**
+     * Turn an empty rule field into null, meaning any value
+     *
+     * @param mixed $value Request value
+     * @return string|null Trimmed value or null
+     */
+    private function optional(mixed $value): ?string
+    {
+        $value = trim((string)$value);
+
+        return $value === '' || $value === '*' ? null : $value;
+    }
+
+    /**
+     * Record a retention change in the audit log
+     *
+     * @param string $action Audit action
+     * @param string $entityId Rule or archive UUID
+     * @param array $context Details of the change
+     * @param string $severity Entry severity
+     */
+    private function recordAudit(string $action, string $entityId, array $context, string $severity = 'warning'): void
+    {
+        $this->repositoryFactory->auditLogs()->record([
+            'user_id' => $this->getCurrentUserUuid(),
+            'action' => $action,
+            'category' => 'admin',
+            'severity' => $severity,
+            'entity_type' => 'audit_logs',
+            'entity_id' => $entityId,
+            'context' => $context,
+            'source' => 'api',
+        ], $this->request);
+    }
+}
@@ -0,0 +1,461 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Controllers;
+
+use Glueful\Helpers\RequestHelper;
+use Glueful\Http\Response;
+use Glueful\Database\Tools\ExportWriter;
+use Glueful\Logging\AuditLogQuery;
+use Glueful\Repository\AuditLogRepository;
+use Symfony\Component\HttpFoundation\HeaderUtils;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+/**
+ * Audit Logs Controller
+ *
+ * Backs the Audit Logs page of the admin dashboard:
+ * - Searching entries with the log query syntax (see AuditLogQuery)
+ * - Streaming new entries as server-sent events for the live tail
+ * - Exporting matching or selected entries as CSV or JSON
+ * - Deleting entries older than a number of days
+ * - Saved searches of the current user
+ *
+ * Filtering by user or IP address needs the same permissions as it does
+ * through the generic audit_logs resource.
+ *
+ * @package Glueful\Controllers
+ */
+class AuditLogsController extends BaseController
+{
+    /** @var int Maximum entries per page */
+    private const MAX_PER_PAGE = 200;
+
+    /** @var int Seconds a live tail connection stays open before the client reconnects */
+    private const STREAM_DURATION = 55;
+
+    /** @var int Seconds between checks for new entries */
+    private const POLL_INTERVAL = 2;
+
+    /** @var int Seconds without entries after which a heartbeat is sent */
+    private const HEARTBEAT_INTERVAL = 15;
+
+    /** @var int Maximum entries sent in one event */
+    private const STREAM_BATCH = 200;
+
+    /** @var int Maximum entries in one export */
+    private const EXPORT_LIMIT = 100000;
+
+    /** @var array<string> Supported export formats */
+    private const EXPORT_FORMATS = ['csv', 'json'];
+
+    /** @var array<string> Columns of CSV exports, in order */
+    private const EXPORT_COLUMNS = [
+        'id', 'uuid', 'created_at', 'user_id', 'username', 'action', 'category', 'severity', 'status',
+        'entity_type', 'entity_id', 'source', 'ip_address', 'user_agent', 'request_id', 'session_id',
+        'parent_audit_id', 'duration_ms', 'old_values', 'new_values', 'context', 'metadata'
+    ];
+
+    /** @var array<string, string> Filter bar parameters and the search fields they add */
+    private const FILTER_PARAMETERS = [
+        'category' => 'category',
+        'severity' => 'severity',
+        'from_date' => 'after',
+        'to_date' => 'before',
+    ];
+
+    /** @var array<string, string> Search fields that need an extra permission */
+    private const RESTRICTED_FIELDS = [
+        'user' => 'admin.audit.search_by_user',
+        'ip' => 'admin.audit.search_by_ip',
+    ];
+
+    /**
+     * Search audit log entries
+     *
+     * @return mixed HTTP response
+     */
+    public function index(): mixed
+    {
+        $this->requirePermission('audit.access');
+
+        $data = RequestHelper::getRequestData();
+        $page = max(1, (int)($data['page'] ?? 1));
+        $perPage = min(self::MAX_PER_PAGE, max(1, (int)($data['per_page'] ?? 25)));
+
+        $query = $this->buildQuery($data);
+        if ($query instanceof Response) {
+            return $query;
+        }
+
+        $repository = $this->repositoryFactory->auditLogs();
+        if (!$repository->isAvailable()) {
+            return Response::successWithMeta([], ['current_page' => $page, 'per_page' => $perPage, 'total' => 0]);
+        }
+
+        $results = $repository->search($query, $page, $perPage);
+        $entries = $results['data'];
+        unset($results['data']);
+
+        return Response::successWithMeta($entries, $results, 'Audit logs retrieved successfully');
+    }
+
+    /**
+     * Stream new audit log entries as server-sent events
+     *
+     * Sends an "entries" event with every batch of matching entries written
+     * after the cursor, oldest first, each carrying the ID of its last entry.
+     * The connection is closed after STREAM_DURATION seconds with a
+     * "reconnect" event; clients continue from the last ID they received,
+     * so no entries are lost between connections or while paused.
+     *
+     * @return mixed HTTP response
+     */
+    public function stream(): mixed
+    {
+        $this->requirePermission('audit.access');
+
+        // Apply rate limiting: clients reconnect about once a minute
+        $this->rateLimit('stream_audit_logs', 240, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $query = $this->buildQuery($data);
+        if ($query instanceof Response) {
+            return $query;
+        }
+
+        $repository = $this->repositoryFactory->auditLogs();
+        if (!$repository->isAvailable()) {
+            return Response::error('The audit log table has not been migrated yet', Response::HTTP_SERVICE_UNAVAILABLE);
+        }
+
+        // EventSource sends the last received ID as Last-Event-ID when it reconnects
+        $cursor = $this->request->headers->get('Last-Event-ID') ?? ($data['after_id'] ?? '');
+        $cursor = is_numeric($cursor) ? (int)$cursor : $repository->latestId();
+
+        $response = new StreamedResponse(function () use ($repository, $query, $cursor) {
+            $this->streamEntries($repository, $query, $cursor);
+        });
+
+        $response->headers->set('Content-Type', 'text/event-stream');
+        $response->headers->set('Cache-Control', 'no-cache');
+        // Keep proxies such as nginx from buffering events
+        $response->headers->set('X-Accel-Buffering', 'no');
+
+        return $response;
+    }
+
+    /**
+     * Export matching audit log entries as a file download
+     *
+     * Request body:
+     * - format: csv or json
+     * - q, category, severity, from_date, to_date: filters as used by index()
+     * - uuids: only export these entries
+     *
+     * @return mixed HTTP response
+     */
+    public function export(): mixed
+    {
+        $this->requirePermission('audit.access');
+
+        // Apply rate limiting: 20 exports per hour
+        $this->rateLimit('export_audit_logs', 20, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $format = strtolower((string)($data['format'] ?? 'csv'));
+        if (!in_array($format, self::EXPORT_FORMATS, true)) {
+            return Response::error(
+                'Format must be one of: ' . implode(', ', self::EXPORT_FORMATS),
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+
+        $query = $this->buildQuery($data);
+        if ($query instanceof Response) {
+            return $query;
+        }
+
+        $repository = $this->repositoryFactory->auditLogs();
+        if (!$repository->isAvailable()) {
+            return Response::error('The audit log table has not been migrated yet', Response::HTTP_SERVICE_UNAVAILABLE);
+        }
+
+        $uuids = array_values(array_filter(array_map('strval', (array)($data['uuids'] ?? []))));
+        $filename = 'audit_logs_' . date('Y-m-d_His') . '.' . $format;
+
+        $response = new StreamedResponse(function () use ($repository, $query, $uuids, $format) {
+            $entries = $repository->export($query, $uuids, self::EXPORT_LIMIT);
+            if ($format === 'csv') {
+                $this->writeCsv($entries);
+            } else {
+                $this->writeJson($entries);
+            }
+        });
+
+        $response->headers->set('Content-Type', $format === 'csv' ? 'text/csv; charset=UTF-8' : 'application/json');
+        $response->headers->set('Content-Disposition', HeaderUtils::makeDisposition(
+            HeaderUtils::DISPOSITION_ATTACHMENT,
+            $filename
+        ));
+        $response->headers->set('Access-Control-Expose-Headers', 'Content-Disposition');
+        $response->headers->set('X-Accel-Buffering', 'no');
+
+        return $response;
+    }
+
+    /**
+     * Delete audit log entries older than a number of days
+     *
+     * The deletion itself is recorded in the audit log.
+     *
+     * @return mixed HTTP response
+     */
+    public function clear(): mixed
+    {
+        $this->requirePermission('audit.manage');
+
+        // Apply rate limiting: 10 clears per hour
+        $this->rateLimit('clear_audit_logs', 10, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $type = (string)($data['type'] ?? 'audit');
+        $days = (int)($data['days'] ?? 0);
+        $category = isset($data['category']) && $data['category'] !== '' ? (string)$data['category'] : null;
+
+        if ($type !== 'audit') {
+            return Response::error("Unsupported log type '{$type}'", Response::HTTP_BAD_REQUEST);
+        }
+        if ($days < 1) {
+            return Response::error('Days must be at least 1', Response::HTTP_BAD_REQUEST);
+        }
+
+        $cutoff = date('Y-m-d H:i:s', strtotime("-{$days} days"));
+        $deleted = $this->repositoryFactory->auditLogs()->deleteOlderThan($cutoff, $category);
+
+        $this->repositoryFactory->auditLogs()->record([
+            'user_id' => $this->getCurrentUserUuid(),
+            'action' => 'audit_logs_cleared',
+            'category' => 'admin',
+            'severity' => 'warning',
+            'entity_type' => 'audit_logs',
+            'entity_id' => $category ?? 'all',
+            'context' => ['days' => $days, 'cutoff' => $cutoff, 'deleted' => $deleted],
+            'source' => 'api',
+        ], $this->request);
+
+        return Response::success(
+            ['deleted' => $deleted, 'cutoff' => $cutoff],
+            "Deleted {$deleted} audit log entries older than {$days} days"
+        );
+    }
+
+    /**
+     * List the saved searches of the current user
+     *
+     * @return mixed HTTP response
+     */
+    public function searches(): mixed
+    {
+        $this->requirePermission('audit.access');
+
+        $repository = $this->repositoryFactory->savedLogSearches();
+        $searches = $repository->isAvailable()
+            ? $repository->findByOwner((string)$this->getCurrentUserUuid())
+            : [];
+
+        return Response::success($searches, 'Saved searches retrieved successfully');
+    }
+
+    /**
+     * Save a search, overwriting the current user's search with the same name
+     *
+     * @return mixed HTTP response
+     */
+    public function saveSearch(): mixed
+    {
+        $this->requirePermission('audit.access');
+
+        // Apply rate limiting: 60 saves per hour
+        $this->rateLimit('save_log_search', 60, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $name = trim((string)($data['name'] ?? ''));
+        $queryString = trim((string)($data['query'] ?? ''));
+
+        if ($name === '' || mb_strlen($name) > 100) {
+            return Response::error('Name is required and must not exceed 100 characters', Response::HTTP_BAD_REQUEST);
+        }
+
+        $query = $this->buildQuery(['q' => $queryString]);
+        if ($query instanceof Response) {
+            return $query;
+        }
+
+        $repository = $this->repositoryFactory->savedLogSearches();
+        if (!$repository->isAvailable()) {
+            return Response::error(
+                'Saved searches need the saved_log_searches migration',
+                Response::HTTP_SERVICE_UNAVAILABLE
+            );
+        }
+
+        $search = $repository->saveSearch((string)$this->getCurrentUserUuid(), $name, $queryString);
+
+        return Response::success($search, 'Search saved successfully');
+    }
+
+    /**
+     * Delete a saved search of the current user
+     *
+     * @param array $params Route parameters containing uuid
+     * @return mixed HTTP response
+     */
+    public function deleteSearch(array $params): mixed
+    {
+        $this->requirePermission('audit.access');
+
+        $repository = $this->repositoryFactory->savedLogSearches();
+        $search = $repository->isAvailable() ? $repository->find((string)($params['uuid'] ?? '')) : null;
+
+        if (!$search || $search['owner_uuid'] !== $this->getCurrentUserUuid()) {
+            return Response::error('Saved search not found', Response::HTTP_NOT_FOUND);
+        }
+
+        $repository->delete($search['uuid']);
+
+        return Response::success(['uuid' => $search['uuid']], 'Saved search deleted successfully');
+    }
+
+    /**
+     * Build the search query from request data
+     *
+     * The category, severity, from_date and to_date fields of the page's
+     * filter bar are added to the query in q.
+     *
+     * @param array $data Request data
+     * @return AuditLogQuery|Response Parsed query, or an error response for invalid queries
+     */
+    private function buildQuery(array $data): AuditLogQuery|Response
+    {
+        try {
+            $query = new AuditLogQuery((string)($data['q'] ?? ''));
+
+            foreach (self::FILTER_PARAMETERS as $parameter => $field) {
+                if (isset($data[$parameter]) && $data[$parameter] !== '') {
+                    $query->where($field, ':', (string)$data[$parameter]);
+                }
+            }
+        } catch (\InvalidArgumentException $e) {
+            return Response::error($e->getMessage(), Response::HTTP_UNPROCESSABLE_ENTITY);
+        }
+
+        foreach (self::RESTRICTED_FIELDS as $field => $permission) {
+            if ($query->has($field)) {
+                $this->requirePermission($permission);
+            }
+        }
+
+        return $query;
+    }
+
+    /**
+     * Send matching entries as they are written until the stream duration is over
+     *
+     * @param AuditLogRepository $repository Audit log repository
+     * @param AuditLogQuery $query Search query
+     * @param int $cursor ID of the last entry the client has
+     */
+    private function streamEntries(AuditLogRepository $repository, AuditLogQuery $query, int $cursor): void
+    {
+        set_time_limit(self::STREAM_DURATION + 30);
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        echo "retry: 3000\n";
+        $this->sendEvent('ready', ['cursor' => $cursor], $cursor);
+
+        $deadline = time() + self::STREAM_DURATION;
+        $lastSent = time();
+
+        while (time() < $deadline && !connection_aborted()) {
+            $entries = $repository->since($query, $cursor, self::STREAM_BATCH);
+
+            if (!empty($entries)) {
+                $cursor = end($entries)['id'];
+                $this->sendEvent('entries', $entries, $cursor);
+                $lastSent = time();
+
+                // Catch up on a backlog without waiting
+                if (count($entries) === self::STREAM_BATCH) {
+                    continue;
+                }
+            } elseif (time() - $lastSent >= self::HEARTBEAT_INTERVAL) {
+                // Comments keep the connection open and let PHP notice disconnected clients
+                echo ": heartbeat\n\n";
+                flush();
+                $lastSent = time();
+            }
+
+            sleep(self::POLL_INTERVAL);
+        }
+
+        $this->sendEvent('reconnect', ['cursor' => $cursor], $cursor);
+    }
+
+    /**
+     * Send a server-sent event
+     *
+     * @param string $event Event name
+     * @param array $data Event data, sent as JSON
+     * @param int $id Event ID, the cursor to continue from
+     */
+    private function sendEvent(string $event, array $data, int $id): void
+    {
+        echo "id: {$id}\n";
+        echo "event: {$event}\n";
+        echo 'data: ' . json_encode($data, JSON_UNESCAPED_SLASHES | JSON_INVALID_UTF8_SUBSTITUTE) . "\n\n";
+        flush();
+    }
+
+    /**
+     * Write entries as CSV, with JSON columns encoded
+     *
+     * @param iterable<array> $entries Presented entries
+     */
+    private function writeCsv(iterable $entries): void
+    {
+        $writer = new ExportWriter('csv');
+        echo $writer->begin(self::EXPORT_COLUMNS);
+
+        foreach ($entries as $entry) {
+            foreach (['old_values', 'new_values', 'context', 'metadata'] as $column) {
+                $entry[$column] = $entry[$column] !== null ? json_encode($entry[$column]) : null;
+            }
+            echo $writer->write($entry);
+        }
+
+        echo $writer->finish();
+    }
+
+    /**
+     * Write entries as a JSON array
+     *
+     * @param iterable<array> $entries Presented entries
+     */
+    private function writeJson(iterable $entries): void
+    {
+        echo '[';
+        $separator = "\n";
+
+        foreach ($entries as $entry) {
+            unset($entry['correlation_size']);
+            echo $separator . json_encode($entry, JSON_UNESCAPED_SLASHES | JSON_INVALID_UTF8_SUBSTITUTE);
+            $separator = ",\n";
+        }
+
+        echo "\n]\n";
+    }
+}
@@ -9,6 +9,7 @@ use Glueful\Helpers\RequestHelper;
 use Glueful\Security\EmailVerification;
 use Glueful\Auth\AuthenticationService;
 use Glueful\Auth\AuthBootstrap;
+use Glueful\Auth\RefreshTokenCookie;
 use Glueful\Exceptions\AuthenticationException;
 use Glueful\Exceptions\ValidationException;
 use Symfony\Component\HttpFoundation\Request as SymfonyRequest;
@@ -151,7 +152,7 @@ class AuthController
             }
         }
 
-        return Response::success($result, 'Login successful');
+        return $this->tokenResponse($request, $result, 'Login successful', $rememberMe);
     }
 
     /**
@@ -194,7 +195,9 @@ class AuthController
         $success = $this->authService->terminateSession($token);
 
         if ($success) {
-            return Response::success(null, 'Logged out successfully');
+            $response = Response::success(null, 'Logged out successfully');
+            RefreshTokenCookie::clear($response, $request);
+            return $response;
         }
 
         throw new AuthenticationException('Logout failed');
@@ -519,13 +522,16 @@ class AuthController
      */
     public function refreshToken()
     {
+        $request = SymfonyRequest::createFromGlobals();
         $postData = RequestHelper::getRequestData();
 
-        if (!isset($postData['refresh_token'])) {
+        // Browser clients in cookie mode send the refresh token as an HttpOnly cookie
+        $refreshToken = $postData['refresh_token'] ?? RefreshTokenCookie::read($request);
+
+        if ($refreshToken === null) {
             throw new ValidationException('Refresh token is required');
         }
 
-        $refreshToken = $postData['refresh_token'];
         $result = $this->authService->refreshTokens($refreshToken);
 
         if (!$result) {
@@ -539,6 +545,37 @@ class AuthController
             $requestContext->updateToken($result['access_token']);
         }
 
-        return Response::success($result, 'Token refreshed successfully');
+        return $this->tokenResponse(
+            $request,
+            $result,
+            'Token refreshed successfully',
+            !empty($postData['remember'])
+        );
+    }
+
+    /**
+     * Build a token response, moving the refresh token into an HttpOnly cookie
+     * when the client asked for cookie mode
+     *
+     * @param SymfonyRequest $request The HTTP request
+     * @param array $result Token data from the authentication service
+     * @param string $message Success message
+     * @param bool $remember Whether the refresh cookie should outlive the browser session
+     * @return Response
+     */
+    private function tokenResponse(SymfonyRequest $request, array $result, string $message, bool $remember): Response
+    {
+        $refreshToken = $result['tokens']['refresh_token'] ?? $result['refresh_token'] ?? null;
+
+        if (!RefreshTokenCookie::requested($request) || !is_string($refreshToken)) {
+            return Response::success($result, $message);
+        }
+
+        unset($result['refresh_token'], $result['tokens']['refresh_token']);
+
+        $response = Response::success($result, $message);
+        RefreshTokenCookie::attach($response, $request, $refreshToken, $remember);
+
+        return $response;
     }
 }
@@ -13,7 +13,10 @@ use Glueful\Http\Response;
 use Glueful\Services\FileFinder;
 use Glueful\Services\FileManager;
 use Glueful\Extensions\ExtensionManager;
+use Glueful\Configuration\ConfigDiff;
+use Glueful\Configuration\ConfigFormSchema;
 use Glueful\Configuration\ConfigurationProcessor;
+use Glueful\Configuration\Schema\ConfigurationInterface;
 use Glueful\Configuration\Exceptions\ConfigurationException;
 
 class ConfigController extends BaseController
@@ -148,8 +151,12 @@ class ConfigController extends BaseController
 
     /**
      * Update configuration with cache invalidation
+     *
+     * Masked secrets keep their stored values. Values are checked against the
+     * file's form schema, and each change is recorded in the version history
+     * when the config_versions table exists.
      */
-    public function updateConfig(string $filename, array $data): Response
+    public function updateConfig(string $filename, array $data, ?string $changeNote = null): Response
     {
         // Check permissions
         $this->requirePermission('system.config.edit');
@@ -177,18 +184,28 @@ class ConfigController extends BaseController
             $this->requirePermission('system.config.sensitive.edit');
         }
 
-        // Get existing config through ConfigManager for audit trail
-        $existingConfig = ConfigManager::get($configName, []);
+        // Get existing config from its file, or through ConfigManager for extension configs
+        $existingConfig = $this->loadRawConfig($configName);
 
         if (empty($existingConfig)) {
             return $this->notFound('Configuration not found');
         }
 
-        // Create rollback point before making changes
-        $this->createConfigRollbackPoint($configName, $existingConfig);
-
         // Merge and validate
-        $newConfig = array_merge($existingConfig, $data);
+        $newConfig = array_merge($existingConfig, ConfigFormSchema::unmask($data, $existingConfig));
+
+        $errors = ConfigFormSchema::validate($this->buildFormSchema($configName, $existingConfig), $newConfig);
+        if (!empty($errors)) {
+            return $this->validationError($errors, 'Configuration does not match its schema');
+        }
+
+        $changes = ConfigDiff::compare($existingConfig, $newConfig);
+        if (empty($changes)) {
+            return $this->success(['updated' => false, 'version' => null], 'Configuration has no changes');
+        }
+
+        // Create rollback point before making changes
+        $this->createConfigRollbackPoint($configName);
 
         // Update in ConfigManager (runtime)
         ConfigManager::set($configName, $newConfig);
@@ -202,12 +219,202 @@ class ConfigController extends BaseController
 
         $this->updateEnvVariables($data);
 
+        $version = $this->recordConfigVersion($configName, $newConfig, $changes, $changeNote);
 
         // Invalidate config cache (using BaseController implementation)
         $this->invalidateResourceCache('config', $configName);
 
         // Return success with no caching (since data just changed)
-        return $this->success(['updated' => true], 'Configuration updated successfully');
+        return $this->success(
+            ['updated' => true, 'version' => $version, 'changes' => $changes],
+            'Configuration updated successfully'
+        );
+    }
+
+    /**
+     * Get a configuration with its form schema for the settings editor
+     *
+     * Secrets are always masked; saving the mask back keeps the stored value.
+     */
+    public function getConfigEditor(string $filename): Response
+    {
+        $this->requirePermission('system.config.view');
+
+        $configName = str_replace('.php', '', $filename);
+        if (!$this->validateConfigName($configName)) {
+            return $this->notFound('Configuration file not found');
+        }
+
+        if (in_array($configName, self::SENSITIVE_CONFIG_FILES)) {
+            $this->requirePermission('system.config.sensitive.view');
+        }
+
+        $config = $this->loadRawConfig($configName);
+        if (empty($config)) {
+            return $this->notFound('Configuration file not found');
+        }
+
+        $schema = $this->getConfigSchema($configName);
+
+        return $this->success([
+            'name' => $configName,
+            'description' => $schema?->getDescription(),
+            'has_schema' => $schema !== null,
+            'fields' => ConfigFormSchema::build($config, $schema?->getConfigTreeBuilder()->buildTree()),
+            'values' => ConfigFormSchema::mask($config),
+            'history_available' => $this->repositoryFactory->configVersions()->isAvailable(),
+        ], 'Configuration retrieved');
+    }
+
+    /**
+     * Preview a configuration change: the settings it changes and any schema errors
+     */
+    public function previewConfig(string $filename, array $data): Response
+    {
+        $this->requirePermission('system.config.edit');
+
+        $configName = str_replace('.php', '', $filename);
+        if (!$this->validateConfigName($configName)) {
+            return $this->validationError(['filename' => 'Invalid configuration name']);
+        }
+
+        if (in_array($configName, self::SENSITIVE_CONFIG_FILES)) {
+            $this->requirePermission('system.config.sensitive.edit');
+        }
+
+        $existingConfig = $this->loadRawConfig($configName);
+        if (empty($existingConfig)) {
+            return $this->notFound('Configuration not found');
+        }
+
+        $newConfig = array_merge($existingConfig, ConfigFormSchema::unmask($data, $existingConfig));
+        $errors = ConfigFormSchema::validate($this->buildFormSchema($configName, $existingConfig), $newConfig);
+
+        return $this->success([
+            'valid' => empty($errors),
+            'errors' => $errors,
+            'changes' => ConfigDiff::compare($existingConfig, $newConfig),
+        ], 'Configuration change previewed');
+    }
+
+    /**
+     * List the recorded versions of a configuration file
+     */
+    public function getConfigVersions(string $filename): Response
+    {
+        $this->requirePermission('system.config.view');
+
+        $configName = str_replace('.php', '', $filename);
+        if (!$this->validateConfigName($configName)) {
+            return $this->notFound('Configuration file not found');
+        }
+
+        $versions = $this->repositoryFactory->configVersions();
+        if (!$versions->isAvailable()) {
+            return $this->success([], 'Configuration history needs the config_versions migration');
+        }
+
+        return $this->success($versions->getVersions($configName), 'Configuration versions retrieved');
+    }
+
+    /**
+     * Get a version of a configuration file with the changes rolling back to it would make
+     */
+    public function getConfigVersion(string $filename, int $version): Response
+    {
+        $this->requirePermission('system.config.view');
+
+        $configName = str_replace('.php', '', $filename);
+        if (!$this->validateConfigName($configName)) {
+            return $this->notFound('Configuration file not found');
+        }
+
+        if (in_array($configName, self::SENSITIVE_CONFIG_FILES)) {
+            $this->requirePermission('system.config.sensitive.view');
+        }
+
+        $record = $this->findConfigVersion($configName, $version);
+        if ($record === null) {
+            return $this->notFound('Configuration version not found');
+        }
+
+        $values = $record['config_values'];
+        unset($record['content'], $record['config_values']);
+        $record['rollback_changes'] = $values !== null
+            ? ConfigDiff::compare(ConfigFormSchema::mask($this->loadRawConfig($configName)), $values)
+            : null;
+
+        return $this->success($record, 'Configuration version retrieved');
+    }
+
+    /**
+     * Roll a configuration file back to an earlier version
+     *
+     * The file is restored exactly as it was and the rollback is recorded as
+     * a new version, so it can itself be undone. Recorded values have their
+     * secrets masked, so the listed changes only show whether a secret was set.
+     */
+    public function rollbackConfig(string $filename, int $version): Response
+    {
+        $this->requirePermission('system.config.edit');
+
+        $this->rateLimitMethod('config_update');
+        $this->requireLowRiskBehavior(0.6, 'config_update');
+
+        $configName = str_replace('.php', '', $filename);
+        if (!$this->validateConfigName($configName)) {
+            return $this->notFound('Configuration file not found');
+        }
+
+        if (in_array($configName, self::SENSITIVE_CONFIG_FILES)) {
+            $this->requirePermission('system.config.sensitive.edit');
+        }
+
+        $record = $this->findConfigVersion($configName, $version);
+        if ($record === null) {
+            return $this->notFound('Configuration version not found');
+        }
+
+        if (!hash_equals($record['checksum_sha256'], hash('sha256', $record['content']))) {
+            return Response::error(
+                "Version {$version} of {$configName} does not match its checksum",
+                Response::HTTP_CONFLICT
+            );
+        }
+
+        if ($record['config_values'] === null) {
+            return Response::error(
+                "Version {$version} of {$configName} has no recorded configuration values",
+                Response::HTTP_CONFLICT
+            );
+        }
+
+        $existingConfig = $this->loadRawConfig($configName);
+        $changes = ConfigDiff::compare(ConfigFormSchema::mask($existingConfig), $record['config_values']);
+
+        $this->createConfigRollbackPoint($configName);
+
+        $filePath = $this->getConfigFilePath($configName);
+        if (file_put_contents($filePath, $record['content']) === false) {
+            return $this->serverError('Failed to roll back configuration');
+        }
+
+        // The recorded values are masked, so the restored file is read for its secrets
+        if (function_exists('opcache_invalidate')) {
+            opcache_invalidate($filePath, true);
+        }
+        $values = $this->loadRawConfig($configName);
+        ConfigManager::set($configName, $values);
+        ConfigManager::clearCache();
+
+        $newVersion = $this->recordConfigVersion($configName, $values, $changes, "Rolled back to version {$version}");
+
+        $this->invalidateResourceCache('config', $configName);
+
+        return $this->success(
+            ['version' => $newVersion, 'restored_version' => $version, 'changes' => $changes],
+            "Configuration rolled back to version {$version}"
+        );
     }
 
     /**
@@ -728,22 +935,9 @@ class ConfigController extends BaseController
         return $data;
     }
 
-    private function isSensitiveKeyName(string $key): bool
+    private function isSensitiveKeyName(string|int $key): bool
     {
-        $sensitivePatterns = [
-            'password', 'secret', 'key', 'token', 'private_key',
-            'public_key', 'api_key', 'auth_key', 'encryption_key'
-        ];
-
-        $lowerKey = strtolower($key);
-
-        foreach ($sensitivePatterns as $pattern) {
-            if (strpos($lowerKey, $pattern) !== false) {
-                return true;
-            }
-        }
-
-        return false;
+        return ConfigFormSchema::isSecretKey($key);
     }
 
     private function validateConfigName(string $name): bool
@@ -850,11 +1044,121 @@ class ConfigController extends BaseController
         return $lines;
     }
 
-    // Placeholder methods for missing functionality - these will use BaseController implementations
-    private function createConfigRollbackPoint(string $configName, array $config): void
+    /**
+     * Make sure the file as it is now can be rolled back to
+     *
+     * Records the current file as a version when it has no history yet or
+     * was changed outside the editor since its latest version.
+     */
+    private function createConfigRollbackPoint(string $configName): void
+    {
+        $versions = $this->repositoryFactory->configVersions();
+        $filePath = $this->getConfigFilePath($configName);
+
+        if (!$versions->isAvailable() || !is_file($filePath)) {
+            return;
+        }
+
+        $content = (string)file_get_contents($filePath);
+        $latest = $versions->latest($configName);
+
+        if ($latest !== null && hash_equals($latest['checksum_sha256'], hash('sha256', $content))) {
+            return;
+        }
+
+        $versions->record(
+            $configName,
+            $content,
+            $this->loadRawConfig($configName),
+            [],
+            $latest === null ? 'Before the first change from the editor' : 'Changed outside the editor',
+            null
+        );
+    }
+
+    /**
+     * Record the file as just written as its next version
+     *
+     * @param array $values Values the file returns
+     * @return int|null Version number, or null without the config_versions table
+     */
+    private function recordConfigVersion(string $configName, array $values, array $changes, ?string $changeNote): ?int
+    {
+        $versions = $this->repositoryFactory->configVersions();
+        $filePath = $this->getConfigFilePath($configName);
+
+        if (!$versions->isAvailable() || !is_file($filePath)) {
+            return null;
+        }
+
+        return $versions->record(
+            $configName,
+            (string)file_get_contents($filePath),
+            $values,
+            $changes,
+            $changeNote !== null && trim($changeNote) !== '' ? trim($changeNote) : null,
+            $this->getCurrentUserUuid()
+        );
+    }
+
+    /**
+     * Find a recorded version of a configuration file with its content and values
+     */
+    private function findConfigVersion(string $configName, int $version): ?array
+    {
+        $versions = $this->repositoryFactory->configVersions();
+
+        return $versions->isAvailable() ? $versions->findVersion($configName, $version) : null;
+    }
+
+    /**
+     * Load a configuration without masking
+     *
+     * Reads the core config file when there is one, otherwise the values
+     * ConfigManager holds, such as extension configs.
+     */
+    private function loadRawConfig(string $configName): array
+    {
+        $filePath = $this->getConfigFilePath($configName);
+
+        if (is_file($filePath) && is_readable($filePath)) {
+            $config = require $filePath;
+            return is_array($config) ? $config : [];
+        }
+
+        $config = ConfigManager::get($configName, []);
+
+        return is_array($config) ? $config : [];
+    }
+
+    /**
+     * Get the registered schema of a configuration, if any
+     */
+    private function getConfigSchema(string $configName): ?ConfigurationInterface
+    {
+        try {
+            return container()->get(ConfigurationProcessor::class)->getSchema($configName);
+        } catch (\Exception $e) {
+            return null;
+        }
+    }
+
+    /**
+     * Describe the fields of a configuration for validation
+     */
+    private function buildFormSchema(string $configName, array $config): array
+    {
+        $schema = $this->getConfigSchema($configName);
+
+        return ConfigFormSchema::build($config, $schema?->getConfigTreeBuilder()->buildTree());
+    }
+
+    /**
+     * Get the path of a core configuration file
+     */
+    private function getConfigFilePath(string $configName): string
     {
-        // TODO: Implement config rollback functionality
-        // For now, this is a placeholder that doesn't break the flow
+        return dirname(__DIR__, 2) . '/config/' . $configName . '.php';
     }
 
     /**
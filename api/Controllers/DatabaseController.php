@@ -8,6 +8,17 @@ use Glueful\Http\Response;
 use Glueful\Helpers\RequestHelper;
 use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
 use Glueful\Database\Connection;
+use Glueful\Database\Tools\ExplainPlanTree;
+use Glueful\Database\Tools\ExportWriter;
+use Glueful\Database\Tools\ForeignKeyInspector;
+use Glueful\Database\Tools\QueryParameters;
+use Glueful\Database\Tools\SqlStatementClassifier;
+use Glueful\Database\Tools\SqlStatementSplitter;
+use Glueful\Database\Tools\TableImporter;
+use Glueful\Exceptions\NotFoundException;
+use Glueful\Exceptions\ValidationException;
+use Symfony\Component\HttpFoundation\HeaderUtils;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 /**
  * Database Controller
@@ -25,6 +36,27 @@ use Glueful\Database\Connection;
  */
 class DatabaseController extends BaseController
 {
+    /** @var string Cache key prefix of previewed writes awaiting a commit */
+    private const PENDING_WRITE_PREFIX = 'sql_console_pending_';
+
+    /** @var int Seconds a previewed write can be committed */
+    private const PENDING_WRITE_TTL = 600;
+
+    /** @var int Number of changed rows shown in a dry-run sample */
+    private const SAMPLE_ROWS = 10;
+
+    /** @var string Cache key prefix of export progress */
+    private const EXPORT_PROGRESS_PREFIX = 'db_export_';
+
+    /** @var string Cache key prefix of export cancellation requests */
+    private const EXPORT_CANCEL_PREFIX = 'db_export_cancel_';
+
+    /** @var int Seconds export progress is kept */
+    private const EXPORT_PROGRESS_TTL = 3600;
+
+    /** @var int Rows fetched and written between progress updates */
+    private const EXPORT_CHUNK_ROWS = 1000;
+
     private SchemaBuilderInterface $schemaManager;
     private Connection $db;
 
@@ -193,6 +225,12 @@ class DatabaseController extends BaseController
 
     /**
      * Get list of all tables
+     *
+     * With the schema included, each table comes with its columns and the
+     * foreign keys it declares, which is what the schema diagram is drawn from.
+     *
+     * @param bool|null $includeSchema Include columns and foreign keys of every table
+     * @return mixed HTTP response
      */
     public function getTables(?bool $includeSchema = false): mixed
     {
@@ -202,6 +240,17 @@ class DatabaseController extends BaseController
         // Standard rate limiting for read operations
         $this->rateLimitResource('database.structure', 'read');
 
+        if ($includeSchema) {
+            $data = $this->cacheResponse(
+                'tables_schema',
+                fn() => array_map(fn($table) => $this->tableSchema($table), $this->schemaManager->getTables()),
+                300,
+                ['database', 'tables']
+            );
+
+            return Response::success($data, 'Tables retrieved successfully');
+        }
+
         $data = $this->cacheResponse(
             'tables_list',
             fn() => $this->schemaManager->getTables(),
@@ -399,14 +448,7 @@ class DatabaseController extends BaseController
         if (!empty($filters)) {
             // Validate filter fields exist in table
             $validFilters = $this->validateFilters($filters, $columns);
-            if (!empty($validFilters)) {
-                foreach ($validFilters as $filter) {
-                    $column = $filter['column'];
-                    $operator = $filter['operator'] ?? '=';
-                    $value = $filter['value'];
-                    $query = $query->where($column, $operator, $value);
-                }
-            }
+            $query = $this->applyFilters($query, $validFilters);
         }
 
             // Apply sorting
@@ -1004,8 +1046,17 @@ class DatabaseController extends BaseController
     /**
      * Execute a raw SQL query
      *
-     * Executes a raw SQL query against the database and returns the results.
-     * Limited to admin users with appropriate permissions.
+     * Executes a raw SQL query or script against the database and returns the results.
+     * Scripts are split into statements that run in order; each statement reports
+     * its own type (read, dml, ddl), rows, affected row count and timing.
+     * Execution stops at the first failing statement and the remaining
+     * statements are reported as skipped.
+     *
+     * Scripts that write run in guarded mode: the first request is a dry run
+     * that is rolled back and returns a confirmation token; sending the same
+     * script with the token commits it, POST /admin/db/query/rollback discards
+     * it. UPDATE and DELETE without a WHERE clause also need their table name
+     * in confirm_table. Limited to admin users with appropriate permissions.
      *
      * @return mixed HTTP response
      */
@@ -1035,233 +1086,1405 @@ class DatabaseController extends BaseController
             return Response::error('SQL query cannot be empty', Response::HTTP_BAD_REQUEST);
         }
 
-        // Prevent destructive operations if the safety flag is not set
-        $isSafeQuery = $data['allow_write'] ?? false;
-        $firstWord = strtoupper(explode(' ', $sql)[0]);
-        if (!$isSafeQuery && in_array($firstWord, ['DELETE', 'TRUNCATE', 'DROP', 'ALTER', 'UPDATE', 'INSERT'])) {
-            return Response::forbidden(
-                'Write operations require explicit allow_write flag for safety'
+        $splitter = new SqlStatementSplitter($this->db->getDriverName());
+        $statements = $splitter->split($sql);
+
+        if (empty($statements)) {
+            return Response::error('SQL query cannot be empty', Response::HTTP_BAD_REQUEST);
+        }
+
+        if (!empty($params) && count($statements) > 1) {
+            return Response::error(
+                'Query parameters are only supported for single-statement queries',
+                Response::HTTP_BAD_REQUEST
             );
         }
 
-        // Execute the query and get results
-        $pdo = $this->db->getPDO();
-        $stmt = $pdo->prepare($sql);
-        $stmt->execute($params);
-        $results = $stmt->fetchAll(\PDO::FETCH_ASSOC);
+        $params = $this->resolveQueryParams($statements[0], $data);
 
-        // For write operations, get the affected rows count
-        $isReadOperation = in_array($firstWord, ['SELECT', 'SHOW', 'DESCRIBE', 'EXPLAIN']);
-        $message = $isReadOperation
-            ? 'Query executed successfully'
-            : 'Query executed successfully, ' . count($results) . ' rows affected';
+        $classifier = new SqlStatementClassifier($this->db->getDriverName());
+        $analyses = array_map([$classifier, 'analyze'], $statements);
+        $writes = array_filter($analyses, fn (array $analysis) => $analysis['type'] !== SqlStatementClassifier::READ);
 
+        if (empty($writes)) {
+            $run = $this->runStatements($statements, $analyses, $params, false);
+            if ($run['exception'] !== null) {
+                // A single statement keeps the regular database error response
+                throw $run['exception'];
+            }
 
-        $responseData = [
-            'query' => $sql,
-            'results' => $results,
-            'count' => count($results)
-        ];
+            return Response::success($this->queryResponseData($sql, $run), $this->queryResultMessage($run));
+        }
 
-        return Response::success($responseData, $message);
+        // Prevent destructive operations if the safety flag is not set
+        if (empty($data['allow_write'])) {
+            return Response::forbidden('Write operations require explicit allow_write flag for safety');
+        }
+
+        $useTransaction = !array_key_exists('transaction', $data) || !empty($data['transaction']);
+
+        foreach ($writes as $analysis) {
+            if ($useTransaction && $analysis['type'] === SqlStatementClassifier::TRANSACTION) {
+                return Response::error(
+                    'Transaction statements cannot be used while writes run in a transaction; '
+                    . 'commit or roll back from the console instead',
+                    Response::HTTP_BAD_REQUEST
+                );
+            }
+        }
+
+        if (empty($data['confirmation_token'])) {
+            return $this->previewWrites($sql, $statements, $analyses, $params, $useTransaction);
+        }
+
+        return $this->commitWrites($sql, $statements, $analyses, $params, $useTransaction, $data);
     }
 
     /**
-     * Update table schema with multiple operations
+     * Discard a write previewed by executeQuery
      *
-     * Processes multiple schema changes in a single request:
-     * - Add/delete columns
-     * - Add/delete indexes
-     * - Add/delete foreign keys
+     * The dry run has already been rolled back; this invalidates its
+     * confirmation token so the changes can no longer be committed.
      *
      * @return mixed HTTP response
      */
-    public function updateTableSchema(): mixed
+    public function rollbackQuery(): mixed
     {
-        // Permission check for schema modification
-        $this->requirePermission('database.structure.write', 'database');
-
-        // Very strict rate limiting for schema updates
-        $this->rateLimitResource('database.schema', 'write', 3, 600);
-
-        // Require low risk behavior for complex schema operations
-        $this->requireLowRiskBehavior(0.3, 'schema_update');
+        $this->requirePermission('database.query.execute', 'database');
 
         $data = RequestHelper::getRequestData();
+        $token = (string)($data['confirmation_token'] ?? '');
 
-        if (!isset($data['table_name'])) {
-            return Response::error('Table name is required', Response::HTTP_BAD_REQUEST);
+        if ($token === '') {
+            return Response::error('Confirmation token is required', Response::HTTP_BAD_REQUEST);
         }
 
-            $tableName = $data['table_name'];
-            $results = [
-                'added_columns' => [],
-                'deleted_columns' => [],
-                'added_indexes' => [],
-                'deleted_indexes' => [],
-                'added_foreign_keys' => [],
-                'deleted_foreign_keys' => [],
-                'failed_operations' => []
-            ];
+        $cache = $this->getCacheStore();
+        $pending = $cache->get(self::PENDING_WRITE_PREFIX . $token);
 
-        // Process column deletions first to avoid constraint conflicts
-            if (!empty($data['deleted_columns'])) {
-                foreach ($data['deleted_columns'] as $column) {
-                    $success = $this->schemaManager->dropColumn($tableName, $column);
-                    if ($success) {
-                        $results['deleted_columns'][] = $column;
-                    } else {
-                        $results['failed_operations'][] = "Failed to delete column: $column";
-                    }
-                }
-            }
+        if (is_array($pending) && $pending['user'] === $this->getCurrentUserUuid()) {
+            $cache->delete(self::PENDING_WRITE_PREFIX . $token);
+        }
 
-            // Process index deletions
-            if (!empty($data['deleted_indexes'])) {
-                foreach ($data['deleted_indexes'] as $index) {
-                    $success = $this->schemaManager->dropIndex($tableName, $index);
-                    if ($success) {
-                        $results['deleted_indexes'][] = $index;
-                    } else {
-                        $results['failed_operations'][] = "Failed to delete index: $index";
-                    }
-                }
-            }
+        return Response::success(['rolled_back' => true], 'Changes rolled back');
+    }
 
-            // Process foreign key deletions
-            if (!empty($data['deleted_foreign_keys'])) {
-                foreach ($data['deleted_foreign_keys'] as $constraintName) {
-                    $success = $this->schemaManager->dropForeignKey($tableName, $constraintName);
-                    if ($success) {
-                        $results['deleted_foreign_keys'][] = $constraintName;
-                    } else {
-                        $results['failed_operations'][] = "Failed to delete foreign key: $constraintName";
-                    }
-                }
+    /**
+     * Dry-run a script that contains writes
+     *
+     * The statements run inside a transaction that is always rolled back.
+     * UPDATE and DELETE statements on a single table report a sample of the
+     * rows they change. MySQL commits DDL implicitly, so a script is only
+     * previewed up to its first DDL statement there. A successful dry run
+     * returns a confirmation token for committing the same statements.
+     *
+     * @param string $sql Original script
+     * @param array $statements Split statements
+     * @param array $analyses Classifier analysis per statement
+     * @param array $params Bound values
+     * @param bool $useTransaction Whether the commit runs in a transaction
+     * @return mixed HTTP response
+     */
+    private function previewWrites(
+        string $sql,
+        array $statements,
+        array $analyses,
+        array $params,
+        bool $useTransaction
+    ): mixed {
+        $pdo = $this->db->getPDO();
+        $pdo->beginTransaction();
+
+        try {
+            $run = $this->runStatements($statements, $analyses, $params, true);
+        } finally {
+            if ($pdo->inTransaction()) {
+                $pdo->rollBack();
             }
+        }
 
-            // Process new columns
-            if (!empty($data['columns'])) {
-                foreach ($data['columns'] as $column) {
-                    if (!isset($column['name']) || !isset($column['type'])) {
-                        $results['failed_operations'][] = "Invalid column definition";
-                        continue;
-                    }
+        if ($run['exception'] !== null) {
+            throw $run['exception'];
+        }
 
-                    $columnDef = ['type' => $column['type']];
+        $responseData = $this->queryResponseData($sql, $run) + ['mode' => 'preview', 'pending' => null];
 
-                    // Handle column options
-                    if (isset($column['options'])) {
-                        if (isset($column['options']['nullable'])) {
-                            $columnDef['nullable'] = $column['options']['nullable'] === 'NULL';
-                        }
-                        if (isset($column['options']['default'])) {
-                            $columnDef['default'] = $column['options']['default'];
-                        }
-                    }
+        if ($run['failed'] !== null) {
+            $last = $run['results'][$run['failed'] - 1];
+            return Response::success(
+                $responseData,
+                sprintf('Dry run failed at statement %d of %d: %s', $run['failed'], count($statements), $last['error'])
+            );
+        }
 
-                    $success = $this->schemaManager->addColumn($tableName, $column['name'], $columnDef);
+        $token = bin2hex(random_bytes(16));
+        $this->getCacheStore()->set(self::PENDING_WRITE_PREFIX . $token, [
+            'user' => $this->getCurrentUserUuid(),
+            'hash' => $this->pendingWriteHash($statements, $params, $useTransaction),
+        ], self::PENDING_WRITE_TTL);
 
-                    if ($success) {
-                        $results['added_columns'][] = $column['name'];
-                    } else {
-                        $results['failed_operations'][] = "Failed to add column: " . $column['name'];
-                    }
-                }
+        $confirmTables = [];
+        foreach ($run['results'] as $result) {
+            if ($result['requires_confirmation'] && $result['table'] !== null) {
+                $confirmTables[$result['table']] = $result['table'];
             }
+        }
 
-            // Process new indexes
-            if (!empty($data['indexes'])) {
-                $formattedIndexes = array_map(function ($index) use ($tableName) {
-                    return [
-                        'table' => $tableName,
-                        'column' => $index['column'],
-                        'type' => $index['type'],
-                        // Generate a standard index name if not provided
-                        'name' => $index['name'] ?? sprintf(
-                            "%s_%s_%s",
-                            $tableName,
-                            is_array($index['column']) ? implode('_', $index['column']) : $index['column'],
-                            strtolower($index['type']) === 'unique' ? 'unq' : 'idx'
-                        )
-                    ];
-                }, $data['indexes']);
+        $responseData['pending'] = [
+            'confirmation_token' => $token,
+            'expires_at' => date('c', time() + self::PENDING_WRITE_TTL),
+            'transaction' => $useTransaction,
+            'confirm_tables' => array_values($confirmTables),
+        ];
 
-                try {
-                    // The method returns the schema manager instance (self), not a boolean
-                    $this->schemaManager->addIndex($formattedIndexes);
-                    // Since no exception was thrown, consider it successful
-                    $results['added_indexes'] = array_map(function ($index) {
-                        return $index['name'];
-                    }, $formattedIndexes);
-                } catch (\Exception $e) {
-                    error_log("Failed to add indexes: " . $e->getMessage());
-                    $results['failed_operations'][] = "Failed to add indexes - database constraint error";
-                }
+        $affected = array_sum(array_map(fn (array $result) => (int)$result['affected_rows'], $run['results']));
+
+        return Response::success(
+            $responseData,
+            "Dry run complete, {$affected} rows would be affected. Commit or roll back to continue"
+        );
+    }
+
+    /**
+     * Execute a previewed script for real
+     *
+     * Requires the confirmation token of a dry run of the same statements and
+     * values, and the table name of every UPDATE or DELETE without a WHERE
+     * clause. By default all statements run in one transaction that is
+     * rolled back when any of them fails. Each executed write is recorded in
+     * the audit log.
+     *
+     * @param string $sql Original script
+     * @param array $statements Split statements
+     * @param array $analyses Classifier analysis per statement
+     * @param array $params Bound values
+     * @param bool $useTransaction Whether to run the statements in a transaction
+     * @param array $data Request data with confirmation_token and confirm_table
+     * @return mixed HTTP response
+     * @throws ValidationException If an unfiltered UPDATE or DELETE is not confirmed
+     */
+    private function commitWrites(
+        string $sql,
+        array $statements,
+        array $analyses,
+        array $params,
+        bool $useTransaction,
+        array $data
+    ): mixed {
+        $cache = $this->getCacheStore();
+        $cacheKey = self::PENDING_WRITE_PREFIX . (string)$data['confirmation_token'];
+        $pending = $cache->get($cacheKey);
+
+        if (
+            !is_array($pending)
+            || $pending['user'] !== $this->getCurrentUserUuid()
+            || !hash_equals($pending['hash'], $this->pendingWriteHash($statements, $params, $useTransaction))
+        ) {
+            return Response::error(
+                'The dry run has expired or does not match this query. Run it again before committing',
+                Response::HTTP_CONFLICT
+            );
+        }
+
+        $confirmed = array_map(
+            fn ($table) => strtolower(trim((string)$table)),
+            (array)($data['confirm_table'] ?? [])
+        );
+
+        foreach ($analyses as $index => $analysis) {
+            if (!$this->requiresTableConfirmation($analysis)) {
+                continue;
+            }
+            if ($analysis['table'] === null) {
+                throw new ValidationException([
+                    'confirm_table' => sprintf('Statement %d changes every row; add a WHERE clause', $index + 1),
+                ]);
+            }
+            if (!in_array(strtolower($analysis['table']), $confirmed, true)) {
+                throw new ValidationException([
+                    'confirm_table' => sprintf(
+                        'Statement %d changes every row of %s. Enter the table name to confirm',
+                        $index + 1,
+                        $analysis['table']
+                    ),
+                ]);
             }
+        }
 
-            // Process new foreign keys
-            if (!empty($data['foreign_keys'])) {
-                foreach ($data['foreign_keys'] as $fk) {
-                    if (!isset($fk['column']) || !isset($fk['references']) || !isset($fk['on'])) {
-                        $results['failed_operations'][] = "Invalid foreign key definition";
-                        continue;
-                    }
+        // The token is single use, whatever the outcome
+        $cache->delete($cacheKey);
 
-                    try {
-                        // Generate a constraint name if not provided
-                        $fkName = isset($fk['name']) ? $fk['name'] : "fk_{$tableName}_{$fk['column']}";
-                        $fkDef = [
-                            'table' => $tableName,
-                            'column' => $fk['column'],
-                            'references' => $fk['references'],
-                            'on' => $fk['on'],
-                            'name' => $fkName
-                        ];
+        $pdo = $this->db->getPDO();
+        if ($useTransaction) {
+            $pdo->beginTransaction();
+        }
 
-                        $this->schemaManager->addForeignKey([$fkDef]);
-                        // If no exception thrown, consider it successful
-                        $results['added_foreign_keys'][] = $fkName;
-                    } catch (\Exception $e) {
-                        $columnName = $fk['column'];
-                        error_log("Failed to add foreign key on column '$columnName': " . $e->getMessage());
-                        $results['failed_operations'][] = "Failed to add foreign key on column: $columnName";
-                    }
-                }
+        try {
+            $run = $this->runStatements($statements, $analyses, $params, false);
+        } catch (\Throwable $e) {
+            if ($useTransaction && $pdo->inTransaction()) {
+                $pdo->rollBack();
             }
+            throw $e;
+        }
 
-            // Return appropriate response based on results
-            if (empty($results['failed_operations'])) {
-                return Response::success($results, 'Table schema updated successfully');
+        // MySQL ends the transaction itself when a DDL statement commits implicitly
+        if ($useTransaction && $pdo->inTransaction()) {
+            if ($run['failed'] === null) {
+                $pdo->commit();
             } else {
-                // Some operations failed, but others might have succeeded
-                return Response::success(
-                    $results,
-                    'Some schema update operations completed with warnings'
-                );
+                $pdo->rollBack();
+            }
+        }
+
+        if ($useTransaction && $run['failed'] !== null) {
+            foreach ($run['results'] as &$result) {
+                if ($result['status'] === 'success') {
+                    $result['status'] = 'rolled_back';
+                }
             }
+            unset($result);
+        }
+
+        $this->auditWrites($run['results'], $params, $useTransaction);
+
+        if ($run['exception'] !== null) {
+            throw $run['exception'];
+        }
+
+        $responseData = $this->queryResponseData($sql, $run) + ['mode' => 'committed', 'pending' => null];
+
+        if ($run['failed'] !== null) {
+            $last = $run['results'][$run['failed'] - 1];
+            $message = sprintf(
+                'Statement %d of %d failed%s: %s',
+                $run['failed'],
+                count($statements),
+                $useTransaction ? ', all changes were rolled back' : '',
+                $last['error']
+            );
+        } else {
+            $affected = array_sum(array_map(fn (array $result) => (int)$result['affected_rows'], $run['results']));
+            $message = "Changes committed, {$affected} rows affected";
+        }
+
+        return Response::success($responseData, $message);
     }
 
     /**
-     * Get comprehensive database statistics
-     *
-     * Returns database statistics including tables with their schemas, sizes, row counts,
-     * and other metrics useful for database monitoring and visualization.
+     * Execute statements in order and collect a result per statement
      *
-     * @return mixed HTTP response
-     */
-    /**
-     * Get database statistics data with caching (for internal use)
+     * Execution stops at the first failing statement and the remaining
+     * statements are reported as skipped. In preview mode UPDATE and DELETE
+     * statements also report a sample of the rows they change.
      *
-     * @return array Database statistics data
+     * @param array $statements Split statements
+     * @param array $analyses Classifier analysis per statement
+     * @param array $params Bound values
+     * @param bool $preview Whether this is a dry run
+     * @return array Results, failed statement number, total time and the exception of a lone statement
      */
-    public function getDatabaseStatsData(): array
+    private function runStatements(array $statements, array $analyses, array $params, bool $preview): array
     {
-        return $this->cacheResponse(
-            'database_stats',
-            function () {
-                // Get list of all tables with schema information
-                $tables = $this->schemaManager->getTables();
+        $pdo = $this->db->getPDO();
+        $driver = $this->db->getDriverName();
+        $results = [];
+        $failed = null;
+        $stopped = false;
+        $exception = null;
+        $totalTime = 0.0;
+
+        foreach ($statements as $index => $statement) {
+            $analysis = $analyses[$index];
+            $result = [
+                'index' => $index + 1,
+                'query' => $statement,
+                'type' => $analysis['type'],
+                'table' => $analysis['table'],
+                'requires_confirmation' => $this->requiresTableConfirmation($analysis),
+                'status' => 'skipped',
+                'columns' => [],
+                'results' => [],
+                'count' => 0,
+                'affected_rows' => null,
+                'execution_time' => null,
+                'sample' => null,
+                'error' => null,
+            ];
+
+            // A dry run cannot execute DDL that MySQL would commit implicitly
+            if ($preview && $analysis['type'] === SqlStatementClassifier::DDL && $driver === 'mysql') {
+                $stopped = true;
+            }
+
+            if ($failed !== null || $stopped) {
+                $result['status'] = $stopped ? 'not_previewed' : 'skipped';
+                $results[] = $result;
+                continue;
+            }
+
+            $start = microtime(true);
+            try {
+                $sample = $preview
+                    ? $this->withSavepoint(fn () => $this->sampleAffectedRows($analysis, $params))
+                    : null;
+
+                $stmt = $pdo->prepare($statement);
+                $this->bindQueryParams($stmt, $params);
+                $stmt->execute();
+
+                if ($stmt->columnCount() > 0) {
+                    $result['results'] = $stmt->fetchAll(\PDO::FETCH_ASSOC);
+                    $result['count'] = count($result['results']);
+                    for ($i = 0; $i < $stmt->columnCount(); $i++) {
+                        $meta = $stmt->getColumnMeta($i);
+                        $result['columns'][] = $meta['name'] ?? (string) $i;
+                    }
+                } else {
+                    $result['affected_rows'] = $stmt->rowCount();
+                }
+
+                if ($sample !== null) {
+                    $result['sample'] = $this->withSavepoint(fn () => $this->compareAffectedRows($analysis, $sample));
+                }
+                $result['status'] = 'success';
+            } catch (\PDOException $e) {
+                if (count($statements) === 1) {
+                    $exception = $e;
+                }
+                $result['status'] = 'error';
+                $result['error'] = $e->getMessage();
+                $failed = $index + 1;
+            }
+
+            $result['execution_time'] = round((microtime(true) - $start) * 1000, 2);
+            $totalTime += $result['execution_time'];
+            $results[] = $result;
+        }
+
+        return [
+            'results' => $results,
+            'failed' => $failed,
+            'execution_time' => round($totalTime, 2),
+            'exception' => $exception,
+        ];
+    }
+
+    /**
+     * Build the response data of an executed script
+     *
+     * @param string $sql Original script
+     * @param array $run Result of runStatements
+     * @return array Response data
+     */
+    private function queryResponseData(string $sql, array $run): array
+    {
+        $last = $run['results'][($run['failed'] ?? count($run['results'])) - 1];
+
+        return [
+            'query' => $sql,
+            'results' => $last['results'],
+            'count' => $last['count'],
+            'statements' => $run['results'],
+            'failed_statement' => $run['failed'],
+            'execution_time' => $run['execution_time'],
+        ];
+    }
+
+    /**
+     * Build the message for an executed script
+     *
+     * @param array $run Result of runStatements
+     * @return string Response message
+     */
+    private function queryResultMessage(array $run): string
+    {
+        $results = $run['results'];
+        $last = $results[($run['failed'] ?? count($results)) - 1];
+
+        if ($run['failed'] !== null) {
+            return sprintf('Statement %d of %d failed: %s', $run['failed'], count($results), $last['error']);
+        }
+        if (count($results) > 1) {
+            return sprintf('%d statements executed successfully', count($results));
+        }
+        if ($last['affected_rows'] !== null) {
+            return 'Query executed successfully, ' . $last['affected_rows'] . ' rows affected';
+        }
+
+        return 'Query executed successfully';
+    }
+
+    /**
+     * Whether a statement changes every row of its table
+     *
+     * @param array $analysis Classifier analysis
+     * @return bool True for UPDATE and DELETE without a meaningful WHERE clause
+     */
+    private function requiresTableConfirmation(array $analysis): bool
+    {
+        return in_array($analysis['keyword'], ['UPDATE', 'DELETE'], true) && !$analysis['filtered'];
+    }
+
+    /**
+     * Read the rows an UPDATE or DELETE is about to change
+     *
+     * Only single-table statements are sampled. Positional parameters cannot
+     * be matched to the WHERE clause, so such statements are not sampled either.
+     *
+     * @param array $analysis Classifier analysis
+     * @param array $params Values bound to the statement
+     * @return array|null Primary key and rows before the change, or null when not sampled
+     */
+    private function sampleAffectedRows(array $analysis, array $params): ?array
+    {
+        if (!in_array($analysis['keyword'], ['UPDATE', 'DELETE'], true) || !$analysis['single_table']) {
+            return null;
+        }
+
+        if (!empty($params) && array_is_list($params)) {
+            return null;
+        }
+
+        $values = [];
+        foreach ($params as $name => $value) {
+            $values[ltrim((string)$name, ':')] = $value;
+        }
+
+        $bind = [];
+        $where = $analysis['where'];
+        if ($where !== null) {
+            foreach ((new QueryParameters($this->db->getDriverName()))->extract($where) as $name) {
+                $bind[$name] = $values[$name] ?? null;
+            }
+        }
+
+        $stmt = $this->db->getPDO()->prepare(
+            'SELECT * FROM ' . $analysis['target']
+            . ($analysis['alias'] !== null ? ' ' . $analysis['alias'] : '')
+            . ($where !== null ? ' WHERE ' . $where : '')
+            . ' LIMIT ' . (self::SAMPLE_ROWS + 1)
+        );
+        $this->bindQueryParams($stmt, $bind);
+        $stmt->execute();
+        $rows = $stmt->fetchAll(\PDO::FETCH_ASSOC);
+
+        try {
+            $columns = $this->schemaManager->getTableColumns($analysis['table']);
+        } catch (\Exception $e) {
+            $columns = [];
+        }
+
+        $primaryKey = [];
+        foreach ($columns as $column) {
+            if (!empty($column['is_primary'])) {
+                $primaryKey[] = $column['name'];
+            }
+        }
+
+        return [
+            'primary_key' => $primaryKey,
+            'rows' => array_slice($rows, 0, self::SAMPLE_ROWS),
+            'truncated' => count($rows) > self::SAMPLE_ROWS,
+        ];
+    }
+
+    /**
+     * Compare sampled rows with their state after the statement ran
+     *
+     * Deleted rows have no after state. Updated rows are read again by primary
+     * key; tables without one only show the rows before the change.
+     *
+     * @param array $analysis Classifier analysis
+     * @param array $sample Result of sampleAffectedRows
+     * @return array Sample with before, after and changed columns per row
+     */
+    private function compareAffectedRows(array $analysis, array $sample): array
+    {
+        $primaryKey = $sample['primary_key'];
+        $after = [];
+
+        if ($analysis['keyword'] === 'UPDATE' && !empty($primaryKey) && !empty($sample['rows'])) {
+            $conditions = [];
+            $values = [];
+            foreach ($sample['rows'] as $row) {
+                $conditions[] = '(' . implode(' AND ', array_map(
+                    fn (string $column) => $this->wrapIdentifier($column) . ' = ?',
+                    $primaryKey
+                )) . ')';
+                foreach ($primaryKey as $column) {
+                    $values[] = $row[$column];
+                }
+            }
+
+            $stmt = $this->db->getPDO()->prepare(
+                'SELECT * FROM ' . $analysis['target'] . ' WHERE ' . implode(' OR ', $conditions)
+            );
+            $this->bindQueryParams($stmt, $values);
+            $stmt->execute();
+
+            foreach ($stmt->fetchAll(\PDO::FETCH_ASSOC) as $row) {
+                $after[$this->rowKey($row, $primaryKey)] = $row;
+            }
+        }
+
+        $rows = [];
+        foreach ($sample['rows'] as $before) {
+            $current = !empty($primaryKey) ? ($after[$this->rowKey($before, $primaryKey)] ?? null) : null;
+            $changed = [];
+            if ($current !== null) {
+                foreach ($before as $column => $value) {
+                    if (array_key_exists($column, $current) && $current[$column] !== $value) {
+                        $changed[] = $column;
+                    }
+                }
+            }
+            $rows[] = ['before' => $before, 'after' => $current, 'changed' => $changed];
+        }
+
+        return [
+            'action' => strtolower($analysis['keyword']),
+            'primary_key' => $primaryKey,
+            'rows' => $rows,
+            'truncated' => $sample['truncated'],
+        ];
+    }
+
+    /**
+     * Run a dry-run sampling query without affecting the surrounding transaction
+     *
+     * A failing query would abort the whole transaction on PostgreSQL, so it
+     * runs behind a savepoint and a failure just means there is no sample.
+     *
+     * @param callable $callback Sampling callback
+     * @return array|null Callback result, or null when it failed
+     */
+    private function withSavepoint(callable $callback): ?array
+    {
+        $pdo = $this->db->getPDO();
+        $pdo->exec('SAVEPOINT sql_console_sample');
+
+        try {
+            $result = $callback();
+            $pdo->exec('RELEASE SAVEPOINT sql_console_sample');
+            return $result;
+        } catch (\PDOException $e) {
+            $pdo->exec('ROLLBACK TO SAVEPOINT sql_console_sample');
+            return null;
+        }
+    }
+
+    /**
+     * Build a lookup key from the primary key values of a row
+     *
+     * @param array $row Row data
+     * @param array $primaryKey Primary key columns
+     * @return string Key
+     */
+    private function rowKey(array $row, array $primaryKey): string
+    {
+        return json_encode(array_map(fn (string $column) => (string)($row[$column] ?? ''), $primaryKey));
+    }
+
+    /**
+     * Hash the statements and values a confirmation token is valid for
+     *
+     * @param array $statements Split statements
+     * @param array $params Bound values
+     * @param bool $useTransaction Whether the commit runs in a transaction
+     * @return string SHA-256 hash
+     */
+    private function pendingWriteHash(array $statements, array $params, bool $useTransaction): string
+    {
+        return hash('sha256', json_encode([$statements, $params, $useTransaction]));
+    }
+
+    /**
+     * Record executed writes in the audit log
+     *
+     * Bound values may hold passwords or tokens, so only their number and
+     * placeholder names are recorded.
+     *
+     * @param array $results Statement results of a committed script
+     * @param array $params Bound values
+     * @param bool $useTransaction Whether the statements ran in a transaction
+     */
+    private function auditWrites(array $results, array $params, bool $useTransaction): void
+    {
+        $statuses = ['success' => 'success', 'rolled_back' => 'rolled_back', 'error' => 'failed'];
+        $auditLogs = $this->repositoryFactory->auditLogs();
+
+        foreach ($results as $result) {
+            if ($result['type'] === SqlStatementClassifier::READ || !isset($statuses[$result['status']])) {
+                continue;
+            }
+
+            $auditLogs->record([
+                'user_id' => $this->getCurrentUserUuid(),
+                'action' => 'sql_' . $result['type'],
+                'category' => 'admin',
+                'severity' => $result['type'] === SqlStatementClassifier::DDL || $result['requires_confirmation']
+                    ? 'warning'
+                    : 'info',
+                'status' => $statuses[$result['status']],
+                'entity_type' => 'database',
+                'entity_id' => $result['table'] ?? 'query',
+                'new_values' => [
+                    'statement' => $result['query'],
+                    'affected_rows' => $result['affected_rows'],
+                ],
+                'context' => [
+                    'table' => $result['table'],
+                    'statement_index' => $result['index'],
+                    'param_count' => count($params),
+                    'param_names' => array_values(array_filter(array_keys($params), 'is_string')),
+                    'transaction' => $useTransaction,
+                    'unfiltered_confirmed' => $result['requires_confirmation'],
+                    'error' => $result['error'],
+                ],
+                'source' => 'api',
+                'duration_ms' => $result['execution_time'] !== null ? (int)round($result['execution_time']) : null,
+            ], $this->request);
+        }
+    }
+
+    /**
+     * Get the execution plan of a query
+     *
+     * Runs EXPLAIN for a single statement and returns the plan as a tree with
+     * estimated costs and rows, plus warnings such as full table scans. With
+     * `analyze` set the statement is executed to collect actual rows and
+     * timings (EXPLAIN ANALYZE); any changes it makes are rolled back. SQLite
+     * has no ANALYZE variant and always returns the estimated plan.
+     *
+     * @return mixed HTTP response
+     */
+    public function explainQuery(): mixed
+    {
+        $this->requirePermission('database.query.execute', 'database');
+
+        $this->rateLimitResource('database.query', 'execute', 10, 60);
+
+        $this->requireLowRiskBehavior(0.7, 'raw_sql_execution');
+
+        $data = RequestHelper::getRequestData();
+
+        if (!isset($data['query']) || trim($data['query']) === '') {
+            return Response::error('SQL query is required', Response::HTTP_BAD_REQUEST);
+        }
+
+        $driver = $this->db->getDriverName();
+        $splitter = new SqlStatementSplitter($driver);
+        $statements = $splitter->split($data['query']);
+
+        if (count($statements) !== 1) {
+            return Response::error('EXPLAIN requires exactly one statement', Response::HTTP_BAD_REQUEST);
+        }
+
+        $sql = $statements[0];
+        $keyword = $splitter->firstKeyword($sql);
+        $analyze = !empty($data['analyze']);
+        $type = (new SqlStatementClassifier($driver))->classify($sql);
+
+        if ($keyword === 'EXPLAIN') {
+            return Response::error('Provide the statement without EXPLAIN', Response::HTTP_BAD_REQUEST);
+        }
+
+        // EXPLAIN ANALYZE runs the statement, so writes need the same flag as executing them
+        if ($analyze && $type !== SqlStatementClassifier::READ && empty($data['allow_write'])) {
+            return Response::forbidden('Write operations require explicit allow_write flag for safety');
+        }
+
+        $prefix = match ($driver) {
+            'mysql' => $analyze ? 'EXPLAIN ANALYZE ' : 'EXPLAIN FORMAT=JSON ',
+            'pgsql' => $analyze ? 'EXPLAIN (ANALYZE, BUFFERS, FORMAT JSON) ' : 'EXPLAIN (FORMAT JSON) ',
+            'sqlite' => 'EXPLAIN QUERY PLAN ',
+            default => null,
+        };
+
+        if ($prefix === null) {
+            return Response::error(
+                "Execution plan not supported for driver: {$driver}",
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+
+        $params = $this->resolveQueryParams($sql, $data);
+        $analyze = $analyze && $driver !== 'sqlite';
+        $pdo = $this->db->getPDO();
+        $useTransaction = $analyze && !$pdo->inTransaction();
+
+        if ($useTransaction) {
+            $pdo->beginTransaction();
+        }
+
+        try {
+            $stmt = $pdo->prepare($prefix . $sql);
+            $this->bindQueryParams($stmt, $params);
+            $stmt->execute();
+            $rows = $stmt->fetchAll(\PDO::FETCH_ASSOC);
+        } finally {
+            if ($useTransaction) {
+                $pdo->rollBack();
+            }
+        }
+
+        $plan = (new ExplainPlanTree())->build($driver, $rows);
+        $plan['query'] = $sql;
+        $plan['analyze'] = $analyze;
+
+        $message = !empty($data['analyze']) && !$analyze
+            ? 'SQLite cannot analyze queries, showing the estimated plan'
+            : 'Execution plan retrieved successfully';
+
+        return Response::success($plan, $message);
+    }
+
+    /**
+     * Resolve the values to bind for a query
+     *
+     * When typed parameter definitions are sent along (saved queries with :name
+     * placeholders), the values are validated and cast to their declared types.
+     *
+     * @param string $sql SQL statement the values are bound to
+     * @param array $data Request data with params and optional parameters definitions
+     * @return array Values keyed by placeholder name or position
+     * @throws ValidationException If a value is missing or does not match its type
+     */
+    private function resolveQueryParams(string $sql, array $data): array
+    {
+        $params = is_array($data['params'] ?? null) ? $data['params'] : [];
+
+        if (!isset($data['parameters']) || !is_array($data['parameters'])) {
+            return $params;
+        }
+
+        $queryParameters = new QueryParameters($this->db->getDriverName());
+
+        try {
+            $definitions = $queryParameters->normalize($sql, $data['parameters']);
+        } catch (\InvalidArgumentException $e) {
+            throw new ValidationException(['parameters' => $e->getMessage()]);
+        }
+
+        $result = $queryParameters->cast($definitions, $params);
+        if (!empty($result['errors'])) {
+            throw new ValidationException($result['errors']);
+        }
+
+        return $result['values'];
+    }
+
+    /**
+     * Bind values to a prepared statement using their PHP type
+     *
+     * @param \PDOStatement $stmt Prepared statement
+     * @param array $params Values keyed by placeholder name or zero-based position
+     */
+    private function bindQueryParams(\PDOStatement $stmt, array $params): void
+    {
+        foreach ($params as $key => $value) {
+            $type = match (true) {
+                is_int($value) => \PDO::PARAM_INT,
+                is_bool($value) => \PDO::PARAM_BOOL,
+                $value === null => \PDO::PARAM_NULL,
+                default => \PDO::PARAM_STR,
+            };
+
+            $placeholder = is_int($key) ? $key + 1 : ':' . ltrim((string)$key, ':');
+            $stmt->bindValue($placeholder, $value, $type);
+        }
+    }
+
+    /**
+     * Stream a table or query result as a file download
+     *
+     * Rows are written to the response as they are read, using an unbuffered
+     * query on MySQL and a cursor on PostgreSQL, so exports of any size run in
+     * constant memory on the server and never pass through the admin SPA as JSON.
+     * Progress is kept in the cache under the export ID sent in the X-Export-Id
+     * header; see exportProgress() and cancelExport().
+     *
+     * Request body:
+     * - format: csv, ndjson, xlsx or sql (INSERT statements)
+     * - table: table to export, with optional search, search_fields, filters,
+     *   order_by and order_dir as used when browsing table data
+     * - query: single read-only statement to export instead of a table, with
+     *   optional params, parameters and name (target table of INSERT statements)
+     *
+     * @return mixed HTTP response
+     */
+    public function exportData(): mixed
+    {
+        $data = RequestHelper::getRequestData();
+
+        if (!empty($data['query'])) {
+            $this->requirePermission('database.query.execute', 'database');
+            $this->requireLowRiskBehavior(0.7, 'raw_sql_execution');
+        } elseif (!empty($data['table'])) {
+            $this->requirePermission('database.data.read', 'database');
+        } else {
+            return Response::error('A table or query to export is required', Response::HTTP_BAD_REQUEST);
+        }
+
+        // Rate limiting for exports, which can read whole tables
+        $this->rateLimitResource('database.export', 'export', 10, 300);
+
+        $format = strtolower((string)($data['format'] ?? 'csv'));
+        if (!in_array($format, ExportWriter::FORMATS, true)) {
+            throw new ValidationException([
+                'format' => 'Format must be one of: ' . implode(', ', ExportWriter::FORMATS),
+            ]);
+        }
+
+        $source = !empty($data['query']) ? $this->exportQuerySource($data) : $this->exportTableSource($data);
+        $driver = $this->db->getDriverName();
+        $writer = new ExportWriter($format, $driver, $source['name']);
+
+        $exportId = bin2hex(random_bytes(12));
+        $this->updateExportProgress($exportId, [
+            'user' => $this->getCurrentUserUuid(),
+            'status' => 'running',
+            'format' => $format,
+            'source' => $source['name'],
+            'rows' => 0,
+            'total' => $source['total'],
+            'started_at' => date('c'),
+            'finished_at' => null,
+            'error' => null,
+        ]);
+
+        $filename = $source['name'] . '_' . date('Y-m-d_His') . '.' . $writer->extension();
+
+        $response = new StreamedResponse(function () use ($writer, $source, $exportId) {
+            $this->streamExport($writer, $source, $exportId);
+        });
+
+        $response->headers->set('Content-Type', $writer->contentType());
+        $response->headers->set('Content-Disposition', HeaderUtils::makeDisposition(
+            HeaderUtils::DISPOSITION_ATTACHMENT,
+            $filename,
+            preg_replace('/[^\x20-\x7E]|[%\/\\\\]/', '_', $filename)
+        ));
+        $response->headers->set('X-Export-Id', $exportId);
+        $response->headers->set('X-Total-Rows', $source['total'] === null ? '' : (string)$source['total']);
+        $response->headers->set('Access-Control-Expose-Headers', 'Content-Disposition, X-Export-Id, X-Total-Rows');
+        // Keep proxies such as nginx from buffering the whole file before sending it
+        $response->headers->set('X-Accel-Buffering', 'no');
+
+        return $response;
+    }
+
+    /**
+     * Get the progress of an export started by the current user
+     *
+     * @param array $params Route parameters containing the export ID
+     * @return mixed HTTP response
+     */
+    public function exportProgress(array $params): mixed
+    {
+        $state = $this->findExport($params['id'] ?? '');
+        if ($state === null) {
+            return Response::error('Export not found', Response::HTTP_NOT_FOUND);
+        }
+
+        unset($state['user']);
+
+        return Response::success($state, 'Export progress retrieved successfully');
+    }
+
+    /**
+     * Cancel a running export of the current user
+     *
+     * The export stops at its next progress update and the download ends
+     * without a complete file.
+     *
+     * @param array $params Route parameters containing the export ID
+     * @return mixed HTTP response
+     */
+    public function cancelExport(array $params): mixed
+    {
+        $exportId = (string)($params['id'] ?? '');
+        $state = $this->findExport($exportId);
+        if ($state === null) {
+            return Response::error('Export not found', Response::HTTP_NOT_FOUND);
+        }
+
+        if ($state['status'] === 'running') {
+            $this->getCacheStore()->set(self::EXPORT_CANCEL_PREFIX . $exportId, true, self::EXPORT_PROGRESS_TTL);
+        }
+
+        return Response::success(['cancelled' => $state['status'] === 'running'], 'Export cancellation requested');
+    }
+
+    /**
+     * Build the export source of a table
+     *
+     * @param array $data Request data
+     * @return array{sql: string, bindings: array, columns: array<string>, total: int, name: string}
+     * @throws NotFoundException If the table does not exist
+     */
+    private function exportTableSource(array $data): array
+    {
+        $table = (string)$data['table'];
+        $columns = $this->schemaManager->getTableColumns($table);
+
+        if (empty($columns)) {
+            throw new NotFoundException("Table '{$table}' not found");
+        }
+
+        $columnNames = array_column($columns, 'name');
+        $query = $this->db->table($table)->select(['*']);
+
+        $searchTerm = $data['search'] ?? null;
+        $searchFields = is_array($data['search_fields'] ?? null) ? $data['search_fields'] : [];
+        if ($searchTerm && empty($searchFields)) {
+            $searchFields = $this->detectSearchableColumns($columns);
+        }
+
+        $validSearchFields = $this->validateSearchFields($searchFields, $columns);
+        if ($searchTerm && !empty($validSearchFields)) {
+            $query = $query->where(function ($q) use ($validSearchFields, $searchTerm) {
+                foreach ($validSearchFields as $field) {
+                    $q->orWhere($field, 'LIKE', '%' . $searchTerm . '%');
+                }
+            });
+        }
+
+        $filters = $data['filters'] ?? [];
+        if (is_string($filters)) {
+            $filters = json_decode($filters, true);
+        }
+        if (is_array($filters) && !empty($filters)) {
+            $query = $this->applyFilters($query, $this->validateFilters($filters, $columns));
+        }
+
+        $orderBy = $data['order_by'] ?? null;
+        if ($orderBy !== null && in_array($orderBy, $columnNames, true)) {
+            $orderDir = strtoupper((string)($data['order_dir'] ?? 'ASC')) === 'DESC' ? 'DESC' : 'ASC';
+            $query = $query->orderBy($orderBy, $orderDir);
+        }
+
+        $sql = $query->toSql();
+        $bindings = $query->getBindings();
+
+        $count = $this->db->getPDO()->prepare("SELECT COUNT(*) FROM ({$sql}) export_rows");
+        $this->bindQueryParams($count, $bindings);
+        $count->execute();
+
+        return [
+            'sql' => $sql,
+            'bindings' => $bindings,
+            'columns' => $columnNames,
+            'total' => (int)$count->fetchColumn(),
+            'name' => $table,
+        ];
+    }
+
+    /**
+     * Build the export source of a query
+     *
+     * @param array $data Request data
+     * @return array{sql: string, bindings: array, columns: null, total: null, name: string}
+     * @throws ValidationException If the query is not a single read-only statement
+     */
+    private function exportQuerySource(array $data): array
+    {
+        $driver = $this->db->getDriverName();
+        $statements = (new SqlStatementSplitter($driver))->split(trim((string)$data['query']));
+
+        if (count($statements) !== 1) {
+            throw new ValidationException(['query' => 'Only a single statement can be exported']);
+        }
+
+        if ((new SqlStatementClassifier($driver))->classify($statements[0]) !== SqlStatementClassifier::READ) {
+            throw new ValidationException(['query' => 'Only read-only statements can be exported']);
+        }
+
+        $name = (string)($data['name'] ?? '');
+
+        return [
+            'sql' => $statements[0],
+            'bindings' => $this->resolveQueryParams($statements[0], $data),
+            'columns' => null,
+            'total' => null,
+            'name' => preg_match('/^[A-Za-z_][A-Za-z0-9_]{0,63}$/', $name) ? $name : 'query_result',
+        ];
+    }
+
+    /**
+     * Write an export to the output
+     *
+     * Runs while the response is sent. Every EXPORT_CHUNK_ROWS rows the output
+     * is flushed, the progress is saved and the export stops if it was cancelled
+     * or the client went away.
+     *
+     * @param ExportWriter $writer Writer of the requested format
+     * @param array $source Export source
+     * @param string $exportId Export ID
+     */
+    private function streamExport(ExportWriter $writer, array $source, string $exportId): void
+    {
+        // Keep running after a disconnect so the cursor is released and the status recorded
+        ignore_user_abort(true);
+        set_time_limit(0);
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        $rows = 0;
+        $status = 'completed';
+        $error = null;
+        $started = false;
+
+        try {
+            $cursor = $this->exportRows($source['sql'], $source['bindings']);
+
+            foreach ($cursor as $row) {
+                if (!$started) {
+                    echo $writer->begin($source['columns'] ?? array_keys($row));
+                    $started = true;
+                }
+
+                echo $writer->write($row);
+
+                if (++$rows % self::EXPORT_CHUNK_ROWS === 0) {
+                    flush();
+
+                    if (connection_aborted() || $this->getCacheStore()->get(self::EXPORT_CANCEL_PREFIX . $exportId)) {
+                        $status = 'cancelled';
+                        break;
+                    }
+
+                    $this->updateExportProgress($exportId, ['rows' => $rows]);
+                }
+            }
+
+            // Release the cursor before the connection is used again
+            unset($cursor);
+
+            if ($status === 'completed') {
+                if (!$started) {
+                    echo $writer->begin($source['columns'] ?? []);
+                }
+                echo $writer->finish();
+            }
+        } catch (\Throwable $e) {
+            $status = 'failed';
+            $error = $e->getMessage();
+            error_log("Database export {$exportId} failed: {$error}");
+        }
+
+        flush();
+
+        $this->getCacheStore()->delete(self::EXPORT_CANCEL_PREFIX . $exportId);
+        $this->updateExportProgress($exportId, [
+            'status' => $status,
+            'rows' => $rows,
+            'finished_at' => date('c'),
+            'error' => $error,
+        ]);
+    }
+
+    /**
+     * Read the rows of an export without loading the whole result
+     *
+     * pdo_mysql and pdo_pgsql buffer complete results by default, so MySQL
+     * switches to an unbuffered query and PostgreSQL reads through a cursor.
+     * SQLite already fetches row by row.
+     *
+     * The rows are read in a transaction that is rolled back afterwards, read
+     * only on MySQL and PostgreSQL, so a query that slipped past the statement
+     * classifier cannot change data.
+     *
+     * @param string $sql SELECT statement
+     * @param array $bindings Bound values
+     * @return \Generator<array> Rows keyed by column name
+     */
+    private function exportRows(string $sql, array $bindings): \Generator
+    {
+        $pdo = $this->db->getPDO();
+        $driver = $this->db->getDriverName();
+
+        if ($driver === 'mysql') {
+            // Applies to the next transaction only
+            $pdo->exec('SET TRANSACTION READ ONLY');
+        }
+        $pdo->beginTransaction();
+
+        try {
+            if ($driver === 'pgsql') {
+                $pdo->exec('SET TRANSACTION READ ONLY');
+                $declare = $pdo->prepare("DECLARE admin_export NO SCROLL CURSOR FOR {$sql}");
+                $this->bindQueryParams($declare, $bindings);
+                $declare->execute();
+
+                $fetch = $pdo->prepare('FETCH FORWARD ' . self::EXPORT_CHUNK_ROWS . ' FROM admin_export');
+                do {
+                    $fetch->execute();
+                    $chunk = $fetch->fetchAll(\PDO::FETCH_ASSOC);
+                    foreach ($chunk as $row) {
+                        yield $row;
+                    }
+                } while (count($chunk) === self::EXPORT_CHUNK_ROWS);
+                return;
+            }
+
+            $buffered = null;
+            if ($driver === 'mysql') {
+                $buffered = $pdo->getAttribute(\PDO::MYSQL_ATTR_USE_BUFFERED_QUERY);
+                $pdo->setAttribute(\PDO::MYSQL_ATTR_USE_BUFFERED_QUERY, false);
+            }
+
+            try {
+                $stmt = $pdo->prepare($sql);
+                $this->bindQueryParams($stmt, $bindings);
+                $stmt->execute();
+
+                while (($row = $stmt->fetch(\PDO::FETCH_ASSOC)) !== false) {
+                    yield $row;
+                }
+            } finally {
+                if (isset($stmt)) {
+                    $stmt->closeCursor();
+                }
+                if ($buffered !== null) {
+                    $pdo->setAttribute(\PDO::MYSQL_ATTR_USE_BUFFERED_QUERY, $buffered);
+                }
+            }
+        } finally {
+            $pdo->rollBack();
+        }
+    }
+
+    /**
+     * Find an export of the current user
+     *
+     * @param string $exportId Export ID
+     * @return array|null Export state, or null when unknown, expired or started by someone else
+     */
+    private function findExport(string $exportId): ?array
+    {
+        if (!preg_match('/^[a-f0-9]{24}$/', $exportId)) {
+            return null;
+        }
+
+        $state = $this->getCacheStore()->get(self::EXPORT_PROGRESS_PREFIX . $exportId);
+
+        return is_array($state) && $state['user'] === $this->getCurrentUserUuid() ? $state : null;
+    }
+
+    /**
+     * Merge changes into the cached state of an export
+     *
+     * @param string $exportId Export ID
+     * @param array $changes Changed fields
+     */
+    private function updateExportProgress(string $exportId, array $changes): void
+    {
+        $cache = $this->getCacheStore();
+        $key = self::EXPORT_PROGRESS_PREFIX . $exportId;
+        $state = $cache->get($key);
+
+        $cache->set($key, array_merge(is_array($state) ? $state : [], $changes), self::EXPORT_PROGRESS_TTL);
+    }
+
+    /**
+     * Update table schema with multiple operations
+     *
+     * Processes multiple schema changes in a single request:
+     * - Add/delete columns
+     * - Add/delete indexes
+     * - Add/delete foreign keys
+     *
+     * @return mixed HTTP response
+     */
+    public function updateTableSchema(): mixed
+    {
+        // Permission check for schema modification
+        $this->requirePermission('database.structure.write', 'database');
+
+        // Very strict rate limiting for schema updates
+        $this->rateLimitResource('database.schema', 'write', 3, 600);
+
+        // Require low risk behavior for complex schema operations
+        $this->requireLowRiskBehavior(0.3, 'schema_update');
+
+        $data = RequestHelper::getRequestData();
+
+        if (!isset($data['table_name'])) {
+            return Response::error('Table name is required', Response::HTTP_BAD_REQUEST);
+        }
+
+            $tableName = $data['table_name'];
+            $results = [
+                'added_columns' => [],
+                'deleted_columns' => [],
+                'added_indexes' => [],
+                'deleted_indexes' => [],
+                'added_foreign_keys' => [],
+                'deleted_foreign_keys' => [],
+                'failed_operations' => []
+            ];
+
+        // Process column deletions first to avoid constraint conflicts
+            if (!empty($data['deleted_columns'])) {
+                foreach ($data['deleted_columns'] as $column) {
+                    $success = $this->schemaManager->dropColumn($tableName, $column);
+                    if ($success) {
+                        $results['deleted_columns'][] = $column;
+                    } else {
+                        $results['failed_operations'][] = "Failed to delete column: $column";
+                    }
+                }
+            }
+
+            // Process index deletions
+            if (!empty($data['deleted_indexes'])) {
+                foreach ($data['deleted_indexes'] as $index) {
+                    $success = $this->schemaManager->dropIndex($tableName, $index);
+                    if ($success) {
+                        $results['deleted_indexes'][] = $index;
+                    } else {
+                        $results['failed_operations'][] = "Failed to delete index: $index";
+                    }
+                }
+            }
+
+            // Process foreign key deletions
+            if (!empty($data['deleted_foreign_keys'])) {
+                foreach ($data['deleted_foreign_keys'] as $constraintName) {
+                    $success = $this->schemaManager->dropForeignKey($tableName, $constraintName);
+                    if ($success) {
+                        $results['deleted_foreign_keys'][] = $constraintName;
+                    } else {
+                        $results['failed_operations'][] = "Failed to delete foreign key: $constraintName";
+                    }
+                }
+            }
+
+            // Process new columns
+            if (!empty($data['columns'])) {
+                foreach ($data['columns'] as $column) {
+                    if (!isset($column['name']) || !isset($column['type'])) {
+                        $results['failed_operations'][] = "Invalid column definition";
+                        continue;
+                    }
+
+                    $columnDef = ['type' => $column['type']];
+
+                    // Handle column options
+                    if (isset($column['options'])) {
+                        if (isset($column['options']['nullable'])) {
+                            $columnDef['nullable'] = $column['options']['nullable'] === 'NULL';
+                        }
+                        if (isset($column['options']['default'])) {
+                            $columnDef['default'] = $column['options']['default'];
+                        }
+                    }
+
+                    $success = $this->schemaManager->addColumn($tableName, $column['name'], $columnDef);
+
+                    if ($success) {
+                        $results['added_columns'][] = $column['name'];
+                    } else {
+                        $results['failed_operations'][] = "Failed to add column: " . $column['name'];
+                    }
+                }
+            }
+
+            // Process new indexes
+            if (!empty($data['indexes'])) {
+                $formattedIndexes = array_map(function ($index) use ($tableName) {
+                    return [
+                        'table' => $tableName,
+                        'column' => $index['column'],
+                        'type' => $index['type'],
+                        // Generate a standard index name if not provided
+                        'name' => $index['name'] ?? sprintf(
+                            "%s_%s_%s",
+                            $tableName,
+                            is_array($index['column']) ? implode('_', $index['column']) : $index['column'],
+                            strtolower($index['type']) === 'unique' ? 'unq' : 'idx'
+                        )
+                    ];
+                }, $data['indexes']);
+
+                try {
+                    // The method returns the schema manager instance (self), not a boolean
+                    $this->schemaManager->addIndex($formattedIndexes);
+                    // Since no exception was thrown, consider it successful
+                    $results['added_indexes'] = array_map(function ($index) {
+                        return $index['name'];
+                    }, $formattedIndexes);
+                } catch (\Exception $e) {
+                    error_log("Failed to add indexes: " . $e->getMessage());
+                    $results['failed_operations'][] = "Failed to add indexes - database constraint error";
+                }
+            }
+
+            // Process new foreign keys
+            if (!empty($data['foreign_keys'])) {
+                foreach ($data['foreign_keys'] as $fk) {
+                    if (!isset($fk['column']) || !isset($fk['references']) || !isset($fk['on'])) {
+                        $results['failed_operations'][] = "Invalid foreign key definition";
+                        continue;
+                    }
+
+                    try {
+                        // Generate a constraint name if not provided
+                        $fkName = isset($fk['name']) ? $fk['name'] : "fk_{$tableName}_{$fk['column']}";
+                        $fkDef = [
+                            'table' => $tableName,
+                            'column' => $fk['column'],
+                            'references' => $fk['references'],
+                            'on' => $fk['on'],
+                            'name' => $fkName
+                        ];
+
+                        $this->schemaManager->addForeignKey([$fkDef]);
+                        // If no exception thrown, consider it successful
+                        $results['added_foreign_keys'][] = $fkName;
+                    } catch (\Exception $e) {
+                        $columnName = $fk['column'];
+                        error_log("Failed to add foreign key on column '$columnName': " . $e->getMessage());
+                        $results['failed_operations'][] = "Failed to add foreign key on column: $columnName";
+                    }
+                }
+            }
+
+            // Return appropriate response based on results
+            if (empty($results['failed_operations'])) {
+                return Response::success($results, 'Table schema updated successfully');
+            } else {
+                // Some operations failed, but others might have succeeded
+                return Response::success(
+                    $results,
+                    'Some schema update operations completed with warnings'
+                );
+            }
+    }
+
+    /**
+     * Get comprehensive database statistics
+     *
+     * Returns database statistics including tables with their schemas, sizes, row counts,
+     * and other metrics useful for database monitoring and visualization.
+     *
+     * @return mixed HTTP response
+     */
+    /**
+     * Get database statistics data with caching (for internal use)
+     *
+     * @return array Database statistics data
+     */
+    public function getDatabaseStatsData(): array
+    {
+        return $this->cacheResponse(
+            'database_stats',
+            function () {
+                // Get list of all tables with schema information
+                $tables = $this->schemaManager->getTables();
                 error_log("Retrieved " . count($tables) . " tables from the database");
 
                 if (empty($tables)) {
@@ -1311,297 +2534,459 @@ class DatabaseController extends BaseController
         );
     }
 
-    public function getDatabaseStats(): mixed
-    {
-        // Permission check for database statistics
-        $this->requirePermission('database.structure.read', 'database');
+    public function getDatabaseStats(): mixed
+    {
+        // Permission check for database statistics
+        $this->requirePermission('database.structure.read', 'database');
+
+        // Rate limiting for database statistics
+        $this->rateLimitResource('database.stats', 'read');
+
+        // Use the data method that includes caching
+        $data = $this->getDatabaseStatsData();
+
+        return Response::success($data, 'Database statistics retrieved successfully');
+    }
+
+    /**
+     * Import data into a database table
+     *
+     * Validates and imports one chunk of rows. Large files are sent in chunks
+     * that belong to an import opened with startTableImport(), which records
+     * progress in the import history. Options:
+     * - mode: insert, upsert or replace (updateExisting is an upsert on id)
+     * - key: key columns that identify existing rows in upsert mode
+     * - skipErrors: skip invalid rows instead of rejecting the chunk
+     * - dryRun: only validate the rows and return the report
+     * - importId, offset: the started import and the number of rows sent before this chunk
+     * - skipFirstRow: drop the first row when it contains headers
+     *
+     * @param array $params Route parameters containing table name
+     * @return mixed HTTP response
+     */
+    public function importTableData($params): mixed
+    {
+        // Permission check for data import
+        $this->requirePermission('database.data.import', 'database');
+
+        if (!is_array($params)) {
+            return Response::error('Invalid parameters', Response::HTTP_BAD_REQUEST);
+        }
+        $tableName = $params['name'] ?? null;
+        if (!$tableName) {
+            return Response::error('Table name is required', Response::HTTP_BAD_REQUEST);
+        }
+
+        // Get request data
+        $data = RequestHelper::getRequestData();
+
+        if (!is_array($data)) {
+            return Response::error(
+                'Invalid request format. Expected JSON object.',
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+
+        if (!isset($data['data']) || !is_array($data['data'])) {
+            return Response::error(
+                'Import data is required and must be an array',
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+
+        $importData = $data['data'];
+        $options = is_array($data['options'] ?? null) ? $data['options'] : [];
+        $dryRun = !empty($options['dryRun']);
+        $importId = isset($options['importId']) ? (string)$options['importId'] : null;
+
+        // Chunks of a started import and dry runs are limited per chunk, other imports per import
+        if ($dryRun || $importId !== null) {
+            $this->rateLimitResource('database.data', 'import_chunk', 600, 900);
+        } else {
+            $this->rateLimitResource('database.data', 'import', 3, 900);
+        }
+
+        // Require low risk behavior for bulk operations
+        if (!$dryRun) {
+            $this->requireLowRiskBehavior(0.5, 'data_import');
+        }
+
+        // Check if table exists
+        if (!$this->schemaManager->hasTable($tableName)) {
+            return Response::notFound("Table '{$tableName}' does not exist");
+        }
+
+        $tableColumns = $this->schemaManager->getTableColumns($tableName);
+        $repository = $this->repositoryFactory->dataImports();
+
+        $import = null;
+        if ($importId !== null) {
+            $import = $repository->findImport($importId);
+            if (!$import || $import['table_name'] !== $tableName || $import['status'] !== 'running') {
+                return Response::error('This import is not running for this table', Response::HTTP_BAD_REQUEST);
+            }
+            [$mode, $keyColumns] = [$import['mode'], $import['key_columns']];
+        } else {
+            [$mode, $keyColumns] = $this->importSettings($options, array_column($tableColumns, 'name'));
+            if ($mode === 'replace' && !$dryRun) {
+                throw new ValidationException([
+                    'mode' => 'Replace imports must be started first so the table is backed up',
+                ]);
+            }
+        }
+
+        // Skip first row if it contains headers and option is enabled
+        if (!empty($options['skipFirstRow']) && !empty($importData)) {
+            array_shift($importData);
+        }
+
+        $skipErrors = (bool)($options['skipErrors'] ?? true);
+        $importer = new TableImporter($this->db, $tableName, $tableColumns, $mode, $keyColumns, $skipErrors);
+
+        try {
+            $report = $importer->run($importData, max(0, (int)($options['offset'] ?? 0)), $dryRun);
+        } catch (\PDOException $e) {
+            if ($import) {
+                $repository->finish($import['uuid'], 'failed', $e->getMessage());
+            }
+            return Response::error('Import failed: ' . $e->getMessage(), Response::HTTP_INTERNAL_SERVER_ERROR);
+        }
+
+        if ($dryRun) {
+            return Response::success(
+                $report,
+                "Validation completed. {$report['valid']} valid rows, {$report['invalid']} invalid"
+            );
+        }
+
+        if (!$report['written']) {
+            return Response::error(
+                "{$report['invalid']} rows are invalid, nothing was imported",
+                Response::HTTP_UNPROCESSABLE_ENTITY,
+                $report
+            );
+        }
 
-        // Rate limiting for database statistics
-        $this->rateLimitResource('database.stats', 'read');
+        if ($import) {
+            $repository->addCounts($import['uuid'], $report['inserted'], $report['updated'], $report['skipped']);
+        }
 
-        // Use the data method that includes caching
-        $data = $this->getDatabaseStatsData();
+        $imported = $report['inserted'] + $report['updated'];
+        $report['imported'] = $imported;
+        $report['failed'] = $report['skipped'];
 
-        return Response::success($data, 'Database statistics retrieved successfully');
+        $message = "Import completed. {$imported} records imported";
+        if ($report['skipped'] > 0) {
+            $message .= ", {$report['skipped']} skipped";
+        }
+
+        return Response::success($report, $message);
     }
 
     /**
-     * Import data into a database table
+     * Start a chunked import
      *
-     * Handles bulk import of data into the specified table with options for:
-     * - Skipping first row if it contains headers
-     * - Updating existing records by matching ID
-     * - Skipping rows with errors and continuing
+     * Records the import in the history and, when requested or in replace mode,
+     * backs up the table to a compressed NDJSON file first. Replace mode then
+     * empties the table. Chunks are sent to importTableData() with the returned id.
      *
      * @param array $params Route parameters containing table name
-     * @return mixed HTTP response
+     * @return mixed HTTP response with the import record
      */
-    public function importTableData($params): mixed
+    public function startTableImport(array $params): mixed
     {
-        // Permission check for data import
         $this->requirePermission('database.data.import', 'database');
-
-        // Strict rate limiting for import operations
         $this->rateLimitResource('database.data', 'import', 3, 900);
-
-        // Require low risk behavior for bulk operations
         $this->requireLowRiskBehavior(0.5, 'data_import');
 
-        if (!is_array($params)) {
-            return Response::error('Invalid parameters', Response::HTTP_BAD_REQUEST);
-        }
         $tableName = $params['name'] ?? null;
-        if (!$tableName) {
-            return Response::error('Table name is required', Response::HTTP_BAD_REQUEST);
+        if (!$tableName || !$this->schemaManager->hasTable($tableName)) {
+            return Response::notFound("Table '{$tableName}' does not exist");
         }
 
-        // Get request data
         $data = RequestHelper::getRequestData();
-
         if (!is_array($data)) {
-            return Response::error(
-                'Invalid request format. Expected JSON object.',
-                Response::HTTP_BAD_REQUEST
-            );
+            return Response::error('Invalid request format. Expected JSON object.', Response::HTTP_BAD_REQUEST);
         }
 
-        if (!isset($data['data']) || !is_array($data['data'])) {
+        $columnNames = array_column($this->schemaManager->getTableColumns($tableName), 'name');
+        [$mode, $keyColumns] = $this->importSettings($data, $columnNames);
+
+        $repository = $this->repositoryFactory->dataImports();
+        $uuid = $repository->start([
+            'table_name' => $tableName,
+            'mode' => $mode,
+            'key_columns' => $keyColumns,
+            'file_name' => $data['file_name'] ?? null,
+            'total_rows' => max(0, (int)($data['total_rows'] ?? 0)),
+        ], $this->getCurrentUserUuid());
+
+        try {
+            if ($mode === 'replace' || !empty($data['backup'])) {
+                [$backupFile, $backupRows] = $this->backupTable($tableName, $uuid);
+                $repository->update($uuid, ['backup_file' => $backupFile, 'backup_rows' => $backupRows]);
+            }
+
+            if ($mode === 'replace') {
+                $this->db->getPDO()->exec('DELETE FROM ' . $this->wrapIdentifier($tableName));
+            }
+        } catch (\Throwable $e) {
+            $repository->finish($uuid, 'failed', $e->getMessage());
             return Response::error(
-                'Import data is required and must be an array',
-                Response::HTTP_BAD_REQUEST
+                'Could not prepare the import: ' . $e->getMessage(),
+                Response::HTTP_INTERNAL_SERVER_ERROR
             );
         }
 
-        $importData = $data['data'];
-        $options = $data['options'] ?? [];
+        return Response::success($repository->findImport($uuid), 'Import started');
+    }
 
-        // Import options with defaults
-        $skipFirstRow = $options['skipFirstRow'] ?? false;
+    /**
+     * Finish a chunked import
+     *
+     * @param array $params Route parameters containing table name and import id
+     * @return mixed HTTP response with the import record
+     */
+    public function finishTableImport(array $params): mixed
+    {
+        $this->requirePermission('database.data.import', 'database');
 
-        // Check if table exists
-        if (!$this->schemaManager->hasTable($tableName)) {
-            return Response::notFound("Table '{$tableName}' does not exist");
+        $import = $this->findTableImport($params);
+        if ($import['status'] !== 'running') {
+            return Response::error('This import has already finished', Response::HTTP_BAD_REQUEST);
         }
 
-        // Get table columns to validate import data
-        $tableColumns = $this->schemaManager->getTableColumns($tableName);
-        $columnNames = array_column($tableColumns, 'name');
-
-        // Skip first row if it contains headers and option is enabled
-        if ($skipFirstRow && !empty($importData)) {
-            array_shift($importData);
+        $data = RequestHelper::getRequestData();
+        $status = $data['status'] ?? 'completed';
+        if (!in_array($status, ['completed', 'failed', 'cancelled'], true)) {
+            throw new ValidationException(['status' => 'Status must be completed, failed or cancelled']);
         }
 
-        // Check if we should use background processing for large imports
-        if (count($importData) > 500) {
-            return $this->processLargeImport($tableName, $importData, $options, $columnNames);
-        }
+        $error = isset($data['error']) ? mb_substr((string)$data['error'], 0, 1000) : null;
+
+        $repository = $this->repositoryFactory->dataImports();
+        $repository->finish($import['uuid'], $status, $error);
 
-        // Process with optimized batch transactions for smaller imports
-        return $this->processBatchImport($tableName, $importData, $options, $columnNames);
+        return Response::success($repository->findImport($import['uuid']), "Import {$status}");
     }
 
     /**
-     * Process batch import with transactions for optimal performance
+     * List the import history of a table
      *
-     * @param string $tableName
-     * @param array $importData
-     * @param array $options
-     * @param array $columnNames
-     * @return mixed
-     */
-    private function processBatchImport(string $tableName, array $importData, array $options, array $columnNames): mixed
-    {
-        $updateExisting = $options['updateExisting'] ?? false;
-        $batchSize = 100; // Optimal batch size for most databases
-
-        $imported = 0;
-        $failed = 0;
-
-        // Process data in batches with transactions
-        $batches = array_chunk($importData, $batchSize);
-        $totalBatches = count($batches);
-
-        foreach ($batches as $batchIndex => $batch) {
-            $batchImported = 0;
-
-            // Use transaction for this batch
-            $this->db->query()->transaction(
-                function () use ($batch, $columnNames, $updateExisting, $tableName, &$batchImported, &$failed) {
-                    foreach ($batch as $globalIndex => $row) {
-                        $filteredRow = $this->validateAndFilterRow($row, $columnNames);
-                        if ($filteredRow === null) {
-                            $failed++;
-                            continue;
-                        }
+     * @param array $params Route parameters containing table name
+     * @return mixed HTTP response with the latest imports
+     */
+    public function getTableImportHistory(array $params): mixed
+    {
+        $this->requirePermission('database.data.import', 'database');
+        $this->rateLimitResource('database.data', 'read');
 
-                        // Handle update existing records
-                        if ($updateExisting && isset($filteredRow['id'])) {
-                            $this->upsertRecord($tableName, $filteredRow);
-                        } else {
-                            $this->db->table($tableName)->insert($filteredRow);
-                        }
+        $tableName = $params['name'] ?? null;
+        if (!$tableName || !$this->schemaManager->hasTable($tableName)) {
+            return Response::notFound("Table '{$tableName}' does not exist");
+        }
 
-                        $batchImported++;
-                    }
-                }
-            );
+        $imports = array_map(function ($import) {
+            $import['can_restore'] = !empty($import['backup_file'])
+                && !in_array($import['status'], ['running', 'restored'], true)
+                && is_file($this->importBackupPath($import['backup_file']));
+            return $import;
+        }, $this->repositoryFactory->dataImports()->findForTable($tableName));
 
-            $imported += $batchImported;
-        }
+        return Response::success($imports, 'Import history retrieved successfully');
+    }
 
-        $result = [
-        'imported' => $imported,
-        'failed' => $failed,
-        'batches_processed' => $totalBatches
-        ];
+    /**
+     * Restore a table from the backup taken before an import
+     *
+     * Replaces every row of the table with the backed up rows in one
+     * transaction, which also undoes changes made after the import.
+     *
+     * @param array $params Route parameters containing table name and import id
+     * @return mixed HTTP response with the number of restored rows
+     */
+    public function restoreTableImport(array $params): mixed
+    {
+        $this->requirePermission('database.data.import', 'database');
+        $this->rateLimitResource('database.data', 'restore', 3, 900);
+        $this->requireLowRiskBehavior(0.3, 'data_restore');
 
-        $message = "Import completed. {$imported} records imported";
-        if ($failed > 0) {
-            $message .= ", {$failed} failed";
+        $import = $this->findTableImport($params);
+
+        if (empty($import['backup_file'])) {
+            return Response::error('This import has no backup', Response::HTTP_BAD_REQUEST);
+        }
+        if ($import['status'] === 'running') {
+            return Response::error('Finish the import before restoring its backup', Response::HTTP_BAD_REQUEST);
+        }
+        if ($import['status'] === 'restored') {
+            return Response::error('This backup has already been restored', Response::HTTP_BAD_REQUEST);
+        }
+
+        $path = $this->importBackupPath($import['backup_file']);
+        if (!is_file($path)) {
+            return Response::notFound('The backup file of this import no longer exists');
         }
 
-        return Response::success($result, $message);
+        $restored = $this->restoreTable($import['table_name'], $path);
+        $this->repositoryFactory->dataImports()->markRestored($import['uuid']);
+
+        return Response::success(
+            ['uuid' => $import['uuid'], 'table' => $import['table_name'], 'restored_rows' => $restored],
+            "Restored {$restored} rows of {$import['table_name']} from the backup"
+        );
     }
 
     /**
-     * Process large imports (placeholder for background job implementation)
+     * Resolve the import mode and key columns from import options
      *
-     * @param string $tableName
-     * @param array $importData
-     * @param array $options
-     * @param array $columnNames
-     * @return mixed
-     */
-    private function processLargeImport(string $tableName, array $importData, array $options, array $columnNames): mixed
-    {
-        // For now, process large imports with larger batch sizes and optimizations
-        $updateExisting = $options['updateExisting'] ?? false;
-        $batchSize = 250; // Larger batch size for large imports
-
-        // Increase PHP execution time for large imports
-        set_time_limit(300); // 5 minutes
-
-        // Use memory-efficient processing
-        ini_set('memory_limit', '512M');
-
-        $imported = 0;
-        $failed = 0;
-
-        $batches = array_chunk($importData, $batchSize);
-        $totalBatches = count($batches);
-        $totalRecords = count($importData);
-
-        foreach ($batches as $batch) {
-            // Use transaction for this batch
-            $this->db->query()->transaction(
-                function () use ($batch, $columnNames, $updateExisting, $tableName, &$imported, &$failed) {
-                // Build bulk insert for better performance
-                    $validRows = [];
-                    foreach ($batch as $row) {
-                        $filteredRow = $this->validateAndFilterRow($row, $columnNames);
-
-                        if ($filteredRow !== null) {
-                            if ($updateExisting && isset($filteredRow['id'])) {
-                                // Handle updates individually for now
-                                $this->upsertRecord($tableName, $filteredRow);
-                                $imported++;
-                            } else {
-                                $validRows[] = $filteredRow;
-                            }
-                        } else {
-                            $failed++;
-                        }
-                    }
+     * @param array $options Import options
+     * @param array $columnNames Columns of the target table
+     * @return array{0: string, 1: array<string>} Mode and key columns
+     * @throws ValidationException If the mode or key columns are invalid
+     */
+    private function importSettings(array $options, array $columnNames): array
+    {
+        $mode = $options['mode'] ?? null;
+        if ($mode === null) {
+            // Older clients only ask to update rows with the same id
+            $mode = !empty($options['updateExisting']) && in_array('id', $columnNames, true) ? 'upsert' : 'insert';
+            $options['key'] = ['id'];
+        }
 
-                // Bulk insert valid rows
-                    if (!empty($validRows)) {
-                        $this->bulkInsert($tableName, $validRows);
-                        $imported += count($validRows);
-                    }
-                }
-            );
+        if (!in_array($mode, TableImporter::MODES, true)) {
+            throw new ValidationException(['mode' => 'Mode must be one of: ' . implode(', ', TableImporter::MODES)]);
+        }
 
-            // Memory cleanup
-            unset($batch);
-            if (function_exists('gc_collect_cycles')) {
-                gc_collect_cycles();
-            }
+        if ($mode !== 'upsert') {
+            return [$mode, []];
         }
 
-        $result = [
-        'imported' => $imported,
-        'failed' => $failed,
-        'total_records' => $totalRecords,
-        'batches_processed' => $totalBatches,
-        'processing_method' => 'large_import_optimized'
-        ];
+        $keyColumns = array_values(array_unique(array_filter((array)($options['key'] ?? []), 'is_string')));
+        if (empty($keyColumns)) {
+            throw new ValidationException(['key' => 'Choose the columns that identify existing rows']);
+        }
 
-        $message = "Large import completed. {$imported} records imported";
-        if ($failed > 0) {
-            $message .= ", {$failed} failed";
+        $unknown = array_diff($keyColumns, $columnNames);
+        if (!empty($unknown)) {
+            throw new ValidationException(['key' => 'Unknown key columns: ' . implode(', ', $unknown)]);
         }
 
-        return Response::success($result, $message);
+        return [$mode, $keyColumns];
     }
 
     /**
-     * Validate and filter row data
+     * Find an import of the table in the route
      *
-     * @param mixed $row
-     * @param array $columnNames
-     * @return array|null
+     * @param array $params Route parameters containing table name and import id
+     * @return array Import record
+     * @throws NotFoundException If the import does not belong to the table
      */
-    private function validateAndFilterRow($row, array $columnNames): ?array
+    private function findTableImport(array $params): array
     {
-        if (empty($row) || !is_array($row)) {
-            return null;
-        }
+        $import = $this->repositoryFactory->dataImports()->findImport((string)($params['id'] ?? ''));
 
-        $filteredRow = [];
-        foreach ($row as $column => $value) {
-            if (!is_string($column)) {
-                continue;
-            }
-            if (in_array($column, $columnNames)) {
-                $filteredRow[$column] = $value;
-            }
+        if (!$import || $import['table_name'] !== ($params['name'] ?? null)) {
+            throw new NotFoundException('Import not found');
         }
 
-        return empty($filteredRow) ? null : $filteredRow;
+        return $import;
     }
 
     /**
-     * Insert or update record using database-agnostic upsert
+     * Back up all rows of a table before an import
      *
-     * @param string $tableName
-     * @param array $data
-     * @return void
+     * @param string $tableName Table to back up
+     * @param string $importId Import the backup belongs to
+     * @return array{0: string, 1: int} Backup file relative to the backups directory and its row count
      */
-    private function upsertRecord(string $tableName, array $data): void
+    private function backupTable(string $tableName, string $importId): array
     {
-        // Get all columns except 'id' for update on duplicate
-        $updateColumns = array_filter(array_keys($data), function ($column) {
-            return $column !== 'id';
-        });
+        $file = "imports/{$importId}.ndjson.gz";
+        $path = $this->importBackupPath($file);
+
+        $directory = dirname($path);
+        if (!is_dir($directory) && !mkdir($directory, 0755, true) && !is_dir($directory)) {
+            throw new \RuntimeException("Cannot create backup directory {$directory}");
+        }
+
+        $gz = gzopen($path, 'wb6');
+        if ($gz === false) {
+            throw new \RuntimeException("Cannot write backup file {$path}");
+        }
+
+        $writer = new ExportWriter('ndjson');
+        $rows = 0;
+
+        try {
+            gzwrite($gz, $writer->begin(array_column($this->schemaManager->getTableColumns($tableName), 'name')));
+            foreach ($this->exportRows('SELECT * FROM ' . $this->wrapIdentifier($tableName), []) as $row) {
+                gzwrite($gz, $writer->write($row));
+                $rows++;
+            }
+            gzwrite($gz, $writer->finish());
+        } finally {
+            gzclose($gz);
+        }
 
-        $this->db->table($tableName)->upsert([$data], $updateColumns);
+        return [$file, $rows];
     }
 
     /**
-     * Bulk insert multiple records using database-agnostic method
+     * Replace all rows of a table with the rows of an import backup
      *
-     * @param string $tableName
-     * @param array $rows
-     * @return void
+     * @param string $tableName Table to restore
+     * @param string $path Compressed NDJSON backup file
+     * @return int Number of restored rows
      */
-    private function bulkInsert(string $tableName, array $rows): void
+    private function restoreTable(string $tableName, string $path): int
     {
-        if (empty($rows)) {
-            return;
+        $gz = gzopen($path, 'rb');
+        if ($gz === false) {
+            throw new \RuntimeException("Cannot read backup file {$path}");
+        }
+
+        try {
+            return $this->db->query()->transaction(function () use ($gz, $tableName) {
+                $this->db->getPDO()->exec('DELETE FROM ' . $this->wrapIdentifier($tableName));
+
+                $restored = 0;
+                $batch = [];
+                while (($line = gzgets($gz)) !== false) {
+                    $row = json_decode($line, true);
+                    if (!is_array($row)) {
+                        continue;
+                    }
+
+                    $batch[] = $row;
+                    if (count($batch) === 500) {
+                        $restored += count($batch);
+                        $this->db->table($tableName)->insertBatch($batch);
+                        $batch = [];
+                    }
+                }
+
+                if (!empty($batch)) {
+                    $restored += count($batch);
+                    $this->db->table($tableName)->insertBatch($batch);
+                }
+
+                return $restored;
+            });
+        } finally {
+            gzclose($gz);
         }
+    }
 
-        $this->db->table($tableName)->insertBatch($rows);
+    /**
+     * Get the absolute path of an import backup
+     *
+     * @param string $file Backup file relative to the backups directory
+     * @return string Absolute path
+     */
+    private function importBackupPath(string $file): string
+    {
+        return rtrim((string)config('app.paths.backups'), '/') . '/' . ltrim($file, '/');
     }
 
     /**
@@ -1837,6 +3222,179 @@ class DatabaseController extends BaseController
         ], "Successfully updated {$updatedCount} record(s)");
     }
 
+    /**
+     * Get a row with the rows of other tables that reference it
+     *
+     * The row is looked up by the `column` and `value` query parameters, so a
+     * foreign key value can be followed to the row it points at.
+     *
+     * @param array $params Route parameters containing table name
+     * @return mixed HTTP response
+     */
+    public function getRelatedRecords(array $params): mixed
+    {
+        $this->requirePermission('database.data.read', 'database');
+        $this->rateLimitResource('database.data', 'read');
+
+        $tableName = $params['name'] ?? '';
+        if (!$this->schemaManager->hasTable($tableName)) {
+            return Response::notFound("Table '{$tableName}' does not exist");
+        }
+
+        $request = \Symfony\Component\HttpFoundation\Request::createFromGlobals();
+        $columns = $this->schemaManager->getTableColumns($tableName);
+        $column = (string)$request->query->get('column', $this->primaryKeyColumn($columns));
+        $value = $request->query->get('value');
+        $limit = min(max((int)$request->query->get('limit', 5), 1), 50);
+
+        if (!in_array($column, array_column($columns, 'name'), true)) {
+            throw new ValidationException(['column' => "Column '{$column}' does not exist in table '{$tableName}'"]);
+        }
+        if ($value === null || $value === '') {
+            throw new ValidationException(['value' => 'A value is required to look up the record']);
+        }
+
+        $row = $this->db->table($tableName)->select(['*'])->where($column, '=', $value)->first();
+        if (!$row) {
+            return Response::notFound("No record in '{$tableName}' has {$column} = {$value}");
+        }
+
+        $referencedBy = $this->foreignKeyInspector()->referencingRows($tableName, $row, $limit);
+        foreach ($referencedBy as &$group) {
+            $groupColumns = $this->schemaManager->getTableColumns($group['table']);
+            $group['primary_key'] = $this->primaryKeyColumn($groupColumns);
+            foreach ($group['rows'] as &$related) {
+                $related['_label'] = $this->generateSmartLabel($related, $groupColumns);
+            }
+            unset($related);
+        }
+        unset($group);
+
+        return Response::success([
+            'table' => $tableName,
+            'column' => $column,
+            'primary_key' => $this->primaryKeyColumn($columns),
+            'label' => $this->generateSmartLabel($row, $columns),
+            'row' => $this->resolveForeignKeyDisplayLabels([$row], $columns)[0],
+            'columns' => $columns,
+            'referenced_by' => $referencedBy,
+        ], 'Related records retrieved successfully');
+    }
+
+    /**
+     * Report what deleting records would do to the rows that reference them
+     *
+     * Follows ON DELETE CASCADE chains and lists the rows that would be set
+     * to NULL or would block the delete. Records are matched on the `id`
+     * column, like bulk deletion.
+     *
+     * @param array $params Route parameters containing table name
+     * @return mixed HTTP response
+     */
+    public function getDeleteImpact(array $params): mixed
+    {
+        $this->requirePermission('database.data.read', 'database');
+        $this->rateLimitResource('database.data', 'read');
+
+        $tableName = $params['name'] ?? '';
+        if (!$this->schemaManager->hasTable($tableName)) {
+            return Response::notFound("Table '{$tableName}' does not exist");
+        }
+
+        $data = RequestHelper::getRequestData();
+        $ids = $data['ids'] ?? null;
+        if (!is_array($ids) || $ids === [] || count($ids) > 1000) {
+            throw new ValidationException(['ids' => 'Between 1 and 1000 IDs are required']);
+        }
+        foreach ($ids as $id) {
+            if (!is_scalar($id)) {
+                throw new ValidationException(['ids' => 'All IDs must be scalar values']);
+            }
+        }
+
+        $columnNames = array_column($this->schemaManager->getTableColumns($tableName), 'name');
+        if (!in_array('id', $columnNames, true)) {
+            throw new ValidationException(['ids' => "Table '{$tableName}' has no id column to match records on"]);
+        }
+
+        $impact = $this->foreignKeyInspector()->deleteImpact($tableName, 'id', $ids);
+
+        return Response::success($impact, 'Delete impact calculated successfully');
+    }
+
+    /**
+     * Create a foreign key inspector for the whole schema
+     *
+     * Foreign keys of all tables are collected once and cached briefly,
+     * because reverse lookups need every table's column metadata.
+     *
+     * @return ForeignKeyInspector
+     */
+    private function foreignKeyInspector(): ForeignKeyInspector
+    {
+        $foreignKeys = $this->cacheResponse(
+            'foreign_key_edges',
+            function () {
+                $edges = [];
+                foreach ($this->schemaManager->getTables() as $table) {
+                    $edges[] = ForeignKeyInspector::edges($table, $this->schemaManager->getTableColumns($table));
+                }
+
+                return array_merge([], ...$edges);
+            },
+            300,
+            ['database', 'tables']
+        );
+
+        return new ForeignKeyInspector($this->db, $foreignKeys);
+    }
+
+    /**
+     * Describe a table for the schema diagram
+     *
+     * @param string $table Table name
+     * @return array Table name, columns and the foreign keys it declares
+     */
+    private function tableSchema(string $table): array
+    {
+        $columns = $this->schemaManager->getTableColumns($table);
+
+        return [
+            'name' => $table,
+            'columns' => array_map(fn($column) => [
+                'name' => $column['name'],
+                'type' => $column['type'] ?? null,
+                'nullable' => !empty($column['nullable']),
+                'is_primary' => !empty($column['is_primary']),
+                'is_unique' => !empty($column['is_unique']),
+            ], $columns),
+            'foreign_keys' => array_map(fn($edge) => [
+                'column' => $edge['column'],
+                'references_table' => $edge['references_table'],
+                'references_column' => $edge['references_column'],
+                'on_delete' => $edge['on_delete'],
+                'constraint' => $edge['constraint'],
+            ], ForeignKeyInspector::edges($table, $columns)),
+        ];
+    }
+
+    /**
+     * Get the primary key column of a table
+     *
+     * @param array $columns Column metadata
+     * @return string First primary key column, `id` when none is reported
+     */
+    private function primaryKeyColumn(array $columns): string
+    {
+        foreach ($columns as $column) {
+            if (!empty($column['is_primary'])) {
+                return $column['name'];
+            }
+        }
+
+        return 'id';
+    }
+
     /**
      * Wrap identifier using the DatabaseDriver's wrapIdentifier method
      *
@@ -2109,7 +3667,7 @@ class DatabaseController extends BaseController
         }
 
         // Query audit logs for schema-related events
-        $historyEvents = $this->getSchemaAuditLogs($tableName, $limit, $offset);
+        $historyEvents = $this->repositoryFactory->schemaHistory()->forTable($tableName, $limit, $offset);
 
         // Get migration history from migrations table
         $migrationHistory = $this->getMigrationHistory($tableName);
@@ -2184,73 +3742,6 @@ class DatabaseController extends BaseController
         ]);
     }
 
-    /**
-     * Get schema audit logs for a specific table
-     *
-     * @param string $tableName
-     * @param int $limit
-     * @param int $offset
-     * @return array
-     */
-    private function getSchemaAuditLogs(string $tableName, int $limit, int $offset): array
-    {
-        // Use QueryBuilder for cleaner, more maintainable code
-        $query = $this->db->table('audit_logs')
-            ->where('category', '=', 'admin')
-            ->where('entity_type', '=', 'schema')
-            ->where(function ($q) {
-                $q->where('action', 'LIKE', 'schema_%')
-                  ->orWhere('action', 'LIKE', '%_column')
-                  ->orWhere('action', 'LIKE', '%_index')
-                  ->orWhere('action', 'LIKE', '%_foreign_key')
-                  ->orWhere('action', '=', 'create_table')
-                  ->orWhere('action', '=', 'drop_table')
-                  ->orWhere('action', '=', 'alter_table');
-            })
-            ->orderBy('created_at', 'DESC')
-            ->limit($limit)
-            ->offset($offset);
-
-        $allLogs = $query->get();
-
-        // Filter logs by table name using PHP JSON parsing (database-agnostic)
-        $filteredLogs = [];
-        foreach ($allLogs as $log) {
-            if (!empty($log['context'])) {
-                $context = json_decode($log['context'], true);
-                if (
-                    is_array($context) &&
-                    (isset($context['table']) && $context['table'] === $tableName ||
-                     isset($context['table_name']) && $context['table_name'] === $tableName)
-                ) {
-                    // Include all relevant fields from the enhanced audit log structure
-                    $filteredLogs[] = [
-                        'id' => $log['id'],
-                        'uuid' => $log['uuid'],
-                        'user_id' => $log['user_id'],
-                        'action' => $log['action'],
-                        'category' => $log['category'],
-                        'severity' => $log['severity'],
-                        'status' => $log['status'],
-                        'old_values' => json_decode($log['old_values'] ?? '{}', true),
-                        'new_values' => json_decode($log['new_values'] ?? '{}', true),
-                        'context' => $context,
-                        'metadata' => json_decode($log['metadata'] ?? '{}', true),
-                        'session_id' => $log['session_id'],
-                        'request_id' => $log['request_id'],
-                        'parent_audit_id' => $log['parent_audit_id'],
-                        'source' => $log['source'],
-                        'duration_ms' => $log['duration_ms'],
-                        'ip_address' => $log['ip_address'],
-                        'created_at' => $log['created_at']
-                    ];
-                }
-            }
-        }
-
-        return $filteredLogs;
-    }
-
     /**
      * Get migration history for a table
      *
@@ -2404,6 +3895,47 @@ class DatabaseController extends BaseController
         return $validFilters;
     }
 
+    /**
+     * Apply validated filters to a table query
+     *
+     * @param \Glueful\Database\QueryBuilder $query Table query
+     * @param array $filters Filters from validateFilters(): column => value or [operator => value]
+     * @return \Glueful\Database\QueryBuilder Query with the filter conditions
+     */
+    private function applyFilters($query, array $filters)
+    {
+        $aliases = ['gt' => '>', 'gte' => '>=', 'lt' => '<', 'lte' => '<=', 'ne' => '!='];
+
+        foreach ($filters as $column => $condition) {
+            if (!is_array($condition)) {
+                // Simple equality condition
+                $query = $condition === null ? $query->whereNull($column) : $query->where($column, '=', $condition);
+                continue;
+            }
+
+            foreach ($condition as $operator => $value) {
+                $operator = strtolower((string)$operator);
+                $operator = $aliases[$operator] ?? $operator;
+
+                if ($operator === 'in') {
+                    $query = $query->whereIn($column, (array)$value);
+                } elseif ($operator === 'between') {
+                    if (is_array($value) && count($value) === 2) {
+                        [$min, $max] = array_values($value);
+                        $query = $query->whereBetween($column, $min, $max);
+                    }
+                } elseif ($operator === 'ilike' && $this->db->getDriverName() !== 'pgsql') {
+                    // LIKE is already case-insensitive with the default MySQL and SQLite collations
+                    $query = $query->where($column, 'LIKE', $value);
+                } elseif ($value !== null) {
+                    $query = $query->where($column, strtoupper($operator), $value);
+                }
+            }
+        }
+
+        return $query;
+    }
+
     /**
      * Resolve foreign key fields to include human-readable display labels
      *
@@ -9,6 +9,9 @@ use Glueful\Repository\RepositoryFactory;
 use Glueful\Auth\AuthenticationManager;
 use Glueful\Exceptions\ValidationException;
 use Glueful\Exceptions\SecurityException;
+use Glueful\Constants\ErrorCodes;
+use Glueful\Scheduler\CronSchedule;
+use Symfony\Component\Lock\Exception\LockConflictedException;
 use Symfony\Component\HttpFoundation\Request as SymfonyRequest;
 
 /**
@@ -18,6 +21,9 @@ use Symfony\Component\HttpFoundation\Request as SymfonyRequest;
  * - Listing jobs
  * - Running jobs (all, due, or specific)
  * - Creating new jobs
+ * - Editing the schedule, timezone, timeout and overlap protection of jobs
+ * - Pausing and resuming jobs
+ * - Previewing schedules and reading the run history of jobs
  *
  * @package Glueful\Controllers
  */
@@ -283,76 +289,64 @@ class JobsController extends BaseController
     /**
      * Get scheduled jobs data without sending response (for internal use)
      *
+     * Not cached, the list shows the pause state and latest run, which change
+     * with every edit and run.
+     *
      * @return array Scheduled jobs data
      */
     public function getScheduledJobsData(): array
     {
-        return $this->cacheResponse(
-            'scheduled_jobs_list',
-            function () {
-                $rawJobs = $this->scheduler->getJobs();
-
-                // Load configuration jobs data directly from config file
-                $configFile = dirname(__DIR__, 2) . '/config/schedule.php';
-                $configJobs = [];
-                if (file_exists($configFile)) {
-                    $scheduleConfig = require $configFile;
-                    if (isset($scheduleConfig['jobs']) && is_array($scheduleConfig['jobs'])) {
-                        foreach ($scheduleConfig['jobs'] as $configJob) {
-                            if (isset($configJob['name'])) {
-                                $configJobs[$configJob['name']] = $configJob;
-                            }
-                        }
+        $rawJobs = $this->scheduler->getJobs();
+
+        // Load configuration jobs data directly from config file
+        $configFile = dirname(__DIR__, 2) . '/config/schedule.php';
+        $configJobs = [];
+        if (file_exists($configFile)) {
+            $scheduleConfig = require $configFile;
+            if (isset($scheduleConfig['jobs']) && is_array($scheduleConfig['jobs'])) {
+                foreach ($scheduleConfig['jobs'] as $configJob) {
+                    if (isset($configJob['name'])) {
+                        $configJobs[$configJob['name']] = $configJob;
                     }
                 }
+            }
+        }
 
-                // Transform job arrays into clean API response format
-                $serializedJobs = [];
-                foreach ($rawJobs as $job) {
-                    $jobName = $job['name'] ?? 'Unknown';
-
-                    // Check if this is a config job and merge data
-                    if (isset($configJobs[$jobName])) {
-                        $configData = $configJobs[$jobName];
-                        $serializedJobs[] = [
-                            'name' => $jobName,
-                            'description' => $configData['description'] ?? '',
-                            'schedule' => $configData['schedule'] ?? $job['schedule'] ?? '',
-                            'handler_class' => $configData['handler_class'] ?? '',
-                            'enabled' => $configData['enabled'] ?? true,
-                            'persistence' => $configData['persistence'] ?? false,
-                            'timeout' => $configData['timeout'] ?? 300,
-                            'retry_attempts' => $configData['retry_attempts'] ?? 1,
-                            'parameters' => $configData['parameters'] ?? [],
-                            'next_run' => $job['next_run'] ?? null,
-                            'last_run' => $job['last_run'] ?? null,
-                            'status' => isset($configData['enabled'])
-                                ? ($configData['enabled'] ? 'active' : 'inactive')
-                                : 'active'
-                        ];
-                    } else {
-                        // For database jobs or other jobs, use the existing structure
-                        $serializedJobs[] = [
-                            'name' => $jobName,
-                            'description' => $job['description'] ?? '',
-                            'schedule' => $job['schedule'] ?? '',
-                            'handler_class' => $job['handler_class'] ?? '',
-                            'enabled' => $job['enabled'] ?? true,
-                            'persistence' => $job['persistence'] ?? false,
-                            'timeout' => $job['timeout'] ?? 300,
-                            'retry_attempts' => $job['retry_attempts'] ?? 1,
-                            'parameters' => is_array($job['parameters'] ?? null) ? $job['parameters'] : [],
-                            'next_run' => $job['next_run'] ?? null,
-                            'last_run' => $job['last_run'] ?? null,
-                            'status' => $job['status'] ?? ($job['enabled'] ? 'active' : 'inactive')
-                        ];
-                    }
-                }
+        $runs = $this->repositoryFactory->jobRuns();
+        $latestRuns = $runs->isAvailable() ? $runs->latestRuns(array_column($rawJobs, 'name')) : [];
+
+        // Transform job arrays into clean API response format
+        $serializedJobs = [];
+        foreach ($rawJobs as $job) {
+            $jobName = $job['name'] ?? 'Unknown';
+            $configData = $configJobs[$jobName] ?? [];
+            $latestRun = $latestRuns[$jobName] ?? null;
+
+            // Schedule, timezone, timeout, overlap and pause state are the effective values set by admins
+            $serializedJobs[] = [
+                'id' => $job['uuid'] ?? $jobName,
+                'name' => $jobName,
+                'description' => $configData['description'] ?? $job['description'] ?? '',
+                'schedule' => $job['schedule'] ?? '',
+                'timezone' => $job['timezone'],
+                'handler_class' => $configData['handler_class'] ?? $job['handler_class'] ?? '',
+                'source' => isset($job['uuid']) ? 'database' : (isset($configData['name']) ? 'config' : 'runtime'),
+                'customized' => $job['customized'],
+                'enabled' => $job['enabled'],
+                'persistence' => $configData['persistence'] ?? isset($job['uuid']),
+                'timeout' => $job['timeout'],
+                'allow_overlap' => $job['allow_overlap'],
+                'retry_attempts' => $configData['retry_attempts'] ?? $job['retry_attempts'] ?? 1,
+                'parameters' => is_array($job['parameters'] ?? null) ? $job['parameters'] : [],
+                'next_run' => $job['enabled'] ? $job['next_run'] : null,
+                'last_run' => $latestRun['started_at'] ?? $job['last_run'] ?? null,
+                'last_run_status' => $latestRun['status'] ?? null,
+                'last_run_duration_ms' => $latestRun['duration_ms'] ?? null,
+                'status' => $job['enabled'] ? 'active' : 'inactive'
+            ];
+        }
 
-                return $serializedJobs;
-            },
-            300 // Default 5 minutes
-        );
+        return $serializedJobs;
     }
 
     /**
@@ -460,7 +454,7 @@ class JobsController extends BaseController
         ]);
 
         try {
-            $this->scheduler->runAllJobs();
+            $this->scheduler->runAllJobs($this->getCurrentUserUuid());
             $executionTime = (microtime(true) - $startTime) * 1000;
             $success = true;
         } catch (\Exception $e) {
@@ -509,10 +503,17 @@ class JobsController extends BaseController
         // Apply rate limiting: 20 attempts per 5 minutes
         $this->rateLimit('run_specific_job', 20, 300);
 
+        if ($this->scheduler->getJob($jobName) === null) {
+            return Response::error("Job '{$jobName}' not found", Response::HTTP_NOT_FOUND);
+        }
+
         try {
-            $this->scheduler->runJob($jobName);
+            $this->scheduler->runJob($jobName, $this->getCurrentUserUuid());
             $executionTime = (microtime(true) - $startTime) * 1000;
             $success = true;
+        } catch (LockConflictedException $e) {
+            // Jobs that do not allow overlapping runs are locked while they run
+            return Response::error("Job '{$jobName}' is already running", ErrorCodes::CONFLICT);
         } catch (\Exception $e) {
             $executionTime = (microtime(true) - $startTime) * 1000;
             $success = false;
@@ -527,7 +528,10 @@ class JobsController extends BaseController
         // Invalidate job-specific cache
         $this->invalidateCache(['scheduled_jobs', 'job:' . $jobName]);
 
-        return Response::success(null, 'Scheduled task completed');
+        $runs = $this->repositoryFactory->jobRuns();
+        $run = $runs->isAvailable() ? ($runs->latestRuns([$jobName])[$jobName] ?? null) : null;
+
+        return Response::success(['run' => $run], 'Scheduled task completed');
     }
 
     /**
@@ -589,4 +593,169 @@ class JobsController extends BaseController
 
         return Response::success(null, 'Scheduled task created');
     }
+
+    /**
+     * Preview the next fire times of a cron expression
+     *
+     * Used by the schedule builder of the job editor while the expression is
+     * being edited, before anything is saved.
+     *
+     * @return mixed HTTP response
+     */
+    public function previewSchedule(): mixed
+    {
+        // Check permission to view jobs
+        $this->requirePermission('system.jobs.view');
+
+        // Apply rate limiting: 600 previews per hour, the builder previews as the admin edits
+        $this->rateLimit('preview_job_schedule', 600, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $expression = trim((string)($data['expression'] ?? ''));
+        $count = (int)($data['count'] ?? 5);
+
+        if ($expression === '') {
+            return Response::error('Cron expression is required', Response::HTTP_BAD_REQUEST);
+        }
+
+        try {
+            $schedule = new CronSchedule($expression, $data['timezone'] ?? null);
+        } catch (\InvalidArgumentException $e) {
+            return Response::error($e->getMessage(), Response::HTTP_UNPROCESSABLE_ENTITY);
+        }
+
+        return Response::success([
+            'expression' => $schedule->getExpression(),
+            'timezone' => $schedule->getTimezone(),
+            'next_runs' => array_map(
+                fn (\DateTimeImmutable $date) => $date->format(DATE_ATOM),
+                $schedule->nextRunDates($count)
+            )
+        ], 'Schedule preview generated');
+    }
+
+    /**
+     * Change the schedule, timezone, timeout and overlap protection of a job
+     *
+     * The settings are stored by job name and override the job's definition,
+     * so jobs from config/schedule.php can be edited as well.
+     *
+     * @return mixed HTTP response
+     */
+    public function updateJob(): mixed
+    {
+        // Check permission to update jobs
+        $this->requirePermission('system.jobs.update');
+
+        // Apply rate limiting: 60 updates per hour
+        $this->rateLimit('update_job', 60, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $jobName = (string)($data['job'] ?? '');
+
+        $changes = array_intersect_key($data, array_flip(['schedule', 'timezone', 'timeout', 'allow_overlap']));
+        if (empty($changes)) {
+            return Response::error('No job settings to update', Response::HTTP_BAD_REQUEST);
+        }
+
+        return $this->changeJobSettings($jobName, $changes, 'Job updated successfully');
+    }
+
+    /**
+     * Pause a job so it no longer runs on schedule
+     *
+     * @param string $jobName Name of the job to pause
+     * @return mixed HTTP response
+     */
+    public function pauseJob($jobName): mixed
+    {
+        // Check permission to update jobs
+        $this->requirePermission('system.jobs.update');
+
+        // Apply rate limiting: 60 updates per hour
+        $this->rateLimit('update_job', 60, 3600);
+
+        return $this->changeJobSettings((string)$jobName, ['enabled' => false], 'Job paused');
+    }
+
+    /**
+     * Resume a paused job
+     *
+     * @param string $jobName Name of the job to resume
+     * @return mixed HTTP response
+     */
+    public function resumeJob($jobName): mixed
+    {
+        // Check permission to update jobs
+        $this->requirePermission('system.jobs.update');
+
+        // Apply rate limiting: 60 updates per hour
+        $this->rateLimit('update_job', 60, 3600);
+
+        return $this->changeJobSettings((string)$jobName, ['enabled' => true], 'Job resumed');
+    }
+
+    /**
+     * Get the run history of a job
+     *
+     * @return mixed HTTP response
+     */
+    public function getJobHistory(): mixed
+    {
+        // Check permission to view jobs
+        $this->requirePermission('system.jobs.view');
+
+        // Apply rate limiting: 300 attempts per hour
+        $this->rateLimit('get_job_history', 300, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $jobName = (string)($data['job'] ?? '');
+        $page = max(1, (int)($data['page'] ?? 1));
+        $perPage = min(100, max(1, (int)($data['per_page'] ?? 20)));
+        $status = isset($data['status']) && $data['status'] !== '' ? (string)$data['status'] : null;
+
+        if ($this->scheduler->getJob($jobName) === null) {
+            return Response::error("Job '{$jobName}' not found", Response::HTTP_NOT_FOUND);
+        }
+
+        $repository = $this->repositoryFactory->jobRuns();
+
+        // The history table is created by a migration, which may still be pending
+        if (!$repository->isAvailable()) {
+            return Response::successWithMeta([], ['current_page' => $page, 'per_page' => $perPage, 'total' => 0]);
+        }
+
+        $results = $repository->paginateRuns($jobName, $page, $perPage, $status);
+        $runs = $results['data'];
+        unset($results['data']);
+
+        return Response::successWithMeta($runs, $results, 'Job runs retrieved successfully');
+    }
+
+    /**
+     * Apply setting changes to a job and respond with the updated job
+     *
+     * @param string $jobName Job name
+     * @param array $changes Settings to change
+     * @param string $message Success message
+     * @return mixed HTTP response
+     */
+    private function changeJobSettings(string $jobName, array $changes, string $message): mixed
+    {
+        if ($this->scheduler->getJob($jobName) === null) {
+            return Response::error("Job '{$jobName}' not found", Response::HTTP_NOT_FOUND);
+        }
+
+        try {
+            $this->scheduler->updateJobSettings($jobName, $changes, $this->getCurrentUserUuid());
+        } catch (\InvalidArgumentException $e) {
+            return Response::error($e->getMessage(), Response::HTTP_UNPROCESSABLE_ENTITY);
+        }
+
+        $this->invalidateCache(['scheduled_jobs', 'job:' . $jobName]);
+
+        $jobs = array_column($this->getScheduledJobsData(), null, 'name');
+
+        return Response::success($jobs[$jobName] ?? null, $message);
+    }
 }
@@ -6,10 +6,19 @@ namespace Glueful\Controllers;
 
 use Glueful\Http\Response;
 use Glueful\Extensions\ExtensionManager;
+use Glueful\Helpers\RequestHelper;
+use Glueful\Services\ApiMetricAlerts;
+use Glueful\Services\ApiMetricsService;
 use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
 
 class MetricsController extends BaseController
 {
+    /** @var int Longest threshold window in minutes, minute buckets are kept for two days */
+    private const MAX_THRESHOLD_WINDOW = 1440;
+
+    /** @var int Seconds before the dashboard re-checks thresholds when fetching alerts */
+    private const ALERT_RECHECK_SECONDS = 60;
+
     private SchemaBuilderInterface $schemaManager;
 
     public function __construct(
@@ -102,6 +111,211 @@ class MetricsController extends BaseController
         }
     }
 
+    /**
+     * Get API metrics over a window in time buckets
+     *
+     * Returns the request rate, p50/p95/p99 latency and error rate series
+     * for all endpoints or one endpoint, with per-endpoint statistics and
+     * the slowest endpoints of the window.
+     *
+     * @return mixed HTTP response
+     */
+    public function getApiMetricsTimeSeries(): mixed
+    {
+        $this->requirePermission('system.metrics.view', 'metrics:api');
+        $this->conditionalRateLimit('api_metrics_view');
+
+        $data = RequestHelper::getRequestData();
+        $window = (string)($data['window'] ?? '24h');
+        $endpointKey = trim((string)($data['endpoint'] ?? ''));
+
+        if (!isset(ApiMetricsService::WINDOWS[$window])) {
+            return Response::error(
+                'Window must be one of: ' . implode(', ', array_keys(ApiMetricsService::WINDOWS)),
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+
+        // Cache briefly, the reset invalidates metrics:api
+        $series = $this->cacheResponse(
+            'api_metrics_timeseries_' . $window . '_' . md5($endpointKey),
+            fn() => (new ApiMetricsService())->getTimeSeries($window, $endpointKey !== '' ? $endpointKey : null),
+            60,
+            ['metrics:api']
+        );
+
+        return $this->privateCached(Response::success($series, 'API metrics time series retrieved successfully'), 60);
+    }
+
+    /**
+     * List the API metric alert thresholds
+     *
+     * @return mixed HTTP response
+     */
+    public function getMetricThresholds(): mixed
+    {
+        $this->requirePermission('system.metrics.view', 'metrics:api');
+
+        $repository = $this->repositoryFactory->apiMetricThresholds();
+        $available = $repository->isAvailable();
+
+        return Response::success([
+            'available' => $available,
+            'thresholds' => $available ? $repository->findThresholds() : [],
+            'metrics' => array_keys(ApiMetricAlerts::METRICS),
+            'max_window_minutes' => self::MAX_THRESHOLD_WINDOW,
+        ], 'Metric thresholds retrieved successfully');
+    }
+
+    /**
+     * Create a threshold, or update one when a uuid is given
+     *
+     * Saving a threshold clears its breach state; the next check decides
+     * whether it is breached under the new settings.
+     *
+     * @param array $params Route parameters, with uuid when updating
+     * @return mixed HTTP response
+     */
+    public function saveMetricThreshold(array $params = []): mixed
+    {
+        $this->requirePermission('system.metrics.manage', 'metrics:api');
+
+        $repository = $this->repositoryFactory->apiMetricThresholds();
+        if (!$repository->isAvailable()) {
+            return Response::error(
+                'Metric thresholds need the api_metric_thresholds migration',
+                Response::HTTP_SERVICE_UNAVAILABLE
+            );
+        }
+
+        $uuid = isset($params['uuid']) ? (string)$params['uuid'] : null;
+        if ($uuid !== null && !$repository->find($uuid)) {
+            return Response::error('Metric threshold not found', Response::HTTP_NOT_FOUND);
+        }
+
+        $data = RequestHelper::getRequestData();
+        $endpointKey = trim((string)($data['endpoint_key'] ?? ''));
+        $threshold = [
+            'name' => trim((string)($data['name'] ?? '')),
+            'endpoint_key' => $endpointKey === '' || $endpointKey === '*' ? null : $endpointKey,
+            'metric' => (string)($data['metric'] ?? ''),
+            'value' => $data['value'] ?? null,
+            'window_minutes' => (int)($data['window_minutes'] ?? 5),
+            'min_requests' => (int)($data['min_requests'] ?? 0),
+            'enabled' => filter_var($data['enabled'] ?? true, FILTER_VALIDATE_BOOLEAN),
+        ];
+
+        if ($threshold['name'] === '' || mb_strlen($threshold['name']) > 100) {
+            return Response::error('Name is required and must not exceed 100 characters', Response::HTTP_BAD_REQUEST);
+        }
+        if (!isset(ApiMetricAlerts::METRICS[$threshold['metric']])) {
+            return Response::error(
+                'Metric must be one of: ' . implode(', ', array_keys(ApiMetricAlerts::METRICS)),
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+        if (!is_numeric($threshold['value']) || (float)$threshold['value'] < 0) {
+            return Response::error('Value must be a number of at least 0', Response::HTTP_BAD_REQUEST);
+        }
+        if ($threshold['window_minutes'] < 1 || $threshold['window_minutes'] > self::MAX_THRESHOLD_WINDOW) {
+            return Response::error(
+                'Window must be between 1 and ' . self::MAX_THRESHOLD_WINDOW . ' minutes',
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+        if ($threshold['min_requests'] < 0) {
+            return Response::error('Minimum requests must not be negative', Response::HTTP_BAD_REQUEST);
+        }
+        if ($threshold['endpoint_key'] !== null && !str_contains($threshold['endpoint_key'], '|')) {
+            return Response::error('Endpoint must be given as "endpoint|method"', Response::HTTP_BAD_REQUEST);
+        }
+
+        $saved = $repository->saveThreshold($threshold, $uuid, $this->getCurrentUserUuid());
+        $this->recordThresholdAudit(
+            $uuid !== null ? 'api_metric_threshold_updated' : 'api_metric_threshold_created',
+            $saved['uuid'],
+            $threshold
+        );
+
+        return Response::success($saved, 'Metric threshold saved successfully');
+    }
+
+    /**
+     * Delete an API metric alert threshold
+     *
+     * @param array $params Route parameters containing uuid
+     * @return mixed HTTP response
+     */
+    public function deleteMetricThreshold(array $params): mixed
+    {
+        $this->requirePermission('system.metrics.manage', 'metrics:api');
+
+        $repository = $this->repositoryFactory->apiMetricThresholds();
+        $threshold = $repository->isAvailable() ? $repository->find((string)($params['uuid'] ?? '')) : null;
+
+        if (!$threshold) {
+            return Response::error('Metric threshold not found', Response::HTTP_NOT_FOUND);
+        }
+
+        $repository->delete($threshold['uuid']);
+        $this->recordThresholdAudit('api_metric_threshold_deleted', $threshold['uuid'], [
+            'name' => $threshold['name'],
+            'endpoint_key' => $threshold['endpoint_key'],
+            'metric' => $threshold['metric'],
+            'value' => (float)$threshold['value'],
+        ]);
+
+        return Response::success(['uuid' => $threshold['uuid']], 'Metric threshold deleted successfully');
+    }
+
+    /**
+     * Get the breached API metric thresholds for the dashboard banners
+     *
+     * Thresholds not checked within the last minute are checked first, so
+     * banners stay current when the api_metric_alerts job is not running.
+     *
+     * @return mixed HTTP response
+     */
+    public function getMetricAlerts(): mixed
+    {
+        $this->requirePermission('system.metrics.view', 'metrics:api');
+        $this->conditionalRateLimit('api_metrics_alerts');
+
+        $alerts = new ApiMetricAlerts($this->getConnection());
+        if (!$alerts->isAvailable()) {
+            return Response::success([], 'Metric thresholds are not configured');
+        }
+
+        try {
+            $alerts->evaluate('api', self::ALERT_RECHECK_SECONDS);
+        } catch (\Exception $e) {
+            error_log('API metric threshold check failed: ' . $e->getMessage());
+        }
+
+        return Response::success($alerts->alerts(), 'Metric alerts retrieved successfully');
+    }
+
+    /**
+     * Record a threshold change in the audit log
+     *
+     * @param string $action Audit action
+     * @param string $uuid Threshold UUID
+     * @param array $context Details of the change
+     */
+    private function recordThresholdAudit(string $action, string $uuid, array $context): void
+    {
+        $this->repositoryFactory->auditLogs()->record([
+            'user_id' => $this->getCurrentUserUuid(),
+            'action' => $action,
+            'category' => 'admin',
+            'severity' => 'info',
+            'entity_type' => 'api_metric_thresholds',
+            'entity_id' => $uuid,
+            'context' => $context,
+            'source' => 'api',
+        ], $this->request);
+    }
+
     /**
      * Get system health metrics
      *
@@ -8,12 +8,28 @@ use Glueful\Http\Response;
 use Glueful\Helpers\RequestHelper;
 use Glueful\Database\Connection;
 use Glueful\Database\Migrations\MigrationManager;
+use Glueful\Database\Tools\MigrationGenerator;
+use Glueful\Database\Tools\SchemaDriftDetector;
+use Glueful\Lock\LockManagerInterface;
 use Glueful\Repository\RepositoryFactory;
 use Glueful\Auth\AuthenticationManager;
 use Symfony\Component\HttpFoundation\Request as SymfonyRequest;
+use Symfony\Component\Lock\Exception\LockConflictedException;
 
 class MigrationsController extends BaseController
 {
+    /** @var string Lock held while migrations run so two admins cannot run them at once */
+    private const RUN_LOCK = 'admin:migrations:run';
+
+    /** @var int Seconds a migration run may hold the lock */
+    private const RUN_LOCK_TTL = 900;
+
+    /** @var array<string> Tables not created by migrations, left out of the drift report */
+    private const DRIFT_IGNORED_TABLES = ['migrations'];
+
+    /** @var int Schema history events searched for entries of drifted tables */
+    private const DRIFT_HISTORY_EVENTS = 500;
+
     private Connection $db;
     private MigrationManager $migrationManager;
 
@@ -129,4 +145,434 @@ class MigrationsController extends BaseController
             300  // 5 minute cache for pending migrations
         );
     }
+
+    /**
+     * Run pending migrations
+     *
+     * Runs the selected pending migrations, or all of them when none are
+     * selected, in filename order and in one batch. With `dry_run` nothing is
+     * applied and the SQL each migration would run is returned instead.
+     *
+     * @return mixed HTTP response
+     */
+    public function runMigrations(): mixed
+    {
+        $data = RequestHelper::getRequestData();
+        $dryRun = filter_var($data['dry_run'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+        // Previews only need to view migrations; applying them changes the schema
+        $this->requirePermission($dryRun ? 'system.migrations.view' : 'system.migrations.execute');
+
+        // Apply rate limiting for migration runs (20 attempts per hour)
+        $this->rateLimit('runMigrations', 20, 3600);
+
+        $pending = [];
+        foreach ($this->migrationManager->getPendingMigrations() as $file) {
+            $pending[basename($file)] = $file;
+        }
+
+        $selected = array_values(array_filter((array)($data['migrations'] ?? []), 'is_string'));
+        $unknown = array_diff($selected, array_keys($pending));
+        if (!empty($unknown)) {
+            return Response::error(
+                'Only pending migrations can be run: ' . implode(', ', $unknown),
+                Response::HTTP_UNPROCESSABLE_ENTITY
+            );
+        }
+
+        // Keep the filename order of the pending list whatever order the selection came in
+        $files = empty($selected) ? $pending : array_intersect_key($pending, array_flip($selected));
+        if (empty($files)) {
+            return Response::error('There are no pending migrations to run', Response::HTTP_UNPROCESSABLE_ENTITY);
+        }
+
+        if ($dryRun) {
+            return Response::success([
+                'action' => 'migrate',
+                'previews' => $this->migrationManager->preview(array_values($files)),
+            ], 'Migration SQL previewed successfully');
+        }
+
+        return $this->executeRun('migrate', array_values($files), function () use ($files) {
+            // Skip migrations another run applied between the check above and taking the lock
+            $stillPending = array_intersect($files, $this->migrationManager->getPendingMigrations());
+            return $this->migrationManager->migrate(array_values($stillPending));
+        });
+    }
+
+    /**
+     * Roll back migrations
+     *
+     * Rolls back a chosen applied migration, or every migration of the latest
+     * batch when none is chosen, newest first. With `dry_run` nothing is
+     * reverted and the SQL of each down() is returned instead.
+     *
+     * @return mixed HTTP response
+     */
+    public function rollbackMigrations(): mixed
+    {
+        $data = RequestHelper::getRequestData();
+        $dryRun = filter_var($data['dry_run'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+        // Previews only need to view migrations; reverting them changes the schema
+        $this->requirePermission($dryRun ? 'system.migrations.view' : 'system.migrations.execute');
+
+        // Apply rate limiting for rollbacks (20 attempts per hour)
+        $this->rateLimit('rollbackMigrations', 20, 3600);
+
+        $migration = isset($data['migration']) ? basename((string)$data['migration']) : '';
+        if ($migration !== '') {
+            if (!in_array($migration, $this->migrationManager->getAppliedMigrationsList(), true)) {
+                return Response::notFound("Migration '{$migration}' has not been applied");
+            }
+            $files = [$migration];
+        } else {
+            $files = $this->migrationManager->getBatchMigrations();
+            if (empty($files)) {
+                return Response::error(
+                    'There are no applied migrations to roll back',
+                    Response::HTTP_UNPROCESSABLE_ENTITY
+                );
+            }
+        }
+
+        if ($dryRun) {
+            return Response::success([
+                'action' => 'rollback',
+                'previews' => $this->migrationManager->preview($files, true),
+            ], 'Rollback SQL previewed successfully');
+        }
+
+        return $this->executeRun('rollback', $files, function () use ($files) {
+            return $this->migrationManager->rollbackFiles($files);
+        });
+    }
+
+    /**
+     * Get the history of migration runs and rollbacks
+     *
+     * @return mixed HTTP response
+     */
+    public function getMigrationRuns(): mixed
+    {
+        // Check permission to view migrations
+        $this->requirePermission('system.migrations.view');
+
+        // Apply rate limiting for run history access (100 attempts per hour)
+        $this->rateLimit('getMigrationRuns', 100, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $page = max(1, (int)($data['page'] ?? 1));
+        $perPage = min(100, max(1, (int)($data['per_page'] ?? 20)));
+        $repository = $this->repositoryFactory->migrationRuns();
+
+        // The history table is created by a migration, which may still be pending
+        if (!$repository->isAvailable()) {
+            return Response::successWithMeta([], ['current_page' => $page, 'per_page' => $perPage, 'total' => 0]);
+        }
+
+        $results = $repository->paginateRuns($page, $perPage);
+        $runs = $results['data'];
+        unset($results['data']);
+
+        return Response::successWithMeta($runs, $results, 'Migration runs retrieved successfully');
+    }
+
+    /**
+     * Apply or revert migrations under the run lock and record the run
+     *
+     * @param string $action migrate or rollback
+     * @param array<string> $files Migrations the run covers
+     * @param callable $run Callback returning the MigrationManager results
+     * @return mixed HTTP response with the results and the recorded run
+     */
+    private function executeRun(string $action, array $files, callable $run): mixed
+    {
+        /** @var LockManagerInterface $lockManager */
+        $lockManager = container()->get(LockManagerInterface::class);
+        $startedAt = date('Y-m-d H:i:s');
+
+        try {
+            [$results, $durationMs, $batch] = $lockManager->executeWithLock(
+                self::RUN_LOCK,
+                function () use ($run, $action, $files) {
+                    // Rollbacks record the batch they revert, runs the batch they create
+                    $batch = $action === 'rollback'
+                        ? $this->batchOf($files[0])
+                        : ($this->currentBatch() + 1);
+                    $start = microtime(true);
+                    $results = $run();
+
+                    return [$results, (int)round((microtime(true) - $start) * 1000), $batch];
+                },
+                self::RUN_LOCK_TTL
+            );
+        } catch (LockConflictedException $e) {
+            return Response::error('Another migration run is in progress', Response::HTTP_CONFLICT);
+        }
+
+        // Pending and applied lists are cached
+        $this->invalidateCache();
+
+        // The history table may have been created or dropped by this run
+        $repository = $this->repositoryFactory->migrationRuns();
+        $run = null;
+        if ($repository->isAvailable()) {
+            $uuid = $repository->record(
+                $action,
+                $files,
+                $results,
+                $startedAt,
+                $durationMs,
+                $batch,
+                $this->getCurrentUserUuid()
+            );
+            $run = $repository->findRun($uuid);
+        }
+
+        $succeeded = $results[$action === 'rollback' ? 'reverted' : 'applied'];
+        $verb = $action === 'rollback' ? 'rolled back' : 'applied';
+        $message = empty($results['failed'])
+            ? sprintf('%d migration(s) %s successfully', count($succeeded), $verb)
+            : sprintf('%d migration(s) %s, %d failed', count($succeeded), $verb, count($results['failed']));
+
+        return Response::success($results + ['run' => $run], $message);
+    }
+
+    /**
+     * Get the latest batch number
+     *
+     * @return int Latest batch, 0 when nothing has been applied
+     */
+    private function currentBatch(): int
+    {
+        return (int)($this->db->table('migrations')->max('batch') ?? 0);
+    }
+
+    /**
+     * Get the batch an applied migration belongs to
+     *
+     * @param string $filename Migration filename
+     * @return int|null Batch number
+     */
+    private function batchOf(string $filename): ?int
+    {
+        $rows = $this->db->table('migrations')->select(['batch'])->where('migration', $filename)->get();
+
+        return isset($rows[0]['batch']) ? (int)$rows[0]['batch'] : null;
+    }
+
+    /**
+     * Get drift between the applied migrations and the live schema
+     *
+     * Replays the applied migrations to build the schema they describe and
+     * lists the tables, columns, indexes and foreign keys that are missing
+     * from the live database or only exist there. Each drifted table links to
+     * its `/admin/db/schema-history` entries, and differences list the entries
+     * that mention them, for admins who can read the audit log.
+     *
+     * @return mixed HTTP response
+     */
+    public function getSchemaDrift(): mixed
+    {
+        // Check permission to view migrations
+        $this->requirePermission('system.migrations.view');
+
+        // Apply rate limiting for drift checks, which replay every migration (30 attempts per hour)
+        $this->rateLimit('getSchemaDrift', 30, 3600);
+
+        try {
+            $expected = $this->migrationManager->getExpectedSchema();
+            $schema = $this->db->getSchemaBuilder();
+
+            $live = [];
+            foreach ($schema->getTables() as $table) {
+                if (!in_array($table, self::DRIFT_IGNORED_TABLES, true)) {
+                    $live[$table] = SchemaDriftDetector::describeTable($schema->getTableColumns($table));
+                }
+            }
+
+            $differences = (new SchemaDriftDetector($expected['tables']))->compare($live);
+        } catch (\Exception $e) {
+            return Response::error(
+                'Failed to check schema drift: ' . $e->getMessage(),
+                Response::HTTP_INTERNAL_SERVER_ERROR
+            );
+        }
+
+        $tableNames = array_values(array_unique(array_column($differences, 'table')));
+        $history = !empty($tableNames) && $this->can('database.audit.read', 'database')
+            ? $this->repositoryFactory->schemaHistory()->forTables($tableNames, self::DRIFT_HISTORY_EVENTS)
+            : [];
+
+        $tables = [];
+        foreach ($tableNames as $tableName) {
+            $entries = array_map(fn (array $entry) => [
+                'id' => $entry['id'],
+                'action' => $entry['action'],
+                'status' => $entry['status'],
+                'user_id' => $entry['user_id'],
+                'statement' => $entry['new_values']['statement'] ?? null,
+                'created_at' => $entry['created_at'],
+            ], $history[$tableName] ?? []);
+
+            $tables[] = [
+                'table' => $tableName,
+                'differences' => array_map(
+                    fn (array $difference) => $difference + [
+                        'history_ids' => $this->matchingHistory($difference, $history[$tableName] ?? []),
+                    ],
+                    array_values(array_filter($differences, fn (array $d) => $d['table'] === $tableName))
+                ),
+                'schema_history' => [
+                    'url' => '/admin/db/schema-history?' . http_build_query(['table' => $tableName]),
+                    'entries' => $entries,
+                ],
+            ];
+        }
+
+        $summary = ['missing' => 0, 'extra' => 0, 'by_type' => array_fill_keys(SchemaDriftDetector::TYPES, 0)];
+        foreach ($differences as $difference) {
+            $summary[$difference['status']]++;
+            $summary['by_type'][$difference['type']]++;
+        }
+
+        return Response::success([
+            'drifted' => !empty($differences),
+            'summary' => $summary,
+            'tables' => $tables,
+            'replay_errors' => $expected['errors'],
+            'checked_at' => date('Y-m-d H:i:s'),
+        ], empty($differences) ? 'Schema matches the applied migrations' : 'Schema drift detected');
+    }
+
+    /**
+     * Find the schema history entries that mention a drifted object
+     *
+     * Table editor entries name the object in their values or context, and
+     * SQL page entries in their statement, so a case-insensitive match on the
+     * name is enough. Table-level differences match every entry of the table.
+     *
+     * @param array $difference Difference reported by SchemaDriftDetector
+     * @param array $entries Decoded schema history entries of the table
+     * @return array IDs of the matching entries, newest first
+     */
+    private function matchingHistory(array $difference, array $entries): array
+    {
+        $ids = [];
+        foreach ($entries as $entry) {
+            $text = json_encode([$entry['old_values'], $entry['new_values'], $entry['context']]);
+            if ($difference['type'] === 'table' || stripos((string)$text, $difference['name']) !== false) {
+                $ids[] = $entry['id'];
+            }
+        }
+
+        return $ids;
+    }
+
+    /**
+     * Generate a migration class from schema changes
+     *
+     * Accepts changes in the format of the schema change preview, or the
+     * fields of a schema update request, and returns the source of a migration
+     * that applies them in up() and reverses them in down(). With `write` the
+     * file is also saved to the migrations directory, where it shows up as a
+     * pending migration.
+     *
+     * @return mixed HTTP response
+     */
+    public function generateMigration(): mixed
+    {
+        // Check permission to view migrations
+        $this->requirePermission('system.migrations.view');
+
+        // Apply rate limiting for migration generation (30 attempts per hour)
+        $this->rateLimit('generateMigration', 30, 3600);
+
+        $data = RequestHelper::getRequestData();
+        $tableName = (string)($data['table_name'] ?? '');
+        $write = filter_var($data['write'] ?? false, FILTER_VALIDATE_BOOLEAN);
+
+        if ($tableName === '') {
+            return Response::error('Table name is required', Response::HTTP_BAD_REQUEST);
+        }
+
+        if ($write) {
+            // Writing adds code to the application, so it needs its own permission
+            $this->requirePermission('system.migrations.create');
+        }
+
+        $schema = $this->db->getSchemaBuilder();
+        if (!$schema->hasTable($tableName)) {
+            return Response::notFound("Table '{$tableName}' not found");
+        }
+
+        $name = (string)($data['name'] ?? '') ?: "alter_{$tableName}_table";
+        if (!preg_match('/^[a-z][a-z0-9_]*[a-z0-9]$/', $name)) {
+            return Response::error(
+                'Migration name must be snake_case, for example add_subtitle_to_posts_table',
+                Response::HTTP_UNPROCESSABLE_ENTITY
+            );
+        }
+
+        $changes = isset($data['changes']) && is_array($data['changes'])
+            ? $data['changes']
+            : MigrationGenerator::changesFromUpdate($data);
+        $description = trim((string)($data['description'] ?? '')) ?: null;
+        $directory = config('app.paths.migrations');
+
+        try {
+            $className = MigrationGenerator::className($name);
+            $fileName = MigrationGenerator::fileName($directory, $className);
+            $content = (new MigrationGenerator($tableName, $schema->getTableColumns($tableName)))
+                ->generate($changes, $className, $description);
+        } catch (\InvalidArgumentException $e) {
+            return Response::error($e->getMessage(), Response::HTTP_UNPROCESSABLE_ENTITY);
+        }
+
+        $path = rtrim($directory, '/') . '/' . $fileName;
+
+        if ($write) {
+            if (file_exists($path) || file_put_contents($path, $content, LOCK_EX) === false) {
+                return Response::error(
+                    "Could not write {$fileName} to the migrations directory",
+                    Response::HTTP_INTERNAL_SERVER_ERROR
+                );
+            }
+
+            // The pending migrations list is cached
+            $this->invalidateCache();
+            $this->auditGeneratedMigration($tableName, $fileName, $changes);
+        }
+
+        return Response::success([
+            'class_name' => $className,
+            'file_name' => $fileName,
+            'content' => $content,
+            'written' => $write,
+            'path' => $write ? $path : null,
+        ], $write ? "Migration {$fileName} created" : 'Migration generated successfully');
+    }
+
+    /**
+     * Record a migration written from the admin panel in the audit log
+     *
+     * @param string $tableName Altered table
+     * @param string $fileName Migration file name
+     * @param array $changes Changes the migration applies
+     */
+    private function auditGeneratedMigration(string $tableName, string $fileName, array $changes): void
+    {
+        $this->repositoryFactory->auditLogs()->record([
+            'user_id' => $this->getCurrentUserUuid(),
+            'action' => 'migration_generated',
+            'category' => 'admin',
+            'severity' => 'info',
+            'entity_type' => 'migration',
+            'entity_id' => $fileName,
+            'new_values' => ['changes' => $changes],
+            'context' => ['table' => $tableName],
+            'source' => 'api',
+        ], $this->request);
+    }
 }
@@ -0,0 +1,405 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Controllers;
+
+use Glueful\Http\Response;
+use Glueful\Database\Tools\QueryParameters;
+use Glueful\Repository\SavedQueryRepository;
+use Glueful\Exceptions\NotFoundException;
+use Glueful\Exceptions\ValidationException;
+
+/**
+ * Saved Queries Controller
+ *
+ * Manages the shared SQL query library of the admin SQL editor:
+ * - Listing own and team-shared queries with search and tag filters
+ * - Creating, updating and deleting queries (owners only)
+ * - Version history and restoring earlier versions
+ * - Importing queries exported from the editor
+ *
+ * Every user who may run SQL can view and run team queries; only the
+ * owner can change or delete them.
+ *
+ * @package Glueful\Controllers
+ */
+class SavedQueriesController extends BaseController
+{
+    /** @var array<string> Allowed visibility values */
+    private const VISIBILITIES = ['private', 'team'];
+
+    /** @var int Maximum number of tags per query */
+    private const MAX_TAGS = 20;
+
+    /** @var int Maximum number of queries accepted by one import */
+    private const MAX_IMPORT = 500;
+
+    /**
+     * List queries visible to the current user
+     *
+     * @return mixed HTTP response
+     */
+    public function index(): mixed
+    {
+        $this->requirePermission('database.query.execute', 'database');
+
+        $scope = (string)$this->request->query->get('scope', 'all');
+        if (!in_array($scope, ['all', 'mine', 'team'], true)) {
+            $scope = 'all';
+        }
+
+        $queries = $this->getRepository()->findVisibleTo(
+            (string)$this->getCurrentUserUuid(),
+            $scope,
+            $this->request->query->get('search'),
+            $this->request->query->get('tag')
+        );
+
+        return Response::success(array_map([$this, 'present'], $queries), 'Saved queries retrieved successfully');
+    }
+
+    /**
+     * Get a single query
+     *
+     * @param array $params Route parameters containing uuid
+     * @return mixed HTTP response
+     */
+    public function show(array $params): mixed
+    {
+        $this->requirePermission('database.query.execute', 'database');
+
+        $query = $this->findVisibleQuery($params['uuid'] ?? '');
+
+        return Response::success($this->present($query), 'Saved query retrieved successfully');
+    }
+
+    /**
+     * Create a query owned by the current user
+     *
+     * @return mixed HTTP response
+     */
+    public function store(): mixed
+    {
+        $this->requirePermission('database.query.execute', 'database');
+        $this->rateLimitResource('database.saved_queries', 'write', 30, 60);
+
+        $data = $this->validateQuery($this->getRequestData(), true);
+
+        $repository = $this->getRepository();
+        $uuid = $repository->createQuery($data, (string)$this->getCurrentUserUuid());
+
+        return Response::created($this->present($repository->findQuery($uuid)), 'Query saved successfully');
+    }
+
+    /**
+     * Update a query
+     *
+     * Changes to the SQL, its parameters or the write flag create a new version.
+     *
+     * @param array $params Route parameters containing uuid
+     * @return mixed HTTP response
+     */
+    public function update(array $params): mixed
+    {
+        $this->requirePermission('database.query.execute', 'database');
+        $this->rateLimitResource('database.saved_queries', 'write', 30, 60);
+
+        $existing = $this->findOwnedQuery($params['uuid'] ?? '');
+        if ($existing instanceof Response) {
+            return $existing;
+        }
+
+        // Unchanged SQL and parameters are carried over so they can be compared with the new values
+        $data = $this->validateQuery($this->getRequestData() + [
+            'query' => $existing['query'],
+            'parameters' => $existing['parameters'],
+        ], false);
+
+        $repository = $this->getRepository();
+        $repository->updateQuery($existing, $data, (string)$this->getCurrentUserUuid());
+
+        return Response::success(
+            $this->present($repository->findQuery($existing['uuid'])),
+            'Query updated successfully'
+        );
+    }
+
+    /**
+     * Delete a query
+     *
+     * @param array $params Route parameters containing uuid
+     * @return mixed HTTP response
+     */
+    public function destroy(array $params): mixed
+    {
+        $this->requirePermission('database.query.execute', 'database');
+
+        $existing = $this->findOwnedQuery($params['uuid'] ?? '');
+        if ($existing instanceof Response) {
+            return $existing;
+        }
+
+        $this->getRepository()->delete($existing['uuid']);
+
+        return Response::success(['uuid' => $existing['uuid']], 'Query deleted successfully');
+    }
+
+    /**
+     * List the versions of a query
+     *
+     * @param array $params Route parameters containing uuid
+     * @return mixed HTTP response
+     */
+    public function versions(array $params): mixed
+    {
+        $this->requirePermission('database.query.execute', 'database');
+
+        $query = $this->findVisibleQuery($params['uuid'] ?? '');
+
+        return Response::success(
+            $this->getRepository()->getVersions($query['uuid']),
+            'Query versions retrieved successfully'
+        );
+    }
+
+    /**
+     * Restore an earlier version as a new version
+     *
+     * @param array $params Route parameters containing uuid and version
+     * @return mixed HTTP response
+     */
+    public function restoreVersion(array $params): mixed
+    {
+        $this->requirePermission('database.query.execute', 'database');
+        $this->rateLimitResource('database.saved_queries', 'write', 30, 60);
+
+        $existing = $this->findOwnedQuery($params['uuid'] ?? '');
+        if ($existing instanceof Response) {
+            return $existing;
+        }
+
+        $repository = $this->getRepository();
+        $version = $repository->restoreVersion(
+            $existing,
+            (int)($params['version'] ?? 0),
+            (string)$this->getCurrentUserUuid()
+        );
+
+        if ($version === null) {
+            throw new NotFoundException('Query version not found');
+        }
+
+        return Response::success(
+            $this->present($repository->findQuery($existing['uuid'])),
+            "Version {$params['version']} restored as version {$version}"
+        );
+    }
+
+    /**
+     * Import queries into the current user's library
+     *
+     * Accepts the editor's export format; invalid entries are skipped and reported.
+     *
+     * @return mixed HTTP response
+     */
+    public function import(): mixed
+    {
+        $this->requirePermission('database.query.execute', 'database');
+        $this->rateLimitResource('database.saved_queries', 'import', 5, 300);
+
+        $data = $this->getRequestData();
+        $queries = $data['queries'] ?? null;
+
+        if (!is_array($queries) || empty($queries)) {
+            return Response::error('No queries to import', Response::HTTP_BAD_REQUEST);
+        }
+
+        if (count($queries) > self::MAX_IMPORT) {
+            return Response::error(
+                'Too many queries. Maximum ' . self::MAX_IMPORT . ' per import',
+                Response::HTTP_BAD_REQUEST
+            );
+        }
+
+        $repository = $this->getRepository();
+        $owner = (string)$this->getCurrentUserUuid();
+        $imported = 0;
+        $errors = [];
+
+        foreach (array_values($queries) as $index => $query) {
+            try {
+                if (!is_array($query)) {
+                    throw new ValidationException('Entry is not an object');
+                }
+                $query['change_note'] = 'Imported';
+                $repository->createQuery($this->validateQuery($query, true), $owner);
+                $imported++;
+            } catch (ValidationException $e) {
+                $reason = implode(', ', $e->getErrors()) ?: $e->getMessage();
+                $errors[] = sprintf('Query %d (%s): %s', $index + 1, $query['name'] ?? 'unnamed', $reason);
+            }
+        }
+
+        return Response::success(
+            ['imported' => $imported, 'skipped' => count($errors), 'errors' => $errors],
+            "Imported {$imported} of " . count($queries) . ' queries'
+        );
+    }
+
+    /**
+     * Validate and normalize query input
+     *
+     * @param array $data Request data
+     * @param bool $creating Whether missing fields get their defaults
+     * @return array Normalized fields
+     * @throws ValidationException If the input is invalid
+     */
+    private function validateQuery(array $data, bool $creating): array
+    {
+        $errors = [];
+        $fields = [];
+
+        if ($creating || array_key_exists('name', $data)) {
+            $name = trim((string)($data['name'] ?? ''));
+            if ($name === '') {
+                $errors['name'] = 'Name is required';
+            } elseif (mb_strlen($name) > 255) {
+                $errors['name'] = 'Name must not exceed 255 characters';
+            }
+            $fields['name'] = $name;
+        }
+
+        $fields['query'] = trim((string)($data['query'] ?? ''));
+        if ($fields['query'] === '') {
+            $errors['query'] = 'Query is required';
+        }
+
+        if (array_key_exists('description', $data)) {
+            $fields['description'] = trim((string)$data['description']) ?: null;
+        }
+
+        if (array_key_exists('visibility', $data) || $creating) {
+            $visibility = $data['visibility'] ?? 'private';
+            if (!in_array($visibility, self::VISIBILITIES, true)) {
+                $errors['visibility'] = 'Visibility must be one of: ' . implode(', ', self::VISIBILITIES);
+            }
+            $fields['visibility'] = $visibility;
+        }
+
+        if (array_key_exists('tags', $data) || $creating) {
+            $tags = $this->normalizeTags($data['tags'] ?? []);
+            if (count($tags) > self::MAX_TAGS) {
+                $errors['tags'] = 'A query can have at most ' . self::MAX_TAGS . ' tags';
+            }
+            $fields['tags'] = $tags;
+        }
+
+        if (array_key_exists('allow_write', $data) || $creating) {
+            $fields['allow_write'] = !empty($data['allow_write']);
+        }
+
+        // Every :name placeholder in the SQL gets a typed definition
+        try {
+            $fields['parameters'] = (new QueryParameters($this->getConnection()->getDriverName()))
+                ->normalize($fields['query'], is_array($data['parameters'] ?? null) ? $data['parameters'] : []);
+        } catch (\InvalidArgumentException $e) {
+            $errors['parameters'] = $e->getMessage();
+        }
+
+        if (!empty($errors)) {
+            throw new ValidationException($errors);
+        }
+
+        if (isset($data['change_note'])) {
+            $fields['change_note'] = trim((string)$data['change_note']) ?: null;
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Normalize tags to a unique list of lower-case strings
+     *
+     * @param mixed $tags Array of tags or comma-separated string
+     * @return array<string> Normalized tags
+     */
+    private function normalizeTags(mixed $tags): array
+    {
+        if (is_string($tags)) {
+            $tags = explode(',', $tags);
+        }
+        if (!is_array($tags)) {
+            return [];
+        }
+
+        $normalized = [];
+        foreach ($tags as $tag) {
+            $tag = mb_strtolower(trim((string)$tag));
+            if ($tag !== '' && mb_strlen($tag) <= 50) {
+                $normalized[$tag] = $tag;
+            }
+        }
+
+        return array_values($normalized);
+    }
+
+    /**
+     * Find a query the current user may see
+     *
+     * @param string $uuid Query UUID
+     * @return array Decoded query record
+     * @throws NotFoundException If the query does not exist or is private to someone else
+     */
+    private function findVisibleQuery(string $uuid): array
+    {
+        $query = $uuid !== '' ? $this->getRepository()->findQuery($uuid) : null;
+
+        if (!$query || ($query['visibility'] !== 'team' && $query['owner_uuid'] !== $this->getCurrentUserUuid())) {
+            throw new NotFoundException('Saved query not found');
+        }
+
+        return $query;
+    }
+
+    /**
+     * Find a query the current user owns
+     *
+     * @param string $uuid Query UUID
+     * @return array|Response Decoded query record, or a forbidden response for other users' queries
+     * @throws NotFoundException If the query does not exist or is not visible
+     */
+    private function findOwnedQuery(string $uuid): array|Response
+    {
+        $query = $this->findVisibleQuery($uuid);
+
+        if ($query['owner_uuid'] !== $this->getCurrentUserUuid()) {
+            return Response::forbidden('Only the owner can change this query');
+        }
+
+        return $query;
+    }
+
+    /**
+     * Shape a query record for responses
+     *
+     * @param array $query Decoded query record
+     * @return array Record with an is_owner flag
+     */
+    private function present(array $query): array
+    {
+        $query['is_owner'] = $query['owner_uuid'] === $this->getCurrentUserUuid();
+
+        return $query;
+    }
+
+    /**
+     * Get the saved query repository
+     *
+     * @return SavedQueryRepository
+     */
+    private function getRepository(): SavedQueryRepository
+    {
+        return $this->repositoryFactory->savedQueries();
+    }
+}
@@ -999,40 +999,51 @@ class UsersController extends BaseController
             throw new NotFoundException('User not found');
         }
 
-        // Get user sessions directly from auth_sessions table
-        $sessions = $this->db->table('auth_sessions')
-            ->select([
-                'uuid',
-                'access_token',
-                'status',
-                'provider',
-                'ip_address',
-                'user_agent',
-                'created_at',
-                'last_token_refresh',
-                'access_expires_at',
-                'refresh_expires_at'
-            ])
-            ->where('user_uuid', $user['uuid'])
-            ->where('status', 'active')
-            ->orderBy('updated_at', 'DESC')
-            ->get();
-
-        // Mask sensitive token data
-        foreach ($sessions as &$session) {
-            if (isset($session['access_token'])) {
-                $session['access_token'] = substr($session['access_token'], 0, 8) . '...';
-            }
-        }
-
         $sessionRes = $this->cacheResponse(
             'user_sessions_' . $uuid,
-            function () use ($sessions) {
-                return $sessions;
+            function () use ($user) {
+                // Get user sessions directly from auth_sessions table
+                $sessions = $this->db->table('auth_sessions')
+                    ->select([
+                        'uuid',
+                        'access_token',
+                        'status',
+                        'provider',
+                        'ip_address',
+                        'user_agent',
+                        'remember_me',
+                        'created_at',
+                        'updated_at',
+                        'last_token_refresh',
+                        'access_expires_at',
+                        'refresh_expires_at'
+                    ])
+                    ->where('user_uuid', $user['uuid'])
+                    ->where('status', 'active')
+                    ->orderBy('updated_at', 'DESC')
+                    ->get();
+
+                return array_map(function (array $session) {
+                    // Keep a hash so the viewer's own session can be flagged without caching tokens
+                    $session['token_hash'] = hash('sha256', (string) $session['access_token']);
+                    $session['access_token'] = substr((string) $session['access_token'], 0, 8) . '...';
+                    $session['session_id'] = $session['uuid'];
+                    $session['last_activity'] = $session['updated_at'];
+                    unset($session['uuid'], $session['updated_at']);
+                    return $session;
+                }, $sessions);
             },
             60, // 1 minute cache for sessions (frequently changing)
             ['users', 'user_' . $uuid, 'sessions']
         );
+
+        $currentHash = $this->currentToken ? hash('sha256', $this->currentToken) : null;
+        foreach ($sessionRes as &$session) {
+            $session['is_current'] = $currentHash !== null && hash_equals($session['token_hash'], $currentHash);
+            unset($session['token_hash']);
+        }
+        unset($session);
+
         return Response::success($sessionRes, 'Sessions retrieved successfully');
     }
 
@@ -1057,7 +1068,9 @@ class UsersController extends BaseController
 
         // Strict rate limiting for session termination
         $this->rateLimitResource('users', 'terminate_sessions', 10, 300);
-        $sessionId = $request->get('session_id'); // Optional: terminate specific session
+        $data = $this->getRequestData() + $request->query->all();
+        $sessionId = $data['session_id'] ?? null; // Optional: terminate specific session
+        $exceptCurrent = filter_var($data['except_current'] ?? false, FILTER_VALIDATE_BOOLEAN);
 
         $user = $this->getUserRepository()->findByUuid($uuid);
         if (!$user) {
@@ -1069,27 +1082,49 @@ class UsersController extends BaseController
             // Get the session token to revoke
             $session = $this->db->table('auth_sessions')
                 ->select(['access_token'])
-                ->where('session_id', $sessionId)
+                ->where('uuid', $sessionId)
                 ->where('user_uuid', $user['uuid'])
+                ->where('status', 'active')
                 ->limit(1)
                 ->get();
 
-            if (!empty($session)) {
-                $this->tokenStorage->revokeSession($session[0]['access_token']);
-                $terminatedSessions = 1;
+            if (empty($session)) {
+                throw new NotFoundException('Session not found');
             }
-        } else {
-            // Revoke all user sessions
+
+            $this->tokenStorage->revokeSession($session[0]['access_token']);
+            $terminatedSessions = 1;
+        } elseif ($exceptCurrent) {
+            // Revoke every other session, keeping the one making this request
             $activeSessions = $this->db->table('auth_sessions')
-                ->select(['session_id'])
+                ->select(['access_token'])
                 ->where('user_uuid', $user['uuid'])
                 ->where('status', 'active')
                 ->get();
+
+            foreach ($activeSessions as $active) {
+                if ($this->currentToken !== null && hash_equals($active['access_token'], $this->currentToken)) {
+                    continue;
+                }
+                if ($this->tokenStorage->revokeSession($active['access_token'])) {
+                    $terminatedSessions++;
+                }
+            }
+        } else {
+            // Revoke all user sessions
+            $terminatedSessions = $this->db->table('auth_sessions')
+                ->where('user_uuid', $user['uuid'])
+                ->where('status', 'active')
+                ->count();
             $this->tokenStorage->revokeAllUserSessions($user['uuid']);
         }
 
+        $this->invalidateCache(['user_' . $user['uuid'], 'sessions']);
 
-        return Response::success(null, 'Session(s) terminated successfully');
+        return Response::success(
+            ['terminated' => $terminatedSessions],
+            'Session(s) terminated successfully'
+        );
     }
 
     /**
@@ -0,0 +1,84 @@
+<?php
+
+namespace Glueful\Cron;
+
+use Glueful\Services\ApiMetricAlerts;
+
+// @schedule:  */5 * * * *
+// This job runs Every 5 minutes
+
+class ApiMetricAlertChecker
+{
+    private array $stats = [
+        'evaluated' => 0,
+        'breached' => [],
+        'recovered' => [],
+        'errors' => []
+    ];
+
+    private ApiMetricAlerts $alerts;
+
+    public function __construct()
+    {
+        $this->alerts = new ApiMetricAlerts();
+    }
+
+    public function checkThresholds(): void
+    {
+        if (!$this->alerts->isAvailable()) {
+            $this->stats['errors'][] = 'API metric alerts need the api_metric_thresholds migration';
+            return;
+        }
+
+        try {
+            $result = $this->alerts->evaluate('cron');
+        } catch (\Exception $e) {
+            $this->stats['errors'][] = 'Threshold check failed: ' . $e->getMessage();
+            return;
+        }
+
+        $this->stats['evaluated'] = $result['evaluated'];
+        $this->stats['breached'] = $result['breached'];
+        $this->stats['recovered'] = $result['recovered'];
+    }
+
+    public function logResults(): void
+    {
+        // Only log when something changed, this job runs every few minutes
+        if (empty($this->stats['breached']) && empty($this->stats['recovered']) && empty($this->stats['errors'])) {
+            return;
+        }
+
+        $message = sprintf(
+            "[%s] API metric thresholds checked:\n" .
+            "- Thresholds evaluated: %d\n" .
+            "- Breached: %s\n" .
+            "- Recovered: %s\n",
+            date('Y-m-d H:i:s'),
+            $this->stats['evaluated'],
+            implode(', ', $this->stats['breached']) ?: 'none',
+            implode(', ', $this->stats['recovered']) ?: 'none'
+        );
+
+        if (!empty($this->stats['errors'])) {
+            $message .= "Errors:\n- " . implode("\n- ", $this->stats['errors']) . "\n";
+        }
+
+        $logFile = config('app.paths.logs') . 'api-metric-alerts.log';
+        $logDir = dirname($logFile);
+
+        if (!is_dir($logDir)) {
+            mkdir($logDir, 0755, true);
+        }
+
+        file_put_contents($logFile, $message . "\n", FILE_APPEND);
+    }
+
+    public function handle(array $parameters = []): mixed
+    {
+        $this->checkThresholds();
+        $this->logResults();
+
+        return $this->stats;
+    }
+}
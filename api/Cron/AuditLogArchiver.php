@@ -0,0 +1,79 @@
+<?php
+
+namespace Glueful\Cron;
+
+use Glueful\Logging\AuditLogRetention;
+
+// @schedule:  30 1 * * *
+// This job runs Daily at 1:30 AM
+
+class AuditLogArchiver
+{
+    private array $stats = [
+        'archived' => 0,
+        'deleted' => 0,
+        'rules' => [],
+        'errors' => []
+    ];
+
+    private AuditLogRetention $retention;
+
+    public function __construct()
+    {
+        $this->retention = new AuditLogRetention();
+    }
+
+    public function enforceRetention(): void
+    {
+        if (!$this->retention->isAvailable()) {
+            $this->stats['errors'][] = 'Audit log retention needs the audit_log_retention_rules migration';
+            return;
+        }
+
+        $result = $this->retention->enforce();
+
+        $this->stats['archived'] = $result['archived'];
+        $this->stats['deleted'] = $result['deleted'];
+        $this->stats['rules'] = $result['rules'];
+
+        foreach ($result['rules'] as $rule) {
+            if ($rule['error'] !== null) {
+                $scope = ($rule['category'] ?? 'any category') . '/' . ($rule['severity'] ?? 'any severity');
+                $this->stats['errors'][] = "Rule {$scope} failed: {$rule['error']}";
+            }
+        }
+    }
+
+    public function logResults(): void
+    {
+        $message = sprintf(
+            "[%s] Audit log retention completed:\n" .
+            "- Entries archived: %d\n" .
+            "- Entries deleted: %d\n",
+            date('Y-m-d H:i:s'),
+            $this->stats['archived'],
+            $this->stats['deleted']
+        );
+
+        if (!empty($this->stats['errors'])) {
+            $message .= "Errors:\n- " . implode("\n- ", $this->stats['errors']) . "\n";
+        }
+
+        $logFile = config('app.paths.logs') . 'audit-log-retention.log';
+        $logDir = dirname($logFile);
+
+        if (!is_dir($logDir)) {
+            mkdir($logDir, 0755, true);
+        }
+
+        file_put_contents($logFile, $message . "\n", FILE_APPEND);
+    }
+
+    public function handle(array $parameters = []): mixed
+    {
+        $this->enforceRetention();
+        $this->logResults();
+
+        return $this->stats;
+    }
+}
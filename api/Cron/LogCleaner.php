@@ -3,6 +3,8 @@
 namespace Glueful\Cron;
 
 use Glueful\Database\Connection;
+use Glueful\Repository\AuditLogRepository;
+use Glueful\Repository\AuditLogRetentionRuleRepository;
 
 class LogCleaner
 {
@@ -68,9 +70,9 @@ class LogCleaner
             // Clean audit_logs table if it exists
             $cutoffDate = date('Y-m-d H:i:s', time() - ($retentionDays * 24 * 60 * 60));
 
-            $affected = $this->connection->table('audit_logs')
-                ->where('created_at', '<', $cutoffDate)
-                ->delete();
+            // Entries a retention rule applies to are left to the audit_log_retention job
+            $rules = (new AuditLogRetentionRuleRepository($this->connection))->findEnabledRules();
+            $affected = (new AuditLogRepository($this->connection))->deleteUncovered($cutoffDate, $rules);
 
             if ($affected) {
                 $this->stats['deleted_db_logs'] += $affected;
@@ -127,6 +129,7 @@ class LogCleaner
         $this->cleanFileSystemLogs($retentionDays);
         $this->cleanDatabaseLogs($retentionDays);
         $this->cleanAuditLogs($retentionDays);
+
         $this->logResults();
 
         return $this->stats;
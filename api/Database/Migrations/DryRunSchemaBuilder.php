@@ -0,0 +1,77 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Schema\Builders\SchemaBuilder;
+
+/**
+ * Dry Run Schema Builder
+ *
+ * Schema builder that records the SQL a migration would run instead of
+ * executing it. Statements queued by table builders and statements the
+ * regular builder runs immediately, such as createTable() with a callback
+ * and foreign key check toggles, are collected in the order they would run.
+ * Reads like hasTable() and getTableColumns() still query the live database.
+ *
+ * Used by MigrationManager::preview() to show the SQL of pending migrations
+ * and rollbacks before they are applied.
+ */
+class DryRunSchemaBuilder extends SchemaBuilder
+{
+    /** @var array<string> Statements recorded since the last flush */
+    private array $statements = [];
+
+    /**
+     * Record pending operations instead of executing them
+     *
+     * @return array Empty results, nothing is executed
+     */
+    public function execute(): array
+    {
+        array_push($this->statements, ...$this->preview());
+        $this->reset();
+
+        return [];
+    }
+
+    /**
+     * Record the statement that disables foreign key checks
+     *
+     * @return self For method chaining
+     */
+    public function disableForeignKeyChecks(): self
+    {
+        $this->statements[] = $this->getSqlGenerator()->foreignKeyChecks(false);
+        return $this;
+    }
+
+    /**
+     * Record the statement that enables foreign key checks
+     *
+     * @return self For method chaining
+     */
+    public function enableForeignKeyChecks(): self
+    {
+        $this->statements[] = $this->getSqlGenerator()->foreignKeyChecks(true);
+        return $this;
+    }
+
+    /**
+     * Return the recorded statements and start a new recording
+     *
+     * Operations that were queued but never executed are included, since a
+     * migration that forgets to execute them would leave them for the next one.
+     *
+     * @return array<string> SQL statements in execution order
+     */
+    public function flushStatements(): array
+    {
+        $this->execute();
+        $statements = $this->statements;
+        $this->statements = [];
+
+        return $statements;
+    }
+}
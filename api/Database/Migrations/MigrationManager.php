@@ -6,6 +6,7 @@ namespace Glueful\Database\Migrations;
 
 use Glueful\Database\Migrations\MigrationInterface;
 use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+use Glueful\Database\Schema\Builders\SchemaBuilder;
 use Glueful\Database\Connection;
 use Glueful\Extensions\ExtensionManager;
 use Glueful\Exceptions\DatabaseException;
@@ -37,8 +38,17 @@ use Glueful\Services\FileFinder;
  * // Run specific migration
  * $result = $manager->migrate('/path/to/migration.php');
  *
- * // Rollback last batch
+ * // Rollback last migration
  * $result = $manager->rollback();
+ *
+ * // Rollback last batch
+ * $result = $manager->rollbackBatch();
+ *
+ * // Show the SQL of pending migrations without running them
+ * $preview = $manager->preview($manager->getPendingMigrations());
+ *
+ * // Build the schema applied migrations describe, to compare with the live one
+ * $expected = $manager->getExpectedSchema();
  * ```
  */
 class MigrationManager
@@ -248,22 +258,18 @@ class MigrationManager
      *                                                            migrations
      * @return array{
      *     applied: array<string>,
-     *     failed: array<string>
-     * } Migration results
+     *     failed: array<string>,
+     *     errors: array<string, string>
+     * } Migration results, with the error of each failed migration
      */
     public function migrate($specificFileOrPendingMigrations = null): array
     {
-        $results = ['applied' => [], 'failed' => []];
+        $results = ['applied' => [], 'failed' => [], 'errors' => []];
         // Handle specific file migration
         if (is_string($specificFileOrPendingMigrations)) {
             $batch = $this->getNextBatchNumber();
             $status = $this->runMigration($specificFileOrPendingMigrations, $batch);
-            if ($status['success']) {
-                $results['applied'][] = $status['file'];
-            } else {
-                $results['failed'][] = $status['file'];
-            }
-            return $results;
+            return $this->collectResult($results, $status, 'applied');
         }
 
         // Handle provided pending migrations array or get pending migrations
@@ -283,11 +289,27 @@ class MigrationManager
 
         foreach ($pendingMigrations as $file) {
             $status = $this->runMigration($file, $batch);
-            if ($status['success']) {
-                $results['applied'][] = $status['file'];
-            } else {
-                $results['failed'][] = $status['file'];
-            }
+            $results = $this->collectResult($results, $status, 'applied');
+        }
+
+        return $results;
+    }
+
+    /**
+     * Add the outcome of one migration to the results of a run
+     *
+     * @param array $results Results so far
+     * @param array $status Outcome of runMigration() or rollbackMigration()
+     * @param string $key Result key of successful migrations (applied or reverted)
+     * @return array Updated results
+     */
+    private function collectResult(array $results, array $status, string $key): array
+    {
+        if ($status['success']) {
+            $results[$key][] = $status['file'];
+        } else {
+            $results['failed'][] = $status['file'];
+            $results['errors'][$status['file']] = $status['error'] ?? 'Unknown error';
         }
 
         return $results;
@@ -312,39 +334,7 @@ class MigrationManager
      */
     private function runMigration(string $file, ?int $batch = null): array
     {
-        require_once $file;
-
-        $className = pathinfo($file, PATHINFO_FILENAME);
-        $className = preg_replace('/^\d+_/', '', $className); // Removes any leading digits and underscore
-
-        // Try to determine if the file contains a namespaced class
-        $fileContent = file_get_contents($file);
-        $namespace = '';
-
-        if (preg_match('/namespace\s+([^;]+);/i', $fileContent, $matches)) {
-            $namespace = $matches[1] . '\\';
-        }
-
-        $fullClassName = $namespace . $className;
-
-        if (!class_exists($fullClassName)) {
-            // Fall back to non-namespaced class if namespace detection failed
-            if (!class_exists($className)) {
-                throw DatabaseException::queryFailed(
-                    'MIGRATION_ERROR',
-                    "Migration class $className not found in $file"
-                );
-            }
-            $fullClassName = $className;
-        }
-
-        $migration = new $fullClassName();
-        if (!$migration instanceof MigrationInterface) {
-            throw BusinessLogicException::operationNotAllowed(
-                'migration_validation',
-                "Migration $fullClassName must implement MigrationInterface"
-            );
-        }
+        $migration = $this->loadMigration($file);
 
         $filename = basename($file);
         $checksum = hash_file('sha256', $file);
@@ -378,6 +368,8 @@ class MigrationManager
 
             return ['success' => true, 'file' => $filename];
         } catch (\Exception $e) {
+            // Drop statements queued by the failed migration so the next one does not run them
+            $this->schema->reset();
             error_log("Migration failed: " . $e->getMessage());
             return ['success' => false, 'file' => $filename, 'error' => $e->getMessage()];
         }
@@ -408,26 +400,197 @@ class MigrationManager
      * @param int $steps Number of migrations to roll back
      * @return array{
      *     reverted: array<string>,
-     *     failed: array<string>
-     * } Rollback results
+     *     failed: array<string>,
+     *     errors: array<string, string>
+     * } Rollback results, with the error of each failed migration
      */
     public function rollback(int $steps = 1): array
     {
-        $results = ['reverted' => [], 'failed' => []];
-        $migrations = $this->getMigrationsToRollback($steps);
+        return $this->rollbackFiles($this->getMigrationsToRollback($steps));
+    }
+
+    /**
+     * Roll back every migration of a batch
+     *
+     * @param int|null $batch Batch number, the latest batch when null
+     * @return array{
+     *     reverted: array<string>,
+     *     failed: array<string>,
+     *     errors: array<string, string>
+     * } Rollback results
+     */
+    public function rollbackBatch(?int $batch = null): array
+    {
+        return $this->rollbackFiles($this->getBatchMigrations($batch));
+    }
+
+    /**
+     * Roll back applied migrations by filename
+     *
+     * Migrations are reverted newest first, whatever order they are given in.
+     * Filenames that are not applied are ignored.
+     *
+     * @param array<string> $filenames Migration filenames
+     * @return array{
+     *     reverted: array<string>,
+     *     failed: array<string>,
+     *     errors: array<string, string>
+     * } Rollback results
+     */
+    public function rollbackFiles(array $filenames): array
+    {
+        $results = ['reverted' => [], 'failed' => [], 'errors' => []];
 
-        foreach (array_reverse($migrations) as $migration) {
+        foreach ($this->orderForRollback($filenames) as $migration) {
             $status = $this->rollbackMigration($migration);
-            if ($status['success']) {
-                $results['reverted'][] = $status['file'];
-            } else {
-                $results['failed'][] = $status['file'];
-            }
+            $results = $this->collectResult($results, $status, 'reverted');
         }
 
         return $results;
     }
 
+    /**
+     * Get the migrations of a batch
+     *
+     * @param int|null $batch Batch number, the latest batch when null
+     * @return array<string> Migration filenames in the order they were applied
+     */
+    public function getBatchMigrations(?int $batch = null): array
+    {
+        $batch ??= $this->getNextBatchNumber() - 1;
+
+        $result = $this->db
+        ->table(self::VERSION_TABLE)
+        ->select(['migration'])
+        ->where('batch', $batch)
+        ->orderBy('id', 'ASC')
+        ->get();
+
+        return array_column($result, 'migration');
+    }
+
+    /**
+     * Preview the SQL migrations would run without changing the database
+     *
+     * Each migration runs against a schema builder that records statements
+     * instead of executing them, inside a transaction that is rolled back in
+     * case a migration also writes data. Every migration is previewed against
+     * the current schema, so checks on tables created by an earlier migration
+     * in the same list see the database as it is now.
+     *
+     * @param array<string> $migrations Pending migration paths, or applied filenames when rolling back
+     * @param bool $rollback Preview down() instead of up()
+     * @return array<array{file: string, statements: array<string>, error: string|null}> SQL per migration
+     */
+    public function preview(array $migrations, bool $rollback = false): array
+    {
+        /** @var SchemaBuilder $builder Connection::getSchemaBuilder() always returns a SchemaBuilder */
+        $builder = $this->schema;
+        $schema = new DryRunSchemaBuilder($this->db, $builder->getSqlGenerator());
+        $pdo = $this->db->getPDO();
+        $previews = [];
+
+        if ($rollback) {
+            $migrations = $this->orderForRollback($migrations);
+        }
+
+        foreach ($migrations as $migration) {
+            $preview = ['file' => basename($migration), 'statements' => [], 'error' => null];
+            $startedTransaction = !$pdo->inTransaction() && $pdo->beginTransaction();
+
+            try {
+                $file = $rollback ? $this->findMigrationFile($migration) : $migration;
+                if ($file === null) {
+                    throw new \RuntimeException('Migration file not found');
+                }
+
+                $instance = $this->loadMigration($file);
+                $rollback ? $instance->down($schema) : $instance->up($schema);
+            } catch (\Throwable $e) {
+                $preview['error'] = $e->getMessage();
+            } finally {
+                if ($startedTransaction && $pdo->inTransaction()) {
+                    $pdo->rollBack();
+                }
+            }
+
+            $preview['statements'] = $schema->flushStatements();
+            $previews[] = $preview;
+        }
+
+        return $previews;
+    }
+
+    /**
+     * Build the schema the applied migrations describe
+     *
+     * Replays up() of every applied migration in the order it was applied
+     * against a schema recorder, inside a transaction that is rolled back in
+     * case a migration also writes data. Migrations that fail to replay are
+     * skipped and reported, the rest of the schema is still built.
+     *
+     * @return array{tables: array<string, array>, errors: array<string, string>}
+     *     Expected tables in the SchemaRecorder model and replay errors by migration
+     */
+    public function getExpectedSchema(): array
+    {
+        /** @var SchemaBuilder $builder Connection::getSchemaBuilder() always returns a SchemaBuilder */
+        $builder = $this->schema;
+        $recorder = new SchemaRecorder($this->db, $builder->getSqlGenerator());
+        $pdo = $this->db->getPDO();
+        $errors = [];
+
+        $applied = $this->db
+        ->table(self::VERSION_TABLE)
+        ->select(['migration'])
+        ->orderBy('id', 'ASC')
+        ->get();
+
+        foreach (array_column($applied, 'migration') as $migration) {
+            $startedTransaction = !$pdo->inTransaction() && $pdo->beginTransaction();
+
+            try {
+                $file = $this->findMigrationFile($migration);
+                if ($file === null) {
+                    throw new \RuntimeException('Migration file not found');
+                }
+
+                $this->loadMigration($file)->up($recorder);
+            } catch (\Throwable $e) {
+                $errors[$migration] = $e->getMessage();
+            } finally {
+                if ($startedTransaction && $pdo->inTransaction()) {
+                    $pdo->rollBack();
+                }
+            }
+        }
+
+        return ['tables' => $recorder->getSchema(), 'errors' => $errors];
+    }
+
+    /**
+     * Order applied migrations newest first for a rollback
+     *
+     * @param array<string> $filenames Migration filenames
+     * @return array<string> Applied filenames from the latest batch and id down
+     */
+    private function orderForRollback(array $filenames): array
+    {
+        if (empty($filenames)) {
+            return [];
+        }
+
+        $result = $this->db
+        ->table(self::VERSION_TABLE)
+        ->select(['migration'])
+        ->whereIn('migration', array_values(array_map('basename', $filenames)))
+        ->orderBy('batch', 'DESC')
+        ->orderBy('id', 'DESC')
+        ->get();
+
+        return array_column($result, 'migration');
+    }
+
     /**
      * Get migrations for rollback
      *
@@ -470,74 +633,112 @@ class MigrationManager
      */
     private function rollbackMigration(string $filename): array
     {
-        // First check in main migrations directory
+        $file = $this->findMigrationFile($filename);
+        if ($file === null) {
+            return ['success' => false, 'file' => $filename, 'error' => 'File not found in enabled extensions'];
+        }
+
+        $migration = $this->loadMigration($file);
+
+        try {
+            // Run migration rollback - operations will execute immediately
+            $migration->down($this->schema);
+
+            // Delete migration record after schema operations complete
+            $this->db->table(self::VERSION_TABLE)->where('migration', $filename)->delete();
+
+            return ['success' => true, 'file' => $filename];
+        } catch (\Exception $e) {
+            $this->schema->reset();
+            error_log("Rollback failed: " . $e->getMessage());
+            return ['success' => false, 'file' => $filename, 'error' => $e->getMessage()];
+        }
+    }
+
+    /**
+     * Find the file of an applied migration
+     *
+     * Looks in the migrations directory first, then in the migration
+     * directories of enabled extensions.
+     *
+     * @param string $filename Migration filename
+     * @return string|null Migration file path, or null if it does not exist
+     */
+    private function findMigrationFile(string $filename): ?string
+    {
+        $filename = basename($filename);
         $file = $this->migrationsPath . '/' . $filename;
 
-        // If not found in main directory, check in enabled extension directories
-        if (!file_exists($file)) {
-            $found = false;
-            $enabledExtensions = $this->extensionsManager->listEnabled();
-
-            foreach ($enabledExtensions as $extensionName) {
-                $extensionPath = $this->extensionsManager->getExtensionPath($extensionName);
-                if ($extensionPath) {
-                    $migrationDir = $extensionPath . '/migrations';
-                    $extensionFile = $migrationDir . '/' . $filename;
-
-                    // Use FileFinder to check if migration directory exists and file exists
-                    $extensionMigrations = $this->fileFinder->findMigrations($migrationDir);
-                    $matchingFile = null;
-                    foreach ($extensionMigrations as $migFile) {
-                        if ($migFile->getFilename() === $filename) {
-                            $matchingFile = $migFile;
-                            break;
-                        }
-                    }
-
-                    if ($matchingFile && file_exists($extensionFile)) {
-                        $file = $extensionFile;
-                        $found = true;
-                        break;
-                    }
-                }
+        if (file_exists($file)) {
+            return $file;
+        }
+
+        foreach ($this->extensionsManager->listEnabled() as $extensionName) {
+            $extensionPath = $this->extensionsManager->getExtensionPath($extensionName);
+            if (!$extensionPath) {
+                continue;
             }
 
-            if (!$found) {
-                return ['success' => false, 'file' => $filename, 'error' => 'File not found in enabled extensions'];
+            // Use FileFinder to check the migration directory contains the file
+            $migrationDir = $extensionPath . '/migrations';
+            foreach ($this->fileFinder->findMigrations($migrationDir) as $migFile) {
+                if ($migFile->getFilename() === $filename && file_exists($migrationDir . '/' . $filename)) {
+                    return $migrationDir . '/' . $filename;
+                }
             }
         }
 
+        return null;
+    }
+
+    /**
+     * Load a migration file and create its migration class
+     *
+     * The class is named after the file without its numeric prefix, in the
+     * namespace declared by the file.
+     *
+     * @param string $file Migration file path
+     * @return MigrationInterface Migration instance
+     * @throws DatabaseException If the class is not found
+     * @throws BusinessLogicException If the class does not implement MigrationInterface
+     */
+    private function loadMigration(string $file): MigrationInterface
+    {
         require_once $file;
+
         $className = pathinfo($file, PATHINFO_FILENAME);
         $className = preg_replace('/^\d+_/', '', $className); // Removes any leading digits and underscore
 
-        if (!class_exists($className)) {
-            throw DatabaseException::queryFailed(
-                'MIGRATION_ERROR',
-                "Migration class $className not found in $file"
-            );
+        // Try to determine if the file contains a namespaced class
+        $fileContent = file_get_contents($file);
+        $namespace = '';
+
+        if (preg_match('/namespace\s+([^;]+);/i', $fileContent, $matches)) {
+            $namespace = $matches[1] . '\\';
+        }
+
+        $fullClassName = $namespace . $className;
+
+        if (!class_exists($fullClassName)) {
+            // Fall back to non-namespaced class if namespace detection failed
+            if (!class_exists($className)) {
+                throw DatabaseException::queryFailed(
+                    'MIGRATION_ERROR',
+                    "Migration class $className not found in $file"
+                );
+            }
+            $fullClassName = $className;
         }
 
-        $migration = new $className();
+        $migration = new $fullClassName();
         if (!$migration instanceof MigrationInterface) {
             throw BusinessLogicException::operationNotAllowed(
                 'migration_validation',
-                "Migration $className must implement MigrationInterface"
+                "Migration $fullClassName must implement MigrationInterface"
             );
         }
 
-        try {
-            // Run migration rollback - operations will execute immediately
-            $migration->down($this->schema);
-
-            // Delete migration record after schema operations complete
-            $this->db->table(self::VERSION_TABLE)->where('migration', $filename)->delete();
-
-            return ['success' => true, 'file' => $filename];
-        } catch (\Exception $e) {
-            error_log("Rollback failed: " . $e->getMessage());
-            return ['success' => false, 'file' => $filename, 'error' => $e->getMessage()];
-        }
+        return $migration;
     }
 
     /**
@@ -0,0 +1,61 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Schema\Builders\TableBuilder;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+
+/**
+ * Recording Table Builder
+ *
+ * Table builder used by SchemaRecorder. Creating or altering the table
+ * applies the definition to the recorded schema instead of generating SQL.
+ */
+class RecordingTableBuilder extends TableBuilder
+{
+    /** @var SchemaRecorder Recorder the table belongs to */
+    private SchemaRecorder $recorder;
+
+    /**
+     * Create a new recording table builder
+     *
+     * @param SchemaRecorder $recorder Recorder the table belongs to
+     * @param string $tableName Table name
+     * @param bool $isAlteration Whether this is an alteration
+     */
+    public function __construct(SchemaRecorder $recorder, string $tableName, bool $isAlteration = false)
+    {
+        parent::__construct($recorder, $recorder->getSqlGenerator(), $tableName, $isAlteration);
+        $this->recorder = $recorder;
+    }
+
+    /**
+     * Record the table as created
+     *
+     * @return SchemaBuilderInterface For continued chaining
+     */
+    public function create(): SchemaBuilderInterface
+    {
+        $this->recorder->recordCreate($this->definition());
+
+        return $this->recorder;
+    }
+
+    /**
+     * Record the table as created or altered
+     *
+     * @return SchemaBuilderInterface For continued chaining
+     */
+    public function execute(): SchemaBuilderInterface
+    {
+        if ($this->isCreating()) {
+            return $this->create();
+        }
+
+        $this->recorder->recordAlter($this->definition());
+
+        return $this->recorder;
+    }
+}
@@ -0,0 +1,248 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Schema\Builders\SchemaBuilder;
+use Glueful\Database\Schema\DTOs\ColumnDefinition;
+use Glueful\Database\Schema\DTOs\TableDefinition;
+use Glueful\Database\Schema\Interfaces\TableBuilderInterface;
+
+/**
+ * Schema Recorder
+ *
+ * Schema builder that builds a model of the schema migrations describe
+ * instead of changing the database. Created tables, added and dropped
+ * columns, indexes and foreign keys are applied to the model, and checks like
+ * hasTable() and hasColumn() answer from it, so migrations that skip work
+ * when a table already exists behave as they did on a fresh database.
+ *
+ * Used by MigrationManager::getExpectedSchema() to replay applied migrations
+ * for the drift report on the admin Migrations page.
+ *
+ * Each table in the model has:
+ * - columns: type and nullability by column name
+ * - indexes: columns and uniqueness by index name, without the primary key
+ * - foreign_keys: column and referenced table and column by constraint name
+ */
+class SchemaRecorder extends SchemaBuilder
+{
+    /** @var array<string, array> Recorded tables by name */
+    private array $tables = [];
+
+    /**
+     * Start recording a new table
+     *
+     * @param string $name Table name
+     * @return TableBuilderInterface Recording table builder
+     */
+    public function table(string $name): TableBuilderInterface
+    {
+        return new RecordingTableBuilder($this, $name, false);
+    }
+
+    /**
+     * Start recording changes to a table
+     *
+     * @param string $name Table name
+     * @return TableBuilderInterface Recording table builder
+     */
+    public function alterTable(string $name): TableBuilderInterface
+    {
+        return new RecordingTableBuilder($this, $name, true);
+    }
+
+    /**
+     * Remove a table from the recorded schema
+     *
+     * @param string $name Table name
+     * @return self For method chaining
+     */
+    public function dropTable(string $name): self
+    {
+        unset($this->tables[$name]);
+        return $this;
+    }
+
+    /**
+     * Remove a table from the recorded schema
+     *
+     * @param string $name Table name
+     * @return self For method chaining
+     */
+    public function dropTableIfExists(string $name): self
+    {
+        return $this->dropTable($name);
+    }
+
+    /**
+     * Discard pending operations, changes are recorded as they are made
+     *
+     * @return array Empty results, nothing is executed
+     */
+    public function execute(): array
+    {
+        $this->reset();
+        return [];
+    }
+
+    /**
+     * Check if a table exists in the recorded schema
+     *
+     * @param string $table Table name
+     * @return bool True if a migration created the table
+     */
+    public function hasTable(string $table): bool
+    {
+        return isset($this->tables[$table]);
+    }
+
+    /**
+     * Check if a column exists in the recorded schema
+     *
+     * @param string $table Table name
+     * @param string $column Column name
+     * @return bool True if the column was recorded
+     */
+    public function hasColumn(string $table, string $column): bool
+    {
+        return isset($this->tables[$table]['columns'][$column]);
+    }
+
+    /**
+     * Get the names of the recorded tables
+     *
+     * @return array Table names
+     */
+    public function getTables(): array
+    {
+        return array_keys($this->tables);
+    }
+
+    /**
+     * Foreign key checks do not apply to the recorded schema
+     *
+     * @return self For method chaining
+     */
+    public function disableForeignKeyChecks(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Foreign key checks do not apply to the recorded schema
+     *
+     * @return self For method chaining
+     */
+    public function enableForeignKeyChecks(): self
+    {
+        return $this;
+    }
+
+    /**
+     * Get the recorded schema
+     *
+     * @return array<string, array> Tables by name, sorted by name
+     */
+    public function getSchema(): array
+    {
+        $tables = $this->tables;
+        ksort($tables);
+
+        return $tables;
+    }
+
+    /**
+     * Record a created table
+     *
+     * @param TableDefinition $table Table definition
+     */
+    public function recordCreate(TableDefinition $table): void
+    {
+        $this->tables[$table->name] = ['columns' => [], 'indexes' => [], 'foreign_keys' => []];
+        $this->add($table);
+    }
+
+    /**
+     * Record the changes made to a table
+     *
+     * Drops are applied before additions, like the generated ALTER statements.
+     * Dropping a column also removes the indexes and foreign keys that use it.
+     *
+     * @param TableDefinition $table Table definition of the alteration
+     */
+    public function recordAlter(TableDefinition $table): void
+    {
+        $name = $table->name;
+        $this->tables[$name] ??= ['columns' => [], 'indexes' => [], 'foreign_keys' => []];
+
+        foreach ($table->options['_drop_foreign_keys'] ?? [] as $constraint) {
+            unset($this->tables[$name]['foreign_keys'][$constraint]);
+        }
+        foreach ($table->options['_drop_indexes'] ?? [] as $index) {
+            unset($this->tables[$name]['indexes'][$index]);
+        }
+        foreach ($table->options['_drops'] ?? [] as $column) {
+            unset($this->tables[$name]['columns'][$column]);
+            $this->tables[$name]['indexes'] = array_filter(
+                $this->tables[$name]['indexes'],
+                fn (array $index) => !in_array($column, $index['columns'], true)
+            );
+            $this->tables[$name]['foreign_keys'] = array_filter(
+                $this->tables[$name]['foreign_keys'],
+                fn (array $foreignKey) => $foreignKey['column'] !== $column
+            );
+        }
+
+        $this->add($table);
+    }
+
+    /**
+     * Add the columns, indexes and foreign keys of a definition to its table
+     *
+     * @param TableDefinition $table Table definition
+     */
+    private function add(TableDefinition $table): void
+    {
+        foreach ($table->columns as $column) {
+            $this->tables[$table->name]['columns'][$column->name] = [
+                'type' => $this->columnType($column),
+                'nullable' => $column->nullable,
+            ];
+        }
+
+        foreach ($table->indexes as $index) {
+            $this->tables[$table->name]['indexes'][$index->name] = [
+                'columns' => array_values($index->columns),
+                'unique' => $index->unique || $index->type === 'unique',
+            ];
+        }
+
+        foreach ($table->foreignKeys as $foreignKey) {
+            $this->tables[$table->name]['foreign_keys'][$foreignKey->name] = [
+                'column' => $foreignKey->localColumn,
+                'references_table' => $foreignKey->referencedTable,
+                'references_column' => $foreignKey->referencedColumn,
+            ];
+        }
+    }
+
+    /**
+     * Describe the type of a column for the report
+     *
+     * @param ColumnDefinition $column Column definition
+     * @return string Type with its length or precision, e.g. string(255)
+     */
+    private function columnType(ColumnDefinition $column): string
+    {
+        if ($column->length !== null) {
+            return "{$column->type}({$column->length})";
+        }
+        if ($column->precision !== null) {
+            return "{$column->type}({$column->precision},{$column->scale})";
+        }
+
+        return $column->type;
+    }
+}
@@ -607,17 +607,7 @@ class TableBuilder implements TableBuilderInterface, TableBuilderContextInterfac
      */
     public function create(): SchemaBuilderInterface
     {
-        $tableDefinition = new TableDefinition(
-            name: $this->tableName,
-            columns: $this->columns,
-            indexes: $this->indexes,
-            foreignKeys: $this->foreignKeys,
-            primaryKey: $this->primaryKey,
-            options: $this->options,
-            comment: $this->comment
-        );
-
-        $sql = $this->sqlGenerator->createTable($tableDefinition);
+        $sql = $this->sqlGenerator->createTable($this->definition());
         $this->schemaBuilder->addPendingOperation($sql);
 
         return $this->schemaBuilder;
@@ -729,6 +719,26 @@ class TableBuilder implements TableBuilderInterface, TableBuilderContextInterfac
         $this->foreignKeys[] = $foreignKey;
     }
 
+    /**
+     * Build the definition of the table as described so far
+     *
+     * Pending drops and renames of an alteration are part of the options.
+     *
+     * @return TableDefinition Table definition
+     */
+    protected function definition(): TableDefinition
+    {
+        return new TableDefinition(
+            name: $this->tableName,
+            columns: $this->columns,
+            indexes: $this->indexes,
+            foreignKeys: $this->foreignKeys,
+            primaryKey: $this->primaryKey,
+            options: $this->options,
+            comment: $this->comment
+        );
+    }
+
     /**
      * Generate automatic index name
      *
@@ -756,20 +766,15 @@ class TableBuilder implements TableBuilderInterface, TableBuilderContextInterfac
     {
         // For now, generate basic alteration SQL
         // In a full implementation, this would handle all types of alterations
-        $tableDefinition = new TableDefinition(
-            name: $this->tableName,
-            columns: $this->columns,
-            indexes: $this->indexes,
-            foreignKeys: $this->foreignKeys,
-            primaryKey: $this->primaryKey,
-            options: $this->options,
-            comment: $this->comment
-        );
+        $tableDefinition = $this->definition();
 
         $changes = [
             'add_columns' => $this->columns,
+            'drop_columns' => $this->options['_drops'] ?? [],
             'add_indexes' => $this->indexes,
-            'add_foreign_keys' => $this->foreignKeys
+            'drop_indexes' => $this->options['_drop_indexes'] ?? [],
+            'add_foreign_keys' => $this->foreignKeys,
+            'drop_foreign_keys' => $this->options['_drop_foreign_keys'] ?? []
         ];
 
         $sqlStatements = $this->sqlGenerator->alterTable($tableDefinition, $changes);
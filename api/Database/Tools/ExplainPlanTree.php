@@ -0,0 +1,497 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+/**
+ * Explain Plan Tree Builder
+ *
+ * Normalizes the raw output of EXPLAIN into a single tree format that the
+ * admin SQL editor can render regardless of the database engine:
+ * - MySQL EXPLAIN FORMAT=JSON and the text tree of EXPLAIN ANALYZE
+ * - PostgreSQL EXPLAIN (FORMAT JSON), with or without ANALYZE
+ * - SQLite EXPLAIN QUERY PLAN
+ *
+ * Every node carries the operation, the table and index it touches, the
+ * estimated cost and rows, the measured rows and time when the plan was
+ * analyzed, and warnings such as full table scans.
+ */
+class ExplainPlanTree
+{
+    /** @var array<string, string> MySQL access types mapped to readable operations */
+    private const MYSQL_ACCESS_TYPES = [
+        'ALL' => 'Full table scan',
+        'index' => 'Full index scan',
+        'range' => 'Index range scan',
+        'ref' => 'Index lookup',
+        'eq_ref' => 'Unique index lookup',
+        'ref_or_null' => 'Index lookup',
+        'fulltext' => 'Fulltext index lookup',
+        'index_merge' => 'Index merge',
+        'const' => 'Constant row lookup',
+        'system' => 'Constant row lookup',
+    ];
+
+    /** @var array<string, string> MySQL JSON keys that wrap further plan operations */
+    private const MYSQL_OPERATIONS = [
+        'ordering_operation' => 'Order',
+        'grouping_operation' => 'Group',
+        'duplicates_removal' => 'Remove duplicates',
+        'windowing' => 'Window',
+        'buffer_result' => 'Buffer result',
+    ];
+
+    /** @var int Factor by which analyzed rows may differ from the estimate before a warning is raised */
+    private const ESTIMATE_TOLERANCE = 10;
+
+    /**
+     * Build a plan tree from raw EXPLAIN rows
+     *
+     * @param string $driver Database driver name (mysql, pgsql, sqlite)
+     * @param array $rows Rows returned by the EXPLAIN statement
+     * @return array Plan with root nodes, collected warnings and overall timings
+     * @throws \InvalidArgumentException When the driver is not supported
+     */
+    public function build(string $driver, array $rows): array
+    {
+        $plan = [
+            'driver' => $driver,
+            'nodes' => [],
+            'warnings' => [],
+            'total_cost' => null,
+            'planning_time' => null,
+            'execution_time' => null,
+        ];
+
+        switch ($driver) {
+            case 'mysql':
+                $plan['nodes'] = $this->buildMySQL($rows);
+                break;
+            case 'pgsql':
+                $raw = $rows[0]['QUERY PLAN'] ?? null;
+                $decoded = is_string($raw) ? json_decode($raw, true) : $raw;
+                $root = $decoded[0] ?? [];
+                if (isset($root['Plan'])) {
+                    $plan['nodes'] = [$this->pgsqlNode($root['Plan'])];
+                }
+                $plan['planning_time'] = $this->number($root['Planning Time'] ?? null);
+                $plan['execution_time'] = $this->number($root['Execution Time'] ?? null);
+                break;
+            case 'sqlite':
+                $plan['nodes'] = $this->buildSQLite($rows);
+                break;
+            default:
+                throw new \InvalidArgumentException("Execution plan not supported for driver: {$driver}");
+        }
+
+        $plan['total_cost'] = $plan['nodes'][0]['cost'] ?? null;
+        $plan['warnings'] = array_values(array_unique($this->collectWarnings($plan['nodes'])));
+
+        return $plan;
+    }
+
+    /**
+     * Build MySQL plan nodes from JSON, tree or traditional tabular output
+     *
+     * @param array $rows Raw EXPLAIN rows
+     * @return array Plan nodes
+     */
+    private function buildMySQL(array $rows): array
+    {
+        $output = $rows[0]['EXPLAIN'] ?? null;
+
+        if (is_string($output)) {
+            $decoded = json_decode($output, true);
+            if (is_array($decoded) && isset($decoded['query_block'])) {
+                return [$this->mysqlQueryBlock($decoded['query_block'])];
+            }
+
+            return $this->mysqlTree($output);
+        }
+
+        // Traditional EXPLAIN output: one row per table, in join order
+        $nodes = [];
+        foreach ($rows as $row) {
+            $nodes[] = $this->mysqlTable([
+                'table_name' => $row['table'] ?? null,
+                'access_type' => $row['type'] ?? null,
+                'possible_keys' => $row['possible_keys'] ?? null,
+                'key' => $row['key'] ?? null,
+                'rows_examined_per_scan' => $row['rows'] ?? null,
+                'filtered' => $row['filtered'] ?? null,
+                'extra' => $row['Extra'] ?? null,
+            ]);
+        }
+
+        return $nodes;
+    }
+
+    /**
+     * Convert a MySQL JSON query block into a node
+     *
+     * @param array $block query_block element
+     * @return array Plan node
+     */
+    private function mysqlQueryBlock(array $block): array
+    {
+        $node = $this->node('Query block #' . ($block['select_id'] ?? 1));
+        $node['cost'] = $this->number($block['cost_info']['query_cost'] ?? null);
+
+        if (isset($block['message'])) {
+            $node['details']['message'] = $block['message'];
+        }
+
+        $node['children'] = $this->mysqlChildren($block);
+
+        return $node;
+    }
+
+    /**
+     * Collect the child operations of a MySQL JSON plan element
+     *
+     * @param array $element Query block or operation element
+     * @return array Plan nodes
+     */
+    private function mysqlChildren(array $element): array
+    {
+        $children = [];
+
+        foreach (self::MYSQL_OPERATIONS as $key => $operation) {
+            if (!isset($element[$key]) || !is_array($element[$key])) {
+                continue;
+            }
+
+            $wrapped = $element[$key];
+            $node = $this->node($operation);
+            $node['cost'] = $this->number($wrapped['cost_info']['sort_cost'] ?? null);
+            if (!empty($wrapped['using_filesort'])) {
+                $node['warnings'][] = 'Sorts rows with a filesort';
+            }
+            if (!empty($wrapped['using_temporary_table'])) {
+                $node['warnings'][] = 'Uses a temporary table';
+            }
+            $node['children'] = $this->mysqlChildren($wrapped);
+            $children[] = $node;
+        }
+
+        if (isset($element['nested_loop']) && is_array($element['nested_loop'])) {
+            $node = $this->node('Nested loop join');
+            foreach ($element['nested_loop'] as $item) {
+                $node['children'] = array_merge($node['children'], $this->mysqlChildren($item));
+            }
+            $node['cost'] = $this->number(end($node['children'])['cost'] ?? null);
+            $children[] = $node;
+        }
+
+        if (isset($element['table']) && is_array($element['table'])) {
+            $children[] = $this->mysqlTable($element['table']);
+        }
+
+        if (isset($element['union_result']) && is_array($element['union_result'])) {
+            $node = $this->node('Union');
+            if (!empty($element['union_result']['using_temporary_table'])) {
+                $node['warnings'][] = 'Uses a temporary table';
+            }
+            foreach ($element['union_result']['query_specifications'] ?? [] as $specification) {
+                if (isset($specification['query_block'])) {
+                    $node['children'][] = $this->mysqlQueryBlock($specification['query_block']);
+                }
+            }
+            $children[] = $node;
+        }
+
+        return $children;
+    }
+
+    /**
+     * Convert a MySQL table access into a node
+     *
+     * @param array $table Table element of the JSON plan
+     * @return array Plan node
+     */
+    private function mysqlTable(array $table): array
+    {
+        $accessType = $table['access_type'] ?? null;
+        $node = $this->node(self::MYSQL_ACCESS_TYPES[$accessType] ?? 'Table access');
+        $node['table'] = $table['table_name'] ?? null;
+        $node['index'] = $table['key'] ?? null;
+        $node['rows'] = $this->number($table['rows_examined_per_scan'] ?? null);
+        $node['cost'] = $this->number($table['cost_info']['prefix_cost'] ?? null);
+        $node['details'] = array_filter([
+            'access_type' => $accessType,
+            'possible_keys' => is_array($table['possible_keys'] ?? null)
+                ? implode(', ', $table['possible_keys'])
+                : ($table['possible_keys'] ?? null),
+            'used_key_parts' => isset($table['used_key_parts']) ? implode(', ', $table['used_key_parts']) : null,
+            'filtered' => $table['filtered'] ?? null,
+            'condition' => $table['attached_condition'] ?? null,
+            'extra' => $table['extra'] ?? null,
+        ], fn($value) => $value !== null && $value !== '');
+
+        if ($accessType === 'ALL') {
+            $node['full_scan'] = true;
+            $node['warnings'][] = 'Full table scan on ' . ($node['table'] ?? 'table');
+        }
+
+        foreach (['materialized_from_subquery', 'attached_subqueries', 'optimized_away_subqueries'] as $key) {
+            $subqueries = $table[$key] ?? [];
+            if (isset($subqueries['query_block'])) {
+                $subqueries = [$subqueries];
+            }
+            foreach ($subqueries as $subquery) {
+                if (isset($subquery['query_block'])) {
+                    $node['children'][] = $this->mysqlQueryBlock($subquery['query_block']);
+                }
+            }
+        }
+
+        return $node;
+    }
+
+    /**
+     * Parse the indented text tree produced by MySQL EXPLAIN ANALYZE and FORMAT=TREE
+     *
+     * @param string $output Plan text
+     * @return array Root plan nodes
+     */
+    private function mysqlTree(string $output): array
+    {
+        $roots = [];
+        $stack = [];
+        $number = '(\d+(?:\.\d+)?(?:e[+-]?\d+)?)';
+
+        foreach (preg_split('/\R/', $output) as $line) {
+            if (!preg_match('/^(\s*)-> (.*)$/', $line, $match)) {
+                continue;
+            }
+
+            $indent = strlen($match[1]);
+            $text = $match[2];
+            $node = $this->node($text);
+
+            if (preg_match("/\\(cost={$number}(?:\\.\\.{$number})? rows={$number}\\)/", $text, $cost)) {
+                $node['cost'] = $this->number($cost[2] !== '' ? $cost[2] : $cost[1]);
+                $node['rows'] = $this->number($cost[3]);
+            }
+            $actualPattern = "/\\(actual time={$number}\\.\\.{$number} rows={$number} loops=(\\d+)\\)/";
+            if (preg_match($actualPattern, $text, $actual)) {
+                $node['actual_time'] = $this->number($actual[2]);
+                $node['actual_rows'] = $this->number($actual[3]);
+                $node['loops'] = (int) $actual[4];
+            }
+
+            $node['operation'] = trim(
+                preg_replace('/\s*\((?:cost|actual time)=[^)]*\)|\s*\(never executed\)/', '', $text)
+            );
+            if (preg_match('/ on `?([\w$]+)`?/', $node['operation'], $table)) {
+                $node['table'] = $table[1];
+            }
+            if (preg_match('/ using `?([\w$]+)`?/', $node['operation'], $index)) {
+                $node['index'] = $index[1];
+            }
+            if (str_starts_with($node['operation'], 'Table scan on')) {
+                $node['full_scan'] = true;
+                $node['warnings'][] = 'Full table scan on ' . ($node['table'] ?? 'table');
+            }
+            $this->checkEstimate($node);
+
+            while ($stack && end($stack)['indent'] >= $indent) {
+                $this->attach($roots, $stack);
+            }
+            $stack[] = ['indent' => $indent, 'node' => $node];
+        }
+
+        while ($stack) {
+            $this->attach($roots, $stack);
+        }
+
+        return $roots;
+    }
+
+    /**
+     * Pop the innermost node off the parse stack and attach it to its parent
+     *
+     * @param array $roots Root nodes
+     * @param array $stack Parse stack of ['indent' => int, 'node' => array]
+     */
+    private function attach(array &$roots, array &$stack): void
+    {
+        $entry = array_pop($stack);
+
+        if ($stack) {
+            $stack[count($stack) - 1]['node']['children'][] = $entry['node'];
+        } else {
+            $roots[] = $entry['node'];
+        }
+    }
+
+    /**
+     * Convert a PostgreSQL JSON plan node into a node
+     *
+     * @param array $plan PostgreSQL "Plan" element
+     * @return array Plan node
+     */
+    private function pgsqlNode(array $plan): array
+    {
+        $type = $plan['Node Type'] ?? 'Unknown';
+        $operation = isset($plan['Join Type']) && str_ends_with($type, 'Join')
+            ? $type . ' (' . $plan['Join Type'] . ')'
+            : $type;
+
+        $node = $this->node($operation);
+        $node['table'] = $plan['Relation Name'] ?? null;
+        $node['index'] = $plan['Index Name'] ?? null;
+        $node['cost'] = $this->number($plan['Total Cost'] ?? null);
+        $node['rows'] = $this->number($plan['Plan Rows'] ?? null);
+        $node['actual_time'] = $this->number($plan['Actual Total Time'] ?? null);
+        $node['actual_rows'] = $this->number($plan['Actual Rows'] ?? null);
+        $node['loops'] = isset($plan['Actual Loops']) ? (int) $plan['Actual Loops'] : null;
+
+        foreach (
+            ['Alias', 'Startup Cost', 'Filter', 'Index Cond', 'Hash Cond', 'Merge Cond', 'Join Filter',
+                'Recheck Cond', 'Sort Key', 'Group Key', 'Sort Method', 'Rows Removed by Filter'] as $key
+        ) {
+            if (isset($plan[$key])) {
+                $node['details'][$key] = is_array($plan[$key]) ? implode(', ', $plan[$key]) : $plan[$key];
+            }
+        }
+
+        if ($type === 'Seq Scan') {
+            $node['full_scan'] = true;
+            $node['warnings'][] = 'Full table scan on ' . ($node['table'] ?? 'table');
+        }
+        if (isset($plan['Sort Space Type']) && $plan['Sort Space Type'] === 'Disk') {
+            $node['warnings'][] = 'Sort spilled to disk';
+        }
+        $this->checkEstimate($node);
+
+        foreach ($plan['Plans'] ?? [] as $child) {
+            $node['children'][] = $this->pgsqlNode($child);
+        }
+
+        return $node;
+    }
+
+    /**
+     * Build SQLite plan nodes from EXPLAIN QUERY PLAN rows
+     *
+     * @param array $rows Rows with id, parent and detail columns
+     * @return array Root plan nodes
+     */
+    private function buildSQLite(array $rows): array
+    {
+        $nodes = [];
+        $parents = [];
+
+        foreach ($rows as $row) {
+            $detail = (string) ($row['detail'] ?? '');
+            $node = $this->node($detail);
+
+            if (preg_match('/^(?:SCAN|SEARCH)(?: TABLE)? (\S+)/', $detail, $table)) {
+                $node['table'] = $table[1];
+            }
+            if (preg_match('/USING (?:[A-Z ]+ )?INDEX (\S+)/', $detail, $index)) {
+                $node['index'] = $index[1];
+            }
+            if (str_starts_with($detail, 'SCAN') && !str_contains($detail, 'INDEX') && $node['table'] !== null) {
+                $node['full_scan'] = true;
+                $node['warnings'][] = 'Full table scan on ' . $node['table'];
+            }
+            if (str_contains($detail, 'USE TEMP B-TREE')) {
+                $node['warnings'][] = 'Uses a temporary B-tree';
+            }
+            if (str_contains($detail, 'AUTOMATIC')) {
+                $node['warnings'][] = 'Builds an automatic index at query time';
+            }
+
+            $id = (int) ($row['id'] ?? count($nodes));
+            $nodes[$id] = $node;
+            $parents[$id] = (int) ($row['parent'] ?? 0);
+        }
+
+        // Attach children deepest-first so each subtree is complete before it is moved
+        foreach (array_reverse(array_keys($nodes), true) as $id) {
+            $parent = $parents[$id];
+            if ($parent !== 0 && isset($nodes[$parent])) {
+                array_unshift($nodes[$parent]['children'], $nodes[$id]);
+                unset($nodes[$id]);
+            }
+        }
+
+        return array_values($nodes);
+    }
+
+    /**
+     * Warn when analyzed rows differ widely from the planner's estimate
+     *
+     * @param array $node Plan node
+     */
+    private function checkEstimate(array &$node): void
+    {
+        if ($node['actual_rows'] === null || $node['rows'] === null || $node['loops'] === 0) {
+            return;
+        }
+
+        $estimated = max($node['rows'], 1);
+        $actual = max($node['actual_rows'], 1);
+
+        if ($actual / $estimated >= self::ESTIMATE_TOLERANCE || $estimated / $actual >= self::ESTIMATE_TOLERANCE) {
+            $node['warnings'][] = sprintf(
+                'Row estimate is off: expected %s, got %s',
+                $node['rows'],
+                $node['actual_rows']
+            );
+        }
+    }
+
+    /**
+     * Collect warnings from a list of nodes and their descendants
+     *
+     * @param array $nodes Plan nodes
+     * @return array<string> Warnings in tree order
+     */
+    private function collectWarnings(array $nodes): array
+    {
+        $warnings = [];
+
+        foreach ($nodes as $node) {
+            $warnings = array_merge($warnings, $node['warnings'], $this->collectWarnings($node['children']));
+        }
+
+        return $warnings;
+    }
+
+    /**
+     * Create an empty plan node
+     *
+     * @param string $operation Operation label
+     * @return array Plan node
+     */
+    private function node(string $operation): array
+    {
+        return [
+            'operation' => $operation,
+            'table' => null,
+            'index' => null,
+            'cost' => null,
+            'rows' => null,
+            'actual_rows' => null,
+            'actual_time' => null,
+            'loops' => null,
+            'full_scan' => false,
+            'warnings' => [],
+            'details' => [],
+            'children' => [],
+        ];
+    }
+
+    /**
+     * Convert a numeric plan value to a float
+     *
+     * @param mixed $value Raw value (MySQL reports costs as strings)
+     * @return float|null Numeric value, or null when missing
+     */
+    private function number(mixed $value): ?float
+    {
+        return is_numeric($value) ? (float) $value : null;
+    }
+}
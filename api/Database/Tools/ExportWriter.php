@@ -0,0 +1,402 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+/**
+ * Export Writer
+ *
+ * Serializes rows for streamed data exports one row at a time, so an export
+ * never holds more than a single row (or one INSERT batch) in memory:
+ * - csv: RFC 4180 with a header row
+ * - ndjson: one JSON object per line
+ * - xlsx: a workbook with inline strings, continued on a new sheet when a sheet is full
+ * - sql: multi-row INSERT statements for the exported table
+ *
+ * Every method returns the bytes to send; the caller decides where they go.
+ */
+class ExportWriter
+{
+    /** @var array<string> Supported formats */
+    public const FORMATS = ['csv', 'ndjson', 'xlsx', 'sql'];
+
+    /** @var int Rows per worksheet, including the header row (Excel limit) */
+    private const XLSX_SHEET_ROWS = 1048576;
+
+    /** @var int Characters per cell (Excel limit) */
+    private const XLSX_CELL_LENGTH = 32767;
+
+    /** @var int Rows per INSERT statement */
+    private const SQL_BATCH_SIZE = 100;
+
+    /** @var string Export format */
+    private string $format;
+
+    /** @var string Database driver name used for SQL quoting */
+    private string $driver;
+
+    /** @var string Table name used for INSERT statements and sheet names */
+    private string $table;
+
+    /** @var array<string> Column names */
+    private array $columns = [];
+
+    /** @var array<array> Rows waiting for the next INSERT statement */
+    private array $batch = [];
+
+    /** @var ZipStreamWriter|null Archive of the XLSX workbook */
+    private ?ZipStreamWriter $zip = null;
+
+    /** @var int Number of worksheets started */
+    private int $sheets = 0;
+
+    /** @var int Rows written to the current worksheet */
+    private int $sheetRows = 0;
+
+    /**
+     * Initialize the writer
+     *
+     * @param string $format One of FORMATS
+     * @param string $driver Database driver name (mysql, pgsql, sqlite)
+     * @param string $table Table name for INSERT statements and sheet names
+     * @throws \InvalidArgumentException If the format is not supported
+     */
+    public function __construct(string $format, string $driver = 'mysql', string $table = 'export')
+    {
+        if (!in_array($format, self::FORMATS, true)) {
+            throw new \InvalidArgumentException("Unsupported export format: {$format}");
+        }
+
+        $this->format = $format;
+        $this->driver = strtolower($driver);
+        $this->table = $table;
+    }
+
+    /**
+     * Get the MIME type of the output
+     *
+     * @return string Content type
+     */
+    public function contentType(): string
+    {
+        return match ($this->format) {
+            'csv' => 'text/csv; charset=utf-8',
+            'ndjson' => 'application/x-ndjson',
+            'xlsx' => 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'sql' => 'application/sql; charset=utf-8',
+        };
+    }
+
+    /**
+     * Get the file extension of the output
+     *
+     * @return string Extension without dot
+     */
+    public function extension(): string
+    {
+        return $this->format;
+    }
+
+    /**
+     * Start the export
+     *
+     * @param array<string> $columns Column names in output order
+     * @return string Output bytes
+     */
+    public function begin(array $columns): string
+    {
+        $this->columns = array_values(array_map('strval', $columns));
+
+        return match ($this->format) {
+            'csv' => $this->csvLine($this->columns),
+            'xlsx' => $this->beginSheet(),
+            default => '',
+        };
+    }
+
+    /**
+     * Write one row
+     *
+     * @param array $row Row keyed by column name
+     * @return string Output bytes
+     */
+    public function write(array $row): string
+    {
+        $values = array_map(fn($column) => $row[$column] ?? null, $this->columns);
+
+        switch ($this->format) {
+            case 'csv':
+                return $this->csvLine($values);
+
+            case 'ndjson':
+                $json = json_encode(
+                    array_combine($this->columns, $values),
+                    JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES | JSON_INVALID_UTF8_SUBSTITUTE
+                );
+                return $json . "\n";
+
+            case 'xlsx':
+                $output = '';
+                if ($this->sheetRows >= self::XLSX_SHEET_ROWS) {
+                    $output = $this->endSheet() . $this->beginSheet();
+                }
+                return $output . $this->zip->write($this->xlsxRow($values));
+
+            default:
+                $this->batch[] = $values;
+                return count($this->batch) >= self::SQL_BATCH_SIZE ? $this->flushInserts() : '';
+        }
+    }
+
+    /**
+     * Finish the export
+     *
+     * @return string Remaining output bytes
+     */
+    public function finish(): string
+    {
+        return match ($this->format) {
+            'xlsx' => $this->finishWorkbook(),
+            'sql' => $this->flushInserts(),
+            default => '',
+        };
+    }
+
+    /**
+     * Format a CSV line
+     *
+     * @param array $values Cell values
+     * @return string Line with CRLF ending
+     */
+    private function csvLine(array $values): string
+    {
+        $cells = array_map(function ($value) {
+            if ($value === null) {
+                return '';
+            }
+            if (is_bool($value)) {
+                return $value ? '1' : '0';
+            }
+
+            $value = (string) $value;
+            if ($value === '' || strpbrk($value, "\",\r\n") === false) {
+                return $value;
+            }
+
+            return '"' . str_replace('"', '""', $value) . '"';
+        }, $values);
+
+        return implode(',', $cells) . "\r\n";
+    }
+
+    /**
+     * Write the pending rows as one INSERT statement
+     *
+     * @return string INSERT statement, or an empty string when no rows are pending
+     */
+    private function flushInserts(): string
+    {
+        if (empty($this->batch)) {
+            return '';
+        }
+
+        $columns = implode(', ', array_map([$this, 'quoteIdentifier'], $this->columns));
+        $rows = array_map(
+            fn($values) => '(' . implode(', ', array_map([$this, 'sqlLiteral'], $values)) . ')',
+            $this->batch
+        );
+        $this->batch = [];
+
+        return 'INSERT INTO ' . $this->quoteIdentifier($this->table) . " ({$columns}) VALUES\n"
+            . implode(",\n", $rows) . ";\n";
+    }
+
+    /**
+     * Quote an identifier for the target dialect
+     *
+     * @param string $identifier Identifier
+     * @return string Quoted identifier
+     */
+    private function quoteIdentifier(string $identifier): string
+    {
+        if ($this->driver === 'mysql') {
+            return '`' . str_replace('`', '``', $identifier) . '`';
+        }
+
+        return '"' . str_replace('"', '""', $identifier) . '"';
+    }
+
+    /**
+     * Format a value as an SQL literal for the target dialect
+     *
+     * @param mixed $value Value
+     * @return string Literal
+     */
+    private function sqlLiteral(mixed $value): string
+    {
+        if ($value === null) {
+            return 'NULL';
+        }
+        if (is_bool($value)) {
+            return $this->driver === 'pgsql' ? ($value ? 'TRUE' : 'FALSE') : ($value ? '1' : '0');
+        }
+        if (is_int($value) || is_float($value)) {
+            return (string) $value;
+        }
+
+        $value = (string) $value;
+
+        // Binary data is written as hex so the file stays valid text
+        if (!mb_check_encoding($value, 'UTF-8') || str_contains($value, "\0")) {
+            $hex = bin2hex($value);
+            return $this->driver === 'pgsql' ? "decode('{$hex}', 'hex')" : "X'{$hex}'";
+        }
+
+        if ($this->driver === 'mysql') {
+            $value = str_replace('\\', '\\\\', $value);
+        }
+
+        return "'" . str_replace("'", "''", $value) . "'";
+    }
+
+    /**
+     * Start a worksheet and write the header row
+     *
+     * @return string Archive bytes
+     */
+    private function beginSheet(): string
+    {
+        $this->zip ??= new ZipStreamWriter();
+        $this->sheets++;
+        $this->sheetRows = 1;
+
+        return $this->zip->beginFile("xl/worksheets/sheet{$this->sheets}.xml")
+            . $this->zip->write(
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n"
+                . '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>'
+                . $this->xlsxRow($this->columns, false)
+            );
+    }
+
+    /**
+     * End the current worksheet
+     *
+     * @return string Archive bytes
+     */
+    private function endSheet(): string
+    {
+        return $this->zip->write('</sheetData></worksheet>') . $this->zip->endFile();
+    }
+
+    /**
+     * Format a worksheet row
+     *
+     * @param array $values Cell values
+     * @param bool $count Whether the row counts towards the sheet limit
+     * @return string Row XML
+     */
+    private function xlsxRow(array $values, bool $count = true): string
+    {
+        if ($count) {
+            $this->sheetRows++;
+        }
+
+        $cells = '';
+        foreach ($values as $value) {
+            if ($value === null || $value === '') {
+                $cells .= '<c/>';
+            } elseif (is_int($value) || is_float($value) || is_bool($value)) {
+                $cells .= '<c><v>' . (is_bool($value) ? (int) $value : $value) . '</v></c>';
+            } elseif (preg_match('/\A-?(?:0|[1-9]\d{0,14})(?:\.\d+)?\z/', $value)) {
+                // Numbers that survive a round trip through a double; IDs with leading zeros stay text
+                $cells .= "<c><v>{$value}</v></c>";
+            } else {
+                $cells .= '<c t="inlineStr"><is><t xml:space="preserve">' . $this->xmlText($value) . '</t></is></c>';
+            }
+        }
+
+        return "<row>{$cells}</row>";
+    }
+
+    /**
+     * Escape cell text for XML
+     *
+     * @param string $value Cell text
+     * @return string Escaped text without characters XML cannot represent
+     */
+    private function xmlText(string $value): string
+    {
+        $value = mb_substr(mb_scrub($value, 'UTF-8'), 0, self::XLSX_CELL_LENGTH);
+        $value = preg_replace('/[\x00-\x08\x0B\x0C\x0E-\x1F]/', '', $value);
+
+        return htmlspecialchars($value, ENT_XML1 | ENT_QUOTES, 'UTF-8');
+    }
+
+    /**
+     * Close the last worksheet and write the workbook parts
+     *
+     * @return string Archive bytes
+     */
+    private function finishWorkbook(): string
+    {
+        $output = $this->zip === null ? $this->beginSheet() : '';
+        $output .= $this->endSheet();
+
+        $xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' . "\n";
+        $main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+        $package = 'http://schemas.openxmlformats.org/package/2006';
+        $relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+        $sheetType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml';
+
+        $overrides = '';
+        $sheets = '';
+        $links = '';
+        $name = $this->sheetName();
+
+        for ($i = 1; $i <= $this->sheets; $i++) {
+            $title = $this->sheets > 1 ? mb_substr($name, 0, 26) . " ({$i})" : $name;
+            $overrides .= "<Override PartName=\"/xl/worksheets/sheet{$i}.xml\" ContentType=\"{$sheetType}\"/>";
+            $sheets .= '<sheet name="' . htmlspecialchars($title, ENT_XML1 | ENT_QUOTES, 'UTF-8')
+                . "\" sheetId=\"{$i}\" r:id=\"rId{$i}\"/>";
+            $links .= "<Relationship Id=\"rId{$i}\" Type=\"{$relationships}/worksheet\""
+                . " Target=\"worksheets/sheet{$i}.xml\"/>";
+        }
+
+        $output .= $this->zip->addFile(
+            '[Content_Types].xml',
+            $xml . "<Types xmlns=\"{$package}/content-types\">"
+                . '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                . '<Default Extension="xml" ContentType="application/xml"/>'
+                . '<Override PartName="/xl/workbook.xml"'
+                . ' ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                . $overrides . '</Types>'
+        );
+        $output .= $this->zip->addFile(
+            '_rels/.rels',
+            $xml . "<Relationships xmlns=\"{$package}/relationships\">"
+                . "<Relationship Id=\"rId1\" Type=\"{$relationships}/officeDocument\" Target=\"xl/workbook.xml\"/>"
+                . '</Relationships>'
+        );
+        $output .= $this->zip->addFile(
+            'xl/workbook.xml',
+            $xml . "<workbook xmlns=\"{$main}\" xmlns:r=\"{$relationships}\"><sheets>{$sheets}</sheets></workbook>"
+        );
+        $output .= $this->zip->addFile(
+            'xl/_rels/workbook.xml.rels',
+            $xml . "<Relationships xmlns=\"{$package}/relationships\">{$links}</Relationships>"
+        );
+
+        return $output . $this->zip->finish();
+    }
+
+    /**
+     * Get a valid worksheet name for the table
+     *
+     * @return string Sheet name of at most 31 characters
+     */
+    private function sheetName(): string
+    {
+        $name = trim(preg_replace('/[\[\]:*?\/\\\\]/', ' ', $this->table), " '");
+
+        return $name === '' ? 'Export' : mb_substr($name, 0, 31);
+    }
+}
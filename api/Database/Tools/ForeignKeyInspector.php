@@ -0,0 +1,313 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+use Glueful\Database\Connection;
+use PDO;
+
+/**
+ * Foreign Key Inspector
+ *
+ * Follows foreign keys in the reverse direction, from a referenced row to
+ * the rows that point at it:
+ * - Lists and counts the rows of other tables that reference a row
+ * - Works out what deleting rows would do to referencing rows, following
+ *   ON DELETE CASCADE chains and collecting SET NULL and RESTRICT effects
+ *
+ * Rows affected at each level are selected with nested IN subqueries, so the
+ * database does the work and no keys have to be loaded into PHP.
+ */
+class ForeignKeyInspector
+{
+    /** @var int Deepest cascade level that is followed */
+    public const MAX_DEPTH = 5;
+
+    /** @var array<string> Actions that prevent deleting referenced rows */
+    private const BLOCKING_ACTIONS = ['RESTRICT', 'NO ACTION'];
+
+    /** @var Connection Database connection */
+    private Connection $connection;
+
+    /** @var PDO Active database connection */
+    private PDO $pdo;
+
+    /** @var array<array> Foreign keys of the whole schema */
+    private array $foreignKeys;
+
+    /**
+     * Constructor
+     *
+     * @param Connection $connection Database connection
+     * @param array<array> $foreignKeys Foreign keys as returned by edges()
+     */
+    public function __construct(Connection $connection, array $foreignKeys)
+    {
+        $this->connection = $connection;
+        $this->pdo = $connection->getPDO();
+        $this->foreignKeys = $foreignKeys;
+    }
+
+    /**
+     * Extract the foreign keys of a table from its column metadata
+     *
+     * @param string $table Table name
+     * @param array $columns Columns as returned by the schema manager
+     * @return array<array> Foreign keys with normalized actions
+     */
+    public static function edges(string $table, array $columns): array
+    {
+        $edges = [];
+
+        foreach ($columns as $column) {
+            foreach ($column['relationships'] ?? [] as $relationship) {
+                $edges[] = [
+                    'table' => $table,
+                    'column' => $column['name'],
+                    'references_table' => $relationship['references_table'],
+                    'references_column' => $relationship['references_column'],
+                    'on_delete' => self::normalizeAction($relationship['on_delete'] ?? null),
+                    'constraint' => $relationship['constraint'] ?? null,
+                ];
+            }
+        }
+
+        return $edges;
+    }
+
+    /**
+     * Get the foreign keys that point at a table
+     *
+     * @param string $table Referenced table
+     * @return array<array> Foreign keys
+     */
+    public function referencing(string $table): array
+    {
+        return array_values(array_filter(
+            $this->foreignKeys,
+            fn (array $foreignKey) => $foreignKey['references_table'] === $table
+        ));
+    }
+
+    /**
+     * Get the rows of other tables that reference a row
+     *
+     * @param string $table Referenced table
+     * @param array $row Referenced row
+     * @param int $limit Rows returned per foreign key
+     * @return array<array> One entry per foreign key with a total count and the first rows
+     */
+    public function referencingRows(string $table, array $row, int $limit = 5): array
+    {
+        $groups = [];
+
+        foreach ($this->referencing($table) as $foreignKey) {
+            $value = $row[$foreignKey['references_column']] ?? null;
+            if ($value === null) {
+                continue;
+            }
+
+            $where = $this->wrap($foreignKey['column']) . ' = ?';
+            $rows = $this->fetchAll(
+                'SELECT * FROM ' . $this->wrap($foreignKey['table']) . " WHERE {$where} LIMIT " . max(0, $limit),
+                [$value]
+            );
+
+            $groups[] = [
+                'table' => $foreignKey['table'],
+                'column' => $foreignKey['column'],
+                'references_column' => $foreignKey['references_column'],
+                'on_delete' => $foreignKey['on_delete'],
+                'value' => $value,
+                'count' => $this->count($foreignKey['table'], $where, [$value]),
+                'rows' => $rows,
+            ];
+        }
+
+        return $groups;
+    }
+
+    /**
+     * Work out what deleting rows would do to the rows that reference them
+     *
+     * Counts are estimates when rows are reached through more than one path,
+     * because every path is counted.
+     *
+     * @param string $table Table the rows are deleted from
+     * @param string $keyColumn Column the IDs belong to
+     * @param array $ids Values of the key column
+     * @return array Effects tree and per-table totals
+     */
+    public function deleteImpact(string $table, string $keyColumn, array $ids): array
+    {
+        $ids = array_values($ids);
+        $where = $this->wrap($keyColumn) . ' IN (' . implode(', ', array_fill(0, count($ids), '?')) . ')';
+        $count = $ids === [] ? 0 : $this->count($table, $where, $ids);
+
+        $effects = $ids === [] ? [] : $this->effectsOf($table, $where, $ids, self::MAX_DEPTH);
+
+        $impact = [
+            'table' => $table,
+            'count' => $count,
+            'enforced' => $this->foreignKeysEnforced(),
+            'deleted' => [$table => $count],
+            'updated' => [],
+            'blocking' => [],
+            'truncated' => false,
+            'effects' => $effects,
+        ];
+
+        $this->summarize($effects, $impact);
+        $impact['blocked'] = $impact['enforced'] && $impact['blocking'] !== [];
+
+        return $impact;
+    }
+
+    /**
+     * Collect the effects of deleting the rows of a table matched by a condition
+     *
+     * @param string $table Table the rows are deleted from
+     * @param string $where Condition selecting the rows
+     * @param array $bindings Condition bindings
+     * @param int $depth Cascade levels left to follow
+     * @return array<array> Effects on referencing tables
+     */
+    private function effectsOf(string $table, string $where, array $bindings, int $depth): array
+    {
+        $effects = [];
+
+        foreach ($this->referencing($table) as $foreignKey) {
+            $childWhere = $this->wrap($foreignKey['column']) . ' IN (SELECT '
+                . $this->wrap($foreignKey['references_column']) . ' FROM ' . $this->wrap($table)
+                . " WHERE {$where})";
+
+            $count = $this->count($foreignKey['table'], $childWhere, $bindings);
+            if ($count === 0) {
+                continue;
+            }
+
+            $effect = [
+                'table' => $foreignKey['table'],
+                'column' => $foreignKey['column'],
+                'references_table' => $table,
+                'references_column' => $foreignKey['references_column'],
+                'on_delete' => $foreignKey['on_delete'],
+                'count' => $count,
+                'truncated' => false,
+                'effects' => [],
+            ];
+
+            if ($foreignKey['on_delete'] === 'CASCADE') {
+                if ($depth > 1) {
+                    $effect['effects'] = $this->effectsOf($foreignKey['table'], $childWhere, $bindings, $depth - 1);
+                } else {
+                    $effect['truncated'] = $this->referencing($foreignKey['table']) !== [];
+                }
+            }
+
+            $effects[] = $effect;
+        }
+
+        return $effects;
+    }
+
+    /**
+     * Add the effects of a tree to the totals
+     *
+     * @param array<array> $effects Effects tree
+     * @param array $impact Totals being built
+     */
+    private function summarize(array $effects, array &$impact): void
+    {
+        foreach ($effects as $effect) {
+            $table = $effect['table'];
+
+            if ($effect['on_delete'] === 'CASCADE') {
+                $impact['deleted'][$table] = ($impact['deleted'][$table] ?? 0) + $effect['count'];
+            } elseif (in_array($effect['on_delete'], self::BLOCKING_ACTIONS, true)) {
+                $impact['blocking'][] = [
+                    'table' => $table,
+                    'column' => $effect['column'],
+                    'on_delete' => $effect['on_delete'],
+                    'count' => $effect['count'],
+                ];
+            } else {
+                $key = $table . '.' . $effect['column'];
+                $impact['updated'][$key] = ($impact['updated'][$key] ?? 0) + $effect['count'];
+            }
+
+            $impact['truncated'] = $impact['truncated'] || $effect['truncated'];
+            $this->summarize($effect['effects'], $impact);
+        }
+    }
+
+    /**
+     * Check whether the database enforces foreign keys
+     *
+     * SQLite only does when the foreign_keys pragma is on.
+     *
+     * @return bool True if deletes are checked against foreign keys
+     */
+    private function foreignKeysEnforced(): bool
+    {
+        if ($this->connection->getDriverName() !== 'sqlite') {
+            return true;
+        }
+
+        return (int)$this->pdo->query('PRAGMA foreign_keys')->fetchColumn() === 1;
+    }
+
+    /**
+     * Count the rows of a table matched by a condition
+     *
+     * @param string $table Table name
+     * @param string $where Condition
+     * @param array $bindings Condition bindings
+     * @return int Row count
+     */
+    private function count(string $table, string $where, array $bindings): int
+    {
+        $stmt = $this->pdo->prepare('SELECT COUNT(*) FROM ' . $this->wrap($table) . " WHERE {$where}");
+        $stmt->execute($bindings);
+
+        return (int)$stmt->fetchColumn();
+    }
+
+    /**
+     * Run a query and fetch all rows
+     *
+     * @param string $sql SQL query
+     * @param array $bindings Positional bindings
+     * @return array<array> Rows
+     */
+    private function fetchAll(string $sql, array $bindings): array
+    {
+        $stmt = $this->pdo->prepare($sql);
+        $stmt->execute($bindings);
+
+        return $stmt->fetchAll(PDO::FETCH_ASSOC);
+    }
+
+    /**
+     * Quote an identifier for the current driver
+     *
+     * @param string $identifier Table or column name
+     * @return string Quoted identifier
+     */
+    private function wrap(string $identifier): string
+    {
+        return $this->connection->getDriver()->wrapIdentifier($identifier);
+    }
+
+    /**
+     * Normalize a referential action name
+     *
+     * @param string|null $action Action as reported by the database
+     * @return string Upper-case action, NO ACTION when unknown
+     */
+    private static function normalizeAction(?string $action): string
+    {
+        $action = strtoupper(trim(str_replace('_', ' ', (string)$action)));
+
+        return $action === '' ? 'NO ACTION' : $action;
+    }
+}
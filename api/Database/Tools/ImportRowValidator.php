@@ -0,0 +1,256 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+/**
+ * Import Row Validator
+ *
+ * Checks imported rows against the column metadata of the target table
+ * before anything is written:
+ * - Required columns (NOT NULL without a default or generated value)
+ * - Integer, decimal, boolean, date/time and JSON values
+ * - Maximum length of character columns and allowed ENUM values
+ *
+ * CSV files carry every value as a string, so values are also normalized:
+ * empty strings become NULL for non-text columns and booleans become 1/0.
+ */
+class ImportRowValidator
+{
+    /** @var array<string, array> Column metadata keyed by column name */
+    private array $columns = [];
+
+    /**
+     * Constructor
+     *
+     * @param array $columns Columns as returned by the schema manager
+     */
+    public function __construct(array $columns)
+    {
+        foreach ($columns as $column) {
+            $this->columns[$column['name']] = $column;
+        }
+    }
+
+    /**
+     * Validate and normalize a row
+     *
+     * @param array $row Column values keyed by column name
+     * @param bool $complete Whether the row is inserted, so missing required columns are errors
+     * @return array{row: array, errors: array<string, string>} Normalized row and errors keyed by column
+     */
+    public function validate(array $row, bool $complete = true): array
+    {
+        $normalized = [];
+        $errors = [];
+
+        foreach ($row as $name => $value) {
+            if (!isset($this->columns[$name])) {
+                continue;
+            }
+
+            $column = $this->columns[$name];
+            $value = $this->normalize($column, $value);
+            $normalized[$name] = $value;
+
+            if ($value === null) {
+                if ($this->isRequired($column)) {
+                    $errors[$name] = 'A value is required';
+                }
+                continue;
+            }
+
+            $error = $this->check($column, $value);
+            if ($error !== null) {
+                $errors[$name] = $error;
+            }
+        }
+
+        if ($complete) {
+            foreach ($this->columns as $name => $column) {
+                if (!array_key_exists($name, $normalized) && $this->isRequired($column)) {
+                    $errors[$name] = 'A value is required';
+                }
+            }
+        }
+
+        return ['row' => $normalized, 'errors' => $errors];
+    }
+
+    /**
+     * Check whether a column must be given a value
+     *
+     * @param array $column Column metadata
+     * @return bool True when the column is NOT NULL and has no default or generated value
+     */
+    public function isRequired(array $column): bool
+    {
+        return empty($column['nullable'])
+            && ($column['default'] ?? null) === null
+            && !$this->isGenerated($column);
+    }
+
+    /**
+     * Check whether the database fills a column by itself
+     *
+     * @param array $column Column metadata
+     * @return bool True for auto-increment, identity, serial and generated columns
+     */
+    private function isGenerated(array $column): bool
+    {
+        $extra = strtolower((string)($column['extra'] ?? ''));
+        $type = strtolower((string)($column['type'] ?? ''));
+
+        return str_contains($extra, 'auto_increment')
+            || str_contains($extra, 'generated')
+            || !empty($column['is_identity'])
+            || !empty($column['is_generated'])
+            || str_contains($type, 'serial')
+            // SQLite: an INTEGER PRIMARY KEY is an alias of the rowid
+            || (!empty($column['is_primary']) && $type === 'integer');
+    }
+
+    /**
+     * Normalize a raw value for a column
+     *
+     * @param array $column Column metadata
+     * @param mixed $value Raw value
+     * @return mixed Normalized value
+     */
+    private function normalize(array $column, mixed $value): mixed
+    {
+        if (is_string($value) && $this->kind($column) !== 'text') {
+            $value = trim($value);
+            if ($value === '') {
+                return null;
+            }
+        }
+
+        if ($value === null || $this->kind($column) !== 'boolean') {
+            return $value;
+        }
+
+        $boolean = filter_var($value, FILTER_VALIDATE_BOOLEAN, FILTER_NULL_ON_FAILURE);
+
+        return $boolean === null ? $value : (int)$boolean;
+    }
+
+    /**
+     * Check a value against its column type
+     *
+     * @param array $column Column metadata
+     * @param mixed $value Normalized value
+     * @return string|null Error message or null when the value is valid
+     */
+    private function check(array $column, mixed $value): ?string
+    {
+        $type = strtolower((string)($column['type'] ?? ''));
+
+        switch ($this->kind($column)) {
+            case 'integer':
+                if (filter_var($value, FILTER_VALIDATE_INT) === false) {
+                    return 'Must be a whole number';
+                }
+                if (str_contains($type, 'unsigned') && (int)$value < 0) {
+                    return 'Must not be negative';
+                }
+                return null;
+
+            case 'decimal':
+                return is_numeric($value) ? null : 'Must be a number';
+
+            case 'boolean':
+                return is_int($value) ? null : 'Must be true or false';
+
+            case 'date':
+                return $this->isDate((string)$value) ? null : 'Must be a valid date or time';
+
+            case 'json':
+                if (is_array($value)) {
+                    return null;
+                }
+                json_decode((string)$value);
+                return json_last_error() === JSON_ERROR_NONE ? null : 'Must be valid JSON';
+
+            case 'enum':
+                $allowed = $this->enumValues((string)$column['type']);
+                return in_array((string)$value, $allowed, true)
+                    ? null
+                    : 'Must be one of: ' . implode(', ', $allowed);
+        }
+
+        $length = $this->maxLength($column);
+        if ($length !== null && mb_strlen((string)$value) > $length) {
+            return "Must be at most {$length} characters";
+        }
+
+        return null;
+    }
+
+    /**
+     * Classify a column by the values it accepts
+     *
+     * @param array $column Column metadata
+     * @return string integer, decimal, boolean, date, json, enum or text
+     */
+    private function kind(array $column): string
+    {
+        $type = strtolower((string)($column['type'] ?? ''));
+
+        return match (true) {
+            str_starts_with($type, 'enum(') => 'enum',
+            str_contains($type, 'json') => 'json',
+            str_contains($type, 'bool') || str_starts_with($type, 'tinyint(1)') => 'boolean',
+            (bool)preg_match('/^(tiny|small|medium|big)?int(eger)?\b|^int\d|serial/', $type) => 'integer',
+            (bool)preg_match('/^(decimal|numeric|float|double|real)/', $type) => 'decimal',
+            (bool)preg_match('/^(date|time|timestamp|year)/', $type) => 'date',
+            default => 'text',
+        };
+    }
+
+    /**
+     * Get the maximum length of a character column
+     *
+     * @param array $column Column metadata
+     * @return int|null Length limit or null when unlimited
+     */
+    private function maxLength(array $column): ?int
+    {
+        if (!empty($column['max_length'])) {
+            return (int)$column['max_length'];
+        }
+
+        if (preg_match('/char(?:acter varying)?\s*\((\d+)\)/', strtolower((string)($column['type'] ?? '')), $match)) {
+            return (int)$match[1];
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse the values of an ENUM type
+     *
+     * @param string $type Column type, e.g. enum('a','b')
+     * @return array<string> Allowed values
+     */
+    private function enumValues(string $type): array
+    {
+        preg_match_all("/'((?:[^']|'')*)'/", $type, $matches);
+
+        return array_map(fn ($value) => str_replace("''", "'", $value), $matches[1]);
+    }
+
+    /**
+     * Check whether a string is a date, time or date-time
+     *
+     * @param string $value Value to check
+     * @return bool True if the value can be parsed
+     */
+    private function isDate(string $value): bool
+    {
+        if (preg_match('/^\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/', $value) || preg_match('/^\d{4}$/', $value)) {
+            return true;
+        }
+
+        return preg_match('/^\d{4}-\d{2}-\d{2}/', $value) === 1 && strtotime($value) !== false;
+    }
+}
@@ -0,0 +1,615 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+/**
+ * Migration Generator
+ *
+ * Turns a set of schema changes made in the admin schema editor into a
+ * migration class for the framework's migration system, so the same change
+ * can be applied to other environments instead of only the live database.
+ *
+ * Changes use the format of `/admin/db/preview-schema-changes`:
+ * add_column, drop_column, add_index, drop_index, add_foreign_key and
+ * drop_foreign_key. The down step of a drop is rebuilt from the current
+ * definition of the column, index or foreign key, so the generator needs the
+ * table's columns as returned by the schema manager before the change.
+ *
+ * Statements are ordered so foreign keys and indexes are dropped before the
+ * columns they use, and columns are added before indexes and foreign keys
+ * that need them.
+ */
+class MigrationGenerator
+{
+    /** @var array<string> Supported change types in the order they run in up() */
+    public const CHANGE_TYPES = [
+        'drop_foreign_key',
+        'drop_index',
+        'drop_column',
+        'add_column',
+        'add_index',
+        'add_foreign_key',
+    ];
+
+    /** @var array<string, string> Foreign key builder methods by ON DELETE rule */
+    private const DELETE_RULES = [
+        'CASCADE' => 'cascadeOnDelete',
+        'SET NULL' => 'nullOnDelete',
+        'RESTRICT' => 'restrictOnDelete',
+        'NO ACTION' => 'noActionOnDelete',
+    ];
+
+    /** @var array<string, string> Foreign key builder methods by ON UPDATE rule */
+    private const UPDATE_RULES = [
+        'CASCADE' => 'cascadeOnUpdate',
+        'SET NULL' => 'nullOnUpdate',
+        'RESTRICT' => 'restrictOnUpdate',
+        'NO ACTION' => 'noActionOnUpdate',
+    ];
+
+    /** @var string Altered table */
+    private string $table;
+
+    /** @var array<string, array> Current columns of the table by name */
+    private array $columns;
+
+    /**
+     * Constructor
+     *
+     * @param string $table Altered table
+     * @param array $columns Current columns as returned by the schema manager, with indexes and relationships
+     */
+    public function __construct(string $table, array $columns)
+    {
+        $this->table = $table;
+        $this->columns = array_column($columns, null, 'name');
+    }
+
+    /**
+     * Convert a `/admin/db/table/schema/update` request into a change list
+     *
+     * @param array $data Request with columns, indexes, foreign_keys and the deleted_* lists
+     * @return array Changes in the preview format
+     */
+    public static function changesFromUpdate(array $data): array
+    {
+        $table = (string)($data['table_name'] ?? '');
+        $changes = [];
+
+        foreach ($data['deleted_foreign_keys'] ?? [] as $name) {
+            $changes[] = ['type' => 'drop_foreign_key', 'constraint_name' => $name];
+        }
+        foreach ($data['deleted_indexes'] ?? [] as $name) {
+            $changes[] = ['type' => 'drop_index', 'index_name' => $name];
+        }
+        foreach ($data['deleted_columns'] ?? [] as $name) {
+            $changes[] = ['type' => 'drop_column', 'column_name' => $name];
+        }
+        foreach ($data['columns'] ?? [] as $column) {
+            $changes[] = [
+                'type' => 'add_column',
+                'column_name' => $column['name'] ?? null,
+                'column_type' => $column['type'] ?? null,
+                'options' => $column['options'] ?? [],
+            ];
+        }
+        foreach ($data['indexes'] ?? [] as $index) {
+            $columns = (array)($index['column'] ?? []);
+            $unique = strtolower((string)($index['type'] ?? '')) === 'unique';
+            $changes[] = [
+                'type' => 'add_index',
+                'index_name' => $index['name'] ?? sprintf(
+                    '%s_%s_%s',
+                    $table,
+                    implode('_', $columns),
+                    $unique ? 'unq' : 'idx'
+                ),
+                'columns' => $columns,
+                'unique' => $unique,
+            ];
+        }
+        foreach ($data['foreign_keys'] ?? [] as $fk) {
+            $changes[] = [
+                'type' => 'add_foreign_key',
+                'column_name' => $fk['column'] ?? null,
+                'references_table' => $fk['on'] ?? null,
+                'references_column' => $fk['references'] ?? null,
+                'constraint_name' => $fk['name'] ?? null,
+            ];
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Convert a snake_case migration name into a class name
+     *
+     * @param string $name Migration name such as add_subtitle_to_posts_table
+     * @return string Class name such as AddSubtitleToPostsTable
+     */
+    public static function className(string $name): string
+    {
+        return str_replace(' ', '', ucwords(str_replace('_', ' ', $name)));
+    }
+
+    /**
+     * Choose the file name of a new migration in a directory
+     *
+     * Files are numbered after the highest existing number, like the
+     * migrations in database/migrations, and named after the class so the
+     * migration manager can load them.
+     *
+     * @param string $directory Migrations directory
+     * @param string $className Migration class name
+     * @return string File name such as 011_AddSubtitleToPostsTable.php
+     * @throws \InvalidArgumentException If a migration with the same class name exists
+     */
+    public static function fileName(string $directory, string $className): string
+    {
+        $highest = 0;
+
+        foreach (glob(rtrim($directory, '/') . '/*.php') ?: [] as $file) {
+            $base = basename($file, '.php');
+            if (preg_replace('/^\d+_/', '', $base) === $className) {
+                throw new \InvalidArgumentException("A migration named {$className} already exists: {$base}.php");
+            }
+            if (preg_match('/^(\d+)_/', $base, $matches)) {
+                $highest = max($highest, (int)$matches[1]);
+            }
+        }
+
+        return sprintf('%03d_%s.php', $highest + 1, $className);
+    }
+
+    /**
+     * Generate the source of a migration class
+     *
+     * @param array $changes Changes in the preview format
+     * @param string $className Migration class name
+     * @param string|null $description Description stored with the applied migration
+     * @return string PHP source of the migration file
+     * @throws \InvalidArgumentException If a change is invalid or cannot be reversed
+     */
+    public function generate(array $changes, string $className, ?string $description = null): string
+    {
+        if (!preg_match('/^[A-Z][A-Za-z0-9]*$/', $className)) {
+            throw new \InvalidArgumentException("Invalid migration class name: {$className}");
+        }
+
+        $steps = array_map([$this, 'normalize'], array_values($changes));
+        if (empty($steps)) {
+            throw new \InvalidArgumentException('There are no schema changes to generate a migration from');
+        }
+
+        usort($steps, fn ($a, $b) => array_search($a['type'], self::CHANGE_TYPES, true)
+            <=> array_search($b['type'], self::CHANGE_TYPES, true));
+
+        $up = [];
+        $down = [];
+        foreach ($steps as $step) {
+            $up[$step['type']][] = $this->upStatement($step);
+            $down[$step['type']][] = $this->downStatement($step);
+        }
+
+        $summary = implode("\n", array_map(fn ($step) => ' * - ' . $step['summary'], $steps));
+        $description ??= "Alter {$this->table}: " . implode(', ', array_column($steps, 'summary'));
+
+        return $this->render($className, $summary, $description, $up, array_reverse($down, true));
+    }
+
+    /**
+     * Validate a change and fill in what its up and down steps need
+     *
+     * @param mixed $change Change in the preview format
+     * @return array Normalized change with a summary line
+     * @throws \InvalidArgumentException If the change is invalid
+     */
+    private function normalize(mixed $change): array
+    {
+        $type = is_array($change) ? (string)($change['type'] ?? '') : '';
+        if (!in_array($type, self::CHANGE_TYPES, true)) {
+            throw new \InvalidArgumentException(
+                $type === ''
+                    ? 'Every change needs a type'
+                    : "Changes of type {$type} cannot be turned into a migration"
+            );
+        }
+
+        switch ($type) {
+            case 'add_column':
+                $name = $this->requireName($change['column_name'] ?? null, 'column');
+                $columnType = trim((string)($change['column_type'] ?? $change['definition'] ?? ''));
+                if ($columnType === '') {
+                    throw new \InvalidArgumentException("Column {$name} needs a type");
+                }
+                $options = $change['options'] ?? [];
+                $nullable = $options['nullable'] ?? true;
+                $default = $options['default'] ?? null;
+
+                return [
+                    'type' => $type,
+                    'column' => [
+                        'name' => $name,
+                        'type' => $columnType,
+                        'nullable' => is_string($nullable) ? strtoupper($nullable) !== 'NOT NULL' : (bool)$nullable,
+                        'default' => $default === '' ? null : $default,
+                        'primary' => !empty($options['primary']),
+                        'auto_increment' => !empty($options['autoIncrement']),
+                    ],
+                    'summary' => "Add column {$name} ({$columnType})",
+                ];
+
+            case 'drop_column':
+                $name = $this->requireName($change['column_name'] ?? null, 'column');
+                $column = $this->columns[$name] ?? null;
+                if ($column === null) {
+                    throw new \InvalidArgumentException("Column {$name} does not exist in {$this->table}");
+                }
+
+                return [
+                    'type' => $type,
+                    'column' => [
+                        'name' => $name,
+                        'type' => (string)$column['type'],
+                        'nullable' => !empty($column['nullable']),
+                        'default' => $column['default'] ?? null,
+                        'primary' => false,
+                        'auto_increment' => false,
+                    ],
+                    'summary' => "Drop column {$name}",
+                ];
+
+            case 'add_index':
+                $columns = array_values(array_filter((array)($change['columns'] ?? $change['column'] ?? [])));
+                if (empty($columns)) {
+                    throw new \InvalidArgumentException('An index needs at least one column');
+                }
+                $unique = !empty($change['unique'])
+                    || strtolower((string)($change['index_type'] ?? '')) === 'unique';
+                $name = $change['index_name'] ?? null;
+                $name = $this->requireName(
+                    $name ?: "{$this->table}_" . implode('_', $columns) . ($unique ? '_unq' : '_idx'),
+                    'index'
+                );
+
+                return [
+                    'type' => $type,
+                    'index' => ['name' => $name, 'columns' => $columns, 'unique' => $unique],
+                    'summary' => ($unique ? 'Add unique index ' : 'Add index ') . "{$name} on "
+                        . implode(', ', $columns),
+                ];
+
+            case 'drop_index':
+                $name = $this->requireName($change['index_name'] ?? null, 'index');
+
+                return [
+                    'type' => $type,
+                    'index' => $this->currentIndex($name),
+                    'summary' => "Drop index {$name}",
+                ];
+
+            case 'add_foreign_key':
+                $column = $this->requireName($change['column_name'] ?? $change['column'] ?? null, 'column');
+                $references = $this->requireName(
+                    $change['references_table'] ?? $change['on'] ?? null,
+                    'referenced table'
+                );
+                $name = $change['constraint_name'] ?? $change['name'] ?? null;
+
+                return [
+                    'type' => $type,
+                    'foreign_key' => [
+                        'name' => $name ?: "fk_{$this->table}_{$column}",
+                        'column' => $column,
+                        'references_table' => $references,
+                        'references_column' => $change['references_column'] ?? $change['references'] ?? 'id',
+                        'on_delete' => $change['on_delete'] ?? null,
+                        'on_update' => $change['on_update'] ?? null,
+                    ],
+                    'summary' => "Add foreign key {$column} -> {$references}",
+                ];
+
+            default:
+                $name = $this->requireName($change['constraint_name'] ?? $change['name'] ?? null, 'foreign key');
+
+                return [
+                    'type' => $type,
+                    'foreign_key' => $this->currentForeignKey($name),
+                    'summary' => "Drop foreign key {$name}",
+                ];
+        }
+    }
+
+    /**
+     * Find an existing index by name, or by column when the editor only knows the column
+     *
+     * @param string $name Index name
+     * @return array{name: string, columns: array, unique: bool} Index definition
+     * @throws \InvalidArgumentException If the index does not exist
+     */
+    private function currentIndex(string $name): array
+    {
+        $parts = [];
+        foreach ($this->columns as $column) {
+            foreach ($column['indexes'] ?? [] as $index) {
+                $parts[$index['name']][] = $index + ['column' => $column['name']];
+            }
+        }
+
+        if (!isset($parts[$name]) && isset($this->columns[$name])) {
+            $own = array_filter(
+                $this->columns[$name]['indexes'] ?? [],
+                fn ($index) => $index['name'] !== 'PRIMARY' && count($parts[$index['name']]) === 1
+            );
+            if (count($own) === 1) {
+                $name = reset($own)['name'];
+            }
+        }
+
+        if (!isset($parts[$name]) || $name === 'PRIMARY') {
+            throw new \InvalidArgumentException("Index {$name} does not exist in {$this->table}");
+        }
+
+        usort($parts[$name], fn ($a, $b) => ($a['sequence'] ?? 0) <=> ($b['sequence'] ?? 0));
+
+        return [
+            'name' => $name,
+            'columns' => array_column($parts[$name], 'column'),
+            'unique' => strtoupper((string)($parts[$name][0]['type'] ?? '')) === 'UNIQUE',
+        ];
+    }
+
+    /**
+     * Find an existing foreign key by constraint name
+     *
+     * @param string $name Constraint name
+     * @return array Foreign key definition
+     * @throws \InvalidArgumentException If the foreign key does not exist
+     */
+    private function currentForeignKey(string $name): array
+    {
+        foreach ($this->columns as $column) {
+            foreach ($column['relationships'] ?? [] as $relationship) {
+                if (($relationship['constraint'] ?? null) === $name) {
+                    return [
+                        'name' => $name,
+                        'column' => $column['name'],
+                        'references_table' => $relationship['references_table'],
+                        'references_column' => $relationship['references_column'],
+                        'on_delete' => $relationship['on_delete'] ?? null,
+                        'on_update' => $relationship['on_update'] ?? null,
+                    ];
+                }
+            }
+        }
+
+        throw new \InvalidArgumentException("Foreign key {$name} does not exist in {$this->table}");
+    }
+
+    /**
+     * Build the up() statement of a change
+     *
+     * @param array $step Normalized change
+     * @return string Statement on $table
+     */
+    private function upStatement(array $step): string
+    {
+        return match ($step['type']) {
+            'add_column' => $this->addColumn($step['column']),
+            'drop_column' => '$table->dropColumn(' . $this->export($step['column']['name']) . ');',
+            'add_index' => $this->addIndex($step['index']),
+            'drop_index' => '$table->dropIndex(' . $this->export($step['index']['name']) . ');',
+            'add_foreign_key' => $this->addForeignKey($step['foreign_key']),
+            'drop_foreign_key' => '$table->dropForeign(' . $this->export($step['foreign_key']['name']) . ');',
+        };
+    }
+
+    /**
+     * Build the down() statement that reverses a change
+     *
+     * @param array $step Normalized change
+     * @return string Statement on $table
+     */
+    private function downStatement(array $step): string
+    {
+        return match ($step['type']) {
+            'add_column' => '$table->dropColumn(' . $this->export($step['column']['name']) . ');',
+            'drop_column' => $this->addColumn($step['column']),
+            'add_index' => '$table->dropIndex(' . $this->export($step['index']['name']) . ');',
+            'drop_index' => $this->addIndex($step['index']),
+            'add_foreign_key' => '$table->dropForeign(' . $this->export($step['foreign_key']['name']) . ');',
+            'drop_foreign_key' => $this->addForeignKey($step['foreign_key']),
+        };
+    }
+
+    /**
+     * Build the statement that adds a column
+     *
+     * @param array $column Column name, type, nullability, default and key flags
+     * @return string Statement on $table
+     */
+    private function addColumn(array $column): string
+    {
+        $code = '$table->addColumn(' . $this->export($column['name']) . ', ' . $this->export($column['type']) . ')'
+            . ($column['nullable'] ? '->nullable()' : '->nullable(false)');
+
+        if ($column['default'] !== null) {
+            $code .= '->default(' . $this->export($column['default']) . ')';
+        }
+        if ($column['primary']) {
+            $code .= '->primary()';
+        }
+        if ($column['auto_increment']) {
+            $code .= '->autoIncrement()';
+        }
+
+        return $code . '->end();';
+    }
+
+    /**
+     * Build the statement that adds an index
+     *
+     * @param array $index Index name, columns and whether it is unique
+     * @return string Statement on $table
+     */
+    private function addIndex(array $index): string
+    {
+        return '$table->' . ($index['unique'] ? 'unique' : 'index')
+            . '([' . implode(', ', array_map([$this, 'export'], $index['columns'])) . '], '
+            . $this->export($index['name']) . ');';
+    }
+
+    /**
+     * Build the statement that adds a foreign key
+     *
+     * @param array $fk Constraint name, columns and referential actions
+     * @return string Statement on $table
+     */
+    private function addForeignKey(array $fk): string
+    {
+        $code = '$table->foreign(' . $this->export($fk['column']) . ')'
+            . '->references(' . $this->export($fk['references_column']) . ')'
+            . '->on(' . $this->export($fk['references_table']) . ')'
+            . '->name(' . $this->export($fk['name']) . ')';
+
+        $onDelete = self::DELETE_RULES[strtoupper((string)$fk['on_delete'])] ?? null;
+        $onUpdate = self::UPDATE_RULES[strtoupper((string)$fk['on_update'])] ?? null;
+        if ($onDelete) {
+            $code .= "->{$onDelete}()";
+        }
+        if ($onUpdate) {
+            $code .= "->{$onUpdate}()";
+        }
+
+        return $code . '->end();';
+    }
+
+    /**
+     * Render the migration file
+     *
+     * @param string $className Migration class name
+     * @param string $summary Docblock list of the changes
+     * @param string $description Migration description
+     * @param array $up up() statements grouped by change type
+     * @param array $down down() statements grouped by change type
+     * @return string PHP source
+     */
+    private function render(string $className, string $summary, string $description, array $up, array $down): string
+    {
+        $title = trim(preg_replace('/(?<!^)[A-Z]/', ' $0', $className));
+        $generatedAt = date('Y-m-d H:i:s');
+        $upBody = $this->renderBody($up);
+        $downBody = $this->renderBody($down);
+        $descriptionCode = $this->export($description);
+
+        return <<<PHP
+<?php
+
+namespace Glueful\\Database\\Migrations;
+
+use Glueful\\Database\\Migrations\\MigrationInterface;
+use Glueful\\Database\\Schema\\Interfaces\\SchemaBuilderInterface;
+
+/**
+ * {$title} Migration
+ *
+ * Generated from changes to the {$this->table} table in the admin schema editor
+ * on {$generatedAt}.
+ *
+ * Changes:
+{$summary}
+ *
+ * @package Glueful\\Database\\Migrations
+ */
+class {$className} implements MigrationInterface
+{
+    /**
+     * Execute the migration
+     *
+     * @param SchemaBuilderInterface \$schema Database schema builder
+     */
+    public function up(SchemaBuilderInterface \$schema): void
+    {
+{$upBody}
+    }
+
+    /**
+     * Reverse the migration
+     *
+     * @param SchemaBuilderInterface \$schema Database schema builder
+     */
+    public function down(SchemaBuilderInterface \$schema): void
+    {
+{$downBody}
+    }
+
+    /**
+     * Get migration description
+     *
+     * @return string Migration description
+     */
+    public function getDescription(): string
+    {
+        return {$descriptionCode};
+    }
+}
+
+PHP;
+    }
+
+    /**
+     * Render a method body with one alter block per group of statements
+     *
+     * Each block is queued separately so the statements run in the order of
+     * the groups; the queue is executed at the end.
+     *
+     * @param array $groups Statements grouped by change type
+     * @return string Indented method body
+     */
+    private function renderBody(array $groups): string
+    {
+        $indent = str_repeat(' ', 8);
+        $blocks = [];
+
+        foreach ($groups as $statements) {
+            $lines = ['$table = $schema->alterTable(' . $this->export($this->table) . ');'];
+            array_push($lines, ...$statements);
+            $lines[] = '$table->execute();';
+            $blocks[] = implode("\n", array_map(fn ($line) => $indent . $line, $lines));
+        }
+
+        $blocks[] = $indent . '// Run the queued ALTER TABLE statements' . "\n" . $indent . '$schema->execute();';
+
+        return implode("\n\n", $blocks);
+    }
+
+    /**
+     * Check that a name is usable as an identifier
+     *
+     * @param mixed $name Column, index, constraint or table name
+     * @param string $kind What the name is for, used in the error message
+     * @return string The name
+     * @throws \InvalidArgumentException If the name is missing or contains unsafe characters
+     */
+    private function requireName(mixed $name, string $kind): string
+    {
+        if (!is_string($name) || !preg_match('/^[A-Za-z0-9_$]+$/', $name)) {
+            throw new \InvalidArgumentException(
+                is_string($name) && $name !== '' ? "Invalid {$kind} name: {$name}" : "A {$kind} name is required"
+            );
+        }
+
+        return $name;
+    }
+
+    /**
+     * Export a value as a PHP literal
+     *
+     * @param mixed $value Scalar value
+     * @return string PHP literal
+     */
+    private function export(mixed $value): string
+    {
+        return is_bool($value) || $value === null ? strtolower(var_export($value, true)) : var_export($value, true);
+    }
+}
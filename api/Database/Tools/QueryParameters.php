@@ -0,0 +1,250 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+use InvalidArgumentException;
+
+/**
+ * Query Parameters
+ *
+ * Handles typed named placeholders (:name) in saved SQL queries:
+ * - Finds the placeholders used by a query, ignoring strings, comments,
+ *   PostgreSQL casts (::type) and MySQL assignments (:=)
+ * - Normalizes parameter definitions so every placeholder has a type
+ * - Validates and casts submitted values before they are bound
+ */
+class QueryParameters
+{
+    /** @var array<string> Supported parameter types */
+    public const TYPES = ['string', 'integer', 'number', 'boolean', 'date', 'datetime'];
+
+    /** @var string Database driver name (mysql, pgsql, sqlite) */
+    private string $driver;
+
+    /**
+     * Initialize the parameter handler for a database dialect
+     *
+     * @param string $driver Database driver name
+     */
+    public function __construct(string $driver = 'mysql')
+    {
+        $this->driver = strtolower($driver);
+    }
+
+    /**
+     * Find the named placeholders used in a query
+     *
+     * @param string $sql SQL query
+     * @return array<string> Placeholder names in order of first use, without the colon
+     */
+    public function extract(string $sql): array
+    {
+        $names = [];
+        $length = strlen($sql);
+        $i = 0;
+
+        while ($i < $length) {
+            $char = $sql[$i];
+            $next = $sql[$i + 1] ?? '';
+
+            if ($char === "'" || $char === '"' || ($char === '`' && $this->driver === 'mysql')) {
+                $i = $this->skipQuoted($sql, $i, $char);
+                continue;
+            }
+
+            if (($char === '-' && $next === '-') || ($char === '#' && $this->driver === 'mysql')) {
+                $end = strpos($sql, "\n", $i);
+                $i = $end === false ? $length : $end + 1;
+                continue;
+            }
+
+            if ($char === '/' && $next === '*') {
+                $end = strpos($sql, '*/', $i + 2);
+                $i = $end === false ? $length : $end + 2;
+                continue;
+            }
+
+            if ($char === ':') {
+                // Skip PostgreSQL casts (::int) and MySQL assignments (:=)
+                if ($next === ':') {
+                    $i += 2;
+                    continue;
+                }
+
+                $previous = $i > 0 ? $sql[$i - 1] : '';
+                if (
+                    preg_match('/\G[A-Za-z_][A-Za-z0-9_]*/', $sql, $match, 0, $i + 1)
+                    && !preg_match('/[A-Za-z0-9_]/', $previous)
+                ) {
+                    if (!in_array($match[0], $names, true)) {
+                        $names[] = $match[0];
+                    }
+                    $i += strlen($match[0]) + 1;
+                    continue;
+                }
+            }
+
+            $i++;
+        }
+
+        return $names;
+    }
+
+    /**
+     * Normalize parameter definitions against the placeholders of a query
+     *
+     * Every placeholder gets a definition; placeholders without one default to
+     * a required string. Definitions for names the query does not use are dropped.
+     *
+     * @param string $sql SQL query
+     * @param array $definitions Parameter definitions, keyed by name or as a list with a name key
+     * @return array<array{name: string, type: string, label: string, required: bool, default: mixed}>
+     * @throws InvalidArgumentException If a definition uses an unsupported type
+     */
+    public function normalize(string $sql, array $definitions): array
+    {
+        $byName = [];
+        foreach ($definitions as $key => $definition) {
+            if (!is_array($definition)) {
+                continue;
+            }
+            $name = ltrim((string)($definition['name'] ?? $key), ':');
+            $byName[$name] = $definition;
+        }
+
+        $normalized = [];
+        foreach ($this->extract($sql) as $name) {
+            $definition = $byName[$name] ?? [];
+            $type = strtolower((string)($definition['type'] ?? 'string'));
+
+            if (!in_array($type, self::TYPES, true)) {
+                throw new InvalidArgumentException(
+                    "Unsupported type '{$type}' for parameter '{$name}'. Supported types: "
+                    . implode(', ', self::TYPES)
+                );
+            }
+
+            $normalized[] = [
+                'name' => $name,
+                'type' => $type,
+                'label' => trim((string)($definition['label'] ?? '')) ?: $name,
+                'required' => (bool)($definition['required'] ?? true),
+                'default' => $definition['default'] ?? null,
+            ];
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Validate and cast submitted values
+     *
+     * Missing optional values fall back to their default, or NULL.
+     *
+     * @param array $definitions Normalized parameter definitions
+     * @param array $values Submitted values keyed by parameter name
+     * @return array{values: array<string, mixed>, errors: array<string, string>} Cast values and errors by name
+     */
+    public function cast(array $definitions, array $values): array
+    {
+        $cast = [];
+        $errors = [];
+
+        foreach ($definitions as $definition) {
+            $name = $definition['name'];
+            $value = $values[$name] ?? $values[':' . $name] ?? $definition['default'] ?? null;
+
+            if ($value === null || $value === '') {
+                if ($definition['required']) {
+                    $errors[$name] = "{$definition['label']} is required";
+                    continue;
+                }
+                $cast[$name] = null;
+                continue;
+            }
+
+            $result = $this->castValue($definition['type'], $value);
+            if ($result === null) {
+                $errors[$name] = "{$definition['label']} must be a valid {$definition['type']}";
+                continue;
+            }
+
+            $cast[$name] = $result[0];
+        }
+
+        return ['values' => $cast, 'errors' => $errors];
+    }
+
+    /**
+     * Cast a single value to a parameter type
+     *
+     * @param string $type Parameter type
+     * @param mixed $value Submitted value
+     * @return array{0: mixed}|null The cast value wrapped in an array, or null when invalid
+     */
+    private function castValue(string $type, mixed $value): ?array
+    {
+        if (is_array($value) || is_object($value)) {
+            return null;
+        }
+
+        $string = trim((string)$value);
+
+        switch ($type) {
+            case 'integer':
+                $int = filter_var($string, FILTER_VALIDATE_INT);
+                return $int === false ? null : [$int];
+
+            case 'number':
+                return is_numeric($string) ? [$string + 0] : null;
+
+            case 'boolean':
+                $bool = filter_var($value, FILTER_VALIDATE_BOOLEAN, FILTER_NULL_ON_FAILURE);
+                return $bool === null ? null : [$bool];
+
+            case 'date':
+                $date = \DateTime::createFromFormat('!Y-m-d', $string);
+                return $date && $date->format('Y-m-d') === $string ? [$string] : null;
+
+            case 'datetime':
+                $timestamp = strtotime($string);
+                return $timestamp === false ? null : [date('Y-m-d H:i:s', $timestamp)];
+
+            default:
+                return [(string)$value];
+        }
+    }
+
+    /**
+     * Skip over a quoted string or identifier
+     *
+     * @param string $sql SQL query
+     * @param int $position Position of the opening quote
+     * @param string $quote Quote character
+     * @return int Position just after the closing quote
+     */
+    private function skipQuoted(string $sql, int $position, string $quote): int
+    {
+        $length = strlen($sql);
+        $i = $position + 1;
+
+        while ($i < $length) {
+            if ($sql[$i] === '\\' && $this->driver === 'mysql' && $quote !== '`') {
+                $i += 2;
+                continue;
+            }
+
+            if ($sql[$i] === $quote) {
+                if (($sql[$i + 1] ?? '') === $quote) {
+                    $i += 2;
+                    continue;
+                }
+                return $i + 1;
+            }
+
+            $i++;
+        }
+
+        return $length;
+    }
+}
@@ -0,0 +1,193 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+/**
+ * Schema Drift Detector
+ *
+ * Compares the schema the applied migrations describe with the live schema
+ * and lists the tables, columns, indexes and foreign keys that only exist on
+ * one side. Drift is what happens when the database is changed outside of
+ * migrations, for example in the admin table editor or with DDL run in the
+ * SQL page.
+ *
+ * Both schemas use the table model of SchemaRecorder. Live tables are
+ * converted with describeTable() from the columns returned by the schema
+ * manager. Indexes are matched by their columns and uniqueness, and foreign
+ * keys by their column and referenced column, since the names drivers give
+ * them differ from the names in migrations.
+ */
+class SchemaDriftDetector
+{
+    /** @var array<string> Kinds of schema objects in the order they are reported */
+    public const TYPES = ['table', 'column', 'index', 'foreign_key'];
+
+    /** @var array<string, array> Tables expected from migrations by name */
+    private array $expected;
+
+    /**
+     * Constructor
+     *
+     * @param array<string, array> $expected Tables expected from migrations, as built by SchemaRecorder
+     */
+    public function __construct(array $expected)
+    {
+        $this->expected = $expected;
+    }
+
+    /**
+     * Convert the columns of a live table to the table model
+     *
+     * @param array $columns Columns as returned by the schema manager, with indexes and relationships
+     * @return array{columns: array, indexes: array, foreign_keys: array} Table model
+     */
+    public static function describeTable(array $columns): array
+    {
+        $table = ['columns' => [], 'indexes' => [], 'foreign_keys' => []];
+        $indexColumns = [];
+        $uniqueIndexes = [];
+
+        foreach ($columns as $column) {
+            $table['columns'][$column['name']] = [
+                'type' => (string)($column['type'] ?? ''),
+                'nullable' => (bool)($column['nullable'] ?? true),
+            ];
+
+            foreach ($column['indexes'] ?? [] as $index) {
+                if (($index['type'] ?? '') === 'PRIMARY KEY') {
+                    continue;
+                }
+                $uniqueIndexes[$index['name']] = ($index['type'] ?? '') === 'UNIQUE';
+                $indexColumns[$index['name']][(int)($index['sequence'] ?? 0)] = $column['name'];
+            }
+
+            foreach ($column['relationships'] ?? [] as $relationship) {
+                $table['foreign_keys'][$relationship['constraint']] = [
+                    'column' => $column['name'],
+                    'references_table' => $relationship['references_table'],
+                    'references_column' => $relationship['references_column'],
+                ];
+            }
+        }
+
+        foreach ($indexColumns as $name => $indexed) {
+            ksort($indexed);
+            $table['indexes'][$name] = ['columns' => array_values($indexed), 'unique' => $uniqueIndexes[$name]];
+        }
+
+        return $table;
+    }
+
+    /**
+     * List the differences between the expected and the live schema
+     *
+     * A table that only exists on one side is reported once, without its
+     * columns. Indexes MySQL creates for foreign keys without one are not
+     * reported as extra.
+     *
+     * @param array<string, array> $live Live tables by name in the table model
+     * @return array<array{table: string, type: string, name: string, status: string, definition: array|null}>
+     *     Differences ordered by table and type, status is missing (only in migrations) or extra (only live)
+     */
+    public function compare(array $live): array
+    {
+        $differences = [];
+
+        foreach (array_keys(array_diff_key($this->expected, $live)) as $name) {
+            $differences[] = $this->difference($name, 'table', $name, 'missing');
+        }
+        foreach (array_keys(array_diff_key($live, $this->expected)) as $name) {
+            $differences[] = $this->difference($name, 'table', $name, 'extra');
+        }
+
+        foreach (array_intersect_key($this->expected, $live) as $name => $expected) {
+            $actual = $live[$name];
+
+            foreach (array_diff_key($expected['columns'], $actual['columns']) as $column => $definition) {
+                $differences[] = $this->difference($name, 'column', $column, 'missing', $definition);
+            }
+            foreach (array_diff_key($actual['columns'], $expected['columns']) as $column => $definition) {
+                $differences[] = $this->difference($name, 'column', $column, 'extra', $definition);
+            }
+
+            $foreignKeyIndexes = array_keys($actual['foreign_keys']);
+            $this->compareByKey(
+                $name,
+                'index',
+                $expected['indexes'],
+                array_diff_key($actual['indexes'], array_flip($foreignKeyIndexes)),
+                fn (array $index) => implode(',', $index['columns']) . ($index['unique'] ? ':unique' : ''),
+                $differences
+            );
+            $this->compareByKey(
+                $name,
+                'foreign_key',
+                $expected['foreign_keys'],
+                $actual['foreign_keys'],
+                fn (array $key) => "{$key['column']}:{$key['references_table']}.{$key['references_column']}",
+                $differences
+            );
+        }
+
+        $types = array_flip(self::TYPES);
+        usort($differences, fn (array $a, array $b) => [$a['table'], $types[$a['type']], $a['name']]
+            <=> [$b['table'], $types[$b['type']], $b['name']]);
+
+        return $differences;
+    }
+
+    /**
+     * Compare indexes or foreign keys by what they cover instead of their name
+     *
+     * @param string $table Table name
+     * @param string $type index or foreign_key
+     * @param array<string, array> $expected Expected definitions by name
+     * @param array<string, array> $actual Live definitions by name
+     * @param callable $key Builds the comparison key of a definition
+     * @param array $differences Differences to add to
+     */
+    private function compareByKey(
+        string $table,
+        string $type,
+        array $expected,
+        array $actual,
+        callable $key,
+        array &$differences
+    ): void {
+        $expectedKeys = array_map($key, $expected);
+        $actualKeys = array_map($key, $actual);
+
+        foreach (array_keys(array_diff($expectedKeys, $actualKeys)) as $name) {
+            $differences[] = $this->difference($table, $type, (string)$name, 'missing', $expected[$name]);
+        }
+        foreach (array_keys(array_diff($actualKeys, $expectedKeys)) as $name) {
+            $differences[] = $this->difference($table, $type, (string)$name, 'extra', $actual[$name]);
+        }
+    }
+
+    /**
+     * Build a difference entry
+     *
+     * @param string $table Table name
+     * @param string $type Kind of schema object
+     * @param string $name Name of the schema object
+     * @param string $status missing or extra
+     * @param array|null $definition Definition of the object where it exists
+     * @return array Difference
+     */
+    private function difference(
+        string $table,
+        string $type,
+        string $name,
+        string $status,
+        ?array $definition = null
+    ): array {
+        return [
+            'table' => $table,
+            'type' => $type,
+            'name' => $name,
+            'status' => $status,
+            'definition' => $definition,
+        ];
+    }
+}
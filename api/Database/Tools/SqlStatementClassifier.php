@@ -0,0 +1,335 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+/**
+ * SQL Statement Classifier
+ *
+ * Classifies statements for the guarded write mode of the SQL console:
+ * - read: SELECT, SHOW, EXPLAIN and other statements that change nothing
+ * - dml: INSERT, UPDATE, DELETE and other data changes
+ * - ddl: CREATE, ALTER, DROP, TRUNCATE and other schema or privilege changes
+ * - transaction: BEGIN, COMMIT, ROLLBACK and savepoints
+ *
+ * For UPDATE and DELETE it also finds the target table and the WHERE clause,
+ * so unfiltered changes can be caught and the affected rows sampled.
+ * Unrecognised statements are classified as DDL so they get the strictest checks.
+ */
+class SqlStatementClassifier
+{
+    public const READ = 'read';
+    public const DML = 'dml';
+    public const DDL = 'ddl';
+    public const TRANSACTION = 'transaction';
+
+    /** @var array<string> Statement keywords that only read data */
+    private const READ_KEYWORDS = [
+        'SELECT', 'SHOW', 'DESCRIBE', 'DESC', 'EXPLAIN', 'VALUES', 'TABLE', 'PRAGMA', 'WITH',
+    ];
+
+    /** @var array<string> Statement keywords that change data */
+    private const DML_KEYWORDS = [
+        'INSERT', 'UPDATE', 'DELETE', 'REPLACE', 'MERGE', 'UPSERT', 'CALL', 'DO', 'LOAD', 'COPY',
+    ];
+
+    /** @var array<string> Statement keywords that control transactions */
+    private const TRANSACTION_KEYWORDS = ['BEGIN', 'START', 'COMMIT', 'ROLLBACK', 'SAVEPOINT', 'RELEASE', 'END'];
+
+    /** @var string Pattern matching a plain or quoted identifier in a masked statement */
+    private const IDENTIFIER_PATTERN = '(?:`[^`]*`|"[^"]*"|[A-Za-z_][A-Za-z0-9_$]*)';
+
+    /** @var string Pattern matching a possibly schema-qualified table name */
+    private const TABLE_PATTERN = self::IDENTIFIER_PATTERN . '(?:\.' . self::IDENTIFIER_PATTERN . ')?';
+
+    /** @var SqlStatementSplitter Splitter used to read the first keyword */
+    private SqlStatementSplitter $splitter;
+
+    /** @var string Database driver name (mysql, pgsql, sqlite) */
+    private string $driver;
+
+    /**
+     * Initialize the classifier for a database dialect
+     *
+     * @param string $driver Database driver name
+     */
+    public function __construct(string $driver = 'mysql')
+    {
+        $this->driver = strtolower($driver);
+        $this->splitter = new SqlStatementSplitter($this->driver);
+    }
+
+    /**
+     * Classify a statement
+     *
+     * @param string $statement Single SQL statement
+     * @return string One of the READ, DML, DDL or TRANSACTION constants
+     */
+    public function classify(string $statement): string
+    {
+        return $this->analyze($statement)['type'];
+    }
+
+    /**
+     * Analyze a statement
+     *
+     * @param string $statement Single SQL statement
+     * @return array{type: string, keyword: string, table: ?string, target: ?string, alias: ?string,
+     *     where: ?string, filtered: bool, single_table: bool}
+     *     Classification; table, target and where are only set for UPDATE and DELETE.
+     *     table is the unquoted table name, target the table as written in the statement.
+     */
+    public function analyze(string $statement): array
+    {
+        $keyword = $this->splitter->firstKeyword($statement);
+        $masked = $this->mask($statement);
+
+        $result = [
+            'type' => $this->typeOf($keyword, $statement),
+            'keyword' => $keyword,
+            'table' => null,
+            'target' => null,
+            'alias' => null,
+            'where' => null,
+            'filtered' => true,
+            'single_table' => false,
+        ];
+
+        if ($keyword === 'UPDATE' || $keyword === 'DELETE') {
+            $result = array_merge($result, $this->analyzeTarget($statement, $masked, $keyword));
+        }
+
+        return $result;
+    }
+
+    /**
+     * Determine the statement type from its keyword and text
+     *
+     * Statements starting with a read keyword are searched for data-changing
+     * keywords inside parentheses too, as CTE bodies and EXPLAIN options are
+     * written there.
+     *
+     * @param string $keyword First keyword
+     * @param string $statement SQL statement
+     * @return string Statement type
+     */
+    private function typeOf(string $keyword, string $statement): string
+    {
+        if (in_array($keyword, self::TRANSACTION_KEYWORDS, true)) {
+            return self::TRANSACTION;
+        }
+
+        if (in_array($keyword, self::DML_KEYWORDS, true)) {
+            return self::DML;
+        }
+
+        if (!in_array($keyword, self::READ_KEYWORDS, true)) {
+            return self::DDL;
+        }
+
+        $text = $this->mask($statement, false);
+        $changesData = preg_match('/\b(?:INSERT|UPDATE|DELETE|MERGE)\b/i', $text) === 1;
+
+        return match ($keyword) {
+            // A CTE may change data itself or feed a data-changing statement (PostgreSQL)
+            'WITH' => $changesData ? self::DML : self::READ,
+            // EXPLAIN ANALYZE and EXPLAIN (ANALYZE) run the explained statement
+            'EXPLAIN' => $changesData && preg_match('/\bANALY[SZ]E\b/i', $text) ? self::DML : self::READ,
+            // PRAGMA name = value changes settings, PRAGMA name(arg) only reads
+            'PRAGMA' => str_contains($text, '=') ? self::DDL : self::READ,
+            default => self::READ,
+        };
+    }
+
+    /**
+     * Find the target table and WHERE clause of an UPDATE or DELETE
+     *
+     * @param string $statement Original statement
+     * @param string $masked Masked statement with the same offsets
+     * @param string $keyword UPDATE or DELETE
+     * @return array Target details
+     */
+    private function analyzeTarget(string $statement, string $masked, string $keyword): array
+    {
+        $table = self::TABLE_PATTERN;
+        $modifiers = $keyword === 'UPDATE'
+            ? '(?:(?:LOW_PRIORITY|IGNORE|ONLY|OR\s+[A-Za-z]+)\s+)*'
+            : '(?:(?:LOW_PRIORITY|QUICK|IGNORE)\s+)*';
+        $reserved = 'SET|WHERE|ORDER|LIMIT|RETURNING|USING|JOIN|INNER|LEFT';
+        $alias = "(?:\\s+(?:AS\\s+)?(?!(?:{$reserved})\\b)([A-Za-z_][A-Za-z0-9_]*))?";
+
+        // Single-table form: the target is followed directly by SET (UPDATE) or WHERE/ORDER/LIMIT (DELETE)
+        $single = $keyword === 'UPDATE'
+            ? "/\A\s*UPDATE\s+{$modifiers}({$table}){$alias}\s+SET\b/i"
+            : "/\A\s*DELETE\s+{$modifiers}FROM\s+(?:ONLY\s+)?({$table}){$alias}"
+                . '\s*(?:\z|(?:WHERE|ORDER|LIMIT|RETURNING)\b)/i';
+        $any = $keyword === 'UPDATE'
+            ? "/\A\s*UPDATE\s+{$modifiers}({$table})/i"
+            : "/\A\s*DELETE\s+{$modifiers}(?:FROM\s+(?:ONLY\s+)?)?({$table})/i";
+
+        $singleTable = preg_match($single, $masked, $match, PREG_OFFSET_CAPTURE) === 1;
+        if (!$singleTable && preg_match($any, $masked, $match, PREG_OFFSET_CAPTURE) !== 1) {
+            return ['filtered' => $this->findWhere($statement, $masked) !== null];
+        }
+
+        // PostgreSQL UPDATE ... FROM joins other tables into the WHERE clause
+        if ($singleTable && $keyword === 'UPDATE' && preg_match('/\bSET\b.*\bFROM\b/is', $masked)) {
+            $singleTable = false;
+        }
+
+        $target = substr($statement, $match[1][1], strlen($match[1][0]));
+        $where = $this->findWhere($statement, $masked);
+
+        return [
+            'table' => $this->unquote($target),
+            'target' => $target,
+            'alias' => isset($match[2]) && $match[2][1] >= 0 ? $match[2][0] : null,
+            'where' => $where,
+            'filtered' => $where !== null && !preg_match('/\A\(*\s*(?:1\s*=\s*1|TRUE|1)\s*\)*\z/i', $where),
+            'single_table' => $singleTable,
+        ];
+    }
+
+    /**
+     * Extract the top-level WHERE condition of a statement
+     *
+     * @param string $statement Original statement
+     * @param string $masked Masked statement with the same offsets
+     * @return string|null Condition without the WHERE keyword, or null when there is none
+     */
+    private function findWhere(string $statement, string $masked): ?string
+    {
+        if (!preg_match('/\bWHERE\b/i', $masked, $match, PREG_OFFSET_CAPTURE)) {
+            return null;
+        }
+
+        $start = $match[0][1] + 5;
+        $end = strlen($masked);
+
+        if (preg_match('/\b(?:ORDER\s+BY|LIMIT|RETURNING)\b/i', $masked, $tail, PREG_OFFSET_CAPTURE, $start)) {
+            $end = $tail[0][1];
+        }
+
+        $where = trim(substr($statement, $start, $end - $start));
+
+        return $where === '' ? null : $where;
+    }
+
+    /**
+     * Mask a statement so keywords can be matched at the top level only
+     *
+     * Comments and the contents of parentheses become spaces, the contents of
+     * quoted strings and identifiers become "x". Offsets are preserved, so a
+     * match in the masked text can be cut from the original statement.
+     *
+     * @param string $statement SQL statement
+     * @param bool $parentheses Whether to mask the contents of parentheses too
+     * @return string Masked statement of the same length
+     */
+    private function mask(string $statement, bool $parentheses = true): string
+    {
+        $masked = $statement;
+        $length = strlen($statement);
+        $depth = 0;
+        $i = 0;
+
+        while ($i < $length) {
+            $char = $statement[$i];
+            $next = $statement[$i + 1] ?? '';
+            $end = null;
+
+            if ($char === "'" || $char === '"' || ($char === '`' && $this->driver === 'mysql')) {
+                $end = $this->skipQuoted($statement, $i, $char);
+                $fill = $depth > 0 ? ' ' : 'x';
+                for ($j = $i + 1; $j < $end - 1; $j++) {
+                    $masked[$j] = $fill;
+                }
+                if ($depth > 0) {
+                    $masked[$i] = ' ';
+                    $masked[$end - 1] = ' ';
+                }
+                $i = $end;
+                continue;
+            }
+
+            if (($char === '-' && $next === '-') || ($char === '#' && $this->driver === 'mysql')) {
+                $end = strpos($statement, "\n", $i);
+                $end = $end === false ? $length : $end;
+            } elseif ($char === '/' && $next === '*') {
+                $end = strpos($statement, '*/', $i + 2);
+                $end = $end === false ? $length : $end + 2;
+            }
+
+            if ($end !== null) {
+                for ($j = $i; $j < $end; $j++) {
+                    $masked[$j] = ' ';
+                }
+                $i = $end;
+                continue;
+            }
+
+            if (!$parentheses) {
+                $i++;
+                continue;
+            }
+
+            if ($char === '(') {
+                $depth++;
+            } elseif ($char === ')' && $depth > 0) {
+                $depth--;
+            } elseif ($depth > 0 && !ctype_space($char)) {
+                $masked[$i] = ' ';
+            }
+
+            $i++;
+        }
+
+        return $masked;
+    }
+
+    /**
+     * Skip over a quoted string or identifier
+     *
+     * @param string $sql SQL statement
+     * @param int $position Position of the opening quote
+     * @param string $quote Quote character
+     * @return int Position just after the closing quote
+     */
+    private function skipQuoted(string $sql, int $position, string $quote): int
+    {
+        $length = strlen($sql);
+        $i = $position + 1;
+
+        while ($i < $length) {
+            if ($sql[$i] === '\\' && $this->driver === 'mysql' && $quote !== '`') {
+                $i += 2;
+                continue;
+            }
+
+            if ($sql[$i] === $quote) {
+                if (($sql[$i + 1] ?? '') === $quote) {
+                    $i += 2;
+                    continue;
+                }
+                return $i + 1;
+            }
+
+            $i++;
+        }
+
+        return $length;
+    }
+
+    /**
+     * Get the bare table name of a possibly quoted and schema-qualified name
+     *
+     * @param string $target Table as written in the statement
+     * @return string Table name without schema and quotes
+     */
+    private function unquote(string $target): string
+    {
+        preg_match_all('/`([^`]*)`|"([^"]*)"|([^.`"]+)/', $target, $parts, PREG_SET_ORDER);
+        $last = end($parts);
+
+        return $last ? ($last[3] ?? '') . ($last[2] ?? '') . ($last[1] ?? '') : $target;
+    }
+}
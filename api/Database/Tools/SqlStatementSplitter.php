@@ -0,0 +1,202 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+/**
+ * SQL Statement Splitter
+ *
+ * Splits an SQL script into individual statements so they can be executed
+ * one at a time. Semicolons are only treated as separators when they are not
+ * part of:
+ * - Quoted strings and identifiers ('...', "...", and `...` on MySQL)
+ * - Line and block comments (--, # on MySQL, and C-style comments)
+ * - PostgreSQL dollar-quoted bodies ($$...$$, $tag$...$tag$)
+ * - BEGIN ... END blocks of triggers, procedures, functions and events
+ */
+class SqlStatementSplitter
+{
+    /** @var array<string> Object types whose CREATE statement may contain a BEGIN ... END body */
+    private const ROUTINE_TYPES = ['TRIGGER', 'PROCEDURE', 'FUNCTION', 'EVENT'];
+
+    /** @var array<string> Block terminators that close a construct not counted as an opener */
+    private const UNCOUNTED_BLOCKS = ['IF', 'LOOP', 'WHILE', 'REPEAT'];
+
+    /** @var string Database driver name (mysql, pgsql, sqlite) */
+    private string $driver;
+
+    /**
+     * Initialize the splitter for a database dialect
+     *
+     * @param string $driver Database driver name
+     */
+    public function __construct(string $driver = 'mysql')
+    {
+        $this->driver = strtolower($driver);
+    }
+
+    /**
+     * Split a script into statements
+     *
+     * @param string $sql SQL script containing one or more statements
+     * @return array<string> Trimmed statements without their trailing semicolon
+     */
+    public function split(string $sql): array
+    {
+        $statements = [];
+        $length = strlen($sql);
+        $start = 0;
+        $depth = 0;
+        $words = [];
+        $afterEnd = false;
+        $i = 0;
+
+        while ($i < $length) {
+            $char = $sql[$i];
+            $next = $sql[$i + 1] ?? '';
+
+            if ($char === "'" || $char === '"' || ($char === '`' && $this->driver === 'mysql')) {
+                $i = $this->skipQuoted($sql, $i, $char);
+                continue;
+            }
+
+            if (($char === '-' && $next === '-') || ($char === '#' && $this->driver === 'mysql')) {
+                $end = strpos($sql, "\n", $i);
+                $i = $end === false ? $length : $end + 1;
+                continue;
+            }
+
+            if ($char === '/' && $next === '*') {
+                $end = strpos($sql, '*/', $i + 2);
+                $i = $end === false ? $length : $end + 2;
+                continue;
+            }
+
+            if (
+                $char === '$'
+                && $this->driver === 'pgsql'
+                && preg_match('/\G\$([A-Za-z_][A-Za-z0-9_]*)?\$/', $sql, $match, 0, $i)
+                && ($i === 0 || !preg_match('/[A-Za-z0-9_]/', $sql[$i - 1]))
+            ) {
+                $end = strpos($sql, $match[0], $i + strlen($match[0]));
+                $i = $end === false ? $length : $end + strlen($match[0]);
+                continue;
+            }
+
+            if (ctype_alpha($char) || $char === '_') {
+                preg_match('/\G[A-Za-z0-9_$]+/', $sql, $match, 0, $i);
+                $word = strtoupper($match[0]);
+                $i += strlen($match[0]);
+
+                if (count($words) < 8) {
+                    $words[] = $word;
+                }
+
+                if ($words[0] !== 'CREATE' || !array_intersect(self::ROUTINE_TYPES, $words)) {
+                    continue;
+                }
+
+                if ($afterEnd) {
+                    $afterEnd = false;
+                    if (in_array($word, self::UNCOUNTED_BLOCKS, true)) {
+                        $depth++;
+                        continue;
+                    }
+                    if ($word === 'CASE') {
+                        continue;
+                    }
+                }
+
+                if ($word === 'BEGIN' || $word === 'CASE') {
+                    $depth++;
+                } elseif ($word === 'END' && $depth > 0) {
+                    $depth--;
+                    $afterEnd = true;
+                }
+                continue;
+            }
+
+            if (!ctype_space($char)) {
+                $afterEnd = false;
+            }
+
+            if ($char === ';' && $depth === 0) {
+                $this->addStatement($statements, substr($sql, $start, $i - $start));
+                $start = $i + 1;
+                $words = [];
+            }
+
+            $i++;
+        }
+
+        $this->addStatement($statements, substr($sql, $start));
+
+        return $statements;
+    }
+
+    /**
+     * Get the first keyword of a statement
+     *
+     * Leading comments and opening parentheses are skipped, so
+     * "-- note\n(SELECT 1)" yields "SELECT".
+     *
+     * @param string $statement SQL statement
+     * @return string Upper-cased keyword, or an empty string when none is found
+     */
+    public function firstKeyword(string $statement): string
+    {
+        $pattern = $this->driver === 'mysql'
+            ? '/\A(?:\s+|--[^\n]*(?:\n|\z)|#[^\n]*(?:\n|\z)|\/\*.*?\*\/|\()*([A-Za-z]+)/s'
+            : '/\A(?:\s+|--[^\n]*(?:\n|\z)|\/\*.*?\*\/|\()*([A-Za-z]+)/s';
+
+        return preg_match($pattern, $statement, $match) ? strtoupper($match[1]) : '';
+    }
+
+    /**
+     * Skip over a quoted string or identifier
+     *
+     * @param string $sql SQL script
+     * @param int $position Position of the opening quote
+     * @param string $quote Quote character
+     * @return int Position just after the closing quote
+     */
+    private function skipQuoted(string $sql, int $position, string $quote): int
+    {
+        $length = strlen($sql);
+        $i = $position + 1;
+
+        while ($i < $length) {
+            if ($sql[$i] === '\\' && $this->driver === 'mysql' && $quote !== '`') {
+                $i += 2;
+                continue;
+            }
+
+            if ($sql[$i] === $quote) {
+                // A doubled quote is an escaped quote, not the end of the string
+                if (($sql[$i + 1] ?? '') === $quote) {
+                    $i += 2;
+                    continue;
+                }
+                return $i + 1;
+            }
+
+            $i++;
+        }
+
+        return $length;
+    }
+
+    /**
+     * Add a statement to the list when it contains more than whitespace and comments
+     *
+     * @param array<string> $statements Statement list
+     * @param string $statement Raw statement text
+     */
+    private function addStatement(array &$statements, string $statement): void
+    {
+        $statement = trim($statement);
+
+        if ($statement !== '' && $this->firstKeyword($statement) !== '') {
+            $statements[] = $statement;
+        }
+    }
+}
@@ -0,0 +1,391 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+use Glueful\Database\Connection;
+use Glueful\Helpers\Utils;
+use PDO;
+
+/**
+ * Table Importer
+ *
+ * Validates and writes one chunk of imported rows into a table:
+ * - insert: every row is inserted
+ * - upsert: rows whose key columns match an existing row update it, other rows are inserted
+ * - replace: rows are inserted into a table that was emptied before the import started
+ *
+ * Every chunk is checked before anything is written and produces a report of
+ * errors per row and column. Rows are written in a single transaction; when
+ * the database rejects one and bad rows may be skipped, the chunk is written
+ * again row by row so only the failing rows are left out.
+ */
+class TableImporter
+{
+    /** @var array<string> Supported import modes */
+    public const MODES = ['insert', 'upsert', 'replace'];
+
+    /** @var string Error key for problems that concern the whole row */
+    public const ROW_ERROR = '_row';
+
+    /** @var Connection Database connection */
+    private Connection $connection;
+
+    /** @var PDO Active database connection */
+    private PDO $pdo;
+
+    /** @var string Target table */
+    private string $table;
+
+    /** @var array<string> Column names of the target table */
+    private array $columnNames;
+
+    /** @var ImportRowValidator Row validator for the target table */
+    private ImportRowValidator $validator;
+
+    /** @var string Import mode */
+    private string $mode;
+
+    /** @var array<string> Columns that identify existing rows in upsert mode */
+    private array $keyColumns;
+
+    /** @var bool Whether invalid rows are skipped instead of stopping the import */
+    private bool $skipErrors;
+
+    /**
+     * Constructor
+     *
+     * @param Connection $connection Database connection
+     * @param string $table Target table
+     * @param array $columns Columns as returned by the schema manager
+     * @param string $mode insert, upsert or replace
+     * @param array<string> $keyColumns Key columns for upsert mode
+     * @param bool $skipErrors Skip invalid rows instead of stopping the import
+     */
+    public function __construct(
+        Connection $connection,
+        string $table,
+        array $columns,
+        string $mode = 'insert',
+        array $keyColumns = [],
+        bool $skipErrors = true
+    ) {
+        if (!in_array($mode, self::MODES, true)) {
+            throw new \InvalidArgumentException("Unsupported import mode: {$mode}");
+        }
+
+        $this->columnNames = array_column($columns, 'name');
+        if ($mode === 'upsert' && (empty($keyColumns) || array_diff($keyColumns, $this->columnNames))) {
+            throw new \InvalidArgumentException('Upsert mode requires existing key columns');
+        }
+
+        $this->connection = $connection;
+        $this->pdo = $connection->getPDO();
+        $this->table = $table;
+        $this->validator = new ImportRowValidator($columns);
+        $this->mode = $mode;
+        $this->keyColumns = $mode === 'upsert' ? array_values($keyColumns) : [];
+        $this->skipErrors = $skipErrors;
+    }
+
+    /**
+     * Validate a chunk of rows and write it unless it is a dry run
+     *
+     * Nothing is written when the chunk is a dry run, or when it contains
+     * invalid rows and bad rows may not be skipped.
+     *
+     * @param array $rows Rows keyed by column name
+     * @param int $offset Number of rows imported before this chunk, used for row numbers
+     * @param bool $dryRun Only validate the rows
+     * @return array Report with counts, per-row errors and whether the chunk was written
+     */
+    public function run(array $rows, int $offset = 0, bool $dryRun = false): array
+    {
+        $plan = $this->plan(array_values($rows), $offset);
+
+        $report = [
+            'total' => count($rows),
+            'valid' => count($plan['inserts']) + count($plan['updates']),
+            'invalid' => count($plan['errors']),
+            'to_insert' => count($plan['inserts']),
+            'to_update' => count($plan['updates']),
+            'inserted' => 0,
+            'updated' => 0,
+            'skipped' => 0,
+            'written' => false,
+            'errors' => $plan['errors'],
+        ];
+
+        if ($dryRun || ($report['invalid'] > 0 && !$this->skipErrors)) {
+            return $report;
+        }
+
+        $result = $this->write($plan['inserts'], $plan['updates']);
+
+        $report['errors'] = array_merge($report['errors'], $result['errors']);
+        usort($report['errors'], fn ($a, $b) => $a['row'] <=> $b['row']);
+
+        return array_merge($report, [
+            'inserted' => $result['inserted'],
+            'updated' => $result['updated'],
+            'skipped' => $report['invalid'] + count($result['errors']),
+            'written' => true,
+        ]);
+    }
+
+    /**
+     * Validate rows and decide which are inserted and which update existing rows
+     *
+     * @param array $rows Rows keyed by column name
+     * @param int $offset Row number offset
+     * @return array{inserts: array, updates: array, errors: array} Rows by row number and errors
+     */
+    private function plan(array $rows, int $offset): array
+    {
+        $checked = [];
+        $errors = [];
+        $seenKeys = [];
+
+        foreach ($rows as $index => $row) {
+            $number = $offset + $index + 1;
+
+            if (!is_array($row) || empty($row)) {
+                $errors[] = ['row' => $number, 'errors' => [self::ROW_ERROR => 'Row is empty']];
+                continue;
+            }
+
+            if (!array_intersect_key($row, array_flip($this->columnNames))) {
+                $errors[] = ['row' => $number, 'errors' => [self::ROW_ERROR => 'Row has no columns of this table']];
+                continue;
+            }
+
+            $result = $this->mode === 'upsert'
+                ? $this->validator->validate($row, false)
+                : $this->validator->validate($this->withUuid($row));
+            $rowErrors = $result['errors'];
+
+            if ($this->mode === 'upsert') {
+                foreach ($this->keyColumns as $column) {
+                    if (($result['row'][$column] ?? null) === null) {
+                        $rowErrors[$column] = 'A key value is required';
+                    }
+                }
+
+                if (empty($rowErrors)) {
+                    $key = $this->keySignature($result['row']);
+                    if (isset($seenKeys[$key])) {
+                        $rowErrors[self::ROW_ERROR] = "Same key as row {$seenKeys[$key]}";
+                    } else {
+                        $seenKeys[$key] = $number;
+                    }
+                }
+            }
+
+            if (!empty($rowErrors)) {
+                $errors[] = ['row' => $number, 'errors' => $rowErrors];
+                continue;
+            }
+
+            $checked[$number] = $result['row'];
+        }
+
+        $existing = $this->mode === 'upsert' ? $this->existingKeys($checked) : [];
+        $inserts = [];
+        $updates = [];
+
+        foreach ($checked as $number => $row) {
+            if (isset($existing[$this->keySignature($row)])) {
+                $updates[$number] = $row;
+                continue;
+            }
+
+            // Rows that do not match an existing row are inserted, so they must be complete
+            $result = $this->mode === 'upsert'
+                ? $this->validator->validate($this->withUuid($row))
+                : ['row' => $row, 'errors' => []];
+            if (!empty($result['errors'])) {
+                $errors[] = ['row' => $number, 'errors' => $result['errors']];
+                continue;
+            }
+
+            $inserts[$number] = $result['row'];
+        }
+
+        usort($errors, fn ($a, $b) => $a['row'] <=> $b['row']);
+
+        return ['inserts' => $inserts, 'updates' => $updates, 'errors' => $errors];
+    }
+
+    /**
+     * Find which key values already exist in the table
+     *
+     * @param array $rows Validated rows
+     * @return array<string, true> Key signatures of existing rows
+     */
+    private function existingKeys(array $rows): array
+    {
+        if (empty($rows)) {
+            return [];
+        }
+
+        $conditions = array_map(fn ($column) => $this->wrap($column) . ' = ?', $this->keyColumns);
+        $match = '(' . implode(' AND ', $conditions) . ')';
+        $existing = [];
+
+        foreach (array_chunk($rows, 200) as $chunk) {
+            $bindings = [];
+            foreach ($chunk as $row) {
+                foreach ($this->keyColumns as $column) {
+                    $bindings[] = $row[$column];
+                }
+            }
+
+            $sql = 'SELECT ' . implode(', ', array_map([$this, 'wrap'], $this->keyColumns))
+                . ' FROM ' . $this->wrap($this->table)
+                . ' WHERE ' . implode(' OR ', array_fill(0, count($chunk), $match));
+
+            $stmt = $this->pdo->prepare($sql);
+            $stmt->execute($bindings);
+
+            while (($row = $stmt->fetch(PDO::FETCH_ASSOC)) !== false) {
+                $existing[$this->keySignature($row)] = true;
+            }
+        }
+
+        return $existing;
+    }
+
+    /**
+     * Write rows, in one transaction or row by row when the transaction fails
+     *
+     * @param array $inserts Rows to insert by row number
+     * @param array $updates Rows to update by row number
+     * @return array{inserted: int, updated: int, errors: array} Written counts and rows the database rejected
+     */
+    private function write(array $inserts, array $updates): array
+    {
+        if (empty($inserts) && empty($updates)) {
+            return ['inserted' => 0, 'updated' => 0, 'errors' => []];
+        }
+
+        $this->pdo->beginTransaction();
+        try {
+            foreach ($inserts as $row) {
+                $this->insertRow($row);
+            }
+            foreach ($updates as $row) {
+                $this->updateRow($row);
+            }
+            $this->pdo->commit();
+
+            return ['inserted' => count($inserts), 'updated' => count($updates), 'errors' => []];
+        } catch (\PDOException $e) {
+            $this->pdo->rollBack();
+
+            if (!$this->skipErrors) {
+                throw $e;
+            }
+        }
+
+        $result = ['inserted' => 0, 'updated' => 0, 'errors' => []];
+        foreach (['inserted' => $inserts, 'updated' => $updates] as $count => $rows) {
+            foreach ($rows as $number => $row) {
+                try {
+                    $count === 'inserted' ? $this->insertRow($row) : $this->updateRow($row);
+                    $result[$count]++;
+                } catch (\PDOException $e) {
+                    $result['errors'][] = ['row' => $number, 'errors' => [self::ROW_ERROR => $this->errorMessage($e)]];
+                }
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Insert one row
+     *
+     * @param array $row Column values
+     */
+    private function insertRow(array $row): void
+    {
+        $sql = 'INSERT INTO ' . $this->wrap($this->table)
+            . ' (' . implode(', ', array_map([$this, 'wrap'], array_keys($row))) . ')'
+            . ' VALUES (' . implode(', ', array_fill(0, count($row), '?')) . ')';
+
+        $this->pdo->prepare($sql)->execute(array_values($row));
+    }
+
+    /**
+     * Update the existing row with the same key values
+     *
+     * @param array $row Column values including the key columns
+     */
+    private function updateRow(array $row): void
+    {
+        $values = array_diff_key($row, array_flip($this->keyColumns));
+        if (empty($values)) {
+            return;
+        }
+
+        $sql = 'UPDATE ' . $this->wrap($this->table)
+            . ' SET ' . implode(', ', array_map(fn ($column) => $this->wrap($column) . ' = ?', array_keys($values)))
+            . ' WHERE ' . implode(' AND ', array_map(fn ($column) => $this->wrap($column) . ' = ?', $this->keyColumns));
+
+        $bindings = array_values($values);
+        foreach ($this->keyColumns as $column) {
+            $bindings[] = $row[$column];
+        }
+
+        $this->pdo->prepare($sql)->execute($bindings);
+    }
+
+    /**
+     * Give a row that is inserted a generated UUID when the table has one
+     *
+     * @param array $row Column values
+     * @return array Row with a uuid value if the table has a uuid column
+     */
+    private function withUuid(array $row): array
+    {
+        if (in_array('uuid', $this->columnNames, true) && ($row['uuid'] ?? '') === '') {
+            $row['uuid'] = Utils::generateNanoID();
+        }
+
+        return $row;
+    }
+
+    /**
+     * Build a comparable signature from the key values of a row
+     *
+     * @param array $row Row containing the key columns
+     * @return string Key signature
+     */
+    private function keySignature(array $row): string
+    {
+        return json_encode(array_map(fn ($column) => (string)($row[$column] ?? ''), $this->keyColumns));
+    }
+
+    /**
+     * Shorten a database error for the import report
+     *
+     * @param \PDOException $e Database error
+     * @return string Driver message without the SQLSTATE prefix
+     */
+    private function errorMessage(\PDOException $e): string
+    {
+        $message = $e->errorInfo[2] ?? $e->getMessage();
+
+        return mb_substr(preg_replace('/^SQLSTATE\[\w+\]:?\s*/', '', (string)$message), 0, 300);
+    }
+
+    /**
+     * Quote an identifier for the current driver
+     *
+     * @param string $identifier Table or column name
+     * @return string Quoted identifier
+     */
+    private function wrap(string $identifier): string
+    {
+        return $this->connection->getDriver()->wrapIdentifier($identifier);
+    }
+}
@@ -0,0 +1,186 @@
+<?php
+
+namespace Glueful\Database\Tools;
+
+/**
+ * ZIP Stream Writer
+ *
+ * Builds a ZIP archive as a sequence of byte strings that can be sent as soon
+ * as they are produced, so large archives never have to fit in memory or on disk.
+ * Entries are deflated and followed by a data descriptor, because their size and
+ * CRC are only known once they are complete.
+ *
+ * ZIP64 is not supported, so entries and the archive must stay below 4 GiB.
+ */
+class ZipStreamWriter
+{
+    /** @var int Bytes produced so far */
+    private int $offset = 0;
+
+    /** @var array<array> Completed entries for the central directory */
+    private array $entries = [];
+
+    /** @var array|null Entry being written */
+    private ?array $current = null;
+
+    /**
+     * Add a complete file
+     *
+     * @param string $name Path inside the archive
+     * @param string $contents File contents
+     * @return string Archive bytes
+     */
+    public function addFile(string $name, string $contents): string
+    {
+        return $this->beginFile($name) . $this->write($contents) . $this->endFile();
+    }
+
+    /**
+     * Start a file whose contents are written in parts
+     *
+     * @param string $name Path inside the archive
+     * @return string Archive bytes
+     * @throws \LogicException If another file is still open
+     */
+    public function beginFile(string $name): string
+    {
+        if ($this->current !== null) {
+            throw new \LogicException('The current ZIP entry must be ended before another is started');
+        }
+
+        [$time, $date] = $this->dosTime();
+
+        $this->current = [
+            'name' => $name,
+            'offset' => $this->offset,
+            'time' => $time,
+            'date' => $date,
+            'size' => 0,
+            'compressed' => 0,
+            'crc' => hash_init('crc32b'),
+            'deflate' => deflate_init(ZLIB_ENCODING_RAW, ['level' => 6]),
+        ];
+
+        // Flags: sizes follow in a data descriptor (bit 3), name is UTF-8 (bit 11)
+        $header = pack('VvvvvvVVVvv', 0x04034b50, 20, 0x0808, 8, $time, $date, 0, 0, 0, strlen($name), 0);
+
+        return $this->emit($header . $name);
+    }
+
+    /**
+     * Write part of the open file
+     *
+     * @param string $data Uncompressed data
+     * @return string Archive bytes, possibly empty while zlib buffers input
+     * @throws \LogicException If no file is open
+     */
+    public function write(string $data): string
+    {
+        if ($this->current === null) {
+            throw new \LogicException('No ZIP entry has been started');
+        }
+
+        $this->current['size'] += strlen($data);
+        hash_update($this->current['crc'], $data);
+
+        $compressed = deflate_add($this->current['deflate'], $data, ZLIB_NO_FLUSH);
+        $this->current['compressed'] += strlen($compressed);
+
+        return $this->emit($compressed);
+    }
+
+    /**
+     * End the open file
+     *
+     * @return string Archive bytes
+     * @throws \LogicException If no file is open
+     */
+    public function endFile(): string
+    {
+        if ($this->current === null) {
+            throw new \LogicException('No ZIP entry has been started');
+        }
+
+        $entry = $this->current;
+        $this->current = null;
+
+        $compressed = deflate_add($entry['deflate'], '', ZLIB_FINISH);
+        $entry['compressed'] += strlen($compressed);
+        $entry['crc'] = unpack('N', hash_final($entry['crc'], true))[1];
+        unset($entry['deflate']);
+
+        $this->entries[] = $entry;
+
+        $descriptor = pack('VVVV', 0x08074b50, $entry['crc'], $entry['compressed'], $entry['size']);
+
+        return $this->emit($compressed . $descriptor);
+    }
+
+    /**
+     * Finish the archive with its central directory
+     *
+     * @return string Archive bytes
+     */
+    public function finish(): string
+    {
+        $output = $this->current !== null ? $this->endFile() : '';
+        $directoryOffset = $this->offset;
+        $directory = '';
+
+        foreach ($this->entries as $entry) {
+            $directory .= pack(
+                'VvvvvvvVVVvvvvvVV',
+                0x02014b50,
+                20,
+                20,
+                0x0808,
+                8,
+                $entry['time'],
+                $entry['date'],
+                $entry['crc'],
+                $entry['compressed'],
+                $entry['size'],
+                strlen($entry['name']),
+                0,
+                0,
+                0,
+                0,
+                0,
+                $entry['offset']
+            ) . $entry['name'];
+        }
+
+        $count = count($this->entries);
+        $end = pack('VvvvvVVv', 0x06054b50, 0, 0, $count, $count, strlen($directory), $directoryOffset, 0);
+
+        return $output . $this->emit($directory . $end);
+    }
+
+    /**
+     * Account for bytes handed to the caller
+     *
+     * @param string $bytes Archive bytes
+     * @return string The same bytes
+     */
+    private function emit(string $bytes): string
+    {
+        $this->offset += strlen($bytes);
+
+        return $bytes;
+    }
+
+    /**
+     * Get the current time in MS-DOS format
+     *
+     * @return array{0: int, 1: int} Time and date
+     */
+    private function dosTime(): array
+    {
+        $now = getdate();
+
+        return [
+            ($now['hours'] << 11) | ($now['minutes'] << 5) | intdiv($now['seconds'], 2),
+            (max($now['year'] - 1980, 0) << 9) | ($now['mon'] << 5) | $now['mday'],
+        ];
+    }
+}
@@ -0,0 +1,326 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Logging;
+
+use DateTimeImmutable;
+use InvalidArgumentException;
+
+/**
+ * Audit Log Query
+ *
+ * Parses the search syntax of the Audit Logs page into filters on the
+ * audit_logs table:
+ * - field:value filters such as user:alice, category:security or ip:10.0.*
+ * - Comparisons on ordered fields: severity>=warning, duration>500
+ * - Lists (severity:error,critical), wildcards (*) and quoted values (action:"user login")
+ * - Negation with a leading dash or !=: -source:cli, status!=success
+ * - Time ranges with absolute or relative values: after:2026-10-01, after:2h, before:7d
+ * - Any other word is matched as free text against action, entity and request
+ *
+ * The parser does not touch the database; the AuditLogRepository applies
+ * the resulting filters.
+ *
+ * @package Glueful\Logging
+ */
+class AuditLogQuery
+{
+    /** @var array<string> Severities from lowest to highest */
+    public const SEVERITIES = ['debug', 'info', 'warning', 'error', 'critical'];
+
+    /** @var array<string, string> Search fields and the columns they filter */
+    public const FIELDS = [
+        'user' => 'user_id',
+        'severity' => 'severity',
+        'category' => 'category',
+        'action' => 'action',
+        'status' => 'status',
+        'ip' => 'ip_address',
+        'entity' => 'entity_type',
+        'entity_id' => 'entity_id',
+        'source' => 'source',
+        'request' => 'request_id',
+        'session' => 'session_id',
+        'duration' => 'duration_ms',
+        'after' => 'created_at',
+        'before' => 'created_at',
+    ];
+
+    /** @var array<string, int> Units of relative times, in seconds */
+    private const TIME_UNITS = ['s' => 1, 'm' => 60, 'h' => 3600, 'd' => 86400, 'w' => 604800];
+
+    /** @var array<string, string> Operators and the operator matching the opposite set of entries */
+    private const NEGATIONS = ['=' => '!=', '!=' => '=', '>' => '<=', '>=' => '<', '<' => '>=', '<=' => '>'];
+
+    /** @var array<array{field: string, column: string, operator: string, values: array}> Parsed filters */
+    private array $filters = [];
+
+    /** @var array<array{value: string, negate: bool}> Free text terms */
+    private array $terms = [];
+
+    /** @var DateTimeImmutable Reference time of relative time ranges */
+    private DateTimeImmutable $now;
+
+    /**
+     * Parse a search query
+     *
+     * @param string $query Search query, may be empty
+     * @param DateTimeImmutable|null $now Reference time of relative time ranges, defaults to now
+     * @throws InvalidArgumentException If the query uses unknown fields, operators or values
+     */
+    public function __construct(string $query = '', ?DateTimeImmutable $now = null)
+    {
+        $this->now = $now ?? new DateTimeImmutable();
+
+        preg_match_all(
+            '/(-?)(?:([A-Za-z_]+)(>=|<=|!=|>|<|:|=))?("(?:[^"\\\\]|\\\\.)*"?|\S+)/',
+            $query,
+            $tokens,
+            PREG_SET_ORDER
+        );
+
+        foreach ($tokens as [$token, $negate, $field, $operator, $value]) {
+            $value = $this->unquote($value);
+
+            if ($field === '') {
+                if (preg_match('/^([A-Za-z_]+)(>=|<=|!=|>|<|:|=)$/', $value, $match)) {
+                    throw new InvalidArgumentException("Missing value for {$match[1]}");
+                }
+                if ($value !== '') {
+                    $this->terms[] = ['value' => $value, 'negate' => $negate === '-'];
+                }
+                continue;
+            }
+
+            $this->where(strtolower($field), $operator, $value, $negate === '-');
+        }
+    }
+
+    /**
+     * Add a filter
+     *
+     * @param string $field Search field, one of FIELDS
+     * @param string $operator Operator: :, =, !=, >, >=, < or <=
+     * @param string $value Value, may be a comma-separated list and contain * wildcards
+     * @param bool $negate Whether to match the entries the filter would exclude
+     * @return static
+     * @throws InvalidArgumentException If the field, operator or value is not valid
+     */
+    public function where(string $field, string $operator, string $value, bool $negate = false): static
+    {
+        if (!isset(self::FIELDS[$field])) {
+            throw new InvalidArgumentException(
+                "Unknown search field \"{$field}\". Use one of: " . implode(', ', array_keys(self::FIELDS))
+            );
+        }
+
+        $value = trim($value);
+        if ($value === '') {
+            throw new InvalidArgumentException("Missing value for {$field}");
+        }
+
+        $operator = $operator === ':' ? '=' : $operator;
+        if (!isset(self::NEGATIONS[$operator])) {
+            throw new InvalidArgumentException("Unknown operator {$operator}");
+        }
+        if ($negate) {
+            $operator = self::NEGATIONS[$operator];
+        }
+
+        $filter = match ($field) {
+            'severity' => $this->severityFilter($operator, $value),
+            'duration' => $this->durationFilter($operator, $value),
+            'after', 'before' => $this->timeFilter($field, $operator, $value, $negate),
+            default => $this->valueFilter($field, $operator, $value),
+        };
+
+        $this->filters[] = ['field' => $field, 'column' => self::FIELDS[$field]] + $filter;
+
+        return $this;
+    }
+
+    /**
+     * Get the parsed filters
+     *
+     * Values of = and != filters are lists, matched as IN and NOT IN; values
+     * containing * are wildcards. Comparison filters have a single value.
+     *
+     * @return array<array{field: string, column: string, operator: string, values: array}>
+     */
+    public function getFilters(): array
+    {
+        return $this->filters;
+    }
+
+    /**
+     * Get the free text terms
+     *
+     * @return array<array{value: string, negate: bool}>
+     */
+    public function getTerms(): array
+    {
+        return $this->terms;
+    }
+
+    /**
+     * Check whether the query filters by a field
+     *
+     * @param string $field Search field
+     * @return bool True if at least one filter uses the field
+     */
+    public function has(string $field): bool
+    {
+        return in_array($field, array_column($this->filters, 'field'), true);
+    }
+
+    /**
+     * Check whether the query matches every entry
+     *
+     * @return bool True if there are no filters and no terms
+     */
+    public function isEmpty(): bool
+    {
+        return empty($this->filters) && empty($this->terms);
+    }
+
+    /**
+     * Build a filter on severity, comparing by rank
+     *
+     * @param string $operator Operator
+     * @param string $value Severity or list of severities
+     * @return array Filter with the matching severities
+     */
+    private function severityFilter(string $operator, string $value): array
+    {
+        $values = $this->splitList(strtolower($value));
+        foreach ($values as $severity) {
+            if (!in_array($severity, self::SEVERITIES, true)) {
+                throw new InvalidArgumentException(
+                    "Unknown severity \"{$severity}\". Use one of: " . implode(', ', self::SEVERITIES)
+                );
+            }
+        }
+
+        if ($operator === '=' || $operator === '!=') {
+            return ['operator' => $operator, 'values' => $values];
+        }
+
+        if (count($values) > 1) {
+            throw new InvalidArgumentException("Severity {$operator} takes a single severity");
+        }
+
+        $rank = array_search($values[0], self::SEVERITIES, true);
+        $matching = array_filter(self::SEVERITIES, fn ($severity, $index) => match ($operator) {
+            '>' => $index > $rank,
+            '>=' => $index >= $rank,
+            '<' => $index < $rank,
+            '<=' => $index <= $rank,
+        }, ARRAY_FILTER_USE_BOTH);
+
+        return ['operator' => '=', 'values' => array_values($matching)];
+    }
+
+    /**
+     * Build a filter on the duration in milliseconds
+     *
+     * @param string $operator Operator
+     * @param string $value Whole number of milliseconds, optionally with an ms or s suffix
+     * @return array Filter
+     */
+    private function durationFilter(string $operator, string $value): array
+    {
+        if (!preg_match('/^(\d+)(ms|s)?$/i', $value, $match)) {
+            throw new InvalidArgumentException("Duration must be a number of milliseconds, got \"{$value}\"");
+        }
+
+        $milliseconds = (int)$match[1] * (strtolower($match[2] ?? '') === 's' ? 1000 : 1);
+
+        return ['operator' => $operator, 'values' => [$milliseconds]];
+    }
+
+    /**
+     * Build a filter on the time of the entry
+     *
+     * @param string $field after or before
+     * @param string $operator Operator, only : is accepted
+     * @param string $value Date, date and time, or a relative time such as 30m, 2h or 7d ago
+     * @param bool $negate Whether the filter is negated
+     * @return array Filter comparing created_at
+     */
+    private function timeFilter(string $field, string $operator, string $value, bool $negate): array
+    {
+        if ($operator !== ($negate ? '!=' : '=')) {
+            throw new InvalidArgumentException("Use {$field}:<time> to filter by time");
+        }
+
+        if (preg_match('/^(\d+)([smhdw])$/i', $value, $match)) {
+            $seconds = (int)$match[1] * self::TIME_UNITS[strtolower($match[2])];
+            $time = $this->now->modify("-{$seconds} seconds");
+        } else {
+            try {
+                $time = new DateTimeImmutable($value, $this->now->getTimezone());
+            } catch (\Exception $e) {
+                throw new InvalidArgumentException("Invalid time \"{$value}\" for {$field}");
+            }
+        }
+
+        // after:x is created_at >= x, before:x is created_at < x, negation swaps them
+        $operator = ($field === 'after') !== $negate ? '>=' : '<';
+
+        return ['operator' => $operator, 'values' => [$time->format('Y-m-d H:i:s')]];
+    }
+
+    /**
+     * Build a filter on a text column
+     *
+     * @param string $field Search field
+     * @param string $operator Operator, = or !=
+     * @param string $value Value or list of values, may contain * wildcards
+     * @return array Filter
+     */
+    private function valueFilter(string $field, string $operator, string $value): array
+    {
+        if ($operator !== '=' && $operator !== '!=') {
+            throw new InvalidArgumentException("Operator {$operator} is not supported for {$field}");
+        }
+
+        return ['operator' => $operator, 'values' => $this->splitList($value)];
+    }
+
+    /**
+     * Split a comma-separated list of values
+     *
+     * @param string $value Value or list
+     * @return array<string> Non-empty values
+     */
+    private function splitList(string $value): array
+    {
+        $values = array_values(array_filter(array_map('trim', explode(',', $value)), fn ($item) => $item !== ''));
+        if (empty($values)) {
+            throw new InvalidArgumentException("Missing value in \"{$value}\"");
+        }
+
+        return $values;
+    }
+
+    /**
+     * Remove the quotes around a value
+     *
+     * @param string $value Raw token value
+     * @return string Value without surrounding quotes and escapes
+     */
+    private function unquote(string $value): string
+    {
+        if (!str_starts_with($value, '"')) {
+            return $value;
+        }
+
+        $value = substr($value, 1);
+        if (str_ends_with($value, '"') && !str_ends_with($value, '\\"')) {
+            $value = substr($value, 0, -1);
+        }
+
+        return str_replace(['\\"', '\\\\'], ['"', '\\'], $value);
+    }
+}
@@ -0,0 +1,514 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Logging;
+
+use DateTimeImmutable;
+use Glueful\Database\Connection;
+use Glueful\Database\Tools\ExportWriter;
+use Glueful\Helpers\Utils;
+use Glueful\Repository\AuditLogRepository;
+use Glueful\Repository\AuditLogRetentionRuleRepository;
+
+/**
+ * Audit Log Retention
+ *
+ * Applies the retention rules of audit_log_retention_rules to the audit log.
+ * A rule applies to a category, a severity, both, or to every entry, and
+ * each entry follows the most specific rule that matches it: category and
+ * severity, then category, then severity, then the rule for everything.
+ * Entries no rule matches are left to LogCleaner.
+ *
+ * Expired entries of rules with archiving enabled are written to a gzip
+ * compressed NDJSON file in the audit_logs directory of the archive storage
+ * path and registered in archive_registry before they are deleted. Archives
+ * can be read back page by page and restored into the log.
+ *
+ * @package Glueful\Logging
+ */
+class AuditLogRetention
+{
+    /** @var string Table archives are registered under in archive_registry */
+    public const ARCHIVE_TABLE = 'audit_logs';
+
+    /** @var int Default days restored entries are kept before rules apply to them again */
+    public const DEFAULT_HOLD_DAYS = 7;
+
+    /** @var int Entries read per query when archiving or restoring */
+    private const BATCH_SIZE = 1000;
+
+    /** @var array<string> Columns of a rule that narrow the entries it applies to */
+    private const RULE_COLUMNS = ['category', 'severity'];
+
+    private Connection $db;
+    private AuditLogRepository $logs;
+    private AuditLogRetentionRuleRepository $rules;
+    private string $archivePath;
+
+    /**
+     * Create the retention service
+     *
+     * @param Connection|null $connection Optional connection override
+     * @param string|null $archivePath Directory for archive files, defaults to audit_logs in archive.storage.path
+     */
+    public function __construct(?Connection $connection = null, ?string $archivePath = null)
+    {
+        $this->db = $connection ?? new Connection();
+        $this->logs = new AuditLogRepository($this->db);
+        $this->rules = new AuditLogRetentionRuleRepository($this->db);
+        $this->archivePath = rtrim($archivePath ?? config('archive.storage.path') . 'audit_logs', '/');
+    }
+
+    /**
+     * Rank a rule by how specifically it matches entries
+     *
+     * @param array $rule Rule with category and severity, null for any
+     * @return int 3 for category and severity, 2 for category, 1 for severity, 0 for everything
+     */
+    public static function specificity(array $rule): int
+    {
+        return ($rule['category'] !== null ? 2 : 0) + ($rule['severity'] !== null ? 1 : 0);
+    }
+
+    /**
+     * Find the enabled rules that take entries of a rule over
+     *
+     * These are the more specific rules that match some of the same entries,
+     * for example "security, any severity" for "any category, warning".
+     *
+     * @param array $rule Rule with category and severity, null for any
+     * @param array $rules All rules
+     * @return array Rules whose entries the rule leaves alone
+     */
+    public static function overrides(array $rule, array $rules): array
+    {
+        return array_values(array_filter($rules, function ($other) use ($rule) {
+            if (!$other['enabled'] || self::specificity($other) <= self::specificity($rule)) {
+                return false;
+            }
+
+            foreach (self::RULE_COLUMNS as $column) {
+                if ($rule[$column] !== null && $other[$column] !== null && $rule[$column] !== $other[$column]) {
+                    return false;
+                }
+            }
+
+            return true;
+        }));
+    }
+
+    /**
+     * Check whether the rules and archive tables have been migrated yet
+     *
+     * @return bool True if retention can be configured
+     */
+    public function isAvailable(): bool
+    {
+        return $this->rules->isAvailable() && $this->db->getSchemaBuilder()->hasTable('archive_registry');
+    }
+
+    /**
+     * List the rules, most specific first, with the number of entries each would remove now
+     *
+     * @param DateTimeImmutable|null $now Current time
+     * @return array Rules with an expired count
+     */
+    public function rules(?DateTimeImmutable $now = null): array
+    {
+        $now ??= new DateTimeImmutable();
+        $rules = $this->sorted($this->rules->findRules());
+
+        return array_map(function ($rule) use ($rules, $now) {
+            $rule['expired'] = $rule['enabled'] ? $this->logs->countExpired(
+                $rule,
+                self::overrides($rule, $rules),
+                $this->cutoff($rule, $now),
+                $now->format('Y-m-d H:i:s')
+            ) : 0;
+
+            return $rule;
+        }, $rules);
+    }
+
+    /**
+     * Archive and delete the expired entries of every enabled rule
+     *
+     * A failing rule is reported and the other rules still run. When its
+     * archive cannot be written, none of its entries are deleted, and when
+     * its entries cannot be deleted, its archive is removed again.
+     *
+     * @param DateTimeImmutable|null $now Current time
+     * @return array Totals and the result of each rule
+     */
+    public function enforce(?DateTimeImmutable $now = null): array
+    {
+        $now ??= new DateTimeImmutable();
+        $rules = $this->sorted($this->rules->findRules());
+        $results = [];
+
+        foreach ($rules as $rule) {
+            if (!$rule['enabled']) {
+                continue;
+            }
+
+            $result = [
+                'rule' => $rule['uuid'],
+                'category' => $rule['category'],
+                'severity' => $rule['severity'],
+                'archived' => 0,
+                'deleted' => 0,
+                'archive' => null,
+                'error' => null,
+            ];
+
+            try {
+                $overrides = self::overrides($rule, $rules);
+                $cutoff = $this->cutoff($rule, $now);
+                $time = $now->format('Y-m-d H:i:s');
+
+                if ($rule['archive']) {
+                    $archive = $this->archive($rule, $overrides, $cutoff, $time);
+                    if ($archive !== null) {
+                        try {
+                            $result['deleted'] = $this->logs->deleteExpired(
+                                $rule,
+                                $overrides,
+                                $cutoff,
+                                $time,
+                                $archive['last_id']
+                            );
+                        } catch (\Exception $e) {
+                            // The entries are still in the log, so the next run archives them again
+                            $this->discard($archive);
+                            throw $e;
+                        }
+                        $result['archive'] = $archive['uuid'];
+                        $result['archived'] = $archive['record_count'];
+                    }
+                } else {
+                    $result['deleted'] = $this->logs->deleteExpired($rule, $overrides, $cutoff, $time);
+                }
+            } catch (\Exception $e) {
+                $result['error'] = $e->getMessage();
+                error_log("Audit log retention failed for rule {$rule['uuid']}: " . $e->getMessage());
+            }
+
+            $results[] = $result;
+        }
+
+        return [
+            'archived' => array_sum(array_column($results, 'archived')),
+            'deleted' => array_sum(array_column($results, 'deleted')),
+            'rules' => $results,
+        ];
+    }
+
+    /**
+     * List audit log archives newest first
+     *
+     * @param int $page Page number
+     * @param int $perPage Archives per page
+     * @return array Paginated result with decoded metadata
+     */
+    public function archives(int $page, int $perPage): array
+    {
+        $result = $this->db->table('archive_registry')
+            ->select([
+                'uuid', 'archive_date', 'period_start', 'period_end', 'record_count', 'file_size', 'status',
+                'metadata', 'created_at'
+            ])
+            ->where('table_name', '=', self::ARCHIVE_TABLE)
+            ->orderBy('created_at', 'DESC')
+            ->orderBy('id', 'DESC')
+            ->paginate($page, $perPage);
+
+        $result['data'] = array_map([$this, 'present'], $result['data'] ?? []);
+
+        return $result;
+    }
+
+    /**
+     * Find an audit log archive
+     *
+     * @param string $uuid Archive UUID
+     * @return array|null Archive with decoded metadata and its file path, or null if not found
+     */
+    public function findArchive(string $uuid): ?array
+    {
+        $archive = $this->db->table('archive_registry')
+            ->select(['*'])
+            ->where('uuid', '=', $uuid)
+            ->where('table_name', '=', self::ARCHIVE_TABLE)
+            ->first();
+
+        return $archive ? $this->present($archive) : null;
+    }
+
+    /**
+     * Read a page of the entries in an archive
+     *
+     * @param array $archive Archive from findArchive()
+     * @param int $page Page number
+     * @param int $perPage Entries per page
+     * @return array Entries of the page in the order they were archived
+     */
+    public function entries(array $archive, int $page, int $perPage): array
+    {
+        $skip = ($page - 1) * $perPage;
+        $entries = [];
+
+        foreach ($this->read($archive) as $index => $entry) {
+            if ($index < $skip) {
+                continue;
+            }
+            if (count($entries) === $perPage) {
+                break;
+            }
+            $entries[] = $entry;
+        }
+
+        return $entries;
+    }
+
+    /**
+     * Insert the entries of an archive into the audit log again
+     *
+     * Restored entries expire after the hold, when the rules that apply to
+     * them archive them again. Entries still in the log are skipped. The
+     * archive itself is kept.
+     *
+     * @param array $archive Archive from findArchive()
+     * @param int $holdDays Days restored entries are kept, 0 to keep them until they are deleted by hand
+     * @param string|null $userUuid User restoring the archive
+     * @return int Number of restored entries
+     * @throws \RuntimeException If the archive file is missing or does not match its checksum
+     */
+    public function restore(array $archive, int $holdDays, ?string $userUuid = null): int
+    {
+        $this->verify($archive);
+
+        $expiresAt = $holdDays > 0 ? date('Y-m-d H:i:s', strtotime("+{$holdDays} days")) : null;
+        $restored = 0;
+        $batch = [];
+
+        foreach ($this->read($archive) as $entry) {
+            $batch[] = $entry;
+            if (count($batch) === self::BATCH_SIZE) {
+                $restored += $this->logs->restoreEntries($batch, $expiresAt);
+                $batch = [];
+            }
+        }
+        $restored += $this->logs->restoreEntries($batch, $expiresAt);
+
+        $metadata = $archive['metadata'];
+        $metadata['restores'][] = [
+            'restored_at' => date('Y-m-d H:i:s'),
+            'restored_by' => $userUuid,
+            'restored' => $restored,
+            'expires_at' => $expiresAt,
+        ];
+
+        $this->db->table('archive_registry')
+            ->where('uuid', '=', $archive['uuid'])
+            ->update(['metadata' => json_encode($metadata), 'updated_at' => date('Y-m-d H:i:s')]);
+
+        return $restored;
+    }
+
+    /**
+     * Write the expired entries of a rule to an archive file and register it
+     *
+     * @param array $rule Rule
+     * @param array $overrides More specific rules whose entries are left to them
+     * @param string $cutoff Entries created before this time expire (Y-m-d H:i:s)
+     * @param string $now Current time (Y-m-d H:i:s)
+     * @return array|null Registered archive with the ID of its last entry, or null if nothing expired
+     * @throws \RuntimeException If the archive file cannot be written
+     */
+    private function archive(array $rule, array $overrides, string $cutoff, string $now): ?array
+    {
+        $uuid = Utils::generateNanoID();
+        $path = sprintf(
+            '%s/%s_%s_%s_%s.ndjson.gz',
+            $this->archivePath,
+            substr($now, 0, 10),
+            $rule['category'] ?? 'any',
+            $rule['severity'] ?? 'any',
+            $uuid
+        );
+
+        if (!is_dir($this->archivePath) && !mkdir($this->archivePath, 0755, true) && !is_dir($this->archivePath)) {
+            throw new \RuntimeException("Cannot create archive directory {$this->archivePath}");
+        }
+
+        $gz = gzopen($path, 'wb6');
+        if ($gz === false) {
+            throw new \RuntimeException("Cannot write archive file {$path}");
+        }
+
+        $writer = new ExportWriter('ndjson');
+        $count = 0;
+        $lastId = 0;
+        $firstCreated = null;
+        $lastCreated = null;
+
+        try {
+            do {
+                $entries = $this->logs->expired($rule, $overrides, $cutoff, $now, $lastId, self::BATCH_SIZE);
+                foreach ($entries as $entry) {
+                    if ($count === 0) {
+                        gzwrite($gz, $writer->begin(array_keys($entry)));
+                    }
+                    gzwrite($gz, $writer->write($entry));
+
+                    $count++;
+                    $lastId = (int)$entry['id'];
+                    $firstCreated = min($firstCreated ?? $entry['created_at'], $entry['created_at']);
+                    $lastCreated = max($lastCreated ?? $entry['created_at'], $entry['created_at']);
+                }
+            } while (count($entries) === self::BATCH_SIZE);
+        } catch (\Exception $e) {
+            gzclose($gz);
+            @unlink($path);
+            throw $e;
+        }
+
+        if (!gzclose($gz) || $count === 0) {
+            @unlink($path);
+            if ($count > 0) {
+                throw new \RuntimeException("Cannot write archive file {$path}");
+            }
+            return null;
+        }
+
+        $archive = [
+            'uuid' => $uuid,
+            'table_name' => self::ARCHIVE_TABLE,
+            'archive_date' => substr($now, 0, 10),
+            'period_start' => $firstCreated,
+            'period_end' => $lastCreated,
+            'record_count' => $count,
+            'file_path' => $path,
+            'file_size' => filesize($path),
+            'compression_type' => 'gzip',
+            'encryption_enabled' => 0,
+            'checksum_sha256' => hash_file('sha256', $path),
+            'status' => 'completed',
+            'metadata' => json_encode([
+                'format' => 'ndjson',
+                'rule' => [
+                    'uuid' => $rule['uuid'],
+                    'category' => $rule['category'],
+                    'severity' => $rule['severity'],
+                    'retention_days' => $rule['retention_days'],
+                ],
+                'cutoff' => $cutoff,
+                'last_id' => $lastId,
+            ]),
+            'created_at' => $now,
+        ];
+        $this->db->table('archive_registry')->insert($archive);
+
+        return $archive + ['last_id' => $lastId];
+    }
+
+    /**
+     * Remove an archive whose entries could not be deleted
+     *
+     * @param array $archive Archive from archive()
+     */
+    private function discard(array $archive): void
+    {
+        @unlink($archive['file_path']);
+        $this->db->table('archive_registry')->where('uuid', '=', $archive['uuid'])->delete();
+    }
+
+    /**
+     * Read the entries of an archive one by one
+     *
+     * @param array $archive Archive from findArchive()
+     * @return \Generator<int, array> Raw entries
+     * @throws \RuntimeException If the archive file cannot be read
+     */
+    private function read(array $archive): \Generator
+    {
+        $gz = is_file($archive['file_path']) ? gzopen($archive['file_path'], 'rb') : false;
+        if ($gz === false) {
+            throw new \RuntimeException("Archive file {$archive['file_path']} is missing");
+        }
+
+        try {
+            $index = 0;
+            while (($line = gzgets($gz)) !== false) {
+                $entry = json_decode($line, true);
+                if (is_array($entry)) {
+                    yield $index++ => $entry;
+                }
+            }
+        } finally {
+            gzclose($gz);
+        }
+    }
+
+    /**
+     * Check that an archive file matches the checksum it was registered with
+     *
+     * @param array $archive Archive from findArchive()
+     * @throws \RuntimeException If the file is missing or was changed
+     */
+    private function verify(array $archive): void
+    {
+        if (!is_file($archive['file_path'])) {
+            throw new \RuntimeException("Archive file {$archive['file_path']} is missing");
+        }
+
+        if (hash_file('sha256', $archive['file_path']) !== $archive['checksum_sha256']) {
+            $this->db->table('archive_registry')
+                ->where('uuid', '=', $archive['uuid'])
+                ->update(['status' => 'corrupted']);
+
+            throw new \RuntimeException('Archive file does not match its checksum');
+        }
+    }
+
+    /**
+     * Get the time before which entries of a rule expire
+     *
+     * @param array $rule Rule
+     * @param DateTimeImmutable $now Current time
+     * @return string Cutoff (Y-m-d H:i:s)
+     */
+    private function cutoff(array $rule, DateTimeImmutable $now): string
+    {
+        return $now->modify("-{$rule['retention_days']} days")->format('Y-m-d H:i:s');
+    }
+
+    /**
+     * Sort rules most specific first
+     *
+     * @param array $rules Rules
+     * @return array Sorted rules
+     */
+    private function sorted(array $rules): array
+    {
+        usort($rules, fn ($a, $b) => self::specificity($b) <=> self::specificity($a));
+
+        return $rules;
+    }
+
+    /**
+     * Shape an archive registry row for responses
+     *
+     * @param array $archive Raw database row
+     * @return array Archive with decoded metadata and numeric counts
+     */
+    private function present(array $archive): array
+    {
+        $archive['metadata'] = json_decode((string)($archive['metadata'] ?? ''), true) ?: [];
+        $archive['record_count'] = (int)$archive['record_count'];
+        $archive['file_size'] = (int)$archive['file_size'];
+
+        return $archive;
+    }
+}
@@ -0,0 +1,160 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Database\Connection;
+
+/**
+ * API Metric Threshold Repository
+ *
+ * Handles persistence for the alert thresholds checked by the
+ * api_metric_alerts job, including the breach state each check leaves
+ * behind for the dashboard banners.
+ *
+ * @package Glueful\Repository
+ */
+class ApiMetricThresholdRepository extends BaseRepository
+{
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = [
+            'uuid', 'name', 'endpoint_key', 'metric', 'value', 'window_minutes', 'min_requests', 'enabled',
+            'breached', 'last_value', 'breached_at', 'last_evaluated_at', 'created_by', 'created_at', 'updated_at'
+        ];
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'api_metric_thresholds';
+    }
+
+    /**
+     * Check whether the thresholds table has been migrated yet
+     *
+     * @return bool True if thresholds can be saved
+     */
+    public function isAvailable(): bool
+    {
+        return $this->db->getSchemaBuilder()->hasTable($this->table);
+    }
+
+    /**
+     * List all thresholds by name
+     *
+     * @return array Thresholds with typed values and flags
+     */
+    public function findThresholds(): array
+    {
+        return array_map([$this, 'cast'], $this->findAll([], ['name' => 'ASC']));
+    }
+
+    /**
+     * List the thresholds the alert job checks
+     *
+     * @return array Enabled thresholds
+     */
+    public function findEnabled(): array
+    {
+        return array_map([$this, 'cast'], $this->findAll(['enabled' => 1], ['name' => 'ASC']));
+    }
+
+    /**
+     * List the thresholds exceeded when last checked
+     *
+     * @return array Breached thresholds, longest breached first
+     */
+    public function findBreached(): array
+    {
+        return array_map(
+            [$this, 'cast'],
+            $this->findAll(['enabled' => 1, 'breached' => 1], ['breached_at' => 'ASC'])
+        );
+    }
+
+    /**
+     * Save a threshold, creating it when no UUID is given
+     *
+     * Changing what a threshold measures clears its breach state so the next
+     * check starts from scratch.
+     *
+     * @param array $threshold Threshold with name, endpoint_key, metric, value, window_minutes,
+     *                         min_requests and enabled
+     * @param string|null $uuid Threshold to update
+     * @param string|null $userUuid User saving the threshold
+     * @return array Saved threshold
+     */
+    public function saveThreshold(array $threshold, ?string $uuid, ?string $userUuid): array
+    {
+        $data = [
+            'name' => $threshold['name'],
+            'endpoint_key' => $threshold['endpoint_key'],
+            'metric' => $threshold['metric'],
+            'value' => (float)$threshold['value'],
+            'window_minutes' => (int)$threshold['window_minutes'],
+            'min_requests' => (int)$threshold['min_requests'],
+            'enabled' => $threshold['enabled'] ? 1 : 0,
+            'breached' => 0,
+            'last_value' => null,
+            'breached_at' => null,
+            'created_by' => $userUuid,
+        ];
+
+        if ($uuid !== null) {
+            $this->update($uuid, $data);
+        } else {
+            $uuid = $this->create($data);
+        }
+
+        return $this->cast($this->find($uuid));
+    }
+
+    /**
+     * Record the outcome of checking a threshold
+     *
+     * @param string $uuid Threshold UUID
+     * @param float $value Metric value measured
+     * @param bool $breached Whether the value exceeded the threshold
+     * @param string|null $breachedAt When the breach started, null when not breached
+     */
+    public function recordEvaluation(string $uuid, float $value, bool $breached, ?string $breachedAt): void
+    {
+        $this->db->table($this->table)->where('uuid', $uuid)->update([
+            'last_value' => $value,
+            'breached' => $breached ? 1 : 0,
+            'breached_at' => $breachedAt,
+            'last_evaluated_at' => date('Y-m-d H:i:s'),
+        ]);
+    }
+
+    /**
+     * Convert database values of a threshold to their types
+     *
+     * @param array $threshold Raw database row
+     * @return array Threshold
+     */
+    private function cast(array $threshold): array
+    {
+        $threshold['value'] = (float)$threshold['value'];
+        $threshold['window_minutes'] = (int)$threshold['window_minutes'];
+        $threshold['min_requests'] = (int)$threshold['min_requests'];
+        $threshold['enabled'] = (bool)$threshold['enabled'];
+        $threshold['breached'] = (bool)$threshold['breached'];
+        $threshold['last_value'] = $threshold['last_value'] !== null ? (float)$threshold['last_value'] : null;
+
+        return $threshold;
+    }
+}
@@ -0,0 +1,619 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Database\Connection;
+use Glueful\Database\QueryBuilder;
+use Glueful\Helpers\Utils;
+use Glueful\Logging\AuditLogQuery;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Audit Log Repository
+ *
+ * Writes entries to the audit log and searches it for the Audit Logs page:
+ * - Recording an entry with the details of the request that caused it
+ * - Paginated search with the filters of an AuditLogQuery
+ * - Reading entries written after a cursor for the live tail
+ * - Reading matching entries in chunks for exports
+ * - Deleting entries older than a cutoff, optionally only those no retention rule applies to
+ * - Reading, deleting and restoring the entries a retention rule expires
+ *
+ * Entries are returned with their JSON columns decoded, the username of
+ * the user and the number of entries written during the same request
+ * (correlation_size), so the page can collapse them together.
+ *
+ * @package Glueful\Repository
+ */
+class AuditLogRepository extends BaseRepository
+{
+    /** @var int Rows read per query when exporting */
+    private const CHUNK_SIZE = 1000;
+
+    /** @var array<string> Columns matched by free text terms */
+    private const TEXT_COLUMNS = ['action', 'entity_type', 'entity_id', 'request_id'];
+
+    /** @var array<string> JSON columns decoded for responses */
+    private const JSON_COLUMNS = ['old_values', 'new_values', 'context', 'metadata'];
+
+    /** @var array<string> Columns of a retention rule that narrow the entries it applies to */
+    private const RULE_COLUMNS = ['category', 'severity'];
+
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = [
+            'id', 'uuid', 'user_id', 'action', 'category', 'severity', 'status', 'entity_type', 'entity_id',
+            'old_values', 'new_values', 'ip_address', 'user_agent', 'context', 'metadata', 'session_id',
+            'request_id', 'parent_audit_id', 'source', 'duration_ms', 'created_at'
+        ];
+        $this->hasUpdatedAt = false;
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'audit_logs';
+    }
+
+    /**
+     * Check whether the audit log table has been migrated yet
+     *
+     * @return bool True if entries are recorded
+     */
+    public function isAvailable(): bool
+    {
+        return $this->db->getSchemaBuilder()->hasTable($this->table);
+    }
+
+    /**
+     * Write an entry to the audit log
+     *
+     * Fills in the uuid and created_at of the entry and, when a request is
+     * given, the IP address, user agent and X-Request-ID of that request, so
+     * entries written while handling it are correlated. Array values of the
+     * JSON columns are encoded.
+     *
+     * @param array $entry Entry with action, category, severity, entity_type, entity_id, ...
+     * @param Request|null $request Request the entry was caused by, null for cron and CLI
+     * @return string UUID of the new entry
+     */
+    public function record(array $entry, ?Request $request = null): string
+    {
+        foreach (self::JSON_COLUMNS as $column) {
+            if (isset($entry[$column]) && is_array($entry[$column])) {
+                $entry[$column] = json_encode($entry[$column]);
+            }
+        }
+
+        if ($request !== null) {
+            $entry += [
+                'ip_address' => $request->getClientIp(),
+                'user_agent' => $request->headers->get('User-Agent'),
+                'request_id' => $request->headers->get('X-Request-ID'),
+            ];
+        }
+
+        $entry = [
+            'uuid' => Utils::generateNanoID(),
+            'status' => 'success',
+            'created_at' => date('Y-m-d H:i:s'),
+        ] + $entry;
+
+        $this->db->table($this->table)->insert($entry);
+
+        return $entry['uuid'];
+    }
+
+    /**
+     * Search entries newest first
+     *
+     * @param AuditLogQuery $query Search query
+     * @param int $page Page number
+     * @param int $perPage Entries per page
+     * @return array Paginated result with presented entries
+     */
+    public function search(AuditLogQuery $query, int $page, int $perPage): array
+    {
+        $builder = $this->newQuery($query)->orderBy('id', 'DESC');
+
+        $result = $builder->paginate($page, $perPage);
+        $result['data'] = $this->present($result['data'] ?? []);
+
+        return $result;
+    }
+
+    /**
+     * Get entries written after a cursor, oldest first
+     *
+     * @param AuditLogQuery $query Search query
+     * @param int $afterId ID of the last entry already seen
+     * @param int $limit Maximum number of entries
+     * @return array Presented entries
+     */
+    public function since(AuditLogQuery $query, int $afterId, int $limit): array
+    {
+        $entries = $this->newQuery($query)
+            ->where('id', '>', $afterId)
+            ->orderBy('id', 'ASC')
+            ->limit($limit)
+            ->get();
+
+        return $this->present($entries);
+    }
+
+    /**
+     * Get the ID of the newest entry
+     *
+     * @return int Entry ID, 0 if the log is empty
+     */
+    public function latestId(): int
+    {
+        return (int)$this->db->table($this->table)->max('id');
+    }
+
+    /**
+     * Read matching entries newest first in chunks
+     *
+     * @param AuditLogQuery $query Search query
+     * @param array<string> $uuids Only export these entries, all matching entries when empty
+     * @param int $limit Maximum number of entries
+     * @return \Generator<array> Presented entries
+     */
+    public function export(AuditLogQuery $query, array $uuids, int $limit): \Generator
+    {
+        $beforeId = null;
+        $remaining = $limit;
+
+        while ($remaining > 0) {
+            $builder = $this->newQuery($query)->orderBy('id', 'DESC')->limit(min(self::CHUNK_SIZE, $remaining));
+            if (!empty($uuids)) {
+                $builder->whereIn('uuid', $uuids);
+            }
+            if ($beforeId !== null) {
+                $builder->where('id', '<', $beforeId);
+            }
+
+            $entries = $builder->get();
+            foreach ($this->present($entries) as $entry) {
+                yield $entry;
+            }
+
+            if (count($entries) < self::CHUNK_SIZE) {
+                return;
+            }
+
+            $remaining -= count($entries);
+            $beforeId = (int)end($entries)['id'];
+        }
+    }
+
+    /**
+     * Delete entries older than a cutoff
+     *
+     * @param string $cutoff Entries created before this time are deleted (Y-m-d H:i:s)
+     * @param string|null $category Only delete entries of this category
+     * @return int Number of deleted entries
+     */
+    public function deleteOlderThan(string $cutoff, ?string $category = null): int
+    {
+        // The query builder only supports equality conditions when deleting
+        $sql = sprintf('DELETE FROM %s WHERE %s < ?', $this->wrap($this->table), $this->wrap('created_at'));
+        $bindings = [$cutoff];
+        if ($category !== null) {
+            $sql .= sprintf(' AND %s = ?', $this->wrap('category'));
+            $bindings[] = $category;
+        }
+
+        return $this->db->query()->executeModification($sql, $bindings);
+    }
+
+    /**
+     * Delete entries older than a cutoff that no retention rule applies to
+     *
+     * Entries of the given rules are left to the retention job, which
+     * archives them first when the rule asks for it.
+     *
+     * @param string $cutoff Entries created before this time are deleted (Y-m-d H:i:s)
+     * @param array $rules Enabled rules with category and severity, null for any
+     * @return int Number of deleted entries
+     */
+    public function deleteUncovered(string $cutoff, array $rules): int
+    {
+        $sql = sprintf('DELETE FROM %s WHERE %s < ?', $this->wrap($this->table), $this->wrap('created_at'));
+        $bindings = [$cutoff];
+
+        foreach ($rules as $rule) {
+            $conditions = [];
+            foreach (self::RULE_COLUMNS as $column) {
+                if ($rule[$column] !== null) {
+                    $conditions[] = $this->wrap($column) . ' = ?';
+                    $bindings[] = $rule[$column];
+                }
+            }
+
+            if (empty($conditions)) {
+                // A rule for every entry leaves nothing uncovered
+                return 0;
+            }
+            $sql .= ' AND NOT (' . implode(' AND ', $conditions) . ')';
+        }
+
+        return $this->db->query()->executeModification($sql, $bindings);
+    }
+
+    /**
+     * Get entries a retention rule expires, oldest first
+     *
+     * @param array $rule Rule with category and severity, null for any
+     * @param array $overrides More specific rules whose entries are left to them
+     * @param string $cutoff Entries created before this time expire (Y-m-d H:i:s)
+     * @param string $now Current time, entries with an earlier expires_at expire (Y-m-d H:i:s)
+     * @param int $afterId ID of the last entry already read
+     * @param int $limit Maximum number of entries
+     * @return array Raw database rows, including expires_at
+     */
+    public function expired(array $rule, array $overrides, string $cutoff, string $now, int $afterId, int $limit): array
+    {
+        return $this->expiredQuery($rule, $overrides, $cutoff, $now)
+            ->select(array_merge($this->defaultFields, ['expires_at']))
+            ->where('id', '>', $afterId)
+            ->orderBy('id', 'ASC')
+            ->limit($limit)
+            ->get();
+    }
+
+    /**
+     * Count the entries a retention rule expires
+     *
+     * @param array $rule Rule with category and severity, null for any
+     * @param array $overrides More specific rules whose entries are left to them
+     * @param string $cutoff Entries created before this time expire (Y-m-d H:i:s)
+     * @param string $now Current time, entries with an earlier expires_at expire (Y-m-d H:i:s)
+     * @return int Number of entries
+     */
+    public function countExpired(array $rule, array $overrides, string $cutoff, string $now): int
+    {
+        return $this->expiredQuery($rule, $overrides, $cutoff, $now)->count();
+    }
+
+    /**
+     * Delete the entries a retention rule expires
+     *
+     * Entries are deleted by ID in chunks within one transaction, so either
+     * all of them are deleted or none.
+     *
+     * @param array $rule Rule with category and severity, null for any
+     * @param array $overrides More specific rules whose entries are left to them
+     * @param string $cutoff Entries created before this time expire (Y-m-d H:i:s)
+     * @param string $now Current time, entries with an earlier expires_at expire (Y-m-d H:i:s)
+     * @param int|null $maxId Only delete entries up to this ID, so entries not archived yet are kept
+     * @return int Number of deleted entries
+     * @throws \Glueful\Exceptions\DatabaseException If the entries cannot be deleted
+     */
+    public function deleteExpired(array $rule, array $overrides, string $cutoff, string $now, ?int $maxId = null): int
+    {
+        return $this->executeInTransaction(function () use ($rule, $overrides, $cutoff, $now, $maxId) {
+            $deleted = 0;
+
+            do {
+                $builder = $this->expiredQuery($rule, $overrides, $cutoff, $now)
+                    ->select(['id'])
+                    ->orderBy('id', 'ASC')
+                    ->limit(self::CHUNK_SIZE);
+                if ($maxId !== null) {
+                    $builder->where('id', '<=', $maxId);
+                }
+
+                $ids = array_map('intval', array_column($builder->get(), 'id'));
+                if (!empty($ids)) {
+                    $deleted += $this->db->query()->executeModification(
+                        sprintf(
+                            'DELETE FROM %s WHERE %s IN (%s)',
+                            $this->wrap($this->table),
+                            $this->wrap('id'),
+                            implode(', ', array_fill(0, count($ids), '?'))
+                        ),
+                        $ids
+                    );
+                }
+            } while (count($ids) === self::CHUNK_SIZE);
+
+            return $deleted;
+        });
+    }
+
+    /**
+     * Insert archived entries again
+     *
+     * Entries that are still in the log are skipped. Restored entries keep
+     * their ID and get a new expiry, so retention rules leave them alone
+     * until then.
+     *
+     * @param array $entries Raw rows as read by expired()
+     * @param string|null $expiresAt Time the restored entries expire (Y-m-d H:i:s)
+     * @return int Number of restored entries
+     */
+    public function restoreEntries(array $entries, ?string $expiresAt): int
+    {
+        if (empty($entries)) {
+            return 0;
+        }
+
+        $existing = $this->db->table($this->table)
+            ->select(['uuid'])
+            ->whereIn('uuid', array_column($entries, 'uuid'))
+            ->get();
+        $existing = array_flip(array_column($existing, 'uuid'));
+
+        $rows = [];
+        foreach ($entries as $entry) {
+            if (!isset($existing[$entry['uuid']])) {
+                $rows[] = ['expires_at' => $expiresAt] + $entry;
+            }
+        }
+
+        return empty($rows) ? 0 : $this->db->table($this->table)->insertBatch($rows);
+    }
+
+    /**
+     * Start a query on the entries a retention rule expires
+     *
+     * An entry expires when its expires_at has passed or, without an
+     * expires_at, when it was created before the cutoff.
+     *
+     * @param array $rule Rule with category and severity, null for any
+     * @param array $overrides More specific rules whose entries are left to them
+     * @param string $cutoff Entries created before this time expire (Y-m-d H:i:s)
+     * @param string $now Current time (Y-m-d H:i:s)
+     * @return QueryBuilder Query builder
+     */
+    private function expiredQuery(array $rule, array $overrides, string $cutoff, string $now): QueryBuilder
+    {
+        $builder = $this->db->table($this->table);
+
+        foreach (self::RULE_COLUMNS as $column) {
+            if ($rule[$column] !== null) {
+                $builder->where($column, '=', $rule[$column]);
+            }
+        }
+
+        foreach ($overrides as $override) {
+            $builder->where(function ($where) use ($override) {
+                foreach (self::RULE_COLUMNS as $column) {
+                    if ($override[$column] !== null) {
+                        $where->orWhere($column, '!=', $override[$column]);
+                    }
+                }
+            });
+        }
+
+        $builder->where(function ($where) use ($cutoff, $now) {
+            $where->where(function ($kept) use ($cutoff) {
+                $kept->whereNull('expires_at');
+                $kept->where('created_at', '<', $cutoff);
+            });
+            $where->orWhere('expires_at', '<', $now);
+        });
+
+        return $builder;
+    }
+
+    /**
+     * Start a query on the audit log with the filters of a search query applied
+     *
+     * @param AuditLogQuery $query Search query
+     * @return QueryBuilder Query builder selecting the default fields
+     */
+    private function newQuery(AuditLogQuery $query): QueryBuilder
+    {
+        $builder = $this->db->table($this->table)->select($this->defaultFields);
+
+        foreach ($query->getFilters() as $filter) {
+            $this->applyFilter($builder, $filter);
+        }
+
+        foreach ($query->getTerms() as $term) {
+            $pattern = '%' . $this->likePattern($term['value']) . '%';
+            $builder->where(function ($where) use ($pattern, $term) {
+                foreach (self::TEXT_COLUMNS as $column) {
+                    if ($term['negate']) {
+                        $where->where(function ($none) use ($column, $pattern) {
+                            $none->where($column, 'NOT LIKE', $pattern);
+                            $none->orWhereNull($column);
+                        });
+                    } else {
+                        $where->orWhere($column, 'LIKE', $pattern);
+                    }
+                }
+            });
+        }
+
+        return $builder;
+    }
+
+    /**
+     * Apply a parsed filter to a query
+     *
+     * Negated filters also match entries where the column is empty, so
+     * -ip:10.0.* includes entries without an IP address.
+     *
+     * @param QueryBuilder $builder Query builder
+     * @param array $filter Filter from AuditLogQuery::getFilters()
+     */
+    private function applyFilter(QueryBuilder $builder, array $filter): void
+    {
+        $column = $filter['column'];
+        $values = $filter['values'];
+        $operator = $filter['operator'];
+
+        if ($operator !== '=' && $operator !== '!=') {
+            $builder->where($column, $operator, $values[0]);
+            return;
+        }
+
+        if ($filter['field'] === 'user') {
+            $values = $this->userIds($values);
+            if ($operator === '=') {
+                $builder->whereIn($column, $values);
+            } elseif (!empty($values)) {
+                // Excluding users that do not exist leaves every entry
+                $builder->where(function ($where) use ($column, $values) {
+                    $where->whereNotIn($column, $values);
+                    $where->orWhereNull($column);
+                });
+            }
+            return;
+        }
+
+        $exact = array_values(array_filter($values, fn ($value) => !str_contains((string)$value, '*')));
+        $patterns = array_map([$this, 'likePattern'], array_diff($values, $exact));
+
+        if ($operator === '=') {
+            $builder->where(function ($where) use ($column, $exact, $patterns) {
+                if (!empty($exact)) {
+                    $where->whereIn($column, $exact);
+                }
+                foreach ($patterns as $pattern) {
+                    $where->orWhere($column, 'LIKE', $pattern);
+                }
+            });
+            return;
+        }
+
+        $builder->where(function ($where) use ($column, $exact, $patterns) {
+            $where->where(function ($none) use ($column, $exact, $patterns) {
+                $none->whereNotIn($column, $exact);
+                foreach ($patterns as $pattern) {
+                    $none->where($column, 'NOT LIKE', $pattern);
+                }
+            });
+            $where->orWhereNull($column);
+        });
+    }
+
+    /**
+     * Find the UUIDs of users by username or UUID
+     *
+     * @param array<string> $values Usernames or UUIDs, may contain * wildcards
+     * @return array<string> Matching user UUIDs
+     */
+    private function userIds(array $values): array
+    {
+        $users = $this->db->table('users')
+            ->select(['uuid'])
+            ->where(function ($where) use ($values) {
+                foreach ($values as $value) {
+                    $operator = str_contains($value, '*') ? 'LIKE' : '=';
+                    $value = $operator === 'LIKE' ? $this->likePattern($value) : $value;
+                    $where->orWhere('username', $operator, $value);
+                    $where->orWhere('uuid', $operator, $value);
+                }
+            })
+            ->get();
+
+        return array_column($users, 'uuid');
+    }
+
+    /**
+     * Quote a table or column name for raw SQL
+     *
+     * @param string $identifier Table or column name
+     * @return string Quoted identifier
+     */
+    private function wrap(string $identifier): string
+    {
+        return $this->db->getDriver()->wrapIdentifier($identifier);
+    }
+
+    /**
+     * Turn a value with * wildcards into a LIKE pattern
+     *
+     * @param string $value Value
+     * @return string Pattern with LIKE wildcards in the value escaped
+     */
+    private function likePattern(string $value): string
+    {
+        return str_replace('*', '%', addcslashes($value, '\\%_'));
+    }
+
+    /**
+     * Shape entries for responses
+     *
+     * @param array $entries Raw database rows
+     * @return array Entries with decoded JSON, username and correlation size
+     */
+    private function present(array $entries): array
+    {
+        $usernames = $this->usernames(array_column($entries, 'user_id'));
+        $sizes = $this->correlationSizes(array_column($entries, 'request_id'));
+
+        return array_map(function ($entry) use ($usernames, $sizes) {
+            foreach (self::JSON_COLUMNS as $column) {
+                $entry[$column] = isset($entry[$column]) ? json_decode((string)$entry[$column], true) : null;
+            }
+            $entry['id'] = (int)$entry['id'];
+            $entry['duration_ms'] = isset($entry['duration_ms']) ? (int)$entry['duration_ms'] : null;
+            $entry['username'] = $usernames[$entry['user_id']] ?? null;
+            $entry['correlation_size'] = $sizes[$entry['request_id']] ?? 1;
+
+            return $entry;
+        }, $entries);
+    }
+
+    /**
+     * Count the entries written during each request
+     *
+     * @param array $requestIds Request IDs, may contain nulls
+     * @return array<string, int> Number of entries by request ID
+     */
+    private function correlationSizes(array $requestIds): array
+    {
+        $requestIds = array_values(array_unique(array_filter($requestIds)));
+        if (empty($requestIds)) {
+            return [];
+        }
+
+        $counts = $this->db->table($this->table)
+            ->select(['request_id'])
+            ->selectRaw('COUNT(*) AS entries')
+            ->whereIn('request_id', $requestIds)
+            ->groupBy('request_id')
+            ->get();
+
+        return array_map('intval', array_column($counts, 'entries', 'request_id'));
+    }
+
+    /**
+     * Get usernames by user UUID
+     *
+     * @param array $userUuids User UUIDs, may contain nulls
+     * @return array<string, string> Usernames keyed by UUID
+     */
+    private function usernames(array $userUuids): array
+    {
+        $userUuids = array_values(array_unique(array_filter($userUuids)));
+        if (empty($userUuids)) {
+            return [];
+        }
+
+        $users = $this->db->table('users')
+            ->select(['uuid', 'username'])
+            ->whereIn('uuid', $userUuids)
+            ->get();
+
+        return array_column($users, 'username', 'uuid');
+    }
+}
@@ -0,0 +1,143 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Database\Connection;
+
+/**
+ * Audit Log Retention Rule Repository
+ *
+ * Handles persistence for the retention rules applied by the
+ * audit_log_retention job. A rule is identified by its category and
+ * severity, either of which may be null to match any value.
+ *
+ * @package Glueful\Repository
+ */
+class AuditLogRetentionRuleRepository extends BaseRepository
+{
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = [
+            'uuid', 'category', 'severity', 'retention_days', 'archive', 'enabled', 'created_by', 'created_at',
+            'updated_at'
+        ];
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'audit_log_retention_rules';
+    }
+
+    /**
+     * Check whether the rules table has been migrated yet
+     *
+     * @return bool True if rules can be saved
+     */
+    public function isAvailable(): bool
+    {
+        return $this->db->getSchemaBuilder()->hasTable($this->table);
+    }
+
+    /**
+     * List the rules the retention job enforces
+     *
+     * @return array Enabled rules, none while the table is not migrated
+     */
+    public function findEnabledRules(): array
+    {
+        if (!$this->isAvailable()) {
+            return [];
+        }
+
+        return array_map([$this, 'cast'], $this->findAll(['enabled' => 1]));
+    }
+
+    /**
+     * List all rules by category and severity
+     *
+     * @return array Rules with typed retention_days, archive and enabled
+     */
+    public function findRules(): array
+    {
+        return array_map([$this, 'cast'], $this->findAll([], ['category' => 'ASC', 'severity' => 'ASC']));
+    }
+
+    /**
+     * Find the rule for a category and severity
+     *
+     * @param string|null $category Category, null for any category
+     * @param string|null $severity Severity, null for any severity
+     * @return array|null Rule or null if there is none
+     */
+    public function findRule(?string $category, ?string $severity): ?array
+    {
+        $query = $this->db->table($this->table)->select($this->defaultFields);
+        foreach (['category' => $category, 'severity' => $severity] as $column => $value) {
+            if ($value === null) {
+                $query->whereNull($column);
+            } else {
+                $query->where($column, '=', $value);
+            }
+        }
+
+        $rule = $query->first();
+
+        return $rule ? $this->cast($rule) : null;
+    }
+
+    /**
+     * Save a rule, replacing the rule for the same category and severity
+     *
+     * @param array $rule Rule with category, severity, retention_days, archive and enabled
+     * @param string|null $userUuid User saving the rule
+     * @return array Saved rule
+     */
+    public function saveRule(array $rule, ?string $userUuid): array
+    {
+        $data = [
+            'retention_days' => (int)$rule['retention_days'],
+            'archive' => $rule['archive'] ? 1 : 0,
+            'enabled' => $rule['enabled'] ? 1 : 0,
+            'created_by' => $userUuid,
+        ];
+
+        $existing = $this->findRule($rule['category'], $rule['severity']);
+        if ($existing) {
+            $this->update($existing['uuid'], $data);
+            $uuid = $existing['uuid'];
+        } else {
+            $uuid = $this->create($data + ['category' => $rule['category'], 'severity' => $rule['severity']]);
+        }
+
+        return $this->cast($this->find($uuid));
+    }
+
+    /**
+     * Convert database values of a rule to their types
+     *
+     * @param array $rule Raw database row
+     * @return array Rule
+     */
+    private function cast(array $rule): array
+    {
+        $rule['retention_days'] = (int)$rule['retention_days'];
+        $rule['archive'] = (bool)$rule['archive'];
+        $rule['enabled'] = (bool)$rule['enabled'];
+
+        return $rule;
+    }
+}
@@ -0,0 +1,183 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Configuration\ConfigFormSchema;
+use Glueful\Database\Connection;
+
+/**
+ * Config Version Repository
+ *
+ * Handles the version history of configuration files edited on the
+ * Settings page:
+ * - Recording the file content and its values after each change with the settings it changed
+ * - Listing the versions of a file newest first with the username of the author
+ * - Getting a version with its content and values for rollback
+ *
+ * Secrets are masked in the recorded values, so the history only shows
+ * whether a secret was set. The file content keeps its env() calls.
+ *
+ * @package Glueful\Repository
+ */
+class ConfigVersionRepository extends BaseRepository
+{
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = [
+            'uuid', 'config_name', 'version', 'checksum_sha256', 'changes', 'change_note', 'created_by', 'created_at'
+        ];
+        $this->hasUpdatedAt = false;
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'config_versions';
+    }
+
+    /**
+     * Check whether the config versions table has been migrated yet
+     *
+     * @return bool True if versions can be recorded
+     */
+    public function isAvailable(): bool
+    {
+        return $this->db->getSchemaBuilder()->hasTable($this->table);
+    }
+
+    /**
+     * Get the versions of a configuration file
+     *
+     * @param string $configName Configuration name
+     * @return array Versions, newest first, with author username and without content
+     */
+    public function getVersions(string $configName): array
+    {
+        $versions = $this->db->table($this->table)
+            ->select([
+                'config_versions.uuid',
+                'config_versions.version',
+                'config_versions.checksum_sha256',
+                'config_versions.changes',
+                'config_versions.change_note',
+                'config_versions.created_by',
+                'config_versions.created_at',
+                'users.username as created_by_username',
+            ])
+            ->leftJoin('users', 'users.uuid', '=', 'config_versions.created_by')
+            ->where(['config_versions.config_name' => $configName])
+            ->orderBy(['config_versions.version' => 'DESC'])
+            ->get();
+
+        return array_map([$this, 'decode'], $versions);
+    }
+
+    /**
+     * Get the latest version of a configuration file
+     *
+     * @param string $configName Configuration name
+     * @return array|null Latest version without content, or null if there is none
+     */
+    public function latest(string $configName): ?array
+    {
+        $version = $this->db->table($this->table)
+            ->select($this->defaultFields)
+            ->where(['config_name' => $configName])
+            ->orderBy(['version' => 'DESC'])
+            ->first();
+
+        return $version ? $this->decode($version) : null;
+    }
+
+    /**
+     * Get a version of a configuration file with its content and values
+     *
+     * @param string $configName Configuration name
+     * @param int $version Version number
+     * @return array|null Version with decoded values, secrets masked, or null if not found
+     */
+    public function findVersion(string $configName, int $version): ?array
+    {
+        $record = $this->db->table($this->table)
+            ->select([...$this->defaultFields, 'content', 'config_values'])
+            ->where(['config_name' => $configName, 'version' => $version])
+            ->first();
+
+        if (!$record) {
+            return null;
+        }
+
+        $values = json_decode((string)$record['config_values'], true);
+        $record['config_values'] = is_array($values) ? $values : null;
+
+        return $this->decode($record);
+    }
+
+    /**
+     * Record the content of a configuration file as its next version
+     *
+     * @param string $configName Configuration name
+     * @param string $content PHP source of the file
+     * @param array $values Values the file returns, secrets are masked before they are stored
+     * @param array $changes Changes from the previous version, secrets masked
+     * @param string|null $note Optional change note
+     * @param string|null $userUuid Author, null for changes made outside the editor
+     * @return int Recorded version number
+     */
+    public function record(
+        string $configName,
+        string $content,
+        array $values,
+        array $changes,
+        ?string $note,
+        ?string $userUuid
+    ): int {
+        $data = [
+            'config_name' => $configName,
+            'content' => $content,
+            'config_values' => json_encode(ConfigFormSchema::mask($values)),
+            'checksum_sha256' => hash('sha256', $content),
+            'changes' => json_encode($changes),
+            'change_note' => $note !== null ? mb_substr($note, 0, 255) : null,
+            'created_by' => $userUuid,
+        ];
+
+        return $this->executeInTransaction(function () use ($configName, $data) {
+            $latest = $this->db->table($this->table)->where(['config_name' => $configName])->max('version');
+            $version = (int)$latest + 1;
+
+            $this->create(['version' => $version] + $data);
+
+            return $version;
+        });
+    }
+
+    /**
+     * Decode a version row
+     *
+     * @param array $version Version row
+     * @return array Version with numeric version and decoded changes
+     */
+    private function decode(array $version): array
+    {
+        $changes = json_decode($version['changes'] ?? '[]', true);
+
+        $version['version'] = (int)$version['version'];
+        $version['changes'] = is_array($changes) ? $changes : [];
+
+        return $version;
+    }
+}
@@ -0,0 +1,190 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Database\Connection;
+
+/**
+ * Data Import Repository
+ *
+ * Handles persistence for the CSV import history of the admin table editor:
+ * - Recording an import when it starts, with its mode and backup file
+ * - Adding the row counts of each imported chunk
+ * - Marking imports as finished or restored
+ *
+ * @package Glueful\Repository
+ */
+class DataImportRepository extends BaseRepository
+{
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = [
+            'uuid', 'table_name', 'mode', 'key_columns', 'file_name', 'status', 'total_rows',
+            'inserted', 'updated', 'skipped', 'backup_file', 'backup_rows', 'error', 'created_by',
+            'created_at', 'updated_at', 'completed_at', 'restored_at'
+        ];
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'data_imports';
+    }
+
+    /**
+     * List the imports of a table
+     *
+     * @param string $tableName Imported table
+     * @param int $limit Maximum number of imports
+     * @return array Decoded import records, newest first, with the username of the admin who ran them
+     */
+    public function findForTable(string $tableName, int $limit = 20): array
+    {
+        $records = $this->db->table($this->table)
+            ->select($this->defaultFields)
+            ->where(['table_name' => $tableName])
+            ->orderBy(['created_at' => 'DESC', 'id' => 'DESC'])
+            ->limit($limit)
+            ->get();
+
+        $usernames = $this->usernames(array_column($records, 'created_by'));
+
+        return array_map(function ($record) use ($usernames) {
+            $record = $this->decode($record);
+            $record['created_by_username'] = $usernames[$record['created_by']] ?? null;
+            return $record;
+        }, $records);
+    }
+
+    /**
+     * Find an import by UUID with its columns decoded
+     *
+     * @param string $uuid Import UUID
+     * @return array|null Decoded record or null if not found
+     */
+    public function findImport(string $uuid): ?array
+    {
+        $record = $this->find($uuid);
+
+        return $record ? $this->decode($record) : null;
+    }
+
+    /**
+     * Record a new running import
+     *
+     * @param array $data Import fields (table_name, mode, key_columns, file_name, total_rows)
+     * @param string|null $userUuid Admin running the import
+     * @return string UUID of the import
+     */
+    public function start(array $data, ?string $userUuid): string
+    {
+        return $this->create([
+            'table_name' => $data['table_name'],
+            'mode' => $data['mode'],
+            'key_columns' => json_encode(array_values($data['key_columns'] ?? [])),
+            'file_name' => isset($data['file_name']) ? mb_substr((string)$data['file_name'], 0, 255) : null,
+            'total_rows' => (int)($data['total_rows'] ?? 0),
+            'status' => 'running',
+            'created_by' => $userUuid,
+        ]);
+    }
+
+    /**
+     * Add the row counts of an imported chunk
+     *
+     * @param string $uuid Import UUID
+     * @param int $inserted Rows inserted
+     * @param int $updated Rows updated
+     * @param int $skipped Rows skipped because they were invalid or failed
+     */
+    public function addCounts(string $uuid, int $inserted, int $updated, int $skipped): void
+    {
+        $stmt = $this->db->getPDO()->prepare(
+            'UPDATE data_imports SET inserted = inserted + ?, updated = updated + ?, skipped = skipped + ?, '
+            . 'updated_at = ? WHERE uuid = ?'
+        );
+        $stmt->execute([$inserted, $updated, $skipped, $this->db->getDriver()->formatDateTime(), $uuid]);
+    }
+
+    /**
+     * Mark an import as finished
+     *
+     * @param string $uuid Import UUID
+     * @param string $status completed, failed or cancelled
+     * @param string|null $error Reason the import stopped
+     */
+    public function finish(string $uuid, string $status, ?string $error = null): void
+    {
+        $this->update($uuid, [
+            'status' => $status,
+            'error' => $error,
+            'completed_at' => $this->db->getDriver()->formatDateTime(),
+        ]);
+    }
+
+    /**
+     * Mark an import as undone by restoring its backup
+     *
+     * @param string $uuid Import UUID
+     */
+    public function markRestored(string $uuid): void
+    {
+        $this->update($uuid, [
+            'status' => 'restored',
+            'restored_at' => $this->db->getDriver()->formatDateTime(),
+        ]);
+    }
+
+    /**
+     * Get usernames by user UUID
+     *
+     * @param array $userUuids User UUIDs, may contain nulls
+     * @return array<string, string> Usernames keyed by UUID
+     */
+    private function usernames(array $userUuids): array
+    {
+        $userUuids = array_values(array_unique(array_filter($userUuids)));
+        if (empty($userUuids)) {
+            return [];
+        }
+
+        $users = $this->db->table('users')
+            ->select(['uuid', 'username'])
+            ->whereIn('uuid', $userUuids)
+            ->get();
+
+        return array_column($users, 'username', 'uuid');
+    }
+
+    /**
+     * Decode a stored import record
+     *
+     * @param array $record Raw database row
+     * @return array Record with JSON columns decoded and counts as integers
+     */
+    private function decode(array $record): array
+    {
+        $keyColumns = json_decode((string)($record['key_columns'] ?? ''), true);
+        $record['key_columns'] = is_array($keyColumns) ? $keyColumns : [];
+
+        foreach (['total_rows', 'inserted', 'updated', 'skipped'] as $count) {
+            $record[$count] = (int)($record[$count] ?? 0);
+        }
+        $record['backup_rows'] = isset($record['backup_rows']) ? (int)$record['backup_rows'] : null;
+
+        return $record;
+    }
+}
@@ -0,0 +1,258 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Database\Connection;
+use Glueful\Helpers\Utils;
+
+/**
+ * Job Run Repository
+ *
+ * Records the run history of scheduled jobs for the JobScheduler and reads it:
+ * - Starting, finishing and skipping runs
+ * - Failing runs whose process died while they were running
+ * - Listing the runs of a job newest first with the username of the admin who started them
+ * - Getting the latest run of each job for the Cron Jobs list
+ *
+ * @package Glueful\Repository
+ */
+class JobRunRepository extends BaseRepository
+{
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = [
+            'uuid', 'job_name', 'trigger_type', 'status', 'started_at', 'finished_at', 'duration_ms', 'output',
+            'result', 'error', 'triggered_by'
+        ];
+        $this->hasUpdatedAt = false;
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'job_runs';
+    }
+
+    /**
+     * Check whether the history table has been migrated yet
+     *
+     * @return bool True if runs are recorded
+     */
+    public function isAvailable(): bool
+    {
+        return $this->db->getSchemaBuilder()->hasTable($this->table);
+    }
+
+    /**
+     * Record the start of a run
+     *
+     * @param string $jobName Job name
+     * @param string $trigger schedule or manual
+     * @param string|null $triggeredBy UUID of the admin who started a manual run
+     * @return string Run UUID
+     */
+    public function start(string $jobName, string $trigger, ?string $triggeredBy): string
+    {
+        $uuid = Utils::generateNanoID();
+        $this->db->table($this->table)->insert([
+            'uuid' => $uuid,
+            'job_name' => $jobName,
+            'trigger_type' => $trigger,
+            'status' => 'running',
+            'started_at' => date('Y-m-d H:i:s'),
+            'triggered_by' => $triggeredBy
+        ]);
+
+        return $uuid;
+    }
+
+    /**
+     * Record the outcome of a run
+     *
+     * @param string $uuid Run UUID from start()
+     * @param string $status success, failed or timed_out
+     * @param int $durationMs Duration of the run in milliseconds
+     * @param string|null $output Output the job printed
+     * @param mixed $result Result returned by the job, encoded as JSON unless it is a string
+     * @param string|null $error Error message of failed runs
+     * @return bool True if the run was found
+     */
+    public function finish(
+        string $uuid,
+        string $status,
+        int $durationMs,
+        ?string $output,
+        mixed $result = null,
+        ?string $error = null
+    ): bool {
+        return $this->db->table($this->table)
+            ->where('uuid', $uuid)
+            ->update([
+                'status' => $status,
+                'finished_at' => date('Y-m-d H:i:s'),
+                'duration_ms' => $durationMs,
+                'output' => $output,
+                'result' => $result === null ? null : (is_string($result) ? $result : json_encode($result)),
+                'error' => $error
+            ]) > 0;
+    }
+
+    /**
+     * Record a run that did not start
+     *
+     * @param string $jobName Job name
+     * @param string $trigger schedule or manual
+     * @param string|null $triggeredBy UUID of the admin who started a manual run
+     * @param string $reason Why the run was skipped
+     * @return string Run UUID
+     */
+    public function recordSkipped(string $jobName, string $trigger, ?string $triggeredBy, string $reason): string
+    {
+        $now = date('Y-m-d H:i:s');
+        $uuid = Utils::generateNanoID();
+
+        $this->db->table($this->table)->insert([
+            'uuid' => $uuid,
+            'job_name' => $jobName,
+            'trigger_type' => $trigger,
+            'status' => 'skipped',
+            'started_at' => $now,
+            'finished_at' => $now,
+            'duration_ms' => 0,
+            'error' => $reason,
+            'triggered_by' => $triggeredBy
+        ]);
+
+        return $uuid;
+    }
+
+    /**
+     * Mark runs of a job still running since before a time as failed
+     *
+     * @param string $jobName Job name
+     * @param string $startedBefore Runs started before this time are failed (Y-m-d H:i:s)
+     * @return int Number of failed runs
+     */
+    public function failStale(string $jobName, string $startedBefore): int
+    {
+        // The query builder only supports equality conditions when updating
+        $driver = $this->db->getDriver();
+        $sql = sprintf(
+            'UPDATE %s SET %s = ?, %s = ?, %s = ? WHERE %s = ? AND %s = ? AND %s < ?',
+            ...array_map([$driver, 'wrapIdentifier'], [
+                $this->table, 'status', 'finished_at', 'error', 'job_name', 'status', 'started_at'
+            ])
+        );
+
+        return $this->db->query()->executeModification($sql, [
+            'failed', date('Y-m-d H:i:s'), 'Run did not finish', $jobName, 'running', $startedBefore
+        ]);
+    }
+
+    /**
+     * List the runs of a job newest first
+     *
+     * @param string $jobName Job name
+     * @param int $page Page number
+     * @param int $perPage Runs per page
+     * @param string|null $status Only runs with this status
+     * @return array Paginated result with the username of the admin who started manual runs
+     */
+    public function paginateRuns(string $jobName, int $page, int $perPage, ?string $status = null): array
+    {
+        $conditions = ['job_name' => $jobName];
+        if ($status !== null) {
+            $conditions['status'] = $status;
+        }
+
+        $result = $this->paginate($page, $perPage, $conditions, ['started_at' => 'DESC', 'id' => 'DESC']);
+        $usernames = $this->usernames(array_column($result['data'] ?? [], 'triggered_by'));
+
+        $result['data'] = array_map(function ($record) use ($usernames) {
+            $record = $this->decode($record);
+            $record['triggered_by_username'] = $usernames[$record['triggered_by']] ?? null;
+            return $record;
+        }, $result['data'] ?? []);
+
+        return $result;
+    }
+
+    /**
+     * Get the latest run of each job
+     *
+     * Skipped runs are left out, they say nothing about how the job went.
+     *
+     * @param array<string> $jobNames Job names
+     * @return array<string, array> Latest run by job name, jobs that never ran are left out
+     */
+    public function latestRuns(array $jobNames): array
+    {
+        $latest = [];
+        foreach ($jobNames as $jobName) {
+            $runs = $this->db->table($this->table)
+                ->select($this->defaultFields)
+                ->where('job_name', $jobName)
+                ->where('status', '!=', 'skipped')
+                ->orderBy(['started_at' => 'DESC', 'id' => 'DESC'])
+                ->limit(1)
+                ->get();
+
+            if (!empty($runs)) {
+                $latest[$jobName] = $this->decode($runs[0]);
+            }
+        }
+
+        return $latest;
+    }
+
+    /**
+     * Get usernames by user UUID
+     *
+     * @param array $userUuids User UUIDs, may contain nulls
+     * @return array<string, string> Usernames keyed by UUID
+     */
+    private function usernames(array $userUuids): array
+    {
+        $userUuids = array_values(array_unique(array_filter($userUuids)));
+        if (empty($userUuids)) {
+            return [];
+        }
+
+        $users = $this->db->table('users')
+            ->select(['uuid', 'username'])
+            ->whereIn('uuid', $userUuids)
+            ->get();
+
+        return array_column($users, 'username', 'uuid');
+    }
+
+    /**
+     * Decode a stored run record
+     *
+     * @param array $record Raw database row
+     * @return array Record with the result decoded when it is JSON and the duration as integer
+     */
+    private function decode(array $record): array
+    {
+        $result = json_decode((string)($record['result'] ?? ''), true);
+        if (json_last_error() === JSON_ERROR_NONE) {
+            $record['result'] = $result;
+        }
+        $record['duration_ms'] = isset($record['duration_ms']) ? (int)$record['duration_ms'] : null;
+
+        return $record;
+    }
+}
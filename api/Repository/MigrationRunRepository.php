@@ -0,0 +1,172 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Database\Connection;
+
+/**
+ * Migration Run Repository
+ *
+ * Handles persistence for the history of migration runs and rollbacks
+ * started from the admin Migrations page:
+ * - Recording a finished run with its migrations, outcome and duration
+ * - Listing runs newest first with the username of the admin who started them
+ *
+ * @package Glueful\Repository
+ */
+class MigrationRunRepository extends BaseRepository
+{
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = [
+            'uuid', 'action', 'status', 'batch', 'migrations', 'succeeded', 'failed', 'output',
+            'duration_ms', 'created_by', 'created_at', 'finished_at'
+        ];
+        $this->hasUpdatedAt = false;
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'migration_runs';
+    }
+
+    /**
+     * Check whether the history table has been migrated yet
+     *
+     * @return bool True if runs can be recorded
+     */
+    public function isAvailable(): bool
+    {
+        return $this->db->getSchemaBuilder()->hasTable($this->table);
+    }
+
+    /**
+     * List runs newest first
+     *
+     * @param int $page Page number
+     * @param int $perPage Runs per page
+     * @return array Paginated result with decoded runs and the username of the admin who started them
+     */
+    public function paginateRuns(int $page, int $perPage): array
+    {
+        $result = $this->paginate($page, $perPage, [], ['created_at' => 'DESC', 'id' => 'DESC']);
+        $usernames = $this->usernames(array_column($result['data'] ?? [], 'created_by'));
+
+        $result['data'] = array_map(function ($record) use ($usernames) {
+            $record = $this->decode($record);
+            $record['created_by_username'] = $usernames[$record['created_by']] ?? null;
+            return $record;
+        }, $result['data'] ?? []);
+
+        return $result;
+    }
+
+    /**
+     * Find a run by UUID with its columns decoded
+     *
+     * @param string $uuid Run UUID
+     * @return array|null Decoded record or null if not found
+     */
+    public function findRun(string $uuid): ?array
+    {
+        $record = $this->find($uuid);
+
+        return $record ? $this->decode($record) : null;
+    }
+
+    /**
+     * Record a finished run
+     *
+     * @param string $action migrate or rollback
+     * @param array<string> $migrations Migration filenames the run covered
+     * @param array $results Results of MigrationManager::migrate() or a rollback
+     * @param string $startedAt Start of the run
+     * @param int $durationMs Duration of the run in milliseconds
+     * @param int|null $batch Batch the migrations were applied in or rolled back from
+     * @param string|null $userUuid Admin who started the run
+     * @return string UUID of the run
+     */
+    public function record(
+        string $action,
+        array $migrations,
+        array $results,
+        string $startedAt,
+        int $durationMs,
+        ?int $batch,
+        ?string $userUuid
+    ): string {
+        $succeeded = $results[$action === 'rollback' ? 'reverted' : 'applied'] ?? [];
+        $failed = $results['failed'] ?? [];
+        $output = [];
+        foreach ($results['errors'] ?? [] as $file => $error) {
+            $output[] = "{$file}: {$error}";
+        }
+
+        return $this->create([
+            'action' => $action,
+            'status' => empty($failed) ? 'success' : (empty($succeeded) ? 'failed' : 'partial'),
+            'batch' => $batch,
+            'migrations' => json_encode(array_values(array_map('basename', $migrations))),
+            'succeeded' => json_encode(array_values($succeeded)),
+            'failed' => json_encode(array_values($failed)),
+            'output' => $output ? implode("\n", $output) : null,
+            'duration_ms' => $durationMs,
+            'created_by' => $userUuid,
+            'created_at' => $startedAt,
+            'finished_at' => $this->db->getDriver()->formatDateTime(),
+        ]);
+    }
+
+    /**
+     * Get usernames by user UUID
+     *
+     * @param array $userUuids User UUIDs, may contain nulls
+     * @return array<string, string> Usernames keyed by UUID
+     */
+    private function usernames(array $userUuids): array
+    {
+        $userUuids = array_values(array_unique(array_filter($userUuids)));
+        if (empty($userUuids)) {
+            return [];
+        }
+
+        $users = $this->db->table('users')
+            ->select(['uuid', 'username'])
+            ->whereIn('uuid', $userUuids)
+            ->get();
+
+        return array_column($users, 'username', 'uuid');
+    }
+
+    /**
+     * Decode a stored run record
+     *
+     * @param array $record Raw database row
+     * @return array Record with JSON columns decoded and numbers as integers
+     */
+    private function decode(array $record): array
+    {
+        foreach (['migrations', 'succeeded', 'failed'] as $column) {
+            $value = json_decode((string)($record[$column] ?? ''), true);
+            $record[$column] = is_array($value) ? $value : [];
+        }
+        $record['duration_ms'] = (int)($record['duration_ms'] ?? 0);
+        $record['batch'] = isset($record['batch']) ? (int)$record['batch'] : null;
+
+        return $record;
+    }
+}
@@ -93,6 +93,116 @@ class RepositoryFactory
         return $this->get(NotificationRepository::class);
     }
 
+    /**
+     * Get the saved queries repository
+     *
+     * @return SavedQueryRepository
+     */
+    public function savedQueries(): SavedQueryRepository
+    {
+        /** @var SavedQueryRepository */
+        return $this->get(SavedQueryRepository::class);
+    }
+
+    /**
+     * Get the data imports repository
+     *
+     * @return DataImportRepository
+     */
+    public function dataImports(): DataImportRepository
+    {
+        /** @var DataImportRepository */
+        return $this->get(DataImportRepository::class);
+    }
+
+    /**
+     * Get the migration runs repository
+     *
+     * @return MigrationRunRepository
+     */
+    public function migrationRuns(): MigrationRunRepository
+    {
+        /** @var MigrationRunRepository */
+        return $this->get(MigrationRunRepository::class);
+    }
+
+    /**
+     * Get the audit log repository
+     *
+     * @return AuditLogRepository
+     */
+    public function auditLogs(): AuditLogRepository
+    {
+        /** @var AuditLogRepository */
+        return $this->get(AuditLogRepository::class);
+    }
+
+    /**
+     * Get the audit log retention rules repository
+     *
+     * @return AuditLogRetentionRuleRepository
+     */
+    public function auditLogRetentionRules(): AuditLogRetentionRuleRepository
+    {
+        /** @var AuditLogRetentionRuleRepository */
+        return $this->get(AuditLogRetentionRuleRepository::class);
+    }
+
+    /**
+     * Get the saved log searches repository
+     *
+     * @return SavedLogSearchRepository
+     */
+    public function savedLogSearches(): SavedLogSearchRepository
+    {
+        /** @var SavedLogSearchRepository */
+        return $this->get(SavedLogSearchRepository::class);
+    }
+
+    /**
+     * Get the schema history repository
+     *
+     * @return SchemaHistoryRepository
+     */
+    public function schemaHistory(): SchemaHistoryRepository
+    {
+        /** @var SchemaHistoryRepository */
+        return $this->get(SchemaHistoryRepository::class);
+    }
+
+    /**
+     * Get the job runs repository
+     *
+     * @return JobRunRepository
+     */
+    public function jobRuns(): JobRunRepository
+    {
+        /** @var JobRunRepository */
+        return $this->get(JobRunRepository::class);
+    }
+
+    /**
+     * Get the config versions repository
+     *
+     * @return ConfigVersionRepository
+     */
+    public function configVersions(): ConfigVersionRepository
+    {
+        /** @var ConfigVersionRepository */
+        return $this->get(ConfigVersionRepository::class);
+    }
+
+    /**
+     * Get the API metric thresholds repository
+     *
+     * @return ApiMetricThresholdRepository
+     */
+    public function apiMetricThresholds(): ApiMetricThresholdRepository
+    {
+        /** @var ApiMetricThresholdRepository */
+        return $this->get(ApiMetricThresholdRepository::class);
+    }
+
     /**
      * Clear repository cache
      */
@@ -0,0 +1,86 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Database\Connection;
+
+/**
+ * Saved Log Search Repository
+ *
+ * Handles persistence for the saved searches of the Audit Logs page.
+ * Searches belong to one user and are unique by name per user.
+ *
+ * @package Glueful\Repository
+ */
+class SavedLogSearchRepository extends BaseRepository
+{
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = ['uuid', 'owner_uuid', 'name', 'query', 'created_at', 'updated_at'];
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'saved_log_searches';
+    }
+
+    /**
+     * Check whether the saved searches table has been migrated yet
+     *
+     * @return bool True if searches can be saved
+     */
+    public function isAvailable(): bool
+    {
+        return $this->db->getSchemaBuilder()->hasTable($this->table);
+    }
+
+    /**
+     * List the searches of a user by name
+     *
+     * @param string $ownerUuid Owner UUID
+     * @return array Saved searches
+     */
+    public function findByOwner(string $ownerUuid): array
+    {
+        return $this->findAll(['owner_uuid' => $ownerUuid], ['name' => 'ASC']);
+    }
+
+    /**
+     * Save a search, overwriting the owner's search with the same name
+     *
+     * @param string $ownerUuid Owner UUID
+     * @param string $name Search name
+     * @param string $query Search query
+     * @return array Saved search
+     */
+    public function saveSearch(string $ownerUuid, string $name, string $query): array
+    {
+        $existing = $this->db->table($this->table)
+            ->select($this->defaultFields)
+            ->where(['owner_uuid' => $ownerUuid, 'name' => $name])
+            ->first();
+
+        if ($existing) {
+            $this->update($existing['uuid'], ['query' => $query]);
+            $uuid = $existing['uuid'];
+        } else {
+            $uuid = $this->create(['owner_uuid' => $ownerUuid, 'name' => $name, 'query' => $query]);
+        }
+
+        return $this->find($uuid);
+    }
+}
@@ -0,0 +1,327 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Database\Connection;
+use Glueful\Helpers\Utils;
+
+/**
+ * Saved Query Repository
+ *
+ * Handles persistence for the shared SQL query library:
+ * - Listing queries visible to a user (their own and team-shared ones)
+ * - Creating and updating queries while recording version history
+ * - Restoring earlier versions
+ *
+ * @package Glueful\Repository
+ */
+class SavedQueryRepository extends BaseRepository
+{
+    /** @var string Table holding the version history */
+    private const VERSIONS_TABLE = 'saved_query_versions';
+
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = [
+            'uuid', 'name', 'description', 'query', 'parameters', 'tags', 'allow_write',
+            'owner_uuid', 'visibility', 'version', 'created_at', 'updated_at'
+        ];
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'saved_queries';
+    }
+
+    /**
+     * List queries visible to a user
+     *
+     * @param string $userUuid User the list is built for
+     * @param string $scope Which queries to include: mine, team or all
+     * @param string|null $search Case-insensitive match on name and description
+     * @param string|null $tag Only include queries carrying this tag
+     * @return array Decoded query records, most recently updated first
+     */
+    public function findVisibleTo(
+        string $userUuid,
+        string $scope = 'all',
+        ?string $search = null,
+        ?string $tag = null
+    ): array {
+        $query = $this->db->table($this->table)->select($this->defaultFields);
+
+        if ($scope === 'mine') {
+            $query->where(['owner_uuid' => $userUuid]);
+        } elseif ($scope === 'team') {
+            $query->where(['visibility' => 'team']);
+        } else {
+            $query->where(function ($where) use ($userUuid) {
+                $where->add('owner_uuid', '=', $userUuid);
+                $where->orWhere('visibility', '=', 'team');
+            });
+        }
+
+        if ($search !== null && $search !== '') {
+            $query->where(function ($where) use ($search) {
+                $where->add('name', 'LIKE', "%{$search}%");
+                $where->orWhere('description', 'LIKE', "%{$search}%");
+            });
+        }
+
+        $records = array_map([$this, 'decode'], $query->orderBy(['updated_at' => 'DESC', 'name' => 'ASC'])->get());
+        $records = $this->withOwnerNames($records);
+
+        if ($tag !== null && $tag !== '') {
+            $tag = strtolower($tag);
+            $records = array_values(array_filter(
+                $records,
+                fn ($record) => in_array($tag, array_map('strtolower', $record['tags']), true)
+            ));
+        }
+
+        return $records;
+    }
+
+    /**
+     * Find a query by UUID with its JSON columns decoded
+     *
+     * @param string $uuid Query UUID
+     * @return array|null Decoded record or null if not found
+     */
+    public function findQuery(string $uuid): ?array
+    {
+        $record = $this->find($uuid);
+
+        return $record ? $this->withOwnerNames([$this->decode($record)])[0] : null;
+    }
+
+    /**
+     * Create a query and its first version
+     *
+     * @param array $data Query fields (name, description, query, parameters, tags, allow_write, visibility)
+     * @param string $ownerUuid Owner of the new query
+     * @return string UUID of the created query
+     */
+    public function createQuery(array $data, string $ownerUuid): string
+    {
+        return $this->executeInTransaction(function () use ($data, $ownerUuid) {
+            $uuid = $this->create($this->encode($data) + [
+                'owner_uuid' => $ownerUuid,
+                'version' => 1,
+            ]);
+
+            $this->addVersion($uuid, 1, $data, $ownerUuid, $data['change_note'] ?? null);
+
+            return $uuid;
+        });
+    }
+
+    /**
+     * Update a query, recording a new version when its SQL or parameters change
+     *
+     * @param array $existing Current decoded record
+     * @param array $data Fields to change
+     * @param string $userUuid User making the change
+     * @return int Version number after the update
+     */
+    public function updateQuery(array $existing, array $data, string $userUuid): int
+    {
+        return $this->executeInTransaction(function () use ($existing, $data, $userUuid) {
+            $version = (int)$existing['version'];
+            $merged = array_merge($existing, array_intersect_key($data, $existing));
+
+            $changed = $merged['query'] !== $existing['query']
+                || $merged['parameters'] != $existing['parameters']
+                || (bool)$merged['allow_write'] !== (bool)$existing['allow_write'];
+
+            $fields = $this->encode($data);
+            if ($changed) {
+                $version++;
+                $fields['version'] = $version;
+                $this->addVersion($existing['uuid'], $version, $merged, $userUuid, $data['change_note'] ?? null);
+            }
+
+            if (!empty($fields)) {
+                $this->update($existing['uuid'], $fields);
+            }
+
+            return $version;
+        });
+    }
+
+    /**
+     * Get the version history of a query
+     *
+     * @param string $uuid Query UUID
+     * @return array Versions, newest first, with author username
+     */
+    public function getVersions(string $uuid): array
+    {
+        $versions = $this->db->table(self::VERSIONS_TABLE)
+            ->select([
+                'saved_query_versions.version',
+                'saved_query_versions.query',
+                'saved_query_versions.parameters',
+                'saved_query_versions.allow_write',
+                'saved_query_versions.change_note',
+                'saved_query_versions.created_by',
+                'saved_query_versions.created_at',
+                'users.username as created_by_username',
+            ])
+            ->leftJoin('users', 'users.uuid', '=', 'saved_query_versions.created_by')
+            ->where(['saved_query_versions.query_uuid' => $uuid])
+            ->orderBy(['saved_query_versions.version' => 'DESC'])
+            ->get();
+
+        return array_map(function ($version) {
+            $version['version'] = (int)$version['version'];
+            $version['allow_write'] = (bool)$version['allow_write'];
+            $version['parameters'] = $this->decodeJson($version['parameters']);
+            return $version;
+        }, $versions);
+    }
+
+    /**
+     * Restore an earlier version by recording it as the newest version
+     *
+     * @param array $existing Current decoded record
+     * @param int $version Version number to restore
+     * @param string $userUuid User restoring the version
+     * @return int|null New version number, or null when the version does not exist
+     */
+    public function restoreVersion(array $existing, int $version, string $userUuid): ?int
+    {
+        $snapshot = $this->db->table(self::VERSIONS_TABLE)
+            ->select(['query', 'parameters', 'allow_write'])
+            ->where(['query_uuid' => $existing['uuid'], 'version' => $version])
+            ->first();
+
+        if (!$snapshot) {
+            return null;
+        }
+
+        return $this->updateQuery($existing, [
+            'query' => $snapshot['query'],
+            'parameters' => $this->decodeJson($snapshot['parameters']),
+            'allow_write' => (bool)$snapshot['allow_write'],
+            'change_note' => "Restored version {$version}",
+        ], $userUuid);
+    }
+
+    /**
+     * Insert a version row
+     *
+     * @param string $queryUuid Query UUID
+     * @param int $version Version number
+     * @param array $data Decoded query fields
+     * @param string $userUuid Author of the version
+     * @param string|null $note Optional change note
+     */
+    private function addVersion(string $queryUuid, int $version, array $data, string $userUuid, ?string $note): void
+    {
+        $this->db->table(self::VERSIONS_TABLE)->insert([
+            'uuid' => Utils::generateNanoID(),
+            'query_uuid' => $queryUuid,
+            'version' => $version,
+            'query' => $data['query'],
+            'parameters' => json_encode($data['parameters'] ?? []),
+            'allow_write' => !empty($data['allow_write']) ? 1 : 0,
+            'change_note' => $note !== null ? mb_substr($note, 0, 255) : null,
+            'created_by' => $userUuid,
+            'created_at' => $this->db->getDriver()->formatDateTime(),
+        ]);
+    }
+
+    /**
+     * Add the owner username to each record
+     *
+     * @param array $records Decoded query records
+     * @return array Records with an owner_username key
+     */
+    private function withOwnerNames(array $records): array
+    {
+        $ownerUuids = array_values(array_unique(array_column($records, 'owner_uuid')));
+        if (empty($ownerUuids)) {
+            return $records;
+        }
+
+        $owners = $this->db->table('users')
+            ->select(['uuid', 'username'])
+            ->whereIn('uuid', $ownerUuids)
+            ->get();
+        $names = array_column($owners, 'username', 'uuid');
+
+        return array_map(function ($record) use ($names) {
+            $record['owner_username'] = $names[$record['owner_uuid']] ?? null;
+            return $record;
+        }, $records);
+    }
+
+    /**
+     * Prepare query fields for storage
+     *
+     * @param array $data Decoded query fields
+     * @return array Column values with JSON columns encoded
+     */
+    private function encode(array $data): array
+    {
+        $fields = array_intersect_key($data, array_flip([
+            'name', 'description', 'query', 'parameters', 'tags', 'allow_write', 'visibility'
+        ]));
+
+        foreach (['parameters', 'tags'] as $column) {
+            if (array_key_exists($column, $fields)) {
+                $fields[$column] = json_encode(array_values($fields[$column] ?? []));
+            }
+        }
+
+        if (array_key_exists('allow_write', $fields)) {
+            $fields['allow_write'] = $fields['allow_write'] ? 1 : 0;
+        }
+
+        return $fields;
+    }
+
+    /**
+     * Decode a stored query record
+     *
+     * @param array $record Raw database row
+     * @return array Record with JSON columns decoded and scalar types restored
+     */
+    private function decode(array $record): array
+    {
+        $record['parameters'] = $this->decodeJson($record['parameters'] ?? null);
+        $record['tags'] = $this->decodeJson($record['tags'] ?? null);
+        $record['allow_write'] = (bool)($record['allow_write'] ?? false);
+        $record['version'] = (int)($record['version'] ?? 1);
+
+        return $record;
+    }
+
+    /**
+     * Decode a JSON column into an array
+     *
+     * @param string|null $value Stored JSON
+     * @return array Decoded list, empty when the column is NULL or invalid
+     */
+    private function decodeJson(?string $value): array
+    {
+        $decoded = $value !== null ? json_decode($value, true) : null;
+
+        return is_array($decoded) ? $decoded : [];
+    }
+}
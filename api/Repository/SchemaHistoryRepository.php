@@ -0,0 +1,144 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Repository;
+
+use Glueful\Database\Connection;
+
+/**
+ * Schema History Repository
+ *
+ * Reads the schema change history of tables from the audit log:
+ * - Changes recorded by the admin schema editor
+ * - DDL statements run in the admin SQL page
+ *
+ * Entries are matched to tables by the table name in their context, which
+ * is filtered in PHP to stay database-agnostic.
+ *
+ * @package Glueful\Repository
+ */
+class SchemaHistoryRepository extends BaseRepository
+{
+    /**
+     * Initialize repository
+     *
+     * @param Connection|null $connection Optional connection override
+     */
+    public function __construct(?Connection $connection = null)
+    {
+        $this->defaultFields = [
+            'id', 'uuid', 'user_id', 'action', 'category', 'severity', 'status', 'old_values', 'new_values',
+            'context', 'metadata', 'session_id', 'request_id', 'parent_audit_id', 'source', 'duration_ms',
+            'ip_address', 'created_at'
+        ];
+
+        parent::__construct($connection);
+    }
+
+    /**
+     * Get the table name for this repository
+     *
+     * @return string The table name
+     */
+    public function getTableName(): string
+    {
+        return 'audit_logs';
+    }
+
+    /**
+     * Get the schema history of a table
+     *
+     * @param string $tableName Table name
+     * @param int $limit Number of schema events to read, newest first
+     * @param int $offset Number of schema events to skip
+     * @return array Decoded entries of the events that concern the table
+     */
+    public function forTable(string $tableName, int $limit, int $offset): array
+    {
+        return $this->forTables([$tableName], $limit, $offset)[$tableName] ?? [];
+    }
+
+    /**
+     * Get the schema history of several tables
+     *
+     * @param array<string> $tableNames Table names
+     * @param int $limit Number of schema events to read, newest first
+     * @param int $offset Number of schema events to skip
+     * @return array<string, array> Decoded entries by table name, tables without history are left out
+     */
+    public function forTables(array $tableNames, int $limit, int $offset = 0): array
+    {
+        $logs = $this->db->table($this->table)
+            ->where('category', '=', 'admin')
+            ->where(function ($q) {
+                $q->where(function ($schema) {
+                    $schema->where('entity_type', '=', 'schema')
+                        ->where(function ($action) {
+                            $action->where('action', 'LIKE', 'schema_%')
+                                ->orWhere('action', 'LIKE', '%_column')
+                                ->orWhere('action', 'LIKE', '%_index')
+                                ->orWhere('action', 'LIKE', '%_foreign_key')
+                                ->orWhere('action', '=', 'create_table')
+                                ->orWhere('action', '=', 'drop_table')
+                                ->orWhere('action', '=', 'alter_table');
+                        });
+                })->orWhere(function ($sql) {
+                    // DDL run in the SQL page
+                    $sql->where('entity_type', '=', 'database')
+                        ->where('action', '=', 'sql_ddl');
+                });
+            })
+            ->orderBy('created_at', 'DESC')
+            ->limit($limit)
+            ->offset($offset)
+            ->get();
+
+        $tableNames = array_flip($tableNames);
+        $history = [];
+        foreach ($logs as $log) {
+            $context = json_decode($log['context'] ?? '', true);
+            if (!is_array($context)) {
+                continue;
+            }
+
+            $tableName = $context['table'] ?? $context['table_name'] ?? null;
+            if (is_string($tableName) && isset($tableNames[$tableName])) {
+                $history[$tableName][] = $this->decode($log, $context);
+            }
+        }
+
+        return $history;
+    }
+
+    /**
+     * Decode an audit log entry
+     *
+     * @param array $log Raw database row
+     * @param array $context Decoded context
+     * @return array Entry with its JSON columns decoded
+     */
+    private function decode(array $log, array $context): array
+    {
+        return [
+            'id' => $log['id'],
+            'uuid' => $log['uuid'],
+            'user_id' => $log['user_id'],
+            'action' => $log['action'],
+            'category' => $log['category'],
+            'severity' => $log['severity'],
+            'status' => $log['status'],
+            'old_values' => json_decode($log['old_values'] ?? '{}', true),
+            'new_values' => json_decode($log['new_values'] ?? '{}', true),
+            'context' => $context,
+            'metadata' => json_decode($log['metadata'] ?? '{}', true),
+            'session_id' => $log['session_id'],
+            'request_id' => $log['request_id'],
+            'parent_audit_id' => $log['parent_audit_id'],
+            'source' => $log['source'],
+            'duration_ms' => $log['duration_ms'],
+            'ip_address' => $log['ip_address'],
+            'created_at' => $log['created_at']
+        ];
+    }
+}
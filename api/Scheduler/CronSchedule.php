@@ -0,0 +1,140 @@
+<?php
+
+namespace Glueful\Scheduler;
+
+use Cron\CronExpression;
+use DateTimeImmutable;
+use DateTimeInterface;
+use DateTimeZone;
+use InvalidArgumentException;
+
+/**
+ * Cron Schedule
+ *
+ * A cron expression evaluated in a timezone. Jobs run on the wall clock of
+ * their timezone, so `0 9 * * 1-5` in Europe/Berlin fires at 09:00 Berlin
+ * time on weekdays whatever the server timezone is, including across
+ * daylight saving changes.
+ *
+ * Example Usage:
+ * ```php
+ * $schedule = new CronSchedule('0 9 * * 1-5', 'Europe/Berlin');
+ *
+ * $schedule->isDue(new DateTime());
+ * $schedule->nextRunDates(5); // Next five fire times in Berlin time
+ * ```
+ *
+ * @package Glueful\Scheduler
+ */
+class CronSchedule
+{
+    /** @var int Most fire times a preview lists */
+    public const MAX_PREVIEW = 50;
+
+    /** @var CronExpression Parsed expression */
+    private CronExpression $expression;
+
+    /** @var DateTimeZone Timezone the expression is evaluated in */
+    private DateTimeZone $timezone;
+
+    /**
+     * Constructor
+     *
+     * @param string $expression Cron expression or alias such as @daily
+     * @param string|null $timezone Timezone identifier, the server timezone when null
+     * @throws InvalidArgumentException If the expression or timezone is invalid
+     */
+    public function __construct(string $expression, ?string $timezone = null)
+    {
+        $expression = trim($expression);
+        if (!CronExpression::isValidExpression($expression)) {
+            throw new InvalidArgumentException("Invalid cron expression: {$expression}");
+        }
+
+        $timezone = $timezone ?: date_default_timezone_get();
+        if (!in_array($timezone, DateTimeZone::listIdentifiers(), true) && $timezone !== 'UTC') {
+            throw new InvalidArgumentException("Unknown timezone: {$timezone}");
+        }
+
+        $this->expression = new CronExpression($expression);
+        $this->timezone = new DateTimeZone($timezone);
+    }
+
+    /**
+     * Get the expression
+     *
+     * @return string Cron expression
+     */
+    public function getExpression(): string
+    {
+        return $this->expression->getExpression();
+    }
+
+    /**
+     * Get the timezone identifier
+     *
+     * @return string Timezone name
+     */
+    public function getTimezone(): string
+    {
+        return $this->timezone->getName();
+    }
+
+    /**
+     * Check if the schedule fires in the minute of a point in time
+     *
+     * @param DateTimeInterface $now Point in time, in any timezone
+     * @return bool True if due
+     */
+    public function isDue(DateTimeInterface $now): bool
+    {
+        return $this->expression->isDue($this->localize($now), $this->timezone->getName());
+    }
+
+    /**
+     * Get the next fire time
+     *
+     * @param DateTimeInterface|null $from Start point, now when null
+     * @return DateTimeImmutable Next fire time in the schedule's timezone
+     */
+    public function nextRunDate(?DateTimeInterface $from = null): DateTimeImmutable
+    {
+        return $this->nextRunDates(1, $from)[0];
+    }
+
+    /**
+     * Get the next fire times
+     *
+     * @param int $count Number of fire times, at most MAX_PREVIEW
+     * @param DateTimeInterface|null $from Start point, now when null
+     * @return array<DateTimeImmutable> Fire times in the schedule's timezone, earliest first
+     */
+    public function nextRunDates(int $count, ?DateTimeInterface $from = null): array
+    {
+        $count = max(1, min($count, self::MAX_PREVIEW));
+        $dates = $this->expression->getMultipleRunDates(
+            $count,
+            $this->localize($from ?? new DateTimeImmutable()),
+            false,
+            false,
+            $this->timezone->getName()
+        );
+
+        return array_map(
+            fn (DateTimeInterface $date) => DateTimeImmutable::createFromInterface($date)
+                ->setTimezone($this->timezone),
+            $dates
+        );
+    }
+
+    /**
+     * Convert a point in time to the schedule's timezone
+     *
+     * @param DateTimeInterface $time Point in time
+     * @return DateTimeImmutable Same instant on the schedule's wall clock
+     */
+    private function localize(DateTimeInterface $time): DateTimeImmutable
+    {
+        return DateTimeImmutable::createFromInterface($time)->setTimezone($this->timezone);
+    }
+}
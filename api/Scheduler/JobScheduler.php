@@ -2,11 +2,11 @@
 
 namespace Glueful\Scheduler;
 
-use Cron\CronExpression;
 use DateTime;
 use Glueful\Database\Connection;
 use Glueful\Helpers\Utils;
 use Glueful\Lock\LockManagerInterface;
+use Glueful\Repository\JobRunRepository;
 use Symfony\Component\Lock\Exception\LockConflictedException;
 
 /**
@@ -22,6 +22,9 @@ use Symfony\Component\Lock\Exception\LockConflictedException;
  * - Error handling and logging
  * - Manual and automatic execution modes
  * - Database persistence for jobs
+ * - Per-job timezone, timeout and overlap protection
+ * - Pausing jobs and changing their schedule without touching their definition
+ * - Run history with duration and captured output
  *
  * Example Usage:
  * ```php
@@ -59,16 +62,46 @@ use Symfony\Component\Lock\Exception\LockConflictedException;
  * - @daily    - Once a day (0 0 * * *)
  * - @hourly   - Once an hour (0 * * * *)
  *
+ * Settings:
+ * Admins change the schedule, timezone, timeout, overlap and pause state of
+ * any job from the Cron Jobs page. These are stored by job name in
+ * scheduled_job_settings and override the values from config/schedule.php or
+ * scheduled_jobs, so definitions stay untouched.
+ *
+ * Overlap and timeouts:
+ * Unless a job allows overlapping runs, it runs under a lock held for its
+ * timeout, and runs that find the lock taken are recorded as skipped. When
+ * pcntl is available the timeout interrupts the job, otherwise runs that
+ * take longer are recorded as timed out once they finish.
+ *
  * @package Glueful\Scheduler
  */
 class JobScheduler
 {
+    /** @var int Timeout in seconds of jobs that do not set one */
+    public const DEFAULT_TIMEOUT = 300;
+
+    /** @var int Longest timeout in seconds a job can have */
+    public const MAX_TIMEOUT = 86400;
+
+    /** @var int Seconds a lock outlives the timeout, so it is freed after a crashed run */
+    protected const LOCK_GRACE = 60;
+
+    /** @var int Bytes of output kept per run */
+    protected const MAX_OUTPUT = 65535;
+
     /** @var array List of registered jobs and their schedules */
     protected array $jobs = [];
 
+    /** @var array<string, array> Settings changed by admins, by job name */
+    protected array $settings = [];
+
     /** @var Connection Database connection */
     protected Connection $db;
 
+    /** @var JobRunRepository Run history */
+    protected JobRunRepository $runs;
+
     /** @var LockManagerInterface Lock manager for preventing concurrent executions */
     protected LockManagerInterface $lockManager;
 
@@ -78,6 +111,7 @@ class JobScheduler
     public function __construct(?LockManagerInterface $lockManager = null)
     {
         $this->db = new Connection();
+        $this->runs = new JobRunRepository($this->db);
 
         // Get lock manager from container if not provided
         if ($lockManager) {
@@ -90,6 +124,7 @@ class JobScheduler
         // Ensure required database tables exist before trying to use them
         $this->ensureTablesExist();
 
+        $this->settings = $this->loadJobSettings();
         $this->loadJobsFromDatabase();
 
          // Register core jobs from config file
@@ -176,19 +211,24 @@ class JobScheduler
     /**
      * Register a new job with a schedule.
      *
+     * Options describe the job for the admin Cron Jobs page and set its
+     * defaults: description, handler_class, parameters, timezone, timeout,
+     * allow_overlap and enabled. Settings changed by admins override them.
+     *
      * @param string   $schedule  Cron expression (e.g., '* * * * *', '@daily')
      * @param callable $callback  Function to execute
      * @param string   $name      Job name
+     * @param array    $options   Job options
      */
-    public function register(string $schedule, callable $callback, string $name = ''): void
+    public function register(string $schedule, callable $callback, string $name = '', array $options = []): void
     {
         $jobName = $name ?: 'job_' . count($this->jobs);
 
-        $this->jobs[] = [
+        $this->addJob([
             'name' => $jobName,
             'schedule' => $schedule,
             'callback' => $callback,
-        ];
+        ] + $options);
     }
 
     /**
@@ -210,8 +250,7 @@ class JobScheduler
         $uuid = Utils::generateNanoID();
 
         // Calculate next run time
-        $cronExpression = new CronExpression($schedule);
-        $nextRunTime = $cronExpression->getNextRunDate()->format('Y-m-d H:i:s');
+        $nextRunTime = (new CronSchedule($schedule))->nextRunDate()->format('Y-m-d H:i:s');
 
         // Insert job into database
         $this->db->table('scheduled_jobs')->insert([
@@ -227,69 +266,286 @@ class JobScheduler
         ]);
 
         // Also register in memory for current process
-        $this->jobs[] = [
+        $this->addJob([
             'uuid' => $uuid,
             'name' => $name,
             'schedule' => $schedule,
+            'callback' => $this->handlerCallback($handlerClass, $parameters),
             'handler_class' => $handlerClass,
             'parameters' => $parameters,
-            'next_run' => $nextRunTime
-        ];
+            'from_database' => true
+        ]);
 
         return $uuid;
     }
 
     /**
      * Load jobs from database into memory
+     *
+     * Disabled jobs are loaded too, so they are listed and can be resumed.
      */
     protected function loadJobsFromDatabase(): void
     {
         try {
             $dbJobs = $this->db->table('scheduled_jobs')
                 ->select(['*'])
-                ->where('is_enabled', 1)
                 ->orderBy('name', 'ASC')
                 ->get();
 
             foreach ($dbJobs as $job) {
-                // Create a callback for database jobs that uses the handler_class
-                $callback = function () use ($job) {
-                    $handlerClass = $job['handler_class'];
-                    $parameters = json_decode($job['parameters'] ?? '{}', true);
-
-                    if (class_exists($handlerClass) && method_exists($handlerClass, 'handle')) {
-                        $handler = new $handlerClass();
-                        return $handler->handle($parameters);
-                    }
-
-                    // Log error if handler doesn't exist
-                    error_log("Job handler not found: {$job['handler_class']}");
-                    return false;
-                };
+                $parameters = json_decode($job['parameters'] ?? '{}', true) ?: [];
 
                 // Register job in memory
-                $this->jobs[] = [
+                $this->addJob([
                     'uuid' => $job['uuid'],
                     'name' => $job['name'],
                     'schedule' => $job['schedule'],
-                    'callback' => $callback,
-                    'next_run' => $job['next_run'],
+                    'callback' => $this->handlerCallback($job['handler_class'], $parameters),
+                    'handler_class' => $job['handler_class'],
+                    'parameters' => $parameters,
+                    'enabled' => (bool)$job['is_enabled'],
+                    'last_run' => $job['last_run'],
                     'from_database' => true
-                ];
+                ]);
             }
         } catch (\Exception $e) {
             error_log("Failed to load jobs from database: " . $e->getMessage());
         }
     }
 
+    /**
+     * Load the settings admins changed
+     *
+     * @return array<string, array> Settings rows by job name, empty before the table is migrated
+     */
+    protected function loadJobSettings(): array
+    {
+        try {
+            $rows = $this->db->table('scheduled_job_settings')
+                ->select(['*'])
+                ->get();
+
+            return array_column($rows, null, 'job_name');
+        } catch (\Exception $e) {
+            return [];
+        }
+    }
+
+    /**
+     * Create the callback of a job run by a handler class
+     *
+     * @param string $handlerClass Class with a handle() method
+     * @param array $parameters Parameters passed to handle()
+     * @return callable Job callback
+     */
+    protected function handlerCallback(string $handlerClass, array $parameters): callable
+    {
+        return function () use ($handlerClass, $parameters) {
+            if (class_exists($handlerClass) && method_exists($handlerClass, 'handle')) {
+                $handler = new $handlerClass();
+                return $handler->handle($parameters);
+            }
+
+            // Log error if handler doesn't exist
+            error_log("Job handler not found: {$handlerClass}");
+            return false;
+        };
+    }
+
+    /**
+     * Add a job to the registry with its defaults and settings applied
+     *
+     * @param array $job Job definition
+     */
+    protected function addJob(array $job): void
+    {
+        $job += [
+            'description' => '',
+            'timezone' => date_default_timezone_get(),
+            'timeout' => self::DEFAULT_TIMEOUT,
+            'allow_overlap' => false,
+            'enabled' => true,
+        ];
+
+        $this->jobs[] = $this->applySettings($job);
+    }
+
+    /**
+     * Apply the settings admins changed to a job
+     *
+     * @param array $job Job definition
+     * @return array Job with its effective schedule, timezone, timeout, overlap, pause state and next run
+     */
+    protected function applySettings(array $job): array
+    {
+        $settings = $this->settings[$job['name']] ?? null;
+
+        if ($settings !== null) {
+            $job['schedule'] = $settings['schedule'];
+            $job['timezone'] = $settings['timezone'];
+            $job['timeout'] = (int)$settings['timeout'];
+            $job['allow_overlap'] = (bool)$settings['allow_overlap'];
+            $job['enabled'] = (bool)$settings['is_enabled'];
+        }
+
+        $job['customized'] = $settings !== null;
+        $job['next_run'] = $this->nextRunTime($job);
+
+        return $job;
+    }
+
+    /**
+     * Get the schedule of a job
+     *
+     * @param array $job Job definition
+     * @return CronSchedule Schedule in the job's timezone
+     */
+    protected function scheduleOf(array $job): CronSchedule
+    {
+        return new CronSchedule($job['schedule'], $job['timezone'] ?? null);
+    }
+
+    /**
+     * Get the next run of a job in server time
+     *
+     * @param array $job Job definition
+     * @return string|null Next run, null if the schedule is invalid
+     */
+    protected function nextRunTime(array $job): ?string
+    {
+        try {
+            return $this->scheduleOf($job)->nextRunDate()
+                ->setTimezone(new \DateTimeZone(date_default_timezone_get()))
+                ->format('Y-m-d H:i:s');
+        } catch (\InvalidArgumentException $e) {
+            return null;
+        }
+    }
+
+    /**
+     * Find a job by name or UUID
+     *
+     * @param string $identifier Job name or UUID
+     * @return array|null Job, null if not registered
+     */
+    public function getJob(string $identifier): ?array
+    {
+        $index = $this->findJobIndex($identifier);
+
+        return $index === null ? null : $this->jobs[$index];
+    }
+
+    /**
+     * Find the registry index of a job by name or UUID
+     *
+     * @param string $identifier Job name or UUID
+     * @return int|null Index, null if not registered
+     */
+    protected function findJobIndex(string $identifier): ?int
+    {
+        foreach ($this->jobs as $index => $job) {
+            if ($job['name'] === $identifier || ($job['uuid'] ?? '') === $identifier) {
+                return $index;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Change the settings of a job
+     *
+     * Accepted keys are schedule, timezone, timeout, allow_overlap and
+     * enabled. Keys left out keep their current value.
+     *
+     * @param string $identifier Job name or UUID
+     * @param array $changes Settings to change
+     * @param string|null $updatedBy UUID of the admin making the change
+     * @return array Job with the new settings applied
+     * @throws \InvalidArgumentException If the job is unknown or a setting is invalid
+     */
+    public function updateJobSettings(string $identifier, array $changes, ?string $updatedBy = null): array
+    {
+        $index = $this->findJobIndex($identifier);
+        if ($index === null) {
+            throw new \InvalidArgumentException("Job not found: {$identifier}");
+        }
+
+        $job = $this->jobs[$index];
+        $settings = [
+            'schedule' => trim((string)($changes['schedule'] ?? $job['schedule'])),
+            'timezone' => (string)($changes['timezone'] ?? $job['timezone']),
+            'timeout' => (int)($changes['timeout'] ?? $job['timeout']),
+            'allow_overlap' => (bool)($changes['allow_overlap'] ?? $job['allow_overlap']) ? 1 : 0,
+            'is_enabled' => (bool)($changes['enabled'] ?? $job['enabled']) ? 1 : 0,
+        ];
+
+        // Throws for invalid expressions and timezones
+        new CronSchedule($settings['schedule'], $settings['timezone']);
+
+        if ($settings['timeout'] < 1 || $settings['timeout'] > self::MAX_TIMEOUT) {
+            throw new \InvalidArgumentException('Timeout must be between 1 and ' . self::MAX_TIMEOUT . ' seconds');
+        }
+
+        $now = date('Y-m-d H:i:s');
+        $settings['updated_by'] = $updatedBy;
+        $settings['updated_at'] = $now;
+
+        if (isset($this->settings[$job['name']])) {
+            $this->db->table('scheduled_job_settings')
+                ->where('job_name', $job['name'])
+                ->update($settings);
+        } else {
+            $this->db->table('scheduled_job_settings')->insert(
+                ['job_name' => $job['name']] + $settings + ['created_at' => $now]
+            );
+        }
+
+        $this->settings[$job['name']] = ['job_name' => $job['name']] + $settings;
+        $this->jobs[$index] = $this->applySettings($job);
+
+        // Keep the due date of persisted jobs in step
+        if (isset($job['uuid'])) {
+            $this->db->table('scheduled_jobs')
+                ->where('uuid', $job['uuid'])
+                ->update(['next_run' => $this->jobs[$index]['next_run'], 'updated_at' => $now]);
+        }
+
+        return $this->jobs[$index];
+    }
+
+    /**
+     * Pause a job so it no longer runs on schedule
+     *
+     * @param string $identifier Job name or UUID
+     * @param string|null $updatedBy UUID of the admin pausing the job
+     * @return array Paused job
+     */
+    public function pauseJob(string $identifier, ?string $updatedBy = null): array
+    {
+        return $this->updateJobSettings($identifier, ['enabled' => false], $updatedBy);
+    }
+
+    /**
+     * Resume a paused job
+     *
+     * @param string $identifier Job name or UUID
+     * @param string|null $updatedBy UUID of the admin resuming the job
+     * @return array Resumed job
+     */
+    public function resumeJob(string $identifier, ?string $updatedBy = null): array
+    {
+        return $this->updateJobSettings($identifier, ['enabled' => true], $updatedBy);
+    }
+
     /**
      * Update job in database after execution
      *
-     * @param string $jobUuid Job UUID
+     * @param array $job Job definition
      * @param bool $success Whether execution succeeded
      * @param mixed $result Result data from execution
      */
-    protected function recordJobExecution(string $jobUuid, bool $success, $result = null): void
+    protected function recordJobExecution(array $job, bool $success, $result = null): void
     {
         try {
             $now = date('Y-m-d H:i:s');
@@ -298,7 +554,7 @@ class JobScheduler
             $executionId = Utils::generateNanoID();
             $this->db->table('job_executions')->insert([
                 'uuid' => $executionId,
-                'job_uuid' => $jobUuid,
+                'job_uuid' => $job['uuid'],
                 'status' => $success ? 'success' : 'failure',
                 'started_at' => $now,
                 'completed_at' => $now,
@@ -307,39 +563,105 @@ class JobScheduler
             ]);
 
             // Update job's last_run and next_run
-            $jobs = $this->db->table('scheduled_jobs')
-                ->select(['schedule'])
-                ->where('uuid', $jobUuid)
-                ->limit(1)
-                ->get();
-
-            if (!empty($jobs)) {
-                $job = $jobs[0];
-                $cronExpression = new CronExpression($job['schedule']);
-                $nextRunTime = $cronExpression->getNextRunDate()->format('Y-m-d H:i:s');
-
-                $this->db->table('scheduled_jobs')
-                    ->where('uuid', $jobUuid)
-                    ->update([
-                        'last_run' => $now,
-                        'next_run' => $nextRunTime,
-                        'updated_at' => $now
-                    ]);
-            }
+            $this->db->table('scheduled_jobs')
+                ->where('uuid', $job['uuid'])
+                ->update([
+                    'last_run' => $now,
+                    'next_run' => $this->nextRunTime($job),
+                    'updated_at' => $now
+                ]);
         } catch (\Exception $e) {
             error_log("Failed to record job execution: " . $e->getMessage());
         }
     }
 
+    /**
+     * Start a run in the run history
+     *
+     * Runs of the job still marked as running after their lock would have
+     * expired are marked as failed first, their process died.
+     *
+     * @param array $job Job definition
+     * @param string $trigger schedule or manual
+     * @param string|null $triggeredBy UUID of the admin who started a manual run
+     * @return string|null Run UUID, null if the history table is not migrated yet
+     */
+    protected function startRun(array $job, string $trigger, ?string $triggeredBy): ?string
+    {
+        try {
+            $staleBefore = date('Y-m-d H:i:s', time() - (int)$job['timeout'] - self::LOCK_GRACE);
+            $this->runs->failStale($job['name'], $staleBefore);
+
+            return $this->runs->start($job['name'], $trigger, $triggeredBy);
+        } catch (\Exception $e) {
+            error_log("Failed to record job run: " . $e->getMessage());
+            return null;
+        }
+    }
+
+    /**
+     * Finish a run in the run history
+     *
+     * @param string|null $runUuid Run UUID from startRun()
+     * @param string $status success, failed or timed_out
+     * @param float $startTime Start of the run from microtime(true)
+     * @param string $output Output the job printed
+     * @param mixed $result Result returned by the job
+     * @param string|null $error Error message of failed runs
+     */
+    protected function finishRun(
+        ?string $runUuid,
+        string $status,
+        float $startTime,
+        string $output,
+        mixed $result = null,
+        ?string $error = null
+    ): void {
+        if ($runUuid === null) {
+            return;
+        }
+
+        try {
+            $this->runs->finish(
+                $runUuid,
+                $status,
+                (int)round((microtime(true) - $startTime) * 1000),
+                $output === '' ? null : substr($output, 0, self::MAX_OUTPUT),
+                $result,
+                $error
+            );
+        } catch (\Exception $e) {
+            error_log("Failed to record job run: " . $e->getMessage());
+        }
+    }
+
+    /**
+     * Record a run that was skipped because the previous one is still running
+     *
+     * @param array $job Job definition
+     * @param string $trigger schedule or manual
+     * @param string|null $triggeredBy UUID of the admin who started a manual run
+     */
+    protected function recordSkippedRun(array $job, string $trigger, ?string $triggeredBy): void
+    {
+        try {
+            $this->runs->recordSkipped($job['name'], $trigger, $triggeredBy, 'Previous run is still in progress');
+        } catch (\Exception $e) {
+            error_log("Failed to record job run: " . $e->getMessage());
+        }
+    }
+
     /**
      * Run all jobs that are due at the current time.
+     *
+     * Paused jobs are skipped.
      */
     public function runDueJobs(): void
     {
         $now = new DateTime();
 
         foreach ($this->jobs as $job) {
-            if ((new CronExpression($job['schedule']))->isDue($now)) {
+            if ($job['enabled'] && $this->scheduleOf($job)->isDue($now)) {
                 $this->runJobWithLock($job);
             }
         }
@@ -348,35 +670,54 @@ class JobScheduler
     /**
      * Run a job with distributed locking to prevent concurrent executions
      *
+     * The lock is held for the job's timeout plus a grace period. Jobs that
+     * allow overlapping runs are not locked.
+     *
      * @param array $job Job configuration array
+     * @param string $trigger schedule or manual
+     * @param string|null $triggeredBy UUID of the admin who started a manual run
      * @return mixed Job execution result or null if lock cannot be acquired
+     * @throws LockConflictedException If a manual run finds the job already running
      */
-    protected function runJobWithLock(array $job): mixed
+    protected function runJobWithLock(array $job, string $trigger = 'schedule', ?string $triggeredBy = null): mixed
     {
         $jobName = $job['name'] ?? 'unknown';
         $lockResource = "scheduler:job:{$jobName}";
-        $lockTtl = 3600.0; // 1 hour max execution time
+        $lockTtl = (float)($job['timeout'] + self::LOCK_GRACE);
+
+        if ($job['allow_overlap']) {
+            return $this->executeJob($job, $trigger, $triggeredBy);
+        }
 
         // Skip if no lock manager available
         if (!$this->lockManager) {
             $this->log("No lock manager available, running job '{$jobName}' without locking", 'warning');
-            return $this->executeJob($job);
+            return $this->executeJob($job, $trigger, $triggeredBy);
         }
 
         try {
-            return $this->lockManager->executeWithLock($lockResource, function () use ($job, $jobName) {
-                $this->log("🔒 Acquired lock for scheduled job: {$jobName}");
-                return $this->executeJob($job);
-            }, $lockTtl);
+            return $this->lockManager->executeWithLock(
+                $lockResource,
+                function () use ($job, $jobName, $trigger, $triggeredBy) {
+                    $this->log("🔒 Acquired lock for scheduled job: {$jobName}");
+                    return $this->executeJob($job, $trigger, $triggeredBy);
+                },
+                $lockTtl
+            );
         } catch (LockConflictedException $e) {
             $this->log("⏳ Job '{$jobName}' is already running on another process - skipping", 'info');
+            $this->recordSkippedRun($job, $trigger, $triggeredBy);
+
+            if ($trigger === 'manual') {
+                throw $e;
+            }
             return null;
         } catch (\Throwable $e) {
             $this->log("❌ Lock error for job '{$jobName}': " . $e->getMessage(), 'error');
 
             // Record the error if job has a UUID
             if (isset($job['uuid'])) {
-                $this->recordJobExecution($job['uuid'], false, "Lock error: " . $e->getMessage());
+                $this->recordJobExecution($job, false, "Lock error: " . $e->getMessage());
             }
 
             throw $e;
@@ -386,59 +727,113 @@ class JobScheduler
     /**
      * Execute a job without locking (internal method)
      *
+     * Output the job prints is captured for the run history. Runs that take
+     * longer than the timeout are recorded as timed out.
+     *
      * @param array $job Job configuration array
+     * @param string $trigger schedule or manual
+     * @param string|null $triggeredBy UUID of the admin who started a manual run
      * @return mixed Job execution result
      */
-    protected function executeJob(array $job): mixed
+    protected function executeJob(array $job, string $trigger = 'schedule', ?string $triggeredBy = null): mixed
     {
         $jobName = $job['name'] ?? 'unknown';
+        $runUuid = $this->startRun($job, $trigger, $triggeredBy);
+        $startTime = microtime(true);
 
+        ob_start();
         try {
-            $startTime = microtime(true);
-            $result = call_user_func($job['callback']);
-            $executionTime = round((microtime(true) - $startTime) * 1000, 2);
-
-            $this->log("✅ Executed job: {$jobName} (took {$executionTime}ms)");
-
-            // Record successful execution in database if job has an ID
-            if (isset($job['uuid'])) {
-                $this->recordJobExecution($job['uuid'], true, $result);
-            }
-
-            return $result;
+            $result = $this->callWithTimeout($job);
         } catch (\Throwable $e) {
+            $output = (string)ob_get_clean();
+            $status = $e instanceof JobTimeoutException ? 'timed_out' : 'failed';
+            $this->finishRun($runUuid, $status, $startTime, $output, null, $e->getMessage());
+
             $this->log("❌ Error in job '{$jobName}': " . $e->getMessage(), 'error');
 
             // Record execution error in database if job has an ID
             if (isset($job['uuid'])) {
-                $this->recordJobExecution($job['uuid'], false, $e->getMessage());
+                $this->recordJobExecution($job, false, $e->getMessage());
             }
 
             throw $e;
         }
+        $output = (string)ob_get_clean();
+
+        $executionTime = round((microtime(true) - $startTime) * 1000, 2);
+        if ($executionTime > $job['timeout'] * 1000) {
+            $error = sprintf(
+                'Finished after %.1f seconds, over the %d second timeout',
+                $executionTime / 1000,
+                $job['timeout']
+            );
+            $this->finishRun($runUuid, 'timed_out', $startTime, $output, $result, $error);
+        } else {
+            $this->finishRun($runUuid, 'success', $startTime, $output, $result);
+        }
+
+        $this->log("✅ Executed job: {$jobName} (took {$executionTime}ms)");
+
+        // Record successful execution in database if job has an ID
+        if (isset($job['uuid'])) {
+            $this->recordJobExecution($job, true, $result);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Call a job's callback, interrupting it after its timeout
+     *
+     * The timeout is enforced with SIGALRM, which needs the pcntl extension
+     * and is only available in the CLI. Elsewhere the callback runs to the end.
+     *
+     * @param array $job Job definition
+     * @return mixed Result of the callback
+     * @throws JobTimeoutException If the job runs longer than its timeout
+     */
+    protected function callWithTimeout(array $job): mixed
+    {
+        if (!function_exists('pcntl_alarm') || !function_exists('pcntl_async_signals')) {
+            return call_user_func($job['callback']);
+        }
+
+        $timeout = (int)$job['timeout'];
+        $asyncSignals = pcntl_async_signals(true);
+        $previousHandler = pcntl_signal_get_handler(SIGALRM);
+
+        pcntl_signal(SIGALRM, function () use ($job, $timeout) {
+            throw new JobTimeoutException($job['name'], $timeout);
+        });
+        pcntl_alarm($timeout);
+
+        try {
+            return call_user_func($job['callback']);
+        } finally {
+            pcntl_alarm(0);
+            pcntl_signal(SIGALRM, $previousHandler ?: SIG_DFL);
+            pcntl_async_signals($asyncSignals);
+        }
     }
 
     /**
      * Run all registered jobs manually (ignoring schedule).
+     *
+     * Paused jobs are skipped. A failing job does not stop the others.
+     *
+     * @param string|null $triggeredBy UUID of the admin who started the runs
      */
-    public function runAllJobs(): void
+    public function runAllJobs(?string $triggeredBy = null): void
     {
         foreach ($this->jobs as $job) {
-            try {
-                $result = call_user_func($job['callback']);
-                $this->log("Executed job: {$job['name']}");
+            if (!$job['enabled']) {
+                continue;
+            }
 
-                // Record execution in database if job has an ID
-                if (isset($job['uuid'])) {
-                    $this->recordJobExecution($job['uuid'], true, $result);
-                }
+            try {
+                $this->runJobWithLock($job, 'manual', $triggeredBy);
             } catch (\Throwable $e) {
                 $this->log("Error in job '{$job['name']}': " . $e->getMessage(), 'error');
-
-                // Record execution error in database
-                if (isset($job['uuid'])) {
-                    $this->recordJobExecution($job['uuid'], false, $e->getMessage());
-                }
             }
         }
     }
@@ -446,37 +841,21 @@ class JobScheduler
     /**
      * Run a single job by name or UUID
      *
+     * Paused jobs can still be run manually.
+     *
      * @param string $identifier Job name or UUID
+     * @param string|null $triggeredBy UUID of the admin who started the run
      * @return mixed|null Result of job execution or null if job not found
+     * @throws LockConflictedException If the job is already running
      */
-    public function runJob(string $identifier): mixed
+    public function runJob(string $identifier, ?string $triggeredBy = null): mixed
     {
-        // Find the job by name or UUID
-        foreach ($this->jobs as $job) {
-            if ($job['name'] === $identifier || ($job['uuid'] ?? '') === $identifier) {
-                try {
-                    $result = call_user_func($job['callback']);
-
-                    // Record execution in database if job has a UUID
-                    if (isset($job['uuid'])) {
-                        $this->recordJobExecution($job['uuid'], true, $result);
-                    }
-
-                    return $result;
-                } catch (\Throwable $e) {
-                    $this->log("Error in job '{$job['name']}': " . $e->getMessage(), 'error');
-
-                    // Record execution error in database if job has a UUID
-                    if (isset($job['uuid'])) {
-                        $this->recordJobExecution($job['uuid'], false, $e->getMessage());
-                    }
-
-                    throw $e; // Re-throw for higher-level handling
-                }
-            }
+        $job = $this->getJob($identifier);
+        if ($job === null) {
+            return null; // Job not found
         }
 
-        return null; // Job not found
+        return $this->runJobWithLock($job, 'manual', $triggeredBy);
     }
 
     public function loadCoreJobsFromConfig(): void
@@ -494,12 +873,6 @@ class JobScheduler
             }
             // error_log('Core jobs: ' . json_encode($coreJobs['jobs']));
             foreach ($coreJobs['jobs'] as $job) {
-                // Skip disabled jobs
-
-                // if (isset($job['enabled']) && !$job['enabled']) {
-                //     continue;
-                // }
-
                 // Skip jobs with missing required fields
                 if (!isset($job['name']) || !isset($job['schedule']) || !isset($job['handler_class'])) {
                     $this->log('Skipping job with missing required fields: ' . ($job['name'] ?? 'unnamed'), 'warning');
@@ -512,6 +885,11 @@ class JobScheduler
                     continue;
                 }
 
+                // Persistent jobs registered by an earlier process were loaded from the database
+                if ($this->findJobIndex($job['name']) !== null) {
+                    continue;
+                }
+
                 // Register based on persistence flag
                 $isPersistent = $job['persistence'] ?? false;
                 if ($isPersistent) {
@@ -534,7 +912,16 @@ class JobScheduler
                             'handler_class' => $job['handler_class'],
                             'parameters' => $job['parameters'] ?? [],
                         ];
-                    }, $job['name']);
+                    }, $job['name'], [
+                        'description' => $job['description'] ?? '',
+                        'handler_class' => $job['handler_class'],
+                        'parameters' => $job['parameters'] ?? [],
+                        'timeout' => (int)($job['timeout'] ?? self::DEFAULT_TIMEOUT),
+                        'allow_overlap' => (bool)($job['allow_overlap'] ?? false),
+                        'timezone' => $job['timezone'] ?? date_default_timezone_get(),
+                        // Disabled jobs are registered paused, so they can be resumed from the admin
+                        'enabled' => (bool)($job['enabled'] ?? true),
+                    ]);
                     // $this->log("Registered in-memory job: {$job['name']}", 'info');
                 }
             }
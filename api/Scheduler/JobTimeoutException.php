@@ -0,0 +1,24 @@
+<?php
+
+namespace Glueful\Scheduler;
+
+/**
+ * Job Timeout Exception
+ *
+ * Thrown into a scheduled job when it runs longer than its timeout.
+ *
+ * @package Glueful\Scheduler
+ */
+class JobTimeoutException extends \RuntimeException
+{
+    /**
+     * Constructor
+     *
+     * @param string $jobName Name of the job
+     * @param int $timeout Timeout in seconds
+     */
+    public function __construct(string $jobName, int $timeout)
+    {
+        parent::__construct("Job '{$jobName}' timed out after {$timeout} seconds");
+    }
+}
@@ -0,0 +1,186 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Services;
+
+use Glueful\Database\Connection;
+use Glueful\Repository\ApiMetricThresholdRepository;
+use Glueful\Repository\AuditLogRepository;
+
+/**
+ * API Metric Alerts
+ *
+ * Checks the admin-defined thresholds against the API metric buckets. A
+ * threshold is breached when its metric, measured over its window, is above
+ * its value and the window saw at least min_requests requests. Only changes
+ * of state are written to the audit log, so a breach lasting an hour gives
+ * one "breached" and one "recovered" entry.
+ *
+ * @package Glueful\Services
+ */
+class ApiMetricAlerts
+{
+    /** @var array<string, string> Threshold metrics and the window statistic each one compares */
+    public const METRICS = [
+        'request_rate' => 'rate_per_min',
+        'error_rate' => 'error_rate',
+        'avg_response_time' => 'avg_response_time',
+        'p50' => 'p50',
+        'p95' => 'p95',
+        'p99' => 'p99',
+    ];
+
+    private Connection $db;
+    private ApiMetricThresholdRepository $thresholds;
+    private AuditLogRepository $auditLogs;
+    private ?ApiMetricsService $metrics;
+
+    /**
+     * Create the alerts service
+     *
+     * @param Connection|null $connection Optional connection override
+     * @param ApiMetricsService|null $metrics Optional metrics service, created when first needed
+     */
+    public function __construct(?Connection $connection = null, ?ApiMetricsService $metrics = null)
+    {
+        $this->db = $connection ?? new Connection();
+        $this->thresholds = new ApiMetricThresholdRepository($this->db);
+        $this->auditLogs = new AuditLogRepository($this->db);
+        $this->metrics = $metrics;
+    }
+
+    /**
+     * Read the value a threshold compares from window statistics
+     *
+     * @param array $threshold Threshold with metric
+     * @param array $stats Statistics from ApiMetricsService::getWindowStats()
+     * @return float Metric value
+     */
+    public static function measure(array $threshold, array $stats): float
+    {
+        return (float)($stats[self::METRICS[$threshold['metric']]] ?? 0);
+    }
+
+    /**
+     * Check whether window statistics exceed a threshold
+     *
+     * A window without requests never breaches, nor does one with fewer
+     * than min_requests, so a single slow call on a quiet endpoint does not
+     * raise an alert.
+     *
+     * @param array $threshold Threshold with metric, value and min_requests
+     * @param array $stats Statistics from ApiMetricsService::getWindowStats()
+     * @return bool True if the threshold is breached
+     */
+    public static function isBreached(array $threshold, array $stats): bool
+    {
+        if ($stats['requests'] < max(1, (int)$threshold['min_requests'])) {
+            return false;
+        }
+
+        return self::measure($threshold, $stats) > (float)$threshold['value'];
+    }
+
+    /**
+     * Check whether the thresholds table has been migrated yet
+     *
+     * @return bool True if thresholds can be configured
+     */
+    public function isAvailable(): bool
+    {
+        return $this->thresholds->isAvailable();
+    }
+
+    /**
+     * Check the enabled thresholds and record breaches and recoveries
+     *
+     * @param string $source Audit log source of breach entries (cron or api)
+     * @param int $staleAfter Skip thresholds checked less than this many seconds ago
+     * @return array Counts of evaluated thresholds with the names of those breached and recovered
+     */
+    public function evaluate(string $source = 'cron', int $staleAfter = 0): array
+    {
+        $result = ['evaluated' => 0, 'breached' => [], 'recovered' => []];
+        $statsCache = [];
+
+        foreach ($this->thresholds->findEnabled() as $threshold) {
+            $lastEvaluated = $threshold['last_evaluated_at'] ? strtotime($threshold['last_evaluated_at']) : 0;
+            if ($staleAfter > 0 && time() - $lastEvaluated < $staleAfter) {
+                continue;
+            }
+
+            $statsKey = $threshold['window_minutes'] . '|' . ($threshold['endpoint_key'] ?? '*');
+            $stats = $statsCache[$statsKey] ??= $this->metrics()->getWindowStats(
+                $threshold['window_minutes'],
+                $threshold['endpoint_key']
+            );
+
+            $value = self::measure($threshold, $stats);
+            $breached = self::isBreached($threshold, $stats);
+            $breachedAt = $breached ? ($threshold['breached_at'] ?? date('Y-m-d H:i:s')) : null;
+
+            $this->thresholds->recordEvaluation($threshold['uuid'], $value, $breached, $breachedAt);
+            $result['evaluated']++;
+
+            if ($breached !== $threshold['breached']) {
+                $result[$breached ? 'breached' : 'recovered'][] = $threshold['name'];
+                $this->recordAudit($threshold, $stats, $value, $breached, $source);
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * List the thresholds breached when last checked
+     *
+     * @return array Breached thresholds, longest breached first
+     */
+    public function alerts(): array
+    {
+        return $this->thresholds->findBreached();
+    }
+
+    /**
+     * Get the metrics service, creating it on first use
+     *
+     * @return ApiMetricsService
+     */
+    private function metrics(): ApiMetricsService
+    {
+        return $this->metrics ??= new ApiMetricsService(null, $this->db);
+    }
+
+    /**
+     * Record a breach or recovery in the audit log
+     *
+     * @param array $threshold Threshold before this check
+     * @param array $stats Window statistics measured
+     * @param float $value Metric value measured
+     * @param bool $breached True for a breach, false for a recovery
+     * @param string $source Audit log source
+     */
+    private function recordAudit(array $threshold, array $stats, float $value, bool $breached, string $source): void
+    {
+        $this->auditLogs->record([
+            'user_id' => null,
+            'action' => $breached ? 'api_metric_threshold_breached' : 'api_metric_threshold_recovered',
+            'category' => 'system',
+            'severity' => $breached ? 'warning' : 'info',
+            'entity_type' => 'api_metric_thresholds',
+            'entity_id' => $threshold['uuid'],
+            'context' => [
+                'name' => $threshold['name'],
+                'endpoint_key' => $threshold['endpoint_key'],
+                'metric' => $threshold['metric'],
+                'threshold' => $threshold['value'],
+                'value' => $value,
+                'window_minutes' => $threshold['window_minutes'],
+                'requests' => $stats['requests'],
+                'breached_since' => $threshold['breached_at'],
+            ],
+            'source' => $source,
+        ]);
+    }
+}
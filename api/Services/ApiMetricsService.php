@@ -25,10 +25,25 @@ class ApiMetricsService
     private string $metricsTable = 'api_metrics';
     private string $dailyMetricsTable = 'api_metrics_daily';
     private string $rateLimitsTable = 'api_rate_limits';
+    private string $bucketsTable = 'api_metrics_buckets';
+
+    /**
+     * Chartable windows: length and bucket resolution in seconds, and the
+     * seconds each point of the series covers
+     */
+    public const WINDOWS = [
+        '1h' => ['length' => 3600, 'resolution' => 60, 'step' => 60],
+        '6h' => ['length' => 21600, 'resolution' => 60, 'step' => 300],
+        '24h' => ['length' => 86400, 'resolution' => 60, 'step' => 900],
+        '7d' => ['length' => 604800, 'resolution' => 3600, 'step' => 3600],
+        '30d' => ['length' => 2592000, 'resolution' => 3600, 'step' => 21600],
+    ];
 
     // Configuration
     private int $metricsTTL = 86400 * 30; // Store raw metrics for 30 days
     private int $aggregatedMetricsTTL = 86400 * 365; // Store aggregated metrics for 1 year
+    private int $minuteBucketsTTL = 86400 * 2; // Keep minute buckets for 2 days
+    private int $hourBucketsTTL = 86400 * 90; // Keep hour buckets for 90 days
     private int $metricsFlushThreshold = 50; // Flush to database after this many metrics
     private string $cacheKeyPrefix = 'api_metrics_';
 
@@ -157,6 +172,11 @@ class ApiMetricsService
             // Update daily aggregates in bulk to avoid N+1 queries
             $this->updateDailyAggregatesBulk($pendingMetrics);
 
+            // Add to the minute and hour buckets behind the time series charts
+            foreach ([60, 3600] as $resolution) {
+                $this->updateBucketsBulk($pendingMetrics, $resolution);
+            }
+
             // Purge old metrics to keep the database size manageable
             $this->purgeOldMetrics();
         } catch (Exception $e) {
@@ -292,6 +312,107 @@ class ApiMetricsService
         });
     }
 
+    /**
+     * Add metrics to the time buckets of a resolution
+     *
+     * Each bucket holds the calls, errors, response time total and maximum,
+     * and a latency histogram of one endpoint for one minute or hour.
+     *
+     * @param array $metrics Array of metric data
+     * @param int $resolution Bucket length in seconds
+     */
+    private function updateBucketsBulk(array $metrics, int $resolution): void
+    {
+        if (empty($metrics)) {
+            return;
+        }
+
+        // Group metrics by bucket start and endpoint_key
+        $buckets = [];
+        foreach ($metrics as $metric) {
+            $start = date('Y-m-d H:i:s', intdiv((int)$metric['timestamp'], $resolution) * $resolution);
+            $key = $metric['endpoint'] . '|' . $metric['method'];
+            $combinedKey = $start . '|' . $key;
+
+            if (!isset($buckets[$combinedKey])) {
+                $buckets[$combinedKey] = [
+                    'bucket_start' => $start,
+                    'endpoint' => $metric['endpoint'],
+                    'method' => $metric['method'],
+                    'endpoint_key' => $key,
+                    'calls' => 0,
+                    'error_count' => 0,
+                    'total_response_time' => 0,
+                    'max_response_time' => 0,
+                    'histogram' => LatencyHistogram::empty()
+                ];
+            }
+
+            $responseTime = (float)$metric['response_time'];
+            $buckets[$combinedKey]['calls']++;
+            $buckets[$combinedKey]['error_count'] += $metric['is_error'] ? 1 : 0;
+            $buckets[$combinedKey]['total_response_time'] += $responseTime;
+            $buckets[$combinedKey]['max_response_time'] = max(
+                $buckets[$combinedKey]['max_response_time'],
+                $responseTime
+            );
+            $buckets[$combinedKey]['histogram'][LatencyHistogram::bin($responseTime)]++;
+        }
+
+        // Fetch existing buckets, grouped by bucket start
+        $startGroups = [];
+        foreach ($buckets as $bucket) {
+            $startGroups[$bucket['bucket_start']][] = $bucket['endpoint_key'];
+        }
+
+        $existingBuckets = [];
+        foreach ($startGroups as $start => $endpointKeys) {
+            $results = $this->db
+                ->table($this->bucketsTable)
+                ->select(['*'])
+                ->where('resolution', $resolution)
+                ->where('bucket_start', $start)
+                ->whereIn('endpoint_key', $endpointKeys)
+                ->get();
+
+            foreach ($results as $existing) {
+                $existingBuckets[$start . '|' . $existing['endpoint_key']] = $existing;
+            }
+        }
+
+        $this->db->query()->transaction(function () use ($buckets, $existingBuckets, $resolution) {
+            $toInsert = [];
+
+            foreach ($buckets as $combinedKey => $bucket) {
+                if (isset($existingBuckets[$combinedKey])) {
+                    $existing = $existingBuckets[$combinedKey];
+                    $histogram = LatencyHistogram::merge(
+                        LatencyHistogram::decode($existing['histogram']),
+                        $bucket['histogram']
+                    );
+
+                    $this->db->table($this->bucketsTable)->where('id', $existing['id'])->update([
+                        'calls' => $existing['calls'] + $bucket['calls'],
+                        'error_count' => $existing['error_count'] + $bucket['error_count'],
+                        'total_response_time' => $existing['total_response_time'] + $bucket['total_response_time'],
+                        'max_response_time' => max((float)$existing['max_response_time'], $bucket['max_response_time']),
+                        'histogram' => json_encode($histogram)
+                    ]);
+                } else {
+                    $toInsert[] = [
+                        'uuid' => Utils::generateNanoID(),
+                        'resolution' => $resolution,
+                        'histogram' => json_encode($bucket['histogram'])
+                    ] + $bucket;
+                }
+            }
+
+            if (!empty($toInsert)) {
+                $this->db->table($this->bucketsTable)->insertBatch($toInsert);
+            }
+        });
+    }
+
     /**
      * Update rate limit counters
      *
@@ -531,6 +652,194 @@ class ApiMetricsService
         return $result;
     }
 
+    /**
+     * Get request rate, latency percentiles and error rate over a window
+     *
+     * The series covers the window in steps (see WINDOWS), either for all
+     * endpoints or for one endpoint_key. Endpoint statistics for the whole
+     * window are always included, along with the slowest endpoints by p95.
+     *
+     * @param string $window Window key from WINDOWS
+     * @param string|null $endpointKey Endpoint and method as "endpoint|method", null for all endpoints
+     * @return array Window details, series, summary, endpoints and slowest
+     * @throws \InvalidArgumentException If the window is unknown
+     */
+    public function getTimeSeries(string $window = '24h', ?string $endpointKey = null): array
+    {
+        if (!isset(self::WINDOWS[$window])) {
+            throw new \InvalidArgumentException(
+                'Window must be one of ' . implode(', ', array_keys(self::WINDOWS))
+            );
+        }
+
+        $this->flushMetrics();
+
+        ['length' => $length, 'resolution' => $resolution, 'step' => $step] = self::WINDOWS[$window];
+        $end = intdiv(time(), $step) * $step + $step;
+        $start = $end - $length;
+
+        $slots = [];
+        for ($time = $start; $time < $end; $time += $step) {
+            $slots[$time] = null;
+        }
+
+        $total = null;
+        $endpointMap = [];
+
+        foreach ($this->getBuckets($resolution, $start, $end) as $bucket) {
+            $key = $bucket['endpoint_key'];
+            $endpointMap[$key] = $this->addBucket($endpointMap[$key] ?? null, $bucket);
+
+            if ($endpointKey !== null && $key !== $endpointKey) {
+                continue;
+            }
+
+            $slot = $start + intdiv(strtotime($bucket['bucket_start']) - $start, $step) * $step;
+            $slots[$slot] = $this->addBucket($slots[$slot] ?? null, $bucket);
+            $total = $this->addBucket($total, $bucket);
+        }
+
+        $series = [];
+        foreach ($slots as $time => $stats) {
+            $series[] = ['time' => date('Y-m-d H:i:s', $time)] + $this->summarizeBuckets($stats, $step);
+        }
+
+        $endpoints = [];
+        foreach ($endpointMap as $key => $stats) {
+            $endpoints[] = [
+                'endpoint' => $stats['endpoint'],
+                'method' => $stats['method'],
+                'endpoint_key' => $key,
+                'category' => $this->getCategoryFromEndpoint($stats['endpoint'])
+            ] + $this->summarizeBuckets($stats, $length);
+        }
+
+        usort($endpoints, fn($a, $b) => $b['requests'] <=> $a['requests']);
+
+        $slowest = $endpoints;
+        usort($slowest, fn($a, $b) => $b['p95'] <=> $a['p95']);
+
+        return [
+            'window' => $window,
+            'step' => $step,
+            'from' => date('Y-m-d H:i:s', $start),
+            'to' => date('Y-m-d H:i:s', $end),
+            'endpoint_key' => $endpointKey,
+            'series' => $series,
+            'summary' => $this->summarizeBuckets($total, $length),
+            'endpoints' => $endpoints,
+            'slowest' => array_slice($slowest, 0, 10)
+        ];
+    }
+
+    /**
+     * Get request rate, latency percentiles and error rate of the last minutes
+     *
+     * @param int $minutes Minutes to look back, including the current minute
+     * @param string|null $endpointKey Endpoint and method as "endpoint|method", null for all endpoints
+     * @return array Requests, rate_per_min, error_rate, avg_response_time, p50, p95, p99 and max_response_time
+     */
+    public function getWindowStats(int $minutes, ?string $endpointKey = null): array
+    {
+        $this->flushMetrics();
+
+        $end = intdiv(time(), 60) * 60 + 60;
+        $start = $end - max(1, $minutes) * 60;
+
+        $stats = null;
+        foreach ($this->getBuckets(60, $start, $end, $endpointKey) as $bucket) {
+            $stats = $this->addBucket($stats, $bucket);
+        }
+
+        return $this->summarizeBuckets($stats, $end - $start);
+    }
+
+    /**
+     * Fetch the buckets of a resolution that start within a time range
+     *
+     * @param int $resolution Bucket length in seconds
+     * @param int $start Range start as a Unix timestamp
+     * @param int $end Range end as a Unix timestamp, exclusive
+     * @param string|null $endpointKey Only buckets of this endpoint_key
+     * @return array Bucket rows
+     */
+    private function getBuckets(int $resolution, int $start, int $end, ?string $endpointKey = null): array
+    {
+        try {
+            $query = $this->db
+                ->table($this->bucketsTable)
+                ->select(['*'])
+                ->where('resolution', $resolution)
+                ->where('bucket_start', '>=', date('Y-m-d H:i:s', $start))
+                ->where('bucket_start', '<', date('Y-m-d H:i:s', $end));
+
+            if ($endpointKey !== null) {
+                $query->where('endpoint_key', $endpointKey);
+            }
+
+            return $query->get();
+        } catch (Exception $e) {
+            error_log("Error retrieving API metric buckets: " . $e->getMessage());
+            return [];
+        }
+    }
+
+    /**
+     * Add a bucket row to running statistics
+     *
+     * @param array|null $stats Statistics so far, null to start new ones
+     * @param array $bucket Bucket row
+     * @return array Updated statistics
+     */
+    private function addBucket(?array $stats, array $bucket): array
+    {
+        $stats ??= [
+            'endpoint' => $bucket['endpoint'],
+            'method' => $bucket['method'],
+            'calls' => 0,
+            'error_count' => 0,
+            'total_response_time' => 0.0,
+            'max_response_time' => 0.0,
+            'histogram' => LatencyHistogram::empty()
+        ];
+
+        $stats['calls'] += (int)$bucket['calls'];
+        $stats['error_count'] += (int)$bucket['error_count'];
+        $stats['total_response_time'] += (float)$bucket['total_response_time'];
+        $stats['max_response_time'] = max($stats['max_response_time'], (float)$bucket['max_response_time']);
+        $stats['histogram'] = LatencyHistogram::merge(
+            $stats['histogram'],
+            LatencyHistogram::decode($bucket['histogram'])
+        );
+
+        return $stats;
+    }
+
+    /**
+     * Turn running statistics into rates and percentiles
+     *
+     * @param array|null $stats Statistics from addBucket, null when nothing was called
+     * @param int $seconds Time the statistics cover, for the request rate
+     * @return array Requests, rate_per_min, error_rate, avg_response_time, p50, p95, p99 and max_response_time
+     */
+    private function summarizeBuckets(?array $stats, int $seconds): array
+    {
+        $calls = $stats['calls'] ?? 0;
+        $max = $stats['max_response_time'] ?? 0.0;
+        $histogram = $stats['histogram'] ?? LatencyHistogram::empty();
+
+        return [
+            'requests' => $calls,
+            'rate_per_min' => round($calls / max(1, $seconds) * 60, 2),
+            'error_rate' => $calls > 0 ? round($stats['error_count'] / $calls * 100, 2) : 0,
+            'avg_response_time' => $calls > 0 ? round($stats['total_response_time'] / $calls, 2) : 0,
+            'p50' => LatencyHistogram::percentile($histogram, 50, $max),
+            'p95' => LatencyHistogram::percentile($histogram, 95, $max),
+            'p99' => LatencyHistogram::percentile($histogram, 99, $max),
+            'max_response_time' => round($max, 2)
+        ];
+    }
+
     /**
      * Reset API metrics
      *
@@ -546,6 +855,8 @@ class ApiMetricsService
 
             $this->db->table($this->rateLimitsTable)->delete();
 
+            $this->db->table($this->bucketsTable)->delete();
+
             // Clear cached metrics using the proper cache key prefix
             $this->cache?->delete($this->cacheKeyPrefix . 'pending');
 
@@ -564,26 +875,52 @@ class ApiMetricsService
         try {
             // Remove detailed metrics older than the TTL
             $cutoff = date('Y-m-d H:i:s', time() - $this->metricsTTL);
-            $this->db->table($this->metricsTable)
-                ->where('timestamp', '<', $cutoff)
-                ->delete();
+            $this->deleteBefore($this->metricsTable, 'timestamp', $cutoff);
 
             // Remove aggregated metrics older than their TTL
             $aggCutoff = date('Y-m-d', time() - $this->aggregatedMetricsTTL);
-            $this->db->table($this->dailyMetricsTable)
-                ->where('date', '<', $aggCutoff)
-                ->delete();
+            $this->deleteBefore($this->dailyMetricsTable, 'date', $aggCutoff);
+
+            // Remove minute and hour buckets older than their TTL
+            foreach ([60 => $this->minuteBucketsTTL, 3600 => $this->hourBucketsTTL] as $resolution => $ttl) {
+                $bucketCutoff = date('Y-m-d H:i:s', time() - $ttl);
+                $this->deleteBefore($this->bucketsTable, 'bucket_start', $bucketCutoff, ['resolution' => $resolution]);
+            }
 
             // Clean up old rate limits
             $rateLimitCutoff = date('Y-m-d H:i:s', time() - 3600); // 1 hour
-            $this->db->table($this->rateLimitsTable)
-                ->where('reset_time', '<', $rateLimitCutoff)
-                ->delete();
+            $this->deleteBefore($this->rateLimitsTable, 'reset_time', $rateLimitCutoff);
         } catch (Exception $e) {
             error_log("Error purging old API metrics: " . $e->getMessage());
         }
     }
 
+    /**
+     * Delete the rows of a table whose time column is before a cutoff
+     *
+     * Written out as SQL because the query builder only keeps equality
+     * conditions when deleting.
+     *
+     * @param string $table Table name
+     * @param string $column Date or datetime column compared with the cutoff
+     * @param string $cutoff Rows before this time are deleted
+     * @param array $conditions Additional column => value equality conditions
+     * @return int Number of deleted rows
+     */
+    private function deleteBefore(string $table, string $column, string $cutoff, array $conditions = []): int
+    {
+        $driver = $this->db->getDriver();
+        $sql = 'DELETE FROM ' . $driver->wrapIdentifier($table) . ' WHERE ' . $driver->wrapIdentifier($column) . ' < ?';
+        $bindings = [$cutoff];
+
+        foreach ($conditions as $name => $value) {
+            $sql .= ' AND ' . $driver->wrapIdentifier($name) . ' = ?';
+            $bindings[] = $value;
+        }
+
+        return $this->db->query()->executeModification($sql, $bindings);
+    }
+
     /**
      * Create necessary tables if they don't exist
      */
@@ -649,6 +986,32 @@ class ApiMetricsService
                 $table->create();
             }
 
+            // Check and create time buckets table
+            if (!$this->schemaManager->hasTable($this->bucketsTable)) {
+                $table = $this->schemaManager->table($this->bucketsTable);
+                $table->bigInteger('id')->primary()->autoIncrement();
+                $table->string('uuid', 12);
+                $table->integer('resolution'); // 60 for minute, 3600 for hour buckets
+                $table->dateTime('bucket_start');
+                $table->string('endpoint', 255);
+                $table->string('method', 10);
+                $table->string('endpoint_key', 266); // endpoint|method
+                $table->integer('calls')->default(0);
+                $table->integer('error_count')->default(0);
+                $table->decimal('total_response_time', 15, 2)->default(0);
+                $table->decimal('max_response_time', 10, 2)->default(0);
+                $table->text('histogram'); // JSON counts per LatencyHistogram bin
+
+                // Add indexes
+                $table->unique(
+                    ['resolution', 'bucket_start', 'endpoint_key'],
+                    'idx_' . $this->bucketsTable . '_bucket_endpoint_key'
+                );
+                $table->index(['resolution', 'bucket_start'], 'idx_' . $this->bucketsTable . '_bucket');
+
+                $table->create();
+            }
+
             // Execute all pending operations
             $this->schemaManager->execute();
         } catch (Exception $e) {
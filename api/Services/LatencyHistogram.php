@@ -0,0 +1,115 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Services;
+
+/**
+ * Latency Histogram
+ *
+ * Counts response times in fixed millisecond bins so that metric buckets can
+ * be merged across minutes, hours and endpoints and still give p50/p95/p99.
+ * A histogram is a list of counts, one per bin, where bin i holds response
+ * times up to BOUNDS[i] and the last bin holds everything slower.
+ *
+ * Percentiles are interpolated within a bin, so they are estimates accurate
+ * to the width of the bin they fall in.
+ *
+ * @package Glueful\Services
+ */
+class LatencyHistogram
+{
+    /** @var array<int> Upper bound of each bin in milliseconds */
+    public const BOUNDS = [5, 10, 25, 50, 75, 100, 150, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 10000];
+
+    /**
+     * Create a histogram with no counts
+     *
+     * @return array<int> Zero count for every bin
+     */
+    public static function empty(): array
+    {
+        return array_fill(0, count(self::BOUNDS) + 1, 0);
+    }
+
+    /**
+     * Find the bin a response time is counted in
+     *
+     * @param float $milliseconds Response time
+     * @return int Bin index
+     */
+    public static function bin(float $milliseconds): int
+    {
+        foreach (self::BOUNDS as $index => $bound) {
+            if ($milliseconds <= $bound) {
+                return $index;
+            }
+        }
+
+        return count(self::BOUNDS);
+    }
+
+    /**
+     * Add the counts of one histogram to another
+     *
+     * @param array<int> $histogram Histogram to add to
+     * @param array<int> $other Histogram to add
+     * @return array<int> Combined histogram
+     */
+    public static function merge(array $histogram, array $other): array
+    {
+        $merged = self::empty();
+        foreach ($merged as $index => $count) {
+            $merged[$index] = (int)($histogram[$index] ?? 0) + (int)($other[$index] ?? 0);
+        }
+
+        return $merged;
+    }
+
+    /**
+     * Decode a histogram stored as JSON
+     *
+     * @param string|null $json Stored histogram
+     * @return array<int> Histogram, empty when the value is missing or invalid
+     */
+    public static function decode(?string $json): array
+    {
+        $counts = $json ? json_decode($json, true) : null;
+
+        return is_array($counts) ? self::merge(self::empty(), $counts) : self::empty();
+    }
+
+    /**
+     * Estimate a percentile from a histogram
+     *
+     * @param array<int> $histogram Bin counts
+     * @param float $percentile Percentile between 0 and 100
+     * @param float $max Slowest response time counted, caps the open last bin
+     * @return float Estimated response time in milliseconds, 0 when nothing is counted
+     */
+    public static function percentile(array $histogram, float $percentile, float $max): float
+    {
+        $total = array_sum($histogram);
+        if ($total === 0) {
+            return 0.0;
+        }
+
+        $rank = max(0.0, min(100.0, $percentile)) / 100 * $total;
+        $seen = 0;
+
+        foreach ($histogram as $index => $count) {
+            if ($count === 0 || $seen + $count < $rank) {
+                $seen += $count;
+                continue;
+            }
+
+            $lower = $index === 0 ? 0.0 : (float)self::BOUNDS[$index - 1];
+            $upper = (float)(self::BOUNDS[$index] ?? max($max, $lower));
+            $value = $lower + ($upper - $lower) * (($rank - $seen) / $count);
+
+            return round($max > 0 ? min($value, $max) : $value, 2);
+        }
+
+        return round($max, 2);
+    }
+}
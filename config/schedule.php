@@ -34,6 +34,28 @@ return [
             'timeout' => 600,  // 10 minutes
             'retry_attempts' => 2,
         ],
+        [
+            'name' => 'audit_log_retention',
+            'schedule' => '30 1 * * *',  // Daily at 1:30 AM
+            'handler_class' => 'Glueful\\Cron\\AuditLogArchiver',
+            'parameters' => [],
+            'description' => 'Archive and delete audit log entries according to their retention rules',
+            'enabled' => env('AUDIT_LOG_RETENTION_ENABLED', true),
+            'persistence' => false,
+            'timeout' => 1800,  // 30 minutes
+            'retry_attempts' => 1,
+        ],
+        [
+            'name' => 'api_metric_alerts',
+            'schedule' => '*/5 * * * *',  // Every 5 minutes
+            'handler_class' => 'Glueful\\Cron\\ApiMetricAlertChecker',
+            'parameters' => [],
+            'description' => 'Check API metric alert thresholds and audit log breaches and recoveries',
+            'enabled' => env('API_METRIC_ALERTS_ENABLED', true),
+            'persistence' => false,
+            'timeout' => 120,  // 2 minutes
+            'retry_attempts' => 0,
+        ],
         [
             'name' => 'database_backup',
             'schedule' => env('DB_BACKUP_SCHEDULE', '0 2 * * *'),  // Daily at 2 AM
@@ -13,6 +13,12 @@ return [
     'refresh_token_lifetime' => env('REFRESH_TOKEN_LIFETIME', 604800), // 7 days
     'remember_expiration' => env('REMEMBER_TOKEN_LIFETIME', 2592000),                          // 30 days
 
+    // Refresh token cookie for browser clients that send "X-Auth-Session-Mode: cookie"
+    'refresh_cookie' => [
+        'name' => env('REFRESH_COOKIE_NAME', 'glueful_refresh_token'),
+        'same_site' => env('REFRESH_COOKIE_SAMESITE', 'strict'),    // strict, lax or none (none requires HTTPS)
+    ],
+
     // Security Keys - MUST be set in environment variables
     'token_salt' => env('TOKEN_SALT'),  // REQUIRED: Strong random salt for token generation
     'jwt_key' => env('JWT_KEY'),        // REQUIRED: Strong random key for JWT signing
@@ -0,0 +1,119 @@
+<?php
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Migrations\MigrationInterface;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+
+/**
+ * Create Saved Queries Tables Migration
+ *
+ * Creates the tables behind the shared SQL query library of the admin
+ * SQL editor. Queries belong to an owner and can be shared with the team;
+ * every change to the SQL or its parameters is kept as a version.
+ *
+ * Tables created:
+ * - saved_queries: Current state of each library query
+ * - saved_query_versions: Version history of query text and parameters
+ *
+ * @package Glueful\Database\Migrations
+ */
+class CreateSavedQueriesTables implements MigrationInterface
+{
+    /**
+     * Execute the migration
+     *
+     * Creates the saved query tables with:
+     * - Unique keys on uuid for external references
+     * - One row per query version, unique per query
+     * - Foreign keys to users for owners and version authors
+     * - JSON columns for tags and typed parameter definitions
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function up(SchemaBuilderInterface $schema): void
+    {
+        // Create Saved Queries Table
+        $schema->createTable('saved_queries', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('uuid', 12);
+            $table->string('name', 255);
+            $table->text('description')->nullable();
+            $table->text('query');
+            $table->json('parameters')->nullable();
+            $table->json('tags')->nullable();
+            $table->boolean('allow_write')->default(false);
+            $table->string('owner_uuid', 12);
+            $table->enum('visibility', ['private', 'team'], 'private');
+            $table->integer('version')->default(1);
+            $table->timestamp('created_at')->default('CURRENT_TIMESTAMP');
+            $table->timestamp('updated_at')->nullable();
+            $table->softDeletes();
+
+            // Add indexes
+            $table->unique('uuid');
+            $table->index('owner_uuid');
+            $table->index('visibility');
+            $table->index('name');
+
+            // Add foreign key
+            $table->foreign('owner_uuid')
+                ->references('uuid')
+                ->on('users')
+                ->cascadeOnDelete();
+        });
+
+        // Create Saved Query Versions Table
+        $schema->createTable('saved_query_versions', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('uuid', 12);
+            $table->string('query_uuid', 12);
+            $table->integer('version');
+            $table->text('query');
+            $table->json('parameters')->nullable();
+            $table->boolean('allow_write')->default(false);
+            $table->string('change_note', 255)->nullable();
+            $table->string('created_by', 12)->nullable();
+            $table->timestamp('created_at')->default('CURRENT_TIMESTAMP');
+
+            // Add indexes
+            $table->unique('uuid');
+            $table->unique(['query_uuid', 'version']);
+            $table->index('created_by');
+
+            // Add foreign keys
+            $table->foreign('query_uuid')
+                ->references('uuid')
+                ->on('saved_queries')
+                ->cascadeOnDelete();
+
+            $table->foreign('created_by')
+                ->references('uuid')
+                ->on('users')
+                ->nullOnDelete();
+        });
+    }
+
+    /**
+     * Reverse the migration
+     *
+     * Drops the saved query tables in dependency order.
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function down(SchemaBuilderInterface $schema): void
+    {
+        $schema->dropTableIfExists('saved_query_versions');
+        $schema->dropTableIfExists('saved_queries');
+    }
+
+    /**
+     * Get migration description
+     *
+     * @return string Migration description
+     */
+    public function getDescription(): string
+    {
+        return 'Creates saved_queries and saved_query_versions tables for the shared SQL query library';
+    }
+}
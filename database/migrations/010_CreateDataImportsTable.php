@@ -0,0 +1,89 @@
+<?php
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Migrations\MigrationInterface;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+
+/**
+ * Create Data Imports Table Migration
+ *
+ * Creates the history of CSV imports run from the admin table editor.
+ * Each import records its mode, row counts and the backup of the table
+ * taken before it started, so the table can be restored afterwards.
+ *
+ * Tables created:
+ * - data_imports: One row per import with progress and backup location
+ *
+ * @package Glueful\Database\Migrations
+ */
+class CreateDataImportsTable implements MigrationInterface
+{
+    /**
+     * Execute the migration
+     *
+     * Creates the data imports table with:
+     * - Unique key on uuid for external references
+     * - Index on table name for per-table history
+     * - Foreign key to users for the admin who ran the import
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function up(SchemaBuilderInterface $schema): void
+    {
+        $schema->createTable('data_imports', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('uuid', 12);
+            $table->string('table_name', 255);
+            $table->enum('mode', ['insert', 'upsert', 'replace'], 'insert');
+            $table->json('key_columns')->nullable();
+            $table->string('file_name', 255)->nullable();
+            $table->enum('status', ['running', 'completed', 'failed', 'cancelled', 'restored'], 'running');
+            $table->integer('total_rows')->default(0);
+            $table->integer('inserted')->default(0);
+            $table->integer('updated')->default(0);
+            $table->integer('skipped')->default(0);
+            $table->string('backup_file', 255)->nullable();
+            $table->integer('backup_rows')->nullable();
+            $table->text('error')->nullable();
+            $table->string('created_by', 12)->nullable();
+            $table->timestamp('created_at')->default('CURRENT_TIMESTAMP');
+            $table->timestamp('updated_at')->nullable();
+            $table->timestamp('completed_at')->nullable();
+            $table->timestamp('restored_at')->nullable();
+
+            // Add indexes
+            $table->unique('uuid');
+            $table->index('table_name');
+            $table->index('created_by');
+
+            // Add foreign key
+            $table->foreign('created_by')
+                ->references('uuid')
+                ->on('users')
+                ->nullOnDelete();
+        });
+    }
+
+    /**
+     * Reverse the migration
+     *
+     * Drops the data imports table. Backup files in storage are left in place.
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function down(SchemaBuilderInterface $schema): void
+    {
+        $schema->dropTableIfExists('data_imports');
+    }
+
+    /**
+     * Get migration description
+     *
+     * @return string Migration description
+     */
+    public function getDescription(): string
+    {
+        return 'Creates data_imports table for CSV import history and restorable backups';
+    }
+}
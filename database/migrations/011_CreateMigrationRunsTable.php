@@ -0,0 +1,83 @@
+<?php
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Migrations\MigrationInterface;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+
+/**
+ * Create Migration Runs Table Migration
+ *
+ * Creates the history of migration runs and rollbacks started from the
+ * admin Migrations page. Each run records who started it, which migrations
+ * it covered, how long it took and the error output of failed migrations.
+ *
+ * Tables created:
+ * - migration_runs: One row per run or rollback with its outcome
+ *
+ * @package Glueful\Database\Migrations
+ */
+class CreateMigrationRunsTable implements MigrationInterface
+{
+    /**
+     * Execute the migration
+     *
+     * Creates the migration runs table with:
+     * - Unique key on uuid for external references
+     * - Index on created_at, the start of the run, for the newest-first history
+     * - Foreign key to users for the admin who started the run
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function up(SchemaBuilderInterface $schema): void
+    {
+        $schema->createTable('migration_runs', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('uuid', 12);
+            $table->enum('action', ['migrate', 'rollback'], 'migrate');
+            $table->enum('status', ['success', 'partial', 'failed'], 'success');
+            $table->integer('batch')->nullable();
+            $table->json('migrations')->nullable();
+            $table->json('succeeded')->nullable();
+            $table->json('failed')->nullable();
+            $table->text('output')->nullable();
+            $table->integer('duration_ms')->default(0);
+            $table->string('created_by', 12)->nullable();
+            $table->timestamp('created_at')->default('CURRENT_TIMESTAMP');
+            $table->timestamp('finished_at')->nullable();
+
+            // Add indexes
+            $table->unique('uuid');
+            $table->index('created_at');
+            $table->index('created_by');
+
+            // Add foreign key
+            $table->foreign('created_by')
+                ->references('uuid')
+                ->on('users')
+                ->nullOnDelete();
+        });
+    }
+
+    /**
+     * Reverse the migration
+     *
+     * Drops the migration runs table. The migrations table is not affected.
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function down(SchemaBuilderInterface $schema): void
+    {
+        $schema->dropTableIfExists('migration_runs');
+    }
+
+    /**
+     * Get migration description
+     *
+     * @return string Migration description
+     */
+    public function getDescription(): string
+    {
+        return 'Creates migration_runs table for the history of migration runs and rollbacks';
+    }
+}
@@ -0,0 +1,107 @@
+<?php
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Migrations\MigrationInterface;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+
+/**
+ * Create Job Settings And Runs Tables Migration
+ *
+ * Creates the tables behind the job editor of the admin Cron Jobs page.
+ * Settings are stored by job name so they apply to jobs defined in
+ * config/schedule.php as well as to jobs stored in scheduled_jobs, without
+ * changing their definitions.
+ *
+ * Tables created:
+ * - scheduled_job_settings: Schedule, timezone, timeout, overlap and pause state set by admins
+ * - job_runs: One row per run of any job with its outcome, duration and captured output
+ *
+ * @package Glueful\Database\Migrations
+ */
+class CreateJobSettingsAndRunsTables implements MigrationInterface
+{
+    /**
+     * Execute the migration
+     *
+     * Creates the tables with:
+     * - Unique key on job_name for the settings of a job
+     * - Index on job_name and started_at for the newest-first history of a job
+     * - Foreign keys to users for the admin who changed settings or started a run
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function up(SchemaBuilderInterface $schema): void
+    {
+        $schema->createTable('scheduled_job_settings', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('job_name', 255);
+            $table->string('schedule', 100);
+            $table->string('timezone', 64)->default('UTC');
+            $table->integer('timeout')->default(300);
+            $table->boolean('allow_overlap')->default(false);
+            $table->boolean('is_enabled')->default(true);
+            $table->string('updated_by', 12)->nullable();
+            $table->timestamp('created_at')->default('CURRENT_TIMESTAMP');
+            $table->timestamp('updated_at')->nullable();
+
+            // Add indexes
+            $table->unique('job_name');
+
+            // Add foreign key
+            $table->foreign('updated_by')
+                ->references('uuid')
+                ->on('users')
+                ->nullOnDelete();
+        });
+
+        $schema->createTable('job_runs', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('uuid', 12);
+            $table->string('job_name', 255);
+            $table->enum('trigger_type', ['schedule', 'manual'], 'schedule');
+            $table->enum('status', ['running', 'success', 'failed', 'timed_out', 'skipped'], 'running');
+            $table->timestamp('started_at')->default('CURRENT_TIMESTAMP');
+            $table->timestamp('finished_at')->nullable();
+            $table->integer('duration_ms')->nullable();
+            $table->text('output')->nullable();
+            $table->text('result')->nullable();
+            $table->text('error')->nullable();
+            $table->string('triggered_by', 12)->nullable();
+
+            // Add indexes
+            $table->unique('uuid');
+            $table->index(['job_name', 'started_at']);
+            $table->index('status');
+
+            // Add foreign key
+            $table->foreign('triggered_by')
+                ->references('uuid')
+                ->on('users')
+                ->nullOnDelete();
+        });
+    }
+
+    /**
+     * Reverse the migration
+     *
+     * Drops both tables. Jobs fall back to the schedules of their definitions.
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function down(SchemaBuilderInterface $schema): void
+    {
+        $schema->dropTableIfExists('job_runs');
+        $schema->dropTableIfExists('scheduled_job_settings');
+    }
+
+    /**
+     * Get migration description
+     *
+     * @return string Migration description
+     */
+    public function getDescription(): string
+    {
+        return 'Creates scheduled_job_settings and job_runs tables for the job editor and run history';
+    }
+}
@@ -0,0 +1,82 @@
+<?php
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Migrations\MigrationInterface;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+
+/**
+ * Create Saved Log Searches Table Migration
+ *
+ * Creates the table behind the saved searches of the Audit Logs page.
+ * Each admin keeps their own named searches in the log query syntax
+ * (for example "severity>=warning user:alice").
+ *
+ * Table structure:
+ * - id: Primary key auto-increment
+ * - uuid: Unique identifier for each search
+ * - owner_uuid: User the search belongs to
+ * - name: Name of the search, unique per owner
+ * - query: Search query
+ * - created_at: Timestamp when the search was saved
+ * - updated_at: Timestamp when the search was last overwritten
+ *
+ * @package Glueful\Database\Migrations
+ */
+class CreateSavedLogSearchesTable implements MigrationInterface
+{
+    /**
+     * Execute the migration
+     *
+     * Creates the saved_log_searches table with:
+     * - Unique key on uuid for external references
+     * - Unique key on owner and name so saving under a name overwrites it
+     * - Foreign key to users, searches are removed with their owner
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function up(SchemaBuilderInterface $schema): void
+    {
+        $schema->createTable('saved_log_searches', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('uuid', 12);
+            $table->string('owner_uuid', 12);
+            $table->string('name', 100);
+            $table->text('query');
+            $table->timestamp('created_at')->default('CURRENT_TIMESTAMP');
+            $table->timestamp('updated_at')->nullable();
+
+            // Add indexes
+            $table->unique('uuid');
+            $table->unique(['owner_uuid', 'name']);
+
+            // Add foreign key
+            $table->foreign('owner_uuid')
+                ->references('uuid')
+                ->on('users')
+                ->cascadeOnDelete();
+        });
+    }
+
+    /**
+     * Reverse the migration
+     *
+     * Drops the saved_log_searches table.
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function down(SchemaBuilderInterface $schema): void
+    {
+        $schema->dropTableIfExists('saved_log_searches');
+    }
+
+    /**
+     * Get migration description
+     *
+     * @return string Migration description
+     */
+    public function getDescription(): string
+    {
+        return 'Creates saved_log_searches table for saved searches of the Audit Logs page';
+    }
+}
@@ -0,0 +1,86 @@
+<?php
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Migrations\MigrationInterface;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+
+/**
+ * Create Audit Log Retention Rules Table Migration
+ *
+ * Creates the table holding how long audit log entries are kept. Each rule
+ * applies to a category, a severity, both, or (with neither) to every entry
+ * not covered by a more specific rule. The audit_log_retention job archives
+ * expired entries to storage/archives/ and deletes them.
+ *
+ * Table structure:
+ * - id: Primary key auto-increment
+ * - uuid: Unique identifier for each rule
+ * - category: Category the rule applies to, any category when null
+ * - severity: Severity the rule applies to, any severity when null
+ * - retention_days: Days entries are kept before they expire
+ * - archive: Whether expired entries are archived before deletion
+ * - enabled: Whether the retention job applies the rule
+ * - created_by: User who last saved the rule
+ * - created_at: Timestamp when the rule was created
+ * - updated_at: Timestamp when the rule was last changed
+ *
+ * @package Glueful\Database\Migrations
+ */
+class CreateAuditLogRetentionRulesTable implements MigrationInterface
+{
+    /**
+     * Execute the migration
+     *
+     * Creates the audit_log_retention_rules table with:
+     * - Unique key on uuid for external references
+     * - Index on category and severity for rule lookups
+     *
+     * A category/severity pair has at most one rule. Because unique keys do
+     * not compare nulls, this is enforced when rules are saved.
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function up(SchemaBuilderInterface $schema): void
+    {
+        $schema->createTable('audit_log_retention_rules', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('uuid', 12);
+            $table->string('category', 50)->nullable();
+            $table->string('severity', 20)->nullable();
+            $table->integer('retention_days')->unsigned();
+            $table->boolean('archive')->default(true);
+            $table->boolean('enabled')->default(true);
+            $table->string('created_by', 12)->nullable();
+            $table->timestamp('created_at')->default('CURRENT_TIMESTAMP');
+            $table->timestamp('updated_at')->nullable();
+
+            // Add indexes
+            $table->unique('uuid');
+            $table->index(['category', 'severity']);
+        });
+    }
+
+    /**
+     * Reverse the migration
+     *
+     * Drops the audit_log_retention_rules table. Archives already written
+     * stay in archive_registry.
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function down(SchemaBuilderInterface $schema): void
+    {
+        $schema->dropTableIfExists('audit_log_retention_rules');
+    }
+
+    /**
+     * Get migration description
+     *
+     * @return string Migration description
+     */
+    public function getDescription(): string
+    {
+        return 'Creates audit_log_retention_rules table for per category and severity audit log retention';
+    }
+}
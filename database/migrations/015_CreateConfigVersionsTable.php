@@ -0,0 +1,94 @@
+<?php
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Migrations\MigrationInterface;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+
+/**
+ * Create Config Versions Table Migration
+ *
+ * Creates the version history of configuration files edited on the
+ * Settings page. Each version holds the complete file as written, so a
+ * rollback restores it exactly, including env() calls of files that were
+ * never saved from the editor. The values the file returned are stored
+ * next to it, so versions are compared without running their source.
+ *
+ * Table structure:
+ * - id: Primary key auto-increment
+ * - uuid: Unique identifier for each version
+ * - config_name: Configuration file name without .php
+ * - version: Version number, counting up per file
+ * - content: PHP source of the file
+ * - config_values: Values the file returned when it was recorded, secrets masked
+ * - checksum_sha256: Checksum of the content
+ * - changes: Settings changed from the previous version, secrets masked
+ * - change_note: Optional note describing the change
+ * - created_by: User who saved the version, null for changes made outside the editor
+ * - created_at: Timestamp when the version was recorded
+ *
+ * @package Glueful\Database\Migrations
+ */
+class CreateConfigVersionsTable implements MigrationInterface
+{
+    /**
+     * Execute the migration
+     *
+     * Creates the config_versions table with:
+     * - Unique key on uuid for external references
+     * - Unique key on config name and version
+     * - Foreign key to users, kept as null when the user is deleted
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function up(SchemaBuilderInterface $schema): void
+    {
+        $schema->createTable('config_versions', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('uuid', 12);
+            $table->string('config_name', 50);
+            $table->integer('version');
+            $table->text('content');
+            $table->json('config_values');
+            $table->string('checksum_sha256', 64);
+            $table->json('changes')->nullable();
+            $table->string('change_note', 255)->nullable();
+            $table->string('created_by', 12)->nullable();
+            $table->timestamp('created_at')->default('CURRENT_TIMESTAMP');
+
+            // Add indexes
+            $table->unique('uuid');
+            $table->unique(['config_name', 'version']);
+            $table->index('created_by');
+
+            // Add foreign key
+            $table->foreign('created_by')
+                ->references('uuid')
+                ->on('users')
+                ->nullOnDelete();
+        });
+    }
+
+    /**
+     * Reverse the migration
+     *
+     * Drops the config_versions table. The configuration files themselves
+     * are left as they are.
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function down(SchemaBuilderInterface $schema): void
+    {
+        $schema->dropTableIfExists('config_versions');
+    }
+
+    /**
+     * Get migration description
+     *
+     * @return string Migration description
+     */
+    public function getDescription(): string
+    {
+        return 'Creates config_versions table for configuration file history and rollback';
+    }
+}
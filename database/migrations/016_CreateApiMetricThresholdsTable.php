@@ -0,0 +1,98 @@
+<?php
+
+namespace Glueful\Database\Migrations;
+
+use Glueful\Database\Migrations\MigrationInterface;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+
+/**
+ * Create API Metric Thresholds Table Migration
+ *
+ * Creates the table holding the alert thresholds admins set on API metrics.
+ * The api_metric_alerts job compares each enabled threshold with the metric
+ * over its window; a threshold that is exceeded shows a banner on the admin
+ * dashboard and is written to the audit log when it is breached and when it
+ * recovers.
+ *
+ * Table structure:
+ * - id: Primary key auto-increment
+ * - uuid: Unique identifier for each threshold
+ * - name: Name shown on the dashboard banner
+ * - endpoint_key: Endpoint and method as "endpoint|method", all endpoints when null
+ * - metric: Metric compared (request_rate, error_rate, avg_response_time, p50, p95, p99)
+ * - value: Value the metric must exceed to breach the threshold
+ * - window_minutes: Minutes of metrics the value is measured over
+ * - min_requests: Requests needed in the window before the threshold is checked
+ * - enabled: Whether the threshold is checked
+ * - breached: Whether the threshold was exceeded when last checked
+ * - last_value: Metric value when last checked
+ * - breached_at: Timestamp when the current breach started
+ * - last_evaluated_at: Timestamp when the threshold was last checked
+ * - created_by: User who last saved the threshold
+ * - created_at: Timestamp when the threshold was created
+ * - updated_at: Timestamp when the threshold was last changed
+ *
+ * @package Glueful\Database\Migrations
+ */
+class CreateApiMetricThresholdsTable implements MigrationInterface
+{
+    /**
+     * Execute the migration
+     *
+     * Creates the api_metric_thresholds table with:
+     * - Unique key on uuid for external references
+     * - Index on enabled for the alert job
+     * - Index on breached for the dashboard banners
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function up(SchemaBuilderInterface $schema): void
+    {
+        $schema->createTable('api_metric_thresholds', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('uuid', 12);
+            $table->string('name', 100);
+            $table->string('endpoint_key', 266)->nullable();
+            $table->enum('metric', ['request_rate', 'error_rate', 'avg_response_time', 'p50', 'p95', 'p99']);
+            $table->float('value');
+            $table->integer('window_minutes')->unsigned()->default(5);
+            $table->integer('min_requests')->unsigned()->default(0);
+            $table->boolean('enabled')->default(true);
+            $table->boolean('breached')->default(false);
+            $table->float('last_value')->nullable();
+            $table->timestamp('breached_at')->nullable();
+            $table->timestamp('last_evaluated_at')->nullable();
+            $table->string('created_by', 12)->nullable();
+            $table->timestamp('created_at')->default('CURRENT_TIMESTAMP');
+            $table->timestamp('updated_at')->nullable();
+
+            // Add indexes
+            $table->unique('uuid');
+            $table->index('enabled');
+            $table->index('breached');
+        });
+    }
+
+    /**
+     * Reverse the migration
+     *
+     * Drops the api_metric_thresholds table. Breaches already recorded stay
+     * in the audit log.
+     *
+     * @param SchemaBuilderInterface $schema Database schema manager
+     */
+    public function down(SchemaBuilderInterface $schema): void
+    {
+        $schema->dropTableIfExists('api_metric_thresholds');
+    }
+
+    /**
+     * Get migration description
+     *
+     * @return string Migration description
+     */
+    public function getDescription(): string
+    {
+        return 'Creates api_metric_thresholds table for API metric alert thresholds';
+    }
+}
@@ -0,0 +1 @@
+import{d as ph,r as Ve,f as At,av as Nu,ah as Wu,am as Qu,at as Hu,A as Oa,a0 as Iu}from"./index-CvplhhIg.js";const Mq=6e4,Lq={request_rate:"Requests / min",error_rate:"Error rate",avg_response_time:"Average response",p50:"p50 latency",p95:"p95 latency",p99:"p99 latency"},Yq=(e,t)=>{const o=Number(t).toLocaleString(void 0,{maximumFractionDigits:2});return e==="request_rate"?`${o}/min`:e==="error_rate"?`${o}%`:`${o} ms`},Kq=e=>`${e.uuid}|${e.breached_at}`,ge=ph({__name:"ApiMetricAlertBanner",setup(e){const t=Ve([]),o=Ve({});let n=null;const r=()=>{n&&(clearInterval(n),n=null)},s=async()=>{try{const l=await Hu.system.getApiMetricAlerts();t.value=Array.isArray(l.data)?l.data:[]}catch(l){(l.code===401||l.code===403)&&(t.value=[],r())}},a=At(()=>t.value.filter(l=>!o.value[Kq(l)]));return Oa(()=>{s(),n=setInterval(s,Mq)}),Iu(r),()=>a.value.length?Nu("div",{class:"fixed top-3 left-1/2 -translate-x-1/2 z-50 w-full max-w-2xl px-4 space-y-2"},a.value.map(l=>Nu("div",{key:Kq(l),role:"alert",class:"flex items-start gap-3 rounded-md border border-error/40 bg-default p-3 shadow-lg"},[Nu(Qu,{name:"i-heroicons-exclamation-triangle",class:"size-5 text-error shrink-0 mt-0.5"}),Nu("div",{class:"flex-1 min-w-0 text-sm"},[Nu("p",{class:"font-semibold"},l.name),Nu("p",{class:"text-muted"},[`${Lq[l.metric]||l.metric} at ${Yq(l.metric,l.last_value)}, above ${Yq(l.metric,l.value)} over ${l.window_minutes} min`,l.endpoint_key?Nu("span",{class:"font-mono"},` on ${l.endpoint_key.split("|").reverse().join(" ")}`):null]),l.breached_at?Nu("p",{class:"text-xs text-dimmed"},`Since ${new Date(String(l.breached_at).replace(" ","T")).toLocaleString()}`):null]),Nu(Wu,{variant:"ghost",size:"xs",label:"View metrics",to:"/"}),Nu(Wu,{variant:"ghost",color:"neutral",size:"xs",icon:"i-heroicons-x-mark","aria-label":"Dismiss",onClick:()=>{o.value={...o.value,[Kq(l)]:!0}}})]))):null}});export{ge as _};
@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ez}from"./Select-BAUrMTbe.js";import{_ as Dk}from"./Checkbox-DpWF0v5s.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{_ as Zt}from"./Table-DfRn1MFI.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,at as Hu}from"./index-CvplhhIg.js";const Jn=500,Kn=200,Qn=[{label:"Insert new rows",value:"insert"},{label:"Upsert on key columns",value:"upsert"},{label:"Replace all rows",value:"replace"}],Un={running:"info",completed:"success",failed:"error",cancelled:"warning",restored:"neutral"},Zn=e=>(e??0).toLocaleString(),Wn=e=>e?new Date(e.replace(" ","T")).toLocaleString():"",Xn=e=>{const t=[];let o="",n=!1;for(let r=0;r<e.length;r++){const s=e[r],a=e[r+1];s==='"'&&n&&a==='"'?(o+='"',r++):s==='"'?n=!n:s===","&&!n?(t.push(o.trim()),o=""):o+=s}return t.push(o.trim()),t},ge=ph({__name:"CSVImportModal",props:{open:{type:Boolean,default:!1},tableName:{type:String,required:!0,default:""},tableColumns:{type:Array,default:()=>[]},ModalConfirmColor:{type:String,default:"primary"},ModalCancelColor:{type:String,default:"neutral"},ui:{type:Object,default:()=>({footer:"flex justify-end space-x-2"})}},emits:["update:open","close","imported"],setup(e,{emit:t}){const o=ju(),n=Ve(),r=Ve(""),s=Ve([]),a=Ve([]),l=Ve({}),c=Ve(!1),u=Ve({mode:"insert",key:[],backup:!0,skipErrors:!0}),d=Ve(null),p=Ve({done:0,total:0}),m=Ve(null),f=Ve([]),h=Ve(null),g=Ve(null);let v=!1;const y=At({get:()=>e.open,set:i=>t("update:open",i)}),x=At(()=>[{label:"Skip this column",value:"skip"},...s.value.map(i=>({label:i,value:i}))]),w=At(()=>Object.values(l.value).filter(i=>i&&i!=="skip").length),k=At(()=>e.tableColumns.filter(i=>l.value[i.name]&&l.value[i.name]!=="skip").map(i=>({label:i.name,value:i.name}))),b=At(()=>p.value.total?Math.round(p.value.done/p.value.total*100):0),_=At(()=>!r.value||!!d.value||w.value===0||u.value.mode==="upsert"&&!u.value.key.length),S=async i=>{if(!i.name.toLowerCase().endsWith(".csv")){o.error({title:"Invalid file type",description:"Please select a CSV file"});return}try{C(await i.text()),r.value=i.name}catch{o.error({title:"Failed to read file",description:"Could not read the selected file"})}},C=i=>{const x=i.trim().split(/\r?\n/);if(!x[0]){o.error({title:"Empty file",description:"The selected file is empty"});return}const w=Xn(x[0]),k=x.slice(1).map(_=>{const T=Xn(_),$={};return w.forEach((P,R)=>{$[P]=T[R]||""}),$}).filter(_=>Object.values(_).some(T=>T!=="")),b={};e.tableColumns.forEach(_=>{const T=w.find($=>$===_.name)||w.find($=>$.toLowerCase()===_.name.toLowerCase());b[_.name]=T||"skip"}),s.value=w,a.value=k,l.value=b,m.value=null},T=()=>a.value.map(i=>{const x={};for(const[w,k]of Object.entries(l.value))k&&k!=="skip"&&(x[w]=i[k]);return x}),$=()=>({mode:u.value.mode,key:u.value.mode==="upsert"?u.value.key:[],skipErrors:u.value.skipErrors}),P=async(i,x,w)=>{const k={total:0,valid:0,invalid:0,to_insert:0,to_update:0,inserted:0,updated:0,skipped:0,errors:[],error_count:0,dryRun:w};p.value={done:0,total:i.length};for(let b=0;b<i.length&&!v;b+=Jn){const _=(await x(i.slice(b,b+Jn),b)).data;for(const T of["total","valid","invalid","to_insert","to_update","inserted","updated","skipped"])k[T]+=_[T]||0;k.error_count+=_.errors.length,k.errors.push(..._.errors.slice(0,Math.max(0,Kn-k.errors.length))),p.value={done:Math.min(b+Jn,i.length),total:i.length},m.value={...k}}return k},R=async()=>{d.value="validate",v=!1,m.value=null;try{m.value=await P(T(),(i,x)=>Hu.db.bulkImport(e.tableName,{data:i,options:{...$(),dryRun:!0,offset:x}}),!0)}catch(i){m.value=null,o.error({title:"Validation failed",description:i.message||"Failed to validate the rows"})}finally{d.value=null}},O=async()=>{const i=T();if(v=!1,!u.value.skipErrors&&(await R(),!m.value||m.value.invalid||v))return;d.value="import",m.value=null;let x=null;try{x=(await Hu.db.startImport(e.tableName,{...$(),backup:u.value.backup||u.value.mode==="replace",total_rows:i.length,file_name:r.value})).data;const w=await P(i,(b,_)=>Hu.db.bulkImport(e.tableName,{data:b,options:{importId:x.uuid,offset:_,skipErrors:u.value.skipErrors}}),!1),k=v?"cancelled":"completed";await Hu.db.finishImport(e.tableName,x.uuid,{status:k}),m.value={...w,status:k},v?o.info({title:"Import stopped",description:`Imported ${Zn(w.inserted+w.updated)} rows before stopping`}):o.success({title:"Import complete",description:`${Zn(w.inserted)} inserted, ${Zn(w.updated)} updated, ${Zn(w.skipped)} skipped`}),t("imported")}catch(w){x&&(await Hu.db.finishImport(e.tableName,x.uuid,{status:"failed",error:w.message}).catch(()=>{}),t("imported")),m.value={...m.value||{errors:[]},status:"failed",message:w.message||"Failed to import data"},o.error({title:"Import failed",description:w.message||"Failed to import data"})}finally{d.value=null,B()}},B=async()=>{try{f.value=(await Hu.db.getImportHistory(e.tableName)).data||[]}catch{f.value=[]}},H=async i=>{if(h.value!==i.uuid){h.value=i.uuid;return}h.value=null,g.value=i.uuid;try{const x=await Hu.db.restoreImport(e.tableName,i.uuid);o.success({title:"Backup restored",description:x.message}),t("imported")}catch(x){o.error({title:"Restore failed",description:x.message||"Failed to restore the backup"})}finally{g.value=null,B()}},D=()=>{r.value="",s.value=[],a.value=[],l.value={},m.value=null,p.value={done:0,total:0},n.value&&(n.value.value="")},F=i=>{i.preventDefault(),i.stopPropagation()},L=i=>{var x;F(i),c.value=!1;const w=(x=i.dataTransfer)==null?void 0:x.files;w!=null&&w.length&&S(w[0])};Gu(()=>e.open,i=>{i?B():d.value||(D(),h.value=null)}),Gu([u,l],()=>{d.value||(m.value=null)},{deep:!0});const M=i=>i.dryRun?[Nu(Ek,{color:"success",variant:"subtle",label:`${Zn(i.valid)} valid`}),Nu(Ek,{color:i.invalid?"error":"neutral",variant:"subtle",label:`${Zn(i.invalid)} invalid`}),Nu(Ek,{color:"neutral",variant:"subtle",label:`${Zn(i.to_insert)} to insert`}),i.to_update?Nu(Ek,{color:"neutral",variant:"subtle",label:`${Zn(i.to_update)} to update`}):null]:[Nu(Ek,{color:"success",variant:"subtle",label:`${Zn(i.inserted)} inserted`}),Nu(Ek,{color:"info",variant:"subtle",label:`${Zn(i.updated)} updated`}),Nu(Ek,{color:i.skipped?"warning":"neutral",variant:"subtle",label:`${Zn(i.skipped)} skipped`}),i.status?Nu(Ek,{color:Un[i.status],variant:"subtle",label:i.status}):null],z=()=>{const i=m.value;return Nu("div",{class:"space-y-2"},[d.value?Nu("div",{class:"space-y-1"},[Nu("div",{class:"flex justify-between text-xs text-muted"},[Nu("span",null,d.value==="validate"?"Validating...":"Importing..."),Nu("span",null,`${Zn(p.value.done)} of ${Zn(p.value.total)} rows (${b.value}%)`)]),Nu("div",{class:"h-2 rounded-full bg-elevated overflow-hidden"},[Nu("div",{class:"h-full bg-primary",style:{width:`${b.value}%`}})])]):null,i?Nu("div",{class:"flex flex-wrap gap-2"},M(i)):null,i&&i.errors.length?Nu("div",{class:"border border-default rounded-md max-h-64 overflow-y-auto"},[Nu("table",{class:"w-full text-sm"},[Nu("thead",{class:"sticky top-0 bg-default"},[Nu("tr",{class:"text-left text-xs text-muted"},[Nu("th",{class:"px-2 py-1 w-20"},"Row"),Nu("th",{class:"px-2 py-1 w-40"},"Column"),Nu("th",{class:"px-2 py-1"},"Problem")])]),Nu("tbody",{class:"divide-y divide-default"},i.errors.flatMap(x=>Object.entries(x.errors).map(([w,k])=>Nu("tr",{key:`${x.row}:${w}`},[Nu("td",{class:"px-2 py-1 font-mono text-xs"},Zn(x.row)),Nu("td",{class:"px-2 py-1 font-mono text-xs"},w==="_row"?"—":w),Nu("td",{class:"px-2 py-1 text-error"},k)]))))])]):null,i&&i.error_count>i.errors.length?Nu("p",{class:"text-xs text-muted"},`Showing the first ${Kn} of ${Zn(i.error_count)} rows with problems`):null,i&&i.message?Nu("p",{class:"text-sm text-error"},i.message):null])},W=()=>Nu("div",{class:["border-2 border-dashed rounded-lg p-6 text-center transition-colors",c.value?"border-primary bg-primary/10":"border-default"],onDragenter:i=>{F(i),c.value=!0},onDragleave:i=>{F(i),c.value=!1},onDragover:F,onDrop:L},[Nu("input",{type:"file",accept:".csv",class:"hidden",ref:n,onChange:i=>{var x;const w=(x=i.target.files)==null?void 0:x[0];w&&S(w)}}),Nu(Qu,{name:"i-lucide-upload-cloud",class:["size-12 mx-auto transition-colors",c.value?"text-primary":"text-dimmed"]}),Nu("p",{class:"text-sm mt-2"},[Nu(Wu,{variant:"link",onClick:()=>{var i;return(i=n.value)==null?void 0:i.click()}},()=>"Click to upload")," or drag and drop"]),Nu("p",{class:"text-xs text-muted"},"CSV files only")]),j=()=>Nu("div",{class:"space-y-4"},[Nu("div",{class:"flex items-center justify-between gap-2"},[Nu("div",{class:"min-w-0"},[Nu("p",{class:"font-medium truncate"},r.value),Nu("p",{class:"text-xs text-muted"},`${Zn(a.value.length)} rows, ${s.value.length} columns`)]),Nu(Wu,{variant:"ghost",size:"xs",disabled:!!d.value,onClick:D},()=>"Change File")]),a.value.length?Nu("div",{class:"border border-default rounded-md overflow-hidden"},[Nu("div",{class:"bg-elevated/50 px-3 py-2 text-sm font-medium"},"Preview (first 5 rows)"),Nu(Zt,{columns:s.value.map(i=>({accessorKey:i,header:i})),data:a.value.slice(0,5)})]):null,Nu("div",{class:"space-y-2"},[Nu("div",{class:"flex items-center justify-between"},[Nu("h5",{class:"text-sm font-medium"},"Column Mapping"),Nu("span",{class:"text-xs text-muted"},`${w.value} of ${e.tableColumns.length} columns mapped`)]),Nu("div",{class:"grid grid-cols-1 md:grid-cols-2 gap-2"},e.tableColumns.map(i=>Nu("div",{key:i.name,class:["flex items-center gap-2 p-2 rounded-md",l.value[i.name]&&l.value[i.name]!=="skip"?"bg-success/10":"bg-elevated/50"]},[Nu("div",{class:"flex-1 min-w-0 truncate"},[Nu("span",{class:"text-sm font-medium"},i.name),i.type?Nu("span",{class:"text-xs text-muted ml-2"},`(${i.type})`):null]),Nu(Ez,{modelValue:l.value[i.name],"onUpdate:modelValue":x=>l.value[i.name]=x,items:x.value,disabled:!!d.value,class:"w-48"})])))]),Nu("div",{class:"space-y-3"},[Nu("h5",{class:"text-sm font-medium"},"Import Options"),Nu("div",{class:"grid grid-cols-1 md:grid-cols-2 gap-4"},[Nu("div",{class:"space-y-1"},[Nu("p",{class:"text-sm"},"Mode"),Nu(Ez,{modelValue:u.value.mode,"onUpdate:modelValue":i=>u.value.mode=i,items:Qn,disabled:!!d.value,class:"w-full"})]),u.value.mode==="upsert"?Nu("div",{class:"space-y-1"},[Nu("p",{class:"text-sm"},"Key columns"),Nu(Ez,{modelValue:u.value.key,"onUpdate:modelValue":i=>u.value.key=i,items:k.value,multiple:!0,placeholder:"Columns that identify existing rows",disabled:!!d.value,class:"w-full"})]):null]),u.value.mode==="replace"?Nu("p",{class:"text-sm text-warning"},`Every row of ${e.tableName} is deleted before the file is imported. The table is backed up first and can be restored from the import history.`):null,Nu("div",{class:"space-y-2"},[Nu(Dk,{modelValue:u.value.backup||u.value.mode==="replace",disabled:u.value.mode==="replace"||!!d.value,"onUpdate:modelValue":i=>u.value.backup=i,label:"Back up the table before importing",description:"The backup can be restored from the import history"}),Nu(Dk,{modelValue:u.value.skipErrors,disabled:!!d.value,"onUpdate:modelValue":i=>u.value.skipErrors=i,label:"Skip bad rows",description:"Import the valid rows and report the rest. When off, nothing is imported while any row is invalid."})])]),d.value||m.value?z():null]),U=()=>Nu("div",{class:"space-y-2"},[Nu("h5",{class:"text-sm font-medium"},"Import History"),Nu("div",{class:"divide-y divide-default border border-default rounded-md"},f.value.map(i=>Nu("div",{key:i.uuid,class:"flex items-center gap-2 px-3 py-2"},[Nu("div",{class:"flex-1 min-w-0 space-y-0.5"},[Nu("div",{class:"flex items-center gap-2"},[Nu(Ek,{color:Un[i.status]||"neutral",variant:"subtle",size:"sm",label:i.status}),Nu("span",{class:"text-sm truncate"},i.file_name||"Import"),Nu("span",{class:"text-xs text-muted"},i.mode)]),Nu("p",{class:"text-xs text-muted"},`${Wn(i.created_at)}${i.created_by_username?` by ${i.created_by_username}`:""} · ${Zn(i.inserted)} inserted, ${Zn(i.updated)} updated, ${Zn(i.skipped)} skipped${i.backup_rows!=null?` · backup of ${Zn(i.backup_rows)} rows`:""}`),h.value===i.uuid?Nu("p",{class:"text-xs text-warning"},`Restoring replaces every row of ${e.tableName} with the backup, including changes made after this import.`):null]),i.can_restore?Nu(Wu,{size:"xs",variant:h.value===i.uuid?"solid":"outline",color:h.value===i.uuid?"error":"neutral",icon:"i-lucide-history",loading:g.value===i.uuid,disabled:!!d.value||!!g.value&&g.value!==i.uuid,onClick:()=>H(i)},()=>h.value===i.uuid?"Confirm restore":"Restore"):null])))]);return()=>Nu(Tu,{open:y.value,"onUpdate:open":i=>y.value=i,title:`Import into ${e.tableName}`,description:"Rows are validated and imported in chunks of 500.",dismissible:!1,close:!1,ui:e.ui,class:"sm:max-w-5xl"},{body:()=>Nu("div",{class:"space-y-6"},[r.value?j():W(),f.value.length?U():null]),footer:()=>Nu("div",{class:"flex justify-between items-center w-full gap-2"},[Nu("div",{class:"text-sm text-muted"},r.value?`${Zn(a.value.length)} records ready to import`:""),Nu("div",{class:"flex gap-2"},[d.value?Nu(Wu,{color:"warning",variant:"soft",label:"Stop",title:"Stop after the current chunk",onClick:()=>{v=!0}}):Nu(Wu,{color:e.ModalCancelColor,variant:"soft",label:"Close",onClick:()=>{y.value=!1}}),Nu(Wu,{color:"neutral",variant:"outline",icon:"i-lucide-list-checks",label:"Validate",disabled:_.value,loading:d.value==="validate",onClick:R}),Nu(Wu,{color:u.value.mode==="replace"?"error":e.ModalConfirmColor,label:r.value?`${u.value.mode==="replace"?"Replace with":"Import"} ${Zn(a.value.length)} Records`:"Import",disabled:_.value,loading:d.value==="import",onClick:O})])])})}});export{ge as _};
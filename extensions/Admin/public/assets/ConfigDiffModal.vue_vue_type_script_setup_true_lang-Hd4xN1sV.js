@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ut}from"./Input-C5IL3dmi.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu}from"./index-CvplhhIg.js";const Fv=e=>e==null?"null":JSON.stringify(e),Sh={added:"success",removed:"error",changed:"warning"},Dl=(e,t="No changes")=>e&&e.length?Nu("div",{class:"divide-y divide-default rounded-md border border-default"},e.map(o=>Nu("div",{key:o.path,class:"flex items-start gap-3 px-3 py-2"},[Nu(Ek,{color:Sh[o.type]||"neutral",variant:"subtle",size:"sm",label:o.type,class:"shrink-0 capitalize"}),Nu("div",{class:"min-w-0 flex-1 space-y-1"},[Nu("div",{class:"flex items-center gap-1 font-mono text-xs text-highlighted"},[o.secret?Nu(Qu,{name:"i-lucide-lock",class:"size-3.5 text-muted"}):null,o.path]),o.secret?Nu("p",{class:"text-xs text-muted"},`Secret value ${o.type}`):Nu("div",{class:"font-mono text-xs break-all"},[o.type!=="added"?Nu("span",{class:"text-error line-through"},Fv(o.old)):null,o.type==="changed"?Nu("span",{class:"text-muted"}," → "):null,o.type!=="removed"?Nu("span",{class:"text-success"},Fv(o.new)):null])])]))):Nu("p",{class:"py-4 text-center text-sm text-muted"},t),ge=ph({__name:"ConfigDiffModal",props:{open:{type:Boolean,default:!1},preview:{type:Object,default:null},saving:{type:Boolean,default:!1}},emits:["update:open","confirm"],setup(e,{emit:t}){const o=At({get:()=>e.open,set:a=>t("update:open",a)}),n=Ve(""),r=At(()=>Object.entries(e.preview&&e.preview.errors||{})),s=At(()=>e.preview&&e.preview.changes||[]);return Gu(()=>e.open,a=>{a&&(n.value="")}),()=>Nu(Tu,{open:o.value,"onUpdate:open":a=>{o.value=a},title:"Review Changes",description:"Compare the new values with the ones in use before saving.",class:"sm:max-w-3xl"},{body:()=>Nu("div",{class:"space-y-4"},[r.value.length?Nu("div",{class:"rounded-md border border-error/40 bg-error/10 p-3 space-y-1"},[Nu("p",{class:"text-sm font-medium text-error"},`${r.value.length} ${r.value.length===1?"value does":"values do"} not match the schema`),...r.value.map(([a,l])=>Nu("p",{key:a,class:"text-xs"},[Nu("span",{class:"font-mono"},a),`: ${l}`]))]):null,Nu("div",{class:"space-y-2"},[Nu("p",{class:"text-sm font-medium"},`${s.value.length} ${s.value.length===1?"change":"changes"}`),Dl(s.value,"Nothing changes compared with the configuration in use")]),Nu("div",{class:"space-y-1"},[Nu("label",{class:"text-xs font-medium"},"Change note"),Nu(Ut,{modelValue:n.value,"onUpdate:modelValue":a=>{n.value=a},placeholder:"Why is this changing? (optional)",maxlength:255,class:"w-full"})])]),footer:()=>Nu("div",{class:"flex justify-end gap-2 w-full"},[Nu(Wu,{variant:"ghost",label:"Cancel",onClick:()=>{o.value=!1}}),Nu(Wu,{label:"Save Changes",icon:"i-heroicons-check",loading:e.saving,disabled:r.value.length>0||!s.value.length,onClick:()=>t("confirm",n.value.trim())})])})}});export{ge as _,Dl as r};
@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{r as Dl}from"./ConfigDiffModal.vue_vue_type_script_setup_true_lang-Hd4xN1sV.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,at as Hu}from"./index-CvplhhIg.js";const Th=e=>e?new Date(String(e).replace(" ","T")).toLocaleString():"",Pb=e=>e.created_by_username||(e.created_by?"Deleted user":"Recorded automatically"),Cn=e=>{const t=(e||[]).length;return`${t} ${t===1?"change":"changes"}`},ge=ph({__name:"ConfigHistoryModal",props:{open:{type:Boolean,default:!1},config:{type:String,default:null}},emits:["update:open","rolled-back"],setup(e,{emit:t}){const o=ju(),n=At({get:()=>e.open,set:i=>t("update:open",i)}),r=Ve([]),s=Ve(!1),a=Ve(""),l=Ve(null),c=Ve(!1),u=async()=>{if(e.config){s.value=!0,a.value="",l.value=null;try{const i=await Hu.configs.getConfigVersions(e.config);r.value=Array.isArray(i.data)?i.data:[]}catch(i){a.value=i.message||"Failed to load configuration history"}finally{s.value=!1}}},d=async i=>{l.value={version:i,loading:!0,error:""};try{const g=await Hu.configs.getConfigVersion(e.config,i.version);l.value={version:{...i,...g.data||{}},loading:!1,error:""}}catch(g){l.value={version:i,loading:!1,error:g.message||"Failed to load version"}}},p=async()=>{const i=l.value&&l.value.version;if(!(!i||!confirm(`Roll ${e.config} back to version ${i.version}? The current file stays in the history.`))){c.value=!0;try{const g=await Hu.configs.rollbackConfig(e.config,i.version);o.success({title:"Rolled Back",description:g.data&&g.data.version?`Version ${i.version} restored as version ${g.data.version}`:`Version ${i.version} restored`}),t("rolled-back"),await u()}catch(g){o.error({title:"Rollback Failed",description:g.message||"Failed to roll back configuration"})}finally{c.value=!1}}};Gu(()=>[e.open,e.config],([i])=>{i&&u()},{immediate:!0});const f=(i,g)=>Nu("button",{key:i.uuid,type:"button",class:"w-full text-left px-3 py-2 flex items-start gap-3 hover:bg-elevated/50",onClick:()=>d(i)},[Nu("span",{class:"font-mono text-sm font-semibold w-10 shrink-0"},`v${i.version}`),Nu("div",{class:"min-w-0 flex-1"},[Nu("div",{class:"flex items-center gap-2 text-sm"},[Nu("span",{class:"truncate"},i.change_note||"No note"),g===0?Nu(Ek,{color:"primary",variant:"subtle",size:"sm",label:"Latest"}):null]),Nu("p",{class:"text-xs text-muted"},`${Th(i.created_at)} · ${Pb(i)} · ${Cn(i.changes)}`)]),Nu(Qu,{name:"i-lucide-chevron-right",class:"size-4 text-muted mt-1"})]),m=()=>{const{version:i,loading:g,error:T}=l.value,S=i.rollback_changes;return Nu("div",{class:"space-y-4"},[Nu(Wu,{variant:"link",size:"sm",icon:"i-lucide-arrow-left",label:"All versions",class:"px-0",onClick:()=>{l.value=null}}),Nu("div",{class:"space-y-1"},[Nu("p",{class:"text-sm font-medium"},`Version ${i.version}${i.change_note?` · ${i.change_note}`:""}`),Nu("p",{class:"text-xs text-muted"},`${Th(i.created_at)} · ${Pb(i)}`)]),Nu("div",{class:"space-y-2"},[Nu("p",{class:"text-sm font-medium"},`Changes in this version (${Cn(i.changes)})`),Dl(i.changes,"This version recorded the file as it was")]),g?Nu("p",{class:"py-4 text-center text-sm text-muted"},"Loading version…"):T?Nu("p",{class:"py-4 text-center text-sm text-error"},T):S==null?Nu("p",{class:"py-4 text-center text-sm text-error"},"This version can no longer be read, so it cannot be restored."):Nu("div",{class:"space-y-2"},[Nu("p",{class:"text-sm font-medium"},"Rolling back would change"),Dl(S,"The configuration in use already matches this version")])])},h=()=>{const i=l.value;return!i||i.loading||!!i.error||!i.version.rollback_changes||!i.version.rollback_changes.length};return()=>Nu(Tu,{open:n.value,"onUpdate:open":i=>{n.value=i},title:"Configuration History",description:e.config?`Saved versions of ${e.config}.php. Rolling back restores the file exactly as it was.`:void 0,class:"sm:max-w-3xl"},{body:()=>a.value?Nu("p",{class:"py-6 text-center text-sm text-error"},a.value):l.value?m():s.value&&!r.value.length?Nu("p",{class:"py-6 text-center text-sm text-muted"},"Loading history…"):r.value.length?Nu("div",{class:"divide-y divide-default rounded-md border border-default"},r.value.map(f)):Nu("p",{class:"py-6 text-center text-sm text-muted"},"No versions yet. Saving from the editor records the file before and after each change."),footer:()=>Nu("div",{class:"flex justify-between gap-2 w-full"},[l.value?Nu(Wu,{color:"warning",icon:"i-lucide-history",label:`Roll Back to Version ${l.value.version.version}`,loading:c.value,disabled:h(),onClick:p}):Nu("span"),Nu(Wu,{variant:"ghost",label:"Close",onClick:()=>{n.value=!1}})])})}});export{ge as _};
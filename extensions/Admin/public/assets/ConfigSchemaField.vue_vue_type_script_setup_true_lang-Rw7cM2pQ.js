@@ -0,0 +1,3 @@
+import{_ as Ut}from"./Input-C5IL3dmi.js";import{_ as Ez}from"./Select-BAUrMTbe.js";import{_ as Ys}from"./Switch-HAhwdiud.js";import{_ as Tx}from"./Textarea-CrA6wPU_.js";import{d as ph,r as Ve,E as Gu,av as Nu,ah as Wu,am as Qu}from"./index-CvplhhIg.js";const Mk="[REDACTED]",Lb=e=>String(e).replace(/_/g," ").replace(/\b\w/g,t=>t.toUpperCase()),Rg=e=>e.min!=null&&e.max!=null?`${e.min} – ${e.max}`:e.min!=null?`at least ${e.min}`:e.max!=null?`at most ${e.max}`:"",Dv=e=>e===null?"null":typeof e=="object"?JSON.stringify(e):String(e),ge=ph({__name:"ConfigSchemaField",props:{field:{type:Object,required:!0},value:{type:null,default:null},errors:{type:Object,default:()=>({})},path:{type:Array,default:null},bare:{type:Boolean,default:!1}},emits:["update"],setup(e,{emit:t}){const o=Ve(!1),n=Ve(""),r=Ve(""),s=Ve(e.value===Mk),a=()=>e.path||[e.field.key],l=i=>t("update",a(),i),c=()=>e.field.type==="json"?JSON.stringify(e.value,null,2):Array.isArray(e.value)?e.value.join(`
+`):"",d=i=>Array.isArray(i)&&i.length>0&&i.every(g=>typeof g=="number"),p=(i,g)=>i.split(`
+`).map(T=>T.trim()).filter(T=>T!=="").map(T=>g&&!isNaN(Number(T))?Number(T):T),f=i=>{try{return e.field.type==="json"?JSON.parse(n.value):p(n.value,d(i))}catch{return}};Gu(()=>e.value,i=>{i===Mk&&(s.value=!0),JSON.stringify(f(i))!==JSON.stringify(i)&&(n.value=c(),r.value="")},{immediate:!0});const u=()=>{const i=e.field;switch(i.type){case"boolean":return Nu(Ys,{modelValue:!!e.value,"onUpdate:modelValue":l});case"integer":case"float":return Nu(Ut,{modelValue:e.value??"",type:"number",min:i.min??void 0,max:i.max??void 0,step:i.type==="integer"?1:"any",placeholder:e.value===null?"Not set":void 0,class:"w-48","onUpdate:modelValue":g=>l(g===""||g===null?null:Number(g))});case"enum":return Nu(Ez,{modelValue:e.value??void 0,items:i.values.filter(g=>g!==null).map(g=>({label:String(g),value:g})),placeholder:"Not set",class:"w-64","onUpdate:modelValue":l});case"list":return Nu(Tx,{modelValue:n.value,rows:Math.min(8,Math.max(2,(e.value||[]).length)),placeholder:"One value per line",class:"w-full font-mono text-sm","onUpdate:modelValue":g=>{n.value=g,l(p(g,d(e.value)))}});case"json":return Nu(Tx,{modelValue:n.value,rows:6,class:"w-full font-mono text-sm","onUpdate:modelValue":g=>{n.value=g;try{const T=JSON.parse(g);r.value="",l(T)}catch{r.value="Invalid JSON"}}});case"group":return Nu("div",{class:e.bare?"space-y-4":"pl-4 border-l-2 border-default space-y-4"},(i.children||[]).map(g=>Nu(ge,{key:g.key,field:g,value:e.value?e.value[g.key]:null,errors:e.errors,path:[...a(),g.key],onUpdate:(T,S)=>t("update",T,S)})))}if(i.secret){const g=e.value===Mk;return Nu("div",{class:"relative w-full"},[Nu(Ut,{modelValue:g?"":e.value??"",type:o.value?"text":"password",autocomplete:"new-password",placeholder:s.value?"Stored secret, leave empty to keep it":"Not set",class:"w-full pr-10","onUpdate:modelValue":T=>l(T===""&&s.value?Mk:T)}),Nu(Wu,{variant:"ghost",size:"sm",icon:o.value?"i-heroicons-eye-slash":"i-heroicons-eye",disabled:g,class:"absolute right-0 top-0 h-full",onClick:()=>{o.value=!o.value}})])}return Nu(Ut,{modelValue:e.value??"",placeholder:e.value===null?"Not set":void 0,class:"w-full","onUpdate:modelValue":l})};return()=>{const i=e.field,g=e.errors[i.path]||r.value,T=i.type==="integer"||i.type==="float"?Rg(i):"";return Nu("div",{class:"space-y-1"},[Nu("div",{class:"flex items-center gap-2"},[e.bare?null:Nu("label",{class:"text-sm font-medium text-highlighted"},Lb(i.key)),i.secret?Nu(Qu,{name:"i-lucide-lock",class:"size-3.5 text-muted",title:"Secret, shown masked"}):null,T?Nu("span",{class:"text-xs text-muted"},T):null,i.default!==void 0&&i.default!==null&&i.type!=="group"&&!i.secret?Nu("span",{class:"text-xs text-dimmed"},`Default: ${Dv(i.default)}`):null]),i.info?Nu("p",{class:"text-xs text-muted"},i.info):null,u(),g?Nu("p",{class:"text-xs text-error"},g):null])}}});export{ge as _};
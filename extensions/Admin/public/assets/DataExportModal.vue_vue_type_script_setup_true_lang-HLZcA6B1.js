@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ez}from"./Select-BAUrMTbe.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,av as Nu,a0 as Iu,ah as Wu,at as Hu}from"./index-CvplhhIg.js";const Ln=[{label:"CSV",value:"csv"},{label:"NDJSON",value:"ndjson"},{label:"Excel (XLSX)",value:"xlsx"},{label:"SQL INSERT statements",value:"sql"}],Mn={csv:"text/csv",ndjson:"application/x-ndjson",xlsx:"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",sql:"application/sql"},Pn=e=>e<1024?`${e} B`:e<1048576?`${(e/1024).toFixed(1)} KB`:e<1073741824?`${(e/1048576).toFixed(1)} MB`:`${(e/1073741824).toFixed(2)} GB`,Rn=e=>(e??0).toLocaleString(),On=(e,t)=>{const o=document.createElement("a");o.href=URL.createObjectURL(e),o.download=t,o.click(),URL.revokeObjectURL(o.href)},ge=ph({__name:"DataExportModal",props:{open:{type:Boolean,default:!1},title:{type:String,default:"Export Data"},description:{type:String,default:"Rows are streamed from the server straight into the file."},source:{type:Object,required:!0},name:{type:String,default:"export"}},emits:["update:open"],setup(e,{emit:t}){const o=ju(),n=Ve("csv"),r=Ve(!1),s=Ve(0),a=Ve(0),l=Ve(null),c=Ve(null);let u=null,d=null,p=null;const m=At(()=>l.value?Math.min(100,Math.round(a.value/l.value*100)):null),f=()=>`${e.name}_${new Date().toISOString().slice(0,10)}.${n.value}`,h=()=>{p&&(clearInterval(p),p=null)},g=async()=>{if(!d)return null;try{const i=(await Hu.db.getExportProgress(d)).data;return a.value=Math.max(a.value,i.rows||0),i.total!=null&&(l.value=i.total),i}catch(i){return null}},v=async()=>window.showSaveFilePicker?(await window.showSaveFilePicker({suggestedName:f(),types:[{description:n.value.toUpperCase(),accept:{[Mn[n.value]]:[`.${n.value}`]}}]})).createWritable():null,y=async()=>{let i=null;const x=[];c.value=null,s.value=0,a.value=0,l.value=null,d=null;try{i=await v()}catch(w){if(w.name==="AbortError")return}r.value=!0,u=new AbortController;try{const w=await Hu.db.exportData({...e.source,format:n.value},u.signal),k=w.headers.get("X-Total-Rows");d=w.headers.get("X-Export-Id"),k&&(l.value=Number(k)),p=setInterval(g,1e3);const b=w.body.getReader();for(;;){const{done:S,value:C}=await b.read();if(S)break;s.value+=C.length,i?await i.write(C):x.push(C)}h();const _=await g();if(_&&(_.status==="failed"||_.status==="cancelled"))throw _.status==="cancelled"?new DOMException("Export cancelled","AbortError"):{message:_.error||"The export stopped before it was complete"};i?await i.close():On(new Blob(x,{type:Mn[n.value]}),f()),c.value={status:"completed"},o.success({title:"Export complete",description:`Exported ${Rn(a.value)} rows (${Pn(s.value)})`})}catch(w){h(),i&&await i.abort().catch(()=>{});const k=w.name==="AbortError";c.value={status:k?"cancelled":"failed",error:k?"Export cancelled":w.message||"Failed to export data"},k?o.info({title:"Export cancelled",description:"The download was stopped"}):o.error({title:"Export failed",description:c.value.error})}finally{r.value=!1,u=null}},z=async()=>{const i=d;u&&u.abort(),i&&await Hu.db.cancelExport(i).catch(()=>{})},q=i=>{!i&&r.value&&z(),t("update:open",i)};return Iu(()=>{h(),r.value&&z()}),()=>Nu(Tu,{open:e.open,title:e.title,description:e.description,"onUpdate:open":q},{body:()=>Nu("div",{class:"space-y-4"},[Nu("div",{class:"space-y-2"},[Nu("p",{class:"text-sm font-medium"},"Format"),Nu(Ez,{modelValue:n.value,"onUpdate:modelValue":i=>n.value=i,items:Ln,disabled:r.value,class:"w-full"})]),r.value||c.value?Nu("div",{class:"space-y-2"},[Nu("div",{class:"h-2 rounded-full bg-elevated overflow-hidden"},[Nu("div",{class:"h-2 rounded-full bg-primary transition",style:{width:`${m.value??(r.value||c.value.status==="completed"?100:0)}%`,opacity:m.value==null&&r.value?.4:1}})]),Nu("div",{class:"flex justify-between text-xs text-muted"},[Nu("span",null,l.value!=null?`${Rn(a.value)} of ${Rn(l.value)} rows${m.value!=null?` · ${m.value}%`:""}`:`${Rn(a.value)} rows`),Nu("span",{class:"font-mono"},Pn(s.value))]),c.value&&c.value.status!=="completed"?Nu("p",{class:c.value.status==="failed"?"text-sm text-error":"text-sm text-muted"},c.value.error):null]):null]),footer:()=>Nu("div",{class:"flex justify-end gap-2 w-full"},[r.value?Nu(Wu,{color:"error",variant:"outline",icon:"i-lucide-x",onClick:z},()=>"Cancel Export"):Nu(Wu,{variant:"ghost",onClick:()=>q(!1)},()=>"Close"),Nu(Wu,{color:"primary",icon:"i-lucide-download",loading:r.value,disabled:r.value,onClick:y},()=>"Export")])})}});export{ge as _};
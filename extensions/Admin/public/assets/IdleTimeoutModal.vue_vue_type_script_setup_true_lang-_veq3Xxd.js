@@ -0,0 +1 @@
+import{d as ie,r as x,A as ae,a0 as le,i as ue,o as ce,ae as de,af as fe,aL as k}from"./index-CvplhhIg.js";import{_ as pe}from"./ConfirmModal.vue_vue_type_script_setup_true_lang-Sel0ZXJf.js";import{u as me}from"./useToastNotification-D4GVV2D1.js";const y="admin_last_activity",he=["mousedown","mousemove","keydown","scroll","touchstart","wheel"],ve=5e3,ge=ie({__name:"IdleTimeoutModal",setup(_e){const T=de(),R=fe(),A=me(),n=x(!1),r=x(0);let i=null,c=0;const w=()=>Math.max(0,Number(k.idleTimeout)||0)*6e4,S=()=>Math.min(Math.max(0,Number(k.idleWarning)||0)*1e3,w()),E=()=>{const e=Number(localStorage.getItem(y));return Number.isFinite(e)&&e>0?e:Date.now()},u=(e=!1)=>{if(n.value&&!e)return;const t=Date.now();(e||t-c>=ve)&&(c=t,localStorage.setItem(y,String(t)))},f=()=>u(),p=()=>{i&&(clearInterval(i),i=null),he.forEach(e=>window.removeEventListener(e,f))},m=async(e=!1)=>{p(),n.value=!1,await T.logout(),e&&A.info({title:"Signed out",description:`You were signed out after ${Math.round(w()/6e4)} minutes of inactivity.`}),R.push("/login")},s=()=>{n.value=!1,u(!0)},I=()=>{const e=w()-(Date.now()-E());if(e<=0){m(!0);return}e<=S()?(r.value=Math.ceil(e/1e3),n.value=!0):n.value=!1};return ae(()=>{w()<=0||(u(!0),he.forEach(e=>window.addEventListener(e,f,{passive:!0})),i=setInterval(I,1e3))}),le(p),(e,t)=>(ce(),ue(pe,{open:n.value,"onUpdate:open":t[0]||(t[0]=o=>{o||s()}),ModalTitle:"Are you still there?",ModalContent:`You will be signed out in ${r.value} seconds due to inactivity.`,ModalConfirmText:"Stay signed in",ModalCancelText:"Sign out",ModalIcon:"i-lucide-clock",showCloseIcon:!1,onConfirm:s,onClose:t[1]||(t[1]=o=>m())},null,8,["open","ModalContent"]))}});export{ge as _};
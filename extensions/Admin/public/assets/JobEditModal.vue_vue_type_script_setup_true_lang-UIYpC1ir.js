@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ut}from"./Input-C5IL3dmi.js";import{_ as Ez}from"./Select-BAUrMTbe.js";import{_ as Ys}from"./Switch-HAhwdiud.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,at as Hu}from"./index-CvplhhIg.js";const Fq=[{label:"Every few minutes",value:"minutes"},{label:"Hourly",value:"hourly"},{label:"Daily",value:"daily"},{label:"Weekly",value:"weekly"},{label:"Monthly",value:"monthly"},{label:"Custom expression",value:"custom"}],In=[1,2,5,10,15,20,30].map(e=>({label:e===1?"Every minute":`Every ${e} minutes`,value:e})),Dw=["Sun","Mon","Tue","Wed","Thu","Fri","Sat"],Al={"@yearly":"0 0 1 1 *","@annually":"0 0 1 1 *","@monthly":"0 0 1 * *","@weekly":"0 0 * * 0","@daily":"0 0 * * *","@midnight":"0 0 * * *","@hourly":"0 * * * *"},Pd=e=>String(e).padStart(2,"0"),Cl=(e,t,o)=>Math.min(o,Math.max(t,Math.round(Number(e)||0))),Xd=e=>{const t=new Set;for(const o of e.split(",")){const[n,r]=o.split("-").map(Number);for(let s=n;s<=(r??n);s++)t.add(s%7)}return[...t].sort((o,n)=>o-n)},Rg=e=>e.reduce((t,o)=>{const n=t[t.length-1];return n&&n[1]===o-1?n[1]=o:t.push([o,o]),t},[]).map(([t,o])=>t===o?`${t}`:o===t+1?`${t},${o}`:`${t}-${o}`).join(","),Pr=e=>{const t=(e||"").trim(),o={freq:"custom",interval:5,minute:0,time:"00:00",days:[1],dayOfMonth:1,expression:t},n=(Al[t.toLowerCase()]||t).split(/\s+/);if(n.length!==5||n[3]!=="*")return o;const[r,s,a,,c]=n,u=/^\d+$/;if(s==="*"&&a==="*"&&c==="*"){if(r==="*")return{...o,freq:"minutes",interval:1};const p=r.match(/^\*\/(\d+)$/);if(p&&In.some(m=>m.value===+p[1]))return{...o,freq:"minutes",interval:+p[1]};if(u.test(r))return{...o,freq:"hourly",minute:+r}}if(!u.test(r)||!u.test(s))return o;const d=`${Pd(s)}:${Pd(r)}`;return a==="*"&&c==="*"?{...o,freq:"daily",time:d}:a==="*"&&/^[0-7](-[0-7])?(,[0-7](-[0-7])?)*$/.test(c)?{...o,freq:"weekly",time:d,days:Xd(c)}:u.test(a)&&c==="*"?{...o,freq:"monthly",time:d,dayOfMonth:+a}:o},Bx=e=>{const[t,o]=(e.time||"00:00").split(":").map(Number);switch(e.freq){case"minutes":return e.interval<=1?"* * * * *":`*/${e.interval} * * * *`;case"hourly":return`${Cl(e.minute,0,59)} * * * *`;case"daily":return`${o||0} ${t||0} * * *`;case"weekly":return`${o||0} ${t||0} * * ${e.days.length?Rg(e.days):"*"}`;case"monthly":return`${o||0} ${t||0} ${Cl(e.dayOfMonth,1,31)} * *`;default:return e.expression.trim()}},Dx=e=>{switch(e.freq){case"minutes":return e.interval<=1?"Every minute":`Every ${e.interval} minutes`;case"hourly":return`Every hour at minute ${Cl(e.minute,0,59)}`;case"daily":return`Every day at ${e.time}`;case"weekly":return e.days.length?`Every ${e.days.map(t=>Dw[t]).join(", ")} at ${e.time}`:`Every day at ${e.time}`;case"monthly":return`On day ${Cl(e.dayOfMonth,1,31)} of every month at ${e.time}`;default:return"Custom cron expression"}},Tz=(()=>{const e=Intl.DateTimeFormat().resolvedOptions().timeZone,t=typeof Intl.supportedValuesOf=="function"?Intl.supportedValuesOf("timeZone"):[];return[...new Set(["UTC",e,...t].filter(Boolean))]})(),Rl=e=>{const t=Math.round((new Date(e).getTime()-Date.now())/6e4);return t<1?"in less than a minute":t<60?`in ${t} min`:t<2880?`in ${Math.round(t/60)} h`:`in ${Math.round(t/1440)} days`},ge=ph({__name:"JobEditModal",props:{open:{type:Boolean,default:!1},job:{type:Object,default:null}},emits:["update:open","saved"],setup(e,{emit:t}){const o=ju(),n=Ve(Pr("")),r=Ve("UTC"),s=Ve(300),a=Ve(!1),l=Ve([]),c=Ve(!1),u=Ve(""),d=Ve(!1);let p=null;const m=At({get:()=>e.open,set:i=>t("update:open",i)}),f=At(()=>Bx(n.value)),h=At(()=>{var i;return[...new Set([(i=e.job)==null?void 0:i.timezone,...Tz].filter(Boolean))].map(x=>({label:x,value:x}))}),g=At(()=>{const i=e.job;return!!i&&(f.value!==i.schedule||r.value!==i.timezone||Number(s.value)!==i.timeout||a.value!==!!i.allow_overlap)}),v=i=>new Date(i).toLocaleString(void 0,{timeZone:r.value,weekday:"short",year:"numeric",month:"short",day:"numeric",hour:"2-digit",minute:"2-digit"}),y=async()=>{const i=f.value;if(!i){l.value=[],u.value="Enter a cron expression";return}c.value=!0;try{const x=await Hu.jobs.previewSchedule({expression:i,timezone:r.value,count:5});l.value=x.data.next_runs||[],u.value=""}catch(x){l.value=[],u.value=x.message||"Invalid cron expression"}finally{c.value=!1}};Gu([f,r],()=>{e.open&&(clearTimeout(p),p=setTimeout(y,300))}),Gu(()=>e.open,i=>{const x=e.job;i&&x&&(n.value=Pr(x.schedule),r.value=x.timezone||"UTC",s.value=x.timeout,a.value=!!x.allow_overlap,u.value="",y())});const k=async()=>{d.value=!0;try{const i=await Hu.jobs.updateJob({job:e.job.name,schedule:f.value,timezone:r.value,timeout:Cl(s.value,1,86400),allow_overlap:a.value});o.success({title:"Job Updated",description:`${e.job.name} now runs ${Dx(n.value).toLowerCase()} (${r.value})`}),t("saved",i.data),m.value=!1}catch(i){o.error({title:"Update Failed",description:i.message||"The job could not be updated"})}finally{d.value=!1}},w=(i,x,j)=>Nu("div",{class:"space-y-1"},[Nu("label",{class:"block text-sm font-medium"},i),x,j?Nu("p",{class:"text-xs text-muted"},j):null]),b=()=>{const i=n.value,x=j=>{n.value={...n.value,...j}};switch(i.freq){case"minutes":return w("Interval",Nu(Ez,{modelValue:i.interval,"onUpdate:modelValue":j=>x({interval:j}),items:In,class:"w-full"}));case"hourly":return w("Minute past the hour",Nu(Ut,{modelValue:i.minute,"onUpdate:modelValue":j=>x({minute:j}),type:"number",min:0,max:59,class:"w-full"}));case"custom":return w("Cron expression",Nu(Ut,{modelValue:i.expression,"onUpdate:modelValue":j=>x({expression:j}),placeholder:"*/15 * * * *",class:"w-full font-mono"}),"minute hour day-of-month month day-of-week, or an alias such as @daily")}const C=[w("Time",Nu(Ut,{modelValue:i.time,"onUpdate:modelValue":j=>x({time:j}),type:"time",class:"w-full"}))];return i.freq==="weekly"&&C.unshift(w("Days",Nu("div",{class:"flex flex-wrap gap-1"},Dw.map((j,$)=>Nu(Wu,{key:j,size:"sm",color:i.days.includes($)?"primary":"neutral",variant:i.days.includes($)?"solid":"outline",label:j,onClick:()=>x({days:i.days.includes($)?i.days.filter(S=>S!==$):[...i.days,$].sort((S,T)=>S-T)})}))))),i.freq==="monthly"&&C.unshift(w("Day of the month",Nu(Ut,{modelValue:i.dayOfMonth,"onUpdate:modelValue":j=>x({dayOfMonth:j}),type:"number",min:1,max:31,class:"w-full"}),"Months without this day are skipped")),Nu("div",{class:"grid grid-cols-1 sm:grid-cols-2 gap-3"},C)},z=()=>Nu("div",{class:"rounded-md border border-default p-3 space-y-2"},[Nu("div",{class:"flex items-center justify-between gap-2"},[Nu("h4",{class:"text-sm font-medium"},"Next runs"),c.value?Nu(Qu,{name:"i-lucide-loader-circle",class:"size-4 animate-spin text-muted"}):null]),u.value?Nu("div",{class:"flex items-start gap-2 text-sm text-error"},[Nu(Qu,{name:"i-lucide-circle-alert",class:"size-4 mt-0.5 shrink-0"}),Nu("span",u.value)]):Nu("ol",{class:"space-y-1"},l.value.map(i=>Nu("li",{key:i,class:"flex items-center justify-between gap-3 text-sm"},[Nu("span",{class:"font-mono"},v(i)),Nu("span",{class:"text-xs text-muted"},Rl(i))]))),r.value!==Intl.DateTimeFormat().resolvedOptions().timeZone&&l.value.length&&!u.value?Nu("p",{class:"text-xs text-muted"},`Times are shown in ${r.value}. The first run is ${new Date(l.value[0]).toLocaleString()} in your local time.`):null]);return()=>{var i,x;return Nu(Tu,{open:m.value,"onUpdate:open":j=>{d.value||(m.value=j)},title:`Edit ${((i=e.job)==null?void 0:i.name)||"Job"}`,description:((x=e.job)==null?void 0:x.description)||"Change when and how the job runs.",class:"sm:max-w-2xl",ui:{footer:"flex justify-end space-x-2"}},{body:()=>e.job?Nu("div",{class:"space-y-5"},[Nu("div",{class:"space-y-3"},[Nu("div",{class:"grid grid-cols-1 sm:grid-cols-2 gap-3"},[w("Frequency",Nu(Ez,{modelValue:n.value.freq,"onUpdate:modelValue":j=>{n.value=j==="custom"?{...n.value,freq:j,expression:f.value}:{...n.value,freq:j}},items:Fq,class:"w-full"})),w("Timezone",Nu(Ez,{modelValue:r.value,"onUpdate:modelValue":j=>{r.value=j},items:h.value,class:"w-full"}))]),b(),Nu("div",{class:"flex items-center justify-between gap-2 text-sm"},[Nu("span",{class:"text-muted"},Dx(n.value)),Nu("code",{class:"font-mono text-xs px-2 py-1 rounded bg-elevated"},f.value||"—")])]),z(),Nu("div",{class:"grid grid-cols-1 sm:grid-cols-2 gap-3"},[w("Timeout (seconds)",Nu(Ut,{modelValue:s.value,"onUpdate:modelValue":j=>{s.value=j},type:"number",min:1,max:86400,class:"w-full"}),"Runs from the CLI scheduler are stopped after this time, other runs are marked as timed out."),Nu("div",{class:"pt-6"},[Nu(Ys,{modelValue:a.value,"onUpdate:modelValue":j=>{a.value=j},label:"Allow overlapping runs",description:"When off, a run is skipped while the previous one is still running."})])]),e.job.source==="config"?Nu("p",{class:"text-xs text-muted"},"This job is defined in config/schedule.php. Your changes are stored in the database and take precedence over the file."):null]):null,footer:()=>Nu("div",{class:"flex justify-end gap-2 w-full"},[Nu(Wu,{color:"neutral",variant:"soft",label:"Cancel",disabled:d.value,onClick:()=>{m.value=!1}}),Nu(Wu,{color:"primary",icon:"i-lucide-save",label:"Save",loading:d.value,disabled:!g.value||!!u.value||c.value,onClick:k})])})}}});export{ge as _};
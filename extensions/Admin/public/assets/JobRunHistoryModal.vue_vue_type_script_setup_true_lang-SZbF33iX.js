@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ez}from"./Select-BAUrMTbe.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,at as Hu}from"./index-CvplhhIg.js";const Sh={running:"info",success:"success",failed:"error",timed_out:"error",skipped:"warning"},Lb={running:"Running",success:"Succeeded",failed:"Failed",timed_out:"Timed out",skipped:"Skipped"},Fs=[{label:"All runs",value:"all"},...Object.entries(Lb).map(([e,t])=>({label:t,value:e}))],Dh=e=>e==null?"":e<1e3?`${e} ms`:`${(e/1e3).toFixed(e<1e4?1:0)} s`,Th=e=>e?new Date(e.replace(" ","T")).toLocaleString():"",Jr=e=>typeof e=="string"?e:JSON.stringify(e,null,2),ge=ph({__name:"JobRunHistoryModal",props:{open:{type:Boolean,default:!1},job:{type:String,default:""}},emits:["update:open"],setup(e,{emit:t}){const o=Ve([]),n=Ve(!1),r=Ve(""),s=Ve(1),a=Ve(!1),l=Ve(null),c=Ve("all"),u=At({get:()=>e.open,set:p=>t("update:open",p)}),d=async(p=1)=>{var m;n.value=!0,r.value="";try{const f=await Hu.jobs.getJobHistory({job:e.job,page:p,per_page:20,status:c.value==="all"?"":c.value}),h=Array.isArray(f.data)?f.data:[];o.value=p===1?h:[...o.value,...h],s.value=p,a.value=(((m=f.meta)==null?void 0:m.last_page)??f.last_page??1)>p}catch(f){r.value=f.message||"Failed to load the run history"}finally{n.value=!1}};Gu(()=>e.open,p=>{p&&(o.value=[],l.value=null,c.value="all",d(1))}),Gu(c,()=>{e.open&&d(1)});const m=p=>{const f=[p.error?Nu("div",{class:"space-y-1"},[Nu("h5",{class:"text-xs font-medium text-muted"},"Error"),Nu("pre",{class:"text-xs font-mono text-error whitespace-pre-wrap bg-error/10 rounded-md p-2"},p.error)]):null,p.output?Nu("div",{class:"space-y-1"},[Nu("h5",{class:"text-xs font-medium text-muted"},"Output"),Nu("pre",{class:"text-xs font-mono whitespace-pre-wrap bg-elevated/50 rounded-md p-2 max-h-64 overflow-auto"},p.output)]):null,p.result!=null?Nu("div",{class:"space-y-1"},[Nu("h5",{class:"text-xs font-medium text-muted"},"Result"),Nu("pre",{class:"text-xs font-mono whitespace-pre-wrap bg-elevated/50 rounded-md p-2 max-h-64 overflow-auto"},Jr(p.result))]):null].filter(Boolean);return f.length?f:[Nu("p",{class:"text-xs text-muted"},"The run printed no output and returned no result.")]},f=p=>Nu("div",{key:p.uuid,class:"py-3"},[Nu("button",{type:"button",class:"w-full flex items-center gap-3 text-left",onClick:()=>{l.value=l.value===p.uuid?null:p.uuid}},[Nu(Qu,{name:p.trigger_type==="manual"?"i-lucide-play":"i-lucide-clock",class:"size-4 text-muted shrink-0"}),Nu("div",{class:"flex-1 min-w-0"},[Nu("span",{class:"text-sm font-medium"},Th(p.started_at)),Nu("p",{class:"text-xs text-muted"},[p.trigger_type==="manual"?`Run manually${p.triggered_by_username?` by ${p.triggered_by_username}`:""}`:"Run on schedule",p.status==="running"?" · still running":p.duration_ms!=null?` · ${Dh(p.duration_ms)}`:""].join(""))]),Nu(Ek,{color:Sh[p.status]||"neutral",variant:"subtle",size:"sm",label:Lb[p.status]||p.status}),Nu(Qu,{name:l.value===p.uuid?"i-lucide-chevron-up":"i-lucide-chevron-down",class:"size-4 text-muted"})]),l.value===p.uuid?Nu("div",{class:"mt-2 ml-7 space-y-2"},m(p)):null]);return()=>Nu(Tu,{open:u.value,"onUpdate:open":p=>{u.value=p},title:`Run History: ${e.job}`,description:"Scheduled and manual runs, newest first. Skipped runs started while the previous run was still in progress.",class:"sm:max-w-3xl"},{body:()=>Nu("div",{class:"space-y-3"},[Nu("div",{class:"flex items-center justify-between gap-2"},[Nu(Ez,{modelValue:c.value,"onUpdate:modelValue":p=>{c.value=p},items:Fs,class:"w-44"}),Nu(Wu,{variant:"ghost",size:"sm",icon:"i-lucide-refresh-cw",loading:n.value&&s.value===1,onClick:()=>d(1)})]),r.value?Nu("p",{class:"py-6 text-center text-sm text-error"},r.value):!o.value.length&&!n.value?Nu("p",{class:"py-6 text-center text-sm text-muted"},c.value==="all"?"This job has not run yet":"No runs with this status"):Nu("div",null,[Nu("div",{class:"divide-y divide-default"},o.value.map(f)),a.value?Nu("div",{class:"pt-3 text-center"},[Nu(Wu,{variant:"ghost",size:"sm",label:"Load more",loading:n.value,onClick:()=>d(s.value+1)})]):null])])})}});export{ge as _};
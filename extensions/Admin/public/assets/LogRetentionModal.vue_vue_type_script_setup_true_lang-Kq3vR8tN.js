@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ut}from"./Input-C5IL3dmi.js";import{_ as Ez}from"./Select-BAUrMTbe.js";import{_ as Ys}from"./Switch-HAhwdiud.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,at as Hu}from"./index-CvplhhIg.js";const Rn=e=>e==null?"any":e,Pb=e=>`${e.category==null?"Any category":e.category} · ${e.severity==null?"any severity":e.severity}`,Th=e=>e?new Date(String(e).replace(" ","T")).toLocaleString():"",Zb=e=>e<1024?`${e} B`:e<1048576?`${(e/1024).toFixed(1)} KB`:`${(e/1048576).toFixed(1)} MB`,Dd=e=>e%365===0?`${e/365} year${e===365?"":"s"}`:e%7===0&&e>=7?`${e/7} week${e===7?"":"s"}`:`${e} day${e===1?"":"s"}`,Sh={debug:"neutral",info:"info",warning:"warning",error:"error",critical:"error"},ge=ph({__name:"LogRetentionModal",props:{open:{type:Boolean,default:!1},categories:{type:Array,default:()=>[]}},emits:["update:open","restored"],setup(e,{emit:t}){const o=ju(),n=At({get:()=>e.open,set:i=>t("update:open",i)}),r=Ve("rules"),s=Ve(!1),a=Ve(""),l=Ve(!0),c=Ve([]),u=Ve(["debug","info","warning","error","critical"]),d=Ve(7),p=()=>({category:"*",severity:"*",retention_days:"30",archive:!0,enabled:!0}),m=Ve(p()),f=Ve(!1),h=Ve(!1),v=Ve(null),w=Ve([]),b=Ve({current_page:1,last_page:1,total:0}),x=Ve(!1),y=Ve(null),_=Ve("7"),k=Ve(!1),C=At(()=>[{label:"Any category",value:"*"},...e.categories.map(i=>({label:i,value:i}))]),S=At(()=>[{label:"Any severity",value:"*"},...u.value.map(i=>({label:i,value:i}))]),$=async()=>{s.value=!0,a.value="";try{const i=(await Hu.logs.getRetention()).data||{};l.value=i.available!==!1,c.value=i.rules||[],i.severities&&(u.value=i.severities),i.default_hold_days!=null&&(d.value=i.default_hold_days,_.value=String(i.default_hold_days))}catch(i){a.value=i.message||"Failed to load retention rules"}finally{s.value=!1}},U=async(i=1)=>{x.value=!0,a.value="";try{const g=await Hu.logs.getArchives({page:i,per_page:20});w.value=Array.isArray(g.data)?g.data:[],b.value={current_page:g.current_page||i,last_page:g.last_page||1,total:g.total||0}}catch(g){a.value=g.message||"Failed to load archives"}finally{x.value=!1}},R=async(i,g=1)=>{y.value={archive:i,entries:[],page:g,last_page:1,loading:!0,error:""};try{const T=(await Hu.logs.getArchive(i.uuid,{page:g,per_page:50})).data||{};y.value={archive:T.archive||i,entries:T.entries||[],page:T.current_page||g,last_page:T.last_page||1,loading:!1,error:""}}catch(T){y.value={...y.value,loading:!1,error:T.message||"Failed to read the archive"}}},D=async()=>{const i=Number(m.value.retention_days);if(!Number.isInteger(i)||i<1){o.error({title:"Invalid Retention",description:"Keep entries for at least one day"});return}f.value=!0;try{await Hu.logs.saveRetentionRule({category:m.value.category==="*"?"":m.value.category,severity:m.value.severity==="*"?"":m.value.severity,retention_days:i,archive:m.value.archive,enabled:m.value.enabled}),o.success({title:"Rule Saved",description:`${Pb({category:m.value.category==="*"?null:m.value.category,severity:m.value.severity==="*"?null:m.value.severity})}: keep ${Dd(i)}`}),m.value=p(),await $()}catch(g){o.error({title:"Save Failed",description:g.message||"The rule could not be saved"})}finally{f.value=!1}},I=async i=>{try{await Hu.logs.deleteRetentionRule(i.uuid),c.value=c.value.filter(g=>g.uuid!==i.uuid),await $()}catch(g){o.error({title:"Delete Failed",description:g.message||"The rule could not be deleted"})}},E=i=>{m.value={category:i.category??"*",severity:i.severity??"*",retention_days:String(i.retention_days),archive:!!i.archive,enabled:!!i.enabled}},P=async()=>{h.value=!0;try{const i=(await Hu.logs.runRetention()).data||{};v.value=i;const g=(i.rules||[]).filter(T=>T.error);g.length?o.error({title:"Retention Partly Failed",description:`${g.length} rule${g.length===1?"":"s"} failed: ${g[0].error}`}):o.success({title:"Retention Applied",description:`Archived ${i.archived} and deleted ${i.deleted} entries`}),await $()}catch(i){o.error({title:"Retention Failed",description:i.message||"Retention could not be applied"})}finally{h.value=!1}},O=async()=>{const i=Number(_.value);if(!Number.isInteger(i)||i<0){o.error({title:"Invalid Hold",description:"Enter a number of days, 0 to keep entries indefinitely"});return}k.value=!0;try{const g=(await Hu.logs.restoreArchive(y.value.archive.uuid,i)).data||{};o.success({title:"Archive Restored",description:`Restored ${g.restored} entries${g.skipped?`, ${g.skipped} were still in the log`:""}`}),t("restored"),await R(y.value.archive,y.value.page),await U(b.value.current_page)}catch(g){o.error({title:"Restore Failed",description:g.message||"The archive could not be restored"})}finally{k.value=!1}};Gu(()=>e.open,i=>{i&&(y.value=null,v.value=null,$(),r.value==="archives"&&U(1))},{immediate:!0}),Gu(r,i=>{i==="archives"&&U(1)});const z=i=>Nu("div",{key:i.uuid,class:"flex items-center gap-3 py-2"},[Nu(Qu,{name:i.archive?"i-lucide-archive":"i-lucide-trash-2",class:"size-4 text-muted shrink-0"}),Nu("div",{class:"flex-1 min-w-0"},[Nu("p",{class:"text-sm font-medium"},Pb(i)),Nu("p",{class:"text-xs text-muted"},`Keep ${Dd(i.retention_days)}, then ${i.archive?"archive and delete":"delete"}${i.enabled?` · ${i.expired} expired now`:""}`)]),i.enabled?null:Nu(Ek,{color:"neutral",variant:"subtle",size:"sm",label:"Disabled"}),Nu(Wu,{variant:"ghost",size:"xs",icon:"i-lucide-pencil",title:"Edit rule",onClick:()=>E(i)}),Nu(Wu,{variant:"ghost",size:"xs",color:"error",icon:"i-lucide-trash-2",title:"Delete rule",onClick:()=>I(i)})]),Y=()=>Nu("div",{class:"space-y-4"},[Nu("p",{class:"text-xs text-muted"},"Each entry follows the most specific rule that matches it: category and severity, then category, then severity, then the rule for any category and severity. Entries no rule matches are kept. The audit_log_retention job applies the rules daily; archives are compressed files in storage/archives/audit_logs."),Nu("form",{class:"grid grid-cols-2 md:grid-cols-6 gap-2 items-end",onSubmit:i=>{i.preventDefault(),D()}},[Nu("div",{class:"col-span-2 md:col-span-2 space-y-1"},[Nu("label",{class:"text-xs font-medium"},"Category"),Nu(Ez,{modelValue:m.value.category,"onUpdate:modelValue":i=>{m.value.category=i},items:C.value,class:"w-full"})]),Nu("div",{class:"space-y-1"},[Nu("label",{class:"text-xs font-medium"},"Severity"),Nu(Ez,{modelValue:m.value.severity,"onUpdate:modelValue":i=>{m.value.severity=i},items:S.value,class:"w-full"})]),Nu("div",{class:"space-y-1"},[Nu("label",{class:"text-xs font-medium"},"Keep (days)"),Nu(Ut,{modelValue:m.value.retention_days,"onUpdate:modelValue":i=>{m.value.retention_days=i},type:"number",min:1,max:3650,class:"w-full"})]),Nu("div",{class:"flex flex-col gap-2 pb-1"},[Nu(Ys,{modelValue:m.value.archive,"onUpdate:modelValue":i=>{m.value.archive=i},label:"Archive"}),Nu(Ys,{modelValue:m.value.enabled,"onUpdate:modelValue":i=>{m.value.enabled=i},label:"Enabled"})]),Nu(Wu,{type:"submit",label:"Save Rule",icon:"i-lucide-save",loading:f.value,block:!0})]),c.value.length?Nu("div",{class:"divide-y divide-default"},c.value.map(z)):Nu("p",{class:"py-4 text-center text-sm text-muted"},"No rules yet. Without rules, audit log entries are kept indefinitely."),v.value?Nu("div",{class:"rounded-md bg-elevated/50 p-3 text-xs space-y-1"},[Nu("p",{class:"font-medium"},`Last run: archived ${v.value.archived}, deleted ${v.value.deleted}`),...(v.value.rules||[]).map(i=>Nu("p",{key:i.rule,class:i.error?"text-error":"text-muted"},`${Pb(i)}: ${i.error?i.error:`${i.archived} archived, ${i.deleted} deleted`}`))]):null]),H=i=>Nu("button",{key:i.uuid,type:"button",class:"w-full flex items-center gap-3 py-2 text-left",onClick:()=>R(i)},[Nu(Qu,{name:"i-lucide-file-archive",class:"size-4 text-muted shrink-0"}),Nu("div",{class:"flex-1 min-w-0"},[Nu("p",{class:"text-sm font-medium"},i.metadata&&i.metadata.rule?Pb(i.metadata.rule):"Audit logs"),Nu("p",{class:"text-xs text-muted"},`${Th(i.period_start)} – ${Th(i.period_end)} · ${i.record_count} entries · ${Zb(i.file_size)}`)]),i.metadata&&i.metadata.restores&&i.metadata.restores.length?Nu(Ek,{color:"info",variant:"subtle",size:"sm",label:"Restored"}):null,i.status==="corrupted"?Nu(Ek,{color:"error",variant:"subtle",size:"sm",label:"Corrupted"}):null,Nu("span",{class:"text-xs text-muted"},Th(i.created_at)),Nu(Qu,{name:"i-lucide-chevron-right",class:"size-4 text-muted"})]),j=i=>Nu("div",{key:i.uuid,class:"flex items-center gap-3 py-1.5 text-xs"},[Nu("span",{class:"font-mono w-40 shrink-0"},Th(i.created_at)),Nu(Ek,{color:Sh[i.severity]||"neutral",variant:"subtle",size:"sm",label:i.severity}),Nu("span",{class:"text-muted w-24 truncate"},i.category),Nu("span",{class:"font-medium"},i.action),Nu("span",{class:"text-muted truncate"},`${i.entity_type}:${i.entity_id}`)]),q=()=>{const i=y.value,g=i.archive;return Nu("div",{class:"space-y-3"},[Nu("div",{class:"flex items-center gap-2"},[Nu(Wu,{variant:"ghost",size:"sm",icon:"i-lucide-arrow-left",label:"Archives",onClick:()=>{y.value=null}}),Nu("span",{class:"text-sm font-medium"},g.metadata&&g.metadata.rule?Pb(g.metadata.rule):"Audit logs"),Nu("span",{class:"text-xs text-muted"},`${g.record_count} entries, archived ${Th(g.created_at)}`)]),i.error?Nu("p",{class:"py-4 text-center text-sm text-error"},i.error):Nu("div",{class:["divide-y divide-default max-h-96 overflow-auto",i.loading?"opacity-50":""]},i.entries.map(j)),i.last_page>1?Nu("div",{class:"flex items-center justify-center gap-2"},[Nu(Wu,{variant:"ghost",size:"xs",icon:"i-lucide-chevron-left",disabled:i.page<=1||i.loading,onClick:()=>R(g,i.page-1)}),Nu("span",{class:"text-xs text-muted"},`Page ${i.page} of ${i.last_page}`),Nu(Wu,{variant:"ghost",size:"xs",icon:"i-lucide-chevron-right",disabled:i.page>=i.last_page||i.loading,onClick:()=>R(g,i.page+1)})]):null,Nu("div",{class:"flex items-end gap-2 rounded-md bg-elevated/50 p-3"},[Nu("div",{class:"flex-1 space-y-1"},[Nu("p",{class:"text-xs font-medium"},"Restore into the audit log"),Nu("p",{class:"text-xs text-muted"},"Entries still in the log are skipped. Restored entries are kept for the hold period, then their rule archives them again (0 keeps them indefinitely).")]),Nu("div",{class:"w-28 space-y-1"},[Nu("label",{class:"text-xs font-medium"},"Hold (days)"),Nu(Ut,{modelValue:_.value,"onUpdate:modelValue":T=>{_.value=T},type:"number",min:0})]),Nu(Wu,{label:"Restore",icon:"i-lucide-archive-restore",loading:k.value,disabled:!!i.error,onClick:O})])])},J=()=>y.value?q():Nu("div",{class:"space-y-2"},[x.value&&!w.value.length?Nu("p",{class:"py-4 text-center text-sm text-muted"},"Loading archives…"):w.value.length?Nu("div",{class:"divide-y divide-default"},w.value.map(H)):Nu("p",{class:"py-4 text-center text-sm text-muted"},"No archives yet. Rules with archiving write one when entries expire."),b.value.last_page>1?Nu("div",{class:"flex items-center justify-center gap-2"},[Nu(Wu,{variant:"ghost",size:"xs",icon:"i-lucide-chevron-left",disabled:b.value.current_page<=1,onClick:()=>U(b.value.current_page-1)}),Nu("span",{class:"text-xs text-muted"},`Page ${b.value.current_page} of ${b.value.last_page}`),Nu(Wu,{variant:"ghost",size:"xs",icon:"i-lucide-chevron-right",disabled:b.value.current_page>=b.value.last_page,onClick:()=>U(b.value.current_page+1)})]):null]);return()=>Nu(Tu,{open:n.value,"onUpdate:open":i=>{n.value=i},title:"Retention & Archives",description:"How long audit log entries are kept, and the archives of expired entries.",class:"sm:max-w-4xl"},{body:()=>Nu("div",{class:"space-y-4"},[Nu("div",{class:"flex items-center gap-1 border-b border-default"},[["rules","Rules","i-lucide-timer"],["archives","Archives","i-lucide-archive"]].map(([i,g,T])=>Nu(Wu,{key:i,variant:"link",color:r.value===i?"primary":"neutral",icon:T,label:g,class:r.value===i?"border-b-2 border-primary rounded-none":"rounded-none",onClick:()=>{r.value=i}}))),a.value?Nu("p",{class:"py-6 text-center text-sm text-error"},a.value):l.value?s.value&&!c.value.length&&r.value==="rules"?Nu("p",{class:"py-6 text-center text-sm text-muted"},"Loading retention rules…"):r.value==="rules"?Y():J():Nu("p",{class:"py-6 text-center text-sm text-muted"},"Retention needs the audit_log_retention_rules migration. Run pending migrations to configure it.")]),footer:()=>Nu("div",{class:"flex justify-between gap-2 w-full"},[r.value==="rules"&&l.value?Nu(Wu,{variant:"outline",icon:"i-lucide-play",label:"Apply Rules Now",loading:h.value,disabled:!c.value.some(i=>i.enabled),onClick:P}):Nu("span"),Nu(Wu,{variant:"ghost",label:"Close",onClick:()=>{n.value=!1}})])})}});export{ge as _};
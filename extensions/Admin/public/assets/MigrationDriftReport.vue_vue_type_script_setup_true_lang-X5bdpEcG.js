@@ -0,0 +1 @@
+import{_ as Xc}from"./Card-3ffy2SwE.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{d as ph,r as Ve,E as Gu,av as Nu,ah as Wu,am as Qu,af as Rf,at as Hu}from"./index-CvplhhIg.js";const Mh={table:"Table",column:"Column",index:"Index",foreign_key:"Foreign key"},Bh={missing:{color:"warning",label:"missing"},extra:{color:"info",label:"not in migrations"}},Th=e=>e?new Date(e.replace(" ","T")).toLocaleString():"",Vh=e=>{const t=e.definition;return t?e.type==="column"?`${t.type}${t.nullable?", nullable":""}`:e.type==="index"?`(${t.columns.join(", ")})${t.unique?" unique":""}`:e.type==="foreign_key"?`${t.column} → ${t.references_table}.${t.references_column}`:"":""},Ah=e=>{const t=[];return e.missing&&t.push(`${e.missing} missing`),e.extra&&t.push(`${e.extra} not in migrations`),t.join(", ")},ge=ph({__name:"MigrationDriftReport",props:{refreshKey:{type:Number,default:0}},setup(e){const t=Ve(null),o=Ve(!1),n=Ve(""),r=Ve(null),s=Rf(),l=async()=>{o.value=!0,n.value="";try{t.value=(await Hu.migrations.getSchemaDrift()).data}catch(u){n.value=u.message||"Failed to check schema drift"}finally{o.value=!1}};Gu(()=>e.refreshKey,()=>{t.value&&l()});const c=d=>Nu("li",{key:`${d.type}:${d.name}`,class:"flex items-center gap-2 text-sm"},[Nu(Ek,{color:Bh[d.status].color,variant:"subtle",size:"sm",label:Bh[d.status].label}),Nu("span",{class:"text-xs text-muted w-20 shrink-0"},Mh[d.type]),Nu("span",{class:"font-mono"},d.name),Nu("span",{class:"text-xs text-muted truncate"},Vh(d)),d.type!=="table"&&d.history_ids.length?Nu("span",{class:"ml-auto text-xs text-primary shrink-0"},`${d.history_ids.length} history ${d.history_ids.length===1?"entry":"entries"}`):null]),i=u=>{const d=u.schema_history.entries,p=r.value===u.table,m=new Set(u.differences.flatMap(x=>x.type==="table"?[]:x.history_ids));return Nu("div",{key:u.table,class:"py-3 space-y-2"},[Nu("div",{class:"flex items-center gap-2"},[Nu(Qu,{name:"i-lucide-table",class:"size-4 text-muted"}),Nu("span",{class:"font-medium font-mono text-sm"},u.table),Nu("div",{class:"ml-auto flex items-center gap-1"},[d.length?Nu(Wu,{variant:"ghost",size:"xs",icon:p?"i-lucide-chevron-up":"i-lucide-history",label:`Schema history (${d.length})`,onClick:()=>{r.value=p?null:u.table}}):Nu("span",{class:"text-xs text-muted"},"No schema history"),u.differences.some(x=>x.type==="table"&&x.status==="missing")?null:Nu(Wu,{variant:"ghost",size:"xs",icon:"i-lucide-external-link",label:"Open table",onClick:()=>s.push(`/tables/${encodeURIComponent(u.table)}`)})])]),Nu("ul",{class:"ml-6 space-y-1"},u.differences.map(c)),p?Nu("ul",{class:"ml-6 space-y-2 border-l border-default pl-3"},d.map(x=>Nu("li",{key:x.id,class:m.has(x.id)?"text-sm":"text-sm opacity-60"},[Nu("div",{class:"flex items-center gap-2"},[Nu("span",{class:"font-medium"},x.action),Nu("span",{class:"text-xs text-muted"},Th(x.created_at)),x.status&&x.status!=="success"?Nu(Ek,{color:"error",variant:"subtle",size:"sm",label:x.status}):null]),x.statement?Nu("pre",{class:"mt-1 text-xs font-mono whitespace-pre-wrap bg-elevated rounded-md p-2"},x.statement):null]))):null])};return()=>Nu(Xc,null,{header:()=>Nu("div",{class:"flex items-center justify-between"},[Nu("div",null,[Nu("h3",{class:"text-lg font-medium"},"Schema Drift"),Nu("p",{class:"text-sm text-muted"},"Compare the schema the applied migrations describe with the live database")]),Nu(Wu,{variant:"outline",size:"sm",icon:"i-lucide-scan-search",label:t.value?"Check again":"Check drift",loading:o.value,onClick:l})]),default:()=>n.value?Nu("p",{class:"py-6 text-center text-sm text-error"},n.value):t.value?Nu("div",{class:"space-y-3"},[Nu("div",{class:"flex items-center gap-2 text-sm"},[Nu(Qu,{name:t.value.drifted?"i-lucide-triangle-alert":"i-lucide-circle-check",class:t.value.drifted?"size-4 text-warning":"size-4 text-success"}),Nu("span",null,t.value.drifted?`Drift in ${t.value.tables.length} table${t.value.tables.length===1?"":"s"}: ${Ah(t.value.summary)}`:"The live schema matches the applied migrations"),Nu("span",{class:"ml-auto text-xs text-muted"},`Checked ${Th(t.value.checked_at)}`)]),Object.keys(t.value.replay_errors).length?Nu("div",{class:"rounded-md bg-warning/10 p-3 text-xs space-y-1"},[Nu("p",{class:"font-medium text-warning"},"These migrations could not be replayed and are left out of the expected schema:"),...Object.entries(t.value.replay_errors).map(([u,d])=>Nu("p",{key:u,class:"font-mono"},`${u}: ${d}`))]):null,t.value.tables.length?Nu("div",{class:"divide-y divide-default"},t.value.tables.map(i)):null]):Nu("p",{class:"py-6 text-center text-sm text-muted"},o.value?"Replaying applied migrations…":"Tables, columns, indexes and foreign keys changed outside of migrations will be listed here")})}});export{ge as _};
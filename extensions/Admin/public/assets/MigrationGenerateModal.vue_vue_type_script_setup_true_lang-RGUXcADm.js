@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ut}from"./Input-C5IL3dmi.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,af as Cu,at as Hu}from"./index-CvplhhIg.js";const Fm=/^[a-z][a-z0-9_]*[a-z0-9]$/,Bm=e=>`alter_${e}_table`,Lm=(e,t)=>{const o=document.createElement("a");o.href=URL.createObjectURL(new Blob([e],{type:"text/x-php"})),o.download=t,o.click(),URL.revokeObjectURL(o.href)},ge=ph({__name:"MigrationGenerateModal",props:{open:{type:Boolean,default:!1},tableName:{type:String,required:!0,default:""},changes:{type:Array,default:()=>[]}},emits:["update:open","written"],setup(e,{emit:t}){const o=ju(),n=Cu(),r=Ve(""),s=Ve(""),a=Ve(null),l=Ve(null),c=Ve(""),u=Ve(null),d=At({get:()=>e.open,set:i=>t("update:open",i)}),p=At(()=>r.value.trim()),m=At(()=>p.value!==""&&!Fm.test(p.value)),f=async i=>{if(m.value)return;l.value=i?"write":"generate",c.value="";try{const x=(await Hu.migrations.generateMigration({table_name:e.tableName,changes:e.changes,name:p.value||void 0,description:s.value.trim()||void 0,write:i})).data;a.value=x,i&&(u.value=x,t("written",x),o.success({title:"Migration created",description:`${x.file_name} was added to database/migrations and is now pending`}))}catch(x){a.value=null,c.value=x.message||"Failed to generate the migration"}finally{l.value=null}};Gu(()=>e.open,i=>{i&&(r.value=Bm(e.tableName),s.value="",a.value=null,u.value=null,c.value="",f(!1))});const h=()=>Nu("div",{class:"grid grid-cols-1 sm:grid-cols-2 gap-4"},[Nu("div",{class:"space-y-1"},[Nu("label",{class:"text-sm font-medium"},"Name"),Nu(Ut,{modelValue:r.value,"onUpdate:modelValue":i=>{r.value=i},placeholder:Bm(e.tableName),color:m.value?"error":void 0,disabled:!!u.value,class:"w-full"}),Nu("p",{class:m.value?"text-xs text-error":"text-xs text-muted"},m.value?"Use lowercase letters, numbers and underscores":"snake_case, turned into the class name")]),Nu("div",{class:"space-y-1"},[Nu("label",{class:"text-sm font-medium"},"Description"),Nu(Ut,{modelValue:s.value,"onUpdate:modelValue":i=>{s.value=i},placeholder:"Generated from the changes",disabled:!!u.value,class:"w-full"})])]),g=()=>c.value?Nu("div",{class:"flex items-start gap-2 p-3 rounded-md bg-error/10 text-error text-sm"},[Nu(Qu,{name:"i-lucide-circle-alert",class:"size-4 mt-0.5 shrink-0"}),Nu("span",c.value)]):a.value?Nu("div",{class:"space-y-2"},[Nu("div",{class:"flex items-center justify-between gap-2"},[Nu("span",{class:"text-sm font-mono"},a.value.file_name),u.value?Nu("span",{class:"flex items-center gap-1 text-xs text-success"},[Nu(Qu,{name:"i-lucide-check",class:"size-4"}),"Written to database/migrations"]):Nu("span",{class:"text-xs text-muted"},"Not saved yet")]),Nu("pre",{class:"text-xs font-mono bg-elevated rounded-md p-3 overflow-auto max-h-96"},a.value.content)]):Nu("div",{class:"flex items-center justify-center gap-2 py-10 text-sm text-muted"},[Nu(Qu,{name:"i-lucide-loader-circle",class:"size-4 animate-spin"}),"Generating migration..."]);return()=>Nu(Tu,{open:d.value,"onUpdate:open":i=>d.value=i,title:`Generate Migration for ${e.tableName}`,description:"up() applies the pending changes and down() reverts them, so they can be run on other environments.",class:"sm:max-w-4xl",ui:{footer:"flex justify-end space-x-2"}},{body:()=>Nu("div",{class:"space-y-4"},[h(),g()]),footer:()=>Nu("div",{class:"flex justify-between items-center w-full gap-2"},[Nu(Wu,{color:"neutral",variant:"soft",label:"Close",onClick:()=>{d.value=!1}}),Nu("div",{class:"flex gap-2"},u.value?[Nu(Wu,{color:"neutral",variant:"outline",icon:"i-lucide-download",label:"Download",onClick:()=>Lm(u.value.content,u.value.file_name)}),Nu(Wu,{icon:"i-lucide-list-checks",label:"View Migrations",onClick:()=>{d.value=!1,n.push("/migrations")}})]:[Nu(Wu,{color:"neutral",variant:"outline",icon:"i-lucide-refresh-cw",label:"Regenerate",loading:l.value==="generate",disabled:m.value||!!l.value,onClick:()=>f(!1)}),Nu(Wu,{color:"neutral",variant:"outline",icon:"i-lucide-download",label:"Download",disabled:!a.value||!!l.value,onClick:()=>Lm(a.value.content,a.value.file_name)}),Nu(Wu,{icon:"i-lucide-file-plus",label:"Write to database/migrations",loading:l.value==="write",disabled:m.value||!a.value||!!l.value,onClick:()=>f(!0)})])])})}});export{ge as _};
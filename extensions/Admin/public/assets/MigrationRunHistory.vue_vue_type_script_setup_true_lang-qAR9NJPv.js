@@ -0,0 +1 @@
+import{_ as Xc}from"./Card-3ffy2SwE.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{d as ph,r as Ve,E as Gu,A as Ou,av as Nu,ah as Wu,am as Qu,at as Hu}from"./index-CvplhhIg.js";const Sh={success:"success",partial:"warning",failed:"error"},Dh=e=>e<1e3?`${e} ms`:`${(e/1e3).toFixed(e<1e4?1:0)} s`,Th=e=>e?new Date(e.replace(" ","T")).toLocaleString():"",Ih=e=>{const t=e.succeeded.length,o=e.action==="rollback"?"Rolled back":"Applied";return`${o} ${t} of ${e.migrations.length} migration${e.migrations.length===1?"":"s"}`},ge=ph({__name:"MigrationRunHistory",props:{refreshKey:{type:Number,default:0}},setup(e){const t=Ve([]),o=Ve(!1),n=Ve(""),r=Ve(1),s=Ve(!1),a=Ve(null),l=async(u=1)=>{var d;o.value=!0,n.value="";try{const p=await Hu.migrations.getMigrationRuns({page:u,per_page:20}),m=Array.isArray(p.data)?p.data:[];t.value=u===1?m:[...t.value,...m],r.value=u,s.value=(((d=p.meta)==null?void 0:d.last_page)??p.last_page??1)>u}catch(p){n.value=p.message||"Failed to load the run history"}finally{o.value=!1}};Gu(()=>e.refreshKey,()=>l(1)),Ou(()=>l(1));const c=u=>Nu("div",{key:u.uuid,class:"py-3"},[Nu("button",{type:"button",class:"w-full flex items-center gap-3 text-left",onClick:()=>{a.value=a.value===u.uuid?null:u.uuid}},[Nu(Qu,{name:u.action==="rollback"?"i-lucide-undo-2":"i-lucide-play",class:"size-4 text-muted shrink-0"}),Nu("div",{class:"flex-1 min-w-0"},[Nu("div",{class:"flex items-center gap-2"},[Nu("span",{class:"text-sm font-medium"},Ih(u)),u.batch!=null?Nu("span",{class:"text-xs text-muted"},`batch ${u.batch}`):null]),Nu("p",{class:"text-xs text-muted"},`${Th(u.created_at)}${u.created_by_username?` by ${u.created_by_username}`:""} · ${Dh(u.duration_ms)}`)]),Nu(Ek,{color:Sh[u.status]||"neutral",variant:"subtle",size:"sm",label:u.status}),Nu(Qu,{name:a.value===u.uuid?"i-lucide-chevron-up":"i-lucide-chevron-down",class:"size-4 text-muted"})]),a.value===u.uuid?Nu("div",{class:"mt-2 ml-7 space-y-2"},[Nu("ul",{class:"space-y-1"},u.migrations.map(d=>Nu("li",{key:d,class:"flex items-center gap-2 text-xs font-mono"},[Nu(Qu,{name:u.failed.includes(d)?"i-lucide-x":u.succeeded.includes(d)?"i-lucide-check":"i-lucide-minus",class:u.failed.includes(d)?"size-3.5 text-error":u.succeeded.includes(d)?"size-3.5 text-success":"size-3.5 text-muted"}),d]))),u.output?Nu("pre",{class:"text-xs font-mono text-error whitespace-pre-wrap bg-error/10 rounded-md p-2"},u.output):null]):null]);return()=>Nu(Xc,null,{header:()=>Nu("div",{class:"flex items-center justify-between"},[Nu("h3",{class:"text-lg font-medium"},"Run History"),Nu(Wu,{variant:"ghost",size:"sm",icon:"i-lucide-refresh-cw",loading:o.value&&r.value===1,onClick:()=>l(1)})]),default:()=>n.value?Nu("p",{class:"py-6 text-center text-sm text-error"},n.value):!t.value.length&&!o.value?Nu("p",{class:"py-6 text-center text-sm text-muted"},"No migrations have been run from the admin panel yet"):Nu("div",null,[Nu("div",{class:"divide-y divide-default"},t.value.map(c)),s.value?Nu("div",{class:"pt-3 text-center"},[Nu(Wu,{variant:"ghost",size:"sm",label:"Load more",loading:o.value,onClick:()=>l(r.value+1)})]):null])})}});export{ge as _};
@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,at as Hu}from"./index-CvplhhIg.js";const Rm=e=>`${e} migration${e===1?"":"s"}`,ge=ph({__name:"MigrationRunModal",props:{open:{type:Boolean,default:!1},action:{type:String,default:"migrate"},migrations:{type:Array,default:()=>[]}},emits:["update:open","completed"],setup(e,{emit:t}){const o=ju(),n=Ve([]),r=Ve(!1),s=Ve(""),a=Ve(!1),l=Ve(null),c=At({get:()=>e.open,set:i=>t("update:open",i)}),u=At(()=>e.action==="rollback"),d=At(()=>n.value.filter(i=>i.error).length),p=i=>u.value?Hu.migrations.rollbackMigrations({migration:e.migrations[0],dry_run:i}):Hu.migrations.runMigrations({migrations:e.migrations,dry_run:i}),m=async()=>{r.value=!0,s.value="",n.value=[];try{n.value=(await p(!0)).data.previews||[]}catch(i){s.value=i.message||"Failed to preview the SQL"}finally{r.value=!1}},f=async()=>{a.value=!0;try{const i=await p(!1),x=i.data,w=(u.value?x.reverted:x.applied)||[];l.value=x,t("completed",x),x.failed&&x.failed.length?o.warn({title:u.value?"Rollback Incomplete":"Migrations Incomplete",description:i.message}):o.success({title:u.value?"Rolled Back":"Migrations Applied",description:`${Rm(w.length)} ${u.value?"rolled back":"applied"} successfully`})}catch(i){o.error({title:u.value?"Rollback Failed":"Migration Failed",description:i.message||"The run could not be started"})}finally{a.value=!1}};Gu(()=>e.open,i=>{i&&(l.value=null,m())});const h=i=>Nu("div",{class:"border border-default rounded-md"},[Nu("div",{class:"flex items-center justify-between gap-2 px-3 py-2 border-b border-default"},[Nu("span",{class:"font-mono text-sm truncate"},i.file),i.error?Nu(Ek,{color:"error",variant:"subtle",size:"sm",label:"Preview failed"}):Nu(Ek,{color:"neutral",variant:"subtle",size:"sm",label:`${i.statements.length} statement${i.statements.length===1?"":"s"}`})]),i.error?Nu("p",{class:"px-3 py-2 text-xs text-error"},i.error):null,i.statements.length?Nu("pre",{class:"text-xs font-mono p-3 overflow-auto max-h-64 bg-elevated/50"},i.statements.join("\n\n")):i.error?null:Nu("p",{class:"px-3 py-2 text-xs text-muted"},"No SQL statements")]),g=()=>{const i=l.value,x=(u.value?i.reverted:i.applied)||[];return Nu("div",{class:"space-y-2"},[...x.map(w=>Nu("div",{key:w,class:"flex items-center gap-2 text-sm"},[Nu(Qu,{name:"i-lucide-check",class:"size-4 text-success"}),Nu("span",{class:"font-mono"},w)])),...(i.failed||[]).map(w=>Nu("div",{key:w,class:"space-y-1"},[Nu("div",{class:"flex items-center gap-2 text-sm"},[Nu(Qu,{name:"i-lucide-x",class:"size-4 text-error"}),Nu("span",{class:"font-mono"},w)]),Nu("pre",{class:"text-xs font-mono text-error whitespace-pre-wrap bg-error/10 rounded-md p-2"},(i.errors||{})[w]||"Unknown error")]))])},v=()=>r.value?Nu("div",{class:"flex items-center justify-center gap-2 py-10 text-sm text-muted"},[Nu(Qu,{name:"i-lucide-loader-circle",class:"size-4 animate-spin"}),"Previewing SQL..."]):s.value?Nu("div",{class:"flex items-start gap-2 p-3 rounded-md bg-error/10 text-error text-sm"},[Nu(Qu,{name:"i-lucide-circle-alert",class:"size-4 mt-0.5 shrink-0"}),Nu("span",s.value)]):Nu("div",{class:"space-y-3"},[d.value?Nu("p",{class:"text-sm text-warning"},`${Rm(d.value)} could not be previewed. Previews run against the current schema, so a migration that depends on an earlier one in this run may fail here and still succeed.`):null,...n.value.map(h)]);return()=>Nu(Tu,{open:c.value,"onUpdate:open":i=>{a.value||(c.value=i)},title:u.value?e.migrations.length===1&&e.migrations[0]?`Roll Back ${e.migrations[0]}`:"Roll Back Last Batch":"Run Migrations",description:l.value?"Run finished. It has been added to the run history.":u.value?"The SQL below runs the down() method of each migration, newest first.":"The SQL below runs the up() method of each migration, in order, as one batch.",class:"sm:max-w-4xl",ui:{footer:"flex justify-end space-x-2"}},{body:()=>l.value?g():v(),footer:()=>Nu("div",{class:"flex justify-end gap-2 w-full"},l.value?[Nu(Wu,{label:"Close",onClick:()=>{c.value=!1}})]:[Nu(Wu,{color:"neutral",variant:"soft",label:"Cancel",disabled:a.value,onClick:()=>{c.value=!1}}),Nu(Wu,{color:u.value?"error":"primary",icon:u.value?"i-lucide-undo-2":"i-lucide-play",label:`${u.value?"Roll Back":"Run"} ${Rm(n.value.length)}`,loading:a.value,disabled:r.value||!!s.value||!n.value.length,onClick:f})])})}});export{ge as _};
@@ -0,0 +1 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ut}from"./Input-C5IL3dmi.js";import{_ as Tx}from"./Textarea-CrA6wPU_.js";import{_ as Fk}from"./FormField-VDwBeIdM.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{_ as Cx}from"./Checkbox-DpWF0v5s.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,at as Hu}from"./index-CvplhhIg.js";const Th=e=>e?new Date(String(e).replace(" ","T")).toLocaleDateString():"",Pl=(e,t,o)=>`${e} ${e===1?t:o}`,Mb=e=>({name:e&&e.name||"",slug:e&&e.slug||"",description:e&&e.description||"",category:e&&e.category||"",resource_type:e&&e.resource_type||""}),ge=ph({__name:"PermissionEditModal",props:{open:{type:Boolean,default:!1},permission:{type:Object,default:null},mode:{type:String,default:"edit"},categories:{type:Array,default:()=>[]},resourceTypes:{type:Array,default:()=>[]}},emits:["update:open","saved"],setup(e,{emit:t}){const o=ju(),n=At({get:()=>e.open,set:i=>t("update:open",i)}),r=Ve(Mb(null)),s=Ve(null),a=Ve(!1),l=Ve(""),c=Ve(!1),u=Ve(!1),d=At(()=>e.mode==="delete"),p=At(()=>!!(e.permission&&e.permission.is_system)),f=At(()=>!!s.value&&(s.value.roles.length>0||s.value.users.length>0)),m=async()=>{if(e.permission){a.value=!0,l.value="",s.value=null;try{const i=await Hu.permissions.getPermissionImpact(e.permission.uuid);s.value=i.data||null}catch(i){l.value=i.message||"Failed to load where this permission is used"}finally{a.value=!1}}};Gu(()=>[e.open,e.permission],([i])=>{i&&(r.value=Mb(e.permission),u.value=!1,m())},{immediate:!0});const h=async()=>{if(!r.value.name.trim()){o.warn({title:"Validation Error",description:"Permission name is required"});return}const i={name:r.value.name.trim(),description:r.value.description,category:r.value.category.trim()||null,resource_type:r.value.resource_type.trim()||null};p.value||(i.slug=r.value.slug.trim()),c.value=!0;try{await Hu.permissions.updatePermission(e.permission.uuid,i),o.success({title:"Permission Updated",description:`Permission "${i.name}" updated successfully.`}),t("saved"),n.value=!1}catch(g){o.error({title:"Error",description:g.message||"Failed to update permission"})}finally{c.value=!1}},y=async()=>{c.value=!0;try{await Hu.permissions.deletePermission(e.permission.uuid,f.value),o.success({title:"Permission Deleted",description:`Permission "${e.permission.name}" deleted.`}),t("saved"),n.value=!1}catch(i){o.error({title:"Error",description:i.message||"Failed to delete permission"})}finally{c.value=!1}},b=()=>{const i=s.value,g=i.users.length;return Nu("div",{class:"rounded-md border border-warning/40 bg-warning/10 p-3 space-y-3"},[Nu("div",{class:"flex items-start gap-2"},[Nu(Qu,{name:"i-heroicons-exclamation-triangle",class:"size-5 text-warning shrink-0"}),Nu("p",{class:"text-sm"},d.value?`Deleting this permission removes it from ${Pl(i.roles.length,"role","roles")} and ${Pl(i.user_count,"user","users")}.`:`Changes apply to ${Pl(i.roles.length,"role","roles")} and ${Pl(i.user_count,"user","users")} straight away.`)]),i.roles.length?Nu("div",{class:"space-y-1"},[Nu("p",{class:"text-xs font-medium uppercase text-muted"},"Roles"),...i.roles.map(T=>Nu("div",{key:T.uuid,class:"flex items-center justify-between gap-2 text-sm"},[Nu("span",{class:"truncate"},[T.name,T.inherited_from?Nu("span",{class:"text-xs text-muted"},` · inherited from ${T.inherited_from}`):null]),Nu("span",{class:"text-xs text-muted shrink-0"},Pl(T.user_count,"user","users"))]))]):null,g?Nu("div",{class:"space-y-1"},[Nu("p",{class:"text-xs font-medium uppercase text-muted"},"Users"),...i.users.map(T=>Nu("div",{key:T.uuid,class:"flex items-center justify-between gap-2 text-sm"},[Nu("span",{class:"truncate"},T.username||T.email||T.uuid),Nu("div",{class:"flex items-center gap-1 shrink-0"},[T.direct?Nu(Ek,{color:"warning",variant:"subtle",size:"sm",label:T.expires_at?`Direct until ${Th(T.expires_at)}`:"Direct"}):null,T.roles.length?Nu("span",{class:"text-xs text-muted"},`via ${T.roles.join(", ")}`):null])])),i.user_count>g?Nu("p",{class:"text-xs text-muted"},`and ${i.user_count-g} more`):null]):null])},x=()=>a.value?Nu("p",{class:"py-2 text-sm text-muted"},"Checking where this permission is used…"):l.value?Nu("p",{class:"py-2 text-sm text-error"},l.value):f.value?b():Nu("p",{class:"py-2 text-sm text-muted"},"No roles or users hold this permission."),v=(i,g,T)=>Nu(Fk,{label:i,help:T},{default:()=>g}),U=(i,g)=>[Nu(Ut,{modelValue:r.value[i],list:`permission-${i}-options`,class:"w-full","onUpdate:modelValue":T=>{r.value[i]=T}}),Nu("datalist",{id:`permission-${i}-options`},g.map(T=>Nu("option",{key:T,value:T})))],w=()=>Nu("div",{class:"space-y-4"},[v("Permission Name",Nu(Ut,{modelValue:r.value.name,class:"w-full","onUpdate:modelValue":i=>{r.value.name=i}})),v("Slug",Nu(Ut,{modelValue:r.value.slug,disabled:p.value,class:"w-full font-mono","onUpdate:modelValue":i=>{r.value.slug=i}}),p.value?"System permission slugs cannot be changed":"Code that checks this slug must be updated as well"),v("Description",Nu(Tx,{modelValue:r.value.description,rows:3,class:"w-full","onUpdate:modelValue":i=>{r.value.description=i}})),Nu("div",{class:"grid grid-cols-2 gap-4"},[v("Category",U("category",e.categories)),v("Resource Type",U("resource_type",e.resourceTypes))]),x()]),C=()=>Nu("div",{class:"space-y-4"},[Nu("p",{class:"text-sm"},["Delete ",Nu("span",{class:"font-medium"},e.permission.name)," (",Nu("span",{class:"font-mono"},e.permission.slug),")?"]),p.value?Nu("p",{class:"text-sm text-error"},"System permissions cannot be deleted."):x(),f.value&&!p.value?Nu(Cx,{modelValue:u.value,label:"Remove it from these roles and users and delete it","onUpdate:modelValue":i=>{u.value=!!i}}):null]);return()=>Nu(Tu,{open:n.value,"onUpdate:open":i=>{n.value=i},title:d.value?"Delete Permission":"Edit Permission",class:"sm:max-w-xl"},{body:()=>e.permission?d.value?C():w():null,footer:()=>Nu("div",{class:"flex justify-end gap-2 w-full"},[Nu(Wu,{variant:"ghost",label:"Cancel",onClick:()=>{n.value=!1}}),d.value?Nu(Wu,{color:"error",icon:"i-heroicons-trash",label:"Delete Permission",loading:c.value,disabled:p.value||a.value||!!l.value||f.value&&!u.value,onClick:y}):Nu(Wu,{color:"primary",icon:"i-heroicons-check",label:"Save Changes",loading:c.value,disabled:a.value,onClick:h})])})}});export{ge as _};
@@ -0,0 +1,2 @@
+import{_ as Ut}from"./Input-C5IL3dmi.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,av as Nu,ah as Wu,am as Qu,at as Hu}from"./index-CvplhhIg.js";const Th=e=>e?new Date(String(e).replace(" ","T")).toLocaleDateString():"",Ku=e=>Array.isArray(e)?e:e&&Array.isArray(e.data)?e.data:[],Sh={direct:"warning",role:"primary",inherited:"neutral"},Xl=e=>e.type==="direct"?"Direct grant":e.type==="inherited"?`${e.role} (inherits from ${e.inherited_from})`:e.role,Bq=e=>`"${String(e??"").replace(/"/g,'""')}"`,Rq=(e,t)=>{const o=e.map(s=>s.map(Bq).join(",")).join(`\r
+`),n=new Blob([o],{type:"text/csv;charset=utf-8;"}),r=document.createElement("a");r.href=URL.createObjectURL(n),r.download=t,r.click(),URL.revokeObjectURL(r.href)},Fq=e=>String(e).replace(/[^a-z0-9._-]+/gi,"_"),ge=ph({__name:"PermissionExplorer",setup(e){const t=ju(),o=Ve("user"),n=Ve(""),r=Ve([]),s=Ve(!1),a=Ve(null),l=Ve(!1),c=Ve(""),u=Ve(""),d=Ve("*"),p=Ve(null),f=Ve(!1),m=Ve(null),y=Ve(""),b=async()=>{const i=n.value.trim();s.value=!0;try{const g=o.value==="user"?await Hu.users.getAllUsers({search:i,per_page:10}):await Hu.permissions.getAllPermissions({search:i,per_page:10});r.value=Ku(g.data)}catch(g){t.error({title:"Search Failed",description:g.message||"Search failed"})}finally{s.value=!1}},x=async i=>{r.value=[],l.value=!0,y.value="",c.value="",p.value=null;try{const g=o.value==="user"?await Hu.users.getUserPermissionTrace(i.uuid):await Hu.permissions.getPermissionHolders(i.uuid);o.value==="user"?a.value=g.data||null:m.value=g.data||null}catch(g){y.value=g.message||"Failed to load access"}finally{l.value=!1}},v=i=>{o.value!==i&&(o.value=i,n.value="",r.value=[],y.value="",c.value="")},U=async()=>{const i=a.value&&a.value.user,g=u.value.trim();if(!(!i||!g)){f.value=!0;try{const T=await Hu.permissions.checkUserPermission(i.uuid,g,d.value.trim()||"*");p.value={slug:g,resource:d.value.trim()||"*",allowed:!!(T.data&&T.data.has_permission)}}catch(T){t.error({title:"Check Failed",description:T.message||"Failed to check permission"})}finally{f.value=!1}}},w=At(()=>{const i=a.value?a.value.permissions:[],g=c.value.trim().toLowerCase();return g?i.filter(T=>T.slug.toLowerCase().includes(g)||T.name.toLowerCase().includes(g)):i}),C=At(()=>{const i=m.value?m.value.holders:[],g=c.value.trim().toLowerCase();return g?i.filter(T=>[T.username,T.email,T.uuid].some(S=>S&&S.toLowerCase().includes(g))):i}),P=()=>{const{user:i,permissions:g}=a.value,T=[["Username","Email","Permission","Permission name","Source","Role","Inherited from","Resource","Expires at"]];g.forEach(S=>S.sources.forEach(M=>T.push([i.username,i.email,S.slug,S.name,M.type,M.role,M.inherited_from,M.resource,M.expires_at]))),Rq(T,`access_${Fq(i.username||i.uuid)}_${new Date().toISOString().slice(0,10)}.csv`)},M=()=>{const{permission:i,holders:g}=m.value,T=[["Permission","User UUID","Username","Email","Source","Role","Inherited from","Resource","Expires at"]];g.forEach(S=>S.sources.forEach(z=>T.push([i.slug,S.uuid,S.username,S.email,z.type,z.role,z.inherited_from,z.resource,z.expires_at]))),Rq(T,`holders_${Fq(i.slug)}_${new Date().toISOString().slice(0,10)}.csv`)},z=i=>Nu("div",{class:"space-y-1"},i.map((g,T)=>Nu("div",{key:T,class:"flex flex-wrap items-center gap-2 text-sm"},[Nu(Ek,{color:Sh[g.type]||"neutral",variant:"subtle",size:"sm",label:g.type,class:"capitalize"}),Nu("span",null,Xl(g)),g.resource&&g.resource!=="*"?Nu("span",{class:"text-xs font-mono text-muted"},`on ${g.resource}`):null,Nu("span",{class:g.expires_at?"text-xs text-warning":"text-xs text-dimmed"},g.expires_at?`until ${Th(g.expires_at)}`:"no expiry")]))),W=(i,g)=>Nu("div",{class:"overflow-x-auto rounded-md border border-default"},Nu("table",{class:"min-w-full text-left divide-y divide-default"},[Nu("thead",null,Nu("tr",null,i.map(T=>Nu("th",{key:T,class:"px-3 py-2 text-xs font-medium uppercase text-muted"},T)))),Nu("tbody",{class:"divide-y divide-default"},g)])),j=()=>{const{user:i,roles:g}=a.value,T=p.value,S=T?(a.value.permissions.find(L=>L.slug===T.slug)||{sources:[]}).sources.filter(L=>L.resource==="*"||L.resource===T.resource):[];return Nu("div",{class:"space-y-4"},[Nu("div",{class:"flex flex-wrap items-start justify-between gap-2"},[Nu("div",{class:"space-y-1"},[Nu("p",{class:"text-base font-semibold"},i.username||i.uuid),Nu("p",{class:"text-sm text-muted"},i.email),Nu("div",{class:"flex flex-wrap gap-1"},g.length?g.map(L=>Nu(Ek,{key:L.uuid,color:"primary",variant:"outline",size:"sm",label:L.expires_at?`${L.name} · until ${Th(L.expires_at)}`:L.name})):[Nu("span",{class:"text-xs text-muted"},"No roles")])]),Nu(Wu,{variant:"outline",size:"sm",icon:"i-heroicons-arrow-down-tray",label:"Export CSV",disabled:!a.value.permissions.length,onClick:P})]),Nu("div",{class:"rounded-md border border-default p-3 space-y-2"},[Nu("p",{class:"text-sm font-medium"},"Can this user…"),Nu("div",{class:"flex flex-wrap gap-2"},[Nu(Ut,{modelValue:u.value,placeholder:"Permission slug, e.g. invoices.delete",class:"w-72 font-mono","onUpdate:modelValue":L=>{u.value=L},onKeydown:L=>{L.key==="Enter"&&U()}}),Nu(Ut,{modelValue:d.value,placeholder:"Resource",class:"w-40 font-mono","onUpdate:modelValue":L=>{d.value=L}}),Nu(Wu,{size:"sm",label:"Check",loading:f.value,disabled:!u.value.trim(),onClick:U})]),T?Nu("div",{class:"space-y-2"},[Nu("div",{class:"flex items-center gap-2 text-sm"},[Nu(Qu,{name:T.allowed?"i-heroicons-check-circle":"i-heroicons-x-circle",class:T.allowed?"size-5 text-success":"size-5 text-error"}),Nu("span",null,[T.allowed?"Allowed to ":"Not allowed to ",Nu("span",{class:"font-mono"},T.slug),T.resource!=="*"?Nu("span",{class:"font-mono"},` on ${T.resource}`):null])]),S.length?z(S):Nu("p",{class:"text-xs text-muted"},T.allowed?"Allowed by a rule outside the role and grant tables, such as a permission provider.":"No direct grant or role gives this permission.")]):null]),Nu(Ut,{modelValue:c.value,icon:"i-heroicons-funnel",placeholder:"Filter permissions",class:"w-64","onUpdate:modelValue":L=>{c.value=L}}),w.value.length?W(["Permission","Granted by"],w.value.map(L=>Nu("tr",{key:L.uuid},[Nu("td",{class:"px-3 py-2 align-top"},[Nu("p",{class:"text-sm font-medium"},L.name),Nu("p",{class:"text-xs font-mono text-muted"},L.slug)]),Nu("td",{class:"px-3 py-2"},z(L.sources))]))):Nu("p",{class:"py-8 text-center text-sm text-muted"},a.value.permissions.length?"No permissions match this filter.":"This user has no permissions.")])},L=()=>{const{permission:i,total:g}=m.value;return Nu("div",{class:"space-y-4"},[Nu("div",{class:"flex flex-wrap items-start justify-between gap-2"},[Nu("div",{class:"space-y-1"},[Nu("p",{class:"text-base font-semibold"},i.name),Nu("p",{class:"text-sm font-mono text-muted"},i.slug),Nu("p",{class:"text-sm text-muted"},`${g} ${g===1?"user holds":"users hold"} this permission`)]),Nu(Wu,{variant:"outline",size:"sm",icon:"i-heroicons-arrow-down-tray",label:"Export CSV",disabled:!g,onClick:M})]),Nu(Ut,{modelValue:c.value,icon:"i-heroicons-funnel",placeholder:"Filter users",class:"w-64","onUpdate:modelValue":T=>{c.value=T}}),C.value.length?W(["User","Granted by"],C.value.map(T=>Nu("tr",{key:T.uuid},[Nu("td",{class:"px-3 py-2 align-top"},[Nu("p",{class:"text-sm font-medium"},T.username||T.uuid),Nu("p",{class:"text-xs text-muted"},T.email)]),Nu("td",{class:"px-3 py-2"},z(T.sources))]))):Nu("p",{class:"py-8 text-center text-sm text-muted"},g?"No users match this filter.":"Nobody holds this permission.")])},$=()=>r.value.length?Nu("div",{class:"divide-y divide-default rounded-md border border-default"},r.value.map(i=>Nu("button",{key:i.uuid,type:"button",class:"w-full text-left px-3 py-2 hover:bg-elevated/50",onClick:()=>x(i)},o.value==="user"?[Nu("span",{class:"text-sm font-medium"},i.username||i.uuid),Nu("span",{class:"text-xs text-muted ml-2"},i.email)]:[Nu("span",{class:"text-sm font-medium"},i.name),Nu("span",{class:"text-xs font-mono text-muted ml-2"},i.slug)]))):null;return()=>{const i=o.value==="user"?a.value:m.value;return Nu("div",{class:"p-6 space-y-4"},[Nu("div",null,[Nu("h3",{class:"text-lg font-semibold"},"Access Explorer"),Nu("p",{class:"text-sm text-muted"},"See what a user can do and why, or who holds a permission.")]),Nu("div",{class:"flex flex-wrap items-center gap-2"},[Nu(Wu,{size:"sm",variant:o.value==="user"?"solid":"ghost",icon:"i-heroicons-user",label:"By user",onClick:()=>v("user")}),Nu(Wu,{size:"sm",variant:o.value==="permission"?"solid":"ghost",icon:"i-heroicons-key",label:"By permission",onClick:()=>v("permission")}),Nu(Ut,{modelValue:n.value,icon:"i-heroicons-magnifying-glass",placeholder:o.value==="user"?"Search users by name or email":"Search permissions by name or slug",class:"w-72","onUpdate:modelValue":g=>{n.value=g},onKeydown:g=>{g.key==="Enter"&&b()}}),Nu(Wu,{size:"sm",variant:"outline",label:"Search",loading:s.value,onClick:b})]),$(),l.value?Nu("p",{class:"py-12 text-center text-sm text-muted"},"Loading access…"):y.value?Nu("p",{class:"py-8 text-center text-sm text-error"},y.value):i?o.value==="user"?j():L():Nu("p",{class:"py-12 text-center text-sm text-muted"},o.value==="user"?"Search for a user to see their effective permissions.":"Search for a permission to see everyone who holds it.")])}}});export{ge as _};
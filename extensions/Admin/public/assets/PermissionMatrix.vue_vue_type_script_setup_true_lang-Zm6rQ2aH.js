@@ -0,0 +1 @@
+import{_ as Ut}from"./Input-C5IL3dmi.js";import{_ as Ez}from"./Select-BAUrMTbe.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{_ as Cx}from"./Checkbox-DpWF0v5s.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,av as Nu,ah as Wu,am as Qu,at as Hu,A as Oa}from"./index-CvplhhIg.js";const Ak="__all__",Lb=e=>e?String(e).replace(/[_-]/g," ").replace(/\b\w/g,t=>t.toUpperCase()):"Uncategorized",Th=e=>e?new Date(String(e).replace(" ","T")).toLocaleDateString():"",Kp=(e,t)=>`${e}|${t}`,Pl=(e,t,o)=>`${e} ${e===1?t:o}`,ge=ph({__name:"PermissionMatrix",emits:["saved"],setup(e,{emit:t}){const o=ju(),n=Ve([]),r=Ve([]),s=Ve({}),a=Ve({}),l=Ve([]),c=Ve([]),u=Ve(!1),d=Ve(!1),p=Ve(""),f=Ve(""),m=Ve(Ak),h=Ve(Ak),y=async()=>{u.value=!0,p.value="";try{const[i,g,T]=await Promise.all([Hu.permissions.getMatrix(),Hu.permissions.getCategories(),Hu.permissions.getResourceTypes()]),S=i.data||{},M={};(S.assignments||[]).forEach(z=>{M[Kp(z.role_uuid,z.permission_uuid)]=z.expires_at||!0}),n.value=[...S.roles||[]].sort((z,W)=>(z.level??0)-(W.level??0)||z.name.localeCompare(W.name)),r.value=S.permissions||[],s.value=M,a.value={},l.value=g.data||[],c.value=T.data||[]}catch(i){p.value=i.message||"Failed to load the permission matrix"}finally{u.value=!1}},b=At(()=>Object.fromEntries(n.value.map(i=>[i.uuid,i]))),x=(i,g)=>{const T=Kp(i,g);return T in a.value?a.value[T]:!!s.value[T]},v=(i,g)=>{const T=new Set;let S=b.value[i]&&b.value[i].parent_uuid;for(;S&&!T.has(S)&&b.value[S];){if(T.add(S),x(S,g))return b.value[S];S=b.value[S].parent_uuid}return null},U=(i,g,T)=>{const S=Kp(i,g),M={...a.value};T===!!s.value[S]?delete M[S]:M[S]=T,a.value=M},w=At(()=>Object.keys(a.value).length),C=At(()=>{const i=f.value.trim().toLowerCase(),g=r.value.filter(M=>(m.value===Ak||M.category===m.value)&&(h.value===Ak||M.resource_type===h.value)&&(!i||M.name.toLowerCase().includes(i)||M.slug.toLowerCase().includes(i))),T={};g.forEach(M=>{const z=M.category||"",W=M.resource_type||"";((T[z]||(T[z]={}))[W]||(T[z][W]=[])).push(M)});const S=(M,z)=>!M&&z?1:M&&!z?-1:M.localeCompare(z);return Object.keys(T).sort(S).map(M=>({category:M,types:Object.keys(T[M]).sort(S).map(z=>({type:z,permissions:T[M][z].sort((W,P)=>W.name.localeCompare(P.name))}))}))}),P=async()=>{const i={};Object.entries(a.value).forEach(([z,W])=>{const[j,L]=z.split("|"),$=r.value.find(N=>N.uuid===L);if(!$)return;const N=i[j]||(i[j]={assign:[],revoke:[]});W?N.assign.push({permission:$.slug}):N.revoke.push($.slug)}),d.value=!0;let g=0,T=0;const S=[];try{for(const[z,W]of Object.entries(i)){const j=b.value[z]?b.value[z].name:z;for(const[L,$]of[[W.assign,"batchAssignRolePermissions"],[W.revoke,"batchRevokeRolePermissions"]])if(L.length)try{const N=(await Hu.permissions[$](z,L)).data||{};g+=N.successful||0,T+=N.failed||0}catch(N){T+=L.length,S.push(`${j}: ${N.message||"request failed"}`)}}T?o.error({title:"Some Changes Failed",description:S.length?S.join("; "):`${Pl(g,"change","changes")} saved, ${T} failed.`}):o.success({title:"Permissions Saved",description:`${Pl(g,"change","changes")} saved.`}),t("saved"),await y()}finally{d.value=!1}};Oa(()=>{y()});const M=()=>[{label:"All categories",value:Ak},...l.value.map(i=>({label:Lb(i),value:i}))],z=()=>[{label:"All resource types",value:Ak},...c.value.map(i=>({label:Lb(i),value:i}))],W=(i,g)=>{const T=x(i.uuid,g.uuid),S=T?null:v(i.uuid,g.uuid),j=Kp(i.uuid,g.uuid),L=j in a.value,$=!L&&typeof s.value[j]=="string"?s.value[j]:null;return Nu("td",{key:i.uuid,class:["px-3 py-2 text-center",L?"bg-primary/10":""]},Nu("div",{class:"inline-flex items-center gap-1",title:S?`Inherited from ${S.name}`:$?`Expires ${Th($)}`:void 0},[Nu(Cx,{modelValue:T||!!S,disabled:!!S||d.value,class:S?"opacity-50":void 0,"onUpdate:modelValue":N=>U(i.uuid,g.uuid,!!N)}),$?Nu(Qu,{name:"i-heroicons-clock",class:"size-3.5 text-warning"}):null]))},j=i=>Nu("tr",{key:i.uuid,class:"hover:bg-elevated/50"},[Nu("td",{class:"px-3 py-2 sticky left-0 bg-default"},[Nu("div",{class:"flex items-center gap-1 text-sm font-medium"},[i.name,i.is_system?Nu(Ek,{color:"neutral",variant:"subtle",size:"sm",label:"System"}):null]),Nu("p",{class:"text-xs font-mono text-muted"},i.slug)]),...n.value.map(g=>W(g,i))]),L=(i,g)=>Nu("tr",{key:g},[Nu("td",{colspan:n.value.length+1,class:i},g)]),$=()=>{const i=[];return C.value.forEach(g=>{i.push(L("px-3 pt-4 pb-1 text-sm font-semibold text-highlighted",Lb(g.category))),g.types.forEach(T=>{T.type&&i.push(L("px-3 py-1 text-xs font-medium uppercase text-muted",Lb(T.type))),T.permissions.forEach(S=>i.push(j(S)))})}),Nu("div",{class:"overflow-x-auto rounded-md border border-default"},Nu("table",{class:"min-w-full text-left divide-y divide-default"},[Nu("thead",null,Nu("tr",null,[Nu("th",{class:"px-3 py-2 text-xs font-medium uppercase text-muted sticky left-0 bg-default"},"Permission"),...n.value.map(g=>Nu("th",{key:g.uuid,class:"px-3 py-2 text-xs font-medium text-center whitespace-nowrap"},[g.name,g.status!=="active"?Nu("span",{class:"block text-dimmed"},g.status):null]))])),Nu("tbody",{class:"divide-y divide-default"},i)]))};return()=>Nu("div",{class:"p-6 space-y-4"},[Nu("div",{class:"flex flex-wrap justify-between items-center gap-2"},[Nu("div",null,[Nu("h3",{class:"text-lg font-semibold"},"Role Permission Matrix"),Nu("p",{class:"text-sm text-muted"},"Grant or revoke permissions for each role. Muted ticks come from a parent role.")]),Nu("div",{class:"flex items-center gap-2"},[w.value?Nu("span",{class:"text-sm text-muted"},`${Pl(w.value,"unsaved change","unsaved changes")}`):null,Nu(Wu,{variant:"ghost",size:"sm",label:"Discard",disabled:!w.value||d.value,onClick:()=>{a.value={}}}),Nu(Wu,{color:"primary",size:"sm",icon:"i-heroicons-check",label:"Save Changes",loading:d.value,disabled:!w.value,onClick:P})])]),Nu("div",{class:"flex flex-wrap gap-2"},[Nu(Ut,{modelValue:f.value,icon:"i-heroicons-magnifying-glass",placeholder:"Search permissions",class:"w-64","onUpdate:modelValue":i=>{f.value=i}}),Nu(Ez,{modelValue:m.value,items:M(),class:"w-48","onUpdate:modelValue":i=>{m.value=i}}),Nu(Ez,{modelValue:h.value,items:z(),class:"w-48","onUpdate:modelValue":i=>{h.value=i}})]),u.value&&!n.value.length?Nu("p",{class:"py-12 text-center text-sm text-muted"},"Loading permission matrix…"):p.value?Nu("p",{class:"py-8 text-center text-sm text-error"},p.value):!n.value.length||!r.value.length?Nu("p",{class:"py-12 text-center text-sm text-muted"},"Create roles and permissions to manage them here."):C.value.length?$():Nu("p",{class:"py-12 text-center text-sm text-muted"},"No permissions match these filters.")])}});export{ge as _};
@@ -0,0 +1 @@
+import{_ as vt}from"./Slideover-BK7BMJA7.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,af as Cu,at as Hu}from"./index-CvplhhIg.js";const Xn={CASCADE:"error","SET NULL":"warning","SET DEFAULT":"warning"},Yn=e=>e==null?"NULL":typeof e=="object"?JSON.stringify(e):String(e),Zn=e=>(e??0).toLocaleString(),ge=ph({__name:"RelatedRecordsSlideover",props:{open:{type:Boolean,default:!1},target:{type:Object,default:null}},emits:["update:open"],setup(e,{emit:t}){const o=Cu(),n=Ve([]),r=Ve(null),s=Ve(!1),a=Ve(null),l=At(()=>n.value[n.value.length-1]||null),c=async()=>{const i=l.value;if(i){s.value=!0,a.value=null;try{r.value=(await Hu.db.getRelatedRecords(i.table,{column:i.column,value:i.value,limit:5})).data}catch(x){r.value=null,a.value=x.message||"Failed to load the record"}finally{s.value=!1}}},u=i=>{n.value=[...n.value,i],c()},d=()=>{n.value=n.value.slice(0,-1),c()},p=i=>{t("update:open",!1),o.push(`/tables/${i}`)};Gu(()=>[e.open,e.target],([i,x])=>{i&&x&&(n.value=[{...x}],r.value=null,c())},{immediate:!0});const m=(i,x)=>{var w;const k=(w=x.relationships)==null?void 0:w[0],b=i[x.name];if(!k||b==null)return Nu("span",{class:b==null?"text-sm text-dimmed":"text-sm min-w-0 break-words whitespace-pre-wrap"},Yn(b));const _=i[`${x.name}_display`];return Nu(Wu,{variant:"link",size:"xs",class:"p-0 min-w-0",trailingIcon:"i-lucide-arrow-up-right",title:`Open ${k.references_table} where ${k.references_column} = ${b}`,onClick:()=>u({table:k.references_table,column:k.references_column,value:b})},()=>_?`${_} (${b})`:Yn(b))},f=i=>Nu("div",{class:"border border-default rounded-md p-3 space-y-2"},[Nu("div",{class:"flex items-center justify-between gap-2"},[Nu("span",{class:"font-mono text-sm truncate"},`${i.table}.${i.column}`),Nu("div",{class:"flex items-center gap-2 shrink-0"},[Nu("span",{class:"text-xs text-muted"},`${Zn(i.count)} ${i.count===1?"row":"rows"}`),Nu(Ek,{label:`ON DELETE ${i.on_delete}`,color:Xn[i.on_delete]||"neutral",variant:"subtle",size:"sm"})])]),i.count?Nu("div",{class:"space-y-1"},[...i.rows.map(x=>{const w=x[i.primary_key];return Nu(Wu,{variant:"link",size:"xs",class:"p-0 block text-left truncate",disabled:w==null,onClick:()=>u({table:i.table,column:i.primary_key,value:w})},()=>x._label||`${i.primary_key} ${Yn(w)}`)}),i.count>i.rows.length?Nu(Wu,{variant:"ghost",size:"xs",icon:"i-lucide-table",onClick:()=>p(i.table)},()=>`Open ${i.table} to see all ${Zn(i.count)}`):null]):Nu("p",{class:"text-xs text-dimmed"},"No rows reference this record")]),h=()=>{const i=r.value;return Nu("div",{class:"space-y-4"},[Nu("div",{class:"divide-y divide-default border border-default rounded-md"},i.columns.map(x=>Nu("div",{key:x.name,class:"flex items-start gap-2 px-2 py-1"},[Nu("span",{class:"w-40 shrink-0 text-xs font-mono text-muted truncate mt-0.5"},x.name),m(i.row,x)]))),Nu("div",{class:"space-y-2"},[Nu("p",{class:"text-sm font-medium"},"Referenced by"),i.referenced_by.length?Nu("div",{class:"space-y-3"},i.referenced_by.map(f)):Nu("p",{class:"text-sm text-muted"},`No foreign keys point at ${i.table}`)])])};return()=>{var i,x;return Nu(vt,{open:e.open,"onUpdate:open":w=>t("update:open",w),title:((i=l.value)==null?void 0:i.table)||"Related Records",description:((x=r.value)==null?void 0:x.label)||(l.value?`${l.value.column} = ${Yn(l.value.value)}`:void 0),side:"right",class:"w-full max-w-2xl"},{body:()=>Nu("div",{class:"space-y-4"},[n.value.length>1?Nu("div",{class:"flex items-center gap-2"},[Nu(Wu,{variant:"ghost",size:"xs",icon:"i-lucide-arrow-left",onClick:d},()=>"Back"),Nu("span",{class:"text-xs text-muted truncate"},n.value.map(w=>w.table).join(" › "))]):null,s.value?Nu("div",{class:"flex items-center justify-center py-8 text-sm text-muted"},[Nu(Qu,{name:"i-lucide-loader-2",class:"animate-spin"}),Nu("span",{class:"ml-2"},"Loading record...")]):a.value?Nu("p",{class:"text-sm text-error"},a.value):r.value?h():null]),footer:()=>Nu("div",{class:"flex justify-between gap-2 w-full"},[Nu(Wu,{variant:"ghost",onClick:()=>t("update:open",!1)},()=>"Close"),l.value?Nu(Wu,{variant:"outline",icon:"i-lucide-table",onClick:()=>p(l.value.table)},()=>`Open ${l.value.table}`):null])})}}});export{ge as _};
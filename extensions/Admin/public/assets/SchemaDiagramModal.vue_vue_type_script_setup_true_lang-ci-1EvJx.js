@@ -0,0 +1,3 @@
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Ez}from"./Select-BAUrMTbe.js";import{_ as Dk}from"./Checkbox-DpWF0v5s.js";import{_ as Ut}from"./Input-C5IL3dmi.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{d as ph,r as Ve,f as At,E as Gu,av as Nu,ah as Wu,am as Qu,af as Cu,at as Hu}from"./index-CvplhhIg.js";const Ja=240,Ka=30,Qa=20,Xa=110,Za=36,Ta=(e,t)=>e.length>t?e.slice(0,t-1)+"…":e,Ma=e=>String(e).replace(/[^\w-]/g,"_"),On=(e,t)=>{const o=document.createElement("a");o.href=URL.createObjectURL(e),o.download=t,o.click(),URL.revokeObjectURL(o.href)},Ya=(e,t)=>{const o=new Map(e.map(i=>[i.name,i])),n=[];for(const i of e)for(const x of i.foreign_keys)o.has(x.references_table)&&n.push({from:i.name,column:x.column,to:x.references_table,toColumn:x.references_column,onDelete:x.on_delete});const r={},q=new Set,z=new Map;for(const i of n)i.from!==i.to&&(z.get(i.from)||z.set(i.from,[]).get(i.from)).push(i.to);const y=i=>{if(i in r)return r[i];q.add(i);let x=0;for(const w of z.get(i)||[])q.has(w)||(x=Math.max(x,y(w)+1));return q.delete(i),r[i]=x};for(const i of e)y(i.name);const s=new Set;for(const i of n)i.from!==i.to&&(s.add(i.from),s.add(i.to));const a=[];for(const i of e)s.has(i.name)&&(a[r[i.name]]=a[r[i.name]]||[]).push(i.name);const l=a.filter(Boolean).map(i=>i.sort()),c=new Map;for(const i of n)if(i.from!==i.to)for(const[x,w]of[[i.from,i.to],[i.to,i.from]])(c.get(x)||c.set(x,[]).get(x)).push(w);for(let i=0;i<4;i++){const x=i%2===0;for(let w=x?1:l.length-2;x?w<l.length:w>=0;w+=x?1:-1){const k=new Map(l[x?w-1:w+1].map((_,S)=>[_,S])),b=new Map(l[w].map((_,S)=>[_,S])),m=_=>{const S=(c.get(_)||[]).filter(C=>k.has(C));return S.length?S.reduce((C,T)=>C+k.get(T),0)/S.length:b.get(_)};l[w]=l[w].map(_=>[_,m(_)]).sort((_,S)=>_[1]-S[1]||(_[0]<S[0]?-1:1)).map(_=>_[0])}}const u=i=>{const x=new Set(i.foreign_keys.map(k=>k.column)),w=t?i.columns.filter(k=>k.is_primary||x.has(k.name)):i.columns;return{name:i.name,columns:w,fks:x,height:Ka+8+Math.max(w.length,1)*Qa}},d={};let p=0;l.forEach((i,x)=>{let w=0;for(const k of i){const b=u(o.get(k));d[k]={...b,x:x*(Ja+Xa),y:w},w+=b.height+Za}p=Math.max(p,w)});const m=e.filter(i=>!s.has(i.name)).map(i=>i.name).sort(),f=Math.max(l.length,4);let h=p?p+Za:0;for(let i=0;i<m.length;i+=f){let x=0;m.slice(i,i+f).forEach((w,k)=>{const b=u(o.get(w));d[w]={...b,x:k*(Ja+Xa),y:h},x=Math.max(x,b.height)}),h+=x+Za}const g=Object.values(d);return{nodes:d,edges:n,width:g.reduce((i,x)=>Math.max(i,x.x+Ja),0),height:g.reduce((i,x)=>Math.max(i,x.y+x.height),0)}},Fa=(e,t)=>{const o=e.columns.findIndex(n=>n.name===t);return o<0?e.y+Ka/2:e.y+Ka+4+o*Qa+Qa/2},Ga=(e,t)=>{const o=e.nodes[t.from],n=e.nodes[t.to],r=Fa(o,t.column),s=Fa(n,t.toColumn);if(t.from===t.to){const u=o.x+Ja;return`M${u} ${r} C${u+50} ${r-20} ${u+50} ${s+20} ${u} ${s}`}const a=o.x>=n.x+Ja?-1:o.x+Ja<=n.x?1:0;if(a===0){const u=o.x+Ja,d=n.x+Ja,p=Math.max(u,d)+50;return`M${u} ${r} C${p} ${r} ${p} ${s} ${d} ${s}`}const l=a<0?o.x:o.x+Ja,c=a<0?n.x+Ja:n.x,u=Math.max(40,Math.abs(c-l)/2)*a;return`M${l} ${r} C${l+u} ${r} ${c-u} ${s} ${c} ${s}`},Ha=(e,t,o)=>{if(!t||!o)return null;if(t===o)return{tables:[t],edges:[]};const n=new Map;e.forEach((l,c)=>{if(l.from!==l.to)for(const[u,d]of[[l.from,l.to],[l.to,l.from]])(n.get(u)||n.set(u,[]).get(u)).push([d,c])});const r=new Map([[t,null]]),s=[t];for(;s.length;){const l=s.shift();if(l===o)break;for(const[c,u]of n.get(l)||[])r.has(c)||(r.set(c,[l,u]),s.push(c))}if(!r.has(o))return{tables:[],edges:[]};const a=[o],l=[];let c=o;for(;r.get(c);){const[u,d]=r.get(c);l.push(d),a.push(u),c=u}return{tables:a.reverse(),edges:l.reverse()}},Na=(e,t)=>{const o=new Map(e.map(r=>[r.name,r])),n=["erDiagram"];for(const r of e){const s=new Set(r.foreign_keys.map(a=>a.column));n.push(`    ${Ma(r.name)} {`);for(const a of r.columns){const l=[a.is_primary&&"PK",s.has(a.name)&&"FK",a.is_unique&&!a.is_primary&&"UK"].filter(Boolean).join(", ");n.push(`        ${Ma(String(a.type||"").replace(/\(.*$/,"").trim()||"unknown")} ${Ma(a.name)}${l?` ${l}`:""}`)}n.push("    }")}for(const r of t){const s=o.get(r.from).columns.find(a=>a.name===r.column);n.push(`    ${Ma(r.from)} }o--${s&&s.nullable?"o|":"||"} ${Ma(r.to)} : "${r.column}"`)}return n.join(`
+`)+`
+`},ge=ph({__name:"SchemaDiagramModal",props:{open:{type:Boolean,default:!1}},emits:["update:open"],setup(e,{emit:t}){const o=ju(),n=Cu(),r=Ve([]),s=Ve(!1),a=Ve(null),l=Ve(""),c=Ve(!0),u=Ve(!1),d=Ve(null),p=Ve(null),m=Ve({x:0,y:0,k:1}),f=Ve(),h=Ve(),g=Ve(!1);let v=null,y=!1;const x=At(()=>{const i=l.value.trim().toLowerCase();return i?new Set(r.value.filter(w=>w.name.toLowerCase().includes(i)).map(w=>w.name)):null}),w=At(()=>{const i=x.value;if(!i)return r.value;const k=new Set(i);if(c.value)for(const b of r.value)for(const _ of b.foreign_keys)i.has(b.name)&&k.add(_.references_table),i.has(_.references_table)&&k.add(b.name);return r.value.filter(b=>k.has(b.name))}),k=At(()=>Ya(w.value,u.value)),b=At(()=>w.value.map(i=>({label:i.name,value:i.name}))),_=At(()=>Ha(k.value.edges,d.value,p.value)),S=At(()=>{const i=_.value;return i?{tables:new Set(i.tables.length?i.tables:[d.value,p.value]),edges:new Set(i.edges)}:d.value?{tables:new Set([d.value,...k.value.edges.flatMap(C=>C.from===d.value?[C.to]:C.to===d.value?[C.from]:[])]),edges:new Set(k.value.edges.map((C,T)=>C.from===d.value||C.to===d.value?T:-1).filter(C=>C>=0))}:null}),C=At(()=>{const i=_.value;return i?i.tables.length?i.edges.length?i.edges.map(T=>{const $=k.value.edges[T];return`${$.from}.${$.column} → ${$.to}.${$.toColumn}`}).join("  ·  "):d.value:`No foreign key path between ${d.value} and ${p.value}`:d.value?`${d.value}: click another table to find the path between them`:"Click two tables, or pick them here, to highlight the foreign keys that connect them"}),T=async()=>{s.value=!0,a.value=null;try{r.value=(await Hu.db.getTablesWithSchema()).data||[]}catch(i){r.value=[],a.value=i.message||"Failed to load the schema"}finally{s.value=!1}},$=()=>{const i=h.value,P=k.value;if(!i||!P.width)return;const{width:R,height:O}=i.getBoundingClientRect(),B=Math.max(.1,Math.min((R-40)/P.width,(O-40)/P.height,1.5));m.value={k:B,x:(R-P.width*B)/2,y:Math.max(20,(O-P.height*B)/2)}},P=(i,R,O)=>{const B=m.value,H=Math.min(3,Math.max(.1,B.k*i));m.value={k:H,x:R-(R-B.x)*H/B.k,y:O-(O-B.y)*H/B.k}},R=i=>{const O=h.value.getBoundingClientRect();P(i,O.width/2,O.height/2)},O=i=>{i.preventDefault();const B=h.value.getBoundingClientRect();P(Math.exp(-i.deltaY*.0015),i.clientX-B.left,i.clientY-B.top)},B=i=>{i.button===0&&(v={x:i.clientX,y:i.clientY,tx:m.value.x,ty:m.value.y},y=!1,g.value=!0)},H=i=>{if(!v)return;const L=i.clientX-v.x,D=i.clientY-v.y;(Math.abs(L)>3||Math.abs(D)>3)&&(y=!0),y&&(m.value={...m.value,x:v.tx+L,y:v.ty+D})},L=()=>{v=null,g.value=!1},D=i=>{d.value?d.value===i?(d.value=null,p.value=null):p.value?(d.value=i,p.value=null):p.value=i:d.value=i},F=i=>{t("update:open",!1),n.push(`/tables/${i}`)},M=()=>`schema_${new Date().toISOString().slice(0,10)}`,z=()=>{const i=f.value;if(!i)return null;const U=k.value,W=24,j=U.width+W*2,K=U.height+W*2,V=i.cloneNode(!0);V.setAttribute("width",j),V.setAttribute("height",K),V.setAttribute("viewBox",`0 0 ${j} ${K}`),V.removeAttribute("style"),V.querySelector("[data-viewport]").setAttribute("transform",`translate(${W} ${W})`);const E=document.createElementNS("http://www.w3.org/2000/svg","rect");return E.setAttribute("width","100%"),E.setAttribute("height","100%"),E.setAttribute("fill","#ffffff"),V.insertBefore(E,V.firstChild),{markup:new XMLSerializer().serializeToString(V),width:j,height:K}},U=()=>{const i=z();i&&On(new Blob([i.markup],{type:"image/svg+xml"}),`${M()}.svg`)},W=()=>{const i=z();if(!i)return;const j=new Image;j.onload=()=>{const K=document.createElement("canvas"),V=Math.min(2,16384/Math.max(i.width,i.height));K.width=Math.round(i.width*V),K.height=Math.round(i.height*V);const E=K.getContext("2d");E.scale(V,V),E.drawImage(j,0,0),K.toBlob(A=>A?On(A,`${M()}.png`):o.error({title:"Export failed",description:"The diagram is too large for a PNG, export it as SVG instead"}),"image/png")},j.onerror=()=>o.error({title:"Export failed",description:"The diagram could not be drawn as a PNG"}),j.src="data:image/svg+xml;charset=utf-8,"+encodeURIComponent(i.markup)},j=()=>Na(w.value,k.value.edges),K=()=>On(new Blob([j()],{type:"text/plain"}),`${M()}.mmd`),V=async()=>{try{await navigator.clipboard.writeText(j()),o.success({title:"Copied",description:"Mermaid erDiagram copied to the clipboard"})}catch{o.error({title:"Copy failed",description:"The clipboard is not available, download the file instead"})}};Gu(()=>e.open,i=>{i&&T()},{immediate:!0}),Gu(k,()=>requestAnimationFrame($));const E=()=>{const i=k.value,A=S.value,X=m.value;return Nu("svg",{ref:f,xmlns:"http://www.w3.org/2000/svg",width:"100%",height:"100%","font-family":"ui-sans-serif, system-ui, -apple-system, sans-serif",style:{display:"block",cursor:g.value?"grabbing":"grab",touchAction:"none"},onWheel:O,onPointerdown:B,onPointermove:H,onPointerup:L,onPointerleave:L},[Nu("defs",null,[["erd-arrow","#94a3b8"],["erd-arrow-path","#2563eb"]].map(([Y,Q])=>Nu("marker",{id:Y,viewBox:"0 0 10 10",refX:9,refY:5,markerWidth:7,markerHeight:7,orient:"auto-start-reverse"},[Nu("path",{d:"M0 1 L9 5 L0 9 z",fill:Q})]))),Nu("g",{"data-viewport":"",transform:`translate(${X.x} ${X.y}) scale(${X.k})`},[...i.edges.map((Y,Q)=>{const G=A&&A.edges.has(Q);return Nu("path",{key:`e${Q}`,d:Ga(i,Y),fill:"none",stroke:G?"#2563eb":"#94a3b8","stroke-width":G?2.5:1.25,opacity:A&&!G?.15:1,"marker-end":`url(#${G?"erd-arrow-path":"erd-arrow"})`},[Nu("title",null,`${Y.from}.${Y.column} → ${Y.to}.${Y.toColumn} (ON DELETE ${Y.onDelete})`)])}),...Object.values(i.nodes).map(Y=>{const Q=A&&A.tables.has(Y.name),G=Y.name===d.value||Y.name===p.value;return Nu("g",{key:Y.name,transform:`translate(${Y.x} ${Y.y})`,opacity:A&&!Q?.35:1,style:{cursor:"pointer"},onClick:()=>{y||D(Y.name)},onDblclick:()=>F(Y.name)},[Nu("title",null,`${Y.name}: click to trace foreign keys, double-click to open`),Nu("rect",{width:Ja,height:Y.height,rx:6,fill:"#ffffff",stroke:G?"#2563eb":Q?"#60a5fa":"#cbd5e1","stroke-width":G?2:1}),Nu("path",{d:`M0 6 A6 6 0 0 1 6 0 H${Ja-6} A6 6 0 0 1 ${Ja} 6 V${Ka} H0 Z`,fill:Q?"#dbeafe":"#f1f5f9"}),Nu("text",{x:10,y:Ka/2,"dominant-baseline":"central","font-size":13,"font-weight":600,fill:"#0f172a"},Ta(Y.name,30)),...(Y.columns.length?Y.columns.map((Z,ee)=>{const te=Ka+4+ee*Qa+Qa/2,ae=Z.is_primary?"PK":Y.fks.has(Z.name)?"FK":"";return Nu("g",{key:Z.name},[ae?Nu("text",{x:10,y:te,"dominant-baseline":"central","font-size":9,"font-weight":700,fill:Z.is_primary?"#b45309":"#2563eb"},ae):null,Nu("text",{x:32,y:te,"dominant-baseline":"central","font-size":12,fill:"#334155"},Ta(Z.name,20)),Nu("text",{x:Ja-10,y:te,"dominant-baseline":"central","text-anchor":"end","font-size":11,fill:"#94a3b8"},Ta(String(Z.type||""),14))])}):[Nu("text",{x:10,y:Ka+4+Qa/2,"dominant-baseline":"central","font-size":11,fill:"#94a3b8"},"No key columns")])])})])])},A=()=>Nu("div",{class:"space-y-2"},[Nu("div",{class:"flex flex-wrap items-center gap-2"},[Nu(Ut,{modelValue:l.value,"onUpdate:modelValue":i=>l.value=i,placeholder:"Filter tables...",icon:"i-lucide-search",class:"w-64"}),Nu(Dk,{modelValue:c.value,"onUpdate:modelValue":i=>c.value=i,label:"Include related tables"}),Nu(Dk,{modelValue:u.value,"onUpdate:modelValue":i=>u.value=i,label:"Key columns only"}),Nu("div",{class:"flex items-center gap-1 ml-auto"},[Nu(Wu,{variant:"ghost",size:"sm",icon:"i-lucide-zoom-out",title:"Zoom out",onClick:()=>R(1/1.2)}),Nu("span",{class:"text-xs text-muted w-10 text-center"},`${Math.round(m.value.k*100)}%`),Nu(Wu,{variant:"ghost",size:"sm",icon:"i-lucide-zoom-in",title:"Zoom in",onClick:()=>R(1.2)}),Nu(Wu,{variant:"ghost",size:"sm",icon:"i-lucide-maximize",title:"Fit to screen",onClick:$})]),Nu("div",{class:"flex items-center gap-1"},[Nu(Wu,{variant:"outline",size:"sm",icon:"i-lucide-download",label:"SVG",disabled:!w.value.length,onClick:U}),Nu(Wu,{variant:"outline",size:"sm",icon:"i-lucide-download",label:"PNG",disabled:!w.value.length,onClick:W}),Nu(Wu,{variant:"outline",size:"sm",icon:"i-lucide-download",label:"Mermaid",disabled:!w.value.length,onClick:K}),Nu(Wu,{variant:"ghost",size:"sm",icon:"i-lucide-copy",title:"Copy Mermaid to the clipboard",disabled:!w.value.length,onClick:V})])]),Nu("div",{class:"flex flex-wrap items-center gap-2"},[Nu(Ez,{modelValue:d.value,"onUpdate:modelValue":i=>d.value=i,items:b.value,placeholder:"From table",class:"w-48"}),Nu(Qu,{name:"i-lucide-arrow-right-left",class:"size-4 text-muted"}),Nu(Ez,{modelValue:p.value,"onUpdate:modelValue":i=>p.value=i,items:b.value,placeholder:"To table",disabled:!d.value,class:"w-48"}),d.value?Nu(Wu,{variant:"ghost",size:"sm",icon:"i-lucide-x",label:"Clear",onClick:()=>{d.value=null,p.value=null}}):null,Nu("span",{class:["text-xs min-w-0 truncate",_.value&&!_.value.tables.length?"text-warning":"text-muted"]},C.value)])]);return()=>Nu(Tu,{open:e.open,"onUpdate:open":i=>t("update:open",i),fullscreen:!0,title:"Schema Diagram",description:r.value.length?`${w.value.length} of ${r.value.length} tables, ${k.value.edges.length} foreign keys`:"Tables and the foreign keys between them"},{body:()=>Nu("div",{class:"space-y-3"},[A(),Nu("div",{ref:h,class:"relative overflow-hidden rounded-md border border-default bg-white select-none",style:{height:"calc(100vh - 230px)"}},[s.value?Nu("div",{class:"absolute inset-0 flex items-center justify-center text-sm text-muted"},[Nu(Qu,{name:"i-lucide-loader-2",class:"animate-spin"}),Nu("span",{class:"ml-2"},"Loading schema...")]):a.value?Nu("p",{class:"p-4 text-sm text-error"},a.value):w.value.length?E():Nu("p",{class:"p-4 text-sm text-muted"},r.value.length?"No tables match the filter":"The database has no tables")])])})}});export{ge as _};
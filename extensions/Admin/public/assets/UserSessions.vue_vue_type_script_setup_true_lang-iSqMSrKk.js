@@ -0,0 +1 @@
+import{_ as X}from"./Badge-UswX4ZtY.js";import{_ as Y}from"./Table-DfRn1MFI.js";import{_ as ee}from"./TableDataSkeleton.vue_vue_type_script_setup_true_lang-C_75FIk9.js";import{_ as te}from"./ConfirmModal.vue_vue_type_script_setup_true_lang-Sel0ZXJf.js";import{u as se}from"./useToastNotification-D4GVV2D1.js";import{d as oe,r as c,f as p,av as l,E as ne,o as u,B as b,Z as i,O as C,k as v,i as re,ah as $,am as D,at as S}from"./index-CvplhhIg.js";const ie={class:"space-y-4"},le={class:"flex items-center justify-between"},ue={class:"text-sm text-boulder-600 dark:text-boulder-400"},ce={key:1,class:"py-8 text-center text-red-600 dark:text-red-400"},de={class:"py-12 text-center text-boulder-500 dark:text-boulder-400"},pe=[["Edg/","Edge"],["OPR/","Opera"],["Firefox/","Firefox"],["Chrome/","Chrome"],["Safari/","Safari"]],me=[["Windows","Windows"],["iPhone","iOS"],["iPad","iOS"],["Mac OS X","macOS"],["Android","Android"],["CrOS","ChromeOS"],["Linux","Linux"]],M=(e,t)=>{var o;return((o=e.find(([n])=>t.includes(n)))==null?void 0:o[1])||null},fe=e=>{const t=e||"",o=M(pe,t),n=M(me,t);return o&&n?`${o} on ${n}`:o||n||"Unknown device"},ve=e=>/Mobi|Android|iPhone|iPad/.test(e||""),k=e=>e?new Date(e).toLocaleString():"—",ge=oe({__name:"UserSessions",props:{userUuid:{type:String,required:!0}},emits:["changed"],setup(e,{emit:t}){const o=e,n=t,f=se(),g=c(!1),h=c(null),d=c([]),r=c(null),m=c(!1),x=p(()=>d.value.some(s=>s.is_current)),w=p(()=>d.value.filter(s=>!s.is_current)),_=p(()=>x.value?"Sign out other sessions":"Revoke all sessions"),E=p(()=>{var s;return r.value?r.value.session?`Revoke the session on ${fe((s=r.value.session)==null?void 0:s.user_agent)}? That device will be signed out immediately.`:x.value?`Sign out ${w.value.length} other session(s)? Only this browser stays signed in.`:`Revoke all ${w.value.length} session(s)? The user will be signed out everywhere.`:""}),A=[{accessorKey:"user_agent",header:"Device",cell:({row:s})=>{const a=s.original;return l("div",{class:"flex items-center gap-3"},[l(D,{name:ve(a.user_agent)?"i-lucide-smartphone":"i-lucide-monitor",class:"size-5 text-boulder-500"}),l("div",null,[l("div",{class:"flex items-center gap-2"},[l("p",{class:"text-sm font-medium",title:a.user_agent||""},fe(a.user_agent)),a.is_current?l(X,{color:"success",variant:"subtle"},()=>"This device"):null]),l("p",{class:"text-xs text-boulder-600 dark:text-boulder-400"},[a.provider||"jwt",a.remember_me?" · remembered":""].join(""))])])}},{accessorKey:"ip_address",header:"IP Address",cell:({row:s})=>l("span",{class:"font-mono text-sm"},s.getValue("ip_address")||"—")},{accessorKey:"last_activity",header:"Last Seen",cell:({row:s})=>l("span",{class:"text-xs font-mono"},k(s.getValue("last_activity")))},{accessorKey:"created_at",header:"Signed In",cell:({row:s})=>l("span",{class:"text-xs font-mono"},k(s.getValue("created_at")))},{id:"actions",header:"",cell:({row:s})=>s.original.is_current?null:l($,{color:"error",variant:"ghost",size:"sm",icon:"i-lucide-log-out",onClick:()=>{r.value={session:s.original}}},()=>"Revoke")}];async function y(){if(o.userUuid){g.value=!0,h.value=null;try{const s=await S.users.getUserSessions(o.userUuid);d.value=Array.isArray(s.data)?s.data:[]}catch(s){h.value=s.message||"Failed to load sessions"}finally{g.value=!1}}}async function R(){var a;const s=r.value;if(s){m.value=!0;try{const I=await S.users.terminateUserSessions(o.userUuid,s.session?s.session.session_id:{except_current:!0}),B=((a=I.data)==null?void 0:a.terminated)??0;f.success({title:"Sessions Revoked",description:`Revoked ${B} session(s).`}),r.value=null,n("changed"),await y()}catch(I){f.error({title:"Revoke Failed",description:I.message||"Failed to revoke sessions"})}finally{m.value=!1}}}return ne(()=>o.userUuid,y,{immediate:!0}),(s,a)=>(u(),b("div",ie,[i("div",le,[i("p",ue,C(d.value.length)+" active session(s)",1),v($,{color:"error",variant:"outline",size:"sm",icon:"i-lucide-log-out",disabled:w.value.length===0||m.value,onClick:a[0]||(a[0]=N=>r.value={others:!0})},{default:()=>[C(_.value)]},8,["disabled"])]),g.value?(u(),re(ee,{key:0,"row-count":3,"column-count":5})):h.value?(u(),b("div",ce,C(h.value),1)):(u(),re(Y,{key:2,columns:A,data:d.value,class:"w-full"},{empty:()=>[i("div",de,"No active sessions")]},8,["data"])),v(te,{open:!!r.value,"onUpdate:open":a[1]||(a[1]=N=>{N||(r.value=null)}),ModalTitle:"Revoke sessions",ModalContent:E.value,ModalConfirmText:"Revoke",ModalConfirmColor:"error",ModalCancelText:"Cancel",ModalIcon:"i-lucide-log-out",isLoading:m.value,onConfirm:R,onClose:a[2]||(a[2]=N=>r.value=null)},null,8,["open","ModalContent","isLoading"])]))}});export{ge as _};
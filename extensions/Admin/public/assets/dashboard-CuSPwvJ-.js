@@ -1 +1 @@
-import{u as ht,t as at,p as sa,a as ua,_ as da}from"./DashboardSidebarToggle.vue_vue_type_script_setup_true_lang-yvinZowi.js";import{g as ze,d as U,c as lt,u as Ht,r as S,a as le,b as Ye,t as Vt,e as Kt,f as N,w as Ve,h as ca,i as L,o as h,j as C,k as R,l as a,P as ke,m as P,n as fa,p as M,_ as Wt,q as qe,s as va,v as it,x as St,T as jt,y as nt,z as E,A as Ke,B as z,F as pe,C as mt,D as pa,E as $e,G as Ae,H as Fe,I as bt,J as ga,K as We,L as ha,M as It,N as De,O as ge,Q as yt,R as ma,S as Ge,U as ba,V as Ut,W as Gt,X as B,Y as kt,Z as se,$ as ya,a0 as ka,a1 as wa,a2 as Yt,a3 as wt,a4 as Xt,a5 as ye,a6 as He,a7 as xt,a8 as xa,a9 as Bt,aa as $a,ab as Ca,ac as ot,ad as Ta,ae as La,af as Da,ag as Oa,ah as Sa,ai as Me,aj as Pt,ak as Ia,al as Ba,am as Le,an as Ne,ao as ct,ap as ft,aq as je,ar as Pa}from"./index-CvplhhIg.js";import{_ as Ea}from"./Slideover-BK7BMJA7.js";import{_ as Ra}from"./Modal-9avKWxcn.js";import{_ as _a,a as Na,b as Ma,c as za,d as qa,e as Et,f as Rt}from"./DialogPortal-BWtgM8-G.js";import{u as Aa,_ as Fa}from"./DashboardResizeHandle.vue_vue_type_script_setup_true_lang-Bj9eNWfO.js";import{_ as Ha,a as Va}from"./DropdownMenu-DWboWW_y.js";import{_ as Ka}from"./Badge-UswX4ZtY.js";import{_ as Wa}from"./Popover-DWZJbMhc.js";import{_ as ja,a as Ua,b as Ga,c as Ya}from"./useFocusGuards-CqN9EHnP.js";import{u as Xa}from"./index-Dnaliv4H.js";import{_ as _t,a as Ja,b as Za,c as Nt}from"./AccordionTrigger-BmvncgNJ.js";import{u as Qa}from"./useDirection-L6XtVArv.js";import{u as Jt}from"./useArrowNavigation-B5rxJs06.js";import"./useBodyScrollLock-CA2MgwBo.js";import"./RovingFocusGroup-BxD9bDZV.js";import"./CollapsibleTrigger-z6Zu-vJZ.js";import"./isValueEqualOrExist-Fpwey4SD.js";function rt(n){return n?"open":"closed"}function Zt(n,l){return`${n}-trigger-${l}`}function $t(n,l){return`${n}-content-${l}`}const en="navigationMenu.linkSelect",tt="navigationMenu.rootContentDismiss";function gt(n){const l=[],e=document.createTreeWalker(n,NodeFilter.SHOW_ELEMENT,{acceptNode:u=>{const o=u.tagName==="INPUT"&&u.type==="hidden";return u.disabled||u.hidden||o?NodeFilter.FILTER_SKIP:u.tabIndex>=0?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_SKIP}});for(;e.nextNode();)l.push(e.currentNode);return l}function Qt(n){const l=ze();return n.some(e=>e===l?!0:(e.focus(),ze()!==l))}function tn(n){return n.forEach(l=>{l.dataset.tabindex=l.getAttribute("tabindex")||"",l.setAttribute("tabindex","-1")}),()=>{n.forEach(l=>{const e=l.dataset.tabindex;l.setAttribute("tabindex",e)})}}function ea(n){return l=>l.pointerType==="mouse"?n(l):void 0}const[Pe,an]=lt(["NavigationMenuRoot","NavigationMenuSub"],"NavigationMenuContext"),nn=U({__name:"NavigationMenuRoot",props:{modelValue:{default:void 0},defaultValue:{},dir:{},orientation:{default:"horizontal"},delayDuration:{default:200},skipDelayDuration:{default:300},disableClickTrigger:{type:Boolean,default:!1},disableHoverTrigger:{type:Boolean,default:!1},disablePointerLeaveClose:{type:Boolean},unmountOnHide:{type:Boolean,default:!0},asChild:{type:Boolean},as:{default:"nav"}},emits:["update:modelValue"],setup(n,{emit:l}){const e=n,o=Ht(e,"modelValue",l,{defaultValue:e.defaultValue??"",passive:e.modelValue===void 0}),m=S(""),{forwardRef:f,currentElement:c}=le(),p=S(),x=S(),v=S(),{getItems:r,CollectionSlot:y}=Ye({key:"NavigationMenu",isProvider:!0}),{delayDuration:$,skipDelayDuration:k,dir:s,disableClickTrigger:T,disableHoverTrigger:D,unmountOnHide:d}=Vt(e),i=Qa(s),g=Kt(!1,k),t=N(()=>o.value!==""||g.value?150:$.value),w=ca(b=>{typeof b=="string"&&(m.value=o.value,o.value=b)},t);return Ve(()=>{if(!o.value)return;const b=r().map(I=>I.ref);v.value=b.find(I=>I.id.includes(o.value))}),an({isRootMenu:!0,modelValue:o,previousValue:m,baseId:ht(void 0,"reka-navigation-menu"),disableClickTrigger:T,disableHoverTrigger:D,dir:i,unmountOnHide:d,orientation:e.orientation,rootNavigationMenu:c,indicatorTrack:p,activeTrigger:v,onIndicatorTrackChange:b=>{p.value=b},viewport:x,onViewportChange:b=>{x.value=b},onTriggerEnter:b=>{w(b)},onTriggerLeave:()=>{g.value=!0,w("")},onContentEnter:()=>{w()},onContentLeave:()=>{e.disablePointerLeaveClose||w("")},onItemSelect:b=>{m.value=o.value,o.value=b},onItemDismiss:()=>{m.value=o.value,o.value=""}}),(b,I)=>(h(),L(a(y),null,{default:C(()=>[R(a(ke),{ref:a(f),"aria-label":"Main",as:b.as,"as-child":b.asChild,"data-orientation":b.orientation,dir:a(i),"data-reka-navigation-menu":""},{default:C(()=>[P(b.$slots,"default",{modelValue:a(o)})]),_:3},8,["as","as-child","data-orientation","dir"])]),_:3}))}}),[Ct,on]=lt("NavigationMenuItem"),ln=U({__name:"NavigationMenuItem",props:{value:{},asChild:{type:Boolean},as:{default:"li"}},setup(n){const l=n;le();const{getItems:e}=Ye({key:"NavigationMenu"}),u=Pe(),o=ht(l.value),m=S(),f=S(),c=$t(u.baseId,o);let p=()=>({});const x=S(!1);async function v(k="start"){const s=document.getElementById(c);if(s){p();const T=gt(s);T.length&&Qt(k==="start"?T:T.reverse())}}function r(){const k=document.getElementById(c);if(k){const s=gt(k);s.length&&(p=tn(s))}}on({value:o,contentId:c,triggerRef:m,focusProxyRef:f,wasEscapeCloseRef:x,onEntryKeyDown:v,onFocusProxyEnter:v,onContentFocusOutside:r,onRootContentClose:r});function y(){var k;u.onItemDismiss(),(k=m.value)==null||k.focus()}function $(k){const s=ze();if(k.keyCode===32||k.key==="Enter")if(u.modelValue.value===o){y(),k.preventDefault();return}else{k.target.click(),k.preventDefault();return}const T=e().filter(d=>{var i;return(i=d.ref.parentElement)==null?void 0:i.hasAttribute("data-menu-item")}).map(d=>d.ref);if(!T.includes(s))return;const D=Jt(k,s,void 0,{itemsArray:T,loop:!1});D&&(D==null||D.focus()),k.preventDefault(),k.stopPropagation()}return(k,s)=>(h(),L(a(ke),{"as-child":k.asChild,as:k.as,"data-menu-item":"",onKeydown:fa($,["up","down","left","right","home","end","space"])},{default:C(()=>[P(k.$slots,"default")]),_:3},8,["as-child","as"]))}}),rn=U({__name:"NavigationMenuContentImpl",props:{disableOutsidePointerEvents:{type:Boolean},asChild:{type:Boolean},as:{}},emits:["escapeKeyDown","pointerDownOutside","focusOutside","interactOutside"],setup(n,{emit:l}){const e=n,u=l,{getItems:o}=Ye({key:"NavigationMenu"}),{forwardRef:m,currentElement:f}=le(),c=Pe(),p=Ct(),x=Zt(c.baseId,p.value),v=$t(c.baseId,p.value),r=S(null),y=N(()=>{const d=o().map(I=>I.ref.id.split("trigger-")[1]);c.dir.value==="rtl"&&d.reverse();const i=d.indexOf(c.modelValue.value),g=d.indexOf(c.previousValue.value),t=p.value===c.modelValue.value,w=g===d.indexOf(p.value);if(!t&&!w)return r.value;const b=(()=>{if(i!==g){if(t&&g!==-1)return i>g?"from-end":"from-start";if(w&&i!==-1)return i>g?"to-start":"to-end"}return null})();return r.value=b,b});function $(d){var g,t;if(u("focusOutside",d),u("interactOutside",d),d.detail.originalEvent.target.hasAttribute("data-navigation-menu-trigger")&&d.preventDefault(),!d.defaultPrevented){p.onContentFocusOutside();const w=d.target;(t=(g=c.rootNavigationMenu)==null?void 0:g.value)!=null&&t.contains(w)&&d.preventDefault()}}function k(d){var i;if(u("pointerDownOutside",d),!d.defaultPrevented){const g=d.target,t=o().some(b=>b.ref.contains(g)),w=c.isRootMenu&&((i=c.viewport.value)==null?void 0:i.contains(g));(t||w||!c.isRootMenu)&&d.preventDefault()}}Ve(d=>{const i=f.value;if(c.isRootMenu&&i){const g=()=>{var t;c.onItemDismiss(),p.onRootContentClose(),i.contains(ze())&&((t=p.triggerRef.value)==null||t.focus())};i.addEventListener(tt,g),d(()=>i.removeEventListener(tt,g))}});function s(d){var i,g;u("escapeKeyDown",d),d.defaultPrevented||(c.onItemDismiss(),(g=(i=p.triggerRef)==null?void 0:i.value)==null||g.focus(),p.wasEscapeCloseRef.value=!0)}function T(d){var b;if(d.target.closest("[data-reka-navigation-menu]")!==c.rootNavigationMenu.value)return;const i=d.altKey||d.ctrlKey||d.metaKey,g=d.key==="Tab"&&!i,t=gt(d.currentTarget);if(g){const I=ze(),H=t.findIndex(Y=>Y===I),q=d.shiftKey?t.slice(0,H).reverse():t.slice(H+1,t.length);if(Qt(q))d.preventDefault();else{(b=p.focusProxyRef.value)==null||b.focus();return}}const w=Jt(d,ze(),void 0,{itemsArray:t,loop:!1,enableIgnoredElement:!0});w==null||w.focus()}function D(){var i;const d=new Event(tt,{bubbles:!0,cancelable:!0});(i=f.value)==null||i.dispatchEvent(d)}return(d,i)=>(h(),L(a(Wt),M({id:a(v),ref:a(m),"aria-labelledby":a(x),"data-motion":y.value,"data-state":a(rt)(a(c).modelValue.value===a(p).value),"data-orientation":a(c).orientation},e,{onKeydown:T,onEscapeKeyDown:s,onPointerDownOutside:k,onFocusOutside:$,onDismiss:D}),{default:C(()=>[P(d.$slots,"default")]),_:3},16,["id","aria-labelledby","data-motion","data-state","data-orientation"]))}}),sn=U({inheritAttrs:!1,__name:"NavigationMenuContent",props:{forceMount:{type:Boolean},disableOutsidePointerEvents:{type:Boolean},asChild:{type:Boolean},as:{}},emits:["escapeKeyDown","pointerDownOutside","focusOutside","interactOutside"],setup(n,{emit:l}){const e=n,u=l,o=qe(va(e,"forceMount"),u),{forwardRef:m}=le(),f=Pe(),c=Ct(),p=N(()=>c.value===f.modelValue.value),x=N(()=>f.viewport.value&&!f.modelValue.value&&f.previousValue.value?f.previousValue.value===c.value:!1);return(v,r)=>(h(),L(jt,{to:a(St)&&a(f).viewport.value?a(f).viewport.value:"body",disabled:a(St)&&a(f).viewport.value?!a(f).viewport.value:!0},[R(a(it),{present:v.forceMount||p.value||x.value,"force-mount":!a(f).unmountOnHide.value},{default:C(({present:y})=>[R(rn,M({ref:a(m),"data-state":a(rt)(p.value),style:{pointerEvents:!p.value&&a(f).isRootMenu?"none":void 0}},{...v.$attrs,...a(o)},{hidden:!y,onPointerenter:r[0]||(r[0]=$=>a(f).onContentEnter(a(c).value)),onPointerleave:r[1]||(r[1]=$=>a(ea)(()=>a(f).onContentLeave())($)),onPointerDownOutside:r[2]||(r[2]=$=>u("pointerDownOutside",$)),onFocusOutside:r[3]||(r[3]=$=>u("focusOutside",$)),onInteractOutside:r[4]||(r[4]=$=>u("interactOutside",$))}),{default:C(()=>[P(v.$slots,"default")]),_:2},1040,["data-state","style","hidden"])]),_:3},8,["present","force-mount"])],8,["to","disabled"]))}}),un=U({inheritAttrs:!1,__name:"NavigationMenuIndicator",props:{forceMount:{type:Boolean},asChild:{type:Boolean},as:{}},setup(n){const l=n,{forwardRef:e}=le(),u=Pe(),o=S(),m=N(()=>u.orientation==="horizontal"),f=N(()=>!!u.modelValue.value),{activeTrigger:c}=u;function p(){c.value&&(o.value={size:m.value?c.value.offsetWidth:c.value.offsetHeight,position:m.value?c.value.offsetLeft:c.value.offsetTop})}return Ve(()=>{u.modelValue.value&&p()}),nt(c,p),nt(u.indicatorTrack,p),(x,v)=>a(u).indicatorTrack.value?(h(),L(jt,{key:0,to:a(u).indicatorTrack.value},[R(a(it),{present:x.forceMount||f.value},{default:C(()=>[R(a(ke),M({ref:a(e),"aria-hidden":"true","data-state":f.value?"visible":"hidden","data-orientation":a(u).orientation,"as-child":l.asChild,as:x.as,style:{...o.value?{"--reka-navigation-menu-indicator-size":`${o.value.size}px`,"--reka-navigation-menu-indicator-position":`${o.value.position}px`}:{}}},x.$attrs),{default:C(()=>[P(x.$slots,"default")]),_:3},16,["data-state","data-orientation","as-child","as","style"])]),_:3},8,["present"])],8,["to"])):E("",!0)}}),vt=U({__name:"NavigationMenuLink",props:{active:{type:Boolean},asChild:{type:Boolean},as:{default:"a"}},emits:["select"],setup(n,{emit:l}){const e=n,u=l,{CollectionItem:o}=Ye({key:"NavigationMenu"});le();async function m(f){var p;const c=new CustomEvent(en,{bubbles:!0,cancelable:!0,detail:{originalEvent:f}});if(u("select",c),!c.defaultPrevented&&!f.metaKey){const x=new CustomEvent(tt,{bubbles:!0,cancelable:!0});(p=f.target)==null||p.dispatchEvent(x)}}return(f,c)=>(h(),L(a(o),null,{default:C(()=>[R(a(ke),{as:f.as,"data-active":f.active?"":void 0,"aria-current":f.active?"page":void 0,"as-child":e.asChild,onClick:m},{default:C(()=>[P(f.$slots,"default")]),_:3},8,["as","data-active","aria-current","as-child"])]),_:3}))}}),dn=U({inheritAttrs:!1,__name:"NavigationMenuList",props:{asChild:{type:Boolean},as:{default:"ul"}},setup(n){const l=n,e=Pe(),{forwardRef:u,currentElement:o}=le();return Ke(()=>{e.onIndicatorTrackChange(o.value)}),(m,f)=>(h(),L(a(ke),{ref:a(u),style:{position:"relative"}},{default:C(()=>[R(a(ke),M(m.$attrs,{"as-child":l.asChild,as:m.as,"data-orientation":a(e).orientation}),{default:C(()=>[P(m.$slots,"default")]),_:3},16,["as-child","as","data-orientation"])]),_:3},512))}}),cn=["aria-owns"],fn=U({inheritAttrs:!1,__name:"NavigationMenuTrigger",props:{disabled:{type:Boolean},asChild:{type:Boolean},as:{default:"button"}},setup(n){const l=n,e=Pe(),u=Ct(),{CollectionItem:o}=Ye({key:"NavigationMenu"}),{forwardRef:m,currentElement:f}=le(),c=S(""),p=S(""),x=Kt(!1,300),v=S(!1),r=N(()=>u.value===e.modelValue.value);Ke(()=>{u.triggerRef=f,c.value=Zt(e.baseId,u.value),p.value=$t(e.baseId,u.value)});function y(){e.disableHoverTrigger.value||(v.value=!1,u.wasEscapeCloseRef.value=!1)}function $(i){if(!e.disableHoverTrigger.value&&i.pointerType==="mouse"){if(l.disabled||v.value||u.wasEscapeCloseRef.value||x.value)return;e.onTriggerEnter(u.value),x.value=!0}}function k(i){if(!e.disableHoverTrigger.value&&i.pointerType==="mouse"){if(l.disabled)return;e.onTriggerLeave(),x.value=!1}}function s(i){i.pointerType==="mouse"&&e.disableClickTrigger.value||x.value||(r.value?e.onItemSelect(""):e.onItemSelect(u.value),v.value=r.value)}function T(i){const t={horizontal:"ArrowDown",vertical:e.dir.value==="rtl"?"ArrowLeft":"ArrowRight"}[e.orientation];r.value&&i.key===t&&(u.onEntryKeyDown(),i.preventDefault(),i.stopPropagation())}function D(i){u.focusProxyRef.value=pa(i)}function d(i){const g=document.getElementById(u.contentId),t=i.relatedTarget,w=t===f.value,b=g==null?void 0:g.contains(t);(w||!b)&&u.onFocusProxyEnter(w?"start":"end")}return(i,g)=>(h(),z(pe,null,[R(a(o),null,{default:C(()=>[R(a(ke),M({id:c.value,ref:a(m),disabled:i.disabled,"data-disabled":i.disabled?"":void 0,"data-state":a(rt)(r.value),"data-navigation-menu-trigger":"","aria-expanded":r.value,"aria-controls":p.value,"as-child":l.asChild,as:i.as},i.$attrs,{onPointerenter:y,onPointermove:$,onPointerleave:k,onClick:s,onKeydown:T}),{default:C(()=>[P(i.$slots,"default")]),_:3},16,["id","disabled","data-disabled","data-state","aria-expanded","aria-controls","as-child","as"])]),_:3}),r.value?(h(),z(pe,{key:0},[R(a(mt),{ref:D,"aria-hidden":"true",tabindex:0,onFocus:d}),a(e).viewport?(h(),z("span",{key:0,"aria-owns":p.value},null,8,cn)):E("",!0)],64)):E("",!0)],64))}}),vn=U({inheritAttrs:!1,__name:"NavigationMenuViewport",props:{forceMount:{type:Boolean},align:{default:"center"},asChild:{type:Boolean},as:{}},setup(n){var $;const l=n,{forwardRef:e,currentElement:u}=le(),o=Pe(),{activeTrigger:m,rootNavigationMenu:f,modelValue:c}=o,p=S(),x=S(),v=N(()=>!!o.modelValue.value);$e(u,()=>{o.onViewportChange(u.value)});const r=S();$e([c,v],()=>{u.value&&requestAnimationFrame(()=>{var s;const k=(s=u.value)==null?void 0:s.querySelector("[data-state=open]");r.value=k})},{immediate:!0,flush:"post"});function y(){if(r.value&&m.value&&f.value){const k=document.documentElement.offsetWidth,s=document.documentElement.offsetHeight,T=f.value.getBoundingClientRect(),D=m.value.getBoundingClientRect(),{offsetWidth:d,offsetHeight:i}=r.value,g=D.left-T.left,t=D.top-T.top;let w=null,b=null;switch(l.align){case"start":w=g,b=t;break;case"end":w=g-d+D.width,b=t-i+D.height;break;default:w=g-d/2+D.width/2,b=t-i/2+D.height/2}const I=10;w+T.left<I&&(w=I-T.left);const H=w+T.left+d;H>k-I&&(w-=H-k+I,w<I-T.left&&(w=I-T.left)),b+T.top<I&&(b=I-T.top);const X=b+T.top+i;X>s-I&&(b-=X-s+I,b<I-T.top&&(b=I-T.top)),w=Math.round(w),b=Math.round(b),x.value={left:w,top:b}}}return nt(r,()=>{r.value&&(p.value={width:r.value.offsetWidth,height:r.value.offsetHeight},y())}),nt([($=globalThis.document)==null?void 0:$.body,f],()=>{y()}),(k,s)=>(h(),L(a(it),{present:k.forceMount||v.value,"force-mount":!a(o).unmountOnHide.value,onAfterLeave:s[2]||(s[2]=()=>{p.value=void 0,x.value=void 0})},{default:C(({present:T})=>{var D,d,i,g;return[R(a(ke),M(k.$attrs,{ref:a(e),as:k.as,"as-child":k.asChild,"data-state":a(rt)(v.value),"data-orientation":a(o).orientation,style:{pointerEvents:!v.value&&a(o).isRootMenu?"none":void 0,"--reka-navigation-menu-viewport-width":p.value?`${(D=p.value)==null?void 0:D.width}px`:void 0,"--reka-navigation-menu-viewport-height":p.value?`${(d=p.value)==null?void 0:d.height}px`:void 0,"--reka-navigation-menu-viewport-left":x.value?`${(i=x.value)==null?void 0:i.left}px`:void 0,"--reka-navigation-menu-viewport-top":x.value?`${(g=x.value)==null?void 0:g.top}px`:void 0},hidden:!T,onPointerenter:s[0]||(s[0]=t=>a(o).onContentEnter(a(o).modelValue.value)),onPointerleave:s[1]||(s[1]=t=>a(ea)(()=>a(o).onContentLeave())(t))}),{default:C(()=>[P(k.$slots,"default")]),_:2},1040,["as","as-child","data-state","data-orientation","style","hidden"])]}),_:3},8,["present","force-mount"]))}}),pn=U({__name:"TooltipArrow",props:{width:{default:10},height:{default:5},asChild:{type:Boolean},as:{default:"svg"}},setup(n){const l=n;return le(),(e,u)=>(h(),L(a(ja),Ae(Fe(l)),{default:C(()=>[P(e.$slots,"default")]),_:3},16))}}),ta="tooltip.open",[st,gn]=lt("TooltipRoot"),hn=U({__name:"TooltipRoot",props:{defaultOpen:{type:Boolean,default:!1},open:{type:Boolean,default:void 0},delayDuration:{default:void 0},disableHoverableContent:{type:Boolean,default:void 0},disableClosingTrigger:{type:Boolean,default:void 0},disabled:{type:Boolean,default:void 0},ignoreNonKeyboardFocus:{type:Boolean,default:void 0}},emits:["update:open"],setup(n,{emit:l}){const e=n,u=l;le();const o=bt(),m=N(()=>e.disableHoverableContent??o.disableHoverableContent.value),f=N(()=>e.disableClosingTrigger??o.disableClosingTrigger.value),c=N(()=>e.disabled??o.disabled.value),p=N(()=>e.delayDuration??o.delayDuration.value),x=N(()=>e.ignoreNonKeyboardFocus??o.ignoreNonKeyboardFocus.value),v=Ht(e,"open",u,{defaultValue:e.defaultOpen,passive:e.open===void 0});$e(v,i=>{o.onClose&&(i?(o.onOpen(),document.dispatchEvent(new CustomEvent(ta))):o.onClose())});const r=S(!1),y=S(),$=N(()=>v.value?r.value?"delayed-open":"instant-open":"closed"),{start:k,stop:s}=ga(()=>{r.value=!0,v.value=!0},p,{immediate:!1});function T(){s(),r.value=!1,v.value=!0}function D(){s(),v.value=!1}function d(){k()}return gn({contentId:"",open:v,stateAttribute:$,trigger:y,onTriggerChange(i){y.value=i},onTriggerEnter(){o.isOpenDelayed.value?d():T()},onTriggerLeave(){m.value?D():s()},onOpen:T,onClose:D,disableHoverableContent:m,disableClosingTrigger:f,disabled:c,ignoreNonKeyboardFocus:x}),(i,g)=>(h(),L(a(Ua),null,{default:C(()=>[P(i.$slots,"default",{open:a(v)})]),_:3}))}}),aa=U({__name:"TooltipContentImpl",props:{ariaLabel:{},asChild:{type:Boolean},as:{},side:{default:"top"},sideOffset:{default:0},align:{default:"center"},alignOffset:{},avoidCollisions:{type:Boolean,default:!0},collisionBoundary:{default:()=>[]},collisionPadding:{default:0},arrowPadding:{default:0},sticky:{default:"partial"},hideWhenDetached:{type:Boolean,default:!1},positionStrategy:{},updatePositionStrategy:{}},emits:["escapeKeyDown","pointerDownOutside"],setup(n,{emit:l}){const e=n,u=l,o=st(),{forwardRef:m}=le(),f=We(),c=N(()=>{var v;return(v=f.default)==null?void 0:v.call(f,{})}),p=N(()=>{var y;if(e.ariaLabel)return e.ariaLabel;let v="";function r($){typeof $.children=="string"&&$.type!==ha?v+=$.children:Array.isArray($.children)&&$.children.forEach(k=>r(k))}return(y=c.value)==null||y.forEach($=>r($)),v}),x=N(()=>{const{ariaLabel:v,...r}=e;return r});return Ke(()=>{It(window,"scroll",v=>{const r=v.target;r!=null&&r.contains(o.trigger.value)&&o.onClose()}),It(window,ta,o.onClose)}),(v,r)=>(h(),L(a(Wt),{"as-child":"","disable-outside-pointer-events":!1,onEscapeKeyDown:r[0]||(r[0]=y=>u("escapeKeyDown",y)),onPointerDownOutside:r[1]||(r[1]=y=>{var $;a(o).disableClosingTrigger.value&&(($=a(o).trigger.value)!=null&&$.contains(y.target))&&y.preventDefault(),u("pointerDownOutside",y)}),onFocusOutside:r[2]||(r[2]=yt(()=>{},["prevent"])),onDismiss:r[3]||(r[3]=y=>a(o).onClose())},{default:C(()=>[R(a(Ga),M({ref:a(m),"data-state":a(o).stateAttribute.value},{...v.$attrs,...x.value},{style:{"--reka-tooltip-content-transform-origin":"var(--reka-popper-transform-origin)","--reka-tooltip-content-available-width":"var(--reka-popper-available-width)","--reka-tooltip-content-available-height":"var(--reka-popper-available-height)","--reka-tooltip-trigger-width":"var(--reka-popper-anchor-width)","--reka-tooltip-trigger-height":"var(--reka-popper-anchor-height)"}}),{default:C(()=>[P(v.$slots,"default"),R(a(mt),{id:a(o).contentId,role:"tooltip"},{default:C(()=>[De(ge(p.value),1)]),_:1},8,["id"])]),_:3},16,["data-state"])]),_:3}))}}),mn=U({__name:"TooltipContentHoverable",props:{ariaLabel:{},asChild:{type:Boolean},as:{},side:{},sideOffset:{},align:{},alignOffset:{},avoidCollisions:{type:Boolean},collisionBoundary:{},collisionPadding:{},arrowPadding:{},sticky:{},hideWhenDetached:{type:Boolean},positionStrategy:{},updatePositionStrategy:{}},setup(n){const e=ma(n),{forwardRef:u,currentElement:o}=le(),{trigger:m,onClose:f}=st(),c=bt(),{isPointerInTransit:p,onPointerExit:x}=Xa(m,o);return c.isPointerInTransitRef=p,x(()=>{f()}),(v,r)=>(h(),L(aa,M({ref:a(u)},a(e)),{default:C(()=>[P(v.$slots,"default")]),_:3},16))}}),bn=U({__name:"TooltipContent",props:{forceMount:{type:Boolean},ariaLabel:{},asChild:{type:Boolean},as:{},side:{default:"top"},sideOffset:{},align:{},alignOffset:{},avoidCollisions:{type:Boolean},collisionBoundary:{},collisionPadding:{},arrowPadding:{},sticky:{},hideWhenDetached:{type:Boolean},positionStrategy:{},updatePositionStrategy:{}},emits:["escapeKeyDown","pointerDownOutside"],setup(n,{emit:l}){const e=n,u=l,o=st(),m=qe(e,u),{forwardRef:f}=le();return(c,p)=>(h(),L(a(it),{present:c.forceMount||a(o).open.value},{default:C(()=>[(h(),L(Ge(a(o).disableHoverableContent.value?aa:mn),M({ref:a(f)},a(m)),{default:C(()=>[P(c.$slots,"default")]),_:3},16))]),_:3},8,["present"]))}}),yn=U({__name:"TooltipPortal",props:{to:{},disabled:{type:Boolean},defer:{type:Boolean},forceMount:{type:Boolean}},setup(n){const l=n;return(e,u)=>(h(),L(a(ba),Ae(Fe(l)),{default:C(()=>[P(e.$slots,"default")]),_:3},16))}}),kn=U({__name:"TooltipTrigger",props:{reference:{},asChild:{type:Boolean},as:{default:"button"}},setup(n){const l=n,e=st(),u=bt();e.contentId||(e.contentId=ht(void 0,"reka-tooltip-content"));const{forwardRef:o,currentElement:m}=le(),f=S(!1),c=S(!1),p=N(()=>e.disabled.value?{}:{click:s,focus:$,pointermove:r,pointerleave:y,pointerdown:v,blur:k});Ke(()=>{e.onTriggerChange(m.value)});function x(){setTimeout(()=>{f.value=!1},1)}function v(){e.open&&!e.disableClosingTrigger.value&&e.onClose(),f.value=!0,document.addEventListener("pointerup",x,{once:!0})}function r(T){T.pointerType!=="touch"&&!c.value&&!u.isPointerInTransitRef.value&&(e.onTriggerEnter(),c.value=!0)}function y(){e.onTriggerLeave(),c.value=!1}function $(T){var D,d;f.value||e.ignoreNonKeyboardFocus.value&&!((d=(D=T.target).matches)!=null&&d.call(D,":focus-visible"))||e.onOpen()}function k(){e.onClose()}function s(){e.disableClosingTrigger.value||e.onClose()}return(T,D)=>(h(),L(a(Ya),{"as-child":"",reference:T.reference},{default:C(()=>[R(a(ke),M({ref:a(o),"aria-describedby":a(e).open.value?a(e).contentId:void 0,"data-state":a(e).stateAttribute.value,as:T.as,"as-child":l.asChild,"data-grace-area-trigger":""},Ut(p.value)),{default:C(()=>[P(T.$slots,"default")]),_:3},16,["aria-describedby","data-state","as","as-child"])]),_:3},8,["reference"]))}}),wn={base:"fixed inset-0 flex overflow-hidden"},xn=Gt;var At;const $n=at({extend:at(wn),...((At=xn.uiPro)==null?void 0:At.dashboardGroup)||{}}),Cn=U({__name:"DashboardGroup",props:{as:{},class:{},storage:{default:"cookie"},storageKey:{default:"dashboard"},persistent:{type:Boolean,default:!0}},setup(n){const l=n;return sa({storage:l.storage,storageKey:l.storageKey,persistent:l.persistent,sidebarOpen:S(!1),toggleSidebar:()=>{},sidebarCollapsed:S(!1),collapseSidebar:()=>{},searchOpen:S(!1),toggleSearch:()=>{}}),(e,u)=>(h(),L(a(ke),{as:e.as,class:B(a($n)({class:l.class}))},{default:C(()=>[P(e.$slots,"default")]),_:3},8,["as","class"]))}});(function(){var n;try{if(typeof document<"u"){var l=document.createElement("style");l.nonce=(n=document.head.querySelector("meta[property=csp-nonce]"))==null?void 0:n.content,l.appendChild(document.createTextNode('[data-vaul-drawer]{touch-action:none;will-change:transform;transition:transform .5s cubic-bezier(.32,.72,0,1);animation-duration:.5s;animation-timing-function:cubic-bezier(.32,.72,0,1)}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=bottom][data-state=open]{animation-name:slideFromBottom}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=bottom][data-state=closed]{animation-name:slideToBottom}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=top][data-state=open]{animation-name:slideFromTop}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=top][data-state=closed]{animation-name:slideToTop}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=left][data-state=open]{animation-name:slideFromLeft}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=left][data-state=closed]{animation-name:slideToLeft}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=right][data-state=open]{animation-name:slideFromRight}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=right][data-state=closed]{animation-name:slideToRight}[data-vaul-drawer][data-vaul-snap-points=true][data-vaul-drawer-direction=bottom]{transform:translate3d(0,var(--initial-transform, 100%),0)}[data-vaul-drawer][data-vaul-snap-points=true][data-vaul-drawer-direction=top]{transform:translate3d(0,calc(var(--initial-transform, 100%) * -1),0)}[data-vaul-drawer][data-vaul-snap-points=true][data-vaul-drawer-direction=left]{transform:translate3d(calc(var(--initial-transform, 100%) * -1),0,0)}[data-vaul-drawer][data-vaul-snap-points=true][data-vaul-drawer-direction=right]{transform:translate3d(var(--initial-transform, 100%),0,0)}[data-vaul-drawer][data-vaul-delayed-snap-points=true][data-vaul-drawer-direction=top],[data-vaul-drawer][data-vaul-delayed-snap-points=true][data-vaul-drawer-direction=bottom]{transform:translate3d(0,var(--snap-point-height, 0),0)}[data-vaul-drawer][data-vaul-delayed-snap-points=true][data-vaul-drawer-direction=left],[data-vaul-drawer][data-vaul-delayed-snap-points=true][data-vaul-drawer-direction=right]{transform:translate3d(var(--snap-point-height, 0),0,0)}[data-vaul-overlay][data-vaul-snap-points=false]{animation-duration:.5s;animation-timing-function:cubic-bezier(.32,.72,0,1)}[data-vaul-overlay][data-vaul-snap-points=false][data-state=open]{animation-name:fadeIn}[data-vaul-overlay][data-state=closed]{animation-name:fadeOut}[data-vaul-animate=false]{animation:none!important}[data-vaul-overlay][data-vaul-snap-points=true]{opacity:0;transition:opacity .5s cubic-bezier(.32,.72,0,1)}[data-vaul-overlay][data-vaul-snap-points=true]{opacity:1}[data-vaul-drawer]:not([data-vaul-custom-container=true]):after{content:"";position:absolute;background:inherit;background-color:inherit}[data-vaul-drawer][data-vaul-drawer-direction=top]:after{top:initial;bottom:100%;left:0;right:0;height:200%}[data-vaul-drawer][data-vaul-drawer-direction=bottom]:after{top:100%;bottom:initial;left:0;right:0;height:200%}[data-vaul-drawer][data-vaul-drawer-direction=left]:after{left:initial;right:100%;top:0;bottom:0;width:200%}[data-vaul-drawer][data-vaul-drawer-direction=right]:after{left:100%;right:initial;top:0;bottom:0;width:200%}[data-vaul-overlay][data-vaul-snap-points=true]:not([data-vaul-snap-points-overlay=true]):not([data-state=closed]){opacity:0}[data-vaul-overlay][data-vaul-snap-points-overlay=true]{opacity:1}[data-vaul-handle]{display:block;position:relative;opacity:.7;background:#e2e2e4;margin-left:auto;margin-right:auto;height:5px;width:32px;border-radius:1rem;touch-action:pan-y}[data-vaul-handle]:hover,[data-vaul-handle]:active{opacity:1}[data-vaul-handle-hitarea]{position:absolute;left:50%;top:50%;transform:translate(-50%,-50%);width:max(100%,2.75rem);height:max(100%,2.75rem);touch-action:inherit}@media (hover: hover) and (pointer: fine){[data-vaul-drawer]{-webkit-user-select:none;user-select:none}}@media (pointer: fine){[data-vaul-handle-hitarea]:{width:100%;height:100%}}@keyframes fadeIn{0%{opacity:0}to{opacity:1}}@keyframes fadeOut{to{opacity:0}}@keyframes slideFromBottom{0%{transform:translate3d(0,var(--initial-transform, 100%),0)}to{transform:translateZ(0)}}@keyframes slideToBottom{to{transform:translate3d(0,var(--initial-transform, 100%),0)}}@keyframes slideFromTop{0%{transform:translate3d(0,calc(var(--initial-transform, 100%) * -1),0)}to{transform:translateZ(0)}}@keyframes slideToTop{to{transform:translate3d(0,calc(var(--initial-transform, 100%) * -1),0)}}@keyframes slideFromLeft{0%{transform:translate3d(calc(var(--initial-transform, 100%) * -1),0,0)}to{transform:translateZ(0)}}@keyframes slideToLeft{to{transform:translate3d(calc(var(--initial-transform, 100%) * -1),0,0)}}@keyframes slideFromRight{0%{transform:translate3d(var(--initial-transform, 100%),0,0)}to{transform:translateZ(0)}}@keyframes slideToRight{to{transform:translate3d(var(--initial-transform, 100%),0,0)}}')),document.head.appendChild(l)}}catch(e){console.error("vite-plugin-css-injected-by-js",e)}})();const Tn=typeof window<"u"&&typeof document<"u";typeof WorkerGlobalScope<"u"&&globalThis instanceof WorkerGlobalScope;const Ln=n=>typeof n<"u";function Dn(n){return JSON.parse(JSON.stringify(n))}function Mt(n,l,e,u={}){var o,m,f;const{clone:c=!1,passive:p=!1,eventName:x,deep:v=!1,defaultValue:r,shouldEmit:y}=u,$=ya(),k=e||($==null?void 0:$.emit)||((o=$==null?void 0:$.$emit)==null?void 0:o.bind($))||((f=(m=$==null?void 0:$.proxy)==null?void 0:m.$emit)==null?void 0:f.bind($==null?void 0:$.proxy));let s=x;l||(l="modelValue"),s=s||`update:${l.toString()}`;const T=i=>c?typeof c=="function"?c(i):Dn(i):i,D=()=>Ln(n[l])?T(n[l]):r,d=i=>{y?y(i)&&k(s,i):k(s,i)};if(p){const i=D(),g=S(i);let t=!1;return $e(()=>n[l],w=>{t||(t=!0,g.value=T(w),Yt(()=>t=!1))}),$e(g,w=>{!t&&(w!==n[l]||v)&&d(w)},{deep:v}),g}else return N({get(){return D()},set(i){d(i)}})}const[ut,On]=lt("DrawerRoot"),na=new WeakMap;function ee(n,l,e=!1){if(!n||!(n instanceof HTMLElement)||!l)return;const u={};Object.entries(l).forEach(([o,m])=>{if(o.startsWith("--")){n.style.setProperty(o,m);return}u[o]=n.style[o],n.style[o]=m}),!e&&na.set(n,u)}function Sn(n,l){if(!n||!(n instanceof HTMLElement))return;const e=na.get(n);e&&Object.entries(e).forEach(([u,o])=>{n.style[u]=o})}function Qe(n,l){const e=window.getComputedStyle(n),u=e.transform||e.webkitTransform||e.mozTransform;let o=u.match(/^matrix3d\((.+)\)$/);return o?Number.parseFloat(o[1].split(", ")[Z(l)?13:12]):(o=u.match(/^matrix\((.+)\)$/),o?Number.parseFloat(o[1].split(", ")[Z(l)?5:4]):null)}function In(n){return 8*(Math.log(n+1)-2)}function Z(n){switch(n){case"top":case"bottom":return!0;case"left":case"right":return!1;default:return n}}function pt(n,l){if(!n)return()=>{};const e=n.style.cssText;return Object.assign(n.style,l),()=>{n.style.cssText=e}}function Bn(...n){return(...l)=>{for(const e of n)typeof e=="function"&&e(...l)}}const G={DURATION:.5,EASE:[.32,.72,0,1]},oa=.4,Pn=.25,En=100,la=8,et=16,ia=26,zt="vaul-dragging";function Rn({activeSnapPoint:n,snapPoints:l,drawerRef:e,overlayRef:u,fadeFromIndex:o,onSnapPointChange:m,direction:f}){const c=S(typeof window<"u"?{innerWidth:window.innerWidth,innerHeight:window.innerHeight}:void 0);function p(){c.value={innerWidth:window.innerWidth,innerHeight:window.innerHeight}}Ke(()=>{typeof window<"u"&&window.addEventListener("resize",p)}),ka(()=>{typeof window<"u"&&window.removeEventListener("resize",p)});const x=N(()=>(l.value&&n.value===l.value[l.value.length-1])??null),v=N(()=>l.value&&l.value.length>0&&((o==null?void 0:o.value)||(o==null?void 0:o.value)===0)&&!Number.isNaN(o==null?void 0:o.value)&&l.value[(o==null?void 0:o.value)??-1]===n.value||!l.value),r=N(()=>{var d;return((d=l.value)==null?void 0:d.findIndex(i=>i===n.value))??null}),y=N(()=>{var d;return((d=l.value)==null?void 0:d.map(i=>{const g=typeof i=="string";let t=0;if(g&&(t=Number.parseInt(i,10)),Z(f.value)){const b=g?t:c.value?i*c.value.innerHeight:0;return c.value?f.value==="bottom"?c.value.innerHeight-b:-c.value.innerHeight+b:b}const w=g?t:c.value?i*c.value.innerWidth:0;return c.value?f.value==="right"?c.value.innerWidth-w:-c.value.innerWidth+w:w}))??[]}),$=N(()=>{var d;return r.value!==null?(d=y.value)==null?void 0:d[r.value]:null}),k=d=>{var i,g,t,w;const b=((i=y.value)==null?void 0:i.findIndex(I=>I===d))??null;Yt(()=>{var I;m(b,y.value),ee((I=e.value)==null?void 0:I.$el,{transition:`transform ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,transform:Z(f.value)?`translate3d(0, ${d}px, 0)`:`translate3d(${d}px, 0, 0)`})}),y.value&&b!==y.value.length-1&&b!==(o==null?void 0:o.value)?ee((g=u.value)==null?void 0:g.$el,{transition:`opacity ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,opacity:"0"}):ee((t=u.value)==null?void 0:t.$el,{transition:`opacity ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,opacity:"1"}),n.value=b!==null?((w=l.value)==null?void 0:w[b])??null:null};$e([n,y,l],()=>{var d;if(n.value){const i=((d=l.value)==null?void 0:d.findIndex(g=>g===n.value))??-1;y.value&&i!==-1&&typeof y.value[i]=="number"&&k(y.value[i])}},{immediate:!0});function s({draggedDistance:d,closeDrawer:i,velocity:g,dismissible:t}){var w,b,I;if(o.value===void 0)return;const H=f.value==="bottom"||f.value==="right"?($.value??0)-d:($.value??0)+d,X=r.value===o.value-1,q=r.value===0,Y=d>0;if(X&&ee((w=u.value)==null?void 0:w.$el,{transition:`opacity ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`}),g>2&&!Y){t?i():k(y.value[0]);return}if(g>2&&Y&&y&&l.value){k(y.value[l.value.length-1]);return}const te=(b=y.value)==null?void 0:b.reduce((j,_)=>typeof j!="number"||typeof _!="number"?j:Math.abs(_-H)<Math.abs(j-H)?_:j),V=Z(f.value)?window.innerHeight:window.innerWidth;if(g>oa&&Math.abs(d)<V*.4){const j=Y?1:-1;if(j>0&&x){k(y.value[(((I=l.value)==null?void 0:I.length)??0)-1]);return}if(q&&j<0&&t&&i(),r.value===null)return;k(y.value[r.value+j]);return}k(te)}function T({draggedDistance:d}){var i;if($.value===null)return;const g=f.value==="bottom"||f.value==="right"?$.value-d:$.value+d;(f.value==="bottom"||f.value==="right")&&g<y.value[y.value.length-1]||(f.value==="top"||f.value==="left")&&g>y.value[y.value.length-1]||ee((i=e.value)==null?void 0:i.$el,{transform:Z(f.value)?`translate3d(0, ${g}px, 0)`:`translate3d(${g}px, 0, 0)`})}function D(d,i){if(!l.value||typeof r.value!="number"||!y.value||o.value===void 0)return null;const g=r.value===o.value-1;if(r.value>=o.value&&i)return 0;if(g&&!i)return 1;if(!v.value&&!g)return null;const t=g?r.value+1:r.value-1,w=g?y.value[t]-y.value[t-1]:y.value[t+1]-y.value[t],b=d/Math.abs(w);return g?1-b:b}return{isLastSnapPoint:x,shouldFade:v,getPercentageDragged:D,activeSnapPointIndex:r,onRelease:s,onDrag:T,snapPointsOffset:y}}function qt(){return/^((?!chrome|android).)*safari/i.test(navigator.userAgent)}let Ue=null;function _n(n){const{isOpen:l,modal:e,nested:u,hasBeenOpened:o,preventScrollRestoration:m,noBodyStyles:f}=n,c=S(typeof window<"u"?window.location.href:""),p=S(0);function x(){if(qt()&&Ue===null&&l.value&&!f.value){Ue={position:document.body.style.position,top:document.body.style.top,left:document.body.style.left,height:document.body.style.height};const{scrollX:r,innerHeight:y}=window;document.body.style.setProperty("position","fixed","important"),Object.assign(document.body.style,{top:`${-p.value}px`,left:`${-r}px`,right:"0px",height:"auto"}),setTimeout(()=>{requestAnimationFrame(()=>{const $=y-window.innerHeight;$&&p.value>=y&&(document.body.style.top=`-${p.value+$}px`)})},300)}}function v(){if(qt()&&Ue!==null&&!f.value){const r=-Number.parseInt(document.body.style.top,10),y=-Number.parseInt(document.body.style.left,10);Object.assign(document.body.style,Ue),window.requestAnimationFrame(()=>{if(m.value&&c.value!==window.location.href){c.value=window.location.href;return}window.scrollTo(y,r)}),Ue=null}}return Ke(()=>{function r(){p.value=window.scrollY}r(),window.addEventListener("scroll",r),wa(()=>{window.removeEventListener("scroll",r)})}),$e([l,o,c],()=>{u.value||!o.value||(l.value?(window.matchMedia("(display-mode: standalone)").matches||x(),e.value||setTimeout(()=>{v()},500)):v())}),{restorePositionSetting:v}}function Nn(n,l){return n&&n.value?n:l}function Mn(n){const{emitDrag:l,emitRelease:e,emitClose:u,emitOpenChange:o,open:m,dismissible:f,nested:c,modal:p,shouldScaleBackground:x,setBackgroundColorOnScale:v,scrollLockTimeout:r,closeThreshold:y,activeSnapPoint:$,fadeFromIndex:k,direction:s,noBodyStyles:T,handleOnly:D,preventScrollRestoration:d}=n,i=S(m.value??!1),g=S(!1),t=S(!1),w=S(!1),b=S(null),I=S(null),H=S(null),X=S(null),q=S(null),Y=S(!1),te=S(null),V=S(0),j=S(!1);S(0);const _=S(null);S(0);const ie=N(()=>{var O;return((O=_.value)==null?void 0:O.$el.getBoundingClientRect().height)||0}),K=Nn(n.snapPoints,S(void 0)),he=N(()=>{var O;return K&&(((O=K.value)==null?void 0:O.length)??0)>0}),me=S(null),{activeSnapPointIndex:re,onRelease:ue,snapPointsOffset:ae,onDrag:we,shouldFade:ce,getPercentageDragged:oe}=Rn({snapPoints:K,activeSnapPoint:$,drawerRef:_,fadeFromIndex:k,overlayRef:b,onSnapPointChange:ne,direction:s});function ne(O,F){K.value&&O===F.length-1&&(I.value=new Date)}_n({isOpen:i,modal:p,nested:c,hasBeenOpened:g,noBodyStyles:T,preventScrollRestoration:d});function xe(){return(window.innerWidth-ia)/window.innerWidth}function Ce(O,F){var W;if(!O)return!1;let A=O;const J=(W=window.getSelection())==null?void 0:W.toString(),Q=_.value?Qe(_.value.$el,s.value):null,ve=new Date;if(A.hasAttribute("data-vaul-no-drag")||A.closest("[data-vaul-no-drag]"))return!1;if(s.value==="right"||s.value==="left")return!0;if(I.value&&ve.getTime()-I.value.getTime()<500)return!1;if(Q!==null&&(s.value==="bottom"?Q>0:Q<0))return!0;if(J&&J.length>0)return!1;if(q.value&&ve.getTime()-q.value.getTime()<r.value&&Q===0||F)return q.value=ve,!1;for(;A;){if(A.scrollHeight>A.clientHeight){if(A.scrollTop!==0)return q.value=new Date,!1;if(A.getAttribute("role")==="dialog")return!0}A=A.parentNode}return!0}function de(O){!f.value&&!K.value||_.value&&!_.value.$el.contains(O.target)||(t.value=!0,H.value=new Date,O.target.setPointerCapture(O.pointerId),V.value=Z(s.value)?O.clientY:O.clientX)}function Ee(O){var F,W,A,J,Q,ve;if(_.value&&t.value){const _e=s.value==="bottom"||s.value==="right"?1:-1,Xe=(V.value-(Z(s.value)?O.clientY:O.clientX))*_e,Je=Xe>0,Tt=K.value&&!f.value&&!Je;if(Tt&&re.value===0)return;const dt=Math.abs(Xe),Lt=document.querySelector("[data-vaul-drawer-wrapper]")||document.querySelector("[vaul-drawer-wrapper]");let Ie=dt/ie.value;const Dt=oe(dt,Je);if(Dt!==null&&(Ie=Dt),Tt&&Ie>=1||!Y.value&&!Ce(O.target,Je))return;if((F=_==null?void 0:_.value)==null||F.$el.classList.add(zt),Y.value=!0,ee((W=_.value)==null?void 0:W.$el,{transition:"none"}),ee((A=b.value)==null?void 0:A.$el,{transition:"none"}),K.value&&we({draggedDistance:Xe}),Je&&!K.value){const Be=In(Xe),Ze=Math.min(Be*-1,0)*_e;ee((J=_.value)==null?void 0:J.$el,{transform:Z(s.value)?`translate3d(0, ${Ze}px, 0)`:`translate3d(${Ze}px, 0, 0)`});return}const ra=1-Ie;if((ce.value||k.value&&re.value===k.value-1)&&(l(Ie),ee((Q=b.value)==null?void 0:Q.$el,{opacity:`${ra}`,transition:"none"},!0)),Lt&&b.value&&x.value){const Be=Math.min(xe()+Ie*(1-xe()),1),Ze=8-Ie*8,Ot=Math.max(0,14-Ie*14);ee(Lt,{borderRadius:`${Ze}px`,transform:Z(s.value)?`scale(${Be}) translate3d(0, ${Ot}px, 0)`:`scale(${Be}) translate3d(${Ot}px, 0, 0)`,transition:"none"},!0)}if(!K.value){const Be=dt*_e;ee((ve=_.value)==null?void 0:ve.$el,{transform:Z(s.value)?`translate3d(0, ${Be}px, 0)`:`translate3d(${Be}px, 0, 0)`})}}}function Te(){var O;if(!_.value)return;const F=document.querySelector("[data-vaul-drawer-wrapper]")||document.querySelector("[vaul-drawer-wrapper]"),W=Qe(_.value.$el,s.value);ee(_.value.$el,{transform:"translate3d(0, 0, 0)",transition:`transform ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`}),ee((O=b.value)==null?void 0:O.$el,{transition:`opacity ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,opacity:"1"}),x.value&&W&&W>0&&i.value&&ee(F,{borderRadius:`${la}px`,overflow:"hidden",...Z(s.value)?{transform:`scale(${xe()}) translate3d(0, calc(env(safe-area-inset-top) + 14px), 0)`,transformOrigin:"top"}:{transform:`scale(${xe()}) translate3d(calc(env(safe-area-inset-top) + 14px), 0, 0)`,transformOrigin:"left"},transitionProperty:"transform, border-radius",transitionDuration:`${G.DURATION}s`,transitionTimingFunction:`cubic-bezier(${G.EASE.join(",")})`},!0)}function fe(O){_.value&&(u(),O||(i.value=!1),window.setTimeout(()=>{K.value&&($.value=K.value[0])},G.DURATION*1e3))}Ve(()=>{if(!i.value&&x.value&&Tn){const O=setTimeout(()=>{Sn(document.body)},200);return()=>clearTimeout(O)}}),$e(m,()=>{i.value=m.value,m.value||fe()});function be(O){if(!t.value||!_.value)return;_.value.$el.classList.remove(zt),Y.value=!1,t.value=!1,X.value=new Date;const F=Qe(_.value.$el,s.value);if(!Ce(O.target,!1)||!F||Number.isNaN(F)||H.value===null)return;const W=X.value.getTime()-H.value.getTime(),A=V.value-(Z(s.value)?O.clientY:O.clientX),J=Math.abs(A)/W;if(J>.05&&(w.value=!0,window.setTimeout(()=>{w.value=!1},200)),K.value){const ve=s.value==="bottom"||s.value==="right"?1:-1;ue({draggedDistance:A*ve,closeDrawer:fe,velocity:J,dismissible:f.value}),e(!0);return}if(s.value==="bottom"||s.value==="right"?A>0:A<0){Te(),e(!0);return}if(J>oa){fe(),e(!1);return}const Q=Math.min(_.value.$el.getBoundingClientRect().height??0,window.innerHeight);if(F>=Q*y.value){fe(),e(!1);return}e(!0),Te()}$e(i,O=>{O&&(I.value=new Date),o(O)},{immediate:!0});function Re(O){var F,W;const A=O?(window.innerWidth-et)/window.innerWidth:1,J=O?-16:0;te.value&&window.clearTimeout(te.value),ee((F=_.value)==null?void 0:F.$el,{transition:`transform ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,transform:`scale(${A}) translate3d(0, ${J}px, 0)`}),!O&&(W=_.value)!=null&&W.$el&&(te.value=window.setTimeout(()=>{var Q,ve;const _e=Qe((Q=_.value)==null?void 0:Q.$el,s.value);ee((ve=_.value)==null?void 0:ve.$el,{transition:"none",transform:Z(s.value)?`translate3d(0, ${_e}px, 0)`:`translate3d(${_e}px, 0, 0)`})},500))}function Oe(O){var F;if(O<0)return;const W=Z(s.value)?window.innerHeight:window.innerWidth,A=(W-et)/W,J=A+O*(1-A),Q=-16+O*et;ee((F=_.value)==null?void 0:F.$el,{transform:Z(s.value)?`scale(${J}) translate3d(0, ${Q}px, 0)`:`scale(${J}) translate3d(${Q}px, 0, 0)`,transition:"none"})}function Se(O){var F;const W=Z(s.value)?window.innerHeight:window.innerWidth,A=O?(W-et)/W:1,J=O?-16:0;O&&ee((F=_.value)==null?void 0:F.$el,{transition:`transform ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,transform:Z(s.value)?`scale(${A}) translate3d(0, ${J}px, 0)`:`scale(${A}) translate3d(${J}px, 0, 0)`})}return{open:m,isOpen:i,modal:p,keyboardIsOpen:j,hasBeenOpened:g,drawerRef:_,drawerHeightRef:ie,overlayRef:b,handleRef:me,isDragging:t,dragStartTime:H,isAllowedToDrag:Y,snapPoints:K,activeSnapPoint:$,hasSnapPoints:he,pointerStart:V,dismissible:f,snapPointsOffset:ae,direction:s,shouldFade:ce,fadeFromIndex:k,shouldScaleBackground:x,setBackgroundColorOnScale:v,onPress:de,onDrag:Ee,onRelease:be,closeDrawer:fe,onNestedDrag:Oe,onNestedRelease:Se,onNestedOpenChange:Re,emitClose:u,emitDrag:l,emitRelease:e,emitOpenChange:o,nested:c,handleOnly:D,noBodyStyles:T}}const zn=U({__name:"DrawerRoot",props:{activeSnapPoint:{default:void 0},closeThreshold:{default:Pn},shouldScaleBackground:{type:Boolean,default:void 0},setBackgroundColorOnScale:{type:Boolean,default:!0},scrollLockTimeout:{default:En},fixed:{type:Boolean,default:void 0},dismissible:{type:Boolean,default:!0},modal:{type:Boolean,default:!0},open:{type:Boolean,default:void 0},defaultOpen:{type:Boolean,default:void 0},nested:{type:Boolean,default:!1},direction:{default:"bottom"},noBodyStyles:{type:Boolean},handleOnly:{type:Boolean,default:!1},preventScrollRestoration:{type:Boolean},snapPoints:{default:void 0},fadeFromIndex:{default:void 0}},emits:["drag","release","close","update:open","update:activeSnapPoint","animationEnd"],setup(n,{expose:l,emit:e}){const u=n,o=e;We();const m=N(()=>u.fadeFromIndex??(u.snapPoints&&u.snapPoints.length-1)),f=Mt(u,"open",o,{defaultValue:u.defaultOpen,passive:u.open===void 0}),c=Mt(u,"activeSnapPoint",o,{passive:u.activeSnapPoint===void 0}),p={emitDrag:k=>o("drag",k),emitRelease:k=>o("release",k),emitClose:()=>o("close"),emitOpenChange:k=>{o("update:open",k),setTimeout(()=>{o("animationEnd",k)},G.DURATION*1e3)}},{closeDrawer:x,hasBeenOpened:v,modal:r,isOpen:y}=On(Mn({...p,...Vt(u),activeSnapPoint:c,fadeFromIndex:m,open:f}));function $(k){if(f.value!==void 0){p.emitOpenChange(k);return}y.value=k,k?v.value=!0:x()}return l({open:y}),(k,s)=>(h(),L(a(Ma),{open:a(y),modal:a(r),"onUpdate:open":$},{default:C(()=>[P(k.$slots,"default",{open:a(y)})]),_:3},8,["open","modal"]))}}),qn=U({__name:"DrawerOverlay",setup(n){const{overlayRef:l,hasSnapPoints:e,isOpen:u,shouldFade:o}=ut();return(m,f)=>(h(),L(a(_a),{ref_key:"overlayRef",ref:l,"data-vaul-overlay":"","data-vaul-snap-points":a(u)&&a(e)?"true":"false","data-vaul-snap-points-overlay":a(u)&&a(o)?"true":"false"},null,8,["data-vaul-snap-points","data-vaul-snap-points-overlay"]))}}),An=()=>()=>{};function Fn(){const{direction:n,isOpen:l,shouldScaleBackground:e,setBackgroundColorOnScale:u,noBodyStyles:o}=ut(),m=S(null),f=S(document.body.style.backgroundColor);function c(){return(window.innerWidth-ia)/window.innerWidth}Ve(p=>{if(l.value&&e.value){m.value&&clearTimeout(m.value);const x=document.querySelector("[data-vaul-drawer-wrapper]")||document.querySelector("[vaul-drawer-wrapper]");if(!x)return;Bn(u.value&&!o.value?pt(document.body,{background:"black"}):An,pt(x,{transformOrigin:Z(n.value)?"top":"left",transitionProperty:"transform, border-radius",transitionDuration:`${G.DURATION}s`,transitionTimingFunction:`cubic-bezier(${G.EASE.join(",")})`}));const v=pt(x,{borderRadius:`${la}px`,overflow:"hidden",...Z(n.value)?{transform:`scale(${c()}) translate3d(0, calc(env(safe-area-inset-top) + 14px), 0)`}:{transform:`scale(${c()}) translate3d(calc(env(safe-area-inset-top) + 14px), 0, 0)`}});p(()=>{v(),m.value=window.setTimeout(()=>{f.value?document.body.style.background=f.value:document.body.style.removeProperty("background")},G.DURATION*1e3)})}},{flush:"pre"})}const Hn=U({__name:"DrawerContent",setup(n){const{open:l,isOpen:e,snapPointsOffset:u,hasSnapPoints:o,drawerRef:m,onPress:f,onDrag:c,onRelease:p,modal:x,emitOpenChange:v,dismissible:r,keyboardIsOpen:y,closeDrawer:$,direction:k,handleOnly:s}=ut();Fn();const T=S(!1),D=N(()=>u.value&&u.value.length>0?`${u.value[0]}px`:"0");function d(t){if(!x.value||t.defaultPrevented){t.preventDefault();return}y.value&&(y.value=!1),r.value?v(!1):t.preventDefault()}function i(t){s.value||f(t)}function g(t){s.value||c(t)}return Ve(()=>{o.value&&window.requestAnimationFrame(()=>{T.value=!0})}),(t,w)=>(h(),L(a(Na),{ref_key:"drawerRef",ref:m,"data-vaul-drawer":"","data-vaul-drawer-direction":a(k),"data-vaul-delayed-snap-points":T.value?"true":"false","data-vaul-snap-points":a(e)&&a(o)?"true":"false",style:kt({"--snap-point-height":D.value}),onPointerdown:i,onPointermove:g,onPointerup:a(p),onPointerDownOutside:d,onOpenAutoFocus:w[0]||(w[0]=yt(()=>{},["prevent"])),onEscapeKeyDown:w[1]||(w[1]=b=>{a(r)||b.preventDefault()})},{default:C(()=>[P(t.$slots,"default")]),_:3},8,["data-vaul-drawer-direction","data-vaul-delayed-snap-points","data-vaul-snap-points","style","onPointerup"]))}}),Vn=["data-vaul-drawer-visible"],Kn={"data-vaul-handle-hitarea":"","aria-hidden":"true"},Wn=250,jn=120,Un=U({__name:"DrawerHandle",props:{preventCycle:{type:Boolean,default:!1}},setup(n){const l=n,{onPress:e,onDrag:u,handleRef:o,handleOnly:m,isOpen:f,snapPoints:c,activeSnapPoint:p,isDragging:x,dismissible:v,closeDrawer:r}=ut(),y=S(null),$=S(!1);function k(){if($.value){D();return}window.setTimeout(()=>{s()},jn)}function s(){if(x.value||l.preventCycle||$.value){D();return}if(D(),!c.value||c.value.length===0){v.value||r();return}const g=p.value===c.value[c.value.length-1];if(g&&v.value){r();return}const t=c.value.findIndex(b=>b===p.value);if(t===-1)return;const w=g?0:t+1;p.value=c.value[w]}function T(){y.value=window.setTimeout(()=>{$.value=!0},Wn)}function D(){y.value&&window.clearTimeout(y.value),$.value=!1}function d(g){m.value&&e(g),T()}function i(g){m.value&&u(g)}return(g,t)=>(h(),z("div",{ref_key:"handleRef",ref:o,"data-vaul-drawer-visible":a(f)?"true":"false","data-vaul-handle":"","aria-hidden":"true",onClick:k,onPointercancel:D,onPointerdown:d,onPointermove:i},[se("span",Kn,[P(g.$slots,"default")])],40,Vn))}}),Gn={slots:{overlay:"fixed inset-0 bg-elevated/75",content:"fixed bg-default ring ring-default flex focus:outline-none",handle:["shrink-0 !bg-accented","transition-opacity"],container:"w-full flex flex-col gap-4 p-4 overflow-y-auto",header:"",title:"text-highlighted font-semibold",description:"mt-1 text-muted text-sm",body:"flex-1",footer:"flex flex-col gap-1.5"},variants:{direction:{top:{content:"mb-24 flex-col-reverse",handle:"mb-4"},right:{content:"flex-row",handle:"!ml-4"},bottom:{content:"mt-24 flex-col",handle:"mt-4"},left:{content:"flex-row-reverse",handle:"!mr-4"}},inset:{true:{content:"rounded-lg after:hidden overflow-hidden"}}},compoundVariants:[{direction:["top","bottom"],class:{content:"h-auto max-h-[96%]",handle:"!w-12 !h-1.5 mx-auto"}},{direction:["right","left"],class:{content:"w-auto max-w-[calc(100%-2rem)]",handle:"!h-12 !w-1.5 mt-auto mb-auto"}},{direction:"top",inset:!0,class:{content:"inset-x-4 top-4"}},{direction:"top",inset:!1,class:{content:"inset-x-0 top-0 rounded-b-lg"}},{direction:"bottom",inset:!0,class:{content:"inset-x-4 bottom-4"}},{direction:"bottom",inset:!1,class:{content:"inset-x-0 bottom-0 rounded-t-lg"}},{direction:"left",inset:!0,class:{content:"inset-y-4 left-4"}},{direction:"left",inset:!1,class:{content:"inset-y-0 left-0 rounded-r-lg"}},{direction:"right",inset:!0,class:{content:"inset-y-4 right-4"}},{direction:"right",inset:!1,class:{content:"inset-y-0 right-0 rounded-l-lg"}}]},Yn={__name:"Drawer",props:{as:{type:null,required:!1},title:{type:String,required:!1},description:{type:String,required:!1},inset:{type:Boolean,required:!1},content:{type:Object,required:!1},overlay:{type:Boolean,required:!1,default:!0},handle:{type:Boolean,required:!1,default:!0},portal:{type:[Boolean,String],required:!1,skipCheck:!0,default:!0},class:{type:null,required:!1},ui:{type:null,required:!1},activeSnapPoint:{type:[Number,String,null],required:!1},closeThreshold:{type:Number,required:!1},shouldScaleBackground:{type:Boolean,required:!1},setBackgroundColorOnScale:{type:Boolean,required:!1},scrollLockTimeout:{type:Number,required:!1},fixed:{type:Boolean,required:!1},dismissible:{type:Boolean,required:!1,default:!0},modal:{type:Boolean,required:!1,default:!0},open:{type:Boolean,required:!1},defaultOpen:{type:Boolean,required:!1},nested:{type:Boolean,required:!1},direction:{type:String,required:!1,default:"bottom"},noBodyStyles:{type:Boolean,required:!1},handleOnly:{type:Boolean,required:!1},preventScrollRestoration:{type:Boolean,required:!1},snapPoints:{type:Array,required:!1}},emits:["drag","release","close","update:open","update:activeSnapPoint","animationEnd"],setup(n,{emit:l}){const e=n,u=l,o=We(),m=xt(),f=qe(wt(e,"activeSnapPoint","closeThreshold","shouldScaleBackground","setBackgroundColorOnScale","scrollLockTimeout","fixed","dismissible","modal","open","defaultOpen","nested","direction","noBodyStyles","handleOnly","preventScrollRestoration","snapPoints"),u),c=Xt(ye(()=>e.portal)),p=ye(()=>e.content),x={closeAutoFocus:r=>r.preventDefault()},v=N(()=>{var r;return He({extend:He(Gn),...((r=m.ui)==null?void 0:r.drawer)||{}})({direction:e.direction,inset:e.inset})});return(r,y)=>(h(),L(a(zn),Ae(Fe(a(f))),{default:C(()=>[o.default?(h(),L(a(za),{key:0,"as-child":"",class:B(e.class)},{default:C(()=>[P(r.$slots,"default")]),_:3},8,["class"])):E("",!0),R(a(qa),Ae(Fe(a(c))),{default:C(()=>{var $,k;return[n.overlay?(h(),L(a(qn),{key:0,class:B(v.value.overlay({class:($=e.ui)==null?void 0:$.overlay}))},null,8,["class"])):E("",!0),R(a(Hn),M({class:v.value.content({class:[!o.default&&e.class,(k=e.ui)==null?void 0:k.content]})},p.value,Ut(x)),{default:C(()=>{var s;return[n.handle?(h(),L(a(Un),{key:0,class:B(v.value.handle({class:(s=e.ui)==null?void 0:s.handle}))},null,8,["class"])):E("",!0),o.content&&(n.title||o.title||n.description||o.description)?(h(),L(a(mt),{key:1},{default:C(()=>[n.title||o.title?(h(),L(a(Et),{key:0},{default:C(()=>[P(r.$slots,"title",{},()=>[De(ge(n.title),1)])]),_:3})):E("",!0),n.description||o.description?(h(),L(a(Rt),{key:1},{default:C(()=>[P(r.$slots,"description",{},()=>[De(ge(n.description),1)])]),_:3})):E("",!0)]),_:3})):E("",!0),P(r.$slots,"content",{},()=>{var T,D,d,i;return[se("div",{class:B(v.value.container({class:(T=e.ui)==null?void 0:T.container}))},[o.header||n.title||o.title||n.description||o.description?(h(),z("div",{key:0,class:B(v.value.header({class:(D=e.ui)==null?void 0:D.header}))},[P(r.$slots,"header",{},()=>{var g,t;return[n.title||o.title?(h(),L(a(Et),{key:0,class:B(v.value.title({class:(g=e.ui)==null?void 0:g.title}))},{default:C(()=>[P(r.$slots,"title",{},()=>[De(ge(n.title),1)])]),_:3},8,["class"])):E("",!0),n.description||o.description?(h(),L(a(Rt),{key:1,class:B(v.value.description({class:(t=e.ui)==null?void 0:t.description}))},{default:C(()=>[P(r.$slots,"description",{},()=>[De(ge(n.description),1)])]),_:3},8,["class"])):E("",!0)]})],2)):E("",!0),o.body?(h(),z("div",{key:1,class:B(v.value.body({class:(d=e.ui)==null?void 0:d.body}))},[P(r.$slots,"body")],2)):E("",!0),o.footer?(h(),z("div",{key:2,class:B(v.value.footer({class:(i=e.ui)==null?void 0:i.footer}))},[P(r.$slots,"footer")],2)):E("",!0)],2)]})]}),_:3},16,["class"])]}),_:3},16)]),_:3},16))}},Xn={slots:{root:"hidden lg:flex flex-col min-h-svh min-w-16 w-(--width) border-r border-(--ui-border) shrink-0",header:"h-(--ui-header-height) shrink-0 flex items-center gap-1.5 px-4",body:"flex flex-col gap-4 flex-1 overflow-y-auto px-4 py-2",footer:"shrink-0 flex items-center gap-1.5 px-4 py-2",toggle:"",handle:"",content:"lg:hidden",overlay:"lg:hidden"},variants:{menu:{true:{header:"sm:px-6",body:"sm:px-6",footer:"sm:px-6"}},toggleSide:{left:{toggle:""},right:{toggle:"ms-auto"}}}},Jn=["data-collapsed","data-dragging"],Zn=Gt;var Ft;const Qn=at({extend:at(Xn),...((Ft=Zn.uiPro)==null?void 0:Ft.dashboardSidebar)||{}}),eo=U({__name:"DashboardSidebar",props:xa({mode:{default:"slideover"},menu:{},toggle:{type:[Boolean,Object],default:!0},toggleSide:{default:"left"},class:{},ui:{},id:{},minSize:{default:10},maxSize:{default:20},defaultSize:{default:15},resizable:{type:Boolean,default:!1},collapsible:{type:Boolean,default:!1},collapsedSize:{default:0}},{open:{type:Boolean,default:!1},openModifiers:{},collapsed:{type:Boolean,default:!1},collapsedModifiers:{}}),emits:["update:open","update:collapsed"],setup(n){const l=n,e=We(),u=Bt(n,"open"),o=Bt(n,"collapsed"),m=ua({storageKey:"dashboard"}),f=`${m.storageKey}-sidebar-${l.id||$a()}`,{el:c,size:p,collapse:x,isCollapsed:v,isDragging:r,onMouseDown:y,onTouchStart:$}=Aa(f,ye(()=>({...m,...l})),{collapsed:o}),[k,s]=Ca();m.sidebarCollapsed=v,m.collapseSidebar=x,m.sidebarOpen=u,m.toggleSidebar=()=>{u.value=!u.value};const T=Qn(),D=N(()=>({slideover:Ea,modal:Ra,drawer:Yn})[l.mode]),d=ye(()=>ot(l.menu,l.mode==="modal"?{fullscreen:!0,transition:!1}:l.mode==="slideover"?{side:"left"}:{}));return(i,g)=>{var t,w,b,I,H,X;return h(),z(pe,null,[R(a(k),null,{default:C(()=>[P(i.$slots,"toggle",{open:u.value,toggle:i.toggle},()=>{var q;return[i.toggle?(h(),L(da,M({key:0},typeof i.toggle=="object"?i.toggle:{},{side:i.toggleSide,class:a(T).toggle({class:(q=l.ui)==null?void 0:q.toggle,toggleSide:i.toggleSide})}),null,16,["side","class"])):E("",!0)]})]),_:3}),se("div",{id:f,ref_key:"el",ref:c,"data-collapsed":a(v),"data-dragging":a(r),class:B(a(T).root({class:[l.class,(t=l.ui)==null?void 0:t.root]})),style:kt({width:`${a(p)||0}%`})},[e.header?(h(),z("div",{key:0,class:B(a(T).header({class:(w=l.ui)==null?void 0:w.header}))},[P(i.$slots,"header",{collapsed:a(v),collapse:a(x)})],2)):E("",!0),se("div",{class:B(a(T).body({class:(b=l.ui)==null?void 0:b.body}))},[P(i.$slots,"default",{collapsed:a(v),collapse:a(x)})],2),e.footer?(h(),z("div",{key:1,class:B(a(T).footer({class:(I=l.ui)==null?void 0:I.footer}))},[P(i.$slots,"footer",{collapsed:a(v),collapse:a(x)})],2)):E("",!0)],14,Jn),P(i.$slots,"resize-handle",{onMouseDown:a(y),onTouchStart:a($)},()=>{var q;return[i.resizable?(h(),L(Fa,{key:0,"aria-controls":f,class:B(a(T).handle({class:(q=l.ui)==null?void 0:q.handle})),onMousedown:a(y),onTouchstart:a($)},null,8,["class","onMousedown","onTouchstart"])):E("",!0)]}),R(a(D),M({open:u.value,"onUpdate:open":g[0]||(g[0]=q=>u.value=q)},d.value,{ui:{overlay:a(T).overlay({class:(H=l.ui)==null?void 0:H.overlay}),content:a(T).content({class:(X=l.ui)==null?void 0:X.content})}}),{content:C(()=>[P(i.$slots,"content",{},()=>{var q,Y,te;return[i.mode!=="drawer"?(h(),z("div",{key:0,class:B(a(T).header({class:(q=l.ui)==null?void 0:q.header,menu:!0}))},[i.toggleSide==="left"?(h(),L(a(s),{key:0})):E("",!0),P(i.$slots,"header"),i.toggleSide==="right"?(h(),L(a(s),{key:1})):E("",!0)],2)):E("",!0),se("div",{class:B(a(T).body({class:(Y=l.ui)==null?void 0:Y.body,menu:!0}))},[P(i.$slots,"default")],2),e.footer?(h(),z("div",{key:1,class:B(a(T).footer({class:(te=l.ui)==null?void 0:te.footer,menu:!0}))},[P(i.$slots,"footer")],2)):E("",!0)]})]),_:3},16,["open","ui"])],64)}}}),to=U({__name:"UserMenu",props:{collapsed:{type:Boolean}},setup(n){const l=Ta(),e=La(),u=Da(),o=N(()=>{var p,x,v,r,y;const c=((p=e.user)==null?void 0:p.name)||`${((x=e.user)==null?void 0:x.given_name)||""} ${((v=e.user)==null?void 0:v.family_name)||""}`.trim()||((r=e.user)==null?void 0:r.username)||"User";return{name:c,avatar:{src:((y=e.user)==null?void 0:y.picture)||"",alt:c[0]}}}),m=async()=>{await e.logout(),u.push("/login")},f=N(()=>{var c;return[[{type:"label",label:o.value.name,avatar:o.value.avatar,description:((c=e.user)==null?void 0:c.email)||""}],[{label:"Settings",icon:"i-lucide-settings",to:"/settings"}],[{label:"Appearance",icon:"i-lucide-sun-moon",children:[{label:"Light",icon:"i-lucide-sun",type:"checkbox",checked:l.value==="light",onSelect(p){p.preventDefault(),l.value="light"}},{label:"Dark",icon:"i-lucide-moon",type:"checkbox",checked:l.value==="dark",onUpdateChecked(p){p&&(l.value="dark")},onSelect(p){p.preventDefault()}}]}],[{label:"API Documentation",icon:"i-lucide-book-open",to:Oa.value,target:"_blank"}],[{label:"Log out",icon:"i-lucide-log-out",onClick:m}]]});return(c,p)=>{const x=Sa,v=Ha;return h(),L(v,{items:f.value,content:{align:"center",collisionPadding:12},ui:{content:c.collapsed?"w-48":"w-(--reka-dropdown-menu-trigger-width)"}},{"chip-leading":C(({item:r})=>[se("span",{style:kt({"--chip":`var(--color-${r.chip}-400)`}),class:"ms-0.5 size-2 rounded-full bg-(--chip)"},null,4)]),default:C(()=>{var r;return[R(x,M({...o.value,label:c.collapsed||(r=o.value)==null?void 0:r.name,trailingIcon:c.collapsed?void 0:"i-lucide-chevrons-up-down"},{color:"neutral",variant:"ghost",block:"",square:c.collapsed,class:"data-[state=open]:bg-(--ui-bg-elevated) rounded-full",ui:{trailingIcon:"text-(--ui-text-dimmed)"}}),null,16,["square"])]}),_:1},8,["items","ui"])}}}),ao={slots:{content:"flex items-center gap-1 bg-default text-highlighted shadow-sm rounded-sm ring ring-default h-6 px-2.5 py-1 text-xs select-none data-[state=delayed-open]:animate-[scale-in_100ms_ease-out] data-[state=closed]:animate-[scale-out_100ms_ease-in] origin-(--reka-tooltip-content-transform-origin) pointer-events-auto",arrow:"fill-default",text:"truncate",kbds:"hidden lg:inline-flex items-center shrink-0 gap-0.5 before:content-['·'] before:me-0.5",kbdsSize:"sm"}},no={__name:"Tooltip",props:{text:{type:String,required:!1},kbds:{type:Array,required:!1},content:{type:Object,required:!1},arrow:{type:[Boolean,Object],required:!1},portal:{type:[Boolean,String],required:!1,skipCheck:!0,default:!0},class:{type:null,required:!1},ui:{type:null,required:!1},defaultOpen:{type:Boolean,required:!1},open:{type:Boolean,required:!1},delayDuration:{type:Number,required:!1},disableHoverableContent:{type:Boolean,required:!1},disableClosingTrigger:{type:Boolean,required:!1},disabled:{type:Boolean,required:!1},ignoreNonKeyboardFocus:{type:Boolean,required:!1}},emits:["update:open"],setup(n,{emit:l}){const e=n,u=l,o=We(),m=xt(),f=qe(wt(e,"defaultOpen","open","delayDuration","disableHoverableContent","disableClosingTrigger","disabled","ignoreNonKeyboardFocus"),u),c=Xt(ye(()=>e.portal)),p=ye(()=>ot(e.content,{side:"bottom",sideOffset:8,collisionPadding:8})),x=ye(()=>e.arrow),v=N(()=>{var r;return He({extend:He(ao),...((r=m.ui)==null?void 0:r.tooltip)||{}})({side:p.value.side})});return(r,y)=>(h(),L(a(hn),Ae(Fe(a(f))),{default:C(({open:$})=>[o.default?(h(),L(a(kn),M({key:0},r.$attrs,{"as-child":"",class:e.class}),{default:C(()=>[P(r.$slots,"default",{open:$})]),_:2},1040,["class"])):E("",!0),R(a(yn),Ae(Fe(a(c))),{default:C(()=>{var k;return[R(a(bn),M(p.value,{class:v.value.content({class:[!o.default&&e.class,(k=e.ui)==null?void 0:k.content]})}),{default:C(()=>{var s;return[P(r.$slots,"content",{},()=>{var T,D,d;return[n.text?(h(),z("span",{key:0,class:B(v.value.text({class:(T=e.ui)==null?void 0:T.text}))},ge(n.text),3)):E("",!0),(D=n.kbds)!=null&&D.length?(h(),z("span",{key:1,class:B(v.value.kbds({class:(d=e.ui)==null?void 0:d.kbds}))},[(h(!0),z(pe,null,Me(n.kbds,(i,g)=>{var t;return h(),L(Va,M({key:g,size:((t=e.ui)==null?void 0:t.kbdsSize)||v.value.kbdsSize()},{ref_for:!0},typeof i=="string"?{value:i}:i),null,16,["size"])}),128))],2)):E("",!0)]}),n.arrow?(h(),L(a(pn),M({key:0},x.value,{class:v.value.arrow({class:(s=e.ui)==null?void 0:s.arrow})}),null,16,["class"])):E("",!0)]}),_:3},16,["class"])]}),_:3},16)]),_:3},16))}},oo={slots:{root:"relative flex gap-1.5 [&>div]:min-w-0",list:"isolate min-w-0",label:"w-full flex items-center gap-1.5 font-semibold text-xs/5 text-highlighted px-2.5 py-1.5",item:"min-w-0",link:"group relative w-full flex items-center gap-1.5 font-medium text-sm before:absolute before:z-[-1] before:rounded-md focus:outline-none focus-visible:outline-none dark:focus-visible:outline-none focus-visible:before:ring-inset focus-visible:before:ring-2",linkLeadingIcon:"shrink-0 size-5",linkLeadingAvatar:"shrink-0",linkLeadingAvatarSize:"2xs",linkTrailing:"group ms-auto inline-flex gap-1.5 items-center",linkTrailingBadge:"shrink-0",linkTrailingBadgeSize:"sm",linkTrailingIcon:"size-5 transform shrink-0 group-data-[state=open]:rotate-180 transition-transform duration-200",linkLabel:"truncate",linkLabelExternalIcon:"inline-block size-3 align-top text-dimmed",childList:"isolate",childLabel:"text-xs text-highlighted",childItem:"",childLink:"group relative size-full flex items-start text-start text-sm before:absolute before:z-[-1] before:rounded-md focus:outline-none focus-visible:outline-none dark:focus-visible:outline-none focus-visible:before:ring-inset focus-visible:before:ring-2",childLinkWrapper:"min-w-0",childLinkIcon:"size-5 shrink-0",childLinkLabel:"truncate",childLinkLabelExternalIcon:"inline-block size-3 align-top text-dimmed",childLinkDescription:"text-muted",separator:"px-2 h-px bg-border",viewportWrapper:"absolute top-full left-0 flex w-full",viewport:"relative overflow-hidden bg-default shadow-lg rounded-md ring ring-default h-(--reka-navigation-menu-viewport-height) w-full transition-[width,height,left] duration-200 origin-[top_center] data-[state=open]:animate-[scale-in_100ms_ease-out] data-[state=closed]:animate-[scale-out_100ms_ease-in] z-[1]",content:"",indicator:"absolute data-[state=visible]:animate-[fade-in_100ms_ease-out] data-[state=hidden]:animate-[fade-out_100ms_ease-in] data-[state=hidden]:opacity-0 bottom-0 z-[2] w-(--reka-navigation-menu-indicator-size) translate-x-(--reka-navigation-menu-indicator-position) flex h-2.5 items-end justify-center overflow-hidden transition-[translate,width] duration-200",arrow:"relative top-[50%] size-2.5 rotate-45 border border-default bg-default z-[1] rounded-xs"},variants:{color:{primary:{link:"focus-visible:before:ring-primary",childLink:"focus-visible:before:ring-primary"},secondary:{link:"focus-visible:before:ring-secondary",childLink:"focus-visible:before:ring-secondary"},success:{link:"focus-visible:before:ring-success",childLink:"focus-visible:before:ring-success"},info:{link:"focus-visible:before:ring-info",childLink:"focus-visible:before:ring-info"},warning:{link:"focus-visible:before:ring-warning",childLink:"focus-visible:before:ring-warning"},error:{link:"focus-visible:before:ring-error",childLink:"focus-visible:before:ring-error"},neutral:{link:"focus-visible:before:ring-inverted",childLink:"focus-visible:before:ring-inverted"}},highlightColor:{primary:"",secondary:"",success:"",info:"",warning:"",error:"",neutral:""},variant:{pill:"",link:""},orientation:{horizontal:{root:"items-center justify-between",list:"flex items-center",item:"py-2",link:"px-2.5 py-1.5 before:inset-x-px before:inset-y-0",childList:"grid p-2",childLink:"px-3 py-2 gap-2 before:inset-x-px before:inset-y-0",childLinkLabel:"font-medium",content:"absolute top-0 left-0 w-full max-h-[70vh] overflow-y-auto"},vertical:{root:"flex-col",link:"flex-row px-2.5 py-1.5 before:inset-y-px before:inset-x-0",childLabel:"px-1.5 py-0.5",childLink:"p-1.5 gap-1.5 before:inset-y-px before:inset-x-0"}},contentOrientation:{horizontal:{viewportWrapper:"justify-center",content:"data-[motion=from-start]:animate-[enter-from-left_200ms_ease] data-[motion=from-end]:animate-[enter-from-right_200ms_ease] data-[motion=to-start]:animate-[exit-to-left_200ms_ease] data-[motion=to-end]:animate-[exit-to-right_200ms_ease]"},vertical:{viewport:"sm:w-(--reka-navigation-menu-viewport-width) left-(--reka-navigation-menu-viewport-left)"}},active:{true:{childLink:"before:bg-elevated text-highlighted",childLinkIcon:"text-default"},false:{link:"text-muted",linkLeadingIcon:"text-dimmed",childLink:["hover:before:bg-elevated/50 text-default hover:text-highlighted","transition-colors before:transition-colors"],childLinkIcon:["text-dimmed group-hover:text-default","transition-colors"]}},disabled:{true:{link:"cursor-not-allowed opacity-75"}},highlight:{true:""},level:{true:""},collapsed:{true:""}},compoundVariants:[{orientation:"horizontal",contentOrientation:"horizontal",class:{childList:"grid-cols-2 gap-2"}},{orientation:"horizontal",contentOrientation:"vertical",class:{childList:"gap-1",content:"w-60"}},{orientation:"vertical",collapsed:!1,class:{childList:"ms-5 border-s border-default",childItem:"ps-1.5 -ms-px",content:"data-[state=open]:animate-[collapsible-down_200ms_ease-out] data-[state=closed]:animate-[collapsible-up_200ms_ease-out] overflow-hidden"}},{orientation:"vertical",collapsed:!0,class:{link:"px-1.5",content:"shadow-sm rounded-sm min-h-6 p-1"}},{orientation:"horizontal",highlight:!0,class:{link:["after:absolute after:-bottom-2 after:inset-x-2.5 after:block after:h-px after:rounded-full","after:transition-colors"]}},{orientation:"vertical",highlight:!0,level:!0,class:{link:["after:absolute after:-start-1.5 after:inset-y-0.5 after:block after:w-px after:rounded-full","after:transition-colors"]}},{disabled:!1,active:!1,variant:"pill",class:{link:["hover:text-highlighted hover:before:bg-elevated/50","transition-colors before:transition-colors"],linkLeadingIcon:["group-hover:text-default","transition-colors"]}},{disabled:!1,active:!1,variant:"pill",orientation:"horizontal",class:{link:"data-[state=open]:text-highlighted",linkLeadingIcon:"group-data-[state=open]:text-default"}},{disabled:!1,variant:"pill",highlight:!0,orientation:"horizontal",class:{link:"data-[state=open]:before:bg-elevated/50"}},{disabled:!1,variant:"pill",highlight:!1,active:!1,orientation:"horizontal",class:{link:"data-[state=open]:before:bg-elevated/50"}},{color:"primary",variant:"pill",active:!0,class:{link:"text-primary",linkLeadingIcon:"text-primary group-data-[state=open]:text-primary"}},{color:"secondary",variant:"pill",active:!0,class:{link:"text-secondary",linkLeadingIcon:"text-secondary group-data-[state=open]:text-secondary"}},{color:"success",variant:"pill",active:!0,class:{link:"text-success",linkLeadingIcon:"text-success group-data-[state=open]:text-success"}},{color:"info",variant:"pill",active:!0,class:{link:"text-info",linkLeadingIcon:"text-info group-data-[state=open]:text-info"}},{color:"warning",variant:"pill",active:!0,class:{link:"text-warning",linkLeadingIcon:"text-warning group-data-[state=open]:text-warning"}},{color:"error",variant:"pill",active:!0,class:{link:"text-error",linkLeadingIcon:"text-error group-data-[state=open]:text-error"}},{color:"neutral",variant:"pill",active:!0,class:{link:"text-highlighted",linkLeadingIcon:"text-highlighted group-data-[state=open]:text-highlighted"}},{variant:"pill",active:!0,highlight:!1,class:{link:"before:bg-elevated"}},{variant:"pill",active:!0,highlight:!0,disabled:!1,class:{link:["hover:before:bg-elevated/50","before:transition-colors"]}},{disabled:!1,active:!1,variant:"link",class:{link:["hover:text-highlighted","transition-colors"],linkLeadingIcon:["group-hover:text-default","transition-colors"]}},{disabled:!1,active:!1,variant:"link",orientation:"horizontal",class:{link:"data-[state=open]:text-highlighted",linkLeadingIcon:"group-data-[state=open]:text-default"}},{color:"primary",variant:"link",active:!0,class:{link:"text-primary",linkLeadingIcon:"text-primary group-data-[state=open]:text-primary"}},{color:"secondary",variant:"link",active:!0,class:{link:"text-secondary",linkLeadingIcon:"text-secondary group-data-[state=open]:text-secondary"}},{color:"success",variant:"link",active:!0,class:{link:"text-success",linkLeadingIcon:"text-success group-data-[state=open]:text-success"}},{color:"info",variant:"link",active:!0,class:{link:"text-info",linkLeadingIcon:"text-info group-data-[state=open]:text-info"}},{color:"warning",variant:"link",active:!0,class:{link:"text-warning",linkLeadingIcon:"text-warning group-data-[state=open]:text-warning"}},{color:"error",variant:"link",active:!0,class:{link:"text-error",linkLeadingIcon:"text-error group-data-[state=open]:text-error"}},{color:"neutral",variant:"link",active:!0,class:{link:"text-highlighted",linkLeadingIcon:"text-highlighted group-data-[state=open]:text-highlighted"}},{highlightColor:"primary",highlight:!0,level:!0,active:!0,class:{link:"after:bg-primary"}},{highlightColor:"secondary",highlight:!0,level:!0,active:!0,class:{link:"after:bg-secondary"}},{highlightColor:"success",highlight:!0,level:!0,active:!0,class:{link:"after:bg-success"}},{highlightColor:"info",highlight:!0,level:!0,active:!0,class:{link:"after:bg-info"}},{highlightColor:"warning",highlight:!0,level:!0,active:!0,class:{link:"after:bg-warning"}},{highlightColor:"error",highlight:!0,level:!0,active:!0,class:{link:"after:bg-error"}},{highlightColor:"neutral",highlight:!0,level:!0,active:!0,class:{link:"after:bg-inverted"}}],defaultVariants:{color:"primary",highlightColor:"primary",variant:"pill"}},lo={__name:"NavigationMenu",props:{as:{type:null,required:!1},trailingIcon:{type:String,required:!1},externalIcon:{type:[Boolean,String],required:!1,default:!0},items:{type:null,required:!1},color:{type:null,required:!1},variant:{type:null,required:!1},orientation:{type:null,required:!1,default:"horizontal"},collapsed:{type:Boolean,required:!1},tooltip:{type:[Boolean,Object],required:!1},popover:{type:[Boolean,Object],required:!1},highlight:{type:Boolean,required:!1},highlightColor:{type:null,required:!1},content:{type:Object,required:!1},contentOrientation:{type:null,required:!1,default:"horizontal"},arrow:{type:Boolean,required:!1},labelKey:{type:null,required:!1,default:"label"},class:{type:null,required:!1},ui:{type:null,required:!1},modelValue:{type:String,required:!1},defaultValue:{type:String,required:!1},delayDuration:{type:Number,required:!1,default:0},disableClickTrigger:{type:Boolean,required:!1},disableHoverTrigger:{type:Boolean,required:!1},skipDelayDuration:{type:Number,required:!1},disablePointerLeaveClose:{type:Boolean,required:!1},unmountOnHide:{type:Boolean,required:!1,default:!0},disabled:{type:Boolean,required:!1},type:{type:String,required:!1,default:"multiple"},collapsible:{type:Boolean,required:!1,default:!0}},emits:["update:modelValue"],setup(n,{emit:l}){const e=n,u=l,o=We(),m=xt(),f=qe(N(()=>({as:e.as,modelValue:e.modelValue,defaultValue:e.defaultValue,delayDuration:e.delayDuration,skipDelayDuration:e.skipDelayDuration,orientation:e.orientation,disableClickTrigger:e.disableClickTrigger,disableHoverTrigger:e.disableHoverTrigger,disablePointerLeaveClose:e.disablePointerLeaveClose,unmountOnHide:e.unmountOnHide})),u),c=qe(wt(e,"collapsible","disabled","type","unmountOnHide"),u),p=ye(()=>e.content),x=ye(()=>ot(typeof e.tooltip=="boolean"?{}:e.tooltip,{delayDuration:0,content:{side:"right"}})),v=ye(()=>ot(typeof e.popover=="boolean"?{}:e.popover,{mode:"hover",content:{side:"right",align:"start",alignOffset:2}})),[r,y]=Pt(),[$,k]=Pt({props:{item:Object,index:Number,level:Number}}),s=N(()=>{var d;return He({extend:He(oo),...((d=m.ui)==null?void 0:d.navigationMenu)||{}})({orientation:e.orientation,contentOrientation:e.orientation==="vertical"?void 0:e.contentOrientation,collapsed:e.collapsed,color:e.color,variant:e.variant,highlight:e.highlight,highlightColor:e.highlightColor||e.color})}),T=N(()=>{var d;return(d=e.items)!=null&&d.length?Ia(e.items)?e.items:[e.items]:[]});function D(d,i=0){const g=d.reduce((t,w,b)=>((w.defaultOpen||w.open)&&t.push(w.value||(i>0?`item-${i}-${b}`:`item-${b}`)),t),[]);return e.type==="single"?g[0]:g}return(d,i)=>{var g;return h(),z(pe,null,[R(a(r),null,{default:C(({item:t,active:w,index:b})=>[P(d.$slots,t.slot||"item",{item:t,index:b},()=>{var I,H,X,q,Y,te,V,j,_;return[P(d.$slots,t.slot?`${t.slot}-leading`:"item-leading",{item:t,active:w,index:b},()=>{var ie,K,he,me,re,ue;return[t.avatar?(h(),L(Ba,M({key:0,size:((ie=t.ui)==null?void 0:ie.linkLeadingAvatarSize)||((K=e.ui)==null?void 0:K.linkLeadingAvatarSize)||s.value.linkLeadingAvatarSize()},t.avatar,{class:s.value.linkLeadingAvatar({class:[(he=e.ui)==null?void 0:he.linkLeadingAvatar,(me=t.ui)==null?void 0:me.linkLeadingAvatar],active:w,disabled:!!t.disabled})}),null,16,["size","class"])):t.icon?(h(),L(Le,{key:1,name:t.icon,class:B(s.value.linkLeadingIcon({class:[(re=e.ui)==null?void 0:re.linkLeadingIcon,(ue=t.ui)==null?void 0:ue.linkLeadingIcon],active:w,disabled:!!t.disabled}))},null,8,["name","class"])):E("",!0)]}),(!n.collapsed||n.orientation!=="vertical")&&(a(Ne)(t,e.labelKey)||o[t.slot?`${t.slot}-label`:"item-label"])?(h(),z("span",{key:0,class:B(s.value.linkLabel({class:[(I=e.ui)==null?void 0:I.linkLabel,(H=t.ui)==null?void 0:H.linkLabel]}))},[P(d.$slots,t.slot?`${t.slot}-label`:"item-label",{item:t,active:w,index:b},()=>[De(ge(a(Ne)(t,e.labelKey)),1)]),t.target==="_blank"&&n.externalIcon!==!1?(h(),L(Le,{key:0,name:typeof n.externalIcon=="string"?n.externalIcon:a(m).ui.icons.external,class:B(s.value.linkLabelExternalIcon({class:[(X=e.ui)==null?void 0:X.linkLabelExternalIcon,(q=t.ui)==null?void 0:q.linkLabelExternalIcon],active:w}))},null,8,["name","class"])):E("",!0)],2)):E("",!0),(!n.collapsed||n.orientation!=="vertical")&&(t.badge||n.orientation==="horizontal"&&((Y=t.children)!=null&&Y.length||o[t.slot?`${t.slot}-content`:"item-content"])||n.orientation==="vertical"&&((te=t.children)!=null&&te.length)||t.trailingIcon||o[t.slot?`${t.slot}-trailing`:"item-trailing"])?(h(),L(Ge(n.orientation==="vertical"&&((V=t.children)!=null&&V.length)&&!n.collapsed?a(_t):"span"),{key:1,as:"span",class:B(s.value.linkTrailing({class:[(j=e.ui)==null?void 0:j.linkTrailing,(_=t.ui)==null?void 0:_.linkTrailing]})),onClick:i[0]||(i[0]=yt(()=>{},["stop","prevent"]))},{default:C(()=>[P(d.$slots,t.slot?`${t.slot}-trailing`:"item-trailing",{item:t,active:w,index:b},()=>{var ie,K,he,me,re,ue,ae,we,ce,oe;return[t.badge?(h(),L(Ka,M({key:0,color:"neutral",variant:"outline",size:((ie=t.ui)==null?void 0:ie.linkTrailingBadgeSize)||((K=e.ui)==null?void 0:K.linkTrailingBadgeSize)||s.value.linkTrailingBadgeSize()},typeof t.badge=="string"||typeof t.badge=="number"?{label:t.badge}:t.badge,{class:s.value.linkTrailingBadge({class:[(he=e.ui)==null?void 0:he.linkTrailingBadge,(me=t.ui)==null?void 0:me.linkTrailingBadge]})}),null,16,["size","class"])):E("",!0),n.orientation==="horizontal"&&((re=t.children)!=null&&re.length||o[t.slot?`${t.slot}-content`:"item-content"])||n.orientation==="vertical"&&((ue=t.children)!=null&&ue.length)?(h(),L(Le,{key:1,name:t.trailingIcon||n.trailingIcon||a(m).ui.icons.chevronDown,class:B(s.value.linkTrailingIcon({class:[(ae=e.ui)==null?void 0:ae.linkTrailingIcon,(we=t.ui)==null?void 0:we.linkTrailingIcon],active:w}))},null,8,["name","class"])):t.trailingIcon?(h(),L(Le,{key:2,name:t.trailingIcon,class:B(s.value.linkTrailingIcon({class:[(ce=e.ui)==null?void 0:ce.linkTrailingIcon,(oe=t.ui)==null?void 0:oe.linkTrailingIcon],active:w}))},null,8,["name","class"])):E("",!0)]})]),_:2},1032,["class"])):E("",!0)]})]),_:3}),R(a($),null,{default:C(({item:t,index:w,level:b=0})=>[(h(),L(Ge(n.orientation==="vertical"&&!n.collapsed?a(Ja):a(ln)),{as:"li",value:t.value||(b>0?`item-${b}-${w}`:`item-${w}`)},{default:C(()=>{var I,H,X,q,Y,te;return[n.orientation==="vertical"&&t.type==="label"&&!n.collapsed?(h(),z("div",{key:0,class:B(s.value.label({class:[(I=e.ui)==null?void 0:I.label,(H=t.ui)==null?void 0:H.label,t.class]}))},[R(a(y),{item:t,index:w},null,8,["item","index"])],2)):t.type!=="label"?(h(),L(ct,M({key:1},n.orientation==="vertical"&&((X=t.children)!=null&&X.length)&&!n.collapsed&&t.type==="trigger"?{}:a(ft)(t),{custom:""}),{default:C(({active:V,...j})=>{var _,ie,K,he,me;return[(h(),L(Ge(n.orientation==="horizontal"&&((_=t.children)!=null&&_.length||o[t.slot?`${t.slot}-content`:"item-content"])?a(fn):n.orientation==="vertical"&&((ie=t.children)!=null&&ie.length)&&!n.collapsed&&!j.href?a(_t):a(vt)),{"as-child":"",active:V||t.active,disabled:t.disabled,onSelect:t.onSelect},{default:C(()=>{var re,ue,ae,we,ce;return[n.orientation==="vertical"&&n.collapsed&&((re=t.children)!=null&&re.length)&&(e.popover||t.popover)?(h(),L(Wa,M({key:0},{...v.value,...typeof t.popover=="boolean"?{}:t.popover||{}},{ui:{content:s.value.content({class:[(ue=e.ui)==null?void 0:ue.content,(ae=t.ui)==null?void 0:ae.content]})}}),{content:C(()=>[P(d.$slots,t.slot?`${t.slot}-content`:"item-content",{item:t,active:V||t.active,index:w},()=>{var oe,ne,xe,Ce;return[se("ul",{class:B(s.value.childList({class:[(oe=e.ui)==null?void 0:oe.childList,(ne=t.ui)==null?void 0:ne.childList]}))},[se("li",{class:B(s.value.childLabel({class:[(xe=e.ui)==null?void 0:xe.childLabel,(Ce=t.ui)==null?void 0:Ce.childLabel]}))},ge(a(Ne)(t,e.labelKey)),3),(h(!0),z(pe,null,Me(t.children,(de,Ee)=>{var Te,fe;return h(),z("li",{key:Ee,class:B(s.value.childItem({class:[(Te=e.ui)==null?void 0:Te.childItem,(fe=t.ui)==null?void 0:fe.childItem]}))},[R(ct,M({ref_for:!0},a(ft)(de),{custom:""}),{default:C(({active:be,...Re})=>[R(a(vt),{"as-child":"",active:be,onSelect:de.onSelect},{default:C(()=>{var Oe,Se;return[R(je,M({ref_for:!0},Re,{class:s.value.childLink({class:[(Oe=e.ui)==null?void 0:Oe.childLink,(Se=t.ui)==null?void 0:Se.childLink,de.class],active:be})}),{default:C(()=>{var O,F,W,A,J,Q;return[de.icon?(h(),L(Le,{key:0,name:de.icon,class:B(s.value.childLinkIcon({class:[(O=e.ui)==null?void 0:O.childLinkIcon,(F=t.ui)==null?void 0:F.childLinkIcon],active:be}))},null,8,["name","class"])):E("",!0),se("span",{class:B(s.value.childLinkLabel({class:[(W=e.ui)==null?void 0:W.childLinkLabel,(A=t.ui)==null?void 0:A.childLinkLabel],active:be}))},[De(ge(a(Ne)(de,e.labelKey))+" ",1),de.target==="_blank"&&n.externalIcon!==!1?(h(),L(Le,{key:0,name:typeof n.externalIcon=="string"?n.externalIcon:a(m).ui.icons.external,class:B(s.value.childLinkLabelExternalIcon({class:[(J=e.ui)==null?void 0:J.childLinkLabelExternalIcon,(Q=t.ui)==null?void 0:Q.childLinkLabelExternalIcon],active:be}))},null,8,["name","class"])):E("",!0)],2)]}),_:2},1040,["class"])]}),_:2},1032,["active","onSelect"])]),_:2},1040)],2)}),128))],2)]})]),default:C(()=>{var oe,ne;return[R(je,M(j,{class:s.value.link({class:[(oe=e.ui)==null?void 0:oe.link,(ne=t.ui)==null?void 0:ne.link,t.class],active:V||t.active,disabled:!!t.disabled,level:b>0})}),{default:C(()=>[R(a(y),{item:t,active:V||t.active,index:w},null,8,["item","active","index"])]),_:2},1040,["class"])]}),_:2},1040,["ui"])):n.orientation==="vertical"&&n.collapsed&&(e.tooltip||t.tooltip)?(h(),L(no,M({key:1,text:a(Ne)(t,e.labelKey)},{...x.value,...typeof t.tooltip=="boolean"?{}:t.tooltip||{}}),{default:C(()=>{var oe,ne;return[R(je,M(j,{class:s.value.link({class:[(oe=e.ui)==null?void 0:oe.link,(ne=t.ui)==null?void 0:ne.link,t.class],active:V||t.active,disabled:!!t.disabled,level:b>0})}),{default:C(()=>[R(a(y),{item:t,active:V||t.active,index:w},null,8,["item","active","index"])]),_:2},1040,["class"])]}),_:2},1040,["text"])):(h(),L(je,M({key:2},j,{class:s.value.link({class:[(we=e.ui)==null?void 0:we.link,(ce=t.ui)==null?void 0:ce.link,t.class],active:V||t.active,disabled:!!t.disabled,level:n.orientation==="horizontal"||b>0})}),{default:C(()=>[R(a(y),{item:t,active:V||t.active,index:w},null,8,["item","active","index"])]),_:2},1040,["class"]))]}),_:2},1064,["active","disabled","onSelect"])),n.orientation==="horizontal"&&((K=t.children)!=null&&K.length||o[t.slot?`${t.slot}-content`:"item-content"])?(h(),L(a(sn),M({key:0},p.value,{class:s.value.content({class:[(he=e.ui)==null?void 0:he.content,(me=t.ui)==null?void 0:me.content]})}),{default:C(()=>[P(d.$slots,t.slot?`${t.slot}-content`:"item-content",{item:t,active:V||t.active,index:w},()=>{var re,ue;return[se("ul",{class:B(s.value.childList({class:[(re=e.ui)==null?void 0:re.childList,(ue=t.ui)==null?void 0:ue.childList]}))},[(h(!0),z(pe,null,Me(t.children,(ae,we)=>{var ce,oe;return h(),z("li",{key:we,class:B(s.value.childItem({class:[(ce=e.ui)==null?void 0:ce.childItem,(oe=t.ui)==null?void 0:oe.childItem]}))},[R(ct,M({ref_for:!0},a(ft)(ae),{custom:""}),{default:C(({active:ne,...xe})=>[R(a(vt),{"as-child":"",active:ne,onSelect:ae.onSelect},{default:C(()=>{var Ce,de;return[R(je,M({ref_for:!0},xe,{class:s.value.childLink({class:[(Ce=e.ui)==null?void 0:Ce.childLink,(de=t.ui)==null?void 0:de.childLink,ae.class],active:ne})}),{default:C(()=>{var Ee,Te,fe,be,Re,Oe,Se,O,F,W;return[ae.icon?(h(),L(Le,{key:0,name:ae.icon,class:B(s.value.childLinkIcon({class:[(Ee=e.ui)==null?void 0:Ee.childLinkIcon,(Te=t.ui)==null?void 0:Te.childLinkIcon],active:ne}))},null,8,["name","class"])):E("",!0),se("div",{class:B(s.value.childLinkWrapper({class:[(fe=e.ui)==null?void 0:fe.childLinkWrapper,(be=t.ui)==null?void 0:be.childLinkWrapper]}))},[se("p",{class:B(s.value.childLinkLabel({class:[(Re=e.ui)==null?void 0:Re.childLinkLabel,(Oe=t.ui)==null?void 0:Oe.childLinkLabel],active:ne}))},[De(ge(a(Ne)(ae,e.labelKey))+" ",1),ae.target==="_blank"&&n.externalIcon!==!1?(h(),L(Le,{key:0,name:typeof n.externalIcon=="string"?n.externalIcon:a(m).ui.icons.external,class:B(s.value.childLinkLabelExternalIcon({class:[(Se=e.ui)==null?void 0:Se.childLinkLabelExternalIcon,(O=t.ui)==null?void 0:O.childLinkLabelExternalIcon],active:ne}))},null,8,["name","class"])):E("",!0)],2),ae.description?(h(),z("p",{key:0,class:B(s.value.childLinkDescription({class:[(F=e.ui)==null?void 0:F.childLinkDescription,(W=t.ui)==null?void 0:W.childLinkDescription],active:ne}))},ge(ae.description),3)):E("",!0)],2)]}),_:2},1040,["class"])]}),_:2},1032,["active","onSelect"])]),_:2},1040)],2)}),128))],2)]})]),_:2},1040,["class"])):E("",!0)]}),_:2},1040)):E("",!0),n.orientation==="vertical"&&((q=t.children)!=null&&q.length)&&!n.collapsed?(h(),L(a(Za),{key:2,class:B(s.value.content({class:[(Y=e.ui)==null?void 0:Y.content,(te=t.ui)==null?void 0:te.content]}))},{default:C(()=>{var V;return[R(a(Nt),M({...a(c),defaultValue:D(t.children,b+1)},{as:"ul",class:s.value.childList({class:(V=e.ui)==null?void 0:V.childList})}),{default:C(()=>[(h(!0),z(pe,null,Me(t.children,(j,_)=>{var ie,K;return h(),L(a(k),{key:_,item:j,index:_,level:b+1,class:B(s.value.childItem({class:[(ie=e.ui)==null?void 0:ie.childItem,(K=j.ui)==null?void 0:K.childItem]}))},null,8,["item","index","level","class"])}),128))]),_:2},1040,["class"])]}),_:2},1032,["class"])):E("",!0)]}),_:2},1032,["value"]))]),_:3}),R(a(nn),M(a(f),{"data-collapsed":n.collapsed,class:s.value.root({class:[(g=e.ui)==null?void 0:g.root,e.class]})}),{default:C(()=>{var t,w,b;return[P(d.$slots,"list-leading"),(h(!0),z(pe,null,Me(T.value,(I,H)=>{var X,q;return h(),z(pe,{key:`list-${H}`},[(h(),L(Ge(n.orientation==="vertical"&&!n.collapsed?a(Nt):a(dn)),M({ref_for:!0},n.orientation==="vertical"&&!n.collapsed?{...a(c),defaultValue:D(I)}:{},{as:"ul",class:s.value.list({class:(X=e.ui)==null?void 0:X.list})}),{default:C(()=>[(h(!0),z(pe,null,Me(I,(Y,te)=>{var V,j;return h(),L(a(k),{key:`list-${H}-${te}`,item:Y,index:te,class:B(s.value.item({class:[(V=e.ui)==null?void 0:V.item,(j=Y.ui)==null?void 0:j.item]}))},null,8,["item","index","class"])}),128))]),_:2},1040,["class"])),n.orientation==="vertical"&&H<T.value.length-1?(h(),z("div",{key:0,class:B(s.value.separator({class:(q=e.ui)==null?void 0:q.separator}))},null,2)):E("",!0)],64)}),128)),P(d.$slots,"list-trailing"),n.orientation==="horizontal"?(h(),z("div",{key:0,class:B(s.value.viewportWrapper({class:(t=e.ui)==null?void 0:t.viewportWrapper}))},[n.arrow?(h(),L(a(un),{key:0,class:B(s.value.indicator({class:(w=e.ui)==null?void 0:w.indicator}))},{default:C(()=>{var I;return[se("div",{class:B(s.value.arrow({class:(I=e.ui)==null?void 0:I.arrow}))},null,2)]}),_:1},8,["class"])):E("",!0),R(a(vn),{class:B(s.value.viewport({class:(b=e.ui)==null?void 0:b.viewport}))},null,8,["class"])],2)):E("",!0)]}),_:3},16,["data-collapsed","class"])],64)}}},io=[{label:"Home",icon:"i-lucide-house",to:"/"},{label:"Tables Editor",icon:"i-lucide-database",to:"/tables"},{label:"Migrations",icon:"i-lucide-folder-symlink",to:"/migrations"},{label:"sql Editor",icon:"i-lucide-square-terminal",to:"/sql"},{label:"Extensions",icon:"i-lucide-blocks",to:"/catalog"},{label:"Cron Jobs",icon:"i-lucide-timer-reset",to:"/cron-jobs"},{label:"Logs",icon:"i-lucide-square-activity",to:"/logs"},{label:"Permissions",icon:"i-lucide-shield-check",to:"/permissions",iconSize:"size-6"},{label:"Settings",icon:"i-lucide-settings",to:"/settings"}],Lo=U({__name:"dashboard",setup(n){const l=io,e=S(!0),u=S(!0);return(o,m)=>{const f=lo,c=to,p=eo,x=Pa("RouterView"),v=Cn;return h(),L(v,{storage:"local"},{default:C(()=>[R(p,{collapsible:"",collapsed:e.value,"onUpdate:collapsed":m[0]||(m[0]=r=>e.value=r),open:u.value,"onUpdate:open":m[1]||(m[1]=r=>u.value=r),ui:{root:"bg-white dark:bg-[#1f1c1d]",footer:"py-3",header:"px-3 pt-3 pb-2",body:"px-3"}},{header:C(()=>m[2]||(m[2]=[se("div",{class:"logo mb-2"},null,-1)])),default:C(({collapsed:r})=>[R(f,{collapsed:r,items:a(l),variant:"pill",orientation:"vertical",ui:{item:"my-2"}},null,8,["collapsed","items"])]),footer:C(({collapsed:r})=>[R(c,{collapsed:r},null,8,["collapsed"])]),_:1},8,["collapsed","open"]),R(x)]),_:1})}}});export{Lo as default};
+import{u as ht,t as at,p as sa,a as ua,_ as da}from"./DashboardSidebarToggle.vue_vue_type_script_setup_true_lang-yvinZowi.js";import{g as ze,d as U,c as lt,u as Ht,r as S,a as le,b as Ye,t as Vt,e as Kt,f as N,w as Ve,h as ca,i as L,o as h,j as C,k as R,l as a,P as ke,m as P,n as fa,p as M,_ as Wt,q as qe,s as va,v as it,x as St,T as jt,y as nt,z as E,A as Ke,B as z,F as pe,C as mt,D as pa,E as $e,G as Ae,H as Fe,I as bt,J as ga,K as We,L as ha,M as It,N as De,O as ge,Q as yt,R as ma,S as Ge,U as ba,V as Ut,W as Gt,X as B,Y as kt,Z as se,$ as ya,a0 as ka,a1 as wa,a2 as Yt,a3 as wt,a4 as Xt,a5 as ye,a6 as He,a7 as xt,a8 as xa,a9 as Bt,aa as $a,ab as Ca,ac as ot,ad as Ta,ae as La,af as Da,ag as Oa,ah as Sa,ai as Me,aj as Pt,ak as Ia,al as Ba,am as Le,an as Ne,ao as ct,ap as ft,aq as je,ar as Pa}from"./index-CvplhhIg.js";import{_ as Ea}from"./Slideover-BK7BMJA7.js";import{_ as Ra}from"./Modal-9avKWxcn.js";import{_ as Ms}from"./IdleTimeoutModal.vue_vue_type_script_setup_true_lang-_veq3Xxd.js";import{_ as Qs}from"./ApiMetricAlertBanner.vue_vue_type_script_setup_true_lang-Hq5wM2cT.js";import{_ as _a,a as Na,b as Ma,c as za,d as qa,e as Et,f as Rt}from"./DialogPortal-BWtgM8-G.js";import{u as Aa,_ as Fa}from"./DashboardResizeHandle.vue_vue_type_script_setup_true_lang-Bj9eNWfO.js";import{_ as Ha,a as Va}from"./DropdownMenu-DWboWW_y.js";import{_ as Ka}from"./Badge-UswX4ZtY.js";import{_ as Wa}from"./Popover-DWZJbMhc.js";import{_ as ja,a as Ua,b as Ga,c as Ya}from"./useFocusGuards-CqN9EHnP.js";import{u as Xa}from"./index-Dnaliv4H.js";import{_ as _t,a as Ja,b as Za,c as Nt}from"./AccordionTrigger-BmvncgNJ.js";import{u as Qa}from"./useDirection-L6XtVArv.js";import{u as Jt}from"./useArrowNavigation-B5rxJs06.js";import"./useBodyScrollLock-CA2MgwBo.js";import"./RovingFocusGroup-BxD9bDZV.js";import"./CollapsibleTrigger-z6Zu-vJZ.js";import"./isValueEqualOrExist-Fpwey4SD.js";function rt(n){return n?"open":"closed"}function Zt(n,l){return`${n}-trigger-${l}`}function $t(n,l){return`${n}-content-${l}`}const en="navigationMenu.linkSelect",tt="navigationMenu.rootContentDismiss";function gt(n){const l=[],e=document.createTreeWalker(n,NodeFilter.SHOW_ELEMENT,{acceptNode:u=>{const o=u.tagName==="INPUT"&&u.type==="hidden";return u.disabled||u.hidden||o?NodeFilter.FILTER_SKIP:u.tabIndex>=0?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_SKIP}});for(;e.nextNode();)l.push(e.currentNode);return l}function Qt(n){const l=ze();return n.some(e=>e===l?!0:(e.focus(),ze()!==l))}function tn(n){return n.forEach(l=>{l.dataset.tabindex=l.getAttribute("tabindex")||"",l.setAttribute("tabindex","-1")}),()=>{n.forEach(l=>{const e=l.dataset.tabindex;l.setAttribute("tabindex",e)})}}function ea(n){return l=>l.pointerType==="mouse"?n(l):void 0}const[Pe,an]=lt(["NavigationMenuRoot","NavigationMenuSub"],"NavigationMenuContext"),nn=U({__name:"NavigationMenuRoot",props:{modelValue:{default:void 0},defaultValue:{},dir:{},orientation:{default:"horizontal"},delayDuration:{default:200},skipDelayDuration:{default:300},disableClickTrigger:{type:Boolean,default:!1},disableHoverTrigger:{type:Boolean,default:!1},disablePointerLeaveClose:{type:Boolean},unmountOnHide:{type:Boolean,default:!0},asChild:{type:Boolean},as:{default:"nav"}},emits:["update:modelValue"],setup(n,{emit:l}){const e=n,o=Ht(e,"modelValue",l,{defaultValue:e.defaultValue??"",passive:e.modelValue===void 0}),m=S(""),{forwardRef:f,currentElement:c}=le(),p=S(),x=S(),v=S(),{getItems:r,CollectionSlot:y}=Ye({key:"NavigationMenu",isProvider:!0}),{delayDuration:$,skipDelayDuration:k,dir:s,disableClickTrigger:T,disableHoverTrigger:D,unmountOnHide:d}=Vt(e),i=Qa(s),g=Kt(!1,k),t=N(()=>o.value!==""||g.value?150:$.value),w=ca(b=>{typeof b=="string"&&(m.value=o.value,o.value=b)},t);return Ve(()=>{if(!o.value)return;const b=r().map(I=>I.ref);v.value=b.find(I=>I.id.includes(o.value))}),an({isRootMenu:!0,modelValue:o,previousValue:m,baseId:ht(void 0,"reka-navigation-menu"),disableClickTrigger:T,disableHoverTrigger:D,dir:i,unmountOnHide:d,orientation:e.orientation,rootNavigationMenu:c,indicatorTrack:p,activeTrigger:v,onIndicatorTrackChange:b=>{p.value=b},viewport:x,onViewportChange:b=>{x.value=b},onTriggerEnter:b=>{w(b)},onTriggerLeave:()=>{g.value=!0,w("")},onContentEnter:()=>{w()},onContentLeave:()=>{e.disablePointerLeaveClose||w("")},onItemSelect:b=>{m.value=o.value,o.value=b},onItemDismiss:()=>{m.value=o.value,o.value=""}}),(b,I)=>(h(),L(a(y),null,{default:C(()=>[R(a(ke),{ref:a(f),"aria-label":"Main",as:b.as,"as-child":b.asChild,"data-orientation":b.orientation,dir:a(i),"data-reka-navigation-menu":""},{default:C(()=>[P(b.$slots,"default",{modelValue:a(o)})]),_:3},8,["as","as-child","data-orientation","dir"])]),_:3}))}}),[Ct,on]=lt("NavigationMenuItem"),ln=U({__name:"NavigationMenuItem",props:{value:{},asChild:{type:Boolean},as:{default:"li"}},setup(n){const l=n;le();const{getItems:e}=Ye({key:"NavigationMenu"}),u=Pe(),o=ht(l.value),m=S(),f=S(),c=$t(u.baseId,o);let p=()=>({});const x=S(!1);async function v(k="start"){const s=document.getElementById(c);if(s){p();const T=gt(s);T.length&&Qt(k==="start"?T:T.reverse())}}function r(){const k=document.getElementById(c);if(k){const s=gt(k);s.length&&(p=tn(s))}}on({value:o,contentId:c,triggerRef:m,focusProxyRef:f,wasEscapeCloseRef:x,onEntryKeyDown:v,onFocusProxyEnter:v,onContentFocusOutside:r,onRootContentClose:r});function y(){var k;u.onItemDismiss(),(k=m.value)==null||k.focus()}function $(k){const s=ze();if(k.keyCode===32||k.key==="Enter")if(u.modelValue.value===o){y(),k.preventDefault();return}else{k.target.click(),k.preventDefault();return}const T=e().filter(d=>{var i;return(i=d.ref.parentElement)==null?void 0:i.hasAttribute("data-menu-item")}).map(d=>d.ref);if(!T.includes(s))return;const D=Jt(k,s,void 0,{itemsArray:T,loop:!1});D&&(D==null||D.focus()),k.preventDefault(),k.stopPropagation()}return(k,s)=>(h(),L(a(ke),{"as-child":k.asChild,as:k.as,"data-menu-item":"",onKeydown:fa($,["up","down","left","right","home","end","space"])},{default:C(()=>[P(k.$slots,"default")]),_:3},8,["as-child","as"]))}}),rn=U({__name:"NavigationMenuContentImpl",props:{disableOutsidePointerEvents:{type:Boolean},asChild:{type:Boolean},as:{}},emits:["escapeKeyDown","pointerDownOutside","focusOutside","interactOutside"],setup(n,{emit:l}){const e=n,u=l,{getItems:o}=Ye({key:"NavigationMenu"}),{forwardRef:m,currentElement:f}=le(),c=Pe(),p=Ct(),x=Zt(c.baseId,p.value),v=$t(c.baseId,p.value),r=S(null),y=N(()=>{const d=o().map(I=>I.ref.id.split("trigger-")[1]);c.dir.value==="rtl"&&d.reverse();const i=d.indexOf(c.modelValue.value),g=d.indexOf(c.previousValue.value),t=p.value===c.modelValue.value,w=g===d.indexOf(p.value);if(!t&&!w)return r.value;const b=(()=>{if(i!==g){if(t&&g!==-1)return i>g?"from-end":"from-start";if(w&&i!==-1)return i>g?"to-start":"to-end"}return null})();return r.value=b,b});function $(d){var g,t;if(u("focusOutside",d),u("interactOutside",d),d.detail.originalEvent.target.hasAttribute("data-navigation-menu-trigger")&&d.preventDefault(),!d.defaultPrevented){p.onContentFocusOutside();const w=d.target;(t=(g=c.rootNavigationMenu)==null?void 0:g.value)!=null&&t.contains(w)&&d.preventDefault()}}function k(d){var i;if(u("pointerDownOutside",d),!d.defaultPrevented){const g=d.target,t=o().some(b=>b.ref.contains(g)),w=c.isRootMenu&&((i=c.viewport.value)==null?void 0:i.contains(g));(t||w||!c.isRootMenu)&&d.preventDefault()}}Ve(d=>{const i=f.value;if(c.isRootMenu&&i){const g=()=>{var t;c.onItemDismiss(),p.onRootContentClose(),i.contains(ze())&&((t=p.triggerRef.value)==null||t.focus())};i.addEventListener(tt,g),d(()=>i.removeEventListener(tt,g))}});function s(d){var i,g;u("escapeKeyDown",d),d.defaultPrevented||(c.onItemDismiss(),(g=(i=p.triggerRef)==null?void 0:i.value)==null||g.focus(),p.wasEscapeCloseRef.value=!0)}function T(d){var b;if(d.target.closest("[data-reka-navigation-menu]")!==c.rootNavigationMenu.value)return;const i=d.altKey||d.ctrlKey||d.metaKey,g=d.key==="Tab"&&!i,t=gt(d.currentTarget);if(g){const I=ze(),H=t.findIndex(Y=>Y===I),q=d.shiftKey?t.slice(0,H).reverse():t.slice(H+1,t.length);if(Qt(q))d.preventDefault();else{(b=p.focusProxyRef.value)==null||b.focus();return}}const w=Jt(d,ze(),void 0,{itemsArray:t,loop:!1,enableIgnoredElement:!0});w==null||w.focus()}function D(){var i;const d=new Event(tt,{bubbles:!0,cancelable:!0});(i=f.value)==null||i.dispatchEvent(d)}return(d,i)=>(h(),L(a(Wt),M({id:a(v),ref:a(m),"aria-labelledby":a(x),"data-motion":y.value,"data-state":a(rt)(a(c).modelValue.value===a(p).value),"data-orientation":a(c).orientation},e,{onKeydown:T,onEscapeKeyDown:s,onPointerDownOutside:k,onFocusOutside:$,onDismiss:D}),{default:C(()=>[P(d.$slots,"default")]),_:3},16,["id","aria-labelledby","data-motion","data-state","data-orientation"]))}}),sn=U({inheritAttrs:!1,__name:"NavigationMenuContent",props:{forceMount:{type:Boolean},disableOutsidePointerEvents:{type:Boolean},asChild:{type:Boolean},as:{}},emits:["escapeKeyDown","pointerDownOutside","focusOutside","interactOutside"],setup(n,{emit:l}){const e=n,u=l,o=qe(va(e,"forceMount"),u),{forwardRef:m}=le(),f=Pe(),c=Ct(),p=N(()=>c.value===f.modelValue.value),x=N(()=>f.viewport.value&&!f.modelValue.value&&f.previousValue.value?f.previousValue.value===c.value:!1);return(v,r)=>(h(),L(jt,{to:a(St)&&a(f).viewport.value?a(f).viewport.value:"body",disabled:a(St)&&a(f).viewport.value?!a(f).viewport.value:!0},[R(a(it),{present:v.forceMount||p.value||x.value,"force-mount":!a(f).unmountOnHide.value},{default:C(({present:y})=>[R(rn,M({ref:a(m),"data-state":a(rt)(p.value),style:{pointerEvents:!p.value&&a(f).isRootMenu?"none":void 0}},{...v.$attrs,...a(o)},{hidden:!y,onPointerenter:r[0]||(r[0]=$=>a(f).onContentEnter(a(c).value)),onPointerleave:r[1]||(r[1]=$=>a(ea)(()=>a(f).onContentLeave())($)),onPointerDownOutside:r[2]||(r[2]=$=>u("pointerDownOutside",$)),onFocusOutside:r[3]||(r[3]=$=>u("focusOutside",$)),onInteractOutside:r[4]||(r[4]=$=>u("interactOutside",$))}),{default:C(()=>[P(v.$slots,"default")]),_:2},1040,["data-state","style","hidden"])]),_:3},8,["present","force-mount"])],8,["to","disabled"]))}}),un=U({inheritAttrs:!1,__name:"NavigationMenuIndicator",props:{forceMount:{type:Boolean},asChild:{type:Boolean},as:{}},setup(n){const l=n,{forwardRef:e}=le(),u=Pe(),o=S(),m=N(()=>u.orientation==="horizontal"),f=N(()=>!!u.modelValue.value),{activeTrigger:c}=u;function p(){c.value&&(o.value={size:m.value?c.value.offsetWidth:c.value.offsetHeight,position:m.value?c.value.offsetLeft:c.value.offsetTop})}return Ve(()=>{u.modelValue.value&&p()}),nt(c,p),nt(u.indicatorTrack,p),(x,v)=>a(u).indicatorTrack.value?(h(),L(jt,{key:0,to:a(u).indicatorTrack.value},[R(a(it),{present:x.forceMount||f.value},{default:C(()=>[R(a(ke),M({ref:a(e),"aria-hidden":"true","data-state":f.value?"visible":"hidden","data-orientation":a(u).orientation,"as-child":l.asChild,as:x.as,style:{...o.value?{"--reka-navigation-menu-indicator-size":`${o.value.size}px`,"--reka-navigation-menu-indicator-position":`${o.value.position}px`}:{}}},x.$attrs),{default:C(()=>[P(x.$slots,"default")]),_:3},16,["data-state","data-orientation","as-child","as","style"])]),_:3},8,["present"])],8,["to"])):E("",!0)}}),vt=U({__name:"NavigationMenuLink",props:{active:{type:Boolean},asChild:{type:Boolean},as:{default:"a"}},emits:["select"],setup(n,{emit:l}){const e=n,u=l,{CollectionItem:o}=Ye({key:"NavigationMenu"});le();async function m(f){var p;const c=new CustomEvent(en,{bubbles:!0,cancelable:!0,detail:{originalEvent:f}});if(u("select",c),!c.defaultPrevented&&!f.metaKey){const x=new CustomEvent(tt,{bubbles:!0,cancelable:!0});(p=f.target)==null||p.dispatchEvent(x)}}return(f,c)=>(h(),L(a(o),null,{default:C(()=>[R(a(ke),{as:f.as,"data-active":f.active?"":void 0,"aria-current":f.active?"page":void 0,"as-child":e.asChild,onClick:m},{default:C(()=>[P(f.$slots,"default")]),_:3},8,["as","data-active","aria-current","as-child"])]),_:3}))}}),dn=U({inheritAttrs:!1,__name:"NavigationMenuList",props:{asChild:{type:Boolean},as:{default:"ul"}},setup(n){const l=n,e=Pe(),{forwardRef:u,currentElement:o}=le();return Ke(()=>{e.onIndicatorTrackChange(o.value)}),(m,f)=>(h(),L(a(ke),{ref:a(u),style:{position:"relative"}},{default:C(()=>[R(a(ke),M(m.$attrs,{"as-child":l.asChild,as:m.as,"data-orientation":a(e).orientation}),{default:C(()=>[P(m.$slots,"default")]),_:3},16,["as-child","as","data-orientation"])]),_:3},512))}}),cn=["aria-owns"],fn=U({inheritAttrs:!1,__name:"NavigationMenuTrigger",props:{disabled:{type:Boolean},asChild:{type:Boolean},as:{default:"button"}},setup(n){const l=n,e=Pe(),u=Ct(),{CollectionItem:o}=Ye({key:"NavigationMenu"}),{forwardRef:m,currentElement:f}=le(),c=S(""),p=S(""),x=Kt(!1,300),v=S(!1),r=N(()=>u.value===e.modelValue.value);Ke(()=>{u.triggerRef=f,c.value=Zt(e.baseId,u.value),p.value=$t(e.baseId,u.value)});function y(){e.disableHoverTrigger.value||(v.value=!1,u.wasEscapeCloseRef.value=!1)}function $(i){if(!e.disableHoverTrigger.value&&i.pointerType==="mouse"){if(l.disabled||v.value||u.wasEscapeCloseRef.value||x.value)return;e.onTriggerEnter(u.value),x.value=!0}}function k(i){if(!e.disableHoverTrigger.value&&i.pointerType==="mouse"){if(l.disabled)return;e.onTriggerLeave(),x.value=!1}}function s(i){i.pointerType==="mouse"&&e.disableClickTrigger.value||x.value||(r.value?e.onItemSelect(""):e.onItemSelect(u.value),v.value=r.value)}function T(i){const t={horizontal:"ArrowDown",vertical:e.dir.value==="rtl"?"ArrowLeft":"ArrowRight"}[e.orientation];r.value&&i.key===t&&(u.onEntryKeyDown(),i.preventDefault(),i.stopPropagation())}function D(i){u.focusProxyRef.value=pa(i)}function d(i){const g=document.getElementById(u.contentId),t=i.relatedTarget,w=t===f.value,b=g==null?void 0:g.contains(t);(w||!b)&&u.onFocusProxyEnter(w?"start":"end")}return(i,g)=>(h(),z(pe,null,[R(a(o),null,{default:C(()=>[R(a(ke),M({id:c.value,ref:a(m),disabled:i.disabled,"data-disabled":i.disabled?"":void 0,"data-state":a(rt)(r.value),"data-navigation-menu-trigger":"","aria-expanded":r.value,"aria-controls":p.value,"as-child":l.asChild,as:i.as},i.$attrs,{onPointerenter:y,onPointermove:$,onPointerleave:k,onClick:s,onKeydown:T}),{default:C(()=>[P(i.$slots,"default")]),_:3},16,["id","disabled","data-disabled","data-state","aria-expanded","aria-controls","as-child","as"])]),_:3}),r.value?(h(),z(pe,{key:0},[R(a(mt),{ref:D,"aria-hidden":"true",tabindex:0,onFocus:d}),a(e).viewport?(h(),z("span",{key:0,"aria-owns":p.value},null,8,cn)):E("",!0)],64)):E("",!0)],64))}}),vn=U({inheritAttrs:!1,__name:"NavigationMenuViewport",props:{forceMount:{type:Boolean},align:{default:"center"},asChild:{type:Boolean},as:{}},setup(n){var $;const l=n,{forwardRef:e,currentElement:u}=le(),o=Pe(),{activeTrigger:m,rootNavigationMenu:f,modelValue:c}=o,p=S(),x=S(),v=N(()=>!!o.modelValue.value);$e(u,()=>{o.onViewportChange(u.value)});const r=S();$e([c,v],()=>{u.value&&requestAnimationFrame(()=>{var s;const k=(s=u.value)==null?void 0:s.querySelector("[data-state=open]");r.value=k})},{immediate:!0,flush:"post"});function y(){if(r.value&&m.value&&f.value){const k=document.documentElement.offsetWidth,s=document.documentElement.offsetHeight,T=f.value.getBoundingClientRect(),D=m.value.getBoundingClientRect(),{offsetWidth:d,offsetHeight:i}=r.value,g=D.left-T.left,t=D.top-T.top;let w=null,b=null;switch(l.align){case"start":w=g,b=t;break;case"end":w=g-d+D.width,b=t-i+D.height;break;default:w=g-d/2+D.width/2,b=t-i/2+D.height/2}const I=10;w+T.left<I&&(w=I-T.left);const H=w+T.left+d;H>k-I&&(w-=H-k+I,w<I-T.left&&(w=I-T.left)),b+T.top<I&&(b=I-T.top);const X=b+T.top+i;X>s-I&&(b-=X-s+I,b<I-T.top&&(b=I-T.top)),w=Math.round(w),b=Math.round(b),x.value={left:w,top:b}}}return nt(r,()=>{r.value&&(p.value={width:r.value.offsetWidth,height:r.value.offsetHeight},y())}),nt([($=globalThis.document)==null?void 0:$.body,f],()=>{y()}),(k,s)=>(h(),L(a(it),{present:k.forceMount||v.value,"force-mount":!a(o).unmountOnHide.value,onAfterLeave:s[2]||(s[2]=()=>{p.value=void 0,x.value=void 0})},{default:C(({present:T})=>{var D,d,i,g;return[R(a(ke),M(k.$attrs,{ref:a(e),as:k.as,"as-child":k.asChild,"data-state":a(rt)(v.value),"data-orientation":a(o).orientation,style:{pointerEvents:!v.value&&a(o).isRootMenu?"none":void 0,"--reka-navigation-menu-viewport-width":p.value?`${(D=p.value)==null?void 0:D.width}px`:void 0,"--reka-navigation-menu-viewport-height":p.value?`${(d=p.value)==null?void 0:d.height}px`:void 0,"--reka-navigation-menu-viewport-left":x.value?`${(i=x.value)==null?void 0:i.left}px`:void 0,"--reka-navigation-menu-viewport-top":x.value?`${(g=x.value)==null?void 0:g.top}px`:void 0},hidden:!T,onPointerenter:s[0]||(s[0]=t=>a(o).onContentEnter(a(o).modelValue.value)),onPointerleave:s[1]||(s[1]=t=>a(ea)(()=>a(o).onContentLeave())(t))}),{default:C(()=>[P(k.$slots,"default")]),_:2},1040,["as","as-child","data-state","data-orientation","style","hidden"])]}),_:3},8,["present","force-mount"]))}}),pn=U({__name:"TooltipArrow",props:{width:{default:10},height:{default:5},asChild:{type:Boolean},as:{default:"svg"}},setup(n){const l=n;return le(),(e,u)=>(h(),L(a(ja),Ae(Fe(l)),{default:C(()=>[P(e.$slots,"default")]),_:3},16))}}),ta="tooltip.open",[st,gn]=lt("TooltipRoot"),hn=U({__name:"TooltipRoot",props:{defaultOpen:{type:Boolean,default:!1},open:{type:Boolean,default:void 0},delayDuration:{default:void 0},disableHoverableContent:{type:Boolean,default:void 0},disableClosingTrigger:{type:Boolean,default:void 0},disabled:{type:Boolean,default:void 0},ignoreNonKeyboardFocus:{type:Boolean,default:void 0}},emits:["update:open"],setup(n,{emit:l}){const e=n,u=l;le();const o=bt(),m=N(()=>e.disableHoverableContent??o.disableHoverableContent.value),f=N(()=>e.disableClosingTrigger??o.disableClosingTrigger.value),c=N(()=>e.disabled??o.disabled.value),p=N(()=>e.delayDuration??o.delayDuration.value),x=N(()=>e.ignoreNonKeyboardFocus??o.ignoreNonKeyboardFocus.value),v=Ht(e,"open",u,{defaultValue:e.defaultOpen,passive:e.open===void 0});$e(v,i=>{o.onClose&&(i?(o.onOpen(),document.dispatchEvent(new CustomEvent(ta))):o.onClose())});const r=S(!1),y=S(),$=N(()=>v.value?r.value?"delayed-open":"instant-open":"closed"),{start:k,stop:s}=ga(()=>{r.value=!0,v.value=!0},p,{immediate:!1});function T(){s(),r.value=!1,v.value=!0}function D(){s(),v.value=!1}function d(){k()}return gn({contentId:"",open:v,stateAttribute:$,trigger:y,onTriggerChange(i){y.value=i},onTriggerEnter(){o.isOpenDelayed.value?d():T()},onTriggerLeave(){m.value?D():s()},onOpen:T,onClose:D,disableHoverableContent:m,disableClosingTrigger:f,disabled:c,ignoreNonKeyboardFocus:x}),(i,g)=>(h(),L(a(Ua),null,{default:C(()=>[P(i.$slots,"default",{open:a(v)})]),_:3}))}}),aa=U({__name:"TooltipContentImpl",props:{ariaLabel:{},asChild:{type:Boolean},as:{},side:{default:"top"},sideOffset:{default:0},align:{default:"center"},alignOffset:{},avoidCollisions:{type:Boolean,default:!0},collisionBoundary:{default:()=>[]},collisionPadding:{default:0},arrowPadding:{default:0},sticky:{default:"partial"},hideWhenDetached:{type:Boolean,default:!1},positionStrategy:{},updatePositionStrategy:{}},emits:["escapeKeyDown","pointerDownOutside"],setup(n,{emit:l}){const e=n,u=l,o=st(),{forwardRef:m}=le(),f=We(),c=N(()=>{var v;return(v=f.default)==null?void 0:v.call(f,{})}),p=N(()=>{var y;if(e.ariaLabel)return e.ariaLabel;let v="";function r($){typeof $.children=="string"&&$.type!==ha?v+=$.children:Array.isArray($.children)&&$.children.forEach(k=>r(k))}return(y=c.value)==null||y.forEach($=>r($)),v}),x=N(()=>{const{ariaLabel:v,...r}=e;return r});return Ke(()=>{It(window,"scroll",v=>{const r=v.target;r!=null&&r.contains(o.trigger.value)&&o.onClose()}),It(window,ta,o.onClose)}),(v,r)=>(h(),L(a(Wt),{"as-child":"","disable-outside-pointer-events":!1,onEscapeKeyDown:r[0]||(r[0]=y=>u("escapeKeyDown",y)),onPointerDownOutside:r[1]||(r[1]=y=>{var $;a(o).disableClosingTrigger.value&&(($=a(o).trigger.value)!=null&&$.contains(y.target))&&y.preventDefault(),u("pointerDownOutside",y)}),onFocusOutside:r[2]||(r[2]=yt(()=>{},["prevent"])),onDismiss:r[3]||(r[3]=y=>a(o).onClose())},{default:C(()=>[R(a(Ga),M({ref:a(m),"data-state":a(o).stateAttribute.value},{...v.$attrs,...x.value},{style:{"--reka-tooltip-content-transform-origin":"var(--reka-popper-transform-origin)","--reka-tooltip-content-available-width":"var(--reka-popper-available-width)","--reka-tooltip-content-available-height":"var(--reka-popper-available-height)","--reka-tooltip-trigger-width":"var(--reka-popper-anchor-width)","--reka-tooltip-trigger-height":"var(--reka-popper-anchor-height)"}}),{default:C(()=>[P(v.$slots,"default"),R(a(mt),{id:a(o).contentId,role:"tooltip"},{default:C(()=>[De(ge(p.value),1)]),_:1},8,["id"])]),_:3},16,["data-state"])]),_:3}))}}),mn=U({__name:"TooltipContentHoverable",props:{ariaLabel:{},asChild:{type:Boolean},as:{},side:{},sideOffset:{},align:{},alignOffset:{},avoidCollisions:{type:Boolean},collisionBoundary:{},collisionPadding:{},arrowPadding:{},sticky:{},hideWhenDetached:{type:Boolean},positionStrategy:{},updatePositionStrategy:{}},setup(n){const e=ma(n),{forwardRef:u,currentElement:o}=le(),{trigger:m,onClose:f}=st(),c=bt(),{isPointerInTransit:p,onPointerExit:x}=Xa(m,o);return c.isPointerInTransitRef=p,x(()=>{f()}),(v,r)=>(h(),L(aa,M({ref:a(u)},a(e)),{default:C(()=>[P(v.$slots,"default")]),_:3},16))}}),bn=U({__name:"TooltipContent",props:{forceMount:{type:Boolean},ariaLabel:{},asChild:{type:Boolean},as:{},side:{default:"top"},sideOffset:{},align:{},alignOffset:{},avoidCollisions:{type:Boolean},collisionBoundary:{},collisionPadding:{},arrowPadding:{},sticky:{},hideWhenDetached:{type:Boolean},positionStrategy:{},updatePositionStrategy:{}},emits:["escapeKeyDown","pointerDownOutside"],setup(n,{emit:l}){const e=n,u=l,o=st(),m=qe(e,u),{forwardRef:f}=le();return(c,p)=>(h(),L(a(it),{present:c.forceMount||a(o).open.value},{default:C(()=>[(h(),L(Ge(a(o).disableHoverableContent.value?aa:mn),M({ref:a(f)},a(m)),{default:C(()=>[P(c.$slots,"default")]),_:3},16))]),_:3},8,["present"]))}}),yn=U({__name:"TooltipPortal",props:{to:{},disabled:{type:Boolean},defer:{type:Boolean},forceMount:{type:Boolean}},setup(n){const l=n;return(e,u)=>(h(),L(a(ba),Ae(Fe(l)),{default:C(()=>[P(e.$slots,"default")]),_:3},16))}}),kn=U({__name:"TooltipTrigger",props:{reference:{},asChild:{type:Boolean},as:{default:"button"}},setup(n){const l=n,e=st(),u=bt();e.contentId||(e.contentId=ht(void 0,"reka-tooltip-content"));const{forwardRef:o,currentElement:m}=le(),f=S(!1),c=S(!1),p=N(()=>e.disabled.value?{}:{click:s,focus:$,pointermove:r,pointerleave:y,pointerdown:v,blur:k});Ke(()=>{e.onTriggerChange(m.value)});function x(){setTimeout(()=>{f.value=!1},1)}function v(){e.open&&!e.disableClosingTrigger.value&&e.onClose(),f.value=!0,document.addEventListener("pointerup",x,{once:!0})}function r(T){T.pointerType!=="touch"&&!c.value&&!u.isPointerInTransitRef.value&&(e.onTriggerEnter(),c.value=!0)}function y(){e.onTriggerLeave(),c.value=!1}function $(T){var D,d;f.value||e.ignoreNonKeyboardFocus.value&&!((d=(D=T.target).matches)!=null&&d.call(D,":focus-visible"))||e.onOpen()}function k(){e.onClose()}function s(){e.disableClosingTrigger.value||e.onClose()}return(T,D)=>(h(),L(a(Ya),{"as-child":"",reference:T.reference},{default:C(()=>[R(a(ke),M({ref:a(o),"aria-describedby":a(e).open.value?a(e).contentId:void 0,"data-state":a(e).stateAttribute.value,as:T.as,"as-child":l.asChild,"data-grace-area-trigger":""},Ut(p.value)),{default:C(()=>[P(T.$slots,"default")]),_:3},16,["aria-describedby","data-state","as","as-child"])]),_:3},8,["reference"]))}}),wn={base:"fixed inset-0 flex overflow-hidden"},xn=Gt;var At;const $n=at({extend:at(wn),...((At=xn.uiPro)==null?void 0:At.dashboardGroup)||{}}),Cn=U({__name:"DashboardGroup",props:{as:{},class:{},storage:{default:"cookie"},storageKey:{default:"dashboard"},persistent:{type:Boolean,default:!0}},setup(n){const l=n;return sa({storage:l.storage,storageKey:l.storageKey,persistent:l.persistent,sidebarOpen:S(!1),toggleSidebar:()=>{},sidebarCollapsed:S(!1),collapseSidebar:()=>{},searchOpen:S(!1),toggleSearch:()=>{}}),(e,u)=>(h(),L(a(ke),{as:e.as,class:B(a($n)({class:l.class}))},{default:C(()=>[P(e.$slots,"default")]),_:3},8,["as","class"]))}});(function(){var n;try{if(typeof document<"u"){var l=document.createElement("style");l.nonce=(n=document.head.querySelector("meta[property=csp-nonce]"))==null?void 0:n.content,l.appendChild(document.createTextNode('[data-vaul-drawer]{touch-action:none;will-change:transform;transition:transform .5s cubic-bezier(.32,.72,0,1);animation-duration:.5s;animation-timing-function:cubic-bezier(.32,.72,0,1)}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=bottom][data-state=open]{animation-name:slideFromBottom}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=bottom][data-state=closed]{animation-name:slideToBottom}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=top][data-state=open]{animation-name:slideFromTop}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=top][data-state=closed]{animation-name:slideToTop}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=left][data-state=open]{animation-name:slideFromLeft}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=left][data-state=closed]{animation-name:slideToLeft}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=right][data-state=open]{animation-name:slideFromRight}[data-vaul-drawer][data-vaul-snap-points=false][data-vaul-drawer-direction=right][data-state=closed]{animation-name:slideToRight}[data-vaul-drawer][data-vaul-snap-points=true][data-vaul-drawer-direction=bottom]{transform:translate3d(0,var(--initial-transform, 100%),0)}[data-vaul-drawer][data-vaul-snap-points=true][data-vaul-drawer-direction=top]{transform:translate3d(0,calc(var(--initial-transform, 100%) * -1),0)}[data-vaul-drawer][data-vaul-snap-points=true][data-vaul-drawer-direction=left]{transform:translate3d(calc(var(--initial-transform, 100%) * -1),0,0)}[data-vaul-drawer][data-vaul-snap-points=true][data-vaul-drawer-direction=right]{transform:translate3d(var(--initial-transform, 100%),0,0)}[data-vaul-drawer][data-vaul-delayed-snap-points=true][data-vaul-drawer-direction=top],[data-vaul-drawer][data-vaul-delayed-snap-points=true][data-vaul-drawer-direction=bottom]{transform:translate3d(0,var(--snap-point-height, 0),0)}[data-vaul-drawer][data-vaul-delayed-snap-points=true][data-vaul-drawer-direction=left],[data-vaul-drawer][data-vaul-delayed-snap-points=true][data-vaul-drawer-direction=right]{transform:translate3d(var(--snap-point-height, 0),0,0)}[data-vaul-overlay][data-vaul-snap-points=false]{animation-duration:.5s;animation-timing-function:cubic-bezier(.32,.72,0,1)}[data-vaul-overlay][data-vaul-snap-points=false][data-state=open]{animation-name:fadeIn}[data-vaul-overlay][data-state=closed]{animation-name:fadeOut}[data-vaul-animate=false]{animation:none!important}[data-vaul-overlay][data-vaul-snap-points=true]{opacity:0;transition:opacity .5s cubic-bezier(.32,.72,0,1)}[data-vaul-overlay][data-vaul-snap-points=true]{opacity:1}[data-vaul-drawer]:not([data-vaul-custom-container=true]):after{content:"";position:absolute;background:inherit;background-color:inherit}[data-vaul-drawer][data-vaul-drawer-direction=top]:after{top:initial;bottom:100%;left:0;right:0;height:200%}[data-vaul-drawer][data-vaul-drawer-direction=bottom]:after{top:100%;bottom:initial;left:0;right:0;height:200%}[data-vaul-drawer][data-vaul-drawer-direction=left]:after{left:initial;right:100%;top:0;bottom:0;width:200%}[data-vaul-drawer][data-vaul-drawer-direction=right]:after{left:100%;right:initial;top:0;bottom:0;width:200%}[data-vaul-overlay][data-vaul-snap-points=true]:not([data-vaul-snap-points-overlay=true]):not([data-state=closed]){opacity:0}[data-vaul-overlay][data-vaul-snap-points-overlay=true]{opacity:1}[data-vaul-handle]{display:block;position:relative;opacity:.7;background:#e2e2e4;margin-left:auto;margin-right:auto;height:5px;width:32px;border-radius:1rem;touch-action:pan-y}[data-vaul-handle]:hover,[data-vaul-handle]:active{opacity:1}[data-vaul-handle-hitarea]{position:absolute;left:50%;top:50%;transform:translate(-50%,-50%);width:max(100%,2.75rem);height:max(100%,2.75rem);touch-action:inherit}@media (hover: hover) and (pointer: fine){[data-vaul-drawer]{-webkit-user-select:none;user-select:none}}@media (pointer: fine){[data-vaul-handle-hitarea]:{width:100%;height:100%}}@keyframes fadeIn{0%{opacity:0}to{opacity:1}}@keyframes fadeOut{to{opacity:0}}@keyframes slideFromBottom{0%{transform:translate3d(0,var(--initial-transform, 100%),0)}to{transform:translateZ(0)}}@keyframes slideToBottom{to{transform:translate3d(0,var(--initial-transform, 100%),0)}}@keyframes slideFromTop{0%{transform:translate3d(0,calc(var(--initial-transform, 100%) * -1),0)}to{transform:translateZ(0)}}@keyframes slideToTop{to{transform:translate3d(0,calc(var(--initial-transform, 100%) * -1),0)}}@keyframes slideFromLeft{0%{transform:translate3d(calc(var(--initial-transform, 100%) * -1),0,0)}to{transform:translateZ(0)}}@keyframes slideToLeft{to{transform:translate3d(calc(var(--initial-transform, 100%) * -1),0,0)}}@keyframes slideFromRight{0%{transform:translate3d(var(--initial-transform, 100%),0,0)}to{transform:translateZ(0)}}@keyframes slideToRight{to{transform:translate3d(var(--initial-transform, 100%),0,0)}}')),document.head.appendChild(l)}}catch(e){console.error("vite-plugin-css-injected-by-js",e)}})();const Tn=typeof window<"u"&&typeof document<"u";typeof WorkerGlobalScope<"u"&&globalThis instanceof WorkerGlobalScope;const Ln=n=>typeof n<"u";function Dn(n){return JSON.parse(JSON.stringify(n))}function Mt(n,l,e,u={}){var o,m,f;const{clone:c=!1,passive:p=!1,eventName:x,deep:v=!1,defaultValue:r,shouldEmit:y}=u,$=ya(),k=e||($==null?void 0:$.emit)||((o=$==null?void 0:$.$emit)==null?void 0:o.bind($))||((f=(m=$==null?void 0:$.proxy)==null?void 0:m.$emit)==null?void 0:f.bind($==null?void 0:$.proxy));let s=x;l||(l="modelValue"),s=s||`update:${l.toString()}`;const T=i=>c?typeof c=="function"?c(i):Dn(i):i,D=()=>Ln(n[l])?T(n[l]):r,d=i=>{y?y(i)&&k(s,i):k(s,i)};if(p){const i=D(),g=S(i);let t=!1;return $e(()=>n[l],w=>{t||(t=!0,g.value=T(w),Yt(()=>t=!1))}),$e(g,w=>{!t&&(w!==n[l]||v)&&d(w)},{deep:v}),g}else return N({get(){return D()},set(i){d(i)}})}const[ut,On]=lt("DrawerRoot"),na=new WeakMap;function ee(n,l,e=!1){if(!n||!(n instanceof HTMLElement)||!l)return;const u={};Object.entries(l).forEach(([o,m])=>{if(o.startsWith("--")){n.style.setProperty(o,m);return}u[o]=n.style[o],n.style[o]=m}),!e&&na.set(n,u)}function Sn(n,l){if(!n||!(n instanceof HTMLElement))return;const e=na.get(n);e&&Object.entries(e).forEach(([u,o])=>{n.style[u]=o})}function Qe(n,l){const e=window.getComputedStyle(n),u=e.transform||e.webkitTransform||e.mozTransform;let o=u.match(/^matrix3d\((.+)\)$/);return o?Number.parseFloat(o[1].split(", ")[Z(l)?13:12]):(o=u.match(/^matrix\((.+)\)$/),o?Number.parseFloat(o[1].split(", ")[Z(l)?5:4]):null)}function In(n){return 8*(Math.log(n+1)-2)}function Z(n){switch(n){case"top":case"bottom":return!0;case"left":case"right":return!1;default:return n}}function pt(n,l){if(!n)return()=>{};const e=n.style.cssText;return Object.assign(n.style,l),()=>{n.style.cssText=e}}function Bn(...n){return(...l)=>{for(const e of n)typeof e=="function"&&e(...l)}}const G={DURATION:.5,EASE:[.32,.72,0,1]},oa=.4,Pn=.25,En=100,la=8,et=16,ia=26,zt="vaul-dragging";function Rn({activeSnapPoint:n,snapPoints:l,drawerRef:e,overlayRef:u,fadeFromIndex:o,onSnapPointChange:m,direction:f}){const c=S(typeof window<"u"?{innerWidth:window.innerWidth,innerHeight:window.innerHeight}:void 0);function p(){c.value={innerWidth:window.innerWidth,innerHeight:window.innerHeight}}Ke(()=>{typeof window<"u"&&window.addEventListener("resize",p)}),ka(()=>{typeof window<"u"&&window.removeEventListener("resize",p)});const x=N(()=>(l.value&&n.value===l.value[l.value.length-1])??null),v=N(()=>l.value&&l.value.length>0&&((o==null?void 0:o.value)||(o==null?void 0:o.value)===0)&&!Number.isNaN(o==null?void 0:o.value)&&l.value[(o==null?void 0:o.value)??-1]===n.value||!l.value),r=N(()=>{var d;return((d=l.value)==null?void 0:d.findIndex(i=>i===n.value))??null}),y=N(()=>{var d;return((d=l.value)==null?void 0:d.map(i=>{const g=typeof i=="string";let t=0;if(g&&(t=Number.parseInt(i,10)),Z(f.value)){const b=g?t:c.value?i*c.value.innerHeight:0;return c.value?f.value==="bottom"?c.value.innerHeight-b:-c.value.innerHeight+b:b}const w=g?t:c.value?i*c.value.innerWidth:0;return c.value?f.value==="right"?c.value.innerWidth-w:-c.value.innerWidth+w:w}))??[]}),$=N(()=>{var d;return r.value!==null?(d=y.value)==null?void 0:d[r.value]:null}),k=d=>{var i,g,t,w;const b=((i=y.value)==null?void 0:i.findIndex(I=>I===d))??null;Yt(()=>{var I;m(b,y.value),ee((I=e.value)==null?void 0:I.$el,{transition:`transform ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,transform:Z(f.value)?`translate3d(0, ${d}px, 0)`:`translate3d(${d}px, 0, 0)`})}),y.value&&b!==y.value.length-1&&b!==(o==null?void 0:o.value)?ee((g=u.value)==null?void 0:g.$el,{transition:`opacity ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,opacity:"0"}):ee((t=u.value)==null?void 0:t.$el,{transition:`opacity ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,opacity:"1"}),n.value=b!==null?((w=l.value)==null?void 0:w[b])??null:null};$e([n,y,l],()=>{var d;if(n.value){const i=((d=l.value)==null?void 0:d.findIndex(g=>g===n.value))??-1;y.value&&i!==-1&&typeof y.value[i]=="number"&&k(y.value[i])}},{immediate:!0});function s({draggedDistance:d,closeDrawer:i,velocity:g,dismissible:t}){var w,b,I;if(o.value===void 0)return;const H=f.value==="bottom"||f.value==="right"?($.value??0)-d:($.value??0)+d,X=r.value===o.value-1,q=r.value===0,Y=d>0;if(X&&ee((w=u.value)==null?void 0:w.$el,{transition:`opacity ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`}),g>2&&!Y){t?i():k(y.value[0]);return}if(g>2&&Y&&y&&l.value){k(y.value[l.value.length-1]);return}const te=(b=y.value)==null?void 0:b.reduce((j,_)=>typeof j!="number"||typeof _!="number"?j:Math.abs(_-H)<Math.abs(j-H)?_:j),V=Z(f.value)?window.innerHeight:window.innerWidth;if(g>oa&&Math.abs(d)<V*.4){const j=Y?1:-1;if(j>0&&x){k(y.value[(((I=l.value)==null?void 0:I.length)??0)-1]);return}if(q&&j<0&&t&&i(),r.value===null)return;k(y.value[r.value+j]);return}k(te)}function T({draggedDistance:d}){var i;if($.value===null)return;const g=f.value==="bottom"||f.value==="right"?$.value-d:$.value+d;(f.value==="bottom"||f.value==="right")&&g<y.value[y.value.length-1]||(f.value==="top"||f.value==="left")&&g>y.value[y.value.length-1]||ee((i=e.value)==null?void 0:i.$el,{transform:Z(f.value)?`translate3d(0, ${g}px, 0)`:`translate3d(${g}px, 0, 0)`})}function D(d,i){if(!l.value||typeof r.value!="number"||!y.value||o.value===void 0)return null;const g=r.value===o.value-1;if(r.value>=o.value&&i)return 0;if(g&&!i)return 1;if(!v.value&&!g)return null;const t=g?r.value+1:r.value-1,w=g?y.value[t]-y.value[t-1]:y.value[t+1]-y.value[t],b=d/Math.abs(w);return g?1-b:b}return{isLastSnapPoint:x,shouldFade:v,getPercentageDragged:D,activeSnapPointIndex:r,onRelease:s,onDrag:T,snapPointsOffset:y}}function qt(){return/^((?!chrome|android).)*safari/i.test(navigator.userAgent)}let Ue=null;function _n(n){const{isOpen:l,modal:e,nested:u,hasBeenOpened:o,preventScrollRestoration:m,noBodyStyles:f}=n,c=S(typeof window<"u"?window.location.href:""),p=S(0);function x(){if(qt()&&Ue===null&&l.value&&!f.value){Ue={position:document.body.style.position,top:document.body.style.top,left:document.body.style.left,height:document.body.style.height};const{scrollX:r,innerHeight:y}=window;document.body.style.setProperty("position","fixed","important"),Object.assign(document.body.style,{top:`${-p.value}px`,left:`${-r}px`,right:"0px",height:"auto"}),setTimeout(()=>{requestAnimationFrame(()=>{const $=y-window.innerHeight;$&&p.value>=y&&(document.body.style.top=`-${p.value+$}px`)})},300)}}function v(){if(qt()&&Ue!==null&&!f.value){const r=-Number.parseInt(document.body.style.top,10),y=-Number.parseInt(document.body.style.left,10);Object.assign(document.body.style,Ue),window.requestAnimationFrame(()=>{if(m.value&&c.value!==window.location.href){c.value=window.location.href;return}window.scrollTo(y,r)}),Ue=null}}return Ke(()=>{function r(){p.value=window.scrollY}r(),window.addEventListener("scroll",r),wa(()=>{window.removeEventListener("scroll",r)})}),$e([l,o,c],()=>{u.value||!o.value||(l.value?(window.matchMedia("(display-mode: standalone)").matches||x(),e.value||setTimeout(()=>{v()},500)):v())}),{restorePositionSetting:v}}function Nn(n,l){return n&&n.value?n:l}function Mn(n){const{emitDrag:l,emitRelease:e,emitClose:u,emitOpenChange:o,open:m,dismissible:f,nested:c,modal:p,shouldScaleBackground:x,setBackgroundColorOnScale:v,scrollLockTimeout:r,closeThreshold:y,activeSnapPoint:$,fadeFromIndex:k,direction:s,noBodyStyles:T,handleOnly:D,preventScrollRestoration:d}=n,i=S(m.value??!1),g=S(!1),t=S(!1),w=S(!1),b=S(null),I=S(null),H=S(null),X=S(null),q=S(null),Y=S(!1),te=S(null),V=S(0),j=S(!1);S(0);const _=S(null);S(0);const ie=N(()=>{var O;return((O=_.value)==null?void 0:O.$el.getBoundingClientRect().height)||0}),K=Nn(n.snapPoints,S(void 0)),he=N(()=>{var O;return K&&(((O=K.value)==null?void 0:O.length)??0)>0}),me=S(null),{activeSnapPointIndex:re,onRelease:ue,snapPointsOffset:ae,onDrag:we,shouldFade:ce,getPercentageDragged:oe}=Rn({snapPoints:K,activeSnapPoint:$,drawerRef:_,fadeFromIndex:k,overlayRef:b,onSnapPointChange:ne,direction:s});function ne(O,F){K.value&&O===F.length-1&&(I.value=new Date)}_n({isOpen:i,modal:p,nested:c,hasBeenOpened:g,noBodyStyles:T,preventScrollRestoration:d});function xe(){return(window.innerWidth-ia)/window.innerWidth}function Ce(O,F){var W;if(!O)return!1;let A=O;const J=(W=window.getSelection())==null?void 0:W.toString(),Q=_.value?Qe(_.value.$el,s.value):null,ve=new Date;if(A.hasAttribute("data-vaul-no-drag")||A.closest("[data-vaul-no-drag]"))return!1;if(s.value==="right"||s.value==="left")return!0;if(I.value&&ve.getTime()-I.value.getTime()<500)return!1;if(Q!==null&&(s.value==="bottom"?Q>0:Q<0))return!0;if(J&&J.length>0)return!1;if(q.value&&ve.getTime()-q.value.getTime()<r.value&&Q===0||F)return q.value=ve,!1;for(;A;){if(A.scrollHeight>A.clientHeight){if(A.scrollTop!==0)return q.value=new Date,!1;if(A.getAttribute("role")==="dialog")return!0}A=A.parentNode}return!0}function de(O){!f.value&&!K.value||_.value&&!_.value.$el.contains(O.target)||(t.value=!0,H.value=new Date,O.target.setPointerCapture(O.pointerId),V.value=Z(s.value)?O.clientY:O.clientX)}function Ee(O){var F,W,A,J,Q,ve;if(_.value&&t.value){const _e=s.value==="bottom"||s.value==="right"?1:-1,Xe=(V.value-(Z(s.value)?O.clientY:O.clientX))*_e,Je=Xe>0,Tt=K.value&&!f.value&&!Je;if(Tt&&re.value===0)return;const dt=Math.abs(Xe),Lt=document.querySelector("[data-vaul-drawer-wrapper]")||document.querySelector("[vaul-drawer-wrapper]");let Ie=dt/ie.value;const Dt=oe(dt,Je);if(Dt!==null&&(Ie=Dt),Tt&&Ie>=1||!Y.value&&!Ce(O.target,Je))return;if((F=_==null?void 0:_.value)==null||F.$el.classList.add(zt),Y.value=!0,ee((W=_.value)==null?void 0:W.$el,{transition:"none"}),ee((A=b.value)==null?void 0:A.$el,{transition:"none"}),K.value&&we({draggedDistance:Xe}),Je&&!K.value){const Be=In(Xe),Ze=Math.min(Be*-1,0)*_e;ee((J=_.value)==null?void 0:J.$el,{transform:Z(s.value)?`translate3d(0, ${Ze}px, 0)`:`translate3d(${Ze}px, 0, 0)`});return}const ra=1-Ie;if((ce.value||k.value&&re.value===k.value-1)&&(l(Ie),ee((Q=b.value)==null?void 0:Q.$el,{opacity:`${ra}`,transition:"none"},!0)),Lt&&b.value&&x.value){const Be=Math.min(xe()+Ie*(1-xe()),1),Ze=8-Ie*8,Ot=Math.max(0,14-Ie*14);ee(Lt,{borderRadius:`${Ze}px`,transform:Z(s.value)?`scale(${Be}) translate3d(0, ${Ot}px, 0)`:`scale(${Be}) translate3d(${Ot}px, 0, 0)`,transition:"none"},!0)}if(!K.value){const Be=dt*_e;ee((ve=_.value)==null?void 0:ve.$el,{transform:Z(s.value)?`translate3d(0, ${Be}px, 0)`:`translate3d(${Be}px, 0, 0)`})}}}function Te(){var O;if(!_.value)return;const F=document.querySelector("[data-vaul-drawer-wrapper]")||document.querySelector("[vaul-drawer-wrapper]"),W=Qe(_.value.$el,s.value);ee(_.value.$el,{transform:"translate3d(0, 0, 0)",transition:`transform ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`}),ee((O=b.value)==null?void 0:O.$el,{transition:`opacity ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,opacity:"1"}),x.value&&W&&W>0&&i.value&&ee(F,{borderRadius:`${la}px`,overflow:"hidden",...Z(s.value)?{transform:`scale(${xe()}) translate3d(0, calc(env(safe-area-inset-top) + 14px), 0)`,transformOrigin:"top"}:{transform:`scale(${xe()}) translate3d(calc(env(safe-area-inset-top) + 14px), 0, 0)`,transformOrigin:"left"},transitionProperty:"transform, border-radius",transitionDuration:`${G.DURATION}s`,transitionTimingFunction:`cubic-bezier(${G.EASE.join(",")})`},!0)}function fe(O){_.value&&(u(),O||(i.value=!1),window.setTimeout(()=>{K.value&&($.value=K.value[0])},G.DURATION*1e3))}Ve(()=>{if(!i.value&&x.value&&Tn){const O=setTimeout(()=>{Sn(document.body)},200);return()=>clearTimeout(O)}}),$e(m,()=>{i.value=m.value,m.value||fe()});function be(O){if(!t.value||!_.value)return;_.value.$el.classList.remove(zt),Y.value=!1,t.value=!1,X.value=new Date;const F=Qe(_.value.$el,s.value);if(!Ce(O.target,!1)||!F||Number.isNaN(F)||H.value===null)return;const W=X.value.getTime()-H.value.getTime(),A=V.value-(Z(s.value)?O.clientY:O.clientX),J=Math.abs(A)/W;if(J>.05&&(w.value=!0,window.setTimeout(()=>{w.value=!1},200)),K.value){const ve=s.value==="bottom"||s.value==="right"?1:-1;ue({draggedDistance:A*ve,closeDrawer:fe,velocity:J,dismissible:f.value}),e(!0);return}if(s.value==="bottom"||s.value==="right"?A>0:A<0){Te(),e(!0);return}if(J>oa){fe(),e(!1);return}const Q=Math.min(_.value.$el.getBoundingClientRect().height??0,window.innerHeight);if(F>=Q*y.value){fe(),e(!1);return}e(!0),Te()}$e(i,O=>{O&&(I.value=new Date),o(O)},{immediate:!0});function Re(O){var F,W;const A=O?(window.innerWidth-et)/window.innerWidth:1,J=O?-16:0;te.value&&window.clearTimeout(te.value),ee((F=_.value)==null?void 0:F.$el,{transition:`transform ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,transform:`scale(${A}) translate3d(0, ${J}px, 0)`}),!O&&(W=_.value)!=null&&W.$el&&(te.value=window.setTimeout(()=>{var Q,ve;const _e=Qe((Q=_.value)==null?void 0:Q.$el,s.value);ee((ve=_.value)==null?void 0:ve.$el,{transition:"none",transform:Z(s.value)?`translate3d(0, ${_e}px, 0)`:`translate3d(${_e}px, 0, 0)`})},500))}function Oe(O){var F;if(O<0)return;const W=Z(s.value)?window.innerHeight:window.innerWidth,A=(W-et)/W,J=A+O*(1-A),Q=-16+O*et;ee((F=_.value)==null?void 0:F.$el,{transform:Z(s.value)?`scale(${J}) translate3d(0, ${Q}px, 0)`:`scale(${J}) translate3d(${Q}px, 0, 0)`,transition:"none"})}function Se(O){var F;const W=Z(s.value)?window.innerHeight:window.innerWidth,A=O?(W-et)/W:1,J=O?-16:0;O&&ee((F=_.value)==null?void 0:F.$el,{transition:`transform ${G.DURATION}s cubic-bezier(${G.EASE.join(",")})`,transform:Z(s.value)?`scale(${A}) translate3d(0, ${J}px, 0)`:`scale(${A}) translate3d(${J}px, 0, 0)`})}return{open:m,isOpen:i,modal:p,keyboardIsOpen:j,hasBeenOpened:g,drawerRef:_,drawerHeightRef:ie,overlayRef:b,handleRef:me,isDragging:t,dragStartTime:H,isAllowedToDrag:Y,snapPoints:K,activeSnapPoint:$,hasSnapPoints:he,pointerStart:V,dismissible:f,snapPointsOffset:ae,direction:s,shouldFade:ce,fadeFromIndex:k,shouldScaleBackground:x,setBackgroundColorOnScale:v,onPress:de,onDrag:Ee,onRelease:be,closeDrawer:fe,onNestedDrag:Oe,onNestedRelease:Se,onNestedOpenChange:Re,emitClose:u,emitDrag:l,emitRelease:e,emitOpenChange:o,nested:c,handleOnly:D,noBodyStyles:T}}const zn=U({__name:"DrawerRoot",props:{activeSnapPoint:{default:void 0},closeThreshold:{default:Pn},shouldScaleBackground:{type:Boolean,default:void 0},setBackgroundColorOnScale:{type:Boolean,default:!0},scrollLockTimeout:{default:En},fixed:{type:Boolean,default:void 0},dismissible:{type:Boolean,default:!0},modal:{type:Boolean,default:!0},open:{type:Boolean,default:void 0},defaultOpen:{type:Boolean,default:void 0},nested:{type:Boolean,default:!1},direction:{default:"bottom"},noBodyStyles:{type:Boolean},handleOnly:{type:Boolean,default:!1},preventScrollRestoration:{type:Boolean},snapPoints:{default:void 0},fadeFromIndex:{default:void 0}},emits:["drag","release","close","update:open","update:activeSnapPoint","animationEnd"],setup(n,{expose:l,emit:e}){const u=n,o=e;We();const m=N(()=>u.fadeFromIndex??(u.snapPoints&&u.snapPoints.length-1)),f=Mt(u,"open",o,{defaultValue:u.defaultOpen,passive:u.open===void 0}),c=Mt(u,"activeSnapPoint",o,{passive:u.activeSnapPoint===void 0}),p={emitDrag:k=>o("drag",k),emitRelease:k=>o("release",k),emitClose:()=>o("close"),emitOpenChange:k=>{o("update:open",k),setTimeout(()=>{o("animationEnd",k)},G.DURATION*1e3)}},{closeDrawer:x,hasBeenOpened:v,modal:r,isOpen:y}=On(Mn({...p,...Vt(u),activeSnapPoint:c,fadeFromIndex:m,open:f}));function $(k){if(f.value!==void 0){p.emitOpenChange(k);return}y.value=k,k?v.value=!0:x()}return l({open:y}),(k,s)=>(h(),L(a(Ma),{open:a(y),modal:a(r),"onUpdate:open":$},{default:C(()=>[P(k.$slots,"default",{open:a(y)})]),_:3},8,["open","modal"]))}}),qn=U({__name:"DrawerOverlay",setup(n){const{overlayRef:l,hasSnapPoints:e,isOpen:u,shouldFade:o}=ut();return(m,f)=>(h(),L(a(_a),{ref_key:"overlayRef",ref:l,"data-vaul-overlay":"","data-vaul-snap-points":a(u)&&a(e)?"true":"false","data-vaul-snap-points-overlay":a(u)&&a(o)?"true":"false"},null,8,["data-vaul-snap-points","data-vaul-snap-points-overlay"]))}}),An=()=>()=>{};function Fn(){const{direction:n,isOpen:l,shouldScaleBackground:e,setBackgroundColorOnScale:u,noBodyStyles:o}=ut(),m=S(null),f=S(document.body.style.backgroundColor);function c(){return(window.innerWidth-ia)/window.innerWidth}Ve(p=>{if(l.value&&e.value){m.value&&clearTimeout(m.value);const x=document.querySelector("[data-vaul-drawer-wrapper]")||document.querySelector("[vaul-drawer-wrapper]");if(!x)return;Bn(u.value&&!o.value?pt(document.body,{background:"black"}):An,pt(x,{transformOrigin:Z(n.value)?"top":"left",transitionProperty:"transform, border-radius",transitionDuration:`${G.DURATION}s`,transitionTimingFunction:`cubic-bezier(${G.EASE.join(",")})`}));const v=pt(x,{borderRadius:`${la}px`,overflow:"hidden",...Z(n.value)?{transform:`scale(${c()}) translate3d(0, calc(env(safe-area-inset-top) + 14px), 0)`}:{transform:`scale(${c()}) translate3d(calc(env(safe-area-inset-top) + 14px), 0, 0)`}});p(()=>{v(),m.value=window.setTimeout(()=>{f.value?document.body.style.background=f.value:document.body.style.removeProperty("background")},G.DURATION*1e3)})}},{flush:"pre"})}const Hn=U({__name:"DrawerContent",setup(n){const{open:l,isOpen:e,snapPointsOffset:u,hasSnapPoints:o,drawerRef:m,onPress:f,onDrag:c,onRelease:p,modal:x,emitOpenChange:v,dismissible:r,keyboardIsOpen:y,closeDrawer:$,direction:k,handleOnly:s}=ut();Fn();const T=S(!1),D=N(()=>u.value&&u.value.length>0?`${u.value[0]}px`:"0");function d(t){if(!x.value||t.defaultPrevented){t.preventDefault();return}y.value&&(y.value=!1),r.value?v(!1):t.preventDefault()}function i(t){s.value||f(t)}function g(t){s.value||c(t)}return Ve(()=>{o.value&&window.requestAnimationFrame(()=>{T.value=!0})}),(t,w)=>(h(),L(a(Na),{ref_key:"drawerRef",ref:m,"data-vaul-drawer":"","data-vaul-drawer-direction":a(k),"data-vaul-delayed-snap-points":T.value?"true":"false","data-vaul-snap-points":a(e)&&a(o)?"true":"false",style:kt({"--snap-point-height":D.value}),onPointerdown:i,onPointermove:g,onPointerup:a(p),onPointerDownOutside:d,onOpenAutoFocus:w[0]||(w[0]=yt(()=>{},["prevent"])),onEscapeKeyDown:w[1]||(w[1]=b=>{a(r)||b.preventDefault()})},{default:C(()=>[P(t.$slots,"default")]),_:3},8,["data-vaul-drawer-direction","data-vaul-delayed-snap-points","data-vaul-snap-points","style","onPointerup"]))}}),Vn=["data-vaul-drawer-visible"],Kn={"data-vaul-handle-hitarea":"","aria-hidden":"true"},Wn=250,jn=120,Un=U({__name:"DrawerHandle",props:{preventCycle:{type:Boolean,default:!1}},setup(n){const l=n,{onPress:e,onDrag:u,handleRef:o,handleOnly:m,isOpen:f,snapPoints:c,activeSnapPoint:p,isDragging:x,dismissible:v,closeDrawer:r}=ut(),y=S(null),$=S(!1);function k(){if($.value){D();return}window.setTimeout(()=>{s()},jn)}function s(){if(x.value||l.preventCycle||$.value){D();return}if(D(),!c.value||c.value.length===0){v.value||r();return}const g=p.value===c.value[c.value.length-1];if(g&&v.value){r();return}const t=c.value.findIndex(b=>b===p.value);if(t===-1)return;const w=g?0:t+1;p.value=c.value[w]}function T(){y.value=window.setTimeout(()=>{$.value=!0},Wn)}function D(){y.value&&window.clearTimeout(y.value),$.value=!1}function d(g){m.value&&e(g),T()}function i(g){m.value&&u(g)}return(g,t)=>(h(),z("div",{ref_key:"handleRef",ref:o,"data-vaul-drawer-visible":a(f)?"true":"false","data-vaul-handle":"","aria-hidden":"true",onClick:k,onPointercancel:D,onPointerdown:d,onPointermove:i},[se("span",Kn,[P(g.$slots,"default")])],40,Vn))}}),Gn={slots:{overlay:"fixed inset-0 bg-elevated/75",content:"fixed bg-default ring ring-default flex focus:outline-none",handle:["shrink-0 !bg-accented","transition-opacity"],container:"w-full flex flex-col gap-4 p-4 overflow-y-auto",header:"",title:"text-highlighted font-semibold",description:"mt-1 text-muted text-sm",body:"flex-1",footer:"flex flex-col gap-1.5"},variants:{direction:{top:{content:"mb-24 flex-col-reverse",handle:"mb-4"},right:{content:"flex-row",handle:"!ml-4"},bottom:{content:"mt-24 flex-col",handle:"mt-4"},left:{content:"flex-row-reverse",handle:"!mr-4"}},inset:{true:{content:"rounded-lg after:hidden overflow-hidden"}}},compoundVariants:[{direction:["top","bottom"],class:{content:"h-auto max-h-[96%]",handle:"!w-12 !h-1.5 mx-auto"}},{direction:["right","left"],class:{content:"w-auto max-w-[calc(100%-2rem)]",handle:"!h-12 !w-1.5 mt-auto mb-auto"}},{direction:"top",inset:!0,class:{content:"inset-x-4 top-4"}},{direction:"top",inset:!1,class:{content:"inset-x-0 top-0 rounded-b-lg"}},{direction:"bottom",inset:!0,class:{content:"inset-x-4 bottom-4"}},{direction:"bottom",inset:!1,class:{content:"inset-x-0 bottom-0 rounded-t-lg"}},{direction:"left",inset:!0,class:{content:"inset-y-4 left-4"}},{direction:"left",inset:!1,class:{content:"inset-y-0 left-0 rounded-r-lg"}},{direction:"right",inset:!0,class:{content:"inset-y-4 right-4"}},{direction:"right",inset:!1,class:{content:"inset-y-0 right-0 rounded-l-lg"}}]},Yn={__name:"Drawer",props:{as:{type:null,required:!1},title:{type:String,required:!1},description:{type:String,required:!1},inset:{type:Boolean,required:!1},content:{type:Object,required:!1},overlay:{type:Boolean,required:!1,default:!0},handle:{type:Boolean,required:!1,default:!0},portal:{type:[Boolean,String],required:!1,skipCheck:!0,default:!0},class:{type:null,required:!1},ui:{type:null,required:!1},activeSnapPoint:{type:[Number,String,null],required:!1},closeThreshold:{type:Number,required:!1},shouldScaleBackground:{type:Boolean,required:!1},setBackgroundColorOnScale:{type:Boolean,required:!1},scrollLockTimeout:{type:Number,required:!1},fixed:{type:Boolean,required:!1},dismissible:{type:Boolean,required:!1,default:!0},modal:{type:Boolean,required:!1,default:!0},open:{type:Boolean,required:!1},defaultOpen:{type:Boolean,required:!1},nested:{type:Boolean,required:!1},direction:{type:String,required:!1,default:"bottom"},noBodyStyles:{type:Boolean,required:!1},handleOnly:{type:Boolean,required:!1},preventScrollRestoration:{type:Boolean,required:!1},snapPoints:{type:Array,required:!1}},emits:["drag","release","close","update:open","update:activeSnapPoint","animationEnd"],setup(n,{emit:l}){const e=n,u=l,o=We(),m=xt(),f=qe(wt(e,"activeSnapPoint","closeThreshold","shouldScaleBackground","setBackgroundColorOnScale","scrollLockTimeout","fixed","dismissible","modal","open","defaultOpen","nested","direction","noBodyStyles","handleOnly","preventScrollRestoration","snapPoints"),u),c=Xt(ye(()=>e.portal)),p=ye(()=>e.content),x={closeAutoFocus:r=>r.preventDefault()},v=N(()=>{var r;return He({extend:He(Gn),...((r=m.ui)==null?void 0:r.drawer)||{}})({direction:e.direction,inset:e.inset})});return(r,y)=>(h(),L(a(zn),Ae(Fe(a(f))),{default:C(()=>[o.default?(h(),L(a(za),{key:0,"as-child":"",class:B(e.class)},{default:C(()=>[P(r.$slots,"default")]),_:3},8,["class"])):E("",!0),R(a(qa),Ae(Fe(a(c))),{default:C(()=>{var $,k;return[n.overlay?(h(),L(a(qn),{key:0,class:B(v.value.overlay({class:($=e.ui)==null?void 0:$.overlay}))},null,8,["class"])):E("",!0),R(a(Hn),M({class:v.value.content({class:[!o.default&&e.class,(k=e.ui)==null?void 0:k.content]})},p.value,Ut(x)),{default:C(()=>{var s;return[n.handle?(h(),L(a(Un),{key:0,class:B(v.value.handle({class:(s=e.ui)==null?void 0:s.handle}))},null,8,["class"])):E("",!0),o.content&&(n.title||o.title||n.description||o.description)?(h(),L(a(mt),{key:1},{default:C(()=>[n.title||o.title?(h(),L(a(Et),{key:0},{default:C(()=>[P(r.$slots,"title",{},()=>[De(ge(n.title),1)])]),_:3})):E("",!0),n.description||o.description?(h(),L(a(Rt),{key:1},{default:C(()=>[P(r.$slots,"description",{},()=>[De(ge(n.description),1)])]),_:3})):E("",!0)]),_:3})):E("",!0),P(r.$slots,"content",{},()=>{var T,D,d,i;return[se("div",{class:B(v.value.container({class:(T=e.ui)==null?void 0:T.container}))},[o.header||n.title||o.title||n.description||o.description?(h(),z("div",{key:0,class:B(v.value.header({class:(D=e.ui)==null?void 0:D.header}))},[P(r.$slots,"header",{},()=>{var g,t;return[n.title||o.title?(h(),L(a(Et),{key:0,class:B(v.value.title({class:(g=e.ui)==null?void 0:g.title}))},{default:C(()=>[P(r.$slots,"title",{},()=>[De(ge(n.title),1)])]),_:3},8,["class"])):E("",!0),n.description||o.description?(h(),L(a(Rt),{key:1,class:B(v.value.description({class:(t=e.ui)==null?void 0:t.description}))},{default:C(()=>[P(r.$slots,"description",{},()=>[De(ge(n.description),1)])]),_:3},8,["class"])):E("",!0)]})],2)):E("",!0),o.body?(h(),z("div",{key:1,class:B(v.value.body({class:(d=e.ui)==null?void 0:d.body}))},[P(r.$slots,"body")],2)):E("",!0),o.footer?(h(),z("div",{key:2,class:B(v.value.footer({class:(i=e.ui)==null?void 0:i.footer}))},[P(r.$slots,"footer")],2)):E("",!0)],2)]})]}),_:3},16,["class"])]}),_:3},16)]),_:3},16))}},Xn={slots:{root:"hidden lg:flex flex-col min-h-svh min-w-16 w-(--width) border-r border-(--ui-border) shrink-0",header:"h-(--ui-header-height) shrink-0 flex items-center gap-1.5 px-4",body:"flex flex-col gap-4 flex-1 overflow-y-auto px-4 py-2",footer:"shrink-0 flex items-center gap-1.5 px-4 py-2",toggle:"",handle:"",content:"lg:hidden",overlay:"lg:hidden"},variants:{menu:{true:{header:"sm:px-6",body:"sm:px-6",footer:"sm:px-6"}},toggleSide:{left:{toggle:""},right:{toggle:"ms-auto"}}}},Jn=["data-collapsed","data-dragging"],Zn=Gt;var Ft;const Qn=at({extend:at(Xn),...((Ft=Zn.uiPro)==null?void 0:Ft.dashboardSidebar)||{}}),eo=U({__name:"DashboardSidebar",props:xa({mode:{default:"slideover"},menu:{},toggle:{type:[Boolean,Object],default:!0},toggleSide:{default:"left"},class:{},ui:{},id:{},minSize:{default:10},maxSize:{default:20},defaultSize:{default:15},resizable:{type:Boolean,default:!1},collapsible:{type:Boolean,default:!1},collapsedSize:{default:0}},{open:{type:Boolean,default:!1},openModifiers:{},collapsed:{type:Boolean,default:!1},collapsedModifiers:{}}),emits:["update:open","update:collapsed"],setup(n){const l=n,e=We(),u=Bt(n,"open"),o=Bt(n,"collapsed"),m=ua({storageKey:"dashboard"}),f=`${m.storageKey}-sidebar-${l.id||$a()}`,{el:c,size:p,collapse:x,isCollapsed:v,isDragging:r,onMouseDown:y,onTouchStart:$}=Aa(f,ye(()=>({...m,...l})),{collapsed:o}),[k,s]=Ca();m.sidebarCollapsed=v,m.collapseSidebar=x,m.sidebarOpen=u,m.toggleSidebar=()=>{u.value=!u.value};const T=Qn(),D=N(()=>({slideover:Ea,modal:Ra,drawer:Yn})[l.mode]),d=ye(()=>ot(l.menu,l.mode==="modal"?{fullscreen:!0,transition:!1}:l.mode==="slideover"?{side:"left"}:{}));return(i,g)=>{var t,w,b,I,H,X;return h(),z(pe,null,[R(a(k),null,{default:C(()=>[P(i.$slots,"toggle",{open:u.value,toggle:i.toggle},()=>{var q;return[i.toggle?(h(),L(da,M({key:0},typeof i.toggle=="object"?i.toggle:{},{side:i.toggleSide,class:a(T).toggle({class:(q=l.ui)==null?void 0:q.toggle,toggleSide:i.toggleSide})}),null,16,["side","class"])):E("",!0)]})]),_:3}),se("div",{id:f,ref_key:"el",ref:c,"data-collapsed":a(v),"data-dragging":a(r),class:B(a(T).root({class:[l.class,(t=l.ui)==null?void 0:t.root]})),style:kt({width:`${a(p)||0}%`})},[e.header?(h(),z("div",{key:0,class:B(a(T).header({class:(w=l.ui)==null?void 0:w.header}))},[P(i.$slots,"header",{collapsed:a(v),collapse:a(x)})],2)):E("",!0),se("div",{class:B(a(T).body({class:(b=l.ui)==null?void 0:b.body}))},[P(i.$slots,"default",{collapsed:a(v),collapse:a(x)})],2),e.footer?(h(),z("div",{key:1,class:B(a(T).footer({class:(I=l.ui)==null?void 0:I.footer}))},[P(i.$slots,"footer",{collapsed:a(v),collapse:a(x)})],2)):E("",!0)],14,Jn),P(i.$slots,"resize-handle",{onMouseDown:a(y),onTouchStart:a($)},()=>{var q;return[i.resizable?(h(),L(Fa,{key:0,"aria-controls":f,class:B(a(T).handle({class:(q=l.ui)==null?void 0:q.handle})),onMousedown:a(y),onTouchstart:a($)},null,8,["class","onMousedown","onTouchstart"])):E("",!0)]}),R(a(D),M({open:u.value,"onUpdate:open":g[0]||(g[0]=q=>u.value=q)},d.value,{ui:{overlay:a(T).overlay({class:(H=l.ui)==null?void 0:H.overlay}),content:a(T).content({class:(X=l.ui)==null?void 0:X.content})}}),{content:C(()=>[P(i.$slots,"content",{},()=>{var q,Y,te;return[i.mode!=="drawer"?(h(),z("div",{key:0,class:B(a(T).header({class:(q=l.ui)==null?void 0:q.header,menu:!0}))},[i.toggleSide==="left"?(h(),L(a(s),{key:0})):E("",!0),P(i.$slots,"header"),i.toggleSide==="right"?(h(),L(a(s),{key:1})):E("",!0)],2)):E("",!0),se("div",{class:B(a(T).body({class:(Y=l.ui)==null?void 0:Y.body,menu:!0}))},[P(i.$slots,"default")],2),e.footer?(h(),z("div",{key:1,class:B(a(T).footer({class:(te=l.ui)==null?void 0:te.footer,menu:!0}))},[P(i.$slots,"footer")],2)):E("",!0)]})]),_:3},16,["open","ui"])],64)}}}),to=U({__name:"UserMenu",props:{collapsed:{type:Boolean}},setup(n){const l=Ta(),e=La(),u=Da(),o=N(()=>{var p,x,v,r,y;const c=((p=e.user)==null?void 0:p.name)||`${((x=e.user)==null?void 0:x.given_name)||""} ${((v=e.user)==null?void 0:v.family_name)||""}`.trim()||((r=e.user)==null?void 0:r.username)||"User";return{name:c,avatar:{src:((y=e.user)==null?void 0:y.picture)||"",alt:c[0]}}}),m=async()=>{await e.logout(),u.push("/login")},f=N(()=>{var c;return[[{type:"label",label:o.value.name,avatar:o.value.avatar,description:((c=e.user)==null?void 0:c.email)||""}],[{label:"My Sessions",icon:"i-lucide-monitor-smartphone",to:"/sessions"},{label:"Settings",icon:"i-lucide-settings",to:"/settings"}],[{label:"Appearance",icon:"i-lucide-sun-moon",children:[{label:"Light",icon:"i-lucide-sun",type:"checkbox",checked:l.value==="light",onSelect(p){p.preventDefault(),l.value="light"}},{label:"Dark",icon:"i-lucide-moon",type:"checkbox",checked:l.value==="dark",onUpdateChecked(p){p&&(l.value="dark")},onSelect(p){p.preventDefault()}}]}],[{label:"API Documentation",icon:"i-lucide-book-open",to:Oa.value,target:"_blank"}],[{label:"Log out",icon:"i-lucide-log-out",onClick:m}]]});return(c,p)=>{const x=Sa,v=Ha;return h(),L(v,{items:f.value,content:{align:"center",collisionPadding:12},ui:{content:c.collapsed?"w-48":"w-(--reka-dropdown-menu-trigger-width)"}},{"chip-leading":C(({item:r})=>[se("span",{style:kt({"--chip":`var(--color-${r.chip}-400)`}),class:"ms-0.5 size-2 rounded-full bg-(--chip)"},null,4)]),default:C(()=>{var r;return[R(x,M({...o.value,label:c.collapsed||(r=o.value)==null?void 0:r.name,trailingIcon:c.collapsed?void 0:"i-lucide-chevrons-up-down"},{color:"neutral",variant:"ghost",block:"",square:c.collapsed,class:"data-[state=open]:bg-(--ui-bg-elevated) rounded-full",ui:{trailingIcon:"text-(--ui-text-dimmed)"}}),null,16,["square"])]}),_:1},8,["items","ui"])}}}),ao={slots:{content:"flex items-center gap-1 bg-default text-highlighted shadow-sm rounded-sm ring ring-default h-6 px-2.5 py-1 text-xs select-none data-[state=delayed-open]:animate-[scale-in_100ms_ease-out] data-[state=closed]:animate-[scale-out_100ms_ease-in] origin-(--reka-tooltip-content-transform-origin) pointer-events-auto",arrow:"fill-default",text:"truncate",kbds:"hidden lg:inline-flex items-center shrink-0 gap-0.5 before:content-['·'] before:me-0.5",kbdsSize:"sm"}},no={__name:"Tooltip",props:{text:{type:String,required:!1},kbds:{type:Array,required:!1},content:{type:Object,required:!1},arrow:{type:[Boolean,Object],required:!1},portal:{type:[Boolean,String],required:!1,skipCheck:!0,default:!0},class:{type:null,required:!1},ui:{type:null,required:!1},defaultOpen:{type:Boolean,required:!1},open:{type:Boolean,required:!1},delayDuration:{type:Number,required:!1},disableHoverableContent:{type:Boolean,required:!1},disableClosingTrigger:{type:Boolean,required:!1},disabled:{type:Boolean,required:!1},ignoreNonKeyboardFocus:{type:Boolean,required:!1}},emits:["update:open"],setup(n,{emit:l}){const e=n,u=l,o=We(),m=xt(),f=qe(wt(e,"defaultOpen","open","delayDuration","disableHoverableContent","disableClosingTrigger","disabled","ignoreNonKeyboardFocus"),u),c=Xt(ye(()=>e.portal)),p=ye(()=>ot(e.content,{side:"bottom",sideOffset:8,collisionPadding:8})),x=ye(()=>e.arrow),v=N(()=>{var r;return He({extend:He(ao),...((r=m.ui)==null?void 0:r.tooltip)||{}})({side:p.value.side})});return(r,y)=>(h(),L(a(hn),Ae(Fe(a(f))),{default:C(({open:$})=>[o.default?(h(),L(a(kn),M({key:0},r.$attrs,{"as-child":"",class:e.class}),{default:C(()=>[P(r.$slots,"default",{open:$})]),_:2},1040,["class"])):E("",!0),R(a(yn),Ae(Fe(a(c))),{default:C(()=>{var k;return[R(a(bn),M(p.value,{class:v.value.content({class:[!o.default&&e.class,(k=e.ui)==null?void 0:k.content]})}),{default:C(()=>{var s;return[P(r.$slots,"content",{},()=>{var T,D,d;return[n.text?(h(),z("span",{key:0,class:B(v.value.text({class:(T=e.ui)==null?void 0:T.text}))},ge(n.text),3)):E("",!0),(D=n.kbds)!=null&&D.length?(h(),z("span",{key:1,class:B(v.value.kbds({class:(d=e.ui)==null?void 0:d.kbds}))},[(h(!0),z(pe,null,Me(n.kbds,(i,g)=>{var t;return h(),L(Va,M({key:g,size:((t=e.ui)==null?void 0:t.kbdsSize)||v.value.kbdsSize()},{ref_for:!0},typeof i=="string"?{value:i}:i),null,16,["size"])}),128))],2)):E("",!0)]}),n.arrow?(h(),L(a(pn),M({key:0},x.value,{class:v.value.arrow({class:(s=e.ui)==null?void 0:s.arrow})}),null,16,["class"])):E("",!0)]}),_:3},16,["class"])]}),_:3},16)]),_:3},16))}},oo={slots:{root:"relative flex gap-1.5 [&>div]:min-w-0",list:"isolate min-w-0",label:"w-full flex items-center gap-1.5 font-semibold text-xs/5 text-highlighted px-2.5 py-1.5",item:"min-w-0",link:"group relative w-full flex items-center gap-1.5 font-medium text-sm before:absolute before:z-[-1] before:rounded-md focus:outline-none focus-visible:outline-none dark:focus-visible:outline-none focus-visible:before:ring-inset focus-visible:before:ring-2",linkLeadingIcon:"shrink-0 size-5",linkLeadingAvatar:"shrink-0",linkLeadingAvatarSize:"2xs",linkTrailing:"group ms-auto inline-flex gap-1.5 items-center",linkTrailingBadge:"shrink-0",linkTrailingBadgeSize:"sm",linkTrailingIcon:"size-5 transform shrink-0 group-data-[state=open]:rotate-180 transition-transform duration-200",linkLabel:"truncate",linkLabelExternalIcon:"inline-block size-3 align-top text-dimmed",childList:"isolate",childLabel:"text-xs text-highlighted",childItem:"",childLink:"group relative size-full flex items-start text-start text-sm before:absolute before:z-[-1] before:rounded-md focus:outline-none focus-visible:outline-none dark:focus-visible:outline-none focus-visible:before:ring-inset focus-visible:before:ring-2",childLinkWrapper:"min-w-0",childLinkIcon:"size-5 shrink-0",childLinkLabel:"truncate",childLinkLabelExternalIcon:"inline-block size-3 align-top text-dimmed",childLinkDescription:"text-muted",separator:"px-2 h-px bg-border",viewportWrapper:"absolute top-full left-0 flex w-full",viewport:"relative overflow-hidden bg-default shadow-lg rounded-md ring ring-default h-(--reka-navigation-menu-viewport-height) w-full transition-[width,height,left] duration-200 origin-[top_center] data-[state=open]:animate-[scale-in_100ms_ease-out] data-[state=closed]:animate-[scale-out_100ms_ease-in] z-[1]",content:"",indicator:"absolute data-[state=visible]:animate-[fade-in_100ms_ease-out] data-[state=hidden]:animate-[fade-out_100ms_ease-in] data-[state=hidden]:opacity-0 bottom-0 z-[2] w-(--reka-navigation-menu-indicator-size) translate-x-(--reka-navigation-menu-indicator-position) flex h-2.5 items-end justify-center overflow-hidden transition-[translate,width] duration-200",arrow:"relative top-[50%] size-2.5 rotate-45 border border-default bg-default z-[1] rounded-xs"},variants:{color:{primary:{link:"focus-visible:before:ring-primary",childLink:"focus-visible:before:ring-primary"},secondary:{link:"focus-visible:before:ring-secondary",childLink:"focus-visible:before:ring-secondary"},success:{link:"focus-visible:before:ring-success",childLink:"focus-visible:before:ring-success"},info:{link:"focus-visible:before:ring-info",childLink:"focus-visible:before:ring-info"},warning:{link:"focus-visible:before:ring-warning",childLink:"focus-visible:before:ring-warning"},error:{link:"focus-visible:before:ring-error",childLink:"focus-visible:before:ring-error"},neutral:{link:"focus-visible:before:ring-inverted",childLink:"focus-visible:before:ring-inverted"}},highlightColor:{primary:"",secondary:"",success:"",info:"",warning:"",error:"",neutral:""},variant:{pill:"",link:""},orientation:{horizontal:{root:"items-center justify-between",list:"flex items-center",item:"py-2",link:"px-2.5 py-1.5 before:inset-x-px before:inset-y-0",childList:"grid p-2",childLink:"px-3 py-2 gap-2 before:inset-x-px before:inset-y-0",childLinkLabel:"font-medium",content:"absolute top-0 left-0 w-full max-h-[70vh] overflow-y-auto"},vertical:{root:"flex-col",link:"flex-row px-2.5 py-1.5 before:inset-y-px before:inset-x-0",childLabel:"px-1.5 py-0.5",childLink:"p-1.5 gap-1.5 before:inset-y-px before:inset-x-0"}},contentOrientation:{horizontal:{viewportWrapper:"justify-center",content:"data-[motion=from-start]:animate-[enter-from-left_200ms_ease] data-[motion=from-end]:animate-[enter-from-right_200ms_ease] data-[motion=to-start]:animate-[exit-to-left_200ms_ease] data-[motion=to-end]:animate-[exit-to-right_200ms_ease]"},vertical:{viewport:"sm:w-(--reka-navigation-menu-viewport-width) left-(--reka-navigation-menu-viewport-left)"}},active:{true:{childLink:"before:bg-elevated text-highlighted",childLinkIcon:"text-default"},false:{link:"text-muted",linkLeadingIcon:"text-dimmed",childLink:["hover:before:bg-elevated/50 text-default hover:text-highlighted","transition-colors before:transition-colors"],childLinkIcon:["text-dimmed group-hover:text-default","transition-colors"]}},disabled:{true:{link:"cursor-not-allowed opacity-75"}},highlight:{true:""},level:{true:""},collapsed:{true:""}},compoundVariants:[{orientation:"horizontal",contentOrientation:"horizontal",class:{childList:"grid-cols-2 gap-2"}},{orientation:"horizontal",contentOrientation:"vertical",class:{childList:"gap-1",content:"w-60"}},{orientation:"vertical",collapsed:!1,class:{childList:"ms-5 border-s border-default",childItem:"ps-1.5 -ms-px",content:"data-[state=open]:animate-[collapsible-down_200ms_ease-out] data-[state=closed]:animate-[collapsible-up_200ms_ease-out] overflow-hidden"}},{orientation:"vertical",collapsed:!0,class:{link:"px-1.5",content:"shadow-sm rounded-sm min-h-6 p-1"}},{orientation:"horizontal",highlight:!0,class:{link:["after:absolute after:-bottom-2 after:inset-x-2.5 after:block after:h-px after:rounded-full","after:transition-colors"]}},{orientation:"vertical",highlight:!0,level:!0,class:{link:["after:absolute after:-start-1.5 after:inset-y-0.5 after:block after:w-px after:rounded-full","after:transition-colors"]}},{disabled:!1,active:!1,variant:"pill",class:{link:["hover:text-highlighted hover:before:bg-elevated/50","transition-colors before:transition-colors"],linkLeadingIcon:["group-hover:text-default","transition-colors"]}},{disabled:!1,active:!1,variant:"pill",orientation:"horizontal",class:{link:"data-[state=open]:text-highlighted",linkLeadingIcon:"group-data-[state=open]:text-default"}},{disabled:!1,variant:"pill",highlight:!0,orientation:"horizontal",class:{link:"data-[state=open]:before:bg-elevated/50"}},{disabled:!1,variant:"pill",highlight:!1,active:!1,orientation:"horizontal",class:{link:"data-[state=open]:before:bg-elevated/50"}},{color:"primary",variant:"pill",active:!0,class:{link:"text-primary",linkLeadingIcon:"text-primary group-data-[state=open]:text-primary"}},{color:"secondary",variant:"pill",active:!0,class:{link:"text-secondary",linkLeadingIcon:"text-secondary group-data-[state=open]:text-secondary"}},{color:"success",variant:"pill",active:!0,class:{link:"text-success",linkLeadingIcon:"text-success group-data-[state=open]:text-success"}},{color:"info",variant:"pill",active:!0,class:{link:"text-info",linkLeadingIcon:"text-info group-data-[state=open]:text-info"}},{color:"warning",variant:"pill",active:!0,class:{link:"text-warning",linkLeadingIcon:"text-warning group-data-[state=open]:text-warning"}},{color:"error",variant:"pill",active:!0,class:{link:"text-error",linkLeadingIcon:"text-error group-data-[state=open]:text-error"}},{color:"neutral",variant:"pill",active:!0,class:{link:"text-highlighted",linkLeadingIcon:"text-highlighted group-data-[state=open]:text-highlighted"}},{variant:"pill",active:!0,highlight:!1,class:{link:"before:bg-elevated"}},{variant:"pill",active:!0,highlight:!0,disabled:!1,class:{link:["hover:before:bg-elevated/50","before:transition-colors"]}},{disabled:!1,active:!1,variant:"link",class:{link:["hover:text-highlighted","transition-colors"],linkLeadingIcon:["group-hover:text-default","transition-colors"]}},{disabled:!1,active:!1,variant:"link",orientation:"horizontal",class:{link:"data-[state=open]:text-highlighted",linkLeadingIcon:"group-data-[state=open]:text-default"}},{color:"primary",variant:"link",active:!0,class:{link:"text-primary",linkLeadingIcon:"text-primary group-data-[state=open]:text-primary"}},{color:"secondary",variant:"link",active:!0,class:{link:"text-secondary",linkLeadingIcon:"text-secondary group-data-[state=open]:text-secondary"}},{color:"success",variant:"link",active:!0,class:{link:"text-success",linkLeadingIcon:"text-success group-data-[state=open]:text-success"}},{color:"info",variant:"link",active:!0,class:{link:"text-info",linkLeadingIcon:"text-info group-data-[state=open]:text-info"}},{color:"warning",variant:"link",active:!0,class:{link:"text-warning",linkLeadingIcon:"text-warning group-data-[state=open]:text-warning"}},{color:"error",variant:"link",active:!0,class:{link:"text-error",linkLeadingIcon:"text-error group-data-[state=open]:text-error"}},{color:"neutral",variant:"link",active:!0,class:{link:"text-highlighted",linkLeadingIcon:"text-highlighted group-data-[state=open]:text-highlighted"}},{highlightColor:"primary",highlight:!0,level:!0,active:!0,class:{link:"after:bg-primary"}},{highlightColor:"secondary",highlight:!0,level:!0,active:!0,class:{link:"after:bg-secondary"}},{highlightColor:"success",highlight:!0,level:!0,active:!0,class:{link:"after:bg-success"}},{highlightColor:"info",highlight:!0,level:!0,active:!0,class:{link:"after:bg-info"}},{highlightColor:"warning",highlight:!0,level:!0,active:!0,class:{link:"after:bg-warning"}},{highlightColor:"error",highlight:!0,level:!0,active:!0,class:{link:"after:bg-error"}},{highlightColor:"neutral",highlight:!0,level:!0,active:!0,class:{link:"after:bg-inverted"}}],defaultVariants:{color:"primary",highlightColor:"primary",variant:"pill"}},lo={__name:"NavigationMenu",props:{as:{type:null,required:!1},trailingIcon:{type:String,required:!1},externalIcon:{type:[Boolean,String],required:!1,default:!0},items:{type:null,required:!1},color:{type:null,required:!1},variant:{type:null,required:!1},orientation:{type:null,required:!1,default:"horizontal"},collapsed:{type:Boolean,required:!1},tooltip:{type:[Boolean,Object],required:!1},popover:{type:[Boolean,Object],required:!1},highlight:{type:Boolean,required:!1},highlightColor:{type:null,required:!1},content:{type:Object,required:!1},contentOrientation:{type:null,required:!1,default:"horizontal"},arrow:{type:Boolean,required:!1},labelKey:{type:null,required:!1,default:"label"},class:{type:null,required:!1},ui:{type:null,required:!1},modelValue:{type:String,required:!1},defaultValue:{type:String,required:!1},delayDuration:{type:Number,required:!1,default:0},disableClickTrigger:{type:Boolean,required:!1},disableHoverTrigger:{type:Boolean,required:!1},skipDelayDuration:{type:Number,required:!1},disablePointerLeaveClose:{type:Boolean,required:!1},unmountOnHide:{type:Boolean,required:!1,default:!0},disabled:{type:Boolean,required:!1},type:{type:String,required:!1,default:"multiple"},collapsible:{type:Boolean,required:!1,default:!0}},emits:["update:modelValue"],setup(n,{emit:l}){const e=n,u=l,o=We(),m=xt(),f=qe(N(()=>({as:e.as,modelValue:e.modelValue,defaultValue:e.defaultValue,delayDuration:e.delayDuration,skipDelayDuration:e.skipDelayDuration,orientation:e.orientation,disableClickTrigger:e.disableClickTrigger,disableHoverTrigger:e.disableHoverTrigger,disablePointerLeaveClose:e.disablePointerLeaveClose,unmountOnHide:e.unmountOnHide})),u),c=qe(wt(e,"collapsible","disabled","type","unmountOnHide"),u),p=ye(()=>e.content),x=ye(()=>ot(typeof e.tooltip=="boolean"?{}:e.tooltip,{delayDuration:0,content:{side:"right"}})),v=ye(()=>ot(typeof e.popover=="boolean"?{}:e.popover,{mode:"hover",content:{side:"right",align:"start",alignOffset:2}})),[r,y]=Pt(),[$,k]=Pt({props:{item:Object,index:Number,level:Number}}),s=N(()=>{var d;return He({extend:He(oo),...((d=m.ui)==null?void 0:d.navigationMenu)||{}})({orientation:e.orientation,contentOrientation:e.orientation==="vertical"?void 0:e.contentOrientation,collapsed:e.collapsed,color:e.color,variant:e.variant,highlight:e.highlight,highlightColor:e.highlightColor||e.color})}),T=N(()=>{var d;return(d=e.items)!=null&&d.length?Ia(e.items)?e.items:[e.items]:[]});function D(d,i=0){const g=d.reduce((t,w,b)=>((w.defaultOpen||w.open)&&t.push(w.value||(i>0?`item-${i}-${b}`:`item-${b}`)),t),[]);return e.type==="single"?g[0]:g}return(d,i)=>{var g;return h(),z(pe,null,[R(a(r),null,{default:C(({item:t,active:w,index:b})=>[P(d.$slots,t.slot||"item",{item:t,index:b},()=>{var I,H,X,q,Y,te,V,j,_;return[P(d.$slots,t.slot?`${t.slot}-leading`:"item-leading",{item:t,active:w,index:b},()=>{var ie,K,he,me,re,ue;return[t.avatar?(h(),L(Ba,M({key:0,size:((ie=t.ui)==null?void 0:ie.linkLeadingAvatarSize)||((K=e.ui)==null?void 0:K.linkLeadingAvatarSize)||s.value.linkLeadingAvatarSize()},t.avatar,{class:s.value.linkLeadingAvatar({class:[(he=e.ui)==null?void 0:he.linkLeadingAvatar,(me=t.ui)==null?void 0:me.linkLeadingAvatar],active:w,disabled:!!t.disabled})}),null,16,["size","class"])):t.icon?(h(),L(Le,{key:1,name:t.icon,class:B(s.value.linkLeadingIcon({class:[(re=e.ui)==null?void 0:re.linkLeadingIcon,(ue=t.ui)==null?void 0:ue.linkLeadingIcon],active:w,disabled:!!t.disabled}))},null,8,["name","class"])):E("",!0)]}),(!n.collapsed||n.orientation!=="vertical")&&(a(Ne)(t,e.labelKey)||o[t.slot?`${t.slot}-label`:"item-label"])?(h(),z("span",{key:0,class:B(s.value.linkLabel({class:[(I=e.ui)==null?void 0:I.linkLabel,(H=t.ui)==null?void 0:H.linkLabel]}))},[P(d.$slots,t.slot?`${t.slot}-label`:"item-label",{item:t,active:w,index:b},()=>[De(ge(a(Ne)(t,e.labelKey)),1)]),t.target==="_blank"&&n.externalIcon!==!1?(h(),L(Le,{key:0,name:typeof n.externalIcon=="string"?n.externalIcon:a(m).ui.icons.external,class:B(s.value.linkLabelExternalIcon({class:[(X=e.ui)==null?void 0:X.linkLabelExternalIcon,(q=t.ui)==null?void 0:q.linkLabelExternalIcon],active:w}))},null,8,["name","class"])):E("",!0)],2)):E("",!0),(!n.collapsed||n.orientation!=="vertical")&&(t.badge||n.orientation==="horizontal"&&((Y=t.children)!=null&&Y.length||o[t.slot?`${t.slot}-content`:"item-content"])||n.orientation==="vertical"&&((te=t.children)!=null&&te.length)||t.trailingIcon||o[t.slot?`${t.slot}-trailing`:"item-trailing"])?(h(),L(Ge(n.orientation==="vertical"&&((V=t.children)!=null&&V.length)&&!n.collapsed?a(_t):"span"),{key:1,as:"span",class:B(s.value.linkTrailing({class:[(j=e.ui)==null?void 0:j.linkTrailing,(_=t.ui)==null?void 0:_.linkTrailing]})),onClick:i[0]||(i[0]=yt(()=>{},["stop","prevent"]))},{default:C(()=>[P(d.$slots,t.slot?`${t.slot}-trailing`:"item-trailing",{item:t,active:w,index:b},()=>{var ie,K,he,me,re,ue,ae,we,ce,oe;return[t.badge?(h(),L(Ka,M({key:0,color:"neutral",variant:"outline",size:((ie=t.ui)==null?void 0:ie.linkTrailingBadgeSize)||((K=e.ui)==null?void 0:K.linkTrailingBadgeSize)||s.value.linkTrailingBadgeSize()},typeof t.badge=="string"||typeof t.badge=="number"?{label:t.badge}:t.badge,{class:s.value.linkTrailingBadge({class:[(he=e.ui)==null?void 0:he.linkTrailingBadge,(me=t.ui)==null?void 0:me.linkTrailingBadge]})}),null,16,["size","class"])):E("",!0),n.orientation==="horizontal"&&((re=t.children)!=null&&re.length||o[t.slot?`${t.slot}-content`:"item-content"])||n.orientation==="vertical"&&((ue=t.children)!=null&&ue.length)?(h(),L(Le,{key:1,name:t.trailingIcon||n.trailingIcon||a(m).ui.icons.chevronDown,class:B(s.value.linkTrailingIcon({class:[(ae=e.ui)==null?void 0:ae.linkTrailingIcon,(we=t.ui)==null?void 0:we.linkTrailingIcon],active:w}))},null,8,["name","class"])):t.trailingIcon?(h(),L(Le,{key:2,name:t.trailingIcon,class:B(s.value.linkTrailingIcon({class:[(ce=e.ui)==null?void 0:ce.linkTrailingIcon,(oe=t.ui)==null?void 0:oe.linkTrailingIcon],active:w}))},null,8,["name","class"])):E("",!0)]})]),_:2},1032,["class"])):E("",!0)]})]),_:3}),R(a($),null,{default:C(({item:t,index:w,level:b=0})=>[(h(),L(Ge(n.orientation==="vertical"&&!n.collapsed?a(Ja):a(ln)),{as:"li",value:t.value||(b>0?`item-${b}-${w}`:`item-${w}`)},{default:C(()=>{var I,H,X,q,Y,te;return[n.orientation==="vertical"&&t.type==="label"&&!n.collapsed?(h(),z("div",{key:0,class:B(s.value.label({class:[(I=e.ui)==null?void 0:I.label,(H=t.ui)==null?void 0:H.label,t.class]}))},[R(a(y),{item:t,index:w},null,8,["item","index"])],2)):t.type!=="label"?(h(),L(ct,M({key:1},n.orientation==="vertical"&&((X=t.children)!=null&&X.length)&&!n.collapsed&&t.type==="trigger"?{}:a(ft)(t),{custom:""}),{default:C(({active:V,...j})=>{var _,ie,K,he,me;return[(h(),L(Ge(n.orientation==="horizontal"&&((_=t.children)!=null&&_.length||o[t.slot?`${t.slot}-content`:"item-content"])?a(fn):n.orientation==="vertical"&&((ie=t.children)!=null&&ie.length)&&!n.collapsed&&!j.href?a(_t):a(vt)),{"as-child":"",active:V||t.active,disabled:t.disabled,onSelect:t.onSelect},{default:C(()=>{var re,ue,ae,we,ce;return[n.orientation==="vertical"&&n.collapsed&&((re=t.children)!=null&&re.length)&&(e.popover||t.popover)?(h(),L(Wa,M({key:0},{...v.value,...typeof t.popover=="boolean"?{}:t.popover||{}},{ui:{content:s.value.content({class:[(ue=e.ui)==null?void 0:ue.content,(ae=t.ui)==null?void 0:ae.content]})}}),{content:C(()=>[P(d.$slots,t.slot?`${t.slot}-content`:"item-content",{item:t,active:V||t.active,index:w},()=>{var oe,ne,xe,Ce;return[se("ul",{class:B(s.value.childList({class:[(oe=e.ui)==null?void 0:oe.childList,(ne=t.ui)==null?void 0:ne.childList]}))},[se("li",{class:B(s.value.childLabel({class:[(xe=e.ui)==null?void 0:xe.childLabel,(Ce=t.ui)==null?void 0:Ce.childLabel]}))},ge(a(Ne)(t,e.labelKey)),3),(h(!0),z(pe,null,Me(t.children,(de,Ee)=>{var Te,fe;return h(),z("li",{key:Ee,class:B(s.value.childItem({class:[(Te=e.ui)==null?void 0:Te.childItem,(fe=t.ui)==null?void 0:fe.childItem]}))},[R(ct,M({ref_for:!0},a(ft)(de),{custom:""}),{default:C(({active:be,...Re})=>[R(a(vt),{"as-child":"",active:be,onSelect:de.onSelect},{default:C(()=>{var Oe,Se;return[R(je,M({ref_for:!0},Re,{class:s.value.childLink({class:[(Oe=e.ui)==null?void 0:Oe.childLink,(Se=t.ui)==null?void 0:Se.childLink,de.class],active:be})}),{default:C(()=>{var O,F,W,A,J,Q;return[de.icon?(h(),L(Le,{key:0,name:de.icon,class:B(s.value.childLinkIcon({class:[(O=e.ui)==null?void 0:O.childLinkIcon,(F=t.ui)==null?void 0:F.childLinkIcon],active:be}))},null,8,["name","class"])):E("",!0),se("span",{class:B(s.value.childLinkLabel({class:[(W=e.ui)==null?void 0:W.childLinkLabel,(A=t.ui)==null?void 0:A.childLinkLabel],active:be}))},[De(ge(a(Ne)(de,e.labelKey))+" ",1),de.target==="_blank"&&n.externalIcon!==!1?(h(),L(Le,{key:0,name:typeof n.externalIcon=="string"?n.externalIcon:a(m).ui.icons.external,class:B(s.value.childLinkLabelExternalIcon({class:[(J=e.ui)==null?void 0:J.childLinkLabelExternalIcon,(Q=t.ui)==null?void 0:Q.childLinkLabelExternalIcon],active:be}))},null,8,["name","class"])):E("",!0)],2)]}),_:2},1040,["class"])]}),_:2},1032,["active","onSelect"])]),_:2},1040)],2)}),128))],2)]})]),default:C(()=>{var oe,ne;return[R(je,M(j,{class:s.value.link({class:[(oe=e.ui)==null?void 0:oe.link,(ne=t.ui)==null?void 0:ne.link,t.class],active:V||t.active,disabled:!!t.disabled,level:b>0})}),{default:C(()=>[R(a(y),{item:t,active:V||t.active,index:w},null,8,["item","active","index"])]),_:2},1040,["class"])]}),_:2},1040,["ui"])):n.orientation==="vertical"&&n.collapsed&&(e.tooltip||t.tooltip)?(h(),L(no,M({key:1,text:a(Ne)(t,e.labelKey)},{...x.value,...typeof t.tooltip=="boolean"?{}:t.tooltip||{}}),{default:C(()=>{var oe,ne;return[R(je,M(j,{class:s.value.link({class:[(oe=e.ui)==null?void 0:oe.link,(ne=t.ui)==null?void 0:ne.link,t.class],active:V||t.active,disabled:!!t.disabled,level:b>0})}),{default:C(()=>[R(a(y),{item:t,active:V||t.active,index:w},null,8,["item","active","index"])]),_:2},1040,["class"])]}),_:2},1040,["text"])):(h(),L(je,M({key:2},j,{class:s.value.link({class:[(we=e.ui)==null?void 0:we.link,(ce=t.ui)==null?void 0:ce.link,t.class],active:V||t.active,disabled:!!t.disabled,level:n.orientation==="horizontal"||b>0})}),{default:C(()=>[R(a(y),{item:t,active:V||t.active,index:w},null,8,["item","active","index"])]),_:2},1040,["class"]))]}),_:2},1064,["active","disabled","onSelect"])),n.orientation==="horizontal"&&((K=t.children)!=null&&K.length||o[t.slot?`${t.slot}-content`:"item-content"])?(h(),L(a(sn),M({key:0},p.value,{class:s.value.content({class:[(he=e.ui)==null?void 0:he.content,(me=t.ui)==null?void 0:me.content]})}),{default:C(()=>[P(d.$slots,t.slot?`${t.slot}-content`:"item-content",{item:t,active:V||t.active,index:w},()=>{var re,ue;return[se("ul",{class:B(s.value.childList({class:[(re=e.ui)==null?void 0:re.childList,(ue=t.ui)==null?void 0:ue.childList]}))},[(h(!0),z(pe,null,Me(t.children,(ae,we)=>{var ce,oe;return h(),z("li",{key:we,class:B(s.value.childItem({class:[(ce=e.ui)==null?void 0:ce.childItem,(oe=t.ui)==null?void 0:oe.childItem]}))},[R(ct,M({ref_for:!0},a(ft)(ae),{custom:""}),{default:C(({active:ne,...xe})=>[R(a(vt),{"as-child":"",active:ne,onSelect:ae.onSelect},{default:C(()=>{var Ce,de;return[R(je,M({ref_for:!0},xe,{class:s.value.childLink({class:[(Ce=e.ui)==null?void 0:Ce.childLink,(de=t.ui)==null?void 0:de.childLink,ae.class],active:ne})}),{default:C(()=>{var Ee,Te,fe,be,Re,Oe,Se,O,F,W;return[ae.icon?(h(),L(Le,{key:0,name:ae.icon,class:B(s.value.childLinkIcon({class:[(Ee=e.ui)==null?void 0:Ee.childLinkIcon,(Te=t.ui)==null?void 0:Te.childLinkIcon],active:ne}))},null,8,["name","class"])):E("",!0),se("div",{class:B(s.value.childLinkWrapper({class:[(fe=e.ui)==null?void 0:fe.childLinkWrapper,(be=t.ui)==null?void 0:be.childLinkWrapper]}))},[se("p",{class:B(s.value.childLinkLabel({class:[(Re=e.ui)==null?void 0:Re.childLinkLabel,(Oe=t.ui)==null?void 0:Oe.childLinkLabel],active:ne}))},[De(ge(a(Ne)(ae,e.labelKey))+" ",1),ae.target==="_blank"&&n.externalIcon!==!1?(h(),L(Le,{key:0,name:typeof n.externalIcon=="string"?n.externalIcon:a(m).ui.icons.external,class:B(s.value.childLinkLabelExternalIcon({class:[(Se=e.ui)==null?void 0:Se.childLinkLabelExternalIcon,(O=t.ui)==null?void 0:O.childLinkLabelExternalIcon],active:ne}))},null,8,["name","class"])):E("",!0)],2),ae.description?(h(),z("p",{key:0,class:B(s.value.childLinkDescription({class:[(F=e.ui)==null?void 0:F.childLinkDescription,(W=t.ui)==null?void 0:W.childLinkDescription],active:ne}))},ge(ae.description),3)):E("",!0)],2)]}),_:2},1040,["class"])]}),_:2},1032,["active","onSelect"])]),_:2},1040)],2)}),128))],2)]})]),_:2},1040,["class"])):E("",!0)]}),_:2},1040)):E("",!0),n.orientation==="vertical"&&((q=t.children)!=null&&q.length)&&!n.collapsed?(h(),L(a(Za),{key:2,class:B(s.value.content({class:[(Y=e.ui)==null?void 0:Y.content,(te=t.ui)==null?void 0:te.content]}))},{default:C(()=>{var V;return[R(a(Nt),M({...a(c),defaultValue:D(t.children,b+1)},{as:"ul",class:s.value.childList({class:(V=e.ui)==null?void 0:V.childList})}),{default:C(()=>[(h(!0),z(pe,null,Me(t.children,(j,_)=>{var ie,K;return h(),L(a(k),{key:_,item:j,index:_,level:b+1,class:B(s.value.childItem({class:[(ie=e.ui)==null?void 0:ie.childItem,(K=j.ui)==null?void 0:K.childItem]}))},null,8,["item","index","level","class"])}),128))]),_:2},1040,["class"])]}),_:2},1032,["class"])):E("",!0)]}),_:2},1032,["value"]))]),_:3}),R(a(nn),M(a(f),{"data-collapsed":n.collapsed,class:s.value.root({class:[(g=e.ui)==null?void 0:g.root,e.class]})}),{default:C(()=>{var t,w,b;return[P(d.$slots,"list-leading"),(h(!0),z(pe,null,Me(T.value,(I,H)=>{var X,q;return h(),z(pe,{key:`list-${H}`},[(h(),L(Ge(n.orientation==="vertical"&&!n.collapsed?a(Nt):a(dn)),M({ref_for:!0},n.orientation==="vertical"&&!n.collapsed?{...a(c),defaultValue:D(I)}:{},{as:"ul",class:s.value.list({class:(X=e.ui)==null?void 0:X.list})}),{default:C(()=>[(h(!0),z(pe,null,Me(I,(Y,te)=>{var V,j;return h(),L(a(k),{key:`list-${H}-${te}`,item:Y,index:te,class:B(s.value.item({class:[(V=e.ui)==null?void 0:V.item,(j=Y.ui)==null?void 0:j.item]}))},null,8,["item","index","class"])}),128))]),_:2},1040,["class"])),n.orientation==="vertical"&&H<T.value.length-1?(h(),z("div",{key:0,class:B(s.value.separator({class:(q=e.ui)==null?void 0:q.separator}))},null,2)):E("",!0)],64)}),128)),P(d.$slots,"list-trailing"),n.orientation==="horizontal"?(h(),z("div",{key:0,class:B(s.value.viewportWrapper({class:(t=e.ui)==null?void 0:t.viewportWrapper}))},[n.arrow?(h(),L(a(un),{key:0,class:B(s.value.indicator({class:(w=e.ui)==null?void 0:w.indicator}))},{default:C(()=>{var I;return[se("div",{class:B(s.value.arrow({class:(I=e.ui)==null?void 0:I.arrow}))},null,2)]}),_:1},8,["class"])):E("",!0),R(a(vn),{class:B(s.value.viewport({class:(b=e.ui)==null?void 0:b.viewport}))},null,8,["class"])],2)):E("",!0)]}),_:3},16,["data-collapsed","class"])],64)}}},io=[{label:"Home",icon:"i-lucide-house",to:"/"},{label:"Tables Editor",icon:"i-lucide-database",to:"/tables"},{label:"Migrations",icon:"i-lucide-folder-symlink",to:"/migrations"},{label:"sql Editor",icon:"i-lucide-square-terminal",to:"/sql"},{label:"Extensions",icon:"i-lucide-blocks",to:"/catalog"},{label:"Cron Jobs",icon:"i-lucide-timer-reset",to:"/cron-jobs"},{label:"Logs",icon:"i-lucide-square-activity",to:"/logs"},{label:"Permissions",icon:"i-lucide-shield-check",to:"/permissions",iconSize:"size-6"},{label:"Settings",icon:"i-lucide-settings",to:"/settings"}],Lo=U({__name:"dashboard",setup(n){const l=io,e=S(!0),u=S(!0);return(o,m)=>{const f=lo,c=to,p=eo,x=Pa("RouterView"),v=Cn;return h(),L(v,{storage:"local"},{default:C(()=>[R(p,{collapsible:"",collapsed:e.value,"onUpdate:collapsed":m[0]||(m[0]=r=>e.value=r),open:u.value,"onUpdate:open":m[1]||(m[1]=r=>u.value=r),ui:{root:"bg-white dark:bg-[#1f1c1d]",footer:"py-3",header:"px-3 pt-3 pb-2",body:"px-3"}},{header:C(()=>m[2]||(m[2]=[se("div",{class:"logo mb-2"},null,-1)])),default:C(({collapsed:r})=>[R(f,{collapsed:r,items:a(l),variant:"pill",orientation:"vertical",ui:{item:"my-2"}},null,8,["collapsed","items"])]),footer:C(({collapsed:r})=>[R(c,{collapsed:r},null,8,["collapsed"])]),_:1},8,["collapsed","open"]),R(x),R(Ms),R(Qs)]),_:1})}}});export{Lo as default};
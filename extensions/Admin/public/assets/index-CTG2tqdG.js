@@ -1,4 +1,4 @@
-var ha=Object.defineProperty;var da=(s,t,e)=>t in s?ha(s,t,{enumerable:!0,configurable:!0,writable:!0,value:e}):s[t]=e;var A=(s,t,e)=>da(s,typeof t!="symbol"?t+"":t,e);import{_ as ua,b as Pi}from"./route-block-C8UpW1tJ.js";import{d as Lt,a as so,u as Di,E as Ys,a2 as io,f as R,c as fa,i as bt,o as E,j as B,m as Ce,l as U,P as ks,p as no,X as at,W as ga,as as pa,at as ct,B as I,Z as m,k as S,am as ws,z as dt,O as L,N as X,ah as Ms,F as pt,ai as mt,K as ma,au as ba,q as xa,a3 as _a,a6 as Ci,a7 as va,Y as Ai,r as is,A as oo,a0 as ya,av as je}from"./index-CvplhhIg.js";import{t as Oi}from"./DashboardSidebarToggle.vue_vue_type_script_setup_true_lang-yvinZowi.js";import{_ as Ss}from"./Card-3ffy2SwE.js";import{_ as ao}from"./Badge-UswX4ZtY.js";import{_ as Ps}from"./Skeleton-BW74k3wi.js";import{i as ro}from"./useDirection-L6XtVArv.js";import{_ as ka}from"./Tabs-C56t79Fw.js";import{_ as lo}from"./Table-DfRn1MFI.js";import{_ as co}from"./TableDataSkeleton.vue_vue_type_script_setup_true_lang-C_75FIk9.js";import{_ as ho}from"./CardSkeleton.vue_vue_type_script_setup_true_lang-bZ34LqmC.js";import{_ as wa}from"./Input-C5IL3dmi.js";import{_ as Ma}from"./DashboardNavbar.vue_vue_type_script_setup_true_lang-DXiLQDGX.js";import"./DashboardResizeHandle.vue_vue_type_script_setup_true_lang-Bj9eNWfO.js";import"./TabsTrigger-CfrKEHQY.js";import"./RovingFocusGroup-BxD9bDZV.js";import"./RovingFocusItem-D4fW7EEy.js";import"./index-88opOQSr.js";const Ae=100,[Sa,Pa]=fa("ProgressRoot"),fs=s=>typeof s=="number";function Da(s,t){return ro(s)||fs(s)&&!Number.isNaN(s)&&s<=t&&s>=0?s:(console.error(`Invalid prop \`value\` of value \`${s}\` supplied to \`ProgressRoot\`. The \`value\` prop must be:
+var ha=Object.defineProperty;var da=(s,t,e)=>t in s?ha(s,t,{enumerable:!0,configurable:!0,writable:!0,value:e}):s[t]=e;var A=(s,t,e)=>da(s,typeof t!="symbol"?t+"":t,e);import{_ as ua,b as Pi}from"./route-block-C8UpW1tJ.js";import{d as Lt,a as so,u as Di,E as Ys,a2 as io,f as R,c as fa,i as bt,o as E,j as B,m as Ce,l as U,P as ks,p as no,X as at,W as ga,as as pa,at as ct,B as I,Z as m,k as S,am as ws,z as dt,O as L,N as X,ah as Ms,F as pt,ai as mt,K as ma,au as ba,q as xa,a3 as _a,a6 as Ci,a7 as va,Y as Ai,r as is,A as oo,a0 as ya,av as je}from"./index-CvplhhIg.js";import{t as Oi}from"./DashboardSidebarToggle.vue_vue_type_script_setup_true_lang-yvinZowi.js";import{_ as Ss}from"./Card-3ffy2SwE.js";import{_ as ao}from"./Badge-UswX4ZtY.js";import{_ as Ps}from"./Skeleton-BW74k3wi.js";import{i as ro}from"./useDirection-L6XtVArv.js";import{_ as ka}from"./Tabs-C56t79Fw.js";import{_ as lo}from"./Table-DfRn1MFI.js";import{_ as co}from"./TableDataSkeleton.vue_vue_type_script_setup_true_lang-C_75FIk9.js";import{_ as ho}from"./CardSkeleton.vue_vue_type_script_setup_true_lang-bZ34LqmC.js";import{_ as wa}from"./Input-C5IL3dmi.js";import{_ as Ma}from"./DashboardNavbar.vue_vue_type_script_setup_true_lang-DXiLQDGX.js";import{_ as Zw}from"./Select-BAUrMTbe.js";import{_ as Zx}from"./Modal-9avKWxcn.js";import{_ as Zy}from"./Checkbox-DpWF0v5s.js";import{_ as Jq}from"./FormField-VDwBeIdM.js";import{u as Zz}from"./useToastNotification-D4GVV2D1.js";import"./DashboardResizeHandle.vue_vue_type_script_setup_true_lang-Bj9eNWfO.js";import"./TabsTrigger-CfrKEHQY.js";import"./RovingFocusGroup-BxD9bDZV.js";import"./RovingFocusItem-D4fW7EEy.js";import"./index-88opOQSr.js";const Ae=100,[Sa,Pa]=fa("ProgressRoot"),fs=s=>typeof s=="number";function Da(s,t){return ro(s)||fs(s)&&!Number.isNaN(s)&&s<=t&&s>=0?s:(console.error(`Invalid prop \`value\` of value \`${s}\` supplied to \`ProgressRoot\`. The \`value\` prop must be:
   - a positive number
   - less than the value passed to \`max\` (or ${Ae} if no \`max\` prop is set)
   - \`null\`  or \`undefined\` if the progress is indeterminate.
@@ -20,4 +20,4 @@ Defaulting to \`null\`.`),null)}function Ca(s){return fs(s)&&!Number.isNaN(s)&&s
  * Released under the MIT License
  */class Qh{constructor(){this._request=null,this._charts=new Map,this._running=!1,this._lastDate=void 0}_notify(t,e,i,n){const o=e.listeners[n],a=e.duration;o.forEach(r=>r({chart:t,initial:e.initial,numSteps:a,currentStep:Math.min(i-e.start,a)}))}_refresh(){this._request||(this._running=!0,this._request=ko.call(window,()=>{this._update(),this._request=null,this._running&&this._refresh()}))}_update(t=Date.now()){let e=0;this._charts.forEach((i,n)=>{if(!i.running||!i.items.length)return;const o=i.items;let a=o.length-1,r=!1,l;for(;a>=0;--a)l=o[a],l._active?(l._total>i.duration&&(i.duration=l._total),l.tick(t),r=!0):(o[a]=o[o.length-1],o.pop());r&&(n.draw(),this._notify(n,i,t,"progress")),o.length||(i.running=!1,this._notify(n,i,t,"complete"),i.initial=!1),e+=o.length}),this._lastDate=t,e===0&&(this._running=!1)}_getAnims(t){const e=this._charts;let i=e.get(t);return i||(i={running:!1,initial:!0,items:[],listeners:{complete:[],progress:[]}},e.set(t,i)),i}listen(t,e,i){this._getAnims(t).listeners[e].push(i)}add(t,e){!e||!e.length||this._getAnims(t).items.push(...e)}has(t){return this._getAnims(t).items.length>0}start(t){const e=this._charts.get(t);e&&(e.running=!0,e.start=Date.now(),e.duration=e.items.reduce((i,n)=>Math.max(i,n._duration),0),this._refresh())}running(t){if(!this._running)return!1;const e=this._charts.get(t);return!(!e||!e.running||!e.items.length)}stop(t){const e=this._charts.get(t);if(!e||!e.items.length)return;const i=e.items;let n=i.length-1;for(;n>=0;--n)i[n].cancel();e.items=[],this._notify(t,e,Date.now(),"complete")}remove(t){return this._charts.delete(t)}}var Pt=new Qh;const Qi="transparent",td={boolean(s,t,e){return e>.5?t:s},color(s,t,e){const i=Ni(s||Qi),n=i.valid&&Ni(t||Qi);return n&&n.valid?n.mix(i,e).hexString():t},number(s,t,e){return s+(t-s)*e}};class ed{constructor(t,e,i,n){const o=e[i];n=xe([t.to,n,o,t.from]);const a=xe([t.from,o,n]);this._active=!0,this._fn=t.fn||td[t.type||typeof a],this._easing=Se[t.easing]||Se.linear,this._start=Math.floor(Date.now()+(t.delay||0)),this._duration=this._total=Math.floor(t.duration),this._loop=!!t.loop,this._target=e,this._prop=i,this._from=a,this._to=n,this._promises=void 0}active(){return this._active}update(t,e,i){if(this._active){this._notify(!1);const n=this._target[this._prop],o=i-this._start,a=this._duration-o;this._start=i,this._duration=Math.floor(Math.max(a,t.duration)),this._total+=o,this._loop=!!t.loop,this._to=xe([t.to,e,n,t.from]),this._from=xe([t.from,n,e])}}cancel(){this._active&&(this.tick(Date.now()),this._active=!1,this._notify(!1))}tick(t){const e=t-this._start,i=this._duration,n=this._prop,o=this._from,a=this._loop,r=this._to;let l;if(this._active=o!==r&&(a||e<i),!this._active){this._target[n]=r,this._notify(!0);return}if(e<0){this._target[n]=o;return}l=e/i%2,l=a&&l>1?2-l:l,l=this._easing(Math.min(1,Math.max(0,l))),this._target[n]=this._fn(o,r,l)}wait(){const t=this._promises||(this._promises=[]);return new Promise((e,i)=>{t.push({res:e,rej:i})})}_notify(t){const e=t?"res":"rej",i=this._promises||[];for(let n=0;n<i.length;n++)i[n][e]()}}class Ho{constructor(t,e){this._chart=t,this._properties=new Map,this.configure(e)}configure(t){if(!j(t))return;const e=Object.keys(Q.animation),i=this._properties;Object.getOwnPropertyNames(t).forEach(n=>{const o=t[n];if(!j(o))return;const a={};for(const r of e)a[r]=o[r];(J(o.properties)&&o.properties||[n]).forEach(r=>{(r===n||!i.has(r))&&i.set(r,a)})})}_animateOptions(t,e){const i=e.options,n=id(t,i);if(!n)return[];const o=this._createAnimations(n,i);return i.$shared&&sd(t.options.$animations,i).then(()=>{t.options=i},()=>{}),o}_createAnimations(t,e){const i=this._properties,n=[],o=t.$animations||(t.$animations={}),a=Object.keys(e),r=Date.now();let l;for(l=a.length-1;l>=0;--l){const c=a[l];if(c.charAt(0)==="$")continue;if(c==="options"){n.push(...this._animateOptions(t,e));continue}const h=e[c];let d=o[c];const u=i.get(c);if(d)if(u&&d.active()){d.update(u,h,r);continue}else d.cancel();if(!u||!u.duration){t[c]=h;continue}o[c]=d=new ed(u,t,c,h),n.push(d)}return n}update(t,e){if(this._properties.size===0){Object.assign(t,e);return}const i=this._createAnimations(t,e);if(i.length)return Pt.add(this._chart,i),!0}}function sd(s,t){const e=[],i=Object.keys(t);for(let n=0;n<i.length;n++){const o=s[i[n]];o&&o.active()&&e.push(o.wait())}return Promise.all(e)}function id(s,t){if(!t)return;let e=s.options;if(!e){s.options=t;return}return e.$shared&&(s.options=e=Object.assign({},e,{$shared:!1,$animations:{}})),e}function tn(s,t){const e=s&&s.options||{},i=e.reverse,n=e.min===void 0?t:0,o=e.max===void 0?t:0;return{start:i?o:n,end:i?n:o}}function nd(s,t,e){if(e===!1)return!1;const i=tn(s,e),n=tn(t,e);return{top:n.end,right:i.end,bottom:n.start,left:i.start}}function od(s){let t,e,i,n;return j(s)?(t=s.top,e=s.right,i=s.bottom,n=s.left):t=e=i=n=s,{top:t,right:e,bottom:i,left:n,disabled:s===!1}}function jo(s,t){const e=[],i=s._getSortedDatasetMetas(t);let n,o;for(n=0,o=i.length;n<o;++n)e.push(i[n].index);return e}function en(s,t,e,i={}){const n=s.keys,o=i.mode==="single";let a,r,l,c;if(t===null)return;let h=!1;for(a=0,r=n.length;a<r;++a){if(l=+n[a],l===e){if(h=!0,i.all)continue;break}c=s.values[l],tt(c)&&(o||t===0||Mt(t)===Mt(c))&&(t+=c)}return!h&&!i.all?0:t}function ad(s,t){const{iScale:e,vScale:i}=t,n=e.axis==="x"?"x":"y",o=i.axis==="x"?"x":"y",a=Object.keys(s),r=new Array(a.length);let l,c,h;for(l=0,c=a.length;l<c;++l)h=a[l],r[l]={[n]:h,[o]:s[h]};return r}function Fs(s,t){const e=s&&s.options.stacked;return e||e===void 0&&t.stack!==void 0}function rd(s,t,e){return`${s.id}.${t.id}.${e.stack||e.type}`}function ld(s){const{min:t,max:e,minDefined:i,maxDefined:n}=s.getUserBounds();return{min:i?t:Number.NEGATIVE_INFINITY,max:n?e:Number.POSITIVE_INFINITY}}function cd(s,t,e){const i=s[t]||(s[t]={});return i[e]||(i[e]={})}function sn(s,t,e,i){for(const n of t.getMatchingVisibleMetas(i).reverse()){const o=s[n.index];if(e&&o>0||!e&&o<0)return n.index}return null}function nn(s,t){const{chart:e,_cachedMeta:i}=s,n=e._stacks||(e._stacks={}),{iScale:o,vScale:a,index:r}=i,l=o.axis,c=a.axis,h=rd(o,a,i),d=t.length;let u;for(let f=0;f<d;++f){const g=t[f],{[l]:p,[c]:b}=g,_=g._stacks||(g._stacks={});u=_[c]=cd(n,h,p),u[r]=b,u._top=sn(u,a,!0,i.type),u._bottom=sn(u,a,!1,i.type);const w=u._visualValues||(u._visualValues={});w[r]=b}}function Is(s,t){const e=s.scales;return Object.keys(e).filter(i=>e[i].axis===t).shift()}function hd(s,t){return Ht(s,{active:!1,dataset:void 0,datasetIndex:t,index:t,mode:"default",type:"dataset"})}function dd(s,t,e){return Ht(s,{active:!1,dataIndex:t,parsed:void 0,raw:void 0,element:e,index:t,mode:"default",type:"data"})}function ue(s,t){const e=s.controller.index,i=s.vScale&&s.vScale.axis;if(i){t=t||s._parsed;for(const n of t){const o=n._stacks;if(!o||o[i]===void 0||o[i][e]===void 0)return;delete o[i][e],o[i]._visualValues!==void 0&&o[i]._visualValues[e]!==void 0&&delete o[i]._visualValues[e]}}}const Bs=s=>s==="reset"||s==="none",on=(s,t)=>t?s:Object.assign({},s),ud=(s,t,e)=>s&&!t.hidden&&t._stacked&&{keys:jo(e,!0),values:null};class vt{constructor(t,e){this.chart=t,this._ctx=t.ctx,this.index=e,this._cachedDataOpts={},this._cachedMeta=this.getMeta(),this._type=this._cachedMeta.type,this.options=void 0,this._parsing=!1,this._data=void 0,this._objectData=void 0,this._sharedOptions=void 0,this._drawStart=void 0,this._drawCount=void 0,this.enableOptionSharing=!1,this.supportsDecimation=!1,this.$context=void 0,this._syncList=[],this.datasetElementType=new.target.datasetElementType,this.dataElementType=new.target.dataElementType,this.initialize()}initialize(){const t=this._cachedMeta;this.configure(),this.linkScales(),t._stacked=Fs(t.vScale,t),this.addElements(),this.options.fill&&!this.chart.isPluginEnabled("filler")&&console.warn("Tried to use the 'fill' option without the 'Filler' plugin enabled. Please import and register the 'Filler' plugin and make sure it is not disabled in the options")}updateIndex(t){this.index!==t&&ue(this._cachedMeta),this.index=t}linkScales(){const t=this.chart,e=this._cachedMeta,i=this.getDataset(),n=(d,u,f,g)=>d==="x"?u:d==="r"?g:f,o=e.xAxisID=V(i.xAxisID,Is(t,"x")),a=e.yAxisID=V(i.yAxisID,Is(t,"y")),r=e.rAxisID=V(i.rAxisID,Is(t,"r")),l=e.indexAxis,c=e.iAxisID=n(l,o,a,r),h=e.vAxisID=n(l,a,o,r);e.xScale=this.getScaleForId(o),e.yScale=this.getScaleForId(a),e.rScale=this.getScaleForId(r),e.iScale=this.getScaleForId(c),e.vScale=this.getScaleForId(h)}getDataset(){return this.chart.data.datasets[this.index]}getMeta(){return this.chart.getDatasetMeta(this.index)}getScaleForId(t){return this.chart.scales[t]}_getOtherScale(t){const e=this._cachedMeta;return t===e.iScale?e.vScale:e.iScale}reset(){this._update("reset")}_destroy(){const t=this._cachedMeta;this._data&&$i(this._data,this),t._stacked&&ue(t)}_dataCheck(){const t=this.getDataset(),e=t.data||(t.data=[]),i=this._data;if(j(e)){const n=this._cachedMeta;this._data=ad(e,n)}else if(i!==e){if(i){$i(i,this);const n=this._cachedMeta;ue(n),n._parsed=[]}e&&Object.isExtensible(e)&&Gc(e,this),this._syncList=[],this._data=e}}addElements(){const t=this._cachedMeta;this._dataCheck(),this.datasetElementType&&(t.dataset=new this.datasetElementType)}buildOrUpdateElements(t){const e=this._cachedMeta,i=this.getDataset();let n=!1;this._dataCheck();const o=e._stacked;e._stacked=Fs(e.vScale,e),e.stack!==i.stack&&(n=!0,ue(e),e.stack=i.stack),this._resyncElements(t),(n||o!==e._stacked)&&(nn(this,e._parsed),e._stacked=Fs(e.vScale,e))}configure(){const t=this.chart.config,e=t.datasetScopeKeys(this._type),i=t.getOptionScopes(this.getDataset(),e,!0);this.options=t.createResolver(i,this.getContext()),this._parsing=this.options.parsing,this._cachedDataOpts={}}parse(t,e){const{_cachedMeta:i,_data:n}=this,{iScale:o,_stacked:a}=i,r=o.axis;let l=t===0&&e===n.length?!0:i._sorted,c=t>0&&i._parsed[t-1],h,d,u;if(this._parsing===!1)i._parsed=n,i._sorted=!0,u=n;else{J(n[t])?u=this.parseArrayData(i,n,t,e):j(n[t])?u=this.parseObjectData(i,n,t,e):u=this.parsePrimitiveData(i,n,t,e);const f=()=>d[r]===null||c&&d[r]<c[r];for(h=0;h<e;++h)i._parsed[h+t]=d=u[h],l&&(f()&&(l=!1),c=d);i._sorted=l}a&&nn(this,u)}parsePrimitiveData(t,e,i,n){const{iScale:o,vScale:a}=t,r=o.axis,l=a.axis,c=o.getLabels(),h=o===a,d=new Array(n);let u,f,g;for(u=0,f=n;u<f;++u)g=u+i,d[u]={[r]:h||o.parse(c[g],g),[l]:a.parse(e[g],g)};return d}parseArrayData(t,e,i,n){const{xScale:o,yScale:a}=t,r=new Array(n);let l,c,h,d;for(l=0,c=n;l<c;++l)h=l+i,d=e[h],r[l]={x:o.parse(d[0],h),y:a.parse(d[1],h)};return r}parseObjectData(t,e,i,n){const{xScale:o,yScale:a}=t,{xAxisKey:r="x",yAxisKey:l="y"}=this._parsing,c=new Array(n);let h,d,u,f;for(h=0,d=n;h<d;++h)u=h+i,f=e[u],c[h]={x:o.parse(Vt(f,r),u),y:a.parse(Vt(f,l),u)};return c}getParsed(t){return this._cachedMeta._parsed[t]}getDataElement(t){return this._cachedMeta.data[t]}applyStack(t,e,i){const n=this.chart,o=this._cachedMeta,a=e[t.axis],r={keys:jo(n,!0),values:e._stacks[t.axis]._visualValues};return en(r,a,o.index,{mode:i})}updateRangeFromParsed(t,e,i,n){const o=i[e.axis];let a=o===null?NaN:o;const r=n&&i._stacks[e.axis];n&&r&&(n.values=r,a=en(n,o,this._cachedMeta.index)),t.min=Math.min(t.min,a),t.max=Math.max(t.max,a)}getMinMax(t,e){const i=this._cachedMeta,n=i._parsed,o=i._sorted&&t===i.iScale,a=n.length,r=this._getOtherScale(t),l=ud(e,i,this.chart),c={min:Number.POSITIVE_INFINITY,max:Number.NEGATIVE_INFINITY},{min:h,max:d}=ld(r);let u,f;function g(){f=n[u];const p=f[r.axis];return!tt(f[t.axis])||h>p||d<p}for(u=0;u<a&&!(!g()&&(this.updateRangeFromParsed(c,t,f,l),o));++u);if(o){for(u=a-1;u>=0;--u)if(!g()){this.updateRangeFromParsed(c,t,f,l);break}}return c}getAllParsedValues(t){const e=this._cachedMeta._parsed,i=[];let n,o,a;for(n=0,o=e.length;n<o;++n)a=e[n][t.axis],tt(a)&&i.push(a);return i}getMaxOverflow(){return!1}getLabelAndValue(t){const e=this._cachedMeta,i=e.iScale,n=e.vScale,o=this.getParsed(t);return{label:i?""+i.getLabelForValue(o[i.axis]):"",value:n?""+n.getLabelForValue(o[n.axis]):""}}_update(t){const e=this._cachedMeta;this.update(t||"default"),e._clip=od(V(this.options.clip,nd(e.xScale,e.yScale,this.getMaxOverflow())))}update(t){}draw(){const t=this._ctx,e=this.chart,i=this._cachedMeta,n=i.data||[],o=e.chartArea,a=[],r=this._drawStart||0,l=this._drawCount||n.length-r,c=this.options.drawActiveElementsOnTop;let h;for(i.dataset&&i.dataset.draw(t,o,r,l),h=r;h<r+l;++h){const d=n[h];d.hidden||(d.active&&c?a.push(d):d.draw(t,o))}for(h=0;h<a.length;++h)a[h].draw(t,o)}getStyle(t,e){const i=e?"active":"default";return t===void 0&&this._cachedMeta.dataset?this.resolveDatasetElementOptions(i):this.resolveDataElementOptions(t||0,i)}getContext(t,e,i){const n=this.getDataset();let o;if(t>=0&&t<this._cachedMeta.data.length){const a=this._cachedMeta.data[t];o=a.$context||(a.$context=dd(this.getContext(),t,a)),o.parsed=this.getParsed(t),o.raw=n.data[t],o.index=o.dataIndex=t}else o=this.$context||(this.$context=hd(this.chart.getContext(),this.index)),o.dataset=n,o.index=o.datasetIndex=this.index;return o.active=!!e,o.mode=i,o}resolveDatasetElementOptions(t){return this._resolveElementOptions(this.datasetElementType.id,t)}resolveDataElementOptions(t,e){return this._resolveElementOptions(this.dataElementType.id,e,t)}_resolveElementOptions(t,e="default",i){const n=e==="active",o=this._cachedDataOpts,a=t+"-"+e,r=o[a],l=this.enableOptionSharing&&Re(i);if(r)return on(r,l);const c=this.chart.config,h=c.datasetElementScopeKeys(this._type,t),d=n?[`${t}Hover`,"hover",t,""]:[t,""],u=c.getOptionScopes(this.getDataset(),h),f=Object.keys(Q.elements[t]),g=()=>this.getContext(i,n,e),p=c.resolveNamedOptions(u,f,g,d);return p.$shared&&(p.$shared=l,o[a]=Object.freeze(on(p,l))),p}_resolveAnimations(t,e,i){const n=this.chart,o=this._cachedDataOpts,a=`animation-${e}`,r=o[a];if(r)return r;let l;if(n.options.animation!==!1){const h=this.chart.config,d=h.datasetAnimationScopeKeys(this._type,e),u=h.getOptionScopes(this.getDataset(),d);l=h.createResolver(u,this.getContext(t,i,e))}const c=new Ho(n,l&&l.animations);return l&&l._cacheable&&(o[a]=Object.freeze(c)),c}getSharedOptions(t){if(t.$shared)return this._sharedOptions||(this._sharedOptions=Object.assign({},t))}includeOptions(t,e){return!e||Bs(t)||this.chart._animationsDisabled}_getSharedOptions(t,e){const i=this.resolveDataElementOptions(t,e),n=this._sharedOptions,o=this.getSharedOptions(i),a=this.includeOptions(e,o)||o!==n;return this.updateSharedOptions(o,e,i),{sharedOptions:o,includeOptions:a}}updateElement(t,e,i,n){Bs(n)?Object.assign(t,i):this._resolveAnimations(e,n).update(t,i)}updateSharedOptions(t,e,i){t&&!Bs(e)&&this._resolveAnimations(void 0,e).update(t,i)}_setStyle(t,e,i,n){t.active=n;const o=this.getStyle(e,n);this._resolveAnimations(e,i,n).update(t,{options:!n&&this.getSharedOptions(o)||o})}removeHoverStyle(t,e,i){this._setStyle(t,i,"active",!1)}setHoverStyle(t,e,i){this._setStyle(t,i,"active",!0)}_removeDatasetHoverStyle(){const t=this._cachedMeta.dataset;t&&this._setStyle(t,void 0,"active",!1)}_setDatasetHoverStyle(){const t=this._cachedMeta.dataset;t&&this._setStyle(t,void 0,"active",!0)}_resyncElements(t){const e=this._data,i=this._cachedMeta.data;for(const[r,l,c]of this._syncList)this[r](l,c);this._syncList=[];const n=i.length,o=e.length,a=Math.min(o,n);a&&this.parse(0,a),o>n?this._insertElements(n,o-n,t):o<n&&this._removeElements(o,n-o)}_insertElements(t,e,i=!0){const n=this._cachedMeta,o=n.data,a=t+e;let r;const l=c=>{for(c.length+=e,r=c.length-1;r>=a;r--)c[r]=c[r-e]};for(l(o),r=t;r<a;++r)o[r]=new this.dataElementType;this._parsing&&l(n._parsed),this.parse(t,e),i&&this.updateElements(o,t,e,"reset")}updateElements(t,e,i,n){}_removeElements(t,e){const i=this._cachedMeta;if(this._parsing){const n=i._parsed.splice(t,e);i._stacked&&ue(i,n)}i.data.splice(t,e)}_sync(t){if(this._parsing)this._syncList.push(t);else{const[e,i,n]=t;this[e](i,n)}this.chart._dataChanges.push([this.index,...t])}_onDataPush(){const t=arguments.length;this._sync(["_insertElements",this.getDataset().data.length-t,t])}_onDataPop(){this._sync(["_removeElements",this._cachedMeta.data.length-1,1])}_onDataShift(){this._sync(["_removeElements",0,1])}_onDataSplice(t,e){e&&this._sync(["_removeElements",t,e]);const i=arguments.length-2;i&&this._sync(["_insertElements",t,i])}_onDataUnshift(){this._sync(["_insertElements",0,arguments.length])}}A(vt,"defaults",{}),A(vt,"datasetElementType",null),A(vt,"dataElementType",null);function fd(s,t){if(!s._cache.$bar){const e=s.getMatchingVisibleMetas(t);let i=[];for(let n=0,o=e.length;n<o;n++)i=i.concat(e[n].controller.getAllParsedValues(s));s._cache.$bar=yo(i.sort((n,o)=>n-o))}return s._cache.$bar}function gd(s){const t=s.iScale,e=fd(t,s.type);let i=t._length,n,o,a,r;const l=()=>{a===32767||a===-32768||(Re(r)&&(i=Math.min(i,Math.abs(a-r)||i)),r=a)};for(n=0,o=e.length;n<o;++n)a=t.getPixelForValue(e[n]),l();for(r=void 0,n=0,o=t.ticks.length;n<o;++n)a=t.getPixelForTick(n),l();return i}function pd(s,t,e,i){const n=e.barThickness;let o,a;return H(n)?(o=t.min*e.categoryPercentage,a=e.barPercentage):(o=n*i,a=1),{chunk:o/i,ratio:a,start:t.pixels[s]-o/2}}function md(s,t,e,i){const n=t.pixels,o=n[s];let a=s>0?n[s-1]:null,r=s<n.length-1?n[s+1]:null;const l=e.categoryPercentage;a===null&&(a=o-(r===null?t.end-t.start:r-o)),r===null&&(r=o+o-a);const c=o-(o-Math.min(a,r))/2*l;return{chunk:Math.abs(r-a)/2*l/i,ratio:e.barPercentage,start:c}}function bd(s,t,e,i){const n=e.parse(s[0],i),o=e.parse(s[1],i),a=Math.min(n,o),r=Math.max(n,o);let l=a,c=r;Math.abs(a)>Math.abs(r)&&(l=r,c=a),t[e.axis]=c,t._custom={barStart:l,barEnd:c,start:n,end:o,min:a,max:r}}function No(s,t,e,i){return J(s)?bd(s,t,e,i):t[e.axis]=e.parse(s,i),t}function an(s,t,e,i){const n=s.iScale,o=s.vScale,a=n.getLabels(),r=n===o,l=[];let c,h,d,u;for(c=e,h=e+i;c<h;++c)u=t[c],d={},d[n.axis]=r||n.parse(a[c],c),l.push(No(u,d,o,c));return l}function Vs(s){return s&&s.barStart!==void 0&&s.barEnd!==void 0}function xd(s,t,e){return s!==0?Mt(s):(t.isHorizontal()?1:-1)*(t.min>=e?1:-1)}function _d(s){let t,e,i,n,o;return s.horizontal?(t=s.base>s.x,e="left",i="right"):(t=s.base<s.y,e="bottom",i="top"),t?(n="end",o="start"):(n="start",o="end"),{start:e,end:i,reverse:t,top:n,bottom:o}}function vd(s,t,e,i){let n=t.borderSkipped;const o={};if(!n){s.borderSkipped=o;return}if(n===!0){s.borderSkipped={top:!0,right:!0,bottom:!0,left:!0};return}const{start:a,end:r,reverse:l,top:c,bottom:h}=_d(s);n==="middle"&&e&&(s.enableBorderRadius=!0,(e._top||0)===i?n=c:(e._bottom||0)===i?n=h:(o[rn(h,a,r,l)]=!0,n=c)),o[rn(n,a,r,l)]=!0,s.borderSkipped=o}function rn(s,t,e,i){return i?(s=yd(s,t,e),s=ln(s,e,t)):s=ln(s,t,e),s}function yd(s,t,e){return s===t?e:s===e?t:s}function ln(s,t,e){return s==="start"?t:s==="end"?e:s}function kd(s,{inflateAmount:t},e){s.inflateAmount=t==="auto"?e===1?.33:0:t}class ns extends vt{parsePrimitiveData(t,e,i,n){return an(t,e,i,n)}parseArrayData(t,e,i,n){return an(t,e,i,n)}parseObjectData(t,e,i,n){const{iScale:o,vScale:a}=t,{xAxisKey:r="x",yAxisKey:l="y"}=this._parsing,c=o.axis==="x"?r:l,h=a.axis==="x"?r:l,d=[];let u,f,g,p;for(u=i,f=i+n;u<f;++u)p=e[u],g={},g[o.axis]=o.parse(Vt(p,c),u),d.push(No(Vt(p,h),g,a,u));return d}updateRangeFromParsed(t,e,i,n){super.updateRangeFromParsed(t,e,i,n);const o=i._custom;o&&e===this._cachedMeta.vScale&&(t.min=Math.min(t.min,o.min),t.max=Math.max(t.max,o.max))}getMaxOverflow(){return 0}getLabelAndValue(t){const e=this._cachedMeta,{iScale:i,vScale:n}=e,o=this.getParsed(t),a=o._custom,r=Vs(a)?"["+a.start+", "+a.end+"]":""+n.getLabelForValue(o[n.axis]);return{label:""+i.getLabelForValue(o[i.axis]),value:r}}initialize(){this.enableOptionSharing=!0,super.initialize();const t=this._cachedMeta;t.stack=this.getDataset().stack}update(t){const e=this._cachedMeta;this.updateElements(e.data,0,e.data.length,t)}updateElements(t,e,i,n){const o=n==="reset",{index:a,_cachedMeta:{vScale:r}}=this,l=r.getBasePixel(),c=r.isHorizontal(),h=this._getRuler(),{sharedOptions:d,includeOptions:u}=this._getSharedOptions(e,n);for(let f=e;f<e+i;f++){const g=this.getParsed(f),p=o||H(g[r.axis])?{base:l,head:l}:this._calculateBarValuePixels(f),b=this._calculateBarIndexPixels(f,h),_=(g._stacks||{})[r.axis],w={horizontal:c,base:p.base,enableBorderRadius:!_||Vs(g._custom)||a===_._top||a===_._bottom,x:c?p.head:b.center,y:c?b.center:p.head,height:c?b.size:Math.abs(p.size),width:c?Math.abs(p.size):b.size};u&&(w.options=d||this.resolveDataElementOptions(f,t[f].active?"active":n));const y=w.options||t[f].options;vd(w,y,_,a),kd(w,y,h.ratio),this.updateElement(t[f],f,w,n)}}_getStacks(t,e){const{iScale:i}=this._cachedMeta,n=i.getMatchingVisibleMetas(this._type).filter(h=>h.controller.options.grouped),o=i.options.stacked,a=[],r=this._cachedMeta.controller.getParsed(e),l=r&&r[i.axis],c=h=>{const d=h._parsed.find(f=>f[i.axis]===l),u=d&&d[h.vScale.axis];if(H(u)||isNaN(u))return!0};for(const h of n)if(!(e!==void 0&&c(h))&&((o===!1||a.indexOf(h.stack)===-1||o===void 0&&h.stack===void 0)&&a.push(h.stack),h.index===t))break;return a.length||a.push(void 0),a}_getStackCount(t){return this._getStacks(void 0,t).length}_getStackIndex(t,e,i){const n=this._getStacks(t,i),o=e!==void 0?n.indexOf(e):-1;return o===-1?n.length-1:o}_getRuler(){const t=this.options,e=this._cachedMeta,i=e.iScale,n=[];let o,a;for(o=0,a=e.data.length;o<a;++o)n.push(i.getPixelForValue(this.getParsed(o)[i.axis],o));const r=t.barThickness;return{min:r||gd(e),pixels:n,start:i._startPixel,end:i._endPixel,stackCount:this._getStackCount(),scale:i,grouped:t.grouped,ratio:r?1:t.categoryPercentage*t.barPercentage}}_calculateBarValuePixels(t){const{_cachedMeta:{vScale:e,_stacked:i,index:n},options:{base:o,minBarLength:a}}=this,r=o||0,l=this.getParsed(t),c=l._custom,h=Vs(c);let d=l[e.axis],u=0,f=i?this.applyStack(e,l,i):d,g,p;f!==d&&(u=f-d,f=d),h&&(d=c.barStart,f=c.barEnd-c.barStart,d!==0&&Mt(d)!==Mt(c.barEnd)&&(u=0),u+=d);const b=!H(o)&&!h?o:u;let _=e.getPixelForValue(b);if(this.chart.getDataVisibility(t)?g=e.getPixelForValue(u+f):g=_,p=g-_,Math.abs(p)<a){p=xd(p,e,r)*a,d===r&&(_-=p/2);const w=e.getPixelForDecimal(0),y=e.getPixelForDecimal(1),P=Math.min(w,y),M=Math.max(w,y);_=Math.max(Math.min(_,M),P),g=_+p,i&&!h&&(l._stacks[e.axis]._visualValues[n]=e.getValueForPixel(g)-e.getValueForPixel(_))}if(_===e.getPixelForValue(r)){const w=Mt(p)*e.getLineWidthForValue(r)/2;_+=w,p-=w}return{size:p,base:_,head:g,center:g+p/2}}_calculateBarIndexPixels(t,e){const i=e.scale,n=this.options,o=n.skipNull,a=V(n.maxBarThickness,1/0);let r,l;if(e.grouped){const c=o?this._getStackCount(t):e.stackCount,h=n.barThickness==="flex"?md(t,e,n,c):pd(t,e,n,c),d=this._getStackIndex(this.index,this._cachedMeta.stack,o?t:void 0);r=h.start+h.chunk*d+h.chunk/2,l=Math.min(a,h.chunk*h.ratio)}else r=i.getPixelForValue(this.getParsed(t)[i.axis],t),l=Math.min(a,e.min*e.ratio);return{base:r-l/2,head:r+l/2,center:r,size:l}}draw(){const t=this._cachedMeta,e=t.vScale,i=t.data,n=i.length;let o=0;for(;o<n;++o)this.getParsed(o)[e.axis]!==null&&!i[o].hidden&&i[o].draw(this._ctx)}}A(ns,"id","bar"),A(ns,"defaults",{datasetElementType:!1,dataElementType:"bar",categoryPercentage:.8,barPercentage:.9,grouped:!0,animations:{numbers:{type:"number",properties:["x","y","base","width","height"]}}}),A(ns,"overrides",{scales:{_index_:{type:"category",offset:!0,grid:{offset:!0}},_value_:{type:"linear",beginAtZero:!0}}});class os extends vt{initialize(){this.enableOptionSharing=!0,super.initialize()}parsePrimitiveData(t,e,i,n){const o=super.parsePrimitiveData(t,e,i,n);for(let a=0;a<o.length;a++)o[a]._custom=this.resolveDataElementOptions(a+i).radius;return o}parseArrayData(t,e,i,n){const o=super.parseArrayData(t,e,i,n);for(let a=0;a<o.length;a++){const r=e[i+a];o[a]._custom=V(r[2],this.resolveDataElementOptions(a+i).radius)}return o}parseObjectData(t,e,i,n){const o=super.parseObjectData(t,e,i,n);for(let a=0;a<o.length;a++){const r=e[i+a];o[a]._custom=V(r&&r.r&&+r.r,this.resolveDataElementOptions(a+i).radius)}return o}getMaxOverflow(){const t=this._cachedMeta.data;let e=0;for(let i=t.length-1;i>=0;--i)e=Math.max(e,t[i].size(this.resolveDataElementOptions(i))/2);return e>0&&e}getLabelAndValue(t){const e=this._cachedMeta,i=this.chart.data.labels||[],{xScale:n,yScale:o}=e,a=this.getParsed(t),r=n.getLabelForValue(a.x),l=o.getLabelForValue(a.y),c=a._custom;return{label:i[t]||"",value:"("+r+", "+l+(c?", "+c:"")+")"}}update(t){const e=this._cachedMeta.data;this.updateElements(e,0,e.length,t)}updateElements(t,e,i,n){const o=n==="reset",{iScale:a,vScale:r}=this._cachedMeta,{sharedOptions:l,includeOptions:c}=this._getSharedOptions(e,n),h=a.axis,d=r.axis;for(let u=e;u<e+i;u++){const f=t[u],g=!o&&this.getParsed(u),p={},b=p[h]=o?a.getPixelForDecimal(.5):a.getPixelForValue(g[h]),_=p[d]=o?r.getBasePixel():r.getPixelForValue(g[d]);p.skip=isNaN(b)||isNaN(_),c&&(p.options=l||this.resolveDataElementOptions(u,f.active?"active":n),o&&(p.options.radius=0)),this.updateElement(f,u,p,n)}}resolveDataElementOptions(t,e){const i=this.getParsed(t);let n=super.resolveDataElementOptions(t,e);n.$shared&&(n=Object.assign({},n,{$shared:!1}));const o=n.radius;return e!=="active"&&(n.radius=0),n.radius+=V(i&&i._custom,o),n}}A(os,"id","bubble"),A(os,"defaults",{datasetElementType:!1,dataElementType:"point",animations:{numbers:{type:"number",properties:["x","y","borderWidth","radius"]}}}),A(os,"overrides",{scales:{x:{type:"linear"},y:{type:"linear"}}});function wd(s,t,e){let i=1,n=1,o=0,a=0;if(t<G){const r=s,l=r+t,c=Math.cos(r),h=Math.sin(r),d=Math.cos(l),u=Math.sin(l),f=(y,P,M)=>Le(y,r,l,!0)?1:Math.max(P,P*e,M,M*e),g=(y,P,M)=>Le(y,r,l,!0)?-1:Math.min(P,P*e,M,M*e),p=f(0,c,d),b=f(et,h,u),_=g(Z,c,d),w=g(Z+et,h,u);i=(p-_)/2,n=(b-w)/2,o=-(p+_)/2,a=-(b+w)/2}return{ratioX:i,ratioY:n,offsetX:o,offsetY:a}}class Gt extends vt{constructor(t,e){super(t,e),this.enableOptionSharing=!0,this.innerRadius=void 0,this.outerRadius=void 0,this.offsetX=void 0,this.offsetY=void 0}linkScales(){}parse(t,e){const i=this.getDataset().data,n=this._cachedMeta;if(this._parsing===!1)n._parsed=i;else{let o=l=>+i[l];if(j(i[t])){const{key:l="value"}=this._parsing;o=c=>+Vt(i[c],l)}let a,r;for(a=t,r=t+e;a<r;++a)n._parsed[a]=o(a)}}_getRotation(){return _t(this.options.rotation-90)}_getCircumference(){return _t(this.options.circumference)}_getRotationExtents(){let t=G,e=-G;for(let i=0;i<this.chart.data.datasets.length;++i)if(this.chart.isDatasetVisible(i)&&this.chart.getDatasetMeta(i).type===this._type){const n=this.chart.getDatasetMeta(i).controller,o=n._getRotation(),a=n._getCircumference();t=Math.min(t,o),e=Math.max(e,o+a)}return{rotation:t,circumference:e-t}}update(t){const e=this.chart,{chartArea:i}=e,n=this._cachedMeta,o=n.data,a=this.getMaxBorderWidth()+this.getMaxOffset(o)+this.options.spacing,r=Math.max((Math.min(i.width,i.height)-a)/2,0),l=Math.min(zc(this.options.cutout,r),1),c=this._getRingWeight(this.index),{circumference:h,rotation:d}=this._getRotationExtents(),{ratioX:u,ratioY:f,offsetX:g,offsetY:p}=wd(d,h,l),b=(i.width-a)/u,_=(i.height-a)/f,w=Math.max(Math.min(b,_)/2,0),y=mo(this.options.radius,w),P=Math.max(y*l,0),M=(y-P)/this._getVisibleDatasetWeightTotal();this.offsetX=g*y,this.offsetY=p*y,n.total=this.calculateTotal(),this.outerRadius=y-M*this._getRingWeightOffset(this.index),this.innerRadius=Math.max(this.outerRadius-M*c,0),this.updateElements(o,0,o.length,t)}_circumference(t,e){const i=this.options,n=this._cachedMeta,o=this._getCircumference();return e&&i.animation.animateRotate||!this.chart.getDataVisibility(t)||n._parsed[t]===null||n.data[t].hidden?0:this.calculateCircumference(n._parsed[t]*o/G)}updateElements(t,e,i,n){const o=n==="reset",a=this.chart,r=a.chartArea,c=a.options.animation,h=(r.left+r.right)/2,d=(r.top+r.bottom)/2,u=o&&c.animateScale,f=u?0:this.innerRadius,g=u?0:this.outerRadius,{sharedOptions:p,includeOptions:b}=this._getSharedOptions(e,n);let _=this._getRotation(),w;for(w=0;w<e;++w)_+=this._circumference(w,o);for(w=e;w<e+i;++w){const y=this._circumference(w,o),P=t[w],M={x:h+this.offsetX,y:d+this.offsetY,startAngle:_,endAngle:_+y,circumference:y,outerRadius:g,innerRadius:f};b&&(M.options=p||this.resolveDataElementOptions(w,P.active?"active":n)),_+=y,this.updateElement(P,w,M,n)}}calculateTotal(){const t=this._cachedMeta,e=t.data;let i=0,n;for(n=0;n<e.length;n++){const o=t._parsed[n];o!==null&&!isNaN(o)&&this.chart.getDataVisibility(n)&&!e[n].hidden&&(i+=Math.abs(o))}return i}calculateCircumference(t){const e=this._cachedMeta.total;return e>0&&!isNaN(t)?G*(Math.abs(t)/e):0}getLabelAndValue(t){const e=this._cachedMeta,i=this.chart,n=i.data.labels||[],o=$e(e._parsed[t],i.options.locale);return{label:n[t]||"",value:o}}getMaxBorderWidth(t){let e=0;const i=this.chart;let n,o,a,r,l;if(!t){for(n=0,o=i.data.datasets.length;n<o;++n)if(i.isDatasetVisible(n)){a=i.getDatasetMeta(n),t=a.data,r=a.controller;break}}if(!t)return 0;for(n=0,o=t.length;n<o;++n)l=r.resolveDataElementOptions(n),l.borderAlign!=="inner"&&(e=Math.max(e,l.borderWidth||0,l.hoverBorderWidth||0));return e}getMaxOffset(t){let e=0;for(let i=0,n=t.length;i<n;++i){const o=this.resolveDataElementOptions(i);e=Math.max(e,o.offset||0,o.hoverOffset||0)}return e}_getRingWeightOffset(t){let e=0;for(let i=0;i<t;++i)this.chart.isDatasetVisible(i)&&(e+=this._getRingWeight(i));return e}_getRingWeight(t){return Math.max(V(this.chart.data.datasets[t].weight,1),0)}_getVisibleDatasetWeightTotal(){return this._getRingWeightOffset(this.chart.data.datasets.length)||1}}A(Gt,"id","doughnut"),A(Gt,"defaults",{datasetElementType:!1,dataElementType:"arc",animation:{animateRotate:!0,animateScale:!1},animations:{numbers:{type:"number",properties:["circumference","endAngle","innerRadius","outerRadius","startAngle","x","y","offset","borderWidth","spacing"]}},cutout:"50%",rotation:0,circumference:360,radius:"100%",spacing:0,indexAxis:"r"}),A(Gt,"descriptors",{_scriptable:t=>t!=="spacing",_indexable:t=>t!=="spacing"&&!t.startsWith("borderDash")&&!t.startsWith("hoverBorderDash")}),A(Gt,"overrides",{aspectRatio:1,plugins:{legend:{labels:{generateLabels(t){const e=t.data;if(e.labels.length&&e.datasets.length){const{labels:{pointStyle:i,color:n}}=t.legend.options;return e.labels.map((o,a)=>{const l=t.getDatasetMeta(0).controller.getStyle(a);return{text:o,fillStyle:l.backgroundColor,strokeStyle:l.borderColor,fontColor:n,lineWidth:l.borderWidth,pointStyle:i,hidden:!t.getDataVisibility(a),index:a}})}return[]}},onClick(t,e,i){i.chart.toggleDataVisibility(e.index),i.chart.update()}}}});class as extends vt{initialize(){this.enableOptionSharing=!0,this.supportsDecimation=!0,super.initialize()}update(t){const e=this._cachedMeta,{dataset:i,data:n=[],_dataset:o}=e,a=this.chart._animationsDisabled;let{start:r,count:l}=Mo(e,n,a);this._drawStart=r,this._drawCount=l,So(e)&&(r=0,l=n.length),i._chart=this.chart,i._datasetIndex=this.index,i._decimated=!!o._decimated,i.points=n;const c=this.resolveDatasetElementOptions(t);this.options.showLine||(c.borderWidth=0),c.segment=this.options.segment,this.updateElement(i,void 0,{animated:!a,options:c},t),this.updateElements(n,r,l,t)}updateElements(t,e,i,n){const o=n==="reset",{iScale:a,vScale:r,_stacked:l,_dataset:c}=this._cachedMeta,{sharedOptions:h,includeOptions:d}=this._getSharedOptions(e,n),u=a.axis,f=r.axis,{spanGaps:g,segment:p}=this.options,b=re(g)?g:Number.POSITIVE_INFINITY,_=this.chart._animationsDisabled||o||n==="none",w=e+i,y=t.length;let P=e>0&&this.getParsed(e-1);for(let M=0;M<y;++M){const v=t[M],k=_?v:{};if(M<e||M>=w){k.skip=!0;continue}const x=this.getParsed(M),D=H(x[f]),O=k[u]=a.getPixelForValue(x[u],M),C=k[f]=o||D?r.getBasePixel():r.getPixelForValue(l?this.applyStack(r,x,l):x[f],M);k.skip=isNaN(O)||isNaN(C)||D,k.stop=M>0&&Math.abs(x[u]-P[u])>b,p&&(k.parsed=x,k.raw=c.data[M]),d&&(k.options=h||this.resolveDataElementOptions(M,v.active?"active":n)),_||this.updateElement(v,M,k,n),P=x}}getMaxOverflow(){const t=this._cachedMeta,e=t.dataset,i=e.options&&e.options.borderWidth||0,n=t.data||[];if(!n.length)return i;const o=n[0].size(this.resolveDataElementOptions(0)),a=n[n.length-1].size(this.resolveDataElementOptions(n.length-1));return Math.max(i,o,a)/2}draw(){const t=this._cachedMeta;t.dataset.updateControlPoints(this.chart.chartArea,t.iScale.axis),super.draw()}}A(as,"id","line"),A(as,"defaults",{datasetElementType:"line",dataElementType:"point",showLine:!0,spanGaps:!1}),A(as,"overrides",{scales:{_index_:{type:"category"},_value_:{type:"linear"}}});class De extends vt{constructor(t,e){super(t,e),this.innerRadius=void 0,this.outerRadius=void 0}getLabelAndValue(t){const e=this._cachedMeta,i=this.chart,n=i.data.labels||[],o=$e(e._parsed[t].r,i.options.locale);return{label:n[t]||"",value:o}}parseObjectData(t,e,i,n){return Lo.bind(this)(t,e,i,n)}update(t){const e=this._cachedMeta.data;this._updateRadius(),this.updateElements(e,0,e.length,t)}getMinMax(){const t=this._cachedMeta,e={min:Number.POSITIVE_INFINITY,max:Number.NEGATIVE_INFINITY};return t.data.forEach((i,n)=>{const o=this.getParsed(n).r;!isNaN(o)&&this.chart.getDataVisibility(n)&&(o<e.min&&(e.min=o),o>e.max&&(e.max=o))}),e}_updateRadius(){const t=this.chart,e=t.chartArea,i=t.options,n=Math.min(e.right-e.left,e.bottom-e.top),o=Math.max(n/2,0),a=Math.max(i.cutoutPercentage?o/100*i.cutoutPercentage:1,0),r=(o-a)/t.getVisibleDatasetCount();this.outerRadius=o-r*this.index,this.innerRadius=this.outerRadius-r}updateElements(t,e,i,n){const o=n==="reset",a=this.chart,l=a.options.animation,c=this._cachedMeta.rScale,h=c.xCenter,d=c.yCenter,u=c.getIndexAngle(0)-.5*Z;let f=u,g;const p=360/this.countVisibleElements();for(g=0;g<e;++g)f+=this._computeAngle(g,n,p);for(g=e;g<e+i;g++){const b=t[g];let _=f,w=f+this._computeAngle(g,n,p),y=a.getDataVisibility(g)?c.getDistanceFromCenterForValue(this.getParsed(g).r):0;f=w,o&&(l.animateScale&&(y=0),l.animateRotate&&(_=w=u));const P={x:h,y:d,innerRadius:0,outerRadius:y,startAngle:_,endAngle:w,options:this.resolveDataElementOptions(g,b.active?"active":n)};this.updateElement(b,g,P,n)}}countVisibleElements(){const t=this._cachedMeta;let e=0;return t.data.forEach((i,n)=>{!isNaN(this.getParsed(n).r)&&this.chart.getDataVisibility(n)&&e++}),e}_computeAngle(t,e,i){return this.chart.getDataVisibility(t)?_t(this.resolveDataElementOptions(t,e).angle||i):0}}A(De,"id","polarArea"),A(De,"defaults",{dataElementType:"arc",animation:{animateRotate:!0,animateScale:!0},animations:{numbers:{type:"number",properties:["x","y","startAngle","endAngle","innerRadius","outerRadius"]}},indexAxis:"r",startAngle:0}),A(De,"overrides",{aspectRatio:1,plugins:{legend:{labels:{generateLabels(t){const e=t.data;if(e.labels.length&&e.datasets.length){const{labels:{pointStyle:i,color:n}}=t.legend.options;return e.labels.map((o,a)=>{const l=t.getDatasetMeta(0).controller.getStyle(a);return{text:o,fillStyle:l.backgroundColor,strokeStyle:l.borderColor,fontColor:n,lineWidth:l.borderWidth,pointStyle:i,hidden:!t.getDataVisibility(a),index:a}})}return[]}},onClick(t,e,i){i.chart.toggleDataVisibility(e.index),i.chart.update()}}},scales:{r:{type:"radialLinear",angleLines:{display:!1},beginAtZero:!0,grid:{circular:!0},pointLabels:{display:!1},startAngle:0}}});class Zs extends Gt{}A(Zs,"id","pie"),A(Zs,"defaults",{cutout:0,rotation:0,circumference:360,radius:"100%"});class rs extends vt{getLabelAndValue(t){const e=this._cachedMeta.vScale,i=this.getParsed(t);return{label:e.getLabels()[t],value:""+e.getLabelForValue(i[e.axis])}}parseObjectData(t,e,i,n){return Lo.bind(this)(t,e,i,n)}update(t){const e=this._cachedMeta,i=e.dataset,n=e.data||[],o=e.iScale.getLabels();if(i.points=n,t!=="resize"){const a=this.resolveDatasetElementOptions(t);this.options.showLine||(a.borderWidth=0);const r={_loop:!0,_fullLoop:o.length===n.length,options:a};this.updateElement(i,void 0,r,t)}this.updateElements(n,0,n.length,t)}updateElements(t,e,i,n){const o=this._cachedMeta.rScale,a=n==="reset";for(let r=e;r<e+i;r++){const l=t[r],c=this.resolveDataElementOptions(r,l.active?"active":n),h=o.getPointPositionForValue(r,this.getParsed(r).r),d=a?o.xCenter:h.x,u=a?o.yCenter:h.y,f={x:d,y:u,angle:h.angle,skip:isNaN(d)||isNaN(u),options:c};this.updateElement(l,r,f,n)}}}A(rs,"id","radar"),A(rs,"defaults",{datasetElementType:"line",dataElementType:"point",indexAxis:"r",showLine:!0,elements:{line:{fill:"start"}}}),A(rs,"overrides",{aspectRatio:1,scales:{r:{type:"radialLinear"}}});class ls extends vt{getLabelAndValue(t){const e=this._cachedMeta,i=this.chart.data.labels||[],{xScale:n,yScale:o}=e,a=this.getParsed(t),r=n.getLabelForValue(a.x),l=o.getLabelForValue(a.y);return{label:i[t]||"",value:"("+r+", "+l+")"}}update(t){const e=this._cachedMeta,{data:i=[]}=e,n=this.chart._animationsDisabled;let{start:o,count:a}=Mo(e,i,n);if(this._drawStart=o,this._drawCount=a,So(e)&&(o=0,a=i.length),this.options.showLine){this.datasetElementType||this.addElements();const{dataset:r,_dataset:l}=e;r._chart=this.chart,r._datasetIndex=this.index,r._decimated=!!l._decimated,r.points=i;const c=this.resolveDatasetElementOptions(t);c.segment=this.options.segment,this.updateElement(r,void 0,{animated:!n,options:c},t)}else this.datasetElementType&&(delete e.dataset,this.datasetElementType=!1);this.updateElements(i,o,a,t)}addElements(){const{showLine:t}=this.options;!this.datasetElementType&&t&&(this.datasetElementType=this.chart.registry.getElement("line")),super.addElements()}updateElements(t,e,i,n){const o=n==="reset",{iScale:a,vScale:r,_stacked:l,_dataset:c}=this._cachedMeta,h=this.resolveDataElementOptions(e,n),d=this.getSharedOptions(h),u=this.includeOptions(n,d),f=a.axis,g=r.axis,{spanGaps:p,segment:b}=this.options,_=re(p)?p:Number.POSITIVE_INFINITY,w=this.chart._animationsDisabled||o||n==="none";let y=e>0&&this.getParsed(e-1);for(let P=e;P<e+i;++P){const M=t[P],v=this.getParsed(P),k=w?M:{},x=H(v[g]),D=k[f]=a.getPixelForValue(v[f],P),O=k[g]=o||x?r.getBasePixel():r.getPixelForValue(l?this.applyStack(r,v,l):v[g],P);k.skip=isNaN(D)||isNaN(O)||x,k.stop=P>0&&Math.abs(v[f]-y[f])>_,b&&(k.parsed=v,k.raw=c.data[P]),u&&(k.options=d||this.resolveDataElementOptions(P,M.active?"active":n)),w||this.updateElement(M,P,k,n),y=v}this.updateSharedOptions(d,n,h)}getMaxOverflow(){const t=this._cachedMeta,e=t.data||[];if(!this.options.showLine){let r=0;for(let l=e.length-1;l>=0;--l)r=Math.max(r,e[l].size(this.resolveDataElementOptions(l))/2);return r>0&&r}const i=t.dataset,n=i.options&&i.options.borderWidth||0;if(!e.length)return n;const o=e[0].size(this.resolveDataElementOptions(0)),a=e[e.length-1].size(this.resolveDataElementOptions(e.length-1));return Math.max(n,o,a)/2}}A(ls,"id","scatter"),A(ls,"defaults",{datasetElementType:!1,dataElementType:"point",showLine:!1,fill:!1}),A(ls,"overrides",{interaction:{mode:"point"},scales:{x:{type:"linear"},y:{type:"linear"}}});var Md=Object.freeze({__proto__:null,BarController:ns,BubbleController:os,DoughnutController:Gt,LineController:as,PieController:Zs,PolarAreaController:De,RadarController:rs,ScatterController:ls});function Yt(){throw new Error("This method is not implemented: Check that a complete date adapter is provided.")}class wi{constructor(t){A(this,"options");this.options=t||{}}static override(t){Object.assign(wi.prototype,t)}init(){}formats(){return Yt()}parse(){return Yt()}format(){return Yt()}add(){return Yt()}diff(){return Yt()}startOf(){return Yt()}endOf(){return Yt()}}var Sd={_date:wi};function Pd(s,t,e,i){const{controller:n,data:o,_sorted:a}=s,r=n._cachedMeta.iScale,l=s.dataset&&s.dataset.options?s.dataset.options.spanGaps:null;if(r&&t===r.axis&&t!=="r"&&a&&o.length){const c=r._reversePixels?qc:Tt;if(i){if(n._sharedOptions){const h=o[0],d=typeof h.getRange=="function"&&h.getRange(t);if(d){const u=c(o,t,e-d),f=c(o,t,e+d);return{lo:u.lo,hi:f.hi}}}}else{const h=c(o,t,e);if(l){const{vScale:d}=n._cachedMeta,{_parsed:u}=s,f=u.slice(0,h.lo+1).reverse().findIndex(p=>!H(p[d.axis]));h.lo-=Math.max(0,f);const g=u.slice(h.hi).findIndex(p=>!H(p[d.axis]));h.hi+=Math.max(0,g)}return h}}return{lo:0,hi:o.length-1}}function Ts(s,t,e,i,n){const o=s.getSortedVisibleDatasetMetas(),a=e[t];for(let r=0,l=o.length;r<l;++r){const{index:c,data:h}=o[r],{lo:d,hi:u}=Pd(o[r],t,a,n);for(let f=d;f<=u;++f){const g=h[f];g.skip||i(g,c,f)}}}function Dd(s){const t=s.indexOf("x")!==-1,e=s.indexOf("y")!==-1;return function(i,n){const o=t?Math.abs(i.x-n.x):0,a=e?Math.abs(i.y-n.y):0;return Math.sqrt(Math.pow(o,2)+Math.pow(a,2))}}function $s(s,t,e,i,n){const o=[];return!n&&!s.isPointInArea(t)||Ts(s,e,t,function(r,l,c){!n&&!Rt(r,s.chartArea,0)||r.inRange(t.x,t.y,i)&&o.push({element:r,datasetIndex:l,index:c})},!0),o}function Cd(s,t,e,i){let n=[];function o(a,r,l){const{startAngle:c,endAngle:h}=a.getProps(["startAngle","endAngle"],i),{angle:d}=_o(a,{x:t.x,y:t.y});Le(d,c,h)&&n.push({element:a,datasetIndex:r,index:l})}return Ts(s,e,t,o),n}function Ad(s,t,e,i,n,o){let a=[];const r=Dd(e);let l=Number.POSITIVE_INFINITY;function c(h,d,u){const f=h.inRange(t.x,t.y,n);if(i&&!f)return;const g=h.getCenterPoint(n);if(!(!!o||s.isPointInArea(g))&&!f)return;const b=r(t,g);b<l?(a=[{element:h,datasetIndex:d,index:u}],l=b):b===l&&a.push({element:h,datasetIndex:d,index:u})}return Ts(s,e,t,c),a}function Hs(s,t,e,i,n,o){return!o&&!s.isPointInArea(t)?[]:e==="r"&&!i?Cd(s,t,e,n):Ad(s,t,e,i,n,o)}function cn(s,t,e,i,n){const o=[],a=e==="x"?"inXRange":"inYRange";let r=!1;return Ts(s,e,t,(l,c,h)=>{l[a]&&l[a](t[e],n)&&(o.push({element:l,datasetIndex:c,index:h}),r=r||l.inRange(t.x,t.y,n))}),i&&!r?[]:o}var Od={modes:{index(s,t,e,i){const n=qt(t,s),o=e.axis||"x",a=e.includeInvisible||!1,r=e.intersect?$s(s,n,o,i,a):Hs(s,n,o,!1,i,a),l=[];return r.length?(s.getSortedVisibleDatasetMetas().forEach(c=>{const h=r[0].index,d=c.data[h];d&&!d.skip&&l.push({element:d,datasetIndex:c.index,index:h})}),l):[]},dataset(s,t,e,i){const n=qt(t,s),o=e.axis||"xy",a=e.includeInvisible||!1;let r=e.intersect?$s(s,n,o,i,a):Hs(s,n,o,!1,i,a);if(r.length>0){const l=r[0].datasetIndex,c=s.getDatasetMeta(l).data;r=[];for(let h=0;h<c.length;++h)r.push({element:c[h],datasetIndex:l,index:h})}return r},point(s,t,e,i){const n=qt(t,s),o=e.axis||"xy",a=e.includeInvisible||!1;return $s(s,n,o,i,a)},nearest(s,t,e,i){const n=qt(t,s),o=e.axis||"xy",a=e.includeInvisible||!1;return Hs(s,n,o,e.intersect,i,a)},x(s,t,e,i){const n=qt(t,s);return cn(s,n,"x",e.intersect,i)},y(s,t,e,i){const n=qt(t,s);return cn(s,n,"y",e.intersect,i)}}};const Wo=["left","top","right","bottom"];function fe(s,t){return s.filter(e=>e.pos===t)}function hn(s,t){return s.filter(e=>Wo.indexOf(e.pos)===-1&&e.box.axis===t)}function ge(s,t){return s.sort((e,i)=>{const n=t?i:e,o=t?e:i;return n.weight===o.weight?n.index-o.index:n.weight-o.weight})}function Td(s){const t=[];let e,i,n,o,a,r;for(e=0,i=(s||[]).length;e<i;++e)n=s[e],{position:o,options:{stack:a,stackWeight:r=1}}=n,t.push({index:e,box:n,pos:o,horizontal:n.isHorizontal(),weight:n.weight,stack:a&&o+a,stackWeight:r});return t}function Rd(s){const t={};for(const e of s){const{stack:i,pos:n,stackWeight:o}=e;if(!i||!Wo.includes(n))continue;const a=t[i]||(t[i]={count:0,placed:0,weight:0,size:0});a.count++,a.weight+=o}return t}function Ld(s,t){const e=Rd(s),{vBoxMaxWidth:i,hBoxMaxHeight:n}=t;let o,a,r;for(o=0,a=s.length;o<a;++o){r=s[o];const{fullSize:l}=r.box,c=e[r.stack],h=c&&r.stackWeight/c.weight;r.horizontal?(r.width=h?h*i:l&&t.availableWidth,r.height=n):(r.width=i,r.height=h?h*n:l&&t.availableHeight)}return e}function Ed(s){const t=Td(s),e=ge(t.filter(c=>c.box.fullSize),!0),i=ge(fe(t,"left"),!0),n=ge(fe(t,"right")),o=ge(fe(t,"top"),!0),a=ge(fe(t,"bottom")),r=hn(t,"x"),l=hn(t,"y");return{fullSize:e,leftAndTop:i.concat(o),rightAndBottom:n.concat(l).concat(a).concat(r),chartArea:fe(t,"chartArea"),vertical:i.concat(n).concat(l),horizontal:o.concat(a).concat(r)}}function dn(s,t,e,i){return Math.max(s[e],t[e])+Math.max(s[i],t[i])}function Uo(s,t){s.top=Math.max(s.top,t.top),s.left=Math.max(s.left,t.left),s.bottom=Math.max(s.bottom,t.bottom),s.right=Math.max(s.right,t.right)}function zd(s,t,e,i){const{pos:n,box:o}=e,a=s.maxPadding;if(!j(n)){e.size&&(s[n]-=e.size);const d=i[e.stack]||{size:0,count:1};d.size=Math.max(d.size,e.horizontal?o.height:o.width),e.size=d.size/d.count,s[n]+=e.size}o.getPadding&&Uo(a,o.getPadding());const r=Math.max(0,t.outerWidth-dn(a,s,"left","right")),l=Math.max(0,t.outerHeight-dn(a,s,"top","bottom")),c=r!==s.w,h=l!==s.h;return s.w=r,s.h=l,e.horizontal?{same:c,other:h}:{same:h,other:c}}function Fd(s){const t=s.maxPadding;function e(i){const n=Math.max(t[i]-s[i],0);return s[i]+=n,n}s.y+=e("top"),s.x+=e("left"),e("right"),e("bottom")}function Id(s,t){const e=t.maxPadding;function i(n){const o={left:0,top:0,right:0,bottom:0};return n.forEach(a=>{o[a]=Math.max(t[a],e[a])}),o}return i(s?["left","right"]:["top","bottom"])}function _e(s,t,e,i){const n=[];let o,a,r,l,c,h;for(o=0,a=s.length,c=0;o<a;++o){r=s[o],l=r.box,l.update(r.width||t.w,r.height||t.h,Id(r.horizontal,t));const{same:d,other:u}=zd(t,e,r,i);c|=d&&n.length,h=h||u,l.fullSize||n.push(r)}return c&&_e(n,t,e,i)||h}function Ge(s,t,e,i,n){s.top=e,s.left=t,s.right=t+i,s.bottom=e+n,s.width=i,s.height=n}function un(s,t,e,i){const n=e.padding;let{x:o,y:a}=t;for(const r of s){const l=r.box,c=i[r.stack]||{placed:0,weight:1},h=r.stackWeight/c.weight||1;if(r.horizontal){const d=t.w*h,u=c.size||l.height;Re(c.start)&&(a=c.start),l.fullSize?Ge(l,n.left,a,e.outerWidth-n.right-n.left,u):Ge(l,t.left+c.placed,a,d,u),c.start=a,c.placed+=d,a=l.bottom}else{const d=t.h*h,u=c.size||l.width;Re(c.start)&&(o=c.start),l.fullSize?Ge(l,o,n.top,u,e.outerHeight-n.bottom-n.top):Ge(l,o,t.top+c.placed,u,d),c.start=o,c.placed+=d,o=l.right}}t.x=o,t.y=a}var rt={addBox(s,t){s.boxes||(s.boxes=[]),t.fullSize=t.fullSize||!1,t.position=t.position||"top",t.weight=t.weight||0,t._layers=t._layers||function(){return[{z:0,draw(e){t.draw(e)}}]},s.boxes.push(t)},removeBox(s,t){const e=s.boxes?s.boxes.indexOf(t):-1;e!==-1&&s.boxes.splice(e,1)},configure(s,t,e){t.fullSize=e.fullSize,t.position=e.position,t.weight=e.weight},update(s,t,e,i){if(!s)return;const n=lt(s.options.layout.padding),o=Math.max(t-n.width,0),a=Math.max(e-n.height,0),r=Ed(s.boxes),l=r.vertical,c=r.horizontal;Y(s.boxes,p=>{typeof p.beforeLayout=="function"&&p.beforeLayout()});const h=l.reduce((p,b)=>b.box.options&&b.box.options.display===!1?p:p+1,0)||1,d=Object.freeze({outerWidth:t,outerHeight:e,padding:n,availableWidth:o,availableHeight:a,vBoxMaxWidth:o/2/h,hBoxMaxHeight:a/2}),u=Object.assign({},n);Uo(u,lt(i));const f=Object.assign({maxPadding:u,w:o,h:a,x:n.left,y:n.top},n),g=Ld(l.concat(c),d);_e(r.fullSize,f,d,g),_e(l,f,d,g),_e(c,f,d,g)&&_e(l,f,d,g),Fd(f),un(r.leftAndTop,f,d,g),f.x+=f.w,f.y+=f.h,un(r.rightAndBottom,f,d,g),s.chartArea={left:f.left,top:f.top,right:f.left+f.w,bottom:f.top+f.h,height:f.h,width:f.w},Y(r.chartArea,p=>{const b=p.box;Object.assign(b,s.chartArea),b.update(f.w,f.h,{left:0,top:0,right:0,bottom:0})})}};class Yo{acquireContext(t,e){}releaseContext(t){return!1}addEventListener(t,e,i){}removeEventListener(t,e,i){}getDevicePixelRatio(){return 1}getMaximumSize(t,e,i,n){return e=Math.max(0,e||t.width),i=i||t.height,{width:e,height:Math.max(0,n?Math.floor(e/n):i)}}isAttached(t){return!0}updateConfig(t){}}class Bd extends Yo{acquireContext(t){return t&&t.getContext&&t.getContext("2d")||null}updateConfig(t){t.options.animation=!1}}const cs="$chartjs",Vd={touchstart:"mousedown",touchmove:"mousemove",touchend:"mouseup",pointerenter:"mouseenter",pointerdown:"mousedown",pointermove:"mousemove",pointerup:"mouseup",pointerleave:"mouseout",pointerout:"mouseout"},fn=s=>s===null||s==="";function $d(s,t){const e=s.style,i=s.getAttribute("height"),n=s.getAttribute("width");if(s[cs]={initial:{height:i,width:n,style:{display:e.display,height:e.height,width:e.width}}},e.display=e.display||"block",e.boxSizing=e.boxSizing||"border-box",fn(n)){const o=Ki(s,"width");o!==void 0&&(s.width=o)}if(fn(i))if(s.style.height==="")s.height=s.width/(t||2);else{const o=Ki(s,"height");o!==void 0&&(s.height=o)}return s}const Xo=Hh?{passive:!0}:!1;function Hd(s,t,e){s&&s.addEventListener(t,e,Xo)}function jd(s,t,e){s&&s.canvas&&s.canvas.removeEventListener(t,e,Xo)}function Nd(s,t){const e=Vd[s.type]||s.type,{x:i,y:n}=qt(s,t);return{type:e,chart:t,native:s,x:i!==void 0?i:null,y:n!==void 0?n:null}}function _s(s,t){for(const e of s)if(e===t||e.contains(t))return!0}function Wd(s,t,e){const i=s.canvas,n=new MutationObserver(o=>{let a=!1;for(const r of o)a=a||_s(r.addedNodes,i),a=a&&!_s(r.removedNodes,i);a&&e()});return n.observe(document,{childList:!0,subtree:!0}),n}function Ud(s,t,e){const i=s.canvas,n=new MutationObserver(o=>{let a=!1;for(const r of o)a=a||_s(r.removedNodes,i),a=a&&!_s(r.addedNodes,i);a&&e()});return n.observe(document,{childList:!0,subtree:!0}),n}const ze=new Map;let gn=0;function qo(){const s=window.devicePixelRatio;s!==gn&&(gn=s,ze.forEach((t,e)=>{e.currentDevicePixelRatio!==s&&t()}))}function Yd(s,t){ze.size||window.addEventListener("resize",qo),ze.set(s,t)}function Xd(s){ze.delete(s),ze.size||window.removeEventListener("resize",qo)}function qd(s,t,e){const i=s.canvas,n=i&&ki(i);if(!n)return;const o=wo((r,l)=>{const c=n.clientWidth;e(r,l),c<n.clientWidth&&e()},window),a=new ResizeObserver(r=>{const l=r[0],c=l.contentRect.width,h=l.contentRect.height;c===0&&h===0||o(c,h)});return a.observe(n),Yd(s,o),a}function js(s,t,e){e&&e.disconnect(),t==="resize"&&Xd(s)}function Kd(s,t,e){const i=s.canvas,n=wo(o=>{s.ctx!==null&&e(Nd(o,s))},s);return Hd(i,t,n),n}class Gd extends Yo{acquireContext(t,e){const i=t&&t.getContext&&t.getContext("2d");return i&&i.canvas===t?($d(t,e),i):null}releaseContext(t){const e=t.canvas;if(!e[cs])return!1;const i=e[cs].initial;["height","width"].forEach(o=>{const a=i[o];H(a)?e.removeAttribute(o):e.setAttribute(o,a)});const n=i.style||{};return Object.keys(n).forEach(o=>{e.style[o]=n[o]}),e.width=e.width,delete e[cs],!0}addEventListener(t,e,i){this.removeEventListener(t,e);const n=t.$proxies||(t.$proxies={}),a={attach:Wd,detach:Ud,resize:qd}[e]||Kd;n[e]=a(t,e,i)}removeEventListener(t,e){const i=t.$proxies||(t.$proxies={}),n=i[e];if(!n)return;({attach:js,detach:js,resize:js}[e]||jd)(t,e,n),i[e]=void 0}getDevicePixelRatio(){return window.devicePixelRatio}getMaximumSize(t,e,i,n){return $h(t,e,i,n)}isAttached(t){const e=t&&ki(t);return!!(e&&e.isConnected)}}function Zd(s){return!yi()||typeof OffscreenCanvas<"u"&&s instanceof OffscreenCanvas?Bd:Gd}class yt{constructor(){A(this,"x");A(this,"y");A(this,"active",!1);A(this,"options");A(this,"$animations")}tooltipPosition(t){const{x:e,y:i}=this.getProps(["x","y"],t);return{x:e,y:i}}hasValue(){return re(this.x)&&re(this.y)}getProps(t,e){const i=this.$animations;if(!e||!i)return this;const n={};return t.forEach(o=>{n[o]=i[o]&&i[o].active()?i[o]._to:this[o]}),n}}A(yt,"defaults",{}),A(yt,"defaultRoutes");function Jd(s,t){const e=s.options.ticks,i=Qd(s),n=Math.min(e.maxTicksLimit||i,i),o=e.major.enabled?eu(t):[],a=o.length,r=o[0],l=o[a-1],c=[];if(a>n)return su(t,c,o,a/n),c;const h=tu(o,t,n);if(a>0){let d,u;const f=a>1?Math.round((l-r)/(a-1)):null;for(Ze(t,c,h,H(f)?0:r-f,r),d=0,u=a-1;d<u;d++)Ze(t,c,h,o[d],o[d+1]);return Ze(t,c,h,l,H(f)?t.length:l+f),c}return Ze(t,c,h),c}function Qd(s){const t=s.options.offset,e=s._tickSize(),i=s._length/e+(t?0:1),n=s._maxLength/e;return Math.floor(Math.min(i,n))}function tu(s,t,e){const i=iu(s),n=t.length/e;if(!i)return Math.max(n,1);const o=Nc(i);for(let a=0,r=o.length-1;a<r;a++){const l=o[a];if(l>n)return l}return Math.max(n,1)}function eu(s){const t=[];let e,i;for(e=0,i=s.length;e<i;e++)s[e].major&&t.push(e);return t}function su(s,t,e,i){let n=0,o=e[0],a;for(i=Math.ceil(i),a=0;a<s.length;a++)a===o&&(t.push(s[a]),n++,o=e[n*i])}function Ze(s,t,e,i,n){const o=V(i,0),a=Math.min(V(n,s.length),s.length);let r=0,l,c,h;for(e=Math.ceil(e),n&&(l=n-i,e=l/Math.floor(l/e)),h=o;h<0;)r++,h=Math.round(o+r*e);for(c=Math.max(o,0);c<a;c++)c===h&&(t.push(s[c]),r++,h=Math.round(o+r*e))}function iu(s){const t=s.length;let e,i;if(t<2)return!1;for(i=s[0],e=1;e<t;++e)if(s[e]-s[e-1]!==i)return!1;return i}const nu=s=>s==="left"?"right":s==="right"?"left":s,pn=(s,t,e)=>t==="top"||t==="left"?s[t]+e:s[t]-e,mn=(s,t)=>Math.min(t||s,s);function bn(s,t){const e=[],i=s.length/t,n=s.length;let o=0;for(;o<n;o+=i)e.push(s[Math.floor(o)]);return e}function ou(s,t,e){const i=s.ticks.length,n=Math.min(t,i-1),o=s._startPixel,a=s._endPixel,r=1e-6;let l=s.getPixelForTick(n),c;if(!(e&&(i===1?c=Math.max(l-o,a-l):t===0?c=(s.getPixelForTick(1)-l)/2:c=(l-s.getPixelForTick(n-1))/2,l+=n<t?c:-c,l<o-r||l>a+r)))return l}function au(s,t){Y(s,e=>{const i=e.gc,n=i.length/2;let o;if(n>t){for(o=0;o<n;++o)delete e.data[i[o]];i.splice(0,n)}})}function pe(s){return s.drawTicks?s.tickLength:0}function xn(s,t){if(!s.display)return 0;const e=it(s.font,t),i=lt(s.padding);return(J(s.text)?s.text.length:1)*e.lineHeight+i.height}function ru(s,t){return Ht(s,{scale:t,type:"scale"})}function lu(s,t,e){return Ht(s,{tick:e,index:t,type:"tick"})}function cu(s,t,e){let i=pi(s);return(e&&t!=="right"||!e&&t==="right")&&(i=nu(i)),i}function hu(s,t,e,i){const{top:n,left:o,bottom:a,right:r,chart:l}=s,{chartArea:c,scales:h}=l;let d=0,u,f,g;const p=a-n,b=r-o;if(s.isHorizontal()){if(f=ot(i,o,r),j(e)){const _=Object.keys(e)[0],w=e[_];g=h[_].getPixelForValue(w)+p-t}else e==="center"?g=(c.bottom+c.top)/2+p-t:g=pn(s,e,t);u=r-o}else{if(j(e)){const _=Object.keys(e)[0],w=e[_];f=h[_].getPixelForValue(w)-b+t}else e==="center"?f=(c.left+c.right)/2-b+t:f=pn(s,e,t);g=ot(i,a,n),d=e==="left"?-et:et}return{titleX:f,titleY:g,maxWidth:u,rotation:d}}class ee extends yt{constructor(t){super(),this.id=t.id,this.type=t.type,this.options=void 0,this.ctx=t.ctx,this.chart=t.chart,this.top=void 0,this.bottom=void 0,this.left=void 0,this.right=void 0,this.width=void 0,this.height=void 0,this._margins={left:0,right:0,top:0,bottom:0},this.maxWidth=void 0,this.maxHeight=void 0,this.paddingTop=void 0,this.paddingBottom=void 0,this.paddingLeft=void 0,this.paddingRight=void 0,this.axis=void 0,this.labelRotation=void 0,this.min=void 0,this.max=void 0,this._range=void 0,this.ticks=[],this._gridLineItems=null,this._labelItems=null,this._labelSizes=null,this._length=0,this._maxLength=0,this._longestTextCache={},this._startPixel=void 0,this._endPixel=void 0,this._reversePixels=!1,this._userMax=void 0,this._userMin=void 0,this._suggestedMax=void 0,this._suggestedMin=void 0,this._ticksLength=0,this._borderValue=0,this._cache={},this._dataLimitsCached=!1,this.$context=void 0}init(t){this.options=t.setContext(this.getContext()),this.axis=t.axis,this._userMin=this.parse(t.min),this._userMax=this.parse(t.max),this._suggestedMin=this.parse(t.suggestedMin),this._suggestedMax=this.parse(t.suggestedMax)}parse(t,e){return t}getUserBounds(){let{_userMin:t,_userMax:e,_suggestedMin:i,_suggestedMax:n}=this;return t=ft(t,Number.POSITIVE_INFINITY),e=ft(e,Number.NEGATIVE_INFINITY),i=ft(i,Number.POSITIVE_INFINITY),n=ft(n,Number.NEGATIVE_INFINITY),{min:ft(t,i),max:ft(e,n),minDefined:tt(t),maxDefined:tt(e)}}getMinMax(t){let{min:e,max:i,minDefined:n,maxDefined:o}=this.getUserBounds(),a;if(n&&o)return{min:e,max:i};const r=this.getMatchingVisibleMetas();for(let l=0,c=r.length;l<c;++l)a=r[l].controller.getMinMax(this,t),n||(e=Math.min(e,a.min)),o||(i=Math.max(i,a.max));return e=o&&e>i?i:e,i=n&&e>i?e:i,{min:ft(e,ft(i,e)),max:ft(i,ft(e,i))}}getPadding(){return{left:this.paddingLeft||0,top:this.paddingTop||0,right:this.paddingRight||0,bottom:this.paddingBottom||0}}getTicks(){return this.ticks}getLabels(){const t=this.chart.data;return this.options.labels||(this.isHorizontal()?t.xLabels:t.yLabels)||t.labels||[]}getLabelItems(t=this.chart.chartArea){return this._labelItems||(this._labelItems=this._computeLabelItems(t))}beforeLayout(){this._cache={},this._dataLimitsCached=!1}beforeUpdate(){q(this.options.beforeUpdate,[this])}update(t,e,i){const{beginAtZero:n,grace:o,ticks:a}=this.options,r=a.sampleSize;this.beforeUpdate(),this.maxWidth=t,this.maxHeight=e,this._margins=i=Object.assign({left:0,right:0,top:0,bottom:0},i),this.ticks=null,this._labelSizes=null,this._gridLineItems=null,this._labelItems=null,this.beforeSetDimensions(),this.setDimensions(),this.afterSetDimensions(),this._maxLength=this.isHorizontal()?this.width+i.left+i.right:this.height+i.top+i.bottom,this._dataLimitsCached||(this.beforeDataLimits(),this.determineDataLimits(),this.afterDataLimits(),this._range=xh(this,o,n),this._dataLimitsCached=!0),this.beforeBuildTicks(),this.ticks=this.buildTicks()||[],this.afterBuildTicks();const l=r<this.ticks.length;this._convertTicksToLabels(l?bn(this.ticks,r):this.ticks),this.configure(),this.beforeCalculateLabelRotation(),this.calculateLabelRotation(),this.afterCalculateLabelRotation(),a.display&&(a.autoSkip||a.source==="auto")&&(this.ticks=Jd(this,this.ticks),this._labelSizes=null,this.afterAutoSkip()),l&&this._convertTicksToLabels(this.ticks),this.beforeFit(),this.fit(),this.afterFit(),this.afterUpdate()}configure(){let t=this.options.reverse,e,i;this.isHorizontal()?(e=this.left,i=this.right):(e=this.top,i=this.bottom,t=!t),this._startPixel=e,this._endPixel=i,this._reversePixels=t,this._length=i-e,this._alignToPixels=this.options.alignToPixels}afterUpdate(){q(this.options.afterUpdate,[this])}beforeSetDimensions(){q(this.options.beforeSetDimensions,[this])}setDimensions(){this.isHorizontal()?(this.width=this.maxWidth,this.left=0,this.right=this.width):(this.height=this.maxHeight,this.top=0,this.bottom=this.height),this.paddingLeft=0,this.paddingTop=0,this.paddingRight=0,this.paddingBottom=0}afterSetDimensions(){q(this.options.afterSetDimensions,[this])}_callHooks(t){this.chart.notifyPlugins(t,this.getContext()),q(this.options[t],[this])}beforeDataLimits(){this._callHooks("beforeDataLimits")}determineDataLimits(){}afterDataLimits(){this._callHooks("afterDataLimits")}beforeBuildTicks(){this._callHooks("beforeBuildTicks")}buildTicks(){return[]}afterBuildTicks(){this._callHooks("afterBuildTicks")}beforeTickToLabelConversion(){q(this.options.beforeTickToLabelConversion,[this])}generateTickLabels(t){const e=this.options.ticks;let i,n,o;for(i=0,n=t.length;i<n;i++)o=t[i],o.label=q(e.callback,[o.value,i,t],this)}afterTickToLabelConversion(){q(this.options.afterTickToLabelConversion,[this])}beforeCalculateLabelRotation(){q(this.options.beforeCalculateLabelRotation,[this])}calculateLabelRotation(){const t=this.options,e=t.ticks,i=mn(this.ticks.length,t.ticks.maxTicksLimit),n=e.minRotation||0,o=e.maxRotation;let a=n,r,l,c;if(!this._isVisible()||!e.display||n>=o||i<=1||!this.isHorizontal()){this.labelRotation=n;return}const h=this._getLabelSizes(),d=h.widest.width,u=h.highest.height,f=nt(this.chart.width-d,0,this.maxWidth);r=t.offset?this.maxWidth/i:f/(i-1),d+6>r&&(r=f/(i-(t.offset?.5:1)),l=this.maxHeight-pe(t.grid)-e.padding-xn(t.title,this.chart.options.font),c=Math.sqrt(d*d+u*u),a=fi(Math.min(Math.asin(nt((h.highest.height+6)/r,-1,1)),Math.asin(nt(l/c,-1,1))-Math.asin(nt(u/c,-1,1)))),a=Math.max(n,Math.min(o,a))),this.labelRotation=a}afterCalculateLabelRotation(){q(this.options.afterCalculateLabelRotation,[this])}afterAutoSkip(){}beforeFit(){q(this.options.beforeFit,[this])}fit(){const t={width:0,height:0},{chart:e,options:{ticks:i,title:n,grid:o}}=this,a=this._isVisible(),r=this.isHorizontal();if(a){const l=xn(n,e.options.font);if(r?(t.width=this.maxWidth,t.height=pe(o)+l):(t.height=this.maxHeight,t.width=pe(o)+l),i.display&&this.ticks.length){const{first:c,last:h,widest:d,highest:u}=this._getLabelSizes(),f=i.padding*2,g=_t(this.labelRotation),p=Math.cos(g),b=Math.sin(g);if(r){const _=i.mirror?0:b*d.width+p*u.height;t.height=Math.min(this.maxHeight,t.height+_+f)}else{const _=i.mirror?0:p*d.width+b*u.height;t.width=Math.min(this.maxWidth,t.width+_+f)}this._calculatePadding(c,h,b,p)}}this._handleMargins(),r?(this.width=this._length=e.width-this._margins.left-this._margins.right,this.height=t.height):(this.width=t.width,this.height=this._length=e.height-this._margins.top-this._margins.bottom)}_calculatePadding(t,e,i,n){const{ticks:{align:o,padding:a},position:r}=this.options,l=this.labelRotation!==0,c=r!=="top"&&this.axis==="x";if(this.isHorizontal()){const h=this.getPixelForTick(0)-this.left,d=this.right-this.getPixelForTick(this.ticks.length-1);let u=0,f=0;l?c?(u=n*t.width,f=i*e.height):(u=i*t.height,f=n*e.width):o==="start"?f=e.width:o==="end"?u=t.width:o!=="inner"&&(u=t.width/2,f=e.width/2),this.paddingLeft=Math.max((u-h+a)*this.width/(this.width-h),0),this.paddingRight=Math.max((f-d+a)*this.width/(this.width-d),0)}else{let h=e.height/2,d=t.height/2;o==="start"?(h=0,d=t.height):o==="end"&&(h=e.height,d=0),this.paddingTop=h+a,this.paddingBottom=d+a}}_handleMargins(){this._margins&&(this._margins.left=Math.max(this.paddingLeft,this._margins.left),this._margins.top=Math.max(this.paddingTop,this._margins.top),this._margins.right=Math.max(this.paddingRight,this._margins.right),this._margins.bottom=Math.max(this.paddingBottom,this._margins.bottom))}afterFit(){q(this.options.afterFit,[this])}isHorizontal(){const{axis:t,position:e}=this.options;return e==="top"||e==="bottom"||t==="x"}isFullSize(){return this.options.fullSize}_convertTicksToLabels(t){this.beforeTickToLabelConversion(),this.generateTickLabels(t);let e,i;for(e=0,i=t.length;e<i;e++)H(t[e].label)&&(t.splice(e,1),i--,e--);this.afterTickToLabelConversion()}_getLabelSizes(){let t=this._labelSizes;if(!t){const e=this.options.ticks.sampleSize;let i=this.ticks;e<i.length&&(i=bn(i,e)),this._labelSizes=t=this._computeLabelSizes(i,i.length,this.options.ticks.maxTicksLimit)}return t}_computeLabelSizes(t,e,i){const{ctx:n,_longestTextCache:o}=this,a=[],r=[],l=Math.floor(e/mn(e,i));let c=0,h=0,d,u,f,g,p,b,_,w,y,P,M;for(d=0;d<e;d+=l){if(g=t[d].label,p=this._resolveTickFontOptions(d),n.font=b=p.string,_=o[b]=o[b]||{data:{},gc:[]},w=p.lineHeight,y=P=0,!H(g)&&!J(g))y=bs(n,_.data,_.gc,y,g),P=w;else if(J(g))for(u=0,f=g.length;u<f;++u)M=g[u],!H(M)&&!J(M)&&(y=bs(n,_.data,_.gc,y,M),P+=w);a.push(y),r.push(P),c=Math.max(y,c),h=Math.max(P,h)}au(o,e);const v=a.indexOf(c),k=r.indexOf(h),x=D=>({width:a[D]||0,height:r[D]||0});return{first:x(0),last:x(e-1),widest:x(v),highest:x(k),widths:a,heights:r}}getLabelForValue(t){return t}getPixelForValue(t,e){return NaN}getValueForPixel(t){}getPixelForTick(t){const e=this.ticks;return t<0||t>e.length-1?null:this.getPixelForValue(e[t].value)}getPixelForDecimal(t){this._reversePixels&&(t=1-t);const e=this._startPixel+t*this._length;return Xc(this._alignToPixels?Ut(this.chart,e,0):e)}getDecimalForPixel(t){const e=(t-this._startPixel)/this._length;return this._reversePixels?1-e:e}getBasePixel(){return this.getPixelForValue(this.getBaseValue())}getBaseValue(){const{min:t,max:e}=this;return t<0&&e<0?e:t>0&&e>0?t:0}getContext(t){const e=this.ticks||[];if(t>=0&&t<e.length){const i=e[t];return i.$context||(i.$context=lu(this.getContext(),t,i))}return this.$context||(this.$context=ru(this.chart.getContext(),this))}_tickSize(){const t=this.options.ticks,e=_t(this.labelRotation),i=Math.abs(Math.cos(e)),n=Math.abs(Math.sin(e)),o=this._getLabelSizes(),a=t.autoSkipPadding||0,r=o?o.widest.width+a:0,l=o?o.highest.height+a:0;return this.isHorizontal()?l*i>r*n?r/i:l/n:l*n<r*i?l/i:r/n}_isVisible(){const t=this.options.display;return t!=="auto"?!!t:this.getMatchingVisibleMetas().length>0}_computeGridLineItems(t){const e=this.axis,i=this.chart,n=this.options,{grid:o,position:a,border:r}=n,l=o.offset,c=this.isHorizontal(),d=this.ticks.length+(l?1:0),u=pe(o),f=[],g=r.setContext(this.getContext()),p=g.display?g.width:0,b=p/2,_=function(N){return Ut(i,N,p)};let w,y,P,M,v,k,x,D,O,C,T,$;if(a==="top")w=_(this.bottom),k=this.bottom-u,D=w-b,C=_(t.top)+b,$=t.bottom;else if(a==="bottom")w=_(this.top),C=t.top,$=_(t.bottom)-b,k=w+b,D=this.top+u;else if(a==="left")w=_(this.right),v=this.right-u,x=w-b,O=_(t.left)+b,T=t.right;else if(a==="right")w=_(this.left),O=t.left,T=_(t.right)-b,v=w+b,x=this.left+u;else if(e==="x"){if(a==="center")w=_((t.top+t.bottom)/2+.5);else if(j(a)){const N=Object.keys(a)[0],W=a[N];w=_(this.chart.scales[N].getPixelForValue(W))}C=t.top,$=t.bottom,k=w+b,D=k+u}else if(e==="y"){if(a==="center")w=_((t.left+t.right)/2);else if(j(a)){const N=Object.keys(a)[0],W=a[N];w=_(this.chart.scales[N].getPixelForValue(W))}v=w-b,x=v-u,O=t.left,T=t.right}const st=V(n.ticks.maxTicksLimit,d),z=Math.max(1,Math.ceil(d/st));for(y=0;y<d;y+=z){const N=this.getContext(y),W=o.setContext(N),K=r.setContext(N),F=W.lineWidth,se=W.color,He=K.dash||[],ie=K.dashOffset,he=W.tickWidth,jt=W.tickColor,de=W.tickBorderDash||[],Nt=W.tickBorderDashOffset;P=ou(this,y,l),P!==void 0&&(M=Ut(i,P,F),c?v=x=O=T=M:k=D=C=$=M,f.push({tx1:v,ty1:k,tx2:x,ty2:D,x1:O,y1:C,x2:T,y2:$,width:F,color:se,borderDash:He,borderDashOffset:ie,tickWidth:he,tickColor:jt,tickBorderDash:de,tickBorderDashOffset:Nt}))}return this._ticksLength=d,this._borderValue=w,f}_computeLabelItems(t){const e=this.axis,i=this.options,{position:n,ticks:o}=i,a=this.isHorizontal(),r=this.ticks,{align:l,crossAlign:c,padding:h,mirror:d}=o,u=pe(i.grid),f=u+h,g=d?-h:f,p=-_t(this.labelRotation),b=[];let _,w,y,P,M,v,k,x,D,O,C,T,$="middle";if(n==="top")v=this.bottom-g,k=this._getXAxisLabelAlignment();else if(n==="bottom")v=this.top+g,k=this._getXAxisLabelAlignment();else if(n==="left"){const z=this._getYAxisLabelAlignment(u);k=z.textAlign,M=z.x}else if(n==="right"){const z=this._getYAxisLabelAlignment(u);k=z.textAlign,M=z.x}else if(e==="x"){if(n==="center")v=(t.top+t.bottom)/2+f;else if(j(n)){const z=Object.keys(n)[0],N=n[z];v=this.chart.scales[z].getPixelForValue(N)+f}k=this._getXAxisLabelAlignment()}else if(e==="y"){if(n==="center")M=(t.left+t.right)/2-f;else if(j(n)){const z=Object.keys(n)[0],N=n[z];M=this.chart.scales[z].getPixelForValue(N)}k=this._getYAxisLabelAlignment(u).textAlign}e==="y"&&(l==="start"?$="top":l==="end"&&($="bottom"));const st=this._getLabelSizes();for(_=0,w=r.length;_<w;++_){y=r[_],P=y.label;const z=o.setContext(this.getContext(_));x=this.getPixelForTick(_)+o.labelOffset,D=this._resolveTickFontOptions(_),O=D.lineHeight,C=J(P)?P.length:1;const N=C/2,W=z.color,K=z.textStrokeColor,F=z.textStrokeWidth;let se=k;a?(M=x,k==="inner"&&(_===w-1?se=this.options.reverse?"left":"right":_===0?se=this.options.reverse?"right":"left":se="center"),n==="top"?c==="near"||p!==0?T=-C*O+O/2:c==="center"?T=-st.highest.height/2-N*O+O:T=-st.highest.height+O/2:c==="near"||p!==0?T=O/2:c==="center"?T=st.highest.height/2-N*O:T=st.highest.height-C*O,d&&(T*=-1),p!==0&&!z.showLabelBackdrop&&(M+=O/2*Math.sin(p))):(v=x,T=(1-C)*O/2);let He;if(z.showLabelBackdrop){const ie=lt(z.backdropPadding),he=st.heights[_],jt=st.widths[_];let de=T-ie.top,Nt=0-ie.left;switch($){case"middle":de-=he/2;break;case"bottom":de-=he;break}switch(k){case"center":Nt-=jt/2;break;case"right":Nt-=jt;break;case"inner":_===w-1?Nt-=jt:_>0&&(Nt-=jt/2);break}He={left:Nt,top:de,width:jt+ie.width,height:he+ie.height,color:z.backdropColor}}b.push({label:P,font:D,textOffset:T,options:{rotation:p,color:W,strokeColor:K,strokeWidth:F,textAlign:se,textBaseline:$,translation:[M,v],backdrop:He}})}return b}_getXAxisLabelAlignment(){const{position:t,ticks:e}=this.options;if(-_t(this.labelRotation))return t==="top"?"left":"right";let n="center";return e.align==="start"?n="left":e.align==="end"?n="right":e.align==="inner"&&(n="inner"),n}_getYAxisLabelAlignment(t){const{position:e,ticks:{crossAlign:i,mirror:n,padding:o}}=this.options,a=this._getLabelSizes(),r=t+o,l=a.widest.width;let c,h;return e==="left"?n?(h=this.right+o,i==="near"?c="left":i==="center"?(c="center",h+=l/2):(c="right",h+=l)):(h=this.right-r,i==="near"?c="right":i==="center"?(c="center",h-=l/2):(c="left",h=this.left)):e==="right"?n?(h=this.left+o,i==="near"?c="right":i==="center"?(c="center",h-=l/2):(c="left",h-=l)):(h=this.left+r,i==="near"?c="left":i==="center"?(c="center",h+=l/2):(c="right",h=this.right)):c="right",{textAlign:c,x:h}}_computeLabelArea(){if(this.options.ticks.mirror)return;const t=this.chart,e=this.options.position;if(e==="left"||e==="right")return{top:0,left:this.left,bottom:t.height,right:this.right};if(e==="top"||e==="bottom")return{top:this.top,left:0,bottom:this.bottom,right:t.width}}drawBackground(){const{ctx:t,options:{backgroundColor:e},left:i,top:n,width:o,height:a}=this;e&&(t.save(),t.fillStyle=e,t.fillRect(i,n,o,a),t.restore())}getLineWidthForValue(t){const e=this.options.grid;if(!this._isVisible()||!e.display)return 0;const n=this.ticks.findIndex(o=>o.value===t);return n>=0?e.setContext(this.getContext(n)).lineWidth:0}drawGrid(t){const e=this.options.grid,i=this.ctx,n=this._gridLineItems||(this._gridLineItems=this._computeGridLineItems(t));let o,a;const r=(l,c,h)=>{!h.width||!h.color||(i.save(),i.lineWidth=h.width,i.strokeStyle=h.color,i.setLineDash(h.borderDash||[]),i.lineDashOffset=h.borderDashOffset,i.beginPath(),i.moveTo(l.x,l.y),i.lineTo(c.x,c.y),i.stroke(),i.restore())};if(e.display)for(o=0,a=n.length;o<a;++o){const l=n[o];e.drawOnChartArea&&r({x:l.x1,y:l.y1},{x:l.x2,y:l.y2},l),e.drawTicks&&r({x:l.tx1,y:l.ty1},{x:l.tx2,y:l.ty2},{color:l.tickColor,width:l.tickWidth,borderDash:l.tickBorderDash,borderDashOffset:l.tickBorderDashOffset})}}drawBorder(){const{chart:t,ctx:e,options:{border:i,grid:n}}=this,o=i.setContext(this.getContext()),a=i.display?o.width:0;if(!a)return;const r=n.setContext(this.getContext(0)).lineWidth,l=this._borderValue;let c,h,d,u;this.isHorizontal()?(c=Ut(t,this.left,a)-a/2,h=Ut(t,this.right,r)+r/2,d=u=l):(d=Ut(t,this.top,a)-a/2,u=Ut(t,this.bottom,r)+r/2,c=h=l),e.save(),e.lineWidth=o.width,e.strokeStyle=o.color,e.beginPath(),e.moveTo(c,d),e.lineTo(h,u),e.stroke(),e.restore()}drawLabels(t){if(!this.options.ticks.display)return;const i=this.ctx,n=this._computeLabelArea();n&&Cs(i,n);const o=this.getLabelItems(t);for(const a of o){const r=a.options,l=a.font,c=a.label,h=a.textOffset;te(i,c,0,h,l,r)}n&&As(i)}drawTitle(){const{ctx:t,options:{position:e,title:i,reverse:n}}=this;if(!i.display)return;const o=it(i.font),a=lt(i.padding),r=i.align;let l=o.lineHeight/2;e==="bottom"||e==="center"||j(e)?(l+=a.bottom,J(i.text)&&(l+=o.lineHeight*(i.text.length-1))):l+=a.top;const{titleX:c,titleY:h,maxWidth:d,rotation:u}=hu(this,l,e,r);te(t,i.text,0,0,o,{color:i.color,maxWidth:d,rotation:u,textAlign:cu(r,e,n),textBaseline:"middle",translation:[c,h]})}draw(t){this._isVisible()&&(this.drawBackground(),this.drawGrid(t),this.drawBorder(),this.drawTitle(),this.drawLabels(t))}_layers(){const t=this.options,e=t.ticks&&t.ticks.z||0,i=V(t.grid&&t.grid.z,-1),n=V(t.border&&t.border.z,0);return!this._isVisible()||this.draw!==ee.prototype.draw?[{z:e,draw:o=>{this.draw(o)}}]:[{z:i,draw:o=>{this.drawBackground(),this.drawGrid(o),this.drawTitle()}},{z:n,draw:()=>{this.drawBorder()}},{z:e,draw:o=>{this.drawLabels(o)}}]}getMatchingVisibleMetas(t){const e=this.chart.getSortedVisibleDatasetMetas(),i=this.axis+"AxisID",n=[];let o,a;for(o=0,a=e.length;o<a;++o){const r=e[o];r[i]===this.id&&(!t||r.type===t)&&n.push(r)}return n}_resolveTickFontOptions(t){const e=this.options.ticks.setContext(this.getContext(t));return it(e.font)}_maxDigits(){const t=this._resolveTickFontOptions(0).lineHeight;return(this.isHorizontal()?this.width:this.height)/t}}class Je{constructor(t,e,i){this.type=t,this.scope=e,this.override=i,this.items=Object.create(null)}isForType(t){return Object.prototype.isPrototypeOf.call(this.type.prototype,t.prototype)}register(t){const e=Object.getPrototypeOf(t);let i;fu(e)&&(i=this.register(e));const n=this.items,o=t.id,a=this.scope+"."+o;if(!o)throw new Error("class does not have id: "+t);return o in n||(n[o]=t,du(t,a,i),this.override&&Q.override(t.id,t.overrides)),a}get(t){return this.items[t]}unregister(t){const e=this.items,i=t.id,n=this.scope;i in e&&delete e[i],n&&i in Q[n]&&(delete Q[n][i],this.override&&delete Qt[i])}}function du(s,t,e){const i=Te(Object.create(null),[e?Q.get(e):{},Q.get(t),s.defaults]);Q.set(t,i),s.defaultRoutes&&uu(t,s.defaultRoutes),s.descriptors&&Q.describe(t,s.descriptors)}function uu(s,t){Object.keys(t).forEach(e=>{const i=e.split("."),n=i.pop(),o=[s].concat(i).join("."),a=t[e].split("."),r=a.pop(),l=a.join(".");Q.route(o,n,l,r)})}function fu(s){return"id"in s&&"defaults"in s}class gu{constructor(){this.controllers=new Je(vt,"datasets",!0),this.elements=new Je(yt,"elements"),this.plugins=new Je(Object,"plugins"),this.scales=new Je(ee,"scales"),this._typedRegistries=[this.controllers,this.scales,this.elements]}add(...t){this._each("register",t)}remove(...t){this._each("unregister",t)}addControllers(...t){this._each("register",t,this.controllers)}addElements(...t){this._each("register",t,this.elements)}addPlugins(...t){this._each("register",t,this.plugins)}addScales(...t){this._each("register",t,this.scales)}getController(t){return this._get(t,this.controllers,"controller")}getElement(t){return this._get(t,this.elements,"element")}getPlugin(t){return this._get(t,this.plugins,"plugin")}getScale(t){return this._get(t,this.scales,"scale")}removeControllers(...t){this._each("unregister",t,this.controllers)}removeElements(...t){this._each("unregister",t,this.elements)}removePlugins(...t){this._each("unregister",t,this.plugins)}removeScales(...t){this._each("unregister",t,this.scales)}_each(t,e,i){[...e].forEach(n=>{const o=i||this._getRegistryForType(n);i||o.isForType(n)||o===this.plugins&&n.id?this._exec(t,o,n):Y(n,a=>{const r=i||this._getRegistryForType(a);this._exec(t,r,a)})})}_exec(t,e,i){const n=ui(t);q(i["before"+n],[],i),e[t](i),q(i["after"+n],[],i)}_getRegistryForType(t){for(let e=0;e<this._typedRegistries.length;e++){const i=this._typedRegistries[e];if(i.isForType(t))return i}return this.plugins}_get(t,e,i){const n=e.get(t);if(n===void 0)throw new Error('"'+t+'" is not a registered '+i+".");return n}}var wt=new gu;class pu{constructor(){this._init=[]}notify(t,e,i,n){e==="beforeInit"&&(this._init=this._createDescriptors(t,!0),this._notify(this._init,t,"install"));const o=n?this._descriptors(t).filter(n):this._descriptors(t),a=this._notify(o,t,e,i);return e==="afterDestroy"&&(this._notify(o,t,"stop"),this._notify(this._init,t,"uninstall")),a}_notify(t,e,i,n){n=n||{};for(const o of t){const a=o.plugin,r=a[i],l=[e,n,o.options];if(q(r,l,a)===!1&&n.cancelable)return!1}return!0}invalidate(){H(this._cache)||(this._oldCache=this._cache,this._cache=void 0)}_descriptors(t){if(this._cache)return this._cache;const e=this._cache=this._createDescriptors(t);return this._notifyStateChanges(t),e}_createDescriptors(t,e){const i=t&&t.config,n=V(i.options&&i.options.plugins,{}),o=mu(i);return n===!1&&!e?[]:xu(t,o,n,e)}_notifyStateChanges(t){const e=this._oldCache||[],i=this._cache,n=(o,a)=>o.filter(r=>!a.some(l=>r.plugin.id===l.plugin.id));this._notify(n(e,i),t,"stop"),this._notify(n(i,e),t,"start")}}function mu(s){const t={},e=[],i=Object.keys(wt.plugins.items);for(let o=0;o<i.length;o++)e.push(wt.getPlugin(i[o]));const n=s.plugins||[];for(let o=0;o<n.length;o++){const a=n[o];e.indexOf(a)===-1&&(e.push(a),t[a.id]=!0)}return{plugins:e,localIds:t}}function bu(s,t){return!t&&s===!1?null:s===!0?{}:s}function xu(s,{plugins:t,localIds:e},i,n){const o=[],a=s.getContext();for(const r of t){const l=r.id,c=bu(i[l],n);c!==null&&o.push({plugin:r,options:_u(s.config,{plugin:r,local:e[l]},c,a)})}return o}function _u(s,{plugin:t,local:e},i,n){const o=s.pluginScopeKeys(t),a=s.getOptionScopes(i,o);return e&&t.defaults&&a.push(t.defaults),s.createResolver(a,n,[""],{scriptable:!1,indexable:!1,allKeys:!0})}function Js(s,t){const e=Q.datasets[s]||{};return((t.datasets||{})[s]||{}).indexAxis||t.indexAxis||e.indexAxis||"x"}function vu(s,t){let e=s;return s==="_index_"?e=t:s==="_value_"&&(e=t==="x"?"y":"x"),e}function yu(s,t){return s===t?"_index_":"_value_"}function _n(s){if(s==="x"||s==="y"||s==="r")return s}function ku(s){if(s==="top"||s==="bottom")return"x";if(s==="left"||s==="right")return"y"}function Qs(s,...t){if(_n(s))return s;for(const e of t){const i=e.axis||ku(e.position)||s.length>1&&_n(s[0].toLowerCase());if(i)return i}throw new Error(`Cannot determine type of '${s}' axis. Please provide 'axis' or 'position' option.`)}function vn(s,t,e){if(e[t+"AxisID"]===s)return{axis:t}}function wu(s,t){if(t.data&&t.data.datasets){const e=t.data.datasets.filter(i=>i.xAxisID===s||i.yAxisID===s);if(e.length)return vn(s,"x",e[0])||vn(s,"y",e[0])}return{}}function Mu(s,t){const e=Qt[s.type]||{scales:{}},i=t.scales||{},n=Js(s.type,t),o=Object.create(null);return Object.keys(i).forEach(a=>{const r=i[a];if(!j(r))return console.error(`Invalid scale configuration for scale: ${a}`);if(r._proxy)return console.warn(`Ignoring resolver passed as options for scale: ${a}`);const l=Qs(a,r,wu(a,s),Q.scales[r.type]),c=yu(l,n),h=e.scales||{};o[a]=we(Object.create(null),[{axis:l},r,h[l],h[c]])}),s.data.datasets.forEach(a=>{const r=a.type||s.type,l=a.indexAxis||Js(r,t),h=(Qt[r]||{}).scales||{};Object.keys(h).forEach(d=>{const u=vu(d,l),f=a[u+"AxisID"]||u;o[f]=o[f]||Object.create(null),we(o[f],[{axis:u},i[f],h[d]])})}),Object.keys(o).forEach(a=>{const r=o[a];we(r,[Q.scales[r.type],Q.scale])}),o}function Ko(s){const t=s.options||(s.options={});t.plugins=V(t.plugins,{}),t.scales=Mu(s,t)}function Go(s){return s=s||{},s.datasets=s.datasets||[],s.labels=s.labels||[],s}function Su(s){return s=s||{},s.data=Go(s.data),Ko(s),s}const yn=new Map,Zo=new Set;function Qe(s,t){let e=yn.get(s);return e||(e=t(),yn.set(s,e),Zo.add(e)),e}const me=(s,t,e)=>{const i=Vt(t,e);i!==void 0&&s.add(i)};class Pu{constructor(t){this._config=Su(t),this._scopeCache=new Map,this._resolverCache=new Map}get platform(){return this._config.platform}get type(){return this._config.type}set type(t){this._config.type=t}get data(){return this._config.data}set data(t){this._config.data=Go(t)}get options(){return this._config.options}set options(t){this._config.options=t}get plugins(){return this._config.plugins}update(){const t=this._config;this.clearCache(),Ko(t)}clearCache(){this._scopeCache.clear(),this._resolverCache.clear()}datasetScopeKeys(t){return Qe(t,()=>[[`datasets.${t}`,""]])}datasetAnimationScopeKeys(t,e){return Qe(`${t}.transition.${e}`,()=>[[`datasets.${t}.transitions.${e}`,`transitions.${e}`],[`datasets.${t}`,""]])}datasetElementScopeKeys(t,e){return Qe(`${t}-${e}`,()=>[[`datasets.${t}.elements.${e}`,`datasets.${t}`,`elements.${e}`,""]])}pluginScopeKeys(t){const e=t.id,i=this.type;return Qe(`${i}-plugin-${e}`,()=>[[`plugins.${e}`,...t.additionalOptionScopes||[]]])}_cachedScopes(t,e){const i=this._scopeCache;let n=i.get(t);return(!n||e)&&(n=new Map,i.set(t,n)),n}getOptionScopes(t,e,i){const{options:n,type:o}=this,a=this._cachedScopes(t,i),r=a.get(e);if(r)return r;const l=new Set;e.forEach(h=>{t&&(l.add(t),h.forEach(d=>me(l,t,d))),h.forEach(d=>me(l,n,d)),h.forEach(d=>me(l,Qt[o]||{},d)),h.forEach(d=>me(l,Q,d)),h.forEach(d=>me(l,Ks,d))});const c=Array.from(l);return c.length===0&&c.push(Object.create(null)),Zo.has(e)&&a.set(e,c),c}chartOptionScopes(){const{options:t,type:e}=this;return[t,Qt[e]||{},Q.datasets[e]||{},{type:e},Q,Ks]}resolveNamedOptions(t,e,i,n=[""]){const o={$shared:!0},{resolver:a,subPrefixes:r}=kn(this._resolverCache,t,n);let l=a;if(Cu(a,e)){o.$shared=!1,i=$t(i)?i():i;const c=this.createResolver(t,i,r);l=le(a,i,c)}for(const c of e)o[c]=l[c];return o}createResolver(t,e,i=[""],n){const{resolver:o}=kn(this._resolverCache,t,i);return j(e)?le(o,e,void 0,n):o}}function kn(s,t,e){let i=s.get(t);i||(i=new Map,s.set(t,i));const n=e.join();let o=i.get(n);return o||(o={resolver:xi(t,e),subPrefixes:e.filter(r=>!r.toLowerCase().includes("hover"))},i.set(n,o)),o}const Du=s=>j(s)&&Object.getOwnPropertyNames(s).some(t=>$t(s[t]));function Cu(s,t){const{isScriptable:e,isIndexable:i}=Ao(s);for(const n of t){const o=e(n),a=i(n),r=(a||o)&&s[n];if(o&&($t(r)||Du(r))||a&&J(r))return!0}return!1}var Au="4.4.9";const Ou=["top","bottom","left","right","chartArea"];function wn(s,t){return s==="top"||s==="bottom"||Ou.indexOf(s)===-1&&t==="x"}function Mn(s,t){return function(e,i){return e[s]===i[s]?e[t]-i[t]:e[s]-i[s]}}function Sn(s){const t=s.chart,e=t.options.animation;t.notifyPlugins("afterRender"),q(e&&e.onComplete,[s],t)}function Tu(s){const t=s.chart,e=t.options.animation;q(e&&e.onProgress,[s],t)}function Jo(s){return yi()&&typeof s=="string"?s=document.getElementById(s):s&&s.length&&(s=s[0]),s&&s.canvas&&(s=s.canvas),s}const hs={},Pn=s=>{const t=Jo(s);return Object.values(hs).filter(e=>e.canvas===t).pop()};function Ru(s,t,e){const i=Object.keys(s);for(const n of i){const o=+n;if(o>=t){const a=s[n];delete s[n],(e>0||o>t)&&(s[o+e]=a)}}}function Lu(s,t,e,i){return!e||s.type==="mouseout"?null:i?t:s}class At{static register(...t){wt.add(...t),Dn()}static unregister(...t){wt.remove(...t),Dn()}constructor(t,e){const i=this.config=new Pu(e),n=Jo(t),o=Pn(n);if(o)throw new Error("Canvas is already in use. Chart with ID '"+o.id+"' must be destroyed before the canvas with ID '"+o.canvas.id+"' can be reused.");const a=i.createResolver(i.chartOptionScopes(),this.getContext());this.platform=new(i.platform||Zd(n)),this.platform.updateConfig(i);const r=this.platform.acquireContext(n,a.aspectRatio),l=r&&r.canvas,c=l&&l.height,h=l&&l.width;if(this.id=Ec(),this.ctx=r,this.canvas=l,this.width=h,this.height=c,this._options=a,this._aspectRatio=this.aspectRatio,this._layers=[],this._metasets=[],this._stacks=void 0,this.boxes=[],this.currentDevicePixelRatio=void 0,this.chartArea=void 0,this._active=[],this._lastEvent=void 0,this._listeners={},this._responsiveListeners=void 0,this._sortedMetasets=[],this.scales={},this._plugins=new pu,this.$proxies={},this._hiddenIndices={},this.attached=!1,this._animationsDisabled=void 0,this.$context=void 0,this._doResize=Zc(d=>this.update(d),a.resizeDelay||0),this._dataChanges=[],hs[this.id]=this,!r||!l){console.error("Failed to create chart: can't acquire context from the given item");return}Pt.listen(this,"complete",Sn),Pt.listen(this,"progress",Tu),this._initialize(),this.attached&&this.update()}get aspectRatio(){const{options:{aspectRatio:t,maintainAspectRatio:e},width:i,height:n,_aspectRatio:o}=this;return H(t)?e&&o?o:n?i/n:null:t}get data(){return this.config.data}set data(t){this.config.data=t}get options(){return this._options}set options(t){this.config.options=t}get registry(){return wt}_initialize(){return this.notifyPlugins("beforeInit"),this.options.responsive?this.resize():qi(this,this.options.devicePixelRatio),this.bindEvents(),this.notifyPlugins("afterInit"),this}clear(){return Ui(this.canvas,this.ctx),this}stop(){return Pt.stop(this),this}resize(t,e){Pt.running(this)?this._resizeBeforeDraw={width:t,height:e}:this._resize(t,e)}_resize(t,e){const i=this.options,n=this.canvas,o=i.maintainAspectRatio&&this.aspectRatio,a=this.platform.getMaximumSize(n,t,e,o),r=i.devicePixelRatio||this.platform.getDevicePixelRatio(),l=this.width?"resize":"attach";this.width=a.width,this.height=a.height,this._aspectRatio=this.aspectRatio,qi(this,r,!0)&&(this.notifyPlugins("resize",{size:a}),q(i.onResize,[this,a],this),this.attached&&this._doResize(l)&&this.render())}ensureScalesHaveIDs(){const e=this.options.scales||{};Y(e,(i,n)=>{i.id=n})}buildOrUpdateScales(){const t=this.options,e=t.scales,i=this.scales,n=Object.keys(i).reduce((a,r)=>(a[r]=!1,a),{});let o=[];e&&(o=o.concat(Object.keys(e).map(a=>{const r=e[a],l=Qs(a,r),c=l==="r",h=l==="x";return{options:r,dposition:c?"chartArea":h?"bottom":"left",dtype:c?"radialLinear":h?"category":"linear"}}))),Y(o,a=>{const r=a.options,l=r.id,c=Qs(l,r),h=V(r.type,a.dtype);(r.position===void 0||wn(r.position,c)!==wn(a.dposition))&&(r.position=a.dposition),n[l]=!0;let d=null;if(l in i&&i[l].type===h)d=i[l];else{const u=wt.getScale(h);d=new u({id:l,type:h,ctx:this.ctx,chart:this}),i[d.id]=d}d.init(r,t)}),Y(n,(a,r)=>{a||delete i[r]}),Y(i,a=>{rt.configure(this,a,a.options),rt.addBox(this,a)})}_updateMetasets(){const t=this._metasets,e=this.data.datasets.length,i=t.length;if(t.sort((n,o)=>n.index-o.index),i>e){for(let n=e;n<i;++n)this._destroyDatasetMeta(n);t.splice(e,i-e)}this._sortedMetasets=t.slice(0).sort(Mn("order","index"))}_removeUnreferencedMetasets(){const{_metasets:t,data:{datasets:e}}=this;t.length>e.length&&delete this._stacks,t.forEach((i,n)=>{e.filter(o=>o===i._dataset).length===0&&this._destroyDatasetMeta(n)})}buildOrUpdateControllers(){const t=[],e=this.data.datasets;let i,n;for(this._removeUnreferencedMetasets(),i=0,n=e.length;i<n;i++){const o=e[i];let a=this.getDatasetMeta(i);const r=o.type||this.config.type;if(a.type&&a.type!==r&&(this._destroyDatasetMeta(i),a=this.getDatasetMeta(i)),a.type=r,a.indexAxis=o.indexAxis||Js(r,this.options),a.order=o.order||0,a.index=i,a.label=""+o.label,a.visible=this.isDatasetVisible(i),a.controller)a.controller.updateIndex(i),a.controller.linkScales();else{const l=wt.getController(r),{datasetElementType:c,dataElementType:h}=Q.datasets[r];Object.assign(l,{dataElementType:wt.getElement(h),datasetElementType:c&&wt.getElement(c)}),a.controller=new l(this,i),t.push(a.controller)}}return this._updateMetasets(),t}_resetElements(){Y(this.data.datasets,(t,e)=>{this.getDatasetMeta(e).controller.reset()},this)}reset(){this._resetElements(),this.notifyPlugins("reset")}update(t){const e=this.config;e.update();const i=this._options=e.createResolver(e.chartOptionScopes(),this.getContext()),n=this._animationsDisabled=!i.animation;if(this._updateScales(),this._checkEventBindings(),this._updateHiddenIndices(),this._plugins.invalidate(),this.notifyPlugins("beforeUpdate",{mode:t,cancelable:!0})===!1)return;const o=this.buildOrUpdateControllers();this.notifyPlugins("beforeElementsUpdate");let a=0;for(let c=0,h=this.data.datasets.length;c<h;c++){const{controller:d}=this.getDatasetMeta(c),u=!n&&o.indexOf(d)===-1;d.buildOrUpdateElements(u),a=Math.max(+d.getMaxOverflow(),a)}a=this._minPadding=i.layout.autoPadding?a:0,this._updateLayout(a),n||Y(o,c=>{c.reset()}),this._updateDatasets(t),this.notifyPlugins("afterUpdate",{mode:t}),this._layers.sort(Mn("z","_idx"));const{_active:r,_lastEvent:l}=this;l?this._eventHandler(l,!0):r.length&&this._updateHoverStyles(r,r,!0),this.render()}_updateScales(){Y(this.scales,t=>{rt.removeBox(this,t)}),this.ensureScalesHaveIDs(),this.buildOrUpdateScales()}_checkEventBindings(){const t=this.options,e=new Set(Object.keys(this._listeners)),i=new Set(t.events);(!Fi(e,i)||!!this._responsiveListeners!==t.responsive)&&(this.unbindEvents(),this.bindEvents())}_updateHiddenIndices(){const{_hiddenIndices:t}=this,e=this._getUniformDataChanges()||[];for(const{method:i,start:n,count:o}of e){const a=i==="_removeElements"?-o:o;Ru(t,n,a)}}_getUniformDataChanges(){const t=this._dataChanges;if(!t||!t.length)return;this._dataChanges=[];const e=this.data.datasets.length,i=o=>new Set(t.filter(a=>a[0]===o).map((a,r)=>r+","+a.splice(1).join(","))),n=i(0);for(let o=1;o<e;o++)if(!Fi(n,i(o)))return;return Array.from(n).map(o=>o.split(",")).map(o=>({method:o[1],start:+o[2],count:+o[3]}))}_updateLayout(t){if(this.notifyPlugins("beforeLayout",{cancelable:!0})===!1)return;rt.update(this,this.width,this.height,t);const e=this.chartArea,i=e.width<=0||e.height<=0;this._layers=[],Y(this.boxes,n=>{i&&n.position==="chartArea"||(n.configure&&n.configure(),this._layers.push(...n._layers()))},this),this._layers.forEach((n,o)=>{n._idx=o}),this.notifyPlugins("afterLayout")}_updateDatasets(t){if(this.notifyPlugins("beforeDatasetsUpdate",{mode:t,cancelable:!0})!==!1){for(let e=0,i=this.data.datasets.length;e<i;++e)this.getDatasetMeta(e).controller.configure();for(let e=0,i=this.data.datasets.length;e<i;++e)this._updateDataset(e,$t(t)?t({datasetIndex:e}):t);this.notifyPlugins("afterDatasetsUpdate",{mode:t})}}_updateDataset(t,e){const i=this.getDatasetMeta(t),n={meta:i,index:t,mode:e,cancelable:!0};this.notifyPlugins("beforeDatasetUpdate",n)!==!1&&(i.controller._update(e),n.cancelable=!1,this.notifyPlugins("afterDatasetUpdate",n))}render(){this.notifyPlugins("beforeRender",{cancelable:!0})!==!1&&(Pt.has(this)?this.attached&&!Pt.running(this)&&Pt.start(this):(this.draw(),Sn({chart:this})))}draw(){let t;if(this._resizeBeforeDraw){const{width:i,height:n}=this._resizeBeforeDraw;this._resizeBeforeDraw=null,this._resize(i,n)}if(this.clear(),this.width<=0||this.height<=0||this.notifyPlugins("beforeDraw",{cancelable:!0})===!1)return;const e=this._layers;for(t=0;t<e.length&&e[t].z<=0;++t)e[t].draw(this.chartArea);for(this._drawDatasets();t<e.length;++t)e[t].draw(this.chartArea);this.notifyPlugins("afterDraw")}_getSortedDatasetMetas(t){const e=this._sortedMetasets,i=[];let n,o;for(n=0,o=e.length;n<o;++n){const a=e[n];(!t||a.visible)&&i.push(a)}return i}getSortedVisibleDatasetMetas(){return this._getSortedDatasetMetas(!0)}_drawDatasets(){if(this.notifyPlugins("beforeDatasetsDraw",{cancelable:!0})===!1)return;const t=this.getSortedVisibleDatasetMetas();for(let e=t.length-1;e>=0;--e)this._drawDataset(t[e]);this.notifyPlugins("afterDatasetsDraw")}_drawDataset(t){const e=this.ctx,i={meta:t,index:t.index,cancelable:!0},n=$o(this,t);this.notifyPlugins("beforeDatasetDraw",i)!==!1&&(n&&Cs(e,n),t.controller.draw(),n&&As(e),i.cancelable=!1,this.notifyPlugins("afterDatasetDraw",i))}isPointInArea(t){return Rt(t,this.chartArea,this._minPadding)}getElementsAtEventForMode(t,e,i,n){const o=Od.modes[e];return typeof o=="function"?o(this,t,i,n):[]}getDatasetMeta(t){const e=this.data.datasets[t],i=this._metasets;let n=i.filter(o=>o&&o._dataset===e).pop();return n||(n={type:null,data:[],dataset:null,controller:null,hidden:null,xAxisID:null,yAxisID:null,order:e&&e.order||0,index:t,_dataset:e,_parsed:[],_sorted:!1},i.push(n)),n}getContext(){return this.$context||(this.$context=Ht(null,{chart:this,type:"chart"}))}getVisibleDatasetCount(){return this.getSortedVisibleDatasetMetas().length}isDatasetVisible(t){const e=this.data.datasets[t];if(!e)return!1;const i=this.getDatasetMeta(t);return typeof i.hidden=="boolean"?!i.hidden:!e.hidden}setDatasetVisibility(t,e){const i=this.getDatasetMeta(t);i.hidden=!e}toggleDataVisibility(t){this._hiddenIndices[t]=!this._hiddenIndices[t]}getDataVisibility(t){return!this._hiddenIndices[t]}_updateVisibility(t,e,i){const n=i?"show":"hide",o=this.getDatasetMeta(t),a=o.controller._resolveAnimations(void 0,n);Re(e)?(o.data[e].hidden=!i,this.update()):(this.setDatasetVisibility(t,i),a.update(o,{visible:i}),this.update(r=>r.datasetIndex===t?n:void 0))}hide(t,e){this._updateVisibility(t,e,!1)}show(t,e){this._updateVisibility(t,e,!0)}_destroyDatasetMeta(t){const e=this._metasets[t];e&&e.controller&&e.controller._destroy(),delete this._metasets[t]}_stop(){let t,e;for(this.stop(),Pt.remove(this),t=0,e=this.data.datasets.length;t<e;++t)this._destroyDatasetMeta(t)}destroy(){this.notifyPlugins("beforeDestroy");const{canvas:t,ctx:e}=this;this._stop(),this.config.clearCache(),t&&(this.unbindEvents(),Ui(t,e),this.platform.releaseContext(e),this.canvas=null,this.ctx=null),delete hs[this.id],this.notifyPlugins("afterDestroy")}toBase64Image(...t){return this.canvas.toDataURL(...t)}bindEvents(){this.bindUserEvents(),this.options.responsive?this.bindResponsiveEvents():this.attached=!0}bindUserEvents(){const t=this._listeners,e=this.platform,i=(o,a)=>{e.addEventListener(this,o,a),t[o]=a},n=(o,a,r)=>{o.offsetX=a,o.offsetY=r,this._eventHandler(o)};Y(this.options.events,o=>i(o,n))}bindResponsiveEvents(){this._responsiveListeners||(this._responsiveListeners={});const t=this._responsiveListeners,e=this.platform,i=(l,c)=>{e.addEventListener(this,l,c),t[l]=c},n=(l,c)=>{t[l]&&(e.removeEventListener(this,l,c),delete t[l])},o=(l,c)=>{this.canvas&&this.resize(l,c)};let a;const r=()=>{n("attach",r),this.attached=!0,this.resize(),i("resize",o),i("detach",a)};a=()=>{this.attached=!1,n("resize",o),this._stop(),this._resize(0,0),i("attach",r)},e.isAttached(this.canvas)?r():a()}unbindEvents(){Y(this._listeners,(t,e)=>{this.platform.removeEventListener(this,e,t)}),this._listeners={},Y(this._responsiveListeners,(t,e)=>{this.platform.removeEventListener(this,e,t)}),this._responsiveListeners=void 0}updateHoverStyle(t,e,i){const n=i?"set":"remove";let o,a,r,l;for(e==="dataset"&&(o=this.getDatasetMeta(t[0].datasetIndex),o.controller["_"+n+"DatasetHoverStyle"]()),r=0,l=t.length;r<l;++r){a=t[r];const c=a&&this.getDatasetMeta(a.datasetIndex).controller;c&&c[n+"HoverStyle"](a.element,a.datasetIndex,a.index)}}getActiveElements(){return this._active||[]}setActiveElements(t){const e=this._active||[],i=t.map(({datasetIndex:o,index:a})=>{const r=this.getDatasetMeta(o);if(!r)throw new Error("No dataset found at index "+o);return{datasetIndex:o,element:r.data[a],index:a}});!gs(i,e)&&(this._active=i,this._lastEvent=null,this._updateHoverStyles(i,e))}notifyPlugins(t,e,i){return this._plugins.notify(this,t,e,i)}isPluginEnabled(t){return this._plugins._cache.filter(e=>e.plugin.id===t).length===1}_updateHoverStyles(t,e,i){const n=this.options.hover,o=(l,c)=>l.filter(h=>!c.some(d=>h.datasetIndex===d.datasetIndex&&h.index===d.index)),a=o(e,t),r=i?t:o(t,e);a.length&&this.updateHoverStyle(a,n.mode,!1),r.length&&n.mode&&this.updateHoverStyle(r,n.mode,!0)}_eventHandler(t,e){const i={event:t,replay:e,cancelable:!0,inChartArea:this.isPointInArea(t)},n=a=>(a.options.events||this.options.events).includes(t.native.type);if(this.notifyPlugins("beforeEvent",i,n)===!1)return;const o=this._handleEvent(t,e,i.inChartArea);return i.cancelable=!1,this.notifyPlugins("afterEvent",i,n),(o||i.changed)&&this.render(),this}_handleEvent(t,e,i){const{_active:n=[],options:o}=this,a=e,r=this._getActiveElements(t,n,i,a),l=$c(t),c=Lu(t,this._lastEvent,i,l);i&&(this._lastEvent=null,q(o.onHover,[t,r,this],this),l&&q(o.onClick,[t,r,this],this));const h=!gs(r,n);return(h||e)&&(this._active=r,this._updateHoverStyles(r,n,e)),this._lastEvent=c,h}_getActiveElements(t,e,i,n){if(t.type==="mouseout")return[];if(!i)return e;const o=this.options.hover;return this.getElementsAtEventForMode(t,o.mode,o,n)}}A(At,"defaults",Q),A(At,"instances",hs),A(At,"overrides",Qt),A(At,"registry",wt),A(At,"version",Au),A(At,"getChart",Pn);function Dn(){return Y(At.instances,s=>s._plugins.invalidate())}function Eu(s,t,e){const{startAngle:i,pixelMargin:n,x:o,y:a,outerRadius:r,innerRadius:l}=t;let c=n/r;s.beginPath(),s.arc(o,a,r,i-c,e+c),l>n?(c=n/l,s.arc(o,a,l,e+c,i-c,!0)):s.arc(o,a,n,e+et,i-et),s.closePath(),s.clip()}function zu(s){return bi(s,["outerStart","outerEnd","innerStart","innerEnd"])}function Fu(s,t,e,i){const n=zu(s.options.borderRadius),o=(e-t)/2,a=Math.min(o,i*t/2),r=l=>{const c=(e-Math.min(o,l))*i/2;return nt(l,0,Math.min(o,c))};return{outerStart:r(n.outerStart),outerEnd:r(n.outerEnd),innerStart:nt(n.innerStart,0,a),innerEnd:nt(n.innerEnd,0,a)}}function oe(s,t,e,i){return{x:e+s*Math.cos(t),y:i+s*Math.sin(t)}}function vs(s,t,e,i,n,o){const{x:a,y:r,startAngle:l,pixelMargin:c,innerRadius:h}=t,d=Math.max(t.outerRadius+i+e-c,0),u=h>0?h+i+e+c:0;let f=0;const g=n-l;if(i){const z=h>0?h-i:0,N=d>0?d-i:0,W=(z+N)/2,K=W!==0?g*W/(W+i):g;f=(g-K)/2}const p=Math.max(.001,g*d-e/Z)/d,b=(g-p)/2,_=l+b+f,w=n-b-f,{outerStart:y,outerEnd:P,innerStart:M,innerEnd:v}=Fu(t,u,d,w-_),k=d-y,x=d-P,D=_+y/k,O=w-P/x,C=u+M,T=u+v,$=_+M/C,st=w-v/T;if(s.beginPath(),o){const z=(D+O)/2;if(s.arc(a,r,d,D,z),s.arc(a,r,d,z,O),P>0){const F=oe(x,O,a,r);s.arc(F.x,F.y,P,O,w+et)}const N=oe(T,w,a,r);if(s.lineTo(N.x,N.y),v>0){const F=oe(T,st,a,r);s.arc(F.x,F.y,v,w+et,st+Math.PI)}const W=(w-v/u+(_+M/u))/2;if(s.arc(a,r,u,w-v/u,W,!0),s.arc(a,r,u,W,_+M/u,!0),M>0){const F=oe(C,$,a,r);s.arc(F.x,F.y,M,$+Math.PI,_-et)}const K=oe(k,_,a,r);if(s.lineTo(K.x,K.y),y>0){const F=oe(k,D,a,r);s.arc(F.x,F.y,y,_-et,D)}}else{s.moveTo(a,r);const z=Math.cos(D)*d+a,N=Math.sin(D)*d+r;s.lineTo(z,N);const W=Math.cos(O)*d+a,K=Math.sin(O)*d+r;s.lineTo(W,K)}s.closePath()}function Iu(s,t,e,i,n){const{fullCircles:o,startAngle:a,circumference:r}=t;let l=t.endAngle;if(o){vs(s,t,e,i,l,n);for(let c=0;c<o;++c)s.fill();isNaN(r)||(l=a+(r%G||G))}return vs(s,t,e,i,l,n),s.fill(),l}function Bu(s,t,e,i,n){const{fullCircles:o,startAngle:a,circumference:r,options:l}=t,{borderWidth:c,borderJoinStyle:h,borderDash:d,borderDashOffset:u}=l,f=l.borderAlign==="inner";if(!c)return;s.setLineDash(d||[]),s.lineDashOffset=u,f?(s.lineWidth=c*2,s.lineJoin=h||"round"):(s.lineWidth=c,s.lineJoin=h||"bevel");let g=t.endAngle;if(o){vs(s,t,e,i,g,n);for(let p=0;p<o;++p)s.stroke();isNaN(r)||(g=a+(r%G||G))}f&&Eu(s,t,g),o||(vs(s,t,e,i,g,n),s.stroke())}class ve extends yt{constructor(e){super();A(this,"circumference");A(this,"endAngle");A(this,"fullCircles");A(this,"innerRadius");A(this,"outerRadius");A(this,"pixelMargin");A(this,"startAngle");this.options=void 0,this.circumference=void 0,this.startAngle=void 0,this.endAngle=void 0,this.innerRadius=void 0,this.outerRadius=void 0,this.pixelMargin=0,this.fullCircles=0,e&&Object.assign(this,e)}inRange(e,i,n){const o=this.getProps(["x","y"],n),{angle:a,distance:r}=_o(o,{x:e,y:i}),{startAngle:l,endAngle:c,innerRadius:h,outerRadius:d,circumference:u}=this.getProps(["startAngle","endAngle","innerRadius","outerRadius","circumference"],n),f=(this.options.spacing+this.options.borderWidth)/2,g=V(u,c-l),p=Le(a,l,c)&&l!==c,b=g>=G||p,_=Ot(r,h+f,d+f);return b&&_}getCenterPoint(e){const{x:i,y:n,startAngle:o,endAngle:a,innerRadius:r,outerRadius:l}=this.getProps(["x","y","startAngle","endAngle","innerRadius","outerRadius"],e),{offset:c,spacing:h}=this.options,d=(o+a)/2,u=(r+l+h+c)/2;return{x:i+Math.cos(d)*u,y:n+Math.sin(d)*u}}tooltipPosition(e){return this.getCenterPoint(e)}draw(e){const{options:i,circumference:n}=this,o=(i.offset||0)/4,a=(i.spacing||0)/2,r=i.circular;if(this.pixelMargin=i.borderAlign==="inner"?.33:0,this.fullCircles=n>G?Math.floor(n/G):0,n===0||this.innerRadius<0||this.outerRadius<0)return;e.save();const l=(this.startAngle+this.endAngle)/2;e.translate(Math.cos(l)*o,Math.sin(l)*o);const c=1-Math.sin(Math.min(Z,n||0)),h=o*c;e.fillStyle=i.backgroundColor,e.strokeStyle=i.borderColor,Iu(e,this,h,a,r),Bu(e,this,h,a,r),e.restore()}}A(ve,"id","arc"),A(ve,"defaults",{borderAlign:"center",borderColor:"#fff",borderDash:[],borderDashOffset:0,borderJoinStyle:void 0,borderRadius:0,borderWidth:2,offset:0,spacing:0,angle:void 0,circular:!0}),A(ve,"defaultRoutes",{backgroundColor:"backgroundColor"}),A(ve,"descriptors",{_scriptable:!0,_indexable:e=>e!=="borderDash"});function Qo(s,t,e=t){s.lineCap=V(e.borderCapStyle,t.borderCapStyle),s.setLineDash(V(e.borderDash,t.borderDash)),s.lineDashOffset=V(e.borderDashOffset,t.borderDashOffset),s.lineJoin=V(e.borderJoinStyle,t.borderJoinStyle),s.lineWidth=V(e.borderWidth,t.borderWidth),s.strokeStyle=V(e.borderColor,t.borderColor)}function Vu(s,t,e){s.lineTo(e.x,e.y)}function $u(s){return s.stepped?ch:s.tension||s.cubicInterpolationMode==="monotone"?hh:Vu}function ta(s,t,e={}){const i=s.length,{start:n=0,end:o=i-1}=e,{start:a,end:r}=t,l=Math.max(n,a),c=Math.min(o,r),h=n<a&&o<a||n>r&&o>r;return{count:i,start:l,loop:t.loop,ilen:c<l&&!h?i+c-l:c-l}}function Hu(s,t,e,i){const{points:n,options:o}=t,{count:a,start:r,loop:l,ilen:c}=ta(n,e,i),h=$u(o);let{move:d=!0,reverse:u}=i||{},f,g,p;for(f=0;f<=c;++f)g=n[(r+(u?c-f:f))%a],!g.skip&&(d?(s.moveTo(g.x,g.y),d=!1):h(s,p,g,u,o.stepped),p=g);return l&&(g=n[(r+(u?c:0))%a],h(s,p,g,u,o.stepped)),!!l}function ju(s,t,e,i){const n=t.points,{count:o,start:a,ilen:r}=ta(n,e,i),{move:l=!0,reverse:c}=i||{};let h=0,d=0,u,f,g,p,b,_;const w=P=>(a+(c?r-P:P))%o,y=()=>{p!==b&&(s.lineTo(h,b),s.lineTo(h,p),s.lineTo(h,_))};for(l&&(f=n[w(0)],s.moveTo(f.x,f.y)),u=0;u<=r;++u){if(f=n[w(u)],f.skip)continue;const P=f.x,M=f.y,v=P|0;v===g?(M<p?p=M:M>b&&(b=M),h=(d*h+P)/++d):(y(),s.lineTo(P,M),g=v,d=0,p=b=M),_=M}y()}function ti(s){const t=s.options,e=t.borderDash&&t.borderDash.length;return!s._decimated&&!s._loop&&!t.tension&&t.cubicInterpolationMode!=="monotone"&&!t.stepped&&!e?ju:Hu}function Nu(s){return s.stepped?jh:s.tension||s.cubicInterpolationMode==="monotone"?Nh:Kt}function Wu(s,t,e,i){let n=t._path;n||(n=t._path=new Path2D,t.path(n,e,i)&&n.closePath()),Qo(s,t.options),s.stroke(n)}function Uu(s,t,e,i){const{segments:n,options:o}=t,a=ti(t);for(const r of n)Qo(s,o,r.style),s.beginPath(),a(s,t,r,{start:e,end:e+i-1})&&s.closePath(),s.stroke()}const Yu=typeof Path2D=="function";function Xu(s,t,e,i){Yu&&!t.options.segment?Wu(s,t,e,i):Uu(s,t,e,i)}class Ft extends yt{constructor(t){super(),this.animated=!0,this.options=void 0,this._chart=void 0,this._loop=void 0,this._fullLoop=void 0,this._path=void 0,this._points=void 0,this._segments=void 0,this._decimated=!1,this._pointsUpdated=!1,this._datasetIndex=void 0,t&&Object.assign(this,t)}updateControlPoints(t,e){const i=this.options;if((i.tension||i.cubicInterpolationMode==="monotone")&&!i.stepped&&!this._pointsUpdated){const n=i.spanGaps?this._loop:this._fullLoop;Eh(this._points,i,t,n,e),this._pointsUpdated=!0}}set points(t){this._points=t,delete this._segments,delete this._path,this._pointsUpdated=!1}get points(){return this._points}get segments(){return this._segments||(this._segments=Kh(this,this.options.segment))}first(){const t=this.segments,e=this.points;return t.length&&e[t[0].start]}last(){const t=this.segments,e=this.points,i=t.length;return i&&e[t[i-1].end]}interpolate(t,e){const i=this.options,n=t[e],o=this.points,a=Vo(this,{property:e,start:n,end:n});if(!a.length)return;const r=[],l=Nu(i);let c,h;for(c=0,h=a.length;c<h;++c){const{start:d,end:u}=a[c],f=o[d],g=o[u];if(f===g){r.push(f);continue}const p=Math.abs((n-f[e])/(g[e]-f[e])),b=l(f,g,p,i.stepped);b[e]=t[e],r.push(b)}return r.length===1?r[0]:r}pathSegment(t,e,i){return ti(this)(t,this,e,i)}path(t,e,i){const n=this.segments,o=ti(this);let a=this._loop;e=e||0,i=i||this.points.length-e;for(const r of n)a&=o(t,this,r,{start:e,end:e+i-1});return!!a}draw(t,e,i,n){const o=this.options||{};(this.points||[]).length&&o.borderWidth&&(t.save(),Xu(t,this,i,n),t.restore()),this.animated&&(this._pointsUpdated=!1,this._path=void 0)}}A(Ft,"id","line"),A(Ft,"defaults",{borderCapStyle:"butt",borderDash:[],borderDashOffset:0,borderJoinStyle:"miter",borderWidth:3,capBezierPoints:!0,cubicInterpolationMode:"default",fill:!1,spanGaps:!1,stepped:!1,tension:0}),A(Ft,"defaultRoutes",{backgroundColor:"backgroundColor",borderColor:"borderColor"}),A(Ft,"descriptors",{_scriptable:!0,_indexable:t=>t!=="borderDash"&&t!=="fill"});function Cn(s,t,e,i){const n=s.options,{[e]:o}=s.getProps([e],i);return Math.abs(t-o)<n.radius+n.hitRadius}class ds extends yt{constructor(e){super();A(this,"parsed");A(this,"skip");A(this,"stop");this.options=void 0,this.parsed=void 0,this.skip=void 0,this.stop=void 0,e&&Object.assign(this,e)}inRange(e,i,n){const o=this.options,{x:a,y:r}=this.getProps(["x","y"],n);return Math.pow(e-a,2)+Math.pow(i-r,2)<Math.pow(o.hitRadius+o.radius,2)}inXRange(e,i){return Cn(this,e,"x",i)}inYRange(e,i){return Cn(this,e,"y",i)}getCenterPoint(e){const{x:i,y:n}=this.getProps(["x","y"],e);return{x:i,y:n}}size(e){e=e||this.options||{};let i=e.radius||0;i=Math.max(i,i&&e.hoverRadius||0);const n=i&&e.borderWidth||0;return(i+n)*2}draw(e,i){const n=this.options;this.skip||n.radius<.1||!Rt(this,i,this.size(n)/2)||(e.strokeStyle=n.borderColor,e.lineWidth=n.borderWidth,e.fillStyle=n.backgroundColor,Gs(e,n,this.x,this.y))}getRange(){const e=this.options||{};return e.radius+e.hitRadius}}A(ds,"id","point"),A(ds,"defaults",{borderWidth:1,hitRadius:1,hoverBorderWidth:1,hoverRadius:4,pointStyle:"circle",radius:3,rotation:0}),A(ds,"defaultRoutes",{backgroundColor:"backgroundColor",borderColor:"borderColor"});function ea(s,t){const{x:e,y:i,base:n,width:o,height:a}=s.getProps(["x","y","base","width","height"],t);let r,l,c,h,d;return s.horizontal?(d=a/2,r=Math.min(e,n),l=Math.max(e,n),c=i-d,h=i+d):(d=o/2,r=e-d,l=e+d,c=Math.min(i,n),h=Math.max(i,n)),{left:r,top:c,right:l,bottom:h}}function It(s,t,e,i){return s?0:nt(t,e,i)}function qu(s,t,e){const i=s.options.borderWidth,n=s.borderSkipped,o=Co(i);return{t:It(n.top,o.top,0,e),r:It(n.right,o.right,0,t),b:It(n.bottom,o.bottom,0,e),l:It(n.left,o.left,0,t)}}function Ku(s,t,e){const{enableBorderRadius:i}=s.getProps(["enableBorderRadius"]),n=s.options.borderRadius,o=Zt(n),a=Math.min(t,e),r=s.borderSkipped,l=i||j(n);return{topLeft:It(!l||r.top||r.left,o.topLeft,0,a),topRight:It(!l||r.top||r.right,o.topRight,0,a),bottomLeft:It(!l||r.bottom||r.left,o.bottomLeft,0,a),bottomRight:It(!l||r.bottom||r.right,o.bottomRight,0,a)}}function Gu(s){const t=ea(s),e=t.right-t.left,i=t.bottom-t.top,n=qu(s,e/2,i/2),o=Ku(s,e/2,i/2);return{outer:{x:t.left,y:t.top,w:e,h:i,radius:o},inner:{x:t.left+n.l,y:t.top+n.t,w:e-n.l-n.r,h:i-n.t-n.b,radius:{topLeft:Math.max(0,o.topLeft-Math.max(n.t,n.l)),topRight:Math.max(0,o.topRight-Math.max(n.t,n.r)),bottomLeft:Math.max(0,o.bottomLeft-Math.max(n.b,n.l)),bottomRight:Math.max(0,o.bottomRight-Math.max(n.b,n.r))}}}}function Ns(s,t,e,i){const n=t===null,o=e===null,r=s&&!(n&&o)&&ea(s,i);return r&&(n||Ot(t,r.left,r.right))&&(o||Ot(e,r.top,r.bottom))}function Zu(s){return s.topLeft||s.topRight||s.bottomLeft||s.bottomRight}function Ju(s,t){s.rect(t.x,t.y,t.w,t.h)}function Ws(s,t,e={}){const i=s.x!==e.x?-t:0,n=s.y!==e.y?-t:0,o=(s.x+s.w!==e.x+e.w?t:0)-i,a=(s.y+s.h!==e.y+e.h?t:0)-n;return{x:s.x+i,y:s.y+n,w:s.w+o,h:s.h+a,radius:s.radius}}class us extends yt{constructor(t){super(),this.options=void 0,this.horizontal=void 0,this.base=void 0,this.width=void 0,this.height=void 0,this.inflateAmount=void 0,t&&Object.assign(this,t)}draw(t){const{inflateAmount:e,options:{borderColor:i,backgroundColor:n}}=this,{inner:o,outer:a}=Gu(this),r=Zu(a.radius)?Ee:Ju;t.save(),(a.w!==o.w||a.h!==o.h)&&(t.beginPath(),r(t,Ws(a,e,o)),t.clip(),r(t,Ws(o,-e,a)),t.fillStyle=i,t.fill("evenodd")),t.beginPath(),r(t,Ws(o,e)),t.fillStyle=n,t.fill(),t.restore()}inRange(t,e,i){return Ns(this,t,e,i)}inXRange(t,e){return Ns(this,t,null,e)}inYRange(t,e){return Ns(this,null,t,e)}getCenterPoint(t){const{x:e,y:i,base:n,horizontal:o}=this.getProps(["x","y","base","horizontal"],t);return{x:o?(e+n)/2:e,y:o?i:(i+n)/2}}getRange(t){return t==="x"?this.width/2:this.height/2}}A(us,"id","bar"),A(us,"defaults",{borderSkipped:"start",borderWidth:0,borderRadius:0,inflateAmount:"auto",pointStyle:void 0}),A(us,"defaultRoutes",{backgroundColor:"backgroundColor",borderColor:"borderColor"});var Qu=Object.freeze({__proto__:null,ArcElement:ve,BarElement:us,LineElement:Ft,PointElement:ds});const ei=["rgb(54, 162, 235)","rgb(255, 99, 132)","rgb(255, 159, 64)","rgb(255, 205, 86)","rgb(75, 192, 192)","rgb(153, 102, 255)","rgb(201, 203, 207)"],An=ei.map(s=>s.replace("rgb(","rgba(").replace(")",", 0.5)"));function sa(s){return ei[s%ei.length]}function ia(s){return An[s%An.length]}function tf(s,t){return s.borderColor=sa(t),s.backgroundColor=ia(t),++t}function ef(s,t){return s.backgroundColor=s.data.map(()=>sa(t++)),t}function sf(s,t){return s.backgroundColor=s.data.map(()=>ia(t++)),t}function nf(s){let t=0;return(e,i)=>{const n=s.getDatasetMeta(i).controller;n instanceof Gt?t=ef(e,t):n instanceof De?t=sf(e,t):n&&(t=tf(e,t))}}function On(s){let t;for(t in s)if(s[t].borderColor||s[t].backgroundColor)return!0;return!1}function of(s){return s&&(s.borderColor||s.backgroundColor)}function af(){return Q.borderColor!=="rgba(0,0,0,0.1)"||Q.backgroundColor!=="rgba(0,0,0,0.1)"}var rf={id:"colors",defaults:{enabled:!0,forceOverride:!1},beforeLayout(s,t,e){if(!e.enabled)return;const{data:{datasets:i},options:n}=s.config,{elements:o}=n,a=On(i)||of(n)||o&&On(o)||af();if(!e.forceOverride&&a)return;const r=nf(s);i.forEach(r)}};function lf(s,t,e,i,n){const o=n.samples||i;if(o>=e)return s.slice(t,t+e);const a=[],r=(e-2)/(o-2);let l=0;const c=t+e-1;let h=t,d,u,f,g,p;for(a[l++]=s[h],d=0;d<o-2;d++){let b=0,_=0,w;const y=Math.floor((d+1)*r)+1+t,P=Math.min(Math.floor((d+2)*r)+1,e)+t,M=P-y;for(w=y;w<P;w++)b+=s[w].x,_+=s[w].y;b/=M,_/=M;const v=Math.floor(d*r)+1+t,k=Math.min(Math.floor((d+1)*r)+1,e)+t,{x,y:D}=s[h];for(f=g=-1,w=v;w<k;w++)g=.5*Math.abs((x-b)*(s[w].y-D)-(x-s[w].x)*(_-D)),g>f&&(f=g,u=s[w],p=w);a[l++]=u,h=p}return a[l++]=s[c],a}function cf(s,t,e,i){let n=0,o=0,a,r,l,c,h,d,u,f,g,p;const b=[],_=t+e-1,w=s[t].x,P=s[_].x-w;for(a=t;a<t+e;++a){r=s[a],l=(r.x-w)/P*i,c=r.y;const M=l|0;if(M===h)c<g?(g=c,d=a):c>p&&(p=c,u=a),n=(o*n+r.x)/++o;else{const v=a-1;if(!H(d)&&!H(u)){const k=Math.min(d,u),x=Math.max(d,u);k!==f&&k!==v&&b.push({...s[k],x:n}),x!==f&&x!==v&&b.push({...s[x],x:n})}a>0&&v!==f&&b.push(s[v]),b.push(r),h=M,o=0,g=p=c,d=u=f=a}}return b}function na(s){if(s._decimated){const t=s._data;delete s._decimated,delete s._data,Object.defineProperty(s,"data",{configurable:!0,enumerable:!0,writable:!0,value:t})}}function Tn(s){s.data.datasets.forEach(t=>{na(t)})}function hf(s,t){const e=t.length;let i=0,n;const{iScale:o}=s,{min:a,max:r,minDefined:l,maxDefined:c}=o.getUserBounds();return l&&(i=nt(Tt(t,o.axis,a).lo,0,e-1)),c?n=nt(Tt(t,o.axis,r).hi+1,i,e)-i:n=e-i,{start:i,count:n}}var df={id:"decimation",defaults:{algorithm:"min-max",enabled:!1},beforeElementsUpdate:(s,t,e)=>{if(!e.enabled){Tn(s);return}const i=s.width;s.data.datasets.forEach((n,o)=>{const{_data:a,indexAxis:r}=n,l=s.getDatasetMeta(o),c=a||n.data;if(xe([r,s.options.indexAxis])==="y"||!l.controller.supportsDecimation)return;const h=s.scales[l.xAxisID];if(h.type!=="linear"&&h.type!=="time"||s.options.parsing)return;let{start:d,count:u}=hf(l,c);const f=e.threshold||4*i;if(u<=f){na(n);return}H(a)&&(n._data=c,delete n.data,Object.defineProperty(n,"data",{configurable:!0,enumerable:!0,get:function(){return this._decimated},set:function(p){this._data=p}}));let g;switch(e.algorithm){case"lttb":g=lf(c,d,u,i,e);break;case"min-max":g=cf(c,d,u,i);break;default:throw new Error(`Unsupported decimation algorithm '${e.algorithm}'`)}n._decimated=g})},destroy(s){Tn(s)}};function uf(s,t,e){const i=s.segments,n=s.points,o=t.points,a=[];for(const r of i){let{start:l,end:c}=r;c=Mi(l,c,n);const h=si(e,n[l],n[c],r.loop);if(!t.segments){a.push({source:r,target:h,start:n[l],end:n[c]});continue}const d=Vo(t,h);for(const u of d){const f=si(e,o[u.start],o[u.end],u.loop),g=Bo(r,n,f);for(const p of g)a.push({source:p,target:u,start:{[e]:Rn(h,f,"start",Math.max)},end:{[e]:Rn(h,f,"end",Math.min)}})}}return a}function si(s,t,e,i){if(i)return;let n=t[s],o=e[s];return s==="angle"&&(n=gt(n),o=gt(o)),{property:s,start:n,end:o}}function ff(s,t){const{x:e=null,y:i=null}=s||{},n=t.points,o=[];return t.segments.forEach(({start:a,end:r})=>{r=Mi(a,r,n);const l=n[a],c=n[r];i!==null?(o.push({x:l.x,y:i}),o.push({x:c.x,y:i})):e!==null&&(o.push({x:e,y:l.y}),o.push({x:e,y:c.y}))}),o}function Mi(s,t,e){for(;t>s;t--){const i=e[t];if(!isNaN(i.x)&&!isNaN(i.y))break}return t}function Rn(s,t,e,i){return s&&t?i(s[e],t[e]):s?s[e]:t?t[e]:0}function oa(s,t){let e=[],i=!1;return J(s)?(i=!0,e=s):e=ff(s,t),e.length?new Ft({points:e,options:{tension:0},_loop:i,_fullLoop:i}):null}function Ln(s){return s&&s.fill!==!1}function gf(s,t,e){let n=s[t].fill;const o=[t];let a;if(!e)return n;for(;n!==!1&&o.indexOf(n)===-1;){if(!tt(n))return n;if(a=s[n],!a)return!1;if(a.visible)return n;o.push(n),n=a.fill}return!1}function pf(s,t,e){const i=_f(s);if(j(i))return isNaN(i.value)?!1:i;let n=parseFloat(i);return tt(n)&&Math.floor(n)===n?mf(i[0],t,n,e):["origin","start","end","stack","shape"].indexOf(i)>=0&&i}function mf(s,t,e,i){return(s==="-"||s==="+")&&(e=t+e),e===t||e<0||e>=i?!1:e}function bf(s,t){let e=null;return s==="start"?e=t.bottom:s==="end"?e=t.top:j(s)?e=t.getPixelForValue(s.value):t.getBasePixel&&(e=t.getBasePixel()),e}function xf(s,t,e){let i;return s==="start"?i=e:s==="end"?i=t.options.reverse?t.min:t.max:j(s)?i=s.value:i=t.getBaseValue(),i}function _f(s){const t=s.options,e=t.fill;let i=V(e&&e.target,e);return i===void 0&&(i=!!t.backgroundColor),i===!1||i===null?!1:i===!0?"origin":i}function vf(s){const{scale:t,index:e,line:i}=s,n=[],o=i.segments,a=i.points,r=yf(t,e);r.push(oa({x:null,y:t.bottom},i));for(let l=0;l<o.length;l++){const c=o[l];for(let h=c.start;h<=c.end;h++)kf(n,a[h],r)}return new Ft({points:n,options:{}})}function yf(s,t){const e=[],i=s.getMatchingVisibleMetas("line");for(let n=0;n<i.length;n++){const o=i[n];if(o.index===t)break;o.hidden||e.unshift(o.dataset)}return e}function kf(s,t,e){const i=[];for(let n=0;n<e.length;n++){const o=e[n],{first:a,last:r,point:l}=wf(o,t,"x");if(!(!l||a&&r)){if(a)i.unshift(l);else if(s.push(l),!r)break}}s.push(...i)}function wf(s,t,e){const i=s.interpolate(t,e);if(!i)return{};const n=i[e],o=s.segments,a=s.points;let r=!1,l=!1;for(let c=0;c<o.length;c++){const h=o[c],d=a[h.start][e],u=a[h.end][e];if(Ot(n,d,u)){r=n===d,l=n===u;break}}return{first:r,last:l,point:i}}class aa{constructor(t){this.x=t.x,this.y=t.y,this.radius=t.radius}pathSegment(t,e,i){const{x:n,y:o,radius:a}=this;return e=e||{start:0,end:G},t.arc(n,o,a,e.end,e.start,!0),!i.bounds}interpolate(t){const{x:e,y:i,radius:n}=this,o=t.angle;return{x:e+Math.cos(o)*n,y:i+Math.sin(o)*n,angle:o}}}function Mf(s){const{chart:t,fill:e,line:i}=s;if(tt(e))return Sf(t,e);if(e==="stack")return vf(s);if(e==="shape")return!0;const n=Pf(s);return n instanceof aa?n:oa(n,i)}function Sf(s,t){const e=s.getDatasetMeta(t);return e&&s.isDatasetVisible(t)?e.dataset:null}function Pf(s){return(s.scale||{}).getPointPositionForValue?Cf(s):Df(s)}function Df(s){const{scale:t={},fill:e}=s,i=bf(e,t);if(tt(i)){const n=t.isHorizontal();return{x:n?i:null,y:n?null:i}}return null}function Cf(s){const{scale:t,fill:e}=s,i=t.options,n=t.getLabels().length,o=i.reverse?t.max:t.min,a=xf(e,t,o),r=[];if(i.grid.circular){const l=t.getPointPositionForValue(0,o);return new aa({x:l.x,y:l.y,radius:t.getDistanceFromCenterForValue(a)})}for(let l=0;l<n;++l)r.push(t.getPointPositionForValue(l,a));return r}function Us(s,t,e){const i=Mf(t),{chart:n,index:o,line:a,scale:r,axis:l}=t,c=a.options,h=c.fill,d=c.backgroundColor,{above:u=d,below:f=d}=h||{},g=n.getDatasetMeta(o),p=$o(n,g);i&&a.points.length&&(Cs(s,e),Af(s,{line:a,target:i,above:u,below:f,area:e,scale:r,axis:l,clip:p}),As(s))}function Af(s,t){const{line:e,target:i,above:n,below:o,area:a,scale:r,clip:l}=t,c=e._loop?"angle":t.axis;s.save(),c==="x"&&o!==n&&(En(s,i,a.top),zn(s,{line:e,target:i,color:n,scale:r,property:c,clip:l}),s.restore(),s.save(),En(s,i,a.bottom)),zn(s,{line:e,target:i,color:o,scale:r,property:c,clip:l}),s.restore()}function En(s,t,e){const{segments:i,points:n}=t;let o=!0,a=!1;s.beginPath();for(const r of i){const{start:l,end:c}=r,h=n[l],d=n[Mi(l,c,n)];o?(s.moveTo(h.x,h.y),o=!1):(s.lineTo(h.x,e),s.lineTo(h.x,h.y)),a=!!t.pathSegment(s,r,{move:a}),a?s.closePath():s.lineTo(d.x,e)}s.lineTo(t.first().x,e),s.closePath(),s.clip()}function zn(s,t){const{line:e,target:i,property:n,color:o,scale:a,clip:r}=t,l=uf(e,i,n);for(const{source:c,target:h,start:d,end:u}of l){const{style:{backgroundColor:f=o}={}}=c,g=i!==!0;s.save(),s.fillStyle=f,Of(s,a,r,g&&si(n,d,u)),s.beginPath();const p=!!e.pathSegment(s,c);let b;if(g){p?s.closePath():Fn(s,i,u,n);const _=!!i.pathSegment(s,h,{move:p,reverse:!0});b=p&&_,b||Fn(s,i,d,n)}s.closePath(),s.fill(b?"evenodd":"nonzero"),s.restore()}}function Of(s,t,e,i){const n=t.chart.chartArea,{property:o,start:a,end:r}=i||{};if(o==="x"||o==="y"){let l,c,h,d;o==="x"?(l=a,c=n.top,h=r,d=n.bottom):(l=n.left,c=a,h=n.right,d=r),s.beginPath(),e&&(l=Math.max(l,e.left),h=Math.min(h,e.right),c=Math.max(c,e.top),d=Math.min(d,e.bottom)),s.rect(l,c,h-l,d-c),s.clip()}}function Fn(s,t,e,i){const n=t.interpolate(e,i);n&&s.lineTo(n.x,n.y)}var Tf={id:"filler",afterDatasetsUpdate(s,t,e){const i=(s.data.datasets||[]).length,n=[];let o,a,r,l;for(a=0;a<i;++a)o=s.getDatasetMeta(a),r=o.dataset,l=null,r&&r.options&&r instanceof Ft&&(l={visible:s.isDatasetVisible(a),index:a,fill:pf(r,a,i),chart:s,axis:o.controller.options.indexAxis,scale:o.vScale,line:r}),o.$filler=l,n.push(l);for(a=0;a<i;++a)l=n[a],!(!l||l.fill===!1)&&(l.fill=gf(n,a,e.propagate))},beforeDraw(s,t,e){const i=e.drawTime==="beforeDraw",n=s.getSortedVisibleDatasetMetas(),o=s.chartArea;for(let a=n.length-1;a>=0;--a){const r=n[a].$filler;r&&(r.line.updateControlPoints(o,r.axis),i&&r.fill&&Us(s.ctx,r,o))}},beforeDatasetsDraw(s,t,e){if(e.drawTime!=="beforeDatasetsDraw")return;const i=s.getSortedVisibleDatasetMetas();for(let n=i.length-1;n>=0;--n){const o=i[n].$filler;Ln(o)&&Us(s.ctx,o,s.chartArea)}},beforeDatasetDraw(s,t,e){const i=t.meta.$filler;!Ln(i)||e.drawTime!=="beforeDatasetDraw"||Us(s.ctx,i,s.chartArea)},defaults:{propagate:!0,drawTime:"beforeDatasetDraw"}};const In=(s,t)=>{let{boxHeight:e=t,boxWidth:i=t}=s;return s.usePointStyle&&(e=Math.min(e,t),i=s.pointStyleWidth||Math.min(i,t)),{boxWidth:i,boxHeight:e,itemHeight:Math.max(t,e)}},Rf=(s,t)=>s!==null&&t!==null&&s.datasetIndex===t.datasetIndex&&s.index===t.index;class Bn extends yt{constructor(t){super(),this._added=!1,this.legendHitBoxes=[],this._hoveredItem=null,this.doughnutMode=!1,this.chart=t.chart,this.options=t.options,this.ctx=t.ctx,this.legendItems=void 0,this.columnSizes=void 0,this.lineWidths=void 0,this.maxHeight=void 0,this.maxWidth=void 0,this.top=void 0,this.bottom=void 0,this.left=void 0,this.right=void 0,this.height=void 0,this.width=void 0,this._margins=void 0,this.position=void 0,this.weight=void 0,this.fullSize=void 0}update(t,e,i){this.maxWidth=t,this.maxHeight=e,this._margins=i,this.setDimensions(),this.buildLabels(),this.fit()}setDimensions(){this.isHorizontal()?(this.width=this.maxWidth,this.left=this._margins.left,this.right=this.width):(this.height=this.maxHeight,this.top=this._margins.top,this.bottom=this.height)}buildLabels(){const t=this.options.labels||{};let e=q(t.generateLabels,[this.chart],this)||[];t.filter&&(e=e.filter(i=>t.filter(i,this.chart.data))),t.sort&&(e=e.sort((i,n)=>t.sort(i,n,this.chart.data))),this.options.reverse&&e.reverse(),this.legendItems=e}fit(){const{options:t,ctx:e}=this;if(!t.display){this.width=this.height=0;return}const i=t.labels,n=it(i.font),o=n.size,a=this._computeTitleHeight(),{boxWidth:r,itemHeight:l}=In(i,o);let c,h;e.font=n.string,this.isHorizontal()?(c=this.maxWidth,h=this._fitRows(a,o,r,l)+10):(h=this.maxHeight,c=this._fitCols(a,n,r,l)+10),this.width=Math.min(c,t.maxWidth||this.maxWidth),this.height=Math.min(h,t.maxHeight||this.maxHeight)}_fitRows(t,e,i,n){const{ctx:o,maxWidth:a,options:{labels:{padding:r}}}=this,l=this.legendHitBoxes=[],c=this.lineWidths=[0],h=n+r;let d=t;o.textAlign="left",o.textBaseline="middle";let u=-1,f=-h;return this.legendItems.forEach((g,p)=>{const b=i+e/2+o.measureText(g.text).width;(p===0||c[c.length-1]+b+2*r>a)&&(d+=h,c[c.length-(p>0?0:1)]=0,f+=h,u++),l[p]={left:0,top:f,row:u,width:b,height:n},c[c.length-1]+=b+r}),d}_fitCols(t,e,i,n){const{ctx:o,maxHeight:a,options:{labels:{padding:r}}}=this,l=this.legendHitBoxes=[],c=this.columnSizes=[],h=a-t;let d=r,u=0,f=0,g=0,p=0;return this.legendItems.forEach((b,_)=>{const{itemWidth:w,itemHeight:y}=Lf(i,e,o,b,n);_>0&&f+y+2*r>h&&(d+=u+r,c.push({width:u,height:f}),g+=u+r,p++,u=f=0),l[_]={left:g,top:f,col:p,width:w,height:y},u=Math.max(u,w),f+=y+r}),d+=u,c.push({width:u,height:f}),d}adjustHitBoxes(){if(!this.options.display)return;const t=this._computeTitleHeight(),{legendHitBoxes:e,options:{align:i,labels:{padding:n},rtl:o}}=this,a=ae(o,this.left,this.width);if(this.isHorizontal()){let r=0,l=ot(i,this.left+n,this.right-this.lineWidths[r]);for(const c of e)r!==c.row&&(r=c.row,l=ot(i,this.left+n,this.right-this.lineWidths[r])),c.top+=this.top+t+n,c.left=a.leftForLtr(a.x(l),c.width),l+=c.width+n}else{let r=0,l=ot(i,this.top+t+n,this.bottom-this.columnSizes[r].height);for(const c of e)c.col!==r&&(r=c.col,l=ot(i,this.top+t+n,this.bottom-this.columnSizes[r].height)),c.top=l,c.left+=this.left+n,c.left=a.leftForLtr(a.x(c.left),c.width),l+=c.height+n}}isHorizontal(){return this.options.position==="top"||this.options.position==="bottom"}draw(){if(this.options.display){const t=this.ctx;Cs(t,this),this._draw(),As(t)}}_draw(){const{options:t,columnSizes:e,lineWidths:i,ctx:n}=this,{align:o,labels:a}=t,r=Q.color,l=ae(t.rtl,this.left,this.width),c=it(a.font),{padding:h}=a,d=c.size,u=d/2;let f;this.drawTitle(),n.textAlign=l.textAlign("left"),n.textBaseline="middle",n.lineWidth=.5,n.font=c.string;const{boxWidth:g,boxHeight:p,itemHeight:b}=In(a,d),_=function(v,k,x){if(isNaN(g)||g<=0||isNaN(p)||p<0)return;n.save();const D=V(x.lineWidth,1);if(n.fillStyle=V(x.fillStyle,r),n.lineCap=V(x.lineCap,"butt"),n.lineDashOffset=V(x.lineDashOffset,0),n.lineJoin=V(x.lineJoin,"miter"),n.lineWidth=D,n.strokeStyle=V(x.strokeStyle,r),n.setLineDash(V(x.lineDash,[])),a.usePointStyle){const O={radius:p*Math.SQRT2/2,pointStyle:x.pointStyle,rotation:x.rotation,borderWidth:D},C=l.xPlus(v,g/2),T=k+u;Do(n,O,C,T,a.pointStyleWidth&&g)}else{const O=k+Math.max((d-p)/2,0),C=l.leftForLtr(v,g),T=Zt(x.borderRadius);n.beginPath(),Object.values(T).some($=>$!==0)?Ee(n,{x:C,y:O,w:g,h:p,radius:T}):n.rect(C,O,g,p),n.fill(),D!==0&&n.stroke()}n.restore()},w=function(v,k,x){te(n,x.text,v,k+b/2,c,{strikethrough:x.hidden,textAlign:l.textAlign(x.textAlign)})},y=this.isHorizontal(),P=this._computeTitleHeight();y?f={x:ot(o,this.left+h,this.right-i[0]),y:this.top+h+P,line:0}:f={x:this.left+h,y:ot(o,this.top+P+h,this.bottom-e[0].height),line:0},zo(this.ctx,t.textDirection);const M=b+h;this.legendItems.forEach((v,k)=>{n.strokeStyle=v.fontColor,n.fillStyle=v.fontColor;const x=n.measureText(v.text).width,D=l.textAlign(v.textAlign||(v.textAlign=a.textAlign)),O=g+u+x;let C=f.x,T=f.y;l.setWidth(this.width),y?k>0&&C+O+h>this.right&&(T=f.y+=M,f.line++,C=f.x=ot(o,this.left+h,this.right-i[f.line])):k>0&&T+M>this.bottom&&(C=f.x=C+e[f.line].width+h,f.line++,T=f.y=ot(o,this.top+P+h,this.bottom-e[f.line].height));const $=l.x(C);if(_($,T,v),C=Jc(D,C+g+u,y?C+O:this.right,t.rtl),w(l.x(C),T,v),y)f.x+=O+h;else if(typeof v.text!="string"){const st=c.lineHeight;f.y+=ra(v,st)+h}else f.y+=M}),Fo(this.ctx,t.textDirection)}drawTitle(){const t=this.options,e=t.title,i=it(e.font),n=lt(e.padding);if(!e.display)return;const o=ae(t.rtl,this.left,this.width),a=this.ctx,r=e.position,l=i.size/2,c=n.top+l;let h,d=this.left,u=this.width;if(this.isHorizontal())u=Math.max(...this.lineWidths),h=this.top+c,d=ot(t.align,d,this.right-u);else{const g=this.columnSizes.reduce((p,b)=>Math.max(p,b.height),0);h=c+ot(t.align,this.top,this.bottom-g-t.labels.padding-this._computeTitleHeight())}const f=ot(r,d,d+u);a.textAlign=o.textAlign(pi(r)),a.textBaseline="middle",a.strokeStyle=e.color,a.fillStyle=e.color,a.font=i.string,te(a,e.text,f,h,i)}_computeTitleHeight(){const t=this.options.title,e=it(t.font),i=lt(t.padding);return t.display?e.lineHeight+i.height:0}_getLegendItemAt(t,e){let i,n,o;if(Ot(t,this.left,this.right)&&Ot(e,this.top,this.bottom)){for(o=this.legendHitBoxes,i=0;i<o.length;++i)if(n=o[i],Ot(t,n.left,n.left+n.width)&&Ot(e,n.top,n.top+n.height))return this.legendItems[i]}return null}handleEvent(t){const e=this.options;if(!Ff(t.type,e))return;const i=this._getLegendItemAt(t.x,t.y);if(t.type==="mousemove"||t.type==="mouseout"){const n=this._hoveredItem,o=Rf(n,i);n&&!o&&q(e.onLeave,[t,n,this],this),this._hoveredItem=i,i&&!o&&q(e.onHover,[t,i,this],this)}else i&&q(e.onClick,[t,i,this],this)}}function Lf(s,t,e,i,n){const o=Ef(i,s,t,e),a=zf(n,i,t.lineHeight);return{itemWidth:o,itemHeight:a}}function Ef(s,t,e,i){let n=s.text;return n&&typeof n!="string"&&(n=n.reduce((o,a)=>o.length>a.length?o:a)),t+e.size/2+i.measureText(n).width}function zf(s,t,e){let i=s;return typeof t.text!="string"&&(i=ra(t,e)),i}function ra(s,t){const e=s.text?s.text.length:0;return t*e}function Ff(s,t){return!!((s==="mousemove"||s==="mouseout")&&(t.onHover||t.onLeave)||t.onClick&&(s==="click"||s==="mouseup"))}var If={id:"legend",_element:Bn,start(s,t,e){const i=s.legend=new Bn({ctx:s.ctx,options:e,chart:s});rt.configure(s,i,e),rt.addBox(s,i)},stop(s){rt.removeBox(s,s.legend),delete s.legend},beforeUpdate(s,t,e){const i=s.legend;rt.configure(s,i,e),i.options=e},afterUpdate(s){const t=s.legend;t.buildLabels(),t.adjustHitBoxes()},afterEvent(s,t){t.replay||s.legend.handleEvent(t.event)},defaults:{display:!0,position:"top",align:"center",fullSize:!0,reverse:!1,weight:1e3,onClick(s,t,e){const i=t.datasetIndex,n=e.chart;n.isDatasetVisible(i)?(n.hide(i),t.hidden=!0):(n.show(i),t.hidden=!1)},onHover:null,onLeave:null,labels:{color:s=>s.chart.options.color,boxWidth:40,padding:10,generateLabels(s){const t=s.data.datasets,{labels:{usePointStyle:e,pointStyle:i,textAlign:n,color:o,useBorderRadius:a,borderRadius:r}}=s.legend.options;return s._getSortedDatasetMetas().map(l=>{const c=l.controller.getStyle(e?0:void 0),h=lt(c.borderWidth);return{text:t[l.index].label,fillStyle:c.backgroundColor,fontColor:o,hidden:!l.visible,lineCap:c.borderCapStyle,lineDash:c.borderDash,lineDashOffset:c.borderDashOffset,lineJoin:c.borderJoinStyle,lineWidth:(h.width+h.height)/4,strokeStyle:c.borderColor,pointStyle:i||c.pointStyle,rotation:c.rotation,textAlign:n||c.textAlign,borderRadius:a&&(r||c.borderRadius),datasetIndex:l.index}},this)}},title:{color:s=>s.chart.options.color,display:!1,position:"center",text:""}},descriptors:{_scriptable:s=>!s.startsWith("on"),labels:{_scriptable:s=>!["generateLabels","filter","sort"].includes(s)}}};class Si extends yt{constructor(t){super(),this.chart=t.chart,this.options=t.options,this.ctx=t.ctx,this._padding=void 0,this.top=void 0,this.bottom=void 0,this.left=void 0,this.right=void 0,this.width=void 0,this.height=void 0,this.position=void 0,this.weight=void 0,this.fullSize=void 0}update(t,e){const i=this.options;if(this.left=0,this.top=0,!i.display){this.width=this.height=this.right=this.bottom=0;return}this.width=this.right=t,this.height=this.bottom=e;const n=J(i.text)?i.text.length:1;this._padding=lt(i.padding);const o=n*it(i.font).lineHeight+this._padding.height;this.isHorizontal()?this.height=o:this.width=o}isHorizontal(){const t=this.options.position;return t==="top"||t==="bottom"}_drawArgs(t){const{top:e,left:i,bottom:n,right:o,options:a}=this,r=a.align;let l=0,c,h,d;return this.isHorizontal()?(h=ot(r,i,o),d=e+t,c=o-i):(a.position==="left"?(h=i+t,d=ot(r,n,e),l=Z*-.5):(h=o-t,d=ot(r,e,n),l=Z*.5),c=n-e),{titleX:h,titleY:d,maxWidth:c,rotation:l}}draw(){const t=this.ctx,e=this.options;if(!e.display)return;const i=it(e.font),o=i.lineHeight/2+this._padding.top,{titleX:a,titleY:r,maxWidth:l,rotation:c}=this._drawArgs(o);te(t,e.text,0,0,i,{color:e.color,maxWidth:l,rotation:c,textAlign:pi(e.align),textBaseline:"middle",translation:[a,r]})}}function Bf(s,t){const e=new Si({ctx:s.ctx,options:t,chart:s});rt.configure(s,e,t),rt.addBox(s,e),s.titleBlock=e}var Vf={id:"title",_element:Si,start(s,t,e){Bf(s,e)},stop(s){const t=s.titleBlock;rt.removeBox(s,t),delete s.titleBlock},beforeUpdate(s,t,e){const i=s.titleBlock;rt.configure(s,i,e),i.options=e},defaults:{align:"center",display:!1,font:{weight:"bold"},fullSize:!0,padding:10,position:"top",text:"",weight:2e3},defaultRoutes:{color:"color"},descriptors:{_scriptable:!0,_indexable:!1}};const ts=new WeakMap;var $f={id:"subtitle",start(s,t,e){const i=new Si({ctx:s.ctx,options:e,chart:s});rt.configure(s,i,e),rt.addBox(s,i),ts.set(s,i)},stop(s){rt.removeBox(s,ts.get(s)),ts.delete(s)},beforeUpdate(s,t,e){const i=ts.get(s);rt.configure(s,i,e),i.options=e},defaults:{align:"center",display:!1,font:{weight:"normal"},fullSize:!0,padding:0,position:"top",text:"",weight:1500},defaultRoutes:{color:"color"},descriptors:{_scriptable:!0,_indexable:!1}};const ye={average(s){if(!s.length)return!1;let t,e,i=new Set,n=0,o=0;for(t=0,e=s.length;t<e;++t){const r=s[t].element;if(r&&r.hasValue()){const l=r.tooltipPosition();i.add(l.x),n+=l.y,++o}}return o===0||i.size===0?!1:{x:[...i].reduce((r,l)=>r+l)/i.size,y:n/o}},nearest(s,t){if(!s.length)return!1;let e=t.x,i=t.y,n=Number.POSITIVE_INFINITY,o,a,r;for(o=0,a=s.length;o<a;++o){const l=s[o].element;if(l&&l.hasValue()){const c=l.getCenterPoint(),h=qs(t,c);h<n&&(n=h,r=l)}}if(r){const l=r.tooltipPosition();e=l.x,i=l.y}return{x:e,y:i}}};function kt(s,t){return t&&(J(t)?Array.prototype.push.apply(s,t):s.push(t)),s}function Dt(s){return(typeof s=="string"||s instanceof String)&&s.indexOf(`
 `)>-1?s.split(`
-`):s}function Hf(s,t){const{element:e,datasetIndex:i,index:n}=t,o=s.getDatasetMeta(i).controller,{label:a,value:r}=o.getLabelAndValue(n);return{chart:s,label:a,parsed:o.getParsed(n),raw:s.data.datasets[i].data[n],formattedValue:r,dataset:o.getDataset(),dataIndex:n,datasetIndex:i,element:e}}function Vn(s,t){const e=s.chart.ctx,{body:i,footer:n,title:o}=s,{boxWidth:a,boxHeight:r}=t,l=it(t.bodyFont),c=it(t.titleFont),h=it(t.footerFont),d=o.length,u=n.length,f=i.length,g=lt(t.padding);let p=g.height,b=0,_=i.reduce((P,M)=>P+M.before.length+M.lines.length+M.after.length,0);if(_+=s.beforeBody.length+s.afterBody.length,d&&(p+=d*c.lineHeight+(d-1)*t.titleSpacing+t.titleMarginBottom),_){const P=t.displayColors?Math.max(r,l.lineHeight):l.lineHeight;p+=f*P+(_-f)*l.lineHeight+(_-1)*t.bodySpacing}u&&(p+=t.footerMarginTop+u*h.lineHeight+(u-1)*t.footerSpacing);let w=0;const y=function(P){b=Math.max(b,e.measureText(P).width+w)};return e.save(),e.font=c.string,Y(s.title,y),e.font=l.string,Y(s.beforeBody.concat(s.afterBody),y),w=t.displayColors?a+2+t.boxPadding:0,Y(i,P=>{Y(P.before,y),Y(P.lines,y),Y(P.after,y)}),w=0,e.font=h.string,Y(s.footer,y),e.restore(),b+=g.width,{width:b,height:p}}function jf(s,t){const{y:e,height:i}=t;return e<i/2?"top":e>s.height-i/2?"bottom":"center"}function Nf(s,t,e,i){const{x:n,width:o}=i,a=e.caretSize+e.caretPadding;if(s==="left"&&n+o+a>t.width||s==="right"&&n-o-a<0)return!0}function Wf(s,t,e,i){const{x:n,width:o}=e,{width:a,chartArea:{left:r,right:l}}=s;let c="center";return i==="center"?c=n<=(r+l)/2?"left":"right":n<=o/2?c="left":n>=a-o/2&&(c="right"),Nf(c,s,t,e)&&(c="center"),c}function $n(s,t,e){const i=e.yAlign||t.yAlign||jf(s,e);return{xAlign:e.xAlign||t.xAlign||Wf(s,t,e,i),yAlign:i}}function Uf(s,t){let{x:e,width:i}=s;return t==="right"?e-=i:t==="center"&&(e-=i/2),e}function Yf(s,t,e){let{y:i,height:n}=s;return t==="top"?i+=e:t==="bottom"?i-=n+e:i-=n/2,i}function Hn(s,t,e,i){const{caretSize:n,caretPadding:o,cornerRadius:a}=s,{xAlign:r,yAlign:l}=e,c=n+o,{topLeft:h,topRight:d,bottomLeft:u,bottomRight:f}=Zt(a);let g=Uf(t,r);const p=Yf(t,l,c);return l==="center"?r==="left"?g+=c:r==="right"&&(g-=c):r==="left"?g-=Math.max(h,u)+n:r==="right"&&(g+=Math.max(d,f)+n),{x:nt(g,0,i.width-t.width),y:nt(p,0,i.height-t.height)}}function es(s,t,e){const i=lt(e.padding);return t==="center"?s.x+s.width/2:t==="right"?s.x+s.width-i.right:s.x+i.left}function jn(s){return kt([],Dt(s))}function Xf(s,t,e){return Ht(s,{tooltip:t,tooltipItems:e,type:"tooltip"})}function Nn(s,t){const e=t&&t.dataset&&t.dataset.tooltip&&t.dataset.tooltip.callbacks;return e?s.override(e):s}const la={beforeTitle:St,title(s){if(s.length>0){const t=s[0],e=t.chart.data.labels,i=e?e.length:0;if(this&&this.options&&this.options.mode==="dataset")return t.dataset.label||"";if(t.label)return t.label;if(i>0&&t.dataIndex<i)return e[t.dataIndex]}return""},afterTitle:St,beforeBody:St,beforeLabel:St,label(s){if(this&&this.options&&this.options.mode==="dataset")return s.label+": "+s.formattedValue||s.formattedValue;let t=s.dataset.label||"";t&&(t+=": ");const e=s.formattedValue;return H(e)||(t+=e),t},labelColor(s){const e=s.chart.getDatasetMeta(s.datasetIndex).controller.getStyle(s.dataIndex);return{borderColor:e.borderColor,backgroundColor:e.backgroundColor,borderWidth:e.borderWidth,borderDash:e.borderDash,borderDashOffset:e.borderDashOffset,borderRadius:0}},labelTextColor(){return this.options.bodyColor},labelPointStyle(s){const e=s.chart.getDatasetMeta(s.datasetIndex).controller.getStyle(s.dataIndex);return{pointStyle:e.pointStyle,rotation:e.rotation}},afterLabel:St,afterBody:St,beforeFooter:St,footer:St,afterFooter:St};function ht(s,t,e,i){const n=s[t].call(e,i);return typeof n>"u"?la[t].call(e,i):n}class ii extends yt{constructor(t){super(),this.opacity=0,this._active=[],this._eventPosition=void 0,this._size=void 0,this._cachedAnimations=void 0,this._tooltipItems=[],this.$animations=void 0,this.$context=void 0,this.chart=t.chart,this.options=t.options,this.dataPoints=void 0,this.title=void 0,this.beforeBody=void 0,this.body=void 0,this.afterBody=void 0,this.footer=void 0,this.xAlign=void 0,this.yAlign=void 0,this.x=void 0,this.y=void 0,this.height=void 0,this.width=void 0,this.caretX=void 0,this.caretY=void 0,this.labelColors=void 0,this.labelPointStyles=void 0,this.labelTextColors=void 0}initialize(t){this.options=t,this._cachedAnimations=void 0,this.$context=void 0}_resolveAnimations(){const t=this._cachedAnimations;if(t)return t;const e=this.chart,i=this.options.setContext(this.getContext()),n=i.enabled&&e.options.animation&&i.animations,o=new Ho(this.chart,n);return n._cacheable&&(this._cachedAnimations=Object.freeze(o)),o}getContext(){return this.$context||(this.$context=Xf(this.chart.getContext(),this,this._tooltipItems))}getTitle(t,e){const{callbacks:i}=e,n=ht(i,"beforeTitle",this,t),o=ht(i,"title",this,t),a=ht(i,"afterTitle",this,t);let r=[];return r=kt(r,Dt(n)),r=kt(r,Dt(o)),r=kt(r,Dt(a)),r}getBeforeBody(t,e){return jn(ht(e.callbacks,"beforeBody",this,t))}getBody(t,e){const{callbacks:i}=e,n=[];return Y(t,o=>{const a={before:[],lines:[],after:[]},r=Nn(i,o);kt(a.before,Dt(ht(r,"beforeLabel",this,o))),kt(a.lines,ht(r,"label",this,o)),kt(a.after,Dt(ht(r,"afterLabel",this,o))),n.push(a)}),n}getAfterBody(t,e){return jn(ht(e.callbacks,"afterBody",this,t))}getFooter(t,e){const{callbacks:i}=e,n=ht(i,"beforeFooter",this,t),o=ht(i,"footer",this,t),a=ht(i,"afterFooter",this,t);let r=[];return r=kt(r,Dt(n)),r=kt(r,Dt(o)),r=kt(r,Dt(a)),r}_createItems(t){const e=this._active,i=this.chart.data,n=[],o=[],a=[];let r=[],l,c;for(l=0,c=e.length;l<c;++l)r.push(Hf(this.chart,e[l]));return t.filter&&(r=r.filter((h,d,u)=>t.filter(h,d,u,i))),t.itemSort&&(r=r.sort((h,d)=>t.itemSort(h,d,i))),Y(r,h=>{const d=Nn(t.callbacks,h);n.push(ht(d,"labelColor",this,h)),o.push(ht(d,"labelPointStyle",this,h)),a.push(ht(d,"labelTextColor",this,h))}),this.labelColors=n,this.labelPointStyles=o,this.labelTextColors=a,this.dataPoints=r,r}update(t,e){const i=this.options.setContext(this.getContext()),n=this._active;let o,a=[];if(!n.length)this.opacity!==0&&(o={opacity:0});else{const r=ye[i.position].call(this,n,this._eventPosition);a=this._createItems(i),this.title=this.getTitle(a,i),this.beforeBody=this.getBeforeBody(a,i),this.body=this.getBody(a,i),this.afterBody=this.getAfterBody(a,i),this.footer=this.getFooter(a,i);const l=this._size=Vn(this,i),c=Object.assign({},r,l),h=$n(this.chart,i,c),d=Hn(i,c,h,this.chart);this.xAlign=h.xAlign,this.yAlign=h.yAlign,o={opacity:1,x:d.x,y:d.y,width:l.width,height:l.height,caretX:r.x,caretY:r.y}}this._tooltipItems=a,this.$context=void 0,o&&this._resolveAnimations().update(this,o),t&&i.external&&i.external.call(this,{chart:this.chart,tooltip:this,replay:e})}drawCaret(t,e,i,n){const o=this.getCaretPosition(t,i,n);e.lineTo(o.x1,o.y1),e.lineTo(o.x2,o.y2),e.lineTo(o.x3,o.y3)}getCaretPosition(t,e,i){const{xAlign:n,yAlign:o}=this,{caretSize:a,cornerRadius:r}=i,{topLeft:l,topRight:c,bottomLeft:h,bottomRight:d}=Zt(r),{x:u,y:f}=t,{width:g,height:p}=e;let b,_,w,y,P,M;return o==="center"?(P=f+p/2,n==="left"?(b=u,_=b-a,y=P+a,M=P-a):(b=u+g,_=b+a,y=P-a,M=P+a),w=b):(n==="left"?_=u+Math.max(l,h)+a:n==="right"?_=u+g-Math.max(c,d)-a:_=this.caretX,o==="top"?(y=f,P=y-a,b=_-a,w=_+a):(y=f+p,P=y+a,b=_+a,w=_-a),M=y),{x1:b,x2:_,x3:w,y1:y,y2:P,y3:M}}drawTitle(t,e,i){const n=this.title,o=n.length;let a,r,l;if(o){const c=ae(i.rtl,this.x,this.width);for(t.x=es(this,i.titleAlign,i),e.textAlign=c.textAlign(i.titleAlign),e.textBaseline="middle",a=it(i.titleFont),r=i.titleSpacing,e.fillStyle=i.titleColor,e.font=a.string,l=0;l<o;++l)e.fillText(n[l],c.x(t.x),t.y+a.lineHeight/2),t.y+=a.lineHeight+r,l+1===o&&(t.y+=i.titleMarginBottom-r)}}_drawColorBox(t,e,i,n,o){const a=this.labelColors[i],r=this.labelPointStyles[i],{boxHeight:l,boxWidth:c}=o,h=it(o.bodyFont),d=es(this,"left",o),u=n.x(d),f=l<h.lineHeight?(h.lineHeight-l)/2:0,g=e.y+f;if(o.usePointStyle){const p={radius:Math.min(c,l)/2,pointStyle:r.pointStyle,rotation:r.rotation,borderWidth:1},b=n.leftForLtr(u,c)+c/2,_=g+l/2;t.strokeStyle=o.multiKeyBackground,t.fillStyle=o.multiKeyBackground,Gs(t,p,b,_),t.strokeStyle=a.borderColor,t.fillStyle=a.backgroundColor,Gs(t,p,b,_)}else{t.lineWidth=j(a.borderWidth)?Math.max(...Object.values(a.borderWidth)):a.borderWidth||1,t.strokeStyle=a.borderColor,t.setLineDash(a.borderDash||[]),t.lineDashOffset=a.borderDashOffset||0;const p=n.leftForLtr(u,c),b=n.leftForLtr(n.xPlus(u,1),c-2),_=Zt(a.borderRadius);Object.values(_).some(w=>w!==0)?(t.beginPath(),t.fillStyle=o.multiKeyBackground,Ee(t,{x:p,y:g,w:c,h:l,radius:_}),t.fill(),t.stroke(),t.fillStyle=a.backgroundColor,t.beginPath(),Ee(t,{x:b,y:g+1,w:c-2,h:l-2,radius:_}),t.fill()):(t.fillStyle=o.multiKeyBackground,t.fillRect(p,g,c,l),t.strokeRect(p,g,c,l),t.fillStyle=a.backgroundColor,t.fillRect(b,g+1,c-2,l-2))}t.fillStyle=this.labelTextColors[i]}drawBody(t,e,i){const{body:n}=this,{bodySpacing:o,bodyAlign:a,displayColors:r,boxHeight:l,boxWidth:c,boxPadding:h}=i,d=it(i.bodyFont);let u=d.lineHeight,f=0;const g=ae(i.rtl,this.x,this.width),p=function(x){e.fillText(x,g.x(t.x+f),t.y+u/2),t.y+=u+o},b=g.textAlign(a);let _,w,y,P,M,v,k;for(e.textAlign=a,e.textBaseline="middle",e.font=d.string,t.x=es(this,b,i),e.fillStyle=i.bodyColor,Y(this.beforeBody,p),f=r&&b!=="right"?a==="center"?c/2+h:c+2+h:0,P=0,v=n.length;P<v;++P){for(_=n[P],w=this.labelTextColors[P],e.fillStyle=w,Y(_.before,p),y=_.lines,r&&y.length&&(this._drawColorBox(e,t,P,g,i),u=Math.max(d.lineHeight,l)),M=0,k=y.length;M<k;++M)p(y[M]),u=d.lineHeight;Y(_.after,p)}f=0,u=d.lineHeight,Y(this.afterBody,p),t.y-=o}drawFooter(t,e,i){const n=this.footer,o=n.length;let a,r;if(o){const l=ae(i.rtl,this.x,this.width);for(t.x=es(this,i.footerAlign,i),t.y+=i.footerMarginTop,e.textAlign=l.textAlign(i.footerAlign),e.textBaseline="middle",a=it(i.footerFont),e.fillStyle=i.footerColor,e.font=a.string,r=0;r<o;++r)e.fillText(n[r],l.x(t.x),t.y+a.lineHeight/2),t.y+=a.lineHeight+i.footerSpacing}}drawBackground(t,e,i,n){const{xAlign:o,yAlign:a}=this,{x:r,y:l}=t,{width:c,height:h}=i,{topLeft:d,topRight:u,bottomLeft:f,bottomRight:g}=Zt(n.cornerRadius);e.fillStyle=n.backgroundColor,e.strokeStyle=n.borderColor,e.lineWidth=n.borderWidth,e.beginPath(),e.moveTo(r+d,l),a==="top"&&this.drawCaret(t,e,i,n),e.lineTo(r+c-u,l),e.quadraticCurveTo(r+c,l,r+c,l+u),a==="center"&&o==="right"&&this.drawCaret(t,e,i,n),e.lineTo(r+c,l+h-g),e.quadraticCurveTo(r+c,l+h,r+c-g,l+h),a==="bottom"&&this.drawCaret(t,e,i,n),e.lineTo(r+f,l+h),e.quadraticCurveTo(r,l+h,r,l+h-f),a==="center"&&o==="left"&&this.drawCaret(t,e,i,n),e.lineTo(r,l+d),e.quadraticCurveTo(r,l,r+d,l),e.closePath(),e.fill(),n.borderWidth>0&&e.stroke()}_updateAnimationTarget(t){const e=this.chart,i=this.$animations,n=i&&i.x,o=i&&i.y;if(n||o){const a=ye[t.position].call(this,this._active,this._eventPosition);if(!a)return;const r=this._size=Vn(this,t),l=Object.assign({},a,this._size),c=$n(e,t,l),h=Hn(t,l,c,e);(n._to!==h.x||o._to!==h.y)&&(this.xAlign=c.xAlign,this.yAlign=c.yAlign,this.width=r.width,this.height=r.height,this.caretX=a.x,this.caretY=a.y,this._resolveAnimations().update(this,h))}}_willRender(){return!!this.opacity}draw(t){const e=this.options.setContext(this.getContext());let i=this.opacity;if(!i)return;this._updateAnimationTarget(e);const n={width:this.width,height:this.height},o={x:this.x,y:this.y};i=Math.abs(i)<.001?0:i;const a=lt(e.padding),r=this.title.length||this.beforeBody.length||this.body.length||this.afterBody.length||this.footer.length;e.enabled&&r&&(t.save(),t.globalAlpha=i,this.drawBackground(o,t,n,e),zo(t,e.textDirection),o.y+=a.top,this.drawTitle(o,t,e),this.drawBody(o,t,e),this.drawFooter(o,t,e),Fo(t,e.textDirection),t.restore())}getActiveElements(){return this._active||[]}setActiveElements(t,e){const i=this._active,n=t.map(({datasetIndex:r,index:l})=>{const c=this.chart.getDatasetMeta(r);if(!c)throw new Error("Cannot find a dataset at index "+r);return{datasetIndex:r,element:c.data[l],index:l}}),o=!gs(i,n),a=this._positionChanged(n,e);(o||a)&&(this._active=n,this._eventPosition=e,this._ignoreReplayEvents=!0,this.update(!0))}handleEvent(t,e,i=!0){if(e&&this._ignoreReplayEvents)return!1;this._ignoreReplayEvents=!1;const n=this.options,o=this._active||[],a=this._getActiveElements(t,o,e,i),r=this._positionChanged(a,t),l=e||!gs(a,o)||r;return l&&(this._active=a,(n.enabled||n.external)&&(this._eventPosition={x:t.x,y:t.y},this.update(!0,e))),l}_getActiveElements(t,e,i,n){const o=this.options;if(t.type==="mouseout")return[];if(!n)return e.filter(r=>this.chart.data.datasets[r.datasetIndex]&&this.chart.getDatasetMeta(r.datasetIndex).controller.getParsed(r.index)!==void 0);const a=this.chart.getElementsAtEventForMode(t,o.mode,o,i);return o.reverse&&a.reverse(),a}_positionChanged(t,e){const{caretX:i,caretY:n,options:o}=this,a=ye[o.position].call(this,t,e);return a!==!1&&(i!==a.x||n!==a.y)}}A(ii,"positioners",ye);var qf={id:"tooltip",_element:ii,positioners:ye,afterInit(s,t,e){e&&(s.tooltip=new ii({chart:s,options:e}))},beforeUpdate(s,t,e){s.tooltip&&s.tooltip.initialize(e)},reset(s,t,e){s.tooltip&&s.tooltip.initialize(e)},afterDraw(s){const t=s.tooltip;if(t&&t._willRender()){const e={tooltip:t};if(s.notifyPlugins("beforeTooltipDraw",{...e,cancelable:!0})===!1)return;t.draw(s.ctx),s.notifyPlugins("afterTooltipDraw",e)}},afterEvent(s,t){if(s.tooltip){const e=t.replay;s.tooltip.handleEvent(t.event,e,t.inChartArea)&&(t.changed=!0)}},defaults:{enabled:!0,external:null,position:"average",backgroundColor:"rgba(0,0,0,0.8)",titleColor:"#fff",titleFont:{weight:"bold"},titleSpacing:2,titleMarginBottom:6,titleAlign:"left",bodyColor:"#fff",bodySpacing:2,bodyFont:{},bodyAlign:"left",footerColor:"#fff",footerSpacing:2,footerMarginTop:6,footerFont:{weight:"bold"},footerAlign:"left",padding:6,caretPadding:2,caretSize:5,cornerRadius:6,boxHeight:(s,t)=>t.bodyFont.size,boxWidth:(s,t)=>t.bodyFont.size,multiKeyBackground:"#fff",displayColors:!0,boxPadding:0,borderColor:"rgba(0,0,0,0)",borderWidth:0,animation:{duration:400,easing:"easeOutQuart"},animations:{numbers:{type:"number",properties:["x","y","width","height","caretX","caretY"]},opacity:{easing:"linear",duration:200}},callbacks:la},defaultRoutes:{bodyFont:"font",footerFont:"font",titleFont:"font"},descriptors:{_scriptable:s=>s!=="filter"&&s!=="itemSort"&&s!=="external",_indexable:!1,callbacks:{_scriptable:!1,_indexable:!1},animation:{_fallback:!1},animations:{_fallback:"animation"}},additionalOptionScopes:["interaction"]},Kf=Object.freeze({__proto__:null,Colors:rf,Decimation:df,Filler:Tf,Legend:If,SubTitle:$f,Title:Vf,Tooltip:qf});const Gf=(s,t,e,i)=>(typeof t=="string"?(e=s.push(t)-1,i.unshift({index:e,label:t})):isNaN(t)&&(e=null),e);function Zf(s,t,e,i){const n=s.indexOf(t);if(n===-1)return Gf(s,t,e,i);const o=s.lastIndexOf(t);return n!==o?e:n}const Jf=(s,t)=>s===null?null:nt(Math.round(s),0,t);function Wn(s){const t=this.getLabels();return s>=0&&s<t.length?t[s]:s}class ni extends ee{constructor(t){super(t),this._startValue=void 0,this._valueRange=0,this._addedLabels=[]}init(t){const e=this._addedLabels;if(e.length){const i=this.getLabels();for(const{index:n,label:o}of e)i[n]===o&&i.splice(n,1);this._addedLabels=[]}super.init(t)}parse(t,e){if(H(t))return null;const i=this.getLabels();return e=isFinite(e)&&i[e]===t?e:Zf(i,t,V(e,t),this._addedLabels),Jf(e,i.length-1)}determineDataLimits(){const{minDefined:t,maxDefined:e}=this.getUserBounds();let{min:i,max:n}=this.getMinMax(!0);this.options.bounds==="ticks"&&(t||(i=0),e||(n=this.getLabels().length-1)),this.min=i,this.max=n}buildTicks(){const t=this.min,e=this.max,i=this.options.offset,n=[];let o=this.getLabels();o=t===0&&e===o.length-1?o:o.slice(t,e+1),this._valueRange=Math.max(o.length-(i?0:1),1),this._startValue=this.min-(i?.5:0);for(let a=t;a<=e;a++)n.push({value:a});return n}getLabelForValue(t){return Wn.call(this,t)}configure(){super.configure(),this.isHorizontal()||(this._reversePixels=!this._reversePixels)}getPixelForValue(t){return typeof t!="number"&&(t=this.parse(t)),t===null?NaN:this.getPixelForDecimal((t-this._startValue)/this._valueRange)}getPixelForTick(t){const e=this.ticks;return t<0||t>e.length-1?null:this.getPixelForValue(e[t].value)}getValueForPixel(t){return Math.round(this._startValue+this.getDecimalForPixel(t)*this._valueRange)}getBasePixel(){return this.bottom}}A(ni,"id","category"),A(ni,"defaults",{ticks:{callback:Wn}});function Qf(s,t){const e=[],{bounds:n,step:o,min:a,max:r,precision:l,count:c,maxTicks:h,maxDigits:d,includeBounds:u}=s,f=o||1,g=h-1,{min:p,max:b}=t,_=!H(a),w=!H(r),y=!H(c),P=(b-p)/(d+1);let M=Bi((b-p)/g/f)*f,v,k,x,D;if(M<1e-14&&!_&&!w)return[{value:p},{value:b}];D=Math.ceil(b/M)-Math.floor(p/M),D>g&&(M=Bi(D*M/g/f)*f),H(l)||(v=Math.pow(10,l),M=Math.ceil(M*v)/v),n==="ticks"?(k=Math.floor(p/M)*M,x=Math.ceil(b/M)*M):(k=p,x=b),_&&w&&o&&Uc((r-a)/o,M/1e3)?(D=Math.round(Math.min((r-a)/M,h)),M=(r-a)/D,k=a,x=r):y?(k=_?a:k,x=w?r:x,D=c-1,M=(x-k)/D):(D=(x-k)/M,Me(D,Math.round(D),M/1e3)?D=Math.round(D):D=Math.ceil(D));const O=Math.max(Vi(M),Vi(k));v=Math.pow(10,H(l)?O:l),k=Math.round(k*v)/v,x=Math.round(x*v)/v;let C=0;for(_&&(u&&k!==a?(e.push({value:a}),k<a&&C++,Me(Math.round((k+C*M)*v)/v,a,Un(a,P,s))&&C++):k<a&&C++);C<D;++C){const T=Math.round((k+C*M)*v)/v;if(w&&T>r)break;e.push({value:T})}return w&&u&&x!==r?e.length&&Me(e[e.length-1].value,r,Un(r,P,s))?e[e.length-1].value=r:e.push({value:r}):(!w||x===r)&&e.push({value:x}),e}function Un(s,t,{horizontal:e,minRotation:i}){const n=_t(i),o=(e?Math.sin(n):Math.cos(n))||.001,a=.75*t*(""+s).length;return Math.min(t/o,a)}class ys extends ee{constructor(t){super(t),this.start=void 0,this.end=void 0,this._startValue=void 0,this._endValue=void 0,this._valueRange=0}parse(t,e){return H(t)||(typeof t=="number"||t instanceof Number)&&!isFinite(+t)?null:+t}handleTickRangeOptions(){const{beginAtZero:t}=this.options,{minDefined:e,maxDefined:i}=this.getUserBounds();let{min:n,max:o}=this;const a=l=>n=e?n:l,r=l=>o=i?o:l;if(t){const l=Mt(n),c=Mt(o);l<0&&c<0?r(0):l>0&&c>0&&a(0)}if(n===o){let l=o===0?1:Math.abs(o*.05);r(o+l),t||a(n-l)}this.min=n,this.max=o}getTickLimit(){const t=this.options.ticks;let{maxTicksLimit:e,stepSize:i}=t,n;return i?(n=Math.ceil(this.max/i)-Math.floor(this.min/i)+1,n>1e3&&(console.warn(`scales.${this.id}.ticks.stepSize: ${i} would result generating up to ${n} ticks. Limiting to 1000.`),n=1e3)):(n=this.computeTickLimit(),e=e||11),e&&(n=Math.min(e,n)),n}computeTickLimit(){return Number.POSITIVE_INFINITY}buildTicks(){const t=this.options,e=t.ticks;let i=this.getTickLimit();i=Math.max(2,i);const n={maxTicks:i,bounds:t.bounds,min:t.min,max:t.max,precision:e.precision,step:e.stepSize,count:e.count,maxDigits:this._maxDigits(),horizontal:this.isHorizontal(),minRotation:e.minRotation||0,includeBounds:e.includeBounds!==!1},o=this._range||this,a=Qf(n,o);return t.bounds==="ticks"&&xo(a,this,"value"),t.reverse?(a.reverse(),this.start=this.max,this.end=this.min):(this.start=this.min,this.end=this.max),a}configure(){const t=this.ticks;let e=this.min,i=this.max;if(super.configure(),this.options.offset&&t.length){const n=(i-e)/Math.max(t.length-1,1)/2;e-=n,i+=n}this._startValue=e,this._endValue=i,this._valueRange=i-e}getLabelForValue(t){return $e(t,this.chart.options.locale,this.options.ticks.format)}}class oi extends ys{determineDataLimits(){const{min:t,max:e}=this.getMinMax(!0);this.min=tt(t)?t:0,this.max=tt(e)?e:1,this.handleTickRangeOptions()}computeTickLimit(){const t=this.isHorizontal(),e=t?this.width:this.height,i=_t(this.options.ticks.minRotation),n=(t?Math.sin(i):Math.cos(i))||.001,o=this._resolveTickFontOptions(0);return Math.ceil(e/Math.min(40,o.lineHeight/n))}getPixelForValue(t){return t===null?NaN:this.getPixelForDecimal((t-this._startValue)/this._valueRange)}getValueForPixel(t){return this._startValue+this.getDecimalForPixel(t)*this._valueRange}}A(oi,"id","linear"),A(oi,"defaults",{ticks:{callback:Ds.formatters.numeric}});const Fe=s=>Math.floor(zt(s)),Xt=(s,t)=>Math.pow(10,Fe(s)+t);function Yn(s){return s/Math.pow(10,Fe(s))===1}function Xn(s,t,e){const i=Math.pow(10,e),n=Math.floor(s/i);return Math.ceil(t/i)-n}function tg(s,t){const e=t-s;let i=Fe(e);for(;Xn(s,t,i)>10;)i++;for(;Xn(s,t,i)<10;)i--;return Math.min(i,Fe(s))}function eg(s,{min:t,max:e}){t=ft(s.min,t);const i=[],n=Fe(t);let o=tg(t,e),a=o<0?Math.pow(10,Math.abs(o)):1;const r=Math.pow(10,o),l=n>o?Math.pow(10,n):0,c=Math.round((t-l)*a)/a,h=Math.floor((t-l)/r/10)*r*10;let d=Math.floor((c-h)/Math.pow(10,o)),u=ft(s.min,Math.round((l+h+d*Math.pow(10,o))*a)/a);for(;u<e;)i.push({value:u,major:Yn(u),significand:d}),d>=10?d=d<15?15:20:d++,d>=20&&(o++,d=2,a=o>=0?1:a),u=Math.round((l+h+d*Math.pow(10,o))*a)/a;const f=ft(s.max,u);return i.push({value:f,major:Yn(f),significand:d}),i}class ai extends ee{constructor(t){super(t),this.start=void 0,this.end=void 0,this._startValue=void 0,this._valueRange=0}parse(t,e){const i=ys.prototype.parse.apply(this,[t,e]);if(i===0){this._zero=!0;return}return tt(i)&&i>0?i:null}determineDataLimits(){const{min:t,max:e}=this.getMinMax(!0);this.min=tt(t)?Math.max(0,t):null,this.max=tt(e)?Math.max(0,e):null,this.options.beginAtZero&&(this._zero=!0),this._zero&&this.min!==this._suggestedMin&&!tt(this._userMin)&&(this.min=t===Xt(this.min,0)?Xt(this.min,-1):Xt(this.min,0)),this.handleTickRangeOptions()}handleTickRangeOptions(){const{minDefined:t,maxDefined:e}=this.getUserBounds();let i=this.min,n=this.max;const o=r=>i=t?i:r,a=r=>n=e?n:r;i===n&&(i<=0?(o(1),a(10)):(o(Xt(i,-1)),a(Xt(n,1)))),i<=0&&o(Xt(n,-1)),n<=0&&a(Xt(i,1)),this.min=i,this.max=n}buildTicks(){const t=this.options,e={min:this._userMin,max:this._userMax},i=eg(e,this);return t.bounds==="ticks"&&xo(i,this,"value"),t.reverse?(i.reverse(),this.start=this.max,this.end=this.min):(this.start=this.min,this.end=this.max),i}getLabelForValue(t){return t===void 0?"0":$e(t,this.chart.options.locale,this.options.ticks.format)}configure(){const t=this.min;super.configure(),this._startValue=zt(t),this._valueRange=zt(this.max)-zt(t)}getPixelForValue(t){return(t===void 0||t===0)&&(t=this.min),t===null||isNaN(t)?NaN:this.getPixelForDecimal(t===this.min?0:(zt(t)-this._startValue)/this._valueRange)}getValueForPixel(t){const e=this.getDecimalForPixel(t);return Math.pow(10,this._startValue+e*this._valueRange)}}A(ai,"id","logarithmic"),A(ai,"defaults",{ticks:{callback:Ds.formatters.logarithmic,major:{enabled:!0}}});function ri(s){const t=s.ticks;if(t.display&&s.display){const e=lt(t.backdropPadding);return V(t.font&&t.font.size,Q.font.size)+e.height}return 0}function sg(s,t,e){return e=J(e)?e:[e],{w:lh(s,t.string,e),h:e.length*t.lineHeight}}function qn(s,t,e,i,n){return s===i||s===n?{start:t-e/2,end:t+e/2}:s<i||s>n?{start:t-e,end:t}:{start:t,end:t+e}}function ig(s){const t={l:s.left+s._padding.left,r:s.right-s._padding.right,t:s.top+s._padding.top,b:s.bottom-s._padding.bottom},e=Object.assign({},t),i=[],n=[],o=s._pointLabels.length,a=s.options.pointLabels,r=a.centerPointLabels?Z/o:0;for(let l=0;l<o;l++){const c=a.setContext(s.getPointLabelContext(l));n[l]=c.padding;const h=s.getPointPosition(l,s.drawingArea+n[l],r),d=it(c.font),u=sg(s.ctx,d,s._pointLabels[l]);i[l]=u;const f=gt(s.getIndexAngle(l)+r),g=Math.round(fi(f)),p=qn(g,h.x,u.w,0,180),b=qn(g,h.y,u.h,90,270);ng(e,t,f,p,b)}s.setCenterPoint(t.l-e.l,e.r-t.r,t.t-e.t,e.b-t.b),s._pointLabelItems=rg(s,i,n)}function ng(s,t,e,i,n){const o=Math.abs(Math.sin(e)),a=Math.abs(Math.cos(e));let r=0,l=0;i.start<t.l?(r=(t.l-i.start)/o,s.l=Math.min(s.l,t.l-r)):i.end>t.r&&(r=(i.end-t.r)/o,s.r=Math.max(s.r,t.r+r)),n.start<t.t?(l=(t.t-n.start)/a,s.t=Math.min(s.t,t.t-l)):n.end>t.b&&(l=(n.end-t.b)/a,s.b=Math.max(s.b,t.b+l))}function og(s,t,e){const i=s.drawingArea,{extra:n,additionalAngle:o,padding:a,size:r}=e,l=s.getPointPosition(t,i+n+a,o),c=Math.round(fi(gt(l.angle+et))),h=hg(l.y,r.h,c),d=lg(c),u=cg(l.x,r.w,d);return{visible:!0,x:l.x,y:h,textAlign:d,left:u,top:h,right:u+r.w,bottom:h+r.h}}function ag(s,t){if(!t)return!0;const{left:e,top:i,right:n,bottom:o}=s;return!(Rt({x:e,y:i},t)||Rt({x:e,y:o},t)||Rt({x:n,y:i},t)||Rt({x:n,y:o},t))}function rg(s,t,e){const i=[],n=s._pointLabels.length,o=s.options,{centerPointLabels:a,display:r}=o.pointLabels,l={extra:ri(o)/2,additionalAngle:a?Z/n:0};let c;for(let h=0;h<n;h++){l.padding=e[h],l.size=t[h];const d=og(s,h,l);i.push(d),r==="auto"&&(d.visible=ag(d,c),d.visible&&(c=d))}return i}function lg(s){return s===0||s===180?"center":s<180?"left":"right"}function cg(s,t,e){return e==="right"?s-=t:e==="center"&&(s-=t/2),s}function hg(s,t,e){return e===90||e===270?s-=t/2:(e>270||e<90)&&(s-=t),s}function dg(s,t,e){const{left:i,top:n,right:o,bottom:a}=e,{backdropColor:r}=t;if(!H(r)){const l=Zt(t.borderRadius),c=lt(t.backdropPadding);s.fillStyle=r;const h=i-c.left,d=n-c.top,u=o-i+c.width,f=a-n+c.height;Object.values(l).some(g=>g!==0)?(s.beginPath(),Ee(s,{x:h,y:d,w:u,h:f,radius:l}),s.fill()):s.fillRect(h,d,u,f)}}function ug(s,t){const{ctx:e,options:{pointLabels:i}}=s;for(let n=t-1;n>=0;n--){const o=s._pointLabelItems[n];if(!o.visible)continue;const a=i.setContext(s.getPointLabelContext(n));dg(e,a,o);const r=it(a.font),{x:l,y:c,textAlign:h}=o;te(e,s._pointLabels[n],l,c+r.lineHeight/2,r,{color:a.color,textAlign:h,textBaseline:"middle"})}}function ca(s,t,e,i){const{ctx:n}=s;if(e)n.arc(s.xCenter,s.yCenter,t,0,G);else{let o=s.getPointPosition(0,t);n.moveTo(o.x,o.y);for(let a=1;a<i;a++)o=s.getPointPosition(a,t),n.lineTo(o.x,o.y)}}function fg(s,t,e,i,n){const o=s.ctx,a=t.circular,{color:r,lineWidth:l}=t;!a&&!i||!r||!l||e<0||(o.save(),o.strokeStyle=r,o.lineWidth=l,o.setLineDash(n.dash||[]),o.lineDashOffset=n.dashOffset,o.beginPath(),ca(s,e,a,i),o.closePath(),o.stroke(),o.restore())}function gg(s,t,e){return Ht(s,{label:e,index:t,type:"pointLabel"})}class ke extends ys{constructor(t){super(t),this.xCenter=void 0,this.yCenter=void 0,this.drawingArea=void 0,this._pointLabels=[],this._pointLabelItems=[]}setDimensions(){const t=this._padding=lt(ri(this.options)/2),e=this.width=this.maxWidth-t.width,i=this.height=this.maxHeight-t.height;this.xCenter=Math.floor(this.left+e/2+t.left),this.yCenter=Math.floor(this.top+i/2+t.top),this.drawingArea=Math.floor(Math.min(e,i)/2)}determineDataLimits(){const{min:t,max:e}=this.getMinMax(!1);this.min=tt(t)&&!isNaN(t)?t:0,this.max=tt(e)&&!isNaN(e)?e:0,this.handleTickRangeOptions()}computeTickLimit(){return Math.ceil(this.drawingArea/ri(this.options))}generateTickLabels(t){ys.prototype.generateTickLabels.call(this,t),this._pointLabels=this.getLabels().map((e,i)=>{const n=q(this.options.pointLabels.callback,[e,i],this);return n||n===0?n:""}).filter((e,i)=>this.chart.getDataVisibility(i))}fit(){const t=this.options;t.display&&t.pointLabels.display?ig(this):this.setCenterPoint(0,0,0,0)}setCenterPoint(t,e,i,n){this.xCenter+=Math.floor((t-e)/2),this.yCenter+=Math.floor((i-n)/2),this.drawingArea-=Math.min(this.drawingArea/2,Math.max(t,e,i,n))}getIndexAngle(t){const e=G/(this._pointLabels.length||1),i=this.options.startAngle||0;return gt(t*e+_t(i))}getDistanceFromCenterForValue(t){if(H(t))return NaN;const e=this.drawingArea/(this.max-this.min);return this.options.reverse?(this.max-t)*e:(t-this.min)*e}getValueForDistanceFromCenter(t){if(H(t))return NaN;const e=t/(this.drawingArea/(this.max-this.min));return this.options.reverse?this.max-e:this.min+e}getPointLabelContext(t){const e=this._pointLabels||[];if(t>=0&&t<e.length){const i=e[t];return gg(this.getContext(),t,i)}}getPointPosition(t,e,i=0){const n=this.getIndexAngle(t)-et+i;return{x:Math.cos(n)*e+this.xCenter,y:Math.sin(n)*e+this.yCenter,angle:n}}getPointPositionForValue(t,e){return this.getPointPosition(t,this.getDistanceFromCenterForValue(e))}getBasePosition(t){return this.getPointPositionForValue(t||0,this.getBaseValue())}getPointLabelPosition(t){const{left:e,top:i,right:n,bottom:o}=this._pointLabelItems[t];return{left:e,top:i,right:n,bottom:o}}drawBackground(){const{backgroundColor:t,grid:{circular:e}}=this.options;if(t){const i=this.ctx;i.save(),i.beginPath(),ca(this,this.getDistanceFromCenterForValue(this._endValue),e,this._pointLabels.length),i.closePath(),i.fillStyle=t,i.fill(),i.restore()}}drawGrid(){const t=this.ctx,e=this.options,{angleLines:i,grid:n,border:o}=e,a=this._pointLabels.length;let r,l,c;if(e.pointLabels.display&&ug(this,a),n.display&&this.ticks.forEach((h,d)=>{if(d!==0||d===0&&this.min<0){l=this.getDistanceFromCenterForValue(h.value);const u=this.getContext(d),f=n.setContext(u),g=o.setContext(u);fg(this,f,l,a,g)}}),i.display){for(t.save(),r=a-1;r>=0;r--){const h=i.setContext(this.getPointLabelContext(r)),{color:d,lineWidth:u}=h;!u||!d||(t.lineWidth=u,t.strokeStyle=d,t.setLineDash(h.borderDash),t.lineDashOffset=h.borderDashOffset,l=this.getDistanceFromCenterForValue(e.reverse?this.min:this.max),c=this.getPointPosition(r,l),t.beginPath(),t.moveTo(this.xCenter,this.yCenter),t.lineTo(c.x,c.y),t.stroke())}t.restore()}}drawBorder(){}drawLabels(){const t=this.ctx,e=this.options,i=e.ticks;if(!i.display)return;const n=this.getIndexAngle(0);let o,a;t.save(),t.translate(this.xCenter,this.yCenter),t.rotate(n),t.textAlign="center",t.textBaseline="middle",this.ticks.forEach((r,l)=>{if(l===0&&this.min>=0&&!e.reverse)return;const c=i.setContext(this.getContext(l)),h=it(c.font);if(o=this.getDistanceFromCenterForValue(this.ticks[l].value),c.showLabelBackdrop){t.font=h.string,a=t.measureText(r.label).width,t.fillStyle=c.backdropColor;const d=lt(c.backdropPadding);t.fillRect(-a/2-d.left,-o-h.size/2-d.top,a+d.width,h.size+d.height)}te(t,r.label,0,-o,h,{color:c.color,strokeColor:c.textStrokeColor,strokeWidth:c.textStrokeWidth})}),t.restore()}drawTitle(){}}A(ke,"id","radialLinear"),A(ke,"defaults",{display:!0,animate:!0,position:"chartArea",angleLines:{display:!0,lineWidth:1,borderDash:[],borderDashOffset:0},grid:{circular:!1},startAngle:0,ticks:{showLabelBackdrop:!0,callback:Ds.formatters.numeric},pointLabels:{backdropColor:void 0,backdropPadding:2,display:!0,font:{size:10},callback(t){return t},padding:5,centerPointLabels:!1}}),A(ke,"defaultRoutes",{"angleLines.color":"borderColor","pointLabels.color":"color","ticks.color":"color"}),A(ke,"descriptors",{angleLines:{_fallback:"grid"}});const Rs={millisecond:{common:!0,size:1,steps:1e3},second:{common:!0,size:1e3,steps:60},minute:{common:!0,size:6e4,steps:60},hour:{common:!0,size:36e5,steps:24},day:{common:!0,size:864e5,steps:30},week:{common:!1,size:6048e5,steps:4},month:{common:!0,size:2628e6,steps:12},quarter:{common:!1,size:7884e6,steps:4},year:{common:!0,size:3154e7}},ut=Object.keys(Rs);function Kn(s,t){return s-t}function Gn(s,t){if(H(t))return null;const e=s._adapter,{parser:i,round:n,isoWeekday:o}=s._parseOpts;let a=t;return typeof i=="function"&&(a=i(a)),tt(a)||(a=typeof i=="string"?e.parse(a,i):e.parse(a)),a===null?null:(n&&(a=n==="week"&&(re(o)||o===!0)?e.startOf(a,"isoWeek",o):e.startOf(a,n)),+a)}function Zn(s,t,e,i){const n=ut.length;for(let o=ut.indexOf(s);o<n-1;++o){const a=Rs[ut[o]],r=a.steps?a.steps:Number.MAX_SAFE_INTEGER;if(a.common&&Math.ceil((e-t)/(r*a.size))<=i)return ut[o]}return ut[n-1]}function pg(s,t,e,i,n){for(let o=ut.length-1;o>=ut.indexOf(e);o--){const a=ut[o];if(Rs[a].common&&s._adapter.diff(n,i,a)>=t-1)return a}return ut[e?ut.indexOf(e):0]}function mg(s){for(let t=ut.indexOf(s)+1,e=ut.length;t<e;++t)if(Rs[ut[t]].common)return ut[t]}function Jn(s,t,e){if(!e)s[t]=!0;else if(e.length){const{lo:i,hi:n}=gi(e,t),o=e[i]>=t?e[i]:e[n];s[o]=!0}}function bg(s,t,e,i){const n=s._adapter,o=+n.startOf(t[0].value,i),a=t[t.length-1].value;let r,l;for(r=o;r<=a;r=+n.add(r,1,i))l=e[r],l>=0&&(t[l].major=!0);return t}function Qn(s,t,e){const i=[],n={},o=t.length;let a,r;for(a=0;a<o;++a)r=t[a],n[r]=a,i.push({value:r,major:!1});return o===0||!e?i:bg(s,i,n,e)}class Ie extends ee{constructor(t){super(t),this._cache={data:[],labels:[],all:[]},this._unit="day",this._majorUnit=void 0,this._offsets={},this._normalized=!1,this._parseOpts=void 0}init(t,e={}){const i=t.time||(t.time={}),n=this._adapter=new Sd._date(t.adapters.date);n.init(e),we(i.displayFormats,n.formats()),this._parseOpts={parser:i.parser,round:i.round,isoWeekday:i.isoWeekday},super.init(t),this._normalized=e.normalized}parse(t,e){return t===void 0?null:Gn(this,t)}beforeLayout(){super.beforeLayout(),this._cache={data:[],labels:[],all:[]}}determineDataLimits(){const t=this.options,e=this._adapter,i=t.time.unit||"day";let{min:n,max:o,minDefined:a,maxDefined:r}=this.getUserBounds();function l(c){!a&&!isNaN(c.min)&&(n=Math.min(n,c.min)),!r&&!isNaN(c.max)&&(o=Math.max(o,c.max))}(!a||!r)&&(l(this._getLabelBounds()),(t.bounds!=="ticks"||t.ticks.source!=="labels")&&l(this.getMinMax(!1))),n=tt(n)&&!isNaN(n)?n:+e.startOf(Date.now(),i),o=tt(o)&&!isNaN(o)?o:+e.endOf(Date.now(),i)+1,this.min=Math.min(n,o-1),this.max=Math.max(n+1,o)}_getLabelBounds(){const t=this.getLabelTimestamps();let e=Number.POSITIVE_INFINITY,i=Number.NEGATIVE_INFINITY;return t.length&&(e=t[0],i=t[t.length-1]),{min:e,max:i}}buildTicks(){const t=this.options,e=t.time,i=t.ticks,n=i.source==="labels"?this.getLabelTimestamps():this._generate();t.bounds==="ticks"&&n.length&&(this.min=this._userMin||n[0],this.max=this._userMax||n[n.length-1]);const o=this.min,a=this.max,r=Kc(n,o,a);return this._unit=e.unit||(i.autoSkip?Zn(e.minUnit,this.min,this.max,this._getLabelCapacity(o)):pg(this,r.length,e.minUnit,this.min,this.max)),this._majorUnit=!i.major.enabled||this._unit==="year"?void 0:mg(this._unit),this.initOffsets(n),t.reverse&&r.reverse(),Qn(this,r,this._majorUnit)}afterAutoSkip(){this.options.offsetAfterAutoskip&&this.initOffsets(this.ticks.map(t=>+t.value))}initOffsets(t=[]){let e=0,i=0,n,o;this.options.offset&&t.length&&(n=this.getDecimalForValue(t[0]),t.length===1?e=1-n:e=(this.getDecimalForValue(t[1])-n)/2,o=this.getDecimalForValue(t[t.length-1]),t.length===1?i=o:i=(o-this.getDecimalForValue(t[t.length-2]))/2);const a=t.length<3?.5:.25;e=nt(e,0,a),i=nt(i,0,a),this._offsets={start:e,end:i,factor:1/(e+1+i)}}_generate(){const t=this._adapter,e=this.min,i=this.max,n=this.options,o=n.time,a=o.unit||Zn(o.minUnit,e,i,this._getLabelCapacity(e)),r=V(n.ticks.stepSize,1),l=a==="week"?o.isoWeekday:!1,c=re(l)||l===!0,h={};let d=e,u,f;if(c&&(d=+t.startOf(d,"isoWeek",l)),d=+t.startOf(d,c?"day":a),t.diff(i,e,a)>1e5*r)throw new Error(e+" and "+i+" are too far apart with stepSize of "+r+" "+a);const g=n.ticks.source==="data"&&this.getDataTimestamps();for(u=d,f=0;u<i;u=+t.add(u,r,a),f++)Jn(h,u,g);return(u===i||n.bounds==="ticks"||f===1)&&Jn(h,u,g),Object.keys(h).sort(Kn).map(p=>+p)}getLabelForValue(t){const e=this._adapter,i=this.options.time;return i.tooltipFormat?e.format(t,i.tooltipFormat):e.format(t,i.displayFormats.datetime)}format(t,e){const n=this.options.time.displayFormats,o=this._unit,a=e||n[o];return this._adapter.format(t,a)}_tickFormatFunction(t,e,i,n){const o=this.options,a=o.ticks.callback;if(a)return q(a,[t,e,i],this);const r=o.time.displayFormats,l=this._unit,c=this._majorUnit,h=l&&r[l],d=c&&r[c],u=i[e],f=c&&d&&u&&u.major;return this._adapter.format(t,n||(f?d:h))}generateTickLabels(t){let e,i,n;for(e=0,i=t.length;e<i;++e)n=t[e],n.label=this._tickFormatFunction(n.value,e,t)}getDecimalForValue(t){return t===null?NaN:(t-this.min)/(this.max-this.min)}getPixelForValue(t){const e=this._offsets,i=this.getDecimalForValue(t);return this.getPixelForDecimal((e.start+i)*e.factor)}getValueForPixel(t){const e=this._offsets,i=this.getDecimalForPixel(t)/e.factor-e.end;return this.min+i*(this.max-this.min)}_getLabelSize(t){const e=this.options.ticks,i=this.ctx.measureText(t).width,n=_t(this.isHorizontal()?e.maxRotation:e.minRotation),o=Math.cos(n),a=Math.sin(n),r=this._resolveTickFontOptions(0).size;return{w:i*o+r*a,h:i*a+r*o}}_getLabelCapacity(t){const e=this.options.time,i=e.displayFormats,n=i[e.unit]||i.millisecond,o=this._tickFormatFunction(t,0,Qn(this,[t],this._majorUnit),n),a=this._getLabelSize(o),r=Math.floor(this.isHorizontal()?this.width/a.w:this.height/a.h)-1;return r>0?r:1}getDataTimestamps(){let t=this._cache.data||[],e,i;if(t.length)return t;const n=this.getMatchingVisibleMetas();if(this._normalized&&n.length)return this._cache.data=n[0].controller.getAllParsedValues(this);for(e=0,i=n.length;e<i;++e)t=t.concat(n[e].controller.getAllParsedValues(this));return this._cache.data=this.normalize(t)}getLabelTimestamps(){const t=this._cache.labels||[];let e,i;if(t.length)return t;const n=this.getLabels();for(e=0,i=n.length;e<i;++e)t.push(Gn(this,n[e]));return this._cache.labels=this._normalized?t:this.normalize(t)}normalize(t){return yo(t.sort(Kn))}}A(Ie,"id","time"),A(Ie,"defaults",{bounds:"data",adapters:{},time:{parser:!1,unit:!1,round:!1,isoWeekday:!1,minUnit:"millisecond",displayFormats:{}},ticks:{source:"auto",callback:!1,major:{enabled:!1}}});function ss(s,t,e){let i=0,n=s.length-1,o,a,r,l;e?(t>=s[i].pos&&t<=s[n].pos&&({lo:i,hi:n}=Tt(s,"pos",t)),{pos:o,time:r}=s[i],{pos:a,time:l}=s[n]):(t>=s[i].time&&t<=s[n].time&&({lo:i,hi:n}=Tt(s,"time",t)),{time:o,pos:r}=s[i],{time:a,pos:l}=s[n]);const c=a-o;return c?r+(l-r)*(t-o)/c:r}class li extends Ie{constructor(t){super(t),this._table=[],this._minPos=void 0,this._tableRange=void 0}initOffsets(){const t=this._getTimestampsForTable(),e=this._table=this.buildLookupTable(t);this._minPos=ss(e,this.min),this._tableRange=ss(e,this.max)-this._minPos,super.initOffsets(t)}buildLookupTable(t){const{min:e,max:i}=this,n=[],o=[];let a,r,l,c,h;for(a=0,r=t.length;a<r;++a)c=t[a],c>=e&&c<=i&&n.push(c);if(n.length<2)return[{time:e,pos:0},{time:i,pos:1}];for(a=0,r=n.length;a<r;++a)h=n[a+1],l=n[a-1],c=n[a],Math.round((h+l)/2)!==c&&o.push({time:c,pos:a/(r-1)});return o}_generate(){const t=this.min,e=this.max;let i=super.getDataTimestamps();return(!i.includes(t)||!i.length)&&i.splice(0,0,t),(!i.includes(e)||i.length===1)&&i.push(e),i.sort((n,o)=>n-o)}_getTimestampsForTable(){let t=this._cache.all||[];if(t.length)return t;const e=this.getDataTimestamps(),i=this.getLabelTimestamps();return e.length&&i.length?t=this.normalize(e.concat(i)):t=e.length?e:i,t=this._cache.all=t,t}getDecimalForValue(t){return(ss(this._table,t)-this._minPos)/this._tableRange}getValueForPixel(t){const e=this._offsets,i=this.getDecimalForPixel(t)/e.factor-e.end;return ss(this._table,i*this._tableRange+this._minPos,!0)}}A(li,"id","timeseries"),A(li,"defaults",Ie.defaults);var xg=Object.freeze({__proto__:null,CategoryScale:ni,LinearScale:oi,LogarithmicScale:ai,RadialLinearScale:ke,TimeScale:Ie,TimeSeriesScale:li});const _g=[Md,Qu,Kf,xg];At.register(..._g);const to=Lt({__name:"UseChart",props:{options:{type:Object,required:!0}},setup(s){const t=s,e=is(null);let i=null;oo(()=>{e.value&&t.options&&Object.keys(t.options).length>0&&n()}),ya(()=>{i&&(i.destroy(),i=null)}),Ys(()=>t.options,o=>{i&&i.destroy(),Object.keys(o).length>0&&io(()=>n())},{deep:!0});function n(){e.value&&(i=new At(e.value,t.options))}return(o,a)=>(E(),I("canvas",{ref_key:"chartContainer",ref:e},null,512))}}),vg={class:"flex items-center justify-between"},yg={class:"text-lg font-semibold flex items-center"},kg={key:0,class:"space-y-6"},wg={class:"flex space-x-4 border-b border-shark-200 dark:border-shark-700"},Mg={class:"grid grid-cols-2 md:grid-cols-4 gap-4"},Sg={class:"grid md:grid-cols-2 gap-6"},Pg={class:"space-y-3"},Dg={class:"space-y-3"},Cg={class:"space-y-3"},Ag={key:1,class:"p-4 text-shark-600 dark:text-shark-400"},Og={key:2},Tg={class:"pt-4"},Rg={class:"grid grid-cols-2 md:grid-cols-4 gap-4 mb-6"},Lg={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},Eg={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},zg={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},Fg={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},Ig={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},Bg={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},Vg={class:"grid grid-cols-1 md:grid-cols-2 gap-6 mb-4"},$g={class:"h-64 border border-shark-200 dark:border-shark-700 rounded-md p-2 bg-white dark:bg-shark-800"},Hg={key:1,class:"flex items-center justify-center h-full text-boulder-400 dark:text-boulder-500"},jg={class:"h-64 border border-shark-200 dark:border-shark-700 rounded-md p-2 bg-white dark:bg-shark-800"},Ng={key:1,class:"flex items-center justify-center h-full text-boulder-400 dark:text-boulder-500"},Wg={class:"mt-4 flex justify-end"},Ug={class:"pt-4"},Yg={class:"text-center py-8 text-green-500 font-semibold"},Xg={class:"pt-4"},qg={class:"text-center py-8 text-green-500 font-semibold"},Kg={class:"pt-4"},Gg={class:"w-full"},Zg={class:"text-xs mt-1"},Jg={class:"text-center py-8 text-green-500 font-semibold"},Qg={class:"text-xs text-boulder-500 dark:text-boulder-400 flex justify-between items-center"},tp=Lt({__name:"ApiMetricsCard",setup(s){const t=Be(),e=R(()=>t.apiMetrics.loading),i=R(()=>t.apiMetrics.error),n=R(()=>{var k;return((k=t.apiMetrics.endpoints)==null?void 0:k.length)||0}),o=R(()=>t.apiMetrics.totalRequests||0),a=R(()=>t.apiMetrics.avgResponseTime||0),r=R(()=>t.apiMetrics.errorRate||0),l=R(()=>t.lastRefreshed),c=R(()=>t.apiMetrics.topEndpoints||[]),h=R(()=>{var k;return((k=t.apiMetrics.endpoints)==null?void 0:k.filter(x=>x.errorRate>5))||[]}),d=R(()=>t.apiMetrics.rateLimits||[]),u=R(()=>t.apiMetrics.categoryDistribution||[]),f=[{id:"overview",label:"Overview",icon:"i-lucide-layout-dashboard",slot:"overview"},{id:"endpoints",label:"Endpoints",icon:"i-lucide-globe",slot:"endpoints"},{id:"errors",label:"Errors",icon:"i-lucide-alert-triangle",slot:"errors"},{id:"rate-limits",label:"Rate Limits",icon:"i-lucide-gauge",slot:"rate-limits"}];function g(k){return k<1e3?`${k.toFixed(2)} ms`:`${(k/1e3).toFixed(2)} s`}function p(k){return new Intl.NumberFormat().format(k)}function b(k){return`${k.toFixed(2)}%`}const _=R(()=>{var D;if(!((D=t.apiMetrics.requestsOverTime)!=null&&D.length))return{};const k=t.apiMetrics.requestsOverTime.map(O=>O.date),x=t.apiMetrics.requestsOverTime.map(O=>O.count);return{type:"line",data:{labels:k,datasets:[{label:"Request Volume",data:x,fill:!0,backgroundColor:"rgba(59, 130, 246, 0.2)",borderColor:"rgba(59, 130, 246, 1)",tension:.4}]},options:{responsive:!0,maintainAspectRatio:!1,plugins:{legend:{display:!1},tooltip:{mode:"index",intersect:!1}},scales:{y:{beginAtZero:!0}}}}}),w=R(()=>{var O;if(!((O=t.apiMetrics.categoryDistribution)!=null&&O.length))return{};const k=t.apiMetrics.categoryDistribution.map(C=>C.category),x=t.apiMetrics.categoryDistribution.map(C=>C.count);return{type:"doughnut",data:{labels:k,datasets:[{data:x,backgroundColor:["rgba(59, 130, 246, 0.7)","rgba(16, 185, 129, 0.7)","rgba(249, 115, 22, 0.7)","rgba(239, 68, 68, 0.7)","rgba(139, 92, 246, 0.7)","rgba(107, 114, 128, 0.7)"],borderWidth:1}]},options:{responsive:!0,maintainAspectRatio:!1,plugins:{legend:{position:"bottom"}},cutout:"65%"}}});async function y(){await t.fetchDashboardData()}const P=R(()=>[{accessorKey:"endpoint",header:"Endpoint"},{accessorKey:"method",header:"Method"},{accessorKey:"calls",header:"Requests"},{accessorKey:"avgResponseTime",header:"Avg Response"},{accessorKey:"errorRate",header:"Error Rate"},{accessorKey:"lastCalled",header:"Last Called"}]),M=R(()=>[{accessorKey:"endpoint",header:"Endpoint"},{accessorKey:"method",header:"Method"},{accessorKey:"calls",header:"Requests"},{accessorKey:"errorRate",header:"Error Rate"}]),v=R(()=>[{accessorKey:"ip",header:"IP Address"},{accessorKey:"endpoint",header:"Endpoint"},{accessorKey:"usagePercentage",header:"Usage"},{accessorKey:"remaining",header:"Remaining Requests"},{accessorKey:"reset",header:"Resets In"}]);return(k,x)=>{const D=ws,O=Ms,C=Ps,T=ho,$=co,st=ao,z=lo,N=uo,W=ka,K=Ss;return E(),bt(K,null,{header:B(()=>[m("div",vg,[m("h2",yg,[S(D,{name:"i-lucide-activity",class:"mr-2"}),x[0]||(x[0]=X(" API Status & Metrics "))]),S(O,{variant:"ghost",icon:"i-heroicons-arrow-path",loading:e.value,onClick:y,size:"sm"},null,8,["loading"])])]),footer:B(()=>[m("div",Qg,[m("span",null,"Last updated: "+L(l.value),1),S(O,{variant:"link",size:"xs",onClick:y,disabled:e.value,class:"text-xs"},{default:B(()=>x[14]||(x[14]=[X(" Reset Statistics ")])),_:1,__:[14]},8,["disabled"])])]),default:B(()=>[e.value?(E(),I("div",kg,[m("div",wg,[(E(),I(pt,null,mt(4,F=>S(C,{key:`tab-${F}`,class:"h-8 w-20"})),64))]),m("div",Mg,[(E(),I(pt,null,mt(4,F=>S(T,{key:`stat-skeleton-${F}`,"show-header":!1,"show-image":!1,"line-count":0,"show-title":!1})),64))]),m("div",Sg,[m("div",Pg,[S(C,{class:"h-6 w-32"}),S(C,{class:"h-48 w-full",ui:{rounded:"rounded-lg"}})]),m("div",Dg,[S(C,{class:"h-6 w-40"}),S(C,{class:"h-48 w-full",ui:{rounded:"rounded-lg"}})])]),m("div",Cg,[S(C,{class:"h-6 w-32"}),S($,{"row-count":6,"column-count":5})])])):i.value?(E(),I("div",Ag,[S(D,{name:"i-heroicons-exclamation-triangle",class:"mr-2"}),m("span",null,L(i.value),1)])):(E(),I("div",Og,[S(W,{items:f,variant:"link"},{overview:B(()=>{var F;return[m("div",Tg,[m("div",Rg,[m("div",Lg,[m("div",Eg,L(p(n.value)),1),x[1]||(x[1]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Endpoints",-1))]),m("div",zg,[m("div",Fg,L(p(o.value)),1),x[2]||(x[2]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Total Requests",-1))]),m("div",Ig,[m("div",Bg,L(g(a.value)),1),x[3]||(x[3]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Avg Response Time",-1))]),m("div",{class:at(["text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg",{"bg-red-50 dark:bg-red-900/20":r.value>5}])},[m("div",{class:at(["text-3xl font-bold",r.value>5?"text-red-500":"text-shark-600 dark:text-shark-200"])},L(b(r.value)),3),x[4]||(x[4]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Error Rate",-1))],2)]),m("div",Vg,[m("div",null,[x[5]||(x[5]=m("h3",{class:"text-md font-semibold mb-2"},"Request Volume (Last 7 Days)",-1)),m("div",$g,[(F=U(t).apiMetrics.requestsOverTime)!=null&&F.length?(E(),bt(to,{key:0,options:_.value},null,8,["options"])):(E(),I("div",Hg," No data available "))])]),m("div",null,[x[6]||(x[6]=m("h3",{class:"text-md font-semibold mb-2"},"Endpoints by Category",-1)),m("div",jg,[u.value.length?(E(),bt(to,{key:0,options:w.value},null,8,["options"])):(E(),I("div",Ng," No category data available "))])])]),m("div",Wg,[S(O,{variant:"outline",to:"/",size:"sm",icon:"i-lucide-external-link",class:"text-sm"},{default:B(()=>x[7]||(x[7]=[X(" Open API Explorer ")])),_:1,__:[7]})])])]}),endpoints:B(()=>[m("div",Ug,[x[9]||(x[9]=m("h3",{class:"text-md font-semibold mb-2"},"Top 5 Most Active Endpoints",-1)),S(z,{columns:P.value,data:c.value,class:"h-96"},{"method-cell":B(({row:F})=>[S(st,{color:F.original.method==="GET"?"success":F.original.method==="POST"?"info":"warning",size:"sm"},{default:B(()=>[X(L(F.original.method),1)]),_:2},1032,["color"])]),"calls-cell":B(({row:F})=>[X(L(p(F.original.calls)),1)]),"avgResponseTime-cell":B(({row:F})=>[X(L(g(F.original.avgResponseTime)),1)]),"errorRate-cell":B(({row:F})=>[m("span",{class:at(F.original.errorRate>5?"text-red-500":"")},L(b(F.original.errorRate)),3)]),empty:B(()=>[m("div",Yg,[S(D,{name:"i-heroicons-check-circle",class:"w-8 h-8 mx-auto mb-2"}),x[8]||(x[8]=X(" No endpoint data available "))])]),_:1},8,["columns","data"])])]),errors:B(()=>[m("div",Xg,[x[11]||(x[11]=m("h3",{class:"text-md font-semibold mb-2"},"Problematic Endpoints (Error Rate > 5%)",-1)),S(z,{columns:M.value,data:h.value,class:"h-80"},{"method-cell":B(({row:F})=>[S(st,{color:F.original.method==="GET"?"success":F.original.method==="POST"?"info":"warning",size:"sm"},{default:B(()=>[X(L(F.original.method),1)]),_:2},1032,["color"])]),"calls-cell":B(({row:F})=>[X(L(p(F.calls)),1)]),"errorRate-cell":B(({row:F})=>[m("span",{class:at(F.original.errorRate>5?"text-red-500":"")},L(b(F.original.errorRate)),3)]),empty:B(()=>[m("div",qg,[S(D,{name:"i-heroicons-check-circle",class:"w-8 h-8 mx-auto mb-2"}),x[10]||(x[10]=X(" No problematic endpoints detected "))])]),_:1},8,["columns","data"])])]),"rate-limits":B(()=>[m("div",Kg,[x[13]||(x[13]=m("h3",{class:"text-md font-semibold mb-2"}," Rate Limits Approaching Threshold (>80% Usage) ",-1)),S(z,{columns:v.value,rows:d.value,sort:{column:"usagePercentage",direction:"desc"},class:"h-80"},{"usagePercentage-cell":B(({row:F})=>[m("div",Gg,[S(N,{value:F.original.usagePercentage,color:F.original.usagePercentage>90?"error":"warning",size:"xs"},null,8,["value","color"]),m("div",Zg,L(b(F.original.usagePercentage)),1)])]),"reset-cell":B(({row:F})=>[X(L(Math.round(F.original.reset/60))+" min ",1)]),empty:B(()=>[m("div",Jg,[S(D,{name:"i-heroicons-check-circle",class:"w-8 h-8 mx-auto mb-2"}),x[12]||(x[12]=X(" No rate limits approaching threshold "))])]),_:1},8,["columns","rows"])])]),_:1})]))]),_:1})}}}),ep={class:"flex items-center justify-between"},sp={class:"text-lg font-semibold flex items-center"},ip={key:0,class:"space-y-6"},np={class:"grid grid-cols-2 md:grid-cols-4 gap-4"},op={class:"space-y-4"},ap={class:"flex flex-col md:flex-row md:items-center justify-between"},rp={class:"flex flex-wrap items-center space-x-4"},lp={class:"flex items-center space-x-4"},cp={key:1,class:"p-4 text-shark-600 dark:text-shark-400"},hp={key:2},dp={class:"grid grid-cols-2 md:grid-cols-4 gap-4 mb-6"},up={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},fp={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},gp={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},pp={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},mp={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},bp={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},xp={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},_p={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},vp={key:0,class:"mb-4"},yp={class:"flex flex-col md:flex-row md:items-center justify-between mb-4"},kp={class:"mt-2 md:mt-0 w-full md:w-64"},wp={key:1,class:"text-center py-8 text-boulder-500 dark:text-boulder-400"},Mp=Lt({__name:"DatabaseStatsCard",setup(s){const t=Be(),e=R(()=>t.dbStats.loading),i=R(()=>t.dbStats.error),n=R(()=>t.dbStats.largestTables),o=R(()=>t.dbStats.allTables||[]),a=R(()=>t.dbStats.totalTables||0),r=R(()=>o.value.reduce((v,k)=>v+(k.size||0),0)),l=R(()=>o.value.reduce((v,k)=>v+(k.rows||0),0)),c=R(()=>a.value?Math.round(l.value/a.value):0),h=is(""),d=R(()=>{if(!h.value.trim())return n.value;const v=h.value.toLowerCase();return n.value.filter(k=>k.table_name.toLowerCase().includes(v)||k.schema&&k.schema.toLowerCase().includes(v))}),u=is("size"),f=is("desc");function g(v){u.value===v?f.value=f.value==="asc"?"desc":"asc":(u.value=v,f.value="desc")}const p=R(()=>{const v=f.value==="asc"?1:-1;return[...d.value].sort((k,x)=>{const D=k[u.value],O=x[u.value];return typeof D=="string"&&typeof O=="string"?v*D.localeCompare(O):v*(D-O)})});function b(v){if(v===0)return"0 Bytes";const k=1024,x=["Bytes","KB","MB","GB","TB"],D=Math.floor(Math.log(v)/Math.log(k));return parseFloat((v/Math.pow(k,D)).toFixed(2))+" "+x[D]}function _(v){return new Intl.NumberFormat().format(v)}function w(v){return r.value?v/r.value*100:0}function y(v){return v>30?"bg-red-500 dark:bg-red-400":v>15?"bg-amber-500 dark:bg-amber-400":v>5?"bg-blue-500 dark:bg-blue-400":"bg-green-500 dark:bg-green-400"}async function P(){await t.fetchDbStats()}const M=R(()=>{var v;return(v=n.value)!=null&&v.length?[{accessorKey:"table_name",header:"Table",sortable:!0,cell:({row:k})=>k.getValue("table_name")},{accessorKey:"schema",header:"Schema",sortable:!0},{accessorKey:"size",header:"Size",sortable:!0,cell:({row:k})=>{const x=k.getValue("size"),D=w(x),O=y(D);return je("div",{class:"flex items-center"},[je("div",{class:"mr-2"},b(x)),je("div",{class:"w-24 h-2 bg-shark-100 dark:bg-shark-700 rounded overflow-hidden"},[je("div",{class:`h-full ${O}`,style:`width: ${Math.min(D,100)}%`})])])}},{accessorKey:"rows",header:"Rows",sortable:!0,cell:({row:k})=>{const x=k.getValue("rows");return _(x)}},{accessorKey:"avg_row_size",header:"Avg Row Size",sortable:!0,cell:({row:k})=>{const x=k.getValue("avg_row_size");return b(x)}}]:[]});return(v,k)=>{const x=ws,D=Ms,O=ho,C=Ps,T=co,$=wa,st=lo,z=Ss;return E(),bt(z,null,{header:B(()=>[m("div",ep,[m("h2",sp,[S(x,{name:"i-lucide-database",class:"mr-2"}),k[1]||(k[1]=X(" Database Overview "))]),S(D,{variant:"ghost",icon:"i-heroicons-arrow-path",loading:e.value,onClick:P,size:"sm"},null,8,["loading"])])]),default:B(()=>{var N;return[e.value?(E(),I("div",ip,[m("div",np,[(E(),I(pt,null,mt(4,W=>S(O,{key:`stat-skeleton-${W}`,"show-header":!1,"show-image":!1,"line-count":0,"show-title":!1})),64))]),m("div",op,[m("div",ap,[S(C,{class:"h-6 w-32"}),S(C,{class:"h-8 w-64 mt-2 md:mt-0",ui:{rounded:"rounded-md"}})]),m("div",rp,[S(C,{class:"h-4 w-24"}),m("div",lp,[(E(),I(pt,null,mt(4,W=>S(C,{key:`legend-${W}`,class:"h-4 w-12"})),64))])]),S(T,{"row-count":8,"column-count":5})])])):i.value?(E(),I("div",cp,[S(x,{name:"i-heroicons-exclamation-triangle",class:"mr-2"}),m("span",null,L(i.value),1)])):(E(),I("div",hp,[m("div",dp,[m("div",up,[m("div",fp,L(a.value),1),k[2]||(k[2]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Total Tables",-1))]),m("div",gp,[m("div",pp,L(b(r.value)),1),k[3]||(k[3]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Total Size",-1))]),m("div",mp,[m("div",bp,L(_(l.value)),1),k[4]||(k[4]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Total Rows",-1))]),m("div",xp,[m("div",_p,L(_(c.value)),1),k[5]||(k[5]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Avg Rows/Table",-1))])]),(N=n.value)!=null&&N.length?(E(),I("div",vp,[m("div",yp,[k[6]||(k[6]=m("h3",{class:"text-md font-semibold"},"Largest Tables",-1)),m("div",kp,[S($,{modelValue:h.value,"onUpdate:modelValue":k[0]||(k[0]=W=>h.value=W),placeholder:"Search tables...",icon:"i-heroicons-magnifying-glass",size:"sm",class:"w-full"},null,8,["modelValue"])])]),k[7]||(k[7]=m("div",{class:"flex flex-wrap items-center space-x-4 mb-2 text-sm text-boulder-600 dark:text-boulder-400"},[m("span",null,"Size indicators:"),m("div",{class:"flex items-center"},[m("div",{class:"w-3 h-3 rounded-full bg-green-500 mr-1"}),m("span",null,"< 5%")]),m("div",{class:"flex items-center"},[m("div",{class:"w-3 h-3 rounded-full bg-blue-500 mr-1"}),m("span",null,"5-15%")]),m("div",{class:"flex items-center"},[m("div",{class:"w-3 h-3 rounded-full bg-amber-500 mr-1"}),m("span",null,"15-30%")]),m("div",{class:"flex items-center"},[m("div",{class:"w-3 h-3 rounded-full bg-red-500 mr-1"}),m("span",null,"> 30%")])],-1)),S(st,{columns:M.value,data:p.value,sort:{column:u.value,direction:f.value},onSort:g,sticky:"",class:"h-80"},null,8,["columns","data","sort"])])):(E(),I("div",wp," No table information available "))]))]}),_:1})}}}),Sp={class:"last-refreshed"},Pp=["disabled"],Dp=Lt({__name:"index",setup(s){const t=Be(),e=R(()=>t.isLoading),i=R(()=>t.lastRefreshed);async function n(){await t.fetchDashboardData()}return oo(async()=>{await n()}),(o,a)=>{const r=Ma,l=Mp,c=tp,h=dc,d=il,u=Ea,f=ua;return E(),bt(f,{id:"overview"},{header:B(()=>[S(r,{title:"Overview"},{right:B(()=>[m("span",Sp," Last refreshed: "+L(i.value),1),m("button",{onClick:n,class:at(["refresh-all-btn",{loading:e.value}]),disabled:e.value},a[0]||(a[0]=[m("i",{class:"fas fa-sync-alt"},null,-1),X(" Refresh All ")]),10,Pp)]),_:1})]),body:B(()=>[S(u,{class:"lg:grid-cols-2 gap-4 sm:gap-6 lg:gap-4"},{default:B(()=>[S(l),S(c),S(h),S(d)]),_:1})]),_:1})}}});typeof Pi=="function"&&Pi(Dp);export{Dp as default};
+`):s}function Hf(s,t){const{element:e,datasetIndex:i,index:n}=t,o=s.getDatasetMeta(i).controller,{label:a,value:r}=o.getLabelAndValue(n);return{chart:s,label:a,parsed:o.getParsed(n),raw:s.data.datasets[i].data[n],formattedValue:r,dataset:o.getDataset(),dataIndex:n,datasetIndex:i,element:e}}function Vn(s,t){const e=s.chart.ctx,{body:i,footer:n,title:o}=s,{boxWidth:a,boxHeight:r}=t,l=it(t.bodyFont),c=it(t.titleFont),h=it(t.footerFont),d=o.length,u=n.length,f=i.length,g=lt(t.padding);let p=g.height,b=0,_=i.reduce((P,M)=>P+M.before.length+M.lines.length+M.after.length,0);if(_+=s.beforeBody.length+s.afterBody.length,d&&(p+=d*c.lineHeight+(d-1)*t.titleSpacing+t.titleMarginBottom),_){const P=t.displayColors?Math.max(r,l.lineHeight):l.lineHeight;p+=f*P+(_-f)*l.lineHeight+(_-1)*t.bodySpacing}u&&(p+=t.footerMarginTop+u*h.lineHeight+(u-1)*t.footerSpacing);let w=0;const y=function(P){b=Math.max(b,e.measureText(P).width+w)};return e.save(),e.font=c.string,Y(s.title,y),e.font=l.string,Y(s.beforeBody.concat(s.afterBody),y),w=t.displayColors?a+2+t.boxPadding:0,Y(i,P=>{Y(P.before,y),Y(P.lines,y),Y(P.after,y)}),w=0,e.font=h.string,Y(s.footer,y),e.restore(),b+=g.width,{width:b,height:p}}function jf(s,t){const{y:e,height:i}=t;return e<i/2?"top":e>s.height-i/2?"bottom":"center"}function Nf(s,t,e,i){const{x:n,width:o}=i,a=e.caretSize+e.caretPadding;if(s==="left"&&n+o+a>t.width||s==="right"&&n-o-a<0)return!0}function Wf(s,t,e,i){const{x:n,width:o}=e,{width:a,chartArea:{left:r,right:l}}=s;let c="center";return i==="center"?c=n<=(r+l)/2?"left":"right":n<=o/2?c="left":n>=a-o/2&&(c="right"),Nf(c,s,t,e)&&(c="center"),c}function $n(s,t,e){const i=e.yAlign||t.yAlign||jf(s,e);return{xAlign:e.xAlign||t.xAlign||Wf(s,t,e,i),yAlign:i}}function Uf(s,t){let{x:e,width:i}=s;return t==="right"?e-=i:t==="center"&&(e-=i/2),e}function Yf(s,t,e){let{y:i,height:n}=s;return t==="top"?i+=e:t==="bottom"?i-=n+e:i-=n/2,i}function Hn(s,t,e,i){const{caretSize:n,caretPadding:o,cornerRadius:a}=s,{xAlign:r,yAlign:l}=e,c=n+o,{topLeft:h,topRight:d,bottomLeft:u,bottomRight:f}=Zt(a);let g=Uf(t,r);const p=Yf(t,l,c);return l==="center"?r==="left"?g+=c:r==="right"&&(g-=c):r==="left"?g-=Math.max(h,u)+n:r==="right"&&(g+=Math.max(d,f)+n),{x:nt(g,0,i.width-t.width),y:nt(p,0,i.height-t.height)}}function es(s,t,e){const i=lt(e.padding);return t==="center"?s.x+s.width/2:t==="right"?s.x+s.width-i.right:s.x+i.left}function jn(s){return kt([],Dt(s))}function Xf(s,t,e){return Ht(s,{tooltip:t,tooltipItems:e,type:"tooltip"})}function Nn(s,t){const e=t&&t.dataset&&t.dataset.tooltip&&t.dataset.tooltip.callbacks;return e?s.override(e):s}const la={beforeTitle:St,title(s){if(s.length>0){const t=s[0],e=t.chart.data.labels,i=e?e.length:0;if(this&&this.options&&this.options.mode==="dataset")return t.dataset.label||"";if(t.label)return t.label;if(i>0&&t.dataIndex<i)return e[t.dataIndex]}return""},afterTitle:St,beforeBody:St,beforeLabel:St,label(s){if(this&&this.options&&this.options.mode==="dataset")return s.label+": "+s.formattedValue||s.formattedValue;let t=s.dataset.label||"";t&&(t+=": ");const e=s.formattedValue;return H(e)||(t+=e),t},labelColor(s){const e=s.chart.getDatasetMeta(s.datasetIndex).controller.getStyle(s.dataIndex);return{borderColor:e.borderColor,backgroundColor:e.backgroundColor,borderWidth:e.borderWidth,borderDash:e.borderDash,borderDashOffset:e.borderDashOffset,borderRadius:0}},labelTextColor(){return this.options.bodyColor},labelPointStyle(s){const e=s.chart.getDatasetMeta(s.datasetIndex).controller.getStyle(s.dataIndex);return{pointStyle:e.pointStyle,rotation:e.rotation}},afterLabel:St,afterBody:St,beforeFooter:St,footer:St,afterFooter:St};function ht(s,t,e,i){const n=s[t].call(e,i);return typeof n>"u"?la[t].call(e,i):n}class ii extends yt{constructor(t){super(),this.opacity=0,this._active=[],this._eventPosition=void 0,this._size=void 0,this._cachedAnimations=void 0,this._tooltipItems=[],this.$animations=void 0,this.$context=void 0,this.chart=t.chart,this.options=t.options,this.dataPoints=void 0,this.title=void 0,this.beforeBody=void 0,this.body=void 0,this.afterBody=void 0,this.footer=void 0,this.xAlign=void 0,this.yAlign=void 0,this.x=void 0,this.y=void 0,this.height=void 0,this.width=void 0,this.caretX=void 0,this.caretY=void 0,this.labelColors=void 0,this.labelPointStyles=void 0,this.labelTextColors=void 0}initialize(t){this.options=t,this._cachedAnimations=void 0,this.$context=void 0}_resolveAnimations(){const t=this._cachedAnimations;if(t)return t;const e=this.chart,i=this.options.setContext(this.getContext()),n=i.enabled&&e.options.animation&&i.animations,o=new Ho(this.chart,n);return n._cacheable&&(this._cachedAnimations=Object.freeze(o)),o}getContext(){return this.$context||(this.$context=Xf(this.chart.getContext(),this,this._tooltipItems))}getTitle(t,e){const{callbacks:i}=e,n=ht(i,"beforeTitle",this,t),o=ht(i,"title",this,t),a=ht(i,"afterTitle",this,t);let r=[];return r=kt(r,Dt(n)),r=kt(r,Dt(o)),r=kt(r,Dt(a)),r}getBeforeBody(t,e){return jn(ht(e.callbacks,"beforeBody",this,t))}getBody(t,e){const{callbacks:i}=e,n=[];return Y(t,o=>{const a={before:[],lines:[],after:[]},r=Nn(i,o);kt(a.before,Dt(ht(r,"beforeLabel",this,o))),kt(a.lines,ht(r,"label",this,o)),kt(a.after,Dt(ht(r,"afterLabel",this,o))),n.push(a)}),n}getAfterBody(t,e){return jn(ht(e.callbacks,"afterBody",this,t))}getFooter(t,e){const{callbacks:i}=e,n=ht(i,"beforeFooter",this,t),o=ht(i,"footer",this,t),a=ht(i,"afterFooter",this,t);let r=[];return r=kt(r,Dt(n)),r=kt(r,Dt(o)),r=kt(r,Dt(a)),r}_createItems(t){const e=this._active,i=this.chart.data,n=[],o=[],a=[];let r=[],l,c;for(l=0,c=e.length;l<c;++l)r.push(Hf(this.chart,e[l]));return t.filter&&(r=r.filter((h,d,u)=>t.filter(h,d,u,i))),t.itemSort&&(r=r.sort((h,d)=>t.itemSort(h,d,i))),Y(r,h=>{const d=Nn(t.callbacks,h);n.push(ht(d,"labelColor",this,h)),o.push(ht(d,"labelPointStyle",this,h)),a.push(ht(d,"labelTextColor",this,h))}),this.labelColors=n,this.labelPointStyles=o,this.labelTextColors=a,this.dataPoints=r,r}update(t,e){const i=this.options.setContext(this.getContext()),n=this._active;let o,a=[];if(!n.length)this.opacity!==0&&(o={opacity:0});else{const r=ye[i.position].call(this,n,this._eventPosition);a=this._createItems(i),this.title=this.getTitle(a,i),this.beforeBody=this.getBeforeBody(a,i),this.body=this.getBody(a,i),this.afterBody=this.getAfterBody(a,i),this.footer=this.getFooter(a,i);const l=this._size=Vn(this,i),c=Object.assign({},r,l),h=$n(this.chart,i,c),d=Hn(i,c,h,this.chart);this.xAlign=h.xAlign,this.yAlign=h.yAlign,o={opacity:1,x:d.x,y:d.y,width:l.width,height:l.height,caretX:r.x,caretY:r.y}}this._tooltipItems=a,this.$context=void 0,o&&this._resolveAnimations().update(this,o),t&&i.external&&i.external.call(this,{chart:this.chart,tooltip:this,replay:e})}drawCaret(t,e,i,n){const o=this.getCaretPosition(t,i,n);e.lineTo(o.x1,o.y1),e.lineTo(o.x2,o.y2),e.lineTo(o.x3,o.y3)}getCaretPosition(t,e,i){const{xAlign:n,yAlign:o}=this,{caretSize:a,cornerRadius:r}=i,{topLeft:l,topRight:c,bottomLeft:h,bottomRight:d}=Zt(r),{x:u,y:f}=t,{width:g,height:p}=e;let b,_,w,y,P,M;return o==="center"?(P=f+p/2,n==="left"?(b=u,_=b-a,y=P+a,M=P-a):(b=u+g,_=b+a,y=P-a,M=P+a),w=b):(n==="left"?_=u+Math.max(l,h)+a:n==="right"?_=u+g-Math.max(c,d)-a:_=this.caretX,o==="top"?(y=f,P=y-a,b=_-a,w=_+a):(y=f+p,P=y+a,b=_+a,w=_-a),M=y),{x1:b,x2:_,x3:w,y1:y,y2:P,y3:M}}drawTitle(t,e,i){const n=this.title,o=n.length;let a,r,l;if(o){const c=ae(i.rtl,this.x,this.width);for(t.x=es(this,i.titleAlign,i),e.textAlign=c.textAlign(i.titleAlign),e.textBaseline="middle",a=it(i.titleFont),r=i.titleSpacing,e.fillStyle=i.titleColor,e.font=a.string,l=0;l<o;++l)e.fillText(n[l],c.x(t.x),t.y+a.lineHeight/2),t.y+=a.lineHeight+r,l+1===o&&(t.y+=i.titleMarginBottom-r)}}_drawColorBox(t,e,i,n,o){const a=this.labelColors[i],r=this.labelPointStyles[i],{boxHeight:l,boxWidth:c}=o,h=it(o.bodyFont),d=es(this,"left",o),u=n.x(d),f=l<h.lineHeight?(h.lineHeight-l)/2:0,g=e.y+f;if(o.usePointStyle){const p={radius:Math.min(c,l)/2,pointStyle:r.pointStyle,rotation:r.rotation,borderWidth:1},b=n.leftForLtr(u,c)+c/2,_=g+l/2;t.strokeStyle=o.multiKeyBackground,t.fillStyle=o.multiKeyBackground,Gs(t,p,b,_),t.strokeStyle=a.borderColor,t.fillStyle=a.backgroundColor,Gs(t,p,b,_)}else{t.lineWidth=j(a.borderWidth)?Math.max(...Object.values(a.borderWidth)):a.borderWidth||1,t.strokeStyle=a.borderColor,t.setLineDash(a.borderDash||[]),t.lineDashOffset=a.borderDashOffset||0;const p=n.leftForLtr(u,c),b=n.leftForLtr(n.xPlus(u,1),c-2),_=Zt(a.borderRadius);Object.values(_).some(w=>w!==0)?(t.beginPath(),t.fillStyle=o.multiKeyBackground,Ee(t,{x:p,y:g,w:c,h:l,radius:_}),t.fill(),t.stroke(),t.fillStyle=a.backgroundColor,t.beginPath(),Ee(t,{x:b,y:g+1,w:c-2,h:l-2,radius:_}),t.fill()):(t.fillStyle=o.multiKeyBackground,t.fillRect(p,g,c,l),t.strokeRect(p,g,c,l),t.fillStyle=a.backgroundColor,t.fillRect(b,g+1,c-2,l-2))}t.fillStyle=this.labelTextColors[i]}drawBody(t,e,i){const{body:n}=this,{bodySpacing:o,bodyAlign:a,displayColors:r,boxHeight:l,boxWidth:c,boxPadding:h}=i,d=it(i.bodyFont);let u=d.lineHeight,f=0;const g=ae(i.rtl,this.x,this.width),p=function(x){e.fillText(x,g.x(t.x+f),t.y+u/2),t.y+=u+o},b=g.textAlign(a);let _,w,y,P,M,v,k;for(e.textAlign=a,e.textBaseline="middle",e.font=d.string,t.x=es(this,b,i),e.fillStyle=i.bodyColor,Y(this.beforeBody,p),f=r&&b!=="right"?a==="center"?c/2+h:c+2+h:0,P=0,v=n.length;P<v;++P){for(_=n[P],w=this.labelTextColors[P],e.fillStyle=w,Y(_.before,p),y=_.lines,r&&y.length&&(this._drawColorBox(e,t,P,g,i),u=Math.max(d.lineHeight,l)),M=0,k=y.length;M<k;++M)p(y[M]),u=d.lineHeight;Y(_.after,p)}f=0,u=d.lineHeight,Y(this.afterBody,p),t.y-=o}drawFooter(t,e,i){const n=this.footer,o=n.length;let a,r;if(o){const l=ae(i.rtl,this.x,this.width);for(t.x=es(this,i.footerAlign,i),t.y+=i.footerMarginTop,e.textAlign=l.textAlign(i.footerAlign),e.textBaseline="middle",a=it(i.footerFont),e.fillStyle=i.footerColor,e.font=a.string,r=0;r<o;++r)e.fillText(n[r],l.x(t.x),t.y+a.lineHeight/2),t.y+=a.lineHeight+i.footerSpacing}}drawBackground(t,e,i,n){const{xAlign:o,yAlign:a}=this,{x:r,y:l}=t,{width:c,height:h}=i,{topLeft:d,topRight:u,bottomLeft:f,bottomRight:g}=Zt(n.cornerRadius);e.fillStyle=n.backgroundColor,e.strokeStyle=n.borderColor,e.lineWidth=n.borderWidth,e.beginPath(),e.moveTo(r+d,l),a==="top"&&this.drawCaret(t,e,i,n),e.lineTo(r+c-u,l),e.quadraticCurveTo(r+c,l,r+c,l+u),a==="center"&&o==="right"&&this.drawCaret(t,e,i,n),e.lineTo(r+c,l+h-g),e.quadraticCurveTo(r+c,l+h,r+c-g,l+h),a==="bottom"&&this.drawCaret(t,e,i,n),e.lineTo(r+f,l+h),e.quadraticCurveTo(r,l+h,r,l+h-f),a==="center"&&o==="left"&&this.drawCaret(t,e,i,n),e.lineTo(r,l+d),e.quadraticCurveTo(r,l,r+d,l),e.closePath(),e.fill(),n.borderWidth>0&&e.stroke()}_updateAnimationTarget(t){const e=this.chart,i=this.$animations,n=i&&i.x,o=i&&i.y;if(n||o){const a=ye[t.position].call(this,this._active,this._eventPosition);if(!a)return;const r=this._size=Vn(this,t),l=Object.assign({},a,this._size),c=$n(e,t,l),h=Hn(t,l,c,e);(n._to!==h.x||o._to!==h.y)&&(this.xAlign=c.xAlign,this.yAlign=c.yAlign,this.width=r.width,this.height=r.height,this.caretX=a.x,this.caretY=a.y,this._resolveAnimations().update(this,h))}}_willRender(){return!!this.opacity}draw(t){const e=this.options.setContext(this.getContext());let i=this.opacity;if(!i)return;this._updateAnimationTarget(e);const n={width:this.width,height:this.height},o={x:this.x,y:this.y};i=Math.abs(i)<.001?0:i;const a=lt(e.padding),r=this.title.length||this.beforeBody.length||this.body.length||this.afterBody.length||this.footer.length;e.enabled&&r&&(t.save(),t.globalAlpha=i,this.drawBackground(o,t,n,e),zo(t,e.textDirection),o.y+=a.top,this.drawTitle(o,t,e),this.drawBody(o,t,e),this.drawFooter(o,t,e),Fo(t,e.textDirection),t.restore())}getActiveElements(){return this._active||[]}setActiveElements(t,e){const i=this._active,n=t.map(({datasetIndex:r,index:l})=>{const c=this.chart.getDatasetMeta(r);if(!c)throw new Error("Cannot find a dataset at index "+r);return{datasetIndex:r,element:c.data[l],index:l}}),o=!gs(i,n),a=this._positionChanged(n,e);(o||a)&&(this._active=n,this._eventPosition=e,this._ignoreReplayEvents=!0,this.update(!0))}handleEvent(t,e,i=!0){if(e&&this._ignoreReplayEvents)return!1;this._ignoreReplayEvents=!1;const n=this.options,o=this._active||[],a=this._getActiveElements(t,o,e,i),r=this._positionChanged(a,t),l=e||!gs(a,o)||r;return l&&(this._active=a,(n.enabled||n.external)&&(this._eventPosition={x:t.x,y:t.y},this.update(!0,e))),l}_getActiveElements(t,e,i,n){const o=this.options;if(t.type==="mouseout")return[];if(!n)return e.filter(r=>this.chart.data.datasets[r.datasetIndex]&&this.chart.getDatasetMeta(r.datasetIndex).controller.getParsed(r.index)!==void 0);const a=this.chart.getElementsAtEventForMode(t,o.mode,o,i);return o.reverse&&a.reverse(),a}_positionChanged(t,e){const{caretX:i,caretY:n,options:o}=this,a=ye[o.position].call(this,t,e);return a!==!1&&(i!==a.x||n!==a.y)}}A(ii,"positioners",ye);var qf={id:"tooltip",_element:ii,positioners:ye,afterInit(s,t,e){e&&(s.tooltip=new ii({chart:s,options:e}))},beforeUpdate(s,t,e){s.tooltip&&s.tooltip.initialize(e)},reset(s,t,e){s.tooltip&&s.tooltip.initialize(e)},afterDraw(s){const t=s.tooltip;if(t&&t._willRender()){const e={tooltip:t};if(s.notifyPlugins("beforeTooltipDraw",{...e,cancelable:!0})===!1)return;t.draw(s.ctx),s.notifyPlugins("afterTooltipDraw",e)}},afterEvent(s,t){if(s.tooltip){const e=t.replay;s.tooltip.handleEvent(t.event,e,t.inChartArea)&&(t.changed=!0)}},defaults:{enabled:!0,external:null,position:"average",backgroundColor:"rgba(0,0,0,0.8)",titleColor:"#fff",titleFont:{weight:"bold"},titleSpacing:2,titleMarginBottom:6,titleAlign:"left",bodyColor:"#fff",bodySpacing:2,bodyFont:{},bodyAlign:"left",footerColor:"#fff",footerSpacing:2,footerMarginTop:6,footerFont:{weight:"bold"},footerAlign:"left",padding:6,caretPadding:2,caretSize:5,cornerRadius:6,boxHeight:(s,t)=>t.bodyFont.size,boxWidth:(s,t)=>t.bodyFont.size,multiKeyBackground:"#fff",displayColors:!0,boxPadding:0,borderColor:"rgba(0,0,0,0)",borderWidth:0,animation:{duration:400,easing:"easeOutQuart"},animations:{numbers:{type:"number",properties:["x","y","width","height","caretX","caretY"]},opacity:{easing:"linear",duration:200}},callbacks:la},defaultRoutes:{bodyFont:"font",footerFont:"font",titleFont:"font"},descriptors:{_scriptable:s=>s!=="filter"&&s!=="itemSort"&&s!=="external",_indexable:!1,callbacks:{_scriptable:!1,_indexable:!1},animation:{_fallback:!1},animations:{_fallback:"animation"}},additionalOptionScopes:["interaction"]},Kf=Object.freeze({__proto__:null,Colors:rf,Decimation:df,Filler:Tf,Legend:If,SubTitle:$f,Title:Vf,Tooltip:qf});const Gf=(s,t,e,i)=>(typeof t=="string"?(e=s.push(t)-1,i.unshift({index:e,label:t})):isNaN(t)&&(e=null),e);function Zf(s,t,e,i){const n=s.indexOf(t);if(n===-1)return Gf(s,t,e,i);const o=s.lastIndexOf(t);return n!==o?e:n}const Jf=(s,t)=>s===null?null:nt(Math.round(s),0,t);function Wn(s){const t=this.getLabels();return s>=0&&s<t.length?t[s]:s}class ni extends ee{constructor(t){super(t),this._startValue=void 0,this._valueRange=0,this._addedLabels=[]}init(t){const e=this._addedLabels;if(e.length){const i=this.getLabels();for(const{index:n,label:o}of e)i[n]===o&&i.splice(n,1);this._addedLabels=[]}super.init(t)}parse(t,e){if(H(t))return null;const i=this.getLabels();return e=isFinite(e)&&i[e]===t?e:Zf(i,t,V(e,t),this._addedLabels),Jf(e,i.length-1)}determineDataLimits(){const{minDefined:t,maxDefined:e}=this.getUserBounds();let{min:i,max:n}=this.getMinMax(!0);this.options.bounds==="ticks"&&(t||(i=0),e||(n=this.getLabels().length-1)),this.min=i,this.max=n}buildTicks(){const t=this.min,e=this.max,i=this.options.offset,n=[];let o=this.getLabels();o=t===0&&e===o.length-1?o:o.slice(t,e+1),this._valueRange=Math.max(o.length-(i?0:1),1),this._startValue=this.min-(i?.5:0);for(let a=t;a<=e;a++)n.push({value:a});return n}getLabelForValue(t){return Wn.call(this,t)}configure(){super.configure(),this.isHorizontal()||(this._reversePixels=!this._reversePixels)}getPixelForValue(t){return typeof t!="number"&&(t=this.parse(t)),t===null?NaN:this.getPixelForDecimal((t-this._startValue)/this._valueRange)}getPixelForTick(t){const e=this.ticks;return t<0||t>e.length-1?null:this.getPixelForValue(e[t].value)}getValueForPixel(t){return Math.round(this._startValue+this.getDecimalForPixel(t)*this._valueRange)}getBasePixel(){return this.bottom}}A(ni,"id","category"),A(ni,"defaults",{ticks:{callback:Wn}});function Qf(s,t){const e=[],{bounds:n,step:o,min:a,max:r,precision:l,count:c,maxTicks:h,maxDigits:d,includeBounds:u}=s,f=o||1,g=h-1,{min:p,max:b}=t,_=!H(a),w=!H(r),y=!H(c),P=(b-p)/(d+1);let M=Bi((b-p)/g/f)*f,v,k,x,D;if(M<1e-14&&!_&&!w)return[{value:p},{value:b}];D=Math.ceil(b/M)-Math.floor(p/M),D>g&&(M=Bi(D*M/g/f)*f),H(l)||(v=Math.pow(10,l),M=Math.ceil(M*v)/v),n==="ticks"?(k=Math.floor(p/M)*M,x=Math.ceil(b/M)*M):(k=p,x=b),_&&w&&o&&Uc((r-a)/o,M/1e3)?(D=Math.round(Math.min((r-a)/M,h)),M=(r-a)/D,k=a,x=r):y?(k=_?a:k,x=w?r:x,D=c-1,M=(x-k)/D):(D=(x-k)/M,Me(D,Math.round(D),M/1e3)?D=Math.round(D):D=Math.ceil(D));const O=Math.max(Vi(M),Vi(k));v=Math.pow(10,H(l)?O:l),k=Math.round(k*v)/v,x=Math.round(x*v)/v;let C=0;for(_&&(u&&k!==a?(e.push({value:a}),k<a&&C++,Me(Math.round((k+C*M)*v)/v,a,Un(a,P,s))&&C++):k<a&&C++);C<D;++C){const T=Math.round((k+C*M)*v)/v;if(w&&T>r)break;e.push({value:T})}return w&&u&&x!==r?e.length&&Me(e[e.length-1].value,r,Un(r,P,s))?e[e.length-1].value=r:e.push({value:r}):(!w||x===r)&&e.push({value:x}),e}function Un(s,t,{horizontal:e,minRotation:i}){const n=_t(i),o=(e?Math.sin(n):Math.cos(n))||.001,a=.75*t*(""+s).length;return Math.min(t/o,a)}class ys extends ee{constructor(t){super(t),this.start=void 0,this.end=void 0,this._startValue=void 0,this._endValue=void 0,this._valueRange=0}parse(t,e){return H(t)||(typeof t=="number"||t instanceof Number)&&!isFinite(+t)?null:+t}handleTickRangeOptions(){const{beginAtZero:t}=this.options,{minDefined:e,maxDefined:i}=this.getUserBounds();let{min:n,max:o}=this;const a=l=>n=e?n:l,r=l=>o=i?o:l;if(t){const l=Mt(n),c=Mt(o);l<0&&c<0?r(0):l>0&&c>0&&a(0)}if(n===o){let l=o===0?1:Math.abs(o*.05);r(o+l),t||a(n-l)}this.min=n,this.max=o}getTickLimit(){const t=this.options.ticks;let{maxTicksLimit:e,stepSize:i}=t,n;return i?(n=Math.ceil(this.max/i)-Math.floor(this.min/i)+1,n>1e3&&(console.warn(`scales.${this.id}.ticks.stepSize: ${i} would result generating up to ${n} ticks. Limiting to 1000.`),n=1e3)):(n=this.computeTickLimit(),e=e||11),e&&(n=Math.min(e,n)),n}computeTickLimit(){return Number.POSITIVE_INFINITY}buildTicks(){const t=this.options,e=t.ticks;let i=this.getTickLimit();i=Math.max(2,i);const n={maxTicks:i,bounds:t.bounds,min:t.min,max:t.max,precision:e.precision,step:e.stepSize,count:e.count,maxDigits:this._maxDigits(),horizontal:this.isHorizontal(),minRotation:e.minRotation||0,includeBounds:e.includeBounds!==!1},o=this._range||this,a=Qf(n,o);return t.bounds==="ticks"&&xo(a,this,"value"),t.reverse?(a.reverse(),this.start=this.max,this.end=this.min):(this.start=this.min,this.end=this.max),a}configure(){const t=this.ticks;let e=this.min,i=this.max;if(super.configure(),this.options.offset&&t.length){const n=(i-e)/Math.max(t.length-1,1)/2;e-=n,i+=n}this._startValue=e,this._endValue=i,this._valueRange=i-e}getLabelForValue(t){return $e(t,this.chart.options.locale,this.options.ticks.format)}}class oi extends ys{determineDataLimits(){const{min:t,max:e}=this.getMinMax(!0);this.min=tt(t)?t:0,this.max=tt(e)?e:1,this.handleTickRangeOptions()}computeTickLimit(){const t=this.isHorizontal(),e=t?this.width:this.height,i=_t(this.options.ticks.minRotation),n=(t?Math.sin(i):Math.cos(i))||.001,o=this._resolveTickFontOptions(0);return Math.ceil(e/Math.min(40,o.lineHeight/n))}getPixelForValue(t){return t===null?NaN:this.getPixelForDecimal((t-this._startValue)/this._valueRange)}getValueForPixel(t){return this._startValue+this.getDecimalForPixel(t)*this._valueRange}}A(oi,"id","linear"),A(oi,"defaults",{ticks:{callback:Ds.formatters.numeric}});const Fe=s=>Math.floor(zt(s)),Xt=(s,t)=>Math.pow(10,Fe(s)+t);function Yn(s){return s/Math.pow(10,Fe(s))===1}function Xn(s,t,e){const i=Math.pow(10,e),n=Math.floor(s/i);return Math.ceil(t/i)-n}function tg(s,t){const e=t-s;let i=Fe(e);for(;Xn(s,t,i)>10;)i++;for(;Xn(s,t,i)<10;)i--;return Math.min(i,Fe(s))}function eg(s,{min:t,max:e}){t=ft(s.min,t);const i=[],n=Fe(t);let o=tg(t,e),a=o<0?Math.pow(10,Math.abs(o)):1;const r=Math.pow(10,o),l=n>o?Math.pow(10,n):0,c=Math.round((t-l)*a)/a,h=Math.floor((t-l)/r/10)*r*10;let d=Math.floor((c-h)/Math.pow(10,o)),u=ft(s.min,Math.round((l+h+d*Math.pow(10,o))*a)/a);for(;u<e;)i.push({value:u,major:Yn(u),significand:d}),d>=10?d=d<15?15:20:d++,d>=20&&(o++,d=2,a=o>=0?1:a),u=Math.round((l+h+d*Math.pow(10,o))*a)/a;const f=ft(s.max,u);return i.push({value:f,major:Yn(f),significand:d}),i}class ai extends ee{constructor(t){super(t),this.start=void 0,this.end=void 0,this._startValue=void 0,this._valueRange=0}parse(t,e){const i=ys.prototype.parse.apply(this,[t,e]);if(i===0){this._zero=!0;return}return tt(i)&&i>0?i:null}determineDataLimits(){const{min:t,max:e}=this.getMinMax(!0);this.min=tt(t)?Math.max(0,t):null,this.max=tt(e)?Math.max(0,e):null,this.options.beginAtZero&&(this._zero=!0),this._zero&&this.min!==this._suggestedMin&&!tt(this._userMin)&&(this.min=t===Xt(this.min,0)?Xt(this.min,-1):Xt(this.min,0)),this.handleTickRangeOptions()}handleTickRangeOptions(){const{minDefined:t,maxDefined:e}=this.getUserBounds();let i=this.min,n=this.max;const o=r=>i=t?i:r,a=r=>n=e?n:r;i===n&&(i<=0?(o(1),a(10)):(o(Xt(i,-1)),a(Xt(n,1)))),i<=0&&o(Xt(n,-1)),n<=0&&a(Xt(i,1)),this.min=i,this.max=n}buildTicks(){const t=this.options,e={min:this._userMin,max:this._userMax},i=eg(e,this);return t.bounds==="ticks"&&xo(i,this,"value"),t.reverse?(i.reverse(),this.start=this.max,this.end=this.min):(this.start=this.min,this.end=this.max),i}getLabelForValue(t){return t===void 0?"0":$e(t,this.chart.options.locale,this.options.ticks.format)}configure(){const t=this.min;super.configure(),this._startValue=zt(t),this._valueRange=zt(this.max)-zt(t)}getPixelForValue(t){return(t===void 0||t===0)&&(t=this.min),t===null||isNaN(t)?NaN:this.getPixelForDecimal(t===this.min?0:(zt(t)-this._startValue)/this._valueRange)}getValueForPixel(t){const e=this.getDecimalForPixel(t);return Math.pow(10,this._startValue+e*this._valueRange)}}A(ai,"id","logarithmic"),A(ai,"defaults",{ticks:{callback:Ds.formatters.logarithmic,major:{enabled:!0}}});function ri(s){const t=s.ticks;if(t.display&&s.display){const e=lt(t.backdropPadding);return V(t.font&&t.font.size,Q.font.size)+e.height}return 0}function sg(s,t,e){return e=J(e)?e:[e],{w:lh(s,t.string,e),h:e.length*t.lineHeight}}function qn(s,t,e,i,n){return s===i||s===n?{start:t-e/2,end:t+e/2}:s<i||s>n?{start:t-e,end:t}:{start:t,end:t+e}}function ig(s){const t={l:s.left+s._padding.left,r:s.right-s._padding.right,t:s.top+s._padding.top,b:s.bottom-s._padding.bottom},e=Object.assign({},t),i=[],n=[],o=s._pointLabels.length,a=s.options.pointLabels,r=a.centerPointLabels?Z/o:0;for(let l=0;l<o;l++){const c=a.setContext(s.getPointLabelContext(l));n[l]=c.padding;const h=s.getPointPosition(l,s.drawingArea+n[l],r),d=it(c.font),u=sg(s.ctx,d,s._pointLabels[l]);i[l]=u;const f=gt(s.getIndexAngle(l)+r),g=Math.round(fi(f)),p=qn(g,h.x,u.w,0,180),b=qn(g,h.y,u.h,90,270);ng(e,t,f,p,b)}s.setCenterPoint(t.l-e.l,e.r-t.r,t.t-e.t,e.b-t.b),s._pointLabelItems=rg(s,i,n)}function ng(s,t,e,i,n){const o=Math.abs(Math.sin(e)),a=Math.abs(Math.cos(e));let r=0,l=0;i.start<t.l?(r=(t.l-i.start)/o,s.l=Math.min(s.l,t.l-r)):i.end>t.r&&(r=(i.end-t.r)/o,s.r=Math.max(s.r,t.r+r)),n.start<t.t?(l=(t.t-n.start)/a,s.t=Math.min(s.t,t.t-l)):n.end>t.b&&(l=(n.end-t.b)/a,s.b=Math.max(s.b,t.b+l))}function og(s,t,e){const i=s.drawingArea,{extra:n,additionalAngle:o,padding:a,size:r}=e,l=s.getPointPosition(t,i+n+a,o),c=Math.round(fi(gt(l.angle+et))),h=hg(l.y,r.h,c),d=lg(c),u=cg(l.x,r.w,d);return{visible:!0,x:l.x,y:h,textAlign:d,left:u,top:h,right:u+r.w,bottom:h+r.h}}function ag(s,t){if(!t)return!0;const{left:e,top:i,right:n,bottom:o}=s;return!(Rt({x:e,y:i},t)||Rt({x:e,y:o},t)||Rt({x:n,y:i},t)||Rt({x:n,y:o},t))}function rg(s,t,e){const i=[],n=s._pointLabels.length,o=s.options,{centerPointLabels:a,display:r}=o.pointLabels,l={extra:ri(o)/2,additionalAngle:a?Z/n:0};let c;for(let h=0;h<n;h++){l.padding=e[h],l.size=t[h];const d=og(s,h,l);i.push(d),r==="auto"&&(d.visible=ag(d,c),d.visible&&(c=d))}return i}function lg(s){return s===0||s===180?"center":s<180?"left":"right"}function cg(s,t,e){return e==="right"?s-=t:e==="center"&&(s-=t/2),s}function hg(s,t,e){return e===90||e===270?s-=t/2:(e>270||e<90)&&(s-=t),s}function dg(s,t,e){const{left:i,top:n,right:o,bottom:a}=e,{backdropColor:r}=t;if(!H(r)){const l=Zt(t.borderRadius),c=lt(t.backdropPadding);s.fillStyle=r;const h=i-c.left,d=n-c.top,u=o-i+c.width,f=a-n+c.height;Object.values(l).some(g=>g!==0)?(s.beginPath(),Ee(s,{x:h,y:d,w:u,h:f,radius:l}),s.fill()):s.fillRect(h,d,u,f)}}function ug(s,t){const{ctx:e,options:{pointLabels:i}}=s;for(let n=t-1;n>=0;n--){const o=s._pointLabelItems[n];if(!o.visible)continue;const a=i.setContext(s.getPointLabelContext(n));dg(e,a,o);const r=it(a.font),{x:l,y:c,textAlign:h}=o;te(e,s._pointLabels[n],l,c+r.lineHeight/2,r,{color:a.color,textAlign:h,textBaseline:"middle"})}}function ca(s,t,e,i){const{ctx:n}=s;if(e)n.arc(s.xCenter,s.yCenter,t,0,G);else{let o=s.getPointPosition(0,t);n.moveTo(o.x,o.y);for(let a=1;a<i;a++)o=s.getPointPosition(a,t),n.lineTo(o.x,o.y)}}function fg(s,t,e,i,n){const o=s.ctx,a=t.circular,{color:r,lineWidth:l}=t;!a&&!i||!r||!l||e<0||(o.save(),o.strokeStyle=r,o.lineWidth=l,o.setLineDash(n.dash||[]),o.lineDashOffset=n.dashOffset,o.beginPath(),ca(s,e,a,i),o.closePath(),o.stroke(),o.restore())}function gg(s,t,e){return Ht(s,{label:e,index:t,type:"pointLabel"})}class ke extends ys{constructor(t){super(t),this.xCenter=void 0,this.yCenter=void 0,this.drawingArea=void 0,this._pointLabels=[],this._pointLabelItems=[]}setDimensions(){const t=this._padding=lt(ri(this.options)/2),e=this.width=this.maxWidth-t.width,i=this.height=this.maxHeight-t.height;this.xCenter=Math.floor(this.left+e/2+t.left),this.yCenter=Math.floor(this.top+i/2+t.top),this.drawingArea=Math.floor(Math.min(e,i)/2)}determineDataLimits(){const{min:t,max:e}=this.getMinMax(!1);this.min=tt(t)&&!isNaN(t)?t:0,this.max=tt(e)&&!isNaN(e)?e:0,this.handleTickRangeOptions()}computeTickLimit(){return Math.ceil(this.drawingArea/ri(this.options))}generateTickLabels(t){ys.prototype.generateTickLabels.call(this,t),this._pointLabels=this.getLabels().map((e,i)=>{const n=q(this.options.pointLabels.callback,[e,i],this);return n||n===0?n:""}).filter((e,i)=>this.chart.getDataVisibility(i))}fit(){const t=this.options;t.display&&t.pointLabels.display?ig(this):this.setCenterPoint(0,0,0,0)}setCenterPoint(t,e,i,n){this.xCenter+=Math.floor((t-e)/2),this.yCenter+=Math.floor((i-n)/2),this.drawingArea-=Math.min(this.drawingArea/2,Math.max(t,e,i,n))}getIndexAngle(t){const e=G/(this._pointLabels.length||1),i=this.options.startAngle||0;return gt(t*e+_t(i))}getDistanceFromCenterForValue(t){if(H(t))return NaN;const e=this.drawingArea/(this.max-this.min);return this.options.reverse?(this.max-t)*e:(t-this.min)*e}getValueForDistanceFromCenter(t){if(H(t))return NaN;const e=t/(this.drawingArea/(this.max-this.min));return this.options.reverse?this.max-e:this.min+e}getPointLabelContext(t){const e=this._pointLabels||[];if(t>=0&&t<e.length){const i=e[t];return gg(this.getContext(),t,i)}}getPointPosition(t,e,i=0){const n=this.getIndexAngle(t)-et+i;return{x:Math.cos(n)*e+this.xCenter,y:Math.sin(n)*e+this.yCenter,angle:n}}getPointPositionForValue(t,e){return this.getPointPosition(t,this.getDistanceFromCenterForValue(e))}getBasePosition(t){return this.getPointPositionForValue(t||0,this.getBaseValue())}getPointLabelPosition(t){const{left:e,top:i,right:n,bottom:o}=this._pointLabelItems[t];return{left:e,top:i,right:n,bottom:o}}drawBackground(){const{backgroundColor:t,grid:{circular:e}}=this.options;if(t){const i=this.ctx;i.save(),i.beginPath(),ca(this,this.getDistanceFromCenterForValue(this._endValue),e,this._pointLabels.length),i.closePath(),i.fillStyle=t,i.fill(),i.restore()}}drawGrid(){const t=this.ctx,e=this.options,{angleLines:i,grid:n,border:o}=e,a=this._pointLabels.length;let r,l,c;if(e.pointLabels.display&&ug(this,a),n.display&&this.ticks.forEach((h,d)=>{if(d!==0||d===0&&this.min<0){l=this.getDistanceFromCenterForValue(h.value);const u=this.getContext(d),f=n.setContext(u),g=o.setContext(u);fg(this,f,l,a,g)}}),i.display){for(t.save(),r=a-1;r>=0;r--){const h=i.setContext(this.getPointLabelContext(r)),{color:d,lineWidth:u}=h;!u||!d||(t.lineWidth=u,t.strokeStyle=d,t.setLineDash(h.borderDash),t.lineDashOffset=h.borderDashOffset,l=this.getDistanceFromCenterForValue(e.reverse?this.min:this.max),c=this.getPointPosition(r,l),t.beginPath(),t.moveTo(this.xCenter,this.yCenter),t.lineTo(c.x,c.y),t.stroke())}t.restore()}}drawBorder(){}drawLabels(){const t=this.ctx,e=this.options,i=e.ticks;if(!i.display)return;const n=this.getIndexAngle(0);let o,a;t.save(),t.translate(this.xCenter,this.yCenter),t.rotate(n),t.textAlign="center",t.textBaseline="middle",this.ticks.forEach((r,l)=>{if(l===0&&this.min>=0&&!e.reverse)return;const c=i.setContext(this.getContext(l)),h=it(c.font);if(o=this.getDistanceFromCenterForValue(this.ticks[l].value),c.showLabelBackdrop){t.font=h.string,a=t.measureText(r.label).width,t.fillStyle=c.backdropColor;const d=lt(c.backdropPadding);t.fillRect(-a/2-d.left,-o-h.size/2-d.top,a+d.width,h.size+d.height)}te(t,r.label,0,-o,h,{color:c.color,strokeColor:c.textStrokeColor,strokeWidth:c.textStrokeWidth})}),t.restore()}drawTitle(){}}A(ke,"id","radialLinear"),A(ke,"defaults",{display:!0,animate:!0,position:"chartArea",angleLines:{display:!0,lineWidth:1,borderDash:[],borderDashOffset:0},grid:{circular:!1},startAngle:0,ticks:{showLabelBackdrop:!0,callback:Ds.formatters.numeric},pointLabels:{backdropColor:void 0,backdropPadding:2,display:!0,font:{size:10},callback(t){return t},padding:5,centerPointLabels:!1}}),A(ke,"defaultRoutes",{"angleLines.color":"borderColor","pointLabels.color":"color","ticks.color":"color"}),A(ke,"descriptors",{angleLines:{_fallback:"grid"}});const Rs={millisecond:{common:!0,size:1,steps:1e3},second:{common:!0,size:1e3,steps:60},minute:{common:!0,size:6e4,steps:60},hour:{common:!0,size:36e5,steps:24},day:{common:!0,size:864e5,steps:30},week:{common:!1,size:6048e5,steps:4},month:{common:!0,size:2628e6,steps:12},quarter:{common:!1,size:7884e6,steps:4},year:{common:!0,size:3154e7}},ut=Object.keys(Rs);function Kn(s,t){return s-t}function Gn(s,t){if(H(t))return null;const e=s._adapter,{parser:i,round:n,isoWeekday:o}=s._parseOpts;let a=t;return typeof i=="function"&&(a=i(a)),tt(a)||(a=typeof i=="string"?e.parse(a,i):e.parse(a)),a===null?null:(n&&(a=n==="week"&&(re(o)||o===!0)?e.startOf(a,"isoWeek",o):e.startOf(a,n)),+a)}function Zn(s,t,e,i){const n=ut.length;for(let o=ut.indexOf(s);o<n-1;++o){const a=Rs[ut[o]],r=a.steps?a.steps:Number.MAX_SAFE_INTEGER;if(a.common&&Math.ceil((e-t)/(r*a.size))<=i)return ut[o]}return ut[n-1]}function pg(s,t,e,i,n){for(let o=ut.length-1;o>=ut.indexOf(e);o--){const a=ut[o];if(Rs[a].common&&s._adapter.diff(n,i,a)>=t-1)return a}return ut[e?ut.indexOf(e):0]}function mg(s){for(let t=ut.indexOf(s)+1,e=ut.length;t<e;++t)if(Rs[ut[t]].common)return ut[t]}function Jn(s,t,e){if(!e)s[t]=!0;else if(e.length){const{lo:i,hi:n}=gi(e,t),o=e[i]>=t?e[i]:e[n];s[o]=!0}}function bg(s,t,e,i){const n=s._adapter,o=+n.startOf(t[0].value,i),a=t[t.length-1].value;let r,l;for(r=o;r<=a;r=+n.add(r,1,i))l=e[r],l>=0&&(t[l].major=!0);return t}function Qn(s,t,e){const i=[],n={},o=t.length;let a,r;for(a=0;a<o;++a)r=t[a],n[r]=a,i.push({value:r,major:!1});return o===0||!e?i:bg(s,i,n,e)}class Ie extends ee{constructor(t){super(t),this._cache={data:[],labels:[],all:[]},this._unit="day",this._majorUnit=void 0,this._offsets={},this._normalized=!1,this._parseOpts=void 0}init(t,e={}){const i=t.time||(t.time={}),n=this._adapter=new Sd._date(t.adapters.date);n.init(e),we(i.displayFormats,n.formats()),this._parseOpts={parser:i.parser,round:i.round,isoWeekday:i.isoWeekday},super.init(t),this._normalized=e.normalized}parse(t,e){return t===void 0?null:Gn(this,t)}beforeLayout(){super.beforeLayout(),this._cache={data:[],labels:[],all:[]}}determineDataLimits(){const t=this.options,e=this._adapter,i=t.time.unit||"day";let{min:n,max:o,minDefined:a,maxDefined:r}=this.getUserBounds();function l(c){!a&&!isNaN(c.min)&&(n=Math.min(n,c.min)),!r&&!isNaN(c.max)&&(o=Math.max(o,c.max))}(!a||!r)&&(l(this._getLabelBounds()),(t.bounds!=="ticks"||t.ticks.source!=="labels")&&l(this.getMinMax(!1))),n=tt(n)&&!isNaN(n)?n:+e.startOf(Date.now(),i),o=tt(o)&&!isNaN(o)?o:+e.endOf(Date.now(),i)+1,this.min=Math.min(n,o-1),this.max=Math.max(n+1,o)}_getLabelBounds(){const t=this.getLabelTimestamps();let e=Number.POSITIVE_INFINITY,i=Number.NEGATIVE_INFINITY;return t.length&&(e=t[0],i=t[t.length-1]),{min:e,max:i}}buildTicks(){const t=this.options,e=t.time,i=t.ticks,n=i.source==="labels"?this.getLabelTimestamps():this._generate();t.bounds==="ticks"&&n.length&&(this.min=this._userMin||n[0],this.max=this._userMax||n[n.length-1]);const o=this.min,a=this.max,r=Kc(n,o,a);return this._unit=e.unit||(i.autoSkip?Zn(e.minUnit,this.min,this.max,this._getLabelCapacity(o)):pg(this,r.length,e.minUnit,this.min,this.max)),this._majorUnit=!i.major.enabled||this._unit==="year"?void 0:mg(this._unit),this.initOffsets(n),t.reverse&&r.reverse(),Qn(this,r,this._majorUnit)}afterAutoSkip(){this.options.offsetAfterAutoskip&&this.initOffsets(this.ticks.map(t=>+t.value))}initOffsets(t=[]){let e=0,i=0,n,o;this.options.offset&&t.length&&(n=this.getDecimalForValue(t[0]),t.length===1?e=1-n:e=(this.getDecimalForValue(t[1])-n)/2,o=this.getDecimalForValue(t[t.length-1]),t.length===1?i=o:i=(o-this.getDecimalForValue(t[t.length-2]))/2);const a=t.length<3?.5:.25;e=nt(e,0,a),i=nt(i,0,a),this._offsets={start:e,end:i,factor:1/(e+1+i)}}_generate(){const t=this._adapter,e=this.min,i=this.max,n=this.options,o=n.time,a=o.unit||Zn(o.minUnit,e,i,this._getLabelCapacity(e)),r=V(n.ticks.stepSize,1),l=a==="week"?o.isoWeekday:!1,c=re(l)||l===!0,h={};let d=e,u,f;if(c&&(d=+t.startOf(d,"isoWeek",l)),d=+t.startOf(d,c?"day":a),t.diff(i,e,a)>1e5*r)throw new Error(e+" and "+i+" are too far apart with stepSize of "+r+" "+a);const g=n.ticks.source==="data"&&this.getDataTimestamps();for(u=d,f=0;u<i;u=+t.add(u,r,a),f++)Jn(h,u,g);return(u===i||n.bounds==="ticks"||f===1)&&Jn(h,u,g),Object.keys(h).sort(Kn).map(p=>+p)}getLabelForValue(t){const e=this._adapter,i=this.options.time;return i.tooltipFormat?e.format(t,i.tooltipFormat):e.format(t,i.displayFormats.datetime)}format(t,e){const n=this.options.time.displayFormats,o=this._unit,a=e||n[o];return this._adapter.format(t,a)}_tickFormatFunction(t,e,i,n){const o=this.options,a=o.ticks.callback;if(a)return q(a,[t,e,i],this);const r=o.time.displayFormats,l=this._unit,c=this._majorUnit,h=l&&r[l],d=c&&r[c],u=i[e],f=c&&d&&u&&u.major;return this._adapter.format(t,n||(f?d:h))}generateTickLabels(t){let e,i,n;for(e=0,i=t.length;e<i;++e)n=t[e],n.label=this._tickFormatFunction(n.value,e,t)}getDecimalForValue(t){return t===null?NaN:(t-this.min)/(this.max-this.min)}getPixelForValue(t){const e=this._offsets,i=this.getDecimalForValue(t);return this.getPixelForDecimal((e.start+i)*e.factor)}getValueForPixel(t){const e=this._offsets,i=this.getDecimalForPixel(t)/e.factor-e.end;return this.min+i*(this.max-this.min)}_getLabelSize(t){const e=this.options.ticks,i=this.ctx.measureText(t).width,n=_t(this.isHorizontal()?e.maxRotation:e.minRotation),o=Math.cos(n),a=Math.sin(n),r=this._resolveTickFontOptions(0).size;return{w:i*o+r*a,h:i*a+r*o}}_getLabelCapacity(t){const e=this.options.time,i=e.displayFormats,n=i[e.unit]||i.millisecond,o=this._tickFormatFunction(t,0,Qn(this,[t],this._majorUnit),n),a=this._getLabelSize(o),r=Math.floor(this.isHorizontal()?this.width/a.w:this.height/a.h)-1;return r>0?r:1}getDataTimestamps(){let t=this._cache.data||[],e,i;if(t.length)return t;const n=this.getMatchingVisibleMetas();if(this._normalized&&n.length)return this._cache.data=n[0].controller.getAllParsedValues(this);for(e=0,i=n.length;e<i;++e)t=t.concat(n[e].controller.getAllParsedValues(this));return this._cache.data=this.normalize(t)}getLabelTimestamps(){const t=this._cache.labels||[];let e,i;if(t.length)return t;const n=this.getLabels();for(e=0,i=n.length;e<i;++e)t.push(Gn(this,n[e]));return this._cache.labels=this._normalized?t:this.normalize(t)}normalize(t){return yo(t.sort(Kn))}}A(Ie,"id","time"),A(Ie,"defaults",{bounds:"data",adapters:{},time:{parser:!1,unit:!1,round:!1,isoWeekday:!1,minUnit:"millisecond",displayFormats:{}},ticks:{source:"auto",callback:!1,major:{enabled:!1}}});function ss(s,t,e){let i=0,n=s.length-1,o,a,r,l;e?(t>=s[i].pos&&t<=s[n].pos&&({lo:i,hi:n}=Tt(s,"pos",t)),{pos:o,time:r}=s[i],{pos:a,time:l}=s[n]):(t>=s[i].time&&t<=s[n].time&&({lo:i,hi:n}=Tt(s,"time",t)),{time:o,pos:r}=s[i],{time:a,pos:l}=s[n]);const c=a-o;return c?r+(l-r)*(t-o)/c:r}class li extends Ie{constructor(t){super(t),this._table=[],this._minPos=void 0,this._tableRange=void 0}initOffsets(){const t=this._getTimestampsForTable(),e=this._table=this.buildLookupTable(t);this._minPos=ss(e,this.min),this._tableRange=ss(e,this.max)-this._minPos,super.initOffsets(t)}buildLookupTable(t){const{min:e,max:i}=this,n=[],o=[];let a,r,l,c,h;for(a=0,r=t.length;a<r;++a)c=t[a],c>=e&&c<=i&&n.push(c);if(n.length<2)return[{time:e,pos:0},{time:i,pos:1}];for(a=0,r=n.length;a<r;++a)h=n[a+1],l=n[a-1],c=n[a],Math.round((h+l)/2)!==c&&o.push({time:c,pos:a/(r-1)});return o}_generate(){const t=this.min,e=this.max;let i=super.getDataTimestamps();return(!i.includes(t)||!i.length)&&i.splice(0,0,t),(!i.includes(e)||i.length===1)&&i.push(e),i.sort((n,o)=>n-o)}_getTimestampsForTable(){let t=this._cache.all||[];if(t.length)return t;const e=this.getDataTimestamps(),i=this.getLabelTimestamps();return e.length&&i.length?t=this.normalize(e.concat(i)):t=e.length?e:i,t=this._cache.all=t,t}getDecimalForValue(t){return(ss(this._table,t)-this._minPos)/this._tableRange}getValueForPixel(t){const e=this._offsets,i=this.getDecimalForPixel(t)/e.factor-e.end;return ss(this._table,i*this._tableRange+this._minPos,!0)}}A(li,"id","timeseries"),A(li,"defaults",Ie.defaults);var xg=Object.freeze({__proto__:null,CategoryScale:ni,LinearScale:oi,LogarithmicScale:ai,RadialLinearScale:ke,TimeScale:Ie,TimeSeriesScale:li});const _g=[Md,Qu,Kf,xg];At.register(..._g);const to=Lt({__name:"UseChart",props:{options:{type:Object,required:!0}},setup(s){const t=s,e=is(null);let i=null;oo(()=>{e.value&&t.options&&Object.keys(t.options).length>0&&n()}),ya(()=>{i&&(i.destroy(),i=null)}),Ys(()=>t.options,o=>{i&&i.destroy(),Object.keys(o).length>0&&io(()=>n())},{deep:!0});function n(){e.value&&(i=new At(e.value,t.options))}return(o,a)=>(E(),I("canvas",{ref_key:"chartContainer",ref:e},null,512))}}),Zq=Lt({__name:"ApiMetricsTrends",setup(s){const t=is("24h"),e=is("__all__"),i=is(null),n=is(!1),o=is(""),a=[{label:"Last hour",value:"1h"},{label:"Last 6 hours",value:"6h"},{label:"Last 24 hours",value:"24h"},{label:"Last 7 days",value:"7d"},{label:"Last 30 days",value:"30d"}],r=async()=>{n.value=!0,o.value="";try{const y=await ct.system.getApiMetricsTimeSeries({window:t.value,endpoint:e.value==="__all__"?"":e.value});i.value=y.data||null}catch(y){o.value=y.message||"Failed to load API metric trends"}finally{n.value=!1}};Ys([t,e],()=>{r()}),oo(()=>{r()});const l=y=>{const w=new Date(String(y).replace(" ","T"));return t.value==="7d"||t.value==="30d"?w.toLocaleString([],{month:"short",day:"numeric",hour:"2-digit",minute:"2-digit"}):w.toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"})},c=y=>y<1e3?`${Number(y).toFixed(0)} ms`:`${(y/1e3).toFixed(2)} s`,h=y=>`${Number(y).toFixed(2)}%`,d=y=>new Intl.NumberFormat().format(y),u=(y,w)=>({type:"line",data:{labels:i.value.series.map(g=>l(g.time)),datasets:w.map(([g,p,b])=>({label:g,data:i.value.series.map(_=>_[p]),borderColor:b,backgroundColor:b,pointRadius:0,borderWidth:2,tension:.3}))},options:{responsive:!0,maintainAspectRatio:!1,animation:!1,interaction:{mode:"index",intersect:!1},plugins:{legend:{display:w.length>1,position:"bottom"},tooltip:{mode:"index",intersect:!1}},scales:{y:{beginAtZero:!0,title:{display:!0,text:y}}}}}),f=R(()=>i.value?u("Requests / min",[["Requests / min","rate_per_min","rgba(59, 130, 246, 1)"]]):{}),g=R(()=>i.value?u("Milliseconds",[["p50","p50","rgba(16, 185, 129, 1)"],["p95","p95","rgba(249, 115, 22, 1)"],["p99","p99","rgba(239, 68, 68, 1)"]]):{}),p=R(()=>i.value?u("Percent",[["Error rate","error_rate","rgba(239, 68, 68, 1)"]]):{}),b=R(()=>{const y=i.value?i.value.endpoints:[],w=y.map(v=>({label:`${v.method} ${v.endpoint}`,value:v.endpoint_key}));return e.value!=="__all__"&&!y.some(v=>v.endpoint_key===e.value)&&w.push({label:e.value.split("|").reverse().join(" "),value:e.value}),[{label:"All endpoints",value:"__all__"},...w]}),_=(y,w,v)=>je("div",{class:["text-center p-4 rounded-lg",v?"bg-red-50 dark:bg-red-900/20":"bg-shark-50/55 dark:bg-shark-800"]},[je("div",{class:["text-2xl font-bold",v?"text-red-500":"text-shark-600 dark:text-shark-200"]},w),je("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},y)]),w=(y,v)=>je("div",null,[je("h3",{class:"text-md font-semibold mb-2"},y),je("div",{class:"h-56 border border-shark-200 dark:border-shark-700 rounded-md p-2 bg-white dark:bg-shark-800"},[je(to,{options:v})])]),y=()=>{const v=i.value.slowest.filter(k=>k.requests>0);return v.length?je("div",{class:"overflow-x-auto rounded-md border border-shark-200 dark:border-shark-700"},je("table",{class:"min-w-full text-left text-sm divide-y divide-shark-200 dark:divide-shark-700"},[je("thead",null,je("tr",null,["Endpoint","Requests","p50","p95","p99","Error Rate"].map(k=>je("th",{key:k,class:"px-3 py-2 text-xs font-medium uppercase text-boulder-500 dark:text-boulder-400"},k)))),je("tbody",{class:"divide-y divide-shark-200 dark:divide-shark-700"},v.map(k=>je("tr",{key:k.endpoint_key,title:"Chart this endpoint",class:["cursor-pointer hover:bg-shark-50 dark:hover:bg-shark-800",k.endpoint_key===e.value?"bg-shark-50 dark:bg-shark-800":""],onClick:()=>{e.value=k.endpoint_key}},[je("td",{class:"px-3 py-2"},[je(ao,{color:k.method==="GET"?"success":k.method==="POST"?"info":"warning",size:"sm",label:k.method,class:"mr-2"}),je("span",{class:"font-mono"},k.endpoint)]),je("td",{class:"px-3 py-2"},d(k.requests)),je("td",{class:"px-3 py-2"},c(k.p50)),je("td",{class:"px-3 py-2 font-semibold"},c(k.p95)),je("td",{class:"px-3 py-2"},c(k.p99)),je("td",{class:["px-3 py-2",k.error_rate>5?"text-red-500":""]},h(k.error_rate))])))])):je("div",{class:"py-6 text-center text-boulder-500 dark:text-boulder-400"},"No requests recorded in this window")};return()=>{const v=i.value,k=v&&v.summary;return je("div",{class:"space-y-6"},[je("div",{class:"flex flex-wrap items-center gap-2"},[je(Zw,{modelValue:t.value,items:a,class:"w-44","onUpdate:modelValue":x=>{t.value=x}}),je(Zw,{modelValue:e.value,items:b.value,class:"w-80","onUpdate:modelValue":x=>{e.value=x}}),je(Ms,{variant:"ghost",size:"sm",icon:"i-heroicons-arrow-path",loading:n.value,onClick:r})]),o.value?je("div",{class:"p-4 text-red-500"},o.value):v?je("div",{class:"space-y-6"},[je("div",{class:"grid grid-cols-2 md:grid-cols-5 gap-4"},[_("Requests / min",d(k.rate_per_min),!1),_("p50 Latency",c(k.p50),!1),_("p95 Latency",c(k.p95),!1),_("p99 Latency",c(k.p99),!1),_("Error Rate",h(k.error_rate),k.error_rate>5)]),je("div",{class:"grid grid-cols-1 md:grid-cols-2 gap-6"},[w("Request Rate",f.value),w("Latency Percentiles",g.value),w("Error Rate",p.value)]),je("div",null,[je("h3",{class:"text-md font-semibold mb-2"},"Slowest Endpoints (p95)"),y()])]):je("div",{class:"py-12 text-center text-boulder-500 dark:text-boulder-400"},n.value?"Loading trends…":"No data available")])}}}),Zv=Lt({__name:"ApiMetricThresholds",setup(s){const t=Zz(),e=Be(),i=is([]),n=is(!0),o=is(["request_rate","error_rate","avg_response_time","p50","p95","p99"]),a=is(1440),r=is(!1),l=is(""),c=is(!1),h=is(null),u=M=>({name:M?M.name:"",endpoint_key:M&&M.endpoint_key||"__all__",metric:M?M.metric:"p95",value:M?String(M.value):"",window_minutes:M?String(M.window_minutes):"5",min_requests:M?String(M.min_requests):"10",enabled:M?M.enabled:!0}),d=is(u(null)),f=is(!1),g=is(null),p=is(!1),b=async()=>{r.value=!0,l.value="";try{const M=(await ct.system.getMetricThresholds()).data||{};n.value=M.available!==!1,i.value=M.thresholds||[],M.metrics&&(o.value=M.metrics),M.max_window_minutes&&(a.value=M.max_window_minutes)}catch(M){l.value=M.message||"Failed to load metric thresholds"}finally{r.value=!1}};oo(()=>{b()});const _={request_rate:"Requests / min",error_rate:"Error rate",avg_response_time:"Average response",p50:"p50 latency",p95:"p95 latency",p99:"p99 latency"},w=M=>M==="request_rate"?"per min":M==="error_rate"?"%":"ms",y=(M,k)=>{const x=Number(k).toLocaleString(void 0,{maximumFractionDigits:2});return M==="request_rate"?`${x}/min`:M==="error_rate"?`${x}%`:`${x} ms`},P=M=>M?M.split("|").reverse().join(" "):"All endpoints",v=R(()=>{const M=(e.apiMetrics.endpoints||[]).map(x=>({label:`${x.method} ${x.endpoint}`,value:`${x.endpoint}|${x.method}`})),k=d.value.endpoint_key;return k!=="__all__"&&!M.some(x=>x.value===k)&&M.push({label:P(k),value:k}),[{label:"All endpoints",value:"__all__"},...M]}),O=M=>{h.value=M||null,d.value=u(M),c.value=!0},k=async()=>{const M=d.value;if(!M.name.trim()||M.value===""){t.warn({title:"Validation Error",description:"Name and value are required"});return}const x={name:M.name.trim(),endpoint_key:M.endpoint_key==="__all__"?"":M.endpoint_key,metric:M.metric,value:Number(M.value),window_minutes:Number(M.window_minutes),min_requests:Number(M.min_requests),enabled:M.enabled};f.value=!0;try{h.value?await ct.system.updateMetricThreshold(h.value.uuid,x):await ct.system.createMetricThreshold(x),t.success({title:"Threshold Saved",description:`Threshold "${x.name}" saved.`}),c.value=!1,await b()}catch(D){t.error({title:"Error",description:D.message||"Failed to save threshold"})}finally{f.value=!1}},x=async M=>{p.value=!0;try{await ct.system.deleteMetricThreshold(M.uuid),t.success({title:"Threshold Deleted",description:`Threshold "${M.name}" deleted.`}),g.value=null,await b()}catch(D){t.error({title:"Error",description:D.message||"Failed to delete threshold"})}finally{p.value=!1}},D=M=>M.enabled?M.last_evaluated_at?M.breached?{color:"error",label:"Breached"}:{color:"success",label:"OK"}:{color:"neutral",label:"Not checked"}:{color:"neutral",label:"Disabled"},C=(M,V,Q)=>je(Jq,{label:M,help:Q},{default:()=>V}),T=()=>{const M=d.value;return je("div",{class:"space-y-4"},[C("Name",je(wa,{modelValue:M.name,placeholder:"e.g. Slow user API",class:"w-full","onUpdate:modelValue":V=>{M.name=V}})),C("Endpoint",je(Zw,{modelValue:M.endpoint_key,items:v.value,class:"w-full","onUpdate:modelValue":V=>{M.endpoint_key=V}}),"All endpoints are measured together unless one is chosen"),je("div",{class:"grid grid-cols-2 gap-4"},[C("Metric",je(Zw,{modelValue:M.metric,items:o.value.map(V=>({label:_[V]||V,value:V})),class:"w-full","onUpdate:modelValue":V=>{M.metric=V}})),C(`Above (${w(M.metric)})`,je(wa,{modelValue:M.value,type:"number",min:0,step:"any",class:"w-full","onUpdate:modelValue":V=>{M.value=V}}))]),je("div",{class:"grid grid-cols-2 gap-4"},[C("Window (minutes)",je(wa,{modelValue:M.window_minutes,type:"number",min:1,max:a.value,class:"w-full","onUpdate:modelValue":V=>{M.window_minutes=V}}),`1 to ${a.value}`),C("Minimum requests",je(wa,{modelValue:M.min_requests,type:"number",min:0,class:"w-full","onUpdate:modelValue":V=>{M.min_requests=V}}),"Quieter windows are not checked")]),je(Zy,{modelValue:M.enabled,label:"Enabled","onUpdate:modelValue":V=>{M.enabled=!!V}})])},Q=()=>i.value.length?je("div",{class:"overflow-x-auto rounded-md border border-shark-200 dark:border-shark-700"},je("table",{class:"min-w-full text-left text-sm divide-y divide-shark-200 dark:divide-shark-700"},[je("thead",null,je("tr",null,["Threshold","Condition","Status","Last Value",""].map(M=>je("th",{key:M,class:"px-3 py-2 text-xs font-medium uppercase text-boulder-500 dark:text-boulder-400"},M)))),je("tbody",{class:"divide-y divide-shark-200 dark:divide-shark-700"},i.value.map(M=>je("tr",{key:M.uuid},[je("td",{class:"px-3 py-2"},[je("p",{class:"font-medium"},M.name),je("p",{class:"text-xs font-mono text-boulder-500 dark:text-boulder-400"},P(M.endpoint_key))]),je("td",{class:"px-3 py-2"},`${_[M.metric]||M.metric} above ${y(M.metric,M.value)} over ${M.window_minutes} min`+(M.min_requests?`, at least ${M.min_requests} requests`:"")),je("td",{class:"px-3 py-2"},[je(ao,{...D(M),variant:"subtle",size:"sm"}),M.breached&&M.breached_at?je("p",{class:"text-xs text-boulder-500 dark:text-boulder-400 mt-1"},`since ${new Date(String(M.breached_at).replace(" ","T")).toLocaleString()}`):null]),je("td",{class:["px-3 py-2",M.breached?"text-red-500 font-semibold":""]},M.last_value===null?"—":y(M.metric,M.last_value)),je("td",{class:"px-3 py-2 text-right whitespace-nowrap"},g.value===M.uuid?[je("span",{class:"text-xs mr-2"},"Delete this threshold?"),je(Ms,{color:"error",size:"xs",label:"Delete",loading:p.value,onClick:()=>x(M)}),je(Ms,{variant:"ghost",size:"xs",label:"Cancel",onClick:()=>{g.value=null}})]:[je(Ms,{variant:"ghost",size:"xs",icon:"i-heroicons-pencil-square",title:"Edit",onClick:()=>O(M)}),je(Ms,{variant:"ghost",color:"error",size:"xs",icon:"i-heroicons-trash",title:"Delete",onClick:()=>{g.value=M.uuid}})])])))])):je("div",{class:"py-8 text-center text-boulder-500 dark:text-boulder-400"},"No thresholds yet. Add one to get a banner and an audit log entry when a metric goes above it.");return()=>je("div",{class:"space-y-4"},[je("div",{class:"flex flex-wrap items-center justify-between gap-2"},[je("p",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Breached thresholds show a banner across the admin and are written to the audit log. They are checked every 5 minutes."),je(Ms,{size:"sm",icon:"i-heroicons-plus",label:"Add Threshold",disabled:!n.value,onClick:()=>O(null)})]),r.value&&!i.value.length?je("div",{class:"py-8 text-center text-boulder-500 dark:text-boulder-400"},"Loading thresholds…"):l.value?je("div",{class:"p-4 text-red-500"},l.value):n.value?Q():je("div",{class:"py-8 text-center text-boulder-500 dark:text-boulder-400"},"Run the api_metric_thresholds migration to set alert thresholds."),je(Zx,{open:c.value,"onUpdate:open":M=>{c.value=M},title:h.value?"Edit Threshold":"Add Threshold",class:"sm:max-w-xl"},{body:()=>T(),footer:()=>je("div",{class:"flex justify-end gap-2 w-full"},[je(Ms,{variant:"ghost",label:"Cancel",onClick:()=>{c.value=!1}}),je(Ms,{color:"primary",icon:"i-heroicons-check",label:"Save Threshold",loading:f.value,onClick:k})])})])}}),vg={class:"flex items-center justify-between"},yg={class:"text-lg font-semibold flex items-center"},kg={key:0,class:"space-y-6"},wg={class:"flex space-x-4 border-b border-shark-200 dark:border-shark-700"},Mg={class:"grid grid-cols-2 md:grid-cols-4 gap-4"},Sg={class:"grid md:grid-cols-2 gap-6"},Pg={class:"space-y-3"},Dg={class:"space-y-3"},Cg={class:"space-y-3"},Ag={key:1,class:"p-4 text-shark-600 dark:text-shark-400"},Og={key:2},Tg={class:"pt-4"},Rg={class:"grid grid-cols-2 md:grid-cols-4 gap-4 mb-6"},Lg={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},Eg={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},zg={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},Fg={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},Ig={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},Bg={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},Vg={class:"grid grid-cols-1 md:grid-cols-2 gap-6 mb-4"},$g={class:"h-64 border border-shark-200 dark:border-shark-700 rounded-md p-2 bg-white dark:bg-shark-800"},Hg={key:1,class:"flex items-center justify-center h-full text-boulder-400 dark:text-boulder-500"},jg={class:"h-64 border border-shark-200 dark:border-shark-700 rounded-md p-2 bg-white dark:bg-shark-800"},Ng={key:1,class:"flex items-center justify-center h-full text-boulder-400 dark:text-boulder-500"},Wg={class:"mt-4 flex justify-end"},Ug={class:"pt-4"},Yg={class:"text-center py-8 text-green-500 font-semibold"},Xg={class:"pt-4"},qg={class:"text-center py-8 text-green-500 font-semibold"},Kg={class:"pt-4"},Gg={class:"w-full"},Zg={class:"text-xs mt-1"},Jg={class:"text-center py-8 text-green-500 font-semibold"},Qg={class:"text-xs text-boulder-500 dark:text-boulder-400 flex justify-between items-center"},tp=Lt({__name:"ApiMetricsCard",setup(s){const t=Be(),e=R(()=>t.apiMetrics.loading),i=R(()=>t.apiMetrics.error),n=R(()=>{var k;return((k=t.apiMetrics.endpoints)==null?void 0:k.length)||0}),o=R(()=>t.apiMetrics.totalRequests||0),a=R(()=>t.apiMetrics.avgResponseTime||0),r=R(()=>t.apiMetrics.errorRate||0),l=R(()=>t.lastRefreshed),c=R(()=>t.apiMetrics.topEndpoints||[]),h=R(()=>{var k;return((k=t.apiMetrics.endpoints)==null?void 0:k.filter(x=>x.errorRate>5))||[]}),d=R(()=>t.apiMetrics.rateLimits||[]),u=R(()=>t.apiMetrics.categoryDistribution||[]),f=[{id:"overview",label:"Overview",icon:"i-lucide-layout-dashboard",slot:"overview"},{id:"trends",label:"Trends",icon:"i-lucide-chart-line",slot:"trends"},{id:"endpoints",label:"Endpoints",icon:"i-lucide-globe",slot:"endpoints"},{id:"errors",label:"Errors",icon:"i-lucide-alert-triangle",slot:"errors"},{id:"rate-limits",label:"Rate Limits",icon:"i-lucide-gauge",slot:"rate-limits"},{id:"thresholds",label:"Alerts",icon:"i-lucide-bell",slot:"thresholds"}];function g(k){return k<1e3?`${k.toFixed(2)} ms`:`${(k/1e3).toFixed(2)} s`}function p(k){return new Intl.NumberFormat().format(k)}function b(k){return`${k.toFixed(2)}%`}const _=R(()=>{var D;if(!((D=t.apiMetrics.requestsOverTime)!=null&&D.length))return{};const k=t.apiMetrics.requestsOverTime.map(O=>O.date),x=t.apiMetrics.requestsOverTime.map(O=>O.count);return{type:"line",data:{labels:k,datasets:[{label:"Request Volume",data:x,fill:!0,backgroundColor:"rgba(59, 130, 246, 0.2)",borderColor:"rgba(59, 130, 246, 1)",tension:.4}]},options:{responsive:!0,maintainAspectRatio:!1,plugins:{legend:{display:!1},tooltip:{mode:"index",intersect:!1}},scales:{y:{beginAtZero:!0}}}}}),w=R(()=>{var O;if(!((O=t.apiMetrics.categoryDistribution)!=null&&O.length))return{};const k=t.apiMetrics.categoryDistribution.map(C=>C.category),x=t.apiMetrics.categoryDistribution.map(C=>C.count);return{type:"doughnut",data:{labels:k,datasets:[{data:x,backgroundColor:["rgba(59, 130, 246, 0.7)","rgba(16, 185, 129, 0.7)","rgba(249, 115, 22, 0.7)","rgba(239, 68, 68, 0.7)","rgba(139, 92, 246, 0.7)","rgba(107, 114, 128, 0.7)"],borderWidth:1}]},options:{responsive:!0,maintainAspectRatio:!1,plugins:{legend:{position:"bottom"}},cutout:"65%"}}});async function y(){await t.fetchDashboardData()}const P=R(()=>[{accessorKey:"endpoint",header:"Endpoint"},{accessorKey:"method",header:"Method"},{accessorKey:"calls",header:"Requests"},{accessorKey:"avgResponseTime",header:"Avg Response"},{accessorKey:"errorRate",header:"Error Rate"},{accessorKey:"lastCalled",header:"Last Called"}]),M=R(()=>[{accessorKey:"endpoint",header:"Endpoint"},{accessorKey:"method",header:"Method"},{accessorKey:"calls",header:"Requests"},{accessorKey:"errorRate",header:"Error Rate"}]),v=R(()=>[{accessorKey:"ip",header:"IP Address"},{accessorKey:"endpoint",header:"Endpoint"},{accessorKey:"usagePercentage",header:"Usage"},{accessorKey:"remaining",header:"Remaining Requests"},{accessorKey:"reset",header:"Resets In"}]);return(k,x)=>{const D=ws,O=Ms,C=Ps,T=ho,$=co,st=ao,z=lo,N=uo,W=ka,K=Ss;return E(),bt(K,null,{header:B(()=>[m("div",vg,[m("h2",yg,[S(D,{name:"i-lucide-activity",class:"mr-2"}),x[0]||(x[0]=X(" API Status & Metrics "))]),S(O,{variant:"ghost",icon:"i-heroicons-arrow-path",loading:e.value,onClick:y,size:"sm"},null,8,["loading"])])]),footer:B(()=>[m("div",Qg,[m("span",null,"Last updated: "+L(l.value),1),S(O,{variant:"link",size:"xs",onClick:y,disabled:e.value,class:"text-xs"},{default:B(()=>x[14]||(x[14]=[X(" Reset Statistics ")])),_:1,__:[14]},8,["disabled"])])]),default:B(()=>[e.value?(E(),I("div",kg,[m("div",wg,[(E(),I(pt,null,mt(4,F=>S(C,{key:`tab-${F}`,class:"h-8 w-20"})),64))]),m("div",Mg,[(E(),I(pt,null,mt(4,F=>S(T,{key:`stat-skeleton-${F}`,"show-header":!1,"show-image":!1,"line-count":0,"show-title":!1})),64))]),m("div",Sg,[m("div",Pg,[S(C,{class:"h-6 w-32"}),S(C,{class:"h-48 w-full",ui:{rounded:"rounded-lg"}})]),m("div",Dg,[S(C,{class:"h-6 w-40"}),S(C,{class:"h-48 w-full",ui:{rounded:"rounded-lg"}})])]),m("div",Cg,[S(C,{class:"h-6 w-32"}),S($,{"row-count":6,"column-count":5})])])):i.value?(E(),I("div",Ag,[S(D,{name:"i-heroicons-exclamation-triangle",class:"mr-2"}),m("span",null,L(i.value),1)])):(E(),I("div",Og,[S(W,{items:f,variant:"link"},{overview:B(()=>{var F;return[m("div",Tg,[m("div",Rg,[m("div",Lg,[m("div",Eg,L(p(n.value)),1),x[1]||(x[1]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Endpoints",-1))]),m("div",zg,[m("div",Fg,L(p(o.value)),1),x[2]||(x[2]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Total Requests",-1))]),m("div",Ig,[m("div",Bg,L(g(a.value)),1),x[3]||(x[3]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Avg Response Time",-1))]),m("div",{class:at(["text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg",{"bg-red-50 dark:bg-red-900/20":r.value>5}])},[m("div",{class:at(["text-3xl font-bold",r.value>5?"text-red-500":"text-shark-600 dark:text-shark-200"])},L(b(r.value)),3),x[4]||(x[4]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Error Rate",-1))],2)]),m("div",Vg,[m("div",null,[x[5]||(x[5]=m("h3",{class:"text-md font-semibold mb-2"},"Request Volume (Last 7 Days)",-1)),m("div",$g,[(F=U(t).apiMetrics.requestsOverTime)!=null&&F.length?(E(),bt(to,{key:0,options:_.value},null,8,["options"])):(E(),I("div",Hg," No data available "))])]),m("div",null,[x[6]||(x[6]=m("h3",{class:"text-md font-semibold mb-2"},"Endpoints by Category",-1)),m("div",jg,[u.value.length?(E(),bt(to,{key:0,options:w.value},null,8,["options"])):(E(),I("div",Ng," No category data available "))])])]),m("div",Wg,[S(O,{variant:"outline",to:"/",size:"sm",icon:"i-lucide-external-link",class:"text-sm"},{default:B(()=>x[7]||(x[7]=[X(" Open API Explorer ")])),_:1,__:[7]})])])]}),endpoints:B(()=>[m("div",Ug,[x[9]||(x[9]=m("h3",{class:"text-md font-semibold mb-2"},"Top 5 Most Active Endpoints",-1)),S(z,{columns:P.value,data:c.value,class:"h-96"},{"method-cell":B(({row:F})=>[S(st,{color:F.original.method==="GET"?"success":F.original.method==="POST"?"info":"warning",size:"sm"},{default:B(()=>[X(L(F.original.method),1)]),_:2},1032,["color"])]),"calls-cell":B(({row:F})=>[X(L(p(F.original.calls)),1)]),"avgResponseTime-cell":B(({row:F})=>[X(L(g(F.original.avgResponseTime)),1)]),"errorRate-cell":B(({row:F})=>[m("span",{class:at(F.original.errorRate>5?"text-red-500":"")},L(b(F.original.errorRate)),3)]),empty:B(()=>[m("div",Yg,[S(D,{name:"i-heroicons-check-circle",class:"w-8 h-8 mx-auto mb-2"}),x[8]||(x[8]=X(" No endpoint data available "))])]),_:1},8,["columns","data"])])]),errors:B(()=>[m("div",Xg,[x[11]||(x[11]=m("h3",{class:"text-md font-semibold mb-2"},"Problematic Endpoints (Error Rate > 5%)",-1)),S(z,{columns:M.value,data:h.value,class:"h-80"},{"method-cell":B(({row:F})=>[S(st,{color:F.original.method==="GET"?"success":F.original.method==="POST"?"info":"warning",size:"sm"},{default:B(()=>[X(L(F.original.method),1)]),_:2},1032,["color"])]),"calls-cell":B(({row:F})=>[X(L(p(F.calls)),1)]),"errorRate-cell":B(({row:F})=>[m("span",{class:at(F.original.errorRate>5?"text-red-500":"")},L(b(F.original.errorRate)),3)]),empty:B(()=>[m("div",qg,[S(D,{name:"i-heroicons-check-circle",class:"w-8 h-8 mx-auto mb-2"}),x[10]||(x[10]=X(" No problematic endpoints detected "))])]),_:1},8,["columns","data"])])]),"rate-limits":B(()=>[m("div",Kg,[x[13]||(x[13]=m("h3",{class:"text-md font-semibold mb-2"}," Rate Limits Approaching Threshold (>80% Usage) ",-1)),S(z,{columns:v.value,rows:d.value,sort:{column:"usagePercentage",direction:"desc"},class:"h-80"},{"usagePercentage-cell":B(({row:F})=>[m("div",Gg,[S(N,{value:F.original.usagePercentage,color:F.original.usagePercentage>90?"error":"warning",size:"xs"},null,8,["value","color"]),m("div",Zg,L(b(F.original.usagePercentage)),1)])]),"reset-cell":B(({row:F})=>[X(L(Math.round(F.original.reset/60))+" min ",1)]),empty:B(()=>[m("div",Jg,[S(D,{name:"i-heroicons-check-circle",class:"w-8 h-8 mx-auto mb-2"}),x[12]||(x[12]=X(" No rate limits approaching threshold "))])]),_:1},8,["columns","rows"])])]),trends:B(()=>[m("div",{class:"pt-4"},[S(Zq)])]),thresholds:B(()=>[m("div",{class:"pt-4"},[S(Zv)])]),_:1})]))]),_:1})}}}),ep={class:"flex items-center justify-between"},sp={class:"text-lg font-semibold flex items-center"},ip={key:0,class:"space-y-6"},np={class:"grid grid-cols-2 md:grid-cols-4 gap-4"},op={class:"space-y-4"},ap={class:"flex flex-col md:flex-row md:items-center justify-between"},rp={class:"flex flex-wrap items-center space-x-4"},lp={class:"flex items-center space-x-4"},cp={key:1,class:"p-4 text-shark-600 dark:text-shark-400"},hp={key:2},dp={class:"grid grid-cols-2 md:grid-cols-4 gap-4 mb-6"},up={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},fp={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},gp={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},pp={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},mp={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},bp={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},xp={class:"text-center p-4 bg-shark-50/55 dark:bg-shark-800 rounded-lg"},_p={class:"text-3xl font-bold text-shark-600 dark:text-shark-200"},vp={key:0,class:"mb-4"},yp={class:"flex flex-col md:flex-row md:items-center justify-between mb-4"},kp={class:"mt-2 md:mt-0 w-full md:w-64"},wp={key:1,class:"text-center py-8 text-boulder-500 dark:text-boulder-400"},Mp=Lt({__name:"DatabaseStatsCard",setup(s){const t=Be(),e=R(()=>t.dbStats.loading),i=R(()=>t.dbStats.error),n=R(()=>t.dbStats.largestTables),o=R(()=>t.dbStats.allTables||[]),a=R(()=>t.dbStats.totalTables||0),r=R(()=>o.value.reduce((v,k)=>v+(k.size||0),0)),l=R(()=>o.value.reduce((v,k)=>v+(k.rows||0),0)),c=R(()=>a.value?Math.round(l.value/a.value):0),h=is(""),d=R(()=>{if(!h.value.trim())return n.value;const v=h.value.toLowerCase();return n.value.filter(k=>k.table_name.toLowerCase().includes(v)||k.schema&&k.schema.toLowerCase().includes(v))}),u=is("size"),f=is("desc");function g(v){u.value===v?f.value=f.value==="asc"?"desc":"asc":(u.value=v,f.value="desc")}const p=R(()=>{const v=f.value==="asc"?1:-1;return[...d.value].sort((k,x)=>{const D=k[u.value],O=x[u.value];return typeof D=="string"&&typeof O=="string"?v*D.localeCompare(O):v*(D-O)})});function b(v){if(v===0)return"0 Bytes";const k=1024,x=["Bytes","KB","MB","GB","TB"],D=Math.floor(Math.log(v)/Math.log(k));return parseFloat((v/Math.pow(k,D)).toFixed(2))+" "+x[D]}function _(v){return new Intl.NumberFormat().format(v)}function w(v){return r.value?v/r.value*100:0}function y(v){return v>30?"bg-red-500 dark:bg-red-400":v>15?"bg-amber-500 dark:bg-amber-400":v>5?"bg-blue-500 dark:bg-blue-400":"bg-green-500 dark:bg-green-400"}async function P(){await t.fetchDbStats()}const M=R(()=>{var v;return(v=n.value)!=null&&v.length?[{accessorKey:"table_name",header:"Table",sortable:!0,cell:({row:k})=>k.getValue("table_name")},{accessorKey:"schema",header:"Schema",sortable:!0},{accessorKey:"size",header:"Size",sortable:!0,cell:({row:k})=>{const x=k.getValue("size"),D=w(x),O=y(D);return je("div",{class:"flex items-center"},[je("div",{class:"mr-2"},b(x)),je("div",{class:"w-24 h-2 bg-shark-100 dark:bg-shark-700 rounded overflow-hidden"},[je("div",{class:`h-full ${O}`,style:`width: ${Math.min(D,100)}%`})])])}},{accessorKey:"rows",header:"Rows",sortable:!0,cell:({row:k})=>{const x=k.getValue("rows");return _(x)}},{accessorKey:"avg_row_size",header:"Avg Row Size",sortable:!0,cell:({row:k})=>{const x=k.getValue("avg_row_size");return b(x)}}]:[]});return(v,k)=>{const x=ws,D=Ms,O=ho,C=Ps,T=co,$=wa,st=lo,z=Ss;return E(),bt(z,null,{header:B(()=>[m("div",ep,[m("h2",sp,[S(x,{name:"i-lucide-database",class:"mr-2"}),k[1]||(k[1]=X(" Database Overview "))]),S(D,{variant:"ghost",icon:"i-heroicons-arrow-path",loading:e.value,onClick:P,size:"sm"},null,8,["loading"])])]),default:B(()=>{var N;return[e.value?(E(),I("div",ip,[m("div",np,[(E(),I(pt,null,mt(4,W=>S(O,{key:`stat-skeleton-${W}`,"show-header":!1,"show-image":!1,"line-count":0,"show-title":!1})),64))]),m("div",op,[m("div",ap,[S(C,{class:"h-6 w-32"}),S(C,{class:"h-8 w-64 mt-2 md:mt-0",ui:{rounded:"rounded-md"}})]),m("div",rp,[S(C,{class:"h-4 w-24"}),m("div",lp,[(E(),I(pt,null,mt(4,W=>S(C,{key:`legend-${W}`,class:"h-4 w-12"})),64))])]),S(T,{"row-count":8,"column-count":5})])])):i.value?(E(),I("div",cp,[S(x,{name:"i-heroicons-exclamation-triangle",class:"mr-2"}),m("span",null,L(i.value),1)])):(E(),I("div",hp,[m("div",dp,[m("div",up,[m("div",fp,L(a.value),1),k[2]||(k[2]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Total Tables",-1))]),m("div",gp,[m("div",pp,L(b(r.value)),1),k[3]||(k[3]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Total Size",-1))]),m("div",mp,[m("div",bp,L(_(l.value)),1),k[4]||(k[4]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Total Rows",-1))]),m("div",xp,[m("div",_p,L(_(c.value)),1),k[5]||(k[5]=m("div",{class:"text-sm text-boulder-600 dark:text-boulder-400"},"Avg Rows/Table",-1))])]),(N=n.value)!=null&&N.length?(E(),I("div",vp,[m("div",yp,[k[6]||(k[6]=m("h3",{class:"text-md font-semibold"},"Largest Tables",-1)),m("div",kp,[S($,{modelValue:h.value,"onUpdate:modelValue":k[0]||(k[0]=W=>h.value=W),placeholder:"Search tables...",icon:"i-heroicons-magnifying-glass",size:"sm",class:"w-full"},null,8,["modelValue"])])]),k[7]||(k[7]=m("div",{class:"flex flex-wrap items-center space-x-4 mb-2 text-sm text-boulder-600 dark:text-boulder-400"},[m("span",null,"Size indicators:"),m("div",{class:"flex items-center"},[m("div",{class:"w-3 h-3 rounded-full bg-green-500 mr-1"}),m("span",null,"< 5%")]),m("div",{class:"flex items-center"},[m("div",{class:"w-3 h-3 rounded-full bg-blue-500 mr-1"}),m("span",null,"5-15%")]),m("div",{class:"flex items-center"},[m("div",{class:"w-3 h-3 rounded-full bg-amber-500 mr-1"}),m("span",null,"15-30%")]),m("div",{class:"flex items-center"},[m("div",{class:"w-3 h-3 rounded-full bg-red-500 mr-1"}),m("span",null,"> 30%")])],-1)),S(st,{columns:M.value,data:p.value,sort:{column:u.value,direction:f.value},onSort:g,sticky:"",class:"h-80"},null,8,["columns","data","sort"])])):(E(),I("div",wp," No table information available "))]))]}),_:1})}}}),Sp={class:"last-refreshed"},Pp=["disabled"],Dp=Lt({__name:"index",setup(s){const t=Be(),e=R(()=>t.isLoading),i=R(()=>t.lastRefreshed);async function n(){await t.fetchDashboardData()}return oo(async()=>{await n()}),(o,a)=>{const r=Ma,l=Mp,c=tp,h=dc,d=il,u=Ea,f=ua;return E(),bt(f,{id:"overview"},{header:B(()=>[S(r,{title:"Overview"},{right:B(()=>[m("span",Sp," Last refreshed: "+L(i.value),1),m("button",{onClick:n,class:at(["refresh-all-btn",{loading:e.value}]),disabled:e.value},a[0]||(a[0]=[m("i",{class:"fas fa-sync-alt"},null,-1),X(" Refresh All ")]),10,Pp)]),_:1})]),body:B(()=>[S(u,{class:"lg:grid-cols-2 gap-4 sm:gap-6 lg:gap-4"},{default:B(()=>[S(l),S(c),S(h),S(d)]),_:1})]),_:1})}}});typeof Pi=="function"&&Pi(Dp);export{Dp as default};
@@ -1,4 +1,4 @@
-const __vite__mapDeps=(i,m=__vite__mapDeps,d=(m.f||(m.f=["assets/dashboard-CuSPwvJ-.js","assets/DashboardSidebarToggle.vue_vue_type_script_setup_true_lang-yvinZowi.js","assets/Slideover-BK7BMJA7.js","assets/DialogPortal-BWtgM8-G.js","assets/useBodyScrollLock-CA2MgwBo.js","assets/Modal-9avKWxcn.js","assets/DashboardResizeHandle.vue_vue_type_script_setup_true_lang-Bj9eNWfO.js","assets/DropdownMenu-DWboWW_y.js","assets/index-Dnaliv4H.js","assets/useFocusGuards-CqN9EHnP.js","assets/useDirection-L6XtVArv.js","assets/RovingFocusGroup-BxD9bDZV.js","assets/useArrowNavigation-B5rxJs06.js","assets/Badge-UswX4ZtY.js","assets/Popover-DWZJbMhc.js","assets/AccordionTrigger-BmvncgNJ.js","assets/CollapsibleTrigger-z6Zu-vJZ.js","assets/isValueEqualOrExist-Fpwey4SD.js","assets/index-CTG2tqdG.js","assets/route-block-C8UpW1tJ.js","assets/Card-3ffy2SwE.js","assets/Skeleton-BW74k3wi.js","assets/Tabs-C56t79Fw.js","assets/TabsTrigger-CfrKEHQY.js","assets/RovingFocusItem-D4fW7EEy.js","assets/Table-DfRn1MFI.js","assets/index-88opOQSr.js","assets/TableDataSkeleton.vue_vue_type_script_setup_true_lang-C_75FIk9.js","assets/CardSkeleton.vue_vue_type_script_setup_true_lang-bZ34LqmC.js","assets/Input-C5IL3dmi.js","assets/DashboardNavbar.vue_vue_type_script_setup_true_lang-DXiLQDGX.js","assets/catalog-cMJdpQ9Y.js","assets/Select-BAUrMTbe.js","assets/useFormControl-DwrQSjJN.js","assets/catalog-DWDYhiYZ.css","assets/cron-jobs-D-I1plHO.js","assets/Checkbox-DpWF0v5s.js","assets/VisuallyHiddenInput-C__kJX8b.js","assets/Label-CHQ0EKZ9.js","assets/useToastNotification-D4GVV2D1.js","assets/login-BUCwXAGA.js","assets/Form-BKALYl7f.js","assets/FormField-VDwBeIdM.js","assets/logs-htsM2DXW.js","assets/Pagination-CIUYPgU7.js","assets/migrations-DnxsUxDe.js","assets/permissions-BvaOj_Z7.js","assets/Textarea-CrA6wPU_.js","assets/settings-zw2KKEOX.js","assets/Switch-HAhwdiud.js","assets/sql-C5YMm3kq.js","assets/dbTables-Dp_TEHPk.js","assets/tables-ofMxUWAj.js","assets/ConfirmModal.vue_vue_type_script_setup_true_lang-Sel0ZXJf.js","assets/_name_-CrNllcFy.js"])))=>i.map(i=>d[i]);
+const __vite__mapDeps=(i,m=__vite__mapDeps,d=(m.f||(m.f=["assets/dashboard-CuSPwvJ-.js","assets/DashboardSidebarToggle.vue_vue_type_script_setup_true_lang-yvinZowi.js","assets/Slideover-BK7BMJA7.js","assets/DialogPortal-BWtgM8-G.js","assets/useBodyScrollLock-CA2MgwBo.js","assets/Modal-9avKWxcn.js","assets/DashboardResizeHandle.vue_vue_type_script_setup_true_lang-Bj9eNWfO.js","assets/DropdownMenu-DWboWW_y.js","assets/index-Dnaliv4H.js","assets/useFocusGuards-CqN9EHnP.js","assets/useDirection-L6XtVArv.js","assets/RovingFocusGroup-BxD9bDZV.js","assets/useArrowNavigation-B5rxJs06.js","assets/Badge-UswX4ZtY.js","assets/Popover-DWZJbMhc.js","assets/AccordionTrigger-BmvncgNJ.js","assets/CollapsibleTrigger-z6Zu-vJZ.js","assets/isValueEqualOrExist-Fpwey4SD.js","assets/index-CTG2tqdG.js","assets/route-block-C8UpW1tJ.js","assets/Card-3ffy2SwE.js","assets/Skeleton-BW74k3wi.js","assets/Tabs-C56t79Fw.js","assets/TabsTrigger-CfrKEHQY.js","assets/RovingFocusItem-D4fW7EEy.js","assets/Table-DfRn1MFI.js","assets/index-88opOQSr.js","assets/TableDataSkeleton.vue_vue_type_script_setup_true_lang-C_75FIk9.js","assets/CardSkeleton.vue_vue_type_script_setup_true_lang-bZ34LqmC.js","assets/Input-C5IL3dmi.js","assets/DashboardNavbar.vue_vue_type_script_setup_true_lang-DXiLQDGX.js","assets/catalog-cMJdpQ9Y.js","assets/Select-BAUrMTbe.js","assets/useFormControl-DwrQSjJN.js","assets/catalog-DWDYhiYZ.css","assets/cron-jobs-D-I1plHO.js","assets/Checkbox-DpWF0v5s.js","assets/VisuallyHiddenInput-C__kJX8b.js","assets/Label-CHQ0EKZ9.js","assets/useToastNotification-D4GVV2D1.js","assets/login-BUCwXAGA.js","assets/Form-BKALYl7f.js","assets/FormField-VDwBeIdM.js","assets/logs-htsM2DXW.js","assets/Pagination-CIUYPgU7.js","assets/migrations-DnxsUxDe.js","assets/permissions-BvaOj_Z7.js","assets/Textarea-CrA6wPU_.js","assets/settings-zw2KKEOX.js","assets/Switch-HAhwdiud.js","assets/sql-C5YMm3kq.js","assets/dbTables-Dp_TEHPk.js","assets/tables-ofMxUWAj.js","assets/ConfirmModal.vue_vue_type_script_setup_true_lang-Sel0ZXJf.js","assets/_name_-CrNllcFy.js","assets/DataExportModal.vue_vue_type_script_setup_true_lang-HLZcA6B1.js","assets/RelatedRecordsSlideover.vue_vue_type_script_setup_true_lang-qEgIbbFg.js","assets/CSVImportModal.vue_vue_type_script_setup_true_lang-6vIA5x-u.js","assets/SchemaDiagramModal.vue_vue_type_script_setup_true_lang-ci-1EvJx.js","assets/MigrationGenerateModal.vue_vue_type_script_setup_true_lang-RGUXcADm.js","assets/MigrationRunModal.vue_vue_type_script_setup_true_lang-vayLLFBp.js","assets/MigrationRunHistory.vue_vue_type_script_setup_true_lang-qAR9NJPv.js","assets/MigrationDriftReport.vue_vue_type_script_setup_true_lang-X5bdpEcG.js","assets/JobEditModal.vue_vue_type_script_setup_true_lang-UIYpC1ir.js","assets/JobRunHistoryModal.vue_vue_type_script_setup_true_lang-SZbF33iX.js","assets/LogRetentionModal.vue_vue_type_script_setup_true_lang-Kq3vR8tN.js","assets/ConfigSchemaField.vue_vue_type_script_setup_true_lang-Rw7cM2pQ.js","assets/ConfigDiffModal.vue_vue_type_script_setup_true_lang-Hd4xN1sV.js","assets/ConfigHistoryModal.vue_vue_type_script_setup_true_lang-Pq8LzT3e.js","assets/PermissionEditModal.vue_vue_type_script_setup_true_lang-Kc3vT9wB.js","assets/PermissionMatrix.vue_vue_type_script_setup_true_lang-Zm6rQ2aH.js","assets/PermissionExplorer.vue_vue_type_script_setup_true_lang-Vb8nE4qX.js","assets/ApiMetricAlertBanner.vue_vue_type_script_setup_true_lang-Hq5wM2cT.js"])))=>i.map(i=>d[i]);
 var bp=Object.defineProperty;var na=e=>{throw TypeError(e)};var vp=(e,t,n)=>t in e?bp(e,t,{enumerable:!0,configurable:!0,writable:!0,value:n}):e[t]=n;var br=(e,t,n)=>vp(e,typeof t!="symbol"?t+"":t,n),wp=(e,t,n)=>t.has(e)||na("Cannot "+n);var _s=(e,t,n)=>(wp(e,t,"read from private field"),n?n.call(e):t.get(e)),sa=(e,t,n)=>t.has(e)?na("Cannot add the same private member more than once"):t instanceof WeakSet?t.add(e):t.set(e,n);(function(){const t=document.createElement("link").relList;if(t&&t.supports&&t.supports("modulepreload"))return;for(const r of document.querySelectorAll('link[rel="modulepreload"]'))s(r);new MutationObserver(r=>{for(const o of r)if(o.type==="childList")for(const i of o.addedNodes)i.tagName==="LINK"&&i.rel==="modulepreload"&&s(i)}).observe(document,{childList:!0,subtree:!0});function n(r){const o={};return r.integrity&&(o.integrity=r.integrity),r.referrerPolicy&&(o.referrerPolicy=r.referrerPolicy),r.crossOrigin==="use-credentials"?o.credentials="include":r.crossOrigin==="anonymous"?o.credentials="omit":o.credentials="same-origin",o}function s(r){if(r.ep)return;r.ep=!0;const o=n(r);fetch(r.href,o)}})();/**
 * @vue/shared v3.5.16
 * (c) 2018-present Yuxi (Evan) You and Vue contributors
@@ -24,7 +24,7 @@ var bp=Object.defineProperty;var na=e=>{throw TypeError(e)};var vp=(e,t,n)=>t in
   * vue-router v4.5.1
   * (c) 2025 Eduardo San Martin Morote
   * @license MIT
-  */const Qn=typeof document<"u";function Kf(e){return typeof e=="object"||"displayName"in e||"props"in e||"__vccOpts"in e}function km(e){return e.__esModule||e[Symbol.toStringTag]==="Module"||e.default&&Kf(e.default)}const Ae=Object.assign;function oi(e,t){const n={};for(const s in t){const r=t[s];n[s]=Ft(r)?r.map(e):e(r)}return n}const Us=()=>{},Ft=Array.isArray,Gf=/#/g,Sm=/&/g,Em=/\//g,Cm=/=/g,Tm=/\?/g,Jf=/\+/g,Am=/%5B/g,Om=/%5D/g,Qf=/%5E/g,Pm=/%60/g,Yf=/%7B/g,Rm=/%7C/g,Xf=/%7D/g,$m=/%20/g;function Nl(e){return encodeURI(""+e).replace(Rm,"|").replace(Am,"[").replace(Om,"]")}function Im(e){return Nl(e).replace(Yf,"{").replace(Xf,"}").replace(Qf,"^")}function zi(e){return Nl(e).replace(Jf,"%2B").replace($m,"+").replace(Gf,"%23").replace(Sm,"%26").replace(Pm,"`").replace(Yf,"{").replace(Xf,"}").replace(Qf,"^")}function Mm(e){return zi(e).replace(Cm,"%3D")}function jm(e){return Nl(e).replace(Gf,"%23").replace(Tm,"%3F")}function Lm(e){return e==null?"":jm(e).replace(Em,"%2F")}function Zs(e){try{return decodeURIComponent(""+e)}catch{}return""+e}const Nm=/\/$/,Fm=e=>e.replace(Nm,"");function ii(e,t,n="/"){let s,r={},o="",i="";const l=t.indexOf("#");let a=t.indexOf("?");return l<a&&l>=0&&(a=-1),a>-1&&(s=t.slice(0,a),o=t.slice(a+1,l>-1?l:t.length),r=e(o)),l>-1&&(s=s||t.slice(0,l),i=t.slice(l,t.length)),s=Um(s??t,n),{fullPath:s+(o&&"?")+o+i,path:s,query:r,hash:Zs(i)}}function Dm(e,t){const n=t.query?e(t.query):"";return t.path+(n&&"?")+n+(t.hash||"")}function Ka(e,t){return!t||!e.toLowerCase().startsWith(t.toLowerCase())?e:e.slice(t.length)||"/"}function Bm(e,t,n){const s=t.matched.length-1,r=n.matched.length-1;return s>-1&&s===r&&cs(t.matched[s],n.matched[r])&&Zf(t.params,n.params)&&e(t.query)===e(n.query)&&t.hash===n.hash}function cs(e,t){return(e.aliasOf||e)===(t.aliasOf||t)}function Zf(e,t){if(Object.keys(e).length!==Object.keys(t).length)return!1;for(const n in e)if(!Hm(e[n],t[n]))return!1;return!0}function Hm(e,t){return Ft(e)?Ga(e,t):Ft(t)?Ga(t,e):e===t}function Ga(e,t){return Ft(t)?e.length===t.length&&e.every((n,s)=>n===t[s]):e.length===1&&e[0]===t}function Um(e,t){if(e.startsWith("/"))return e;if(!e)return t;const n=t.split("/"),s=e.split("/"),r=s[s.length-1];(r===".."||r===".")&&s.push("");let o=n.length-1,i,l;for(i=0;i<s.length;i++)if(l=s[i],l!==".")if(l==="..")o>1&&o--;else break;return n.slice(0,o).join("/")+"/"+s.slice(i).join("/")}const on={path:"/",name:void 0,params:{},query:{},hash:"",fullPath:"/",matched:[],meta:{},redirectedFrom:void 0};var er;(function(e){e.pop="pop",e.push="push"})(er||(er={}));var qs;(function(e){e.back="back",e.forward="forward",e.unknown=""})(qs||(qs={}));function qm(e){if(!e)if(Qn){const t=document.querySelector("base");e=t&&t.getAttribute("href")||"/",e=e.replace(/^\w+:\/\/[^\/]+/,"")}else e="/";return e[0]!=="/"&&e[0]!=="#"&&(e="/"+e),Fm(e)}const Vm=/^[^#]+#/;function zm(e,t){return e.replace(Vm,"#")+t}function Wm(e,t){const n=document.documentElement.getBoundingClientRect(),s=e.getBoundingClientRect();return{behavior:t.behavior,left:s.left-n.left-(t.left||0),top:s.top-n.top-(t.top||0)}}const jo=()=>({left:window.scrollX,top:window.scrollY});function Km(e){let t;if("el"in e){const n=e.el,s=typeof n=="string"&&n.startsWith("#"),r=typeof n=="string"?s?document.getElementById(n.slice(1)):document.querySelector(n):n;if(!r)return;t=Wm(r,e)}else t=e;"scrollBehavior"in document.documentElement.style?window.scrollTo(t):window.scrollTo(t.left!=null?t.left:window.scrollX,t.top!=null?t.top:window.scrollY)}function Ja(e,t){return(history.state?history.state.position-t:-1)+e}const Wi=new Map;function Gm(e,t){Wi.set(e,t)}function Jm(e){const t=Wi.get(e);return Wi.delete(e),t}let Qm=()=>location.protocol+"//"+location.host;function ed(e,t){const{pathname:n,search:s,hash:r}=t,o=e.indexOf("#");if(o>-1){let l=r.includes(e.slice(o))?e.slice(o).length:1,a=r.slice(l);return a[0]!=="/"&&(a="/"+a),Ka(a,"")}return Ka(n,e)+s+r}function Ym(e,t,n,s){let r=[],o=[],i=null;const l=({state:d})=>{const h=ed(e,location),p=n.value,g=t.value;let b=0;if(d){if(n.value=h,t.value=d,i&&i===p){i=null;return}b=g?d.position-g.position:0}else s(h);r.forEach(x=>{x(n.value,p,{delta:b,type:er.pop,direction:b?b>0?qs.forward:qs.back:qs.unknown})})};function a(){i=n.value}function c(d){r.push(d);const h=()=>{const p=r.indexOf(d);p>-1&&r.splice(p,1)};return o.push(h),h}function u(){const{history:d}=window;d.state&&d.replaceState(Ae({},d.state,{scroll:jo()}),"")}function f(){for(const d of o)d();o=[],window.removeEventListener("popstate",l),window.removeEventListener("beforeunload",u)}return window.addEventListener("popstate",l),window.addEventListener("beforeunload",u,{passive:!0}),{pauseListeners:a,listen:c,destroy:f}}function Qa(e,t,n,s=!1,r=!1){return{back:e,current:t,forward:n,replaced:s,position:window.history.length,scroll:r?jo():null}}function Xm(e){const{history:t,location:n}=window,s={value:ed(e,n)},r={value:t.state};r.value||o(s.value,{back:null,current:s.value,forward:null,position:t.length-1,replaced:!0,scroll:null},!0);function o(a,c,u){const f=e.indexOf("#"),d=f>-1?(n.host&&document.querySelector("base")?e:e.slice(f))+a:Qm()+e+a;try{t[u?"replaceState":"pushState"](c,"",d),r.value=c}catch(h){console.error(h),n[u?"replace":"assign"](d)}}function i(a,c){const u=Ae({},t.state,Qa(r.value.back,a,r.value.forward,!0),c,{position:r.value.position});o(a,u,!0),s.value=a}function l(a,c){const u=Ae({},r.value,t.state,{forward:a,scroll:jo()});o(u.current,u,!0);const f=Ae({},Qa(s.value,a,null),{position:u.position+1},c);o(a,f,!1),s.value=a}return{location:s,state:r,push:l,replace:i}}function Zm(e){e=qm(e);const t=Xm(e),n=Ym(e,t.state,t.location,t.replace);function s(o,i=!0){i||n.pauseListeners(),history.go(o)}const r=Ae({location:"",base:e,go:s,createHref:zm.bind(null,e)},t,n);return Object.defineProperty(r,"location",{enumerable:!0,get:()=>t.location.value}),Object.defineProperty(r,"state",{enumerable:!0,get:()=>t.state.value}),r}function ey(e){return typeof e=="string"||e&&typeof e=="object"}function td(e){return typeof e=="string"||typeof e=="symbol"}const nd=Symbol("");var Ya;(function(e){e[e.aborted=4]="aborted",e[e.cancelled=8]="cancelled",e[e.duplicated=16]="duplicated"})(Ya||(Ya={}));function us(e,t){return Ae(new Error,{type:e,[nd]:!0},t)}function Gt(e,t){return e instanceof Error&&nd in e&&(t==null||!!(e.type&t))}const Xa="[^/]+?",ty={sensitive:!1,strict:!1,start:!0,end:!0},ny=/[.+*?^${}()[\]/\\]/g;function sy(e,t){const n=Ae({},ty,t),s=[];let r=n.start?"^":"";const o=[];for(const c of e){const u=c.length?[]:[90];n.strict&&!c.length&&(r+="/");for(let f=0;f<c.length;f++){const d=c[f];let h=40+(n.sensitive?.25:0);if(d.type===0)f||(r+="/"),r+=d.value.replace(ny,"\\$&"),h+=40;else if(d.type===1){const{value:p,repeatable:g,optional:b,regexp:x}=d;o.push({name:p,repeatable:g,optional:b});const v=x||Xa;if(v!==Xa){h+=10;try{new RegExp(`(${v})`)}catch(y){throw new Error(`Invalid custom RegExp for param "${p}" (${v}): `+y.message)}}let m=g?`((?:${v})(?:/(?:${v}))*)`:`(${v})`;f||(m=b&&c.length<2?`(?:/${m})`:"/"+m),b&&(m+="?"),r+=m,h+=20,b&&(h+=-8),g&&(h+=-20),v===".*"&&(h+=-50)}u.push(h)}s.push(u)}if(n.strict&&n.end){const c=s.length-1;s[c][s[c].length-1]+=.7000000000000001}n.strict||(r+="/?"),n.end?r+="$":n.strict&&!r.endsWith("/")&&(r+="(?:/|$)");const i=new RegExp(r,n.sensitive?"":"i");function l(c){const u=c.match(i),f={};if(!u)return null;for(let d=1;d<u.length;d++){const h=u[d]||"",p=o[d-1];f[p.name]=h&&p.repeatable?h.split("/"):h}return f}function a(c){let u="",f=!1;for(const d of e){(!f||!u.endsWith("/"))&&(u+="/"),f=!1;for(const h of d)if(h.type===0)u+=h.value;else if(h.type===1){const{value:p,repeatable:g,optional:b}=h,x=p in c?c[p]:"";if(Ft(x)&&!g)throw new Error(`Provided param "${p}" is an array but it is not repeatable (* or + modifiers)`);const v=Ft(x)?x.join("/"):x;if(!v)if(b)d.length<2&&(u.endsWith("/")?u=u.slice(0,-1):f=!0);else throw new Error(`Missing required param "${p}"`);u+=v}}return u||"/"}return{re:i,score:s,keys:o,parse:l,stringify:a}}function ry(e,t){let n=0;for(;n<e.length&&n<t.length;){const s=t[n]-e[n];if(s)return s;n++}return e.length<t.length?e.length===1&&e[0]===80?-1:1:e.length>t.length?t.length===1&&t[0]===80?1:-1:0}function sd(e,t){let n=0;const s=e.score,r=t.score;for(;n<s.length&&n<r.length;){const o=ry(s[n],r[n]);if(o)return o;n++}if(Math.abs(r.length-s.length)===1){if(Za(s))return 1;if(Za(r))return-1}return r.length-s.length}function Za(e){const t=e[e.length-1];return e.length>0&&t[t.length-1]<0}const oy={type:0,value:""},iy=/[a-zA-Z0-9_]/;function ly(e){if(!e)return[[]];if(e==="/")return[[oy]];if(!e.startsWith("/"))throw new Error(`Invalid path "${e}"`);function t(h){throw new Error(`ERR (${n})/"${c}": ${h}`)}let n=0,s=n;const r=[];let o;function i(){o&&r.push(o),o=[]}let l=0,a,c="",u="";function f(){c&&(n===0?o.push({type:0,value:c}):n===1||n===2||n===3?(o.length>1&&(a==="*"||a==="+")&&t(`A repeatable param (${c}) must be alone in its segment. eg: '/:ids+.`),o.push({type:1,value:c,regexp:u,repeatable:a==="*"||a==="+",optional:a==="*"||a==="?"})):t("Invalid state to consume buffer"),c="")}function d(){c+=a}for(;l<e.length;){if(a=e[l++],a==="\\"&&n!==2){s=n,n=4;continue}switch(n){case 0:a==="/"?(c&&f(),i()):a===":"?(f(),n=1):d();break;case 4:d(),n=s;break;case 1:a==="("?n=2:iy.test(a)?d():(f(),n=0,a!=="*"&&a!=="?"&&a!=="+"&&l--);break;case 2:a===")"?u[u.length-1]=="\\"?u=u.slice(0,-1)+a:n=3:u+=a;break;case 3:f(),n=0,a!=="*"&&a!=="?"&&a!=="+"&&l--,u="";break;default:t("Unknown state");break}}return n===2&&t(`Unfinished custom RegExp for param "${c}"`),f(),i(),r}function ay(e,t,n){const s=sy(ly(e.path),n),r=Ae(s,{record:e,parent:t,children:[],alias:[]});return t&&!r.record.aliasOf==!t.record.aliasOf&&t.children.push(r),r}function cy(e,t){const n=[],s=new Map;t=sc({strict:!1,end:!0,sensitive:!1},t);function r(f){return s.get(f)}function o(f,d,h){const p=!h,g=tc(f);g.aliasOf=h&&h.record;const b=sc(t,f),x=[g];if("alias"in f){const y=typeof f.alias=="string"?[f.alias]:f.alias;for(const _ of y)x.push(tc(Ae({},g,{components:h?h.record.components:g.components,path:_,aliasOf:h?h.record:g})))}let v,m;for(const y of x){const{path:_}=y;if(d&&_[0]!=="/"){const k=d.record.path,P=k[k.length-1]==="/"?"":"/";y.path=d.record.path+(_&&P+_)}if(v=ay(y,d,b),h?h.alias.push(v):(m=m||v,m!==v&&m.alias.push(v),p&&f.name&&!nc(v)&&i(f.name)),rd(v)&&a(v),g.children){const k=g.children;for(let P=0;P<k.length;P++)o(k[P],v,h&&h.children[P])}h=h||v}return m?()=>{i(m)}:Us}function i(f){if(td(f)){const d=s.get(f);d&&(s.delete(f),n.splice(n.indexOf(d),1),d.children.forEach(i),d.alias.forEach(i))}else{const d=n.indexOf(f);d>-1&&(n.splice(d,1),f.record.name&&s.delete(f.record.name),f.children.forEach(i),f.alias.forEach(i))}}function l(){return n}function a(f){const d=dy(f,n);n.splice(d,0,f),f.record.name&&!nc(f)&&s.set(f.record.name,f)}function c(f,d){let h,p={},g,b;if("name"in f&&f.name){if(h=s.get(f.name),!h)throw us(1,{location:f});b=h.record.name,p=Ae(ec(d.params,h.keys.filter(m=>!m.optional).concat(h.parent?h.parent.keys.filter(m=>m.optional):[]).map(m=>m.name)),f.params&&ec(f.params,h.keys.map(m=>m.name))),g=h.stringify(p)}else if(f.path!=null)g=f.path,h=n.find(m=>m.re.test(g)),h&&(p=h.parse(g),b=h.record.name);else{if(h=d.name?s.get(d.name):n.find(m=>m.re.test(d.path)),!h)throw us(1,{location:f,currentLocation:d});b=h.record.name,p=Ae({},d.params,f.params),g=h.stringify(p)}const x=[];let v=h;for(;v;)x.unshift(v.record),v=v.parent;return{name:b,path:g,params:p,matched:x,meta:fy(x)}}e.forEach(f=>o(f));function u(){n.length=0,s.clear()}return{addRoute:o,resolve:c,removeRoute:i,clearRoutes:u,getRoutes:l,getRecordMatcher:r}}function ec(e,t){const n={};for(const s of t)s in e&&(n[s]=e[s]);return n}function tc(e){const t={path:e.path,redirect:e.redirect,name:e.name,meta:e.meta||{},aliasOf:e.aliasOf,beforeEnter:e.beforeEnter,props:uy(e),children:e.children||[],instances:{},leaveGuards:new Set,updateGuards:new Set,enterCallbacks:{},components:"components"in e?e.components||null:e.component&&{default:e.component}};return Object.defineProperty(t,"mods",{value:{}}),t}function uy(e){const t={},n=e.props||!1;if("component"in e)t.default=n;else for(const s in e.components)t[s]=typeof n=="object"?n[s]:n;return t}function nc(e){for(;e;){if(e.record.aliasOf)return!0;e=e.parent}return!1}function fy(e){return e.reduce((t,n)=>Ae(t,n.meta),{})}function sc(e,t){const n={};for(const s in e)n[s]=s in t?t[s]:e[s];return n}function dy(e,t){let n=0,s=t.length;for(;n!==s;){const o=n+s>>1;sd(e,t[o])<0?s=o:n=o+1}const r=py(e);return r&&(s=t.lastIndexOf(r,s-1)),s}function py(e){let t=e;for(;t=t.parent;)if(rd(t)&&sd(e,t)===0)return t}function rd({record:e}){return!!(e.name||e.components&&Object.keys(e.components).length||e.redirect)}function hy(e){const t={};if(e===""||e==="?")return t;const s=(e[0]==="?"?e.slice(1):e).split("&");for(let r=0;r<s.length;++r){const o=s[r].replace(Jf," "),i=o.indexOf("="),l=Zs(i<0?o:o.slice(0,i)),a=i<0?null:Zs(o.slice(i+1));if(l in t){let c=t[l];Ft(c)||(c=t[l]=[c]),c.push(a)}else t[l]=a}return t}function rc(e){let t="";for(let n in e){const s=e[n];if(n=Mm(n),s==null){s!==void 0&&(t+=(t.length?"&":"")+n);continue}(Ft(s)?s.map(o=>o&&zi(o)):[s&&zi(s)]).forEach(o=>{o!==void 0&&(t+=(t.length?"&":"")+n,o!=null&&(t+="="+o))})}return t}function gy(e){const t={};for(const n in e){const s=e[n];s!==void 0&&(t[n]=Ft(s)?s.map(r=>r==null?null:""+r):s==null?s:""+s)}return t}const my=Symbol(""),oc=Symbol(""),Lo=Symbol(""),Fl=Symbol(""),Ki=Symbol("");function Es(){let e=[];function t(s){return e.push(s),()=>{const r=e.indexOf(s);r>-1&&e.splice(r,1)}}function n(){e=[]}return{add:t,list:()=>e.slice(),reset:n}}function hn(e,t,n,s,r,o=i=>i()){const i=s&&(s.enterCallbacks[r]=s.enterCallbacks[r]||[]);return()=>new Promise((l,a)=>{const c=d=>{d===!1?a(us(4,{from:n,to:t})):d instanceof Error?a(d):ey(d)?a(us(2,{from:t,to:d})):(i&&s.enterCallbacks[r]===i&&typeof d=="function"&&i.push(d),l())},u=o(()=>e.call(s&&s.instances[r],t,n,c));let f=Promise.resolve(u);e.length<3&&(f=f.then(c)),f.catch(d=>a(d))})}function li(e,t,n,s,r=o=>o()){const o=[];for(const i of e)for(const l in i.components){let a=i.components[l];if(!(t!=="beforeRouteEnter"&&!i.instances[l]))if(Kf(a)){const u=(a.__vccOpts||a)[t];u&&o.push(hn(u,n,s,i,l,r))}else{let c=a();o.push(()=>c.then(u=>{if(!u)throw new Error(`Couldn't resolve component "${l}" at "${i.path}"`);const f=km(u)?u.default:u;i.mods[l]=u,i.components[l]=f;const h=(f.__vccOpts||f)[t];return h&&hn(h,n,s,i,l,r)()}))}}return o}function ic(e){const t=Ie(Lo),n=Ie(Fl),s=q(()=>{const a=j(e.to);return t.resolve(a)}),r=q(()=>{const{matched:a}=s.value,{length:c}=a,u=a[c-1],f=n.matched;if(!u||!f.length)return-1;const d=f.findIndex(cs.bind(null,u));if(d>-1)return d;const h=lc(a[c-2]);return c>1&&lc(u)===h&&f[f.length-1].path!==h?f.findIndex(cs.bind(null,a[c-2])):d}),o=q(()=>r.value>-1&&wy(n.params,s.value.params)),i=q(()=>r.value>-1&&r.value===n.matched.length-1&&Zf(n.params,s.value.params));function l(a={}){if(vy(a)){const c=t[j(e.replace)?"replace":"push"](j(e.to)).catch(Us);return e.viewTransition&&typeof document<"u"&&"startViewTransition"in document&&document.startViewTransition(()=>c),c}return Promise.resolve()}return{route:s,href:q(()=>s.value.href),isActive:o,isExactActive:i,navigate:l}}function yy(e){return e.length===1?e[0]:e}const by=Ee({name:"RouterLink",compatConfig:{MODE:3},props:{to:{type:[String,Object],required:!0},replace:Boolean,activeClass:String,exactActiveClass:String,custom:Boolean,ariaCurrentValue:{type:String,default:"page"},viewTransition:Boolean},useLink:ic,setup(e,{slots:t}){const n=lt(ic(e)),{options:s}=Ie(Lo),r=q(()=>({[ac(e.activeClass,s.linkActiveClass,"router-link-active")]:n.isActive,[ac(e.exactActiveClass,s.linkExactActiveClass,"router-link-exact-active")]:n.isExactActive}));return()=>{const o=t.default&&yy(t.default(n));return e.custom?o:jt("a",{"aria-current":n.isExactActive?e.ariaCurrentValue:null,href:n.href,onClick:n.navigate,class:r.value},o)}}}),od=by;function vy(e){if(!(e.metaKey||e.altKey||e.ctrlKey||e.shiftKey)&&!e.defaultPrevented&&!(e.button!==void 0&&e.button!==0)){if(e.currentTarget&&e.currentTarget.getAttribute){const t=e.currentTarget.getAttribute("target");if(/\b_blank\b/i.test(t))return}return e.preventDefault&&e.preventDefault(),!0}}function wy(e,t){for(const n in t){const s=t[n],r=e[n];if(typeof s=="string"){if(s!==r)return!1}else if(!Ft(r)||r.length!==s.length||s.some((o,i)=>o!==r[i]))return!1}return!0}function lc(e){return e?e.aliasOf?e.aliasOf.path:e.path:""}const ac=(e,t,n)=>e??t??n,_y=Ee({name:"RouterView",inheritAttrs:!1,props:{name:{type:String,default:"default"},route:Object},compatConfig:{MODE:3},setup(e,{attrs:t,slots:n}){const s=Ie(Ki),r=q(()=>e.route||s.value),o=Ie(oc,0),i=q(()=>{let c=j(o);const{matched:u}=r.value;let f;for(;(f=u[c])&&!f.components;)c++;return c}),l=q(()=>r.value.matched[i.value]);Mt(oc,q(()=>i.value+1)),Mt(my,l),Mt(Ki,r);const a=re();return Se(()=>[a.value,l.value,e.name],([c,u,f],[d,h,p])=>{u&&(u.instances[f]=c,h&&h!==u&&c&&c===d&&(u.leaveGuards.size||(u.leaveGuards=h.leaveGuards),u.updateGuards.size||(u.updateGuards=h.updateGuards))),c&&u&&(!h||!cs(u,h)||!d)&&(u.enterCallbacks[f]||[]).forEach(g=>g(c))},{flush:"post"}),()=>{const c=r.value,u=e.name,f=l.value,d=f&&f.components[u];if(!d)return cc(n.default,{Component:d,route:c});const h=f.props[u],p=h?h===!0?c.params:typeof h=="function"?h(c):h:null,b=jt(d,Ae({},p,t,{onVnodeUnmounted:x=>{x.component.isUnmounted&&(f.instances[u]=null)},ref:a}));return cc(n.default,{Component:b,route:c})||b}}});function cc(e,t){if(!e)return null;const n=e(t);return n.length===1?n[0]:n}const xy=_y;function ky(e){const t=cy(e.routes,e),n=e.parseQuery||hy,s=e.stringifyQuery||rc,r=e.history,o=Es(),i=Es(),l=Es(),a=ke(on);let c=on;Qn&&e.scrollBehavior&&"scrollRestoration"in history&&(history.scrollRestoration="manual");const u=oi.bind(null,M=>""+M),f=oi.bind(null,Lm),d=oi.bind(null,Zs);function h(M,Z){let Q,oe;return td(M)?(Q=t.getRecordMatcher(M),oe=Z):oe=M,t.addRoute(oe,Q)}function p(M){const Z=t.getRecordMatcher(M);Z&&t.removeRoute(Z)}function g(){return t.getRoutes().map(M=>M.record)}function b(M){return!!t.getRecordMatcher(M)}function x(M,Z){if(Z=Ae({},Z||a.value),typeof M=="string"){const S=ii(n,M,Z.path),R=t.resolve({path:S.path},Z),V=r.createHref(S.fullPath);return Ae(S,R,{params:d(R.params),hash:Zs(S.hash),redirectedFrom:void 0,href:V})}let Q;if(M.path!=null)Q=Ae({},M,{path:ii(n,M.path,Z.path).path});else{const S=Ae({},M.params);for(const R in S)S[R]==null&&delete S[R];Q=Ae({},M,{params:f(S)}),Z.params=f(Z.params)}const oe=t.resolve(Q,Z),Te=M.hash||"";oe.params=u(d(oe.params));const Be=Dm(s,Ae({},M,{hash:Im(Te),path:oe.path})),w=r.createHref(Be);return Ae({fullPath:Be,hash:Te,query:s===rc?gy(M.query):M.query||{}},oe,{redirectedFrom:void 0,href:w})}function v(M){return typeof M=="string"?ii(n,M,a.value.path):Ae({},M)}function m(M,Z){if(c!==M)return us(8,{from:Z,to:M})}function y(M){return P(M)}function _(M){return y(Ae(v(M),{replace:!0}))}function k(M){const Z=M.matched[M.matched.length-1];if(Z&&Z.redirect){const{redirect:Q}=Z;let oe=typeof Q=="function"?Q(M):Q;return typeof oe=="string"&&(oe=oe.includes("?")||oe.includes("#")?oe=v(oe):{path:oe},oe.params={}),Ae({query:M.query,hash:M.hash,params:oe.path!=null?{}:M.params},oe)}}function P(M,Z){const Q=c=x(M),oe=a.value,Te=M.state,Be=M.force,w=M.replace===!0,S=k(Q);if(S)return P(Ae(v(S),{state:typeof S=="object"?Ae({},Te,S.state):Te,force:Be,replace:w}),Z||Q);const R=Q;R.redirectedFrom=Z;let V;return!Be&&Bm(s,oe,Q)&&(V=us(16,{to:R,from:oe}),Re(oe,oe,!0,!1)),(V?Promise.resolve(V):C(R,oe)).catch(N=>Gt(N)?Gt(N,2)?N:me(N):B(N,R,oe)).then(N=>{if(N){if(Gt(N,2))return P(Ae({replace:w},v(N.to),{state:typeof N.to=="object"?Ae({},Te,N.to.state):Te,force:Be}),Z||R)}else N=E(R,oe,!0,w,Te);return H(R,oe,N),N})}function $(M,Z){const Q=m(M,Z);return Q?Promise.reject(Q):Promise.resolve()}function T(M){const Z=He.values().next().value;return Z&&typeof Z.runWithContext=="function"?Z.runWithContext(M):M()}function C(M,Z){let Q;const[oe,Te,Be]=Sy(M,Z);Q=li(oe.reverse(),"beforeRouteLeave",M,Z);for(const S of oe)S.leaveGuards.forEach(R=>{Q.push(hn(R,M,Z))});const w=$.bind(null,M,Z);return Q.push(w),ye(Q).then(()=>{Q=[];for(const S of o.list())Q.push(hn(S,M,Z));return Q.push(w),ye(Q)}).then(()=>{Q=li(Te,"beforeRouteUpdate",M,Z);for(const S of Te)S.updateGuards.forEach(R=>{Q.push(hn(R,M,Z))});return Q.push(w),ye(Q)}).then(()=>{Q=[];for(const S of Be)if(S.beforeEnter)if(Ft(S.beforeEnter))for(const R of S.beforeEnter)Q.push(hn(R,M,Z));else Q.push(hn(S.beforeEnter,M,Z));return Q.push(w),ye(Q)}).then(()=>(M.matched.forEach(S=>S.enterCallbacks={}),Q=li(Be,"beforeRouteEnter",M,Z,T),Q.push(w),ye(Q))).then(()=>{Q=[];for(const S of i.list())Q.push(hn(S,M,Z));return Q.push(w),ye(Q)}).catch(S=>Gt(S,8)?S:Promise.reject(S))}function H(M,Z,Q){l.list().forEach(oe=>T(()=>oe(M,Z,Q)))}function E(M,Z,Q,oe,Te){const Be=m(M,Z);if(Be)return Be;const w=Z===on,S=Qn?history.state:{};Q&&(oe||w?r.replace(M.fullPath,Ae({scroll:w&&S&&S.scroll},Te)):r.push(M.fullPath,Te)),a.value=M,Re(M,Z,Q,w),me()}let I;function A(){I||(I=r.listen((M,Z,Q)=>{if(!Ue.listening)return;const oe=x(M),Te=k(oe);if(Te){P(Ae(Te,{replace:!0,force:!0}),oe).catch(Us);return}c=oe;const Be=a.value;Qn&&Gm(Ja(Be.fullPath,Q.delta),jo()),C(oe,Be).catch(w=>Gt(w,12)?w:Gt(w,2)?(P(Ae(v(w.to),{force:!0}),oe).then(S=>{Gt(S,20)&&!Q.delta&&Q.type===er.pop&&r.go(-1,!1)}).catch(Us),Promise.reject()):(Q.delta&&r.go(-Q.delta,!1),B(w,oe,Be))).then(w=>{w=w||E(oe,Be,!1),w&&(Q.delta&&!Gt(w,8)?r.go(-Q.delta,!1):Q.type===er.pop&&Gt(w,20)&&r.go(-1,!1)),H(oe,Be,w)}).catch(Us)}))}let D=Es(),O=Es(),U;function B(M,Z,Q){me(M);const oe=O.list();return oe.length?oe.forEach(Te=>Te(M,Z,Q)):console.error(M),Promise.reject(M)}function te(){return U&&a.value!==on?Promise.resolve():new Promise((M,Z)=>{D.add([M,Z])})}function me(M){return U||(U=!M,A(),D.list().forEach(([Z,Q])=>M?Q(M):Z()),D.reset()),M}function Re(M,Z,Q,oe){const{scrollBehavior:Te}=e;if(!Qn||!Te)return Promise.resolve();const Be=!Q&&Jm(Ja(M.fullPath,0))||(oe||!Q)&&history.state&&history.state.scroll||null;return Je().then(()=>Te(M,Z,Be)).then(w=>w&&Km(w)).catch(w=>B(w,M,Z))}const ge=M=>r.go(M);let Xe;const He=new Set,Ue={currentRoute:a,listening:!0,addRoute:h,removeRoute:p,clearRoutes:t.clearRoutes,hasRoute:b,getRoutes:g,resolve:x,options:e,push:y,replace:_,go:ge,back:()=>ge(-1),forward:()=>ge(1),beforeEach:o.add,beforeResolve:i.add,afterEach:l.add,onError:O.add,isReady:te,install(M){const Z=this;M.component("RouterLink",od),M.component("RouterView",xy),M.config.globalProperties.$router=Z,Object.defineProperty(M.config.globalProperties,"$route",{enumerable:!0,get:()=>j(a)}),Qn&&!Xe&&a.value===on&&(Xe=!0,y(r.location).catch(Te=>{}));const Q={};for(const Te in on)Object.defineProperty(Q,Te,{get:()=>a.value[Te],enumerable:!0});M.provide(Lo,Z),M.provide(Fl,_l(Q)),M.provide(Ki,a);const oe=M.unmount;He.add(M),M.unmount=function(){He.delete(M),He.size<1&&(c=on,I&&I(),I=null,a.value=on,Xe=!1,U=!1),oe()}}};function ye(M){return M.reduce((Z,Q)=>Z.then(()=>T(Q)),Promise.resolve())}return Ue}function Sy(e,t){const n=[],s=[],r=[],o=Math.max(t.matched.length,e.matched.length);for(let i=0;i<o;i++){const l=t.matched[i];l&&(e.matched.find(c=>cs(c,l))?s.push(l):n.push(l));const a=e.matched[i];a&&(t.matched.find(c=>cs(c,a))||r.push(a))}return[n,s,r]}function zx(){return Ie(Lo)}function Ey(e){return Ie(Fl)}const Cy="modulepreload",Ty=function(e){return"/ui/api/admin/"+e},uc={},_t=function(t,n,s){let r=Promise.resolve();if(n&&n.length>0){let i=function(c){return Promise.all(c.map(u=>Promise.resolve(u).then(f=>({status:"fulfilled",value:f}),f=>({status:"rejected",reason:f}))))};document.getElementsByTagName("link");const l=document.querySelector("meta[property=csp-nonce]"),a=(l==null?void 0:l.nonce)||(l==null?void 0:l.getAttribute("nonce"));r=i(n.map(c=>{if(c=Ty(c),c in uc)return;uc[c]=!0;const u=c.endsWith(".css"),f=u?'[rel="stylesheet"]':"";if(document.querySelector(`link[href="${c}"]${f}`))return;const d=document.createElement("link");if(d.rel=u?"stylesheet":Cy,u||(d.as="script"),d.crossOrigin="",d.href=c,a&&d.setAttribute("nonce",a),document.head.appendChild(d),u)return new Promise((h,p)=>{d.addEventListener("load",h),d.addEventListener("error",()=>p(new Error(`Unable to preload CSS for ${c}`)))})}))}function o(i){const l=new Event("vite:preloadError",{cancelable:!0});if(l.payload=i,window.dispatchEvent(l),!l.defaultPrevented)throw i}return r.then(i=>{for(const l of i||[])l.status==="rejected"&&o(l.reason);return t().catch(o)})},Ay=e=>{const t={};Object.entries(Object.assign({"/src/layouts/dashboard.vue":()=>_t(()=>import("./dashboard-CuSPwvJ-.js"),__vite__mapDeps([0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17]))})).forEach(([r,o])=>{let i=r.replace("/src/layouts/","").replace(".vue","");t[i]=o});function s(r,o=!0){return r.map(i=>{var l,a,c,u,f,d;if(((l=i.children)==null?void 0:l.length)>0&&(i.children=s(i.children,!1)),o){if(!i.component&&((a=i.children)==null?void 0:a.find(p=>{var g;return(p.path===""||p.path==="/")&&((g=p.meta)==null?void 0:g.isLayout)})))return i;if(((c=i.meta)==null?void 0:c.layout)!==!1)return{path:i.path,component:t[((u=i.meta)==null?void 0:u.layout)||"default"],children:i.path==="/"?[i]:[{...i,path:""}],meta:{isLayout:!0}}}return(f=i.meta)!=null&&f.layout?{path:i.path,component:t[(d=i.meta)==null?void 0:d.layout],children:[{...i,path:""}],meta:{isLayout:!0}}:i})}return s(e)},Oy=[{path:"/",name:"/",component:()=>_t(()=>import("./index-CTG2tqdG.js"),__vite__mapDeps([18,19,6,1,20,13,21,10,22,23,11,24,25,26,27,28,29,30])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/catalog",name:"/catalog",component:()=>_t(()=>import("./catalog-cMJdpQ9Y.js"),__vite__mapDeps([31,2,3,4,1,13,26,23,11,10,24,19,6,20,32,9,33,29,30,34])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/cron-jobs",name:"/cron-jobs",component:()=>_t(()=>import("./cron-jobs-D-I1plHO.js"),__vite__mapDeps([35,19,6,1,13,25,26,27,21,20,28,30,36,10,17,33,24,11,37,38,39])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/login",name:"/login",component:()=>_t(()=>import("./login-BUCwXAGA.js"),__vite__mapDeps([40,41,42,38,29,39]))},{path:"/logs",name:"/logs",component:()=>_t(()=>import("./logs-htsM2DXW.js"),__vite__mapDeps([43,19,6,1,44,25,26,27,21,20,32,9,10,33,4,42,38,29,30,7,8,11,12,13,36,17,24,37])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/migrations",name:"/migrations",component:()=>_t(()=>import("./migrations-DnxsUxDe.js"),__vite__mapDeps([45,19,6,1,13,25,26,27,21,20,28,30,36,10,17,33,24,11,37,38,39])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/permissions",name:"/permissions",component:()=>_t(()=>import("./permissions-BvaOj_Z7.js"),__vite__mapDeps([46,19,6,1,22,23,11,10,24,20,28,21,30,39,5,3,4,47,42,38,29,32,9,33,44,25,26,27,13,36,17,37,7,8,12])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/settings",name:"/settings",component:()=>_t(()=>import("./settings-zw2KKEOX.js"),__vite__mapDeps([48,19,6,1,47,20,15,16,17,10,12,29,30,39,32,9,33,4,49,37,38])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/sql",name:"/sql",component:()=>_t(()=>import("./sql-C5YMm3kq.js"),__vite__mapDeps([50,5,3,4,1,41,42,38,29,19,6,25,26,20,49,33,37,30,39,51])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/tables",name:"/tables",component:()=>_t(()=>import("./tables-ofMxUWAj.js"),__vite__mapDeps([52,2,3,4,1,22,23,11,10,24,53,8,9,12,16,5,36,17,33,37,38,32,42,29,51,19,6,14,13,21,30,39])),children:[{path:":name",name:"/tables/[name]",component:()=>_t(()=>import("./_name_-CrNllcFy.js"),__vite__mapDeps([54,5,3,4,1,36,10,17,33,24,11,37,38,29,9,25,26,42,39,51,53,8,12,16,2,47,49,22,23,32,20,44,7,27,21,30]))}],meta:{layout:"dashboard",requiresAuth:!0}}];function Dl(e){return gs()?(Eo(e),!0):!1}function ai(){const e=new Set,t=o=>{e.delete(o)};return{on:o=>{e.add(o);const i=()=>t(o);return Dl(i),{off:i}},off:t,trigger:(...o)=>Promise.all(Array.from(e).map(i=>i(...o))),clear:()=>{e.clear()}}}const ci=new WeakMap,Py=(...e)=>{var t;const n=e[0],s=(t=De())==null?void 0:t.proxy;if(s==null&&!ys())throw new Error("injectLocal must be called in setup");return s&&ci.has(s)&&n in ci.get(s)?ci.get(s)[n]:Ie(...e)};function Ry(e,t){if(typeof Symbol<"u"){const n={...e};return Object.defineProperty(n,Symbol.iterator,{enumerable:!1,value(){let s=0;return{next:()=>({value:t[s++],done:s>t.length})}}}),n}else return Object.assign([...t],e)}function $y(e){if(!_e(e))return lt(e);const t=new Proxy({},{get(n,s,r){return j(Reflect.get(e.value,s,r))},set(n,s,r){return _e(e.value[s])&&!_e(r)?e.value[s].value=r:e.value[s]=r,!0},deleteProperty(n,s){return Reflect.deleteProperty(e.value,s)},has(n,s){return Reflect.has(e.value,s)},ownKeys(){return Object.keys(e.value)},getOwnPropertyDescriptor(){return{enumerable:!0,configurable:!0}}});return lt(t)}function Iy(e){return $y(q(e))}const No=typeof window<"u"&&typeof document<"u";typeof WorkerGlobalScope<"u"&&globalThis instanceof WorkerGlobalScope;const My=Object.prototype.toString,jy=e=>My.call(e)==="[object Object]",Ly=()=>{};function os(...e){if(e.length!==1)return qt(...e);const t=e[0];return typeof t=="function"?vt(cr(()=>({get:t,set:Ly}))):re(t)}function Wx(e,...t){const n=t.flat(),s=n[0];return Iy(()=>Object.fromEntries(typeof s=="function"?Object.entries(Et(e)).filter(([r,o])=>s(le(o),r)):n.map(r=>[r,os(e,r)])))}function Ny(e,t){function n(...s){return new Promise((r,o)=>{Promise.resolve(e(()=>t.apply(this,s),{fn:t,thisArg:this,args:s})).then(r).catch(o)})}return n}const id=e=>e();function Fy(e=id,t={}){const{initialState:n="active"}=t,s=os(n==="active");function r(){s.value=!1}function o(){s.value=!0}const i=(...l)=>{s.value&&e(...l)};return{isActive:vt(s),pause:r,resume:o,eventFilter:i}}function fc(e,t=!1,n="Timeout"){return new Promise((s,r)=>{setTimeout(t?()=>r(n):s,e)})}function Dy(e){let t;function n(){return t||(t=e()),t}return n.reset=async()=>{const s=t;t=void 0,s&&await s},n}function By(e,...t){return t.some(n=>n in e)}function dc(e){return e.endsWith("rem")?Number.parseFloat(e)*16:Number.parseFloat(e)}function ui(e){return Array.isArray(e)?e:[e]}function Hy(e){const t=Object.create(null);return n=>t[n]||(t[n]=e(n))}const Uy=/-(\w)/g,qy=Hy(e=>e.replace(Uy,(t,n)=>n?n.toUpperCase():""));function Vy(e){return De()}function zy(e,t,n={}){const{eventFilter:s=id,...r}=n;return Se(e,Ny(s,t),r)}function Wy(e,t,n={}){const{eventFilter:s,initialState:r="active",...o}=n,{eventFilter:i,pause:l,resume:a,isActive:c}=Fy(s,{initialState:r});return{stop:zy(e,t,{...o,eventFilter:i}),pause:l,resume:a,isActive:c}}function ld(e,t=!0,n){Vy()?ht(e,n):t?e():Je(e)}function Gi(e,t=!1){function n(f,{flush:d="sync",deep:h=!1,timeout:p,throwOnTimeout:g}={}){let b=null;const v=[new Promise(m=>{b=Se(e,y=>{f(y)!==t&&(b?b():Je(()=>b==null?void 0:b()),m(y))},{flush:d,deep:h,immediate:!0})})];return p!=null&&v.push(fc(p,g).then(()=>le(e)).finally(()=>b==null?void 0:b())),Promise.race(v)}function s(f,d){if(!_e(f))return n(y=>y===f,d);const{flush:h="sync",deep:p=!1,timeout:g,throwOnTimeout:b}=d??{};let x=null;const m=[new Promise(y=>{x=Se([e,f],([_,k])=>{t!==(_===k)&&(x?x():Je(()=>x==null?void 0:x()),y(_))},{flush:h,deep:p,immediate:!0})})];return g!=null&&m.push(fc(g,b).then(()=>le(e)).finally(()=>(x==null||x(),le(e)))),Promise.race(m)}function r(f){return n(d=>!!d,f)}function o(f){return s(null,f)}function i(f){return s(void 0,f)}function l(f){return n(Number.isNaN,f)}function a(f,d){return n(h=>{const p=Array.from(h);return p.includes(f)||p.includes(le(f))},d)}function c(f){return u(1,f)}function u(f=1,d){let h=-1;return n(()=>(h+=1,h>=f),d)}return Array.isArray(le(e))?{toMatch:n,toContains:a,changed:c,changedTimes:u,get not(){return Gi(e,!t)}}:{toMatch:n,toBe:s,toBeTruthy:r,toBeNull:o,toBeNaN:l,toBeUndefined:i,changed:c,changedTimes:u,get not(){return Gi(e,!t)}}}function Ky(e){return Gi(e)}function ad(e,t,n={}){const{immediate:s=!0,immediateCallback:r=!1}=n,o=ke(!1);let i=null;function l(){i&&(clearTimeout(i),i=null)}function a(){o.value=!1,l()}function c(...u){r&&e(),l(),o.value=!0,i=setTimeout(()=>{o.value=!1,i=null,e(...u)},le(t))}return s&&(o.value=!0,No&&c()),Dl(a),{isPending:th(o),start:c,stop:a}}function Gy(e,t,n){return Se(e,t,{...n,immediate:!0})}function Kx(e={}){const{inheritAttrs:t=!0}=e,n=ke(),s=Ee({setup(o,{slots:i}){return()=>{n.value=i.default}}}),r=Ee({inheritAttrs:t,props:e.props,setup(o,{attrs:i,slots:l}){return()=>{var a;n.value;const c=(a=n.value)==null?void 0:a.call(n,{...e.props==null?Jy(i):o,$slots:l});return t&&(c==null?void 0:c.length)===1?c[0]:c}}});return Ry({define:s,reuse:r},[s,r])}function Jy(e){const t={};for(const n in e)t[qy(n)]=e[n];return t}const fs=No?window:void 0,Gx=No?window.document:void 0,cd=No?window.navigator:void 0;function ud(e){var t;const n=le(e);return(t=n==null?void 0:n.$el)!=null?t:n}function tr(...e){const t=[],n=()=>{t.forEach(l=>l()),t.length=0},s=(l,a,c,u)=>(l.addEventListener(a,c,u),()=>l.removeEventListener(a,c,u)),r=q(()=>{const l=ui(le(e[0])).filter(a=>a!=null);return l.every(a=>typeof a!="string")?l:void 0}),o=Gy(()=>{var l,a;return[(a=(l=r.value)==null?void 0:l.map(c=>ud(c)))!=null?a:[fs].filter(c=>c!=null),ui(le(r.value?e[1]:e[0])),ui(j(r.value?e[2]:e[1])),le(r.value?e[3]:e[2])]},([l,a,c,u])=>{if(n(),!(l!=null&&l.length)||!(a!=null&&a.length)||!(c!=null&&c.length))return;const f=jy(u)?{...u}:u;t.push(...l.flatMap(d=>a.flatMap(h=>c.map(p=>s(d,h,p,f)))))},{flush:"post"}),i=()=>{o(),n()};return Dl(n),i}function Qy(){const e=ke(!1),t=De();return t&&ht(()=>{e.value=!0},t),e}function Bl(e){const t=Qy();return q(()=>(t.value,!!e()))}const Yy=Symbol("vueuse-ssr-width");function Xy(){const e=ys()?Py(Yy,null):null;return typeof e=="number"?e:void 0}function Zy(e,t={}){const{window:n=fs,ssrWidth:s=Xy()}=t,r=Bl(()=>n&&"matchMedia"in n&&typeof n.matchMedia=="function"),o=ke(typeof s=="number"),i=ke(),l=ke(!1),a=c=>{l.value=c.matches};return Ct(()=>{if(o.value){o.value=!r.value;const c=le(e).split(",");l.value=c.some(u=>{const f=u.includes("not all"),d=u.match(/\(\s*min-width:\s*(-?\d+(?:\.\d*)?[a-z]+\s*)\)/),h=u.match(/\(\s*max-width:\s*(-?\d+(?:\.\d*)?[a-z]+\s*)\)/);let p=!!(d||h);return d&&p&&(p=s>=dc(d[1])),h&&p&&(p=s<=dc(h[1])),f?!p:p});return}r.value&&(i.value=n.matchMedia(le(e)),l.value=i.value.matches)}),tr(i,"change",a,{passive:!0}),q(()=>l.value)}function pc(e,t={}){const{controls:n=!1,navigator:s=cd}=t,r=Bl(()=>s&&"permissions"in s),o=ke(),i=typeof e=="string"?{name:e}:e,l=ke(),a=()=>{var u,f;l.value=(f=(u=o.value)==null?void 0:u.state)!=null?f:"prompt"};tr(o,"change",a,{passive:!0});const c=Dy(async()=>{if(r.value){if(!o.value)try{o.value=await s.permissions.query(i)}catch{o.value=void 0}finally{a()}if(n)return ve(o.value)}});return c(),n?{state:l,isSupported:r,query:c}:l}function Jx(e={}){const{navigator:t=cd,read:n=!1,source:s,copiedDuring:r=1500,legacy:o=!1}=e,i=Bl(()=>t&&"clipboard"in t),l=pc("clipboard-read"),a=pc("clipboard-write"),c=q(()=>i.value||o),u=ke(""),f=ke(!1),d=ad(()=>f.value=!1,r,{immediate:!1});async function h(){let v=!(i.value&&x(l.value));if(!v)try{u.value=await t.clipboard.readText()}catch{v=!0}v&&(u.value=b())}c.value&&n&&tr(["copy","cut"],h,{passive:!0});async function p(v=le(s)){if(c.value&&v!=null){let m=!(i.value&&x(a.value));if(!m)try{await t.clipboard.writeText(v)}catch{m=!0}m&&g(v),u.value=v,f.value=!0,d.start()}}function g(v){const m=document.createElement("textarea");m.value=v??"",m.style.position="absolute",m.style.opacity="0",document.body.appendChild(m),m.select(),document.execCommand("copy"),m.remove()}function b(){var v,m,y;return(y=(m=(v=document==null?void 0:document.getSelection)==null?void 0:v.call(document))==null?void 0:m.toString())!=null?y:""}function x(v){return v==="granted"||v==="prompt"}return{isSupported:c,text:u,copied:f,copy:p}}const Or=typeof globalThis<"u"?globalThis:typeof window<"u"?window:typeof globalThis<"u"?globalThis:typeof self<"u"?self:{},Pr="__vueuse_ssr_handlers__",eb=tb();function tb(){return Pr in Or||(Or[Pr]=Or[Pr]||{}),Or[Pr]}function fd(e,t){return eb[e]||t}function nb(e){return Zy("(prefers-color-scheme: dark)",e)}function sb(e){return e==null?"any":e instanceof Set?"set":e instanceof Map?"map":e instanceof Date?"date":typeof e=="boolean"?"boolean":typeof e=="string"?"string":typeof e=="object"?"object":Number.isNaN(e)?"any":"number"}const rb={boolean:{read:e=>e==="true",write:e=>String(e)},object:{read:e=>JSON.parse(e),write:e=>JSON.stringify(e)},number:{read:e=>Number.parseFloat(e),write:e=>String(e)},any:{read:e=>e,write:e=>String(e)},string:{read:e=>e,write:e=>String(e)},map:{read:e=>new Map(JSON.parse(e)),write:e=>JSON.stringify(Array.from(e.entries()))},set:{read:e=>new Set(JSON.parse(e)),write:e=>JSON.stringify(Array.from(e))},date:{read:e=>new Date(e),write:e=>e.toISOString()}},hc="vueuse-storage";function ob(e,t,n,s={}){var r;const{flush:o="pre",deep:i=!0,listenToStorageChanges:l=!0,writeDefaults:a=!0,mergeDefaults:c=!1,shallow:u,window:f=fs,eventFilter:d,onError:h=A=>{console.error(A)},initOnMounted:p}=s,g=(u?ke:re)(typeof t=="function"?t():t),b=q(()=>le(e));if(!n)try{n=fd("getDefaultStorage",()=>{var A;return(A=fs)==null?void 0:A.localStorage})()}catch(A){h(A)}if(!n)return g;const x=le(t),v=sb(x),m=(r=s.serializer)!=null?r:rb[v],{pause:y,resume:_}=Wy(g,()=>C(g.value),{flush:o,deep:i,eventFilter:d});Se(b,()=>E(),{flush:o});let k=!1;const P=A=>{p&&!k||E(A)},$=A=>{p&&!k||I(A)};f&&l&&(n instanceof Storage?tr(f,"storage",P,{passive:!0}):tr(f,hc,$)),p?ld(()=>{k=!0,E()}):E();function T(A,D){if(f){const O={key:b.value,oldValue:A,newValue:D,storageArea:n};f.dispatchEvent(n instanceof Storage?new StorageEvent("storage",O):new CustomEvent(hc,{detail:O}))}}function C(A){try{const D=n.getItem(b.value);if(A==null)T(D,null),n.removeItem(b.value);else{const O=m.write(A);D!==O&&(n.setItem(b.value,O),T(D,O))}}catch(D){h(D)}}function H(A){const D=A?A.newValue:n.getItem(b.value);if(D==null)return a&&x!=null&&n.setItem(b.value,m.write(x)),x;if(!A&&c){const O=m.read(D);return typeof c=="function"?c(O,x):v==="object"&&!Array.isArray(O)?{...x,...O}:O}else return typeof D!="string"?D:m.read(D)}function E(A){if(!(A&&A.storageArea!==n)){if(A&&A.key==null){g.value=x;return}if(!(A&&A.key!==b.value)){y();try{(A==null?void 0:A.newValue)!==m.write(g.value)&&(g.value=H(A))}catch(D){h(D)}finally{A?Je(_):_()}}}}function I(A){E(A.detail)}return g}const ib="*,*::before,*::after{-webkit-transition:none!important;-moz-transition:none!important;-o-transition:none!important;-ms-transition:none!important;transition:none!important}";function Qx(e={}){const{selector:t="html",attribute:n="class",initialValue:s="auto",window:r=fs,storage:o,storageKey:i="vueuse-color-scheme",listenToStorageChanges:l=!0,storageRef:a,emitAuto:c,disableTransition:u=!0}=e,f={auto:"",light:"light",dark:"dark",...e.modes||{}},d=nb({window:r}),h=q(()=>d.value?"dark":"light"),p=a||(i==null?os(s):ob(i,s,o,{window:r,listenToStorageChanges:l})),g=q(()=>p.value==="auto"?h.value:p.value),b=fd("updateHTMLAttrs",(y,_,k)=>{const P=typeof y=="string"?r==null?void 0:r.document.querySelector(y):ud(y);if(!P)return;const $=new Set,T=new Set;let C=null;if(_==="class"){const E=k.split(/\s/g);Object.values(f).flatMap(I=>(I||"").split(/\s/g)).filter(Boolean).forEach(I=>{E.includes(I)?$.add(I):T.add(I)})}else C={key:_,value:k};if($.size===0&&T.size===0&&C===null)return;let H;u&&(H=r.document.createElement("style"),H.appendChild(document.createTextNode(ib)),r.document.head.appendChild(H));for(const E of $)P.classList.add(E);for(const E of T)P.classList.remove(E);C&&P.setAttribute(C.key,C.value),u&&(r.getComputedStyle(H).opacity,document.head.removeChild(H))});function x(y){var _;b(t,n,(_=f[y])!=null?_:y)}function v(y){e.onChanged?e.onChanged(y,x):x(y)}Se(g,v,{flush:"post",immediate:!0}),ld(()=>v(g.value));const m=q({get(){return c?p.value:g.value},set(y){p.value=y}});return Object.assign(m,{store:p,system:h,state:g})}const lb={json:"application/json",text:"text/plain"};function po(e){return e&&By(e,"immediate","refetch","initialData","timeout","beforeFetch","afterFetch","onFetchError","fetch","updateDataOnError")}const ab=/^(?:[a-z][a-z\d+\-.]*:)?\/\//i;function cb(e){return ab.test(e)}function Vs(e){return typeof Headers<"u"&&e instanceof Headers?Object.fromEntries(e.entries()):e}function Wn(e,...t){return e==="overwrite"?async n=>{let s;for(let r=t.length-1;r>=0;r--)if(t[r]!=null){s=t[r];break}return s?{...n,...await s(n)}:n}:async n=>{for(const s of t)s&&(n={...n,...await s(n)});return n}}function dd(e={}){const t=e.combination||"chain",n=e.options||{},s=e.fetchOptions||{};function r(o,...i){const l=q(()=>{const u=le(e.baseUrl),f=le(o);return u&&!cb(f)?ub(u,f):f});let a=n,c=s;return i.length>0&&(po(i[0])?a={...a,...i[0],beforeFetch:Wn(t,n.beforeFetch,i[0].beforeFetch),afterFetch:Wn(t,n.afterFetch,i[0].afterFetch),onFetchError:Wn(t,n.onFetchError,i[0].onFetchError)}:c={...c,...i[0],headers:{...Vs(c.headers)||{},...Vs(i[0].headers)||{}}}),i.length>1&&po(i[1])&&(a={...a,...i[1],beforeFetch:Wn(t,n.beforeFetch,i[1].beforeFetch),afterFetch:Wn(t,n.afterFetch,i[1].afterFetch),onFetchError:Wn(t,n.onFetchError,i[1].onFetchError)}),pd(l,c,a)}return r}function pd(e,...t){var n,s;const r=typeof AbortController=="function";let o={},i={immediate:!0,refetch:!1,timeout:0,updateDataOnError:!1};const l={method:"GET",type:"text",payload:void 0};t.length>0&&(po(t[0])?i={...i,...t[0]}:o=t[0]),t.length>1&&po(t[1])&&(i={...i,...t[1]});const{fetch:a=(s=(n=fs)==null?void 0:n.fetch)!=null?s:globalThis==null?void 0:globalThis.fetch,initialData:c,timeout:u}=i,f=ai(),d=ai(),h=ai(),p=ke(!1),g=ke(!1),b=ke(!1),x=ke(null),v=ke(null),m=ke(null),y=ke(c||null),_=q(()=>r&&g.value);let k,P;const $=()=>{r&&(k==null||k.abort(),k=new AbortController,k.signal.onabort=()=>b.value=!0,o={...o,signal:k.signal})},T=U=>{g.value=U,p.value=!U};u&&(P=ad($,u,{immediate:!1}));let C=0;const H=async(U=!1)=>{var B,te;$(),T(!0),m.value=null,x.value=null,b.value=!1,C+=1;const me=C,Re={method:l.method,headers:{}},ge=le(l.payload);if(ge){const ye=Vs(Re.headers),M=Object.getPrototypeOf(ge);!l.payloadType&&ge&&(M===Object.prototype||Array.isArray(M))&&!(ge instanceof FormData)&&(l.payloadType="json"),l.payloadType&&(ye["Content-Type"]=(B=lb[l.payloadType])!=null?B:l.payloadType),Re.body=l.payloadType==="json"?JSON.stringify(ge):ge}let Xe=!1;const He={url:le(e),options:{...Re,...o},cancel:()=>{Xe=!0}};if(i.beforeFetch&&Object.assign(He,await i.beforeFetch(He)),Xe||!a)return T(!1),Promise.resolve(null);let Ue=null;return P&&P.start(),a(He.url,{...Re,...He.options,headers:{...Vs(Re.headers),...Vs((te=He.options)==null?void 0:te.headers)}}).then(async ye=>{if(v.value=ye,x.value=ye.status,Ue=await ye.clone()[l.type](),!ye.ok)throw y.value=c||null,new Error(ye.statusText);return i.afterFetch&&({data:Ue}=await i.afterFetch({data:Ue,response:ye,context:He,execute:H})),y.value=Ue,f.trigger(ye),ye}).catch(async ye=>{let M=ye.message||ye.name;if(i.onFetchError&&({error:M,data:Ue}=await i.onFetchError({data:Ue,error:ye,response:v.value,context:He,execute:H})),m.value=M,i.updateDataOnError&&(y.value=Ue),d.trigger(ye),U)throw ye;return null}).finally(()=>{me===C&&T(!1),P&&P.stop(),h.trigger(null)})},E=os(i.refetch);Se([E,os(e)],([U])=>U&&H(),{deep:!0});const I={isFinished:vt(p),isFetching:vt(g),statusCode:x,response:v,error:m,data:y,canAbort:_,aborted:b,abort:$,execute:H,onFetchResponse:f.on,onFetchError:d.on,onFetchFinally:h.on,get:A("GET"),put:A("PUT"),post:A("POST"),delete:A("DELETE"),patch:A("PATCH"),head:A("HEAD"),options:A("OPTIONS"),json:O("json"),text:O("text"),blob:O("blob"),arrayBuffer:O("arrayBuffer"),formData:O("formData")};function A(U){return(B,te)=>{if(!g.value)return l.method=U,l.payload=B,l.payloadType=te,_e(l.payload)&&Se([E,os(l.payload)],([me])=>me&&H(),{deep:!0}),{...I,then(me,Re){return D().then(me,Re)}}}}function D(){return new Promise((U,B)=>{Ky(p).toBe(!0).then(()=>U(I)).catch(B)})}function O(U){return()=>{if(!g.value)return l.type=U,{...I,then(B,te){return D().then(B,te)}}}}return i.immediate&&Promise.resolve().then(()=>H()),{...I,then(U,B){return D().then(U,B)}}}function ub(e,t){return!e.endsWith("/")&&!t.startsWith("/")?`${e}/${t}`:e.endsWith("/")&&t.startsWith("/")?`${e.slice(0,-1)}${t}`:`${e}${t}`}const Pn=class Pn{constructor(){br(this,"STORAGE_KEY","auth_session");br(this,"refreshCallback",null)}static getInstance(){return Pn.instance||(Pn.instance=new Pn),Pn.instance}setRefreshCallback(t){this.refreshCallback=t}setTokens(t,n=!1){const s=n?localStorage:sessionStorage,r=Date.now()+t.expires_in*1e3,o={access_token:t.access_token,refresh_token:t.refresh_token,token_type:t.token_type,expires_at:r,user:t.user};s.setItem(this.STORAGE_KEY,JSON.stringify(o))}getSession(){const t=localStorage.getItem(this.STORAGE_KEY)||sessionStorage.getItem(this.STORAGE_KEY);if(!t)return null;try{return JSON.parse(t)}catch(n){return console.error("[TokenManager] Failed to parse session:",n),null}}getAccessToken(){const t=this.getSession();return!t||Date.now()>=t.expires_at?null:t.access_token}getAuthHeader(){const t=this.getAccessToken();return t?`Bearer ${t}`:null}getRefreshToken(){const t=this.getSession();return(t==null?void 0:t.refresh_token)||null}isAuthenticated(){return!!this.getAccessToken()}isRemembered(){return!!localStorage.getItem(this.STORAGE_KEY)}async initialize(){const t=this.getSession();return t?Date.now()>=t.expires_at?await this.refreshTokens():!0:!1}async refreshTokens(){const t=this.getSession();if(!t||!this.refreshCallback)return!1;try{const n=await this.refreshCallback(t.refresh_token),s=!!localStorage.getItem(this.STORAGE_KEY);return this.setTokens(n,s),!0}catch(n){return console.error("[TokenManager] Token refresh failed:",n),this.clearTokens(),!1}}clearTokens(){localStorage.removeItem(this.STORAGE_KEY),sessionStorage.removeItem(this.STORAGE_KEY)}getDebugInfo(){const t=this.getSession();return{hasSession:!!t,isAuthenticated:this.isAuthenticated(),isRemembered:this.isRemembered(),expiresAt:t?new Date(t.expires_at).toISOString():null,hasRefreshCallback:!!this.refreshCallback}}};br(Pn,"instance");let ut=Pn;const bt={appName:"Glueful Admin",domain:"localhost",apiBaseUrl:"",dbEngine:"mysql",db:"glueful",apiDocsUrl:"http://localhost/glueful/docs/"},Pt=lt({...bt}),fb=re(bt.appName),db=re(bt.domain),pb=re(bt.apiBaseUrl),hb=re(bt.dbEngine),gb=re(bt.db),mb=re(bt.apiDocsUrl),gc=re(!1),mc=re(null),yb=async()=>{try{const e="env.json",{data:t}=await pd(e).get().json(),n=t.value||{};return Object.assign(Pt,{appName:n.appName||bt.appName,domain:n.domain||bt.domain,apiBaseUrl:n.apiBaseUrl||bt.apiBaseUrl,dbEngine:n.dbEngine||bt.dbEngine,db:n.db||bt.db,apiDocsUrl:n.apiDocsUrl||bt.apiDocsUrl}),fb.value=Pt.appName,db.value=Pt.domain,pb.value=Pt.apiBaseUrl,hb.value=Pt.dbEngine,gb.value=Pt.db,mb.value=Pt.apiDocsUrl,gc.value=!0,mc.value=null,console.log("[envConfig] Environment configuration loaded:",Pt),Pt}catch(e){return console.error("[envConfig] Failed to load env.json:",e),mc.value=e instanceof Error?e.message:"Unknown error",gc.value=!0,Pt}},bb=yb(),hd=bb.then(()=>Pt.apiBaseUrl),F=dd({baseUrl:"",options:{async beforeFetch({url:e,options:t}){const n=await hd;n&&!e.startsWith("http")&&(e=n.replace(/\/$/,"")+"/"+e.replace(/^\//,""));const s=ut.getInstance();t.headers={"Content-Type":"application/json",Accept:"application/json",...t.headers};const r=s.getAuthHeader();return r&&(console.debug("[useSecureApi] Adding Authorization header:",(r==null?void 0:r.substring(0,20))+"..."),t.headers={...t.headers,Authorization:r}),{url:e,options:t}},async onFetchError(e){var t;if(console.log("[useSecureApi] Fetch error:",(t=e.response)==null?void 0:t.status,e.error),e.response&&e.response.status===401){const n=Hl(),s=ut.getInstance();if(s.isAuthenticated()&&await s.refreshTokens()){const o=s.getAuthHeader();o&&e.options.headers&&(e.options.headers={...e.options.headers,Authorization:o});try{const i=await fetch(e.request,e.options);if(i.ok)return e.response=i,e.data=await i.json(),e}catch(i){console.error("[useSecureApi] Retry failed:",i)}}await n.logout()}return e.data&&(e.error=e.data),e}}}),yc=dd({baseUrl:"",options:{async beforeFetch({url:e,options:t}){const n=await hd;return n&&!e.startsWith("http")&&(e=n.replace(/\/$/,"")+"/"+e.replace(/^\//,"")),t.headers={"Content-Type":"application/json",Accept:"application/json",...t.headers},{url:e,options:t}},onFetchError(e){return e.data&&(e.error=e.data),e}}}),L=async e=>{var t;try{const{data:n,error:s}=await e;if(s.value){const r=s.value;return r.code===422&&((t=r.data)!=null&&t.fieldErrors)?Promise.reject({success:!1,message:r.message||"Validation failed",code:r.code,data:r.data,isValidationError:!0}):Promise.reject({success:!1,message:r.message||"An unknown error occurred",code:r.code||500,data:r.data||{generalErrors:[]}})}return n.value}catch(n){const s=n;throw{success:!1,message:s.message||"An unexpected error occurred",code:s.code||500,data:s.data||{generalErrors:[]}}}},vb={login:async e=>L(yc("/auth/login").post(e).json()),refreshToken:async e=>L(yc("/auth/refresh-token").post({refresh_token:e}).json()),logout:async()=>L(F("/auth/logout").post().json())},wb={getTables:async()=>L(F("/admin/db/tables").get().json()),getDBStats:async()=>L(F("/admin/db/stats").get().json()),getTable:async e=>L(F(`/admin/db/table/${e}`).get().json()),getTableColumns:async e=>L(F(`/admin/db/table/${e}/columns`).get().json()),getTableData:async(e,t)=>{const n=new URLSearchParams;t!=null&&t.page&&n.append("page",t.page.toString()),t!=null&&t.per_page&&n.append("per_page",t.per_page.toString()),t!=null&&t.sort&&n.append("sort",t.sort),t!=null&&t.order&&n.append("order",t.order);const s=n.toString()?`?${n.toString()}`:"";return L(F(`/admin/db/table/${e}${s}`).get().json())},getTableDataById:async(e,t)=>L(F(`/admin/db/tables/${e}/data/${t}`).get().json()),createTable:async e=>L(F("/admin/db/table/create").post(e).json()),dropTable:async e=>L(F("/admin/db/table/drop").post({table_name:e}).json()),getTableSize:async e=>L(F(`/admin/db/table/${e}/size`).get().json()),getTableMetadata:async e=>L(F(`/admin/db/table/${e}/metadata`).get().json()),addColumn:async(e,t)=>L(F("/admin/db/table/column/add").post({table_name:e,column:t}).json()),addColumns:async(e,t)=>L(F("/admin/db/table/column/add-batch").post({table_name:e,columns:t}).json()),dropColumn:async(e,t)=>L(F("/admin/db/table/column/drop").post({table_name:e,column_name:t}).json()),dropColumns:async(e,t)=>L(F("/admin/db/table/column/drop-batch").post({table_name:e,column_names:t}).json()),addIndex:async(e,t)=>L(F("/admin/db/table/index/add").post({table_name:e,index:t}).json()),addIndexes:async(e,t)=>L(F("/admin/db/table/index/add-batch").post({table_name:e,indexes:t}).json()),dropIndex:async(e,t)=>L(F("/admin/db/table/index/drop").post({table_name:e,index_name:t}).json()),dropIndexes:async(e,t)=>L(F("/admin/db/table/index/drop-batch").post({table_name:e,index_names:t}).json()),addForeignKey:async(e,t)=>L(F("/admin/db/table/foreign-key/add").post({table_name:e,foreign_key:t}).json()),updateSchema:async e=>L(F("/admin/db/table/schema/update").post(e).json()),addForeignKeys:async(e,t)=>L(F("/admin/db/table/foreign-key/add-batch").post({table_name:e,foreign_keys:t}).json()),dropForeignKey:async(e,t)=>L(F("/admin/db/table/foreign-key/drop").post({table_name:e,constraint_name:t}).json()),dropForeignKeys:async(e,t)=>L(F("/admin/db/table/foreign-key/drop-batch").post({table_name:e,constraint_names:t}).json()),createTableData:async(e,t)=>L(F(`/${e}`).post(t).json()),updateTableData:async(e,t,n)=>L(F(`/${e}/${t}`).put(n).json()),deleteTableData:async(e,t)=>L(F(`/${e}/${t}`).delete().json()),executeQuery:async e=>L(F("/admin/db/query").post(e).json()),previewSchemaChanges:async(e,t)=>L(F("/admin/db/preview-schema-changes").post({table_name:e,changes:t}).json()),exportSchema:async(e,t="json")=>L(F("/admin/db/export-schema").post({table:e,format:t}).json()),importSchema:async(e,t,n="json",s={})=>L(F("/admin/db/import-schema").post({table_name:e,schema:t,format:n,options:s}).json()),getSchemaHistory:async(e,t)=>{const n=new URLSearchParams;n.append("table",e),t!=null&&t.limit&&n.append("limit",t.limit.toString()),t!=null&&t.offset&&n.append("offset",t.offset.toString());const s=n.toString()?`?${n.toString()}`:"";return L(F(`/admin/db/schema-history${s}`).get().json())},revertSchemaChange:async(e,t=!1)=>L(F("/admin/db/revert-schema-change").post({change_id:e,confirm:t}).json()),bulkImport:async(e,t)=>L(F(`/admin/db/tables/${e}/import`).post(t).json()),bulkDelete:async(e,t,n)=>{const s={ids:t};return(n==null?void 0:n.soft_delete)!==void 0&&(s.soft_delete=n.soft_delete),n!=null&&n.status_column&&(s.status_column=n.status_column),(n==null?void 0:n.deleted_value)!==void 0&&(s.deleted_value=n.deleted_value),L(F(`/admin/db/tables/${e}/bulk-delete`).delete(s).json())},bulkUpdate:async(e,t,n)=>L(F(`/admin/db/tables/${e}/bulk-update`).put({ids:t,data:n}).json())},_b={getHealthStats:async()=>L(F("/admin/system/health").get().json()),getApiMetrics:async()=>L(F("/admin/system/api-metrics").get().json()),resetApiMetrics:async()=>L(F("/admin/system/api-metrics/reset").post({}).json())},xb={getPendingMigrations:async()=>L(F("/admin/migrations/pending").get().json()),getAllMigrations:async()=>L(F("/admin/migrations").get().json()),runPendingMigrations:async()=>L(F("/admin/migrations/run").post({}).json())},kb={getAllJobs:async()=>L(F("/admin/jobs").get().json()),runJob:async e=>L(F("/admin/jobs/run").post({job:e}).json()),runDueJobs:async()=>L(F("/admin/jobs/run-due").post({}).json()),createJob:async e=>L(F("/admin/jobs/create-job").post(e).json())},Sb={getAllExtensions:async()=>L(F("/extensions").get().json()),enableExtension:async e=>L(F("/extensions/enable").post({extension:e}).json()),disableExtension:async e=>L(F("/extensions/disable").post({extension:e}).json()),getExtensionDependencies:async()=>L(F("/extensions/dependencies").get().json()),getCatalog:async e=>{const t=new URLSearchParams;e!=null&&e.search&&t.append("search",e.search),e!=null&&e.tags&&t.append("tags",e.tags),e!=null&&e.status&&t.append("status",e.status),(e==null?void 0:e.min_rating)!==void 0&&t.append("min_rating",e.min_rating.toString()),(e==null?void 0:e.useCache)!==void 0&&t.append("useCache",e.useCache.toString());const n=t.toString()?`/extensions?${t}`:"/extensions";return L(F(n).get().json())}},Eb={getAllPermissions:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString()),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.category&&t.append("category",e.category),e!=null&&e.resource_type&&t.append("resource_type",e.resource_type);const n=t.toString()?`?${t.toString()}`:"";return L(F(`/rbac/permissions${n}`).get().json())},getPermission:async e=>L(F(`/rbac/permissions/${e}`).get().json()),createPermission:async e=>L(F("/rbac/permissions").post(e).json()),updatePermission:async(e,t)=>L(F(`/rbac/permissions/${e}`).put(t).json()),deletePermission:async(e,t)=>L(F(`/rbac/permissions/${e}${t?"?force=true":""}`).delete().json()),assignPermissionToUser:async(e,t,n)=>L(F(`/rbac/permissions/${e}/assign`).post({user_uuid:t,...n}).json()),revokePermissionFromUser:async(e,t)=>L(F(`/rbac/permissions/${e}/revoke`).delete({user_uuid:t}).json()),batchAssignPermissions:async(e,t)=>L(F("/rbac/permissions/batch-assign").post({user_uuid:e,permissions:t}).json()),batchRevokePermissions:async(e,t)=>L(F("/rbac/permissions/batch-revoke").post({user_uuid:e,permission_slugs:t}).json()),getStats:async()=>L(F("/rbac/permissions/stats").get().json()),getCategories:async()=>L(F("/rbac/permissions/categories").get().json()),getResourceTypes:async()=>L(F("/rbac/permissions/resource-types").get().json()),checkUserPermission:async(e,t,n,s)=>L(F("/rbac/check-permission").post({user_uuid:e,permission:t,resource:n,context:s}).json()),cleanupExpired:async()=>L(F("/rbac/permissions/cleanup-expired").post({}).json())},Cb={getAllRoles:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString()),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.status&&t.append("status",e.status),e!=null&&e.level&&t.append("level",e.level.toString()),e!=null&&e.tree&&t.append("tree",e.tree.toString()),e!=null&&e.include_deleted&&t.append("include_deleted",e.include_deleted.toString());const n=t.toString()?`?${t.toString()}`:"";return L(F(`/rbac/roles${n}`).get().json())},getRole:async e=>L(F(`/rbac/roles/${e}`).get().json()),createRole:async e=>L(F("/rbac/roles").post(e).json()),updateRole:async(e,t)=>L(F(`/rbac/roles/${e}`).put(t).json()),deleteRole:async(e,t)=>L(F(`/rbac/roles/${e}${t?"?force=true":""}`).delete().json()),assignRoleToUser:async(e,t,n)=>L(F(`/rbac/roles/${e}/assign`).post({user_uuid:t,...n}).json()),revokeRoleFromUser:async(e,t)=>L(F(`/rbac/roles/${e}/revoke`).delete({user_uuid:t}).json()),assignRolesToUsers:async(e,t,n)=>L(F(`/rbac/roles/${e}/assign-users`).post({user_uuids:t,...n}).json()),revokeRoleFromUsers:async(e,t)=>L(F(`/rbac/roles/${e}/revoke-users`).delete({user_uuids:t}).json()),getRoleUsers:async(e,t)=>{const n=new URLSearchParams;t!=null&&t.page&&n.append("page",t.page.toString()),t!=null&&t.per_page&&n.append("per_page",t.per_page.toString());const s=n.toString()?`?${n.toString()}`:"";return L(F(`/rbac/roles/${e}/users${s}`).get().json())},getStats:async()=>L(F("/rbac/roles/stats").get().json()),bulkOperation:async e=>L(F("/rbac/roles/bulk").post(e).json())},Tb={getAllUsers:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString()),e!=null&&e.sort&&t.append("sort",e.sort),e!=null&&e.order&&t.append("order",e.order),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.status&&t.append("status",e.status),e!=null&&e.role_id&&t.append("role_id",e.role_id),e!=null&&e.include_deleted&&t.append("include_deleted",e.include_deleted.toString());const n=t.toString()?`?${t.toString()}`:"";return L(F(`/admin/users${n}`).get().json())},getUser:async e=>L(F(`/admin/users/${e}`).get().json()),createUser:async e=>L(F("/admin/users").post(e).json()),updateUser:async(e,t)=>L(F(`/admin/users/${e}`).put(t).json()),deleteUser:async e=>L(F(`/admin/users/${e}`).delete().json()),restoreUser:async e=>L(F(`/admin/users/${e}/restore`).post({}).json()),bulkOperation:async e=>L(F("/admin/users/bulk").post(e).json()),getStats:async e=>{const t=e?`?period=${e}`:"";return L(F(`/admin/users/stats${t}`).get().json())},searchUsers:async e=>{const t=new URLSearchParams;Object.entries(e).forEach(([s,r])=>{r!==void 0&&t.append(s,r.toString())});const n=t.toString()?`?${t.toString()}`:"";return L(F(`/admin/users/search${n}`).get().json())},exportUsers:async e=>{const t=new URLSearchParams;e!=null&&e.format&&t.append("format",e.format),e!=null&&e.status&&t.append("status",e.status),e!=null&&e.role&&t.append("role",e.role),e!=null&&e.include_deleted&&t.append("include_deleted",e.include_deleted.toString());const n=t.toString()?`?${t.toString()}`:"";return(e==null?void 0:e.format)==="csv"?F(`/admin/users/export${n}`).get():L(F(`/admin/users/export${n}`).get().json())},importUsers:async e=>L(F("/admin/users/import").post(e).json()),getUserActivity:async(e,t)=>{const n=new URLSearchParams;t!=null&&t.page&&n.append("page",t.page.toString()),t!=null&&t.per_page&&n.append("per_page",t.per_page.toString());const s=n.toString()?`?${n.toString()}`:"";return L(F(`/admin/users/${e}/activity${s}`).get().json())},getUserSessions:async e=>L(F(`/admin/users/${e}/sessions`).get().json()),terminateUserSessions:async(e,t)=>L(F(`/admin/users/${e}/sessions`).delete(t?{session_id:t}:{}).json()),getUserRoles:async(e,t)=>{const n=t?`?scope=${encodeURIComponent(t)}`:"";return L(F(`/rbac/users/${e}/roles${n}`).get().json())},assignRolesToUser:async(e,t,n)=>L(F(`/rbac/users/${e}/roles`).post({role_uuids:t,...n}).json()),replaceUserRoles:async(e,t,n)=>L(F(`/rbac/users/${e}/roles`).put({role_uuids:t,...n}).json()),revokeUserRole:async(e,t)=>L(F(`/rbac/users/${e}/roles/${t}`).delete().json()),getUserPermissions:async(e,t)=>L(F(`/rbac/users/${e}/permissions${t?"?active_only=true":""}`).get().json()),getUserEffectivePermissions:async(e,t)=>{const n=t?`?scope=${encodeURIComponent(t)}`:"";return L(F(`/rbac/users/${e}/effective-permissions${n}`).get().json())},getUserAccessOverview:async(e,t)=>{const n=t?`?scope=${encodeURIComponent(t)}`:"";return L(F(`/rbac/users/${e}/access-overview${n}`).get().json())},getUserRoleHistory:async(e,t)=>{const n=new URLSearchParams;t!=null&&t.page&&n.append("page",t.page.toString()),t!=null&&t.per_page&&n.append("per_page",t.per_page.toString()),t!=null&&t.include_deleted&&n.append("include_deleted",t.include_deleted.toString());const s=n.toString()?`?${n.toString()}`:"";return L(F(`/rbac/users/${e}/role-history${s}`).get().json())},checkUserRole:async(e,t,n)=>L(F(`/rbac/users/${e}/check-role`).post({role_slug:t,scope:n}).json()),checkUserPermission:async(e,t,n,s)=>L(F("/rbac/check-permission").post({user_uuid:e,permission:t,resource:n,context:s}).json())},Ab={getAppLogs:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString()),e!=null&&e.level&&t.append("level",e.level),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.from_date&&t.append("from_date",e.from_date),e!=null&&e.to_date&&t.append("to_date",e.to_date);const n=t.toString()?`?${t.toString()}`:"";return L(F(`/app_logs${n}`).get().json())},getAuditLogs:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString()),e!=null&&e.category&&t.append("category",e.category),e!=null&&e.action&&t.append("action",e.action),e!=null&&e.severity&&t.append("severity",e.severity),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.from_date&&t.append("from_date",e.from_date),e!=null&&e.to_date&&t.append("to_date",e.to_date);const n=t.toString()?`?${t.toString()}`:"";return L(F(`/audit_logs${n}`).get().json())},clearLogs:async(e,t)=>L(F("/admin/logs/clear").post({type:e,days:t}).json()),exportLogs:async e=>L(F("/admin/logs/export").post(e).json())},Ob={getAllConfigs:async()=>L(F("/admin/configs").get().json()),getConfig:async e=>L(F(`/admin/configs/${e}`).get().json()),updateConfig:async(e,t)=>L(F(`/admin/configs/${e}`).put({content:t}).json()),createConfig:async(e,t)=>L(F("/admin/configs/create").post({name:e,content:t}).json())},fi={auth:vb,db:wb,system:_b,migrations:xb,jobs:kb,extensions:Sb,permissions:Eb,roles:Cb,users:Tb,logs:Ab,configs:Ob,admin:{getDashboardData:async()=>L(F("/admin/dashboard").get().json())},rbac:{getUserRoleStats:async()=>L(F("/rbac/user-roles/stats").get().json()),cleanupExpiredRoles:async()=>L(F("/rbac/user-roles/cleanup-expired").post({}).json()),cleanupExpiredPermissions:async()=>L(F("/rbac/permissions/cleanup-expired").post({}).json()),getOverallStats:async()=>L(F("/rbac/stats").get().json())}},Hl=xm("auth",{state:()=>({user:null,isLoading:!1,error:null,isInitialized:!1}),getters:{isAuthenticated(){return ut.getInstance().isAuthenticated()},authHeader(){return ut.getInstance().getAuthHeader()},accessToken(){return ut.getInstance().getAccessToken()},isRemembered(){return ut.getInstance().isRemembered()}},actions:{checkAuthentication(){return ut.getInstance().isAuthenticated()},async initialize(){if(this.isInitialized)return;const e=ut.getInstance();if(e.setRefreshCallback(async n=>{const s=await fi.auth.refreshToken(n);return this.user=s.data.user,s.data}),await e.initialize()){const n=JSON.parse(localStorage.getItem("auth_session")||sessionStorage.getItem("auth_session")||"{}");n.user&&(this.user=n.user)}this.isInitialized=!0},async login(e){this.isLoading=!0,this.error=null;try{const t=await fi.auth.login(e);return this.user=t.data.user,ut.getInstance().setTokens(t.data,e.remember||!1),{success:!0}}catch(t){throw this.error=(t==null?void 0:t.message)||"Login failed",{success:!1,message:(t==null?void 0:t.message)||"Login failed",code:(t==null?void 0:t.code)||401,data:(t==null?void 0:t.data)||{generalErrors:["Please try again"]}}}finally{this.isLoading=!1}},async logout(){try{await fi.auth.logout()}catch{}ut.getInstance().clearTokens(),this.user=null,this.error=null},async refreshTokens(){const e=ut.getInstance();try{return this.isLoading=!0,await e.refreshTokens()}catch{return!1}finally{this.isLoading=!1}},clearError(){this.error=null},updateUserProfile(e){this.user=e},getDebugInfo(){return{storeState:{hasUser:!!this.user,isLoading:this.isLoading,hasError:!!this.error,isInitialized:this.isInitialized},tokenManager:ut.getInstance().getDebugInfo()}}}}),Pb=Ay(Oy),gd=ky({history:Zm("/ui/api/admin/"),routes:Pb});gd.beforeEach(async e=>{const t=Hl();if(t.isInitialized||await t.initialize(),e.path==="/login"&&t.checkAuthentication())return{path:"/"};if(e.meta.requiresAuth)return t.checkAuthentication()?!0:{path:"/login"}});const Rb=new Set(["link","style","script","noscript"]),$b=new Set(["title","titleTemplate","script","style","noscript"]),bc=new Set(["base","meta","link","style","script","noscript"]),Ib=new Set(["title","base","htmlAttrs","bodyAttrs","meta","link","style","script","noscript"]),Mb=new Set(["base","title","titleTemplate","bodyAttrs","htmlAttrs","templateParams"]),jb=new Set(["key","tagPosition","tagPriority","tagDuplicateStrategy","innerHTML","textContent","processTemplateParams"]),Lb=new Set(["templateParams","htmlAttrs","bodyAttrs"]),Nb=new Set(["theme-color","google-site-verification","og","article","book","profile","twitter","author"]),Fb=["name","property","http-equiv"];function md(e){const t=e.split(":");return t.length?Nb.has(t[1]):!1}function Ji(e){const{props:t,tag:n}=e;if(Mb.has(n))return n;if(n==="link"&&t.rel==="canonical")return"canonical";if(t.charset)return"charset";if(e.tag==="meta"){for(const s of Fb)if(t[s]!==void 0)return`${n}:${t[s]}`}if(e.key)return`${n}:key:${e.key}`;if(t.id)return`${n}:id:${t.id}`;if($b.has(n)){const s=e.textContent||e.innerHTML;if(s)return`${n}:content:${s}`}}function vc(e){const t=e._h||e._d;if(t)return t;const n=e.textContent||e.innerHTML;return n||`${e.tag}:${Object.entries(e.props).map(([s,r])=>`${s}:${String(r)}`).join(",")}`}function ho(e,t,n){typeof e==="function"&&(!n||n!=="titleTemplate"&&!(n[0]==="o"&&n[1]==="n"))&&(e=e());let r;if(t&&(r=t(n,e)),Array.isArray(r))return r.map(o=>ho(o,t));if((r==null?void 0:r.constructor)===Object){const o={};for(const i of Object.keys(r))o[i]=ho(r[i],t,i);return o}return r}function Db(e,t){const n=e==="style"?new Map:new Set;function s(r){const o=r.trim();if(o)if(e==="style"){const[i,...l]=o.split(":").map(a=>a.trim());i&&l.length&&n.set(i,l.join(":"))}else o.split(" ").filter(Boolean).forEach(i=>n.add(i))}return typeof t=="string"?e==="style"?t.split(";").forEach(s):s(t):Array.isArray(t)?t.forEach(r=>s(r)):t&&typeof t=="object"&&Object.entries(t).forEach(([r,o])=>{o&&o!=="false"&&(e==="style"?n.set(r.trim(),o):s(r))}),n}function yd(e,t){return e.props=e.props||{},t&&Object.entries(t).forEach(([n,s])=>{if(s===null){e.props[n]=null;return}if(n==="class"||n==="style"){e.props[n]=Db(n,s);return}if(jb.has(n)){if(["textContent","innerHTML"].includes(n)&&typeof s=="object"){let i=t.type;if(t.type||(i="application/json"),!(i!=null&&i.endsWith("json"))&&i!=="speculationrules")return;t.type=i,e.props.type=i,e[n]=JSON.stringify(s)}else e[n]=s;return}const r=String(s),o=n.startsWith("data-");r==="true"||r===""?e.props[n]=o?r:!0:!s&&o&&r==="false"?e.props[n]="false":s!==void 0&&(e.props[n]=s)}),e}function Bb(e,t){const n=typeof t=="object"&&typeof t!="function"?t:{[e==="script"||e==="noscript"||e==="style"?"innerHTML":"textContent"]:t},s=yd({tag:e,props:{}},n);return s.key&&Rb.has(s.tag)&&(s.props["data-hid"]=s._h=s.key),s.tag==="script"&&typeof s.innerHTML=="object"&&(s.innerHTML=JSON.stringify(s.innerHTML),s.props.type=s.props.type||"application/json"),Array.isArray(s.props.content)?s.props.content.map(r=>({...s,props:{...s.props,content:r}})):s}function Hb(e,t){if(!e)return[];typeof e=="function"&&(e=e());const n=(r,o)=>{for(let i=0;i<t.length;i++)o=t[i](r,o);return o};e=n(void 0,e);const s=[];return e=ho(e,n),Object.entries(e||{}).forEach(([r,o])=>{if(o!==void 0)for(const i of Array.isArray(o)?o:[o])s.push(Bb(r,i))}),s.flat()}const wc=(e,t)=>e._w===t._w?e._p-t._p:e._w-t._w,_c={base:-10,title:10},Ub={critical:-8,high:-1,low:2},xc={meta:{"content-security-policy":-30,charset:-20,viewport:-15},link:{preconnect:20,stylesheet:60,preload:70,modulepreload:70,prefetch:90,"dns-prefetch":90,prerender:90},script:{async:30,defer:80,sync:50},style:{imported:40,sync:60}},qb=/@import/,Cs=e=>e===""||e===!0;function Vb(e,t){var o;if(typeof t.tagPriority=="number")return t.tagPriority;let n=100;const s=Ub[t.tagPriority]||0,r=e.resolvedOptions.disableCapoSorting?{link:{},script:{},style:{}}:xc;if(t.tag in _c)n=_c[t.tag];else if(t.tag==="meta"){const i=t.props["http-equiv"]==="content-security-policy"?"content-security-policy":t.props.charset?"charset":t.props.name==="viewport"?"viewport":null;i&&(n=xc.meta[i])}else t.tag==="link"&&t.props.rel?n=r.link[t.props.rel]:t.tag==="script"?Cs(t.props.async)?n=r.script.async:t.props.src&&!Cs(t.props.defer)&&!Cs(t.props.async)&&t.props.type!=="module"&&!((o=t.props.type)!=null&&o.endsWith("json"))?n=r.script.sync:Cs(t.props.defer)&&t.props.src&&!Cs(t.props.async)&&(n=r.script.defer):t.tag==="style"&&(n=t.innerHTML&&qb.test(t.innerHTML)?r.style.imported:r.style.sync);return(n||100)+s}function kc(e,t){const n=typeof t=="function"?t(e):t,s=n.key||String(e.plugins.size+1);e.plugins.get(s)||(e.plugins.set(s,n),e.hooks.addHooks(n.hooks||{}))}function zb(e={}){var l;const t=Uf();t.addHooks(e.hooks||{});const n=!e.document,s=new Map,r=new Map,o=[],i={_entryCount:1,plugins:r,dirty:!1,resolvedOptions:e,hooks:t,ssr:n,entries:s,headEntries(){return[...s.values()]},use:a=>kc(i,a),push(a,c){const u={...c||{}};delete u.head;const f=u._index??i._entryCount++,d={_i:f,input:a,options:u},h={_poll(p=!1){i.dirty=!0,!p&&o.push(f),t.callHook("entries:updated",i)},dispose(){s.delete(f)&&h._poll(!0)},patch(p){(!u.mode||u.mode==="server"&&n||u.mode==="client"&&!n)&&(d.input=p,s.set(f,d),h._poll())}};return h.patch(a),h},async resolveTags(){var h;const a={tagMap:new Map,tags:[],entries:[...i.entries.values()]};for(await t.callHook("entries:resolve",a);o.length;){const p=o.shift(),g=s.get(p);if(g){const b={tags:Hb(g.input,e.propResolvers||[]).map(x=>Object.assign(x,g.options)),entry:g};await t.callHook("entries:normalize",b),g._tags=b.tags.map((x,v)=>(x._w=Vb(i,x),x._p=(g._i<<10)+v,x._d=Ji(x),x))}}let c=!1;a.entries.flatMap(p=>(p._tags||[]).map(g=>({...g,props:{...g.props}}))).sort(wc).reduce((p,g)=>{const b=String(g._d||g._p);if(!p.has(b))return p.set(b,g);const x=p.get(b);if(((g==null?void 0:g.tagDuplicateStrategy)||(Lb.has(g.tag)?"merge":null)||(g.key&&g.key===x.key?"merge":null))==="merge"){const m={...x.props};Object.entries(g.props).forEach(([y,_])=>m[y]=y==="style"?new Map([...x.props.style||new Map,..._]):y==="class"?new Set([...x.props.class||new Set,..._]):_),p.set(b,{...g,props:m})}else g._p>>10===x._p>>10&&g.tag==="meta"&&md(b)?(p.set(b,Object.assign([...Array.isArray(x)?x:[x],g],g)),c=!0):(g._w===x._w?g._p>x._p:(g==null?void 0:g._w)<(x==null?void 0:x._w))&&p.set(b,g);return p},a.tagMap);const u=a.tagMap.get("title"),f=a.tagMap.get("titleTemplate");if(i._title=u==null?void 0:u.textContent,f){const p=f==null?void 0:f.textContent;if(i._titleTemplate=p,p){let g=typeof p=="function"?p(u==null?void 0:u.textContent):p;typeof g=="string"&&!i.plugins.has("template-params")&&(g=g.replace("%s",(u==null?void 0:u.textContent)||"")),u?g===null?a.tagMap.delete("title"):a.tagMap.set("title",{...u,textContent:g}):(f.tag="title",f.textContent=g)}}a.tags=Array.from(a.tagMap.values()),c&&(a.tags=a.tags.flat().sort(wc)),await t.callHook("tags:beforeResolve",a),await t.callHook("tags:resolve",a),await t.callHook("tags:afterResolve",a);const d=[];for(const p of a.tags){const{innerHTML:g,tag:b,props:x}=p;if(Ib.has(b)&&!(Object.keys(x).length===0&&!p.innerHTML&&!p.textContent)&&!(b==="meta"&&!x.content&&!x["http-equiv"]&&!x.charset)){if(b==="script"&&g){if((h=x.type)!=null&&h.endsWith("json")){const v=typeof g=="string"?g:JSON.stringify(g);p.innerHTML=v.replace(/</g,"\\u003C")}else typeof g=="string"&&(p.innerHTML=g.replace(new RegExp(`</${b}`,"g"),`<\\/${b}`));p._d=Ji(p)}d.push(p)}}return d}};return((e==null?void 0:e.plugins)||[]).forEach(a=>kc(i,a)),i.hooks.callHook("init",i),(l=e.init)==null||l.forEach(a=>a&&i.push(a)),i}async function bd(e,t={}){const n=t.document||e.resolvedOptions.document;if(!n||!e.dirty)return;const s={shouldRender:!0,tags:[]};if(await e.hooks.callHook("dom:beforeRender",s),!!s.shouldRender)return e._domUpdatePromise||(e._domUpdatePromise=new Promise(async r=>{var h;const o=new Map,i=new Promise(p=>{e.resolveTags().then(g=>{p(g.map(b=>{const x=o.get(b._d)||0,v={tag:b,id:(x?`${b._d}:${x}`:b._d)||vc(b),shouldRender:!0};return b._d&&md(b._d)&&o.set(b._d,x+1),v}))})});let l=e._dom;if(!l){l={title:n.title,elMap:new Map().set("htmlAttrs",n.documentElement).set("bodyAttrs",n.body)};for(const p of["body","head"]){const g=(h=n[p])==null?void 0:h.children;for(const b of g){const x=b.tagName.toLowerCase();if(!bc.has(x))continue;const v=yd({tag:x,props:{}},{innerHTML:b.innerHTML,...b.getAttributeNames().reduce((m,y)=>(m[y]=b.getAttribute(y),m),{})||{}});if(v.key=b.getAttribute("data-hid")||void 0,v._d=Ji(v)||vc(v),l.elMap.has(v._d)){let m=1,y=v._d;for(;l.elMap.has(y);)y=`${v._d}:${m++}`;l.elMap.set(y,b)}else l.elMap.set(v._d,b)}}}l.pendingSideEffects={...l.sideEffects},l.sideEffects={};function a(p,g,b){const x=`${p}:${g}`;l.sideEffects[x]=b,delete l.pendingSideEffects[x]}function c({id:p,$el:g,tag:b}){const x=b.tag.endsWith("Attrs");l.elMap.set(p,g),x||(b.textContent&&b.textContent!==g.textContent&&(g.textContent=b.textContent),b.innerHTML&&b.innerHTML!==g.innerHTML&&(g.innerHTML=b.innerHTML),a(p,"el",()=>{g==null||g.remove(),l.elMap.delete(p)}));for(const v in b.props){if(!Object.prototype.hasOwnProperty.call(b.props,v))continue;const m=b.props[v];if(v.startsWith("on")&&typeof m=="function"){const _=g==null?void 0:g.dataset;if(_&&_[`${v}fired`]){const k=v.slice(0,-5);m.call(g,new Event(k.substring(2)))}g.getAttribute(`data-${v}`)!==""&&((b.tag==="bodyAttrs"?n.defaultView:g).addEventListener(v.substring(2),m.bind(g)),g.setAttribute(`data-${v}`,""));continue}const y=`attr:${v}`;if(v==="class"){if(!m)continue;for(const _ of m)x&&a(p,`${y}:${_}`,()=>g.classList.remove(_)),!g.classList.contains(_)&&g.classList.add(_)}else if(v==="style"){if(!m)continue;for(const[_,k]of m)a(p,`${y}:${_}`,()=>{g.style.removeProperty(_)}),g.style.setProperty(_,k)}else m!==!1&&m!==null&&(g.getAttribute(v)!==m&&g.setAttribute(v,m===!0?"":String(m)),x&&a(p,y,()=>g.removeAttribute(v)))}}const u=[],f={bodyClose:void 0,bodyOpen:void 0,head:void 0},d=await i;for(const p of d){const{tag:g,shouldRender:b,id:x}=p;if(b){if(g.tag==="title"){n.title=g.textContent,a("title","",()=>n.title=l.title);continue}p.$el=p.$el||l.elMap.get(x),p.$el?c(p):bc.has(g.tag)&&u.push(p)}}for(const p of u){const g=p.tag.tagPosition||"head";p.$el=n.createElement(p.tag.tag),c(p),f[g]=f[g]||n.createDocumentFragment(),f[g].appendChild(p.$el)}for(const p of d)await e.hooks.callHook("dom:renderTag",p,n,a);f.head&&n.head.appendChild(f.head),f.bodyOpen&&n.body.insertBefore(f.bodyOpen,n.body.firstChild),f.bodyClose&&n.body.appendChild(f.bodyClose);for(const p in l.pendingSideEffects)l.pendingSideEffects[p]();e._dom=l,await e.hooks.callHook("dom:rendered",{renders:d}),r()}).finally(()=>{e._domUpdatePromise=void 0,e.dirty=!1})),e._domUpdatePromise}function Wb(e={}){var s,r,o;const t=((s=e.domOptions)==null?void 0:s.render)||bd;e.document=e.document||(typeof window<"u"?document:void 0);const n=((o=(r=e.document)==null?void 0:r.head.querySelector('script[id="unhead:payload"]'))==null?void 0:o.innerHTML)||!1;return zb({...e,plugins:[...e.plugins||[],{key:"client",hooks:{"entries:updated":t}}],init:[n?JSON.parse(n):!1,...e.init||[]]})}function Kb(e,t){let n=0;return()=>{const s=++n;t(()=>{n===s&&e()})}}const Gb=(e,t)=>_e(t)?le(t):t,vd="usehead";function Jb(e){return{install(n){n.config.globalProperties.$unhead=e,n.config.globalProperties.$head=e,n.provide(vd,e)}}.install}function Qb(){if(ys()){const e=Ie(vd);if(!e)throw new Error("useHead() was called without provide context, ensure you call it through the setup() function.");return e}throw new Error("useHead() was called without provide context, ensure you call it through the setup() function.")}function Yb(e,t={}){const n=t.head||Qb();return n.ssr?n.push(e||{},t):Xb(n,e,t)}function Xb(e,t,n={}){const s=re(!1);let r;return Ct(()=>{const i=s.value?{}:ho(t,Gb);r?r.patch(i):r=e.push(i,n)}),De()&&(dr(()=>{r.dispose()}),Vu(()=>{s.value=!0}),qu(()=>{s.value=!1})),r}function Zb(e={}){const t=Wb({domOptions:{render:Kb(()=>bd(t),n=>setTimeout(n,0))},...e});return t.install=Jb(t),t}const ev={install(e){if(e._context.provides.usehead)return;const t=Zb();e.use(t)}};var Rr={inherit:"inherit",current:"currentcolor",transparent:"transparent",black:"#000",white:"#fff",slate:{50:"oklch(98.4% 0.003 247.858)",100:"oklch(96.8% 0.007 247.896)",200:"oklch(92.9% 0.013 255.508)",300:"oklch(86.9% 0.022 252.894)",400:"oklch(70.4% 0.04 256.788)",500:"oklch(55.4% 0.046 257.417)",600:"oklch(44.6% 0.043 257.281)",700:"oklch(37.2% 0.044 257.287)",800:"oklch(27.9% 0.041 260.031)",900:"oklch(20.8% 0.042 265.755)",950:"oklch(12.9% 0.042 264.695)"},gray:{50:"oklch(98.5% 0.002 247.839)",100:"oklch(96.7% 0.003 264.542)",200:"oklch(92.8% 0.006 264.531)",300:"oklch(87.2% 0.01 258.338)",400:"oklch(70.7% 0.022 261.325)",500:"oklch(55.1% 0.027 264.364)",600:"oklch(44.6% 0.03 256.802)",700:"oklch(37.3% 0.034 259.733)",800:"oklch(27.8% 0.033 256.848)",900:"oklch(21% 0.034 264.665)",950:"oklch(13% 0.028 261.692)"},zinc:{50:"oklch(98.5% 0 0)",100:"oklch(96.7% 0.001 286.375)",200:"oklch(92% 0.004 286.32)",300:"oklch(87.1% 0.006 286.286)",400:"oklch(70.5% 0.015 286.067)",500:"oklch(55.2% 0.016 285.938)",600:"oklch(44.2% 0.017 285.786)",700:"oklch(37% 0.013 285.805)",800:"oklch(27.4% 0.006 286.033)",900:"oklch(21% 0.006 285.885)",950:"oklch(14.1% 0.005 285.823)"},neutral:{50:"oklch(98.5% 0 0)",100:"oklch(97% 0 0)",200:"oklch(92.2% 0 0)",300:"oklch(87% 0 0)",400:"oklch(70.8% 0 0)",500:"oklch(55.6% 0 0)",600:"oklch(43.9% 0 0)",700:"oklch(37.1% 0 0)",800:"oklch(26.9% 0 0)",900:"oklch(20.5% 0 0)",950:"oklch(14.5% 0 0)"},stone:{50:"oklch(98.5% 0.001 106.423)",100:"oklch(97% 0.001 106.424)",200:"oklch(92.3% 0.003 48.717)",300:"oklch(86.9% 0.005 56.366)",400:"oklch(70.9% 0.01 56.259)",500:"oklch(55.3% 0.013 58.071)",600:"oklch(44.4% 0.011 73.639)",700:"oklch(37.4% 0.01 67.558)",800:"oklch(26.8% 0.007 34.298)",900:"oklch(21.6% 0.006 56.043)",950:"oklch(14.7% 0.004 49.25)"},red:{50:"oklch(97.1% 0.013 17.38)",100:"oklch(93.6% 0.032 17.717)",200:"oklch(88.5% 0.062 18.334)",300:"oklch(80.8% 0.114 19.571)",400:"oklch(70.4% 0.191 22.216)",500:"oklch(63.7% 0.237 25.331)",600:"oklch(57.7% 0.245 27.325)",700:"oklch(50.5% 0.213 27.518)",800:"oklch(44.4% 0.177 26.899)",900:"oklch(39.6% 0.141 25.723)",950:"oklch(25.8% 0.092 26.042)"},orange:{50:"oklch(98% 0.016 73.684)",100:"oklch(95.4% 0.038 75.164)",200:"oklch(90.1% 0.076 70.697)",300:"oklch(83.7% 0.128 66.29)",400:"oklch(75% 0.183 55.934)",500:"oklch(70.5% 0.213 47.604)",600:"oklch(64.6% 0.222 41.116)",700:"oklch(55.3% 0.195 38.402)",800:"oklch(47% 0.157 37.304)",900:"oklch(40.8% 0.123 38.172)",950:"oklch(26.6% 0.079 36.259)"},amber:{50:"oklch(98.7% 0.022 95.277)",100:"oklch(96.2% 0.059 95.617)",200:"oklch(92.4% 0.12 95.746)",300:"oklch(87.9% 0.169 91.605)",400:"oklch(82.8% 0.189 84.429)",500:"oklch(76.9% 0.188 70.08)",600:"oklch(66.6% 0.179 58.318)",700:"oklch(55.5% 0.163 48.998)",800:"oklch(47.3% 0.137 46.201)",900:"oklch(41.4% 0.112 45.904)",950:"oklch(27.9% 0.077 45.635)"},yellow:{50:"oklch(98.7% 0.026 102.212)",100:"oklch(97.3% 0.071 103.193)",200:"oklch(94.5% 0.129 101.54)",300:"oklch(90.5% 0.182 98.111)",400:"oklch(85.2% 0.199 91.936)",500:"oklch(79.5% 0.184 86.047)",600:"oklch(68.1% 0.162 75.834)",700:"oklch(55.4% 0.135 66.442)",800:"oklch(47.6% 0.114 61.907)",900:"oklch(42.1% 0.095 57.708)",950:"oklch(28.6% 0.066 53.813)"},lime:{50:"oklch(98.6% 0.031 120.757)",100:"oklch(96.7% 0.067 122.328)",200:"oklch(93.8% 0.127 124.321)",300:"oklch(89.7% 0.196 126.665)",400:"oklch(84.1% 0.238 128.85)",500:"oklch(76.8% 0.233 130.85)",600:"oklch(64.8% 0.2 131.684)",700:"oklch(53.2% 0.157 131.589)",800:"oklch(45.3% 0.124 130.933)",900:"oklch(40.5% 0.101 131.063)",950:"oklch(27.4% 0.072 132.109)"},green:{50:"oklch(98.2% 0.018 155.826)",100:"oklch(96.2% 0.044 156.743)",200:"oklch(92.5% 0.084 155.995)",300:"oklch(87.1% 0.15 154.449)",400:"oklch(79.2% 0.209 151.711)",500:"oklch(72.3% 0.219 149.579)",600:"oklch(62.7% 0.194 149.214)",700:"oklch(52.7% 0.154 150.069)",800:"oklch(44.8% 0.119 151.328)",900:"oklch(39.3% 0.095 152.535)",950:"oklch(26.6% 0.065 152.934)"},emerald:{50:"oklch(97.9% 0.021 166.113)",100:"oklch(95% 0.052 163.051)",200:"oklch(90.5% 0.093 164.15)",300:"oklch(84.5% 0.143 164.978)",400:"oklch(76.5% 0.177 163.223)",500:"oklch(69.6% 0.17 162.48)",600:"oklch(59.6% 0.145 163.225)",700:"oklch(50.8% 0.118 165.612)",800:"oklch(43.2% 0.095 166.913)",900:"oklch(37.8% 0.077 168.94)",950:"oklch(26.2% 0.051 172.552)"},teal:{50:"oklch(98.4% 0.014 180.72)",100:"oklch(95.3% 0.051 180.801)",200:"oklch(91% 0.096 180.426)",300:"oklch(85.5% 0.138 181.071)",400:"oklch(77.7% 0.152 181.912)",500:"oklch(70.4% 0.14 182.503)",600:"oklch(60% 0.118 184.704)",700:"oklch(51.1% 0.096 186.391)",800:"oklch(43.7% 0.078 188.216)",900:"oklch(38.6% 0.063 188.416)",950:"oklch(27.7% 0.046 192.524)"},cyan:{50:"oklch(98.4% 0.019 200.873)",100:"oklch(95.6% 0.045 203.388)",200:"oklch(91.7% 0.08 205.041)",300:"oklch(86.5% 0.127 207.078)",400:"oklch(78.9% 0.154 211.53)",500:"oklch(71.5% 0.143 215.221)",600:"oklch(60.9% 0.126 221.723)",700:"oklch(52% 0.105 223.128)",800:"oklch(45% 0.085 224.283)",900:"oklch(39.8% 0.07 227.392)",950:"oklch(30.2% 0.056 229.695)"},sky:{50:"oklch(97.7% 0.013 236.62)",100:"oklch(95.1% 0.026 236.824)",200:"oklch(90.1% 0.058 230.902)",300:"oklch(82.8% 0.111 230.318)",400:"oklch(74.6% 0.16 232.661)",500:"oklch(68.5% 0.169 237.323)",600:"oklch(58.8% 0.158 241.966)",700:"oklch(50% 0.134 242.749)",800:"oklch(44.3% 0.11 240.79)",900:"oklch(39.1% 0.09 240.876)",950:"oklch(29.3% 0.066 243.157)"},blue:{50:"oklch(97% 0.014 254.604)",100:"oklch(93.2% 0.032 255.585)",200:"oklch(88.2% 0.059 254.128)",300:"oklch(80.9% 0.105 251.813)",400:"oklch(70.7% 0.165 254.624)",500:"oklch(62.3% 0.214 259.815)",600:"oklch(54.6% 0.245 262.881)",700:"oklch(48.8% 0.243 264.376)",800:"oklch(42.4% 0.199 265.638)",900:"oklch(37.9% 0.146 265.522)",950:"oklch(28.2% 0.091 267.935)"},indigo:{50:"oklch(96.2% 0.018 272.314)",100:"oklch(93% 0.034 272.788)",200:"oklch(87% 0.065 274.039)",300:"oklch(78.5% 0.115 274.713)",400:"oklch(67.3% 0.182 276.935)",500:"oklch(58.5% 0.233 277.117)",600:"oklch(51.1% 0.262 276.966)",700:"oklch(45.7% 0.24 277.023)",800:"oklch(39.8% 0.195 277.366)",900:"oklch(35.9% 0.144 278.697)",950:"oklch(25.7% 0.09 281.288)"},violet:{50:"oklch(96.9% 0.016 293.756)",100:"oklch(94.3% 0.029 294.588)",200:"oklch(89.4% 0.057 293.283)",300:"oklch(81.1% 0.111 293.571)",400:"oklch(70.2% 0.183 293.541)",500:"oklch(60.6% 0.25 292.717)",600:"oklch(54.1% 0.281 293.009)",700:"oklch(49.1% 0.27 292.581)",800:"oklch(43.2% 0.232 292.759)",900:"oklch(38% 0.189 293.745)",950:"oklch(28.3% 0.141 291.089)"},purple:{50:"oklch(97.7% 0.014 308.299)",100:"oklch(94.6% 0.033 307.174)",200:"oklch(90.2% 0.063 306.703)",300:"oklch(82.7% 0.119 306.383)",400:"oklch(71.4% 0.203 305.504)",500:"oklch(62.7% 0.265 303.9)",600:"oklch(55.8% 0.288 302.321)",700:"oklch(49.6% 0.265 301.924)",800:"oklch(43.8% 0.218 303.724)",900:"oklch(38.1% 0.176 304.987)",950:"oklch(29.1% 0.149 302.717)"},fuchsia:{50:"oklch(97.7% 0.017 320.058)",100:"oklch(95.2% 0.037 318.852)",200:"oklch(90.3% 0.076 319.62)",300:"oklch(83.3% 0.145 321.434)",400:"oklch(74% 0.238 322.16)",500:"oklch(66.7% 0.295 322.15)",600:"oklch(59.1% 0.293 322.896)",700:"oklch(51.8% 0.253 323.949)",800:"oklch(45.2% 0.211 324.591)",900:"oklch(40.1% 0.17 325.612)",950:"oklch(29.3% 0.136 325.661)"},pink:{50:"oklch(97.1% 0.014 343.198)",100:"oklch(94.8% 0.028 342.258)",200:"oklch(89.9% 0.061 343.231)",300:"oklch(82.3% 0.12 346.018)",400:"oklch(71.8% 0.202 349.761)",500:"oklch(65.6% 0.241 354.308)",600:"oklch(59.2% 0.249 0.584)",700:"oklch(52.5% 0.223 3.958)",800:"oklch(45.9% 0.187 3.815)",900:"oklch(40.8% 0.153 2.432)",950:"oklch(28.4% 0.109 3.907)"},rose:{50:"oklch(96.9% 0.015 12.422)",100:"oklch(94.1% 0.03 12.58)",200:"oklch(89.2% 0.058 10.001)",300:"oklch(81% 0.117 11.638)",400:"oklch(71.2% 0.194 13.428)",500:"oklch(64.5% 0.246 16.439)",600:"oklch(58.6% 0.253 17.585)",700:"oklch(51.4% 0.222 16.935)",800:"oklch(45.5% 0.188 13.697)",900:"oklch(41% 0.159 10.272)",950:"oklch(27.1% 0.105 12.094)"}};const wd={ui:{colors:{primary:"shark",secondary:"blue",success:"green",info:"blue",warning:"yellow",error:"red",neutral:"slate"},icons:{arrowLeft:"i-lucide-arrow-left",arrowRight:"i-lucide-arrow-right",check:"i-lucide-check",chevronDoubleLeft:"i-lucide-chevrons-left",chevronDoubleRight:"i-lucide-chevrons-right",chevronDown:"i-lucide-chevron-down",chevronLeft:"i-lucide-chevron-left",chevronRight:"i-lucide-chevron-right",chevronUp:"i-lucide-chevron-up",close:"i-lucide-x",ellipsis:"i-lucide-ellipsis",external:"i-lucide-arrow-up-right",folder:"i-lucide-folder",folderOpen:"i-lucide-folder-open",loading:"i-lucide-loader-circle",minus:"i-lucide-minus",plus:"i-lucide-plus",search:"i-lucide-search"},button:{slots:{base:"cursor-pointer"}},dropdownMenu:{slots:{item:"cursor-pointer"}}},colorMode:!0};function Fo(e){return gs()?(Eo(e),!0):!1}const di=new WeakMap,tv=(...e)=>{var t;const n=e[0],s=(t=De())==null?void 0:t.proxy;if(s==null&&!ys())throw new Error("injectLocal must be called in setup");return s&&di.has(s)&&n in di.get(s)?di.get(s)[n]:Ie(...e)};function _d(e){let t=0,n,s;const r=()=>{t-=1,s&&t<=0&&(s.stop(),n=void 0,s=void 0)};return(...o)=>(t+=1,s||(s=lr(!0),n=s.run(()=>e(...o))),Fo(r),n)}function nv(e,t){if(typeof Symbol<"u"){const n={...e};return Object.defineProperty(n,Symbol.iterator,{enumerable:!1,value(){let s=0;return{next:()=>({value:t[s++],done:s>t.length})}}}),n}else return Object.assign([...t],e)}function sv(e){if(!_e(e))return lt(e);const t=new Proxy({},{get(n,s,r){return j(Reflect.get(e.value,s,r))},set(n,s,r){return _e(e.value[s])&&!_e(r)?e.value[s].value=r:e.value[s]=r,!0},deleteProperty(n,s){return Reflect.deleteProperty(e.value,s)},has(n,s){return Reflect.has(e.value,s)},ownKeys(){return Object.keys(e.value)},getOwnPropertyDescriptor(){return{enumerable:!0,configurable:!0}}});return lt(t)}function xd(e){return sv(q(e))}function rv(e,...t){const n=t.flat(),s=n[0];return xd(()=>Object.fromEntries(typeof s=="function"?Object.entries(Et(e)).filter(([r,o])=>!s(le(o),r)):Object.entries(Et(e)).filter(r=>!n.includes(r[0]))))}const ov=typeof window<"u"&&typeof document<"u";typeof WorkerGlobalScope<"u"&&globalThis instanceof WorkerGlobalScope;const iv=e=>e!=null,lv=Object.prototype.toString,av=e=>lv.call(e)==="[object Object]",go=()=>{};function Ul(...e){if(e.length!==1)return qt(...e);const t=e[0];return typeof t=="function"?vt(cr(()=>({get:t,set:go}))):re(t)}function Do(e,...t){const n=t.flat(),s=n[0];return xd(()=>Object.fromEntries(typeof s=="function"?Object.entries(Et(e)).filter(([r,o])=>s(le(o),r)):n.map(r=>[r,Ul(e,r)])))}function kd(e,t){function n(...s){return new Promise((r,o)=>{Promise.resolve(e(()=>t.apply(this,s),{fn:t,thisArg:this,args:s})).then(r).catch(o)})}return n}const Sd=e=>e();function cv(e,t={}){let n,s,r=go;const o=a=>{clearTimeout(a),r(),r=go};let i;return a=>{const c=le(e),u=le(t.maxWait);return n&&o(n),c<=0||u!==void 0&&u<=0?(s&&(o(s),s=void 0),Promise.resolve(a())):new Promise((f,d)=>{r=t.rejectOnCancel?d:f,i=a,u&&!s&&(s=setTimeout(()=>{n&&o(n),s=void 0,f(i())},u)),n=setTimeout(()=>{s&&o(s),s=void 0,f(a())},c)})}}function uv(e=Sd,t={}){const{initialState:n="active"}=t,s=Ul(n==="active");function r(){s.value=!1}function o(){s.value=!0}const i=(...l)=>{s.value&&e(...l)};return{isActive:vt(s),pause:r,resume:o,eventFilter:i}}function Sc(e){return e.endsWith("rem")?Number.parseFloat(e)*16:Number.parseFloat(e)}function Vr(e){return Array.isArray(e)?e:[e]}function fv(e){const t=Object.create(null);return n=>t[n]||(t[n]=e(n))}const dv=/-(\w)/g,pv=fv(e=>e.replace(dv,(t,n)=>n?n.toUpperCase():""));function hv(e){return De()}function gv(e,t=200,n={}){return kd(cv(t,n),e)}function mv(e,t,n={}){const{eventFilter:s=Sd,...r}=n;return Se(e,kd(s,t),r)}function yv(e,t,n={}){const{eventFilter:s,initialState:r="active",...o}=n,{eventFilter:i,pause:l,resume:a,isActive:c}=uv(s,{initialState:r});return{stop:mv(e,t,{...o,eventFilter:i}),pause:l,resume:a,isActive:c}}function Ed(e,t=!0,n){hv()?ht(e,n):t?e():Je(e)}function bv(e,t,n){return Se(e,t,{...n,immediate:!0})}function Yx(e={}){const{inheritAttrs:t=!0}=e,n=ke(),s=Ee({setup(o,{slots:i}){return()=>{n.value=i.default}}}),r=Ee({inheritAttrs:t,props:e.props,setup(o,{attrs:i,slots:l}){return()=>{var a;n.value;const c=(a=n.value)==null?void 0:a.call(n,{...e.props==null?vv(i):o,$slots:l});return t&&(c==null?void 0:c.length)===1?c[0]:c}}});return nv({define:s,reuse:r},[s,r])}function vv(e){const t={};for(const n in e)t[pv(n)]=e[n];return t}const xn=ov?window:void 0;function Bo(e){var t;const n=le(e);return(t=n==null?void 0:n.$el)!=null?t:n}function nr(...e){const t=[],n=()=>{t.forEach(l=>l()),t.length=0},s=(l,a,c,u)=>(l.addEventListener(a,c,u),()=>l.removeEventListener(a,c,u)),r=q(()=>{const l=Vr(le(e[0])).filter(a=>a!=null);return l.every(a=>typeof a!="string")?l:void 0}),o=bv(()=>{var l,a;return[(a=(l=r.value)==null?void 0:l.map(c=>Bo(c)))!=null?a:[xn].filter(c=>c!=null),Vr(le(r.value?e[1]:e[0])),Vr(j(r.value?e[2]:e[1])),le(r.value?e[3]:e[2])]},([l,a,c,u])=>{if(n(),!(l!=null&&l.length)||!(a!=null&&a.length)||!(c!=null&&c.length))return;const f=av(u)?{...u}:u;t.push(...l.flatMap(d=>a.flatMap(h=>c.map(p=>s(d,h,p,f)))))},{flush:"post"}),i=()=>{o(),n()};return Fo(n),i}function wv(){const e=ke(!1),t=De();return t&&ht(()=>{e.value=!0},t),e}function Cd(e){const t=wv();return q(()=>(t.value,!!e()))}function _v(e,t,n={}){const{window:s=xn,...r}=n;let o;const i=Cd(()=>s&&"MutationObserver"in s),l=()=>{o&&(o.disconnect(),o=void 0)},a=q(()=>{const d=le(e),h=Vr(d).map(Bo).filter(iv);return new Set(h)}),c=Se(()=>a.value,d=>{l(),i.value&&d.size&&(o=new MutationObserver(t),d.forEach(h=>o.observe(h,r)))},{immediate:!0,flush:"post"}),u=()=>o==null?void 0:o.takeRecords(),f=()=>{c(),l()};return Fo(f),{isSupported:i,stop:f,takeRecords:u}}function xv(e,t,n={}){const{window:s=xn,document:r=s==null?void 0:s.document,flush:o="sync"}=n;if(!s||!r)return go;let i;const l=u=>{i==null||i(),i=u},a=Ct(()=>{const u=Bo(e);if(u){const{stop:f}=_v(r,d=>{d.map(p=>[...p.removedNodes]).flat().some(p=>p===u||p.contains(u))&&t(d)},{window:s,childList:!0,subtree:!0});l(f)}},{flush:o}),c=()=>{a(),l()};return Fo(c),c}function Xx(e={}){var t;const{window:n=xn,deep:s=!0,triggerOnRemoval:r=!1}=e,o=(t=e.document)!=null?t:n==null?void 0:n.document,i=()=>{var c;let u=o==null?void 0:o.activeElement;if(s)for(;u!=null&&u.shadowRoot;)u=(c=u==null?void 0:u.shadowRoot)==null?void 0:c.activeElement;return u},l=ke(),a=()=>{l.value=i()};if(n){const c={capture:!0,passive:!0};nr(n,"blur",u=>{u.relatedTarget===null&&a()},c),nr(n,"focus",a,c)}return r&&xv(l,a,{document:o}),a(),l}const kv=Symbol("vueuse-ssr-width");function Sv(){const e=ys()?tv(kv,null):null;return typeof e=="number"?e:void 0}function Ev(e,t={}){const{window:n=xn,ssrWidth:s=Sv()}=t,r=Cd(()=>n&&"matchMedia"in n&&typeof n.matchMedia=="function"),o=ke(typeof s=="number"),i=ke(),l=ke(!1),a=c=>{l.value=c.matches};return Ct(()=>{if(o.value){o.value=!r.value;const c=le(e).split(",");l.value=c.some(u=>{const f=u.includes("not all"),d=u.match(/\(\s*min-width:\s*(-?\d+(?:\.\d*)?[a-z]+\s*)\)/),h=u.match(/\(\s*max-width:\s*(-?\d+(?:\.\d*)?[a-z]+\s*)\)/);let p=!!(d||h);return d&&p&&(p=s>=Sc(d[1])),h&&p&&(p=s<=Sc(h[1])),f?!p:p});return}r.value&&(i.value=n.matchMedia(le(e)),l.value=i.value.matches)}),nr(i,"change",a,{passive:!0}),q(()=>l.value)}const $r=typeof globalThis<"u"?globalThis:typeof window<"u"?window:typeof globalThis<"u"?globalThis:typeof self<"u"?self:{},Ir="__vueuse_ssr_handlers__",Cv=Tv();function Tv(){return Ir in $r||($r[Ir]=$r[Ir]||{}),$r[Ir]}function Td(e,t){return Cv[e]||t}function Av(e){return Ev("(prefers-color-scheme: dark)",e)}function Ov(e){return e==null?"any":e instanceof Set?"set":e instanceof Map?"map":e instanceof Date?"date":typeof e=="boolean"?"boolean":typeof e=="string"?"string":typeof e=="object"?"object":Number.isNaN(e)?"any":"number"}const Pv={boolean:{read:e=>e==="true",write:e=>String(e)},object:{read:e=>JSON.parse(e),write:e=>JSON.stringify(e)},number:{read:e=>Number.parseFloat(e),write:e=>String(e)},any:{read:e=>e,write:e=>String(e)},string:{read:e=>e,write:e=>String(e)},map:{read:e=>new Map(JSON.parse(e)),write:e=>JSON.stringify(Array.from(e.entries()))},set:{read:e=>new Set(JSON.parse(e)),write:e=>JSON.stringify(Array.from(e))},date:{read:e=>new Date(e),write:e=>e.toISOString()}},Ec="vueuse-storage";function Rv(e,t,n,s={}){var r;const{flush:o="pre",deep:i=!0,listenToStorageChanges:l=!0,writeDefaults:a=!0,mergeDefaults:c=!1,shallow:u,window:f=xn,eventFilter:d,onError:h=A=>{console.error(A)},initOnMounted:p}=s,g=(u?ke:re)(typeof t=="function"?t():t),b=q(()=>le(e));if(!n)try{n=Td("getDefaultStorage",()=>{var A;return(A=xn)==null?void 0:A.localStorage})()}catch(A){h(A)}if(!n)return g;const x=le(t),v=Ov(x),m=(r=s.serializer)!=null?r:Pv[v],{pause:y,resume:_}=yv(g,()=>C(g.value),{flush:o,deep:i,eventFilter:d});Se(b,()=>E(),{flush:o});let k=!1;const P=A=>{p&&!k||E(A)},$=A=>{p&&!k||I(A)};f&&l&&(n instanceof Storage?nr(f,"storage",P,{passive:!0}):nr(f,Ec,$)),p?Ed(()=>{k=!0,E()}):E();function T(A,D){if(f){const O={key:b.value,oldValue:A,newValue:D,storageArea:n};f.dispatchEvent(n instanceof Storage?new StorageEvent("storage",O):new CustomEvent(Ec,{detail:O}))}}function C(A){try{const D=n.getItem(b.value);if(A==null)T(D,null),n.removeItem(b.value);else{const O=m.write(A);D!==O&&(n.setItem(b.value,O),T(D,O))}}catch(D){h(D)}}function H(A){const D=A?A.newValue:n.getItem(b.value);if(D==null)return a&&x!=null&&n.setItem(b.value,m.write(x)),x;if(!A&&c){const O=m.read(D);return typeof c=="function"?c(O,x):v==="object"&&!Array.isArray(O)?{...x,...O}:O}else return typeof D!="string"?D:m.read(D)}function E(A){if(!(A&&A.storageArea!==n)){if(A&&A.key==null){g.value=x;return}if(!(A&&A.key!==b.value)){y();try{(A==null?void 0:A.newValue)!==m.write(g.value)&&(g.value=H(A))}catch(D){h(D)}finally{A?Je(_):_()}}}}function I(A){E(A.detail)}return g}const $v="*,*::before,*::after{-webkit-transition:none!important;-moz-transition:none!important;-o-transition:none!important;-ms-transition:none!important;transition:none!important}";function Iv(e={}){const{selector:t="html",attribute:n="class",initialValue:s="auto",window:r=xn,storage:o,storageKey:i="vueuse-color-scheme",listenToStorageChanges:l=!0,storageRef:a,emitAuto:c,disableTransition:u=!0}=e,f={auto:"",light:"light",dark:"dark",...e.modes||{}},d=Av({window:r}),h=q(()=>d.value?"dark":"light"),p=a||(i==null?Ul(s):Rv(i,s,o,{window:r,listenToStorageChanges:l})),g=q(()=>p.value==="auto"?h.value:p.value),b=Td("updateHTMLAttrs",(y,_,k)=>{const P=typeof y=="string"?r==null?void 0:r.document.querySelector(y):Bo(y);if(!P)return;const $=new Set,T=new Set;let C=null;if(_==="class"){const E=k.split(/\s/g);Object.values(f).flatMap(I=>(I||"").split(/\s/g)).filter(Boolean).forEach(I=>{E.includes(I)?$.add(I):T.add(I)})}else C={key:_,value:k};if($.size===0&&T.size===0&&C===null)return;let H;u&&(H=r.document.createElement("style"),H.appendChild(document.createTextNode($v)),r.document.head.appendChild(H));for(const E of $)P.classList.add(E);for(const E of T)P.classList.remove(E);C&&P.setAttribute(C.key,C.value),u&&(r.getComputedStyle(H).opacity,document.head.removeChild(H))});function x(y){var _;b(t,n,(_=f[y])!=null?_:y)}function v(y){e.onChanged?e.onChanged(y,x):x(y)}Se(g,v,{flush:"post",immediate:!0}),Ed(()=>v(g.value));const m=q({get(){return c?p.value:g.value},set(y){p.value=y}});return Object.assign(m,{store:p,system:h,state:g})}function Mv(e={}){const{valueDark:t="dark",valueLight:n=""}=e,s=Iv({...e,onChanged:(i,l)=>{var a;e.onChanged?(a=e.onChanged)==null||a.call(e,i==="dark",l,i):l(i)},modes:{dark:t,light:n}}),r=q(()=>s.system.value);return q({get(){return s.value==="dark"},set(i){const l=i?"dark":"light";r.value===l?s.value="auto":s.value=l}})}const Ts=new Map;function Zx(e){const t=gs();function n(l){var a;const c=Ts.get(e)||new Set;c.add(l),Ts.set(e,c);const u=()=>r(l);return(a=t==null?void 0:t.cleanups)==null||a.push(u),u}function s(l){function a(...c){r(a),l(...c)}return n(a)}function r(l){const a=Ts.get(e);a&&(a.delete(l),a.size||o())}function o(){Ts.delete(e)}function i(l,a){var c;(c=Ts.get(e))==null||c.forEach(u=>u(l,a))}return{on:n,once:s,off:r,emit:i,reset:o}}const jv=lt(wd),En=()=>jv;function pi(e){if(e===null||typeof e!="object")return!1;const t=Object.getPrototypeOf(e);return t!==null&&t!==Object.prototype&&Object.getPrototypeOf(t)!==null||Symbol.iterator in e?!1:Symbol.toStringTag in e?Object.prototype.toString.call(e)==="[object Module]":!0}function Qi(e,t,n=".",s){if(!pi(t))return Qi(e,{},n,s);const r=Object.assign({},t);for(const o in e){if(o==="__proto__"||o==="constructor")continue;const i=e[o];i!=null&&(s&&s(r,o,i,n)||(Array.isArray(i)&&Array.isArray(r[o])?r[o]=[...i,...r[o]]:pi(i)&&pi(r[o])?r[o]=Qi(i,r[o],(n?`${n}.`:"")+o.toString(),s):r[o]=i))}return r}function Lv(e){return(...t)=>t.reduce((n,s)=>Qi(n,s,"",e),{})}const ql=Lv();function Nv(e){return ql(e,{dir:"ltr"})}function Yi(e){return typeof e=="string"?`'${e}'`:new Fv().serialize(e)}const Fv=function(){var t;class e{constructor(){sa(this,t,new Map)}compare(s,r){const o=typeof s,i=typeof r;return o==="string"&&i==="string"?s.localeCompare(r):o==="number"&&i==="number"?s-r:String.prototype.localeCompare.call(this.serialize(s,!0),this.serialize(r,!0))}serialize(s,r){if(s===null)return"null";switch(typeof s){case"string":return r?s:`'${s}'`;case"bigint":return`${s}n`;case"object":return this.$object(s);case"function":return this.$function(s)}return String(s)}serializeObject(s){const r=Object.prototype.toString.call(s);if(r!=="[object Object]")return this.serializeBuiltInType(r.length<10?`unknown:${r}`:r.slice(8,-1),s);const o=s.constructor,i=o===Object||o===void 0?"":o.name;if(i!==""&&globalThis[i]===o)return this.serializeBuiltInType(i,s);if(typeof s.toJSON=="function"){const l=s.toJSON();return i+(l!==null&&typeof l=="object"?this.$object(l):`(${this.serialize(l)})`)}return this.serializeObjectEntries(i,Object.entries(s))}serializeBuiltInType(s,r){const o=this["$"+s];if(o)return o.call(this,r);if(typeof(r==null?void 0:r.entries)=="function")return this.serializeObjectEntries(s,r.entries());throw new Error(`Cannot serialize ${s}`)}serializeObjectEntries(s,r){const o=Array.from(r).sort((l,a)=>this.compare(l[0],a[0]));let i=`${s}{`;for(let l=0;l<o.length;l++){const[a,c]=o[l];i+=`${this.serialize(a,!0)}:${this.serialize(c)}`,l<o.length-1&&(i+=",")}return i+"}"}$object(s){let r=_s(this,t).get(s);return r===void 0&&(_s(this,t).set(s,`#${_s(this,t).size}`),r=this.serializeObject(s),_s(this,t).set(s,r)),r}$function(s){const r=Function.prototype.toString.call(s);return r.slice(-15)==="[native code] }"?`${s.name||""}()[native]`:`${s.name}(${s.length})${r.replace(/\s*\n\s*/g,"")}`}$Array(s){let r="[";for(let o=0;o<s.length;o++)r+=this.serialize(s[o]),o<s.length-1&&(r+=",");return r+"]"}$Date(s){try{return`Date(${s.toISOString()})`}catch{return"Date(null)"}}$ArrayBuffer(s){return`ArrayBuffer[${new Uint8Array(s).join(",")}]`}$Set(s){return`Set${this.$Array(Array.from(s).sort((r,o)=>this.compare(r,o)))}`}$Map(s){return this.serializeObjectEntries("Map",s.entries())}}t=new WeakMap;for(const n of["Error","RegExp","URL"])e.prototype["$"+n]=function(s){return`${n}(${s})`};for(const n of["Int8Array","Uint8Array","Uint8ClampedArray","Int16Array","Uint16Array","Int32Array","Uint32Array","Float32Array","Float64Array"])e.prototype["$"+n]=function(s){return`${n}[${s.join(",")}]`};for(const n of["BigInt64Array","BigUint64Array"])e.prototype["$"+n]=function(s){return`${n}[${s.join("n,")}${s.length>0?"n":""}]`};return e}();function Vl(e,t){return e===t||Yi(e)===Yi(t)}function Dv(e,t){const n=Xi(e),s=Xi(t);return Ad(n,s)}function Ad(e,t){var r,o;const n=[],s=new Set([...Object.keys(e.props||{}),...Object.keys(t.props||{})]);if(e.props&&t.props)for(const i of s){const l=e.props[i],a=t.props[i];l&&a?n.push(...Ad((r=e.props)==null?void 0:r[i],(o=t.props)==null?void 0:o[i])):(l||a)&&n.push(new Cc((a||l).key,l?"removed":"added",a,l))}return s.size===0&&e.hash!==t.hash&&n.push(new Cc((t||e).key,"changed",t,e)),n}function Xi(e,t=""){if(e&&typeof e!="object")return new Tc(t,e,Yi(e));const n={},s=[];for(const r in e)n[r]=Xi(e[r],t?`${t}.${r}`:r),s.push(n[r].hash);return new Tc(t,e,`{${s.join(":")}}`,n)}class Cc{constructor(t,n,s,r){this.key=t,this.type=n,this.newValue=s,this.oldValue=r}toString(){return this.toJSON()}toJSON(){var t;switch(this.type){case"added":return`Added   \`${this.key}\``;case"removed":return`Removed \`${this.key}\``;case"changed":return`Changed \`${this.key}\` from \`${((t=this.oldValue)==null?void 0:t.toString())||"-"}\` to \`${this.newValue.toString()}\``}}}class Tc{constructor(t,n,s,r){this.key=t,this.value=n,this.hash=s,this.props=r}toString(){return this.props?`{${Object.keys(this.props).join(",")}}`:JSON.stringify(this.value)}toJSON(){const t=this.key||".";return this.props?`${t}({${Object.keys(this.props).join(",")}})`:`${t}(${this.value})`}}function Od(e,t){const n={...e};for(const s of t)delete n[s];return n}function Zi(e,t,n){typeof t=="string"&&(t=t.split(".").map(r=>{const o=Number(r);return Number.isNaN(o)?r:o}));let s=e;for(const r of t){if(s==null)return n;s=s[r]}return s!==void 0?s:n}function ek(e){const t=Number.parseFloat(e);return Number.isNaN(t)?e:t}function tk(e,t,n){return e===void 0||t===void 0?!1:typeof e=="string"?e===t:typeof n=="function"?n(e,t):typeof n=="string"?Zi(e,n)===Zi(t,n):Vl(e,t)}function nk(e){return Array.isArray(e[0])}function Bv(e){return(t,n)=>Hv(t,n,j(e))}function Hv(e,t,n){return Zi(n,`messages.${e}`,e).replace(/\{(\w+)\}/g,(r,o)=>`${(t==null?void 0:t[o])??`{${o}}`}`)}function Uv(e){const t=q(()=>j(e).name),n=q(()=>j(e).code),s=q(()=>j(e).dir),r=_e(e)?e:re(e);return{lang:t,code:n,dir:s,locale:r,t:Bv(e)}}const qv=Nv({name:"English",code:"en",messages:{inputMenu:{noMatch:"No matching data",noData:"No data",create:'Create "{label}"'},calendar:{prevYear:"Previous year",nextYear:"Next year",prevMonth:"Previous month",nextMonth:"Next month"},inputNumber:{increment:"Increment",decrement:"Decrement"},commandPalette:{placeholder:"Type a command or search...",noMatch:"No matching data",noData:"No data",close:"Close",back:"Back"},selectMenu:{noMatch:"No matching data",noData:"No data",create:'Create "{label}"',search:"Search..."},toast:{close:"Close"},carousel:{prev:"Prev",next:"Next",goto:"Go to slide {slide}"},modal:{close:"Close"},slideover:{close:"Close"},alert:{close:"Close"},table:{noData:"No data"}}}),Pd=Symbol.for("nuxt-ui.locale-context"),Vv=e=>{const t=e||qt(Ie(Pd));return Uv(q(()=>t.value||qv))},zv=_d(Vv),sk=(e,t={})=>{const n=re(null);return{value:n,get:()=>n.value,set:()=>{},update:()=>{},refresh:()=>Promise.resolve(n.value),remove:()=>{}}},hi={},Wv=(e,t)=>{if(hi[e])return hi[e];const n=re(t());return hi[e]=n,n},Ac=Uf();function Kv(){return{isHydrating:!0,payload:{serverRendered:!1},hooks:Ac,hook:Ac.hook}}function Gv(e){return{install(t){t.runWithContext(()=>e({vueApp:t}))}}}const Jv=[50,100,200,300,400,500,600,700,800,900,950];function Qv(e,t){return e in Rr&&typeof Rr[e]=="object"&&t in Rr[e]?Rr[e][t]:""}function Yv(e,t){return`${Jv.map(n=>`--ui-color-${e}-${n}: var(--color-${t==="neutral"?"old-neutral":t}-${n}, ${Qv(t,n)});`).join(`
+  */const Qn=typeof document<"u";function Kf(e){return typeof e=="object"||"displayName"in e||"props"in e||"__vccOpts"in e}function km(e){return e.__esModule||e[Symbol.toStringTag]==="Module"||e.default&&Kf(e.default)}const Ae=Object.assign;function oi(e,t){const n={};for(const s in t){const r=t[s];n[s]=Ft(r)?r.map(e):e(r)}return n}const Us=()=>{},Ft=Array.isArray,Gf=/#/g,Sm=/&/g,Em=/\//g,Cm=/=/g,Tm=/\?/g,Jf=/\+/g,Am=/%5B/g,Om=/%5D/g,Qf=/%5E/g,Pm=/%60/g,Yf=/%7B/g,Rm=/%7C/g,Xf=/%7D/g,$m=/%20/g;function Nl(e){return encodeURI(""+e).replace(Rm,"|").replace(Am,"[").replace(Om,"]")}function Im(e){return Nl(e).replace(Yf,"{").replace(Xf,"}").replace(Qf,"^")}function zi(e){return Nl(e).replace(Jf,"%2B").replace($m,"+").replace(Gf,"%23").replace(Sm,"%26").replace(Pm,"`").replace(Yf,"{").replace(Xf,"}").replace(Qf,"^")}function Mm(e){return zi(e).replace(Cm,"%3D")}function jm(e){return Nl(e).replace(Gf,"%23").replace(Tm,"%3F")}function Lm(e){return e==null?"":jm(e).replace(Em,"%2F")}function Zs(e){try{return decodeURIComponent(""+e)}catch{}return""+e}const Nm=/\/$/,Fm=e=>e.replace(Nm,"");function ii(e,t,n="/"){let s,r={},o="",i="";const l=t.indexOf("#");let a=t.indexOf("?");return l<a&&l>=0&&(a=-1),a>-1&&(s=t.slice(0,a),o=t.slice(a+1,l>-1?l:t.length),r=e(o)),l>-1&&(s=s||t.slice(0,l),i=t.slice(l,t.length)),s=Um(s??t,n),{fullPath:s+(o&&"?")+o+i,path:s,query:r,hash:Zs(i)}}function Dm(e,t){const n=t.query?e(t.query):"";return t.path+(n&&"?")+n+(t.hash||"")}function Ka(e,t){return!t||!e.toLowerCase().startsWith(t.toLowerCase())?e:e.slice(t.length)||"/"}function Bm(e,t,n){const s=t.matched.length-1,r=n.matched.length-1;return s>-1&&s===r&&cs(t.matched[s],n.matched[r])&&Zf(t.params,n.params)&&e(t.query)===e(n.query)&&t.hash===n.hash}function cs(e,t){return(e.aliasOf||e)===(t.aliasOf||t)}function Zf(e,t){if(Object.keys(e).length!==Object.keys(t).length)return!1;for(const n in e)if(!Hm(e[n],t[n]))return!1;return!0}function Hm(e,t){return Ft(e)?Ga(e,t):Ft(t)?Ga(t,e):e===t}function Ga(e,t){return Ft(t)?e.length===t.length&&e.every((n,s)=>n===t[s]):e.length===1&&e[0]===t}function Um(e,t){if(e.startsWith("/"))return e;if(!e)return t;const n=t.split("/"),s=e.split("/"),r=s[s.length-1];(r===".."||r===".")&&s.push("");let o=n.length-1,i,l;for(i=0;i<s.length;i++)if(l=s[i],l!==".")if(l==="..")o>1&&o--;else break;return n.slice(0,o).join("/")+"/"+s.slice(i).join("/")}const on={path:"/",name:void 0,params:{},query:{},hash:"",fullPath:"/",matched:[],meta:{},redirectedFrom:void 0};var er;(function(e){e.pop="pop",e.push="push"})(er||(er={}));var qs;(function(e){e.back="back",e.forward="forward",e.unknown=""})(qs||(qs={}));function qm(e){if(!e)if(Qn){const t=document.querySelector("base");e=t&&t.getAttribute("href")||"/",e=e.replace(/^\w+:\/\/[^\/]+/,"")}else e="/";return e[0]!=="/"&&e[0]!=="#"&&(e="/"+e),Fm(e)}const Vm=/^[^#]+#/;function zm(e,t){return e.replace(Vm,"#")+t}function Wm(e,t){const n=document.documentElement.getBoundingClientRect(),s=e.getBoundingClientRect();return{behavior:t.behavior,left:s.left-n.left-(t.left||0),top:s.top-n.top-(t.top||0)}}const jo=()=>({left:window.scrollX,top:window.scrollY});function Km(e){let t;if("el"in e){const n=e.el,s=typeof n=="string"&&n.startsWith("#"),r=typeof n=="string"?s?document.getElementById(n.slice(1)):document.querySelector(n):n;if(!r)return;t=Wm(r,e)}else t=e;"scrollBehavior"in document.documentElement.style?window.scrollTo(t):window.scrollTo(t.left!=null?t.left:window.scrollX,t.top!=null?t.top:window.scrollY)}function Ja(e,t){return(history.state?history.state.position-t:-1)+e}const Wi=new Map;function Gm(e,t){Wi.set(e,t)}function Jm(e){const t=Wi.get(e);return Wi.delete(e),t}let Qm=()=>location.protocol+"//"+location.host;function ed(e,t){const{pathname:n,search:s,hash:r}=t,o=e.indexOf("#");if(o>-1){let l=r.includes(e.slice(o))?e.slice(o).length:1,a=r.slice(l);return a[0]!=="/"&&(a="/"+a),Ka(a,"")}return Ka(n,e)+s+r}function Ym(e,t,n,s){let r=[],o=[],i=null;const l=({state:d})=>{const h=ed(e,location),p=n.value,g=t.value;let b=0;if(d){if(n.value=h,t.value=d,i&&i===p){i=null;return}b=g?d.position-g.position:0}else s(h);r.forEach(x=>{x(n.value,p,{delta:b,type:er.pop,direction:b?b>0?qs.forward:qs.back:qs.unknown})})};function a(){i=n.value}function c(d){r.push(d);const h=()=>{const p=r.indexOf(d);p>-1&&r.splice(p,1)};return o.push(h),h}function u(){const{history:d}=window;d.state&&d.replaceState(Ae({},d.state,{scroll:jo()}),"")}function f(){for(const d of o)d();o=[],window.removeEventListener("popstate",l),window.removeEventListener("beforeunload",u)}return window.addEventListener("popstate",l),window.addEventListener("beforeunload",u,{passive:!0}),{pauseListeners:a,listen:c,destroy:f}}function Qa(e,t,n,s=!1,r=!1){return{back:e,current:t,forward:n,replaced:s,position:window.history.length,scroll:r?jo():null}}function Xm(e){const{history:t,location:n}=window,s={value:ed(e,n)},r={value:t.state};r.value||o(s.value,{back:null,current:s.value,forward:null,position:t.length-1,replaced:!0,scroll:null},!0);function o(a,c,u){const f=e.indexOf("#"),d=f>-1?(n.host&&document.querySelector("base")?e:e.slice(f))+a:Qm()+e+a;try{t[u?"replaceState":"pushState"](c,"",d),r.value=c}catch(h){console.error(h),n[u?"replace":"assign"](d)}}function i(a,c){const u=Ae({},t.state,Qa(r.value.back,a,r.value.forward,!0),c,{position:r.value.position});o(a,u,!0),s.value=a}function l(a,c){const u=Ae({},r.value,t.state,{forward:a,scroll:jo()});o(u.current,u,!0);const f=Ae({},Qa(s.value,a,null),{position:u.position+1},c);o(a,f,!1),s.value=a}return{location:s,state:r,push:l,replace:i}}function Zm(e){e=qm(e);const t=Xm(e),n=Ym(e,t.state,t.location,t.replace);function s(o,i=!0){i||n.pauseListeners(),history.go(o)}const r=Ae({location:"",base:e,go:s,createHref:zm.bind(null,e)},t,n);return Object.defineProperty(r,"location",{enumerable:!0,get:()=>t.location.value}),Object.defineProperty(r,"state",{enumerable:!0,get:()=>t.state.value}),r}function ey(e){return typeof e=="string"||e&&typeof e=="object"}function td(e){return typeof e=="string"||typeof e=="symbol"}const nd=Symbol("");var Ya;(function(e){e[e.aborted=4]="aborted",e[e.cancelled=8]="cancelled",e[e.duplicated=16]="duplicated"})(Ya||(Ya={}));function us(e,t){return Ae(new Error,{type:e,[nd]:!0},t)}function Gt(e,t){return e instanceof Error&&nd in e&&(t==null||!!(e.type&t))}const Xa="[^/]+?",ty={sensitive:!1,strict:!1,start:!0,end:!0},ny=/[.+*?^${}()[\]/\\]/g;function sy(e,t){const n=Ae({},ty,t),s=[];let r=n.start?"^":"";const o=[];for(const c of e){const u=c.length?[]:[90];n.strict&&!c.length&&(r+="/");for(let f=0;f<c.length;f++){const d=c[f];let h=40+(n.sensitive?.25:0);if(d.type===0)f||(r+="/"),r+=d.value.replace(ny,"\\$&"),h+=40;else if(d.type===1){const{value:p,repeatable:g,optional:b,regexp:x}=d;o.push({name:p,repeatable:g,optional:b});const v=x||Xa;if(v!==Xa){h+=10;try{new RegExp(`(${v})`)}catch(y){throw new Error(`Invalid custom RegExp for param "${p}" (${v}): `+y.message)}}let m=g?`((?:${v})(?:/(?:${v}))*)`:`(${v})`;f||(m=b&&c.length<2?`(?:/${m})`:"/"+m),b&&(m+="?"),r+=m,h+=20,b&&(h+=-8),g&&(h+=-20),v===".*"&&(h+=-50)}u.push(h)}s.push(u)}if(n.strict&&n.end){const c=s.length-1;s[c][s[c].length-1]+=.7000000000000001}n.strict||(r+="/?"),n.end?r+="$":n.strict&&!r.endsWith("/")&&(r+="(?:/|$)");const i=new RegExp(r,n.sensitive?"":"i");function l(c){const u=c.match(i),f={};if(!u)return null;for(let d=1;d<u.length;d++){const h=u[d]||"",p=o[d-1];f[p.name]=h&&p.repeatable?h.split("/"):h}return f}function a(c){let u="",f=!1;for(const d of e){(!f||!u.endsWith("/"))&&(u+="/"),f=!1;for(const h of d)if(h.type===0)u+=h.value;else if(h.type===1){const{value:p,repeatable:g,optional:b}=h,x=p in c?c[p]:"";if(Ft(x)&&!g)throw new Error(`Provided param "${p}" is an array but it is not repeatable (* or + modifiers)`);const v=Ft(x)?x.join("/"):x;if(!v)if(b)d.length<2&&(u.endsWith("/")?u=u.slice(0,-1):f=!0);else throw new Error(`Missing required param "${p}"`);u+=v}}return u||"/"}return{re:i,score:s,keys:o,parse:l,stringify:a}}function ry(e,t){let n=0;for(;n<e.length&&n<t.length;){const s=t[n]-e[n];if(s)return s;n++}return e.length<t.length?e.length===1&&e[0]===80?-1:1:e.length>t.length?t.length===1&&t[0]===80?1:-1:0}function sd(e,t){let n=0;const s=e.score,r=t.score;for(;n<s.length&&n<r.length;){const o=ry(s[n],r[n]);if(o)return o;n++}if(Math.abs(r.length-s.length)===1){if(Za(s))return 1;if(Za(r))return-1}return r.length-s.length}function Za(e){const t=e[e.length-1];return e.length>0&&t[t.length-1]<0}const oy={type:0,value:""},iy=/[a-zA-Z0-9_]/;function ly(e){if(!e)return[[]];if(e==="/")return[[oy]];if(!e.startsWith("/"))throw new Error(`Invalid path "${e}"`);function t(h){throw new Error(`ERR (${n})/"${c}": ${h}`)}let n=0,s=n;const r=[];let o;function i(){o&&r.push(o),o=[]}let l=0,a,c="",u="";function f(){c&&(n===0?o.push({type:0,value:c}):n===1||n===2||n===3?(o.length>1&&(a==="*"||a==="+")&&t(`A repeatable param (${c}) must be alone in its segment. eg: '/:ids+.`),o.push({type:1,value:c,regexp:u,repeatable:a==="*"||a==="+",optional:a==="*"||a==="?"})):t("Invalid state to consume buffer"),c="")}function d(){c+=a}for(;l<e.length;){if(a=e[l++],a==="\\"&&n!==2){s=n,n=4;continue}switch(n){case 0:a==="/"?(c&&f(),i()):a===":"?(f(),n=1):d();break;case 4:d(),n=s;break;case 1:a==="("?n=2:iy.test(a)?d():(f(),n=0,a!=="*"&&a!=="?"&&a!=="+"&&l--);break;case 2:a===")"?u[u.length-1]=="\\"?u=u.slice(0,-1)+a:n=3:u+=a;break;case 3:f(),n=0,a!=="*"&&a!=="?"&&a!=="+"&&l--,u="";break;default:t("Unknown state");break}}return n===2&&t(`Unfinished custom RegExp for param "${c}"`),f(),i(),r}function ay(e,t,n){const s=sy(ly(e.path),n),r=Ae(s,{record:e,parent:t,children:[],alias:[]});return t&&!r.record.aliasOf==!t.record.aliasOf&&t.children.push(r),r}function cy(e,t){const n=[],s=new Map;t=sc({strict:!1,end:!0,sensitive:!1},t);function r(f){return s.get(f)}function o(f,d,h){const p=!h,g=tc(f);g.aliasOf=h&&h.record;const b=sc(t,f),x=[g];if("alias"in f){const y=typeof f.alias=="string"?[f.alias]:f.alias;for(const _ of y)x.push(tc(Ae({},g,{components:h?h.record.components:g.components,path:_,aliasOf:h?h.record:g})))}let v,m;for(const y of x){const{path:_}=y;if(d&&_[0]!=="/"){const k=d.record.path,P=k[k.length-1]==="/"?"":"/";y.path=d.record.path+(_&&P+_)}if(v=ay(y,d,b),h?h.alias.push(v):(m=m||v,m!==v&&m.alias.push(v),p&&f.name&&!nc(v)&&i(f.name)),rd(v)&&a(v),g.children){const k=g.children;for(let P=0;P<k.length;P++)o(k[P],v,h&&h.children[P])}h=h||v}return m?()=>{i(m)}:Us}function i(f){if(td(f)){const d=s.get(f);d&&(s.delete(f),n.splice(n.indexOf(d),1),d.children.forEach(i),d.alias.forEach(i))}else{const d=n.indexOf(f);d>-1&&(n.splice(d,1),f.record.name&&s.delete(f.record.name),f.children.forEach(i),f.alias.forEach(i))}}function l(){return n}function a(f){const d=dy(f,n);n.splice(d,0,f),f.record.name&&!nc(f)&&s.set(f.record.name,f)}function c(f,d){let h,p={},g,b;if("name"in f&&f.name){if(h=s.get(f.name),!h)throw us(1,{location:f});b=h.record.name,p=Ae(ec(d.params,h.keys.filter(m=>!m.optional).concat(h.parent?h.parent.keys.filter(m=>m.optional):[]).map(m=>m.name)),f.params&&ec(f.params,h.keys.map(m=>m.name))),g=h.stringify(p)}else if(f.path!=null)g=f.path,h=n.find(m=>m.re.test(g)),h&&(p=h.parse(g),b=h.record.name);else{if(h=d.name?s.get(d.name):n.find(m=>m.re.test(d.path)),!h)throw us(1,{location:f,currentLocation:d});b=h.record.name,p=Ae({},d.params,f.params),g=h.stringify(p)}const x=[];let v=h;for(;v;)x.unshift(v.record),v=v.parent;return{name:b,path:g,params:p,matched:x,meta:fy(x)}}e.forEach(f=>o(f));function u(){n.length=0,s.clear()}return{addRoute:o,resolve:c,removeRoute:i,clearRoutes:u,getRoutes:l,getRecordMatcher:r}}function ec(e,t){const n={};for(const s of t)s in e&&(n[s]=e[s]);return n}function tc(e){const t={path:e.path,redirect:e.redirect,name:e.name,meta:e.meta||{},aliasOf:e.aliasOf,beforeEnter:e.beforeEnter,props:uy(e),children:e.children||[],instances:{},leaveGuards:new Set,updateGuards:new Set,enterCallbacks:{},components:"components"in e?e.components||null:e.component&&{default:e.component}};return Object.defineProperty(t,"mods",{value:{}}),t}function uy(e){const t={},n=e.props||!1;if("component"in e)t.default=n;else for(const s in e.components)t[s]=typeof n=="object"?n[s]:n;return t}function nc(e){for(;e;){if(e.record.aliasOf)return!0;e=e.parent}return!1}function fy(e){return e.reduce((t,n)=>Ae(t,n.meta),{})}function sc(e,t){const n={};for(const s in e)n[s]=s in t?t[s]:e[s];return n}function dy(e,t){let n=0,s=t.length;for(;n!==s;){const o=n+s>>1;sd(e,t[o])<0?s=o:n=o+1}const r=py(e);return r&&(s=t.lastIndexOf(r,s-1)),s}function py(e){let t=e;for(;t=t.parent;)if(rd(t)&&sd(e,t)===0)return t}function rd({record:e}){return!!(e.name||e.components&&Object.keys(e.components).length||e.redirect)}function hy(e){const t={};if(e===""||e==="?")return t;const s=(e[0]==="?"?e.slice(1):e).split("&");for(let r=0;r<s.length;++r){const o=s[r].replace(Jf," "),i=o.indexOf("="),l=Zs(i<0?o:o.slice(0,i)),a=i<0?null:Zs(o.slice(i+1));if(l in t){let c=t[l];Ft(c)||(c=t[l]=[c]),c.push(a)}else t[l]=a}return t}function rc(e){let t="";for(let n in e){const s=e[n];if(n=Mm(n),s==null){s!==void 0&&(t+=(t.length?"&":"")+n);continue}(Ft(s)?s.map(o=>o&&zi(o)):[s&&zi(s)]).forEach(o=>{o!==void 0&&(t+=(t.length?"&":"")+n,o!=null&&(t+="="+o))})}return t}function gy(e){const t={};for(const n in e){const s=e[n];s!==void 0&&(t[n]=Ft(s)?s.map(r=>r==null?null:""+r):s==null?s:""+s)}return t}const my=Symbol(""),oc=Symbol(""),Lo=Symbol(""),Fl=Symbol(""),Ki=Symbol("");function Es(){let e=[];function t(s){return e.push(s),()=>{const r=e.indexOf(s);r>-1&&e.splice(r,1)}}function n(){e=[]}return{add:t,list:()=>e.slice(),reset:n}}function hn(e,t,n,s,r,o=i=>i()){const i=s&&(s.enterCallbacks[r]=s.enterCallbacks[r]||[]);return()=>new Promise((l,a)=>{const c=d=>{d===!1?a(us(4,{from:n,to:t})):d instanceof Error?a(d):ey(d)?a(us(2,{from:t,to:d})):(i&&s.enterCallbacks[r]===i&&typeof d=="function"&&i.push(d),l())},u=o(()=>e.call(s&&s.instances[r],t,n,c));let f=Promise.resolve(u);e.length<3&&(f=f.then(c)),f.catch(d=>a(d))})}function li(e,t,n,s,r=o=>o()){const o=[];for(const i of e)for(const l in i.components){let a=i.components[l];if(!(t!=="beforeRouteEnter"&&!i.instances[l]))if(Kf(a)){const u=(a.__vccOpts||a)[t];u&&o.push(hn(u,n,s,i,l,r))}else{let c=a();o.push(()=>c.then(u=>{if(!u)throw new Error(`Couldn't resolve component "${l}" at "${i.path}"`);const f=km(u)?u.default:u;i.mods[l]=u,i.components[l]=f;const h=(f.__vccOpts||f)[t];return h&&hn(h,n,s,i,l,r)()}))}}return o}function ic(e){const t=Ie(Lo),n=Ie(Fl),s=q(()=>{const a=j(e.to);return t.resolve(a)}),r=q(()=>{const{matched:a}=s.value,{length:c}=a,u=a[c-1],f=n.matched;if(!u||!f.length)return-1;const d=f.findIndex(cs.bind(null,u));if(d>-1)return d;const h=lc(a[c-2]);return c>1&&lc(u)===h&&f[f.length-1].path!==h?f.findIndex(cs.bind(null,a[c-2])):d}),o=q(()=>r.value>-1&&wy(n.params,s.value.params)),i=q(()=>r.value>-1&&r.value===n.matched.length-1&&Zf(n.params,s.value.params));function l(a={}){if(vy(a)){const c=t[j(e.replace)?"replace":"push"](j(e.to)).catch(Us);return e.viewTransition&&typeof document<"u"&&"startViewTransition"in document&&document.startViewTransition(()=>c),c}return Promise.resolve()}return{route:s,href:q(()=>s.value.href),isActive:o,isExactActive:i,navigate:l}}function yy(e){return e.length===1?e[0]:e}const by=Ee({name:"RouterLink",compatConfig:{MODE:3},props:{to:{type:[String,Object],required:!0},replace:Boolean,activeClass:String,exactActiveClass:String,custom:Boolean,ariaCurrentValue:{type:String,default:"page"},viewTransition:Boolean},useLink:ic,setup(e,{slots:t}){const n=lt(ic(e)),{options:s}=Ie(Lo),r=q(()=>({[ac(e.activeClass,s.linkActiveClass,"router-link-active")]:n.isActive,[ac(e.exactActiveClass,s.linkExactActiveClass,"router-link-exact-active")]:n.isExactActive}));return()=>{const o=t.default&&yy(t.default(n));return e.custom?o:jt("a",{"aria-current":n.isExactActive?e.ariaCurrentValue:null,href:n.href,onClick:n.navigate,class:r.value},o)}}}),od=by;function vy(e){if(!(e.metaKey||e.altKey||e.ctrlKey||e.shiftKey)&&!e.defaultPrevented&&!(e.button!==void 0&&e.button!==0)){if(e.currentTarget&&e.currentTarget.getAttribute){const t=e.currentTarget.getAttribute("target");if(/\b_blank\b/i.test(t))return}return e.preventDefault&&e.preventDefault(),!0}}function wy(e,t){for(const n in t){const s=t[n],r=e[n];if(typeof s=="string"){if(s!==r)return!1}else if(!Ft(r)||r.length!==s.length||s.some((o,i)=>o!==r[i]))return!1}return!0}function lc(e){return e?e.aliasOf?e.aliasOf.path:e.path:""}const ac=(e,t,n)=>e??t??n,_y=Ee({name:"RouterView",inheritAttrs:!1,props:{name:{type:String,default:"default"},route:Object},compatConfig:{MODE:3},setup(e,{attrs:t,slots:n}){const s=Ie(Ki),r=q(()=>e.route||s.value),o=Ie(oc,0),i=q(()=>{let c=j(o);const{matched:u}=r.value;let f;for(;(f=u[c])&&!f.components;)c++;return c}),l=q(()=>r.value.matched[i.value]);Mt(oc,q(()=>i.value+1)),Mt(my,l),Mt(Ki,r);const a=re();return Se(()=>[a.value,l.value,e.name],([c,u,f],[d,h,p])=>{u&&(u.instances[f]=c,h&&h!==u&&c&&c===d&&(u.leaveGuards.size||(u.leaveGuards=h.leaveGuards),u.updateGuards.size||(u.updateGuards=h.updateGuards))),c&&u&&(!h||!cs(u,h)||!d)&&(u.enterCallbacks[f]||[]).forEach(g=>g(c))},{flush:"post"}),()=>{const c=r.value,u=e.name,f=l.value,d=f&&f.components[u];if(!d)return cc(n.default,{Component:d,route:c});const h=f.props[u],p=h?h===!0?c.params:typeof h=="function"?h(c):h:null,b=jt(d,Ae({},p,t,{onVnodeUnmounted:x=>{x.component.isUnmounted&&(f.instances[u]=null)},ref:a}));return cc(n.default,{Component:b,route:c})||b}}});function cc(e,t){if(!e)return null;const n=e(t);return n.length===1?n[0]:n}const xy=_y;function ky(e){const t=cy(e.routes,e),n=e.parseQuery||hy,s=e.stringifyQuery||rc,r=e.history,o=Es(),i=Es(),l=Es(),a=ke(on);let c=on;Qn&&e.scrollBehavior&&"scrollRestoration"in history&&(history.scrollRestoration="manual");const u=oi.bind(null,M=>""+M),f=oi.bind(null,Lm),d=oi.bind(null,Zs);function h(M,Z){let Q,oe;return td(M)?(Q=t.getRecordMatcher(M),oe=Z):oe=M,t.addRoute(oe,Q)}function p(M){const Z=t.getRecordMatcher(M);Z&&t.removeRoute(Z)}function g(){return t.getRoutes().map(M=>M.record)}function b(M){return!!t.getRecordMatcher(M)}function x(M,Z){if(Z=Ae({},Z||a.value),typeof M=="string"){const S=ii(n,M,Z.path),R=t.resolve({path:S.path},Z),V=r.createHref(S.fullPath);return Ae(S,R,{params:d(R.params),hash:Zs(S.hash),redirectedFrom:void 0,href:V})}let Q;if(M.path!=null)Q=Ae({},M,{path:ii(n,M.path,Z.path).path});else{const S=Ae({},M.params);for(const R in S)S[R]==null&&delete S[R];Q=Ae({},M,{params:f(S)}),Z.params=f(Z.params)}const oe=t.resolve(Q,Z),Te=M.hash||"";oe.params=u(d(oe.params));const Be=Dm(s,Ae({},M,{hash:Im(Te),path:oe.path})),w=r.createHref(Be);return Ae({fullPath:Be,hash:Te,query:s===rc?gy(M.query):M.query||{}},oe,{redirectedFrom:void 0,href:w})}function v(M){return typeof M=="string"?ii(n,M,a.value.path):Ae({},M)}function m(M,Z){if(c!==M)return us(8,{from:Z,to:M})}function y(M){return P(M)}function _(M){return y(Ae(v(M),{replace:!0}))}function k(M){const Z=M.matched[M.matched.length-1];if(Z&&Z.redirect){const{redirect:Q}=Z;let oe=typeof Q=="function"?Q(M):Q;return typeof oe=="string"&&(oe=oe.includes("?")||oe.includes("#")?oe=v(oe):{path:oe},oe.params={}),Ae({query:M.query,hash:M.hash,params:oe.path!=null?{}:M.params},oe)}}function P(M,Z){const Q=c=x(M),oe=a.value,Te=M.state,Be=M.force,w=M.replace===!0,S=k(Q);if(S)return P(Ae(v(S),{state:typeof S=="object"?Ae({},Te,S.state):Te,force:Be,replace:w}),Z||Q);const R=Q;R.redirectedFrom=Z;let V;return!Be&&Bm(s,oe,Q)&&(V=us(16,{to:R,from:oe}),Re(oe,oe,!0,!1)),(V?Promise.resolve(V):C(R,oe)).catch(N=>Gt(N)?Gt(N,2)?N:me(N):B(N,R,oe)).then(N=>{if(N){if(Gt(N,2))return P(Ae({replace:w},v(N.to),{state:typeof N.to=="object"?Ae({},Te,N.to.state):Te,force:Be}),Z||R)}else N=E(R,oe,!0,w,Te);return H(R,oe,N),N})}function $(M,Z){const Q=m(M,Z);return Q?Promise.reject(Q):Promise.resolve()}function T(M){const Z=He.values().next().value;return Z&&typeof Z.runWithContext=="function"?Z.runWithContext(M):M()}function C(M,Z){let Q;const[oe,Te,Be]=Sy(M,Z);Q=li(oe.reverse(),"beforeRouteLeave",M,Z);for(const S of oe)S.leaveGuards.forEach(R=>{Q.push(hn(R,M,Z))});const w=$.bind(null,M,Z);return Q.push(w),ye(Q).then(()=>{Q=[];for(const S of o.list())Q.push(hn(S,M,Z));return Q.push(w),ye(Q)}).then(()=>{Q=li(Te,"beforeRouteUpdate",M,Z);for(const S of Te)S.updateGuards.forEach(R=>{Q.push(hn(R,M,Z))});return Q.push(w),ye(Q)}).then(()=>{Q=[];for(const S of Be)if(S.beforeEnter)if(Ft(S.beforeEnter))for(const R of S.beforeEnter)Q.push(hn(R,M,Z));else Q.push(hn(S.beforeEnter,M,Z));return Q.push(w),ye(Q)}).then(()=>(M.matched.forEach(S=>S.enterCallbacks={}),Q=li(Be,"beforeRouteEnter",M,Z,T),Q.push(w),ye(Q))).then(()=>{Q=[];for(const S of i.list())Q.push(hn(S,M,Z));return Q.push(w),ye(Q)}).catch(S=>Gt(S,8)?S:Promise.reject(S))}function H(M,Z,Q){l.list().forEach(oe=>T(()=>oe(M,Z,Q)))}function E(M,Z,Q,oe,Te){const Be=m(M,Z);if(Be)return Be;const w=Z===on,S=Qn?history.state:{};Q&&(oe||w?r.replace(M.fullPath,Ae({scroll:w&&S&&S.scroll},Te)):r.push(M.fullPath,Te)),a.value=M,Re(M,Z,Q,w),me()}let I;function A(){I||(I=r.listen((M,Z,Q)=>{if(!Ue.listening)return;const oe=x(M),Te=k(oe);if(Te){P(Ae(Te,{replace:!0,force:!0}),oe).catch(Us);return}c=oe;const Be=a.value;Qn&&Gm(Ja(Be.fullPath,Q.delta),jo()),C(oe,Be).catch(w=>Gt(w,12)?w:Gt(w,2)?(P(Ae(v(w.to),{force:!0}),oe).then(S=>{Gt(S,20)&&!Q.delta&&Q.type===er.pop&&r.go(-1,!1)}).catch(Us),Promise.reject()):(Q.delta&&r.go(-Q.delta,!1),B(w,oe,Be))).then(w=>{w=w||E(oe,Be,!1),w&&(Q.delta&&!Gt(w,8)?r.go(-Q.delta,!1):Q.type===er.pop&&Gt(w,20)&&r.go(-1,!1)),H(oe,Be,w)}).catch(Us)}))}let D=Es(),O=Es(),U;function B(M,Z,Q){me(M);const oe=O.list();return oe.length?oe.forEach(Te=>Te(M,Z,Q)):console.error(M),Promise.reject(M)}function te(){return U&&a.value!==on?Promise.resolve():new Promise((M,Z)=>{D.add([M,Z])})}function me(M){return U||(U=!M,A(),D.list().forEach(([Z,Q])=>M?Q(M):Z()),D.reset()),M}function Re(M,Z,Q,oe){const{scrollBehavior:Te}=e;if(!Qn||!Te)return Promise.resolve();const Be=!Q&&Jm(Ja(M.fullPath,0))||(oe||!Q)&&history.state&&history.state.scroll||null;return Je().then(()=>Te(M,Z,Be)).then(w=>w&&Km(w)).catch(w=>B(w,M,Z))}const ge=M=>r.go(M);let Xe;const He=new Set,Ue={currentRoute:a,listening:!0,addRoute:h,removeRoute:p,clearRoutes:t.clearRoutes,hasRoute:b,getRoutes:g,resolve:x,options:e,push:y,replace:_,go:ge,back:()=>ge(-1),forward:()=>ge(1),beforeEach:o.add,beforeResolve:i.add,afterEach:l.add,onError:O.add,isReady:te,install(M){const Z=this;M.component("RouterLink",od),M.component("RouterView",xy),M.config.globalProperties.$router=Z,Object.defineProperty(M.config.globalProperties,"$route",{enumerable:!0,get:()=>j(a)}),Qn&&!Xe&&a.value===on&&(Xe=!0,y(r.location).catch(Te=>{}));const Q={};for(const Te in on)Object.defineProperty(Q,Te,{get:()=>a.value[Te],enumerable:!0});M.provide(Lo,Z),M.provide(Fl,_l(Q)),M.provide(Ki,a);const oe=M.unmount;He.add(M),M.unmount=function(){He.delete(M),He.size<1&&(c=on,I&&I(),I=null,a.value=on,Xe=!1,U=!1),oe()}}};function ye(M){return M.reduce((Z,Q)=>Z.then(()=>T(Q)),Promise.resolve())}return Ue}function Sy(e,t){const n=[],s=[],r=[],o=Math.max(t.matched.length,e.matched.length);for(let i=0;i<o;i++){const l=t.matched[i];l&&(e.matched.find(c=>cs(c,l))?s.push(l):n.push(l));const a=e.matched[i];a&&(t.matched.find(c=>cs(c,a))||r.push(a))}return[n,s,r]}function zx(){return Ie(Lo)}function Ey(e){return Ie(Fl)}const Cy="modulepreload",Ty=function(e){return"/ui/api/admin/"+e},uc={},_t=function(t,n,s){let r=Promise.resolve();if(n&&n.length>0){let i=function(c){return Promise.all(c.map(u=>Promise.resolve(u).then(f=>({status:"fulfilled",value:f}),f=>({status:"rejected",reason:f}))))};document.getElementsByTagName("link");const l=document.querySelector("meta[property=csp-nonce]"),a=(l==null?void 0:l.nonce)||(l==null?void 0:l.getAttribute("nonce"));r=i(n.map(c=>{if(c=Ty(c),c in uc)return;uc[c]=!0;const u=c.endsWith(".css"),f=u?'[rel="stylesheet"]':"";if(document.querySelector(`link[href="${c}"]${f}`))return;const d=document.createElement("link");if(d.rel=u?"stylesheet":Cy,u||(d.as="script"),d.crossOrigin="",d.href=c,a&&d.setAttribute("nonce",a),document.head.appendChild(d),u)return new Promise((h,p)=>{d.addEventListener("load",h),d.addEventListener("error",()=>p(new Error(`Unable to preload CSS for ${c}`)))})}))}function o(i){const l=new Event("vite:preloadError",{cancelable:!0});if(l.payload=i,window.dispatchEvent(l),!l.defaultPrevented)throw i}return r.then(i=>{for(const l of i||[])l.status==="rejected"&&o(l.reason);return t().catch(o)})},Ay=e=>{const t={};Object.entries(Object.assign({"/src/layouts/dashboard.vue":()=>_t(()=>import("./dashboard-CuSPwvJ-.js"),__vite__mapDeps([0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,72]))})).forEach(([r,o])=>{let i=r.replace("/src/layouts/","").replace(".vue","");t[i]=o});function s(r,o=!0){return r.map(i=>{var l,a,c,u,f,d;if(((l=i.children)==null?void 0:l.length)>0&&(i.children=s(i.children,!1)),o){if(!i.component&&((a=i.children)==null?void 0:a.find(p=>{var g;return(p.path===""||p.path==="/")&&((g=p.meta)==null?void 0:g.isLayout)})))return i;if(((c=i.meta)==null?void 0:c.layout)!==!1)return{path:i.path,component:t[((u=i.meta)==null?void 0:u.layout)||"default"],children:i.path==="/"?[i]:[{...i,path:""}],meta:{isLayout:!0}}}return(f=i.meta)!=null&&f.layout?{path:i.path,component:t[(d=i.meta)==null?void 0:d.layout],children:[{...i,path:""}],meta:{isLayout:!0}}:i})}return s(e)},Oy=[{path:"/",name:"/",component:()=>_t(()=>import("./index-CTG2tqdG.js"),__vite__mapDeps([18,19,6,1,20,13,21,10,22,23,11,24,25,26,27,28,29,30,32,33,5,3,4,36,37,38,42,39])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/catalog",name:"/catalog",component:()=>_t(()=>import("./catalog-cMJdpQ9Y.js"),__vite__mapDeps([31,2,3,4,1,13,26,23,11,10,24,19,6,20,32,9,33,29,30,34])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/cron-jobs",name:"/cron-jobs",component:()=>_t(()=>import("./cron-jobs-D-I1plHO.js"),__vite__mapDeps([35,19,6,1,13,25,26,27,21,20,28,30,36,10,17,33,24,11,37,38,39,63,64,5,3,4,9,29,32,49])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/login",name:"/login",component:()=>_t(()=>import("./login-BUCwXAGA.js"),__vite__mapDeps([40,41,42,38,29,39]))},{path:"/logs",name:"/logs",component:()=>_t(()=>import("./logs-htsM2DXW.js"),__vite__mapDeps([43,19,6,1,44,25,26,27,21,20,32,9,10,33,4,42,38,29,30,7,8,11,12,13,36,17,24,37,5,3,39,65,49])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/migrations",name:"/migrations",component:()=>_t(()=>import("./migrations-DnxsUxDe.js"),__vite__mapDeps([45,19,6,1,13,25,26,27,21,20,28,30,36,10,17,33,24,11,37,38,39,60,61,62])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/permissions",name:"/permissions",component:()=>_t(()=>import("./permissions-BvaOj_Z7.js"),__vite__mapDeps([46,19,6,1,22,23,11,10,24,20,28,21,30,39,5,3,4,47,42,38,29,32,9,33,44,25,26,27,13,36,17,37,7,8,12,69,70,71])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/sessions",name:"/sessions",component:()=>_t(()=>import("./sessions-YPdDLGeR.js")),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/settings",name:"/settings",component:()=>_t(()=>import("./settings-zw2KKEOX.js"),__vite__mapDeps([48,19,6,1,47,20,15,16,17,10,12,29,30,39,66,32,9,33,4,49,37,38,67,5,3,13,68])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/sql",name:"/sql",component:()=>_t(()=>import("./sql-C5YMm3kq.js"),__vite__mapDeps([50,5,3,4,1,41,42,38,29,19,6,25,26,22,23,20,49,33,37,30,39,51,13,32,9,10,55])),meta:{layout:"dashboard",requiresAuth:!0}},{path:"/tables",name:"/tables",component:()=>_t(()=>import("./tables-ofMxUWAj.js"),__vite__mapDeps([52,2,3,4,1,22,23,11,10,24,53,8,9,12,16,5,36,17,33,37,38,32,42,29,51,19,6,14,13,21,30,39,58])),children:[{path:":name",name:"/tables/[name]",component:()=>_t(()=>import("./_name_-CrNllcFy.js"),__vite__mapDeps([54,5,3,4,1,36,10,17,33,24,11,37,38,29,9,25,26,42,39,51,53,8,12,16,2,47,49,22,23,32,20,44,7,27,21,30,55,13,56,57,59]))}],meta:{layout:"dashboard",requiresAuth:!0}}];function Dl(e){return gs()?(Eo(e),!0):!1}function ai(){const e=new Set,t=o=>{e.delete(o)};return{on:o=>{e.add(o);const i=()=>t(o);return Dl(i),{off:i}},off:t,trigger:(...o)=>Promise.all(Array.from(e).map(i=>i(...o))),clear:()=>{e.clear()}}}const ci=new WeakMap,Py=(...e)=>{var t;const n=e[0],s=(t=De())==null?void 0:t.proxy;if(s==null&&!ys())throw new Error("injectLocal must be called in setup");return s&&ci.has(s)&&n in ci.get(s)?ci.get(s)[n]:Ie(...e)};function Ry(e,t){if(typeof Symbol<"u"){const n={...e};return Object.defineProperty(n,Symbol.iterator,{enumerable:!1,value(){let s=0;return{next:()=>({value:t[s++],done:s>t.length})}}}),n}else return Object.assign([...t],e)}function $y(e){if(!_e(e))return lt(e);const t=new Proxy({},{get(n,s,r){return j(Reflect.get(e.value,s,r))},set(n,s,r){return _e(e.value[s])&&!_e(r)?e.value[s].value=r:e.value[s]=r,!0},deleteProperty(n,s){return Reflect.deleteProperty(e.value,s)},has(n,s){return Reflect.has(e.value,s)},ownKeys(){return Object.keys(e.value)},getOwnPropertyDescriptor(){return{enumerable:!0,configurable:!0}}});return lt(t)}function Iy(e){return $y(q(e))}const No=typeof window<"u"&&typeof document<"u";typeof WorkerGlobalScope<"u"&&globalThis instanceof WorkerGlobalScope;const My=Object.prototype.toString,jy=e=>My.call(e)==="[object Object]",Ly=()=>{};function os(...e){if(e.length!==1)return qt(...e);const t=e[0];return typeof t=="function"?vt(cr(()=>({get:t,set:Ly}))):re(t)}function Wx(e,...t){const n=t.flat(),s=n[0];return Iy(()=>Object.fromEntries(typeof s=="function"?Object.entries(Et(e)).filter(([r,o])=>s(le(o),r)):n.map(r=>[r,os(e,r)])))}function Ny(e,t){function n(...s){return new Promise((r,o)=>{Promise.resolve(e(()=>t.apply(this,s),{fn:t,thisArg:this,args:s})).then(r).catch(o)})}return n}const id=e=>e();function Fy(e=id,t={}){const{initialState:n="active"}=t,s=os(n==="active");function r(){s.value=!1}function o(){s.value=!0}const i=(...l)=>{s.value&&e(...l)};return{isActive:vt(s),pause:r,resume:o,eventFilter:i}}function fc(e,t=!1,n="Timeout"){return new Promise((s,r)=>{setTimeout(t?()=>r(n):s,e)})}function Dy(e){let t;function n(){return t||(t=e()),t}return n.reset=async()=>{const s=t;t=void 0,s&&await s},n}function By(e,...t){return t.some(n=>n in e)}function dc(e){return e.endsWith("rem")?Number.parseFloat(e)*16:Number.parseFloat(e)}function ui(e){return Array.isArray(e)?e:[e]}function Hy(e){const t=Object.create(null);return n=>t[n]||(t[n]=e(n))}const Uy=/-(\w)/g,qy=Hy(e=>e.replace(Uy,(t,n)=>n?n.toUpperCase():""));function Vy(e){return De()}function zy(e,t,n={}){const{eventFilter:s=id,...r}=n;return Se(e,Ny(s,t),r)}function Wy(e,t,n={}){const{eventFilter:s,initialState:r="active",...o}=n,{eventFilter:i,pause:l,resume:a,isActive:c}=Fy(s,{initialState:r});return{stop:zy(e,t,{...o,eventFilter:i}),pause:l,resume:a,isActive:c}}function ld(e,t=!0,n){Vy()?ht(e,n):t?e():Je(e)}function Gi(e,t=!1){function n(f,{flush:d="sync",deep:h=!1,timeout:p,throwOnTimeout:g}={}){let b=null;const v=[new Promise(m=>{b=Se(e,y=>{f(y)!==t&&(b?b():Je(()=>b==null?void 0:b()),m(y))},{flush:d,deep:h,immediate:!0})})];return p!=null&&v.push(fc(p,g).then(()=>le(e)).finally(()=>b==null?void 0:b())),Promise.race(v)}function s(f,d){if(!_e(f))return n(y=>y===f,d);const{flush:h="sync",deep:p=!1,timeout:g,throwOnTimeout:b}=d??{};let x=null;const m=[new Promise(y=>{x=Se([e,f],([_,k])=>{t!==(_===k)&&(x?x():Je(()=>x==null?void 0:x()),y(_))},{flush:h,deep:p,immediate:!0})})];return g!=null&&m.push(fc(g,b).then(()=>le(e)).finally(()=>(x==null||x(),le(e)))),Promise.race(m)}function r(f){return n(d=>!!d,f)}function o(f){return s(null,f)}function i(f){return s(void 0,f)}function l(f){return n(Number.isNaN,f)}function a(f,d){return n(h=>{const p=Array.from(h);return p.includes(f)||p.includes(le(f))},d)}function c(f){return u(1,f)}function u(f=1,d){let h=-1;return n(()=>(h+=1,h>=f),d)}return Array.isArray(le(e))?{toMatch:n,toContains:a,changed:c,changedTimes:u,get not(){return Gi(e,!t)}}:{toMatch:n,toBe:s,toBeTruthy:r,toBeNull:o,toBeNaN:l,toBeUndefined:i,changed:c,changedTimes:u,get not(){return Gi(e,!t)}}}function Ky(e){return Gi(e)}function ad(e,t,n={}){const{immediate:s=!0,immediateCallback:r=!1}=n,o=ke(!1);let i=null;function l(){i&&(clearTimeout(i),i=null)}function a(){o.value=!1,l()}function c(...u){r&&e(),l(),o.value=!0,i=setTimeout(()=>{o.value=!1,i=null,e(...u)},le(t))}return s&&(o.value=!0,No&&c()),Dl(a),{isPending:th(o),start:c,stop:a}}function Gy(e,t,n){return Se(e,t,{...n,immediate:!0})}function Kx(e={}){const{inheritAttrs:t=!0}=e,n=ke(),s=Ee({setup(o,{slots:i}){return()=>{n.value=i.default}}}),r=Ee({inheritAttrs:t,props:e.props,setup(o,{attrs:i,slots:l}){return()=>{var a;n.value;const c=(a=n.value)==null?void 0:a.call(n,{...e.props==null?Jy(i):o,$slots:l});return t&&(c==null?void 0:c.length)===1?c[0]:c}}});return Ry({define:s,reuse:r},[s,r])}function Jy(e){const t={};for(const n in e)t[qy(n)]=e[n];return t}const fs=No?window:void 0,Gx=No?window.document:void 0,cd=No?window.navigator:void 0;function ud(e){var t;const n=le(e);return(t=n==null?void 0:n.$el)!=null?t:n}function tr(...e){const t=[],n=()=>{t.forEach(l=>l()),t.length=0},s=(l,a,c,u)=>(l.addEventListener(a,c,u),()=>l.removeEventListener(a,c,u)),r=q(()=>{const l=ui(le(e[0])).filter(a=>a!=null);return l.every(a=>typeof a!="string")?l:void 0}),o=Gy(()=>{var l,a;return[(a=(l=r.value)==null?void 0:l.map(c=>ud(c)))!=null?a:[fs].filter(c=>c!=null),ui(le(r.value?e[1]:e[0])),ui(j(r.value?e[2]:e[1])),le(r.value?e[3]:e[2])]},([l,a,c,u])=>{if(n(),!(l!=null&&l.length)||!(a!=null&&a.length)||!(c!=null&&c.length))return;const f=jy(u)?{...u}:u;t.push(...l.flatMap(d=>a.flatMap(h=>c.map(p=>s(d,h,p,f)))))},{flush:"post"}),i=()=>{o(),n()};return Dl(n),i}function Qy(){const e=ke(!1),t=De();return t&&ht(()=>{e.value=!0},t),e}function Bl(e){const t=Qy();return q(()=>(t.value,!!e()))}const Yy=Symbol("vueuse-ssr-width");function Xy(){const e=ys()?Py(Yy,null):null;return typeof e=="number"?e:void 0}function Zy(e,t={}){const{window:n=fs,ssrWidth:s=Xy()}=t,r=Bl(()=>n&&"matchMedia"in n&&typeof n.matchMedia=="function"),o=ke(typeof s=="number"),i=ke(),l=ke(!1),a=c=>{l.value=c.matches};return Ct(()=>{if(o.value){o.value=!r.value;const c=le(e).split(",");l.value=c.some(u=>{const f=u.includes("not all"),d=u.match(/\(\s*min-width:\s*(-?\d+(?:\.\d*)?[a-z]+\s*)\)/),h=u.match(/\(\s*max-width:\s*(-?\d+(?:\.\d*)?[a-z]+\s*)\)/);let p=!!(d||h);return d&&p&&(p=s>=dc(d[1])),h&&p&&(p=s<=dc(h[1])),f?!p:p});return}r.value&&(i.value=n.matchMedia(le(e)),l.value=i.value.matches)}),tr(i,"change",a,{passive:!0}),q(()=>l.value)}function pc(e,t={}){const{controls:n=!1,navigator:s=cd}=t,r=Bl(()=>s&&"permissions"in s),o=ke(),i=typeof e=="string"?{name:e}:e,l=ke(),a=()=>{var u,f;l.value=(f=(u=o.value)==null?void 0:u.state)!=null?f:"prompt"};tr(o,"change",a,{passive:!0});const c=Dy(async()=>{if(r.value){if(!o.value)try{o.value=await s.permissions.query(i)}catch{o.value=void 0}finally{a()}if(n)return ve(o.value)}});return c(),n?{state:l,isSupported:r,query:c}:l}function Jx(e={}){const{navigator:t=cd,read:n=!1,source:s,copiedDuring:r=1500,legacy:o=!1}=e,i=Bl(()=>t&&"clipboard"in t),l=pc("clipboard-read"),a=pc("clipboard-write"),c=q(()=>i.value||o),u=ke(""),f=ke(!1),d=ad(()=>f.value=!1,r,{immediate:!1});async function h(){let v=!(i.value&&x(l.value));if(!v)try{u.value=await t.clipboard.readText()}catch{v=!0}v&&(u.value=b())}c.value&&n&&tr(["copy","cut"],h,{passive:!0});async function p(v=le(s)){if(c.value&&v!=null){let m=!(i.value&&x(a.value));if(!m)try{await t.clipboard.writeText(v)}catch{m=!0}m&&g(v),u.value=v,f.value=!0,d.start()}}function g(v){const m=document.createElement("textarea");m.value=v??"",m.style.position="absolute",m.style.opacity="0",document.body.appendChild(m),m.select(),document.execCommand("copy"),m.remove()}function b(){var v,m,y;return(y=(m=(v=document==null?void 0:document.getSelection)==null?void 0:v.call(document))==null?void 0:m.toString())!=null?y:""}function x(v){return v==="granted"||v==="prompt"}return{isSupported:c,text:u,copied:f,copy:p}}const Or=typeof globalThis<"u"?globalThis:typeof window<"u"?window:typeof globalThis<"u"?globalThis:typeof self<"u"?self:{},Pr="__vueuse_ssr_handlers__",eb=tb();function tb(){return Pr in Or||(Or[Pr]=Or[Pr]||{}),Or[Pr]}function fd(e,t){return eb[e]||t}function nb(e){return Zy("(prefers-color-scheme: dark)",e)}function sb(e){return e==null?"any":e instanceof Set?"set":e instanceof Map?"map":e instanceof Date?"date":typeof e=="boolean"?"boolean":typeof e=="string"?"string":typeof e=="object"?"object":Number.isNaN(e)?"any":"number"}const rb={boolean:{read:e=>e==="true",write:e=>String(e)},object:{read:e=>JSON.parse(e),write:e=>JSON.stringify(e)},number:{read:e=>Number.parseFloat(e),write:e=>String(e)},any:{read:e=>e,write:e=>String(e)},string:{read:e=>e,write:e=>String(e)},map:{read:e=>new Map(JSON.parse(e)),write:e=>JSON.stringify(Array.from(e.entries()))},set:{read:e=>new Set(JSON.parse(e)),write:e=>JSON.stringify(Array.from(e))},date:{read:e=>new Date(e),write:e=>e.toISOString()}},hc="vueuse-storage";function ob(e,t,n,s={}){var r;const{flush:o="pre",deep:i=!0,listenToStorageChanges:l=!0,writeDefaults:a=!0,mergeDefaults:c=!1,shallow:u,window:f=fs,eventFilter:d,onError:h=A=>{console.error(A)},initOnMounted:p}=s,g=(u?ke:re)(typeof t=="function"?t():t),b=q(()=>le(e));if(!n)try{n=fd("getDefaultStorage",()=>{var A;return(A=fs)==null?void 0:A.localStorage})()}catch(A){h(A)}if(!n)return g;const x=le(t),v=sb(x),m=(r=s.serializer)!=null?r:rb[v],{pause:y,resume:_}=Wy(g,()=>C(g.value),{flush:o,deep:i,eventFilter:d});Se(b,()=>E(),{flush:o});let k=!1;const P=A=>{p&&!k||E(A)},$=A=>{p&&!k||I(A)};f&&l&&(n instanceof Storage?tr(f,"storage",P,{passive:!0}):tr(f,hc,$)),p?ld(()=>{k=!0,E()}):E();function T(A,D){if(f){const O={key:b.value,oldValue:A,newValue:D,storageArea:n};f.dispatchEvent(n instanceof Storage?new StorageEvent("storage",O):new CustomEvent(hc,{detail:O}))}}function C(A){try{const D=n.getItem(b.value);if(A==null)T(D,null),n.removeItem(b.value);else{const O=m.write(A);D!==O&&(n.setItem(b.value,O),T(D,O))}}catch(D){h(D)}}function H(A){const D=A?A.newValue:n.getItem(b.value);if(D==null)return a&&x!=null&&n.setItem(b.value,m.write(x)),x;if(!A&&c){const O=m.read(D);return typeof c=="function"?c(O,x):v==="object"&&!Array.isArray(O)?{...x,...O}:O}else return typeof D!="string"?D:m.read(D)}function E(A){if(!(A&&A.storageArea!==n)){if(A&&A.key==null){g.value=x;return}if(!(A&&A.key!==b.value)){y();try{(A==null?void 0:A.newValue)!==m.write(g.value)&&(g.value=H(A))}catch(D){h(D)}finally{A?Je(_):_()}}}}function I(A){E(A.detail)}return g}const ib="*,*::before,*::after{-webkit-transition:none!important;-moz-transition:none!important;-o-transition:none!important;-ms-transition:none!important;transition:none!important}";function Qx(e={}){const{selector:t="html",attribute:n="class",initialValue:s="auto",window:r=fs,storage:o,storageKey:i="vueuse-color-scheme",listenToStorageChanges:l=!0,storageRef:a,emitAuto:c,disableTransition:u=!0}=e,f={auto:"",light:"light",dark:"dark",...e.modes||{}},d=nb({window:r}),h=q(()=>d.value?"dark":"light"),p=a||(i==null?os(s):ob(i,s,o,{window:r,listenToStorageChanges:l})),g=q(()=>p.value==="auto"?h.value:p.value),b=fd("updateHTMLAttrs",(y,_,k)=>{const P=typeof y=="string"?r==null?void 0:r.document.querySelector(y):ud(y);if(!P)return;const $=new Set,T=new Set;let C=null;if(_==="class"){const E=k.split(/\s/g);Object.values(f).flatMap(I=>(I||"").split(/\s/g)).filter(Boolean).forEach(I=>{E.includes(I)?$.add(I):T.add(I)})}else C={key:_,value:k};if($.size===0&&T.size===0&&C===null)return;let H;u&&(H=r.document.createElement("style"),H.appendChild(document.createTextNode(ib)),r.document.head.appendChild(H));for(const E of $)P.classList.add(E);for(const E of T)P.classList.remove(E);C&&P.setAttribute(C.key,C.value),u&&(r.getComputedStyle(H).opacity,document.head.removeChild(H))});function x(y){var _;b(t,n,(_=f[y])!=null?_:y)}function v(y){e.onChanged?e.onChanged(y,x):x(y)}Se(g,v,{flush:"post",immediate:!0}),ld(()=>v(g.value));const m=q({get(){return c?p.value:g.value},set(y){p.value=y}});return Object.assign(m,{store:p,system:h,state:g})}const lb={json:"application/json",text:"text/plain"};function po(e){return e&&By(e,"immediate","refetch","initialData","timeout","beforeFetch","afterFetch","onFetchError","fetch","updateDataOnError")}const ab=/^(?:[a-z][a-z\d+\-.]*:)?\/\//i;function cb(e){return ab.test(e)}function Vs(e){return typeof Headers<"u"&&e instanceof Headers?Object.fromEntries(e.entries()):e}function Wn(e,...t){return e==="overwrite"?async n=>{let s;for(let r=t.length-1;r>=0;r--)if(t[r]!=null){s=t[r];break}return s?{...n,...await s(n)}:n}:async n=>{for(const s of t)s&&(n={...n,...await s(n)});return n}}function dd(e={}){const t=e.combination||"chain",n=e.options||{},s=e.fetchOptions||{};function r(o,...i){const l=q(()=>{const u=le(e.baseUrl),f=le(o);return u&&!cb(f)?ub(u,f):f});let a=n,c=s;return i.length>0&&(po(i[0])?a={...a,...i[0],beforeFetch:Wn(t,n.beforeFetch,i[0].beforeFetch),afterFetch:Wn(t,n.afterFetch,i[0].afterFetch),onFetchError:Wn(t,n.onFetchError,i[0].onFetchError)}:c={...c,...i[0],headers:{...Vs(c.headers)||{},...Vs(i[0].headers)||{}}}),i.length>1&&po(i[1])&&(a={...a,...i[1],beforeFetch:Wn(t,n.beforeFetch,i[1].beforeFetch),afterFetch:Wn(t,n.afterFetch,i[1].afterFetch),onFetchError:Wn(t,n.onFetchError,i[1].onFetchError)}),pd(l,c,a)}return r}function pd(e,...t){var n,s;const r=typeof AbortController=="function";let o={},i={immediate:!0,refetch:!1,timeout:0,updateDataOnError:!1};const l={method:"GET",type:"text",payload:void 0};t.length>0&&(po(t[0])?i={...i,...t[0]}:o=t[0]),t.length>1&&po(t[1])&&(i={...i,...t[1]});const{fetch:a=(s=(n=fs)==null?void 0:n.fetch)!=null?s:globalThis==null?void 0:globalThis.fetch,initialData:c,timeout:u}=i,f=ai(),d=ai(),h=ai(),p=ke(!1),g=ke(!1),b=ke(!1),x=ke(null),v=ke(null),m=ke(null),y=ke(c||null),_=q(()=>r&&g.value);let k,P;const $=()=>{r&&(k==null||k.abort(),k=new AbortController,k.signal.onabort=()=>b.value=!0,o={...o,signal:k.signal})},T=U=>{g.value=U,p.value=!U};u&&(P=ad($,u,{immediate:!1}));let C=0;const H=async(U=!1)=>{var B,te;$(),T(!0),m.value=null,x.value=null,b.value=!1,C+=1;const me=C,Re={method:l.method,headers:{}},ge=le(l.payload);if(ge){const ye=Vs(Re.headers),M=Object.getPrototypeOf(ge);!l.payloadType&&ge&&(M===Object.prototype||Array.isArray(M))&&!(ge instanceof FormData)&&(l.payloadType="json"),l.payloadType&&(ye["Content-Type"]=(B=lb[l.payloadType])!=null?B:l.payloadType),Re.body=l.payloadType==="json"?JSON.stringify(ge):ge}let Xe=!1;const He={url:le(e),options:{...Re,...o},cancel:()=>{Xe=!0}};if(i.beforeFetch&&Object.assign(He,await i.beforeFetch(He)),Xe||!a)return T(!1),Promise.resolve(null);let Ue=null;return P&&P.start(),a(He.url,{...Re,...He.options,headers:{...Vs(Re.headers),...Vs((te=He.options)==null?void 0:te.headers)}}).then(async ye=>{if(v.value=ye,x.value=ye.status,Ue=await ye.clone()[l.type](),!ye.ok)throw y.value=c||null,new Error(ye.statusText);return i.afterFetch&&({data:Ue}=await i.afterFetch({data:Ue,response:ye,context:He,execute:H})),y.value=Ue,f.trigger(ye),ye}).catch(async ye=>{let M=ye.message||ye.name;if(i.onFetchError&&({error:M,data:Ue}=await i.onFetchError({data:Ue,error:ye,response:v.value,context:He,execute:H})),m.value=M,i.updateDataOnError&&(y.value=Ue),d.trigger(ye),U)throw ye;return null}).finally(()=>{me===C&&T(!1),P&&P.stop(),h.trigger(null)})},E=os(i.refetch);Se([E,os(e)],([U])=>U&&H(),{deep:!0});const I={isFinished:vt(p),isFetching:vt(g),statusCode:x,response:v,error:m,data:y,canAbort:_,aborted:b,abort:$,execute:H,onFetchResponse:f.on,onFetchError:d.on,onFetchFinally:h.on,get:A("GET"),put:A("PUT"),post:A("POST"),delete:A("DELETE"),patch:A("PATCH"),head:A("HEAD"),options:A("OPTIONS"),json:O("json"),text:O("text"),blob:O("blob"),arrayBuffer:O("arrayBuffer"),formData:O("formData")};function A(U){return(B,te)=>{if(!g.value)return l.method=U,l.payload=B,l.payloadType=te,_e(l.payload)&&Se([E,os(l.payload)],([me])=>me&&H(),{deep:!0}),{...I,then(me,Re){return D().then(me,Re)}}}}function D(){return new Promise((U,B)=>{Ky(p).toBe(!0).then(()=>U(I)).catch(B)})}function O(U){return()=>{if(!g.value)return l.type=U,{...I,then(B,te){return D().then(B,te)}}}}return i.immediate&&Promise.resolve().then(()=>H()),{...I,then(U,B){return D().then(U,B)}}}function ub(e,t){return!e.endsWith("/")&&!t.startsWith("/")?`${e}/${t}`:e.endsWith("/")&&t.startsWith("/")?`${e.slice(0,-1)}${t}`:`${e}${t}`}const Pn=class Pn{constructor(){br(this,"STORAGE_KEY","auth_session");br(this,"REMEMBER_KEY","auth_remember");br(this,"LOCK_NAME","glueful-admin-token-refresh");br(this,"REFRESH_MARGIN",6e4);br(this,"refreshCallback",null);br(this,"refreshPromise",null);br(this,"refreshTimer",null);br(this,"channel",null);br(this,"memorySession",null);br(this,"csrf",null);typeof BroadcastChannel<"u"&&(this.channel=new BroadcastChannel("glueful-admin-auth"),this.channel.onmessage=t=>this.adoptSession(t.data)),typeof window<"u"&&window.addEventListener("storage",t=>{t.key===this.STORAGE_KEY&&this.scheduleRefresh()})}static getInstance(){return Pn.instance||(Pn.instance=new Pn),Pn.instance}setRefreshCallback(t){this.refreshCallback=t,this.scheduleRefresh()}isMemoryMode(){return Pt.sessionMode!=="storage"}setTokens(t,n=!1){const s=n?localStorage:sessionStorage,r=Date.now()+t.expires_in*1e3,o={access_token:t.access_token,refresh_token:t.refresh_token||null,token_type:t.token_type,expires_at:r,user:t.user};t.csrf_token&&this.setCsrfToken(t.csrf_token),this.isMemoryMode()?(this.memorySession=o,n?localStorage.setItem(this.REMEMBER_KEY,"1"):localStorage.removeItem(this.REMEMBER_KEY)):s.setItem(this.STORAGE_KEY,JSON.stringify(o)),this.scheduleRefresh()}getSession(){if(this.isMemoryMode())return this.memorySession;const t=localStorage.getItem(this.STORAGE_KEY)||sessionStorage.getItem(this.STORAGE_KEY);if(!t)return null;try{return JSON.parse(t)}catch(n){return console.error("[TokenManager] Failed to parse session:",n),null}}getAccessToken(){const t=this.getSession();return!t||Date.now()>=t.expires_at?null:t.access_token}getAuthHeader(){const t=this.getAccessToken();return t?`Bearer ${t}`:null}getRefreshToken(){const t=this.getSession();return(t==null?void 0:t.refresh_token)||null}isAuthenticated(){return!!this.getAccessToken()}isRemembered(){return this.isMemoryMode()?!!localStorage.getItem(this.REMEMBER_KEY):!!localStorage.getItem(this.STORAGE_KEY)}canRefresh(){const t=this.getSession();return this.isMemoryMode()?!!t:!!(t!=null&&t.refresh_token)}needsRefresh(){const t=this.getSession();return this.canRefresh()&&Date.now()>=t.expires_at-this.REFRESH_MARGIN}async initialize(){if(await bb,this.isMemoryMode())return localStorage.removeItem(this.STORAGE_KEY),sessionStorage.removeItem(this.STORAGE_KEY),this.memorySession?!0:await this.restoreFromCookie();const t=this.getSession();return t?Date.now()>=t.expires_at?await this.refreshTokens():(this.scheduleRefresh(),!0):!1}scheduleRefresh(){clearTimeout(this.refreshTimer),this.refreshTimer=null;const t=this.getSession();if(!this.canRefresh()||!this.refreshCallback)return;const n=Math.max(t.expires_at-Date.now()-this.REFRESH_MARGIN,0);this.refreshTimer=setTimeout(()=>{this.refreshTokens()},n)}refreshTokens(){if(this.refreshPromise)return this.refreshPromise;const t=this.getRefreshToken();return this.refreshPromise=this.withRefreshLock(()=>this.performRefresh(t)).finally(()=>{this.refreshPromise=null}),this.refreshPromise}async withRefreshLock(t){return typeof navigator<"u"&&navigator.locks?navigator.locks.request(this.LOCK_NAME,t):t()}async performRefresh(t){const n=this.getSession();if(!this.canRefresh()||!this.refreshCallback)return!1;if(t&&n.refresh_token!==t)return this.scheduleRefresh(),!0;try{const s=await this.refreshCallback(this.isMemoryMode()?null:n.refresh_token);return this.setTokens(s,this.isRemembered()),!this.isMemoryMode()&&this.channel&&this.channel.postMessage({previous:n.refresh_token,session:this.getSession()}),!0}catch(s){return console.error("[TokenManager] Token refresh failed:",s),this.clearTokens(),!1}}async restoreFromCookie(){if(!this.refreshCallback)return!1;try{const t=await this.withRefreshLock(()=>this.refreshCallback(null));return this.setTokens(t,this.isRemembered()),!0}catch{return!1}}setCsrfToken(t){this.csrf=t!=null&&t.token?{token:t.token,expires_at:(t.expires_at||0)*1e3}:null}getCsrfToken(){return this.csrf&&Date.now()<this.csrf.expires_at-5e3?this.csrf.token:null}adoptSession(t){const n=this.getSession();!(t!=null&&t.session)||!n||n.refresh_token!==t.previous||((this.isRemembered()?localStorage:sessionStorage).setItem(this.STORAGE_KEY,JSON.stringify(t.session)),this.scheduleRefresh())}clearTokens(){clearTimeout(this.refreshTimer),this.refreshTimer=null,this.memorySession=null,this.csrf=null,localStorage.removeItem(this.REMEMBER_KEY),localStorage.removeItem(this.STORAGE_KEY),sessionStorage.removeItem(this.STORAGE_KEY)}getDebugInfo(){const t=this.getSession();return{hasSession:!!t,sessionMode:this.isMemoryMode()?"memory":"storage",isAuthenticated:this.isAuthenticated(),isRemembered:this.isRemembered(),expiresAt:t?new Date(t.expires_at).toISOString():null,hasRefreshCallback:!!this.refreshCallback,refreshInFlight:!!this.refreshPromise,refreshScheduled:!!this.refreshTimer}}};br(Pn,"instance");let ut=Pn;const bt={appName:"Glueful Admin",domain:"localhost",apiBaseUrl:"",dbEngine:"mysql",db:"glueful",apiDocsUrl:"http://localhost/glueful/docs/",sessionMode:"memory",idleTimeout:30,idleWarning:60},Pt=lt({...bt}),fb=re(bt.appName),db=re(bt.domain),pb=re(bt.apiBaseUrl),hb=re(bt.dbEngine),gb=re(bt.db),mb=re(bt.apiDocsUrl),gc=re(!1),mc=re(null),yb=async()=>{try{const e="env.json",{data:t}=await pd(e).get().json(),n=t.value||{};return Object.assign(Pt,{appName:n.appName||bt.appName,domain:n.domain||bt.domain,apiBaseUrl:n.apiBaseUrl||bt.apiBaseUrl,dbEngine:n.dbEngine||bt.dbEngine,db:n.db||bt.db,apiDocsUrl:n.apiDocsUrl||bt.apiDocsUrl,sessionMode:n.sessionMode||bt.sessionMode,idleTimeout:n.idleTimeout??bt.idleTimeout,idleWarning:n.idleWarning??bt.idleWarning}),fb.value=Pt.appName,db.value=Pt.domain,pb.value=Pt.apiBaseUrl,hb.value=Pt.dbEngine,gb.value=Pt.db,mb.value=Pt.apiDocsUrl,gc.value=!0,mc.value=null,console.log("[envConfig] Environment configuration loaded:",Pt),Pt}catch(e){return console.error("[envConfig] Failed to load env.json:",e),mc.value=e instanceof Error?e.message:"Unknown error",gc.value=!0,Pt}},bb=yb(),hd=bb.then(()=>Pt.apiBaseUrl),Rq=new Map,Qq=["POST","PUT","PATCH","DELETE"];let Lq=null;const Kq=async()=>{const e=ut.getInstance(),t=e.getCsrfToken();if(t)return t;try{const{data:n}=await yc("/csrf-token").get().json();return e.setCsrfToken(n.value&&n.value.data),e.getCsrfToken()}catch{return null}},Wq=async(e,t)=>{const n=ut.getInstance();if(n.isMemoryMode()&&(t.credentials="include",t.headers={...t.headers,"X-Auth-Session-Mode":"cookie"}),Qq.includes((t.method||"GET").toUpperCase())&&!e.endsWith("/csrf-token")){const s=await Kq();s&&(t.headers={...t.headers,"X-CSRF-Token":s})}},Sq=async e=>{Rq.set(e.execute,null);try{return await e.execute(!0),{data:null,error:null}}catch(t){return Rq.get(e.execute)||(e.error=t,e)}finally{Rq.delete(e.execute)}},F=dd({baseUrl:"",options:{async beforeFetch({url:e,options:t}){const n=await hd;n&&!e.startsWith("http")&&(e=n.replace(/\/$/,"")+"/"+e.replace(/^\//,""));const s=ut.getInstance();t.headers={"Content-Type":"application/json",Accept:"application/json",...t.headers},(s.refreshPromise||s.needsRefresh())&&await s.refreshTokens(),await Wq(e,t);const r=s.getAuthHeader();return r&&(t.headers={...t.headers,Authorization:r}),{url:e,options:t}},async onFetchError(e){var t;if(console.log("[useSecureApi] Fetch error:",(t=e.response)==null?void 0:t.status,e.error),Rq.has(e.execute)&&!Rq.get(e.execute)&&Rq.set(e.execute,e),e.response&&e.response.status===419&&!Rq.has(e.execute))return ut.getInstance().setCsrfToken(null),Sq(e);if(e.response&&e.response.status===401){const n=Hl(),s=ut.getInstance();if(!Rq.has(e.execute)&&s.canRefresh()&&await s.refreshTokens())return Sq(e);await(Lq||(Lq=n.logout().finally(()=>{Lq=null})))}return e.data&&(e.error=e.data),e}}}),yc=dd({baseUrl:"",options:{async beforeFetch({url:e,options:t}){const n=await hd;return n&&!e.startsWith("http")&&(e=n.replace(/\/$/,"")+"/"+e.replace(/^\//,"")),t.headers={"Content-Type":"application/json",Accept:"application/json",...t.headers},await Wq(e,t),{url:e,options:t}},onFetchError(e){return e.data&&(e.error=e.data),e}}}),L=async e=>{var t;try{const{data:n,error:s}=await e;if(s.value){const r=s.value;return r.code===422&&((t=r.data)!=null&&t.fieldErrors)?Promise.reject({success:!1,message:r.message||"Validation failed",code:r.code,data:r.data,isValidationError:!0}):Promise.reject({success:!1,message:r.message||"An unknown error occurred",code:r.code||500,data:r.data||{generalErrors:[]}})}return n.value}catch(n){const s=n;throw{success:!1,message:s.message||"An unexpected error occurred",code:s.code||500,data:s.data||{generalErrors:[]}}}},vb={login:async e=>L(yc("/auth/login").post(e).json()),refreshToken:async e=>L(yc("/auth/refresh-token").post(e?{refresh_token:e}:{remember:ut.getInstance().isRemembered()}).json()),logout:async()=>L(F("/auth/logout").post().json())},wb={getTables:async()=>L(F("/admin/db/tables").get().json()),getTablesWithSchema:async()=>L(F("/admin/db/tables?include_schema=1",{cache:"no-store"}).get().json()),getDBStats:async()=>L(F("/admin/db/stats").get().json()),getTable:async e=>L(F(`/admin/db/table/${e}`).get().json()),getTableColumns:async e=>L(F(`/admin/db/table/${e}/columns`).get().json()),getTableData:async(e,t)=>{const n=new URLSearchParams;t!=null&&t.page&&n.append("page",t.page.toString()),t!=null&&t.per_page&&n.append("per_page",t.per_page.toString()),t!=null&&t.sort&&n.append("sort",t.sort),t!=null&&t.order&&n.append("order",t.order);const s=n.toString()?`?${n.toString()}`:"";return L(F(`/admin/db/table/${e}${s}`).get().json())},getTableDataById:async(e,t)=>L(F(`/admin/db/tables/${e}/data/${t}`).get().json()),createTable:async e=>L(F("/admin/db/table/create").post(e).json()),dropTable:async e=>L(F("/admin/db/table/drop").post({table_name:e}).json()),getTableSize:async e=>L(F(`/admin/db/table/${e}/size`).get().json()),getTableMetadata:async e=>L(F(`/admin/db/table/${e}/metadata`).get().json()),addColumn:async(e,t)=>L(F("/admin/db/table/column/add").post({table_name:e,column:t}).json()),addColumns:async(e,t)=>L(F("/admin/db/table/column/add-batch").post({table_name:e,columns:t}).json()),dropColumn:async(e,t)=>L(F("/admin/db/table/column/drop").post({table_name:e,column_name:t}).json()),dropColumns:async(e,t)=>L(F("/admin/db/table/column/drop-batch").post({table_name:e,column_names:t}).json()),addIndex:async(e,t)=>L(F("/admin/db/table/index/add").post({table_name:e,index:t}).json()),addIndexes:async(e,t)=>L(F("/admin/db/table/index/add-batch").post({table_name:e,indexes:t}).json()),dropIndex:async(e,t)=>L(F("/admin/db/table/index/drop").post({table_name:e,index_name:t}).json()),dropIndexes:async(e,t)=>L(F("/admin/db/table/index/drop-batch").post({table_name:e,index_names:t}).json()),addForeignKey:async(e,t)=>L(F("/admin/db/table/foreign-key/add").post({table_name:e,foreign_key:t}).json()),updateSchema:async e=>L(F("/admin/db/table/schema/update").post(e).json()),addForeignKeys:async(e,t)=>L(F("/admin/db/table/foreign-key/add-batch").post({table_name:e,foreign_keys:t}).json()),dropForeignKey:async(e,t)=>L(F("/admin/db/table/foreign-key/drop").post({table_name:e,constraint_name:t}).json()),dropForeignKeys:async(e,t)=>L(F("/admin/db/table/foreign-key/drop-batch").post({table_name:e,constraint_names:t}).json()),createTableData:async(e,t)=>L(F(`/${e}`).post(t).json()),updateTableData:async(e,t,n)=>L(F(`/${e}/${t}`).put(n).json()),deleteTableData:async(e,t)=>L(F(`/${e}/${t}`).delete().json()),executeQuery:async e=>L(F("/admin/db/query").post(e).json()),explainQuery:async e=>L(F("/admin/db/query/explain").post(e).json()),rollbackQuery:async e=>L(F("/admin/db/query/rollback").post(e).json()),exportData:async(e,t)=>{let n="/admin/db/export";const s=await hd;s&&(n=s.replace(/\/$/,"")+"/"+n.replace(/^\//,""));const r=ut.getInstance(),o={method:"POST",body:JSON.stringify(e),signal:t,headers:{"Content-Type":"application/json",Accept:"*/*"}};(r.refreshPromise||r.needsRefresh())&&await r.refreshTokens(),await Wq(n,o);const i=r.getAuthHeader();i&&(o.headers={...o.headers,Authorization:i});const a=await fetch(n,o);if(!a.ok){const l=await a.json().catch(()=>({}));throw{success:!1,message:l.message||"Export failed",code:l.code||a.status,data:l.data||{generalErrors:[]}}}return a},getExportProgress:async e=>L(F(`/admin/db/export/${e}/progress`,{cache:"no-store"}).get().json()),cancelExport:async e=>L(F(`/admin/db/export/${e}/cancel`).post().json()),getRelatedRecords:async(e,t)=>{const n=new URLSearchParams;n.append("value",String(t.value)),t!=null&&t.column&&n.append("column",t.column),t!=null&&t.limit&&n.append("limit",t.limit.toString());return L(F(`/admin/db/tables/${e}/related?${n.toString()}`,{cache:"no-store"}).get().json())},getDeleteImpact:async(e,t)=>L(F(`/admin/db/tables/${e}/delete-impact`).post({ids:t}).json()),getSavedQueries:async e=>{const t=new URLSearchParams;e!=null&&e.scope&&t.append("scope",e.scope),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.tag&&t.append("tag",e.tag);const n=t.toString()?`?${t.toString()}`:"";return L(F(`/admin/db/queries${n}`).get().json())},createSavedQuery:async e=>L(F("/admin/db/queries").post(e).json()),updateSavedQuery:async(e,t)=>L(F(`/admin/db/queries/${e}`).put(t).json()),deleteSavedQuery:async e=>L(F(`/admin/db/queries/${e}`).delete().json()),getSavedQueryVersions:async e=>L(F(`/admin/db/queries/${e}/versions`).get().json()),restoreSavedQueryVersion:async(e,t)=>L(F(`/admin/db/queries/${e}/versions/${t}/restore`).post().json()),importSavedQueries:async e=>L(F("/admin/db/queries/import").post({queries:e}).json()),previewSchemaChanges:async(e,t)=>L(F("/admin/db/preview-schema-changes").post({table_name:e,changes:t}).json()),exportSchema:async(e,t="json")=>L(F("/admin/db/export-schema").post({table:e,format:t}).json()),importSchema:async(e,t,n="json",s={})=>L(F("/admin/db/import-schema").post({table_name:e,schema:t,format:n,options:s}).json()),getSchemaHistory:async(e,t)=>{const n=new URLSearchParams;n.append("table",e),t!=null&&t.limit&&n.append("limit",t.limit.toString()),t!=null&&t.offset&&n.append("offset",t.offset.toString());const s=n.toString()?`?${n.toString()}`:"";return L(F(`/admin/db/schema-history${s}`).get().json())},revertSchemaChange:async(e,t=!1)=>L(F("/admin/db/revert-schema-change").post({change_id:e,confirm:t}).json()),bulkImport:async(e,t)=>L(F(`/admin/db/tables/${e}/import`).post(t).json()),startImport:async(e,t)=>L(F(`/admin/db/tables/${e}/import/start`).post(t).json()),finishImport:async(e,t,n)=>L(F(`/admin/db/tables/${e}/import/${t}/finish`).post(n).json()),getImportHistory:async e=>L(F(`/admin/db/tables/${e}/import/history`,{cache:"no-store"}).get().json()),restoreImport:async(e,t)=>L(F(`/admin/db/tables/${e}/import/${t}/restore`).post().json()),bulkDelete:async(e,t,n)=>{const s={ids:t};return(n==null?void 0:n.soft_delete)!==void 0&&(s.soft_delete=n.soft_delete),n!=null&&n.status_column&&(s.status_column=n.status_column),(n==null?void 0:n.deleted_value)!==void 0&&(s.deleted_value=n.deleted_value),L(F(`/admin/db/tables/${e}/bulk-delete`).delete(s).json())},bulkUpdate:async(e,t,n)=>L(F(`/admin/db/tables/${e}/bulk-update`).put({ids:t,data:n}).json())},_b={getHealthStats:async()=>L(F("/admin/system/health").get().json()),getApiMetrics:async()=>L(F("/admin/system/api-metrics").get().json()),resetApiMetrics:async()=>L(F("/admin/system/api-metrics/reset").post({}).json()),getApiMetricsTimeSeries:async e=>{const t=new URLSearchParams;e!=null&&e.window&&t.append("window",e.window),e!=null&&e.endpoint&&t.append("endpoint",e.endpoint);const n=t.toString()?`?${t.toString()}`:"";return L(F(`/admin/system/api-metrics/timeseries${n}`).get().json())},getApiMetricAlerts:async()=>L(F("/admin/system/api-metrics/alerts").get().json()),getMetricThresholds:async()=>L(F("/admin/system/api-metrics/thresholds").get().json()),createMetricThreshold:async e=>L(F("/admin/system/api-metrics/thresholds").post(e).json()),updateMetricThreshold:async(e,t)=>L(F(`/admin/system/api-metrics/thresholds/${e}`).put(t).json()),deleteMetricThreshold:async e=>L(F(`/admin/system/api-metrics/thresholds/${e}`).delete().json())},xb={getPendingMigrations:async()=>L(F("/admin/migrations/pending").get().json()),getAllMigrations:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString());const n=t.toString()?`?${t.toString()}`:"";return L(F(`/admin/migrations${n}`).get().json())},runPendingMigrations:async()=>L(F("/admin/migrations/run").post({}).json()),runMigrations:async e=>L(F("/admin/migrations/run").post(e).json()),rollbackMigrations:async e=>L(F("/admin/migrations/rollback").post(e).json()),getMigrationRuns:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString());const n=t.toString()?`?${t.toString()}`:"";return L(F(`/admin/migrations/runs${n}`).get().json())},generateMigration:async e=>L(F("/admin/migrations/generate").post(e).json()),getSchemaDrift:async()=>L(F("/admin/migrations/drift").get().json())},kb={getAllJobs:async()=>L(F("/admin/jobs").get().json()),runJob:async e=>L(F("/admin/jobs/run").post({job:e}).json()),runDueJobs:async()=>L(F("/admin/jobs/run-due").post({}).json()),createJob:async e=>L(F("/admin/jobs/create-job").post(e).json()),previewSchedule:async e=>{const t=new URLSearchParams({expression:e.expression});return e.timezone&&t.append("timezone",e.timezone),e.count&&t.append("count",e.count.toString()),L(F(`/admin/jobs/schedule-preview?${t.toString()}`).get().json())},updateJob:async e=>L(F("/admin/jobs/update").post(e).json()),pauseJob:async e=>L(F("/admin/jobs/pause").post({job:e}).json()),resumeJob:async e=>L(F("/admin/jobs/resume").post({job:e}).json()),getJobHistory:async e=>{const t=new URLSearchParams({job:e.job});return e.page&&t.append("page",e.page.toString()),e.per_page&&t.append("per_page",e.per_page.toString()),e.status&&t.append("status",e.status),L(F(`/admin/jobs/history?${t.toString()}`).get().json())}},Sb={getAllExtensions:async()=>L(F("/extensions").get().json()),enableExtension:async e=>L(F("/extensions/enable").post({extension:e}).json()),disableExtension:async e=>L(F("/extensions/disable").post({extension:e}).json()),getExtensionDependencies:async()=>L(F("/extensions/dependencies").get().json()),getCatalog:async e=>{const t=new URLSearchParams;e!=null&&e.search&&t.append("search",e.search),e!=null&&e.tags&&t.append("tags",e.tags),e!=null&&e.status&&t.append("status",e.status),(e==null?void 0:e.min_rating)!==void 0&&t.append("min_rating",e.min_rating.toString()),(e==null?void 0:e.useCache)!==void 0&&t.append("useCache",e.useCache.toString());const n=t.toString()?`/extensions?${t}`:"/extensions";return L(F(n).get().json())}},Eb={getAllPermissions:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString()),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.category&&t.append("category",e.category),e!=null&&e.resource_type&&t.append("resource_type",e.resource_type);const n=t.toString()?`?${t.toString()}`:"";return L(F(`/rbac/permissions${n}`).get().json())},getPermission:async e=>L(F(`/rbac/permissions/${e}`).get().json()),createPermission:async e=>L(F("/rbac/permissions").post(e).json()),updatePermission:async(e,t)=>L(F(`/rbac/permissions/${e}`).put(t).json()),deletePermission:async(e,t)=>L(F(`/rbac/permissions/${e}${t?"?force=true":""}`).delete().json()),assignPermissionToUser:async(e,t,n)=>L(F(`/rbac/permissions/${e}/assign`).post({user_uuid:t,...n}).json()),revokePermissionFromUser:async(e,t)=>L(F(`/rbac/permissions/${e}/revoke`).delete({user_uuid:t}).json()),batchAssignPermissions:async(e,t)=>L(F("/rbac/permissions/batch-assign").post({user_uuid:e,permissions:t}).json()),batchRevokePermissions:async(e,t)=>L(F("/rbac/permissions/batch-revoke").post({user_uuid:e,permission_slugs:t}).json()),getPermissionImpact:async e=>L(F(`/rbac/permissions/${e}/impact`).get().json()),getPermissionHolders:async e=>L(F(`/rbac/permissions/${e}/holders`).get().json()),getMatrix:async()=>L(F("/rbac/permissions/matrix").get().json()),batchAssignRolePermissions:async(e,t)=>L(F("/rbac/permissions/batch-assign").post({role_uuid:e,permissions:t}).json()),batchRevokeRolePermissions:async(e,t)=>L(F("/rbac/permissions/batch-revoke").post({role_uuid:e,permission_slugs:t}).json()),getStats:async()=>L(F("/rbac/permissions/stats").get().json()),getCategories:async()=>L(F("/rbac/permissions/categories").get().json()),getResourceTypes:async()=>L(F("/rbac/permissions/resource-types").get().json()),checkUserPermission:async(e,t,n,s)=>L(F("/rbac/check-permission").post({user_uuid:e,permission:t,resource:n,context:s}).json()),cleanupExpired:async()=>L(F("/rbac/permissions/cleanup-expired").post({}).json())},Cb={getAllRoles:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString()),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.status&&t.append("status",e.status),e!=null&&e.level&&t.append("level",e.level.toString()),e!=null&&e.tree&&t.append("tree",e.tree.toString()),e!=null&&e.include_deleted&&t.append("include_deleted",e.include_deleted.toString());const n=t.toString()?`?${t.toString()}`:"";return L(F(`/rbac/roles${n}`).get().json())},getRole:async e=>L(F(`/rbac/roles/${e}`).get().json()),createRole:async e=>L(F("/rbac/roles").post(e).json()),updateRole:async(e,t)=>L(F(`/rbac/roles/${e}`).put(t).json()),deleteRole:async(e,t)=>L(F(`/rbac/roles/${e}${t?"?force=true":""}`).delete().json()),assignRoleToUser:async(e,t,n)=>L(F(`/rbac/roles/${e}/assign`).post({user_uuid:t,...n}).json()),revokeRoleFromUser:async(e,t)=>L(F(`/rbac/roles/${e}/revoke`).delete({user_uuid:t}).json()),assignRolesToUsers:async(e,t,n)=>L(F(`/rbac/roles/${e}/assign-users`).post({user_uuids:t,...n}).json()),revokeRoleFromUsers:async(e,t)=>L(F(`/rbac/roles/${e}/revoke-users`).delete({user_uuids:t}).json()),getRoleUsers:async(e,t)=>{const n=new URLSearchParams;t!=null&&t.page&&n.append("page",t.page.toString()),t!=null&&t.per_page&&n.append("per_page",t.per_page.toString());const s=n.toString()?`?${n.toString()}`:"";return L(F(`/rbac/roles/${e}/users${s}`).get().json())},getStats:async()=>L(F("/rbac/roles/stats").get().json()),bulkOperation:async e=>L(F("/rbac/roles/bulk").post(e).json())},Tb={getAllUsers:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString()),e!=null&&e.sort&&t.append("sort",e.sort),e!=null&&e.order&&t.append("order",e.order),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.status&&t.append("status",e.status),e!=null&&e.role_id&&t.append("role_id",e.role_id),e!=null&&e.include_deleted&&t.append("include_deleted",e.include_deleted.toString());const n=t.toString()?`?${t.toString()}`:"";return L(F(`/admin/users${n}`).get().json())},getUser:async e=>L(F(`/admin/users/${e}`).get().json()),createUser:async e=>L(F("/admin/users").post(e).json()),updateUser:async(e,t)=>L(F(`/admin/users/${e}`).put(t).json()),deleteUser:async e=>L(F(`/admin/users/${e}`).delete().json()),restoreUser:async e=>L(F(`/admin/users/${e}/restore`).post({}).json()),bulkOperation:async e=>L(F("/admin/users/bulk").post(e).json()),getStats:async e=>{const t=e?`?period=${e}`:"";return L(F(`/admin/users/stats${t}`).get().json())},searchUsers:async e=>{const t=new URLSearchParams;Object.entries(e).forEach(([s,r])=>{r!==void 0&&t.append(s,r.toString())});const n=t.toString()?`?${t.toString()}`:"";return L(F(`/admin/users/search${n}`).get().json())},exportUsers:async e=>{const t=new URLSearchParams;e!=null&&e.format&&t.append("format",e.format),e!=null&&e.status&&t.append("status",e.status),e!=null&&e.role&&t.append("role",e.role),e!=null&&e.include_deleted&&t.append("include_deleted",e.include_deleted.toString());const n=t.toString()?`?${t.toString()}`:"";return(e==null?void 0:e.format)==="csv"?F(`/admin/users/export${n}`).get():L(F(`/admin/users/export${n}`).get().json())},importUsers:async e=>L(F("/admin/users/import").post(e).json()),getUserActivity:async(e,t)=>{const n=new URLSearchParams;t!=null&&t.page&&n.append("page",t.page.toString()),t!=null&&t.per_page&&n.append("per_page",t.per_page.toString());const s=n.toString()?`?${n.toString()}`:"";return L(F(`/admin/users/${e}/activity${s}`).get().json())},getUserSessions:async e=>L(F(`/admin/users/${e}/sessions`).get().json()),terminateUserSessions:async(e,t)=>L(F(`/admin/users/${e}/sessions`).delete(typeof t=="string"?{session_id:t}:t||{}).json()),getUserRoles:async(e,t)=>{const n=t?`?scope=${encodeURIComponent(t)}`:"";return L(F(`/rbac/users/${e}/roles${n}`).get().json())},assignRolesToUser:async(e,t,n)=>L(F(`/rbac/users/${e}/roles`).post({role_uuids:t,...n}).json()),replaceUserRoles:async(e,t,n)=>L(F(`/rbac/users/${e}/roles`).put({role_uuids:t,...n}).json()),revokeUserRole:async(e,t)=>L(F(`/rbac/users/${e}/roles/${t}`).delete().json()),getUserPermissions:async(e,t)=>L(F(`/rbac/users/${e}/permissions${t?"?active_only=true":""}`).get().json()),getUserEffectivePermissions:async(e,t)=>{const n=t?`?scope=${encodeURIComponent(t)}`:"";return L(F(`/rbac/users/${e}/effective-permissions${n}`).get().json())},getUserAccessOverview:async(e,t)=>{const n=t?`?scope=${encodeURIComponent(t)}`:"";return L(F(`/rbac/users/${e}/access-overview${n}`).get().json())},getUserPermissionTrace:async e=>L(F(`/rbac/users/${e}/permission-trace`).get().json()),getUserRoleHistory:async(e,t)=>{const n=new URLSearchParams;t!=null&&t.page&&n.append("page",t.page.toString()),t!=null&&t.per_page&&n.append("per_page",t.per_page.toString()),t!=null&&t.include_deleted&&n.append("include_deleted",t.include_deleted.toString());const s=n.toString()?`?${n.toString()}`:"";return L(F(`/rbac/users/${e}/role-history${s}`).get().json())},checkUserRole:async(e,t,n)=>L(F(`/rbac/users/${e}/check-role`).post({role_slug:t,scope:n}).json()),checkUserPermission:async(e,t,n,s)=>L(F("/rbac/check-permission").post({user_uuid:e,permission:t,resource:n,context:s}).json())},Ab={getAppLogs:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString()),e!=null&&e.level&&t.append("level",e.level),e!=null&&e.search&&t.append("search",e.search),e!=null&&e.from_date&&t.append("from_date",e.from_date),e!=null&&e.to_date&&t.append("to_date",e.to_date);const n=t.toString()?`?${t.toString()}`:"";return L(F(`/app_logs${n}`).get().json())},getAuditLogs:async e=>{const c=new URLSearchParams;Object.entries(e||{}).forEach(([l,d])=>{d!=null&&d!==""&&c.append(l,String(d))});const n=c.toString()?`?${c.toString()}`:"";return L(F(`/admin/logs${n}`,{cache:"no-store"}).get().json())},streamLogs:async(e,t)=>{const c=new URLSearchParams;Object.entries(e||{}).forEach(([l,d])=>{d!=null&&d!==""&&c.append(l,String(d))});let n=`/admin/logs/stream?${c.toString()}`;const s=await hd;s&&(n=s.replace(/\/$/,"")+"/"+n.replace(/^\//,""));const r=ut.getInstance(),o={method:"GET",signal:t,cache:"no-store",headers:{Accept:"text/event-stream"}};(r.refreshPromise||r.needsRefresh())&&await r.refreshTokens(),await Wq(n,o);const i=r.getAuthHeader();i&&(o.headers={...o.headers,Authorization:i});const a=await fetch(n,o);if(!a.ok){const l=await a.json().catch(()=>({}));throw{success:!1,message:l.message||"Live tail failed",code:l.code||a.status,data:l.data||{generalErrors:[]}}}return a},clearLogs:async(e,t)=>L(F("/admin/logs/clear").post({type:e,days:t}).json()),exportLogs:async(e,t)=>{let n="/admin/logs/export";const s=await hd;s&&(n=s.replace(/\/$/,"")+"/"+n.replace(/^\//,""));const r=ut.getInstance(),o={method:"POST",body:JSON.stringify(e),signal:t,cache:"no-store",headers:{"Content-Type":"application/json",Accept:"*/*"}};(r.refreshPromise||r.needsRefresh())&&await r.refreshTokens(),await Wq(n,o);const i=r.getAuthHeader();i&&(o.headers={...o.headers,Authorization:i});const a=await fetch(n,o);if(!a.ok){const l=await a.json().catch(()=>({}));throw{success:!1,message:l.message||"Export failed",code:l.code||a.status,data:l.data||{generalErrors:[]}}}return a},getSavedSearches:async()=>L(F("/admin/logs/searches",{cache:"no-store"}).get().json()),saveSearch:async(e,t)=>L(F("/admin/logs/searches").post({name:e,query:t}).json()),deleteSavedSearch:async e=>L(F(`/admin/logs/searches/${e}`).delete().json()),getRetention:async()=>L(F("/admin/logs/retention",{cache:"no-store"}).get().json()),saveRetentionRule:async e=>L(F("/admin/logs/retention").post(e).json()),deleteRetentionRule:async e=>L(F(`/admin/logs/retention/${e}`).delete().json()),runRetention:async()=>L(F("/admin/logs/retention/run").post({}).json()),getArchives:async e=>{const t=new URLSearchParams;e!=null&&e.page&&t.append("page",e.page.toString()),e!=null&&e.per_page&&t.append("per_page",e.per_page.toString());const n=t.toString()?`?${t.toString()}`:"";return L(F(`/admin/logs/archives${n}`,{cache:"no-store"}).get().json())},getArchive:async(e,t)=>{const n=new URLSearchParams;t!=null&&t.page&&n.append("page",t.page.toString()),t!=null&&t.per_page&&n.append("per_page",t.per_page.toString());const s=n.toString()?`?${n.toString()}`:"";return L(F(`/admin/logs/archives/${e}${s}`,{cache:"no-store"}).get().json())},restoreArchive:async(e,t)=>L(F(`/admin/logs/archives/${e}/restore`).post({hold_days:t}).json())},Ob={getAllConfigs:async()=>L(F("/admin/configs").get().json()),getConfig:async e=>L(F(`/admin/configs/${e}`).get().json()),getConfigEditor:async e=>L(F(`/admin/configs/${e}/schema`).get().json()),previewConfig:async(e,t)=>L(F(`/admin/configs/${e}/diff`).post({content:t}).json()),updateConfig:async(e,t,n)=>L(F(`/admin/configs/${e}`).put(n?{content:t,change_note:n}:{content:t}).json()),getConfigVersions:async e=>L(F(`/admin/configs/${e}/versions`).get().json()),getConfigVersion:async(e,t)=>L(F(`/admin/configs/${e}/versions/${t}`).get().json()),rollbackConfig:async(e,t)=>L(F(`/admin/configs/${e}/versions/${t}/rollback`).post().json()),createConfig:async(e,t)=>L(F("/admin/configs/create").post({name:e,content:t}).json())},fi={auth:vb,db:wb,system:_b,migrations:xb,jobs:kb,extensions:Sb,permissions:Eb,roles:Cb,users:Tb,logs:Ab,configs:Ob,admin:{getDashboardData:async()=>L(F("/admin/dashboard").get().json())},rbac:{getUserRoleStats:async()=>L(F("/rbac/user-roles/stats").get().json()),cleanupExpiredRoles:async()=>L(F("/rbac/user-roles/cleanup-expired").post({}).json()),cleanupExpiredPermissions:async()=>L(F("/rbac/permissions/cleanup-expired").post({}).json()),getOverallStats:async()=>L(F("/rbac/stats").get().json())}},Hl=xm("auth",{state:()=>({user:null,isLoading:!1,error:null,isInitialized:!1}),getters:{isAuthenticated(){return ut.getInstance().isAuthenticated()},authHeader(){return ut.getInstance().getAuthHeader()},accessToken(){return ut.getInstance().getAccessToken()},isRemembered(){return ut.getInstance().isRemembered()}},actions:{checkAuthentication(){return ut.getInstance().isAuthenticated()},async initialize(){if(this.isInitialized)return;const e=ut.getInstance();if(e.setRefreshCallback(async n=>{const s=await fi.auth.refreshToken(n);return this.user=s.data.user,s.data}),await e.initialize()){const n=e.getSession()||{};n.user&&(this.user=n.user)}this.isInitialized=!0},async login(e){this.isLoading=!0,this.error=null;try{const t=await fi.auth.login(e);return this.user=t.data.user,ut.getInstance().setTokens(t.data,e.remember||!1),{success:!0}}catch(t){throw this.error=(t==null?void 0:t.message)||"Login failed",{success:!1,message:(t==null?void 0:t.message)||"Login failed",code:(t==null?void 0:t.code)||401,data:(t==null?void 0:t.data)||{generalErrors:["Please try again"]}}}finally{this.isLoading=!1}},async logout(){try{await fi.auth.logout()}catch{}ut.getInstance().clearTokens(),this.user=null,this.error=null},async refreshTokens(){const e=ut.getInstance();try{return this.isLoading=!0,await e.refreshTokens()}catch{return!1}finally{this.isLoading=!1}},clearError(){this.error=null},updateUserProfile(e){this.user=e},getDebugInfo(){return{storeState:{hasUser:!!this.user,isLoading:this.isLoading,hasError:!!this.error,isInitialized:this.isInitialized},tokenManager:ut.getInstance().getDebugInfo()}}}}),Pb=Ay(Oy),gd=ky({history:Zm("/ui/api/admin/"),routes:Pb});gd.beforeEach(async e=>{const t=Hl();if(t.isInitialized||await t.initialize(),e.path==="/login"&&t.checkAuthentication())return{path:"/"};if(e.meta.requiresAuth)return t.checkAuthentication()?!0:{path:"/login"}});const Rb=new Set(["link","style","script","noscript"]),$b=new Set(["title","titleTemplate","script","style","noscript"]),bc=new Set(["base","meta","link","style","script","noscript"]),Ib=new Set(["title","base","htmlAttrs","bodyAttrs","meta","link","style","script","noscript"]),Mb=new Set(["base","title","titleTemplate","bodyAttrs","htmlAttrs","templateParams"]),jb=new Set(["key","tagPosition","tagPriority","tagDuplicateStrategy","innerHTML","textContent","processTemplateParams"]),Lb=new Set(["templateParams","htmlAttrs","bodyAttrs"]),Nb=new Set(["theme-color","google-site-verification","og","article","book","profile","twitter","author"]),Fb=["name","property","http-equiv"];function md(e){const t=e.split(":");return t.length?Nb.has(t[1]):!1}function Ji(e){const{props:t,tag:n}=e;if(Mb.has(n))return n;if(n==="link"&&t.rel==="canonical")return"canonical";if(t.charset)return"charset";if(e.tag==="meta"){for(const s of Fb)if(t[s]!==void 0)return`${n}:${t[s]}`}if(e.key)return`${n}:key:${e.key}`;if(t.id)return`${n}:id:${t.id}`;if($b.has(n)){const s=e.textContent||e.innerHTML;if(s)return`${n}:content:${s}`}}function vc(e){const t=e._h||e._d;if(t)return t;const n=e.textContent||e.innerHTML;return n||`${e.tag}:${Object.entries(e.props).map(([s,r])=>`${s}:${String(r)}`).join(",")}`}function ho(e,t,n){typeof e==="function"&&(!n||n!=="titleTemplate"&&!(n[0]==="o"&&n[1]==="n"))&&(e=e());let r;if(t&&(r=t(n,e)),Array.isArray(r))return r.map(o=>ho(o,t));if((r==null?void 0:r.constructor)===Object){const o={};for(const i of Object.keys(r))o[i]=ho(r[i],t,i);return o}return r}function Db(e,t){const n=e==="style"?new Map:new Set;function s(r){const o=r.trim();if(o)if(e==="style"){const[i,...l]=o.split(":").map(a=>a.trim());i&&l.length&&n.set(i,l.join(":"))}else o.split(" ").filter(Boolean).forEach(i=>n.add(i))}return typeof t=="string"?e==="style"?t.split(";").forEach(s):s(t):Array.isArray(t)?t.forEach(r=>s(r)):t&&typeof t=="object"&&Object.entries(t).forEach(([r,o])=>{o&&o!=="false"&&(e==="style"?n.set(r.trim(),o):s(r))}),n}function yd(e,t){return e.props=e.props||{},t&&Object.entries(t).forEach(([n,s])=>{if(s===null){e.props[n]=null;return}if(n==="class"||n==="style"){e.props[n]=Db(n,s);return}if(jb.has(n)){if(["textContent","innerHTML"].includes(n)&&typeof s=="object"){let i=t.type;if(t.type||(i="application/json"),!(i!=null&&i.endsWith("json"))&&i!=="speculationrules")return;t.type=i,e.props.type=i,e[n]=JSON.stringify(s)}else e[n]=s;return}const r=String(s),o=n.startsWith("data-");r==="true"||r===""?e.props[n]=o?r:!0:!s&&o&&r==="false"?e.props[n]="false":s!==void 0&&(e.props[n]=s)}),e}function Bb(e,t){const n=typeof t=="object"&&typeof t!="function"?t:{[e==="script"||e==="noscript"||e==="style"?"innerHTML":"textContent"]:t},s=yd({tag:e,props:{}},n);return s.key&&Rb.has(s.tag)&&(s.props["data-hid"]=s._h=s.key),s.tag==="script"&&typeof s.innerHTML=="object"&&(s.innerHTML=JSON.stringify(s.innerHTML),s.props.type=s.props.type||"application/json"),Array.isArray(s.props.content)?s.props.content.map(r=>({...s,props:{...s.props,content:r}})):s}function Hb(e,t){if(!e)return[];typeof e=="function"&&(e=e());const n=(r,o)=>{for(let i=0;i<t.length;i++)o=t[i](r,o);return o};e=n(void 0,e);const s=[];return e=ho(e,n),Object.entries(e||{}).forEach(([r,o])=>{if(o!==void 0)for(const i of Array.isArray(o)?o:[o])s.push(Bb(r,i))}),s.flat()}const wc=(e,t)=>e._w===t._w?e._p-t._p:e._w-t._w,_c={base:-10,title:10},Ub={critical:-8,high:-1,low:2},xc={meta:{"content-security-policy":-30,charset:-20,viewport:-15},link:{preconnect:20,stylesheet:60,preload:70,modulepreload:70,prefetch:90,"dns-prefetch":90,prerender:90},script:{async:30,defer:80,sync:50},style:{imported:40,sync:60}},qb=/@import/,Cs=e=>e===""||e===!0;function Vb(e,t){var o;if(typeof t.tagPriority=="number")return t.tagPriority;let n=100;const s=Ub[t.tagPriority]||0,r=e.resolvedOptions.disableCapoSorting?{link:{},script:{},style:{}}:xc;if(t.tag in _c)n=_c[t.tag];else if(t.tag==="meta"){const i=t.props["http-equiv"]==="content-security-policy"?"content-security-policy":t.props.charset?"charset":t.props.name==="viewport"?"viewport":null;i&&(n=xc.meta[i])}else t.tag==="link"&&t.props.rel?n=r.link[t.props.rel]:t.tag==="script"?Cs(t.props.async)?n=r.script.async:t.props.src&&!Cs(t.props.defer)&&!Cs(t.props.async)&&t.props.type!=="module"&&!((o=t.props.type)!=null&&o.endsWith("json"))?n=r.script.sync:Cs(t.props.defer)&&t.props.src&&!Cs(t.props.async)&&(n=r.script.defer):t.tag==="style"&&(n=t.innerHTML&&qb.test(t.innerHTML)?r.style.imported:r.style.sync);return(n||100)+s}function kc(e,t){const n=typeof t=="function"?t(e):t,s=n.key||String(e.plugins.size+1);e.plugins.get(s)||(e.plugins.set(s,n),e.hooks.addHooks(n.hooks||{}))}function zb(e={}){var l;const t=Uf();t.addHooks(e.hooks||{});const n=!e.document,s=new Map,r=new Map,o=[],i={_entryCount:1,plugins:r,dirty:!1,resolvedOptions:e,hooks:t,ssr:n,entries:s,headEntries(){return[...s.values()]},use:a=>kc(i,a),push(a,c){const u={...c||{}};delete u.head;const f=u._index??i._entryCount++,d={_i:f,input:a,options:u},h={_poll(p=!1){i.dirty=!0,!p&&o.push(f),t.callHook("entries:updated",i)},dispose(){s.delete(f)&&h._poll(!0)},patch(p){(!u.mode||u.mode==="server"&&n||u.mode==="client"&&!n)&&(d.input=p,s.set(f,d),h._poll())}};return h.patch(a),h},async resolveTags(){var h;const a={tagMap:new Map,tags:[],entries:[...i.entries.values()]};for(await t.callHook("entries:resolve",a);o.length;){const p=o.shift(),g=s.get(p);if(g){const b={tags:Hb(g.input,e.propResolvers||[]).map(x=>Object.assign(x,g.options)),entry:g};await t.callHook("entries:normalize",b),g._tags=b.tags.map((x,v)=>(x._w=Vb(i,x),x._p=(g._i<<10)+v,x._d=Ji(x),x))}}let c=!1;a.entries.flatMap(p=>(p._tags||[]).map(g=>({...g,props:{...g.props}}))).sort(wc).reduce((p,g)=>{const b=String(g._d||g._p);if(!p.has(b))return p.set(b,g);const x=p.get(b);if(((g==null?void 0:g.tagDuplicateStrategy)||(Lb.has(g.tag)?"merge":null)||(g.key&&g.key===x.key?"merge":null))==="merge"){const m={...x.props};Object.entries(g.props).forEach(([y,_])=>m[y]=y==="style"?new Map([...x.props.style||new Map,..._]):y==="class"?new Set([...x.props.class||new Set,..._]):_),p.set(b,{...g,props:m})}else g._p>>10===x._p>>10&&g.tag==="meta"&&md(b)?(p.set(b,Object.assign([...Array.isArray(x)?x:[x],g],g)),c=!0):(g._w===x._w?g._p>x._p:(g==null?void 0:g._w)<(x==null?void 0:x._w))&&p.set(b,g);return p},a.tagMap);const u=a.tagMap.get("title"),f=a.tagMap.get("titleTemplate");if(i._title=u==null?void 0:u.textContent,f){const p=f==null?void 0:f.textContent;if(i._titleTemplate=p,p){let g=typeof p=="function"?p(u==null?void 0:u.textContent):p;typeof g=="string"&&!i.plugins.has("template-params")&&(g=g.replace("%s",(u==null?void 0:u.textContent)||"")),u?g===null?a.tagMap.delete("title"):a.tagMap.set("title",{...u,textContent:g}):(f.tag="title",f.textContent=g)}}a.tags=Array.from(a.tagMap.values()),c&&(a.tags=a.tags.flat().sort(wc)),await t.callHook("tags:beforeResolve",a),await t.callHook("tags:resolve",a),await t.callHook("tags:afterResolve",a);const d=[];for(const p of a.tags){const{innerHTML:g,tag:b,props:x}=p;if(Ib.has(b)&&!(Object.keys(x).length===0&&!p.innerHTML&&!p.textContent)&&!(b==="meta"&&!x.content&&!x["http-equiv"]&&!x.charset)){if(b==="script"&&g){if((h=x.type)!=null&&h.endsWith("json")){const v=typeof g=="string"?g:JSON.stringify(g);p.innerHTML=v.replace(/</g,"\\u003C")}else typeof g=="string"&&(p.innerHTML=g.replace(new RegExp(`</${b}`,"g"),`<\\/${b}`));p._d=Ji(p)}d.push(p)}}return d}};return((e==null?void 0:e.plugins)||[]).forEach(a=>kc(i,a)),i.hooks.callHook("init",i),(l=e.init)==null||l.forEach(a=>a&&i.push(a)),i}async function bd(e,t={}){const n=t.document||e.resolvedOptions.document;if(!n||!e.dirty)return;const s={shouldRender:!0,tags:[]};if(await e.hooks.callHook("dom:beforeRender",s),!!s.shouldRender)return e._domUpdatePromise||(e._domUpdatePromise=new Promise(async r=>{var h;const o=new Map,i=new Promise(p=>{e.resolveTags().then(g=>{p(g.map(b=>{const x=o.get(b._d)||0,v={tag:b,id:(x?`${b._d}:${x}`:b._d)||vc(b),shouldRender:!0};return b._d&&md(b._d)&&o.set(b._d,x+1),v}))})});let l=e._dom;if(!l){l={title:n.title,elMap:new Map().set("htmlAttrs",n.documentElement).set("bodyAttrs",n.body)};for(const p of["body","head"]){const g=(h=n[p])==null?void 0:h.children;for(const b of g){const x=b.tagName.toLowerCase();if(!bc.has(x))continue;const v=yd({tag:x,props:{}},{innerHTML:b.innerHTML,...b.getAttributeNames().reduce((m,y)=>(m[y]=b.getAttribute(y),m),{})||{}});if(v.key=b.getAttribute("data-hid")||void 0,v._d=Ji(v)||vc(v),l.elMap.has(v._d)){let m=1,y=v._d;for(;l.elMap.has(y);)y=`${v._d}:${m++}`;l.elMap.set(y,b)}else l.elMap.set(v._d,b)}}}l.pendingSideEffects={...l.sideEffects},l.sideEffects={};function a(p,g,b){const x=`${p}:${g}`;l.sideEffects[x]=b,delete l.pendingSideEffects[x]}function c({id:p,$el:g,tag:b}){const x=b.tag.endsWith("Attrs");l.elMap.set(p,g),x||(b.textContent&&b.textContent!==g.textContent&&(g.textContent=b.textContent),b.innerHTML&&b.innerHTML!==g.innerHTML&&(g.innerHTML=b.innerHTML),a(p,"el",()=>{g==null||g.remove(),l.elMap.delete(p)}));for(const v in b.props){if(!Object.prototype.hasOwnProperty.call(b.props,v))continue;const m=b.props[v];if(v.startsWith("on")&&typeof m=="function"){const _=g==null?void 0:g.dataset;if(_&&_[`${v}fired`]){const k=v.slice(0,-5);m.call(g,new Event(k.substring(2)))}g.getAttribute(`data-${v}`)!==""&&((b.tag==="bodyAttrs"?n.defaultView:g).addEventListener(v.substring(2),m.bind(g)),g.setAttribute(`data-${v}`,""));continue}const y=`attr:${v}`;if(v==="class"){if(!m)continue;for(const _ of m)x&&a(p,`${y}:${_}`,()=>g.classList.remove(_)),!g.classList.contains(_)&&g.classList.add(_)}else if(v==="style"){if(!m)continue;for(const[_,k]of m)a(p,`${y}:${_}`,()=>{g.style.removeProperty(_)}),g.style.setProperty(_,k)}else m!==!1&&m!==null&&(g.getAttribute(v)!==m&&g.setAttribute(v,m===!0?"":String(m)),x&&a(p,y,()=>g.removeAttribute(v)))}}const u=[],f={bodyClose:void 0,bodyOpen:void 0,head:void 0},d=await i;for(const p of d){const{tag:g,shouldRender:b,id:x}=p;if(b){if(g.tag==="title"){n.title=g.textContent,a("title","",()=>n.title=l.title);continue}p.$el=p.$el||l.elMap.get(x),p.$el?c(p):bc.has(g.tag)&&u.push(p)}}for(const p of u){const g=p.tag.tagPosition||"head";p.$el=n.createElement(p.tag.tag),c(p),f[g]=f[g]||n.createDocumentFragment(),f[g].appendChild(p.$el)}for(const p of d)await e.hooks.callHook("dom:renderTag",p,n,a);f.head&&n.head.appendChild(f.head),f.bodyOpen&&n.body.insertBefore(f.bodyOpen,n.body.firstChild),f.bodyClose&&n.body.appendChild(f.bodyClose);for(const p in l.pendingSideEffects)l.pendingSideEffects[p]();e._dom=l,await e.hooks.callHook("dom:rendered",{renders:d}),r()}).finally(()=>{e._domUpdatePromise=void 0,e.dirty=!1})),e._domUpdatePromise}function Wb(e={}){var s,r,o;const t=((s=e.domOptions)==null?void 0:s.render)||bd;e.document=e.document||(typeof window<"u"?document:void 0);const n=((o=(r=e.document)==null?void 0:r.head.querySelector('script[id="unhead:payload"]'))==null?void 0:o.innerHTML)||!1;return zb({...e,plugins:[...e.plugins||[],{key:"client",hooks:{"entries:updated":t}}],init:[n?JSON.parse(n):!1,...e.init||[]]})}function Kb(e,t){let n=0;return()=>{const s=++n;t(()=>{n===s&&e()})}}const Gb=(e,t)=>_e(t)?le(t):t,vd="usehead";function Jb(e){return{install(n){n.config.globalProperties.$unhead=e,n.config.globalProperties.$head=e,n.provide(vd,e)}}.install}function Qb(){if(ys()){const e=Ie(vd);if(!e)throw new Error("useHead() was called without provide context, ensure you call it through the setup() function.");return e}throw new Error("useHead() was called without provide context, ensure you call it through the setup() function.")}function Yb(e,t={}){const n=t.head||Qb();return n.ssr?n.push(e||{},t):Xb(n,e,t)}function Xb(e,t,n={}){const s=re(!1);let r;return Ct(()=>{const i=s.value?{}:ho(t,Gb);r?r.patch(i):r=e.push(i,n)}),De()&&(dr(()=>{r.dispose()}),Vu(()=>{s.value=!0}),qu(()=>{s.value=!1})),r}function Zb(e={}){const t=Wb({domOptions:{render:Kb(()=>bd(t),n=>setTimeout(n,0))},...e});return t.install=Jb(t),t}const ev={install(e){if(e._context.provides.usehead)return;const t=Zb();e.use(t)}};var Rr={inherit:"inherit",current:"currentcolor",transparent:"transparent",black:"#000",white:"#fff",slate:{50:"oklch(98.4% 0.003 247.858)",100:"oklch(96.8% 0.007 247.896)",200:"oklch(92.9% 0.013 255.508)",300:"oklch(86.9% 0.022 252.894)",400:"oklch(70.4% 0.04 256.788)",500:"oklch(55.4% 0.046 257.417)",600:"oklch(44.6% 0.043 257.281)",700:"oklch(37.2% 0.044 257.287)",800:"oklch(27.9% 0.041 260.031)",900:"oklch(20.8% 0.042 265.755)",950:"oklch(12.9% 0.042 264.695)"},gray:{50:"oklch(98.5% 0.002 247.839)",100:"oklch(96.7% 0.003 264.542)",200:"oklch(92.8% 0.006 264.531)",300:"oklch(87.2% 0.01 258.338)",400:"oklch(70.7% 0.022 261.325)",500:"oklch(55.1% 0.027 264.364)",600:"oklch(44.6% 0.03 256.802)",700:"oklch(37.3% 0.034 259.733)",800:"oklch(27.8% 0.033 256.848)",900:"oklch(21% 0.034 264.665)",950:"oklch(13% 0.028 261.692)"},zinc:{50:"oklch(98.5% 0 0)",100:"oklch(96.7% 0.001 286.375)",200:"oklch(92% 0.004 286.32)",300:"oklch(87.1% 0.006 286.286)",400:"oklch(70.5% 0.015 286.067)",500:"oklch(55.2% 0.016 285.938)",600:"oklch(44.2% 0.017 285.786)",700:"oklch(37% 0.013 285.805)",800:"oklch(27.4% 0.006 286.033)",900:"oklch(21% 0.006 285.885)",950:"oklch(14.1% 0.005 285.823)"},neutral:{50:"oklch(98.5% 0 0)",100:"oklch(97% 0 0)",200:"oklch(92.2% 0 0)",300:"oklch(87% 0 0)",400:"oklch(70.8% 0 0)",500:"oklch(55.6% 0 0)",600:"oklch(43.9% 0 0)",700:"oklch(37.1% 0 0)",800:"oklch(26.9% 0 0)",900:"oklch(20.5% 0 0)",950:"oklch(14.5% 0 0)"},stone:{50:"oklch(98.5% 0.001 106.423)",100:"oklch(97% 0.001 106.424)",200:"oklch(92.3% 0.003 48.717)",300:"oklch(86.9% 0.005 56.366)",400:"oklch(70.9% 0.01 56.259)",500:"oklch(55.3% 0.013 58.071)",600:"oklch(44.4% 0.011 73.639)",700:"oklch(37.4% 0.01 67.558)",800:"oklch(26.8% 0.007 34.298)",900:"oklch(21.6% 0.006 56.043)",950:"oklch(14.7% 0.004 49.25)"},red:{50:"oklch(97.1% 0.013 17.38)",100:"oklch(93.6% 0.032 17.717)",200:"oklch(88.5% 0.062 18.334)",300:"oklch(80.8% 0.114 19.571)",400:"oklch(70.4% 0.191 22.216)",500:"oklch(63.7% 0.237 25.331)",600:"oklch(57.7% 0.245 27.325)",700:"oklch(50.5% 0.213 27.518)",800:"oklch(44.4% 0.177 26.899)",900:"oklch(39.6% 0.141 25.723)",950:"oklch(25.8% 0.092 26.042)"},orange:{50:"oklch(98% 0.016 73.684)",100:"oklch(95.4% 0.038 75.164)",200:"oklch(90.1% 0.076 70.697)",300:"oklch(83.7% 0.128 66.29)",400:"oklch(75% 0.183 55.934)",500:"oklch(70.5% 0.213 47.604)",600:"oklch(64.6% 0.222 41.116)",700:"oklch(55.3% 0.195 38.402)",800:"oklch(47% 0.157 37.304)",900:"oklch(40.8% 0.123 38.172)",950:"oklch(26.6% 0.079 36.259)"},amber:{50:"oklch(98.7% 0.022 95.277)",100:"oklch(96.2% 0.059 95.617)",200:"oklch(92.4% 0.12 95.746)",300:"oklch(87.9% 0.169 91.605)",400:"oklch(82.8% 0.189 84.429)",500:"oklch(76.9% 0.188 70.08)",600:"oklch(66.6% 0.179 58.318)",700:"oklch(55.5% 0.163 48.998)",800:"oklch(47.3% 0.137 46.201)",900:"oklch(41.4% 0.112 45.904)",950:"oklch(27.9% 0.077 45.635)"},yellow:{50:"oklch(98.7% 0.026 102.212)",100:"oklch(97.3% 0.071 103.193)",200:"oklch(94.5% 0.129 101.54)",300:"oklch(90.5% 0.182 98.111)",400:"oklch(85.2% 0.199 91.936)",500:"oklch(79.5% 0.184 86.047)",600:"oklch(68.1% 0.162 75.834)",700:"oklch(55.4% 0.135 66.442)",800:"oklch(47.6% 0.114 61.907)",900:"oklch(42.1% 0.095 57.708)",950:"oklch(28.6% 0.066 53.813)"},lime:{50:"oklch(98.6% 0.031 120.757)",100:"oklch(96.7% 0.067 122.328)",200:"oklch(93.8% 0.127 124.321)",300:"oklch(89.7% 0.196 126.665)",400:"oklch(84.1% 0.238 128.85)",500:"oklch(76.8% 0.233 130.85)",600:"oklch(64.8% 0.2 131.684)",700:"oklch(53.2% 0.157 131.589)",800:"oklch(45.3% 0.124 130.933)",900:"oklch(40.5% 0.101 131.063)",950:"oklch(27.4% 0.072 132.109)"},green:{50:"oklch(98.2% 0.018 155.826)",100:"oklch(96.2% 0.044 156.743)",200:"oklch(92.5% 0.084 155.995)",300:"oklch(87.1% 0.15 154.449)",400:"oklch(79.2% 0.209 151.711)",500:"oklch(72.3% 0.219 149.579)",600:"oklch(62.7% 0.194 149.214)",700:"oklch(52.7% 0.154 150.069)",800:"oklch(44.8% 0.119 151.328)",900:"oklch(39.3% 0.095 152.535)",950:"oklch(26.6% 0.065 152.934)"},emerald:{50:"oklch(97.9% 0.021 166.113)",100:"oklch(95% 0.052 163.051)",200:"oklch(90.5% 0.093 164.15)",300:"oklch(84.5% 0.143 164.978)",400:"oklch(76.5% 0.177 163.223)",500:"oklch(69.6% 0.17 162.48)",600:"oklch(59.6% 0.145 163.225)",700:"oklch(50.8% 0.118 165.612)",800:"oklch(43.2% 0.095 166.913)",900:"oklch(37.8% 0.077 168.94)",950:"oklch(26.2% 0.051 172.552)"},teal:{50:"oklch(98.4% 0.014 180.72)",100:"oklch(95.3% 0.051 180.801)",200:"oklch(91% 0.096 180.426)",300:"oklch(85.5% 0.138 181.071)",400:"oklch(77.7% 0.152 181.912)",500:"oklch(70.4% 0.14 182.503)",600:"oklch(60% 0.118 184.704)",700:"oklch(51.1% 0.096 186.391)",800:"oklch(43.7% 0.078 188.216)",900:"oklch(38.6% 0.063 188.416)",950:"oklch(27.7% 0.046 192.524)"},cyan:{50:"oklch(98.4% 0.019 200.873)",100:"oklch(95.6% 0.045 203.388)",200:"oklch(91.7% 0.08 205.041)",300:"oklch(86.5% 0.127 207.078)",400:"oklch(78.9% 0.154 211.53)",500:"oklch(71.5% 0.143 215.221)",600:"oklch(60.9% 0.126 221.723)",700:"oklch(52% 0.105 223.128)",800:"oklch(45% 0.085 224.283)",900:"oklch(39.8% 0.07 227.392)",950:"oklch(30.2% 0.056 229.695)"},sky:{50:"oklch(97.7% 0.013 236.62)",100:"oklch(95.1% 0.026 236.824)",200:"oklch(90.1% 0.058 230.902)",300:"oklch(82.8% 0.111 230.318)",400:"oklch(74.6% 0.16 232.661)",500:"oklch(68.5% 0.169 237.323)",600:"oklch(58.8% 0.158 241.966)",700:"oklch(50% 0.134 242.749)",800:"oklch(44.3% 0.11 240.79)",900:"oklch(39.1% 0.09 240.876)",950:"oklch(29.3% 0.066 243.157)"},blue:{50:"oklch(97% 0.014 254.604)",100:"oklch(93.2% 0.032 255.585)",200:"oklch(88.2% 0.059 254.128)",300:"oklch(80.9% 0.105 251.813)",400:"oklch(70.7% 0.165 254.624)",500:"oklch(62.3% 0.214 259.815)",600:"oklch(54.6% 0.245 262.881)",700:"oklch(48.8% 0.243 264.376)",800:"oklch(42.4% 0.199 265.638)",900:"oklch(37.9% 0.146 265.522)",950:"oklch(28.2% 0.091 267.935)"},indigo:{50:"oklch(96.2% 0.018 272.314)",100:"oklch(93% 0.034 272.788)",200:"oklch(87% 0.065 274.039)",300:"oklch(78.5% 0.115 274.713)",400:"oklch(67.3% 0.182 276.935)",500:"oklch(58.5% 0.233 277.117)",600:"oklch(51.1% 0.262 276.966)",700:"oklch(45.7% 0.24 277.023)",800:"oklch(39.8% 0.195 277.366)",900:"oklch(35.9% 0.144 278.697)",950:"oklch(25.7% 0.09 281.288)"},violet:{50:"oklch(96.9% 0.016 293.756)",100:"oklch(94.3% 0.029 294.588)",200:"oklch(89.4% 0.057 293.283)",300:"oklch(81.1% 0.111 293.571)",400:"oklch(70.2% 0.183 293.541)",500:"oklch(60.6% 0.25 292.717)",600:"oklch(54.1% 0.281 293.009)",700:"oklch(49.1% 0.27 292.581)",800:"oklch(43.2% 0.232 292.759)",900:"oklch(38% 0.189 293.745)",950:"oklch(28.3% 0.141 291.089)"},purple:{50:"oklch(97.7% 0.014 308.299)",100:"oklch(94.6% 0.033 307.174)",200:"oklch(90.2% 0.063 306.703)",300:"oklch(82.7% 0.119 306.383)",400:"oklch(71.4% 0.203 305.504)",500:"oklch(62.7% 0.265 303.9)",600:"oklch(55.8% 0.288 302.321)",700:"oklch(49.6% 0.265 301.924)",800:"oklch(43.8% 0.218 303.724)",900:"oklch(38.1% 0.176 304.987)",950:"oklch(29.1% 0.149 302.717)"},fuchsia:{50:"oklch(97.7% 0.017 320.058)",100:"oklch(95.2% 0.037 318.852)",200:"oklch(90.3% 0.076 319.62)",300:"oklch(83.3% 0.145 321.434)",400:"oklch(74% 0.238 322.16)",500:"oklch(66.7% 0.295 322.15)",600:"oklch(59.1% 0.293 322.896)",700:"oklch(51.8% 0.253 323.949)",800:"oklch(45.2% 0.211 324.591)",900:"oklch(40.1% 0.17 325.612)",950:"oklch(29.3% 0.136 325.661)"},pink:{50:"oklch(97.1% 0.014 343.198)",100:"oklch(94.8% 0.028 342.258)",200:"oklch(89.9% 0.061 343.231)",300:"oklch(82.3% 0.12 346.018)",400:"oklch(71.8% 0.202 349.761)",500:"oklch(65.6% 0.241 354.308)",600:"oklch(59.2% 0.249 0.584)",700:"oklch(52.5% 0.223 3.958)",800:"oklch(45.9% 0.187 3.815)",900:"oklch(40.8% 0.153 2.432)",950:"oklch(28.4% 0.109 3.907)"},rose:{50:"oklch(96.9% 0.015 12.422)",100:"oklch(94.1% 0.03 12.58)",200:"oklch(89.2% 0.058 10.001)",300:"oklch(81% 0.117 11.638)",400:"oklch(71.2% 0.194 13.428)",500:"oklch(64.5% 0.246 16.439)",600:"oklch(58.6% 0.253 17.585)",700:"oklch(51.4% 0.222 16.935)",800:"oklch(45.5% 0.188 13.697)",900:"oklch(41% 0.159 10.272)",950:"oklch(27.1% 0.105 12.094)"}};const wd={ui:{colors:{primary:"shark",secondary:"blue",success:"green",info:"blue",warning:"yellow",error:"red",neutral:"slate"},icons:{arrowLeft:"i-lucide-arrow-left",arrowRight:"i-lucide-arrow-right",check:"i-lucide-check",chevronDoubleLeft:"i-lucide-chevrons-left",chevronDoubleRight:"i-lucide-chevrons-right",chevronDown:"i-lucide-chevron-down",chevronLeft:"i-lucide-chevron-left",chevronRight:"i-lucide-chevron-right",chevronUp:"i-lucide-chevron-up",close:"i-lucide-x",ellipsis:"i-lucide-ellipsis",external:"i-lucide-arrow-up-right",folder:"i-lucide-folder",folderOpen:"i-lucide-folder-open",loading:"i-lucide-loader-circle",minus:"i-lucide-minus",plus:"i-lucide-plus",search:"i-lucide-search"},button:{slots:{base:"cursor-pointer"}},dropdownMenu:{slots:{item:"cursor-pointer"}}},colorMode:!0};function Fo(e){return gs()?(Eo(e),!0):!1}const di=new WeakMap,tv=(...e)=>{var t;const n=e[0],s=(t=De())==null?void 0:t.proxy;if(s==null&&!ys())throw new Error("injectLocal must be called in setup");return s&&di.has(s)&&n in di.get(s)?di.get(s)[n]:Ie(...e)};function _d(e){let t=0,n,s;const r=()=>{t-=1,s&&t<=0&&(s.stop(),n=void 0,s=void 0)};return(...o)=>(t+=1,s||(s=lr(!0),n=s.run(()=>e(...o))),Fo(r),n)}function nv(e,t){if(typeof Symbol<"u"){const n={...e};return Object.defineProperty(n,Symbol.iterator,{enumerable:!1,value(){let s=0;return{next:()=>({value:t[s++],done:s>t.length})}}}),n}else return Object.assign([...t],e)}function sv(e){if(!_e(e))return lt(e);const t=new Proxy({},{get(n,s,r){return j(Reflect.get(e.value,s,r))},set(n,s,r){return _e(e.value[s])&&!_e(r)?e.value[s].value=r:e.value[s]=r,!0},deleteProperty(n,s){return Reflect.deleteProperty(e.value,s)},has(n,s){return Reflect.has(e.value,s)},ownKeys(){return Object.keys(e.value)},getOwnPropertyDescriptor(){return{enumerable:!0,configurable:!0}}});return lt(t)}function xd(e){return sv(q(e))}function rv(e,...t){const n=t.flat(),s=n[0];return xd(()=>Object.fromEntries(typeof s=="function"?Object.entries(Et(e)).filter(([r,o])=>!s(le(o),r)):Object.entries(Et(e)).filter(r=>!n.includes(r[0]))))}const ov=typeof window<"u"&&typeof document<"u";typeof WorkerGlobalScope<"u"&&globalThis instanceof WorkerGlobalScope;const iv=e=>e!=null,lv=Object.prototype.toString,av=e=>lv.call(e)==="[object Object]",go=()=>{};function Ul(...e){if(e.length!==1)return qt(...e);const t=e[0];return typeof t=="function"?vt(cr(()=>({get:t,set:go}))):re(t)}function Do(e,...t){const n=t.flat(),s=n[0];return xd(()=>Object.fromEntries(typeof s=="function"?Object.entries(Et(e)).filter(([r,o])=>s(le(o),r)):n.map(r=>[r,Ul(e,r)])))}function kd(e,t){function n(...s){return new Promise((r,o)=>{Promise.resolve(e(()=>t.apply(this,s),{fn:t,thisArg:this,args:s})).then(r).catch(o)})}return n}const Sd=e=>e();function cv(e,t={}){let n,s,r=go;const o=a=>{clearTimeout(a),r(),r=go};let i;return a=>{const c=le(e),u=le(t.maxWait);return n&&o(n),c<=0||u!==void 0&&u<=0?(s&&(o(s),s=void 0),Promise.resolve(a())):new Promise((f,d)=>{r=t.rejectOnCancel?d:f,i=a,u&&!s&&(s=setTimeout(()=>{n&&o(n),s=void 0,f(i())},u)),n=setTimeout(()=>{s&&o(s),s=void 0,f(a())},c)})}}function uv(e=Sd,t={}){const{initialState:n="active"}=t,s=Ul(n==="active");function r(){s.value=!1}function o(){s.value=!0}const i=(...l)=>{s.value&&e(...l)};return{isActive:vt(s),pause:r,resume:o,eventFilter:i}}function Sc(e){return e.endsWith("rem")?Number.parseFloat(e)*16:Number.parseFloat(e)}function Vr(e){return Array.isArray(e)?e:[e]}function fv(e){const t=Object.create(null);return n=>t[n]||(t[n]=e(n))}const dv=/-(\w)/g,pv=fv(e=>e.replace(dv,(t,n)=>n?n.toUpperCase():""));function hv(e){return De()}function gv(e,t=200,n={}){return kd(cv(t,n),e)}function mv(e,t,n={}){const{eventFilter:s=Sd,...r}=n;return Se(e,kd(s,t),r)}function yv(e,t,n={}){const{eventFilter:s,initialState:r="active",...o}=n,{eventFilter:i,pause:l,resume:a,isActive:c}=uv(s,{initialState:r});return{stop:mv(e,t,{...o,eventFilter:i}),pause:l,resume:a,isActive:c}}function Ed(e,t=!0,n){hv()?ht(e,n):t?e():Je(e)}function bv(e,t,n){return Se(e,t,{...n,immediate:!0})}function Yx(e={}){const{inheritAttrs:t=!0}=e,n=ke(),s=Ee({setup(o,{slots:i}){return()=>{n.value=i.default}}}),r=Ee({inheritAttrs:t,props:e.props,setup(o,{attrs:i,slots:l}){return()=>{var a;n.value;const c=(a=n.value)==null?void 0:a.call(n,{...e.props==null?vv(i):o,$slots:l});return t&&(c==null?void 0:c.length)===1?c[0]:c}}});return nv({define:s,reuse:r},[s,r])}function vv(e){const t={};for(const n in e)t[pv(n)]=e[n];return t}const xn=ov?window:void 0;function Bo(e){var t;const n=le(e);return(t=n==null?void 0:n.$el)!=null?t:n}function nr(...e){const t=[],n=()=>{t.forEach(l=>l()),t.length=0},s=(l,a,c,u)=>(l.addEventListener(a,c,u),()=>l.removeEventListener(a,c,u)),r=q(()=>{const l=Vr(le(e[0])).filter(a=>a!=null);return l.every(a=>typeof a!="string")?l:void 0}),o=bv(()=>{var l,a;return[(a=(l=r.value)==null?void 0:l.map(c=>Bo(c)))!=null?a:[xn].filter(c=>c!=null),Vr(le(r.value?e[1]:e[0])),Vr(j(r.value?e[2]:e[1])),le(r.value?e[3]:e[2])]},([l,a,c,u])=>{if(n(),!(l!=null&&l.length)||!(a!=null&&a.length)||!(c!=null&&c.length))return;const f=av(u)?{...u}:u;t.push(...l.flatMap(d=>a.flatMap(h=>c.map(p=>s(d,h,p,f)))))},{flush:"post"}),i=()=>{o(),n()};return Fo(n),i}function wv(){const e=ke(!1),t=De();return t&&ht(()=>{e.value=!0},t),e}function Cd(e){const t=wv();return q(()=>(t.value,!!e()))}function _v(e,t,n={}){const{window:s=xn,...r}=n;let o;const i=Cd(()=>s&&"MutationObserver"in s),l=()=>{o&&(o.disconnect(),o=void 0)},a=q(()=>{const d=le(e),h=Vr(d).map(Bo).filter(iv);return new Set(h)}),c=Se(()=>a.value,d=>{l(),i.value&&d.size&&(o=new MutationObserver(t),d.forEach(h=>o.observe(h,r)))},{immediate:!0,flush:"post"}),u=()=>o==null?void 0:o.takeRecords(),f=()=>{c(),l()};return Fo(f),{isSupported:i,stop:f,takeRecords:u}}function xv(e,t,n={}){const{window:s=xn,document:r=s==null?void 0:s.document,flush:o="sync"}=n;if(!s||!r)return go;let i;const l=u=>{i==null||i(),i=u},a=Ct(()=>{const u=Bo(e);if(u){const{stop:f}=_v(r,d=>{d.map(p=>[...p.removedNodes]).flat().some(p=>p===u||p.contains(u))&&t(d)},{window:s,childList:!0,subtree:!0});l(f)}},{flush:o}),c=()=>{a(),l()};return Fo(c),c}function Xx(e={}){var t;const{window:n=xn,deep:s=!0,triggerOnRemoval:r=!1}=e,o=(t=e.document)!=null?t:n==null?void 0:n.document,i=()=>{var c;let u=o==null?void 0:o.activeElement;if(s)for(;u!=null&&u.shadowRoot;)u=(c=u==null?void 0:u.shadowRoot)==null?void 0:c.activeElement;return u},l=ke(),a=()=>{l.value=i()};if(n){const c={capture:!0,passive:!0};nr(n,"blur",u=>{u.relatedTarget===null&&a()},c),nr(n,"focus",a,c)}return r&&xv(l,a,{document:o}),a(),l}const kv=Symbol("vueuse-ssr-width");function Sv(){const e=ys()?tv(kv,null):null;return typeof e=="number"?e:void 0}function Ev(e,t={}){const{window:n=xn,ssrWidth:s=Sv()}=t,r=Cd(()=>n&&"matchMedia"in n&&typeof n.matchMedia=="function"),o=ke(typeof s=="number"),i=ke(),l=ke(!1),a=c=>{l.value=c.matches};return Ct(()=>{if(o.value){o.value=!r.value;const c=le(e).split(",");l.value=c.some(u=>{const f=u.includes("not all"),d=u.match(/\(\s*min-width:\s*(-?\d+(?:\.\d*)?[a-z]+\s*)\)/),h=u.match(/\(\s*max-width:\s*(-?\d+(?:\.\d*)?[a-z]+\s*)\)/);let p=!!(d||h);return d&&p&&(p=s>=Sc(d[1])),h&&p&&(p=s<=Sc(h[1])),f?!p:p});return}r.value&&(i.value=n.matchMedia(le(e)),l.value=i.value.matches)}),nr(i,"change",a,{passive:!0}),q(()=>l.value)}const $r=typeof globalThis<"u"?globalThis:typeof window<"u"?window:typeof globalThis<"u"?globalThis:typeof self<"u"?self:{},Ir="__vueuse_ssr_handlers__",Cv=Tv();function Tv(){return Ir in $r||($r[Ir]=$r[Ir]||{}),$r[Ir]}function Td(e,t){return Cv[e]||t}function Av(e){return Ev("(prefers-color-scheme: dark)",e)}function Ov(e){return e==null?"any":e instanceof Set?"set":e instanceof Map?"map":e instanceof Date?"date":typeof e=="boolean"?"boolean":typeof e=="string"?"string":typeof e=="object"?"object":Number.isNaN(e)?"any":"number"}const Pv={boolean:{read:e=>e==="true",write:e=>String(e)},object:{read:e=>JSON.parse(e),write:e=>JSON.stringify(e)},number:{read:e=>Number.parseFloat(e),write:e=>String(e)},any:{read:e=>e,write:e=>String(e)},string:{read:e=>e,write:e=>String(e)},map:{read:e=>new Map(JSON.parse(e)),write:e=>JSON.stringify(Array.from(e.entries()))},set:{read:e=>new Set(JSON.parse(e)),write:e=>JSON.stringify(Array.from(e))},date:{read:e=>new Date(e),write:e=>e.toISOString()}},Ec="vueuse-storage";function Rv(e,t,n,s={}){var r;const{flush:o="pre",deep:i=!0,listenToStorageChanges:l=!0,writeDefaults:a=!0,mergeDefaults:c=!1,shallow:u,window:f=xn,eventFilter:d,onError:h=A=>{console.error(A)},initOnMounted:p}=s,g=(u?ke:re)(typeof t=="function"?t():t),b=q(()=>le(e));if(!n)try{n=Td("getDefaultStorage",()=>{var A;return(A=xn)==null?void 0:A.localStorage})()}catch(A){h(A)}if(!n)return g;const x=le(t),v=Ov(x),m=(r=s.serializer)!=null?r:Pv[v],{pause:y,resume:_}=yv(g,()=>C(g.value),{flush:o,deep:i,eventFilter:d});Se(b,()=>E(),{flush:o});let k=!1;const P=A=>{p&&!k||E(A)},$=A=>{p&&!k||I(A)};f&&l&&(n instanceof Storage?nr(f,"storage",P,{passive:!0}):nr(f,Ec,$)),p?Ed(()=>{k=!0,E()}):E();function T(A,D){if(f){const O={key:b.value,oldValue:A,newValue:D,storageArea:n};f.dispatchEvent(n instanceof Storage?new StorageEvent("storage",O):new CustomEvent(Ec,{detail:O}))}}function C(A){try{const D=n.getItem(b.value);if(A==null)T(D,null),n.removeItem(b.value);else{const O=m.write(A);D!==O&&(n.setItem(b.value,O),T(D,O))}}catch(D){h(D)}}function H(A){const D=A?A.newValue:n.getItem(b.value);if(D==null)return a&&x!=null&&n.setItem(b.value,m.write(x)),x;if(!A&&c){const O=m.read(D);return typeof c=="function"?c(O,x):v==="object"&&!Array.isArray(O)?{...x,...O}:O}else return typeof D!="string"?D:m.read(D)}function E(A){if(!(A&&A.storageArea!==n)){if(A&&A.key==null){g.value=x;return}if(!(A&&A.key!==b.value)){y();try{(A==null?void 0:A.newValue)!==m.write(g.value)&&(g.value=H(A))}catch(D){h(D)}finally{A?Je(_):_()}}}}function I(A){E(A.detail)}return g}const $v="*,*::before,*::after{-webkit-transition:none!important;-moz-transition:none!important;-o-transition:none!important;-ms-transition:none!important;transition:none!important}";function Iv(e={}){const{selector:t="html",attribute:n="class",initialValue:s="auto",window:r=xn,storage:o,storageKey:i="vueuse-color-scheme",listenToStorageChanges:l=!0,storageRef:a,emitAuto:c,disableTransition:u=!0}=e,f={auto:"",light:"light",dark:"dark",...e.modes||{}},d=Av({window:r}),h=q(()=>d.value?"dark":"light"),p=a||(i==null?Ul(s):Rv(i,s,o,{window:r,listenToStorageChanges:l})),g=q(()=>p.value==="auto"?h.value:p.value),b=Td("updateHTMLAttrs",(y,_,k)=>{const P=typeof y=="string"?r==null?void 0:r.document.querySelector(y):Bo(y);if(!P)return;const $=new Set,T=new Set;let C=null;if(_==="class"){const E=k.split(/\s/g);Object.values(f).flatMap(I=>(I||"").split(/\s/g)).filter(Boolean).forEach(I=>{E.includes(I)?$.add(I):T.add(I)})}else C={key:_,value:k};if($.size===0&&T.size===0&&C===null)return;let H;u&&(H=r.document.createElement("style"),H.appendChild(document.createTextNode($v)),r.document.head.appendChild(H));for(const E of $)P.classList.add(E);for(const E of T)P.classList.remove(E);C&&P.setAttribute(C.key,C.value),u&&(r.getComputedStyle(H).opacity,document.head.removeChild(H))});function x(y){var _;b(t,n,(_=f[y])!=null?_:y)}function v(y){e.onChanged?e.onChanged(y,x):x(y)}Se(g,v,{flush:"post",immediate:!0}),Ed(()=>v(g.value));const m=q({get(){return c?p.value:g.value},set(y){p.value=y}});return Object.assign(m,{store:p,system:h,state:g})}function Mv(e={}){const{valueDark:t="dark",valueLight:n=""}=e,s=Iv({...e,onChanged:(i,l)=>{var a;e.onChanged?(a=e.onChanged)==null||a.call(e,i==="dark",l,i):l(i)},modes:{dark:t,light:n}}),r=q(()=>s.system.value);return q({get(){return s.value==="dark"},set(i){const l=i?"dark":"light";r.value===l?s.value="auto":s.value=l}})}const Ts=new Map;function Zx(e){const t=gs();function n(l){var a;const c=Ts.get(e)||new Set;c.add(l),Ts.set(e,c);const u=()=>r(l);return(a=t==null?void 0:t.cleanups)==null||a.push(u),u}function s(l){function a(...c){r(a),l(...c)}return n(a)}function r(l){const a=Ts.get(e);a&&(a.delete(l),a.size||o())}function o(){Ts.delete(e)}function i(l,a){var c;(c=Ts.get(e))==null||c.forEach(u=>u(l,a))}return{on:n,once:s,off:r,emit:i,reset:o}}const jv=lt(wd),En=()=>jv;function pi(e){if(e===null||typeof e!="object")return!1;const t=Object.getPrototypeOf(e);return t!==null&&t!==Object.prototype&&Object.getPrototypeOf(t)!==null||Symbol.iterator in e?!1:Symbol.toStringTag in e?Object.prototype.toString.call(e)==="[object Module]":!0}function Qi(e,t,n=".",s){if(!pi(t))return Qi(e,{},n,s);const r=Object.assign({},t);for(const o in e){if(o==="__proto__"||o==="constructor")continue;const i=e[o];i!=null&&(s&&s(r,o,i,n)||(Array.isArray(i)&&Array.isArray(r[o])?r[o]=[...i,...r[o]]:pi(i)&&pi(r[o])?r[o]=Qi(i,r[o],(n?`${n}.`:"")+o.toString(),s):r[o]=i))}return r}function Lv(e){return(...t)=>t.reduce((n,s)=>Qi(n,s,"",e),{})}const ql=Lv();function Nv(e){return ql(e,{dir:"ltr"})}function Yi(e){return typeof e=="string"?`'${e}'`:new Fv().serialize(e)}const Fv=function(){var t;class e{constructor(){sa(this,t,new Map)}compare(s,r){const o=typeof s,i=typeof r;return o==="string"&&i==="string"?s.localeCompare(r):o==="number"&&i==="number"?s-r:String.prototype.localeCompare.call(this.serialize(s,!0),this.serialize(r,!0))}serialize(s,r){if(s===null)return"null";switch(typeof s){case"string":return r?s:`'${s}'`;case"bigint":return`${s}n`;case"object":return this.$object(s);case"function":return this.$function(s)}return String(s)}serializeObject(s){const r=Object.prototype.toString.call(s);if(r!=="[object Object]")return this.serializeBuiltInType(r.length<10?`unknown:${r}`:r.slice(8,-1),s);const o=s.constructor,i=o===Object||o===void 0?"":o.name;if(i!==""&&globalThis[i]===o)return this.serializeBuiltInType(i,s);if(typeof s.toJSON=="function"){const l=s.toJSON();return i+(l!==null&&typeof l=="object"?this.$object(l):`(${this.serialize(l)})`)}return this.serializeObjectEntries(i,Object.entries(s))}serializeBuiltInType(s,r){const o=this["$"+s];if(o)return o.call(this,r);if(typeof(r==null?void 0:r.entries)=="function")return this.serializeObjectEntries(s,r.entries());throw new Error(`Cannot serialize ${s}`)}serializeObjectEntries(s,r){const o=Array.from(r).sort((l,a)=>this.compare(l[0],a[0]));let i=`${s}{`;for(let l=0;l<o.length;l++){const[a,c]=o[l];i+=`${this.serialize(a,!0)}:${this.serialize(c)}`,l<o.length-1&&(i+=",")}return i+"}"}$object(s){let r=_s(this,t).get(s);return r===void 0&&(_s(this,t).set(s,`#${_s(this,t).size}`),r=this.serializeObject(s),_s(this,t).set(s,r)),r}$function(s){const r=Function.prototype.toString.call(s);return r.slice(-15)==="[native code] }"?`${s.name||""}()[native]`:`${s.name}(${s.length})${r.replace(/\s*\n\s*/g,"")}`}$Array(s){let r="[";for(let o=0;o<s.length;o++)r+=this.serialize(s[o]),o<s.length-1&&(r+=",");return r+"]"}$Date(s){try{return`Date(${s.toISOString()})`}catch{return"Date(null)"}}$ArrayBuffer(s){return`ArrayBuffer[${new Uint8Array(s).join(",")}]`}$Set(s){return`Set${this.$Array(Array.from(s).sort((r,o)=>this.compare(r,o)))}`}$Map(s){return this.serializeObjectEntries("Map",s.entries())}}t=new WeakMap;for(const n of["Error","RegExp","URL"])e.prototype["$"+n]=function(s){return`${n}(${s})`};for(const n of["Int8Array","Uint8Array","Uint8ClampedArray","Int16Array","Uint16Array","Int32Array","Uint32Array","Float32Array","Float64Array"])e.prototype["$"+n]=function(s){return`${n}[${s.join(",")}]`};for(const n of["BigInt64Array","BigUint64Array"])e.prototype["$"+n]=function(s){return`${n}[${s.join("n,")}${s.length>0?"n":""}]`};return e}();function Vl(e,t){return e===t||Yi(e)===Yi(t)}function Dv(e,t){const n=Xi(e),s=Xi(t);return Ad(n,s)}function Ad(e,t){var r,o;const n=[],s=new Set([...Object.keys(e.props||{}),...Object.keys(t.props||{})]);if(e.props&&t.props)for(const i of s){const l=e.props[i],a=t.props[i];l&&a?n.push(...Ad((r=e.props)==null?void 0:r[i],(o=t.props)==null?void 0:o[i])):(l||a)&&n.push(new Cc((a||l).key,l?"removed":"added",a,l))}return s.size===0&&e.hash!==t.hash&&n.push(new Cc((t||e).key,"changed",t,e)),n}function Xi(e,t=""){if(e&&typeof e!="object")return new Tc(t,e,Yi(e));const n={},s=[];for(const r in e)n[r]=Xi(e[r],t?`${t}.${r}`:r),s.push(n[r].hash);return new Tc(t,e,`{${s.join(":")}}`,n)}class Cc{constructor(t,n,s,r){this.key=t,this.type=n,this.newValue=s,this.oldValue=r}toString(){return this.toJSON()}toJSON(){var t;switch(this.type){case"added":return`Added   \`${this.key}\``;case"removed":return`Removed \`${this.key}\``;case"changed":return`Changed \`${this.key}\` from \`${((t=this.oldValue)==null?void 0:t.toString())||"-"}\` to \`${this.newValue.toString()}\``}}}class Tc{constructor(t,n,s,r){this.key=t,this.value=n,this.hash=s,this.props=r}toString(){return this.props?`{${Object.keys(this.props).join(",")}}`:JSON.stringify(this.value)}toJSON(){const t=this.key||".";return this.props?`${t}({${Object.keys(this.props).join(",")}})`:`${t}(${this.value})`}}function Od(e,t){const n={...e};for(const s of t)delete n[s];return n}function Zi(e,t,n){typeof t=="string"&&(t=t.split(".").map(r=>{const o=Number(r);return Number.isNaN(o)?r:o}));let s=e;for(const r of t){if(s==null)return n;s=s[r]}return s!==void 0?s:n}function ek(e){const t=Number.parseFloat(e);return Number.isNaN(t)?e:t}function tk(e,t,n){return e===void 0||t===void 0?!1:typeof e=="string"?e===t:typeof n=="function"?n(e,t):typeof n=="string"?Zi(e,n)===Zi(t,n):Vl(e,t)}function nk(e){return Array.isArray(e[0])}function Bv(e){return(t,n)=>Hv(t,n,j(e))}function Hv(e,t,n){return Zi(n,`messages.${e}`,e).replace(/\{(\w+)\}/g,(r,o)=>`${(t==null?void 0:t[o])??`{${o}}`}`)}function Uv(e){const t=q(()=>j(e).name),n=q(()=>j(e).code),s=q(()=>j(e).dir),r=_e(e)?e:re(e);return{lang:t,code:n,dir:s,locale:r,t:Bv(e)}}const qv=Nv({name:"English",code:"en",messages:{inputMenu:{noMatch:"No matching data",noData:"No data",create:'Create "{label}"'},calendar:{prevYear:"Previous year",nextYear:"Next year",prevMonth:"Previous month",nextMonth:"Next month"},inputNumber:{increment:"Increment",decrement:"Decrement"},commandPalette:{placeholder:"Type a command or search...",noMatch:"No matching data",noData:"No data",close:"Close",back:"Back"},selectMenu:{noMatch:"No matching data",noData:"No data",create:'Create "{label}"',search:"Search..."},toast:{close:"Close"},carousel:{prev:"Prev",next:"Next",goto:"Go to slide {slide}"},modal:{close:"Close"},slideover:{close:"Close"},alert:{close:"Close"},table:{noData:"No data"}}}),Pd=Symbol.for("nuxt-ui.locale-context"),Vv=e=>{const t=e||qt(Ie(Pd));return Uv(q(()=>t.value||qv))},zv=_d(Vv),sk=(e,t={})=>{const n=re(null);return{value:n,get:()=>n.value,set:()=>{},update:()=>{},refresh:()=>Promise.resolve(n.value),remove:()=>{}}},hi={},Wv=(e,t)=>{if(hi[e])return hi[e];const n=re(t());return hi[e]=n,n},Ac=Uf();function Kv(){return{isHydrating:!0,payload:{serverRendered:!1},hooks:Ac,hook:Ac.hook}}function Gv(e){return{install(t){t.runWithContext(()=>e({vueApp:t}))}}}const Jv=[50,100,200,300,400,500,600,700,800,900,950];function Qv(e,t){return e in Rr&&typeof Rr[e]=="object"&&t in Rr[e]?Rr[e][t]:""}function Yv(e,t){return`${Jv.map(n=>`--ui-color-${e}-${n}: var(--color-${t==="neutral"?"old-neutral":t}-${n}, ${Qv(t,n)});`).join(`
   `)}`}function Oc(e,t){return`--ui-${e}: var(--ui-color-${e}-${t});`}const Xv=Gv(()=>{const e=En();Kv();const t=q(()=>{const{neutral:s,...r}=e.ui.colors;return`@layer base {
   :root {
   ${Object.entries(e.ui.colors).map(([o,i])=>Yv(o,i)).join(`
@@ -0,0 +1 @@
+import{_ as H,b as B}from"./route-block-C8UpW1tJ.js";import{_ as K}from"./Card-3ffy2SwE.js";import{_ as U}from"./DashboardNavbar.vue_vue_type_script_setup_true_lang-DXiLQDGX.js";import{_ as S}from"./UserSessions.vue_vue_type_script_setup_true_lang-iSqMSrKk.js";import{d as q,f as x,i as c,o as r,j as n,k as s,Z as t,B as V,ae as A}from"./index-CvplhhIg.js";import"./DashboardResizeHandle.vue_vue_type_script_setup_true_lang-Bj9eNWfO.js";import"./DashboardSidebarToggle.vue_vue_type_script_setup_true_lang-yvinZowi.js";const E={class:"space-y-6"},G={class:"flex items-center justify-between"},J={key:1,class:"py-12 text-center text-boulder-500 dark:text-boulder-400"},L=q({__name:"sessions",setup(M){const e=A(),o=x(()=>{var a,l;return((a=e.user)==null?void 0:a.id)||((l=e.user)==null?void 0:l.uuid)||""});return(a,d)=>{const l=U,i=K,u=H;return r(),c(u,{id:"sessions"},{header:n(()=>[s(l,{title:"My Sessions"})]),body:n(()=>[t("div",E,[s(i,null,{header:n(()=>d[0]||(d[0]=[t("div",G,[t("div",null,[t("h3",{class:"text-lg font-medium"},"Active Sessions"),t("p",{class:"text-sm text-boulder-600 dark:text-boulder-400"}," Devices currently signed in to your account. Revoke any session you do not recognise. ")])],-1)])),default:n(()=>[o.value?(r(),c(S,{key:0,"user-uuid":o.value},null,8,["user-uuid"])):(r(),V("div",J,"Your account details are not loaded yet."))]),_:1})])]),_:1})}}});typeof B=="function"&&B(L);export{L as default};
@@ -1,4 +1,4 @@
-import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Du}from"./Form-BKALYl7f.js";import{_ as Pu}from"./FormField-VDwBeIdM.js";import{_ as Eu}from"./Input-C5IL3dmi.js";import{_ as Ru,b as ll}from"./route-block-C8UpW1tJ.js";import{d as ph,aQ as jn,aR as Bu,f as At,ax as Lu,A as mh,E as Ct,a0 as Iu,av as Nu,as as Fu,at as Hu,r as Ve,ay as Vu,B as oe,o as Z,k as G,i as si,z as Wt,j as Q,Z as B,l as Kn,ah as Wu,N as We,O as Ee,F as vs,ai as Gn,X as Xn,am as zu,Q as qu}from"./index-CvplhhIg.js";import{_ as Qu}from"./Table-DfRn1MFI.js";import{_ as _u}from"./Card-3ffy2SwE.js";import{_ as $u}from"./Switch-HAhwdiud.js";import{_ as Uu}from"./DashboardNavbar.vue_vue_type_script_setup_true_lang-DXiLQDGX.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{u as Ku}from"./dbTables-Dp_TEHPk.js";import"./DialogPortal-BWtgM8-G.js";import"./useBodyScrollLock-CA2MgwBo.js";import"./DashboardSidebarToggle.vue_vue_type_script_setup_true_lang-yvinZowi.js";import"./Label-CHQ0EKZ9.js";import"./DashboardResizeHandle.vue_vue_type_script_setup_true_lang-Bj9eNWfO.js";import"./index-88opOQSr.js";import"./useFormControl-DwrQSjJN.js";import"./VisuallyHiddenInput-C__kJX8b.js";let Or=[],gh=[];(()=>{let s="lc,34,7n,7,7b,19,,,,2,,2,,,20,b,1c,l,g,,2t,7,2,6,2,2,,4,z,,u,r,2j,b,1m,9,9,,o,4,,9,,3,,5,17,3,3b,f,,w,1j,,,,4,8,4,,3,7,a,2,t,,1m,,,,2,4,8,,9,,a,2,q,,2,2,1l,,4,2,4,2,2,3,3,,u,2,3,,b,2,1l,,4,5,,2,4,,k,2,m,6,,,1m,,,2,,4,8,,7,3,a,2,u,,1n,,,,c,,9,,14,,3,,1l,3,5,3,,4,7,2,b,2,t,,1m,,2,,2,,3,,5,2,7,2,b,2,s,2,1l,2,,,2,4,8,,9,,a,2,t,,20,,4,,2,3,,,8,,29,,2,7,c,8,2q,,2,9,b,6,22,2,r,,,,,,1j,e,,5,,2,5,b,,10,9,,2u,4,,6,,2,2,2,p,2,4,3,g,4,d,,2,2,6,,f,,jj,3,qa,3,t,3,t,2,u,2,1s,2,,7,8,,2,b,9,,19,3,3b,2,y,,3a,3,4,2,9,,6,3,63,2,2,,1m,,,7,,,,,2,8,6,a,2,,1c,h,1r,4,1c,7,,,5,,14,9,c,2,w,4,2,2,,3,1k,,,2,3,,,3,1m,8,2,2,48,3,,d,,7,4,,6,,3,2,5i,1m,,5,ek,,5f,x,2da,3,3x,,2o,w,fe,6,2x,2,n9w,4,,a,w,2,28,2,7k,,3,,4,,p,2,5,,47,2,q,i,d,,12,8,p,b,1a,3,1c,,2,4,2,2,13,,1v,6,2,2,2,2,c,,8,,1b,,1f,,,3,2,2,5,2,,,16,2,8,,6m,,2,,4,,fn4,,kh,g,g,g,a6,2,gt,,6a,,45,5,1ae,3,,2,5,4,14,3,4,,4l,2,fx,4,ar,2,49,b,4w,,1i,f,1k,3,1d,4,2,2,1x,3,10,5,,8,1q,,c,2,1g,9,a,4,2,,2n,3,2,,,2,6,,4g,,3,8,l,2,1l,2,,,,,m,,e,7,3,5,5f,8,2,3,,,n,,29,,2,6,,,2,,,2,,2,6j,,2,4,6,2,,2,r,2,2d,8,2,,,2,2y,,,,2,6,,,2t,3,2,4,,5,77,9,,2,6t,,a,2,,,4,,40,4,2,2,4,,w,a,14,6,2,4,8,,9,6,2,3,1a,d,,2,ba,7,,6,,,2a,m,2,7,,2,,2,3e,6,3,,,2,,7,,,20,2,3,,,,9n,2,f0b,5,1n,7,t4,,1r,4,29,,f5k,2,43q,,,3,4,5,8,8,2,7,u,4,44,3,1iz,1j,4,1e,8,,e,,m,5,,f,11s,7,,h,2,7,,2,,5,79,7,c5,4,15s,7,31,7,240,5,gx7k,2o,3k,6o".split(",").map(e=>e?parseInt(e,36):1);for(let e=0,t=0;e<s.length;e++)(e%2?gh:Or).push(t=t+s[e])})();function Gu(s){if(s<768)return!1;for(let e=0,t=Or.length;;){let i=e+t>>1;if(s<Or[i])t=i;else if(s>=gh[i])e=i+1;else return!0;if(e==t)return!1}}function al(s){return s>=127462&&s<=127487}const hl=8205;function Xu(s,e,t=!0,i=!0){return(t?yh:Yu)(s,e,i)}function yh(s,e,t){if(e==s.length)return e;e&&bh(s.charCodeAt(e))&&xh(s.charCodeAt(e-1))&&e--;let i=Yn(s,e);for(e+=cl(i);e<s.length;){let n=Yn(s,e);if(i==hl||n==hl||t&&Gu(n))e+=cl(n),i=n;else if(al(n)){let r=0,o=e-2;for(;o>=0&&al(Yn(s,o));)r++,o-=2;if(r%2==0)break;e+=2}else break}return e}function Yu(s,e,t){for(;e>0;){let i=yh(s,e-2,t);if(i<e)return i;e--}return 0}function Yn(s,e){let t=s.charCodeAt(e);if(!xh(t)||e+1==s.length)return t;let i=s.charCodeAt(e+1);return bh(i)?(t-55296<<10)+(i-56320)+65536:t}function bh(s){return s>=56320&&s<57344}function xh(s){return s>=55296&&s<56320}function cl(s){return s<65536?1:2}class U{lineAt(e){if(e<0||e>this.length)throw new RangeError(`Invalid position ${e} in document of length ${this.length}`);return this.lineInner(e,!1,1,0)}line(e){if(e<1||e>this.lines)throw new RangeError(`Invalid line number ${e} in ${this.lines}-line document`);return this.lineInner(e,!0,1,0)}replace(e,t,i){[e,t]=xi(this,e,t);let n=[];return this.decompose(0,e,n,2),i.length&&i.decompose(0,i.length,n,3),this.decompose(t,this.length,n,1),lt.from(n,this.length-(t-e)+i.length)}append(e){return this.replace(this.length,this.length,e)}slice(e,t=this.length){[e,t]=xi(this,e,t);let i=[];return this.decompose(e,t,i,0),lt.from(i,t-e)}eq(e){if(e==this)return!0;if(e.length!=this.length||e.lines!=this.lines)return!1;let t=this.scanIdentical(e,1),i=this.length-this.scanIdentical(e,-1),n=new Wi(this),r=new Wi(e);for(let o=t,l=t;;){if(n.next(o),r.next(o),o=0,n.lineBreak!=r.lineBreak||n.done!=r.done||n.value!=r.value)return!1;if(l+=n.value.length,n.done||l>=i)return!0}}iter(e=1){return new Wi(this,e)}iterRange(e,t=this.length){return new vh(this,e,t)}iterLines(e,t){let i;if(e==null)i=this.iter();else{t==null&&(t=this.lines+1);let n=this.line(e).from;i=this.iterRange(n,Math.max(n,t==this.lines+1?this.length:t<=1?0:this.line(t-1).to))}return new kh(i)}toString(){return this.sliceString(0)}toJSON(){let e=[];return this.flatten(e),e}constructor(){}static of(e){if(e.length==0)throw new RangeError("A document must have at least one line");return e.length==1&&!e[0]?U.empty:e.length<=32?new ne(e):lt.from(ne.split(e,[]))}}class ne extends U{constructor(e,t=Ju(e)){super(),this.text=e,this.length=t}get lines(){return this.text.length}get children(){return null}lineInner(e,t,i,n){for(let r=0;;r++){let o=this.text[r],l=n+o.length;if((t?i:l)>=e)return new Zu(n,l,i,o);n=l+1,i++}}decompose(e,t,i,n){let r=e<=0&&t>=this.length?this:new ne(fl(this.text,e,t),Math.min(t,this.length)-Math.max(0,e));if(n&1){let o=i.pop(),l=Us(r.text,o.text.slice(),0,r.length);if(l.length<=32)i.push(new ne(l,o.length+r.length));else{let a=l.length>>1;i.push(new ne(l.slice(0,a)),new ne(l.slice(a)))}}else i.push(r)}replace(e,t,i){if(!(i instanceof ne))return super.replace(e,t,i);[e,t]=xi(this,e,t);let n=Us(this.text,Us(i.text,fl(this.text,0,e)),t),r=this.length+i.length-(t-e);return n.length<=32?new ne(n,r):lt.from(ne.split(n,[]),r)}sliceString(e,t=this.length,i=`
+import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as IA}from"./DataExportModal.vue_vue_type_script_setup_true_lang-HLZcA6B1.js";import{_ as Du}from"./Form-BKALYl7f.js";import{_ as Pu}from"./FormField-VDwBeIdM.js";import{_ as Eu}from"./Input-C5IL3dmi.js";import{_ as Ru,b as ll}from"./route-block-C8UpW1tJ.js";import{d as ph,aQ as jn,aR as Bu,f as At,ax as Lu,A as mh,E as Ct,a0 as Iu,av as Nu,as as Fu,at as Hu,aL as Bw,r as Ve,ay as Vu,B as oe,o as Z,k as G,i as si,z as Wt,j as Q,Z as B,l as Kn,ah as Wu,N as We,O as Ee,F as vs,ai as Gn,X as Xn,am as zu}from"./index-CvplhhIg.js";import{_ as Qu}from"./Table-DfRn1MFI.js";import{_ as Ek}from"./Badge-UswX4ZtY.js";import{_ as Ez}from"./Select-BAUrMTbe.js";import{_ as Cz}from"./Tabs-C56t79Fw.js";import{_ as _u}from"./Card-3ffy2SwE.js";import{_ as $u}from"./Switch-HAhwdiud.js";import{_ as Uu}from"./DashboardNavbar.vue_vue_type_script_setup_true_lang-DXiLQDGX.js";import{u as ju}from"./useToastNotification-D4GVV2D1.js";import{u as Ku}from"./dbTables-Dp_TEHPk.js";import"./DialogPortal-BWtgM8-G.js";import"./useBodyScrollLock-CA2MgwBo.js";import"./DashboardSidebarToggle.vue_vue_type_script_setup_true_lang-yvinZowi.js";import"./Label-CHQ0EKZ9.js";import"./DashboardResizeHandle.vue_vue_type_script_setup_true_lang-Bj9eNWfO.js";import"./index-88opOQSr.js";import"./useFormControl-DwrQSjJN.js";import"./VisuallyHiddenInput-C__kJX8b.js";let Or=[],gh=[];(()=>{let s="lc,34,7n,7,7b,19,,,,2,,2,,,20,b,1c,l,g,,2t,7,2,6,2,2,,4,z,,u,r,2j,b,1m,9,9,,o,4,,9,,3,,5,17,3,3b,f,,w,1j,,,,4,8,4,,3,7,a,2,t,,1m,,,,2,4,8,,9,,a,2,q,,2,2,1l,,4,2,4,2,2,3,3,,u,2,3,,b,2,1l,,4,5,,2,4,,k,2,m,6,,,1m,,,2,,4,8,,7,3,a,2,u,,1n,,,,c,,9,,14,,3,,1l,3,5,3,,4,7,2,b,2,t,,1m,,2,,2,,3,,5,2,7,2,b,2,s,2,1l,2,,,2,4,8,,9,,a,2,t,,20,,4,,2,3,,,8,,29,,2,7,c,8,2q,,2,9,b,6,22,2,r,,,,,,1j,e,,5,,2,5,b,,10,9,,2u,4,,6,,2,2,2,p,2,4,3,g,4,d,,2,2,6,,f,,jj,3,qa,3,t,3,t,2,u,2,1s,2,,7,8,,2,b,9,,19,3,3b,2,y,,3a,3,4,2,9,,6,3,63,2,2,,1m,,,7,,,,,2,8,6,a,2,,1c,h,1r,4,1c,7,,,5,,14,9,c,2,w,4,2,2,,3,1k,,,2,3,,,3,1m,8,2,2,48,3,,d,,7,4,,6,,3,2,5i,1m,,5,ek,,5f,x,2da,3,3x,,2o,w,fe,6,2x,2,n9w,4,,a,w,2,28,2,7k,,3,,4,,p,2,5,,47,2,q,i,d,,12,8,p,b,1a,3,1c,,2,4,2,2,13,,1v,6,2,2,2,2,c,,8,,1b,,1f,,,3,2,2,5,2,,,16,2,8,,6m,,2,,4,,fn4,,kh,g,g,g,a6,2,gt,,6a,,45,5,1ae,3,,2,5,4,14,3,4,,4l,2,fx,4,ar,2,49,b,4w,,1i,f,1k,3,1d,4,2,2,1x,3,10,5,,8,1q,,c,2,1g,9,a,4,2,,2n,3,2,,,2,6,,4g,,3,8,l,2,1l,2,,,,,m,,e,7,3,5,5f,8,2,3,,,n,,29,,2,6,,,2,,,2,,2,6j,,2,4,6,2,,2,r,2,2d,8,2,,,2,2y,,,,2,6,,,2t,3,2,4,,5,77,9,,2,6t,,a,2,,,4,,40,4,2,2,4,,w,a,14,6,2,4,8,,9,6,2,3,1a,d,,2,ba,7,,6,,,2a,m,2,7,,2,,2,3e,6,3,,,2,,7,,,20,2,3,,,,9n,2,f0b,5,1n,7,t4,,1r,4,29,,f5k,2,43q,,,3,4,5,8,8,2,7,u,4,44,3,1iz,1j,4,1e,8,,e,,m,5,,f,11s,7,,h,2,7,,2,,5,79,7,c5,4,15s,7,31,7,240,5,gx7k,2o,3k,6o".split(",").map(e=>e?parseInt(e,36):1);for(let e=0,t=0;e<s.length;e++)(e%2?gh:Or).push(t=t+s[e])})();function Gu(s){if(s<768)return!1;for(let e=0,t=Or.length;;){let i=e+t>>1;if(s<Or[i])t=i;else if(s>=gh[i])e=i+1;else return!0;if(e==t)return!1}}function al(s){return s>=127462&&s<=127487}const hl=8205;function Xu(s,e,t=!0,i=!0){return(t?yh:Yu)(s,e,i)}function yh(s,e,t){if(e==s.length)return e;e&&bh(s.charCodeAt(e))&&xh(s.charCodeAt(e-1))&&e--;let i=Yn(s,e);for(e+=cl(i);e<s.length;){let n=Yn(s,e);if(i==hl||n==hl||t&&Gu(n))e+=cl(n),i=n;else if(al(n)){let r=0,o=e-2;for(;o>=0&&al(Yn(s,o));)r++,o-=2;if(r%2==0)break;e+=2}else break}return e}function Yu(s,e,t){for(;e>0;){let i=yh(s,e-2,t);if(i<e)return i;e--}return 0}function Yn(s,e){let t=s.charCodeAt(e);if(!xh(t)||e+1==s.length)return t;let i=s.charCodeAt(e+1);return bh(i)?(t-55296<<10)+(i-56320)+65536:t}function bh(s){return s>=56320&&s<57344}function xh(s){return s>=55296&&s<56320}function cl(s){return s<65536?1:2}class U{lineAt(e){if(e<0||e>this.length)throw new RangeError(`Invalid position ${e} in document of length ${this.length}`);return this.lineInner(e,!1,1,0)}line(e){if(e<1||e>this.lines)throw new RangeError(`Invalid line number ${e} in ${this.lines}-line document`);return this.lineInner(e,!0,1,0)}replace(e,t,i){[e,t]=xi(this,e,t);let n=[];return this.decompose(0,e,n,2),i.length&&i.decompose(0,i.length,n,3),this.decompose(t,this.length,n,1),lt.from(n,this.length-(t-e)+i.length)}append(e){return this.replace(this.length,this.length,e)}slice(e,t=this.length){[e,t]=xi(this,e,t);let i=[];return this.decompose(e,t,i,0),lt.from(i,t-e)}eq(e){if(e==this)return!0;if(e.length!=this.length||e.lines!=this.lines)return!1;let t=this.scanIdentical(e,1),i=this.length-this.scanIdentical(e,-1),n=new Wi(this),r=new Wi(e);for(let o=t,l=t;;){if(n.next(o),r.next(o),o=0,n.lineBreak!=r.lineBreak||n.done!=r.done||n.value!=r.value)return!1;if(l+=n.value.length,n.done||l>=i)return!0}}iter(e=1){return new Wi(this,e)}iterRange(e,t=this.length){return new vh(this,e,t)}iterLines(e,t){let i;if(e==null)i=this.iter();else{t==null&&(t=this.lines+1);let n=this.line(e).from;i=this.iterRange(n,Math.max(n,t==this.lines+1?this.length:t<=1?0:this.line(t-1).to))}return new kh(i)}toString(){return this.sliceString(0)}toJSON(){let e=[];return this.flatten(e),e}constructor(){}static of(e){if(e.length==0)throw new RangeError("A document must have at least one line");return e.length==1&&!e[0]?U.empty:e.length<=32?new ne(e):lt.from(ne.split(e,[]))}}class ne extends U{constructor(e,t=Ju(e)){super(),this.text=e,this.length=t}get lines(){return this.text.length}get children(){return null}lineInner(e,t,i,n){for(let r=0;;r++){let o=this.text[r],l=n+o.length;if((t?i:l)>=e)return new Zu(n,l,i,o);n=l+1,i++}}decompose(e,t,i,n){let r=e<=0&&t>=this.length?this:new ne(fl(this.text,e,t),Math.min(t,this.length)-Math.max(0,e));if(n&1){let o=i.pop(),l=Us(r.text,o.text.slice(),0,r.length);if(l.length<=32)i.push(new ne(l,o.length+r.length));else{let a=l.length>>1;i.push(new ne(l.slice(0,a)),new ne(l.slice(a)))}}else i.push(r)}replace(e,t,i){if(!(i instanceof ne))return super.replace(e,t,i);[e,t]=xi(this,e,t);let n=Us(this.text,Us(i.text,fl(this.text,0,e)),t),r=this.length+i.length-(t-e);return n.length<=32?new ne(n,r):lt.from(ne.split(n,[]),r)}sliceString(e,t=this.length,i=`
 `){[e,t]=xi(this,e,t);let n="";for(let r=0,o=0;r<=t&&o<this.text.length;o++){let l=this.text[o],a=r+l.length;r>e&&o&&(n+=i),e<a&&t>r&&(n+=l.slice(Math.max(0,e-r),t-r)),r=a+1}return n}flatten(e){for(let t of this.text)e.push(t)}scanIdentical(){return 0}static split(e,t){let i=[],n=-1;for(let r of e)i.push(r),n+=r.length+1,i.length==32&&(t.push(new ne(i,n)),i=[],n=-1);return n>-1&&t.push(new ne(i,n)),t}}class lt extends U{constructor(e,t){super(),this.children=e,this.length=t,this.lines=0;for(let i of e)this.lines+=i.lines}lineInner(e,t,i,n){for(let r=0;;r++){let o=this.children[r],l=n+o.length,a=i+o.lines-1;if((t?a:l)>=e)return o.lineInner(e,t,i,n);n=l+1,i=a+1}}decompose(e,t,i,n){for(let r=0,o=0;o<=t&&r<this.children.length;r++){let l=this.children[r],a=o+l.length;if(e<=a&&t>=o){let h=n&((o<=e?1:0)|(a>=t?2:0));o>=e&&a<=t&&!h?i.push(l):l.decompose(e-o,t-o,i,h)}o=a+1}}replace(e,t,i){if([e,t]=xi(this,e,t),i.lines<this.lines)for(let n=0,r=0;n<this.children.length;n++){let o=this.children[n],l=r+o.length;if(e>=r&&t<=l){let a=o.replace(e-r,t-r,i),h=this.lines-o.lines+a.lines;if(a.lines<h>>4&&a.lines>h>>6){let c=this.children.slice();return c[n]=a,new lt(c,this.length-(t-e)+i.length)}return super.replace(r,l,a)}r=l+1}return super.replace(e,t,i)}sliceString(e,t=this.length,i=`
 `){[e,t]=xi(this,e,t);let n="";for(let r=0,o=0;r<this.children.length&&o<=t;r++){let l=this.children[r],a=o+l.length;o>e&&r&&(n+=i),e<a&&t>o&&(n+=l.sliceString(e-o,t-o,i)),o=a+1}return n}flatten(e){for(let t of this.children)t.flatten(e)}scanIdentical(e,t){if(!(e instanceof lt))return 0;let i=0,[n,r,o,l]=t>0?[0,0,this.children.length,e.children.length]:[this.children.length-1,e.children.length-1,-1,-1];for(;;n+=t,r+=t){if(n==o||r==l)return i;let a=this.children[n],h=e.children[r];if(a!=h)return i+a.scanIdentical(h,t);i+=a.length+1}}static from(e,t=e.reduce((i,n)=>i+n.length+1,-1)){let i=0;for(let d of e)i+=d.lines;if(i<32){let d=[];for(let p of e)p.flatten(d);return new ne(d,t)}let n=Math.max(32,i>>5),r=n<<1,o=n>>1,l=[],a=0,h=-1,c=[];function f(d){let p;if(d.lines>r&&d instanceof lt)for(let m of d.children)f(m);else d.lines>o&&(a>o||!a)?(u(),l.push(d)):d instanceof ne&&a&&(p=c[c.length-1])instanceof ne&&d.lines+p.lines<=32?(a+=d.lines,h+=d.length+1,c[c.length-1]=new ne(p.text.concat(d.text),p.length+1+d.length)):(a+d.lines>n&&u(),a+=d.lines,h+=d.length+1,c.push(d))}function u(){a!=0&&(l.push(c.length==1?c[0]:lt.from(c,h)),h=-1,a=c.length=0)}for(let d of e)f(d);return u(),l.length==1?l[0]:new lt(l,t)}}U.empty=new ne([""],0);function Ju(s){let e=-1;for(let t of s)e+=t.length+1;return e}function Us(s,e,t=0,i=1e9){for(let n=0,r=0,o=!0;r<s.length&&n<=i;r++){let l=s[r],a=n+l.length;a>=t&&(a>i&&(l=l.slice(0,i-n)),n<t&&(l=l.slice(t-n)),o?(e[e.length-1]+=l,o=!1):e.push(l)),n=a+1}return e}function fl(s,e,t){return Us(s,[""],e,t)}class Wi{constructor(e,t=1){this.dir=t,this.done=!1,this.lineBreak=!1,this.value="",this.nodes=[e],this.offsets=[t>0?1:(e instanceof ne?e.text.length:e.children.length)<<1]}nextInner(e,t){for(this.done=this.lineBreak=!1;;){let i=this.nodes.length-1,n=this.nodes[i],r=this.offsets[i],o=r>>1,l=n instanceof ne?n.text.length:n.children.length;if(o==(t>0?l:0)){if(i==0)return this.done=!0,this.value="",this;t>0&&this.offsets[i-1]++,this.nodes.pop(),this.offsets.pop()}else if((r&1)==(t>0?0:1)){if(this.offsets[i]+=t,e==0)return this.lineBreak=!0,this.value=`
 `,this;e--}else if(n instanceof ne){let a=n.text[o+(t<0?-1:0)];if(this.offsets[i]+=t,a.length>Math.max(0,e))return this.value=e==0?a:t>0?a.slice(e):a.slice(0,a.length-e),this;e-=a.length}else{let a=n.children[o+(t<0?-1:0)];e>a.length?(e-=a.length,this.offsets[i]+=t):(t<0&&this.offsets[i]--,this.nodes.push(a),this.offsets.push(t>0?1:(a instanceof ne?a.text.length:a.children.length)<<1))}}}next(e=0){return e<0&&(this.nextInner(-e,-this.dir),e=this.value.length),this.nextInner(e,this.dir)}}class vh{constructor(e,t,i){this.value="",this.done=!1,this.cursor=new Wi(e,t>i?-1:1),this.pos=t>i?e.length:0,this.from=Math.min(t,i),this.to=Math.max(t,i)}nextInner(e,t){if(t<0?this.pos<=this.from:this.pos>=this.to)return this.value="",this.done=!0,this;e+=Math.max(0,t<0?this.pos-this.to:this.from-this.pos);let i=t<0?this.pos-this.from:this.to-this.pos;e>i&&(e=i),i-=e;let{value:n}=this.cursor.next(e);return this.pos+=(n.length+e)*t,this.value=n.length<=i?n:t<0?n.slice(n.length-i):n.slice(0,i),this.done=!this.value,this}next(e=0){return e<0?e=Math.max(e,this.from-this.pos):e>0&&(e=Math.min(e,this.to-this.pos)),this.nextInner(e,this.cursor.dir)}get lineBreak(){return this.cursor.lineBreak&&this.value!=""}}class kh{constructor(e){this.inner=e,this.afterBreak=!0,this.value="",this.done=!1}next(e=0){let{done:t,lineBreak:i,value:n}=this.inner.next(e);return t&&this.afterBreak?(this.value="",this.afterBreak=!1):t?(this.done=!0,this.value=""):i?this.afterBreak?this.value="":(this.afterBreak=!0,this.next()):(this.value=n,this.afterBreak=!1),this}get lineBreak(){return!1}}typeof Symbol<"u"&&(U.prototype[Symbol.iterator]=function(){return this.iter()},Wi.prototype[Symbol.iterator]=vh.prototype[Symbol.iterator]=kh.prototype[Symbol.iterator]=function(){return this});class Zu{constructor(e,t,i,n){this.from=e,this.to=t,this.number=i,this.text=n}get length(){return this.to-this.from}}function xi(s,e,t){return e=Math.max(0,Math.min(s.length,e)),[e,Math.max(e,Math.min(s.length,t))]}function ve(s,e,t=!0,i=!0){return Xu(s,e,t,i)}function ed(s){return s>=56320&&s<57344}function td(s){return s>=55296&&s<56320}function Re(s,e){let t=s.charCodeAt(e);if(!td(t)||e+1==s.length)return t;let i=s.charCodeAt(e+1);return ed(i)?(t-55296<<10)+(i-56320)+65536:t}function Oo(s){return s<=65535?String.fromCharCode(s):(s-=65536,String.fromCharCode((s>>10)+55296,(s&1023)+56320))}function at(s){return s<65536?1:2}const Mr=/\r\n?|\n/;var Me=function(s){return s[s.Simple=0]="Simple",s[s.TrackDel=1]="TrackDel",s[s.TrackBefore=2]="TrackBefore",s[s.TrackAfter=3]="TrackAfter",s}(Me||(Me={}));class ut{constructor(e){this.sections=e}get length(){let e=0;for(let t=0;t<this.sections.length;t+=2)e+=this.sections[t];return e}get newLength(){let e=0;for(let t=0;t<this.sections.length;t+=2){let i=this.sections[t+1];e+=i<0?this.sections[t]:i}return e}get empty(){return this.sections.length==0||this.sections.length==2&&this.sections[1]<0}iterGaps(e){for(let t=0,i=0,n=0;t<this.sections.length;){let r=this.sections[t++],o=this.sections[t++];o<0?(e(i,n,r),n+=r):n+=o,i+=r}}iterChangedRanges(e,t=!1){Tr(this,e,t)}get invertedDesc(){let e=[];for(let t=0;t<this.sections.length;){let i=this.sections[t++],n=this.sections[t++];n<0?e.push(i,n):e.push(n,i)}return new ut(e)}composeDesc(e){return this.empty?e:e.empty?this:wh(this,e)}mapDesc(e,t=!1){return e.empty?this:Dr(this,e,t)}mapPos(e,t=-1,i=Me.Simple){let n=0,r=0;for(let o=0;o<this.sections.length;){let l=this.sections[o++],a=this.sections[o++],h=n+l;if(a<0){if(h>e)return r+(e-n);r+=l}else{if(i!=Me.Simple&&h>=e&&(i==Me.TrackDel&&n<e&&h>e||i==Me.TrackBefore&&n<e||i==Me.TrackAfter&&h>e))return null;if(h>e||h==e&&t<0&&!l)return e==n||t<0?r:r+a;r+=a}n=h}if(e>n)throw new RangeError(`Position ${e} is out of range for changeset of length ${n}`);return r}touchesRange(e,t=e){for(let i=0,n=0;i<this.sections.length&&n<=t;){let r=this.sections[i++],o=this.sections[i++],l=n+r;if(o>=0&&n<=t&&l>=e)return n<e&&l>t?"cover":!0;n=l}return!1}toString(){let e="";for(let t=0;t<this.sections.length;){let i=this.sections[t++],n=this.sections[t++];e+=(e?" ":"")+i+(n>=0?":"+n:"")}return e}toJSON(){return this.sections}static fromJSON(e){if(!Array.isArray(e)||e.length%2||e.some(t=>typeof t!="number"))throw new RangeError("Invalid JSON representation of ChangeDesc");return new ut(e)}static create(e){return new ut(e)}}class fe extends ut{constructor(e,t){super(e),this.inserted=t}apply(e){if(this.length!=e.length)throw new RangeError("Applying change set to a document with the wrong length");return Tr(this,(t,i,n,r,o)=>e=e.replace(n,n+(i-t),o),!1),e}mapDesc(e,t=!1){return Dr(this,e,t,!0)}invert(e){let t=this.sections.slice(),i=[];for(let n=0,r=0;n<t.length;n+=2){let o=t[n],l=t[n+1];if(l>=0){t[n]=l,t[n+1]=o;let a=n>>1;for(;i.length<a;)i.push(U.empty);i.push(o?e.slice(r,r+o):U.empty)}r+=o}return new fe(t,i)}compose(e){return this.empty?e:e.empty?this:wh(this,e,!0)}map(e,t=!1){return e.empty?this:Dr(this,e,t,!0)}iterChanges(e,t=!1){Tr(this,e,t)}get desc(){return ut.create(this.sections)}filter(e){let t=[],i=[],n=[],r=new Ui(this);e:for(let o=0,l=0;;){let a=o==e.length?1e9:e[o++];for(;l<a||l==a&&r.len==0;){if(r.done)break e;let c=Math.min(r.len,a-l);we(n,c,-1);let f=r.ins==-1?-1:r.off==0?r.ins:0;we(t,c,f),f>0&&Dt(i,t,r.text),r.forward(c),l+=c}let h=e[o++];for(;l<h;){if(r.done)break e;let c=Math.min(r.len,h-l);we(t,c,-1),we(n,c,r.ins==-1?-1:r.off==0?r.ins:0),r.forward(c),l+=c}}return{changes:new fe(t,i),filtered:ut.create(n)}}toJSON(){let e=[];for(let t=0;t<this.sections.length;t+=2){let i=this.sections[t],n=this.sections[t+1];n<0?e.push(i):n==0?e.push([i]):e.push([i].concat(this.inserted[t>>1].toJSON()))}return e}static of(e,t,i){let n=[],r=[],o=0,l=null;function a(c=!1){if(!c&&!n.length)return;o<t&&we(n,t-o,-1);let f=new fe(n,r);l=l?l.compose(f.map(l)):f,n=[],r=[],o=0}function h(c){if(Array.isArray(c))for(let f of c)h(f);else if(c instanceof fe){if(c.length!=t)throw new RangeError(`Mismatched change set length (got ${c.length}, expected ${t})`);a(),l=l?l.compose(c.map(l)):c}else{let{from:f,to:u=f,insert:d}=c;if(f>u||f<0||u>t)throw new RangeError(`Invalid change range ${f} to ${u} (in doc of length ${t})`);let p=d?typeof d=="string"?U.of(d.split(i||Mr)):d:U.empty,m=p.length;if(f==u&&m==0)return;f<o&&a(),f>o&&we(n,f-o,-1),we(n,u-f,m),Dt(r,n,p),o=u}}return h(e),a(!l),l}static empty(e){return new fe(e?[e,-1]:[],[])}static fromJSON(e){if(!Array.isArray(e))throw new RangeError("Invalid JSON representation of ChangeSet");let t=[],i=[];for(let n=0;n<e.length;n++){let r=e[n];if(typeof r=="number")t.push(r,-1);else{if(!Array.isArray(r)||typeof r[0]!="number"||r.some((o,l)=>l&&typeof o!="string"))throw new RangeError("Invalid JSON representation of ChangeSet");if(r.length==1)t.push(r[0],0);else{for(;i.length<n;)i.push(U.empty);i[n]=U.of(r.slice(1)),t.push(r[0],i[n].length)}}}return new fe(t,i)}static createSet(e,t){return new fe(e,t)}}function we(s,e,t,i=!1){if(e==0&&t<=0)return;let n=s.length-2;n>=0&&t<=0&&t==s[n+1]?s[n]+=e:n>=0&&e==0&&s[n]==0?s[n+1]+=t:i?(s[n]+=e,s[n+1]+=t):s.push(e,t)}function Dt(s,e,t){if(t.length==0)return;let i=e.length-2>>1;if(i<s.length)s[s.length-1]=s[s.length-1].append(t);else{for(;s.length<i;)s.push(U.empty);s.push(t)}}function Tr(s,e,t){let i=s.inserted;for(let n=0,r=0,o=0;o<s.sections.length;){let l=s.sections[o++],a=s.sections[o++];if(a<0)n+=l,r+=l;else{let h=n,c=r,f=U.empty;for(;h+=l,c+=a,a&&i&&(f=f.append(i[o-2>>1])),!(t||o==s.sections.length||s.sections[o+1]<0);)l=s.sections[o++],a=s.sections[o++];e(n,h,r,c,f),n=h,r=c}}}function Dr(s,e,t,i=!1){let n=[],r=i?[]:null,o=new Ui(s),l=new Ui(e);for(let a=-1;;){if(o.done&&l.len||l.done&&o.len)throw new Error("Mismatched change set lengths");if(o.ins==-1&&l.ins==-1){let h=Math.min(o.len,l.len);we(n,h,-1),o.forward(h),l.forward(h)}else if(l.ins>=0&&(o.ins<0||a==o.i||o.off==0&&(l.len<o.len||l.len==o.len&&!t))){let h=l.len;for(we(n,l.ins,-1);h;){let c=Math.min(o.len,h);o.ins>=0&&a<o.i&&o.len<=c&&(we(n,0,o.ins),r&&Dt(r,n,o.text),a=o.i),o.forward(c),h-=c}l.next()}else if(o.ins>=0){let h=0,c=o.len;for(;c;)if(l.ins==-1){let f=Math.min(c,l.len);h+=f,c-=f,l.forward(f)}else if(l.ins==0&&l.len<c)c-=l.len,l.next();else break;we(n,h,a<o.i?o.ins:0),r&&a<o.i&&Dt(r,n,o.text),a=o.i,o.forward(o.len-c)}else{if(o.done&&l.done)return r?fe.createSet(n,r):ut.create(n);throw new Error("Mismatched change set lengths")}}}function wh(s,e,t=!1){let i=[],n=t?[]:null,r=new Ui(s),o=new Ui(e);for(let l=!1;;){if(r.done&&o.done)return n?fe.createSet(i,n):ut.create(i);if(r.ins==0)we(i,r.len,0,l),r.next();else if(o.len==0&&!o.done)we(i,0,o.ins,l),n&&Dt(n,i,o.text),o.next();else{if(r.done||o.done)throw new Error("Mismatched change set lengths");{let a=Math.min(r.len2,o.len),h=i.length;if(r.ins==-1){let c=o.ins==-1?-1:o.off?0:o.ins;we(i,a,c,l),n&&c&&Dt(n,i,o.text)}else o.ins==-1?(we(i,r.off?0:r.len,a,l),n&&Dt(n,i,r.textBit(a))):(we(i,r.off?0:r.len,o.off?0:o.ins,l),n&&!o.off&&Dt(n,i,o.text));l=(r.ins>a||o.ins>=0&&o.len>a)&&(l||i.length>h),r.forward2(a),o.forward(a)}}}}class Ui{constructor(e){this.set=e,this.i=0,this.next()}next(){let{sections:e}=this.set;this.i<e.length?(this.len=e[this.i++],this.ins=e[this.i++]):(this.len=0,this.ins=-2),this.off=0}get done(){return this.ins==-2}get len2(){return this.ins<0?this.len:this.ins}get text(){let{inserted:e}=this.set,t=this.i-2>>1;return t>=e.length?U.empty:e[t]}textBit(e){let{inserted:t}=this.set,i=this.i-2>>1;return i>=t.length&&!e?U.empty:t[i].slice(this.off,e==null?void 0:this.off+e)}forward(e){e==this.len?this.next():(this.len-=e,this.off+=e)}forward2(e){this.ins==-1?this.forward(e):e==this.ins?this.next():(this.ins-=e,this.off+=e)}}class jt{constructor(e,t,i){this.from=e,this.to=t,this.flags=i}get anchor(){return this.flags&32?this.to:this.from}get head(){return this.flags&32?this.from:this.to}get empty(){return this.from==this.to}get assoc(){return this.flags&8?-1:this.flags&16?1:0}get bidiLevel(){let e=this.flags&7;return e==7?null:e}get goalColumn(){let e=this.flags>>6;return e==16777215?void 0:e}map(e,t=-1){let i,n;return this.empty?i=n=e.mapPos(this.from,t):(i=e.mapPos(this.from,1),n=e.mapPos(this.to,-1)),i==this.from&&n==this.to?this:new jt(i,n,this.flags)}extend(e,t=e){if(e<=this.anchor&&t>=this.anchor)return v.range(e,t);let i=Math.abs(e-this.anchor)>Math.abs(t-this.anchor)?e:t;return v.range(this.anchor,i)}eq(e,t=!1){return this.anchor==e.anchor&&this.head==e.head&&(!t||!this.empty||this.assoc==e.assoc)}toJSON(){return{anchor:this.anchor,head:this.head}}static fromJSON(e){if(!e||typeof e.anchor!="number"||typeof e.head!="number")throw new RangeError("Invalid JSON representation for SelectionRange");return v.range(e.anchor,e.head)}static create(e,t,i){return new jt(e,t,i)}}class v{constructor(e,t){this.ranges=e,this.mainIndex=t}map(e,t=-1){return e.empty?this:v.create(this.ranges.map(i=>i.map(e,t)),this.mainIndex)}eq(e,t=!1){if(this.ranges.length!=e.ranges.length||this.mainIndex!=e.mainIndex)return!1;for(let i=0;i<this.ranges.length;i++)if(!this.ranges[i].eq(e.ranges[i],t))return!1;return!0}get main(){return this.ranges[this.mainIndex]}asSingle(){return this.ranges.length==1?this:new v([this.main],0)}addRange(e,t=!0){return v.create([e].concat(this.ranges),t?0:this.mainIndex+1)}replaceRange(e,t=this.mainIndex){let i=this.ranges.slice();return i[t]=e,v.create(i,this.mainIndex)}toJSON(){return{ranges:this.ranges.map(e=>e.toJSON()),main:this.mainIndex}}static fromJSON(e){if(!e||!Array.isArray(e.ranges)||typeof e.main!="number"||e.main>=e.ranges.length)throw new RangeError("Invalid JSON representation for EditorSelection");return new v(e.ranges.map(t=>jt.fromJSON(t)),e.main)}static single(e,t=e){return new v([v.range(e,t)],0)}static create(e,t=0){if(e.length==0)throw new RangeError("A selection needs at least one range");for(let i=0,n=0;n<e.length;n++){let r=e[n];if(r.empty?r.from<=i:r.from<i)return v.normalized(e.slice(),t);i=r.to}return new v(e,t)}static cursor(e,t=0,i,n){return jt.create(e,e,(t==0?0:t<0?8:16)|(i==null?7:Math.min(6,i))|(n??16777215)<<6)}static range(e,t,i,n){let r=(i??16777215)<<6|(n==null?7:Math.min(6,n));return t<e?jt.create(t,e,48|r):jt.create(e,t,(t>e?8:0)|r)}static normalized(e,t=0){let i=e[t];e.sort((n,r)=>n.from-r.from),t=e.indexOf(i);for(let n=1;n<e.length;n++){let r=e[n],o=e[n-1];if(r.empty?r.from<=o.to:r.from<o.to){let l=o.from,a=Math.max(r.to,o.to);n<=t&&t--,e.splice(--n,2,r.anchor>r.head?v.range(a,l):v.range(l,a))}}return new v(e,t)}}function Sh(s,e){for(let t of s.ranges)if(t.to>e)throw new RangeError("Selection points outside of document")}let Mo=0;class D{constructor(e,t,i,n,r){this.combine=e,this.compareInput=t,this.compare=i,this.isStatic=n,this.id=Mo++,this.default=e([]),this.extensions=typeof r=="function"?r(this):r}get reader(){return this}static define(e={}){return new D(e.combine||(t=>t),e.compareInput||((t,i)=>t===i),e.compare||(e.combine?(t,i)=>t===i:To),!!e.static,e.enables)}of(e){return new js([],this,0,e)}compute(e,t){if(this.isStatic)throw new Error("Can't compute a static facet");return new js(e,this,1,t)}computeN(e,t){if(this.isStatic)throw new Error("Can't compute a static facet");return new js(e,this,2,t)}from(e,t){return t||(t=i=>i),this.compute([e],i=>t(i.field(e)))}}function To(s,e){return s==e||s.length==e.length&&s.every((t,i)=>t===e[i])}class js{constructor(e,t,i,n){this.dependencies=e,this.facet=t,this.type=i,this.value=n,this.id=Mo++}dynamicSlot(e){var t;let i=this.value,n=this.facet.compareInput,r=this.id,o=e[r]>>1,l=this.type==2,a=!1,h=!1,c=[];for(let f of this.dependencies)f=="doc"?a=!0:f=="selection"?h=!0:(((t=e[f.id])!==null&&t!==void 0?t:1)&1)==0&&c.push(e[f.id]);return{create(f){return f.values[o]=i(f),1},update(f,u){if(a&&u.docChanged||h&&(u.docChanged||u.selection)||Pr(f,c)){let d=i(f);if(l?!ul(d,f.values[o],n):!n(d,f.values[o]))return f.values[o]=d,1}return 0},reconfigure:(f,u)=>{let d,p=u.config.address[r];if(p!=null){let m=on(u,p);if(this.dependencies.every(g=>g instanceof D?u.facet(g)===f.facet(g):g instanceof ke?u.field(g,!1)==f.field(g,!1):!0)||(l?ul(d=i(f),m,n):n(d=i(f),m)))return f.values[o]=m,0}else d=i(f);return f.values[o]=d,1}}}}function ul(s,e,t){if(s.length!=e.length)return!1;for(let i=0;i<s.length;i++)if(!t(s[i],e[i]))return!1;return!0}function Pr(s,e){let t=!1;for(let i of e)zi(s,i)&1&&(t=!0);return t}function id(s,e,t){let i=t.map(a=>s[a.id]),n=t.map(a=>a.type),r=i.filter(a=>!(a&1)),o=s[e.id]>>1;function l(a){let h=[];for(let c=0;c<i.length;c++){let f=on(a,i[c]);if(n[c]==2)for(let u of f)h.push(u);else h.push(f)}return e.combine(h)}return{create(a){for(let h of i)zi(a,h);return a.values[o]=l(a),1},update(a,h){if(!Pr(a,r))return 0;let c=l(a);return e.compare(c,a.values[o])?0:(a.values[o]=c,1)},reconfigure(a,h){let c=Pr(a,i),f=h.config.facets[e.id],u=h.facet(e);if(f&&!c&&To(t,f))return a.values[o]=u,0;let d=l(a);return e.compare(d,u)?(a.values[o]=u,0):(a.values[o]=d,1)}}}const ks=D.define({static:!0});class ke{constructor(e,t,i,n,r){this.id=e,this.createF=t,this.updateF=i,this.compareF=n,this.spec=r,this.provides=void 0}static define(e){let t=new ke(Mo++,e.create,e.update,e.compare||((i,n)=>i===n),e);return e.provide&&(t.provides=e.provide(t)),t}create(e){let t=e.facet(ks).find(i=>i.field==this);return((t==null?void 0:t.create)||this.createF)(e)}slot(e){let t=e[this.id]>>1;return{create:i=>(i.values[t]=this.create(i),1),update:(i,n)=>{let r=i.values[t],o=this.updateF(r,n);return this.compareF(r,o)?0:(i.values[t]=o,1)},reconfigure:(i,n)=>{let r=i.facet(ks),o=n.facet(ks),l;return(l=r.find(a=>a.field==this))&&l!=o.find(a=>a.field==this)?(i.values[t]=l.create(i),1):n.config.address[this.id]!=null?(i.values[t]=n.field(this),0):(i.values[t]=this.create(i),1)}}}init(e){return[this,ks.of({field:this,create:e})]}get extension(){return this}}const _t={lowest:4,low:3,default:2,high:1,highest:0};function Pi(s){return e=>new Ch(e,s)}const ii={highest:Pi(_t.highest),high:Pi(_t.high),default:Pi(_t.default),low:Pi(_t.low),lowest:Pi(_t.lowest)};class Ch{constructor(e,t){this.inner=e,this.prec=t}}class as{of(e){return new Er(this,e)}reconfigure(e){return as.reconfigure.of({compartment:this,extension:e})}get(e){return e.config.compartments.get(this)}}class Er{constructor(e,t){this.compartment=e,this.inner=t}}class rn{constructor(e,t,i,n,r,o){for(this.base=e,this.compartments=t,this.dynamicSlots=i,this.address=n,this.staticValues=r,this.facets=o,this.statusTemplate=[];this.statusTemplate.length<i.length;)this.statusTemplate.push(0)}staticFacet(e){let t=this.address[e.id];return t==null?e.default:this.staticValues[t>>1]}static resolve(e,t,i){let n=[],r=Object.create(null),o=new Map;for(let u of sd(e,t,o))u instanceof ke?n.push(u):(r[u.facet.id]||(r[u.facet.id]=[])).push(u);let l=Object.create(null),a=[],h=[];for(let u of n)l[u.id]=h.length<<1,h.push(d=>u.slot(d));let c=i==null?void 0:i.config.facets;for(let u in r){let d=r[u],p=d[0].facet,m=c&&c[u]||[];if(d.every(g=>g.type==0))if(l[p.id]=a.length<<1|1,To(m,d))a.push(i.facet(p));else{let g=p.combine(d.map(y=>y.value));a.push(i&&p.compare(g,i.facet(p))?i.facet(p):g)}else{for(let g of d)g.type==0?(l[g.id]=a.length<<1|1,a.push(g.value)):(l[g.id]=h.length<<1,h.push(y=>g.dynamicSlot(y)));l[p.id]=h.length<<1,h.push(g=>id(g,p,d))}}let f=h.map(u=>u(l));return new rn(e,o,f,l,a,r)}}function sd(s,e,t){let i=[[],[],[],[],[]],n=new Map;function r(o,l){let a=n.get(o);if(a!=null){if(a<=l)return;let h=i[a].indexOf(o);h>-1&&i[a].splice(h,1),o instanceof Er&&t.delete(o.compartment)}if(n.set(o,l),Array.isArray(o))for(let h of o)r(h,l);else if(o instanceof Er){if(t.has(o.compartment))throw new RangeError("Duplicate use of compartment in extensions");let h=e.get(o.compartment)||o.inner;t.set(o.compartment,h),r(h,l)}else if(o instanceof Ch)r(o.inner,o.prec);else if(o instanceof ke)i[l].push(o),o.provides&&r(o.provides,l);else if(o instanceof js)i[l].push(o),o.facet.extensions&&r(o.facet.extensions,_t.default);else{let h=o.extension;if(!h)throw new Error(`Unrecognized extension value in extension set (${o}). This sometimes happens because multiple instances of @codemirror/state are loaded, breaking instanceof checks.`);r(h,l)}}return r(s,_t.default),i.reduce((o,l)=>o.concat(l))}function zi(s,e){if(e&1)return 2;let t=e>>1,i=s.status[t];if(i==4)throw new Error("Cyclic dependency between fields and/or facets");if(i&2)return i;s.status[t]=4;let n=s.computeSlot(s,s.config.dynamicSlots[t]);return s.status[t]=2|n}function on(s,e){return e&1?s.config.staticValues[e>>1]:s.values[e>>1]}const Ah=D.define(),Rr=D.define({combine:s=>s.some(e=>e),static:!0}),Oh=D.define({combine:s=>s.length?s[0]:void 0,static:!0}),Mh=D.define(),Th=D.define(),Dh=D.define(),Ph=D.define({combine:s=>s.length?s[0]:!1});class wt{constructor(e,t){this.type=e,this.value=t}static define(){return new nd}}class nd{of(e){return new wt(this,e)}}class rd{constructor(e){this.map=e}of(e){return new N(this,e)}}class N{constructor(e,t){this.type=e,this.value=t}map(e){let t=this.type.map(this.value,e);return t===void 0?void 0:t==this.value?this:new N(this.type,t)}is(e){return this.type==e}static define(e={}){return new rd(e.map||(t=>t))}static mapEffects(e,t){if(!e.length)return e;let i=[];for(let n of e){let r=n.map(t);r&&i.push(r)}return i}}N.reconfigure=N.define();N.appendConfig=N.define();class ue{constructor(e,t,i,n,r,o){this.startState=e,this.changes=t,this.selection=i,this.effects=n,this.annotations=r,this.scrollIntoView=o,this._doc=null,this._state=null,i&&Sh(i,t.newLength),r.some(l=>l.type==ue.time)||(this.annotations=r.concat(ue.time.of(Date.now())))}static create(e,t,i,n,r,o){return new ue(e,t,i,n,r,o)}get newDoc(){return this._doc||(this._doc=this.changes.apply(this.startState.doc))}get newSelection(){return this.selection||this.startState.selection.map(this.changes)}get state(){return this._state||this.startState.applyTransaction(this),this._state}annotation(e){for(let t of this.annotations)if(t.type==e)return t.value}get docChanged(){return!this.changes.empty}get reconfigured(){return this.startState.config!=this.state.config}isUserEvent(e){let t=this.annotation(ue.userEvent);return!!(t&&(t==e||t.length>e.length&&t.slice(0,e.length)==e&&t[e.length]=="."))}}ue.time=wt.define();ue.userEvent=wt.define();ue.addToHistory=wt.define();ue.remote=wt.define();function od(s,e){let t=[];for(let i=0,n=0;;){let r,o;if(i<s.length&&(n==e.length||e[n]>=s[i]))r=s[i++],o=s[i++];else if(n<e.length)r=e[n++],o=e[n++];else return t;!t.length||t[t.length-1]<r?t.push(r,o):t[t.length-1]<o&&(t[t.length-1]=o)}}function Eh(s,e,t){var i;let n,r,o;return t?(n=e.changes,r=fe.empty(e.changes.length),o=s.changes.compose(e.changes)):(n=e.changes.map(s.changes),r=s.changes.mapDesc(e.changes,!0),o=s.changes.compose(n)),{changes:o,selection:e.selection?e.selection.map(r):(i=s.selection)===null||i===void 0?void 0:i.map(n),effects:N.mapEffects(s.effects,n).concat(N.mapEffects(e.effects,r)),annotations:s.annotations.length?s.annotations.concat(e.annotations):e.annotations,scrollIntoView:s.scrollIntoView||e.scrollIntoView}}function Br(s,e,t){let i=e.selection,n=di(e.annotations);return e.userEvent&&(n=n.concat(ue.userEvent.of(e.userEvent))),{changes:e.changes instanceof fe?e.changes:fe.of(e.changes||[],t,s.facet(Oh)),selection:i&&(i instanceof v?i:v.single(i.anchor,i.head)),effects:di(e.effects),annotations:n,scrollIntoView:!!e.scrollIntoView}}function Rh(s,e,t){let i=Br(s,e.length?e[0]:{},s.doc.length);e.length&&e[0].filter===!1&&(t=!1);for(let r=1;r<e.length;r++){e[r].filter===!1&&(t=!1);let o=!!e[r].sequential;i=Eh(i,Br(s,e[r],o?i.changes.newLength:s.doc.length),o)}let n=ue.create(s,i.changes,i.selection,i.effects,i.annotations,i.scrollIntoView);return ad(t?ld(n):n)}function ld(s){let e=s.startState,t=!0;for(let n of e.facet(Mh)){let r=n(s);if(r===!1){t=!1;break}Array.isArray(r)&&(t=t===!0?r:od(t,r))}if(t!==!0){let n,r;if(t===!1)r=s.changes.invertedDesc,n=fe.empty(e.doc.length);else{let o=s.changes.filter(t);n=o.changes,r=o.filtered.mapDesc(o.changes).invertedDesc}s=ue.create(e,n,s.selection&&s.selection.map(r),N.mapEffects(s.effects,r),s.annotations,s.scrollIntoView)}let i=e.facet(Th);for(let n=i.length-1;n>=0;n--){let r=i[n](s);r instanceof ue?s=r:Array.isArray(r)&&r.length==1&&r[0]instanceof ue?s=r[0]:s=Rh(e,di(r),!1)}return s}function ad(s){let e=s.startState,t=e.facet(Dh),i=s;for(let n=t.length-1;n>=0;n--){let r=t[n](s);r&&Object.keys(r).length&&(i=Eh(i,Br(e,r,s.changes.newLength),!0))}return i==s?s:ue.create(e,s.changes,s.selection,i.effects,i.annotations,i.scrollIntoView)}const hd=[];function di(s){return s==null?hd:Array.isArray(s)?s:[s]}var ie=function(s){return s[s.Word=0]="Word",s[s.Space=1]="Space",s[s.Other=2]="Other",s}(ie||(ie={}));const cd=/[\u00df\u0587\u0590-\u05f4\u0600-\u06ff\u3040-\u309f\u30a0-\u30ff\u3400-\u4db5\u4e00-\u9fcc\uac00-\ud7af]/;let Lr;try{Lr=new RegExp("[\\p{Alphabetic}\\p{Number}_]","u")}catch{}function fd(s){if(Lr)return Lr.test(s);for(let e=0;e<s.length;e++){let t=s[e];if(/\w/.test(t)||t>""&&(t.toUpperCase()!=t.toLowerCase()||cd.test(t)))return!0}return!1}function ud(s){return e=>{if(!/\S/.test(e))return ie.Space;if(fd(e))return ie.Word;for(let t=0;t<s.length;t++)if(e.indexOf(s[t])>-1)return ie.Word;return ie.Other}}class z{constructor(e,t,i,n,r,o){this.config=e,this.doc=t,this.selection=i,this.values=n,this.status=e.statusTemplate.slice(),this.computeSlot=r,o&&(o._state=this);for(let l=0;l<this.config.dynamicSlots.length;l++)zi(this,l<<1);this.computeSlot=null}field(e,t=!0){let i=this.config.address[e.id];if(i==null){if(t)throw new RangeError("Field is not present in this state");return}return zi(this,i),on(this,i)}update(...e){return Rh(this,e,!0)}applyTransaction(e){let t=this.config,{base:i,compartments:n}=t;for(let l of e.effects)l.is(as.reconfigure)?(t&&(n=new Map,t.compartments.forEach((a,h)=>n.set(h,a)),t=null),n.set(l.value.compartment,l.value.extension)):l.is(N.reconfigure)?(t=null,i=l.value):l.is(N.appendConfig)&&(t=null,i=di(i).concat(l.value));let r;t?r=e.startState.values.slice():(t=rn.resolve(i,n,this),r=new z(t,this.doc,this.selection,t.dynamicSlots.map(()=>null),(a,h)=>h.reconfigure(a,this),null).values);let o=e.startState.facet(Rr)?e.newSelection:e.newSelection.asSingle();new z(t,e.newDoc,o,r,(l,a)=>a.update(l,e),e)}replaceSelection(e){return typeof e=="string"&&(e=this.toText(e)),this.changeByRange(t=>({changes:{from:t.from,to:t.to,insert:e},range:v.cursor(t.from+e.length)}))}changeByRange(e){let t=this.selection,i=e(t.ranges[0]),n=this.changes(i.changes),r=[i.range],o=di(i.effects);for(let l=1;l<t.ranges.length;l++){let a=e(t.ranges[l]),h=this.changes(a.changes),c=h.map(n);for(let u=0;u<l;u++)r[u]=r[u].map(c);let f=n.mapDesc(h,!0);r.push(a.range.map(f)),n=n.compose(c),o=N.mapEffects(o,c).concat(N.mapEffects(di(a.effects),f))}return{changes:n,selection:v.create(r,t.mainIndex),effects:o}}changes(e=[]){return e instanceof fe?e:fe.of(e,this.doc.length,this.facet(z.lineSeparator))}toText(e){return U.of(e.split(this.facet(z.lineSeparator)||Mr))}sliceDoc(e=0,t=this.doc.length){return this.doc.sliceString(e,t,this.lineBreak)}facet(e){let t=this.config.address[e.id];return t==null?e.default:(zi(this,t),on(this,t))}toJSON(e){let t={doc:this.sliceDoc(),selection:this.selection.toJSON()};if(e)for(let i in e){let n=e[i];n instanceof ke&&this.config.address[n.id]!=null&&(t[i]=n.spec.toJSON(this.field(e[i]),this))}return t}static fromJSON(e,t={},i){if(!e||typeof e.doc!="string")throw new RangeError("Invalid JSON representation for EditorState");let n=[];if(i){for(let r in i)if(Object.prototype.hasOwnProperty.call(e,r)){let o=i[r],l=e[r];n.push(o.init(a=>o.spec.fromJSON(l,a)))}}return z.create({doc:e.doc,selection:v.fromJSON(e.selection),extensions:t.extensions?n.concat([t.extensions]):n})}static create(e={}){let t=rn.resolve(e.extensions||[],new Map),i=e.doc instanceof U?e.doc:U.of((e.doc||"").split(t.staticFacet(z.lineSeparator)||Mr)),n=e.selection?e.selection instanceof v?e.selection:v.single(e.selection.anchor,e.selection.head):v.single(0);return Sh(n,i.length),t.staticFacet(Rr)||(n=n.asSingle()),new z(t,i,n,t.dynamicSlots.map(()=>null),(r,o)=>o.create(r),null)}get tabSize(){return this.facet(z.tabSize)}get lineBreak(){return this.facet(z.lineSeparator)||`
@@ -15,4 +15,7 @@ import{_ as Tu}from"./Modal-9avKWxcn.js";import{_ as Du}from"./Form-BKALYl7f.js"
 * Released under the MIT License.
 * Surmon
 */var Wb=Object.freeze({autofocus:!1,disabled:!1,indentWithTab:!0,tabSize:2,placeholder:"",autoDestroy:!0,extensions:[yu]}),zb=Symbol("vue-codemirror-global-config"),Oe,qb=function(s){var e=s.onUpdate,t=s.onChange,i=s.onFocus,n=s.onBlur,r=function(o,l){var a={};for(var h in o)Object.prototype.hasOwnProperty.call(o,h)&&l.indexOf(h)<0&&(a[h]=o[h]);if(o!=null&&typeof Object.getOwnPropertySymbols=="function"){var c=0;for(h=Object.getOwnPropertySymbols(o);c<h.length;c++)l.indexOf(h[c])<0&&Object.prototype.propertyIsEnumerable.call(o,h[c])&&(a[h[c]]=o[h[c]])}return a}(s,["onUpdate","onChange","onFocus","onBlur"]);return z.create({doc:r.doc,selection:r.selection,extensions:(Array.isArray(r.extensions)?r.extensions:[r.extensions]).concat([T.updateListener.of(function(o){e(o),o.docChanged&&t(o.state.doc.toString(),o),o.focusChanged&&(o.view.hasFocus?i(o):n(o))})])})},ai=function(s){var e=new as;return{compartment:e,run:function(t){e.get(s.state)?s.dispatch({effects:e.reconfigure(t)}):s.dispatch({effects:N.appendConfig.of(e.of(t))})}}},Ua=function(s,e){var t=ai(s),i=t.compartment,n=t.run;return function(r){var o=i.get(s.state);n(r??o!==e?e:[])}},_s={type:Boolean,default:void 0},Qb={autofocus:_s,disabled:_s,indentWithTab:_s,tabSize:Number,placeholder:String,style:Object,autoDestroy:_s,phrases:Object,root:Object,extensions:Array,selection:Object},_b={modelValue:{type:String,default:""}},$b=Object.assign(Object.assign({},Qb),_b);(function(s){s.Change="change",s.Update="update",s.Focus="focus",s.Blur="blur",s.Ready="ready",s.ModelUpdate="update:modelValue"})(Oe||(Oe={}));var Ut={};Ut[Oe.Change]=function(s,e){return!0},Ut[Oe.Update]=function(s){return!0},Ut[Oe.Focus]=function(s){return!0},Ut[Oe.Blur]=function(s){return!0},Ut[Oe.Ready]=function(s){return!0};var bu={};bu[Oe.ModelUpdate]=Ut[Oe.Change];var Ub=Object.assign(Object.assign({},Ut),bu),jb=ph({name:"VueCodemirror",props:Object.assign({},$b),emits:Object.assign({},Ub),setup:function(s,e){var t=jn(),i=jn(),n=jn(),r=Object.assign(Object.assign({},Wb),Bu(zb,{})),o=At(function(){var l={};return Object.keys(Lu(s)).forEach(function(a){var h;a!=="modelValue"&&(l[a]=(h=s[a])!==null&&h!==void 0?h:r[a])}),l});return mh(function(){var l;i.value=qb({doc:s.modelValue,selection:o.value.selection,extensions:(l=r.extensions)!==null&&l!==void 0?l:[],onFocus:function(h){return e.emit(Oe.Focus,h)},onBlur:function(h){return e.emit(Oe.Blur,h)},onUpdate:function(h){return e.emit(Oe.Update,h)},onChange:function(h,c){h!==s.modelValue&&(e.emit(Oe.Change,h,c),e.emit(Oe.ModelUpdate,h,c))}}),n.value=function(h){return new T(Object.assign({},h))}({state:i.value,parent:t.value,root:o.value.root});var a=function(h){var c=function(){return h.state.doc.toString()},f=ai(h).run,u=Ua(h,[T.editable.of(!1),z.readOnly.of(!0)]),d=Ua(h,us.of([uy])),p=ai(h).run,m=ai(h).run,g=ai(h).run,y=ai(h).run;return{focus:function(){return h.focus()},getDoc:c,setDoc:function(x){x!==c()&&h.dispatch({changes:{from:0,to:h.state.doc.length,insert:x}})},reExtensions:f,toggleDisabled:u,toggleIndentWithTab:d,setTabSize:function(x){p([z.tabSize.of(x),Fn.of(" ".repeat(x))])},setPhrases:function(x){m([z.phrases.of(x)])},setPlaceholder:function(x){g(vm(x))},setStyle:function(x){x===void 0&&(x={}),y(T.theme({"&":Object.assign({},x)}))}}}(n.value);Ct(function(){return s.modelValue},function(h){h!==a.getDoc()&&a.setDoc(h)}),Ct(function(){return s.extensions},function(h){return a.reExtensions(h||[])},{immediate:!0}),Ct(function(){return o.value.disabled},function(h){return a.toggleDisabled(h)},{immediate:!0}),Ct(function(){return o.value.indentWithTab},function(h){return a.toggleIndentWithTab(h)},{immediate:!0}),Ct(function(){return o.value.tabSize},function(h){return a.setTabSize(h)},{immediate:!0}),Ct(function(){return o.value.phrases},function(h){return a.setPhrases(h||{})},{immediate:!0}),Ct(function(){return o.value.placeholder},function(h){return a.setPlaceholder(h)},{immediate:!0}),Ct(function(){return o.value.style},function(h){return a.setStyle(h)},{immediate:!0}),o.value.autofocus&&a.focus(),e.emit(Oe.Ready,{state:i.value,view:n.value,container:t.value})}),Iu(function(){o.value.autoDestroy&&n.value&&function(l){l.destroy()}(n.value)}),function(){return Nu("div",{class:"v-codemirror",style:{display:"contents"},ref:t})}}}),Kb=jb,Gb={},ja={};class Dn{constructor(e,t,i,n,r,o,l,a,h,c=0,f){this.p=e,this.stack=t,this.state=i,this.reducePos=n,this.pos=r,this.score=o,this.buffer=l,this.bufferBase=a,this.curContext=h,this.lookAhead=c,this.parent=f}toString(){return`[${this.stack.filter((e,t)=>t%3==0).concat(this.state)}]@${this.pos}${this.score?"!"+this.score:""}`}static start(e,t,i=0){let n=e.parser.context;return new Dn(e,[],t,i,i,0,[],0,n?new Ka(n,n.start):null,0,null)}get context(){return this.curContext?this.curContext.context:null}pushState(e,t){this.stack.push(this.state,t,this.bufferBase+this.buffer.length),this.state=e}reduce(e){var t;let i=e>>19,n=e&65535,{parser:r}=this.p,o=this.reducePos<this.pos-25;o&&this.setLookAhead(this.pos);let l=r.dynamicPrecedence(n);if(l&&(this.score+=l),i==0){this.pushState(r.getGoto(this.state,n,!0),this.reducePos),n<r.minRepeatTerm&&this.storeNode(n,this.reducePos,this.reducePos,o?8:4,!0),this.reduceContext(n,this.reducePos);return}let a=this.stack.length-(i-1)*3-(e&262144?6:0),h=a?this.stack[a-2]:this.p.ranges[0].from,c=this.reducePos-h;c>=2e3&&!(!((t=this.p.parser.nodeSet.types[n])===null||t===void 0)&&t.isAnonymous)&&(h==this.p.lastBigReductionStart?(this.p.bigReductionCount++,this.p.lastBigReductionSize=c):this.p.lastBigReductionSize<c&&(this.p.bigReductionCount=1,this.p.lastBigReductionStart=h,this.p.lastBigReductionSize=c));let f=a?this.stack[a-1]:0,u=this.bufferBase+this.buffer.length-f;if(n<r.minRepeatTerm||e&131072){let d=r.stateFlag(this.state,1)?this.pos:this.reducePos;this.storeNode(n,h,d,u+4,!0)}if(e&262144)this.state=this.stack[a];else{let d=this.stack[a-3];this.state=r.getGoto(d,n,!0)}for(;this.stack.length>a;)this.stack.pop();this.reduceContext(n,h)}storeNode(e,t,i,n=4,r=!1){if(e==0&&(!this.stack.length||this.stack[this.stack.length-1]<this.buffer.length+this.bufferBase)){let o=this,l=this.buffer.length;if(l==0&&o.parent&&(l=o.bufferBase-o.parent.bufferBase,o=o.parent),l>0&&o.buffer[l-4]==0&&o.buffer[l-1]>-1){if(t==i)return;if(o.buffer[l-2]>=t){o.buffer[l-2]=i;return}}}if(!r||this.pos==i)this.buffer.push(e,t,i,n);else{let o=this.buffer.length;if(o>0&&this.buffer[o-4]!=0){let l=!1;for(let a=o;a>0&&this.buffer[a-2]>i;a-=4)if(this.buffer[a-1]>=0){l=!0;break}if(l)for(;o>0&&this.buffer[o-2]>i;)this.buffer[o]=this.buffer[o-4],this.buffer[o+1]=this.buffer[o-3],this.buffer[o+2]=this.buffer[o-2],this.buffer[o+3]=this.buffer[o-1],o-=4,n>4&&(n-=4)}this.buffer[o]=e,this.buffer[o+1]=t,this.buffer[o+2]=i,this.buffer[o+3]=n}}shift(e,t,i,n){if(e&131072)this.pushState(e&65535,this.pos);else if((e&262144)==0){let r=e,{parser:o}=this.p;(n>this.pos||t<=o.maxNode)&&(this.pos=n,o.stateFlag(r,1)||(this.reducePos=n)),this.pushState(r,i),this.shiftContext(t,i),t<=o.maxNode&&this.buffer.push(t,i,n,4)}else this.pos=n,this.shiftContext(t,i),t<=this.p.parser.maxNode&&this.buffer.push(t,i,n,4)}apply(e,t,i,n){e&65536?this.reduce(e):this.shift(e,t,i,n)}useNode(e,t){let i=this.p.reused.length-1;(i<0||this.p.reused[i]!=e)&&(this.p.reused.push(e),i++);let n=this.pos;this.reducePos=this.pos=n+e.length,this.pushState(t,n),this.buffer.push(i,n,this.reducePos,-1),this.curContext&&this.updateContext(this.curContext.tracker.reuse(this.curContext.context,e,this,this.p.stream.reset(this.pos-e.length)))}split(){let e=this,t=e.buffer.length;for(;t>0&&e.buffer[t-2]>e.reducePos;)t-=4;let i=e.buffer.slice(t),n=e.bufferBase+t;for(;e&&n==e.bufferBase;)e=e.parent;return new Dn(this.p,this.stack.slice(),this.state,this.reducePos,this.pos,this.score,i,n,this.curContext,this.lookAhead,e)}recoverByDelete(e,t){let i=e<=this.p.parser.maxNode;i&&this.storeNode(e,this.pos,t,4),this.storeNode(0,this.pos,t,i?8:4),this.pos=this.reducePos=t,this.score-=190}canShift(e){for(let t=new Xb(this);;){let i=this.p.parser.stateSlot(t.state,4)||this.p.parser.hasAction(t.state,e);if(i==0)return!1;if((i&65536)==0)return!0;t.reduce(i)}}recoverByInsert(e){if(this.stack.length>=300)return[];let t=this.p.parser.nextStates(this.state);if(t.length>8||this.stack.length>=120){let n=[];for(let r=0,o;r<t.length;r+=2)(o=t[r+1])!=this.state&&this.p.parser.hasAction(o,e)&&n.push(t[r],o);if(this.stack.length<120)for(let r=0;n.length<8&&r<t.length;r+=2){let o=t[r+1];n.some((l,a)=>a&1&&l==o)||n.push(t[r],o)}t=n}let i=[];for(let n=0;n<t.length&&i.length<4;n+=2){let r=t[n+1];if(r==this.state)continue;let o=this.split();o.pushState(r,this.pos),o.storeNode(0,o.pos,o.pos,4,!0),o.shiftContext(t[n],this.pos),o.reducePos=this.pos,o.score-=200,i.push(o)}return i}forceReduce(){let{parser:e}=this.p,t=e.stateSlot(this.state,5);if((t&65536)==0)return!1;if(!e.validAction(this.state,t)){let i=t>>19,n=t&65535,r=this.stack.length-i*3;if(r<0||e.getGoto(this.stack[r],n,!1)<0){let o=this.findForcedReduction();if(o==null)return!1;t=o}this.storeNode(0,this.pos,this.pos,4,!0),this.score-=100}return this.reducePos=this.pos,this.reduce(t),!0}findForcedReduction(){let{parser:e}=this.p,t=[],i=(n,r)=>{if(!t.includes(n))return t.push(n),e.allActions(n,o=>{if(!(o&393216))if(o&65536){let l=(o>>19)-r;if(l>1){let a=o&65535,h=this.stack.length-l*3;if(h>=0&&e.getGoto(this.stack[h],a,!1)>=0)return l<<19|65536|a}}else{let l=i(o,r+1);if(l!=null)return l}})};return i(this.state,0)}forceAll(){for(;!this.p.parser.stateFlag(this.state,2);)if(!this.forceReduce()){this.storeNode(0,this.pos,this.pos,4,!0);break}return this}get deadEnd(){if(this.stack.length!=3)return!1;let{parser:e}=this.p;return e.data[e.stateSlot(this.state,1)]==65535&&!e.stateSlot(this.state,4)}restart(){this.storeNode(0,this.pos,this.pos,4,!0),this.state=this.stack[0],this.stack.length=0}sameState(e){if(this.state!=e.state||this.stack.length!=e.stack.length)return!1;for(let t=0;t<this.stack.length;t+=3)if(this.stack[t]!=e.stack[t])return!1;return!0}get parser(){return this.p.parser}dialectEnabled(e){return this.p.parser.dialect.flags[e]}shiftContext(e,t){this.curContext&&this.updateContext(this.curContext.tracker.shift(this.curContext.context,e,this,this.p.stream.reset(t)))}reduceContext(e,t){this.curContext&&this.updateContext(this.curContext.tracker.reduce(this.curContext.context,e,this,this.p.stream.reset(t)))}emitContext(){let e=this.buffer.length-1;(e<0||this.buffer[e]!=-3)&&this.buffer.push(this.curContext.hash,this.pos,this.pos,-3)}emitLookAhead(){let e=this.buffer.length-1;(e<0||this.buffer[e]!=-4)&&this.buffer.push(this.lookAhead,this.pos,this.pos,-4)}updateContext(e){if(e!=this.curContext.context){let t=new Ka(this.curContext.tracker,e);t.hash!=this.curContext.hash&&this.emitContext(),this.curContext=t}}setLookAhead(e){e>this.lookAhead&&(this.emitLookAhead(),this.lookAhead=e)}close(){this.curContext&&this.curContext.tracker.strict&&this.emitContext(),this.lookAhead>0&&this.emitLookAhead()}}class Ka{constructor(e,t){this.tracker=e,this.context=t,this.hash=e.strict?e.hash(t):0}}class Xb{constructor(e){this.start=e,this.state=e.state,this.stack=e.stack,this.base=this.stack.length}reduce(e){let t=e&65535,i=e>>19;i==0?(this.stack==this.start.stack&&(this.stack=this.stack.slice()),this.stack.push(this.state,0,0),this.base+=3):this.base-=(i-1)*3;let n=this.start.p.parser.getGoto(this.stack[this.base-3],t,!0);this.state=n}}class Pn{constructor(e,t,i){this.stack=e,this.pos=t,this.index=i,this.buffer=e.buffer,this.index==0&&this.maybeNext()}static create(e,t=e.bufferBase+e.buffer.length){return new Pn(e,t,t-e.bufferBase)}maybeNext(){let e=this.stack.parent;e!=null&&(this.index=this.stack.bufferBase-e.bufferBase,this.stack=e,this.buffer=e.buffer)}get id(){return this.buffer[this.index-4]}get start(){return this.buffer[this.index-3]}get end(){return this.buffer[this.index-2]}get size(){return this.buffer[this.index-1]}next(){this.index-=4,this.pos-=4,this.index==0&&this.maybeNext()}fork(){return new Pn(this.stack,this.pos,this.index)}}function $s(s,e=Uint16Array){if(typeof s!="string")return s;let t=null;for(let i=0,n=0;i<s.length;){let r=0;for(;;){let o=s.charCodeAt(i++),l=!1;if(o==126){r=65535;break}o>=92&&o--,o>=34&&o--;let a=o-32;if(a>=46&&(a-=46,l=!0),r+=a,l)break;r*=46}t?t[n++]=r:t=new e(r)}return t}class sn{constructor(){this.start=-1,this.value=-1,this.end=-1,this.extended=-1,this.lookAhead=0,this.mask=0,this.context=0}}const Ga=new sn;class Yb{constructor(e,t){this.input=e,this.ranges=t,this.chunk="",this.chunkOff=0,this.chunk2="",this.chunk2Pos=0,this.next=-1,this.token=Ga,this.rangeIndex=0,this.pos=this.chunkPos=t[0].from,this.range=t[0],this.end=t[t.length-1].to,this.readNext()}resolveOffset(e,t){let i=this.range,n=this.rangeIndex,r=this.pos+e;for(;r<i.from;){if(!n)return null;let o=this.ranges[--n];r-=i.from-o.to,i=o}for(;t<0?r>i.to:r>=i.to;){if(n==this.ranges.length-1)return null;let o=this.ranges[++n];r+=o.from-i.to,i=o}return r}clipPos(e){if(e>=this.range.from&&e<this.range.to)return e;for(let t of this.ranges)if(t.to>e)return Math.max(e,t.from);return this.end}peek(e){let t=this.chunkOff+e,i,n;if(t>=0&&t<this.chunk.length)i=this.pos+e,n=this.chunk.charCodeAt(t);else{let r=this.resolveOffset(e,1);if(r==null)return-1;if(i=r,i>=this.chunk2Pos&&i<this.chunk2Pos+this.chunk2.length)n=this.chunk2.charCodeAt(i-this.chunk2Pos);else{let o=this.rangeIndex,l=this.range;for(;l.to<=i;)l=this.ranges[++o];this.chunk2=this.input.chunk(this.chunk2Pos=i),i+this.chunk2.length>l.to&&(this.chunk2=this.chunk2.slice(0,l.to-i)),n=this.chunk2.charCodeAt(0)}}return i>=this.token.lookAhead&&(this.token.lookAhead=i+1),n}acceptToken(e,t=0){let i=t?this.resolveOffset(t,-1):this.pos;if(i==null||i<this.token.start)throw new RangeError("Token end out of bounds");this.token.value=e,this.token.end=i}acceptTokenTo(e,t){this.token.value=e,this.token.end=t}getChunk(){if(this.pos>=this.chunk2Pos&&this.pos<this.chunk2Pos+this.chunk2.length){let{chunk:e,chunkPos:t}=this;this.chunk=this.chunk2,this.chunkPos=this.chunk2Pos,this.chunk2=e,this.chunk2Pos=t,this.chunkOff=this.pos-this.chunkPos}else{this.chunk2=this.chunk,this.chunk2Pos=this.chunkPos;let e=this.input.chunk(this.pos),t=this.pos+e.length;this.chunk=t>this.range.to?e.slice(0,this.range.to-this.pos):e,this.chunkPos=this.pos,this.chunkOff=0}}readNext(){return this.chunkOff>=this.chunk.length&&(this.getChunk(),this.chunkOff==this.chunk.length)?this.next=-1:this.next=this.chunk.charCodeAt(this.chunkOff)}advance(e=1){for(this.chunkOff+=e;this.pos+e>=this.range.to;){if(this.rangeIndex==this.ranges.length-1)return this.setDone();e-=this.range.to-this.pos,this.range=this.ranges[++this.rangeIndex],this.pos=this.range.from}return this.pos+=e,this.pos>=this.token.lookAhead&&(this.token.lookAhead=this.pos+1),this.readNext()}setDone(){return this.pos=this.chunkPos=this.end,this.range=this.ranges[this.rangeIndex=this.ranges.length-1],this.chunk="",this.next=-1}reset(e,t){if(t?(this.token=t,t.start=e,t.lookAhead=e+1,t.value=t.extended=-1):this.token=Ga,this.pos!=e){if(this.pos=e,e==this.end)return this.setDone(),this;for(;e<this.range.from;)this.range=this.ranges[--this.rangeIndex];for(;e>=this.range.to;)this.range=this.ranges[++this.rangeIndex];e>=this.chunkPos&&e<this.chunkPos+this.chunk.length?this.chunkOff=e-this.chunkPos:(this.chunk="",this.chunkOff=0),this.readNext()}return this}read(e,t){if(e>=this.chunkPos&&t<=this.chunkPos+this.chunk.length)return this.chunk.slice(e-this.chunkPos,t-this.chunkPos);if(e>=this.chunk2Pos&&t<=this.chunk2Pos+this.chunk2.length)return this.chunk2.slice(e-this.chunk2Pos,t-this.chunk2Pos);if(e>=this.range.from&&t<=this.range.to)return this.input.read(e,t);let i="";for(let n of this.ranges){if(n.from>=t)break;n.to>e&&(i+=this.input.read(Math.max(n.from,e),Math.min(n.to,t)))}return i}}class bi{constructor(e,t){this.data=e,this.id=t}token(e,t){let{parser:i}=t.p;Zb(this.data,e,t,this.id,i.data,i.tokenPrecTable)}}bi.prototype.contextual=bi.prototype.fallback=bi.prototype.extend=!1;bi.prototype.fallback=bi.prototype.extend=!1;class Jb{constructor(e,t={}){this.token=e,this.contextual=!!t.contextual,this.fallback=!!t.fallback,this.extend=!!t.extend}}function Zb(s,e,t,i,n,r){let o=0,l=1<<i,{dialect:a}=t.p.parser;e:for(;(l&s[o])!=0;){let h=s[o+1];for(let d=o+3;d<h;d+=2)if((s[d+1]&l)>0){let p=s[d];if(a.allows(p)&&(e.token.value==-1||e.token.value==p||e1(p,e.token.value,n,r))){e.acceptToken(p);break}}let c=e.next,f=0,u=s[o+2];if(e.next<0&&u>f&&s[h+u*3-3]==65535){o=s[h+u*3-1];continue e}for(;f<u;){let d=f+u>>1,p=h+d+(d<<1),m=s[p],g=s[p+1]||65536;if(c<m)u=d;else if(c>=g)f=d+1;else{o=s[p+2],e.advance();continue e}}break}}function Xa(s,e,t){for(let i=e,n;(n=s[i])!=65535;i++)if(n==t)return i-e;return-1}function e1(s,e,t,i){let n=Xa(t,i,e);return n<0||Xa(t,i,s)<n}const qe=typeof Gb<"u"&&ja&&/\bparse\b/.test(ja.LOG);let wr=null;function Ya(s,e,t){let i=s.cursor(de.IncludeAnonymous);for(i.moveTo(e);;)if(!(t<0?i.childBefore(e):i.childAfter(e)))for(;;){if((t<0?i.to<e:i.from>e)&&!i.type.isError)return t<0?Math.max(0,Math.min(i.to-1,e-25)):Math.min(s.length,Math.max(i.from+1,e+25));if(t<0?i.prevSibling():i.nextSibling())break;if(!i.parent())return t<0?0:s.length}}class t1{constructor(e,t){this.fragments=e,this.nodeSet=t,this.i=0,this.fragment=null,this.safeFrom=-1,this.safeTo=-1,this.trees=[],this.start=[],this.index=[],this.nextFragment()}nextFragment(){let e=this.fragment=this.i==this.fragments.length?null:this.fragments[this.i++];if(e){for(this.safeFrom=e.openStart?Ya(e.tree,e.from+e.offset,1)-e.offset:e.from,this.safeTo=e.openEnd?Ya(e.tree,e.to+e.offset,-1)-e.offset:e.to;this.trees.length;)this.trees.pop(),this.start.pop(),this.index.pop();this.trees.push(e.tree),this.start.push(-e.offset),this.index.push(0),this.nextStart=this.safeFrom}else this.nextStart=1e9}nodeAt(e){if(e<this.nextStart)return null;for(;this.fragment&&this.safeTo<=e;)this.nextFragment();if(!this.fragment)return null;for(;;){let t=this.trees.length-1;if(t<0)return this.nextFragment(),null;let i=this.trees[t],n=this.index[t];if(n==i.children.length){this.trees.pop(),this.start.pop(),this.index.pop();continue}let r=i.children[n],o=this.start[t]+i.positions[n];if(o>e)return this.nextStart=o,null;if(r instanceof ae){if(o==e){if(o<this.safeFrom)return null;let l=o+r.length;if(l<=this.safeTo){let a=r.prop(V.lookAhead);if(!a||l+a<this.fragment.to)return r}}this.index[t]++,o+r.length>=Math.max(this.safeFrom,e)&&(this.trees.push(r),this.start.push(o),this.index.push(0))}else this.index[t]++,this.nextStart=o+r.length}}}class i1{constructor(e,t){this.stream=t,this.tokens=[],this.mainToken=null,this.actions=[],this.tokens=e.tokenizers.map(i=>new sn)}getActions(e){let t=0,i=null,{parser:n}=e.p,{tokenizers:r}=n,o=n.stateSlot(e.state,3),l=e.curContext?e.curContext.hash:0,a=0;for(let h=0;h<r.length;h++){if((1<<h&o)==0)continue;let c=r[h],f=this.tokens[h];if(!(i&&!c.fallback)&&((c.contextual||f.start!=e.pos||f.mask!=o||f.context!=l)&&(this.updateCachedToken(f,c,e),f.mask=o,f.context=l),f.lookAhead>f.end+25&&(a=Math.max(f.lookAhead,a)),f.value!=0)){let u=t;if(f.extended>-1&&(t=this.addActions(e,f.extended,f.end,t)),t=this.addActions(e,f.value,f.end,t),!c.extend&&(i=f,t>u))break}}for(;this.actions.length>t;)this.actions.pop();return a&&e.setLookAhead(a),!i&&e.pos==this.stream.end&&(i=new sn,i.value=e.p.parser.eofTerm,i.start=i.end=e.pos,t=this.addActions(e,i.value,i.end,t)),this.mainToken=i,this.actions}getMainToken(e){if(this.mainToken)return this.mainToken;let t=new sn,{pos:i,p:n}=e;return t.start=i,t.end=Math.min(i+1,n.stream.end),t.value=i==n.stream.end?n.parser.eofTerm:0,t}updateCachedToken(e,t,i){let n=this.stream.clipPos(i.pos);if(t.token(this.stream.reset(n,e),i),e.value>-1){let{parser:r}=i.p;for(let o=0;o<r.specialized.length;o++)if(r.specialized[o]==e.value){let l=r.specializers[o](this.stream.read(e.start,e.end),i);if(l>=0&&i.p.parser.dialect.allows(l>>1)){(l&1)==0?e.value=l>>1:e.extended=l>>1;break}}}else e.value=0,e.end=this.stream.clipPos(n+1)}putAction(e,t,i,n){for(let r=0;r<n;r+=3)if(this.actions[r]==e)return n;return this.actions[n++]=e,this.actions[n++]=t,this.actions[n++]=i,n}addActions(e,t,i,n){let{state:r}=e,{parser:o}=e.p,{data:l}=o;for(let a=0;a<2;a++)for(let h=o.stateSlot(r,a?2:1);;h+=3){if(l[h]==65535)if(l[h+1]==1)h=gt(l,h+2);else{n==0&&l[h+1]==2&&(n=this.putAction(gt(l,h+2),t,i,n));break}l[h]==t&&(n=this.putAction(gt(l,h+1),t,i,n))}return n}}class s1{constructor(e,t,i,n){this.parser=e,this.input=t,this.ranges=n,this.recovering=0,this.nextStackID=9812,this.minStackPos=0,this.reused=[],this.stoppedAt=null,this.lastBigReductionStart=-1,this.lastBigReductionSize=0,this.bigReductionCount=0,this.stream=new Yb(t,n),this.tokens=new i1(e,this.stream),this.topTerm=e.top[1];let{from:r}=n[0];this.stacks=[Dn.start(this,e.top[0],r)],this.fragments=i.length&&this.stream.end-r>e.bufferLength*4?new t1(i,e.nodeSet):null}get parsedPos(){return this.minStackPos}advance(){let e=this.stacks,t=this.minStackPos,i=this.stacks=[],n,r;if(this.bigReductionCount>300&&e.length==1){let[o]=e;for(;o.forceReduce()&&o.stack.length&&o.stack[o.stack.length-2]>=this.lastBigReductionStart;);this.bigReductionCount=this.lastBigReductionSize=0}for(let o=0;o<e.length;o++){let l=e[o];for(;;){if(this.tokens.mainToken=null,l.pos>t)i.push(l);else{if(this.advanceStack(l,i,e))continue;{n||(n=[],r=[]),n.push(l);let a=this.tokens.getMainToken(l);r.push(a.value,a.end)}}break}}if(!i.length){let o=n&&r1(n);if(o)return qe&&console.log("Finish with "+this.stackID(o)),this.stackToTree(o);if(this.parser.strict)throw qe&&n&&console.log("Stuck with token "+(this.tokens.mainToken?this.parser.getName(this.tokens.mainToken.value):"none")),new SyntaxError("No parse at "+t);this.recovering||(this.recovering=5)}if(this.recovering&&n){let o=this.stoppedAt!=null&&n[0].pos>this.stoppedAt?n[0]:this.runRecovery(n,r,i);if(o)return qe&&console.log("Force-finish "+this.stackID(o)),this.stackToTree(o.forceAll())}if(this.recovering){let o=this.recovering==1?1:this.recovering*3;if(i.length>o)for(i.sort((l,a)=>a.score-l.score);i.length>o;)i.pop();i.some(l=>l.reducePos>t)&&this.recovering--}else if(i.length>1){e:for(let o=0;o<i.length-1;o++){let l=i[o];for(let a=o+1;a<i.length;a++){let h=i[a];if(l.sameState(h)||l.buffer.length>500&&h.buffer.length>500)if((l.score-h.score||l.buffer.length-h.buffer.length)>0)i.splice(a--,1);else{i.splice(o--,1);continue e}}}i.length>12&&i.splice(12,i.length-12)}this.minStackPos=i[0].pos;for(let o=1;o<i.length;o++)i[o].pos<this.minStackPos&&(this.minStackPos=i[o].pos);return null}stopAt(e){if(this.stoppedAt!=null&&this.stoppedAt<e)throw new RangeError("Can't move stoppedAt forward");this.stoppedAt=e}advanceStack(e,t,i){let n=e.pos,{parser:r}=this,o=qe?this.stackID(e)+" -> ":"";if(this.stoppedAt!=null&&n>this.stoppedAt)return e.forceReduce()?e:null;if(this.fragments){let h=e.curContext&&e.curContext.tracker.strict,c=h?e.curContext.hash:0;for(let f=this.fragments.nodeAt(n);f;){let u=this.parser.nodeSet.types[f.type.id]==f.type?r.getGoto(e.state,f.type.id):-1;if(u>-1&&f.length&&(!h||(f.prop(V.contextHash)||0)==c))return e.useNode(f,u),qe&&console.log(o+this.stackID(e)+` (via reuse of ${r.getName(f.type.id)})`),!0;if(!(f instanceof ae)||f.children.length==0||f.positions[0]>0)break;let d=f.children[0];if(d instanceof ae&&f.positions[0]==0)f=d;else break}}let l=r.stateSlot(e.state,4);if(l>0)return e.reduce(l),qe&&console.log(o+this.stackID(e)+` (via always-reduce ${r.getName(l&65535)})`),!0;if(e.stack.length>=8400)for(;e.stack.length>6e3&&e.forceReduce(););let a=this.tokens.getActions(e);for(let h=0;h<a.length;){let c=a[h++],f=a[h++],u=a[h++],d=h==a.length||!i,p=d?e:e.split(),m=this.tokens.mainToken;if(p.apply(c,f,m?m.start:p.pos,u),qe&&console.log(o+this.stackID(p)+` (via ${(c&65536)==0?"shift":`reduce of ${r.getName(c&65535)}`} for ${r.getName(f)} @ ${n}${p==e?"":", split"})`),d)return!0;p.pos>n?t.push(p):i.push(p)}return!1}advanceFully(e,t){let i=e.pos;for(;;){if(!this.advanceStack(e,null,null))return!1;if(e.pos>i)return Ja(e,t),!0}}runRecovery(e,t,i){let n=null,r=!1;for(let o=0;o<e.length;o++){let l=e[o],a=t[o<<1],h=t[(o<<1)+1],c=qe?this.stackID(l)+" -> ":"";if(l.deadEnd&&(r||(r=!0,l.restart(),qe&&console.log(c+this.stackID(l)+" (restarted)"),this.advanceFully(l,i))))continue;let f=l.split(),u=c;for(let d=0;f.forceReduce()&&d<10&&(qe&&console.log(u+this.stackID(f)+" (via force-reduce)"),!this.advanceFully(f,i));d++)qe&&(u=this.stackID(f)+" -> ");for(let d of l.recoverByInsert(a))qe&&console.log(c+this.stackID(d)+" (via recover-insert)"),this.advanceFully(d,i);this.stream.end>l.pos?(h==l.pos&&(h++,a=0),l.recoverByDelete(a,h),qe&&console.log(c+this.stackID(l)+` (via recover-delete ${this.parser.getName(a)})`),Ja(l,i)):(!n||n.score<l.score)&&(n=l)}return n}stackToTree(e){return e.close(),ae.build({buffer:Pn.create(e),nodeSet:this.parser.nodeSet,topID:this.topTerm,maxBufferLength:this.parser.bufferLength,reused:this.reused,start:this.ranges[0].from,length:e.pos-this.ranges[0].from,minRepeatType:this.parser.minRepeatTerm})}stackID(e){let t=(wr||(wr=new WeakMap)).get(e);return t||wr.set(e,t=String.fromCodePoint(this.nextStackID++)),t+e}}function Ja(s,e){for(let t=0;t<e.length;t++){let i=e[t];if(i.pos==s.pos&&i.sameState(s)){e[t].score<s.score&&(e[t]=s);return}}e.push(s)}class n1{constructor(e,t,i){this.source=e,this.flags=t,this.disabled=i}allows(e){return!this.disabled||this.disabled[e]==0}}class En extends Uc{constructor(e){if(super(),this.wrappers=[],e.version!=14)throw new RangeError(`Parser version (${e.version}) doesn't match runtime version (14)`);let t=e.nodeNames.split(" ");this.minRepeatTerm=t.length;for(let l=0;l<e.repeatNodeCount;l++)t.push("");let i=Object.keys(e.topRules).map(l=>e.topRules[l][1]),n=[];for(let l=0;l<t.length;l++)n.push([]);function r(l,a,h){n[l].push([a,a.deserialize(String(h))])}if(e.nodeProps)for(let l of e.nodeProps){let a=l[0];typeof a=="string"&&(a=V[a]);for(let h=1;h<l.length;){let c=l[h++];if(c>=0)r(c,a,l[h++]);else{let f=l[h+-c];for(let u=-c;u>0;u--)r(l[h++],a,f);h++}}}this.nodeSet=new qo(t.map((l,a)=>Fe.define({name:a>=this.minRepeatTerm?void 0:l,id:a,props:n[a],top:i.indexOf(a)>-1,error:a==0,skipped:e.skippedNodes&&e.skippedNodes.indexOf(a)>-1}))),e.propSources&&(this.nodeSet=this.nodeSet.extend(...e.propSources)),this.strict=!1,this.bufferLength=qc;let o=$s(e.tokenData);this.context=e.context,this.specializerSpecs=e.specialized||[],this.specialized=new Uint16Array(this.specializerSpecs.length);for(let l=0;l<this.specializerSpecs.length;l++)this.specialized[l]=this.specializerSpecs[l].term;this.specializers=this.specializerSpecs.map(Za),this.states=$s(e.states,Uint32Array),this.data=$s(e.stateData),this.goto=$s(e.goto),this.maxTerm=e.maxTerm,this.tokenizers=e.tokenizers.map(l=>typeof l=="number"?new bi(o,l):l),this.topRules=e.topRules,this.dialects=e.dialects||{},this.dynamicPrecedences=e.dynamicPrecedences||null,this.tokenPrecTable=e.tokenPrec,this.termNames=e.termNames||null,this.maxNode=this.nodeSet.types.length-1,this.dialect=this.parseDialect(),this.top=this.topRules[Object.keys(this.topRules)[0]]}createParse(e,t,i){let n=new s1(this,e,t,i);for(let r of this.wrappers)n=r(n,e,t,i);return n}getGoto(e,t,i=!1){let n=this.goto;if(t>=n[0])return-1;for(let r=n[t+1];;){let o=n[r++],l=o&1,a=n[r++];if(l&&i)return a;for(let h=r+(o>>1);r<h;r++)if(n[r]==e)return a;if(l)return-1}}hasAction(e,t){let i=this.data;for(let n=0;n<2;n++)for(let r=this.stateSlot(e,n?2:1),o;;r+=3){if((o=i[r])==65535)if(i[r+1]==1)o=i[r=gt(i,r+2)];else{if(i[r+1]==2)return gt(i,r+2);break}if(o==t||o==0)return gt(i,r+1)}return 0}stateSlot(e,t){return this.states[e*6+t]}stateFlag(e,t){return(this.stateSlot(e,0)&t)>0}validAction(e,t){return!!this.allActions(e,i=>i==t?!0:null)}allActions(e,t){let i=this.stateSlot(e,4),n=i?t(i):void 0;for(let r=this.stateSlot(e,1);n==null;r+=3){if(this.data[r]==65535)if(this.data[r+1]==1)r=gt(this.data,r+2);else break;n=t(gt(this.data,r+1))}return n}nextStates(e){let t=[];for(let i=this.stateSlot(e,1);;i+=3){if(this.data[i]==65535)if(this.data[i+1]==1)i=gt(this.data,i+2);else break;if((this.data[i+2]&1)==0){let n=this.data[i+1];t.some((r,o)=>o&1&&r==n)||t.push(this.data[i],n)}}return t}configure(e){let t=Object.assign(Object.create(En.prototype),this);if(e.props&&(t.nodeSet=this.nodeSet.extend(...e.props)),e.top){let i=this.topRules[e.top];if(!i)throw new RangeError(`Invalid top rule name ${e.top}`);t.top=i}return e.tokenizers&&(t.tokenizers=this.tokenizers.map(i=>{let n=e.tokenizers.find(r=>r.from==i);return n?n.to:i})),e.specializers&&(t.specializers=this.specializers.slice(),t.specializerSpecs=this.specializerSpecs.map((i,n)=>{let r=e.specializers.find(l=>l.from==i.external);if(!r)return i;let o=Object.assign(Object.assign({},i),{external:r.to});return t.specializers[n]=Za(o),o})),e.contextTracker&&(t.context=e.contextTracker),e.dialect&&(t.dialect=this.parseDialect(e.dialect)),e.strict!=null&&(t.strict=e.strict),e.wrap&&(t.wrappers=t.wrappers.concat(e.wrap)),e.bufferLength!=null&&(t.bufferLength=e.bufferLength),t}hasWrappers(){return this.wrappers.length>0}getName(e){return this.termNames?this.termNames[e]:String(e<=this.maxNode&&this.nodeSet.types[e].name||e)}get eofTerm(){return this.maxNode+1}get topNode(){return this.nodeSet.types[this.top[1]]}dynamicPrecedence(e){let t=this.dynamicPrecedences;return t==null?0:t[e]||0}parseDialect(e){let t=Object.keys(this.dialects),i=t.map(()=>!1);if(e)for(let r of e.split(" ")){let o=t.indexOf(r);o>=0&&(i[o]=!0)}let n=null;for(let r=0;r<t.length;r++)if(!i[r])for(let o=this.dialects[t[r]],l;(l=this.data[o++])!=65535;)(n||(n=new Uint8Array(this.maxTerm+1)))[l]=1;return new n1(e,i,n)}static deserialize(e){return new En(e)}}function gt(s,e){return s[e]|s[e+1]<<16}function r1(s){let e=null;for(let t of s){let i=t.p.stoppedAt;(t.pos==t.p.stream.end||i!=null&&t.pos>i)&&t.p.parser.stateFlag(t.state,2)&&(!e||e.score<t.score)&&(e=t)}return e}function Za(s){if(s.external){let e=s.extend?1:0;return(t,i)=>s.external(t,i)<<1|e}return s.get}const o1=36,eh=1,l1=2,ri=3,Sr=4,a1=5,h1=6,c1=7,f1=8,u1=9,d1=10,p1=11,m1=12,g1=13,y1=14,b1=15,x1=16,v1=17,th=18,k1=19,xu=20,vu=21,ih=22,w1=23,S1=24;function ko(s){return s>=65&&s<=90||s>=97&&s<=122||s>=48&&s<=57}function C1(s){return s>=48&&s<=57||s>=97&&s<=102||s>=65&&s<=70}function Qt(s,e,t){for(let i=!1;;){if(s.next<0)return;if(s.next==e&&!i){s.advance();return}i=t&&!i&&s.next==92,s.advance()}}function A1(s,e){e:for(;;){if(s.next<0)return;if(s.next==36){s.advance();for(let t=0;t<e.length;t++){if(s.next!=e.charCodeAt(t))continue e;s.advance()}if(s.next==36){s.advance();return}}else s.advance()}}function O1(s,e){let t="[{<(".indexOf(String.fromCharCode(e)),i=t<0?e:"]}>)".charCodeAt(t);for(;;){if(s.next<0)return;if(s.next==i&&s.peek(1)==39){s.advance(2);return}s.advance()}}function wo(s,e){for(;!(s.next!=95&&!ko(s.next));)e!=null&&(e+=String.fromCharCode(s.next)),s.advance();return e}function M1(s){if(s.next==39||s.next==34||s.next==96){let e=s.next;s.advance(),Qt(s,e,!1)}else wo(s)}function sh(s,e){for(;s.next==48||s.next==49;)s.advance();e&&s.next==e&&s.advance()}function nh(s,e){for(;;){if(s.next==46){if(e)break;e=!0}else if(s.next<48||s.next>57)break;s.advance()}if(s.next==69||s.next==101)for(s.advance(),(s.next==43||s.next==45)&&s.advance();s.next>=48&&s.next<=57;)s.advance()}function rh(s){for(;!(s.next<0||s.next==10);)s.advance()}function qt(s,e){for(let t=0;t<e.length;t++)if(e.charCodeAt(t)==s)return!0;return!1}const Cr=` 	\r
-`;function ku(s,e,t){let i=Object.create(null);i.true=i.false=a1,i.null=i.unknown=h1;for(let n of s.split(" "))n&&(i[n]=xu);for(let n of e.split(" "))n&&(i[n]=vu);for(let n of(t||"").split(" "))n&&(i[n]=S1);return i}const T1="array binary bit boolean char character clob date decimal double float int integer interval large national nchar nclob numeric object precision real smallint time timestamp varchar varying ",D1="absolute action add after all allocate alter and any are as asc assertion at authorization before begin between both breadth by call cascade cascaded case cast catalog check close collate collation column commit condition connect connection constraint constraints constructor continue corresponding count create cross cube current current_date current_default_transform_group current_transform_group_for_type current_path current_role current_time current_timestamp current_user cursor cycle data day deallocate declare default deferrable deferred delete depth deref desc describe descriptor deterministic diagnostics disconnect distinct do domain drop dynamic each else elseif end end-exec equals escape except exception exec execute exists exit external fetch first for foreign found from free full function general get global go goto grant group grouping handle having hold hour identity if immediate in indicator initially inner inout input insert intersect into is isolation join key language last lateral leading leave left level like limit local localtime localtimestamp locator loop map match method minute modifies module month names natural nesting new next no none not of old on only open option or order ordinality out outer output overlaps pad parameter partial path prepare preserve primary prior privileges procedure public read reads recursive redo ref references referencing relative release repeat resignal restrict result return returns revoke right role rollback rollup routine row rows savepoint schema scroll search second section select session session_user set sets signal similar size some space specific specifictype sql sqlexception sqlstate sqlwarning start state static system_user table temporary then timezone_hour timezone_minute to trailing transaction translation treat trigger under undo union unique unnest until update usage user using value values view when whenever where while with without work write year zone ",So={backslashEscapes:!1,hashComments:!1,spaceAfterDashes:!1,slashComments:!1,doubleQuotedStrings:!1,doubleDollarQuotedStrings:!1,unquotedBitLiterals:!1,treatBitsAsBytes:!1,charSetCasts:!1,plsqlQuotingMechanism:!1,operatorChars:"*+-%<>!=&|~^/",specialVar:"?",identifierQuotes:'"',caseInsensitiveIdentifiers:!1,words:ku(D1,T1)};function P1(s,e,t,i){let n={};for(let r in So)n[r]=(s.hasOwnProperty(r)?s:So)[r];return e&&(n.words=ku(e,t||"",i)),n}function wu(s){return new Jb(e=>{var t;let{next:i}=e;if(e.advance(),qt(i,Cr)){for(;qt(e.next,Cr);)e.advance();e.acceptToken(o1)}else if(i==36&&s.doubleDollarQuotedStrings){let n=wo(e,"");e.next==36&&(e.advance(),A1(e,n),e.acceptToken(ri))}else if(i==39||i==34&&s.doubleQuotedStrings)Qt(e,i,s.backslashEscapes),e.acceptToken(ri);else if(i==35&&s.hashComments||i==47&&e.next==47&&s.slashComments)rh(e),e.acceptToken(eh);else if(i==45&&e.next==45&&(!s.spaceAfterDashes||e.peek(1)==32))rh(e),e.acceptToken(eh);else if(i==47&&e.next==42){e.advance();for(let n=1;;){let r=e.next;if(e.next<0)break;if(e.advance(),r==42&&e.next==47){if(n--,e.advance(),!n)break}else r==47&&e.next==42&&(n++,e.advance())}e.acceptToken(l1)}else if((i==101||i==69)&&e.next==39)e.advance(),Qt(e,39,!0),e.acceptToken(ri);else if((i==110||i==78)&&e.next==39&&s.charSetCasts)e.advance(),Qt(e,39,s.backslashEscapes),e.acceptToken(ri);else if(i==95&&s.charSetCasts)for(let n=0;;n++){if(e.next==39&&n>1){e.advance(),Qt(e,39,s.backslashEscapes),e.acceptToken(ri);break}if(!ko(e.next))break;e.advance()}else if(s.plsqlQuotingMechanism&&(i==113||i==81)&&e.next==39&&e.peek(1)>0&&!qt(e.peek(1),Cr)){let n=e.peek(1);e.advance(2),O1(e,n),e.acceptToken(ri)}else if(i==40)e.acceptToken(c1);else if(i==41)e.acceptToken(f1);else if(i==123)e.acceptToken(u1);else if(i==125)e.acceptToken(d1);else if(i==91)e.acceptToken(p1);else if(i==93)e.acceptToken(m1);else if(i==59)e.acceptToken(g1);else if(s.unquotedBitLiterals&&i==48&&e.next==98)e.advance(),sh(e),e.acceptToken(ih);else if((i==98||i==66)&&(e.next==39||e.next==34)){const n=e.next;e.advance(),s.treatBitsAsBytes?(Qt(e,n,s.backslashEscapes),e.acceptToken(w1)):(sh(e,n),e.acceptToken(ih))}else if(i==48&&(e.next==120||e.next==88)||(i==120||i==88)&&e.next==39){let n=e.next==39;for(e.advance();C1(e.next);)e.advance();n&&e.next==39&&e.advance(),e.acceptToken(Sr)}else if(i==46&&e.next>=48&&e.next<=57)nh(e,!0),e.acceptToken(Sr);else if(i==46)e.acceptToken(y1);else if(i>=48&&i<=57)nh(e,!1),e.acceptToken(Sr);else if(qt(i,s.operatorChars)){for(;qt(e.next,s.operatorChars);)e.advance();e.acceptToken(b1)}else if(qt(i,s.specialVar))e.next==i&&e.advance(),M1(e),e.acceptToken(v1);else if(qt(i,s.identifierQuotes))Qt(e,i,!1),e.acceptToken(k1);else if(i==58||i==44)e.acceptToken(x1);else if(ko(i)){let n=wo(e,String.fromCharCode(i));e.acceptToken(e.next==46||e.peek(-n.length-1)==46?th:(t=s.words[n.toLowerCase()])!==null&&t!==void 0?t:th)}})}const Su=wu(So),E1=En.deserialize({version:14,states:"%vQ]QQOOO#wQRO'#DSO$OQQO'#CwO%eQQO'#CxO%lQQO'#CyO%sQQO'#CzOOQQ'#DS'#DSOOQQ'#C}'#C}O'UQRO'#C{OOQQ'#Cv'#CvOOQQ'#C|'#C|Q]QQOOQOQQOOO'`QQO'#DOO(xQRO,59cO)PQQO,59cO)UQQO'#DSOOQQ,59d,59dO)cQQO,59dOOQQ,59e,59eO)jQQO,59eOOQQ,59f,59fO)qQQO,59fOOQQ-E6{-E6{OOQQ,59b,59bOOQQ-E6z-E6zOOQQ,59j,59jOOQQ-E6|-E6|O+VQRO1G.}O+^QQO,59cOOQQ1G/O1G/OOOQQ1G/P1G/POOQQ1G/Q1G/QP+kQQO'#C}O+rQQO1G.}O)PQQO,59cO,PQQO'#Cw",stateData:",[~OtOSPOSQOS~ORUOSUOTUOUUOVROXSOZTO]XO^QO_UO`UOaPObPOcPOdUOeUOfUOgUOhUO~O^]ORvXSvXTvXUvXVvXXvXZvX]vX_vX`vXavXbvXcvXdvXevXfvXgvXhvX~OsvX~P!jOa_Ob_Oc_O~ORUOSUOTUOUUOVROXSOZTO^tO_UO`UOa`Ob`Oc`OdUOeUOfUOgUOhUO~OWaO~P$ZOYcO~P$ZO[eO~P$ZORUOSUOTUOUUOVROXSOZTO^QO_UO`UOaPObPOcPOdUOeUOfUOgUOhUO~O]hOsoX~P%zOajObjOcjO~O^]ORkaSkaTkaUkaVkaXkaZka]ka_ka`kaakabkackadkaekafkagkahka~Oska~P'kO^]O~OWvXYvX[vX~P!jOWnO~P$ZOYoO~P$ZO[pO~P$ZO^]ORkiSkiTkiUkiVkiXkiZki]ki_ki`kiakibkickidkiekifkigkihki~Oski~P)xOWkaYka[ka~P'kO]hO~P$ZOWkiYki[ki~P)xOasObsOcsO~O",goto:"#hwPPPPPPPPPPPPPPPPPPPPPPPPPPx||||!Y!^!d!xPPP#[TYOZeUORSTWZbdfqT[OZQZORiZSWOZQbRQdSQfTZgWbdfqQ^PWk^lmrQl_Qm`RrseVORSTWZbdfq",nodeNames:"⚠ LineComment BlockComment String Number Bool Null ( ) { } [ ] ; . Operator Punctuation SpecialVar Identifier QuotedIdentifier Keyword Type Bits Bytes Builtin Script Statement CompositeIdentifier Parens Braces Brackets Statement",maxTerm:38,nodeProps:[["isolate",-4,1,2,3,19,""]],skippedNodes:[0,1,2],repeatNodeCount:3,tokenData:"RORO",tokenizers:[0,Su],topRules:{Script:[0,25]},tokenPrec:0});function Co(s){let e=s.cursor().moveTo(s.from,-1);for(;/Comment/.test(e.name);)e.moveTo(e.from,-1);return e.node}function ls(s,e){let t=s.sliceString(e.from,e.to),i=/^([`'"])(.*)\1$/.exec(t);return i?i[2]:t}function Rn(s){return s&&(s.name=="Identifier"||s.name=="QuotedIdentifier")}function R1(s,e){if(e.name=="CompositeIdentifier"){let t=[];for(let i=e.firstChild;i;i=i.nextSibling)Rn(i)&&t.push(ls(s,i));return t}return[ls(s,e)]}function oh(s,e){for(let t=[];;){if(!e||e.name!=".")return t;let i=Co(e);if(!Rn(i))return t;t.unshift(ls(s,i)),e=Co(i)}}function B1(s,e){let t=me(s).resolveInner(e,-1),i=I1(s.doc,t);return t.name=="Identifier"||t.name=="QuotedIdentifier"||t.name=="Keyword"?{from:t.from,quoted:t.name=="QuotedIdentifier"?s.doc.sliceString(t.from,t.from+1):null,parents:oh(s.doc,Co(t)),aliases:i}:t.name=="."?{from:e,quoted:null,parents:oh(s.doc,t),aliases:i}:{from:e,quoted:null,parents:[],empty:!0,aliases:i}}const L1=new Set("where group having order union intersect except all distinct limit offset fetch for".split(" "));function I1(s,e){let t;for(let n=e;!t;n=n.parent){if(!n)return null;n.name=="Statement"&&(t=n)}let i=null;for(let n=t.firstChild,r=!1,o=null;n;n=n.nextSibling){let l=n.name=="Keyword"?s.sliceString(n.from,n.to).toLowerCase():null,a=null;if(!r)r=l=="from";else if(l=="as"&&o&&Rn(n.nextSibling))a=ls(s,n.nextSibling);else{if(l&&L1.has(l))break;o&&Rn(n)&&(a=ls(s,n))}a&&(i||(i=Object.create(null)),i[a]=R1(s,o)),o=/Identifier$/.test(n.name)?n:null}return i}function N1(s,e){return s?e.map(t=>({...t,label:t.label[0]==s?t.label:s+t.label+s,apply:void 0})):e}const F1=/^\w*$/,H1=/^[`'"]?\w*[`'"]?$/;function lh(s){return s.self&&typeof s.self.label=="string"}class rl{constructor(e,t){this.idQuote=e,this.idCaseInsensitive=t,this.list=[],this.children=void 0}child(e){let t=this.children||(this.children=Object.create(null)),i=t[e];return i||(e&&!this.list.some(n=>n.label==e)&&this.list.push(ah(e,"type",this.idQuote,this.idCaseInsensitive)),t[e]=new rl(this.idQuote,this.idCaseInsensitive))}maybeChild(e){return this.children?this.children[e]:null}addCompletion(e){let t=this.list.findIndex(i=>i.label==e.label);t>-1?this.list[t]=e:this.list.push(e)}addCompletions(e){for(let t of e)this.addCompletion(typeof t=="string"?ah(t,"property",this.idQuote,this.idCaseInsensitive):t)}addNamespace(e){Array.isArray(e)?this.addCompletions(e):lh(e)?this.addNamespace(e.children):this.addNamespaceObject(e)}addNamespaceObject(e){for(let t of Object.keys(e)){let i=e[t],n=null,r=t.replace(/\\?\./g,l=>l=="."?"\0":l).split("\0"),o=this;lh(i)&&(n=i.self,i=i.children);for(let l=0;l<r.length;l++)n&&l==r.length-1&&o.addCompletion(n),o=o.child(r[l].replace(/\\\./g,"."));o.addNamespace(i)}}}function ah(s,e,t,i){return new RegExp("^[a-z_][a-z_\\d]*$",i?"i":"").test(s)?{label:s,type:e}:{label:s,type:e,apply:t+s+t}}function V1(s,e,t,i,n,r){var o;let l=((o=r==null?void 0:r.spec.identifierQuotes)===null||o===void 0?void 0:o[0])||'"',a=new rl(l,!!(r!=null&&r.spec.caseInsensitiveIdentifiers)),h=n?a.child(n):null;return a.addNamespace(s),e&&(h||a).addCompletions(e),t&&a.addCompletions(t),h&&a.addCompletions(h.list),i&&a.addCompletions((h||a).child(i).list),c=>{let{parents:f,from:u,quoted:d,empty:p,aliases:m}=B1(c.state,c.pos);if(p&&!c.explicit)return null;m&&f.length==1&&(f=m[f[0]]||f);let g=a;for(let S of f){for(;!g.children||!g.children[S];)if(g==a&&h)g=h;else if(g==h&&i)g=g.child(i);else return null;let C=g.maybeChild(S);if(!C)return null;g=C}let y=d&&c.state.sliceDoc(c.pos,c.pos+1)==d,x=g.list;return g==a&&m&&(x=x.concat(Object.keys(m).map(S=>({label:S,type:"constant"})))),{from:u,to:y?c.pos+1:void 0,options:N1(d,x),validFor:d?H1:F1}}}function W1(s){return s==vu?"type":s==xu?"keyword":"variable"}function z1(s,e,t){let i=Object.keys(s).map(n=>t(e?n.toUpperCase():n,W1(s[n])));return qy(["QuotedIdentifier","SpecialVar","String","LineComment","BlockComment","."],iu(i))}let q1=E1.configure({props:[Yc.add({Statement:Cg()}),Zc.add({Statement(s,e){return{from:Math.min(s.from+100,e.doc.lineAt(s.from).to),to:s.to}},BlockComment(s){return{from:s.from+2,to:s.to-2}}}),jc({Keyword:b.keyword,Type:b.typeName,Builtin:b.standard(b.name),Bits:b.number,Bytes:b.string,Bool:b.bool,Null:b.null,Number:b.number,String:b.string,Identifier:b.name,QuotedIdentifier:b.special(b.string),SpecialVar:b.special(b.name),LineComment:b.lineComment,BlockComment:b.blockComment,Operator:b.operator,"Semi Punctuation":b.punctuation,"( )":b.paren,"{ }":b.brace,"[ ]":b.squareBracket})]});class Bn{constructor(e,t,i){this.dialect=e,this.language=t,this.spec=i}get extension(){return this.language.extension}configureLanguage(e,t){return new Bn(this.dialect,this.language.configure(e,t),this.spec)}static define(e){let t=P1(e,e.keywords,e.types,e.builtin),i=gn.define({name:"sql",parser:q1.configure({tokenizers:[{from:Su,to:wu(t)}]}),languageData:{commentTokens:{line:"--",block:{open:"/*",close:"*/"}},closeBrackets:{brackets:["(","[","{","'",'"',"`"]}}});return new Bn(t,i,e)}}function Q1(s,e){return{label:s,type:e,boost:-1}}function _1(s,e=!1,t){return z1(s.dialect.words,e,t||Q1)}function $1(s){return s.schema?V1(s.schema,s.tables,s.schemas,s.defaultTable,s.defaultSchema,s.dialect||ol):()=>null}function U1(s){return s.schema?(s.dialect||ol).language.data.of({autocomplete:$1(s)}):[]}function j1(s={}){let e=s.dialect||ol;return new mg(e.language,[U1(s),e.language.data.of({autocomplete:_1(e,s.upperCaseKeywords,s.keywordCompletion)})])}const ol=Bn.define({}),K1="#e5c07b",hh="#e06c75",G1="#56b6c2",X1="#ffffff",nn="#abb2bf",Ao="#7d8799",Y1="#61afef",J1="#98c379",ch="#d19a66",Z1="#c678dd",ex="#21252b",fh="#2c313a",uh="#282c34",Ar="#353a42",tx="#3E4451",dh="#528bff",ix=T.theme({"&":{color:nn,backgroundColor:uh},".cm-content":{caretColor:dh},".cm-cursor, .cm-dropCursor":{borderLeftColor:dh},"&.cm-focused > .cm-scroller > .cm-selectionLayer .cm-selectionBackground, .cm-selectionBackground, .cm-content ::selection":{backgroundColor:tx},".cm-panels":{backgroundColor:ex,color:nn},".cm-panels.cm-panels-top":{borderBottom:"2px solid black"},".cm-panels.cm-panels-bottom":{borderTop:"2px solid black"},".cm-searchMatch":{backgroundColor:"#72a1ff59",outline:"1px solid #457dff"},".cm-searchMatch.cm-searchMatch-selected":{backgroundColor:"#6199ff2f"},".cm-activeLine":{backgroundColor:"#6699ff0b"},".cm-selectionMatch":{backgroundColor:"#aafe661a"},"&.cm-focused .cm-matchingBracket, &.cm-focused .cm-nonmatchingBracket":{backgroundColor:"#bad0f847"},".cm-gutters":{backgroundColor:uh,color:Ao,border:"none"},".cm-activeLineGutter":{backgroundColor:fh},".cm-foldPlaceholder":{backgroundColor:"transparent",border:"none",color:"#ddd"},".cm-tooltip":{border:"none",backgroundColor:Ar},".cm-tooltip .cm-tooltip-arrow:before":{borderTopColor:"transparent",borderBottomColor:"transparent"},".cm-tooltip .cm-tooltip-arrow:after":{borderTopColor:Ar,borderBottomColor:Ar},".cm-tooltip-autocomplete":{"& > ul > li[aria-selected]":{backgroundColor:fh,color:nn}}},{dark:!0}),sx=ms.define([{tag:b.keyword,color:Z1},{tag:[b.name,b.deleted,b.character,b.propertyName,b.macroName],color:hh},{tag:[b.function(b.variableName),b.labelName],color:Y1},{tag:[b.color,b.constant(b.name),b.standard(b.name)],color:ch},{tag:[b.definition(b.name),b.separator],color:nn},{tag:[b.typeName,b.className,b.number,b.changed,b.annotation,b.modifier,b.self,b.namespace],color:K1},{tag:[b.operator,b.operatorKeyword,b.url,b.escape,b.regexp,b.link,b.special(b.string)],color:G1},{tag:[b.meta,b.comment],color:Ao},{tag:b.strong,fontWeight:"bold"},{tag:b.emphasis,fontStyle:"italic"},{tag:b.strikethrough,textDecoration:"line-through"},{tag:b.link,color:Ao,textDecoration:"underline"},{tag:b.heading,fontWeight:"bold",color:hh},{tag:[b.atom,b.bool,b.special(b.variableName)],color:ch},{tag:[b.processingInstruction,b.string,b.inserted],color:J1},{tag:b.invalid,color:X1}]),nx=[ix,hf(sx)],rx=Fu("sqlQueries",{state:()=>({queries:[],currentQuery:null,queryHistory:[],savedQueries:[],queryResults:null,isLoading:!1,error:null,predefinedQueries:[]}),getters:{getQueryHistory:s=>s.queryHistory,getSavedQueries:s=>s.savedQueries,getCurrentQuery:s=>s.currentQuery,getQueryResults:s=>s.queryResults,hasError:s=>!!s.error,getPredefinedQueries:s=>s.predefinedQueries,getAllQueries:s=>[...s.savedQueries,...s.predefinedQueries]},actions:{async executeQuery(s){var e,t;this.isLoading=!0,this.error=null;try{this.queryHistory.some(l=>l.query===s.query)||(this.queryHistory.unshift({...s,created_at:new Date().toISOString()}),this.queryHistory.length>50&&this.queryHistory.pop()),this.currentQuery=s;const i=await Hu.db.executeQuery(s);if(!i||i.success===!1){const l=(i==null?void 0:i.message)||"Failed to execute SQL query";throw new Error(l)}const n=((e=i.data)==null?void 0:e.results)||[],r=((t=i.data)==null?void 0:t.count)||n.length||0;let o=[];return n.length>0&&typeof n[0]=="object"&&(o=Object.keys(n[0])),this.queryResults={success:!0,data:n,columns:o,affected_rows:r,execution_time:i.execution_time||0,message:i.message||"Query executed successfully"},this.queryResults}catch(i){throw this.error=i.message||"An error occurred while executing the SQL query",this.queryResults={success:!1,error:this.error||void 0,message:this.error||void 0},i}finally{this.isLoading=!1}},async saveQuery(s){this.isLoading=!0,this.error=null;try{if(!s.name)throw new Error("Query name is required");const e={...s,id:`local-${Date.now()}-${Math.random().toString(36).substring(2,9)}`,saved:!0,created_at:new Date().toISOString()};if(this.savedQueries.some(t=>t.name===s.name))throw new Error(`A query with the name "${s.name}" already exists`);return this.savedQueries.push(e),e}catch(e){throw this.error=e.message||"An error occurred while saving the SQL query",e}finally{this.isLoading=!1}},async loadSavedQueries(){this.isLoading=!0,this.error=null;try{return this.savedQueries}catch(s){throw this.error=s.message||"An error occurred while loading saved SQL queries",s}finally{this.isLoading=!1}},async deleteSavedQuery(s){this.isLoading=!0,this.error=null;try{const e=this.savedQueries.length;if(this.savedQueries=this.savedQueries.filter(t=>t.id!==s),this.savedQueries.length===e)throw new Error(`Query with ID ${s} not found`);return!0}catch(e){throw this.error=e.message||"An error occurred while deleting the saved SQL query",e}finally{this.isLoading=!1}},async deleteAllSavedQueries(){this.isLoading=!0,this.error=null;try{return this.savedQueries=[],!0}catch(s){throw this.error=s.message||"An error occurred while deleting saved queries",s}finally{this.isLoading=!1}},setCurrentQuery(s){this.currentQuery=s},clearQueryResults(){this.queryResults=null},clearError(){this.error=null},clearQueryHistory(){this.queryHistory=[]},exportQueries(){try{const s=this.savedQueries,e=JSON.stringify(s,null,2),t="data:application/json;charset=utf-8,"+encodeURIComponent(e),i=`sql-queries-${new Date().toISOString().split("T")[0]}.json`,n=document.createElement("a");return n.setAttribute("href",t),n.setAttribute("download",i),n.click(),!0}catch(s){return console.error("Failed to export queries",s),this.error="Failed to export queries",!1}},async importQueries(s){try{return new Promise((e,t)=>{const i=new FileReader;i.onload=n=>{var r;try{const o=(r=n.target)==null?void 0:r.result;if(typeof o!="string")throw new Error("Invalid file format");const l=JSON.parse(o);if(!Array.isArray(l))throw new Error("Imported data is not an array of queries");const a=new Set(this.savedQueries.map(c=>c.name)),h=l.filter(c=>c.name&&!a.has(c.name));this.savedQueries=[...this.savedQueries,...h],e(!0)}catch(o){this.error=`Failed to parse imported queries: ${o.message}`,t(o)}},i.onerror=()=>{this.error="Error reading file",t(new Error("Error reading file"))},i.readAsText(s)})}catch(e){return this.error=e.message||"An error occurred while importing queries",!1}},async loadPredefinedQueries(){try{const t=await(await fetch("predefined-queries.json")).json();return Array.isArray(t)&&(this.predefinedQueries=t.map(i=>({...i,id:`predefined-${i.name}`,saved:!0}))),this.predefinedQueries}catch(s){return console.error("Failed to load predefined queries",s),[]}}},persist:{enabled:!0,strategies:[{storage:localStorage,paths:["queryHistory","savedQueries"]}]}}),ox=["SELECT","FROM","WHERE","JOIN","LEFT JOIN","RIGHT JOIN","INNER JOIN","OUTER JOIN","FULL JOIN","GROUP BY","ORDER BY","HAVING","LIMIT","OFFSET","DISTINCT","UNION","UNION ALL","INTERSECT","EXCEPT","INSERT","UPDATE","DELETE","REPLACE","TRUNCATE","DROP","CREATE","ALTER","ADD","COUNT","SUM","AVG","MIN","MAX","CONCAT","LENGTH","UPPER","LOWER","SUBSTRING","TRIM","NOW","DATE","DATEDIFF","DATEADD","YEAR","MONTH","DAY","CAST","COALESCE","NULLIF","IFNULL","CASE","WHEN","THEN","ELSE","END","AND","OR","NOT","IN","BETWEEN","LIKE","IS NULL","IS NOT NULL","EXISTS","CREATE TABLE","DROP TABLE","ALTER TABLE","RENAME TABLE","TRUNCATE TABLE","CREATE INDEX","DROP INDEX","PRIMARY KEY","FOREIGN KEY","REFERENCES","CONSTRAINT","DEFAULT","UNIQUE","AUTO_INCREMENT","BEGIN","COMMIT","ROLLBACK","START TRANSACTION","SAVEPOINT","INT","INTEGER","SMALLINT","TINYINT","MEDIUMINT","BIGINT","FLOAT","DOUBLE","DECIMAL","NUMERIC","CHAR","VARCHAR","TEXT","TINYTEXT","MEDIUMTEXT","LONGTEXT","DATE","DATETIME","TIMESTAMP","TIME","YEAR","BOOLEAN","BOOL","BINARY","VARBINARY","BLOB","JSON","ON","USING","NATURAL","AS","WITH","RECURSIVE","ALL","ANY","SOME","DESC","ASC"];function lx(){const s=Ku();return console.log("SQL Completions initialized",s.hasLoadedTables),console.log("DB Tables Store:",s.tables),s.hasLoadedTables||(console.log("Loading database tables for SQL completions..."),s.fetchTables().catch(e=>{console.error("Failed to load database tables for SQL completions:",e)})),fu({override:[e=>{const t=e.matchBefore(/\w*/)||{from:e.pos,to:e.pos},i=ox.map(n=>({label:n,type:"keyword",boost:99}));if(s.hasLoadedTables&&Array.isArray(s.tables)){const n=s.tables.map(r=>({label:r||"unknown",type:"keyword",boost:100,info:`Table: ${r||"unknown"}`}));i.push(...n)}return{from:t.from,options:i,validFor:/^\w*$/}}],activateOnTyping:!0,defaultKeymap:!0,closeOnBlur:!0})}const ax={class:"p-4 space-y-4"},hx={class:"flex items-center justify-between"},cx={class:"flex items-center gap-2"},fx={class:"h-64 border border-shark-200 dark:border-shark-500 rounded-md overflow-hidden"},ux={key:1,class:"h-full flex items-center justify-center bg-shark-50 dark:bg-shark-800"},dx={class:"flex items-center justify-between"},px={class:"text-sm text-boulder-500 dark:text-boulder-400"},mx={key:0,class:"p-4 bg-red-50 dark:bg-red-900/20 rounded-md text-red-600 dark:text-red-400"},gx={key:1},yx={key:0,class:"overflow-x-auto"},bx={key:0},xx={class:"mb-2 text-xs text-boulder-500 dark:text-boulder-400 p-2 bg-shark-50 dark:bg-shark-800 rounded overflow-auto"},vx={class:"p-3 text-sm text-boulder-600 dark:text-boulder-400 border-t border-shark-100 dark:border-shark-800"},kx={key:1,class:"p-4 text-center text-boulder-500 dark:text-boulder-400"},wx={class:"grid grid-cols-1 lg:grid-cols-3 gap-4"},Sx={key:0,class:"p-4 text-boulder-500 dark:text-boulder-400 text-center"},Cx={key:1,class:"h-96 overflow-y-auto divide-y divide-shark-100 dark:divide-shark-800"},Ax=["onClick"],Ox={class:"flex items-center gap-3"},Mx={class:"font-medium"},Tx={key:0,class:"text-xs text-boulder-500 dark:text-boulder-400 mt-1 pl-8"},Dx={class:"text-xs text-boulder-500 dark:text-boulder-400 mt-1 pl-8 truncate"},Px={class:"flex items-center justify-between"},Ex={class:"flex items-center gap-2"},Rx={key:0,class:"p-4 text-boulder-500 dark:text-boulder-400 text-center"},Bx={key:1,class:"h-96 overflow-y-auto divide-y divide-shark-100 dark:divide-shark-800"},Lx=["onClick"],Ix={class:"flex-1 truncate"},Nx={class:"font-medium"},Fx={class:"text-xs text-boulder-500 dark:text-boulder-400 truncate"},Hx={class:"flex items-center justify-between"},Vx={key:0,class:"p-4 text-boulder-500 dark:text-boulder-400 text-center"},Wx={key:1,class:"h-96 overflow-y-auto divide-y divide-shark-100 dark:divide-shark-800"},zx=["onClick"],qx={class:"flex-1 truncate"},Qx={class:"text-xs text-boulder-500 dark:text-boulder-400"},_x={class:"text-sm truncate"},$x={class:"text-sm text-boulder-500 dark:text-boulder-400 mt-2"},Ux={class:"truncate"},jx={class:"flex justify-end gap-2 mt-4"},Kx={class:"flex justify-end gap-2"},Gx={class:"flex justify-end gap-2"},Xx=ph({__name:"sql",setup(s){const e=rx(),t=ju(),i=Ve(!1),n=Vu({name:""}),r=W=>{const k=[];return W.name.trim()||k.push({name:"name",message:"Query name is required"}),k},o=Ve("SELECT * FROM users LIMIT 10;"),l=Ve(""),a=Ve(!1),h=Ve(!1),c=Ve(!1),f=At(()=>e.isLoading),u=At(()=>e.queryResults),d=At(()=>e.hasError),p=At(()=>{var W;return((W=e.queryResults)==null?void 0:W.execution_time)||0}),m=At(()=>e.getQueryHistory),g=At(()=>e.getSavedQueries),y=At(()=>e.getPredefinedQueries),x=Ve([]),S=Ve([]),C=Ve([{label:"Default Database",value:"default"}]),w=T.theme({"&":{fontSize:"14px"},".cm-content":{color:"var(--ui-text)",backgroundColor:"var(--ui-bg)"},".cm-focused":{outline:"none"},".cm-editor":{backgroundColor:"var(--ui-bg)"},".cm-scroller":{backgroundColor:"var(--ui-bg)"},".cm-cursor":{borderColor:"var(--ui-text)"},".cm-selectionBackground":{backgroundColor:"var(--ui-primary-200)"}}),A=[yu,j1(),lx(),nx,w,T.lineWrapping,us.of([{key:"Ctrl-Enter",run:()=>(O(),!0)},...$f])];mh(async()=>{var W;l.value=((W=C.value[0])==null?void 0:W.value)||"",i.value=!0;try{await Promise.all([e.loadSavedQueries(),e.loadPredefinedQueries()])}catch(k){console.error("Failed to load queries:",k)}});async function O(){if(!o.value.trim()||f.value)return;x.value=[],S.value=[];const W={query:o.value,params:[],allow_write:c.value};try{if(await e.executeQuery(W),!d.value&&u.value&&Array.isArray(u.value.data)&&u.value.data.length>0){if(Array.isArray(u.value.columns)&&u.value.columns.length>0){const k=u.value.data[0];x.value=Object.keys(k).map(ce=>({accessorKey:ce,header:ce.charAt(0).toUpperCase()+ce.slice(1).replace(/_/g," "),cell:({row:He})=>He.getValue(ce)}))}S.value=u.value.data,console.log("Data structure:",{columns:x.value,rows:S.value.slice(0,1),queryResult:u.value})}}catch(k){console.error("Query execution error:",k)}}async function L(W){console.log("Save query form submitted:",W);try{await e.saveQuery({query:o.value,name:W.data.name}),t.success({title:"Query Saved",description:`Query "${W.data.name}" saved successfully.`}),a.value=!1,n.name=""}catch(k){t.error({title:"Error",description:k.message||"Failed to save query"}),console.error("Failed to save query:",k)}}function F(W){o.value=W.query,h.value=!1}function K(){o.value="",e.clearQueryResults()}function H(){e.clearQueryHistory()}const E=Ve(!1),q=Ve(null);async function _(W){E.value=!0,q.value=W}const j=Ve(null);function ge(W){const k=W.target;if(!k.files||k.files.length===0)return;const ce=k.files[0];e.importQueries(ce).then(()=>{t.success({title:"Queries Imported",description:"Queries have been successfully imported."}),j.value&&(j.value.value="")}).catch(He=>{t.error({title:"Import Failed",description:He.message||"Failed to import queries."})})}async function Ae(){if(q.value)try{await e.deleteSavedQuery(q.value),t.success({title:"Query Deleted",description:"The saved query has been deleted successfully."}),q.value=null,E.value=!1}catch(W){t.error({title:"Error",description:W.message||"Failed to delete query"}),console.error("Failed to delete saved query:",W)}}const ye=Ve(!1);async function he(){ye.value=!0}async function Pe(){try{await e.deleteAllSavedQueries(),t.success({title:"All Queries Deleted",description:"All saved queries have been deleted successfully."}),ye.value=!1}catch(W){t.error({title:"Error",description:W.message||"Failed to delete queries"}),console.error("Failed to delete all saved queries:",W)}}return(W,k)=>{const ce=Uu,He=$u,se=Wu,it=_u,bs=Qu,$n=zu,Cu=Ru,Au=Eu,Ou=Pu,Mu=Du,Un=Tu;return Z(),oe(vs,null,[G(Cu,{id:"commands"},{header:Q(()=>[G(ce,{title:"SQL Editor"})]),body:Q(()=>[B("div",ax,[G(it,null,{header:Q(()=>[B("div",hx,[k[15]||(k[15]=B("h3",{class:"text-lg font-semibold"},"SQL Editor",-1)),B("div",cx,[G(He,{modelValue:c.value,"onUpdate:modelValue":k[0]||(k[0]=I=>c.value=I),label:"Allow Write",size:"md",color:"success",class:"mr-5"},null,8,["modelValue"]),G(se,{color:"primary",icon:"i-heroicons-play",loading:f.value,disabled:!o.value.trim()||f.value,onClick:O},{default:Q(()=>k[12]||(k[12]=[We(" Execute ")])),_:1,__:[12]},8,["loading","disabled"]),G(se,{icon:"i-heroicons-bookmark",onClick:k[1]||(k[1]=I=>a.value=!0),disabled:!o.value.trim()},{default:Q(()=>k[13]||(k[13]=[We(" Save ")])),_:1,__:[13]},8,["disabled"]),G(se,{icon:"i-heroicons-trash",onClick:K,disabled:!o.value.trim()},{default:Q(()=>k[14]||(k[14]=[We(" Clear ")])),_:1,__:[14]},8,["disabled"])])])]),footer:Q(()=>k[17]||(k[17]=[B("div",{class:"text-xs text-boulder-500 dark:text-boulder-400"}," Press Ctrl+Enter to execute the query ",-1)])),default:Q(()=>[B("div",fx,[i.value?(Z(),si(Kn(Kb),{key:0,modelValue:o.value,"onUpdate:modelValue":k[2]||(k[2]=I=>o.value=I),placeholder:"Enter SQL query here...",style:{height:"100%"},"indent-with-tab":!0,"tab-size":2,extensions:A},null,8,["modelValue"])):(Z(),oe("div",ux,k[16]||(k[16]=[B("p",{class:"text-boulder-500 dark:text-boulder-400"},"Loading editor...",-1)])))])]),_:1}),u.value?(Z(),si(it,{key:0},{header:Q(()=>[B("div",dx,[k[18]||(k[18]=B("h3",{class:"text-lg font-semibold"},"Results",-1)),B("div",px,Ee(p.value?`Executed in ${p.value}ms`:""),1)])]),default:Q(()=>{var I;return[d.value?(Z(),oe("div",mx,[k[19]||(k[19]=B("p",{class:"font-medium"},"Error",-1)),B("p",null,Ee(u.value.error||"An unknown error occurred"),1)])):(Z(),oe("div",gx,[x.value.length?(Z(),oe("div",yx,[u.value.data&&u.value.data.length>0?(Z(),oe("div",bx,[B("pre",xx,Ee(o.value),1),B("div",null,[G(bs,{columns:x.value,data:(I=Kn(e).queryResults)==null?void 0:I.data,loading:f.value,class:"w-full",ui:{th:"px-4 py-3.5 text-sm text-highlighted text-left rtl:text-right font-semibold whitespace-nowrap [&:has([role=checkbox])]:pe-0"}},{empty:Q(()=>k[20]||(k[20]=[B("div",{class:"p-4 text-center text-boulder-500 dark:text-boulder-400"}," No results available ",-1)])),_:1},8,["columns","data","loading"])]),B("div",vx,Ee(S.value.length)+" of "+Ee(S.value.length)+" row"+Ee(S.value.length!==1?"s":""),1)])):(Z(),oe("div",kx," Query executed successfully, but no rows were returned. "))])):Wt("",!0)]))]}),_:1})):Wt("",!0),B("div",wx,[G(it,null,{header:Q(()=>k[21]||(k[21]=[B("div",{class:"flex items-center justify-between"},[B("h3",{class:"text-lg font-semibold"},"Predefined Queries")],-1)])),default:Q(()=>[y.value.length?(Z(),oe("div",Cx,[(Z(!0),oe(vs,null,Gn(y.value,I=>(Z(),oe("div",{key:I.id,class:Xn(["p-3 flex flex-col cursor-pointer hover:bg-shark-50 dark:hover:bg-shark-800/50",o.value===I.query?"bg-shark-50 dark:bg-shark-800/50":""]),onClick:xs=>F(I)},[B("div",Ox,[G($n,{name:"i-heroicons-document-text",class:"shrink-0 text-boulder-400"}),B("div",Mx,Ee(I.name),1)]),I.description?(Z(),oe("div",Tx,Ee(I.description),1)):Wt("",!0),B("div",Dx,Ee(I.query),1)],10,Ax))),128))])):(Z(),oe("div",Sx," No predefined queries available "))]),_:1}),G(it,null,{header:Q(()=>[B("div",Px,[k[25]||(k[25]=B("h3",{class:"text-lg font-semibold"},"Saved Queries",-1)),B("div",Ex,[G(se,{size:"xs",variant:"ghost",icon:"i-heroicons-arrow-down-tray",onClick:k[3]||(k[3]=()=>{var I;return(I=j.value)==null?void 0:I.click()}),title:"Import queries from file"},{default:Q(()=>k[22]||(k[22]=[We(" Import ")])),_:1,__:[22]}),B("input",{ref_key:"fileInputRef",ref:j,type:"file",accept:".json",class:"hidden",onChange:ge},null,544),G(se,{size:"xs",variant:"ghost",icon:"i-heroicons-arrow-up-tray",onClick:k[4]||(k[4]=I=>Kn(e).exportQueries()),disabled:!g.value.length,title:"Export saved queries"},{default:Q(()=>k[23]||(k[23]=[We(" Export ")])),_:1,__:[23]},8,["disabled"]),G(se,{size:"xs",variant:"ghost",icon:"i-heroicons-trash",color:"error",onClick:he,disabled:!g.value.length,title:"Delete all saved queries"},{default:Q(()=>k[24]||(k[24]=[We(" Delete All ")])),_:1,__:[24]},8,["disabled"])])])]),default:Q(()=>[g.value.length===0?(Z(),oe("div",Rx," No saved queries available ")):(Z(),oe("div",Bx,[(Z(!0),oe(vs,null,Gn(g.value,I=>(Z(),oe("div",{key:I.id,class:Xn(["p-3 flex items-center gap-3 cursor-pointer hover:bg-shark-50 dark:hover:bg-shark-800/50",o.value===I.query?"bg-shark-50 dark:bg-shark-800/50":""]),onClick:xs=>F(I)},[G($n,{name:"i-heroicons-bookmark",class:"shrink-0 text-boulder-400"}),B("div",Ix,[B("div",Nx,Ee(I.name),1),B("div",Fx,Ee(I.query),1)]),G(se,{variant:"ghost",icon:"i-heroicons-trash",onClick:qu(xs=>_(I.id),["stop"])},null,8,["onClick"])],10,Lx))),128))]))]),_:1}),G(it,null,{header:Q(()=>[B("div",Hx,[k[27]||(k[27]=B("h3",{class:"text-lg font-semibold"},"Query History",-1)),m.value.length>0?(Z(),si(se,{key:0,size:"xs",variant:"ghost",icon:"i-heroicons-trash",onClick:H},{default:Q(()=>k[26]||(k[26]=[We(" Clear History ")])),_:1,__:[26]})):Wt("",!0)])]),default:Q(()=>[m.value.length===0?(Z(),oe("div",Vx," No query history available ")):(Z(),oe("div",Wx,[(Z(!0),oe(vs,null,Gn(m.value,(I,xs)=>(Z(),oe("div",{key:xs,class:Xn(["p-3 flex items-center gap-3 cursor-pointer hover:bg-shark-50 dark:hover:bg-shark-800/50",o.value===I.query?"bg-shark-50 dark:bg-shark-800/50":""]),onClick:Yx=>F(I)},[G($n,{name:"i-heroicons-clock",class:"shrink-0 text-boulder-400"}),B("div",qx,[B("div",Qx,Ee(new Date(I.created_at||Date.now()).toLocaleString()),1),B("div",_x,Ee(I.query),1)])],10,zx))),128))]))]),_:1})])])]),_:1}),a.value?(Z(),si(Un,{key:0,open:a.value,"onUpdate:open":k[7]||(k[7]=I=>a.value=I),title:"Save Query"},{body:Q(()=>[G(Mu,{state:n,validate:r,onSubmit:L},{default:Q(()=>[G(Ou,{label:"Query Name",name:"name",required:""},{default:Q(()=>[G(Au,{modelValue:n.name,"onUpdate:modelValue":k[5]||(k[5]=I=>n.name=I),placeholder:"Enter a name for this query",class:"w-full"},null,8,["modelValue"])]),_:1}),B("div",$x,[k[28]||(k[28]=B("div",{class:"font-medium"},"Query:",-1)),B("div",Ux,Ee(o.value),1)]),B("div",jx,[G(se,{type:"button",variant:"ghost",onClick:k[6]||(k[6]=I=>a.value=!1)},{default:Q(()=>k[29]||(k[29]=[We(" Cancel ")])),_:1,__:[29]}),G(se,{type:"submit",color:"primary",disabled:!n.name.trim()},{default:Q(()=>k[30]||(k[30]=[We(" Save ")])),_:1,__:[30]},8,["disabled"])])]),_:1},8,["state"])]),_:1},8,["open"])):Wt("",!0),E.value?(Z(),si(Un,{key:1,open:E.value,"onUpdate:open":k[9]||(k[9]=I=>E.value=I),title:"Confirm Deletion"},{body:Q(()=>k[31]||(k[31]=[B("div",{class:"p-4"},[B("p",null,"Are you sure you want to delete this saved query?")],-1)])),footer:Q(()=>[B("div",Kx,[G(se,{type:"button",variant:"ghost",onClick:k[8]||(k[8]=I=>E.value=!1)},{default:Q(()=>k[32]||(k[32]=[We(" Cancel ")])),_:1,__:[32]}),G(se,{type:"button",color:"error",onClick:Ae},{default:Q(()=>k[33]||(k[33]=[We(" Delete ")])),_:1,__:[33]})])]),_:1},8,["open"])):Wt("",!0),ye.value?(Z(),si(Un,{key:2,open:ye.value,"onUpdate:open":k[11]||(k[11]=I=>ye.value=I),title:"Confirm Deletion"},{body:Q(()=>k[34]||(k[34]=[B("div",{class:"p-4"},[B("p",null,"Are you sure you want to delete all saved queries?")],-1)])),footer:Q(()=>[B("div",Gx,[G(se,{type:"button",variant:"ghost",onClick:k[10]||(k[10]=I=>ye.value=!1)},{default:Q(()=>k[35]||(k[35]=[We(" Cancel ")])),_:1,__:[35]}),G(se,{type:"button",color:"error",onClick:Pe},{default:Q(()=>k[36]||(k[36]=[We(" Delete All ")])),_:1,__:[36]})])]),_:1},8,["open"])):Wt("",!0)],64)}}});typeof ll=="function"&&ll(Xx);export{Xx as default};
+`;function ku(s,e,t){let i=Object.create(null);i.true=i.false=a1,i.null=i.unknown=h1;for(let n of s.split(" "))n&&(i[n]=xu);for(let n of e.split(" "))n&&(i[n]=vu);for(let n of(t||"").split(" "))n&&(i[n]=S1);return i}const T1="array binary bit boolean char character clob date decimal double float int integer interval large national nchar nclob numeric object precision real smallint time timestamp varchar varying ",D1="absolute action add after all allocate alter and any are as asc assertion at authorization before begin between both breadth by call cascade cascaded case cast catalog check close collate collation column commit condition connect connection constraint constraints constructor continue corresponding count create cross cube current current_date current_default_transform_group current_transform_group_for_type current_path current_role current_time current_timestamp current_user cursor cycle data day deallocate declare default deferrable deferred delete depth deref desc describe descriptor deterministic diagnostics disconnect distinct do domain drop dynamic each else elseif end end-exec equals escape except exception exec execute exists exit external fetch first for foreign found from free full function general get global go goto grant group grouping handle having hold hour identity if immediate in indicator initially inner inout input insert intersect into is isolation join key language last lateral leading leave left level like limit local localtime localtimestamp locator loop map match method minute modifies module month names natural nesting new next no none not of old on only open option or order ordinality out outer output overlaps pad parameter partial path prepare preserve primary prior privileges procedure public read reads recursive redo ref references referencing relative release repeat resignal restrict result return returns revoke right role rollback rollup routine row rows savepoint schema scroll search second section select session session_user set sets signal similar size some space specific specifictype sql sqlexception sqlstate sqlwarning start state static system_user table temporary then timezone_hour timezone_minute to trailing transaction translation treat trigger under undo union unique unnest until update usage user using value values view when whenever where while with without work write year zone ",So={backslashEscapes:!1,hashComments:!1,spaceAfterDashes:!1,slashComments:!1,doubleQuotedStrings:!1,doubleDollarQuotedStrings:!1,unquotedBitLiterals:!1,treatBitsAsBytes:!1,charSetCasts:!1,plsqlQuotingMechanism:!1,operatorChars:"*+-%<>!=&|~^/",specialVar:"?",identifierQuotes:'"',caseInsensitiveIdentifiers:!1,words:ku(D1,T1)};function P1(s,e,t,i){let n={};for(let r in So)n[r]=(s.hasOwnProperty(r)?s:So)[r];return e&&(n.words=ku(e,t||"",i)),n}function wu(s){return new Jb(e=>{var t;let{next:i}=e;if(e.advance(),qt(i,Cr)){for(;qt(e.next,Cr);)e.advance();e.acceptToken(o1)}else if(i==36&&s.doubleDollarQuotedStrings){let n=wo(e,"");e.next==36&&(e.advance(),A1(e,n),e.acceptToken(ri))}else if(i==39||i==34&&s.doubleQuotedStrings)Qt(e,i,s.backslashEscapes),e.acceptToken(ri);else if(i==35&&s.hashComments||i==47&&e.next==47&&s.slashComments)rh(e),e.acceptToken(eh);else if(i==45&&e.next==45&&(!s.spaceAfterDashes||e.peek(1)==32))rh(e),e.acceptToken(eh);else if(i==47&&e.next==42){e.advance();for(let n=1;;){let r=e.next;if(e.next<0)break;if(e.advance(),r==42&&e.next==47){if(n--,e.advance(),!n)break}else r==47&&e.next==42&&(n++,e.advance())}e.acceptToken(l1)}else if((i==101||i==69)&&e.next==39)e.advance(),Qt(e,39,!0),e.acceptToken(ri);else if((i==110||i==78)&&e.next==39&&s.charSetCasts)e.advance(),Qt(e,39,s.backslashEscapes),e.acceptToken(ri);else if(i==95&&s.charSetCasts)for(let n=0;;n++){if(e.next==39&&n>1){e.advance(),Qt(e,39,s.backslashEscapes),e.acceptToken(ri);break}if(!ko(e.next))break;e.advance()}else if(s.plsqlQuotingMechanism&&(i==113||i==81)&&e.next==39&&e.peek(1)>0&&!qt(e.peek(1),Cr)){let n=e.peek(1);e.advance(2),O1(e,n),e.acceptToken(ri)}else if(i==40)e.acceptToken(c1);else if(i==41)e.acceptToken(f1);else if(i==123)e.acceptToken(u1);else if(i==125)e.acceptToken(d1);else if(i==91)e.acceptToken(p1);else if(i==93)e.acceptToken(m1);else if(i==59)e.acceptToken(g1);else if(s.unquotedBitLiterals&&i==48&&e.next==98)e.advance(),sh(e),e.acceptToken(ih);else if((i==98||i==66)&&(e.next==39||e.next==34)){const n=e.next;e.advance(),s.treatBitsAsBytes?(Qt(e,n,s.backslashEscapes),e.acceptToken(w1)):(sh(e,n),e.acceptToken(ih))}else if(i==48&&(e.next==120||e.next==88)||(i==120||i==88)&&e.next==39){let n=e.next==39;for(e.advance();C1(e.next);)e.advance();n&&e.next==39&&e.advance(),e.acceptToken(Sr)}else if(i==46&&e.next>=48&&e.next<=57)nh(e,!0),e.acceptToken(Sr);else if(i==46)e.acceptToken(y1);else if(i>=48&&i<=57)nh(e,!1),e.acceptToken(Sr);else if(qt(i,s.operatorChars)){for(;qt(e.next,s.operatorChars);)e.advance();e.acceptToken(b1)}else if(qt(i,s.specialVar))e.next==i&&e.advance(),M1(e),e.acceptToken(v1);else if(qt(i,s.identifierQuotes))Qt(e,i,!1),e.acceptToken(k1);else if(i==58||i==44)e.acceptToken(x1);else if(ko(i)){let n=wo(e,String.fromCharCode(i));e.acceptToken(e.next==46||e.peek(-n.length-1)==46?th:(t=s.words[n.toLowerCase()])!==null&&t!==void 0?t:th)}})}const Su=wu(So),E1=En.deserialize({version:14,states:"%vQ]QQOOO#wQRO'#DSO$OQQO'#CwO%eQQO'#CxO%lQQO'#CyO%sQQO'#CzOOQQ'#DS'#DSOOQQ'#C}'#C}O'UQRO'#C{OOQQ'#Cv'#CvOOQQ'#C|'#C|Q]QQOOQOQQOOO'`QQO'#DOO(xQRO,59cO)PQQO,59cO)UQQO'#DSOOQQ,59d,59dO)cQQO,59dOOQQ,59e,59eO)jQQO,59eOOQQ,59f,59fO)qQQO,59fOOQQ-E6{-E6{OOQQ,59b,59bOOQQ-E6z-E6zOOQQ,59j,59jOOQQ-E6|-E6|O+VQRO1G.}O+^QQO,59cOOQQ1G/O1G/OOOQQ1G/P1G/POOQQ1G/Q1G/QP+kQQO'#C}O+rQQO1G.}O)PQQO,59cO,PQQO'#Cw",stateData:",[~OtOSPOSQOS~ORUOSUOTUOUUOVROXSOZTO]XO^QO_UO`UOaPObPOcPOdUOeUOfUOgUOhUO~O^]ORvXSvXTvXUvXVvXXvXZvX]vX_vX`vXavXbvXcvXdvXevXfvXgvXhvX~OsvX~P!jOa_Ob_Oc_O~ORUOSUOTUOUUOVROXSOZTO^tO_UO`UOa`Ob`Oc`OdUOeUOfUOgUOhUO~OWaO~P$ZOYcO~P$ZO[eO~P$ZORUOSUOTUOUUOVROXSOZTO^QO_UO`UOaPObPOcPOdUOeUOfUOgUOhUO~O]hOsoX~P%zOajObjOcjO~O^]ORkaSkaTkaUkaVkaXkaZka]ka_ka`kaakabkackadkaekafkagkahka~Oska~P'kO^]O~OWvXYvX[vX~P!jOWnO~P$ZOYoO~P$ZO[pO~P$ZO^]ORkiSkiTkiUkiVkiXkiZki]ki_ki`kiakibkickidkiekifkigkihki~Oski~P)xOWkaYka[ka~P'kO]hO~P$ZOWkiYki[ki~P)xOasObsOcsO~O",goto:"#hwPPPPPPPPPPPPPPPPPPPPPPPPPPx||||!Y!^!d!xPPP#[TYOZeUORSTWZbdfqT[OZQZORiZSWOZQbRQdSQfTZgWbdfqQ^PWk^lmrQl_Qm`RrseVORSTWZbdfq",nodeNames:"⚠ LineComment BlockComment String Number Bool Null ( ) { } [ ] ; . Operator Punctuation SpecialVar Identifier QuotedIdentifier Keyword Type Bits Bytes Builtin Script Statement CompositeIdentifier Parens Braces Brackets Statement",maxTerm:38,nodeProps:[["isolate",-4,1,2,3,19,""]],skippedNodes:[0,1,2],repeatNodeCount:3,tokenData:"RORO",tokenizers:[0,Su],topRules:{Script:[0,25]},tokenPrec:0});function Co(s){let e=s.cursor().moveTo(s.from,-1);for(;/Comment/.test(e.name);)e.moveTo(e.from,-1);return e.node}function ls(s,e){let t=s.sliceString(e.from,e.to),i=/^([`'"])(.*)\1$/.exec(t);return i?i[2]:t}function Rn(s){return s&&(s.name=="Identifier"||s.name=="QuotedIdentifier")}function R1(s,e){if(e.name=="CompositeIdentifier"){let t=[];for(let i=e.firstChild;i;i=i.nextSibling)Rn(i)&&t.push(ls(s,i));return t}return[ls(s,e)]}function oh(s,e){for(let t=[];;){if(!e||e.name!=".")return t;let i=Co(e);if(!Rn(i))return t;t.unshift(ls(s,i)),e=Co(i)}}function B1(s,e){let t=me(s).resolveInner(e,-1),i=I1(s.doc,t);return t.name=="Identifier"||t.name=="QuotedIdentifier"||t.name=="Keyword"?{from:t.from,quoted:t.name=="QuotedIdentifier"?s.doc.sliceString(t.from,t.from+1):null,parents:oh(s.doc,Co(t)),aliases:i}:t.name=="."?{from:e,quoted:null,parents:oh(s.doc,t),aliases:i}:{from:e,quoted:null,parents:[],empty:!0,aliases:i}}const L1=new Set("where group having order union intersect except all distinct limit offset fetch for".split(" "));function I1(s,e){let t;for(let n=e;!t;n=n.parent){if(!n)return null;n.name=="Statement"&&(t=n)}let i=null;for(let n=t.firstChild,r=!1,o=null;n;n=n.nextSibling){let l=n.name=="Keyword"?s.sliceString(n.from,n.to).toLowerCase():null,a=null;if(!r)r=l=="from";else if(l=="as"&&o&&Rn(n.nextSibling))a=ls(s,n.nextSibling);else{if(l&&L1.has(l))break;o&&Rn(n)&&(a=ls(s,n))}a&&(i||(i=Object.create(null)),i[a]=R1(s,o)),o=/Identifier$/.test(n.name)?n:null}return i}function N1(s,e){return s?e.map(t=>({...t,label:t.label[0]==s?t.label:s+t.label+s,apply:void 0})):e}const F1=/^\w*$/,H1=/^[`'"]?\w*[`'"]?$/;function lh(s){return s.self&&typeof s.self.label=="string"}class rl{constructor(e,t){this.idQuote=e,this.idCaseInsensitive=t,this.list=[],this.children=void 0}child(e){let t=this.children||(this.children=Object.create(null)),i=t[e];return i||(e&&!this.list.some(n=>n.label==e)&&this.list.push(ah(e,"type",this.idQuote,this.idCaseInsensitive)),t[e]=new rl(this.idQuote,this.idCaseInsensitive))}maybeChild(e){return this.children?this.children[e]:null}addCompletion(e){let t=this.list.findIndex(i=>i.label==e.label);t>-1?this.list[t]=e:this.list.push(e)}addCompletions(e){for(let t of e)this.addCompletion(typeof t=="string"?ah(t,"property",this.idQuote,this.idCaseInsensitive):t)}addNamespace(e){Array.isArray(e)?this.addCompletions(e):lh(e)?this.addNamespace(e.children):this.addNamespaceObject(e)}addNamespaceObject(e){for(let t of Object.keys(e)){let i=e[t],n=null,r=t.replace(/\\?\./g,l=>l=="."?"\0":l).split("\0"),o=this;lh(i)&&(n=i.self,i=i.children);for(let l=0;l<r.length;l++)n&&l==r.length-1&&o.addCompletion(n),o=o.child(r[l].replace(/\\\./g,"."));o.addNamespace(i)}}}function ah(s,e,t,i){return new RegExp("^[a-z_][a-z_\\d]*$",i?"i":"").test(s)?{label:s,type:e}:{label:s,type:e,apply:t+s+t}}function V1(s,e,t,i,n,r){var o;let l=((o=r==null?void 0:r.spec.identifierQuotes)===null||o===void 0?void 0:o[0])||'"',a=new rl(l,!!(r!=null&&r.spec.caseInsensitiveIdentifiers)),h=n?a.child(n):null;return a.addNamespace(s),e&&(h||a).addCompletions(e),t&&a.addCompletions(t),h&&a.addCompletions(h.list),i&&a.addCompletions((h||a).child(i).list),c=>{let{parents:f,from:u,quoted:d,empty:p,aliases:m}=B1(c.state,c.pos);if(p&&!c.explicit)return null;m&&f.length==1&&(f=m[f[0]]||f);let g=a;for(let S of f){for(;!g.children||!g.children[S];)if(g==a&&h)g=h;else if(g==h&&i)g=g.child(i);else return null;let C=g.maybeChild(S);if(!C)return null;g=C}let y=d&&c.state.sliceDoc(c.pos,c.pos+1)==d,x=g.list;return g==a&&m&&(x=x.concat(Object.keys(m).map(S=>({label:S,type:"constant"})))),{from:u,to:y?c.pos+1:void 0,options:N1(d,x),validFor:d?H1:F1}}}function W1(s){return s==vu?"type":s==xu?"keyword":"variable"}function z1(s,e,t){let i=Object.keys(s).map(n=>t(e?n.toUpperCase():n,W1(s[n])));return qy(["QuotedIdentifier","SpecialVar","String","LineComment","BlockComment","."],iu(i))}let q1=E1.configure({props:[Yc.add({Statement:Cg()}),Zc.add({Statement(s,e){return{from:Math.min(s.from+100,e.doc.lineAt(s.from).to),to:s.to}},BlockComment(s){return{from:s.from+2,to:s.to-2}}}),jc({Keyword:b.keyword,Type:b.typeName,Builtin:b.standard(b.name),Bits:b.number,Bytes:b.string,Bool:b.bool,Null:b.null,Number:b.number,String:b.string,Identifier:b.name,QuotedIdentifier:b.special(b.string),SpecialVar:b.special(b.name),LineComment:b.lineComment,BlockComment:b.blockComment,Operator:b.operator,"Semi Punctuation":b.punctuation,"( )":b.paren,"{ }":b.brace,"[ ]":b.squareBracket})]});class Bn{constructor(e,t,i){this.dialect=e,this.language=t,this.spec=i}get extension(){return this.language.extension}configureLanguage(e,t){return new Bn(this.dialect,this.language.configure(e,t),this.spec)}static define(e){let t=P1(e,e.keywords,e.types,e.builtin),i=gn.define({name:"sql",parser:q1.configure({tokenizers:[{from:Su,to:wu(t)}]}),languageData:{commentTokens:{line:"--",block:{open:"/*",close:"*/"}},closeBrackets:{brackets:["(","[","{","'",'"',"`"]}}});return new Bn(t,i,e)}}function Q1(s,e){return{label:s,type:e,boost:-1}}function _1(s,e=!1,t){return z1(s.dialect.words,e,t||Q1)}function $1(s){return s.schema?V1(s.schema,s.tables,s.schemas,s.defaultTable,s.defaultSchema,s.dialect||ol):()=>null}function U1(s){return s.schema?(s.dialect||ol).language.data.of({autocomplete:$1(s)}):[]}function j1(s={}){let e=s.dialect||ol;return new mg(e.language,[U1(s),e.language.data.of({autocomplete:_1(e,s.upperCaseKeywords,s.keywordCompletion)})])}const ol=Bn.define({}),K1="#e5c07b",hh="#e06c75",G1="#56b6c2",X1="#ffffff",nn="#abb2bf",Ao="#7d8799",Y1="#61afef",J1="#98c379",ch="#d19a66",Z1="#c678dd",ex="#21252b",fh="#2c313a",uh="#282c34",Ar="#353a42",tx="#3E4451",dh="#528bff",ix=T.theme({"&":{color:nn,backgroundColor:uh},".cm-content":{caretColor:dh},".cm-cursor, .cm-dropCursor":{borderLeftColor:dh},"&.cm-focused > .cm-scroller > .cm-selectionLayer .cm-selectionBackground, .cm-selectionBackground, .cm-content ::selection":{backgroundColor:tx},".cm-panels":{backgroundColor:ex,color:nn},".cm-panels.cm-panels-top":{borderBottom:"2px solid black"},".cm-panels.cm-panels-bottom":{borderTop:"2px solid black"},".cm-searchMatch":{backgroundColor:"#72a1ff59",outline:"1px solid #457dff"},".cm-searchMatch.cm-searchMatch-selected":{backgroundColor:"#6199ff2f"},".cm-activeLine":{backgroundColor:"#6699ff0b"},".cm-selectionMatch":{backgroundColor:"#aafe661a"},"&.cm-focused .cm-matchingBracket, &.cm-focused .cm-nonmatchingBracket":{backgroundColor:"#bad0f847"},".cm-gutters":{backgroundColor:uh,color:Ao,border:"none"},".cm-activeLineGutter":{backgroundColor:fh},".cm-foldPlaceholder":{backgroundColor:"transparent",border:"none",color:"#ddd"},".cm-tooltip":{border:"none",backgroundColor:Ar},".cm-tooltip .cm-tooltip-arrow:before":{borderTopColor:"transparent",borderBottomColor:"transparent"},".cm-tooltip .cm-tooltip-arrow:after":{borderTopColor:Ar,borderBottomColor:Ar},".cm-tooltip-autocomplete":{"& > ul > li[aria-selected]":{backgroundColor:fh,color:nn}}},{dark:!0}),sx=ms.define([{tag:b.keyword,color:Z1},{tag:[b.name,b.deleted,b.character,b.propertyName,b.macroName],color:hh},{tag:[b.function(b.variableName),b.labelName],color:Y1},{tag:[b.color,b.constant(b.name),b.standard(b.name)],color:ch},{tag:[b.definition(b.name),b.separator],color:nn},{tag:[b.typeName,b.className,b.number,b.changed,b.annotation,b.modifier,b.self,b.namespace],color:K1},{tag:[b.operator,b.operatorKeyword,b.url,b.escape,b.regexp,b.link,b.special(b.string)],color:G1},{tag:[b.meta,b.comment],color:Ao},{tag:b.strong,fontWeight:"bold"},{tag:b.emphasis,fontStyle:"italic"},{tag:b.strikethrough,textDecoration:"line-through"},{tag:b.link,color:Ao,textDecoration:"underline"},{tag:b.heading,fontWeight:"bold",color:hh},{tag:[b.atom,b.bool,b.special(b.variableName)],color:ch},{tag:[b.processingInstruction,b.string,b.inserted],color:J1},{tag:b.invalid,color:X1}]),nx=[ix,hf(sx)],rx=Fu("sqlQueries",{state:()=>({queries:[],currentQuery:null,queryHistory:[],savedQueries:[],library:[],libraryFilters:{scope:"all",search:"",tag:""},queryResults:null,pendingWrite:null,explainPlan:null,isLoading:!1,isExplaining:!1,error:null,predefinedQueries:[]}),getters:{getQueryHistory:s=>s.queryHistory,getSavedQueries:s=>s.library,getCurrentQuery:s=>s.currentQuery,getQueryResults:s=>s.queryResults,hasError:s=>!!s.error,getPredefinedQueries:s=>s.predefinedQueries,getAllQueries:s=>[...s.library,...s.predefinedQueries]},actions:{async executeQuery(s){var e,t;const P=this.pendingWrite;this.pendingWrite=null,P&&P.confirmation_token!==s.confirmation_token&&Hu.db.rollbackQuery({confirmation_token:P.confirmation_token}).catch(()=>{}),this.isLoading=!0,this.error=null;try{this.queryHistory.some(l=>l.query===s.query)||(this.queryHistory.unshift({...s,created_at:new Date().toISOString()}),this.queryHistory.length>50&&this.queryHistory.pop()),this.currentQuery=s;const i=await Hu.db.executeQuery(s);if(!i||i.success===!1){const l=(i==null?void 0:i.message)||"Failed to execute SQL query";throw new Error(l)}const n=((e=i.data)==null?void 0:e.results)||[],r=((t=i.data)==null?void 0:t.count)||n.length||0;let o=[];n.length>0&&typeof n[0]=="object"&&(o=Object.keys(n[0]));const l=i.data||{},a=Array.isArray(l.statements)?l.statements:[{index:1,query:s.query,status:"success",columns:o,results:n,count:r,affected_rows:null,execution_time:l.execution_time??null,error:null}];return this.queryResults={success:!0,data:n,columns:o,affected_rows:r,execution_time:l.execution_time||i.execution_time||0,statements:a,failed_statement:l.failed_statement||null,mode:l.mode||null,message:i.message||"Query executed successfully"},this.pendingWrite=l.mode==="preview"&&l.pending?{request:s,...l.pending}:null,this.queryResults}catch(i){throw this.error=i.message||"An error occurred while executing the SQL query",this.queryResults={success:!1,error:this.error||void 0,message:this.error||void 0},i}finally{this.isLoading=!1}},async saveQuery(s,e=null){this.error=null;try{if(!s.name)throw new Error("Query name is required");const t=e?await Hu.db.updateSavedQuery(e,s):await Hu.db.createSavedQuery(s);return await this.loadSavedQueries(),t.data}catch(t){throw this.error=t.message||"An error occurred while saving the SQL query",t}},async loadSavedQueries(s){this.error=null,s&&(this.libraryFilters={...this.libraryFilters,...s});try{await this.migrateLocalQueries();const e=await Hu.db.getSavedQueries(this.libraryFilters);return this.library=((e==null?void 0:e.data)||[]).map(t=>({...t,id:t.uuid,saved:!0})),this.library}catch(e){throw this.error=e.message||"An error occurred while loading saved SQL queries",e}},async migrateLocalQueries(){if(!this.savedQueries.length)return 0;const s=await Hu.db.importSavedQueries(this.savedQueries.map(({name:e,description:t,query:i,allow_write:n})=>({name:e,description:t,query:i,allow_write:n})));return this.savedQueries=[],s.data.imported},async deleteSavedQuery(s){this.error=null;try{return await Hu.db.deleteSavedQuery(s),this.library=this.library.filter(e=>e.uuid!==s),!0}catch(e){throw this.error=e.message||"An error occurred while deleting the saved SQL query",e}},async loadQueryVersions(s){const e=await Hu.db.getSavedQueryVersions(s);return(e==null?void 0:e.data)||[]},async restoreQueryVersion(s,e){const t=await Hu.db.restoreSavedQueryVersion(s,e);return await this.loadSavedQueries(),t.data},setCurrentQuery(s){this.currentQuery=s},clearQueryResults(){this.queryResults=null},async commitPendingWrite(s=[]){const e=this.pendingWrite;if(!e)throw new Error("There are no pending changes to commit");return this.executeQuery({...e.request,confirmation_token:e.confirmation_token,confirm_table:s})},async rollbackPendingWrite(){const s=this.pendingWrite;s&&(this.pendingWrite=null,this.queryResults=null,await Hu.db.rollbackQuery({confirmation_token:s.confirmation_token}))},async explainQuery(s){this.isExplaining=!0;try{const e=await Hu.db.explainQuery(s);if(!e||e.success===!1)throw new Error((e==null?void 0:e.message)||"Failed to explain SQL query");return this.explainPlan={...e.data,message:e.message},this.explainPlan}finally{this.isExplaining=!1}},clearExplainPlan(){this.explainPlan=null},clearError(){this.error=null},clearQueryHistory(){this.queryHistory=[]},exportQueries(){try{const s=this.library.map(({name:l,description:a,query:h,parameters:c,tags:f,visibility:u,allow_write:d})=>({name:l,description:a,query:h,parameters:c,tags:f,visibility:u,allow_write:d})),e=JSON.stringify(s,null,2),t="data:application/json;charset=utf-8,"+encodeURIComponent(e),i=`sql-queries-${new Date().toISOString().split("T")[0]}.json`,n=document.createElement("a");return n.setAttribute("href",t),n.setAttribute("download",i),n.click(),!0}catch(s){return console.error("Failed to export queries",s),this.error="Failed to export queries",!1}},async importQueries(s){const e=await new Promise((n,r)=>{const o=new FileReader;o.onload=()=>n(o.result),o.onerror=()=>r(new Error("Error reading file")),o.readAsText(s)});let t;try{t=JSON.parse(typeof e=="string"?e:"")}catch(n){throw this.error=`Failed to parse imported queries: ${n.message}`,new Error(this.error)}if(!Array.isArray(t))throw this.error="Imported data is not an array of queries",new Error(this.error);const i=await Hu.db.importSavedQueries(t);return await this.loadSavedQueries(),i.data},async loadPredefinedQueries(s="mysql"){try{const t=await(await fetch("predefined-queries.json")).json();return Array.isArray(t)&&(this.predefinedQueries=t.map(i=>({...i,query:i.variants&&i.variants[s]||i.query,id:`predefined-${i.name}`,saved:!0,predefined:!0}))),this.predefinedQueries}catch(s){return console.error("Failed to load predefined queries",s),[]}}},persist:{enabled:!0,strategies:[{storage:localStorage,paths:["queryHistory","savedQueries"]}]}});const Aj=" abs avg ceil coalesce concat count floor greatest least length lower ltrim max min nullif replace round rtrim substr substring sum trim upper",Ak={mysql:Bn.define({operatorChars:"*+-%<>!=&|^",charSetCasts:!0,doubleQuotedStrings:!0,unquotedBitLiterals:!0,hashComments:!0,spaceAfterDashes:!0,specialVar:"@?",identifierQuotes:"`",keywords:D1+"accessible algorithm analyze auto_increment avg_row_length binlog btree change charset checksum collations columns comment databases delayed delimiter distinctrow div dual duplicate engine engines enum escaped events explain fields force fulltext high_priority ignore index infile keys kill limit lines load lock low_priority modify offset optimize outfile partition partitions processlist purge regexp rename repair replace rlike schemas separator show spatial sql_calc_found_rows straight_join tables terminated truncate unlock unsigned use variables warnings xor zerofill",types:T1+"bigint blob bool datetime enum json longblob longtext mediumblob mediumint mediumtext text tinyblob tinyint tinytext varbinary year",builtin:"curdate curtime date_add date_format date_sub datediff found_rows group_concat if ifnull instr last_insert_id now unix_timestamp uuid"+Aj}),pgsql:Bn.define({charSetCasts:!0,doubleDollarQuotedStrings:!0,operatorChars:"+-*/<>=~!@#%^&|`?",specialVar:"",keywords:D1+"analyse analyze concurrently conflict do explain extension ilike index isnull limit materialized notnull nothing offset owner returning sequence show similar tablesample truncate vacuum verbose",types:T1+"bigserial bool bytea cidr inet int2 int4 int8 json jsonb money serial text timestamptz uuid xml",builtin:"age array_agg array_length date_part date_trunc generate_series json_agg jsonb_agg now string_agg to_char to_timestamp"+Aj}),sqlite:Bn.define({keywords:D1+"abort analyze attach autoincrement conflict detach exclusive explain fail glob ignore index indexed instead isnull limit notnull offset plan pragma query raise regexp reindex rename replace rowid temp vacuum virtual without",types:T1+"blob text",builtin:"changes date datetime group_concat ifnull instr julianday last_insert_rowid printf random strftime total typeof"+Aj,operatorChars:"*+-%<>!=&|/~",identifierQuotes:'`"',specialVar:"@:?$"})};function Aq(s,e){const t=[],i=s.length;let n=0;for(;n<i;){const r=s[n],o=s[n+1]||"",l=n;if(/\s/.test(r)){n++;continue}if(r==="-"&&o==="-"||r==="#"&&e==="mysql"){const a=s.indexOf(`
+`,n);n=a<0?i:a;continue}if(r==="/"&&o==="*"){const a=s.indexOf("*/",n+2);n=a<0?i:a+2;continue}if(r==="'"||r==='"'&&e==="mysql"){for(n++;n<i;n++){if(s[n]==="\\"&&e==="mysql"){n++;continue}if(s[n]===r){if(s[n+1]===r){n++;continue}break}}n=Math.min(n+1,i),t.push({t:"str",from:l,to:n});continue}if(r==="`"||r==='"'||r==="["&&e==="sqlite"){const a=s.indexOf(r==="["?"]":r,n+1),h=s.slice(n+1,a<0?i:a);n=a<0?i:a+1,t.push({t:"id",v:h,l:h.toLowerCase(),q:!0,from:l,to:n});continue}if(r==="$"&&e==="pgsql"){const a=/^\$(?:[A-Za-z_]\w*)?\$/.exec(s.slice(n,n+64));if(a){const h=s.indexOf(a[0],n+a[0].length);n=h<0?i:h+a[0].length,t.push({t:"str",from:l,to:n});continue}}if(/[A-Za-z_]/.test(r)){for(n++;n<i&&/[\w$]/.test(s[n]);n++);const a=s.slice(l,n);t.push({t:"id",v:a,l:a.toLowerCase(),from:l,to:n});continue}if(/\d/.test(r)){for(n++;n<i&&/[\w.]/.test(s[n]);n++);t.push({t:"num",from:l,to:n});continue}if(/[:@$?]/.test(r)&&/\w/.test(o)&&s[n-1]!==":"){for(n++;n<i&&/\w/.test(s[n]);n++);t.push({t:"param",from:l,to:n});continue}t.push({t:r,from:l,to:n+1}),n++}return t}function Av(s,e){const t=[];let i=[],n=0;for(const r of s)r.t===";"?(t.push({k:i,from:n,to:r.from}),i=[],n=r.to):i.push(r);return t.push({k:i,from:n,to:e}),t}const Az=new Set(["where","set","on","using","left","right","inner","outer","cross","full","natural","join","straight_join","group","order","limit","offset","having","window","union","intersect","except","values","value","select","returning","use","force","ignore","partition","for","lock","into","default","as","when","then"]),Bj=new Set(["dual","sqlite_master","sqlite_schema","sqlite_sequence","sqlite_temp_master"]),Bk=new Set(["create","alter","drop","grant","revoke","pragma","show","describe","desc","use","set","begin","commit","rollback","savepoint","release","start","vacuum","attach","detach","reindex","comment","lock","unlock","call","do","declare","prepare","execute","deallocate","listen","notify","copy","optimize","repair","check","flush","kill","load"]);function Aw(s,e){const t={tables:[],ctes:new Set,derived:new Set,aliases:new Set,refs:[],bare:[],skip:!1};let i=0;for(;i<s.length&&s[i].t==="id"&&/^(explain|analyze|analyse|verbose|query|plan|extended|format)$/.test(s[i].l);i++);const n=s.slice(i);if(!n.length||n[0].t!=="id"||Bk.has(n[0].l))return t.skip=!0,t;const r=new Set,o=a=>n[a]&&n[a].t==="id"?n[a]:null,l=[],h=[],c=[];for(let a=0;a<n.length;a++){const u=n[a];if(u.t==="("){const d=n[a-1],p=n[a+1];c.push(a),h.push(!!(d&&d.t==="id"&&!/^(in|exists|from|join|as|values|on|using|any|all|some|lateral|over|with|recursive)$/.test(d.l))&&!(p&&p.t==="id"&&/^(select|with)$/.test(p.l)))}else if(u.t===")"){const d=c.pop();h.pop();const p=d==null?null:n[d-1];if(p&&(p.t===","||p.t==="id"&&/^(from|join)$/.test(p.l))){const f=o(a+1),m=f&&f.l==="as"?o(a+2):f;m&&m!==f||f&&!e[f.l]&&!Az.has(f.l)?(t.derived.add(m.l),r.add(n.indexOf(m))):0}}l[a]=h.length>0&&h[h.length-1]}for(let a=0;a<n.length;a++){if(!o(a)||n[a].l!=="as"||!n[a+1]||n[a+1].t!=="(")continue;let u=a-1;if(n[u]&&n[u].t===")"){for(let p=0;u>=0;u--)if(n[u].t===")")p++;else if(n[u].t==="("&&--p===0)break;for(let p=u+1;p<a;p++)r.add(p);u--}const d=n[u-1];o(u)&&d&&(d.t===","||d.t==="id"&&/^(with|recursive)$/.test(d.l))&&(t.ctes.add(n[u].l),r.add(u),r.add(a))}for(let a=0;a<n.length;a++){const u=o(a);if(!u||r.has(a)||l[a])continue;const d=u.l;if(!(d==="from"||d==="join"||d==="into"||d==="update"||d==="truncate"&&a===0))continue;let p=a+1;for(;;){for(;o(p)&&/^(only|lateral|table|low_priority|ignore)$/.test(n[p].l);p++);const f=o(p);if(!f||Az.has(f.l)&&!f.q)break;let m=p,g=null;n[p+1]&&n[p+1].t==="."&&o(p+2)&&(g=f,m=p+2);const y=n[m];r.add(p),r.add(m);const x={name:y.v,l:y.l,schema:g?g.l:null,from:(g||y).from,to:y.to,alias:null};p=m+1;const b=o(p);b&&b.l==="as"&&o(p+1)?(x.alias=n[p+1].l,r.add(p),r.add(p+1),p+=2):b&&!b.q&&!e[b.l]&&!Az.has(b.l)&&(x.alias=b.l,r.add(p),p++),t.tables.push(x);if(n[p]&&n[p].t===","&&(d==="from"||d==="update")){p++;continue}break}}for(let a=0;a<n.length;a++){const u=o(a);if(!u||r.has(a)||n[a-1]&&n[a-1].t===".")continue;if(!n[a+1]||n[a+1].t!=="."||!n[a+2])continue;const d=n[a+2];if(r.add(a),d.t!=="id"||n[a+3]&&(n[a+3].t==="."||n[a+3].t==="("))continue;r.add(a+2),t.refs.push({q:u.l,v:d.v,l:d.l,from:d.from,to:d.to})}for(let a=0;a<n.length;a++){const u=o(a);if(!u||r.has(a))continue;const d=n[a-1],p=n[a+1];if(d&&d.t===".")continue;if(d&&d.t==="id"&&d.l==="as"){t.aliases.add(u.l);continue}if(!u.q&&e[u.l]||p&&(p.t==="("||p.t==="."))continue;if(d&&(d.t==="id"&&!e[d.l]&&!Az.has(d.l)||d.t===")"||d.t==="num"||d.t==="str")){t.aliases.add(u.l);continue}t.bare.push({v:u.v,l:u.l,from:u.from,to:u.to})}return t}function Bq(s){const e=(s.relationships||[]).map(t=>`References ${t.references_table}.${t.references_column}`);return s.is_primary&&e.unshift("Primary key"),e.join(`
+`)||void 0}function Bv(){const s=Ku(),e=String(Bw.dbEngine||"").toLowerCase(),t=/^(pg|postgres)/.test(e)?"pgsql":e.includes("sqlite")?"sqlite":"mysql",i=Ak[t],n=i.dialect.words,r=new Map,o=new Map;let l=!1,a=null,h=null,c=null;const u=v=>typeof v=="string"?v:v&&(v.name||v.table_name)||"",d=v=>{const k=o.get(v);return Array.isArray(k)?k:null},p=v=>{if(o.has(v))return o.get(v);const k=Hu.db.getTableColumns(r.get(v)||v).then(C=>{var P;const S=(P=C==null?void 0:C.data)==null?void 0:P.columns;o.set(v,S?Object.values(S).filter(W=>W&&W.name!=null):!1),c=null,m()}).catch(()=>{o.set(v,!1)});return o.set(v,k),k},f=async()=>{const v=[...r.keys()].slice(0,80);for(let k=0;k<v.length;k+=4)await Promise.all(v.slice(k,k+4).map(p))},m=()=>{clearTimeout(h),h=setTimeout(g,400)},g=()=>{a&&a.dispatch({effects:Mb(a.state,[du.of(x(a.state.doc.toString()))])})},y=(v,k)=>v.some(C=>String(C.name).toLowerCase()===k),x=v=>{const k=[];if(!l)return k;for(const C of Av(Aq(v,t),v.length)){const S=Aw(C.k,n);if(S.skip)continue;const P=new Map,W=(L,I)=>{P.has(L)||P.set(L,[]),P.get(L).push(I)};for(const L of S.tables){const I=!L.schema&&r.has(L.l);!I&&!L.schema&&!S.ctes.has(L.l)&&!Bj.has(L.l)&&k.push({from:L.from,to:L.to,severity:"error",message:`Unknown table "${L.name}"`});const F=I?L.l:null;W(L.l,F),L.alias&&W(L.alias,F),I&&!o.has(L.l)&&p(L.l)}for(const L of S.refs){if(S.derived.has(L.q))continue;const I=P.get(L.q);if(!I||I.includes(null))continue;const F=I.map(d);F.includes(null)||F.some(R=>y(R,L.l))||k.push({from:L.from,to:L.to,severity:"warning",message:`Unknown column "${L.v}" in "${r.get(I[0])}"`})}const q=[...new Set([...P.values()].flat())];if(S.derived.size||S.ctes.size||!q.length||q.includes(null))continue;const M=q.map(d);if(!M.includes(null))for(const L of S.bare)S.aliases.has(L.l)||P.has(L.l)||M.some(I=>y(I,L.l))||k.push({from:L.from,to:L.to,severity:"warning",message:`Unknown column "${L.v}"`})}return k},b=v=>{const k=v.state.doc.toString(),C=Av(Aq(k,t),k.length).find(S=>v.pos<=S.to);return{s:C,a:Aw(C.k,n)}},w=v=>({label:v,type:"keyword",detail:"foreign key",boost:50}),A=v=>String(v.references_table).toLowerCase(),O=async v=>{const k=v.matchBefore(/[\w$]*$/),C=b(v),S=C.s.k.filter(I=>I.to<=k.from),P=S[S.length-1];if(!P||P.t!=="id"||P.l!=="join"&&P.l!=="on")return null;const W=C.a.tables.filter(I=>I.to<=P.from&&r.has(I.l)),L=[];if(P.l==="join"){await f();for(const I of W){const F=I.alias||I.name;for(const R of d(I.l)||[])for(const _ of R.relationships||[])L.push(w(`${_.references_table} ON ${_.references_table}.${_.references_column} = ${F}.${R.name}`));for(const[R,_]of r)for(const E of d(R)||[])for(const H of E.relationships||[])A(H)===I.l&&L.push(w(`${_} ON ${_}.${E.name} = ${F}.${H.references_column}`))}}else{const I=W[W.length-1];if(!I)return null;await Promise.all(W.map(R=>p(R.l)));const F=I.alias||I.name;for(const R of W.slice(0,-1)){const _=R.alias||R.name;for(const E of d(I.l)||[])for(const H of E.relationships||[])A(H)===R.l&&L.push(w(`${F}.${E.name} = ${_}.${H.references_column}`));for(const E of d(R.l)||[])for(const H of E.relationships||[])A(H)===I.l&&L.push(w(`${F}.${H.references_column} = ${_}.${E.name}`))}}return L.length?{from:k.from,options:L}:null},K=async v=>{const k=b(v).a,C=v.matchBefore(/([\w$]+)\.[\w$]*$/),S=k.tables.map(P=>P.l);C&&S.push(C.text.split(".")[0].toLowerCase()),await Promise.all(S.filter(P=>r.has(P)).map(p));if(!c){const P={};for(const[W,L]of r)P[L]={self:{label:L,type:"type",detail:"table"},children:(d(W)||[]).map(I=>({label:I.name,type:"property",detail:I.type,info:Bq(I)}))};c=V1(P,void 0,void 0,void 0,void 0,i)}return c(v)},U=async v=>{const k=v.matchBefore(/[\w$]*$/);if(!k||k.from===k.to&&!v.explicit||v.state.sliceDoc(k.from-1,k.from)===".")return null;const C=b(v).a.tables.filter(W=>r.has(W.l));if(!C.length)return null;await Promise.all(C.map(W=>p(W.l)));const S=[],P=new Set;for(const W of C)for(const L of d(W.l)||[])P.has(W.l+"."+L.name)||(P.add(W.l+"."+L.name),S.push({label:L.name,type:"property",detail:`${r.get(W.l)} · ${L.type||""}`,info:Bq(L),boost:5}));return{from:k.from,options:S,validFor:/^[\w$]*$/}};return{dialect:t,extensions:[j1({dialect:i,upperCaseKeywords:!0}),fu({override:[O,K,U,_1(i,!0)],activateOnTyping:!0,defaultKeymap:!0,closeOnBlur:!0}),T.updateListener.of(v=>{v.docChanged&&m()})],load(){(s.hasLoadedTables?Promise.resolve(s.tables):s.fetchTables()).then(v=>{r.clear();for(const k of Array.isArray(v)?v:[]){const C=u(k);C&&r.set(C.toLowerCase(),C)}l=!0,c=null,m()}).catch(v=>{console.error("Failed to load database tables for SQL completions:",v)})},ready({view:v}){a=v,m()},statement(){if(!a)return null;const v=a.state,k=v.selection.main;if(!k.empty)return v.sliceDoc(k.from,k.to);const C=v.doc.toString(),S=Av(Aq(C,t),C.length).filter(P=>P.k.length),P=S.find(W=>k.head>=W.from&&k.head<=W.to+1)||S[S.length-1];return P?C.slice(P.from,P.to):C},flush(){clearTimeout(h),g()},destroy(){clearTimeout(h),a=null}}}const Dj=s=>{const e=s.replace(/\s+/g," ").trim();return e.length>32?e.slice(0,32)+"…":e},Ej=s=>s==null?"":Number(s).toLocaleString(void 0,{maximumFractionDigits:3}),Dk=s=>s===null?Nu("span",{class:"text-boulder-400 italic"},"NULL"):typeof s=="object"?JSON.stringify(s):s,Dw=s=>s.status==="skipped"?"Not executed":s.status==="not_previewed"?"Not previewed":[s.execution_time!=null?`${Ej(s.execution_time)} ms`:"",s.status==="error"?"Failed":s.status==="rolled_back"?"Rolled back":s.affected_rows!=null?`${Ej(s.affected_rows)} row${s.affected_rows!==1?"s":""} affected`:`${Ej(s.count)} row${s.count!==1?"s":""}`].filter(Boolean).join(" · "),GC={read:"neutral",dml:"warning",ddl:"error",transaction:"info"},GD={error:"i-lucide-circle-x",skipped:"i-lucide-circle-minus",not_previewed:"i-lucide-circle-dashed",rolled_back:"i-lucide-undo-2"},GA=s=>{const e=s.rows||[],t=s.action==="delete",i=e.some(r=>r.after),n=e.length?Object.keys(e[0].before):[],m="text-xs text-boulder-500 dark:text-boulder-400";return Nu("div",{class:"space-y-2"},[Nu("div",{class:"text-sm font-medium"},t?"Rows that would be deleted":i?"Rows that would change":"Rows matched before the change"),e.length&&!t&&!i?Nu("p",{class:m},s.primary_key&&s.primary_key.length?"The changed rows could not be read back.":"The table has no primary key, so new values cannot be shown."):null,e.length?Nu("div",{class:"overflow-x-auto border border-default rounded-md"},[Nu("table",{class:"min-w-full text-xs"},[Nu("thead",null,[Nu("tr",{class:"bg-shark-50 dark:bg-shark-800"},n.map(r=>Nu("th",{class:"px-3 py-2 text-left font-semibold whitespace-nowrap"},r)))]),Nu("tbody",null,e.map(r=>Nu("tr",{class:["border-t border-default",t?"bg-red-50 dark:bg-red-900/20":""]},n.map(o=>{const l=r.after&&r.changed.includes(o);return Nu("td",{class:["px-3 py-2 align-top whitespace-nowrap",l?"bg-warning/10":""]},l?[Nu("div",{class:"text-red-600 dark:text-red-400",style:{textDecoration:"line-through"}},Dk(r.before[o])),Nu("div",{class:"text-green-600 dark:text-green-400"},Dk(r.after[o]))]:Dk(r.before[o]))}))))])]):Nu("p",{class:m},"No rows match."),s.truncated?Nu("p",{class:m},`Showing the first ${e.length} rows.`):null])},Dq=ph({__name:"StatementResults",props:{statements:{type:Array,required:!0},loading:{type:Boolean,default:!1}},emits:["export"],setup(s,{emit:ID}){const e=Ve("0"),t=At(()=>s.statements.map((n,r)=>({label:`${r+1}. ${Dj(n.query)}`,icon:GD[n.status]||"i-lucide-circle-check",value:String(r),slot:"statement",statement:n}))),i=n=>{const r=(n.columns||[]).map(a=>({id:a,accessorFn:h=>h[a],header:a.charAt(0).toUpperCase()+a.slice(1).replace(/_/g," "),cell:({row:h})=>Dk(h.getValue(a))})),o="p-4 text-center text-boulder-500 dark:text-boulder-400",l=Nu("div",{class:o},n.affected_rows!=null?`Query executed successfully, ${Ej(n.affected_rows)} row${n.affected_rows!==1?"s":""} affected.`:"Query executed successfully, but no rows were returned.");return[Nu("div",{class:"flex items-start justify-between gap-2 mb-2"},[Nu("pre",{class:"flex-1 min-w-0 text-xs text-boulder-500 dark:text-boulder-400 p-2 bg-shark-50 dark:bg-shark-800 rounded overflow-auto"},n.query),Nu("div",{class:"flex items-center gap-2 whitespace-nowrap"},[n.type==="read"&&(n.columns||[]).length?Nu(Wu,{size:"xs",variant:"ghost",icon:"i-lucide-download",onClick:()=>ID("export",n)},()=>"Export"):null,n.type?Nu(Ek,{label:n.type.toUpperCase(),color:GC[n.type]||"neutral",variant:"subtle",size:"sm"}):null,Nu("div",{class:"text-sm text-boulder-500 dark:text-boulder-400"},Dw(n))])]),n.requires_confirmation?Nu("div",{class:"mb-2 p-3 rounded-md bg-warning/10 text-warning text-sm"},`No WHERE clause: this statement changes every row of ${n.table||"the table"}.`):null,n.status==="error"?Nu("div",{class:"p-4 bg-red-50 dark:bg-red-900/20 rounded-md text-red-600 dark:text-red-400"},[Nu("p",{class:"font-medium"},"Error"),Nu("p",null,n.error||"An unknown error occurred")]):n.status==="skipped"?Nu("div",{class:o},"Not executed because an earlier statement failed."):n.status==="not_previewed"?Nu("div",{class:o},"Not previewed. MySQL commits schema changes immediately, so this statement and the ones after it only run when you commit."):n.status==="rolled_back"?Nu("div",{class:o},"Rolled back because a later statement failed."):r.length?Nu("div",{class:"overflow-x-auto"},[Nu(Qu,{columns:r,data:n.results||[],loading:s.loading,class:"w-full",ui:{th:"px-4 py-3.5 text-sm text-highlighted text-left rtl:text-right font-semibold whitespace-nowrap [&:has([role=checkbox])]:pe-0"}},{empty:()=>Nu("div",{class:o},"No rows returned")})]):n.sample?Nu("div",{class:"space-y-3"},[l,GA(n.sample)]):l]};return Ct(()=>s.statements,n=>{const r=n.findIndex(o=>o.status==="error");e.value=String(r>=0?r:Math.max(n.length-1,0))},{immediate:!0}),()=>s.statements.length>1?Nu(Cz,{modelValue:e.value,"onUpdate:modelValue":n=>e.value=n,items:t.value,variant:"link",class:"w-full"},{statement:({item:n})=>i(n.statement)}):s.statements.length?Nu("div",null,i(s.statements[0])):null}}),GB=ph({__name:"PendingWrite",props:{pending:{type:Object,required:!0},statements:{type:Array,default:()=>[]},loading:{type:Boolean,default:!1}},emits:["commit","rollback"],setup(s,{emit:e}){const t=Vu({}),i=At(()=>s.pending.confirm_tables||[]),n=At(()=>i.value.every(l=>(t[l]||"").trim().toLowerCase()===l.toLowerCase())),r=At(()=>s.statements.reduce((l,a)=>l+(a.affected_rows||0),0)),o=At(()=>s.statements.some(l=>l.status==="not_previewed"));return()=>Nu("div",{class:"mb-4 p-4 rounded-md border border-warning bg-warning/10 space-y-3"},[Nu("div",{class:"flex items-start gap-2"},[Nu(zu,{name:"i-lucide-shield-alert",class:"shrink-0 mt-0.5 text-warning"}),Nu("div",{class:"text-sm space-y-1"},[Nu("p",{class:"font-medium"},"Dry run: nothing has been changed yet"),Nu("p",{class:"text-boulder-500 dark:text-boulder-400"},`${Ej(r.value)} row${r.value!==1?"s":""} would be affected. ${s.pending.transaction?"Committing runs all statements in one transaction.":"Committing runs each statement on its own."} The preview expires at ${new Date(s.pending.expires_at).toLocaleTimeString()}.`),o.value?Nu("p",{class:"text-warning"},"Some statements could not be previewed and will only run on commit."):null])]),...i.value.map(l=>Nu(Pu,{label:`Type "${l}" to confirm changing every row of ${l}`,name:`confirm-${l}`},{default:()=>Nu(Eu,{modelValue:t[l]||"","onUpdate:modelValue":a=>t[l]=a,placeholder:l,autocomplete:"off",class:"w-full"})})),Nu("div",{class:"flex justify-end gap-2"},[Nu(Wu,{label:"Roll Back",icon:"i-lucide-undo-2",color:"neutral",variant:"outline",disabled:s.loading,onClick:()=>e("rollback")}),Nu(Wu,{label:"Commit",icon:"i-lucide-check",color:"error",loading:s.loading,disabled:!n.value,onClick:()=>e("commit",i.value.slice())})])])}}),Dv=ph({__name:"ExplainPlan",props:{plan:{type:Object,required:!0}},setup(s){const e=At(()=>{let n=0;const r=o=>o.forEach(l=>{l.cost>n&&(n=l.cost),r(l.children||[])});return r(s.plan.nodes||[]),n}),t=(n,r)=>{const o=n.warnings||[],l=[n.cost!=null?`cost ${Ej(n.cost)}`:"",n.rows!=null?`rows ${Ej(n.rows)}`:"",n.actual_rows!=null?`actual rows ${Ej(n.actual_rows)}`:"",n.actual_time!=null?`time ${Ej(n.actual_time)} ms`:"",n.loops!=null&&n.loops!==1?`loops ${Ej(n.loops)}`:""].filter(Boolean).join(" · ");return Nu("div",{class:["flex items-start gap-2 py-1.5 px-2 border-l-2",n.full_scan?"border-error":o.length?"border-warning":"border-transparent"],style:{marginLeft:`${r*1.5}rem`}},[Nu(zu,{name:n.full_scan?"i-lucide-triangle-alert":r?"i-lucide-corner-down-right":"i-lucide-list-tree",class:["shrink-0 mt-0.5",n.full_scan?"text-error":o.length?"text-warning":"text-boulder-400"]}),Nu("div",{class:"flex-1 min-w-0"},[Nu("div",{class:"flex flex-wrap items-center gap-x-2"},[Nu("span",{class:"font-medium"},n.operation),n.table?Nu("span",{class:"text-xs font-mono text-boulder-500 dark:text-boulder-400"},n.table):null,n.index?Nu("span",{class:"text-xs text-boulder-500 dark:text-boulder-400"},`using ${n.index}`):null]),l?Nu("div",{class:"text-xs text-boulder-500 dark:text-boulder-400"},l):null,n.cost!=null&&e.value>0?Nu("div",{class:"h-1 mt-1 rounded bg-shark-100 dark:bg-shark-800"},[Nu("div",{class:["h-1 rounded",n.full_scan?"bg-error":"bg-primary"],style:{width:`${Math.max(2,Math.round(n.cost/e.value*100))}%`}})]):null,...Object.entries(n.details||{}).map(([a,h])=>Nu("div",{class:"text-xs text-boulder-500 dark:text-boulder-400 truncate",title:String(h)},`${a.replace(/_/g," ")}: ${h}`)),...o.map(a=>Nu("div",{class:"text-xs text-error"},a))])])},i=(n,r)=>n.flatMap(o=>[t(o,r),...i(o.children||[],r+1)]);return()=>{const n=s.plan,r=n.warnings||[],o=[n.analyze?"Analyzed":"Estimated",n.total_cost!=null?`Total cost ${Ej(n.total_cost)}`:"",n.planning_time!=null?`Planning ${Ej(n.planning_time)} ms`:"",n.execution_time!=null?`Execution ${Ej(n.execution_time)} ms`:""].filter(Boolean).join(" · ");return Nu("div",{class:"space-y-3"},[Nu("pre",{class:"text-xs text-boulder-500 dark:text-boulder-400 p-2 bg-shark-50 dark:bg-shark-800 rounded overflow-auto"},n.query),Nu("div",{class:"text-sm text-boulder-500 dark:text-boulder-400"},o),r.length?Nu("div",{class:"p-3 rounded-md bg-warning/10 text-warning text-sm"},[Nu("p",{class:"font-medium"},"Warnings"),...r.map(l=>Nu("p",null,l))]):null,(n.nodes||[]).length?Nu("div",{class:"overflow-x-auto"},i(n.nodes,0)):Nu("div",{class:"p-4 text-center text-boulder-500 dark:text-boulder-400"},"The database returned an empty plan.")])}}});const Eq=["string","integer","number","boolean","date","datetime"],Ev={integer:"number",number:"number",date:"date",datetime:"datetime-local"},Fq=(s,e)=>{const t=[],i=s.length,n=/[A-Za-z_]\w*/y;let r=0;for(;r<i;){const o=s[r],l=s[r+1]||"";if(o==="'"||o==='"'||o==="`"&&e==="mysql"){let a=r+1;for(;a<i;){if(s[a]==="\\"&&e==="mysql"&&o!=="`"){a+=2;continue}if(s[a]===o){if(s[a+1]===o){a+=2;continue}break}a++}r=a+1;continue}if(o==="-"&&l==="-"||o==="#"&&e==="mysql"){const a=s.indexOf(`
+`,r);r=a<0?i:a+1;continue}if(o==="/"&&l==="*"){const a=s.indexOf("*/",r+2);r=a<0?i:a+2;continue}if(o===":"){if(l===":"){r+=2;continue}n.lastIndex=r+1;const a=n.exec(s);if(a&&!/\w/.test(s[r-1]||"")){t.includes(a[0])||t.push(a[0]),r+=a[0].length+1;continue}}r++}return t},Fv=(s,e,t)=>{const i=new Map((e||[]).map(n=>[String(n.name||"").replace(/^:/,""),n]));return Fq(s,t).map(n=>{const r=i.get(n)||{};return{name:n,type:Eq.includes(r.type)?r.type:"string",label:r.label||n,required:r.required!==!1,default:r.default??null}})},Fz=ph({__name:"QueryParamsModal",props:{open:{type:Boolean,default:!1},parameters:{type:Array,default:()=>[]},values:{type:Object,default:()=>({})}},emits:["update:open","submit"],setup(s,{emit:e}){const t=Vu({}),i=Ve({});Ct(()=>s.open,o=>{if(o){i.value={};for(const l of s.parameters){const a=s.values[l.name]??l.default;t[l.name]=l.type==="boolean"?a===!0||a==="true"||a===1||a==="1":a??""}}},{immediate:!0});const n=()=>{const o={};for(const l of s.parameters){const a=t[l.name];if(l.type==="boolean")continue;if(a===""||a==null){l.required&&(o[l.name]=`${l.label} is required`);continue}l.type==="integer"&&!/^-?\d+$/.test(String(a).trim())?o[l.name]=`${l.label} must be a whole number`:l.type==="number"&&isNaN(Number(a))&&(o[l.name]=`${l.label} must be a number`)}if(i.value=o,Object.keys(o).length)return;const l={};for(const a of s.parameters)l[a.name]=t[a.name]===""?null:t[a.name];e("submit",l),e("update:open",!1)},r=o=>o.type==="boolean"?Nu($u,{modelValue:!!t[o.name],"onUpdate:modelValue":l=>t[o.name]=l}):Nu(Eu,{modelValue:t[o.name],"onUpdate:modelValue":l=>t[o.name]=l,type:Ev[o.type]||"text",step:o.type==="number"?"any":void 0,class:"w-full"});return()=>Nu(Tu,{open:s.open,title:"Query Parameters",description:"Values are sent as bound parameters, not pasted into the SQL.","onUpdate:open":o=>e("update:open",o)},{body:()=>Nu("form",{class:"space-y-4",onSubmit:o=>{o.preventDefault(),n()}},[...s.parameters.map(o=>Nu(Pu,{key:o.name,label:o.label,name:o.name,hint:`:${o.name} · ${o.type}`,required:o.required&&o.type!=="boolean",error:i.value[o.name]},()=>r(o))),Nu("button",{type:"submit",class:"hidden"})]),footer:()=>Nu("div",{class:"flex justify-end gap-2 w-full"},[Nu(Wu,{variant:"ghost",onClick:()=>e("update:open",!1)},()=>"Cancel"),Nu(Wu,{color:"primary",icon:"i-heroicons-play",onClick:n},()=>"Run")])})}}),Fw=ph({__name:"SaveQueryModal",props:{open:{type:Boolean,default:!1},query:{type:String,default:""},source:{type:Object,default:null},dialect:{type:String,default:"mysql"}},emits:["update:open","saved"],setup(s,{emit:e}){const t=rx(),i=ju(),n=Vu({name:"",description:"",tags:"",team:!1,allow_write:!1,change_note:"",copy:!0}),r=Vu({}),o=Ve(!1),l=At(()=>!!(s.source&&s.source.uuid&&s.source.is_owner)),a=At(()=>Fq(s.query,s.dialect));Ct(()=>s.open,d=>{if(!d)return;const p=s.source||{};n.name=p.name||"",n.description=p.description||"",n.tags=(p.tags||[]).join(", "),n.team=p.visibility==="team",n.allow_write=!!p.allow_write,n.change_note="",n.copy=!l.value;for(const m of Object.keys(r))delete r[m];for(const m of Fv(s.query,p.parameters,s.dialect))r[m.name]={type:m.type,label:m.label===m.name?"":m.label,default:m.default??"",required:m.required}},{immediate:!0}),Ct(a,d=>{for(const p of d)r[p]||(r[p]={type:"string",label:"",default:"",required:!0})},{immediate:!0});const h=d=>{const p=[];return d.name.trim()||p.push({name:"name",message:"Query name is required"}),p},c=async()=>{o.value=!0;try{const d={name:n.name.trim(),description:n.description.trim()||null,query:s.query,parameters:a.value.map(u=>{const g=r[u];return{name:u,type:g.type,label:g.label.trim()||u,required:g.required,default:g.default===""?null:g.default}}),tags:n.tags.split(",").map(u=>u.trim()).filter(Boolean),visibility:n.team?"team":"private",allow_write:n.allow_write},p=!n.copy&&l.value;p&&n.change_note.trim()&&(d.change_note=n.change_note.trim());const m=await t.saveQuery(d,p?s.source.uuid:null);i.success({title:"Query Saved",description:p?`"${m.name}" saved as version ${m.version}.`:`Query "${m.name}" saved successfully.`}),e("saved",m),e("update:open",!1)}catch(d){i.error({title:"Error",description:d.message||"Failed to save query"})}finally{o.value=!1}},f=d=>{const p=r[d];return p?Nu("div",{key:d,class:"grid grid-cols-1 sm:grid-cols-3 gap-2 items-start"},[Nu("div",{class:"font-mono text-sm pt-2 truncate"},`:${d}`),Nu(Ez,{modelValue:p.type,"onUpdate:modelValue":m=>p.type=m,items:Eq,size:"sm"}),Nu(Eu,{modelValue:p.label,"onUpdate:modelValue":m=>p.label=m,placeholder:"Label",size:"sm"}),Nu("div",null,null),Nu(Eu,{modelValue:p.default,"onUpdate:modelValue":m=>p.default=m,placeholder:"Default value",type:Ev[p.type]||"text",size:"sm"}),Nu($u,{modelValue:p.required,"onUpdate:modelValue":m=>p.required=m,label:"Required",size:"sm"})]):null};return()=>Nu(Tu,{open:s.open,title:l.value&&!n.copy?`Save "${s.source.name}"`:"Save Query",ui:{content:"sm:max-w-2xl"},"onUpdate:open":d=>e("update:open",d)},{body:()=>Nu(Du,{state:n,validate:h,class:"space-y-4",onSubmit:c},()=>[l.value?Nu($u,{modelValue:!n.copy,"onUpdate:modelValue":d=>n.copy=!d,label:`Save as a new version of "${s.source.name}"`,description:`Currently version ${s.source.version}. Turn off to save a separate copy.`}):null,Nu(Pu,{label:"Query Name",name:"name",required:!0},()=>Nu(Eu,{modelValue:n.name,"onUpdate:modelValue":d=>n.name=d,placeholder:"Enter a name for this query",class:"w-full"})),Nu(Pu,{label:"Description",name:"description"},()=>Nu(Eu,{modelValue:n.description,"onUpdate:modelValue":d=>n.description=d,placeholder:"What does this query answer?",class:"w-full"})),Nu(Pu,{label:"Tags",name:"tags",hint:"Comma separated"},()=>Nu(Eu,{modelValue:n.tags,"onUpdate:modelValue":d=>n.tags=d,placeholder:"reports, users",class:"w-full"})),Nu("div",{class:"flex flex-wrap gap-x-6 gap-y-3"},[Nu($u,{modelValue:n.team,"onUpdate:modelValue":d=>n.team=d,label:"Share with team",description:"Team members can view and run it; only you can change it."}),Nu($u,{modelValue:n.allow_write,"onUpdate:modelValue":d=>n.allow_write=d,label:"Needs write mode"})]),a.value.length?Nu("div",{class:"space-y-2"},[Nu("div",{class:"font-medium text-sm"},"Parameters"),Nu("div",{class:"space-y-3 divide-y divide-shark-100 dark:divide-shark-800"},a.value.map(f))]):null,!n.copy&&l.value?Nu(Pu,{label:"Change Note",name:"change_note"},()=>Nu(Eu,{modelValue:n.change_note,"onUpdate:modelValue":d=>n.change_note=d,placeholder:"Optional note for the version history",class:"w-full"})):null,Nu("div",{class:"text-sm text-boulder-500 dark:text-boulder-400"},[Nu("div",{class:"font-medium"},"Query:"),Nu("div",{class:"truncate"},s.query)]),Nu("div",{class:"flex justify-end gap-2 mt-4"},[Nu(Wu,{type:"button",variant:"ghost",onClick:()=>e("update:open",!1)},()=>"Cancel"),Nu(Wu,{type:"submit",color:"primary",loading:o.value,disabled:!n.name.trim()},()=>"Save")])])})}}),Gq=ph({__name:"QueryVersionsModal",props:{open:{type:Boolean,default:!1},record:{type:Object,default:null}},emits:["update:open","load"],setup(s,{emit:e}){const t=rx(),i=ju(),n=Ve([]),r=Ve(!1),o=Ve(null),l=async()=>{if(s.record){r.value=!0;try{n.value=await t.loadQueryVersions(s.record.uuid)}catch(h){i.error({title:"Error",description:h.message||"Failed to load versions"})}finally{r.value=!1}}};Ct(()=>s.open,h=>{h&&l()},{immediate:!0});const a=async h=>{o.value=h.version;try{const c=await t.restoreQueryVersion(s.record.uuid,h.version);i.success({title:"Version Restored",description:`Version ${h.version} is now version ${c.version}.`}),e("load",c),e("update:open",!1)}catch(c){i.error({title:"Error",description:c.message||"Failed to restore version"})}finally{o.value=null}};return()=>{var h;return Nu(Tu,{open:s.open,title:`History of "${((h=s.record)==null?void 0:h.name)||""}"`,ui:{content:"sm:max-w-2xl"},"onUpdate:open":c=>e("update:open",c)},{body:()=>r.value?Nu("div",{class:"p-4 text-center text-boulder-500 dark:text-boulder-400"},"Loading versions..."):n.value.length?Nu("div",{class:"max-h-96 overflow-y-auto divide-y divide-shark-100 dark:divide-shark-800"},n.value.map(c=>{const f=c.version===s.record.version;return Nu("div",{key:c.version,class:"py-3 space-y-2"},[Nu("div",{class:"flex items-center gap-2"},[Nu(Ek,{variant:f?"solid":"soft",size:"sm"},()=>`v${c.version}`),Nu("div",{class:"flex-1 min-w-0 text-sm text-boulder-500 dark:text-boulder-400 truncate"},[c.created_by_username||"Unknown user"," · ",new Date(c.created_at).toLocaleString(),c.change_note?` · ${c.change_note}`:""]),Nu(Wu,{size:"xs",variant:"ghost",icon:"i-heroicons-pencil-square",title:"Open this version in the editor",onClick:()=>{e("load",{...s.record,query:c.query,parameters:c.parameters}),e("update:open",!1)}},()=>"Open"),s.record.is_owner&&!f?Nu(Wu,{size:"xs",variant:"ghost",icon:"i-heroicons-arrow-uturn-left",loading:o.value===c.version,disabled:o.value!==null,title:"Make this the current version",onClick:()=>a(c)},()=>"Restore"):null]),Nu("pre",{class:"text-xs p-2 bg-shark-50 dark:bg-shark-800 rounded overflow-auto max-h-64 whitespace-pre-wrap"},c.query)])})):Nu("div",{class:"p-4 text-center text-boulder-500 dark:text-boulder-400"},"No versions recorded")})}}}),Gv=ph({__name:"QueryLibrary",props:{current:{type:String,default:""}},emits:["load"],setup(s,{emit:e}){const t=rx(),i=ju(),n=Ve(""),r=Ve(null),o=Ve(null),l=Ve(null),a=Ve(!1),h=At(()=>t.getSavedQueries),c=At(()=>{const g=t.libraryFilters.tag;return g?[g]:[...new Set(h.value.flatMap(v=>v.tags||[]))].sort()});let f=null;n.value=t.libraryFilters.search;const d=g=>t.loadSavedQueries(g).catch(v=>{i.error({title:"Error",description:v.message||"Failed to load saved queries"})});Ct(n,g=>{clearTimeout(f),f=setTimeout(()=>d({search:g.trim()}),300)});const p=async g=>{const v=g.target;if(!v.files||!v.files.length)return;const k=v.files[0];v.value="";try{const C=await t.importQueries(k);(C.errors||[]).length?i.warn({title:"Queries Imported",description:`Imported ${C.imported} queries, skipped ${C.skipped}: ${C.errors[0]}`}):i.success({title:"Queries Imported",description:`Imported ${C.imported} queries into your library.`})}catch(C){i.error({title:"Import Failed",description:C.message||"Failed to import queries."})}},m=async()=>{if(o.value){a.value=!0;try{await t.deleteSavedQuery(o.value.uuid),i.success({title:"Query Deleted",description:`"${o.value.name}" has been deleted.`}),o.value=null}catch(g){i.error({title:"Error",description:g.message||"Failed to delete query"})}finally{a.value=!1}}},u=g=>Nu("div",{key:g.uuid,class:["p-3 flex items-center gap-3 cursor-pointer hover:bg-shark-50 dark:hover:bg-shark-800/50",s.current===g.query?"bg-shark-50 dark:bg-shark-800/50":""],onClick:()=>e("load",g)},[Nu(zu,{name:g.visibility==="team"?"i-heroicons-user-group":"i-heroicons-bookmark",class:"shrink-0 text-boulder-400",title:g.visibility==="team"?"Shared with team":"Private"}),Nu("div",{class:"flex-1 min-w-0"},[Nu("div",{class:"font-medium truncate"},g.name),Nu("div",{class:"text-xs text-boulder-500 dark:text-boulder-400 truncate"},[g.is_owner?"You":g.owner_username||"Unknown owner",` · v${g.version}`,(g.parameters||[]).length?` · ${g.parameters.map(v=>":"+v.name).join(", ")}`:""]),(g.tags||[]).length?Nu("div",{class:"flex flex-wrap gap-1 mt-1"},g.tags.map(v=>Nu(Ek,{key:v,size:"sm",variant:"soft",color:t.libraryFilters.tag===v?"primary":"neutral"},()=>v))):null]),Nu(Wu,{variant:"ghost",size:"xs",icon:"i-heroicons-clock",title:"Version history",onClick:v=>{v.stopPropagation(),l.value=g}}),g.is_owner?Nu(Wu,{variant:"ghost",size:"xs",icon:"i-heroicons-trash",title:"Delete query",onClick:v=>{v.stopPropagation(),o.value=g}}):null]);return()=>Nu(vs,null,[Nu(_u,null,{header:()=>Nu("div",{class:"space-y-2"},[Nu("div",{class:"flex items-center justify-between"},[Nu("h3",{class:"text-lg font-semibold"},"Saved Queries"),Nu("div",{class:"flex items-center gap-2"},[Nu(Wu,{size:"xs",variant:"ghost",icon:"i-heroicons-arrow-down-tray",title:"Import queries from file",onClick:()=>{var g;return(g=r.value)==null?void 0:g.click()}},()=>"Import"),Nu("input",{ref:r,type:"file",accept:".json",class:"hidden",onChange:p}),Nu(Wu,{size:"xs",variant:"ghost",icon:"i-heroicons-arrow-up-tray",disabled:!h.value.length,title:"Export the listed queries",onClick:()=>t.exportQueries()},()=>"Export")])]),Nu("div",{class:"flex items-center gap-2"},[Nu(Eu,{modelValue:n.value,"onUpdate:modelValue":g=>n.value=g,placeholder:"Search queries",icon:"i-heroicons-magnifying-glass",size:"sm",class:"flex-1"}),Nu(Ez,{modelValue:t.libraryFilters.scope,"onUpdate:modelValue":g=>d({scope:g}),items:[{label:"All",value:"all"},{label:"Mine",value:"mine"},{label:"Team",value:"team"}],size:"sm",class:"w-28"})]),c.value.length?Nu("div",{class:"flex flex-wrap gap-1"},c.value.map(g=>Nu(Wu,{key:g,size:"xs",variant:t.libraryFilters.tag===g?"solid":"soft",trailingIcon:t.libraryFilters.tag===g?"i-heroicons-x-mark":void 0,onClick:()=>d({tag:t.libraryFilters.tag===g?"":g})},()=>g))):null]),default:()=>h.value.length?Nu("div",{class:"h-96 overflow-y-auto divide-y divide-shark-100 dark:divide-shark-800"},h.value.map(u)):Nu("div",{class:"p-4 text-boulder-500 dark:text-boulder-400 text-center"},t.libraryFilters.search||t.libraryFilters.tag||t.libraryFilters.scope!=="all"?"No saved queries match the filters":"No saved queries available")}),o.value?Nu(Tu,{open:!0,title:"Confirm Deletion","onUpdate:open":g=>{g||(o.value=null)}},{body:()=>Nu("div",{class:"p-4"},[Nu("p",null,`Are you sure you want to delete "${o.value.name}"? Team members will no longer see it.`)]),footer:()=>Nu("div",{class:"flex justify-end gap-2"},[Nu(Wu,{type:"button",variant:"ghost",onClick:()=>o.value=null},()=>"Cancel"),Nu(Wu,{type:"button",color:"error",loading:a.value,onClick:m},()=>"Delete")])}):null,l.value?Nu(Gq,{open:!0,record:l.value,"onUpdate:open":g=>{g||(l.value=null)},onLoad:g=>e("load",g)}):null])}});const ax={class:"p-4 space-y-4"},hx={class:"flex items-center justify-between"},cx={class:"flex items-center gap-2"},fx={class:"h-64 border border-shark-200 dark:border-shark-500 rounded-md overflow-hidden"},ux={key:1,class:"h-full flex items-center justify-center bg-shark-50 dark:bg-shark-800"},dx={class:"flex items-center justify-between"},px={class:"text-sm text-boulder-500 dark:text-boulder-400"},mx={key:0,class:"p-4 bg-red-50 dark:bg-red-900/20 rounded-md text-red-600 dark:text-red-400"},gx={key:1},wx={class:"grid grid-cols-1 lg:grid-cols-3 gap-4"},Sx={key:0,class:"p-4 text-boulder-500 dark:text-boulder-400 text-center"},Cx={key:1,class:"h-96 overflow-y-auto divide-y divide-shark-100 dark:divide-shark-800"},Ax=["onClick"],Ox={class:"flex items-center gap-3"},Mx={class:"font-medium"},Tx={key:0,class:"text-xs text-boulder-500 dark:text-boulder-400 mt-1 pl-8"},Dx={class:"text-xs text-boulder-500 dark:text-boulder-400 mt-1 pl-8 truncate"},Hx={class:"flex items-center justify-between"},Vx={key:0,class:"p-4 text-boulder-500 dark:text-boulder-400 text-center"},Wx={key:1,class:"h-96 overflow-y-auto divide-y divide-shark-100 dark:divide-shark-800"},zx=["onClick"],qx={class:"flex-1 truncate"},Qx={class:"text-xs text-boulder-500 dark:text-boulder-400"},_x={class:"text-sm truncate"},Xx=ph({__name:"sql",setup(s){const e=rx(),t=ju(),i=Ve(!1),o=Ve("SELECT * FROM users LIMIT 10;"),l=Ve(""),a=Ve(!1),h=Ve(!1),c=Ve(!1),f=At(()=>e.isLoading),u=At(()=>e.queryResults),d=At(()=>e.hasError),p=At(()=>{var W;return((W=e.queryResults)==null?void 0:W.execution_time)||0}),m=At(()=>e.getQueryHistory),g=At(()=>e.getSavedQueries),y=At(()=>e.getPredefinedQueries),C=Ve([{label:"Default Database",value:"default"}]),w=T.theme({"&":{fontSize:"14px"},".cm-content":{color:"var(--ui-text)",backgroundColor:"var(--ui-bg)"},".cm-focused":{outline:"none"},".cm-editor":{backgroundColor:"var(--ui-bg)"},".cm-scroller":{backgroundColor:"var(--ui-bg)"},".cm-cursor":{borderColor:"var(--ui-text)"},".cm-selectionBackground":{backgroundColor:"var(--ui-primary-200)"}}),Sq=Bv(),Cj=At(()=>e.explainPlan),Ck=At(()=>e.isExplaining),Dz=Ve(!1),HA=At(()=>e.pendingWrite),IB=Ve(null),IC=W=>{const k=e.currentQuery||{};IB.value={query:W.query,params:k.params,parameters:k.parameters}},HD=Ve(!1),Hq=Ve(null),Hv=Ve(!1),Hw=Ve([]),Hz=Ve({});let Hk=null;const A=[yu,...Sq.extensions,nx,w,T.lineWrapping,us.of([{key:"Ctrl-Enter",run:()=>(O(),!0)},...$f])];mh(async()=>{var W;Sq.load(),l.value=((W=C.value[0])==null?void 0:W.value)||"",i.value=!0;try{await Promise.all([e.loadSavedQueries(),e.loadPredefinedQueries(Sq.dialect)])}catch(k){console.error("Failed to load queries:",k)}});Iu(Sq.destroy);function Ij(W,k){if(!Fq(W,Sq.dialect).length)return k({params:[]});Hw.value=Fv(W,Hq.value&&Hq.value.parameters,Sq.dialect),Hk=k,Hv.value=!0}function Ik(W){Hz.value={...Hz.value,...W};const k=Hk;Hk=null,k&&k({params:W,parameters:Hw.value})}async function O(){if(!o.value.trim()||f.value)return;Sq.flush();const W=o.value;Ij(W,async k=>{const ce={query:W,...k,allow_write:c.value};try{await e.executeQuery(ce),u.value&&u.value.failed_statement&&t.error({title:"Statement Failed",description:u.value.message})}catch(He){console.error("Query execution error:",He)}})}async function Fj(W){const k=Sq.statement()||o.value;if(!k.trim()||Ck.value)return;Sq.flush(),Ij(k,async ce=>{Dz.value=W;try{const He=await e.explainQuery({query:k,...ce,analyze:W,allow_write:c.value});W&&!He.analyze&&t.info({title:"Estimated Plan",description:He.message})}catch(He){t.error({title:"Explain Failed",description:He.message||"Failed to explain query"})}})}function F(W){o.value=W.query,Hq.value=W.name?W:null,W.params&&!Array.isArray(W.params)&&(Hz.value={...Hz.value,...W.params}),h.value=!1}async function HB(W){HD.value=!0;try{await e.commitPendingWrite(W);const k=u.value;k&&k.failed_statement?t.error({title:"Commit Failed",description:k.message}):t.success({title:"Changes Committed",description:k&&k.message})}catch(k){t.error({title:"Commit Failed",description:k.message||"Failed to commit changes"})}finally{HD.value=!1}}async function HC(){try{await e.rollbackPendingWrite(),t.info({title:"Rolled Back",description:"The dry run was discarded, nothing was changed."})}catch(W){t.error({title:"Rollback Failed",description:W.message||"Failed to roll back changes"})}}function K(){o.value="",Hq.value=null,e.pendingWrite&&e.rollbackPendingWrite().catch(()=>{}),e.clearQueryResults(),e.clearExplainPlan()}function H(){e.clearQueryHistory()}return(W,k)=>{const ce=Uu,He=$u,se=Wu,it=_u,$n=zu,Cu=Ru;return Z(),oe(vs,null,[G(Cu,{id:"commands"},{header:Q(()=>[G(ce,{title:"SQL Editor"})]),body:Q(()=>[B("div",ax,[G(it,null,{header:Q(()=>[B("div",hx,[k[15]||(k[15]=B("h3",{class:"text-lg font-semibold"},"SQL Editor",-1)),B("div",cx,[G(He,{modelValue:c.value,"onUpdate:modelValue":k[0]||(k[0]=I=>c.value=I),label:"Allow Write",size:"md",color:"success",class:"mr-5"},null,8,["modelValue"]),G(se,{color:"primary",icon:"i-heroicons-play",loading:f.value,disabled:!o.value.trim()||f.value,onClick:O},{default:Q(()=>k[12]||(k[12]=[We(" Execute ")])),_:1,__:[12]},8,["loading","disabled"]),G(se,{icon:"i-lucide-list-tree",variant:"outline",loading:Ck.value&&!Dz.value,disabled:!o.value.trim()||Ck.value,title:"Show the execution plan of the statement at the cursor",onClick:k[37]||(k[37]=I=>Fj(!1))},{default:Q(()=>k[38]||(k[38]=[We(" Explain ")])),_:1,__:[38]},8,["loading","disabled"]),G(se,{icon:"i-lucide-activity",variant:"outline",loading:Ck.value&&Dz.value,disabled:!o.value.trim()||Ck.value,title:"Run the statement at the cursor with EXPLAIN ANALYZE; changes are rolled back",onClick:k[39]||(k[39]=I=>Fj(!0))},{default:Q(()=>k[40]||(k[40]=[We(" Explain Analyze ")])),_:1,__:[40]},8,["loading","disabled"]),G(se,{icon:"i-heroicons-bookmark",onClick:k[1]||(k[1]=I=>a.value=!0),disabled:!o.value.trim()},{default:Q(()=>k[13]||(k[13]=[We(" Save ")])),_:1,__:[13]},8,["disabled"]),G(se,{icon:"i-heroicons-trash",onClick:K,disabled:!o.value.trim()},{default:Q(()=>k[14]||(k[14]=[We(" Clear ")])),_:1,__:[14]},8,["disabled"])])])]),footer:Q(()=>k[17]||(k[17]=[B("div",{class:"text-xs text-boulder-500 dark:text-boulder-400"}," Press Ctrl+Enter to execute the query ",-1)])),default:Q(()=>[B("div",fx,[i.value?(Z(),si(Kn(Kb),{key:0,modelValue:o.value,"onUpdate:modelValue":k[2]||(k[2]=I=>o.value=I),placeholder:"Enter SQL query here...",style:{height:"100%"},"indent-with-tab":!0,"tab-size":2,extensions:A,onReady:Sq.ready},null,8,["modelValue"])):(Z(),oe("div",ux,k[16]||(k[16]=[B("p",{class:"text-boulder-500 dark:text-boulder-400"},"Loading editor...",-1)])))])]),_:1}),u.value?(Z(),si(it,{key:0},{header:Q(()=>[B("div",dx,[k[18]||(k[18]=B("h3",{class:"text-lg font-semibold"},"Results",-1)),B("div",px,Ee(p.value?`Executed in ${p.value}ms`:""),1)])]),default:Q(()=>[d.value?(Z(),oe("div",mx,[k[19]||(k[19]=B("p",{class:"font-medium"},"Error",-1)),B("p",null,Ee(u.value.error||"An unknown error occurred"),1)])):(Z(),oe("div",gx,[HA.value?(Z(),si(GB,{key:0,pending:HA.value,statements:u.value.statements||[],loading:HD.value,onCommit:HB,onRollback:HC},null,8,["pending","statements","loading"])):Wt("",!0),G(Dq,{statements:u.value.statements||[],loading:f.value,onExport:IC},null,8,["statements","loading"])]))]),_:1})):Wt("",!0),Cj.value?(Z(),si(it,{key:1},{header:Q(()=>[B("div",{class:"flex items-center justify-between"},[B("h3",{class:"text-lg font-semibold"},Ee(Cj.value.analyze?"Execution Plan (Analyzed)":"Execution Plan"),1),G(se,{size:"xs",variant:"ghost",icon:"i-heroicons-x-mark",title:"Close execution plan",onClick:k[41]||(k[41]=I=>Kn(e).clearExplainPlan())})])]),default:Q(()=>[G(Dv,{plan:Cj.value},null,8,["plan"])]),_:1})):Wt("",!0),B("div",wx,[G(it,null,{header:Q(()=>k[21]||(k[21]=[B("div",{class:"flex items-center justify-between"},[B("h3",{class:"text-lg font-semibold"},"Predefined Queries")],-1)])),default:Q(()=>[y.value.length?(Z(),oe("div",Cx,[(Z(!0),oe(vs,null,Gn(y.value,I=>(Z(),oe("div",{key:I.id,class:Xn(["p-3 flex flex-col cursor-pointer hover:bg-shark-50 dark:hover:bg-shark-800/50",o.value===I.query?"bg-shark-50 dark:bg-shark-800/50":""]),onClick:xs=>F(I)},[B("div",Ox,[G($n,{name:"i-heroicons-document-text",class:"shrink-0 text-boulder-400"}),B("div",Mx,Ee(I.name),1)]),I.description?(Z(),oe("div",Tx,Ee(I.description),1)):Wt("",!0),B("div",Dx,Ee(I.query),1)],10,Ax))),128))])):(Z(),oe("div",Sx," No predefined queries available "))]),_:1}),G(Gv,{current:o.value,onLoad:F},null,8,["current"]),G(it,null,{header:Q(()=>[B("div",Hx,[k[27]||(k[27]=B("h3",{class:"text-lg font-semibold"},"Query History",-1)),m.value.length>0?(Z(),si(se,{key:0,size:"xs",variant:"ghost",icon:"i-heroicons-trash",onClick:H},{default:Q(()=>k[26]||(k[26]=[We(" Clear History ")])),_:1,__:[26]})):Wt("",!0)])]),default:Q(()=>[m.value.length===0?(Z(),oe("div",Vx," No query history available ")):(Z(),oe("div",Wx,[(Z(!0),oe(vs,null,Gn(m.value,(I,xs)=>(Z(),oe("div",{key:xs,class:Xn(["p-3 flex items-center gap-3 cursor-pointer hover:bg-shark-50 dark:hover:bg-shark-800/50",o.value===I.query?"bg-shark-50 dark:bg-shark-800/50":""]),onClick:Yx=>F(I)},[G($n,{name:"i-heroicons-clock",class:"shrink-0 text-boulder-400"}),B("div",qx,[B("div",Qx,Ee(new Date(I.created_at||Date.now()).toLocaleString()),1),B("div",_x,Ee(I.query),1)])],10,zx))),128))]))]),_:1})])])]),_:1}),a.value?(Z(),si(Fw,{key:0,open:a.value,"onUpdate:open":k[7]||(k[7]=I=>a.value=I),query:o.value,source:Hq.value,dialect:Kn(Sq).dialect,onSaved:k[5]||(k[5]=I=>Hq.value=I)},null,8,["open","query","source","dialect"])):Wt("",!0),Hv.value?(Z(),si(Fz,{key:1,open:Hv.value,"onUpdate:open":k[9]||(k[9]=I=>Hv.value=I),parameters:Hw.value,values:Hz.value,onSubmit:Ik},null,8,["open","parameters","values"])):Wt("",!0),IB.value?(Z(),si(IA,{key:2,open:!!IB.value,"onUpdate:open":k[42]||(k[42]=I=>{I||(IB.value=null)}),title:"Export Query Result",source:IB.value,name:"query_result"},null,8,["open","source"])):Wt("",!0)],64)}}});typeof ll=="function"&&ll(Xx);export{Xx as default};
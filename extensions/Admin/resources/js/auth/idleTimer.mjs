@@ -0,0 +1,110 @@
+/**
+ * Idle Sign-Out Timer
+ *
+ * Signs the dashboard out after a period without keyboard, mouse or touch
+ * activity. The last activity is kept in localStorage, so activity in any
+ * open tab keeps every tab signed in. The warning period before the sign-out
+ * is reported every second so a dialog can count it down.
+ */
+
+export const ACTIVITY_KEY = 'admin_last_activity';
+export const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'wheel'];
+
+/** Milliseconds between writes of the last activity */
+const WRITE_INTERVAL = 5000;
+
+/**
+ * Create an idle timer
+ *
+ * @param {Object} options
+ * @param {number} options.timeoutMinutes Minutes of inactivity before signing out, 0 disables the timer
+ * @param {number} options.warningSeconds Seconds of warning before signing out, at most the timeout
+ * @param {function(number|null): void} options.onWarning Receives the seconds left, or null when no warning is due
+ * @param {function(): void} options.onIdle Signs the user out
+ * @param {Storage} [options.storage] Storage shared by the open tabs
+ * @param {EventTarget} [options.target] Target activity events are listened on
+ * @returns {{timeout: number, start: Function, stop: Function, stay: Function, check: Function}}
+ */
+export function createIdleTimer({
+    timeoutMinutes,
+    warningSeconds,
+    onWarning,
+    onIdle,
+    storage = globalThis.localStorage,
+    target = globalThis.window,
+}) {
+    const timeout = Math.max(0, Number(timeoutMinutes) || 0) * 60000;
+    const warning = Math.min(Math.max(0, Number(warningSeconds) || 0) * 1000, timeout);
+    let interval = null;
+    let lastWrite = 0;
+    let warned = false;
+
+    const lastActivity = () => {
+        const stored = Number(storage.getItem(ACTIVITY_KEY));
+        return Number.isFinite(stored) && stored > 0 ? stored : Date.now();
+    };
+
+    /**
+     * Record activity, which no longer counts once the warning is shown
+     *
+     * @param {boolean} force Record even during the warning and within the write interval
+     */
+    const record = (force = false) => {
+        if (warned && !force) {
+            return;
+        }
+        const now = Date.now();
+        if (force || now - lastWrite >= WRITE_INTERVAL) {
+            lastWrite = now;
+            storage.setItem(ACTIVITY_KEY, String(now));
+        }
+    };
+
+    const onActivity = () => record();
+
+    const stop = () => {
+        if (interval) {
+            clearInterval(interval);
+            interval = null;
+        }
+        ACTIVITY_EVENTS.forEach((event) => target.removeEventListener(event, onActivity));
+    };
+
+    const check = () => {
+        const remaining = timeout - (Date.now() - lastActivity());
+        if (remaining <= 0) {
+            stop();
+            warned = false;
+            onIdle();
+            return;
+        }
+        warned = remaining <= warning;
+        onWarning(warned ? Math.ceil(remaining / 1000) : null);
+    };
+
+    return {
+        timeout,
+
+        start() {
+            if (timeout <= 0) {
+                return;
+            }
+            record(true);
+            ACTIVITY_EVENTS.forEach((event) => target.addEventListener(event, onActivity, { passive: true }));
+            interval = setInterval(check, 1000);
+        },
+
+        stop,
+
+        /**
+         * Dismiss the warning and restart the timeout
+         */
+        stay() {
+            warned = false;
+            onWarning(null);
+            record(true);
+        },
+
+        check,
+    };
+}
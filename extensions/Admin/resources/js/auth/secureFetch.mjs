@@ -0,0 +1,133 @@
+/**
+ * Secure API Fetch Options
+ *
+ * The `beforeFetch` and `onFetchError` hooks of the dashboard's API client
+ * (VueUse `createFetch`). Requests wait for a token refresh in flight, so
+ * they queue behind it instead of failing with an expired token. A request
+ * answered with 401 refreshes once and is replayed; a 419 fetches a new CSRF
+ * token and is replayed. Requests failing while signed out share one logout.
+ */
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Create the fetch hooks
+ *
+ * @param {Object} options
+ * @param {import('./tokenManager.mjs').TokenManager} options.tokenManager Session of the signed-in user
+ * @param {Promise<string>} options.apiBaseUrl Resolves to the base URL relative URLs are prefixed with
+ * @param {function(): Promise<Object|null>} options.fetchCsrfToken Fetches `/csrf-token` without authentication
+ * @param {function(): Promise<void>} options.logout Signs the user out
+ * @returns {{beforeFetch: Function, onFetchError: Function}}
+ */
+export function createSecureFetchOptions({ tokenManager, apiBaseUrl, fetchCsrfToken, logout }) {
+    // Requests being replayed, mapped to the context of their failed replay
+    const replays = new Map();
+    let loggingOut = null;
+
+    const csrfToken = async () => {
+        const token = tokenManager.getCsrfToken();
+        if (token) {
+            return token;
+        }
+        try {
+            tokenManager.setCsrfToken(await fetchCsrfToken());
+            return tokenManager.getCsrfToken();
+        } catch {
+            return null;
+        }
+    };
+
+    const addSessionHeaders = async (url, options) => {
+        if (tokenManager.isMemoryMode()) {
+            options.credentials = 'include';
+            options.headers = { ...options.headers, 'X-Auth-Session-Mode': 'cookie' };
+        }
+        if (MUTATING_METHODS.includes((options.method || 'GET').toUpperCase()) && !url.endsWith('/csrf-token')) {
+            const token = await csrfToken();
+            if (token) {
+                options.headers = { ...options.headers, 'X-CSRF-Token': token };
+            }
+        }
+    };
+
+    /**
+     * Run a failed request again, once
+     *
+     * `execute(true)` throws when the replay fails, and the replay's own
+     * context was recorded by onFetchError by then.
+     */
+    const replay = async (ctx) => {
+        replays.set(ctx.execute, null);
+        try {
+            await ctx.execute(true);
+            return { data: null, error: null };
+        } catch (error) {
+            const failed = replays.get(ctx.execute);
+            if (failed) {
+                return failed;
+            }
+            ctx.error = error;
+            return ctx;
+        } finally {
+            replays.delete(ctx.execute);
+        }
+    };
+
+    return {
+        async beforeFetch({ url, options }) {
+            const base = await apiBaseUrl;
+            if (base && !url.startsWith('http')) {
+                url = base.replace(/\/$/, '') + '/' + url.replace(/^\//, '');
+            }
+
+            options.headers = {
+                'Content-Type': 'application/json',
+                Accept: 'application/json',
+                ...options.headers,
+            };
+
+            if (tokenManager.refreshPromise || tokenManager.needsRefresh()) {
+                await tokenManager.refreshTokens();
+            }
+            await addSessionHeaders(url, options);
+
+            const authorization = tokenManager.getAuthHeader();
+            if (authorization) {
+                options.headers = { ...options.headers, Authorization: authorization };
+            }
+            return { url, options };
+        },
+
+        async onFetchError(ctx) {
+            console.log('[useSecureApi] Fetch error:', ctx.response?.status, ctx.error);
+
+            const replaying = replays.has(ctx.execute);
+            if (replaying && !replays.get(ctx.execute)) {
+                replays.set(ctx.execute, ctx);
+            }
+
+            if (ctx.response?.status === 419 && !replaying) {
+                tokenManager.setCsrfToken(null);
+                return replay(ctx);
+            }
+
+            if (ctx.response?.status === 401) {
+                if (!replaying && tokenManager.canRefresh() && await tokenManager.refreshTokens()) {
+                    return replay(ctx);
+                }
+                if (!loggingOut) {
+                    loggingOut = logout().finally(() => {
+                        loggingOut = null;
+                    });
+                }
+                await loggingOut;
+            }
+
+            if (ctx.data) {
+                ctx.error = ctx.data;
+            }
+            return ctx;
+        },
+    };
+}
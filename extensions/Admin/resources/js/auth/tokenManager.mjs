@@ -0,0 +1,343 @@
+/**
+ * Admin Dashboard Token Manager
+ *
+ * Holds the session of the signed-in user and keeps its access token fresh.
+ * A refresh is scheduled a minute before the token expires, concurrent
+ * refreshes share one request, and the Web Locks API serializes refreshes
+ * across tabs so a rotated refresh token is only used once.
+ *
+ * In memory session mode the access token never leaves this object and the
+ * refresh token is an HttpOnly cookie. In storage mode the session is kept
+ * in Web Storage and refreshed sessions are broadcast to the other tabs.
+ */
+
+export const STORAGE_KEY = 'auth_session';
+export const REMEMBER_KEY = 'auth_remember';
+export const LOCK_NAME = 'glueful-admin-token-refresh';
+export const CHANNEL_NAME = 'glueful-admin-auth';
+
+/** Milliseconds before expiry at which the access token is refreshed */
+export const REFRESH_MARGIN = 60000;
+
+/** Milliseconds before expiry at which a CSRF token is no longer sent */
+const CSRF_MARGIN = 5000;
+
+export class TokenManager {
+    static instance = null;
+
+    /**
+     * @param {Object} [options]
+     * @param {{sessionMode: string}} [options.config] Environment config, `storage` or `memory` session mode
+     * @param {Promise} [options.configLoaded] Resolves once the environment config is loaded
+     * @param {Storage} [options.localStorage] Storage kept across browser restarts
+     * @param {Storage} [options.sessionStorage] Storage kept for the tab
+     * @param {LockManager|null} [options.locks] Web Locks, refreshes run unlocked without them
+     * @param {BroadcastChannel|null} [options.channel] Channel refreshed sessions are shared on
+     */
+    constructor({
+        config = { sessionMode: 'memory' },
+        configLoaded = Promise.resolve(),
+        localStorage = globalThis.localStorage,
+        sessionStorage = globalThis.sessionStorage,
+        locks = globalThis.navigator?.locks ?? null,
+        channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null,
+    } = {}) {
+        this.config = config;
+        this.configLoaded = configLoaded;
+        this.local = localStorage;
+        this.session = sessionStorage;
+        this.locks = locks;
+        this.channel = channel;
+        this.refreshCallback = null;
+        this.refreshPromise = null;
+        this.refreshTimer = null;
+        this.memorySession = null;
+        this.csrf = null;
+
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.adoptSession(event.data);
+        }
+        globalThis.window?.addEventListener('storage', (event) => {
+            if (event.key === STORAGE_KEY) {
+                this.scheduleRefresh();
+            }
+        });
+    }
+
+    /**
+     * Get the manager shared by the dashboard
+     *
+     * @param {Object} [options] Constructor options, used on the first call only
+     * @returns {TokenManager}
+     */
+    static getInstance(options) {
+        if (!TokenManager.instance) {
+            TokenManager.instance = new TokenManager(options);
+        }
+        return TokenManager.instance;
+    }
+
+    /**
+     * Set the function exchanging a refresh token for new tokens
+     *
+     * @param {function(string|null): Promise<Object>} callback Receives null in memory mode, where the cookie is sent
+     */
+    setRefreshCallback(callback) {
+        this.refreshCallback = callback;
+        this.scheduleRefresh();
+    }
+
+    isMemoryMode() {
+        return this.config.sessionMode !== 'storage';
+    }
+
+    /**
+     * Store the tokens of a login or refresh response
+     *
+     * @param {Object} tokens Response with access_token, expires_in and optionally refresh_token and csrf_token
+     * @param {boolean} remember Keep the session across browser restarts
+     */
+    setTokens(tokens, remember = false) {
+        const session = {
+            access_token: tokens.access_token,
+            refresh_token: tokens.refresh_token || null,
+            token_type: tokens.token_type,
+            expires_at: Date.now() + tokens.expires_in * 1000,
+            user: tokens.user,
+        };
+
+        if (tokens.csrf_token) {
+            this.setCsrfToken(tokens.csrf_token);
+        }
+
+        if (this.isMemoryMode()) {
+            this.memorySession = session;
+            if (remember) {
+                this.local.setItem(REMEMBER_KEY, '1');
+            } else {
+                this.local.removeItem(REMEMBER_KEY);
+            }
+        } else {
+            (remember ? this.local : this.session).setItem(STORAGE_KEY, JSON.stringify(session));
+        }
+
+        this.scheduleRefresh();
+    }
+
+    getSession() {
+        if (this.isMemoryMode()) {
+            return this.memorySession;
+        }
+
+        const stored = this.local.getItem(STORAGE_KEY) || this.session.getItem(STORAGE_KEY);
+        if (!stored) {
+            return null;
+        }
+        try {
+            return JSON.parse(stored);
+        } catch (error) {
+            console.error('[TokenManager] Failed to parse session:', error);
+            return null;
+        }
+    }
+
+    getAccessToken() {
+        const session = this.getSession();
+        return !session || Date.now() >= session.expires_at ? null : session.access_token;
+    }
+
+    getAuthHeader() {
+        const token = this.getAccessToken();
+        return token ? `Bearer ${token}` : null;
+    }
+
+    getRefreshToken() {
+        return this.getSession()?.refresh_token || null;
+    }
+
+    isAuthenticated() {
+        return !!this.getAccessToken();
+    }
+
+    isRemembered() {
+        return !!this.local.getItem(this.isMemoryMode() ? REMEMBER_KEY : STORAGE_KEY);
+    }
+
+    /**
+     * Whether the session can be refreshed, through the cookie in memory mode
+     */
+    canRefresh() {
+        const session = this.getSession();
+        return this.isMemoryMode() ? !!session : !!session?.refresh_token;
+    }
+
+    /**
+     * Whether the access token expires within the refresh margin
+     */
+    needsRefresh() {
+        return this.canRefresh() && Date.now() >= this.getSession().expires_at - REFRESH_MARGIN;
+    }
+
+    /**
+     * Restore the session on page load
+     *
+     * @returns {Promise<boolean>} Whether a session is available
+     */
+    async initialize() {
+        await this.configLoaded;
+
+        if (this.isMemoryMode()) {
+            this.local.removeItem(STORAGE_KEY);
+            this.session.removeItem(STORAGE_KEY);
+            return this.memorySession ? true : await this.restoreFromCookie();
+        }
+
+        const session = this.getSession();
+        if (!session) {
+            return false;
+        }
+        if (Date.now() >= session.expires_at) {
+            return await this.refreshTokens();
+        }
+        this.scheduleRefresh();
+        return true;
+    }
+
+    /**
+     * Schedule the next refresh a margin before the access token expires
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        if (!this.canRefresh() || !this.refreshCallback) {
+            return;
+        }
+
+        const delay = Math.max(this.getSession().expires_at - Date.now() - REFRESH_MARGIN, 0);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTokens();
+        }, delay);
+    }
+
+    /**
+     * Refresh the tokens, joining a refresh already in flight
+     *
+     * @returns {Promise<boolean>} Whether the session is still valid
+     */
+    refreshTokens() {
+        if (this.refreshPromise) {
+            return this.refreshPromise;
+        }
+
+        const expected = this.getRefreshToken();
+        this.refreshPromise = this.withRefreshLock(() => this.performRefresh(expected)).finally(() => {
+            this.refreshPromise = null;
+        });
+        return this.refreshPromise;
+    }
+
+    async withRefreshLock(callback) {
+        return this.locks ? this.locks.request(LOCK_NAME, callback) : callback();
+    }
+
+    /**
+     * Refresh the tokens while holding the lock
+     *
+     * A changed refresh token means another tab refreshed while this one
+     * waited for the lock, so its session is used instead.
+     *
+     * @param {string|null} expected Refresh token seen before waiting for the lock
+     * @returns {Promise<boolean>}
+     */
+    async performRefresh(expected) {
+        const session = this.getSession();
+        if (!this.canRefresh() || !this.refreshCallback) {
+            return false;
+        }
+        if (expected && session.refresh_token !== expected) {
+            this.scheduleRefresh();
+            return true;
+        }
+
+        try {
+            const tokens = await this.refreshCallback(this.isMemoryMode() ? null : session.refresh_token);
+            this.setTokens(tokens, this.isRemembered());
+            if (!this.isMemoryMode() && this.channel) {
+                this.channel.postMessage({ previous: session.refresh_token, session: this.getSession() });
+            }
+            return true;
+        } catch (error) {
+            console.error('[TokenManager] Token refresh failed:', error);
+            this.clearTokens();
+            return false;
+        }
+    }
+
+    /**
+     * Start a memory mode session from the refresh cookie
+     *
+     * @returns {Promise<boolean>}
+     */
+    async restoreFromCookie() {
+        if (!this.refreshCallback) {
+            return false;
+        }
+        try {
+            const tokens = await this.withRefreshLock(() => this.refreshCallback(null));
+            this.setTokens(tokens, this.isRemembered());
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * @param {{token: string, expires_at: number}|null} csrf CSRF token with its expiry in seconds
+     */
+    setCsrfToken(csrf) {
+        this.csrf = csrf?.token ? { token: csrf.token, expires_at: (csrf.expires_at || 0) * 1000 } : null;
+    }
+
+    getCsrfToken() {
+        return this.csrf && Date.now() < this.csrf.expires_at - CSRF_MARGIN ? this.csrf.token : null;
+    }
+
+    /**
+     * Take over a session another tab refreshed from the session this tab holds
+     *
+     * @param {{previous: string, session: Object}} message Broadcast refresh
+     */
+    adoptSession(message) {
+        const current = this.getSession();
+        if (!message?.session || !current || current.refresh_token !== message.previous) {
+            return;
+        }
+        (this.isRemembered() ? this.local : this.session).setItem(STORAGE_KEY, JSON.stringify(message.session));
+        this.scheduleRefresh();
+    }
+
+    clearTokens() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        this.memorySession = null;
+        this.csrf = null;
+        this.local.removeItem(REMEMBER_KEY);
+        this.local.removeItem(STORAGE_KEY);
+        this.session.removeItem(STORAGE_KEY);
+    }
+
+    getDebugInfo() {
+        const session = this.getSession();
+        return {
+            hasSession: !!session,
+            sessionMode: this.isMemoryMode() ? 'memory' : 'storage',
+            isAuthenticated: this.isAuthenticated(),
+            isRemembered: this.isRemembered(),
+            expiresAt: session ? new Date(session.expires_at).toISOString() : null,
+            hasRefreshCallback: !!this.refreshCallback,
+            refreshInFlight: !!this.refreshPromise,
+            refreshScheduled: !!this.refreshTimer,
+        };
+    }
+}
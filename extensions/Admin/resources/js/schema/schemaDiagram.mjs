@@ -0,0 +1,328 @@
+/**
+ * Schema Diagram Layout and Export
+ *
+ * Lays out tables and their foreign keys for the schema diagram, finds the
+ * foreign key path between two tables and writes the diagram as a Mermaid
+ * `erDiagram`. Tables come from `GET /admin/db/tables?include_schema=1`,
+ * each with its columns and foreign keys.
+ */
+
+export const NODE_WIDTH = 240;
+export const HEADER_HEIGHT = 30;
+export const ROW_HEIGHT = 20;
+const COLUMN_GAP = 110;
+const ROW_GAP = 36;
+
+// Ordering passes over the layers, alternating left to right and back
+const ORDERING_PASSES = 4;
+
+/**
+ * Keep the tables whose name contains a filter
+ *
+ * @param {Array<Object>} tables Tables with their foreign keys
+ * @param {string} filter Text the table names are matched against, case-insensitive
+ * @param {boolean} includeRelated Also keep tables referencing or referenced by a match
+ * @returns {Array<Object>}
+ */
+export function filterTables(tables, filter, includeRelated) {
+    const text = filter.trim().toLowerCase();
+    if (!text) {
+        return tables;
+    }
+
+    const matches = new Set(
+        tables.filter((table) => table.name.toLowerCase().includes(text)).map((table) => table.name)
+    );
+    const visible = new Set(matches);
+    if (includeRelated) {
+        for (const table of tables) {
+            for (const fk of table.foreign_keys) {
+                if (matches.has(table.name)) {
+                    visible.add(fk.references_table);
+                }
+                if (matches.has(fk.references_table)) {
+                    visible.add(table.name);
+                }
+            }
+        }
+    }
+    return tables.filter((table) => visible.has(table.name));
+}
+
+/**
+ * Lay out tables in layers
+ *
+ * Every table sits one layer right of the tables it references, so foreign
+ * keys point left. Within a layer, tables are ordered by the average
+ * position of their neighbours to reduce crossing edges. Tables without
+ * foreign keys to or from other tables are placed in rows below.
+ *
+ * @param {Array<Object>} tables Tables with columns and foreign_keys
+ * @param {boolean} keyColumnsOnly Show only primary and foreign key columns
+ * @returns {{nodes: Object<string, Object>, edges: Array<Object>, width: number, height: number}}
+ */
+export function layoutDiagram(tables, keyColumnsOnly) {
+    const byName = new Map(tables.map((table) => [table.name, table]));
+    const edges = [];
+    for (const table of tables) {
+        for (const fk of table.foreign_keys) {
+            if (byName.has(fk.references_table)) {
+                edges.push({
+                    from: table.name,
+                    column: fk.column,
+                    to: fk.references_table,
+                    toColumn: fk.references_column,
+                    onDelete: fk.on_delete,
+                });
+            }
+        }
+    }
+    const links = edges.filter((edge) => edge.from !== edge.to);
+
+    // Layer of a table: the longest chain of references it starts, cycles are cut
+    const referenced = new Map();
+    for (const edge of links) {
+        (referenced.get(edge.from) || referenced.set(edge.from, []).get(edge.from)).push(edge.to);
+    }
+    const layerOf = {};
+    const visiting = new Set();
+    const assignLayer = (name) => {
+        if (name in layerOf) {
+            return layerOf[name];
+        }
+        visiting.add(name);
+        let layer = 0;
+        for (const target of referenced.get(name) || []) {
+            if (!visiting.has(target)) {
+                layer = Math.max(layer, assignLayer(target) + 1);
+            }
+        }
+        visiting.delete(name);
+        return (layerOf[name] = layer);
+    };
+    tables.forEach((table) => assignLayer(table.name));
+
+    const linked = new Set(links.flatMap((edge) => [edge.from, edge.to]));
+    const byLayer = [];
+    for (const table of tables) {
+        if (linked.has(table.name)) {
+            (byLayer[layerOf[table.name]] = byLayer[layerOf[table.name]] || []).push(table.name);
+        }
+    }
+    const layers = byLayer.filter(Boolean).map((layer) => layer.sort());
+
+    const neighbours = new Map();
+    for (const edge of links) {
+        for (const [a, b] of [[edge.from, edge.to], [edge.to, edge.from]]) {
+            (neighbours.get(a) || neighbours.set(a, []).get(a)).push(b);
+        }
+    }
+    for (let pass = 0; pass < ORDERING_PASSES; pass++) {
+        const forward = pass % 2 === 0;
+        for (let i = forward ? 1 : layers.length - 2; forward ? i < layers.length : i >= 0; i += forward ? 1 : -1) {
+            const fixed = new Map(layers[forward ? i - 1 : i + 1].map((name, index) => [name, index]));
+            const current = new Map(layers[i].map((name, index) => [name, index]));
+            const position = (name) => {
+                const placed = (neighbours.get(name) || []).filter((neighbour) => fixed.has(neighbour));
+                return placed.length
+                    ? placed.reduce((sum, neighbour) => sum + fixed.get(neighbour), 0) / placed.length
+                    : current.get(name);
+            };
+            layers[i] = layers[i]
+                .map((name) => [name, position(name)])
+                .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1))
+                .map(([name]) => name);
+        }
+    }
+
+    const box = (table) => {
+        const fks = new Set(table.foreign_keys.map((fk) => fk.column));
+        const columns = keyColumnsOnly
+            ? table.columns.filter((column) => column.is_primary || fks.has(column.name))
+            : table.columns;
+        return {
+            name: table.name,
+            columns,
+            fks,
+            height: HEADER_HEIGHT + 8 + Math.max(columns.length, 1) * ROW_HEIGHT,
+        };
+    };
+
+    const nodes = {};
+    let layersHeight = 0;
+    layers.forEach((layer, column) => {
+        let y = 0;
+        for (const name of layer) {
+            const node = box(byName.get(name));
+            nodes[name] = { ...node, x: column * (NODE_WIDTH + COLUMN_GAP), y };
+            y += node.height + ROW_GAP;
+        }
+        layersHeight = Math.max(layersHeight, y);
+    });
+
+    const unlinked = tables.filter((table) => !linked.has(table.name)).map((table) => table.name).sort();
+    const perRow = Math.max(layers.length, 4);
+    let y = layersHeight ? layersHeight + ROW_GAP : 0;
+    for (let i = 0; i < unlinked.length; i += perRow) {
+        let rowHeight = 0;
+        unlinked.slice(i, i + perRow).forEach((name, column) => {
+            const node = box(byName.get(name));
+            nodes[name] = { ...node, x: column * (NODE_WIDTH + COLUMN_GAP), y };
+            rowHeight = Math.max(rowHeight, node.height);
+        });
+        y += rowHeight + ROW_GAP;
+    }
+
+    const placed = Object.values(nodes);
+    return {
+        nodes,
+        edges,
+        width: placed.reduce((width, node) => Math.max(width, node.x + NODE_WIDTH), 0),
+        height: placed.reduce((height, node) => Math.max(height, node.y + node.height), 0),
+    };
+}
+
+/**
+ * Get the vertical centre of a column's row, or of the header for hidden columns
+ *
+ * @param {Object} node Laid out table
+ * @param {string} column Column name
+ * @returns {number}
+ */
+export function columnY(node, column) {
+    const index = node.columns.findIndex((candidate) => candidate.name === column);
+    return index < 0 ? node.y + HEADER_HEIGHT / 2 : node.y + HEADER_HEIGHT + 4 + index * ROW_HEIGHT + ROW_HEIGHT / 2;
+}
+
+/**
+ * Draw a foreign key as a curve from its column to the referenced column
+ *
+ * @param {Object} layout Result of layoutDiagram()
+ * @param {Object} edge Foreign key edge of the layout
+ * @returns {string} SVG path data
+ */
+export function edgePath(layout, edge) {
+    const source = layout.nodes[edge.from];
+    const target = layout.nodes[edge.to];
+    const sourceY = columnY(source, edge.column);
+    const targetY = columnY(target, edge.toColumn);
+
+    if (edge.from === edge.to) {
+        const x = source.x + NODE_WIDTH;
+        return `M${x} ${sourceY} C${x + 50} ${sourceY - 20} ${x + 50} ${targetY + 20} ${x} ${targetY}`;
+    }
+
+    const direction = source.x >= target.x + NODE_WIDTH ? -1 : source.x + NODE_WIDTH <= target.x ? 1 : 0;
+    if (direction === 0) {
+        // Tables in the same column are joined around their right side
+        const sourceX = source.x + NODE_WIDTH;
+        const targetX = target.x + NODE_WIDTH;
+        const bend = Math.max(sourceX, targetX) + 50;
+        return `M${sourceX} ${sourceY} C${bend} ${sourceY} ${bend} ${targetY} ${targetX} ${targetY}`;
+    }
+
+    const sourceX = direction < 0 ? source.x : source.x + NODE_WIDTH;
+    const targetX = direction < 0 ? target.x + NODE_WIDTH : target.x;
+    const handle = Math.max(40, Math.abs(targetX - sourceX) / 2) * direction;
+    return `M${sourceX} ${sourceY} C${sourceX + handle} ${sourceY} `
+        + `${targetX - handle} ${targetY} ${targetX} ${targetY}`;
+}
+
+/**
+ * Find the shortest foreign key path between two tables
+ *
+ * Foreign keys are followed in either direction.
+ *
+ * @param {Array<Object>} edges Edges of the layout
+ * @param {string|null} from First table
+ * @param {string|null} to Second table
+ * @returns {{tables: Array<string>, edges: Array<number>}|null} Tables and edge indexes along the path,
+ *     both empty when the tables are not connected; null without two tables
+ */
+export function findPath(edges, from, to) {
+    if (!from || !to) {
+        return null;
+    }
+    if (from === to) {
+        return { tables: [from], edges: [] };
+    }
+
+    const adjacent = new Map();
+    edges.forEach((edge, index) => {
+        if (edge.from === edge.to) {
+            return;
+        }
+        for (const [a, b] of [[edge.from, edge.to], [edge.to, edge.from]]) {
+            (adjacent.get(a) || adjacent.set(a, []).get(a)).push([b, index]);
+        }
+    });
+
+    // Breadth-first search, remembering the table and edge each table was reached through
+    const reachedFrom = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length) {
+        const table = queue.shift();
+        if (table === to) {
+            break;
+        }
+        for (const [next, index] of adjacent.get(table) || []) {
+            if (!reachedFrom.has(next)) {
+                reachedFrom.set(next, [table, index]);
+                queue.push(next);
+            }
+        }
+    }
+    if (!reachedFrom.has(to)) {
+        return { tables: [], edges: [] };
+    }
+
+    const path = [to];
+    const pathEdges = [];
+    for (let table = to; reachedFrom.get(table);) {
+        const [previous, index] = reachedFrom.get(table);
+        pathEdges.push(index);
+        path.push(previous);
+        table = previous;
+    }
+    return { tables: path.reverse(), edges: pathEdges.reverse() };
+}
+
+const mermaidName = (name) => String(name).replace(/[^\w-]/g, '_');
+
+/**
+ * Write tables and foreign keys as a Mermaid erDiagram
+ *
+ * Column types lose their length and precision. A foreign key on a nullable
+ * column is drawn as zero-or-one to many, otherwise as exactly-one to many.
+ *
+ * @param {Array<Object>} tables Tables with columns and foreign_keys
+ * @param {Array<Object>} edges Edges of the layout
+ * @returns {string}
+ */
+export function toMermaid(tables, edges) {
+    const byName = new Map(tables.map((table) => [table.name, table]));
+    const lines = ['erDiagram'];
+
+    for (const table of tables) {
+        const fks = new Set(table.foreign_keys.map((fk) => fk.column));
+        lines.push(`    ${mermaidName(table.name)} {`);
+        for (const column of table.columns) {
+            const keys = [
+                column.is_primary && 'PK',
+                fks.has(column.name) && 'FK',
+                column.is_unique && !column.is_primary && 'UK',
+            ].filter(Boolean).join(', ');
+            const type = mermaidName(String(column.type || '').replace(/\(.*$/, '').trim() || 'unknown');
+            lines.push(`        ${type} ${mermaidName(column.name)}${keys ? ` ${keys}` : ''}`);
+        }
+        lines.push('    }');
+    }
+
+    for (const edge of edges) {
+        const column = byName.get(edge.from).columns.find((candidate) => candidate.name === edge.column);
+        const cardinality = column && column.nullable ? 'o|' : '||';
+        lines.push(`    ${mermaidName(edge.from)} }o--${cardinality} ${mermaidName(edge.to)} : "${edge.column}"`);
+    }
+
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,53 @@
+/**
+ * Session Device Labels
+ *
+ * Short device descriptions for the session list, read from the user agent
+ * recorded with each session.
+ */
+
+// Checked in order: Edge and Opera also claim Chrome, and Chrome claims Safari
+const BROWSERS = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+];
+
+// iOS user agents also contain "Mac OS X", Android ones "Linux"
+const PLATFORMS = [
+    ['Windows', 'Windows'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Mac OS X', 'macOS'],
+    ['Android', 'Android'],
+    ['CrOS', 'ChromeOS'],
+    ['Linux', 'Linux'],
+];
+
+const firstMatch = (names, userAgent) => names.find(([token]) => userAgent.includes(token))?.[1] || null;
+
+/**
+ * Describe the browser and platform of a user agent
+ *
+ * @param {string|null} userAgent User agent of the session
+ * @returns {string} For example "Firefox on Windows"
+ */
+export function describeDevice(userAgent) {
+    const browser = firstMatch(BROWSERS, userAgent || '');
+    const platform = firstMatch(PLATFORMS, userAgent || '');
+    if (browser && platform) {
+        return `${browser} on ${platform}`;
+    }
+    return browser || platform || 'Unknown device';
+}
+
+/**
+ * Whether a user agent belongs to a phone or tablet
+ *
+ * @param {string|null} userAgent User agent of the session
+ * @returns {boolean}
+ */
+export function isMobileDevice(userAgent) {
+    return /Mobi|Android|iPhone|iPad/.test(userAgent || '');
+}
@@ -0,0 +1,570 @@
+/**
+ * SQL Editor Analysis
+ *
+ * Reads the tables, aliases and column references of the statements in the
+ * SQL editor without a full parser. Completion uses it to resolve aliases
+ * and suggest join conditions; diagnostics use it to mark unknown tables
+ * and columns. Anything it cannot resolve, such as columns of a CTE or a
+ * derived table, is left unmarked rather than guessed.
+ */
+
+// Words that end a table list or cannot be a table alias
+const CLAUSE_WORDS = new Set([
+    'where', 'set', 'on', 'using', 'left', 'right', 'inner', 'outer', 'cross', 'full', 'natural', 'join',
+    'straight_join', 'group', 'order', 'limit', 'offset', 'having', 'window', 'union', 'intersect', 'except',
+    'values', 'value', 'select', 'returning', 'use', 'force', 'ignore', 'partition', 'for', 'lock', 'into',
+    'default', 'as', 'when', 'then',
+]);
+
+// Tables every database has without listing them
+const SYSTEM_TABLES = new Set(['dual', 'sqlite_master', 'sqlite_schema', 'sqlite_sequence', 'sqlite_temp_master']);
+
+// Statements that are not checked against the schema
+const UNCHECKED_STATEMENTS = new Set([
+    'create', 'alter', 'drop', 'grant', 'revoke', 'pragma', 'show', 'describe', 'desc', 'use', 'set', 'begin',
+    'commit', 'rollback', 'savepoint', 'release', 'start', 'vacuum', 'attach', 'detach', 'reindex', 'comment',
+    'lock', 'unlock', 'call', 'do', 'declare', 'prepare', 'execute', 'deallocate', 'listen', 'notify', 'copy',
+    'optimize', 'repair', 'check', 'flush', 'kill', 'load',
+]);
+
+const EXPLAIN_PREFIX = /^(explain|analyze|analyse|verbose|query|plan|extended|format)$/;
+const TABLE_MODIFIERS = /^(only|lateral|table|low_priority|ignore)$/;
+// Words before a parenthesis that does not open a function call
+const NOT_CALLS = /^(in|exists|from|join|as|values|on|using|any|all|some|lateral|over|with|recursive)$/;
+
+/**
+ * Split SQL into tokens
+ *
+ * Comments and whitespace are dropped. Identifiers carry their lowercase
+ * form, and quoted identifiers are marked as quoted. Any other character is
+ * a token whose type is the character itself.
+ *
+ * @param {string} sql SQL text
+ * @param {string} dialect `mysql`, `pgsql` or `sqlite`
+ * @returns {Array<Object>} Tokens with type, from and to, identifiers also with value, lower and quoted
+ */
+export function tokenize(sql, dialect) {
+    const tokens = [];
+    const length = sql.length;
+    let i = 0;
+
+    while (i < length) {
+        const char = sql[i];
+        const next = sql[i + 1] || '';
+        const start = i;
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if ((char === '-' && next === '-') || (char === '#' && dialect === 'mysql')) {
+            const end = sql.indexOf('\n', i);
+            i = end < 0 ? length : end;
+            continue;
+        }
+
+        if (char === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = end < 0 ? length : end + 2;
+            continue;
+        }
+
+        if (char === "'" || (char === '"' && dialect === 'mysql')) {
+            for (i++; i < length; i++) {
+                if (sql[i] === '\\' && dialect === 'mysql') {
+                    i++;
+                    continue;
+                }
+                if (sql[i] === char) {
+                    if (sql[i + 1] === char) {
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+            }
+            i = Math.min(i + 1, length);
+            tokens.push({ type: 'str', from: start, to: i });
+            continue;
+        }
+
+        if (char === '`' || char === '"' || (char === '[' && dialect === 'sqlite')) {
+            const end = sql.indexOf(char === '[' ? ']' : char, i + 1);
+            const value = sql.slice(i + 1, end < 0 ? length : end);
+            i = end < 0 ? length : end + 1;
+            tokens.push({ type: 'id', value, lower: value.toLowerCase(), quoted: true, from: start, to: i });
+            continue;
+        }
+
+        if (char === '$' && dialect === 'pgsql') {
+            const tag = /^\$(?:[A-Za-z_]\w*)?\$/.exec(sql.slice(i, i + 64));
+            if (tag) {
+                const end = sql.indexOf(tag[0], i + tag[0].length);
+                i = end < 0 ? length : end + tag[0].length;
+                tokens.push({ type: 'str', from: start, to: i });
+                continue;
+            }
+        }
+
+        if (/[A-Za-z_]/.test(char)) {
+            for (i++; i < length && /[\w$]/.test(sql[i]); i++);
+            const value = sql.slice(start, i);
+            tokens.push({ type: 'id', value, lower: value.toLowerCase(), from: start, to: i });
+            continue;
+        }
+
+        if (/\d/.test(char)) {
+            for (i++; i < length && /[\w.]/.test(sql[i]); i++);
+            tokens.push({ type: 'num', from: start, to: i });
+            continue;
+        }
+
+        if (/[:@$?]/.test(char) && /\w/.test(next) && sql[i - 1] !== ':') {
+            for (i++; i < length && /\w/.test(sql[i]); i++);
+            tokens.push({ type: 'param', from: start, to: i });
+            continue;
+        }
+
+        tokens.push({ type: char, from: start, to: i + 1 });
+        i++;
+    }
+
+    return tokens;
+}
+
+/**
+ * Split tokens into statements at semicolons
+ *
+ * @param {Array<Object>} tokens Tokens of the whole text
+ * @param {number} length Length of the text
+ * @returns {Array<{tokens: Array<Object>, from: number, to: number}>}
+ */
+export function splitStatements(tokens, length) {
+    const statements = [];
+    let current = [];
+    let from = 0;
+
+    for (const token of tokens) {
+        if (token.type === ';') {
+            statements.push({ tokens: current, from, to: token.from });
+            current = [];
+            from = token.to;
+        } else {
+            current.push(token);
+        }
+    }
+    statements.push({ tokens: current, from, to: length });
+
+    return statements;
+}
+
+/**
+ * Find the statement a position is in or right after
+ *
+ * @param {Array<{from: number, to: number}>} statements Statements in text order
+ * @param {number} position Cursor position
+ * @returns {Object|undefined}
+ */
+export function statementAt(statements, position) {
+    return statements.find((statement) => position <= statement.to);
+}
+
+/**
+ * Read the tables, aliases and column references of a statement
+ *
+ * @param {Array<Object>} statementTokens Tokens of one statement
+ * @param {Set<string>} keywords Lowercase keywords of the dialect
+ * @returns {{tables: Array<Object>, ctes: Set<string>, derived: Set<string>, aliases: Set<string>,
+ *     refs: Array<Object>, bare: Array<Object>, skip: boolean}} `skip` is set for statements not checked
+ */
+export function analyzeStatement(statementTokens, keywords) {
+    const result = {
+        tables: [],
+        ctes: new Set(),
+        derived: new Set(),
+        aliases: new Set(),
+        refs: [],
+        bare: [],
+        skip: false,
+    };
+
+    let start = 0;
+    while (
+        start < statementTokens.length
+        && statementTokens[start].type === 'id'
+        && EXPLAIN_PREFIX.test(statementTokens[start].lower)
+    ) {
+        start++;
+    }
+    const tokens = statementTokens.slice(start);
+    if (!tokens.length || tokens[0].type !== 'id' || UNCHECKED_STATEMENTS.has(tokens[0].lower)) {
+        result.skip = true;
+        return result;
+    }
+
+    const isKeyword = (token) => keywords.has(token.lower);
+    const identifier = (index) => (tokens[index] && tokens[index].type === 'id' ? tokens[index] : null);
+    // Indexes of tokens already read as table names, aliases or qualifiers
+    const consumed = new Set();
+
+    // Mark the tokens inside function calls, and read the aliases of derived tables
+    const inCall = [];
+    const callStack = [];
+    const openStack = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.type === '(') {
+            const before = tokens[i - 1];
+            const after = tokens[i + 1];
+            openStack.push(i);
+            callStack.push(
+                !!(before && before.type === 'id' && !NOT_CALLS.test(before.lower))
+                && !(after && after.type === 'id' && /^(select|with)$/.test(after.lower))
+            );
+        } else if (token.type === ')') {
+            const open = openStack.pop();
+            callStack.pop();
+            const before = open == null ? null : tokens[open - 1];
+            if (before && (before.type === ',' || (before.type === 'id' && /^(from|join)$/.test(before.lower)))) {
+                const next = identifier(i + 1);
+                const alias = next && next.lower === 'as' ? identifier(i + 2) : next;
+                if ((alias && alias !== next) || (next && !isKeyword(next) && !CLAUSE_WORDS.has(next.lower))) {
+                    result.derived.add(alias.lower);
+                    consumed.add(tokens.indexOf(alias));
+                }
+            }
+        }
+        inCall[i] = callStack.length > 0 && callStack[callStack.length - 1];
+    }
+
+    // Common table expressions: WITH name [(columns)] AS (...)
+    for (let i = 0; i < tokens.length; i++) {
+        if (!identifier(i) || tokens[i].lower !== 'as' || !tokens[i + 1] || tokens[i + 1].type !== '(') {
+            continue;
+        }
+        let name = i - 1;
+        if (tokens[name] && tokens[name].type === ')') {
+            for (let depth = 0; name >= 0; name--) {
+                if (tokens[name].type === ')') {
+                    depth++;
+                } else if (tokens[name].type === '(' && --depth === 0) {
+                    break;
+                }
+            }
+            for (let j = name + 1; j < i; j++) {
+                consumed.add(j);
+            }
+            name--;
+        }
+        const before = tokens[name - 1];
+        if (
+            identifier(name)
+            && before
+            && (before.type === ',' || (before.type === 'id' && /^(with|recursive)$/.test(before.lower)))
+        ) {
+            result.ctes.add(tokens[name].lower);
+            consumed.add(name);
+            consumed.add(i);
+        }
+    }
+
+    // Tables after FROM, JOIN, INTO, UPDATE and TRUNCATE, with their aliases
+    for (let i = 0; i < tokens.length; i++) {
+        const token = identifier(i);
+        if (!token || consumed.has(i) || inCall[i]) {
+            continue;
+        }
+        const clause = token.lower;
+        if (!['from', 'join', 'into', 'update'].includes(clause) && !(clause === 'truncate' && i === 0)) {
+            continue;
+        }
+
+        let p = i + 1;
+        for (;;) {
+            while (identifier(p) && TABLE_MODIFIERS.test(tokens[p].lower)) {
+                p++;
+            }
+            const first = identifier(p);
+            if (!first || (CLAUSE_WORDS.has(first.lower) && !first.quoted)) {
+                break;
+            }
+
+            let nameIndex = p;
+            let schema = null;
+            if (tokens[p + 1] && tokens[p + 1].type === '.' && identifier(p + 2)) {
+                schema = first;
+                nameIndex = p + 2;
+            }
+            const name = tokens[nameIndex];
+            consumed.add(p);
+            consumed.add(nameIndex);
+
+            const table = {
+                name: name.value,
+                lower: name.lower,
+                schema: schema ? schema.lower : null,
+                from: (schema || name).from,
+                to: name.to,
+                alias: null,
+            };
+
+            p = nameIndex + 1;
+            const next = identifier(p);
+            if (next && next.lower === 'as' && identifier(p + 1)) {
+                table.alias = tokens[p + 1].lower;
+                consumed.add(p);
+                consumed.add(p + 1);
+                p += 2;
+            } else if (next && !next.quoted && !isKeyword(next) && !CLAUSE_WORDS.has(next.lower)) {
+                table.alias = next.lower;
+                consumed.add(p);
+                p++;
+            }
+            result.tables.push(table);
+
+            if (tokens[p] && tokens[p].type === ',' && (clause === 'from' || clause === 'update')) {
+                p++;
+                continue;
+            }
+            break;
+        }
+    }
+
+    // Qualified column references: qualifier.column
+    for (let i = 0; i < tokens.length; i++) {
+        const qualifier = identifier(i);
+        if (!qualifier || consumed.has(i) || (tokens[i - 1] && tokens[i - 1].type === '.')) {
+            continue;
+        }
+        if (!tokens[i + 1] || tokens[i + 1].type !== '.' || !tokens[i + 2]) {
+            continue;
+        }
+        const column = tokens[i + 2];
+        consumed.add(i);
+        if (column.type !== 'id' || (tokens[i + 3] && (tokens[i + 3].type === '.' || tokens[i + 3].type === '('))) {
+            continue;
+        }
+        consumed.add(i + 2);
+        result.refs.push({
+            qualifier: qualifier.lower,
+            value: column.value,
+            lower: column.lower,
+            from: column.from,
+            to: column.to,
+        });
+    }
+
+    // Unqualified names, which are columns unless they are column aliases
+    for (let i = 0; i < tokens.length; i++) {
+        const token = identifier(i);
+        if (!token || consumed.has(i)) {
+            continue;
+        }
+        const before = tokens[i - 1];
+        const after = tokens[i + 1];
+        if (before && before.type === '.') {
+            continue;
+        }
+        if (before && before.type === 'id' && before.lower === 'as') {
+            result.aliases.add(token.lower);
+            continue;
+        }
+        if ((!token.quoted && isKeyword(token)) || (after && (after.type === '(' || after.type === '.'))) {
+            continue;
+        }
+        if (
+            before
+            && ((before.type === 'id' && !isKeyword(before) && !CLAUSE_WORDS.has(before.lower))
+                || before.type === ')' || before.type === 'num' || before.type === 'str')
+        ) {
+            result.aliases.add(token.lower);
+            continue;
+        }
+        result.bare.push({ value: token.value, lower: token.lower, from: token.from, to: token.to });
+    }
+
+    return result;
+}
+
+const hasColumn = (columns, lower) => columns.some((column) => String(column.name).toLowerCase() === lower);
+
+/**
+ * Find unknown tables and columns
+ *
+ * Tables are errors. Columns are warnings, and only checked once the
+ * columns of every table they could belong to are known.
+ *
+ * @param {string} sql SQL text
+ * @param {Object} schema
+ * @param {string} schema.dialect `mysql`, `pgsql` or `sqlite`
+ * @param {Set<string>} schema.keywords Lowercase keywords of the dialect
+ * @param {Map<string, string>} schema.tables Table names by their lowercase name
+ * @param {function(string): Array<Object>|null} schema.columns Columns of a table by its lowercase name, null
+ *     while they are not loaded; called for every known table in the text, so it can start loading them
+ * @returns {Array<{from: number, to: number, severity: string, message: string}>}
+ */
+export function diagnose(sql, { dialect, keywords, tables, columns }) {
+    const diagnostics = [];
+
+    for (const statement of splitStatements(tokenize(sql, dialect), sql.length)) {
+        const analysis = analyzeStatement(statement.tokens, keywords);
+        if (analysis.skip) {
+            continue;
+        }
+
+        // Table names and aliases, mapped to the tables they may stand for, null for unknown tables
+        const sources = new Map();
+        const addSource = (name, table) => {
+            if (!sources.has(name)) {
+                sources.set(name, []);
+            }
+            sources.get(name).push(table);
+        };
+
+        for (const table of analysis.tables) {
+            const known = !table.schema && tables.has(table.lower);
+            if (!known && !table.schema && !analysis.ctes.has(table.lower) && !SYSTEM_TABLES.has(table.lower)) {
+                diagnostics.push({
+                    from: table.from,
+                    to: table.to,
+                    severity: 'error',
+                    message: `Unknown table "${table.name}"`,
+                });
+            }
+            const source = known ? table.lower : null;
+            addSource(table.lower, source);
+            if (table.alias) {
+                addSource(table.alias, source);
+            }
+        }
+
+        for (const ref of analysis.refs) {
+            if (analysis.derived.has(ref.qualifier)) {
+                continue;
+            }
+            const candidates = sources.get(ref.qualifier);
+            if (!candidates || candidates.includes(null)) {
+                continue;
+            }
+            const candidateColumns = candidates.map(columns);
+            if (candidateColumns.includes(null) || candidateColumns.some((list) => hasColumn(list, ref.lower))) {
+                continue;
+            }
+            diagnostics.push({
+                from: ref.from,
+                to: ref.to,
+                severity: 'warning',
+                message: `Unknown column "${ref.value}" in "${tables.get(candidates[0])}"`,
+            });
+        }
+
+        const sourceTables = [...new Set([...sources.values()].flat())];
+        if (analysis.derived.size || analysis.ctes.size || !sourceTables.length || sourceTables.includes(null)) {
+            continue;
+        }
+        const allColumns = sourceTables.map(columns);
+        if (allColumns.includes(null)) {
+            continue;
+        }
+        for (const name of analysis.bare) {
+            if (
+                analysis.aliases.has(name.lower)
+                || sources.has(name.lower)
+                || allColumns.some((list) => hasColumn(list, name.lower))
+            ) {
+                continue;
+            }
+            diagnostics.push({
+                from: name.from,
+                to: name.to,
+                severity: 'warning',
+                message: `Unknown column "${name.value}"`,
+            });
+        }
+    }
+
+    return diagnostics;
+}
+
+/**
+ * Suggest join conditions from foreign keys
+ *
+ * After JOIN, every table with a foreign key to or from a table already in
+ * the query is offered with its ON clause. After ON, the conditions between
+ * the last joined table and the tables before it are offered.
+ *
+ * @param {string} keyword `join` or `on`, the keyword before the cursor
+ * @param {Array<Object>} queryTables Known tables of the statement before the keyword, from analyzeStatement()
+ * @param {Map<string, string>} tables Table names by their lowercase name
+ * @param {function(string): Array<Object>|null} columns Columns of a table with their relationships
+ * @returns {Array<string>} Join conditions
+ */
+export function joinConditions(keyword, queryTables, tables, columns) {
+    const conditions = [];
+    const references = (relationship) => String(relationship.references_table).toLowerCase();
+    const foreignKeys = function* (table) {
+        for (const column of columns(table) || []) {
+            for (const relationship of column.relationships || []) {
+                yield [column, relationship];
+            }
+        }
+    };
+
+    if (keyword === 'join') {
+        for (const table of queryTables) {
+            const name = table.alias || table.name;
+            for (const [column, fk] of foreignKeys(table.lower)) {
+                conditions.push(
+                    `${fk.references_table} ON ${fk.references_table}.${fk.references_column} = ${name}.${column.name}`
+                );
+            }
+            for (const [other, otherName] of tables) {
+                for (const [column, fk] of foreignKeys(other)) {
+                    if (references(fk) === table.lower) {
+                        conditions.push(
+                            `${otherName} ON ${otherName}.${column.name} = ${name}.${fk.references_column}`
+                        );
+                    }
+                }
+            }
+        }
+        return conditions;
+    }
+
+    const last = queryTables[queryTables.length - 1];
+    if (!last) {
+        return conditions;
+    }
+    const lastName = last.alias || last.name;
+    for (const table of queryTables.slice(0, -1)) {
+        const name = table.alias || table.name;
+        for (const [column, fk] of foreignKeys(last.lower)) {
+            if (references(fk) === table.lower) {
+                conditions.push(`${lastName}.${column.name} = ${name}.${fk.references_column}`);
+            }
+        }
+        for (const [column, fk] of foreignKeys(table.lower)) {
+            if (references(fk) === last.lower) {
+                conditions.push(`${lastName}.${fk.references_column} = ${name}.${column.name}`);
+            }
+        }
+    }
+    return conditions;
+}
+
+/**
+ * Describe a column's keys for its completion entry
+ *
+ * @param {Object} column Column with is_primary and relationships
+ * @returns {string|undefined}
+ */
+export function columnInfo(column) {
+    const notes = (column.relationships || []).map(
+        (relationship) => `References ${relationship.references_table}.${relationship.references_column}`
+    );
+    if (column.is_primary) {
+        notes.unshift('Primary key');
+    }
+    return notes.join('\n') || undefined;
+}
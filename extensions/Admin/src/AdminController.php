@@ -56,10 +56,15 @@ class AdminController
 
             // Use ConfigController to update the config
             // Note: updateConfig expects the config data directly, not wrapped in 'content'
-            $success = $this->getConfigController()->updateConfig($filename, $data['content']);
-
-            if (!$success) {
-                return Response::serverError('Failed to update configuration');
+            $response = $this->getConfigController()->updateConfig(
+                $filename,
+                $data['content'],
+                isset($data['change_note']) ? (string)$data['change_note'] : null
+            );
+
+            // Validation errors and missing files are returned as they are
+            if (!$response->isSuccessful()) {
+                return $response;
             }
 
             // Clear configuration cache
@@ -67,9 +72,7 @@ class AdminController
                 \Glueful\Helpers\ConfigManager::clearCache();
             }
 
-            return Response::success([
-                'success' => true
-            ], 'Configuration updated successfully');
+            return $response;
         } catch (\Exception $e) {
             return Response::serverError('Failed to update configuration: ' . $e->getMessage());
         }
@@ -179,7 +182,7 @@ class AdminController
                         return $lastRun > $dayAgo;
                     }),
                     'failed' => array_filter($allJobs, function ($job) {
-                        return isset($job['status']) && $job['status'] === 'failed';
+                        return in_array($job['last_run_status'] ?? null, ['failed', 'timed_out'], true);
                     })
                 ];
             } catch (\Exception $e) {
@@ -114,6 +114,12 @@ class AdminServiceProvider extends BaseExtensionServiceProvider
             'dbEngine' => $dbEngine,
             'db' => $db,
             'apiDocsUrl' => $docsUrl,
+            // "memory" keeps the access token in memory and the refresh token in an HttpOnly cookie;
+            // "storage" is the legacy Web Storage session
+            'sessionMode' => env('ADMIN_SESSION_MODE', 'memory'),
+            // Minutes without activity before the dashboard signs out (0 disables), and the warning lead time
+            'idleTimeout' => (int) env('ADMIN_IDLE_TIMEOUT', 30),
+            'idleWarning' => (int) env('ADMIN_IDLE_WARNING', 60),
         ];
 
         $jsonData = json_encode($data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES);
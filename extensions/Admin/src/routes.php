@@ -10,6 +10,9 @@
  * - Content management
  * - Extension management
  * - Job scheduling
+ * - Audit log search and live tail
+ * - Audit log retention rules and archives
+ * - API metric time series and alert thresholds
  *
  * All routes in this file are protected by admin authentication middleware
  * and require superuser permissions.
@@ -23,7 +26,10 @@ use Glueful\Controllers\{
     JobsController,
     MetricsController,
     ConfigController,
-    UsersController
+    UsersController,
+    SavedQueriesController,
+    AuditLogsController,
+    AuditLogRetentionController
 };
 use Glueful\Helpers\RequestHelper;
 use Symfony\Component\HttpFoundation\Request;
@@ -38,11 +44,352 @@ Router::group('/admin', function () use ($container) {
 
     Router::group('/db', function () use ($container) {
 
+        /**
+         * @route POST /admin/db/query
+         * @tag Admin - Database Management
+         * @summary Execute raw SQL
+         * @description Executes one or more SQL statements in order. Each statement is classified as read,
+         * dml or ddl and reports its rows, affected row count and timing; execution stops at the first failing
+         * statement. Scripts that write need allow_write and run in guarded mode: without a confirmation_token
+         * the script is dry-run in a transaction that is rolled back, reporting affected rows and a sample diff
+         * of changed rows, and a confirmation token is returned. Sending the same script with the token commits
+         * it, in one transaction unless transaction is false. UPDATE and DELETE without WHERE also need the table
+         * name in confirm_table. Every executed write is recorded in the audit log.
+         * @requiresAuth true
+         * @requestBody query:string="SQL query or script" params:array="Bound parameters (single statement only)" allow_write:boolean="Allow write statements" confirmation_token:string="Token of the dry run to commit" confirm_table:string="Table name confirming an UPDATE or DELETE without WHERE" transaction:boolean="Commit all statements in one transaction (default true)" {required=query}
+         * @response 200 application/json "Query executed successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     query:string="Submitted SQL",
+         *     results:array="Rows of the last executed statement",
+         *     count:integer="Row count of the last executed statement",
+         *     statements:array=[{
+         *       index:integer="Statement position, starting at 1",
+         *       query:string="Statement SQL",
+         *       type:string="read, dml, ddl or transaction",
+         *       table:string="Target table of an UPDATE or DELETE",
+         *       requires_confirmation:boolean="Whether the statement changes every row of its table",
+         *       status:string="success, error, skipped, rolled_back or not_previewed",
+         *       columns:array="Result column names",
+         *       results:array="Result rows",
+         *       count:integer="Number of rows returned",
+         *       affected_rows:integer="Rows affected by a write statement",
+         *       execution_time:number="Execution time in milliseconds",
+         *       sample:object="Dry run only: {action, primary_key, rows:[{before, after, changed}], truncated}",
+         *       error:string="Error message of a failed statement"
+         *     }],
+         *     failed_statement:integer="Position of the failed statement, if any",
+         *     execution_time:number="Total execution time in milliseconds",
+         *     mode:string="preview or committed, for scripts that write",
+         *     pending:object="Dry run only: {confirmation_token, expires_at, transaction, confirm_tables}"
+         *   }
+         * }
+         * @response 400 application/json "Missing query or invalid parameters"
+         * @response 403 application/json "Permission denied or allow_write required"
+         * @response 409 application/json "Confirmation token expired or does not match the query"
+         * @response 422 application/json "Table name confirmation missing"
+         */
         Router::post('/query', function (Request $request) use ($container) {
             $dbController = $container->get(DatabaseController::class);
             return $dbController->executeQuery($request);
         });
 
+        /**
+         * @route POST /admin/db/query/rollback
+         * @tag Admin - Database Management
+         * @summary Roll back a previewed write
+         * @description Discards a dry run of /admin/db/query so its confirmation token can no longer be committed.
+         * @requiresAuth true
+         * @requestBody confirmation_token:string="Token of the dry run" {required=confirmation_token}
+         * @response 200 application/json "Changes rolled back"
+         * @response 400 application/json "Missing confirmation token"
+         */
+        Router::post('/query/rollback', function (Request $request) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->rollbackQuery($request);
+        });
+
+        /**
+         * @route POST /admin/db/export
+         * @tag Admin - Database Management
+         * @summary Export a table or query result
+         * @description Streams rows as a file download without loading the result into memory.
+         * Tables are exported with the same search, filters and sorting as GET /admin/db/table/{name};
+         * queries must be a single read-only statement. The X-Export-Id response header identifies the
+         * export for the progress and cancel endpoints, X-Total-Rows holds the row count of table exports.
+         * @requiresAuth true
+         * @requestBody format:string="csv, ndjson, xlsx or sql (INSERT statements)" table:string="Table to export" search:string="Search term" search_fields:array="Columns to search" filters:object="Advanced filters by column" order_by:string="Column to sort by" order_dir:string="ASC or DESC" query:string="Read-only statement to export instead of a table" params:array="Bound parameters" name:string="Target table of INSERT statements for query exports" {required=format}
+         * @response 200 application/octet-stream "Export file"
+         * @response 400 application/json "Missing table or query"
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Table not found"
+         * @response 422 application/json "Unsupported format or not a single read-only statement"
+         */
+        Router::post('/export', function (Request $request) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->exportData($request);
+        });
+
+        /**
+         * @route GET /admin/db/export/{id}/progress
+         * @tag Admin - Database Management
+         * @summary Get export progress
+         * @description Returns the progress of an export started by the current user
+         * @requiresAuth true
+         * @param id path string true "Export ID from the X-Export-Id header"
+         * @response 200 application/json "Export progress retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     status:string="running, completed, cancelled or failed",
+         *     format:string="Export format",
+         *     source:string="Table or export name",
+         *     rows:integer="Rows written so far",
+         *     total:integer="Total rows, for table exports",
+         *     started_at:string="Start timestamp",
+         *     finished_at:string="End timestamp",
+         *     error:string="Error message of a failed export"
+         *   }
+         * }
+         * @response 404 application/json "Export not found"
+         */
+        Router::get('/export/{id}/progress', function (array $params) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->exportProgress($params);
+        });
+
+        /**
+         * @route POST /admin/db/export/{id}/cancel
+         * @tag Admin - Database Management
+         * @summary Cancel an export
+         * @description Stops a running export of the current user at its next progress update
+         * @requiresAuth true
+         * @param id path string true "Export ID from the X-Export-Id header"
+         * @response 200 application/json "Export cancellation requested"
+         * @response 404 application/json "Export not found"
+         */
+        Router::post('/export/{id}/cancel', function (array $params) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->cancelExport($params);
+        });
+
+        /**
+         * @route POST /admin/db/query/explain
+         * @tag Admin - Database Management
+         * @summary Explain a query
+         * @description Returns the execution plan of a single statement as a tree with costs, row estimates
+         * and full scan warnings. With analyze the statement is executed (EXPLAIN ANALYZE) and rolled back.
+         * @requiresAuth true
+         * @requestBody query:string="SQL statement" params:array="Bound parameters" analyze:boolean="Run EXPLAIN ANALYZE" allow_write:boolean="Allow analyzing write statements" {required=query}
+         * @response 200 application/json "Execution plan retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     driver:string="Database driver",
+         *     query:string="Explained statement",
+         *     analyze:boolean="Whether actual rows and timings were collected",
+         *     nodes:array=[{
+         *       operation:string="Plan operation",
+         *       table:string="Table name",
+         *       index:string="Index used",
+         *       cost:number="Estimated cost",
+         *       rows:number="Estimated rows",
+         *       actual_rows:number="Actual rows (analyze only)",
+         *       actual_time:number="Actual time in milliseconds (analyze only)",
+         *       loops:integer="Loops (analyze only)",
+         *       full_scan:boolean="Whether the node scans a whole table",
+         *       warnings:array=[string="Warning"],
+         *       details:object="Engine-specific details",
+         *       children:array="Child nodes"
+         *     }],
+         *     warnings:array=[string="All warnings in the plan"],
+         *     total_cost:number="Estimated cost of the root node",
+         *     planning_time:number="Planning time in milliseconds (PostgreSQL)",
+         *     execution_time:number="Execution time in milliseconds (PostgreSQL analyze)"
+         *   }
+         * }
+         * @response 400 application/json "Missing query or more than one statement"
+         * @response 403 application/json "Permission denied or allow_write required"
+         */
+        Router::post('/query/explain', function (Request $request) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->explainQuery($request);
+        });
+
+        /**
+         * @route GET /admin/db/queries
+         * @tag Admin - Saved Queries
+         * @summary List saved queries
+         * @description Lists the current user's queries and queries shared with the team
+         * @requiresAuth true
+         * @param scope query string false "all, mine or team (default: all)"
+         * @param search query string false "Search in name and description"
+         * @param tag query string false "Only queries with this tag"
+         * @response 200 application/json "Saved queries retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:array=[{
+         *     uuid:string="Query UUID",
+         *     name:string="Query name",
+         *     description:string="Description",
+         *     query:string="SQL",
+         *     parameters:array=[{
+         *       name:string="Placeholder name without colon",
+         *       type:string="string, integer, number, boolean, date or datetime",
+         *       label:string="Prompt label",
+         *       required:boolean="Whether a value is required",
+         *       default:string="Default value"
+         *     }],
+         *     tags:array=[string="Tag"],
+         *     allow_write:boolean="Whether the query needs write mode",
+         *     owner_uuid:string="Owner UUID",
+         *     owner_username:string="Owner username",
+         *     visibility:string="private or team",
+         *     version:integer="Current version",
+         *     is_owner:boolean="Whether the current user owns the query",
+         *     created_at:string="Creation timestamp",
+         *     updated_at:string="Last update timestamp"
+         *   }]
+         * }
+         * @response 403 application/json "Permission denied"
+         */
+        Router::get('/queries', function (Request $request) use ($container) {
+            $controller = $container->get(SavedQueriesController::class);
+            return $controller->index();
+        });
+
+        /**
+         * @route POST /admin/db/queries
+         * @tag Admin - Saved Queries
+         * @summary Save a query
+         * @description Saves a query to the library as version 1, owned by the current user
+         * @requiresAuth true
+         * @requestBody name:string="Query name" query:string="SQL with optional :name placeholders" description:string="Description" parameters:array="Placeholder definitions (name, type, label, required, default)" tags:array="Tags" visibility:string="private or team" allow_write:boolean="Whether the query needs write mode" {required=name,query}
+         * @response 201 application/json "Query saved successfully"
+         * @response 422 application/json "Validation failed"
+         */
+        Router::post('/queries', function (Request $request) use ($container) {
+            $controller = $container->get(SavedQueriesController::class);
+            return $controller->store();
+        });
+
+        /**
+         * @route POST /admin/db/queries/import
+         * @tag Admin - Saved Queries
+         * @summary Import saved queries
+         * @description Imports queries exported from the SQL editor into the current user's library.
+         * Invalid entries are skipped.
+         * @requiresAuth true
+         * @requestBody queries:array="Queries in the save format" {required=queries}
+         * @response 200 application/json "Queries imported" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     imported:integer="Number of imported queries",
+         *     skipped:integer="Number of skipped entries",
+         *     errors:array=[string="Reason an entry was skipped"]
+         *   }
+         * }
+         * @response 400 application/json "No queries or too many queries"
+         */
+        Router::post('/queries/import', function (Request $request) use ($container) {
+            $controller = $container->get(SavedQueriesController::class);
+            return $controller->import();
+        });
+
+        /**
+         * @route GET /admin/db/queries/{uuid}
+         * @tag Admin - Saved Queries
+         * @summary Get a saved query
+         * @requiresAuth true
+         * @param uuid path string true "Query UUID"
+         * @response 200 application/json "Saved query retrieved successfully"
+         * @response 404 application/json "Saved query not found"
+         */
+        Router::get('/queries/{uuid}', function (array $params) use ($container) {
+            $controller = $container->get(SavedQueriesController::class);
+            return $controller->show($params);
+        });
+
+        /**
+         * @route PUT /admin/db/queries/{uuid}
+         * @tag Admin - Saved Queries
+         * @summary Update a saved query
+         * @description Updates a query owned by the current user. Changing the SQL, parameters or write flag
+         * records a new version.
+         * @requiresAuth true
+         * @param uuid path string true "Query UUID"
+         * @requestBody name:string="Query name" query:string="SQL" description:string="Description" parameters:array="Placeholder definitions" tags:array="Tags" visibility:string="private or team" allow_write:boolean="Whether the query needs write mode" change_note:string="Note stored with the new version"
+         * @response 200 application/json "Query updated successfully"
+         * @response 403 application/json "Only the owner can change this query"
+         * @response 404 application/json "Saved query not found"
+         * @response 422 application/json "Validation failed"
+         */
+        Router::put('/queries/{uuid}', function (array $params) use ($container) {
+            $controller = $container->get(SavedQueriesController::class);
+            return $controller->update($params);
+        });
+
+        /**
+         * @route DELETE /admin/db/queries/{uuid}
+         * @tag Admin - Saved Queries
+         * @summary Delete a saved query
+         * @requiresAuth true
+         * @param uuid path string true "Query UUID"
+         * @response 200 application/json "Query deleted successfully"
+         * @response 403 application/json "Only the owner can change this query"
+         * @response 404 application/json "Saved query not found"
+         */
+        Router::delete('/queries/{uuid}', function (array $params) use ($container) {
+            $controller = $container->get(SavedQueriesController::class);
+            return $controller->destroy($params);
+        });
+
+        /**
+         * @route GET /admin/db/queries/{uuid}/versions
+         * @tag Admin - Saved Queries
+         * @summary List query versions
+         * @requiresAuth true
+         * @param uuid path string true "Query UUID"
+         * @response 200 application/json "Query versions retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:array=[{
+         *     version:integer="Version number",
+         *     query:string="SQL of this version",
+         *     parameters:array="Placeholder definitions",
+         *     allow_write:boolean="Write flag",
+         *     change_note:string="Change note",
+         *     created_by:string="Author UUID",
+         *     created_by_username:string="Author username",
+         *     created_at:string="Version timestamp"
+         *   }]
+         * }
+         * @response 404 application/json "Saved query not found"
+         */
+        Router::get('/queries/{uuid}/versions', function (array $params) use ($container) {
+            $controller = $container->get(SavedQueriesController::class);
+            return $controller->versions($params);
+        });
+
+        /**
+         * @route POST /admin/db/queries/{uuid}/versions/{version}/restore
+         * @tag Admin - Saved Queries
+         * @summary Restore a query version
+         * @description Records the SQL and parameters of an earlier version as a new version
+         * @requiresAuth true
+         * @param uuid path string true "Query UUID"
+         * @param version path integer true "Version to restore"
+         * @response 200 application/json "Version restored"
+         * @response 403 application/json "Only the owner can change this query"
+         * @response 404 application/json "Saved query or version not found"
+         */
+        Router::post('/queries/{uuid}/versions/{version}/restore', function (array $params) use ($container) {
+            $controller = $container->get(SavedQueriesController::class);
+            return $controller->restoreVersion($params);
+        });
+
         /**
          * @route GET /admin/db/stats
          * @tag Admin - Database Management
@@ -76,8 +423,10 @@ Router::group('/admin', function () use ($container) {
          * @route GET /admin/db/tables
          * @tag Admin - Database Management
          * @summary Get all database tables
-         * @description Retrieves a list of all tables in the database
+         * @description Retrieves a list of all tables in the database. With include_schema, every table
+         *              comes with its columns and foreign keys for the schema diagram
          * @requiresAuth true
+         * @param include_schema query boolean false "Include columns and foreign keys of every table"
          * @response 200 application/json "List of tables" {
          *   success:boolean="true",
          *   message:string="Success message",
@@ -85,11 +434,22 @@ Router::group('/admin', function () use ($container) {
          *     tables:array=[{name:string="Table name", rows:integer="Row count", created:string="Creation date"}]
          *   },
          * }
+         * @response 200 application/json "Tables with schema (include_schema=1)" {
+         *   success:boolean="true",
+         *   data:array=[{
+         *     name:string="Table name",
+         *     columns:array=[{name:string, type:string, nullable:boolean, is_primary:boolean, is_unique:boolean}],
+         *     foreign_keys:array=[{
+         *       column:string, references_table:string, references_column:string,
+         *       on_delete:string, constraint:string
+         *     }]
+         *   }]
+         * }
          * @response 403 application/json "Permission denied"
          */
         Router::get('/tables', function (Request $request) use ($container) {
             $dbController = $container->get(DatabaseController::class);
-            return $dbController->getTables();
+            return $dbController->getTables($request->query->getBoolean('include_schema'));
         });
 
         /**
@@ -545,34 +905,216 @@ Router::group('/admin', function () use ($container) {
          * @route POST /admin/db/tables/{name}/import
          * @tag Admin - Data Operations
          * @summary Import data into table
-         * @description Imports data from CSV into the specified table with column mapping and options
+         * @description Validates and imports one chunk of CSV rows into the specified table. Chunks of a
+         *              started import pass its id and row offset; dry runs only return the validation report
          * @requiresAuth true
          * @param name path string true "Table name"
          * @requestBody data:array=[object="Row data"]
          *              options:object={
+         *                mode:string="insert, upsert or replace",
+         *                key:array=[string="Key columns that identify existing rows in upsert mode"],
          *                skipFirstRow:boolean="Skip first row if it contains headers",
-         *                updateExisting:boolean="Update existing records by ID",
-         *                skipErrors:boolean="Skip rows with errors and continue"
+         *                updateExisting:boolean="Update existing records by ID (when no mode is given)",
+         *                skipErrors:boolean="Skip rows with errors and continue",
+         *                dryRun:boolean="Only validate the rows",
+         *                importId:string="Import started with /import/start",
+         *                offset:integer="Number of rows sent before this chunk"
          *              }
          *              {required=data}
          * @response 200 application/json "Data imported successfully" {
          *   success:boolean="true",
          *   message:string="Success message",
          *   data:{
+         *     total:integer="Rows in the chunk",
+         *     valid:integer="Valid rows",
+         *     invalid:integer="Invalid rows",
+         *     to_insert:integer="Valid rows that insert a new row",
+         *     to_update:integer="Valid rows that update an existing row",
+         *     inserted:integer="Rows inserted",
+         *     updated:integer="Rows updated",
+         *     skipped:integer="Rows skipped",
          *     imported:integer="Number of records imported",
          *     failed:integer="Number of failed records",
-         *     errors:array=[string="Error messages for failed records"]
+         *     written:boolean="Whether the chunk was written",
+         *     errors:array=[{row:integer="Row number", errors:object="Error messages keyed by column"}]
          *   },
          * }
          * @response 400 application/json "Invalid request format"
          * @response 403 application/json "Permission denied"
          * @response 404 application/json "Table not found"
+         * @response 422 application/json "Invalid rows and skipErrors is off; the report is in the error details"
          */
         Router::post('/tables/{name}/import', function (array $params) use ($container) {
             $dbController = $container->get(DatabaseController::class);
             return $dbController->importTableData($params);
         });
 
+        /**
+         * @route POST /admin/db/tables/{name}/import/start
+         * @tag Admin - Data Operations
+         * @summary Start a chunked import
+         * @description Records an import in the history, backs up the table when requested (always in
+         *              replace mode) and empties it in replace mode
+         * @requiresAuth true
+         * @param name path string true "Table name"
+         * @requestBody mode:string="insert, upsert or replace"
+         *              key:array=[string="Key columns for upsert mode"]
+         *              backup:boolean="Back up the table before importing"
+         *              total_rows:integer="Rows in the file"
+         *              file_name:string="Name of the imported file"
+         *              {required=mode}
+         * @response 200 application/json "Import started" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     uuid:string="Import id to send with each chunk",
+         *     status:string="running",
+         *     backup_file:string="Backup file, if any",
+         *     backup_rows:integer="Rows in the backup"
+         *   }
+         * }
+         * @response 404 application/json "Table not found"
+         * @response 422 application/json "Invalid mode or key columns"
+         */
+        Router::post('/tables/{name}/import/start', function (array $params) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->startTableImport($params);
+        });
+
+        /**
+         * @route POST /admin/db/tables/{name}/import/{id}/finish
+         * @tag Admin - Data Operations
+         * @summary Finish a chunked import
+         * @description Marks a running import as completed, failed or cancelled
+         * @requiresAuth true
+         * @param name path string true "Table name"
+         * @param id path string true "Import UUID"
+         * @requestBody status:string="completed, failed or cancelled"
+         *              error:string="Reason the import stopped"
+         * @response 200 application/json "Import finished"
+         * @response 404 application/json "Import not found"
+         */
+        Router::post('/tables/{name}/import/{id}/finish', function (array $params) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->finishTableImport($params);
+        });
+
+        /**
+         * @route GET /admin/db/tables/{name}/import/history
+         * @tag Admin - Data Operations
+         * @summary Get import history
+         * @description Lists the latest imports of a table with their counts and whether their backup can be restored
+         * @requiresAuth true
+         * @param name path string true "Table name"
+         * @response 200 application/json "Import history retrieved successfully" {
+         *   success:boolean="true",
+         *   data:array=[{
+         *     uuid:string="Import UUID",
+         *     mode:string="insert, upsert or replace",
+         *     status:string="running, completed, failed, cancelled or restored",
+         *     inserted:integer="Rows inserted",
+         *     updated:integer="Rows updated",
+         *     skipped:integer="Rows skipped",
+         *     can_restore:boolean="Whether the backup can be restored"
+         *   }]
+         * }
+         * @response 404 application/json "Table not found"
+         */
+        Router::get('/tables/{name}/import/history', function (array $params) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->getTableImportHistory($params);
+        });
+
+        /**
+         * @route POST /admin/db/tables/{name}/import/{id}/restore
+         * @tag Admin - Data Operations
+         * @summary Restore the backup of an import
+         * @description Replaces all rows of the table with the backup taken before the import
+         * @requiresAuth true
+         * @param name path string true "Table name"
+         * @param id path string true "Import UUID"
+         * @response 200 application/json "Rows restored" {
+         *   success:boolean="true",
+         *   data:{uuid:string="Import UUID", table:string="Table name", restored_rows:integer="Rows restored"}
+         * }
+         * @response 400 application/json "Import has no backup or is still running"
+         * @response 404 application/json "Import or backup file not found"
+         */
+        Router::post('/tables/{name}/import/{id}/restore', function (array $params) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->restoreTableImport($params);
+        });
+
+        /**
+         * @route GET /admin/db/tables/{name}/related
+         * @tag Admin - Data Operations
+         * @summary Get a record with the records that reference it
+         * @description Looks up one record by column value, resolves its foreign key labels and lists
+         *              the records of other tables that point at it, grouped by foreign key
+         * @requiresAuth true
+         * @param name path string true "Table name"
+         * @param column query string false "Column to match, defaults to the primary key"
+         * @param value query string true "Value of the column"
+         * @param limit query integer false "Records returned per referencing foreign key (default: 5, max: 50)"
+         * @response 200 application/json "Related records retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     table:string="Table name",
+         *     primary_key:string="Primary key column",
+         *     label:string="Display label of the record",
+         *     row:object="The record, with {column}_display labels for foreign keys",
+         *     columns:array="Column metadata",
+         *     referenced_by:array=[{
+         *       table:string="Referencing table",
+         *       column:string="Referencing column",
+         *       on_delete:string="ON DELETE action",
+         *       count:integer="Number of referencing records",
+         *       rows:array="First referencing records, each with a _label"
+         *     }]
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Table or record not found"
+         * @response 422 application/json "Invalid column or missing value"
+         */
+        Router::get('/tables/{name}/related', function (array $params) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->getRelatedRecords($params);
+        });
+
+        /**
+         * @route POST /admin/db/tables/{name}/delete-impact
+         * @tag Admin - Data Operations
+         * @summary Preview the effects of deleting records
+         * @description Follows ON DELETE actions from the given records and counts the rows that would be
+         *              deleted by cascades, set to NULL or would block the delete. Nothing is changed.
+         * @requiresAuth true
+         * @param name path string true "Table name"
+         * @requestBody ids:array=[string|number] "IDs of the records to delete (max 1000)" {required=ids}
+         * @response 200 application/json "Delete impact calculated successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     count:integer="Number of matched records",
+         *     enforced:boolean="Whether the database enforces foreign keys",
+         *     deleted:object="Rows deleted per table, including cascades",
+         *     updated:object="Rows set to NULL or their default per table.column",
+         *     blocking:array="Referencing rows of RESTRICT or NO ACTION foreign keys",
+         *     blocked:boolean="Whether the delete would fail",
+         *     truncated:boolean="Whether cascades went deeper than were followed",
+         *     effects:array="Effects tree per foreign key"
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Table not found"
+         * @response 422 application/json "Invalid IDs"
+         */
+        Router::post('/tables/{name}/delete-impact', function (array $params) use ($container) {
+            $dbController = $container->get(DatabaseController::class);
+            return $dbController->getDeleteImpact($params);
+        });
+
         /**
          * @route DELETE /admin/db/tables/{name}/bulk-delete
          * @tag Admin - Data Operations
@@ -748,7 +1290,7 @@ Router::group('/admin', function () use ($container) {
          * @route GET /admin/db/schema-history
          * @tag Admin - Schema Management
          * @summary Get schema change history for a table
-         * @description Retrieves the history of schema changes for a specific table from audit logs and migrations
+         * @description Retrieves schema changes to a table from the audit log, including SQL page DDL, and migrations
          * @requiresAuth true
          * @param table query string true "Table name"
          * @param limit query integer false "Number of records to return (default: 50)"
@@ -869,6 +1411,165 @@ Router::group('/admin', function () use ($container) {
             $migrationsController = $container->get(MigrationsController::class);
             return $migrationsController->getPendingMigrations($request);
         });
+
+        /**
+         * @route POST /admin/migrations/run
+         * @tag Admin - Migrations
+         * @summary Run pending migrations
+         * @description Runs the selected pending migrations, or all pending migrations when none are selected, in one
+         * batch. With dry_run nothing is applied and the SQL each migration would run is returned. Runs are
+         * recorded in the run history and need the system.migrations.execute permission.
+         * @requiresAuth true
+         * @requestBody migrations:array="Filenames of pending migrations (default all)" dry_run:boolean="Only return the SQL each migration would run"
+         * @response 200 application/json "Migrations applied or previewed" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     applied:array="Applied migrations",
+         *     failed:array="Failed migrations",
+         *     errors:object="Error output by failed migration",
+         *     run:object="Recorded run",
+         *     previews:array=[{file:string="Migration", statements:array="SQL statements", error:string="Error"}]
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 409 application/json "Another migration run is in progress"
+         * @response 422 application/json "No pending migrations or a selected migration is not pending"
+         */
+        Router::post('/run', function (Request $request) use ($container) {
+            $migrationsController = $container->get(MigrationsController::class);
+            return $migrationsController->runMigrations($request);
+        });
+
+        /**
+         * @route POST /admin/migrations/rollback
+         * @tag Admin - Migrations
+         * @summary Roll back migrations
+         * @description Rolls back a chosen applied migration, or every migration of the latest batch, newest first.
+         * With dry_run nothing is reverted and the SQL of each down() is returned. Rollbacks are recorded in the
+         * run history and need the system.migrations.execute permission.
+         * @requiresAuth true
+         * @requestBody migration:string="Filename of an applied migration (default the latest batch)" dry_run:boolean="Only return the SQL each rollback would run"
+         * @response 200 application/json "Migrations rolled back or previewed" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     reverted:array="Rolled back migrations",
+         *     failed:array="Failed migrations",
+         *     errors:object="Error output by failed migration",
+         *     run:object="Recorded run",
+         *     previews:array=[{file:string="Migration", statements:array="SQL statements", error:string="Error"}]
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Migration has not been applied"
+         * @response 409 application/json "Another migration run is in progress"
+         * @response 422 application/json "No applied migrations"
+         */
+        Router::post('/rollback', function (Request $request) use ($container) {
+            $migrationsController = $container->get(MigrationsController::class);
+            return $migrationsController->rollbackMigrations($request);
+        });
+
+        /**
+         * @route GET /admin/migrations/runs
+         * @tag Admin - Migrations
+         * @summary Migration run history
+         * @description Lists migration runs and rollbacks started from the admin panel, newest first
+         * @requiresAuth true
+         * @param page query integer false "Page number (default 1)"
+         * @param per_page query integer false "Runs per page (default 20, max 100)"
+         * @response 200 application/json "Migration runs" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:array=[{
+         *     uuid:string="Run UUID",
+         *     action:string="migrate or rollback",
+         *     status:string="success, partial or failed",
+         *     batch:integer="Batch applied or rolled back",
+         *     migrations:array="Migrations in the run",
+         *     succeeded:array="Migrations applied or reverted",
+         *     failed:array="Migrations that failed",
+         *     output:string="Error output of failed migrations",
+         *     duration_ms:integer="Duration in milliseconds",
+         *     created_by_username:string="Admin who started the run",
+         *     created_at:string="Start time",
+         *     finished_at:string="End time"
+         *   }]
+         * }
+         * @response 403 application/json "Permission denied"
+         */
+        Router::get('/runs', function (Request $request) use ($container) {
+            $migrationsController = $container->get(MigrationsController::class);
+            return $migrationsController->getMigrationRuns($request);
+        });
+
+        /**
+         * @route GET /admin/migrations/drift
+         * @tag Admin - Migrations
+         * @summary Schema drift report
+         * @description Compares the schema the applied migrations describe with the live schema and lists
+         * missing or extra tables, columns, indexes and foreign keys, with links to their schema history
+         * @requiresAuth true
+         * @response 200 application/json "Schema drift checked" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     drifted:boolean="Whether the live schema differs from the migrations",
+         *     summary:object="Counts of missing and extra objects, and of differences by type",
+         *     tables:array=[{
+         *       table:string="Table name",
+         *       differences:array=[{
+         *         type:string="table, column, index or foreign_key",
+         *         name:string="Object name",
+         *         status:string="missing (only in migrations) or extra (only in the live schema)",
+         *         definition:object="Column, index or foreign key definition",
+         *         history_ids:array="Schema history entries that mention the object"
+         *       }],
+         *       schema_history:{url:string="Schema history endpoint of the table", entries:array="Recent entries"}
+         *     }],
+         *     replay_errors:object="Errors of migrations that could not be replayed, by migration",
+         *     checked_at:string="Check timestamp"
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 500 application/json "Failed to check schema drift"
+         */
+        Router::get('/drift', function (Request $request) use ($container) {
+            $migrationsController = $container->get(MigrationsController::class);
+            return $migrationsController->getSchemaDrift($request);
+        });
+
+        /**
+         * @route POST /admin/migrations/generate
+         * @tag Admin - Migrations
+         * @summary Generate a migration from schema changes
+         * @description Builds a migration class whose up() applies the given schema changes to a table and whose
+         * down() reverses them. Changes use the format of the schema change preview; the fields of a schema update
+         * request are accepted instead. With write the file is saved to the migrations directory as a pending
+         * migration, which also requires the system.migrations.create permission.
+         * @requiresAuth true
+         * @requestBody table_name:string="Altered table" changes:array="Changes as sent to the schema change preview" name:string="snake_case migration name (default alter_{table}_table)" description:string="Migration description" write:boolean="Save the file to the migrations directory" {required=table_name}
+         * @response 200 application/json "Migration generated" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     class_name:string="Migration class name",
+         *     file_name:string="Migration file name",
+         *     content:string="PHP source of the migration",
+         *     written:boolean="Whether the file was saved",
+         *     path:string="Path of the saved file"
+         *   }
+         * }
+         * @response 400 application/json "Missing table name"
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Table not found"
+         * @response 422 application/json "Invalid name or changes that cannot be generated or reversed"
+         */
+        Router::post('/generate', function (Request $request) use ($container) {
+            $migrationsController = $container->get(MigrationsController::class);
+            return $migrationsController->generateMigration($request);
+        });
     }, [], false, true); // requiresAdminAuth: true
 
     Router::group('/jobs', function () use ($container) {
@@ -947,21 +1648,21 @@ Router::group('/admin', function () use ($container) {
          * @route POST /admin/jobs/run
          * @tag Admin - Jobs
          * @summary Run specific job
-         * @description Runs a specific job regardless of its schedule
+         * @description Runs a specific job regardless of its schedule, paused jobs included.
+         * The run is recorded in the job's run history.
          * @requiresAuth true
-         * @requestBody id:integer="Job ID" {required=id}
+         * @requestBody job:string="Job name" {required=job}
          * @response 200 application/json "Job executed" {
          *   success:boolean="true",
          *   message:string="Success message",
          *   data:{
-         *     id:integer="Job ID",
-         *     name:string="Job name",
-         *     status:string="Execution status"
+         *     run:object="Recorded run with status, started_at, duration_ms, output and error"
          *   },
          * }
          * @response 400 application/json "Invalid request format"
          * @response 403 application/json "Permission denied"
          * @response 404 application/json "Job not found"
+         * @response 409 application/json "Job is already running and does not allow overlapping runs"
          */
         Router::post('/run', function (Request $request) use ($container) {
             $postData = RequestHelper::getRequestData();
@@ -969,6 +1670,143 @@ Router::group('/admin', function () use ($container) {
             return $jobsController->runJob($postData['job']);
         });
 
+        /**
+         * @route GET /admin/jobs/schedule-preview
+         * @tag Admin - Jobs
+         * @summary Preview a schedule
+         * @description Validates a cron expression and lists its next fire times in a timezone,
+         * for the schedule builder of the job editor
+         * @requiresAuth true
+         * @param expression query string true "Cron expression or alias such as @daily"
+         * @param timezone query string false "Timezone identifier, the server timezone by default"
+         * @param count query integer false "Number of fire times, at most 50 (default: 5)"
+         * @response 200 application/json "Schedule preview" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     expression:string="Cron expression",
+         *     timezone:string="Timezone the fire times are in",
+         *     next_runs:array=[string="Fire time in ISO 8601 with offset"]
+         *   }
+         * }
+         * @response 400 application/json "Cron expression is required"
+         * @response 403 application/json "Permission denied"
+         * @response 422 application/json "Invalid cron expression or unknown timezone"
+         */
+        Router::get('/schedule-preview', function (Request $request) use ($container) {
+            $jobsController = $container->get(JobsController::class);
+            return $jobsController->previewSchedule();
+        });
+
+        /**
+         * @route POST /admin/jobs/update
+         * @tag Admin - Jobs
+         * @summary Update job settings
+         * @description Changes the schedule, timezone, timeout and overlap protection of a job.
+         * Settings are stored by job name and override the definition in config/schedule.php
+         * or the scheduled_jobs table.
+         * @requiresAuth true
+         * @requestBody job:string="Job name"
+         *              schedule:string="Cron expression"
+         *              timezone:string="Timezone the schedule is evaluated in"
+         *              timeout:integer="Timeout in seconds, between 1 and 86400"
+         *              allow_overlap:boolean="Whether a run may start while the previous one is running"
+         * {required=job}
+         * @response 200 application/json "Job updated" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:object="Job as listed by GET /admin/jobs"
+         * }
+         * @response 400 application/json "No job settings to update"
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Job not found"
+         * @response 422 application/json "Invalid schedule, timezone or timeout"
+         */
+        Router::post('/update', function (Request $request) use ($container) {
+            $jobsController = $container->get(JobsController::class);
+            return $jobsController->updateJob();
+        });
+
+        /**
+         * @route POST /admin/jobs/pause
+         * @tag Admin - Jobs
+         * @summary Pause job
+         * @description Pauses a job so it no longer runs on schedule. It can still be run manually.
+         * @requiresAuth true
+         * @requestBody job:string="Job name" {required=job}
+         * @response 200 application/json "Job paused" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:object="Job as listed by GET /admin/jobs"
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Job not found"
+         */
+        Router::post('/pause', function (Request $request) use ($container) {
+            $postData = RequestHelper::getRequestData();
+            $jobsController = $container->get(JobsController::class);
+            return $jobsController->pauseJob($postData['job'] ?? '');
+        });
+
+        /**
+         * @route POST /admin/jobs/resume
+         * @tag Admin - Jobs
+         * @summary Resume job
+         * @description Resumes a paused job
+         * @requiresAuth true
+         * @requestBody job:string="Job name" {required=job}
+         * @response 200 application/json "Job resumed" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:object="Job as listed by GET /admin/jobs"
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Job not found"
+         */
+        Router::post('/resume', function (Request $request) use ($container) {
+            $postData = RequestHelper::getRequestData();
+            $jobsController = $container->get(JobsController::class);
+            return $jobsController->resumeJob($postData['job'] ?? '');
+        });
+
+        /**
+         * @route GET /admin/jobs/history
+         * @tag Admin - Jobs
+         * @summary Get job run history
+         * @description Lists the runs of a job newest first, with their trigger, status, duration,
+         * captured output and error
+         * @requiresAuth true
+         * @param job query string true "Job name"
+         * @param status query string false "Only runs with this status: running, success, failed, timed_out or skipped"
+         * @param page query integer false "Page number (default: 1)"
+         * @param per_page query integer false "Runs per page, at most 100 (default: 20)"
+         * @response 200 application/json "Job runs" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:array=[{
+         *     uuid:string="Run UUID",
+         *     trigger_type:string="schedule or manual",
+         *     status:string="running, success, failed, timed_out or skipped",
+         *     started_at:string="Start of the run",
+         *     finished_at:string="End of the run",
+         *     duration_ms:integer="Duration in milliseconds",
+         *     output:string="Output the job printed",
+         *     result:mixed="Result the job returned",
+         *     error:string="Error message",
+         *     triggered_by_username:string="Admin who started a manual run"
+         *   }],
+         *   current_page:integer="Current page",
+         *   per_page:integer="Runs per page",
+         *   total:integer="Total runs"
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Job not found"
+         */
+        Router::get('/history', function (Request $request) use ($container) {
+            $jobsController = $container->get(JobsController::class);
+            return $jobsController->getJobHistory();
+        });
+
         /**
          * @route POST /admin/jobs/create-job
          * @tag Admin - Jobs
@@ -996,6 +1834,323 @@ Router::group('/admin', function () use ($container) {
         });
     }, requiresAdminAuth: true);
 
+    Router::group('/logs', function () use ($container) {
+        /**
+         * @route GET /admin/logs
+         * @tag Admin - Audit Logs
+         * @summary Search audit logs
+         * @description Searches audit log entries, newest first. q takes the log query syntax, for example
+         * user:alice severity>=warning ip:10.0.* after:2h -source:cli "login failed". Filtering by user or IP
+         * address needs admin.audit.search_by_user or admin.audit.search_by_ip.
+         * @requiresAuth true
+         * @param q query string false "Search query"
+         * @param category query string false "Category"
+         * @param severity query string false "Severity"
+         * @param from_date query string false "Earliest entry time"
+         * @param to_date query string false "Latest entry time"
+         * @param page query integer false "Page number"
+         * @param per_page query integer false "Entries per page, at most 200"
+         * @response 200 application/json "Audit logs retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:array=[{
+         *     id:integer="Entry ID, the live tail cursor",
+         *     uuid:string="Entry UUID",
+         *     user_id:string="User UUID",
+         *     username:string="Username",
+         *     action:string="Action",
+         *     category:string="Category",
+         *     severity:string="Severity",
+         *     status:string="Status",
+         *     entity_type:string="Type of the affected entity",
+         *     entity_id:string="ID of the affected entity",
+         *     old_values:object="Previous state",
+         *     new_values:object="New state",
+         *     context:object="Context",
+         *     metadata:object="Metadata",
+         *     ip_address:string="Client IP address",
+         *     user_agent:string="Client user agent",
+         *     session_id:string="Session ID",
+         *     request_id:string="ID of the request that wrote the entry",
+         *     correlation_size:integer="Number of entries written during the same request",
+         *     parent_audit_id:string="Parent entry UUID",
+         *     source:string="api, cli, cron or system",
+         *     duration_ms:integer="Duration in milliseconds",
+         *     created_at:string="Entry time"
+         *   }],
+         *   current_page:integer="Current page",
+         *   per_page:integer="Entries per page",
+         *   total:integer="Total matching entries",
+         *   last_page:integer="Last page"
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 422 application/json "Invalid search query"
+         */
+        Router::get('/', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogsController::class);
+            return $controller->index();
+        });
+
+        /**
+         * @route GET /admin/logs/stream
+         * @tag Admin - Audit Logs
+         * @summary Live tail of audit logs
+         * @description Streams matching entries as server-sent events as they are written. A "ready" event
+         * carries the starting cursor, "entries" events carry batches of entries oldest first, and after
+         * about a minute a "reconnect" event ends the stream. Every event ID is the ID of the last entry
+         * sent; pass it as after_id or Last-Event-ID to continue without gaps.
+         * @requiresAuth true
+         * @param q query string false "Search query"
+         * @param category query string false "Category"
+         * @param severity query string false "Severity"
+         * @param after_id query integer false "Only stream entries after this ID, defaults to the newest entry"
+         * @response 200 text/event-stream "Stream of audit log entries"
+         * @response 403 application/json "Permission denied"
+         * @response 422 application/json "Invalid search query"
+         */
+        Router::get('/stream', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogsController::class);
+            return $controller->stream();
+        });
+
+        /**
+         * @route POST /admin/logs/export
+         * @tag Admin - Audit Logs
+         * @summary Export audit logs
+         * @description Streams matching or selected entries, newest first, as a CSV or JSON download of at
+         * most 100,000 entries
+         * @requiresAuth true
+         * @requestBody format:string="csv or json" q:string="Search query" category:string="Category" severity:string="Severity" from_date:string="Earliest entry time" to_date:string="Latest entry time" uuids:array="Only export these entries"
+         * @response 200 text/csv "Export file"
+         * @response 400 application/json "Unsupported format"
+         * @response 422 application/json "Invalid search query"
+         */
+        Router::post('/export', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogsController::class);
+            return $controller->export();
+        });
+
+        /**
+         * @route POST /admin/logs/clear
+         * @tag Admin - Audit Logs
+         * @summary Delete old audit logs
+         * @description Deletes audit log entries older than a number of days, optionally of one category.
+         * Needs audit.manage. The deletion is recorded in the audit log.
+         * @requiresAuth true
+         * @requestBody type:string="audit" days:integer="Delete entries older than this many days" category:string="Only delete entries of this category" {required=days}
+         * @response 200 application/json "Audit logs deleted" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     deleted:integer="Number of deleted entries",
+         *     cutoff:string="Entries before this time were deleted"
+         *   }
+         * }
+         * @response 400 application/json "Unsupported log type or invalid number of days"
+         * @response 403 application/json "Permission denied"
+         */
+        Router::post('/clear', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogsController::class);
+            return $controller->clear();
+        });
+
+        /**
+         * @route GET /admin/logs/searches
+         * @tag Admin - Audit Logs
+         * @summary List saved searches
+         * @description Lists the saved log searches of the current user by name
+         * @requiresAuth true
+         * @response 200 application/json "Saved searches retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:array=[{
+         *     uuid:string="Search UUID",
+         *     name:string="Search name",
+         *     query:string="Search query",
+         *     created_at:string="Creation timestamp",
+         *     updated_at:string="Last update timestamp"
+         *   }]
+         * }
+         */
+        Router::get('/searches', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogsController::class);
+            return $controller->searches();
+        });
+
+        /**
+         * @route POST /admin/logs/searches
+         * @tag Admin - Audit Logs
+         * @summary Save a search
+         * @description Saves a log search for the current user. Saving under an existing name replaces
+         * its query.
+         * @requiresAuth true
+         * @requestBody name:string="Search name" query:string="Search query" {required=name,query}
+         * @response 200 application/json "Search saved successfully"
+         * @response 400 application/json "Invalid name"
+         * @response 422 application/json "Invalid search query"
+         */
+        Router::post('/searches', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogsController::class);
+            return $controller->saveSearch();
+        });
+
+        /**
+         * @route DELETE /admin/logs/searches/{uuid}
+         * @tag Admin - Audit Logs
+         * @summary Delete a saved search
+         * @requiresAuth true
+         * @param uuid path string true "Search UUID"
+         * @response 200 application/json "Saved search deleted successfully"
+         * @response 404 application/json "Saved search not found"
+         */
+        Router::delete('/searches/{uuid}', function (array $params) use ($container) {
+            $controller = $container->get(AuditLogsController::class);
+            return $controller->deleteSearch($params);
+        });
+
+        /**
+         * @route GET /admin/logs/retention
+         * @tag Admin - Audit Logs
+         * @summary List retention rules
+         * @description Lists the audit log retention rules, most specific first, with the number of entries
+         * each rule would archive or delete if the audit_log_retention job ran now. available is false until
+         * the audit_log_retention_rules migration has been applied.
+         * @requiresAuth true
+         * @response 200 application/json "Retention rules retrieved successfully" {
+         *   available:boolean="Whether rules can be configured",
+         *   rules:array=[{
+         *     uuid:string="Rule UUID",
+         *     category:string="Category, null for any",
+         *     severity:string="Severity, null for any",
+         *     retention_days:integer="Days entries are kept",
+         *     archive:boolean="Whether expired entries are archived first",
+         *     enabled:boolean="Whether the job applies the rule",
+         *     expired:integer="Entries that have expired now"
+         *   }],
+         *   severities:array="Known severities",
+         *   default_hold_days:integer="Days restored entries are kept by default"
+         * }
+         */
+        Router::get('/retention', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogRetentionController::class);
+            return $controller->index();
+        });
+
+        /**
+         * @route POST /admin/logs/retention
+         * @tag Admin - Audit Logs
+         * @summary Save a retention rule
+         * @description Saves the retention rule for a category and severity, replacing the existing rule
+         * for the same pair. Leave category or severity empty to match any value.
+         * @requiresAuth true
+         * @requestBody category:string="Category, empty for any" severity:string="Severity, empty for any" retention_days:integer="Days entries are kept (1-3650)" archive:boolean="Archive before deleting" enabled:boolean="Apply the rule" {required=retention_days}
+         * @response 200 application/json "Retention rule saved successfully"
+         * @response 400 application/json "Invalid rule"
+         * @response 503 application/json "Retention rules are not migrated yet"
+         */
+        Router::post('/retention', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogRetentionController::class);
+            return $controller->saveRule();
+        });
+
+        /**
+         * @route POST /admin/logs/retention/run
+         * @tag Admin - Audit Logs
+         * @summary Apply retention rules now
+         * @description Archives and deletes expired entries of every enabled rule, as the scheduled
+         * audit_log_retention job does.
+         * @requiresAuth true
+         * @response 200 application/json "Retention applied" {
+         *   archived:integer="Entries archived",
+         *   deleted:integer="Entries deleted",
+         *   rules:array="Result of each rule with its archive UUID and error"
+         * }
+         */
+        Router::post('/retention/run', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogRetentionController::class);
+            return $controller->run();
+        });
+
+        /**
+         * @route DELETE /admin/logs/retention/{uuid}
+         * @tag Admin - Audit Logs
+         * @summary Delete a retention rule
+         * @requiresAuth true
+         * @param uuid path string true "Rule UUID"
+         * @response 200 application/json "Retention rule deleted successfully"
+         * @response 404 application/json "Retention rule not found"
+         */
+        Router::delete('/retention/{uuid}', function (array $params) use ($container) {
+            $controller = $container->get(AuditLogRetentionController::class);
+            return $controller->deleteRule($params);
+        });
+
+        /**
+         * @route GET /admin/logs/archives
+         * @tag Admin - Audit Logs
+         * @summary List archives
+         * @description Lists the audit log archives written by the retention job, newest first.
+         * @requiresAuth true
+         * @param page query integer false "Page number"
+         * @param per_page query integer false "Archives per page (max 200)"
+         * @response 200 application/json "Archives retrieved successfully" {
+         *   data:array=[{
+         *     uuid:string="Archive UUID",
+         *     period_start:string="Oldest archived entry",
+         *     period_end:string="Newest archived entry",
+         *     record_count:integer="Archived entries",
+         *     file_size:integer="Compressed size in bytes",
+         *     status:string="Archive status",
+         *     metadata:object="Rule, cutoff and restores",
+         *     created_at:string="Archive time"
+         *   }]
+         * }
+         */
+        Router::get('/archives', function (Request $request) use ($container) {
+            $controller = $container->get(AuditLogRetentionController::class);
+            return $controller->archives();
+        });
+
+        /**
+         * @route GET /admin/logs/archives/{uuid}
+         * @tag Admin - Audit Logs
+         * @summary Browse an archive
+         * @description Returns an archive with a page of its entries in the order they were archived.
+         * @requiresAuth true
+         * @param uuid path string true "Archive UUID"
+         * @param page query integer false "Page number"
+         * @param per_page query integer false "Entries per page (max 200)"
+         * @response 200 application/json "Archive retrieved successfully"
+         * @response 404 application/json "Archive or archive file not found"
+         */
+        Router::get('/archives/{uuid}', function (array $params) use ($container) {
+            $controller = $container->get(AuditLogRetentionController::class);
+            return $controller->showArchive($params);
+        });
+
+        /**
+         * @route POST /admin/logs/archives/{uuid}/restore
+         * @tag Admin - Audit Logs
+         * @summary Restore an archive
+         * @description Inserts the entries of an archive into the audit log again. Entries still in the
+         * log are skipped. Restored entries expire after hold_days, when their retention rule archives
+         * them again; 0 keeps them until they are deleted by hand.
+         * @requiresAuth true
+         * @param uuid path string true "Archive UUID"
+         * @requestBody hold_days:integer="Days restored entries are kept (default 7)"
+         * @response 200 application/json "Archive restored" {
+         *   restored:integer="Entries restored",
+         *   skipped:integer="Entries already in the log"
+         * }
+         * @response 404 application/json "Archive not found"
+         * @response 409 application/json "Archive file missing or changed"
+         */
+        Router::post('/archives/{uuid}/restore', function (array $params) use ($container) {
+            $controller = $container->get(AuditLogRetentionController::class);
+            return $controller->restore($params);
+        });
+    }, requiresAdminAuth: true);
+
     Router::group('/configs', function () use ($container) {
         /**
          * @route GET /admin/configs
@@ -1047,17 +2202,153 @@ Router::group('/admin', function () use ($container) {
          * @description Updates the contents of a specific configuration file
          * @requiresAuth true
          * @param filename path string true "Configuration filename"
-         * @requestBody content:object="Configuration data to update" {required=content}
-         * @response 200 application/json "Configuration updated"
+         * @requestBody content:object="Top-level settings to replace; masked secrets keep their values" change_note:string="Optional note for the version history" {required=content}
+         * @response 200 application/json "Configuration updated" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     updated:boolean="False when nothing changed",
+         *     version:integer="Recorded version, null without history",
+         *     changes:array=[{path:string="Dot path", type:string="added, removed or changed", old:mixed, new:mixed}]
+         *   }
+         * }
          * @response 400 application/json "Invalid configuration data"
          * @response 403 application/json "Permission denied"
          * @response 404 application/json "Configuration file not found"
+         * @response 422 application/json "Values do not match the schema, errors by dot path"
          */
         Router::put('/{filename}', function (Request $request) use ($container) {
             $adminController = $container->get(AdminController::class);
             return $adminController->updateConfig($request);
         });
 
+        /**
+         * @route GET /admin/configs/{filename}/schema
+         * @tag Admin - Configuration
+         * @summary Get configuration form
+         * @description Returns the values of a configuration file with secrets masked and a field for each
+         * value, typed by the file's schema where one is registered and by the value otherwise
+         * @requiresAuth true
+         * @param filename path string true "Configuration filename"
+         * @response 200 application/json "Configuration retrieved" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     name:string="Configuration name",
+         *     description:string="Schema description",
+         *     has_schema:boolean="Whether a schema is registered",
+         *     fields:array=[{
+         *       key:string="Setting key",
+         *       path:string="Dot path",
+         *       type:string="group, boolean, integer, float, enum, string, list or json",
+         *       typed:boolean="Whether the type comes from the schema",
+         *       secret:boolean="Whether the value is masked",
+         *       info:string="Description",
+         *       values:array="Allowed values of enums",
+         *       min:number="Minimum of numbers",
+         *       max:number="Maximum of numbers",
+         *       children:array="Fields of groups"
+         *     }],
+         *     values:object="Configuration values with secrets masked",
+         *     history_available:boolean="Whether versions are recorded"
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Configuration file not found"
+         */
+        Router::get('/{filename}/schema', function (array $params) use ($container) {
+            $configController = $container->get(ConfigController::class);
+            return $configController->getConfigEditor($params['filename']);
+        });
+
+        /**
+         * @route POST /admin/configs/{filename}/diff
+         * @tag Admin - Configuration
+         * @summary Preview configuration change
+         * @description Lists the settings a save would change and any values that do not match the schema,
+         * without saving
+         * @requiresAuth true
+         * @param filename path string true "Configuration filename"
+         * @requestBody content:object="Top-level settings to replace" {required=content}
+         * @response 200 application/json "Configuration change previewed" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     valid:boolean="Whether the values match the schema",
+         *     errors:object="Error message by dot path",
+         *     changes:array=[{path:string="Dot path", type:string="added, removed or changed", old:mixed, new:mixed}]
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Configuration file not found"
+         */
+        Router::post('/{filename}/diff', function (array $params) use ($container) {
+            $configController = $container->get(ConfigController::class);
+            $postData = RequestHelper::getRequestData();
+            $content = is_array($postData['content'] ?? null) ? $postData['content'] : [];
+            return $configController->previewConfig($params['filename'], $content);
+        });
+
+        /**
+         * @route GET /admin/configs/{filename}/versions
+         * @tag Admin - Configuration
+         * @summary List configuration versions
+         * @requiresAuth true
+         * @param filename path string true "Configuration filename"
+         * @response 200 application/json "Configuration versions retrieved" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:array=[{
+         *     version:integer="Version number",
+         *     changes:array="Settings changed from the previous version",
+         *     change_note:string="Change note",
+         *     created_by_username:string="Author username, null for changes outside the editor",
+         *     created_at:string="Version timestamp"
+         *   }]
+         * }
+         * @response 403 application/json "Permission denied"
+         */
+        Router::get('/{filename}/versions', function (array $params) use ($container) {
+            $configController = $container->get(ConfigController::class);
+            return $configController->getConfigVersions($params['filename']);
+        });
+
+        /**
+         * @route GET /admin/configs/{filename}/versions/{version}
+         * @tag Admin - Configuration
+         * @summary Get configuration version
+         * @description Returns a version with the settings rolling back to it would change
+         * @requiresAuth true
+         * @param filename path string true "Configuration filename"
+         * @param version path integer true "Version number"
+         * @response 200 application/json "Configuration version retrieved"
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Configuration version not found"
+         */
+        Router::get('/{filename}/versions/{version}', function (array $params) use ($container) {
+            $configController = $container->get(ConfigController::class);
+            return $configController->getConfigVersion($params['filename'], (int)$params['version']);
+        });
+
+        /**
+         * @route POST /admin/configs/{filename}/versions/{version}/rollback
+         * @tag Admin - Configuration
+         * @summary Roll back configuration
+         * @description Restores the file exactly as it was in a version and records the rollback as a
+         * new version
+         * @requiresAuth true
+         * @param filename path string true "Configuration filename"
+         * @param version path integer true "Version to roll back to"
+         * @response 200 application/json "Configuration rolled back"
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Configuration version not found"
+         * @response 409 application/json "Version content does not match its checksum"
+         */
+        Router::post('/{filename}/versions/{version}/rollback', function (array $params) use ($container) {
+            $configController = $container->get(ConfigController::class);
+            return $configController->rollbackConfig($params['filename'], (int)$params['version']);
+        });
+
         /**
          * @route POST /admin/configs/create
          * @tag Admin - Configuration
@@ -1124,6 +2415,137 @@ Router::group('/admin', function () use ($container) {
             return $metricsController->resetApiMetrics($request);
         });
 
+        /**
+         * @route GET /admin/system/api-metrics/timeseries
+         * @tag Admin - System Monitoring
+         * @summary Get API metrics over time
+         * @description Returns request rate, p50/p95/p99 latency and error rate in steps over a window, for all
+         * endpoints or one endpoint, with per-endpoint statistics and the ten slowest endpoints by p95.
+         * 1h, 6h and 24h are built from minute buckets, 7d and 30d from hour buckets.
+         * @requiresAuth true
+         * @param window query string false "1h, 6h, 24h, 7d or 30d (default: 24h)"
+         * @param endpoint query string false "Only this endpoint, as endpoint|method"
+         * @response 200 application/json "API metrics time series retrieved successfully" {
+         *   window:string="Window key",
+         *   step:integer="Seconds each point covers",
+         *   from:string="Window start",
+         *   to:string="Window end",
+         *   series:array=[{
+         *     time:string="Point start",
+         *     requests:integer="Requests",
+         *     rate_per_min:number="Requests per minute",
+         *     error_rate:number="Error rate percentage",
+         *     avg_response_time:number="Average response time in ms",
+         *     p50:number="Median response time in ms",
+         *     p95:number="95th percentile response time in ms",
+         *     p99:number="99th percentile response time in ms",
+         *     max_response_time:number="Slowest response time in ms"
+         *   }],
+         *   summary:object="Statistics of the whole window",
+         *   endpoints:array="Statistics per endpoint with endpoint_key, busiest first",
+         *   slowest:array="Endpoints with the highest p95"
+         * }
+         * @response 400 application/json "Unknown window"
+         * @response 403 application/json "Permission denied"
+         */
+        Router::get('/api-metrics/timeseries', function (Request $request) use ($container) {
+            $metricsController = $container->get(MetricsController::class);
+            return $metricsController->getApiMetricsTimeSeries();
+        });
+
+        /**
+         * @route GET /admin/system/api-metrics/alerts
+         * @tag Admin - System Monitoring
+         * @summary Get breached metric thresholds
+         * @description Lists the thresholds breached when last checked, for the dashboard banners. Thresholds
+         * not checked in the last minute are checked first.
+         * @requiresAuth true
+         * @response 200 application/json "Metric alerts retrieved successfully" {
+         *   data:array=[{
+         *     uuid:string="Threshold UUID",
+         *     name:string="Threshold name",
+         *     endpoint_key:string="Endpoint as endpoint|method, null for all endpoints",
+         *     metric:string="Metric compared",
+         *     value:number="Threshold value",
+         *     last_value:number="Metric value when last checked",
+         *     window_minutes:integer="Minutes the metric is measured over",
+         *     breached_at:string="When the breach started"
+         *   }]
+         * }
+         * @response 403 application/json "Permission denied"
+         */
+        Router::get('/api-metrics/alerts', function (Request $request) use ($container) {
+            $metricsController = $container->get(MetricsController::class);
+            return $metricsController->getMetricAlerts();
+        });
+
+        /**
+         * @route GET /admin/system/api-metrics/thresholds
+         * @tag Admin - System Monitoring
+         * @summary List metric thresholds
+         * @description Lists the API metric alert thresholds with their state when last checked. available
+         * is false until the api_metric_thresholds migration has been applied.
+         * @requiresAuth true
+         * @response 200 application/json "Metric thresholds retrieved successfully" {
+         *   available:boolean="Whether thresholds can be configured",
+         *   thresholds:array="Thresholds by name",
+         *   metrics:array="Metrics a threshold can compare",
+         *   max_window_minutes:integer="Longest threshold window"
+         * }
+         */
+        Router::get('/api-metrics/thresholds', function (Request $request) use ($container) {
+            $metricsController = $container->get(MetricsController::class);
+            return $metricsController->getMetricThresholds();
+        });
+
+        /**
+         * @route POST /admin/system/api-metrics/thresholds
+         * @tag Admin - System Monitoring
+         * @summary Create a metric threshold
+         * @description Creates a threshold that is breached when the metric over the window is above value.
+         * Breaches and recoveries are written to the audit log.
+         * @requiresAuth true
+         * @requestBody name:string="Name shown on the banner" endpoint_key:string="endpoint|method, empty for all endpoints" metric:string="request_rate, error_rate, avg_response_time, p50, p95 or p99" value:number="Value the metric must exceed" window_minutes:integer="Minutes measured (1-1440)" min_requests:integer="Requests needed before checking" enabled:boolean="Check the threshold" {required=name,metric,value}
+         * @response 200 application/json "Metric threshold saved successfully"
+         * @response 400 application/json "Invalid threshold"
+         * @response 503 application/json "Metric thresholds are not migrated yet"
+         */
+        Router::post('/api-metrics/thresholds', function (Request $request) use ($container) {
+            $metricsController = $container->get(MetricsController::class);
+            return $metricsController->saveMetricThreshold();
+        });
+
+        /**
+         * @route PUT /admin/system/api-metrics/thresholds/{uuid}
+         * @tag Admin - System Monitoring
+         * @summary Update a metric threshold
+         * @description Updates a threshold and clears its breach state until the next check.
+         * @requiresAuth true
+         * @param uuid path string true "Threshold UUID"
+         * @requestBody name:string="Name shown on the banner" endpoint_key:string="endpoint|method, empty for all endpoints" metric:string="request_rate, error_rate, avg_response_time, p50, p95 or p99" value:number="Value the metric must exceed" window_minutes:integer="Minutes measured (1-1440)" min_requests:integer="Requests needed before checking" enabled:boolean="Check the threshold" {required=name,metric,value}
+         * @response 200 application/json "Metric threshold saved successfully"
+         * @response 400 application/json "Invalid threshold"
+         * @response 404 application/json "Metric threshold not found"
+         */
+        Router::put('/api-metrics/thresholds/{uuid}', function (array $params) use ($container) {
+            $metricsController = $container->get(MetricsController::class);
+            return $metricsController->saveMetricThreshold($params);
+        });
+
+        /**
+         * @route DELETE /admin/system/api-metrics/thresholds/{uuid}
+         * @tag Admin - System Monitoring
+         * @summary Delete a metric threshold
+         * @requiresAuth true
+         * @param uuid path string true "Threshold UUID"
+         * @response 200 application/json "Metric threshold deleted successfully"
+         * @response 404 application/json "Metric threshold not found"
+         */
+        Router::delete('/api-metrics/thresholds/{uuid}', function (array $params) use ($container) {
+            $metricsController = $container->get(MetricsController::class);
+            return $metricsController->deleteMetricThreshold($params);
+        });
+
         /**
          * @route GET /admin/system/health
          * @tag Admin - System Monitoring
@@ -1561,11 +2983,13 @@ Router::group('/admin', function () use ($container) {
          *     provider:string="Authentication provider",
          *     ip_address:string="Client IP address",
          *     user_agent:string="Client user agent string",
+         *     remember_me:boolean="Whether the session survives a browser restart",
          *     created_at:string="Session creation timestamp",
          *     last_activity:string="Last activity timestamp",
          *     last_token_refresh:string="Last token refresh timestamp",
          *     access_expires_at:string="Access token expiration timestamp",
-         *     refresh_expires_at:string="Refresh token expiration timestamp"
+         *     refresh_expires_at:string="Refresh token expiration timestamp",
+         *     is_current:boolean="Whether this is the session making the request"
          *   }]
          * }
          * @response 401 "Unauthorized"
@@ -1581,12 +3005,18 @@ Router::group('/admin', function () use ($container) {
          * @route DELETE /admin/users/{uuid}/sessions
          * @tag Admin - User Sessions
          * @summary Terminate user sessions
-         * @description Terminates all or specific user sessions
+         * @description Terminates one session, every other session, or all user sessions
          * @requiresAuth true
          * @param uuid path string true "User UUID"
-         * @requestBody session_id:string="Specific session ID to terminate"
-         * @response 200 application/json "Sessions terminated"
-         * @response 404 application/json "User not found"
+         * @requestBody session_id:string="Specific session ID" except_current:boolean="Keep the requesting session"
+         * @response 200 application/json "Sessions terminated" {
+         *   success:boolean="Success status",
+         *   message:string="Success message",
+         *   data:{
+         *     terminated:integer="Number of sessions terminated"
+         *   }
+         * }
+         * @response 404 application/json "User or session not found"
          */
         Router::delete('/{uuid}/sessions', function (array $params) use ($container) {
             $usersController = $container->get(UsersController::class);
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { describeDevice, isMobileDevice } from '../../resources/js/sessions/device.mjs';
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) '
+    + 'Chrome/126.0.0.0 Safari/537.36';
+const EDGE_WINDOWS = `${CHROME_WINDOWS} Edg/126.0.0.0`;
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 '
+    + '(KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const FIREFOX_ANDROID = 'Mozilla/5.0 (Android 14; Mobile; rv:127.0) Gecko/127.0 Firefox/127.0';
+
+describe('describeDevice', () => {
+    it('names the browser and platform', () => {
+        assert.equal(describeDevice(CHROME_WINDOWS), 'Chrome on Windows');
+        assert.equal(describeDevice(EDGE_WINDOWS), 'Edge on Windows');
+        assert.equal(describeDevice(SAFARI_IPHONE), 'Safari on iOS');
+        assert.equal(describeDevice(FIREFOX_ANDROID), 'Firefox on Android');
+    });
+
+    it('falls back to what it recognises', () => {
+        assert.equal(describeDevice('curl/8.5.0'), 'Unknown device');
+        assert.equal(describeDevice(null), 'Unknown device');
+        assert.equal(describeDevice('SomeBot (Linux)'), 'Linux');
+    });
+});
+
+describe('isMobileDevice', () => {
+    it('recognises phones and tablets', () => {
+        assert.equal(isMobileDevice(SAFARI_IPHONE), true);
+        assert.equal(isMobileDevice(FIREFOX_ANDROID), true);
+        assert.equal(isMobileDevice(CHROME_WINDOWS), false);
+        assert.equal(isMobileDevice(null), false);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Browser stand-ins for the dashboard module tests
+ */
+
+import { TokenManager } from '../../resources/js/auth/tokenManager.mjs';
+
+/**
+ * Create a Web Storage backed by a Map
+ *
+ * @returns {Storage}
+ */
+export function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+/**
+ * Create a Web Locks manager granting one lock at a time per name
+ *
+ * @returns {{request: Function, requested: Array<string>}}
+ */
+export function exclusiveLocks() {
+    const tails = new Map();
+    const requested = [];
+    return {
+        requested,
+        request(name, callback) {
+            requested.push(name);
+            const run = (tails.get(name) || Promise.resolve()).then(() => callback());
+            tails.set(name, run.catch(() => {}));
+            return run;
+        },
+    };
+}
+
+/**
+ * Create a token manager without browser globals
+ *
+ * @param {Object} [options] Constructor options replacing the defaults
+ * @returns {TokenManager}
+ */
+export function createTokenManager(options = {}) {
+    return new TokenManager({
+        config: { sessionMode: 'storage' },
+        localStorage: memoryStorage(),
+        sessionStorage: memoryStorage(),
+        locks: null,
+        channel: null,
+        ...options,
+    });
+}
+
+/**
+ * Build a token response
+ *
+ * @param {string} suffix Appended to the token values
+ * @param {number} expiresIn Lifetime of the access token in seconds
+ * @returns {Object}
+ */
+export function tokens(suffix, expiresIn = 900) {
+    return {
+        access_token: `access-${suffix}`,
+        refresh_token: `refresh-${suffix}`,
+        token_type: 'Bearer',
+        expires_in: expiresIn,
+        user: { uuid: 'user-1' },
+    };
+}
@@ -0,0 +1,125 @@
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ACTIVITY_EVENTS, ACTIVITY_KEY, createIdleTimer } from '../../resources/js/auth/idleTimer.mjs';
+import { memoryStorage } from './helpers.mjs';
+
+/**
+ * Let time pass one interval at a time
+ *
+ * @param {Object} t Test context with mocked timers
+ * @param {number} seconds Seconds to pass
+ */
+function advance(t, seconds) {
+    for (let i = 0; i < seconds; i++) {
+        t.mock.timers.tick(1000);
+    }
+}
+
+describe('createIdleTimer', () => {
+    let storage;
+    let target;
+    let onWarning;
+    let onIdle;
+
+    const timer = (options = {}) => createIdleTimer({
+        timeoutMinutes: 2,
+        warningSeconds: 30,
+        onWarning,
+        onIdle,
+        storage,
+        target,
+        ...options,
+    });
+
+    beforeEach((t) => {
+        t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.parse('2026-03-01T09:00:00Z') });
+        storage = memoryStorage();
+        target = new EventTarget();
+        onWarning = mock.fn();
+        onIdle = mock.fn();
+    });
+
+    it('counts down the warning and signs out at the timeout', (t) => {
+        const idle = timer();
+        idle.start();
+
+        advance(t, 89);
+        assert.equal(onWarning.mock.calls.at(-1).arguments[0], null);
+
+        advance(t, 1);
+        assert.equal(onWarning.mock.calls.at(-1).arguments[0], 30);
+        advance(t, 29);
+        assert.equal(onWarning.mock.calls.at(-1).arguments[0], 1);
+        assert.equal(onIdle.mock.callCount(), 0);
+
+        advance(t, 1);
+        assert.equal(onIdle.mock.callCount(), 1);
+    });
+
+    it('restarts the timeout on activity, but not once the warning is shown', (t) => {
+        const idle = timer();
+        idle.start();
+
+        advance(t, 60);
+        target.dispatchEvent(new Event('keydown'));
+        advance(t, 60);
+        assert.equal(onWarning.mock.calls.at(-1).arguments[0], null);
+
+        advance(t, 30);
+        assert.equal(onWarning.mock.calls.at(-1).arguments[0], 30);
+        target.dispatchEvent(new Event('mousemove'));
+        advance(t, 30);
+        assert.equal(onIdle.mock.callCount(), 1);
+    });
+
+    it('stays signed in when the warning is dismissed', (t) => {
+        const idle = timer();
+        idle.start();
+
+        advance(t, 100);
+        idle.stay();
+        assert.equal(onWarning.mock.calls.at(-1).arguments[0], null);
+
+        advance(t, 60);
+        assert.equal(onIdle.mock.callCount(), 0);
+        idle.stop();
+    });
+
+    it('shares activity between tabs', (t) => {
+        const first = timer();
+        const second = timer({ target: new EventTarget() });
+        first.start();
+        second.start();
+
+        advance(t, 60);
+        target.dispatchEvent(new Event('touchstart'));
+        assert.equal(storage.getItem(ACTIVITY_KEY), String(Date.now()));
+        advance(t, 60);
+
+        assert.equal(onIdle.mock.callCount(), 0);
+        first.stop();
+        second.stop();
+    });
+
+    it('does nothing when the timeout is 0', (t) => {
+        const listen = t.mock.method(target, 'addEventListener');
+        const idle = timer({ timeoutMinutes: 0 });
+        idle.start();
+
+        advance(t, 3600);
+
+        assert.equal(idle.timeout, 0);
+        assert.equal(listen.mock.callCount(), 0);
+        assert.equal(onIdle.mock.callCount(), 0);
+    });
+
+    it('stops listening for activity', (t) => {
+        const unlisten = t.mock.method(target, 'removeEventListener');
+        const idle = timer();
+        idle.start();
+
+        idle.stop();
+
+        assert.deepEqual(unlisten.mock.calls.map((call) => call.arguments[0]), ACTIVITY_EVENTS);
+    });
+});
@@ -0,0 +1,189 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    HEADER_HEIGHT,
+    NODE_WIDTH,
+    ROW_HEIGHT,
+    columnY,
+    edgePath,
+    filterTables,
+    findPath,
+    layoutDiagram,
+    toMermaid,
+} from '../../resources/js/schema/schemaDiagram.mjs';
+
+const column = (name, type, extra = {}) => ({ name, type, nullable: false, ...extra });
+const fk = (name, table, references = 'id', onDelete = 'CASCADE') => ({
+    column: name,
+    references_table: table,
+    references_column: references,
+    on_delete: onDelete,
+});
+
+const TABLES = [
+    {
+        name: 'order_items',
+        columns: [column('id', 'int', { is_primary: true }), column('order_id', 'int'), column('qty', 'int')],
+        foreign_keys: [fk('order_id', 'orders')],
+    },
+    {
+        name: 'orders',
+        columns: [
+            column('id', 'int', { is_primary: true }),
+            column('user_id', 'int', { nullable: true }),
+            column('total', 'decimal(10,2)'),
+        ],
+        foreign_keys: [fk('user_id', 'users', 'id', 'SET NULL')],
+    },
+    {
+        name: 'users',
+        columns: [
+            column('id', 'int', { is_primary: true }),
+            column('email', 'varchar(255)', { is_unique: true }),
+            column('manager_id', 'int', { nullable: true }),
+        ],
+        foreign_keys: [fk('manager_id', 'users')],
+    },
+    { name: 'settings', columns: [column('key', 'varchar(64)', { is_primary: true })], foreign_keys: [] },
+    { name: 'logs', columns: [], foreign_keys: [fk('user_id', 'archived_users')] },
+];
+
+describe('layoutDiagram', () => {
+    it('places referenced tables left of the tables pointing at them', () => {
+        const { nodes, edges } = layoutDiagram(TABLES, false);
+        const step = NODE_WIDTH + 110;
+
+        assert.equal(nodes.users.x, 0);
+        assert.equal(nodes.orders.x, step);
+        assert.equal(nodes.order_items.x, step * 2);
+        assert.deepEqual(edges.map((edge) => `${edge.from}.${edge.column} -> ${edge.to}`), [
+            'order_items.order_id -> orders',
+            'orders.user_id -> users',
+            'users.manager_id -> users',
+        ]);
+    });
+
+    it('places tables without links in rows below the layers', () => {
+        const { nodes, width, height } = layoutDiagram(TABLES, false);
+        const usersHeight = HEADER_HEIGHT + 8 + 3 * ROW_HEIGHT;
+
+        assert.deepEqual([nodes.logs.x, nodes.settings.x], [0, NODE_WIDTH + 110]);
+        assert.equal(nodes.logs.y, usersHeight + 36 * 2);
+        assert.equal(nodes.settings.y, nodes.logs.y);
+        assert.equal(nodes.logs.height, HEADER_HEIGHT + 8 + ROW_HEIGHT);
+        assert.equal(width, 2 * (NODE_WIDTH + 110) + NODE_WIDTH);
+        assert.equal(height, nodes.logs.y + nodes.logs.height);
+    });
+
+    it('orders a layer by the position of the tables it links to', () => {
+        const tables = [
+            { name: 'a', columns: [], foreign_keys: [] },
+            { name: 'b', columns: [], foreign_keys: [] },
+            { name: 'x', columns: [], foreign_keys: [fk('b_id', 'b')] },
+            { name: 'y', columns: [], foreign_keys: [fk('a_id', 'a')] },
+        ];
+
+        const { nodes } = layoutDiagram(tables, false);
+
+        assert.ok(nodes.a.y < nodes.b.y);
+        assert.ok(nodes.y.y < nodes.x.y);
+    });
+
+    it('keeps only key columns when asked', () => {
+        const { nodes } = layoutDiagram(TABLES, true);
+
+        assert.deepEqual(nodes.orders.columns.map((col) => col.name), ['id', 'user_id']);
+        assert.deepEqual([...nodes.orders.fks], ['user_id']);
+    });
+
+    it('lays out tables referencing each other', () => {
+        const tables = [
+            { name: 'a', columns: [], foreign_keys: [fk('b_id', 'b')] },
+            { name: 'b', columns: [], foreign_keys: [fk('a_id', 'a')] },
+        ];
+
+        const { nodes } = layoutDiagram(tables, false);
+
+        assert.notEqual(nodes.a.x, nodes.b.x);
+    });
+});
+
+describe('edgePath', () => {
+    it('draws foreign keys from their column to the referenced column', () => {
+        const layout = layoutDiagram(TABLES, false);
+        const orders = layout.nodes.orders;
+
+        assert.equal(columnY(orders, 'user_id'), orders.y + HEADER_HEIGHT + 4 + ROW_HEIGHT * 1.5);
+        assert.equal(columnY(orders, 'missing'), orders.y + HEADER_HEIGHT / 2);
+
+        const toUsers = edgePath(layout, layout.edges[1]);
+        assert.match(toUsers, new RegExp(`^M${orders.x} ${columnY(orders, 'user_id')} C`));
+        assert.match(toUsers, new RegExp(` ${NODE_WIDTH} ${columnY(layout.nodes.users, 'id')}$`));
+
+        const self = edgePath(layout, layout.edges[2]);
+        assert.match(self, new RegExp(`^M${NODE_WIDTH} \\S+ C${NODE_WIDTH + 50} `));
+    });
+});
+
+describe('findPath', () => {
+    const { edges } = layoutDiagram(TABLES, false);
+
+    it('follows foreign keys in either direction', () => {
+        assert.deepEqual(findPath(edges, 'order_items', 'users'), {
+            tables: ['order_items', 'orders', 'users'],
+            edges: [0, 1],
+        });
+        assert.deepEqual(findPath(edges, 'users', 'order_items'), {
+            tables: ['users', 'orders', 'order_items'],
+            edges: [1, 0],
+        });
+    });
+
+    it('reports tables that are not connected', () => {
+        assert.deepEqual(findPath(edges, 'users', 'settings'), { tables: [], edges: [] });
+        assert.deepEqual(findPath(edges, 'users', 'users'), { tables: ['users'], edges: [] });
+        assert.equal(findPath(edges, 'users', null), null);
+    });
+});
+
+describe('filterTables', () => {
+    it('keeps matching tables, with or without related tables', () => {
+        const names = (tables) => tables.map((table) => table.name);
+
+        assert.deepEqual(names(filterTables(TABLES, ' ORDERS ', false)), ['orders']);
+        assert.deepEqual(names(filterTables(TABLES, 'orders', true)), ['order_items', 'orders', 'users']);
+        assert.equal(filterTables(TABLES, '', true), TABLES);
+    });
+});
+
+describe('toMermaid', () => {
+    it('writes columns with their keys and foreign keys with their cardinality', () => {
+        const tables = TABLES.slice(1, 3);
+
+        assert.equal(toMermaid(tables, layoutDiagram(tables, false).edges), [
+            'erDiagram',
+            '    orders {',
+            '        int id PK',
+            '        int user_id FK',
+            '        decimal total',
+            '    }',
+            '    users {',
+            '        int id PK',
+            '        varchar email UK',
+            '        int manager_id FK',
+            '    }',
+            '    orders }o--o| users : "user_id"',
+            '    users }o--o| users : "manager_id"',
+            '',
+        ].join('\n'));
+    });
+
+    it('replaces characters Mermaid does not accept in names', () => {
+        const tables = [{ name: 'audit log', columns: [column('when', 'timestamp with time zone')], foreign_keys: [] }];
+
+        assert.equal(
+            toMermaid(tables, []),
+            'erDiagram\n    audit_log {\n        timestamp_with_time_zone when\n    }\n'
+        );
+    });
+});
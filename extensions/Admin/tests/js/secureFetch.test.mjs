@@ -0,0 +1,122 @@
+import { beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSecureFetchOptions } from '../../resources/js/auth/secureFetch.mjs';
+import { createTokenManager, tokens } from './helpers.mjs';
+
+/**
+ * Create the context useFetch passes to onFetchError
+ *
+ * @param {number} status Response status
+ * @param {function(Object): Promise} replay Handles the replayed request, receives this context
+ * @returns {Object}
+ */
+function failedRequest(status, replay = async () => {}) {
+    const ctx = { response: { status }, data: { message: `status ${status}` }, error: new Error(`${status}`) };
+    ctx.execute = mock.fn(() => replay(ctx));
+    return ctx;
+}
+
+describe('createSecureFetchOptions', () => {
+    let manager;
+    let refresh;
+    let logout;
+    let hooks;
+
+    beforeEach((t) => {
+        t.mock.method(console, 'log', () => {});
+        manager = createTokenManager();
+        manager.setTokens(tokens('old'));
+        refresh = mock.fn(async () => tokens('new'));
+        manager.setRefreshCallback(refresh);
+        logout = mock.fn(async () => manager.clearTokens());
+        hooks = createSecureFetchOptions({
+            tokenManager: manager,
+            apiBaseUrl: Promise.resolve('https://api.example.com/v1/'),
+            fetchCsrfToken: async () => ({ token: 'csrf-1', expires_at: Date.now() / 1000 + 3600 }),
+            logout,
+        });
+    });
+
+    it('prefixes the base URL and sends the session headers', async () => {
+        const { url, options } = await hooks.beforeFetch({ url: '/admin/users', options: { method: 'POST' } });
+
+        assert.equal(url, 'https://api.example.com/v1/admin/users');
+        assert.equal(options.headers.Authorization, 'Bearer access-old');
+        assert.equal(options.headers['X-CSRF-Token'], 'csrf-1');
+        assert.equal(options.credentials, undefined);
+        manager.clearTokens();
+    });
+
+    it('queues requests behind a refresh in flight', async () => {
+        const refreshing = manager.refreshTokens();
+
+        const { options } = await hooks.beforeFetch({ url: '/admin/users', options: {} });
+
+        await refreshing;
+        assert.equal(refresh.mock.callCount(), 1);
+        assert.equal(options.headers.Authorization, 'Bearer access-new');
+        manager.clearTokens();
+    });
+
+    it('refreshes once for concurrent 401 responses and replays each request', async () => {
+        const requests = [failedRequest(401), failedRequest(401), failedRequest(401)];
+
+        const results = await Promise.all(requests.map((ctx) => hooks.onFetchError(ctx)));
+
+        assert.equal(refresh.mock.callCount(), 1);
+        for (const [i, ctx] of requests.entries()) {
+            assert.equal(ctx.execute.mock.callCount(), 1);
+            assert.deepEqual(ctx.execute.mock.calls[0].arguments, [true]);
+            assert.deepEqual(results[i], { data: null, error: null });
+        }
+        assert.equal(logout.mock.callCount(), 0);
+        manager.clearTokens();
+    });
+
+    it('signs out once when replayed requests are still unauthorized', async () => {
+        const replay = async (ctx) => {
+            const replayed = { ...failedRequest(401), execute: ctx.execute };
+            await hooks.onFetchError(replayed);
+            throw replayed.error;
+        };
+        const requests = [failedRequest(401, replay), failedRequest(401, replay)];
+
+        const results = await Promise.all(requests.map((ctx) => hooks.onFetchError(ctx)));
+
+        assert.equal(refresh.mock.callCount(), 1);
+        assert.equal(logout.mock.callCount(), 1);
+        for (const [i, ctx] of requests.entries()) {
+            assert.equal(ctx.execute.mock.callCount(), 1);
+            assert.equal(results[i].response.status, 401);
+            assert.deepEqual(results[i].error, { message: 'status 401' });
+        }
+    });
+
+    it('signs out without replaying when the refresh fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        refresh.mock.mockImplementation(async () => {
+            throw new Error('expired');
+        });
+        const ctx = failedRequest(401);
+
+        const result = await hooks.onFetchError(ctx);
+
+        assert.equal(ctx.execute.mock.callCount(), 0);
+        assert.equal(logout.mock.callCount(), 1);
+        assert.deepEqual(result.error, { message: 'status 401' });
+    });
+
+    it('fetches a new CSRF token and replays a request answered with 419', async () => {
+        manager.setCsrfToken({ token: 'csrf-stale', expires_at: Date.now() / 1000 + 3600 });
+        const ctx = failedRequest(419);
+
+        const result = await hooks.onFetchError(ctx);
+
+        assert.deepEqual(result, { data: null, error: null });
+        assert.equal(ctx.execute.mock.callCount(), 1);
+        assert.equal(manager.getCsrfToken(), null);
+        const { options } = await hooks.beforeFetch({ url: '/admin/users', options: { method: 'DELETE' } });
+        assert.equal(options.headers['X-CSRF-Token'], 'csrf-1');
+        manager.clearTokens();
+    });
+});
@@ -0,0 +1,193 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    analyzeStatement,
+    columnInfo,
+    diagnose,
+    joinConditions,
+    splitStatements,
+    statementAt,
+    tokenize,
+} from '../../resources/js/sql/sqlAnalysis.mjs';
+
+const KEYWORDS = new Set([
+    'select', 'from', 'where', 'join', 'left', 'on', 'as', 'and', 'or', 'with', 'group', 'by', 'order', 'limit',
+    'insert', 'into', 'values', 'update', 'set', 'delete', 'explain', 'analyze', 'extract', 'year', 'count', 'in',
+    'create', 'table', 'is', 'null', 'not', 'desc',
+]);
+
+const TABLES = new Map([['users', 'users'], ['orders', 'orders']]);
+
+const COLUMNS = {
+    users: [
+        { name: 'id', type: 'int', is_primary: true },
+        { name: 'email', type: 'varchar(255)' },
+    ],
+    orders: [
+        { name: 'id', type: 'int', is_primary: true },
+        { name: 'user_id', type: 'int', relationships: [{ references_table: 'users', references_column: 'id' }] },
+        { name: 'total', type: 'decimal(10,2)' },
+        { name: 'created_at', type: 'datetime' },
+    ],
+};
+
+const analyze = (sql) => analyzeStatement(tokenize(sql, 'mysql'), KEYWORDS);
+
+const check = (sql, columns = (table) => COLUMNS[table] || null) => diagnose(sql, {
+    dialect: 'mysql',
+    keywords: KEYWORDS,
+    tables: TABLES,
+    columns,
+}).map(({ severity, message }) => `${severity}: ${message}`);
+
+describe('tokenize', () => {
+    it('drops comments and reads strings, quoted names and parameters', () => {
+        const sql = "SELECT `order`, 'it''s' -- note\nFROM t /* c */ WHERE a = :id # mysql";
+        const tokens = tokenize(sql, 'mysql');
+
+        assert.deepEqual(tokens.map((token) => token.type), ['id', 'id', ',', 'str', 'id', 'id', 'id', 'id', '=', 'param']);
+        assert.equal(tokens[1].value, 'order');
+        assert.equal(tokens[1].quoted, true);
+        assert.equal(sql.slice(tokens[3].from, tokens[3].to), "'it''s'");
+    });
+
+    it('follows the quoting rules of the dialect', () => {
+        assert.equal(tokenize('"name"', 'mysql')[0].type, 'str');
+        assert.equal(tokenize('"name"', 'pgsql')[0].value, 'name');
+        assert.equal(tokenize('[name]', 'sqlite')[0].value, 'name');
+        assert.deepEqual(tokenize('$body$ SELECT 1; $body$ x', 'pgsql').map((token) => token.type), ['str', 'id']);
+        assert.equal(tokenize('a::int', 'pgsql').some((token) => token.type === 'param'), false);
+    });
+});
+
+describe('splitStatements', () => {
+    it('splits at semicolons and finds the statement at the cursor', () => {
+        const sql = 'SELECT 1; SELECT 2';
+        const statements = splitStatements(tokenize(sql, 'mysql'), sql.length);
+
+        assert.deepEqual(statements.map(({ from, to }) => [from, to]), [[0, 8], [9, 18]]);
+        assert.equal(statementAt(statements, 8), statements[0]);
+        assert.equal(statementAt(statements, 12), statements[1]);
+    });
+});
+
+describe('analyzeStatement', () => {
+    it('reads tables with their aliases and schemas', () => {
+        const { tables } = analyze('SELECT * FROM users u JOIN shop.orders AS o ON o.user_id = u.id, logs');
+
+        assert.deepEqual(
+            tables.map(({ name, schema, alias }) => [name, schema, alias]),
+            [['users', null, 'u'], ['orders', 'shop', 'o']]
+        );
+    });
+
+    it('reads comma-separated tables after FROM', () => {
+        const { tables } = analyze('SELECT * FROM users, orders o WHERE o.user_id = users.id');
+
+        assert.deepEqual(tables.map(({ name, alias }) => [name, alias]), [['users', null], ['orders', 'o']]);
+    });
+
+    it('separates qualified references, bare columns and column aliases', () => {
+        const result = analyze('SELECT u.email, total AS amount, COUNT(id) n FROM orders o JOIN users u ON u.id = o.user_id');
+
+        assert.deepEqual(result.refs.map(({ qualifier, value }) => `${qualifier}.${value}`), [
+            'u.email', 'u.id', 'o.user_id',
+        ]);
+        assert.deepEqual(result.bare.map(({ value }) => value), ['total', 'id']);
+        assert.deepEqual([...result.aliases], ['amount', 'n']);
+    });
+
+    it('reads CTEs and derived tables', () => {
+        const result = analyze(
+            'WITH recent (id) AS (SELECT id FROM orders) SELECT * FROM recent JOIN (SELECT 1) AS x ON x.a = recent.id'
+        );
+
+        assert.deepEqual([...result.ctes], ['recent']);
+        assert.deepEqual([...result.derived], ['x']);
+        assert.deepEqual(result.tables.map(({ name }) => name), ['orders', 'recent']);
+    });
+
+    it('does not read FROM inside a function call as a table', () => {
+        const { tables } = analyze('SELECT EXTRACT(YEAR FROM created_at) FROM orders');
+
+        assert.deepEqual(tables.map(({ name }) => name), ['orders']);
+    });
+
+    it('skips statements that are not checked and reads through EXPLAIN', () => {
+        assert.equal(analyze('CREATE TABLE t (id int)').skip, true);
+        assert.equal(analyze('').skip, true);
+        assert.deepEqual(analyze('EXPLAIN ANALYZE SELECT * FROM orders').tables.map(({ name }) => name), ['orders']);
+    });
+});
+
+describe('diagnose', () => {
+    it('marks unknown tables as errors', () => {
+        assert.deepEqual(check('SELECT * FROM users JOIN missing m ON m.id = users.id'), [
+            'error: Unknown table "missing"',
+        ]);
+    });
+
+    it('does not mark CTEs, system tables or tables of another schema', () => {
+        assert.deepEqual(check('WITH r AS (SELECT 1) SELECT * FROM r'), []);
+        assert.deepEqual(check('SELECT 1 FROM dual'), []);
+        assert.deepEqual(check('SELECT * FROM other.things'), []);
+    });
+
+    it('marks unknown columns as warnings', () => {
+        assert.deepEqual(check('SELECT o.totl, amount FROM orders o WHERE o.user_id = 1'), [
+            'warning: Unknown column "totl" in "orders"',
+            'warning: Unknown column "amount"',
+        ]);
+    });
+
+    it('accepts column aliases and names of the joined tables', () => {
+        assert.deepEqual(check('SELECT total AS amount, email FROM orders JOIN users ON users.id = orders.user_id'), []);
+        assert.deepEqual(check('SELECT COUNT(*) n FROM orders ORDER BY n DESC'), []);
+    });
+
+    it('checks each statement on its own', () => {
+        assert.deepEqual(check('SELECT email FROM users; SELECT email FROM orders'), [
+            'warning: Unknown column "email"',
+        ]);
+    });
+
+    it('waits for the columns of every table a name could belong to', () => {
+        const requested = [];
+        const columns = (table) => {
+            requested.push(table);
+            return table === 'users' ? COLUMNS.users : null;
+        };
+
+        assert.deepEqual(check('SELECT nope, o.nope FROM users JOIN orders o ON o.user_id = users.id', columns), []);
+        assert.ok(requested.includes('orders'));
+    });
+});
+
+describe('joinConditions', () => {
+    const columns = (table) => COLUMNS[table] || null;
+
+    it('offers tables joined by foreign keys after JOIN', () => {
+        assert.deepEqual(joinConditions('join', [{ name: 'orders', lower: 'orders', alias: 'o' }], TABLES, columns), [
+            'users ON users.id = o.user_id',
+        ]);
+        assert.deepEqual(joinConditions('join', [{ name: 'users', lower: 'users', alias: null }], TABLES, columns), [
+            'orders ON orders.user_id = users.id',
+        ]);
+    });
+
+    it('offers conditions between the last table and earlier ones after ON', () => {
+        const tables = [{ name: 'users', lower: 'users', alias: 'u' }, { name: 'orders', lower: 'orders', alias: 'o' }];
+
+        assert.deepEqual(joinConditions('on', tables, TABLES, columns), ['o.user_id = u.id']);
+        assert.deepEqual(joinConditions('on', tables.slice().reverse(), TABLES, columns), ['u.id = o.user_id']);
+        assert.deepEqual(joinConditions('on', [], TABLES, columns), []);
+    });
+});
+
+describe('columnInfo', () => {
+    it('lists primary and foreign keys', () => {
+        assert.equal(columnInfo(COLUMNS.users[0]), 'Primary key');
+        assert.equal(columnInfo(COLUMNS.orders[1]), 'References users.id');
+        assert.equal(columnInfo(COLUMNS.orders[2]), undefined);
+    });
+});
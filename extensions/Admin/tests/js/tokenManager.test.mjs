@@ -0,0 +1,111 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LOCK_NAME, REFRESH_MARGIN, STORAGE_KEY } from '../../resources/js/auth/tokenManager.mjs';
+import { createTokenManager, exclusiveLocks, memoryStorage, tokens } from './helpers.mjs';
+
+describe('TokenManager', () => {
+    it('shares one refresh between concurrent callers', async () => {
+        const manager = createTokenManager();
+        manager.setTokens(tokens('old'));
+        const callback = mock.fn(async () => tokens('new'));
+        manager.setRefreshCallback(callback);
+
+        const results = await Promise.all([manager.refreshTokens(), manager.refreshTokens(), manager.refreshTokens()]);
+
+        assert.deepEqual(results, [true, true, true]);
+        assert.equal(callback.mock.callCount(), 1);
+        assert.deepEqual(callback.mock.calls[0].arguments, ['refresh-old']);
+        assert.equal(manager.getAccessToken(), 'access-new');
+        assert.equal(manager.refreshPromise, null);
+        manager.clearTokens();
+    });
+
+    it('refreshes within the margin before the access token expires', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        const manager = createTokenManager();
+        const callback = mock.fn(async () => tokens('new'));
+        manager.setRefreshCallback(callback);
+        manager.setTokens(tokens('old', 120));
+
+        assert.equal(manager.needsRefresh(), false);
+        t.mock.timers.tick(120000 - REFRESH_MARGIN - 1);
+        assert.equal(callback.mock.callCount(), 0);
+
+        t.mock.timers.tick(1);
+        assert.equal(manager.needsRefresh(), true);
+        assert.equal(callback.mock.callCount(), 1);
+        manager.clearTokens();
+    });
+
+    it('serializes refreshes across tabs and skips one another tab already made', async () => {
+        const locks = exclusiveLocks();
+        const local = memoryStorage();
+        const first = createTokenManager({ locks, localStorage: local });
+        const second = createTokenManager({ locks, localStorage: local });
+        first.setTokens(tokens('old'), true);
+        const callback = mock.fn(async () => tokens('new'));
+        first.setRefreshCallback(callback);
+        second.setRefreshCallback(callback);
+
+        const results = await Promise.all([first.refreshTokens(), second.refreshTokens()]);
+
+        assert.deepEqual(results, [true, true]);
+        assert.equal(callback.mock.callCount(), 1);
+        assert.deepEqual(locks.requested, [LOCK_NAME, LOCK_NAME]);
+        assert.equal(second.getAccessToken(), 'access-new');
+        first.clearTokens();
+        second.clearTokens();
+    });
+
+    it('adopts a session refreshed in another tab', () => {
+        const manager = createTokenManager();
+        manager.setTokens(tokens('old'));
+        const refreshed = { ...tokens('new'), expires_at: Date.now() + 900000 };
+
+        manager.adoptSession({ previous: 'refresh-other', session: refreshed });
+        assert.equal(manager.getAccessToken(), 'access-old');
+
+        manager.adoptSession({ previous: 'refresh-old', session: refreshed });
+        assert.equal(manager.getAccessToken(), 'access-new');
+    });
+
+    it('broadcasts a refreshed session in storage mode', async () => {
+        const channel = { postMessage: mock.fn() };
+        const manager = createTokenManager({ channel });
+        manager.setTokens(tokens('old'));
+        manager.setRefreshCallback(async () => tokens('new'));
+
+        await manager.refreshTokens();
+
+        const [message] = channel.postMessage.mock.calls[0].arguments;
+        assert.equal(message.previous, 'refresh-old');
+        assert.equal(message.session.access_token, 'access-new');
+        manager.clearTokens();
+    });
+
+    it('clears the session when the refresh fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const manager = createTokenManager();
+        manager.setTokens(tokens('old'));
+        manager.setRefreshCallback(async () => {
+            throw new Error('invalid refresh token');
+        });
+
+        assert.equal(await manager.refreshTokens(), false);
+        assert.equal(manager.getSession(), null);
+        assert.equal(manager.session.getItem(STORAGE_KEY), null);
+    });
+
+    it('keeps memory mode sessions out of Web Storage and refreshes them through the cookie', async () => {
+        const manager = createTokenManager({ config: { sessionMode: 'memory' } });
+        const callback = mock.fn(async () => ({ ...tokens('cookie'), refresh_token: null }));
+        manager.setRefreshCallback(callback);
+
+        assert.equal(await manager.initialize(), true);
+        assert.deepEqual(callback.mock.calls[0].arguments, [null]);
+        assert.equal(manager.getAccessToken(), 'access-cookie');
+        assert.equal(manager.local.getItem(STORAGE_KEY), null);
+        assert.equal(manager.session.getItem(STORAGE_KEY), null);
+        manager.clearTokens();
+    });
+});
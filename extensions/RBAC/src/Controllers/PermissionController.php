@@ -9,6 +9,7 @@ use Glueful\Extensions\RBAC\Services\PermissionAssignmentService;
 use Glueful\Extensions\RBAC\Repositories\PermissionRepository;
 use Glueful\Extensions\RBAC\Repositories\UserPermissionRepository;
 use Glueful\Exceptions\NotFoundException;
+use Glueful\Permissions\PermissionManager;
 use Symfony\Component\HttpFoundation\Request;
 
 /**
@@ -105,6 +106,66 @@ class PermissionController
         }
     }
 
+    /**
+     * Get the roles and users a permission is granted to
+     *
+     * Shown before a permission is changed or deleted.
+     *
+     * @route GET /api/rbac/permissions/{uuid}/impact
+     * @param array $params
+     * @return Response
+     */
+    public function impact(array $params): Response
+    {
+        try {
+            $impact = $this->permissionService->getPermissionImpact($params['uuid'] ?? '');
+
+            return Response::success($impact, 'Permission impact retrieved successfully');
+        } catch (\InvalidArgumentException $e) {
+            return Response::notFound($e->getMessage());
+        } catch (\Exception $e) {
+            return Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * List every user holding a permission and the grants behind it
+     *
+     * @route GET /api/rbac/permissions/{uuid}/holders
+     * @param array $params
+     * @return Response
+     */
+    public function holders(array $params): Response
+    {
+        try {
+            $holders = $this->permissionService->getPermissionHolders($params['uuid'] ?? '');
+
+            return Response::success($holders, 'Permission holders retrieved successfully');
+        } catch (\InvalidArgumentException $e) {
+            return Response::notFound($e->getMessage());
+        } catch (\Exception $e) {
+            return Response::serverError($e->getMessage());
+        }
+    }
+
+    /**
+     * Get the role × permission matrix
+     *
+     * @route GET /api/rbac/permissions/matrix
+     * @param Request $request
+     * @return Response
+     */
+    public function matrix(Request $request): Response
+    {
+        try {
+            $matrix = $this->permissionService->getPermissionMatrix();
+
+            return Response::success($matrix, 'Permission matrix retrieved successfully');
+        } catch (\Exception $e) {
+            return Response::serverError($e->getMessage());
+        }
+    }
+
     /**
      * Create a new permission
      *
@@ -156,6 +217,8 @@ class PermissionController
                 return Response::serverError('Failed to update permission');
             }
 
+            $this->invalidatePermissionCache();
+
             $permission = $this->permissionRepository->findRecordByUuid($uuid);
             return Response::success($permission, 'Permission updated successfully');
         } catch (\InvalidArgumentException $e) {
@@ -184,6 +247,8 @@ class PermissionController
                 return Response::serverError('Failed to delete permission');
             }
 
+            $this->invalidatePermissionCache();
+
             return Response::success(null, 'Permission deleted successfully');
         } catch (\InvalidArgumentException $e) {
             return Response::validation(['error' => [$e->getMessage()]], 'Validation failed');
@@ -286,7 +351,7 @@ class PermissionController
     }
 
     /**
-     * Batch assign permissions to user
+     * Batch assign permissions to a user or a role
      *
      * @route POST /api/rbac/permissions/batch-assign
      * @param Request $request
@@ -297,14 +362,29 @@ class PermissionController
         try {
             $data = $request->toArray();
 
-            if (empty($data['user_uuid']) || empty($data['permissions'])) {
+            if ((empty($data['user_uuid']) && empty($data['role_uuid'])) || empty($data['permissions'])) {
                 return Response::validation(
-                    ['user_uuid' => ['User UUID is required'], 'permissions' => ['Permissions array is required']],
+                    [
+                        'user_uuid' => ['User UUID or role UUID is required'],
+                        'permissions' => ['Permissions array is required']
+                    ],
                     'Validation failed'
                 );
             }
 
             $globalOptions = $data['options'] ?? [];
+
+            if (!empty($data['role_uuid'])) {
+                $results = $this->permissionService->batchAssignPermissionsToRole(
+                    $data['role_uuid'],
+                    $data['permissions'],
+                    $globalOptions
+                );
+                $this->invalidatePermissionCache();
+
+                return Response::success($results, 'Batch role permission assignment completed');
+            }
+
             $results = $this->permissionService->batchAssignPermissions(
                 $data['user_uuid'],
                 $data['permissions'],
@@ -312,13 +392,15 @@ class PermissionController
             );
 
             return Response::success($results, 'Batch permission assignment completed');
+        } catch (\InvalidArgumentException $e) {
+            return Response::validation(['error' => [$e->getMessage()]], 'Validation failed');
         } catch (\Exception $e) {
             return Response::serverError($e->getMessage());
         }
     }
 
     /**
-     * Batch revoke permissions from user
+     * Batch revoke permissions from a user or a role
      *
      * @route POST /api/rbac/permissions/batch-revoke
      * @param Request $request
@@ -329,22 +411,34 @@ class PermissionController
         try {
             $data = $request->toArray();
 
-            if (empty($data['user_uuid']) || empty($data['permission_slugs'])) {
+            if ((empty($data['user_uuid']) && empty($data['role_uuid'])) || empty($data['permission_slugs'])) {
                 return Response::validation(
                     [
-                        'user_uuid' => ['User UUID is required'],
+                        'user_uuid' => ['User UUID or role UUID is required'],
                         'permission_slugs' => ['Permission slugs array is required']
                     ],
                     'Validation failed'
                 );
             }
 
+            if (!empty($data['role_uuid'])) {
+                $results = $this->permissionService->batchRevokePermissionsFromRole(
+                    $data['role_uuid'],
+                    $data['permission_slugs']
+                );
+                $this->invalidatePermissionCache();
+
+                return Response::success($results, 'Batch role permission revocation completed');
+            }
+
             $results = $this->permissionService->batchRevokePermissions(
                 $data['user_uuid'],
                 $data['permission_slugs']
             );
 
             return Response::success($results, 'Batch permission revocation completed');
+        } catch (\InvalidArgumentException $e) {
+            return Response::validation(['error' => [$e->getMessage()]], 'Validation failed');
         } catch (\Exception $e) {
             return Response::serverError($e->getMessage());
         }
@@ -404,6 +498,26 @@ class PermissionController
         }
     }
 
+    /**
+     * Trace user's effective permissions to the roles and grants behind them
+     *
+     * @route GET /api/rbac/users/{user_uuid}/permission-trace
+     * @param array $params
+     * @return Response
+     */
+    public function traceUserPermissions(array $params): Response
+    {
+        try {
+            $trace = $this->permissionService->traceUserPermissions($params['user_uuid'] ?? '');
+
+            return Response::success($trace, 'User permission trace retrieved successfully');
+        } catch (\InvalidArgumentException $e) {
+            return Response::notFound($e->getMessage());
+        } catch (\Exception $e) {
+            return Response::serverError($e->getMessage());
+        }
+    }
+
     /**
      * Check if user has specific permission
      *
@@ -540,4 +654,16 @@ class PermissionController
             return Response::serverError($e->getMessage());
         }
     }
+
+    /**
+     * Drop cached permission checks after role grants or permissions change
+     */
+    private function invalidatePermissionCache(): void
+    {
+        try {
+            PermissionManager::getInstance()->invalidateAllCache();
+        } catch (\Exception $e) {
+            error_log('Failed to invalidate RBAC cache: ' . $e->getMessage());
+        }
+    }
 }
@@ -337,6 +337,26 @@ class PermissionRepository extends BaseRepository
         return array_column($results, 'user_uuid');
     }
 
+    /**
+     * Get usernames and emails of users
+     *
+     * @param array $userUuids User UUIDs
+     * @return array Users keyed by UUID
+     */
+    public function getUserSummaries(array $userUuids): array
+    {
+        if (empty($userUuids)) {
+            return [];
+        }
+
+        $results = $this->db->table('users')
+            ->select(['uuid', 'username', 'email'])
+            ->whereIn('uuid', array_values($userUuids))
+            ->get();
+
+        return array_column($results, null, 'uuid');
+    }
+
     /**
      * Find permissions by multiple UUIDs efficiently
      *
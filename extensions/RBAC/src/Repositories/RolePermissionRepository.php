@@ -144,6 +144,24 @@ class RolePermissionRepository extends BaseRepository
         return $this->toModels($results);
     }
 
+    /**
+     * Get every active role-permission assignment
+     *
+     * @return array Assignments with role_uuid, permission_uuid and expires_at
+     */
+    public function getActiveAssignments(): array
+    {
+        $currentTime = $this->db->getDriver()->formatDateTime();
+
+        return $this->db->table($this->table)
+            ->select(['role_uuid', 'permission_uuid', 'expires_at'])
+            ->where(function ($q) use ($currentTime) {
+                $q->where('expires_at', '>', $currentTime)
+                  ->orWhereNull('expires_at');
+            })
+            ->get();
+    }
+
     /**
      * Check if role has specific permission
      *
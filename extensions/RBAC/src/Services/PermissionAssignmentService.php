@@ -8,6 +8,7 @@ use Glueful\Extensions\RBAC\Repositories\RoleRepository;
 use Glueful\Extensions\RBAC\Repositories\UserRoleRepository;
 use Glueful\Extensions\RBAC\Repositories\RolePermissionRepository;
 use Glueful\Extensions\RBAC\Models\Permission;
+use Glueful\Extensions\RBAC\Models\Role;
 use Glueful\Helpers\Utils;
 
 /**
@@ -198,6 +199,360 @@ class PermissionAssignmentService
         ];
     }
 
+    /**
+     * Batch assign permissions to a role
+     */
+    public function batchAssignPermissionsToRole(string $roleUuid, array $permissions, array $globalOptions = []): array
+    {
+        if (!$this->roleRepository->findRoleByUuid($roleUuid)) {
+            throw new \InvalidArgumentException('Role not found');
+        }
+
+        $results = [];
+        $successful = 0;
+        $failed = 0;
+
+        foreach ($permissions as $permissionData) {
+            $slug = $permissionData['permission'] ?? '';
+            $resource = $permissionData['resource'] ?? '*';
+            $options = array_merge($globalOptions, $permissionData['options'] ?? []);
+
+            $permission = $this->permissionRepository->findPermissionBySlug($slug);
+            if ($resource !== '*') {
+                $options['resource_filter'] = ['resource' => $resource];
+            }
+
+            $success = $permission !== null
+                && $this->rolePermissionRepository->assignPermissionToRole(
+                    $roleUuid,
+                    $permission->getUuid(),
+                    $options
+                ) !== null;
+
+            $results[] = [
+                'permission' => $slug,
+                'resource' => $resource,
+                'success' => $success,
+                'error' => $permission === null ? 'Permission not found: ' . $slug : null
+            ];
+
+            if ($success) {
+                $successful++;
+            } else {
+                $failed++;
+            }
+        }
+
+        unset($this->cache['role_permissions'][$roleUuid]);
+
+        return [
+            'total' => count($permissions),
+            'successful' => $successful,
+            'failed' => $failed,
+            'results' => $results
+        ];
+    }
+
+    /**
+     * Batch revoke permissions from a role
+     */
+    public function batchRevokePermissionsFromRole(string $roleUuid, array $permissionSlugs): array
+    {
+        if (!$this->roleRepository->findRoleByUuid($roleUuid)) {
+            throw new \InvalidArgumentException('Role not found');
+        }
+
+        $results = [];
+        $successful = 0;
+
+        foreach ($permissionSlugs as $slug) {
+            // A permission that no longer exists is no longer granted either
+            $permission = $this->permissionRepository->findPermissionBySlug($slug);
+            if ($permission) {
+                $this->rolePermissionRepository->revokePermissionFromRole($roleUuid, $permission->getUuid());
+            }
+
+            $results[] = [
+                'permission' => $slug,
+                'success' => true,
+                'error' => null
+            ];
+            $successful++;
+        }
+
+        unset($this->cache['role_permissions'][$roleUuid]);
+
+        return [
+            'total' => count($permissionSlugs),
+            'successful' => $successful,
+            'failed' => 0,
+            'results' => $results
+        ];
+    }
+
+    /**
+     * Get the roles and users a permission is granted to
+     *
+     * Roles that inherit the permission from a parent role are included,
+     * along with the users holding any of these roles or a direct grant.
+     */
+    public function getPermissionImpact(string $uuid, int $userLimit = 50): array
+    {
+        $permission = $this->permissionRepository->findPermissionByUuid($uuid);
+        if (!$permission) {
+            throw new \InvalidArgumentException('Permission not found');
+        }
+
+        $grants = $this->findRolesGranting($uuid);
+        $rolesByUuid = $this->findRolesByUuid(array_keys($grants));
+
+        $roles = [];
+        $roleNamesByUser = [];
+        foreach ($grants as $roleUuid => $grant) {
+            $grantedThrough = $grant['granted_through'];
+            $role = $rolesByUuid[$roleUuid] ?? null;
+            if (!$role) {
+                continue;
+            }
+
+            $userUuids = $this->userRoleRepository->getUsersWithRole($role->getUuid(), ['active_only' => true]);
+            foreach ($userUuids as $userUuid) {
+                $roleNamesByUser[$userUuid][] = $role->getName();
+            }
+
+            $parentRole = $grantedThrough !== null ? ($rolesByUuid[$grantedThrough] ?? null) : null;
+            $roles[] = [
+                'uuid' => $role->getUuid(),
+                'name' => $role->getName(),
+                'slug' => $role->getSlug(),
+                'inherited_from' => $parentRole?->getName(),
+                'user_count' => count($userUuids)
+            ];
+        }
+
+        $directGrants = [];
+        foreach ($this->userPermissionRepository->findByPermission($uuid) as $userPermission) {
+            $directGrants[$userPermission->getUserUuid()] = $userPermission->getExpiresAt();
+        }
+
+        $userUuids = array_values(array_unique(array_map(
+            'strval',
+            array_merge(array_keys($directGrants), array_keys($roleNamesByUser))
+        )));
+        $listed = array_slice($userUuids, 0, $userLimit);
+        $profiles = $this->permissionRepository->getUserSummaries($listed);
+
+        $users = array_map(fn(string $userUuid) => [
+            'uuid' => $userUuid,
+            'username' => $profiles[$userUuid]['username'] ?? null,
+            'email' => $profiles[$userUuid]['email'] ?? null,
+            'direct' => array_key_exists($userUuid, $directGrants),
+            'expires_at' => $directGrants[$userUuid] ?? null,
+            'roles' => $roleNamesByUser[$userUuid] ?? []
+        ], $listed);
+
+        return [
+            'permission' => [
+                'uuid' => $permission->getUuid(),
+                'name' => $permission->getName(),
+                'slug' => $permission->getSlug(),
+                'is_system' => $permission->isSystem()
+            ],
+            'roles' => $roles,
+            'users' => $users,
+            'user_count' => count($userUuids),
+            'direct_user_count' => count($directGrants)
+        ];
+    }
+
+    /**
+     * Get roles, permissions and the active assignments between them
+     */
+    public function getPermissionMatrix(): array
+    {
+        $roles = array_map(fn(Role $role) => [
+            'uuid' => $role->getUuid(),
+            'name' => $role->getName(),
+            'slug' => $role->getSlug(),
+            'parent_uuid' => $role->getParentUuid(),
+            'level' => $role->getLevel(),
+            'status' => $role->getStatus(),
+            'is_system' => $role->isSystem()
+        ], $this->roleRepository->findAllRoles(['exclude_deleted' => true]));
+
+        $permissions = array_map(fn(Permission $permission) => [
+            'uuid' => $permission->getUuid(),
+            'name' => $permission->getName(),
+            'slug' => $permission->getSlug(),
+            'description' => $permission->getDescription(),
+            'category' => $permission->getCategory(),
+            'resource_type' => $permission->getResourceType(),
+            'is_system' => $permission->isSystem()
+        ], $this->permissionRepository->findAllPermissions());
+
+        return [
+            'roles' => $roles,
+            'permissions' => $permissions,
+            'assignments' => $this->rolePermissionRepository->getActiveAssignments()
+        ];
+    }
+
+    /**
+     * Trace a user's effective permissions back to the grants behind them
+     *
+     * Each permission lists its sources: a direct grant, a role the user
+     * holds, or a parent role that role inherits it from. A source expires
+     * with the earliest of the role assignment and the role's grant.
+     */
+    public function traceUserPermissions(string $userUuid): array
+    {
+        $profiles = $this->permissionRepository->getUserSummaries([$userUuid]);
+        if (!isset($profiles[$userUuid])) {
+            throw new \InvalidArgumentException('User not found');
+        }
+
+        $sources = [];
+        foreach ($this->userPermissionRepository->findByUser($userUuid, ['active_only' => true]) as $userPermission) {
+            $sources[$userPermission->getPermissionUuid()][] = $this->describeSource(
+                'direct',
+                null,
+                null,
+                $userPermission->getResourceFilter(),
+                $userPermission->getExpiresAt()
+            );
+        }
+
+        $roles = [];
+        foreach ($this->userRoleRepository->getUserRoles($userUuid) as $userRole) {
+            $hierarchy = $this->roleRepository->getRoleHierarchy($userRole->getRoleUuid());
+            $heldRole = $hierarchy[0] ?? null;
+            if (!$heldRole) {
+                continue;
+            }
+
+            $roles[] = [
+                'uuid' => $heldRole->getUuid(),
+                'name' => $heldRole->getName(),
+                'slug' => $heldRole->getSlug(),
+                'expires_at' => $userRole->getExpiresAt()
+            ];
+
+            foreach ($hierarchy as $role) {
+                $grants = $this->rolePermissionRepository->getRolePermissions(
+                    $role->getUuid(),
+                    ['active_only' => true]
+                );
+                foreach ($grants as $rolePermission) {
+                    $sources[$rolePermission->getPermissionUuid()][] = $this->describeSource(
+                        $role === $heldRole ? 'role' : 'inherited',
+                        $heldRole,
+                        $role === $heldRole ? null : $role,
+                        $rolePermission->getResourceFilter(),
+                        $this->earliestExpiry($userRole->getExpiresAt(), $rolePermission->getExpiresAt())
+                    );
+                }
+            }
+        }
+
+        $permissions = [];
+        foreach ($this->permissionRepository->findByUuids(array_map('strval', array_keys($sources))) as $permission) {
+            $permissions[] = [
+                'uuid' => $permission->getUuid(),
+                'name' => $permission->getName(),
+                'slug' => $permission->getSlug(),
+                'category' => $permission->getCategory(),
+                'resource_type' => $permission->getResourceType(),
+                'sources' => $sources[$permission->getUuid()]
+            ];
+        }
+        usort($permissions, fn(array $a, array $b) => strcmp($a['slug'], $b['slug']));
+
+        return [
+            'user' => [
+                'uuid' => $userUuid,
+                'username' => $profiles[$userUuid]['username'] ?? null,
+                'email' => $profiles[$userUuid]['email'] ?? null
+            ],
+            'roles' => $roles,
+            'permissions' => $permissions
+        ];
+    }
+
+    /**
+     * List every user holding a permission, with the grants behind it
+     *
+     * Sources are described as in traceUserPermissions().
+     */
+    public function getPermissionHolders(string $uuid): array
+    {
+        $permission = $this->permissionRepository->findPermissionByUuid($uuid);
+        if (!$permission) {
+            throw new \InvalidArgumentException('Permission not found');
+        }
+
+        $sources = [];
+        foreach ($this->userPermissionRepository->findByPermission($uuid) as $userPermission) {
+            if ($userPermission->isActive()) {
+                $sources[$userPermission->getUserUuid()][] = $this->describeSource(
+                    'direct',
+                    null,
+                    null,
+                    $userPermission->getResourceFilter(),
+                    $userPermission->getExpiresAt()
+                );
+            }
+        }
+
+        $grants = $this->findRolesGranting($uuid);
+        $rolesByUuid = $this->findRolesByUuid(array_keys($grants));
+        foreach ($grants as $roleUuid => $grant) {
+            $role = $rolesByUuid[$roleUuid] ?? null;
+            if (!$role) {
+                continue;
+            }
+
+            $grantingRole = $grant['granted_through'] !== null
+                ? ($rolesByUuid[$grant['granted_through']] ?? null)
+                : null;
+            foreach ($this->userRoleRepository->findByRole($role->getUuid()) as $userRole) {
+                if ($userRole->isActive()) {
+                    $sources[$userRole->getUserUuid()][] = $this->describeSource(
+                        $grantingRole ? 'inherited' : 'role',
+                        $role,
+                        $grantingRole,
+                        $grant['resource_filter'],
+                        $this->earliestExpiry($userRole->getExpiresAt(), $grant['expires_at'])
+                    );
+                }
+            }
+        }
+
+        $profiles = $this->permissionRepository->getUserSummaries(array_map('strval', array_keys($sources)));
+        $holders = [];
+        foreach ($sources as $userUuid => $userSources) {
+            $holders[] = [
+                'uuid' => (string)$userUuid,
+                'username' => $profiles[$userUuid]['username'] ?? null,
+                'email' => $profiles[$userUuid]['email'] ?? null,
+                'sources' => $userSources
+            ];
+        }
+        usort($holders, fn(array $a, array $b) => strcasecmp(
+            (string)($a['username'] ?? $a['uuid']),
+            (string)($b['username'] ?? $b['uuid'])
+        ));
+
+        return [
+            'permission' => [
+                'uuid' => $permission->getUuid(),
+                'name' => $permission->getName(),
+                'slug' => $permission->getSlug()
+            ],
+            'holders' => $holders,
+            'total' => count($holders)
+        ];
+    }
+
     /**
      * Get user's direct permissions
      */
@@ -408,8 +763,9 @@ class PermissionAssignmentService
 
         // Check for assignments
         $assignments = $this->userPermissionRepository->findByPermission($uuid);
-        if (!empty($assignments) && !$force) {
-            throw new \InvalidArgumentException('Cannot delete permission: still assigned to users');
+        $roleAssignments = $this->rolePermissionRepository->getRolesWithPermission($uuid);
+        if ((!empty($assignments) || !empty($roleAssignments)) && !$force) {
+            throw new \InvalidArgumentException('Cannot delete permission: still assigned to roles or users');
         }
 
         // If force delete, remove all assignments
@@ -417,6 +773,10 @@ class PermissionAssignmentService
             foreach ($assignments as $assignment) {
                 $this->userPermissionRepository->delete($assignment->getUuid());
             }
+            foreach ($roleAssignments as $assignment) {
+                $this->rolePermissionRepository->delete($assignment->getUuid());
+            }
+            $this->cache['role_permissions'] = [];
         }
 
         return $this->permissionRepository->delete($uuid);
@@ -630,6 +990,92 @@ class PermissionAssignmentService
         return $permissions;
     }
 
+    /**
+     * Find the roles holding a permission, directly or through a parent role
+     *
+     * @return array Role UUID => granted_through (UUID of the granting parent, null when
+     *               granted directly), resource_filter and expires_at of the grant
+     */
+    private function findRolesGranting(string $permissionUuid): array
+    {
+        $grants = [];
+        foreach ($this->rolePermissionRepository->getRolesWithPermission($permissionUuid) as $rolePermission) {
+            if ($rolePermission->isActive()) {
+                $grants[$rolePermission->getRoleUuid()] = [
+                    'granted_through' => null,
+                    'resource_filter' => $rolePermission->getResourceFilter(),
+                    'expires_at' => $rolePermission->getExpiresAt()
+                ];
+            }
+        }
+
+        $queue = array_keys($grants);
+        while (($parentUuid = array_shift($queue)) !== null) {
+            foreach ($this->roleRepository->findChildren((string)$parentUuid) as $child) {
+                if (!array_key_exists($child->getUuid(), $grants)) {
+                    $grants[$child->getUuid()] = array_merge($grants[$parentUuid], [
+                        'granted_through' => $grants[$parentUuid]['granted_through'] ?? (string)$parentUuid
+                    ]);
+                    $queue[] = $child->getUuid();
+                }
+            }
+        }
+
+        return $grants;
+    }
+
+    /**
+     * Load roles keyed by UUID
+     */
+    private function findRolesByUuid(array $roleUuids): array
+    {
+        $rolesByUuid = [];
+        foreach ($this->roleRepository->findByUuids(array_map('strval', $roleUuids)) as $role) {
+            $rolesByUuid[$role->getUuid()] = $role;
+        }
+
+        return $rolesByUuid;
+    }
+
+    /**
+     * Describe where a user's permission comes from
+     *
+     * @param string $type direct, role or inherited
+     * @param Role|null $role Role the user holds
+     * @param Role|null $grantingRole Parent role the permission is inherited from
+     */
+    private function describeSource(
+        string $type,
+        ?Role $role,
+        ?Role $grantingRole,
+        ?array $resourceFilter,
+        ?string $expiresAt
+    ): array {
+        return [
+            'type' => $type,
+            'role_uuid' => $role?->getUuid(),
+            'role' => $role?->getName(),
+            'inherited_from_uuid' => $grantingRole?->getUuid(),
+            'inherited_from' => $grantingRole?->getName(),
+            'resource' => $resourceFilter['resource'] ?? '*',
+            'expires_at' => $expiresAt
+        ];
+    }
+
+    /**
+     * Pick the earliest of several optional expiry timestamps
+     */
+    private function earliestExpiry(?string ...$timestamps): ?string
+    {
+        $timestamps = array_filter($timestamps, fn(?string $timestamp) => $timestamp !== null);
+        if (empty($timestamps)) {
+            return null;
+        }
+
+        usort($timestamps, fn(string $a, string $b) => strtotime($a) <=> strtotime($b));
+        return $timestamps[0];
+    }
+
     /**
      * Get user's effective permissions using pre-fetched data to avoid duplicate queries
      *
@@ -483,6 +483,28 @@ Router::group('/rbac', function () use ($container) {
             return $permissionController->getResourceTypes($request);
         });
 
+        /**
+         * @route GET /rbac/permissions/matrix
+         * @tag RBAC Permissions
+         * @summary Get role permission matrix
+         * @description Retrieves all roles and permissions with the active assignments between them
+         * @requiresAuth true
+         * @response 200 application/json "Permission matrix retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     roles:array=[{uuid:string, name:string, slug:string, parent_uuid:string, level:integer}],
+         *     permissions:array=[{uuid:string, name:string, slug:string, category:string, resource_type:string}],
+         *     assignments:array=[{role_uuid:string, permission_uuid:string, expires_at:string}]
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         */
+        Router::get('/matrix', function (Request $request) use ($container) {
+            $permissionController = $container->get(PermissionController::class);
+            return $permissionController->matrix($request);
+        });
+
         /**
          * @route GET /rbac/permissions/{uuid}
          * @tag RBAC Permissions
@@ -514,6 +536,61 @@ Router::group('/rbac', function () use ($container) {
             return $permissionController->show($params);
         });
 
+        /**
+         * @route GET /rbac/permissions/{uuid}/impact
+         * @tag RBAC Permissions
+         * @summary Get permission impact
+         * @description Lists the roles granting a permission, directly or by inheritance, and the users holding it
+         * @requiresAuth true
+         * @param uuid path string true "Permission UUID"
+         * @response 200 application/json "Permission impact retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     permission:object="Permission uuid, name, slug and is_system",
+         *     roles:array=[{uuid:string, name:string, slug:string, inherited_from:string, user_count:integer}],
+         *     users:array=[{uuid:string, username:string, email:string, direct:boolean, roles:array}],
+         *     user_count:integer="Number of users holding the permission (at most 50 are listed)",
+         *     direct_user_count:integer="Number of users granted the permission directly"
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Permission not found"
+         */
+        Router::get('/{uuid}/impact', function (array $params) use ($container) {
+            $permissionController = $container->get(PermissionController::class);
+            return $permissionController->impact($params);
+        });
+
+        /**
+         * @route GET /rbac/permissions/{uuid}/holders
+         * @tag RBAC Permissions
+         * @summary List permission holders
+         * @description Lists every user holding a permission with the grants, roles and parent roles behind it
+         * @requiresAuth true
+         * @param uuid path string true "Permission UUID"
+         * @response 200 application/json "Permission holders retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     permission:object="Permission uuid, name and slug",
+         *     holders:array=[{
+         *       uuid:string="User UUID",
+         *       username:string="Username",
+         *       email:string="Email address",
+         *       sources:array="Grants behind the permission, as in the user permission trace"
+         *     }],
+         *     total:integer="Number of users holding the permission"
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "Permission not found"
+         */
+        Router::get('/{uuid}/holders', function (array $params) use ($container) {
+            $permissionController = $container->get(PermissionController::class);
+            return $permissionController->holders($params);
+        });
+
         /**
          * @route POST /rbac/permissions
          * @tag RBAC Permissions
@@ -565,9 +642,9 @@ Router::group('/rbac', function () use ($container) {
          * @description Deletes a permission with optional force deletion
          * @requiresAuth true
          * @param uuid path string true "Permission UUID"
-         * @param force query boolean false "Force delete even if assigned to users"
+         * @param force query boolean false "Force delete even if assigned to roles or users"
          * @response 200 application/json "Permission deleted successfully"
-         * @response 400 application/json "Cannot delete permission (still assigned)"
+         * @response 422 application/json "Cannot delete permission (still assigned)"
          * @response 403 application/json "Permission denied"
          * @response 404 application/json "Permission not found"
          */
@@ -621,12 +698,13 @@ Router::group('/rbac', function () use ($container) {
          * @route POST /rbac/permissions/batch-assign
          * @tag RBAC Permissions
          * @summary Batch assign permissions
-         * @description Assigns multiple permissions to a user
+         * @description Assigns multiple permissions to a user, or to a role when role_uuid is given
          * @requiresAuth true
          * @requestBody user_uuid:string="User UUID"
+         *              role_uuid:string="Role UUID, instead of user_uuid"
          *              permissions:array=[{permission:string, resource:string, options:object}]
          *              options:object="Global options for all assignments"
-         *              {required=user_uuid,permissions}
+         *              {required=permissions}
          * @response 200 application/json "Batch permission assignment completed"
          * @response 400 application/json "Invalid request format"
          * @response 403 application/json "Permission denied"
@@ -640,11 +718,12 @@ Router::group('/rbac', function () use ($container) {
          * @route POST /rbac/permissions/batch-revoke
          * @tag RBAC Permissions
          * @summary Batch revoke permissions
-         * @description Revokes multiple permissions from a user
+         * @description Revokes multiple permissions from a user, or from a role when role_uuid is given
          * @requiresAuth true
          * @requestBody user_uuid:string="User UUID"
+         *              role_uuid:string="Role UUID, instead of user_uuid"
          *              permission_slugs:array=[string="Permission slugs to revoke"]
-         *              {required=user_uuid,permission_slugs}
+         *              {required=permission_slugs}
          * @response 200 application/json "Batch permission revocation completed"
          * @response 400 application/json "Invalid request format"
          * @response 403 application/json "Permission denied"
@@ -814,6 +893,45 @@ Router::group('/rbac', function () use ($container) {
             return $permissionController->getUserEffectivePermissions($params, $request);
         });
 
+        /**
+         * @route GET /rbac/users/{user_uuid}/permission-trace
+         * @tag RBAC Users
+         * @summary Trace user permissions
+         * @description Lists a user's effective permissions with the direct grant, role or inherited role behind each
+         * @requiresAuth true
+         * @param user_uuid path string true "User UUID"
+         * @response 200 application/json "User permission trace retrieved successfully" {
+         *   success:boolean="true",
+         *   message:string="Success message",
+         *   data:{
+         *     user:object="User uuid, username and email",
+         *     roles:array=[{uuid:string, name:string, slug:string, expires_at:string}],
+         *     permissions:array=[{
+         *       uuid:string="Permission UUID",
+         *       name:string="Permission name",
+         *       slug:string="Permission slug",
+         *       category:string="Permission category",
+         *       resource_type:string="Resource type",
+         *       sources:array=[{
+         *         type:string="direct, role or inherited",
+         *         role_uuid:string="UUID of the role the user holds",
+         *         role:string="Name of the role the user holds",
+         *         inherited_from_uuid:string="UUID of the parent role granting the permission",
+         *         inherited_from:string="Name of the parent role granting the permission",
+         *         resource:string="Resource filter",
+         *         expires_at:string="When this source stops granting the permission"
+         *       }]
+         *     }]
+         *   }
+         * }
+         * @response 403 application/json "Permission denied"
+         * @response 404 application/json "User not found"
+         */
+        Router::get('/{user_uuid}/permission-trace', function (array $params) use ($container) {
+            $permissionController = $container->get(PermissionController::class);
+            return $permissionController->traceUserPermissions($params);
+        });
+
         /**
          * @route GET /rbac/users/{user_uuid}/access-overview
          * @tag RBAC Users
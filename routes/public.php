@@ -93,6 +93,39 @@ Router::get('/setup', function (array $params) {
     return $setupController->index($request, $step);
 });
 
+Router::post('/setup/test-connection', function () {
+    $request = \Symfony\Component\HttpFoundation\Request::createFromGlobals();
+    $setupController = new SetupController();
+    return $setupController->testConnection($request);
+});
+
+Router::post('/setup/run', function () {
+    $request = \Symfony\Component\HttpFoundation\Request::createFromGlobals();
+    $setupController = new SetupController();
+    return $setupController->startSetup($request);
+});
+
+Router::post('/setup/session/reset', function () {
+    $setupController = new SetupController();
+    return $setupController->resetSession();
+});
+
+Router::post('/setup/session/{step}', function (array $params) {
+    $request = \Symfony\Component\HttpFoundation\Request::createFromGlobals();
+    $setupController = new SetupController();
+    return $setupController->saveStep($request, $params['step'] ?? '');
+});
+
+Router::get('/setup/progress', function () {
+    $setupController = new SetupController();
+    return $setupController->getProgress();
+});
+
+Router::get('/setup/progress/stream', function () {
+    $setupController = new SetupController();
+    return $setupController->streamProgress();
+});
+
 Router::get('/setup/{step}', function (array $params) {
     $step = $params['step'] ?? '/welcome';
     $request = \Symfony\Component\HttpFoundation\Request::createFromGlobals();
@@ -8,13 +8,20 @@ use Symfony\Component\HttpFoundation\Request;
 use Symfony\Component\HttpFoundation\Response;
 use Symfony\Component\HttpFoundation\JsonResponse;
 use Symfony\Component\HttpFoundation\RedirectResponse;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+use Glueful\Setup\Services\DatabaseConnectionTester;
+use Glueful\Setup\Services\SetupProgress;
+use Glueful\Setup\Services\SetupRunner;
+use Glueful\Setup\Services\SetupSession;
+use Glueful\Setup\Services\SetupValidator;
+use Glueful\Setup\Services\SystemCheck;
 
 class SetupController
 {
     public function index(Request $request, ?string $step = null): Response
     {
-        // Check if already setup
-        if (file_exists(dirname(__DIR__, 2) . '/storage/setup.lock')) {
+        // Check if already setup (the complete page is still shown right after a run)
+        if ($this->isSetupLocked() && $step !== 'complete') {
             return $this->redirect('/'); // Redirect to main app
         }
 
@@ -27,133 +34,391 @@ class SetupController
         $validSteps = ['welcome', 'database', 'admin', 'complete'];
         $currentStep = $step && in_array($step, $validSteps) ? $step : 'welcome';
 
+        if ($currentStep === 'complete') {
+            $this->collectRunResults();
+        }
+
         // Perform system check
-        $systemCheck = $this->performSystemCheck();
+        $systemCheck = (new SystemCheck(dirname(__DIR__, 2)))->run();
+
+        // Drop expired wizard answers before rendering
+        $wizard = $this->wizardSession($systemCheck);
+        $this->storeWizardSession($wizard);
 
         // Return single-page setup view with current step
         return $this->view('setup/index', [
             'systemCheck' => $systemCheck,
             'currentStep' => $currentStep,
-            'validSteps' => $validSteps
+            'validSteps' => $validSteps,
+            'validationRules' => SetupValidator::RULES,
+            'wizardSession' => $wizard->toClient()
+        ]);
+    }
+
+    /**
+     * Save the answers entered on a wizard step
+     *
+     * Answers are validated with the same rules as the final submission and the
+     * step is marked completed or invalid. Responds with the wizard state the
+     * browser uses to decide which steps may be opened.
+     */
+    public function saveStep(Request $request, string $step): JsonResponse
+    {
+        if ($this->isSetupLocked()) {
+            return $this->jsonError('Setup has already been completed', 403);
+        }
+
+        $data = json_decode($request->getContent(), true);
+        if (!is_array($data)) {
+            $data = $request->request->all();
+        }
+
+        $wizard = $this->wizardSession();
+        try {
+            $errors = $wizard->saveStep($step, $data);
+        } catch (\InvalidArgumentException $e) {
+            return $this->jsonError($e->getMessage(), 404);
+        }
+        $this->storeWizardSession($wizard);
+
+        return new JsonResponse([
+            'success' => empty($errors),
+            'message' => empty($errors) ? 'Step saved' : 'Please correct the highlighted fields',
+            'errors' => $errors,
+            'data' => $wizard->toClient()
+        ], empty($errors) ? 200 : 422);
+    }
+
+    /**
+     * Discard saved wizard answers and start over
+     */
+    public function resetSession(): JsonResponse
+    {
+        if ($this->isSetupLocked()) {
+            return $this->jsonError('Setup has already been completed', 403);
+        }
+
+        $this->setSession('setup_wizard', null);
+        $this->setSession('setup_pending', null);
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => 'Setup answers cleared',
+            'data' => $this->wizardSession()->toClient()
+        ]);
+    }
+
+    /**
+     * Queue a setup run for the wizard
+     *
+     * Accepts the database and admin answers, or {"resume": true} to retry the
+     * last failed run from the step that failed. The run itself is executed by
+     * streamProgress().
+     */
+    public function startSetup(Request $request): JsonResponse
+    {
+        if ($this->isSetupLocked()) {
+            return $this->jsonError('Setup has already been completed', 403);
+        }
+
+        $data = json_decode($request->getContent(), true);
+        if (!is_array($data)) {
+            $data = $request->request->all();
+        }
+
+        $resume = !empty($data['resume']);
+        $progress = $this->progress();
+
+        if ($resume) {
+            if ($this->getSession('setup_pending') === null || $progress->getStatus() !== 'failed') {
+                return $this->jsonError('There is no failed setup run to retry', 409);
+            }
+        } else {
+            // Answers missing from the request (e.g. passwords left blank after a reload)
+            // come from the wizard session
+            $wizard = $this->wizardSession();
+            $database = array_merge(
+                $wizard->answers('database'),
+                is_array($data['database'] ?? null) ? $data['database'] : []
+            );
+            $admin = array_merge($wizard->answers('admin'), is_array($data['admin'] ?? null) ? $data['admin'] : []);
+
+            // Set SQLite as default if no driver specified (zero-configuration)
+            if (empty($database['driver'])) {
+                $database['driver'] = 'sqlite';
+            }
+
+            // Same rules as the wizard form and headless setup
+            $validator = new SetupValidator();
+            $errors = $validator->validateDatabase($database) + $validator->validateAdmin($admin);
+            if (!empty($errors)) {
+                return new JsonResponse([
+                    'success' => false,
+                    'message' => 'Please correct the highlighted fields',
+                    'errors' => $errors
+                ], 422);
+            }
+
+            $this->setSession('setup_pending', ['database' => $database, 'admin' => $admin]);
+            $this->setSession('setup_next_steps', $this->buildNextSteps($admin));
+        }
+
+        $progress->queue($resume);
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => $resume ? 'Setup retry queued' : 'Setup queued',
+            'data' => $progress->toArray()
+        ]);
+    }
+
+    /**
+     * Run the queued setup and stream step progress as server-sent events
+     *
+     * Emits "progress" with the full state when the run starts, "step" for every
+     * step status change, "output" for other installer output, and finally
+     * "complete" or "failed" with the full state. The run continues if the
+     * client disconnects; the wizard then falls back to polling getProgress().
+     */
+    public function streamProgress(): Response
+    {
+        if ($this->isSetupLocked()) {
+            return $this->jsonError('Setup has already been completed', 403);
+        }
+
+        $progress = $this->progress();
+        $pending = $this->getSession('setup_pending');
+
+        // Release the session lock so progress polling is not blocked during the run
+        session_write_close();
+
+        $run = $pending !== null && $progress->getStatus() === 'queued';
+
+        $response = new StreamedResponse(function () use ($progress, $pending, $run) {
+            if (!$run) {
+                $this->sendEvent('progress', $progress->toArray());
+                return;
+            }
+
+            ignore_user_abort(true);
+            set_time_limit(0);
+
+            $progress->start();
+            $this->sendEvent('progress', $progress->toArray());
+
+            $runner = new SetupRunner(dirname(__DIR__, 2));
+            $exitCode = $runner->run(
+                $pending['database'],
+                $pending['admin'],
+                $progress->getSkipOptions(),
+                function (string $line) use ($progress) {
+                    $step = $progress->record($line);
+                    $this->sendEvent($step !== null ? 'step' : 'output', $step ?? ['line' => $line]);
+                }
+            );
+
+            $progress->finish($exitCode);
+
+            if ($exitCode === 0) {
+                $this->lockSetup();
+            }
+
+            $this->sendEvent($exitCode === 0 ? 'complete' : 'failed', $progress->toArray());
+        });
+
+        $response->headers->set('Content-Type', 'text/event-stream');
+        $response->headers->set('Cache-Control', 'no-cache');
+        $response->headers->set('X-Accel-Buffering', 'no');
+
+        return $response;
+    }
+
+    /**
+     * Current setup progress, for clients polling instead of streaming
+     */
+    public function getProgress(): JsonResponse
+    {
+        // Once installed, only confirm completion; the captured output stays private
+        $data = $this->isSetupLocked() ? ['status' => 'completed'] : $this->progress()->toArray();
+
+        return new JsonResponse([
+            'success' => true,
+            'message' => 'Setup progress retrieved',
+            'data' => $data
         ]);
     }
 
     private function handleSetup(Request $request): Response
     {
         // Get form data from request
-        $dbConfig = $request->request->get('database', []);
-        $adminConfig = $request->request->get('admin', []);
+        $dbConfig = $request->request->all('database');
+        $adminConfig = $request->request->all('admin');
 
         // Set SQLite as default if no driver specified (zero-configuration)
         if (empty($dbConfig['driver'])) {
             $dbConfig['driver'] = 'sqlite';
         }
 
-        // Validate required fields
-        if (empty($adminConfig['username'])) {
-            return $this->redirect('/setup/admin?error=missing_fields');
+        // Validate with the same rules as the wizard form
+        $validator = new SetupValidator();
+        $errors = $validator->validateDatabase($dbConfig) + $validator->validateAdmin($adminConfig);
+        if (!empty($errors)) {
+            return $this->redirect('/setup/admin?error=' . urlencode(reset($errors)));
         }
 
         try {
-            // Set environment variables for CLI command
-            $_ENV['DB_DRIVER'] = $dbConfig['driver'];
-            $_ENV['DB_HOST'] = $dbConfig['host'] ?? '127.0.0.1';
-            $_ENV['DB_DATABASE'] = $dbConfig['database'] ?? 'glueful';
-            $_ENV['DB_USERNAME'] = $dbConfig['username'] ?? '';
-            $_ENV['DB_PASSWORD'] = $dbConfig['password'] ?? '';
-            $_ENV['ADMIN_USERNAME'] = $adminConfig['username'];
-            $_ENV['ADMIN_EMAIL'] = $adminConfig['email'];
-            $_ENV['ADMIN_PASSWORD'] = $adminConfig['password'];
-
-            // Execute CLI install command in quiet mode
-            $output = [];
-            $returnCode = 0;
-
-            // Change to project root directory for CLI command
-            $projectRoot = dirname(__DIR__, 2);
-            $command = "cd {$projectRoot} && php glueful install --quiet 2>&1";
-            exec($command, $output, $returnCode);
-
-            // Parse results
-            $results = $this->parseSetupResults($output, $returnCode);
-            $nextSteps = [
-                'server_command' => 'php glueful serve',
-                'api_docs_url' => 'http://localhost:8000/docs',
-                'admin_credentials' => [
-                    'username' => $adminConfig['username'],
-                    'email' => $adminConfig['email']
-                ]
-            ];
+            $progress = $this->progress();
+            $progress->queue();
+            $progress->start();
+
+            $runner = new SetupRunner(dirname(__DIR__, 2));
+            $returnCode = $runner->run($dbConfig, $adminConfig, [], function (string $line) use ($progress) {
+                $progress->record($line);
+            });
+            $progress->finish($returnCode);
 
             // Create setup.lock on success
             if ($returnCode === 0) {
-                file_put_contents(dirname(__DIR__, 2) . '/storage/setup.lock', date('Y-m-d H:i:s'));
+                $this->lockSetup();
             }
 
             // Store results in session and redirect to complete page
-            $this->setSession('setup_results', $results);
-            $this->setSession('setup_next_steps', $nextSteps);
+            $this->setSession('setup_results', $this->buildSetupResults($progress->toArray()));
+            $this->setSession('setup_next_steps', $this->buildNextSteps($adminConfig));
             return $this->redirect('/setup/complete');
         } catch (\Exception $e) {
             return $this->redirect('/setup/admin?error=' . urlencode($e->getMessage()));
         }
     }
 
-    private function performSystemCheck(): array
+    /**
+     * Test the database settings entered in the wizard
+     *
+     * Opens a real connection with the submitted credentials and reports the
+     * server version, database existence and missing privileges.
+     */
+    public function testConnection(Request $request): JsonResponse
     {
-        return [
-            'php_version' => version_compare(PHP_VERSION, '8.2.0', '>='),
-            'extensions' => $this->checkRequiredExtensions(),
-            'permissions' => $this->checkDirectoryPermissions()
-        ];
+        if ($this->isSetupLocked()) {
+            return $this->jsonError('Setup has already been completed', 403);
+        }
+
+        $config = json_decode($request->getContent(), true);
+        if (!is_array($config)) {
+            $config = $request->request->all();
+        }
+
+        // A password left blank after a reload is taken from the wizard session
+        if (!array_key_exists('password', $config)) {
+            $config['password'] = $this->wizardSession()->answers('database')['password'] ?? '';
+        }
+
+        $tester = new DatabaseConnectionTester(dirname(__DIR__, 2));
+        $result = $tester->test(array_intersect_key($config, array_flip([
+            'driver', 'host', 'port', 'database', 'username', 'password'
+        ])));
+
+        if (!$result['connected']) {
+            $message = 'Connection failed';
+        } elseif ($result['ready']) {
+            $message = 'Connection successful';
+        } else {
+            $message = 'Connected, but the database is not ready for installation';
+        }
+
+        return new JsonResponse([
+            'success' => $result['ready'],
+            'message' => $message,
+            'data' => $result
+        ], $result['connected'] ? 200 : 422);
     }
 
-    private function checkRequiredExtensions(): array
+    private function isSetupLocked(): bool
     {
-        $required = ['pdo', 'json', 'mbstring', 'openssl', 'curl'];
-        $results = [];
+        return file_exists(dirname(__DIR__, 2) . '/storage/setup.lock');
+    }
 
-        foreach ($required as $extension) {
-            $results[$extension] = extension_loaded($extension);
+    /**
+     * Move the results of a finished wizard run into the session for the complete page
+     */
+    private function collectRunResults(): void
+    {
+        $state = $this->progress()->toArray();
+        if (!in_array($state['status'] ?? null, ['completed', 'failed'], true)) {
+            return;
         }
 
-        return $results;
+        $this->setSession('setup_results', $this->buildSetupResults($state));
+
+        // Keep the answers around only while a retry is still possible
+        if ($state['status'] === 'completed') {
+            $this->setSession('setup_pending', null);
+            $this->setSession('setup_wizard', null);
+        }
     }
 
-    private function checkDirectoryPermissions(): array
+    private function wizardSession(?array $systemCheck = null): SetupSession
     {
-        $directories = [
-            'storage' => dirname(__DIR__, 2) . '/storage',
-            'config' => dirname(__DIR__, 2) . '/config'
-        ];
+        $systemCheck ??= (new SystemCheck(dirname(__DIR__, 2)))->run();
 
-        $results = [];
-        foreach ($directories as $name => $path) {
-            $results[$name] = is_writable($path);
+        return new SetupSession($this->getSession('setup_wizard'), SystemCheck::passed($systemCheck));
+    }
+
+    private function storeWizardSession(SetupSession $wizard): void
+    {
+        $this->setSession('setup_wizard', $wizard->toStorage());
+    }
+
+    private function buildSetupResults(array $state): array
+    {
+        $steps = [];
+        foreach ($state['steps'] ?? [] as $step) {
+            $steps[$step['key']] = in_array($step['status'], ['done', 'skipped'], true);
         }
 
-        return $results;
+        return [
+            'overall_success' => ($state['status'] ?? null) === 'completed',
+            'steps' => $steps,
+            'raw_output' => $state['output'] ?? ''
+        ];
     }
 
-    private function parseSetupResults(array $output, int $returnCode): array
+    private function buildNextSteps(array $adminConfig): array
     {
         return [
-            'overall_success' => $returnCode === 0,
-            'steps' => [
-                'environment' => $this->checkOutputFor($output, 'Environment validation completed'),
-                'security_keys' => $this->checkOutputFor($output, 'Generated TOKEN_SALT'),
-                'database' => $this->checkOutputFor($output, 'Database migrations completed'),
-                'cache' => $this->checkOutputFor($output, 'Cache system initialized'),
-                'api_definitions' => $this->checkOutputFor($output, 'API definitions generated'),
-                'admin_user' => $this->checkOutputFor($output, 'Admin user created successfully'),
-            ],
-            'raw_output' => implode("\n", $output)
+            'server_command' => 'php glueful serve',
+            'api_docs_url' => 'http://localhost:8000/docs',
+            'admin_credentials' => [
+                'username' => $adminConfig['username'] ?? '',
+                'email' => $adminConfig['email'] ?? ''
+            ]
         ];
     }
 
-    private function checkOutputFor(array $output, string $searchString): bool
+    private function progress(): SetupProgress
+    {
+        return new SetupProgress(dirname(__DIR__, 2) . '/storage');
+    }
+
+    private function lockSetup(): void
     {
-        return str_contains(implode('\n', $output), $searchString);
+        file_put_contents(dirname(__DIR__, 2) . '/storage/setup.lock', date('Y-m-d H:i:s'));
+    }
+
+    private function sendEvent(string $event, array $data): void
+    {
+        echo "event: {$event}\n";
+        echo 'data: ' . json_encode($data) . "\n\n";
+
+        if (ob_get_level() > 0) {
+            ob_flush();
+        }
+        flush();
+    }
+
+    private function jsonError(string $message, int $status): JsonResponse
+    {
+        return new JsonResponse(['success' => false, 'message' => $message], $status);
     }
 
     private function view(string $template, array $data = []): Response
@@ -190,4 +455,12 @@ class SetupController
         }
         $_SESSION[$key] = $value;
     }
+
+    private function getSession(string $key): mixed
+    {
+        if (session_status() === PHP_SESSION_NONE) {
+            session_start();
+        }
+        return $_SESSION[$key] ?? null;
+    }
 }
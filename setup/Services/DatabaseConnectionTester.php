@@ -0,0 +1,273 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Setup\Services;
+
+/**
+ * Database Connection Tester
+ *
+ * Probes the credentials entered in the setup wizard against the real database
+ * server before anything is written to .env. Reports the server version, whether
+ * the target database exists (or can be created) and which privileges the
+ * installer needs but the account does not have.
+ *
+ * Runs on plain PDO because the framework's Connection is not configured yet
+ * while setup is in progress.
+ *
+ * @package Glueful\Setup\Services
+ */
+class DatabaseConnectionTester
+{
+    /** @var array<string> Privileges required to run the framework migrations */
+    private const REQUIRED_MYSQL_PRIVILEGES = [
+        'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'ALTER', 'DROP', 'INDEX', 'REFERENCES'
+    ];
+
+    /** @var array<string, string> PDO extension required per driver */
+    private const DRIVER_EXTENSIONS = [
+        'sqlite' => 'pdo_sqlite',
+        'mysql' => 'pdo_mysql',
+        'pgsql' => 'pdo_pgsql',
+    ];
+
+    /** @var array<string, int> Default port per driver */
+    private const DEFAULT_PORTS = [
+        'mysql' => 3306,
+        'pgsql' => 5432,
+    ];
+
+    private const CONNECT_TIMEOUT = 5;
+
+    public function __construct(private string $projectRoot)
+    {
+    }
+
+    /**
+     * Test a database configuration
+     *
+     * @param array $config Wizard input (driver, host, port, database, username, password)
+     * @return array Result with connected, ready, server_version, database_exists,
+     *               can_create_database, missing_privileges and error keys
+     */
+    public function test(array $config): array
+    {
+        $driver = $config['driver'] ?? 'sqlite';
+
+        $result = [
+            'driver' => $driver,
+            'connected' => false,
+            'ready' => false,
+            'server_version' => null,
+            'database_exists' => false,
+            'can_create_database' => false,
+            'missing_privileges' => [],
+            'error' => null,
+        ];
+
+        if (!isset(self::DRIVER_EXTENSIONS[$driver])) {
+            $result['error'] = "Unsupported database driver: {$driver}";
+            return $result;
+        }
+
+        if (!extension_loaded(self::DRIVER_EXTENSIONS[$driver])) {
+            $result['error'] = 'PHP extension ' . self::DRIVER_EXTENSIONS[$driver] . ' is not installed';
+            return $result;
+        }
+
+        try {
+            $result = match ($driver) {
+                'sqlite' => $this->testSqlite($config, $result),
+                'mysql' => $this->testMysql($config, $result),
+                'pgsql' => $this->testPgsql($config, $result),
+            };
+        } catch (\PDOException $e) {
+            $result['error'] = $e->getMessage();
+        }
+
+        $result['ready'] = $result['connected']
+            && ($result['database_exists'] || $result['can_create_database'])
+            && empty($result['missing_privileges']);
+
+        return $result;
+    }
+
+    private function testSqlite(array $config, array $result): array
+    {
+        $database = trim((string)($config['database'] ?? ''));
+        if ($database === '') {
+            $result['error'] = 'Database file path is required';
+            return $result;
+        }
+
+        $path = $this->resolveSqlitePath($database);
+        $directory = dirname($path);
+
+        $result['database_exists'] = file_exists($path);
+        $result['can_create_database'] = $result['database_exists']
+            || (is_dir($directory) ? is_writable($directory) : is_writable($this->nearestExistingParent($directory)));
+
+        if ($result['database_exists'] && !is_writable($path)) {
+            $result['missing_privileges'][] = 'WRITE';
+        }
+
+        // An in-memory connection reports the library version without creating the file
+        $pdo = new \PDO('sqlite::memory:');
+        $pdo->setAttribute(\PDO::ATTR_ERRMODE, \PDO::ERRMODE_EXCEPTION);
+        $result['server_version'] = 'SQLite ' . $pdo->query('SELECT sqlite_version()')->fetchColumn();
+        $result['connected'] = true;
+
+        if ($result['database_exists']) {
+            $file = new \PDO('sqlite:' . $path);
+            $file->setAttribute(\PDO::ATTR_ERRMODE, \PDO::ERRMODE_EXCEPTION);
+            $file->query('PRAGMA schema_version')->fetchColumn();
+        } elseif (!$result['can_create_database']) {
+            $result['error'] = "Directory is not writable: {$directory}";
+        }
+
+        return $result;
+    }
+
+    private function testMysql(array $config, array $result): array
+    {
+        $database = (string)($config['database'] ?? '');
+
+        // Connect without a database so a missing schema is reported, not thrown
+        $pdo = $this->connect(
+            sprintf(
+                'mysql:host=%s;port=%d;charset=utf8mb4',
+                $config['host'] ?? '127.0.0.1',
+                $this->port($config, 'mysql')
+            ),
+            $config
+        );
+        $result['connected'] = true;
+        $result['server_version'] = 'MySQL ' . $pdo->query('SELECT VERSION()')->fetchColumn();
+
+        $stmt = $pdo->prepare('SELECT SCHEMA_NAME FROM INFORMATION_SCHEMA.SCHEMATA WHERE SCHEMA_NAME = ?');
+        $stmt->execute([$database]);
+        $result['database_exists'] = $stmt->fetchColumn() !== false;
+
+        $grants = $pdo->query('SHOW GRANTS FOR CURRENT_USER()')->fetchAll(\PDO::FETCH_COLUMN);
+        $global = $this->parseMysqlGrants($grants, null);
+        $onDatabase = $this->parseMysqlGrants($grants, $database);
+
+        $result['can_create_database'] = in_array('CREATE', $global, true);
+        $result['missing_privileges'] = array_values(
+            array_diff(self::REQUIRED_MYSQL_PRIVILEGES, array_merge($global, $onDatabase))
+        );
+
+        return $result;
+    }
+
+    private function testPgsql(array $config, array $result): array
+    {
+        $database = (string)($config['database'] ?? '');
+        $host = $config['host'] ?? '127.0.0.1';
+        $port = $this->port($config, 'pgsql');
+
+        // The maintenance database always exists, so use it to inspect the server
+        $pdo = $this->connect("pgsql:host={$host};port={$port};dbname=postgres", $config);
+        $result['connected'] = true;
+        $result['server_version'] = 'PostgreSQL ' . $pdo->query('SHOW server_version')->fetchColumn();
+
+        $stmt = $pdo->prepare('SELECT 1 FROM pg_database WHERE datname = ?');
+        $stmt->execute([$database]);
+        $result['database_exists'] = $stmt->fetchColumn() !== false;
+
+        $role = $pdo->query('SELECT rolcreatedb, rolsuper FROM pg_roles WHERE rolname = current_user')
+            ->fetch(\PDO::FETCH_ASSOC) ?: [];
+        $result['can_create_database'] = !empty($role['rolcreatedb']) || !empty($role['rolsuper']);
+
+        if (!$result['database_exists']) {
+            return $result;
+        }
+
+        $stmt = $pdo->prepare("SELECT has_database_privilege(current_user, ?, 'CONNECT')");
+        $stmt->execute([$database]);
+        if (!$stmt->fetchColumn()) {
+            $result['missing_privileges'][] = 'CONNECT';
+            return $result;
+        }
+
+        $target = $this->connect("pgsql:host={$host};port={$port};dbname={$database}", $config);
+        $schema = $config['schema'] ?? 'public';
+        foreach (['USAGE', 'CREATE'] as $privilege) {
+            $stmt = $target->prepare('SELECT has_schema_privilege(current_user, ?, ?)');
+            $stmt->execute([$schema, $privilege]);
+            if (!$stmt->fetchColumn()) {
+                $result['missing_privileges'][] = "{$privilege} ON SCHEMA {$schema}";
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * Collect the privileges granted globally (null) or on one database
+     *
+     * @param array<string> $grants Rows from SHOW GRANTS
+     * @param string|null $database Database name, or null for *.* grants
+     * @return array<string> Upper-case privilege names
+     */
+    private function parseMysqlGrants(array $grants, ?string $database): array
+    {
+        $privileges = [];
+
+        foreach ($grants as $grant) {
+            if (!preg_match('/^GRANT\s+(.+?)\s+ON\s+(\S+)\s+TO\s/i', $grant, $matches)) {
+                continue;
+            }
+
+            $scope = str_replace('`', '', $matches[2]);
+            $target = $database === null ? '*.*' : $database . '.*';
+            if (strcasecmp($scope, $target) !== 0) {
+                continue;
+            }
+
+            foreach (array_map('trim', explode(',', strtoupper($matches[1]))) as $privilege) {
+                if ($privilege === 'ALL' || $privilege === 'ALL PRIVILEGES') {
+                    return self::REQUIRED_MYSQL_PRIVILEGES;
+                }
+                $privileges[] = $privilege;
+            }
+        }
+
+        return $privileges;
+    }
+
+    private function connect(string $dsn, array $config): \PDO
+    {
+        return new \PDO($dsn, $config['username'] ?? '', $config['password'] ?? '', [
+            \PDO::ATTR_ERRMODE => \PDO::ERRMODE_EXCEPTION,
+            \PDO::ATTR_TIMEOUT => self::CONNECT_TIMEOUT,
+        ]);
+    }
+
+    private function port(array $config, string $driver): int
+    {
+        $port = (int)($config['port'] ?? 0);
+        return $port > 0 ? $port : self::DEFAULT_PORTS[$driver];
+    }
+
+    private function resolveSqlitePath(string $path): string
+    {
+        if (
+            str_starts_with($path, '/') ||
+            (PHP_OS_FAMILY === 'Windows' && preg_match('/^[a-zA-Z]:/', $path))
+        ) {
+            return $path;
+        }
+
+        return $this->projectRoot . '/' . $path;
+    }
+
+    private function nearestExistingParent(string $directory): string
+    {
+        while (!is_dir($directory) && dirname($directory) !== $directory) {
+            $directory = dirname($directory);
+        }
+
+        return $directory;
+    }
+}
@@ -0,0 +1,111 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Setup\Services;
+
+/**
+ * Headless Setup
+ *
+ * Runs the setup wizard's steps (welcome system check, database, admin, complete)
+ * without a browser, applying the same validation and connection test as the
+ * wizard, and returns a machine-readable result:
+ *
+ *     {
+ *       "success": false,
+ *       "steps": {
+ *         "welcome":  {"status": "passed", "checks": {...}},
+ *         "database": {"status": "failed", "errors": {"db-host": "..."}, "connection": null},
+ *         "admin":    {"status": "passed", "errors": {}},
+ *         "complete": {"status": "skipped", "install": null}
+ *       }
+ *     }
+ *
+ * A step that fails stops the run; later steps are reported as skipped.
+ *
+ * @package Glueful\Setup\Services
+ */
+class HeadlessSetup
+{
+    public function __construct(private string $projectRoot)
+    {
+    }
+
+    /**
+     * @param array $answers Normalized answers from SetupAnswers
+     * @param callable(string): void|null $onLine Receives installer output lines
+     */
+    public function run(array $answers, ?callable $onLine = null): array
+    {
+        $steps = [
+            'welcome' => ['status' => 'skipped', 'checks' => null],
+            'database' => ['status' => 'skipped', 'errors' => [], 'connection' => null],
+            'admin' => ['status' => 'skipped', 'errors' => []],
+            'complete' => ['status' => 'skipped', 'install' => null],
+        ];
+
+        // By reference, so the result reports the steps as they are when it is built
+        $result = function (bool $success) use (&$steps): array {
+            return ['success' => $success, 'steps' => $steps];
+        };
+
+        // Welcome: system requirements
+        $checks = (new SystemCheck($this->projectRoot))->run();
+        $steps['welcome'] = ['status' => SystemCheck::passed($checks) ? 'passed' : 'failed', 'checks' => $checks];
+        if ($steps['welcome']['status'] === 'failed') {
+            return $result(false);
+        }
+
+        $validator = new SetupValidator();
+
+        // Database: field rules, then a real connection test
+        $errors = $validator->validateDatabase($answers['database']);
+        $connection = empty($errors)
+            ? (new DatabaseConnectionTester($this->projectRoot))->test($answers['database'])
+            : null;
+        $steps['database'] = [
+            'status' => empty($errors) && $connection['ready'] ? 'passed' : 'failed',
+            'errors' => $errors,
+            'connection' => $connection,
+        ];
+        if ($steps['database']['status'] === 'failed') {
+            return $result(false);
+        }
+
+        // Admin: same rules as the wizard form
+        $errors = $validator->validateAdmin($answers['admin']);
+        $steps['admin'] = ['status' => empty($errors) ? 'passed' : 'failed', 'errors' => $errors];
+        if (!empty($errors)) {
+            return $result(false);
+        }
+
+        // Complete: run the installer
+        $progress = new SetupProgress($this->projectRoot . '/storage');
+        $progress->queue();
+        $progress->start();
+
+        $exitCode = (new SetupRunner($this->projectRoot))->run(
+            $answers['database'],
+            $answers['admin'],
+            [],
+            function (string $line) use ($progress, $onLine) {
+                $progress->record($line);
+                if ($onLine !== null) {
+                    $onLine($line);
+                }
+            }
+        );
+        $progress->finish($exitCode);
+
+        if ($exitCode === 0) {
+            file_put_contents($this->projectRoot . '/storage/setup.lock', date('Y-m-d H:i:s'));
+        }
+
+        $steps['complete'] = [
+            'status' => $exitCode === 0 ? 'passed' : 'failed',
+            'install' => $progress->toArray(),
+        ];
+
+        return $result($exitCode === 0);
+    }
+}
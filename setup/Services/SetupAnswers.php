@@ -0,0 +1,98 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Setup\Services;
+
+use Symfony\Component\Yaml\Yaml;
+
+/**
+ * Setup Answers
+ *
+ * Loads an answers file for headless setup. JSON and YAML are accepted, and any
+ * "${NAME}" value is replaced with the environment variable of that name so that
+ * secrets can stay out of the file:
+ *
+ *     database:
+ *       driver: mysql
+ *       host: db
+ *       database: glueful
+ *       username: glueful
+ *       password: ${DB_PASSWORD}
+ *     admin:
+ *       username: admin
+ *       email: admin@example.com
+ *       password: ${ADMIN_PASSWORD}
+ *
+ * The wizard's "Download answers file" button produces the same structure.
+ *
+ * @package Glueful\Setup\Services
+ */
+class SetupAnswers
+{
+    /**
+     * @param string $path Path to a .json, .yaml or .yml file
+     * @return array{database: array, admin: array}
+     * @throws \InvalidArgumentException If the file is missing, unreadable or malformed
+     */
+    public static function fromFile(string $path): array
+    {
+        if (!is_file($path) || !is_readable($path)) {
+            throw new \InvalidArgumentException("Answers file not found or not readable: {$path}");
+        }
+
+        $content = (string) file_get_contents($path);
+        $extension = strtolower(pathinfo($path, PATHINFO_EXTENSION));
+
+        try {
+            $answers = in_array($extension, ['yaml', 'yml'], true)
+                ? Yaml::parse($content)
+                : json_decode($content, true, 512, JSON_THROW_ON_ERROR);
+        } catch (\Throwable $e) {
+            throw new \InvalidArgumentException("Answers file could not be parsed: {$e->getMessage()}");
+        }
+
+        if (!is_array($answers)) {
+            throw new \InvalidArgumentException('Answers file must contain an object with database and admin sections');
+        }
+
+        return self::normalize(self::interpolate($answers));
+    }
+
+    /**
+     * Fill in defaults the wizard would otherwise provide
+     */
+    public static function normalize(array $answers): array
+    {
+        $database = is_array($answers['database'] ?? null) ? $answers['database'] : [];
+        $admin = is_array($answers['admin'] ?? null) ? $answers['admin'] : [];
+
+        // Zero-configuration default, same as the wizard
+        $database['driver'] = $database['driver'] ?? 'sqlite';
+        if ($database['driver'] === 'sqlite') {
+            $database['database'] = $database['database'] ?? 'storage/database/glueful.sqlite';
+        }
+
+        // A file has no typing mistakes to catch, so the confirmation defaults to the password
+        $admin['password_confirmation'] = $admin['password_confirmation'] ?? ($admin['password'] ?? null);
+
+        return ['database' => $database, 'admin' => $admin];
+    }
+
+    private static function interpolate(array $values): array
+    {
+        foreach ($values as $key => $value) {
+            if (is_array($value)) {
+                $values[$key] = self::interpolate($value);
+            } elseif (is_string($value) && preg_match('/^\$\{([A-Z0-9_]+)\}$/i', $value, $matches)) {
+                $resolved = getenv($matches[1]);
+                if ($resolved === false) {
+                    throw new \InvalidArgumentException("Environment variable {$matches[1]} is not set");
+                }
+                $values[$key] = $resolved;
+            }
+        }
+
+        return $values;
+    }
+}
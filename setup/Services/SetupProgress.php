@@ -0,0 +1,209 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Setup\Services;
+
+use Glueful\Console\Commands\InstallCommand;
+
+/**
+ * Setup Progress
+ *
+ * Tracks the state of a web setup run step by step. The state is persisted to
+ * storage/setup/progress.json so that the wizard can reconnect (or fall back to
+ * polling) while the installer is still running, and so that a failed run can be
+ * retried from the step that failed.
+ *
+ * @package Glueful\Setup\Services
+ */
+class SetupProgress
+{
+    /** @var array<string, string> Install steps in execution order with their wizard labels */
+    public const STEPS = [
+        'environment' => 'Validating environment',
+        'security_keys' => 'Generating security keys',
+        'database' => 'Setting up database',
+        'cache' => 'Initializing cache',
+        'api_definitions' => 'Generating API definitions',
+        'admin_user' => 'Creating admin user',
+        'final_validation' => 'Finalizing setup',
+    ];
+
+    /** @var array<string, string> Install options that skip an already completed step on retry */
+    private const SKIP_OPTIONS = [
+        'security_keys' => '--skip-keys',
+        'database' => '--skip-database',
+        'cache' => '--skip-cache',
+        'admin_user' => '--skip-admin',
+    ];
+
+    /** @var int Maximum captured output kept in the state file */
+    private const MAX_OUTPUT_BYTES = 65536;
+
+    private string $path;
+    private array $state;
+
+    public function __construct(string $storagePath)
+    {
+        $this->path = rtrim($storagePath, '/') . '/setup/progress.json';
+        $this->state = $this->load();
+    }
+
+    /**
+     * Queue a new run
+     *
+     * When resuming, steps that completed in the previous run and can be skipped
+     * keep their "done" status and are passed to the installer as skip options.
+     *
+     * @param bool $resume Whether to continue from the failed step of the last run
+     */
+    public function queue(bool $resume = false): void
+    {
+        $previous = $resume ? ($this->state['steps'] ?? []) : [];
+
+        $steps = [];
+        foreach (self::STEPS as $key => $label) {
+            $keep = ($previous[$key]['status'] ?? null) === 'done' && isset(self::SKIP_OPTIONS[$key]);
+            $steps[$key] = [
+                'key' => $key,
+                'label' => $label,
+                'status' => $keep ? 'done' : 'pending',
+                'message' => null,
+            ];
+        }
+
+        $this->state = [
+            'status' => 'queued',
+            'resumed' => $resume,
+            'steps' => $steps,
+            'failed_step' => null,
+            'error' => null,
+            'output' => '',
+            'queued_at' => date('c'),
+            'started_at' => null,
+            'finished_at' => null,
+        ];
+
+        $this->save();
+    }
+
+    public function start(): void
+    {
+        $this->state['status'] = 'running';
+        $this->state['started_at'] = date('c');
+        $this->save();
+    }
+
+    /**
+     * Record one line of installer output
+     *
+     * @param string $line Output line
+     * @return array|null The step event when the line was a progress event, otherwise null
+     */
+    public function record(string $line): ?array
+    {
+        if (str_starts_with($line, InstallCommand::PROGRESS_PREFIX)) {
+            $event = json_decode(substr($line, strlen(InstallCommand::PROGRESS_PREFIX)), true);
+
+            if (is_array($event) && isset($this->state['steps'][$event['step'] ?? ''])) {
+                $step = &$this->state['steps'][$event['step']];
+                $step['status'] = $event['status'];
+                $step['message'] = $event['message'] ?? null;
+
+                if ($event['status'] === 'failed') {
+                    $this->state['failed_step'] = $event['step'];
+                    $this->state['error'] = $step['message'];
+                }
+
+                $this->save();
+                return $step;
+            }
+        }
+
+        $this->state['output'] = substr(
+            $this->state['output'] . $line . "\n",
+            -self::MAX_OUTPUT_BYTES
+        );
+        $this->save();
+
+        return null;
+    }
+
+    /**
+     * Complete the run from the installer's exit code
+     */
+    public function finish(int $exitCode): void
+    {
+        $this->state['status'] = $exitCode === 0 ? 'completed' : 'failed';
+        $this->state['finished_at'] = date('c');
+
+        foreach ($this->state['steps'] as $key => $step) {
+            if ($exitCode === 0 && $step['status'] !== 'done') {
+                // Steps the installer was told to skip
+                $this->state['steps'][$key]['status'] = 'skipped';
+            } elseif ($exitCode !== 0 && $step['status'] === 'running') {
+                // The installer died without reporting the failure itself
+                $this->state['steps'][$key]['status'] = 'failed';
+                $this->state['failed_step'] ??= $key;
+            }
+        }
+
+        if ($exitCode !== 0 && $this->state['error'] === null) {
+            $this->state['error'] = "Installer exited with code {$exitCode}";
+        }
+
+        $this->save();
+    }
+
+    /**
+     * Installer options that skip the steps completed before a retry
+     *
+     * @return array<string>
+     */
+    public function getSkipOptions(): array
+    {
+        $options = [];
+        foreach (self::SKIP_OPTIONS as $key => $option) {
+            if (($this->state['steps'][$key]['status'] ?? null) === 'done') {
+                $options[] = $option;
+            }
+        }
+
+        return $options;
+    }
+
+    public function getStatus(): ?string
+    {
+        return $this->state['status'] ?? null;
+    }
+
+    public function toArray(): array
+    {
+        $state = $this->state;
+        if (isset($state['steps'])) {
+            $state['steps'] = array_values($state['steps']);
+        }
+
+        return $state;
+    }
+
+    private function load(): array
+    {
+        if (!file_exists($this->path)) {
+            return [];
+        }
+
+        $state = json_decode((string) file_get_contents($this->path), true);
+        return is_array($state) ? $state : [];
+    }
+
+    private function save(): void
+    {
+        $directory = dirname($this->path);
+        if (!is_dir($directory)) {
+            mkdir($directory, 0755, true);
+        }
+
+        file_put_contents($this->path, json_encode($this->state, JSON_PRETTY_PRINT), LOCK_EX);
+    }
+}
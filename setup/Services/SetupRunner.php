@@ -0,0 +1,100 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Setup\Services;
+
+use Symfony\Component\Process\PhpExecutableFinder;
+use Symfony\Component\Process\Process;
+
+/**
+ * Setup Runner
+ *
+ * Runs `php glueful install` non-interactively with the answers collected by the
+ * setup wizard and hands every output line to a callback as it arrives.
+ *
+ * @package Glueful\Setup\Services
+ */
+class SetupRunner
+{
+    /** @var int Maximum install duration in seconds */
+    private const TIMEOUT = 600;
+
+    public function __construct(private string $projectRoot)
+    {
+    }
+
+    /**
+     * Run the installer
+     *
+     * @param array $database Database settings (driver, host, port, database, username, password)
+     * @param array $admin Admin user (username, email, password)
+     * @param array<string> $options Extra install options, e.g. skip flags when retrying
+     * @param callable(string): void $onLine Receives each output line
+     * @return int Installer exit code
+     */
+    public function run(array $database, array $admin, array $options, callable $onLine): int
+    {
+        $php = (new PhpExecutableFinder())->find(false) ?: 'php';
+
+        $process = new Process(
+            array_merge([$php, 'glueful', 'install', '--no-interaction', '--progress'], $options),
+            $this->projectRoot,
+            $this->buildEnvironment($database, $admin),
+            null,
+            self::TIMEOUT
+        );
+
+        $buffer = '';
+        $process->run(function (string $type, string $data) use (&$buffer, $onLine): void {
+            $buffer .= $data;
+            while (($position = strpos($buffer, "\n")) !== false) {
+                $onLine(rtrim(substr($buffer, 0, $position), "\r"));
+                $buffer = substr($buffer, $position + 1);
+            }
+        });
+
+        if ($buffer !== '') {
+            $onLine($buffer);
+        }
+
+        return $process->getExitCode() ?? 1;
+    }
+
+    /**
+     * Map wizard answers to the environment variables read by config/database.php
+     * and the installer
+     */
+    private function buildEnvironment(array $database, array $admin): array
+    {
+        $driver = $database['driver'] ?? 'sqlite';
+
+        $env = [
+            'DB_DRIVER' => $driver,
+            'ADMIN_USERNAME' => $admin['username'] ?? '',
+            'ADMIN_EMAIL' => $admin['email'] ?? '',
+            'ADMIN_PASSWORD' => $admin['password'] ?? '',
+        ];
+
+        $prefix = match ($driver) {
+            'mysql' => 'DB_',
+            'pgsql' => 'DB_PGSQL_',
+            default => null,
+        };
+
+        if ($prefix === null) {
+            $env['DB_SQLITE_DATABASE'] = $database['database'] ?? 'storage/database/glueful.sqlite';
+            return $env;
+        }
+
+        $env[$prefix . 'HOST'] = $database['host'] ?? '127.0.0.1';
+        $env[$prefix . 'DATABASE'] = $database['database'] ?? 'glueful';
+        $env[$prefix . 'USERNAME'] = $database['username'] ?? '';
+        $env[$prefix . 'PASSWORD'] = $database['password'] ?? '';
+        if (!empty($database['port'])) {
+            $env[$prefix . 'PORT'] = (string) $database['port'];
+        }
+
+        return $env;
+    }
+}
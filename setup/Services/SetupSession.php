@@ -0,0 +1,183 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Setup\Services;
+
+/**
+ * Setup Session
+ *
+ * Server-side wizard state: the answers entered on each step and whether the
+ * step is completed or invalid. Lives in the PHP session rather than the
+ * browser, so database hosts and usernames are not left behind in
+ * localStorage, and passwords survive a reload without ever being sent back
+ * to the client.
+ *
+ * The state expires SESSION_TTL seconds after the last save.
+ *
+ * @package Glueful\Setup\Services
+ */
+class SetupSession
+{
+    /** @var int Seconds of inactivity before saved answers are discarded */
+    public const SESSION_TTL = 1800;
+
+    /** @var array<string> Wizard steps in order */
+    public const STEPS = ['welcome', 'database', 'admin', 'complete'];
+
+    /** @var array<string, array<string>> Answer keys kept per step */
+    private const FIELDS = [
+        'database' => ['driver', 'host', 'port', 'database', 'username', 'password'],
+        'admin' => ['username', 'email', 'password', 'password_confirmation'],
+    ];
+
+    /** @var array<string> Answer keys never returned to the browser */
+    private const SECRETS = ['password', 'password_confirmation'];
+
+    private array $state;
+
+    private bool $expired = false;
+
+    /**
+     * @param array|null $state Stored state from the PHP session
+     * @param bool $systemReady Whether the welcome step's system check passed
+     */
+    public function __construct(?array $state, private bool $systemReady)
+    {
+        if ($state !== null && ($state['expires_at'] ?? 0) < time()) {
+            $this->expired = true;
+            $state = null;
+        }
+
+        $this->state = $state ?? ['started_at' => null, 'expires_at' => null, 'steps' => []];
+    }
+
+    /**
+     * Save the answers for a step and record whether they are valid
+     *
+     * Secret keys missing from $data keep their saved value, so the wizard can
+     * leave password fields blank after a reload.
+     *
+     * @param string $step "database" or "admin"
+     * @param array $data Answers for the step
+     * @return array<string, string> Validation errors keyed by wizard field id
+     * @throws \InvalidArgumentException For steps that take no answers
+     */
+    public function saveStep(string $step, array $data): array
+    {
+        if (!isset(self::FIELDS[$step])) {
+            throw new \InvalidArgumentException("Setup step '{$step}' has no answers to save");
+        }
+
+        $saved = $this->state['steps'][$step]['data'] ?? [];
+        $answers = [];
+        foreach (self::FIELDS[$step] as $key) {
+            $value = array_key_exists($key, $data) ? $data[$key] : ($saved[$key] ?? null);
+            if ($value !== null) {
+                $answers[$key] = is_scalar($value) ? (string) $value : '';
+            }
+        }
+
+        $validator = new SetupValidator();
+        $errors = $step === 'database'
+            ? $validator->validateDatabase($answers + ['driver' => 'sqlite'])
+            : $validator->validateAdmin($answers);
+
+        $this->state['steps'][$step] = [
+            'status' => empty($errors) ? 'completed' : 'invalid',
+            'data' => $answers,
+            'errors' => $errors,
+        ];
+        $this->state['started_at'] ??= time();
+        $this->state['expires_at'] = time() + self::SESSION_TTL;
+
+        return $errors;
+    }
+
+    /**
+     * Saved answers for a step, secrets included
+     */
+    public function answers(string $step): array
+    {
+        return $this->state['steps'][$step]['data'] ?? [];
+    }
+
+    /**
+     * Status of a step: "completed", "invalid" or "pending"
+     */
+    public function status(string $step): string
+    {
+        if ($step === 'welcome') {
+            return $this->systemReady ? 'completed' : 'invalid';
+        }
+
+        return $this->state['steps'][$step]['status'] ?? 'pending';
+    }
+
+    /**
+     * The furthest step the wizard may show: the first one not yet completed
+     */
+    public function furthestStep(): string
+    {
+        foreach (self::STEPS as $step) {
+            if ($step !== 'complete' && $this->status($step) !== 'completed') {
+                return $step;
+            }
+        }
+
+        return 'complete';
+    }
+
+    /**
+     * Whether answers were saved on an earlier visit
+     */
+    public function hasSavedAnswers(): bool
+    {
+        return !empty($this->state['steps']);
+    }
+
+    /**
+     * Whether saved answers were discarded because the TTL passed
+     */
+    public function wasExpired(): bool
+    {
+        return $this->expired;
+    }
+
+    /**
+     * State for the PHP session, or null when there is nothing to keep
+     */
+    public function toStorage(): ?array
+    {
+        return $this->hasSavedAnswers() ? $this->state : null;
+    }
+
+    /**
+     * State for the browser: statuses, errors and non-secret answers
+     */
+    public function toClient(): array
+    {
+        $steps = [];
+        foreach (self::STEPS as $step) {
+            $data = $this->answers($step);
+            $steps[$step] = [
+                'status' => $this->status($step),
+                'errors' => $this->state['steps'][$step]['errors'] ?? [],
+                'data' => array_diff_key($data, array_flip(self::SECRETS)),
+                'saved_secrets' => array_values(array_intersect(
+                    self::SECRETS,
+                    array_keys(array_filter($data, fn ($value) => $value !== ''))
+                )),
+            ];
+        }
+
+        return [
+            'resumable' => $this->hasSavedAnswers(),
+            'expired' => $this->expired,
+            'started_at' => $this->state['started_at'],
+            'expires_at' => $this->state['expires_at'],
+            'furthest_step' => $this->furthestStep(),
+            'steps' => $steps,
+        ];
+    }
+}
@@ -0,0 +1,161 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Setup\Services;
+
+/**
+ * Setup Validator
+ *
+ * Single source of the setup wizard's validation rules. The rules are handed to
+ * setup.js through window.setupConfig, and the same rules validate wizard
+ * submissions and headless answers files on the server.
+ *
+ * Patterns are written without delimiters so they compile both as PCRE and as
+ * JavaScript RegExp.
+ *
+ * @package Glueful\Setup\Services
+ */
+class SetupValidator
+{
+    /** @var array<string, array> Field rules keyed by wizard field id */
+    public const RULES = [
+        'admin-username' => [
+            'required' => true,
+            'minLength' => 3,
+            'pattern' => '^[a-zA-Z0-9_]+$',
+            'message' => 'Username must be 3+ characters, alphanumeric and underscores only'
+        ],
+        'admin-email' => [
+            'required' => true,
+            'pattern' => '^[^\s@]+@[^\s@]+\.[^\s@]+$',
+            'message' => 'Please enter a valid email address'
+        ],
+        'admin-password' => [
+            'required' => true,
+            'minLength' => 8,
+            'pattern' => '^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)',
+            'message' => 'Password must be 8+ characters with uppercase, lowercase, and number'
+        ],
+        'confirm-password' => [
+            'required' => true,
+            'match' => 'admin-password',
+            'message' => 'Passwords do not match'
+        ],
+        'db-driver' => [
+            'required' => true,
+            'message' => 'Please select a database driver'
+        ]
+    ];
+
+    /** @var array<string, array{string, string}> Wizard field id => [section, key] in the answers */
+    public const FIELDS = [
+        'admin-username' => ['admin', 'username'],
+        'admin-email' => ['admin', 'email'],
+        'admin-password' => ['admin', 'password'],
+        'confirm-password' => ['admin', 'password_confirmation'],
+        'db-driver' => ['database', 'driver'],
+    ];
+
+    /** @var array<string> */
+    public const DRIVERS = ['sqlite', 'mysql', 'pgsql'];
+
+    /**
+     * Validate the database step
+     *
+     * Mirrors SetupWizard.validateDatabaseStep(): SQLite needs only a file path,
+     * MySQL and PostgreSQL need a host and database name.
+     *
+     * @param array $database Database answers
+     * @return array<string, string> Errors keyed by wizard field id
+     */
+    public function validateDatabase(array $database): array
+    {
+        $errors = $this->validateFields(['database' => $database], ['db-driver']);
+        if (!empty($errors)) {
+            return $errors;
+        }
+
+        $driver = $database['driver'];
+        if (!in_array($driver, self::DRIVERS, true)) {
+            return ['db-driver' => self::RULES['db-driver']['message']];
+        }
+
+        if ($driver === 'sqlite') {
+            if (trim((string) ($database['database'] ?? '')) === '') {
+                $errors['db-database'] = 'Database file path is required';
+            }
+            return $errors;
+        }
+
+        foreach (['host' => 'db-host', 'database' => 'db-database'] as $key => $fieldId) {
+            if (trim((string) ($database[$key] ?? '')) === '') {
+                $errors[$fieldId] = 'Please fill in the database host and name';
+            }
+        }
+
+        return $errors;
+    }
+
+    /**
+     * Validate the admin step
+     *
+     * @param array $admin Admin answers
+     * @return array<string, string> Errors keyed by wizard field id
+     */
+    public function validateAdmin(array $admin): array
+    {
+        return $this->validateFields(
+            ['admin' => $admin],
+            ['admin-username', 'admin-email', 'admin-password', 'confirm-password']
+        );
+    }
+
+    /**
+     * Apply RULES to the given fields, same order of checks as SetupWizard.validateField()
+     *
+     * @param array $answers Answers grouped by section
+     * @param array<string> $fieldIds Wizard field ids to check
+     * @return array<string, string> Errors keyed by wizard field id
+     */
+    private function validateFields(array $answers, array $fieldIds): array
+    {
+        $errors = [];
+
+        foreach ($fieldIds as $fieldId) {
+            $rules = self::RULES[$fieldId];
+            $value = trim((string) $this->value($answers, $fieldId));
+
+            if (!empty($rules['required']) && $value === '') {
+                $errors[$fieldId] = 'This field is required';
+                continue;
+            }
+
+            if ($value === '') {
+                continue;
+            }
+
+            if (isset($rules['minLength']) && mb_strlen($value) < $rules['minLength']) {
+                $errors[$fieldId] = $rules['message'];
+                continue;
+            }
+
+            if (isset($rules['pattern']) && !preg_match('/' . $rules['pattern'] . '/u', $value)) {
+                $errors[$fieldId] = $rules['message'];
+                continue;
+            }
+
+            if (isset($rules['match']) && $value !== (string) $this->value($answers, $rules['match'])) {
+                $errors[$fieldId] = $rules['message'];
+            }
+        }
+
+        return $errors;
+    }
+
+    private function value(array $answers, string $fieldId): mixed
+    {
+        [$section, $key] = self::FIELDS[$fieldId];
+        return $answers[$section][$key] ?? null;
+    }
+}
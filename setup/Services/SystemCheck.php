@@ -0,0 +1,72 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Glueful\Setup\Services;
+
+/**
+ * System Check
+ *
+ * Requirements shown on the wizard's welcome step and enforced by headless setup.
+ *
+ * @package Glueful\Setup\Services
+ */
+class SystemCheck
+{
+    private const REQUIRED_PHP_VERSION = '8.2.0';
+
+    /** @var array<string> */
+    private const REQUIRED_EXTENSIONS = ['pdo', 'json', 'mbstring', 'openssl', 'curl'];
+
+    public function __construct(private string $projectRoot)
+    {
+    }
+
+    /**
+     * @return array{php_version: bool, extensions: array<string, bool>, permissions: array<string, bool>}
+     */
+    public function run(): array
+    {
+        return [
+            'php_version' => version_compare(PHP_VERSION, self::REQUIRED_PHP_VERSION, '>='),
+            'extensions' => $this->checkRequiredExtensions(),
+            'permissions' => $this->checkDirectoryPermissions()
+        ];
+    }
+
+    /**
+     * Whether every check in a run() result passed
+     */
+    public static function passed(array $results): bool
+    {
+        return $results['php_version']
+            && !in_array(false, $results['extensions'], true)
+            && !in_array(false, $results['permissions'], true);
+    }
+
+    private function checkRequiredExtensions(): array
+    {
+        $results = [];
+
+        foreach (self::REQUIRED_EXTENSIONS as $extension) {
+            $results[$extension] = extension_loaded($extension);
+        }
+
+        return $results;
+    }
+
+    private function checkDirectoryPermissions(): array
+    {
+        $directories = [
+            'storage' => $this->projectRoot . '/storage',
+            'config' => $this->projectRoot . '/config'
+        ];
+
+        $results = [];
+        foreach ($directories as $name => $path) {
+            $results[$name] = is_writable($path);
+        }
+
+        return $results;
+    }
+}
@@ -47,11 +47,7 @@
                     <?php endforeach; ?>
                 </div>
                 
-                <?php
-                $allChecks = $systemCheck['php_version'] &&
-                            !in_array(false, $systemCheck['extensions']) &&
-                            !in_array(false, $systemCheck['permissions']);
-                ?>
+                <?php $allChecks = \Glueful\Setup\Services\SystemCheck::passed($systemCheck); ?>
                 
                 <?php if ($allChecks) : ?>
                     <button class="btn ml-20" onclick="navigateToStep('database')">Continue Setup</button>
@@ -82,16 +78,50 @@
                     
                     <div style="background: #f8f9fa; padding: 15px; border-radius: 8px; margin: 20px 0;">
                         <h4>💡 Want to use MySQL or PostgreSQL instead?</h4>
-                        <p>No problem! You can easily switch databases after installation:</p>
-                        <ol style="margin: 10px 0 10px 20px;">
-                            <li>Complete the installation with SQLite</li>
-                            <li>Update your <code>.env</code> file with your database credentials</li>
-                            <li>Run <code>php glueful migrate:run</code> to migrate to your new database</li>
-                        </ol>
+                        <p>Pick the driver below and use <strong>Test Connection</strong> to check your credentials
+                        before continuing.</p>
                         <p><small><em>All migrations are database-agnostic and work seamlessly across SQLite, MySQL, and PostgreSQL.</em></small></p>
                     </div>
                 </div>
-                
+
+                <form id="database-form" class="form" onsubmit="return false;">
+                    <div class="form-group">
+                        <label for="db-driver">Database Driver</label>
+                        <select id="db-driver">
+                            <option value="sqlite" selected>SQLite (Recommended)</option>
+                            <option value="mysql">MySQL / MariaDB</option>
+                            <option value="pgsql">PostgreSQL</option>
+                        </select>
+                    </div>
+
+                    <div id="connection-fields" style="display: none;">
+                        <div class="form-group">
+                            <label for="db-host">Host</label>
+                            <input type="text" id="db-host" autocomplete="off">
+                        </div>
+
+                        <div class="form-group">
+                            <label for="db-port">Port</label>
+                            <input type="number" id="db-port" min="1" max="65535">
+                        </div>
+
+                        <div class="form-group">
+                            <label for="db-username">Username</label>
+                            <input type="text" id="db-username" autocomplete="off">
+                        </div>
+
+                        <div class="form-group">
+                            <label for="db-password">Password</label>
+                            <input type="password" id="db-password" autocomplete="new-password">
+                        </div>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="db-database">Database</label>
+                        <input type="text" id="db-database" value="storage/database/glueful.sqlite">
+                    </div>
+                </form>
+
                 <button class="btn ml-20" onclick="navigateToStep('admin')" id="continue-admin">Continue with SQLite</button>
             </div>
             
@@ -110,6 +140,7 @@
                     <!-- Database fields (hidden, SQLite defaults) -->
                     <input type="hidden" name="database[driver]" id="hidden-db-driver" value="sqlite">
                     <input type="hidden" name="database[host]" id="hidden-db-host" value="">
+                    <input type="hidden" name="database[port]" id="hidden-db-port" value="">
                     <input type="hidden" name="database[database]" id="hidden-db-database" value="storage/database/glueful.sqlite">
                     <input type="hidden" name="database[username]" id="hidden-db-username" value="">
                     <input type="hidden" name="database[password]" id="hidden-db-password" value="">
@@ -132,10 +163,14 @@
                     
                     <div class="form-group">
                         <label for="confirm-password">Confirm Password</label>
-                        <input type="password" name="confirm_password" id="confirm-password" required>
+                        <input type="password" name="admin[password_confirmation]" id="confirm-password" required>
                     </div>
                     
                     <button type="submit" class="btn">Setup</button>
+                    <button type="button" class="btn btn-secondary" onclick="downloadAnswersFile()"
+                            title="Save these answers for an unattended install: php glueful install --answers=glueful-setup.json">
+                        Download Answers File
+                    </button>
                 </form>
             </div>
             
@@ -210,7 +245,9 @@
     <script>
         window.setupConfig = {
             currentStep: '<?= $currentStep ?>',
-            validSteps: <?= json_encode($validSteps) ?>
+            validSteps: <?= json_encode($validSteps) ?>,
+            validationRules: <?= json_encode($validationRules) ?>,
+            session: <?= json_encode($wizardSession) ?>
         };
         // console.log('Setup Config:', window.setupConfig);
     </script>
@@ -7,7 +7,8 @@ class SetupWizard {
     constructor() {
         this.currentStep = window.setupConfig?.currentStep || this.getCurrentStep();
         this.validSteps = window.setupConfig?.validSteps || ['welcome', 'database', 'admin', 'complete'];
-        this.formData = this.loadFormData();
+        this.session = window.setupConfig?.session || null;
+        this.saveTimer = null;
         this.validationRules = this.initValidationRules();
         
         this.init();
@@ -15,10 +16,12 @@ class SetupWizard {
 
     init() {
         this.bindEvents();
+        if (this.redirectToUnfinishedStep()) return;
         this.initializeStep();
-        this.loadStoredData();
+        this.restoreSession();
         this.initRealTimeValidation();
         this.checkSystemRequirements();
+        this.promptResume();
     }
 
     getCurrentStep() {
@@ -58,12 +61,6 @@ class SetupWizard {
                 this.navigateToStep(step);
             }
         });
-
-        // Auto-save form data
-        setInterval(() => this.saveFormData(), 5000); // Save every 5 seconds
-
-        // Window beforeunload to save data
-        window.addEventListener('beforeunload', () => this.saveFormData());
     }
 
     initializeStep() {
@@ -121,13 +118,14 @@ class SetupWizard {
             this.setDatabaseDefaults(driver);
         }
 
-        this.saveFormData();
+        this.scheduleSave();
         this.updateContinueButton();
     }
 
     setSQLiteDefaults() {
         const defaults = {
             'db-host': '',
+            'db-port': '',
             'db-username': '',
             'db-password': '',
             'db-database': 'storage/database/glueful.sqlite'
@@ -145,12 +143,14 @@ class SetupWizard {
         const defaults = {
             mysql: {
                 'db-host': '127.0.0.1',
+                'db-port': '3306',
                 'db-database': 'glueful',
                 'db-username': 'root',
                 'db-password': ''
             },
             pgsql: {
                 'db-host': '127.0.0.1',
+                'db-port': '5432',
                 'db-database': 'glueful',
                 'db-username': 'postgres',
                 'db-password': ''
@@ -160,7 +160,8 @@ class SetupWizard {
         if (defaults[driver]) {
             Object.entries(defaults[driver]).forEach(([id, value]) => {
                 const element = document.getElementById(id);
-                if (element && !element.value) {
+                // Replace the SQLite file path left over from the previous driver
+                if (element && (!element.value || element.value.endsWith('.sqlite'))) {
                     element.value = value;
                 }
             });
@@ -168,34 +169,13 @@ class SetupWizard {
     }
 
     initValidationRules() {
-        return {
-            'admin-username': {
-                required: true,
-                minLength: 3,
-                pattern: /^[a-zA-Z0-9_]+$/,
-                message: 'Username must be 3+ characters, alphanumeric and underscores only'
-            },
-            'admin-email': {
-                required: true,
-                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-                message: 'Please enter a valid email address'
-            },
-            'admin-password': {
-                required: true,
-                minLength: 8,
-                pattern: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-                message: 'Password must be 8+ characters with uppercase, lowercase, and number'
-            },
-            'confirm-password': {
-                required: true,
-                match: 'admin-password',
-                message: 'Passwords do not match'
-            },
-            'db-driver': {
-                required: true,
-                message: 'Please select a database driver'
-            }
-        };
+        // Rules come from SetupValidator so the wizard and the server always agree
+        const rules = (window.setupConfig && window.setupConfig.validationRules) || {};
+
+        return Object.fromEntries(Object.entries(rules).map(([fieldId, rule]) => [
+            fieldId,
+            rule.pattern ? { ...rule, pattern: new RegExp(rule.pattern) } : rule
+        ]));
     }
 
     initRealTimeValidation() {
@@ -228,8 +208,8 @@ class SetupWizard {
     handleInputChange(event) {
         const field = event.target;
         
-        // Save to localStorage
-        this.saveFormData();
+        // Save to the server-side setup session
+        this.scheduleSave();
         
         // Real-time validation for certain fields
         if (field.id === 'confirm-password' || field.id === 'admin-password') {
@@ -252,6 +232,9 @@ class SetupWizard {
         const messageEl = document.getElementById(`${field.id}-message`);
         const indicator = document.getElementById(`${field.id}-indicator`);
 
+        // Password left blank after a reload: the saved value is used
+        if (!value && field.dataset.saved) return true;
+
         // Clear previous state
         field.classList.remove('error', 'success');
         if (messageEl) {
@@ -373,40 +356,86 @@ class SetupWizard {
         }
     }
 
-    testDatabaseConnection() {
-        const driver = document.getElementById('db-driver')?.value;
-        const host = document.getElementById('db-host')?.value;
-        const database = document.getElementById('db-database')?.value;
-        const username = document.getElementById('db-username')?.value;
-        const password = document.getElementById('db-password')?.value;
+    getDatabaseConfig() {
+        const value = (id) => document.getElementById(id)?.value || '';
 
-        if (!driver) {
-            this.showConnectionResult(false, 'Please select a database driver first');
+        return {
+            driver: value('db-driver') || 'sqlite',
+            host: value('db-host'),
+            port: value('db-port'),
+            database: value('db-database'),
+            username: value('db-username'),
+            password: value('db-password')
+        };
+    }
+
+    async testDatabaseConnection() {
+        const config = this.collectStepAnswers('database');
+
+        // Basic validation before hitting the server
+        if (config.driver !== 'sqlite' && (!config.host || !config.database)) {
+            this.showConnectionResult(false, 'Host and database name are required');
+            return;
+        }
+
+        if (config.driver === 'sqlite' && !config.database) {
+            this.showConnectionResult(false, 'Database file path is required');
             return;
         }
 
         // Show testing indicator
         this.showConnectionResult('testing', 'Testing connection...');
 
-        // Simulate connection test (in real implementation, this would make an AJAX call)
-        setTimeout(() => {
-            // Basic validation
-            if (driver !== 'sqlite' && (!host || !database)) {
-                this.showConnectionResult(false, 'Host and database name are required');
-                return;
-            }
+        try {
+            const response = await fetch(`${this.getBasePath()}/test-connection`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(config)
+            });
+            const result = await response.json();
 
-            if (driver === 'sqlite' && !database) {
-                this.showConnectionResult(false, 'Database file path is required');
-                return;
+            this.showConnectionResult(
+                result.success === true,
+                result.message || 'Connection test failed',
+                this.describeConnectionResult(result.data || {})
+            );
+        } catch (e) {
+            this.showConnectionResult(false, `Connection test failed: ${e.message}`);
+        }
+    }
+
+    describeConnectionResult(data) {
+        const details = [];
+
+        if (data.server_version) {
+            details.push(`Server: ${data.server_version}`);
+        }
+
+        if (data.connected) {
+            if (data.database_exists) {
+                details.push('Database exists');
+            } else if (data.can_create_database) {
+                details.push('Database does not exist yet, but this account can create it');
+            } else {
+                details.push('Database does not exist and this account cannot create it');
             }
+        }
 
-            // Simulate successful connection
-            this.showConnectionResult(true, 'Connection successful!');
-        }, 2000);
+        if (data.missing_privileges && data.missing_privileges.length) {
+            details.push(`Missing privileges: ${data.missing_privileges.join(', ')}`);
+        }
+
+        if (data.error) {
+            details.push(`Driver error: ${data.error}`);
+        }
+
+        return details;
     }
 
-    showConnectionResult(status, message) {
+    showConnectionResult(status, message, details = []) {
         let resultEl = document.getElementById('connection-result');
         
         if (!resultEl) {
@@ -422,6 +451,16 @@ class SetupWizard {
         resultEl.style.display = 'block';
         resultEl.textContent = message;
 
+        if (details.length) {
+            const list = document.createElement('ul');
+            details.forEach(detail => {
+                const item = document.createElement('li');
+                item.textContent = detail;
+                list.appendChild(item);
+            });
+            resultEl.appendChild(list);
+        }
+
         if (status === 'testing') {
             resultEl.classList.add('info-message');
             resultEl.classList.remove('error', 'success');
@@ -434,11 +473,14 @@ class SetupWizard {
         }
     }
 
-    navigateToStep(step) {
-        if (!this.validSteps.includes(step)) return;
+    getBasePath() {
+        // Handles both /setup and /api/v1/setup
+        const currentPath = window.location.pathname;
+        return currentPath.includes('/api/v1/setup') ? '/api/v1/setup' : '/setup';
+    }
 
-        // Save current form data
-        this.saveFormData();
+    async navigateToStep(step) {
+        if (!this.validSteps.includes(step)) return;
 
         // Special handling for admin step
         if (step === 'admin') {
@@ -448,12 +490,49 @@ class SetupWizard {
             this.populateHiddenFields();
         }
 
-        // Get the current base path (handles both /setup and /api/v1/setup)
-        const currentPath = window.location.pathname;
-        const basePath = currentPath.includes('/api/v1/setup') ? '/api/v1/setup' : '/setup';
-        
+        // Save the current step so its completed/invalid status is up to date
+        if (this.stepFields()[this.currentStep]) {
+            await this.saveStep(this.currentStep);
+        }
+
+        // Refuse to skip past steps that are not completed
+        const unfinished = this.unfinishedStepBefore(step);
+        if (unfinished) {
+            const errors = Object.values(this.session.steps[unfinished]?.errors || {});
+            const label = unfinished.charAt(0).toUpperCase() + unfinished.slice(1);
+            this.showStepNotice(
+                `Please complete the ${label} step first` + (errors.length ? `: ${errors[0]}` : '.'),
+                'error'
+            );
+            return;
+        }
+
         // Navigate to the step
-        window.location.href = `${basePath}/${step}`;
+        window.location.href = `${this.getBasePath()}/${step}`;
+    }
+
+    /**
+     * First step before the given one that is not completed, or null.
+     * The complete step is reached by running setup, never by navigation.
+     */
+    unfinishedStepBefore(step) {
+        if (!this.session) return null;
+
+        const target = step === 'complete' ? this.validSteps.length : this.validSteps.indexOf(step);
+        return this.validSteps
+            .slice(0, target)
+            .find(s => s !== 'complete' && this.session.steps[s]?.status !== 'completed') || null;
+    }
+
+    redirectToUnfinishedStep() {
+        // The complete page is shown by the server once setup has run
+        if (this.currentStep === 'complete') return false;
+
+        const unfinished = this.unfinishedStepBefore(this.currentStep);
+        if (!unfinished) return false;
+
+        window.location.replace(`${this.getBasePath()}/${unfinished}`);
+        return true;
     }
 
     validateDatabaseStep() {
@@ -482,6 +561,7 @@ class SetupWizard {
         const mappings = {
             'hidden-db-driver': 'db-driver',
             'hidden-db-host': 'db-host',
+            'hidden-db-port': 'db-port',
             'hidden-db-database': 'db-database',
             'hidden-db-username': 'db-username',
             'hidden-db-password': 'db-password'
@@ -520,14 +600,222 @@ class SetupWizard {
             return false;
         }
 
-        // Show loading screen
+        // Browsers without fetch/EventSource fall back to the plain form post
+        if (!window.fetch || !window.EventSource) {
+            this.showLoadingScreen();
+            return true;
+        }
+
+        event.preventDefault();
+        this.startSetup(this.collectSetupAnswers());
+        return false;
+    }
+
+    collectSetupAnswers() {
+        return {
+            database: this.collectStepAnswers('database'),
+            admin: this.collectStepAnswers('admin')
+        };
+    }
+
+    /**
+     * Answers for one step. Password fields left blank after a reload are
+     * omitted so the server keeps the value it already has.
+     */
+    collectStepAnswers(step) {
+        const fields = this.stepFields()[step] || {};
+        const answers = step === 'database' ? this.getDatabaseConfig() : {};
+
+        Object.entries(fields).forEach(([key, id]) => {
+            const field = document.getElementById(id);
+            if (!field) return;
+
+            if (!field.value && field.dataset.saved) {
+                delete answers[key];
+            } else if (step !== 'database') {
+                answers[key] = field.value;
+            }
+        });
+
+        return answers;
+    }
+
+    /**
+     * Save the current answers for `php glueful install --answers=FILE`.
+     * Passwords are written as ${VAR} placeholders, resolved from the
+     * environment when the file is used.
+     */
+    downloadAnswersFile() {
+        const answers = this.collectSetupAnswers();
+        delete answers.admin.password_confirmation;
+
+        answers.admin.password = '${ADMIN_PASSWORD}';
+        if (answers.database.driver === 'sqlite') {
+            answers.database = { driver: 'sqlite', database: answers.database.database };
+        } else {
+            answers.database.password = '${DB_PASSWORD}';
+        }
+
+        const blob = new Blob([JSON.stringify(answers, null, 2) + '\n'], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'glueful-setup.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async startSetup(answers, resume = false) {
         this.showLoadingScreen();
-        
-        // Clear saved form data on successful submission
-        this.clearFormData();
-        
-        // Form will submit normally
-        return true;
+
+        try {
+            const response = await fetch(`${this.getBasePath()}/run`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(resume ? { resume: true } : answers)
+            });
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                const errors = Object.values(result.errors || {});
+                const message = result.message || 'Setup could not be started';
+                throw new Error(errors.length ? `${message}: ${errors.join('; ')}` : message);
+            }
+
+            this.renderProgress(result.data);
+            this.followProgress();
+        } catch (e) {
+            this.showSetupFailure({ error: e.message, output: '' });
+        }
+    }
+
+    followProgress() {
+        const source = new EventSource(`${this.getBasePath()}/progress/stream`);
+
+        source.addEventListener('progress', (e) => this.renderProgress(JSON.parse(e.data)));
+        source.addEventListener('step', (e) => this.updateProgressStep(JSON.parse(e.data)));
+        source.addEventListener('complete', (e) => {
+            source.close();
+            this.finishSetup(JSON.parse(e.data));
+        });
+        source.addEventListener('failed', (e) => {
+            source.close();
+            this.finishSetup(JSON.parse(e.data));
+        });
+
+        // The run keeps going server-side if the stream drops, so switch to polling
+        source.onerror = () => {
+            source.close();
+            this.pollProgress();
+        };
+    }
+
+    async pollProgress() {
+        try {
+            const response = await fetch(`${this.getBasePath()}/progress`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            const result = await response.json();
+            const progress = result.data || {};
+
+            if (progress.status === 'completed' || progress.status === 'failed') {
+                this.finishSetup(progress);
+                return;
+            }
+
+            this.renderProgress(progress);
+        } catch (e) {
+            console.warn('Failed to poll setup progress:', e);
+        }
+
+        setTimeout(() => this.pollProgress(), 2000);
+    }
+
+    finishSetup(progress) {
+        if (progress.status === 'completed') {
+            window.location.href = `${this.getBasePath()}/complete`;
+            return;
+        }
+
+        this.renderProgress(progress);
+        this.showSetupFailure(progress);
+    }
+
+    renderProgress(progress) {
+        const container = document.getElementById('setup-steps');
+        if (!container || !progress.steps) return;
+
+        progress.steps.forEach(step => {
+            let stepEl = container.querySelector(`[data-step="${step.key}"]`);
+            if (!stepEl) {
+                stepEl = document.createElement('div');
+                stepEl.dataset.step = step.key;
+                container.appendChild(stepEl);
+            }
+            this.updateProgressStep(step);
+        });
+    }
+
+    updateProgressStep(step) {
+        const stepEl = document.querySelector(`#setup-steps [data-step="${step.key}"]`);
+        if (!stepEl) return;
+
+        const icons = {
+            pending: '⏸️',
+            running: '⏳',
+            done: '✅',
+            skipped: '⏭️',
+            failed: '❌'
+        };
+
+        stepEl.className = `step step-${step.status}`;
+        stepEl.textContent = `${icons[step.status] || ''} ${step.label}`;
+    }
+
+    showSetupFailure(progress) {
+        const container = document.getElementById('setup-failure');
+        if (!container) return;
+
+        const spinner = document.querySelector('.setup-progress .loading-spinner');
+        if (spinner) {
+            spinner.style.display = 'none';
+        }
+
+        container.innerHTML = '';
+        container.style.display = 'block';
+
+        const heading = document.createElement('h3');
+        heading.textContent = 'Setup failed';
+        container.appendChild(heading);
+
+        const message = document.createElement('p');
+        message.textContent = progress.error || 'The installer reported an error.';
+        container.appendChild(message);
+
+        if (progress.output) {
+            const output = document.createElement('pre');
+            output.className = 'setup-output';
+            output.textContent = progress.output;
+            container.appendChild(output);
+        }
+
+        const failedStep = (progress.steps || []).find(step => step.key === progress.failed_step);
+        const retryBtn = document.createElement('button');
+        retryBtn.type = 'button';
+        retryBtn.className = 'btn';
+        retryBtn.textContent = failedStep ? `Retry from "${failedStep.label}"` : 'Retry setup';
+        retryBtn.addEventListener('click', () => this.startSetup(null, true));
+        container.appendChild(retryBtn);
+
+        const restartLink = document.createElement('a');
+        restartLink.href = `${this.getBasePath()}/database`;
+        restartLink.className = 'btn btn-secondary';
+        restartLink.textContent = 'Change settings';
+        container.appendChild(restartLink);
     }
 
     showFormError(message) {
@@ -557,13 +845,8 @@ class SetupWizard {
                 <p>Setting up your application... This may take 30-60 seconds.</p>
                 <p><small>Please don't close this window.</small></p>
                 
-                <div class="progress-steps">
-                    <div class="step">📋 Validating environment</div>
-                    <div class="step">🔐 Generating security keys</div>
-                    <div class="step">🗄️ Setting up database</div>
-                    <div class="step">👤 Creating admin user</div>
-                    <div class="step">✅ Finalizing setup</div>
-                </div>
+                <div class="progress-steps" id="setup-steps"></div>
+                <div class="setup-failure" id="setup-failure" style="display: none;"></div>
             </div>
         `;
     }
@@ -594,49 +877,171 @@ class SetupWizard {
     }
 
 
-    // Form data persistence methods
-    saveFormData() {
-        const data = {};
-        
-        // Save all form inputs
-        const inputs = document.querySelectorAll('input, select');
-        inputs.forEach(input => {
-            if (input.type !== 'password' && input.id) {
-                data[input.id] = input.value;
+    // Setup session methods: answers are kept server-side with a TTL
+
+    stepFields() {
+        return {
+            database: {
+                driver: 'db-driver',
+                host: 'db-host',
+                port: 'db-port',
+                database: 'db-database',
+                username: 'db-username',
+                password: 'db-password'
+            },
+            admin: {
+                username: 'admin-username',
+                email: 'admin-email',
+                password: 'admin-password',
+                password_confirmation: 'confirm-password'
             }
-        });
+        };
+    }
+
+    scheduleSave() {
+        if (!this.stepFields()[this.currentStep]) return;
 
-        localStorage.setItem('glueful-setup-data', JSON.stringify(data));
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveStep(this.currentStep), 1000);
     }
 
-    loadFormData() {
+    async saveStep(step) {
+        clearTimeout(this.saveTimer);
+
         try {
-            const data = localStorage.getItem('glueful-setup-data');
-            return data ? JSON.parse(data) : {};
+            const response = await fetch(`${this.getBasePath()}/session/${step}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(this.collectStepAnswers(step))
+            });
+            const result = await response.json();
+
+            if (result.data) {
+                this.session = result.data;
+            }
+            return result;
         } catch (e) {
-            console.warn('Failed to load form data from localStorage:', e);
-            return {};
+            console.warn('Failed to save setup progress:', e);
+            return null;
         }
     }
 
-    loadStoredData() {
-        // Restore form data from localStorage
-        Object.entries(this.formData).forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element && !element.value) {
-                element.value = value;
-            }
+    restoreSession() {
+        if (!this.session) return;
+
+        Object.entries(this.stepFields()).forEach(([step, fields]) => {
+            const saved = this.session.steps[step] || {};
+
+            Object.entries(fields).forEach(([key, id]) => {
+                const element = document.getElementById(id);
+                if (!element) return;
+
+                if ((saved.saved_secrets || []).includes(key)) {
+                    // Passwords stay on the server; a blank field keeps them
+                    element.dataset.saved = 'true';
+                    element.placeholder = 'Saved - leave blank to keep';
+                } else if (saved.data && saved.data[key] !== undefined) {
+                    element.value = saved.data[key];
+                }
+            });
         });
 
-        // Trigger driver change if database driver is restored
-        const dbDriver = document.getElementById('db-driver');
-        if (dbDriver && dbDriver.value) {
-            dbDriver.dispatchEvent(new Event('change'));
+        // Show the connection fields for a restored MySQL/PostgreSQL driver
+        const driver = document.getElementById('db-driver')?.value;
+        const connectionFields = document.getElementById('connection-fields');
+        if (driver && connectionFields) {
+            connectionFields.style.display = driver === 'sqlite' ? 'none' : 'block';
+        }
+        this.updateContinueButton();
+    }
+
+    promptResume() {
+        if (!this.session) return;
+
+        if (this.session.expired) {
+            this.showStepNotice('Your saved setup answers expired and were cleared.', 'info');
+            return;
+        }
+
+        // Only ask when arriving from outside the wizard, not when moving between steps
+        const fromWizard = document.referrer && new URL(document.referrer).pathname.startsWith(this.getBasePath());
+        if (!this.session.resumable || fromWizard) return;
+
+        const furthest = this.session.furthest_step;
+        const label = furthest.charAt(0).toUpperCase() + furthest.slice(1);
+        const started = this.session.started_at
+            ? new Date(this.session.started_at * 1000).toLocaleString()
+            : null;
+
+        const prompt = this.showStepNotice(
+            'You have an unfinished setup' + (started ? ` from ${started}` : '') + '.',
+            'info'
+        );
+        if (!prompt) return;
+
+        const actions = document.createElement('div');
+        actions.className = 'resume-actions';
+
+        if (furthest !== this.currentStep) {
+            const resumeBtn = document.createElement('button');
+            resumeBtn.type = 'button';
+            resumeBtn.className = 'btn';
+            resumeBtn.textContent = `Resume at ${label}`;
+            resumeBtn.addEventListener('click', () => {
+                window.location.href = `${this.getBasePath()}/${furthest}`;
+            });
+            actions.appendChild(resumeBtn);
         }
+
+        const restartBtn = document.createElement('button');
+        restartBtn.type = 'button';
+        restartBtn.className = 'btn btn-secondary';
+        restartBtn.textContent = 'Start over';
+        restartBtn.addEventListener('click', () => this.startOver());
+        actions.appendChild(restartBtn);
+
+        prompt.appendChild(actions);
     }
 
-    clearFormData() {
-        localStorage.removeItem('glueful-setup-data');
+    async startOver() {
+        try {
+            await fetch(`${this.getBasePath()}/session/reset`, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json' }
+            });
+        } catch (e) {
+            console.warn('Failed to clear setup progress:', e);
+        }
+
+        window.location.href = `${this.getBasePath()}/welcome`;
+    }
+
+    showStepNotice(message, type = 'info') {
+        const step = document.getElementById(`step-${this.currentStep}`);
+        if (!step) return null;
+
+        let noticeEl = document.getElementById('step-notice');
+        if (!noticeEl) {
+            noticeEl = document.createElement('div');
+            noticeEl.id = 'step-notice';
+            const heading = step.querySelector('h2');
+            step.insertBefore(noticeEl, heading ? heading.nextSibling : step.firstChild);
+        }
+
+        noticeEl.className = type === 'error' ? 'error-message' : 'info-message';
+        noticeEl.textContent = message;
+        noticeEl.style.display = 'block';
+        return noticeEl;
+    }
+}
+
+// Inline handler for the admin step's "Download Answers File" button
+function downloadAnswersFile() {
+    if (window.setupWizard) {
+        window.setupWizard.downloadAnswersFile();
     }
 }
 
@@ -0,0 +1,83 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Configuration;
+
+use Glueful\Configuration\ConfigDiff;
+use Glueful\Configuration\ConfigFormSchema;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * ConfigDiff Unit Tests
+ *
+ * Tests the changes listed between two versions of a configuration.
+ */
+class ConfigDiffTest extends TestCase
+{
+    /**
+     * Test that groups are compared key by key and lists as a whole
+     */
+    public function testCompareListsChangesByPath(): void
+    {
+        $old = [
+            'default' => 'redis',
+            'stores' => ['redis' => ['host' => '127.0.0.1', 'port' => 6379]],
+            'hosts' => ['a', 'b'],
+            'legacy' => true,
+        ];
+        $new = [
+            'default' => 'file',
+            'stores' => ['redis' => ['host' => '127.0.0.1', 'port' => 6380]],
+            'hosts' => ['a', 'c'],
+            'prefix' => 'app:',
+        ];
+
+        $this->assertSame([
+            ['path' => 'default', 'type' => 'changed', 'old' => 'redis', 'new' => 'file', 'secret' => false],
+            ['path' => 'stores.redis.port', 'type' => 'changed', 'old' => 6379, 'new' => 6380, 'secret' => false],
+            ['path' => 'hosts', 'type' => 'changed', 'old' => ['a', 'b'], 'new' => ['a', 'c'], 'secret' => false],
+            ['path' => 'legacy', 'type' => 'removed', 'old' => true, 'new' => null, 'secret' => false],
+            ['path' => 'prefix', 'type' => 'added', 'old' => null, 'new' => 'app:', 'secret' => false],
+        ], ConfigDiff::compare($old, $new));
+    }
+
+    /**
+     * Test that unchanged configurations have no changes
+     */
+    public function testCompareIdenticalConfigurations(): void
+    {
+        $config = ['app' => ['name' => 'Glueful', 'debug' => false], 'hosts' => []];
+
+        $this->assertSame([], ConfigDiff::compare($config, $config));
+    }
+
+    /**
+     * Test that secret values never appear in changes
+     */
+    public function testCompareMasksSecrets(): void
+    {
+        $changes = ConfigDiff::compare(
+            ['jwt' => ['secret' => 'old-secret'], 'smtp' => ['password' => 'p4ss']],
+            ['jwt' => ['secret' => 'new-secret'], 'smtp' => null, 'api_key' => '']
+        );
+
+        $this->assertSame([
+            [
+                'path' => 'jwt.secret',
+                'type' => 'changed',
+                'old' => ConfigFormSchema::MASK,
+                'new' => ConfigFormSchema::MASK,
+                'secret' => true,
+            ],
+            [
+                'path' => 'smtp',
+                'type' => 'changed',
+                'old' => ['password' => ConfigFormSchema::MASK],
+                'new' => null,
+                'secret' => false,
+            ],
+            ['path' => 'api_key', 'type' => 'added', 'old' => null, 'new' => '', 'secret' => true],
+        ], $changes);
+    }
+}
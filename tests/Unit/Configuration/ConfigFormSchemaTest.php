@@ -0,0 +1,171 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Configuration;
+
+use Glueful\Configuration\ConfigFormSchema;
+use PHPUnit\Framework\TestCase;
+use Symfony\Component\Config\Definition\Builder\TreeBuilder;
+use Symfony\Component\Config\Definition\NodeInterface;
+
+/**
+ * ConfigFormSchema Unit Tests
+ *
+ * Tests how configuration values are described as typed fields, checked
+ * against them, and how secrets are masked.
+ */
+class ConfigFormSchemaTest extends TestCase
+{
+    /**
+     * Test that schema nodes give fields their type, values and range
+     */
+    public function testFieldsAreTypedBySchema(): void
+    {
+        $fields = $this->index(ConfigFormSchema::build([
+            'default' => 'redis',
+            'ttl' => '3600',
+            'stores' => ['redis' => ['port' => 6379, 'password' => 'hunter2']],
+        ], $this->schema()));
+
+        $this->assertSame('enum', $fields['default']['type']);
+        $this->assertSame(['redis', 'file'], $fields['default']['values']);
+        $this->assertSame('Default cache driver', $fields['default']['info']);
+        $this->assertSame('integer', $fields['ttl']['type']);
+        $this->assertSame(1, $fields['ttl']['min']);
+        $this->assertNull($fields['ttl']['max']);
+        $this->assertSame('group', $fields['stores']['type']);
+        $this->assertSame(65535, $fields['stores.redis.port']['max']);
+        $this->assertTrue($fields['stores.redis.password']['secret']);
+        $this->assertTrue($fields['stores.redis.password']['typed']);
+    }
+
+    /**
+     * Test that keys without a schema node are typed by their values
+     */
+    public function testFieldsWithoutSchemaAreTypedByValue(): void
+    {
+        $fields = $this->index(ConfigFormSchema::build([
+            'enabled' => true,
+            'ratio' => 0.5,
+            'hosts' => ['a', 'b'],
+            'jobs' => [['name' => 'cleanup']],
+            'api_token' => null,
+        ]));
+
+        $this->assertSame('boolean', $fields['enabled']['type']);
+        $this->assertSame('float', $fields['ratio']['type']);
+        $this->assertSame('list', $fields['hosts']['type']);
+        $this->assertSame('json', $fields['jobs']['type']);
+        $this->assertSame('string', $fields['api_token']['type']);
+        $this->assertTrue($fields['api_token']['secret']);
+        $this->assertFalse($fields['enabled']['typed']);
+    }
+
+    /**
+     * Test type, enum and range errors by dot path
+     */
+    public function testValidateReportsErrorsByPath(): void
+    {
+        $current = ['default' => 'redis', 'ttl' => 3600, 'stores' => ['redis' => ['port' => 6379]]];
+        $fields = ConfigFormSchema::build($current, $this->schema());
+
+        $this->assertSame([], ConfigFormSchema::validate($fields, $current));
+        $this->assertSame([], ConfigFormSchema::validate($fields, ['ttl' => '60']));
+        $this->assertSame(
+            [
+                'default' => "Must be one of: 'redis', 'file'",
+                'ttl' => 'Must be at least 1',
+                'stores.redis.port' => 'Must be a whole number',
+            ],
+            ConfigFormSchema::validate($fields, [
+                'default' => 'memcached',
+                'ttl' => 0,
+                'stores' => ['redis' => ['port' => 'abc']],
+            ])
+        );
+    }
+
+    /**
+     * Test that inferred fields keep their type
+     */
+    public function testValidateKeepsInferredTypes(): void
+    {
+        $fields = ConfigFormSchema::build(['enabled' => true, 'hosts' => ['a']]);
+
+        $this->assertSame(
+            ['enabled' => 'Must be true or false', 'hosts' => 'Must be a list of values'],
+            ConfigFormSchema::validate($fields, ['enabled' => 'yes', 'hosts' => ['a' => ['b']]])
+        );
+        $this->assertSame([], ConfigFormSchema::validate($fields, ['enabled' => null]));
+    }
+
+    /**
+     * Test that masked secrets are sent back as their stored values
+     */
+    public function testMaskAndUnmaskSecrets(): void
+    {
+        $current = ['jwt' => ['secret' => 's3cret', 'ttl' => 60], 'password' => '', 'name' => 'app'];
+
+        $masked = ConfigFormSchema::mask($current);
+        $this->assertSame(
+            ['jwt' => ['secret' => ConfigFormSchema::MASK, 'ttl' => 60], 'password' => '', 'name' => 'app'],
+            $masked
+        );
+        $this->assertSame($current, ConfigFormSchema::unmask($masked, $current));
+
+        $changed = ConfigFormSchema::unmask(['jwt' => ['secret' => 'n3w', 'ttl' => 30]], $current);
+        $this->assertSame(['jwt' => ['secret' => 'n3w', 'ttl' => 30]], $changed);
+    }
+
+    /**
+     * Build a small cache schema
+     *
+     * @return NodeInterface Root node
+     */
+    private function schema(): NodeInterface
+    {
+        $treeBuilder = new TreeBuilder('cache');
+
+        // @phpstan-ignore-next-line TreeBuilder root nodes are ArrayNodeDefinitions in practice
+        $treeBuilder->getRootNode()
+            ->children()
+                ->enumNode('default')
+                    ->values(['redis', 'file'])
+                    ->info('Default cache driver')
+                ->end()
+                ->integerNode('ttl')->min(1)->end()
+                ->arrayNode('stores')
+                    ->children()
+                        ->arrayNode('redis')
+                            ->children()
+                                ->integerNode('port')->min(1)->max(65535)->end()
+                                ->scalarNode('password')->defaultNull()->end()
+                            ->end()
+                        ->end()
+                    ->end()
+                ->end()
+            ->end();
+
+        return $treeBuilder->buildTree();
+    }
+
+    /**
+     * Flatten fields by dot path
+     *
+     * @param array $fields Fields
+     * @return array<string, array> Fields by path
+     */
+    private function index(array $fields): array
+    {
+        $indexed = [];
+        foreach ($fields as $field) {
+            $indexed[$field['path']] = $field;
+            if (isset($field['children'])) {
+                $indexed += $this->index($field['children']);
+            }
+        }
+
+        return $indexed;
+    }
+}
@@ -0,0 +1,50 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Migrations;
+
+use Glueful\Database\Migrations\DryRunSchemaBuilder;
+use Glueful\Database\Schema\Generators\SQLiteSqlGenerator;
+use PHPUnit\Framework\TestCase;
+use Tests\Unit\Database\Mocks\MockSQLiteConnection;
+
+/**
+ * DryRunSchemaBuilder Unit Tests
+ *
+ * Tests that schema operations are recorded as SQL without changing the database.
+ */
+class DryRunSchemaBuilderTest extends TestCase
+{
+    /**
+     * Test that created, altered and dropped tables are recorded but not executed
+     */
+    public function testRecordsStatementsWithoutExecuting(): void
+    {
+        $connection = new MockSQLiteConnection();
+        $connection->getPDO()->exec('CREATE TABLE posts (id INTEGER PRIMARY KEY, title VARCHAR(100))');
+        $schema = new DryRunSchemaBuilder($connection, new SQLiteSqlGenerator());
+
+        $schema->disableForeignKeyChecks();
+        $schema->createTable('tags', function ($table) {
+            $table->integer('id')->primary()->autoIncrement();
+            $table->string('name', 50);
+        });
+        $table = $schema->alterTable('posts');
+        $table->addColumn('subtitle', 'varchar(100)')->end();
+        $table->execute();
+        $schema->dropTableIfExists('posts');
+
+        $statements = $schema->flushStatements();
+
+        $this->assertSame('PRAGMA foreign_keys = OFF;', $statements[0]);
+        $this->assertStringContainsString('CREATE TABLE', $statements[1]);
+        $this->assertStringContainsString('subtitle', implode("\n", $statements));
+        $this->assertStringContainsString('DROP TABLE IF EXISTS', end($statements));
+        $this->assertSame([], $schema->flushStatements());
+
+        $this->assertFalse($schema->hasTable('tags'));
+        $this->assertTrue($schema->hasTable('posts'));
+        $this->assertFalse($schema->hasColumn('posts', 'subtitle'));
+    }
+}
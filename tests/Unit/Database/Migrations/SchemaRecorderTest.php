@@ -0,0 +1,91 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Migrations;
+
+use Glueful\Database\Migrations\SchemaRecorder;
+use Glueful\Database\Schema\Generators\SQLiteSqlGenerator;
+use PHPUnit\Framework\TestCase;
+use Tests\Unit\Database\Mocks\MockSQLiteConnection;
+
+/**
+ * SchemaRecorder Unit Tests
+ *
+ * Tests that schema operations build the expected schema model without
+ * changing the database.
+ */
+class SchemaRecorderTest extends TestCase
+{
+    /**
+     * Test that created and altered tables are recorded with their indexes and foreign keys
+     */
+    public function testRecordsCreatedAndAlteredTables(): void
+    {
+        $connection = new MockSQLiteConnection();
+        $schema = new SchemaRecorder($connection, new SQLiteSqlGenerator());
+
+        $schema->createTable('posts', function ($table) {
+            $table->bigInteger('id')->primary()->autoIncrement();
+            $table->string('slug', 120);
+            $table->string('author_id', 12);
+            $table->string('status', 20);
+
+            $table->unique('slug');
+            $table->index(['author_id', 'status'], 'posts_author_status_idx');
+            $table->foreign('author_id')->references('uuid')->on('users');
+        });
+
+        $table = $schema->alterTable('posts');
+        $table->addColumn('subtitle', 'string', ['length' => 200])->end();
+        $table->index('subtitle', 'posts_subtitle_idx');
+        $table->dropColumn('status');
+        $table->execute();
+        $schema->execute();
+
+        $posts = $schema->getSchema()['posts'];
+
+        $this->assertSame(['id', 'slug', 'author_id', 'subtitle'], array_keys($posts['columns']));
+        $this->assertSame('string(120)', $posts['columns']['slug']['type']);
+        $this->assertSame(
+            ['posts_slug_unique' => ['columns' => ['slug'], 'unique' => true]],
+            array_intersect_key($posts['indexes'], ['posts_slug_unique' => true])
+        );
+        $this->assertArrayHasKey('posts_subtitle_idx', $posts['indexes']);
+        $this->assertArrayNotHasKey('posts_author_status_idx', $posts['indexes']);
+        $this->assertSame(
+            [['column' => 'author_id', 'references_table' => 'users', 'references_column' => 'uuid']],
+            array_values($posts['foreign_keys'])
+        );
+
+        $this->assertTrue($schema->hasTable('posts'));
+        $this->assertTrue($schema->hasColumn('posts', 'subtitle'));
+        $this->assertFalse($schema->hasColumn('posts', 'status'));
+        $this->assertFalse($connection->getSchemaBuilder()->hasTable('posts'));
+    }
+
+    /**
+     * Test that dropped tables and indexes are removed from the recorded schema
+     */
+    public function testRecordsDrops(): void
+    {
+        $connection = new MockSQLiteConnection();
+        $connection->getPDO()->exec('CREATE TABLE tags (id INTEGER PRIMARY KEY, name VARCHAR(50))');
+        $schema = new SchemaRecorder($connection, new SQLiteSqlGenerator());
+
+        $schema->createTable('tags', function ($table) {
+            $table->integer('id')->primary()->autoIncrement();
+            $table->string('name', 50);
+            $table->unique('name', 'tags_name_unq');
+        });
+        $schema->alterTable('tags')->dropIndex('tags_name_unq')->execute();
+
+        $this->assertSame([], $schema->getSchema()['tags']['indexes']);
+
+        $schema->dropTableIfExists('tags');
+
+        $this->assertSame([], $schema->getSchema());
+        $this->assertFalse($schema->hasTable('tags'));
+        $this->assertTrue($connection->getSchemaBuilder()->hasTable('tags'));
+    }
+}
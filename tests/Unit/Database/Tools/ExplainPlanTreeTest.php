@@ -0,0 +1,202 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\ExplainPlanTree;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * ExplainPlanTree Unit Tests
+ *
+ * Tests normalization of MySQL, PostgreSQL and SQLite EXPLAIN output
+ * into the plan tree rendered by the admin SQL editor.
+ */
+class ExplainPlanTreeTest extends TestCase
+{
+    private ExplainPlanTree $builder;
+
+    protected function setUp(): void
+    {
+        $this->builder = new ExplainPlanTree();
+    }
+
+    /**
+     * Test that a MySQL FORMAT=JSON plan becomes a tree with costs and scan warnings
+     */
+    public function testBuildsMySQLJsonPlan(): void
+    {
+        $json = json_encode(['query_block' => [
+            'select_id' => 1,
+            'cost_info' => ['query_cost' => '101.25'],
+            'ordering_operation' => [
+                'using_filesort' => true,
+                'nested_loop' => [
+                    ['table' => [
+                        'table_name' => 'u',
+                        'access_type' => 'ALL',
+                        'rows_examined_per_scan' => 1000,
+                        'cost_info' => ['prefix_cost' => '100.25'],
+                        'attached_condition' => '(u.active = 1)',
+                    ]],
+                    ['table' => [
+                        'table_name' => 'r',
+                        'access_type' => 'eq_ref',
+                        'key' => 'PRIMARY',
+                        'rows_examined_per_scan' => 1,
+                        'cost_info' => ['prefix_cost' => '101.25'],
+                    ]],
+                ],
+            ],
+        ]]);
+
+        $plan = $this->builder->build('mysql', [['EXPLAIN' => $json]]);
+
+        $root = $plan['nodes'][0];
+        $this->assertSame('Query block #1', $root['operation']);
+        $this->assertSame(101.25, $plan['total_cost']);
+
+        $order = $root['children'][0];
+        $this->assertSame('Order', $order['operation']);
+        $this->assertSame(['Sorts rows with a filesort'], $order['warnings']);
+
+        [$scan, $lookup] = $order['children'][0]['children'];
+        $this->assertSame('Full table scan', $scan['operation']);
+        $this->assertSame('u', $scan['table']);
+        $this->assertTrue($scan['full_scan']);
+        $this->assertSame(1000.0, $scan['rows']);
+        $this->assertSame('(u.active = 1)', $scan['details']['condition']);
+        $this->assertSame('PRIMARY', $lookup['index']);
+        $this->assertFalse($lookup['full_scan']);
+
+        $this->assertSame(['Sorts rows with a filesort', 'Full table scan on u'], $plan['warnings']);
+    }
+
+    /**
+     * Test that the MySQL EXPLAIN ANALYZE text tree is parsed by indentation
+     */
+    public function testBuildsMySQLAnalyzeTree(): void
+    {
+        $output = "-> Nested loop inner join  (cost=2.20 rows=3) (actual time=0.052..0.071 rows=3 loops=1)\n"
+            . "    -> Table scan on u  (cost=1.10 rows=3) (actual time=0.031..0.038 rows=3 loops=1)\n"
+            . "    -> Single-row index lookup on r using PRIMARY (id=u.role_id)"
+            . "  (cost=0.28 rows=1) (actual time=0.008..0.008 rows=1 loops=3)\n";
+
+        $plan = $this->builder->build('mysql', [['EXPLAIN' => $output]]);
+
+        $this->assertCount(1, $plan['nodes']);
+        $root = $plan['nodes'][0];
+        $this->assertSame('Nested loop inner join', $root['operation']);
+        $this->assertSame(2.2, $root['cost']);
+        $this->assertSame(0.071, $root['actual_time']);
+        $this->assertCount(2, $root['children']);
+
+        [$scan, $lookup] = $root['children'];
+        $this->assertSame('u', $scan['table']);
+        $this->assertTrue($scan['full_scan']);
+        $this->assertSame('r', $lookup['table']);
+        $this->assertSame('PRIMARY', $lookup['index']);
+        $this->assertSame(3, $lookup['loops']);
+
+        $this->assertSame(['Full table scan on u'], $plan['warnings']);
+    }
+
+    /**
+     * Test that a PostgreSQL JSON plan keeps timings and flags sequential scans and bad estimates
+     */
+    public function testBuildsPostgresPlan(): void
+    {
+        $json = json_encode([[
+            'Plan' => [
+                'Node Type' => 'Hash Join',
+                'Join Type' => 'Inner',
+                'Total Cost' => 35.5,
+                'Plan Rows' => 10,
+                'Actual Rows' => 500,
+                'Actual Total Time' => 1.2,
+                'Actual Loops' => 1,
+                'Hash Cond' => '(u.role_id = r.id)',
+                'Plans' => [
+                    [
+                        'Node Type' => 'Seq Scan',
+                        'Relation Name' => 'users',
+                        'Alias' => 'u',
+                        'Total Cost' => 20.0,
+                        'Plan Rows' => 10,
+                        'Actual Rows' => 500,
+                        'Actual Total Time' => 0.4,
+                        'Actual Loops' => 1,
+                    ],
+                    [
+                        'Node Type' => 'Index Scan',
+                        'Relation Name' => 'roles',
+                        'Index Name' => 'roles_pkey',
+                        'Total Cost' => 12,
+                        'Plan Rows' => 5,
+                        'Actual Rows' => 5,
+                        'Actual Total Time' => 0.05,
+                        'Actual Loops' => 1,
+                    ],
+                ],
+            ],
+            'Planning Time' => 0.2,
+            'Execution Time' => 1.5,
+        ]]);
+
+        $plan = $this->builder->build('pgsql', [['QUERY PLAN' => $json]]);
+
+        $root = $plan['nodes'][0];
+        $this->assertSame('Hash Join (Inner)', $root['operation']);
+        $this->assertSame('(u.role_id = r.id)', $root['details']['Hash Cond']);
+        $this->assertSame(35.5, $plan['total_cost']);
+        $this->assertSame(0.2, $plan['planning_time']);
+        $this->assertSame(1.5, $plan['execution_time']);
+
+        [$scan, $index] = $root['children'];
+        $this->assertTrue($scan['full_scan']);
+        $this->assertSame(500.0, $scan['actual_rows']);
+        $this->assertSame('roles_pkey', $index['index']);
+        $this->assertSame([], $index['warnings']);
+
+        $this->assertSame(
+            ['Row estimate is off: expected 10, got 500', 'Full table scan on users'],
+            $plan['warnings']
+        );
+    }
+
+    /**
+     * Test that SQLite query plan rows are nested by parent id
+     */
+    public function testBuildsSQLitePlan(): void
+    {
+        $plan = $this->builder->build('sqlite', [
+            ['id' => 2, 'parent' => 0, 'detail' => 'SCAN users'],
+            ['id' => 4, 'parent' => 0, 'detail' => 'SEARCH roles USING INTEGER PRIMARY KEY (rowid=?)'],
+            ['id' => 7, 'parent' => 0, 'detail' => 'USE TEMP B-TREE FOR ORDER BY'],
+            ['id' => 10, 'parent' => 0, 'detail' => 'SCALAR SUBQUERY 1'],
+            ['id' => 12, 'parent' => 10, 'detail' => 'SEARCH tags USING COVERING INDEX tags_name (name=?)'],
+        ]);
+
+        $this->assertCount(4, $plan['nodes']);
+        $this->assertTrue($plan['nodes'][0]['full_scan']);
+        $this->assertSame('roles', $plan['nodes'][1]['table']);
+        $this->assertFalse($plan['nodes'][1]['full_scan']);
+
+        $subquery = $plan['nodes'][3]['children'][0];
+        $this->assertSame('tags', $subquery['table']);
+        $this->assertSame('tags_name', $subquery['index']);
+
+        $this->assertSame(['Full table scan on users', 'Uses a temporary B-tree'], $plan['warnings']);
+    }
+
+    /**
+     * Test that unsupported drivers are rejected
+     */
+    public function testRejectsUnsupportedDriver(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        $this->builder->build('sqlsrv', []);
+    }
+}
@@ -0,0 +1,116 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\ExportWriter;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * ExportWriter Unit Tests
+ *
+ * Tests serialization of streamed data exports in every supported format.
+ */
+class ExportWriterTest extends TestCase
+{
+    /**
+     * Test that CSV output has a header row and quotes only where needed
+     */
+    public function testWritesCsv(): void
+    {
+        $writer = new ExportWriter('csv');
+
+        $output = $writer->begin(['id', 'note'])
+            . $writer->write(['id' => 1, 'note' => 'plain'])
+            . $writer->write(['note' => "say \"hi\", bye\nnow", 'id' => 2])
+            . $writer->write(['id' => 3, 'note' => null])
+            . $writer->finish();
+
+        $this->assertSame("id,note\r\n1,plain\r\n2,\"say \"\"hi\"\", bye\nnow\"\r\n3,\r\n", $output);
+    }
+
+    /**
+     * Test that NDJSON output has one object per line in column order
+     */
+    public function testWritesNdjson(): void
+    {
+        $writer = new ExportWriter('ndjson');
+
+        $output = $writer->begin(['id', 'path'])
+            . $writer->write(['path' => '/tmp/é', 'id' => 1])
+            . $writer->write(['id' => 2, 'path' => null])
+            . $writer->finish();
+
+        $this->assertSame("{\"id\":1,\"path\":\"/tmp/é\"}\n{\"id\":2,\"path\":null}\n", $output);
+    }
+
+    /**
+     * Test that INSERT statements are batched and escaped for the dialect
+     */
+    public function testWritesInsertStatements(): void
+    {
+        $mysql = new ExportWriter('sql', 'mysql', 'users');
+        $output = $mysql->begin(['id', 'name'])
+            . $mysql->write(['id' => '1', 'name' => "O'Brien \\ co"])
+            . $mysql->write(['id' => 2, 'name' => null])
+            . $mysql->finish();
+
+        $this->assertSame(
+            "INSERT INTO `users` (`id`, `name`) VALUES\n('1', 'O''Brien \\\\ co'),\n(2, NULL);\n",
+            $output
+        );
+
+        $pgsql = new ExportWriter('sql', 'pgsql', 'files');
+        $pgsql->begin(['active', 'data']);
+        $output = '';
+        for ($i = 0; $i < 101; $i++) {
+            $output .= $pgsql->write(['active' => true, 'data' => "\xff\x00"]);
+        }
+        $output .= $pgsql->finish();
+
+        $this->assertSame(2, substr_count($output, 'INSERT INTO "files" ("active", "data") VALUES'));
+        $this->assertStringContainsString("(TRUE, decode('ff00', 'hex'))", $output);
+    }
+
+    /**
+     * Test that XLSX output is a valid workbook with typed cells
+     */
+    public function testWritesXlsx(): void
+    {
+        if (!class_exists(\ZipArchive::class)) {
+            $this->markTestSkipped('The zip extension is required to read the workbook');
+        }
+
+        $writer = new ExportWriter('xlsx', 'mysql', 'orders');
+        $output = $writer->begin(['id', 'code', 'note'])
+            . $writer->write(['id' => '42', 'code' => '007', 'note' => 'a < b & c'])
+            . $writer->finish();
+
+        $file = tempnam(sys_get_temp_dir(), 'xlsx');
+        file_put_contents($file, $output);
+
+        $zip = new \ZipArchive();
+        $this->assertTrue($zip->open($file));
+        $sheet = $zip->getFromName('xl/worksheets/sheet1.xml');
+        $workbook = $zip->getFromName('xl/workbook.xml');
+        $this->assertNotFalse($zip->getFromName('[Content_Types].xml'));
+        $zip->close();
+        unlink($file);
+
+        $this->assertStringContainsString('<c><v>42</v></c>', $sheet);
+        $this->assertStringContainsString('<t xml:space="preserve">007</t>', $sheet);
+        $this->assertStringContainsString('a &lt; b &amp; c', $sheet);
+        $this->assertStringContainsString('<sheet name="orders" sheetId="1" r:id="rId1"/>', $workbook);
+    }
+
+    /**
+     * Test that unknown formats are rejected
+     */
+    public function testRejectsUnknownFormat(): void
+    {
+        $this->expectException(\InvalidArgumentException::class);
+
+        new ExportWriter('pdf');
+    }
+}
@@ -0,0 +1,137 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\ForeignKeyInspector;
+use PHPUnit\Framework\TestCase;
+use Tests\Unit\Database\Mocks\MockSQLiteConnection;
+
+/**
+ * ForeignKeyInspector Unit Tests
+ *
+ * Tests reverse foreign key lookups and delete impact analysis on an
+ * in-memory SQLite database.
+ */
+class ForeignKeyInspectorTest extends TestCase
+{
+    /** @var MockSQLiteConnection */
+    private MockSQLiteConnection $connection;
+
+    /** @var ForeignKeyInspector */
+    private ForeignKeyInspector $inspector;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->connection = new MockSQLiteConnection();
+        $pdo = $this->connection->getPDO();
+
+        $pdo->exec('CREATE TABLE authors (id INTEGER PRIMARY KEY, name TEXT)');
+        $pdo->exec('CREATE TABLE posts (id INTEGER PRIMARY KEY, author_id INTEGER, title TEXT)');
+        $pdo->exec('CREATE TABLE comments (id INTEGER PRIMARY KEY, post_id INTEGER)');
+        $pdo->exec('CREATE TABLE profiles (id INTEGER PRIMARY KEY, author_id INTEGER)');
+        $pdo->exec('CREATE TABLE invoices (id INTEGER PRIMARY KEY, author_id INTEGER)');
+
+        $pdo->exec("INSERT INTO authors (id, name) VALUES (1, 'Ada'), (2, 'Linus')");
+        $pdo->exec("INSERT INTO posts (id, author_id, title) VALUES (1, 1, 'a'), (2, 1, 'b'), (3, 2, 'c')");
+        $pdo->exec('INSERT INTO comments (id, post_id) VALUES (1, 1), (2, 1), (3, 2), (4, 3)');
+        $pdo->exec('INSERT INTO profiles (id, author_id) VALUES (1, 1)');
+        $pdo->exec('INSERT INTO invoices (id, author_id) VALUES (1, 2)');
+
+        $this->inspector = new ForeignKeyInspector($this->connection, array_merge(
+            $this->edges('posts', 'author_id', 'authors', 'CASCADE'),
+            $this->edges('comments', 'post_id', 'posts', 'cascade'),
+            $this->edges('profiles', 'author_id', 'authors', 'SET NULL'),
+            $this->edges('invoices', 'author_id', 'authors', 'RESTRICT')
+        ));
+    }
+
+    /**
+     * Test that edges are built from column metadata with normalized actions
+     */
+    public function testBuildsEdgesFromColumnMetadata(): void
+    {
+        $edges = ForeignKeyInspector::edges('posts', [
+            ['name' => 'id', 'relationships' => []],
+            ['name' => 'author_id', 'relationships' => [[
+                'constraint' => 'fk_posts_author',
+                'references_table' => 'authors',
+                'references_column' => 'id',
+                'on_delete' => 'set_null',
+            ]]],
+            ['name' => 'editor_id', 'relationships' => [[
+                'references_table' => 'authors',
+                'references_column' => 'id',
+            ]]],
+        ]);
+
+        $this->assertCount(2, $edges);
+        $this->assertSame('SET NULL', $edges[0]['on_delete']);
+        $this->assertSame('fk_posts_author', $edges[0]['constraint']);
+        $this->assertSame('NO ACTION', $edges[1]['on_delete']);
+    }
+
+    /**
+     * Test that referencing rows are grouped per foreign key with a total count
+     */
+    public function testListsReferencingRows(): void
+    {
+        $groups = $this->inspector->referencingRows('authors', ['id' => 1, 'name' => 'Ada'], 1);
+
+        $this->assertSame(['posts', 'profiles', 'invoices'], array_column($groups, 'table'));
+        $this->assertSame([2, 1, 0], array_column($groups, 'count'));
+        $this->assertCount(1, $groups[0]['rows']);
+        $this->assertSame('CASCADE', $groups[0]['on_delete']);
+    }
+
+    /**
+     * Test that cascades are followed and SET NULL effects are collected
+     */
+    public function testFollowsCascadesInDeleteImpact(): void
+    {
+        $impact = $this->inspector->deleteImpact('authors', 'id', [1]);
+
+        $this->assertSame(['authors' => 1, 'posts' => 2, 'comments' => 3], $impact['deleted']);
+        $this->assertSame(['profiles.author_id' => 1], $impact['updated']);
+        $this->assertSame([], $impact['blocking']);
+        $this->assertFalse($impact['blocked']);
+        $this->assertSame('comments', $impact['effects'][0]['effects'][0]['table']);
+    }
+
+    /**
+     * Test that restricting foreign keys block the delete when they are enforced
+     */
+    public function testReportsRestrictingReferences(): void
+    {
+        $impact = $this->inspector->deleteImpact('authors', 'id', [2]);
+
+        $this->assertSame(
+            [['table' => 'invoices', 'column' => 'author_id', 'on_delete' => 'RESTRICT', 'count' => 1]],
+            $impact['blocking']
+        );
+        $this->assertFalse($impact['enforced']);
+        $this->assertFalse($impact['blocked']);
+
+        $this->connection->getPDO()->exec('PRAGMA foreign_keys = ON');
+
+        $this->assertTrue($this->inspector->deleteImpact('authors', 'id', [2])['blocked']);
+    }
+
+    /**
+     * Build the edges of one foreign key
+     */
+    private function edges(string $table, string $column, string $references, string $onDelete): array
+    {
+        return ForeignKeyInspector::edges($table, [[
+            'name' => $column,
+            'relationships' => [[
+                'references_table' => $references,
+                'references_column' => 'id',
+                'on_delete' => $onDelete,
+            ]],
+        ]]);
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\ImportRowValidator;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * ImportRowValidator Unit Tests
+ *
+ * Tests validation and normalization of imported rows against column metadata.
+ */
+class ImportRowValidatorTest extends TestCase
+{
+    /** @var ImportRowValidator */
+    private ImportRowValidator $validator;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->validator = new ImportRowValidator([
+            ['name' => 'id', 'type' => 'int(11)', 'nullable' => false, 'default' => null, 'extra' => 'auto_increment'],
+            ['name' => 'email', 'type' => 'varchar(10)', 'nullable' => false, 'default' => null],
+            ['name' => 'age', 'type' => 'int(10) unsigned', 'nullable' => true, 'default' => null],
+            ['name' => 'score', 'type' => 'decimal(5,2)', 'nullable' => true, 'default' => null],
+            ['name' => 'active', 'type' => 'tinyint(1)', 'nullable' => false, 'default' => '1'],
+            ['name' => 'born', 'type' => 'date', 'nullable' => true, 'default' => null],
+            ['name' => 'meta', 'type' => 'json', 'nullable' => true, 'default' => null],
+            ['name' => 'status', 'type' => "enum('Active','Inactive')", 'nullable' => true, 'default' => null],
+        ]);
+    }
+
+    /**
+     * Test that valid CSV strings are normalized for their column types
+     */
+    public function testNormalizesValidRow(): void
+    {
+        $result = $this->validator->validate([
+            'email' => 'a@b.co',
+            'age' => ' 42 ',
+            'score' => '',
+            'active' => 'yes',
+            'born' => '1990-02-03',
+            'meta' => '{"a":1}',
+            'status' => 'Active',
+            'unknown' => 'dropped',
+        ]);
+
+        $this->assertSame([], $result['errors']);
+        $this->assertSame('42', $result['row']['age']);
+        $this->assertNull($result['row']['score']);
+        $this->assertSame(1, $result['row']['active']);
+        $this->assertArrayNotHasKey('unknown', $result['row']);
+    }
+
+    /**
+     * Test that invalid values are reported per column
+     */
+    public function testReportsErrorsPerColumn(): void
+    {
+        $result = $this->validator->validate([
+            'email' => 'far-too-long@example.com',
+            'age' => '-1',
+            'score' => 'abc',
+            'active' => 'maybe',
+            'born' => '1990-13-45',
+            'meta' => '{broken',
+            'status' => 'active',
+        ]);
+
+        $this->assertSame([
+            'email' => 'Must be at most 10 characters',
+            'age' => 'Must not be negative',
+            'score' => 'Must be a number',
+            'active' => 'Must be true or false',
+            'born' => 'Must be a valid date or time',
+            'meta' => 'Must be valid JSON',
+            'status' => 'Must be one of: Active, Inactive',
+        ], $result['errors']);
+    }
+
+    /**
+     * Test that required columns are only enforced for complete rows
+     */
+    public function testChecksRequiredColumns(): void
+    {
+        $this->assertSame(['email' => 'A value is required'], $this->validator->validate(['age' => '3'])['errors']);
+        $this->assertSame([], $this->validator->validate(['age' => '3'], false)['errors']);
+        $this->assertSame(
+            ['email' => 'A value is required'],
+            $this->validator->validate(['email' => null], false)['errors']
+        );
+    }
+}
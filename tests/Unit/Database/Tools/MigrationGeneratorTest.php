@@ -0,0 +1,212 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\MigrationGenerator;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * MigrationGenerator Unit Tests
+ *
+ * Tests the migration source generated from schema editor changes and the
+ * naming of new migration files.
+ */
+class MigrationGeneratorTest extends TestCase
+{
+    /** @var array Current columns of the posts table */
+    private array $columns = [
+        [
+            'name' => 'id',
+            'type' => 'bigint',
+            'nullable' => false,
+            'default' => null,
+            'indexes' => [['name' => 'PRIMARY', 'type' => 'PRIMARY KEY', 'sequence' => 1]],
+            'relationships' => [],
+        ],
+        [
+            'name' => 'author_id',
+            'type' => 'bigint',
+            'nullable' => false,
+            'default' => null,
+            'indexes' => [['name' => 'posts_author_status_idx', 'type' => 'INDEX', 'sequence' => 1]],
+            'relationships' => [[
+                'constraint' => 'fk_posts_author_id',
+                'column' => 'author_id',
+                'references_table' => 'users',
+                'references_column' => 'id',
+                'on_update' => 'NO ACTION',
+                'on_delete' => 'CASCADE',
+            ]],
+        ],
+        [
+            'name' => 'status',
+            'type' => 'varchar(20)',
+            'nullable' => false,
+            'default' => 'draft',
+            'indexes' => [['name' => 'posts_author_status_idx', 'type' => 'INDEX', 'sequence' => 2]],
+            'relationships' => [],
+        ],
+        [
+            'name' => 'slug',
+            'type' => 'varchar(120)',
+            'nullable' => true,
+            'default' => null,
+            'indexes' => [['name' => 'posts_slug_unq', 'type' => 'UNIQUE', 'sequence' => 1]],
+            'relationships' => [],
+        ],
+    ];
+
+    /**
+     * Test that added columns, indexes and foreign keys are removed again in down()
+     */
+    public function testGeneratesAdditions(): void
+    {
+        $code = (new MigrationGenerator('posts', $this->columns))->generate([
+            ['type' => 'add_index', 'index_name' => 'posts_subtitle_idx', 'columns' => ['subtitle']],
+            [
+                'type' => 'add_column',
+                'column_name' => 'subtitle',
+                'column_type' => 'varchar(200)',
+                'options' => ['nullable' => 'NOT NULL', 'default' => ''],
+            ],
+        ], 'AddSubtitleToPostsTable');
+
+        $this->assertStringContainsString('class AddSubtitleToPostsTable implements MigrationInterface', $code);
+        $this->assertStringContainsString(' * Add Subtitle To Posts Table Migration', $code);
+
+        [$up, $down] = $this->split($code);
+        $this->assertLessThan(
+            strpos($up, "\$table->index(['subtitle'], 'posts_subtitle_idx');"),
+            strpos($up, "\$table->addColumn('subtitle', 'varchar(200)')->nullable(false)->end();")
+        );
+        $this->assertStringContainsString('$schema->execute();', $up);
+        $this->assertLessThan(
+            strpos($down, "\$table->dropColumn('subtitle');"),
+            strpos($down, "\$table->dropIndex('posts_subtitle_idx');")
+        );
+        $this->assertStringContainsString('$schema->execute();', $down);
+    }
+
+    /**
+     * Test that dropped columns, indexes and foreign keys are restored from their current definition
+     */
+    public function testRestoresDropsInDown(): void
+    {
+        $code = (new MigrationGenerator('posts', $this->columns))->generate([
+            ['type' => 'drop_column', 'column_name' => 'status'],
+            ['type' => 'drop_index', 'index_name' => 'posts_author_status_idx'],
+            ['type' => 'drop_index', 'index_name' => 'slug'],
+            ['type' => 'drop_foreign_key', 'constraint_name' => 'fk_posts_author_id'],
+        ], 'TrimPostsTable', 'Remove post status');
+
+        [$up, $down] = $this->split($code);
+        $this->assertLessThan(strpos($up, "dropIndex('posts_author_status_idx')"), strpos($up, 'dropForeign('));
+        $this->assertLessThan(strpos($up, "dropColumn('status')"), strpos($up, "dropIndex('posts_slug_unq')"));
+
+        $this->assertStringContainsString(
+            "\$table->addColumn('status', 'varchar(20)')->nullable(false)->default('draft')->end();",
+            $down
+        );
+        $this->assertStringContainsString(
+            "\$table->index(['author_id', 'status'], 'posts_author_status_idx');",
+            $down
+        );
+        $this->assertStringContainsString("\$table->unique(['slug'], 'posts_slug_unq');", $down);
+        $this->assertStringContainsString(
+            "\$table->foreign('author_id')->references('id')->on('users')->name('fk_posts_author_id')"
+            . '->cascadeOnDelete()->noActionOnUpdate()->end();',
+            $down
+        );
+        $this->assertLessThan(strpos($down, 'foreign('), strpos($down, "addColumn('status'"));
+        $this->assertStringContainsString("return 'Remove post status';", $code);
+    }
+
+    /**
+     * Test that changes which cannot be generated or reversed are rejected
+     */
+    public function testRejectsInvalidChanges(): void
+    {
+        $generator = new MigrationGenerator('posts', $this->columns);
+
+        foreach (
+            [
+                [],
+                [['type' => 'modify_column', 'column_name' => 'status']],
+                [['type' => 'drop_column', 'column_name' => 'missing']],
+                [['type' => 'drop_foreign_key', 'constraint_name' => 'fk_missing']],
+                [['type' => 'add_column', 'column_name' => 'bad name', 'column_type' => 'int']],
+            ] as $changes
+        ) {
+            try {
+                $generator->generate($changes, 'AlterPostsTable');
+                $this->fail('Expected the changes to be rejected: ' . json_encode($changes));
+            } catch (\InvalidArgumentException $e) {
+                $this->assertNotEmpty($e->getMessage());
+            }
+        }
+    }
+
+    /**
+     * Test conversion of a schema update request into changes
+     */
+    public function testChangesFromUpdate(): void
+    {
+        $changes = MigrationGenerator::changesFromUpdate([
+            'table_name' => 'posts',
+            'columns' => [['name' => 'views', 'type' => 'int', 'options' => ['nullable' => 'NULL']]],
+            'indexes' => [['column' => 'views', 'type' => 'unique']],
+            'foreign_keys' => [['column' => 'editor_id', 'references' => 'id', 'on' => 'users']],
+            'deleted_columns' => ['status'],
+        ]);
+
+        $this->assertSame(
+            ['drop_column', 'add_column', 'add_index', 'add_foreign_key'],
+            array_column($changes, 'type')
+        );
+        $this->assertSame('posts_views_unq', $changes[2]['index_name']);
+        $this->assertTrue($changes[2]['unique']);
+        $this->assertSame('users', $changes[3]['references_table']);
+    }
+
+    /**
+     * Test that new files are numbered after existing migrations and names are unique
+     */
+    public function testFileName(): void
+    {
+        $directory = sys_get_temp_dir() . '/migration_generator_' . uniqid();
+        mkdir($directory);
+        touch("{$directory}/001_CreateInitialSchema.php");
+        touch("{$directory}/009_CreateSavedQueriesTables.php");
+
+        try {
+            $this->assertSame('AddSubtitleToPostsTable', MigrationGenerator::className('add_subtitle_to_posts_table'));
+            $this->assertSame(
+                '010_AddSubtitleToPostsTable.php',
+                MigrationGenerator::fileName($directory, 'AddSubtitleToPostsTable')
+            );
+
+            $this->expectException(\InvalidArgumentException::class);
+            MigrationGenerator::fileName($directory, 'CreateSavedQueriesTables');
+        } finally {
+            array_map('unlink', glob("{$directory}/*.php"));
+            rmdir($directory);
+        }
+    }
+
+    /**
+     * Split generated source into the up() and down() bodies
+     *
+     * @return array{0: string, 1: string}
+     */
+    private function split(string $code): array
+    {
+        $down = strpos($code, 'public function down(');
+
+        return [
+            substr($code, strpos($code, 'public function up('), $down),
+            substr($code, $down, strpos($code, 'public function getDescription(') - $down),
+        ];
+    }
+}
@@ -0,0 +1,132 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\QueryParameters;
+use InvalidArgumentException;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * QueryParameters Unit Tests
+ *
+ * Tests placeholder discovery and value casting for saved query parameters.
+ */
+class QueryParametersTest extends TestCase
+{
+    /**
+     * Test that named placeholders are found once each, in order of use
+     */
+    public function testExtractsPlaceholdersInOrder(): void
+    {
+        $parameters = new QueryParameters('mysql');
+
+        $this->assertSame(
+            ['status', 'since', 'limit'],
+            $parameters->extract(
+                'SELECT * FROM users WHERE status = :status AND created_at >= :since '
+                . 'OR status = :status LIMIT :limit'
+            )
+        );
+    }
+
+    /**
+     * Test that strings, comments, casts and assignments are not placeholders
+     */
+    public function testIgnoresNonPlaceholderColons(): void
+    {
+        $mysql = new QueryParameters('mysql');
+        $pgsql = new QueryParameters('pgsql');
+
+        $this->assertSame(
+            ['id'],
+            $mysql->extract("SELECT ':quoted', @n := 1 -- :comment\nFROM t /* :block */ WHERE id = :id # :hash")
+        );
+        $this->assertSame(['day'], $pgsql->extract("SELECT created_at::date, '12:30'::time FROM t WHERE d = :day"));
+    }
+
+    /**
+     * Test that definitions are matched to placeholders and default to required strings
+     */
+    public function testNormalizesDefinitions(): void
+    {
+        $parameters = new QueryParameters('sqlite');
+
+        $normalized = $parameters->normalize('SELECT * FROM t WHERE a = :a AND b = :b', [
+            ['name' => 'b', 'type' => 'integer', 'label' => 'Bee', 'required' => false, 'default' => 3],
+            ['name' => 'unused', 'type' => 'date'],
+        ]);
+
+        $this->assertSame([
+            ['name' => 'a', 'type' => 'string', 'label' => 'a', 'required' => true, 'default' => null],
+            ['name' => 'b', 'type' => 'integer', 'label' => 'Bee', 'required' => false, 'default' => 3],
+        ], $normalized);
+    }
+
+    /**
+     * Test that unsupported types are rejected
+     */
+    public function testRejectsUnsupportedTypes(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+
+        (new QueryParameters())->normalize('SELECT :x', ['x' => ['type' => 'uuid']]);
+    }
+
+    /**
+     * Test that values are cast to their declared types
+     */
+    public function testCastsValues(): void
+    {
+        $parameters = new QueryParameters();
+        $definitions = $parameters->normalize('SELECT :n, :f, :b, :d, :t, :s, :o', [
+            'n' => ['type' => 'integer'],
+            'f' => ['type' => 'number'],
+            'b' => ['type' => 'boolean'],
+            'd' => ['type' => 'date'],
+            't' => ['type' => 'datetime'],
+            'o' => ['required' => false],
+        ]);
+
+        $result = $parameters->cast($definitions, [
+            'n' => '42',
+            'f' => '1.5',
+            'b' => 'false',
+            'd' => '2024-02-29',
+            't' => '2024-03-01T10:15',
+            's' => 'text',
+        ]);
+
+        $this->assertSame([], $result['errors']);
+        $this->assertSame([
+            'n' => 42,
+            'f' => 1.5,
+            'b' => false,
+            'd' => '2024-02-29',
+            't' => '2024-03-01 10:15:00',
+            's' => 'text',
+            'o' => null,
+        ], $result['values']);
+    }
+
+    /**
+     * Test that invalid and missing required values are reported by name
+     */
+    public function testReportsInvalidValues(): void
+    {
+        $parameters = new QueryParameters();
+        $definitions = $parameters->normalize('SELECT :n, :d, :s', [
+            'n' => ['type' => 'integer', 'label' => 'Count'],
+            'd' => ['type' => 'date'],
+        ]);
+
+        $result = $parameters->cast($definitions, ['n' => '4.2', 'd' => '2023-02-30']);
+
+        $this->assertSame([
+            'n' => 'Count must be a valid integer',
+            'd' => 'd must be a valid date',
+            's' => 's is required',
+        ], $result['errors']);
+    }
+}
@@ -0,0 +1,158 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\SchemaDriftDetector;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * SchemaDriftDetector Unit Tests
+ *
+ * Tests the conversion of live table columns to the table model and the
+ * differences reported between expected and live schemas.
+ */
+class SchemaDriftDetectorTest extends TestCase
+{
+    /** @var array Schema expected from migrations */
+    private array $expected = [
+        'posts' => [
+            'columns' => [
+                'id' => ['type' => 'bigInteger', 'nullable' => false],
+                'author_id' => ['type' => 'string(12)', 'nullable' => false],
+                'status' => ['type' => 'string(20)', 'nullable' => false],
+                'slug' => ['type' => 'string(120)', 'nullable' => false],
+            ],
+            'indexes' => [
+                'posts_author_status_idx' => ['columns' => ['author_id', 'status'], 'unique' => false],
+                'posts_slug_unique' => ['columns' => ['slug'], 'unique' => true],
+            ],
+            'foreign_keys' => [
+                'posts_author_id_foreign' => [
+                    'column' => 'author_id',
+                    'references_table' => 'users',
+                    'references_column' => 'uuid',
+                ],
+            ],
+        ],
+        'tags' => [
+            'columns' => ['id' => ['type' => 'integer', 'nullable' => false]],
+            'indexes' => [],
+            'foreign_keys' => [],
+        ],
+    ];
+
+    /**
+     * Test conversion of live columns with composite indexes and foreign keys
+     */
+    public function testDescribeTable(): void
+    {
+        $table = SchemaDriftDetector::describeTable($this->liveColumns());
+
+        $this->assertSame(['id', 'author_id', 'status', 'slug', 'views'], array_keys($table['columns']));
+        $this->assertSame(
+            ['columns' => ['author_id', 'status'], 'unique' => false],
+            $table['indexes']['posts_author_status_idx']
+        );
+        $this->assertArrayNotHasKey('PRIMARY', $table['indexes']);
+        $this->assertSame('users', $table['foreign_keys']['fk_posts_author']['references_table']);
+    }
+
+    /**
+     * Test that indexes and foreign keys are matched by definition, not by name
+     */
+    public function testMatchesRenamedIndexesAndForeignKeys(): void
+    {
+        $live = [
+            'posts' => SchemaDriftDetector::describeTable($this->liveColumns()),
+            'tags' => $this->expected['tags'],
+        ];
+        $differences = (new SchemaDriftDetector($this->expected))->compare($live);
+
+        $this->assertSame(
+            [
+                ['posts', 'column', 'views', 'extra'],
+                ['posts', 'index', 'posts_slug_unique', 'missing'],
+                ['posts', 'index', 'posts_views_idx', 'extra'],
+            ],
+            array_map(fn (array $d) => [$d['table'], $d['type'], $d['name'], $d['status']], $differences)
+        );
+        $this->assertSame(['columns' => ['slug'], 'unique' => true], $differences[1]['definition']);
+    }
+
+    /**
+     * Test that tables only on one side are reported once
+     */
+    public function testReportsMissingAndExtraTables(): void
+    {
+        $live = [
+            'posts' => $this->expected['posts'],
+            'audit_backup' => ['columns' => ['id' => ['type' => 'int', 'nullable' => false]]] + $this->expected['tags'],
+        ];
+        $differences = (new SchemaDriftDetector($this->expected))->compare($live);
+
+        $this->assertSame(
+            [['audit_backup', 'table', 'extra'], ['tags', 'table', 'missing']],
+            array_map(fn (array $d) => [$d['table'], $d['type'], $d['status']], $differences)
+        );
+        $this->assertSame([], (new SchemaDriftDetector($this->expected))->compare($this->expected));
+    }
+
+    /**
+     * Live columns of the posts table
+     *
+     * The foreign key index MySQL adds is named after the constraint and the
+     * slug unique index was dropped in the table editor.
+     *
+     * @return array Columns as returned by the schema manager
+     */
+    private function liveColumns(): array
+    {
+        return [
+            [
+                'name' => 'id',
+                'type' => 'bigint',
+                'nullable' => false,
+                'indexes' => [['name' => 'PRIMARY', 'type' => 'PRIMARY KEY', 'sequence' => 1]],
+                'relationships' => [],
+            ],
+            [
+                'name' => 'author_id',
+                'type' => 'varchar(12)',
+                'nullable' => false,
+                'indexes' => [
+                    ['name' => 'posts_author_status_idx', 'type' => 'INDEX', 'sequence' => 1],
+                    ['name' => 'fk_posts_author', 'type' => 'INDEX', 'sequence' => 1],
+                ],
+                'relationships' => [[
+                    'constraint' => 'fk_posts_author',
+                    'column' => 'author_id',
+                    'references_table' => 'users',
+                    'references_column' => 'uuid',
+                ]],
+            ],
+            [
+                'name' => 'status',
+                'type' => 'varchar(20)',
+                'nullable' => false,
+                'indexes' => [['name' => 'posts_author_status_idx', 'type' => 'INDEX', 'sequence' => 2]],
+                'relationships' => [],
+            ],
+            [
+                'name' => 'slug',
+                'type' => 'varchar(120)',
+                'nullable' => false,
+                'indexes' => [],
+                'relationships' => [],
+            ],
+            [
+                'name' => 'views',
+                'type' => 'int',
+                'nullable' => true,
+                'indexes' => [['name' => 'posts_views_idx', 'type' => 'INDEX', 'sequence' => 1]],
+                'relationships' => [],
+            ],
+        ];
+    }
+}
@@ -0,0 +1,124 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\SqlStatementClassifier;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * SqlStatementClassifier Unit Tests
+ *
+ * Tests classification of statements for the guarded write mode of the SQL console.
+ */
+class SqlStatementClassifierTest extends TestCase
+{
+    /**
+     * Test that statements are classified as read, DML, DDL or transaction control
+     */
+    public function testClassifiesStatements(): void
+    {
+        $classifier = new SqlStatementClassifier('mysql');
+
+        $this->assertSame('read', $classifier->classify('SELECT * FROM users'));
+        $this->assertSame('read', $classifier->classify("-- note\nSHOW TABLES"));
+        $this->assertSame('dml', $classifier->classify("INSERT INTO logs (message) VALUES ('DROP TABLE x')"));
+        $this->assertSame('dml', $classifier->classify('REPLACE INTO settings VALUES (1, 2)'));
+        $this->assertSame('ddl', $classifier->classify('CREATE TABLE t (id INT)'));
+        $this->assertSame('ddl', $classifier->classify('TRUNCATE TABLE sessions'));
+        $this->assertSame('ddl', $classifier->classify('OPTIMIZE TABLE users'));
+        $this->assertSame('transaction', $classifier->classify('START TRANSACTION'));
+        $this->assertSame('transaction', $classifier->classify('COMMIT'));
+    }
+
+    /**
+     * Test that statements starting with a read keyword are checked for hidden writes
+     */
+    public function testDetectsWritesBehindReadKeywords(): void
+    {
+        $classifier = new SqlStatementClassifier('pgsql');
+
+        $this->assertSame('read', $classifier->classify('WITH recent AS (SELECT 1) SELECT * FROM recent'));
+        $this->assertSame('dml', $classifier->classify(
+            'WITH old AS (SELECT id FROM logs) DELETE FROM logs WHERE id IN (SELECT id FROM old)'
+        ));
+        $this->assertSame('read', $classifier->classify('EXPLAIN DELETE FROM logs'));
+        $this->assertSame('dml', $classifier->classify('EXPLAIN ANALYZE DELETE FROM logs'));
+        $this->assertSame('dml', $classifier->classify('EXPLAIN (ANALYZE) DELETE FROM logs'));
+        $this->assertSame('dml', $classifier->classify('EXPLAIN (ANALYZE, BUFFERS) UPDATE logs SET level = 1'));
+        $this->assertSame('read', $classifier->classify('EXPLAIN (COSTS OFF) DELETE FROM logs'));
+
+        // Data-modifying CTEs run even when the outer statement only reads
+        $this->assertSame('dml', $classifier->classify(
+            'WITH d AS (DELETE FROM users RETURNING *) SELECT * FROM d'
+        ));
+        $this->assertSame('dml', $classifier->classify(
+            'WITH a AS (SELECT 1), b AS (INSERT INTO logs (message) VALUES (1) RETURNING id) SELECT * FROM b'
+        ));
+        $this->assertSame('read', $classifier->classify(
+            "WITH d AS (SELECT 'DELETE FROM users' AS note) SELECT * FROM d"
+        ));
+
+        $sqlite = new SqlStatementClassifier('sqlite');
+        $this->assertSame('read', $sqlite->classify('PRAGMA table_info(users)'));
+        $this->assertSame('ddl', $sqlite->classify('PRAGMA foreign_keys = OFF'));
+    }
+
+    /**
+     * Test that the target table, alias and WHERE clause of an UPDATE are found
+     */
+    public function testAnalyzesUpdate(): void
+    {
+        $classifier = new SqlStatementClassifier('mysql');
+        $analysis = $classifier->analyze("UPDATE `users` u SET note = 'a WHERE b' WHERE id = 3 LIMIT 1");
+
+        $this->assertSame('dml', $analysis['type']);
+        $this->assertSame('users', $analysis['table']);
+        $this->assertSame('`users`', $analysis['target']);
+        $this->assertSame('u', $analysis['alias']);
+        $this->assertSame('id = 3', $analysis['where']);
+        $this->assertTrue($analysis['filtered']);
+        $this->assertTrue($analysis['single_table']);
+    }
+
+    /**
+     * Test that UPDATE and DELETE without a real WHERE clause are reported as unfiltered
+     */
+    public function testDetectsUnfilteredChanges(): void
+    {
+        $classifier = new SqlStatementClassifier('pgsql');
+
+        $delete = $classifier->analyze('DELETE FROM public.orders');
+        $this->assertSame('orders', $delete['table']);
+        $this->assertFalse($delete['filtered']);
+        $this->assertTrue($delete['single_table']);
+
+        $this->assertFalse($classifier->analyze('DELETE FROM logs WHERE 1 = 1')['filtered']);
+        $this->assertFalse($classifier->analyze('UPDATE "Users" SET active = TRUE WHERE true')['filtered']);
+
+        // A WHERE inside a subquery does not filter the outer statement
+        $update = $classifier->analyze('UPDATE t SET a = (SELECT b FROM s WHERE s.id = t.id)');
+        $this->assertNull($update['where']);
+        $this->assertFalse($update['filtered']);
+    }
+
+    /**
+     * Test that multi-table statements keep their first table but are not sampled
+     */
+    public function testDetectsMultiTableStatements(): void
+    {
+        $mysql = new SqlStatementClassifier('mysql');
+        $delete = $mysql->analyze('DELETE t1 FROM t1 JOIN t2 ON t2.id = t1.t2_id WHERE t2.flag = 1');
+
+        $this->assertSame('t1', $delete['table']);
+        $this->assertFalse($delete['single_table']);
+        $this->assertTrue($delete['filtered']);
+
+        $pgsql = new SqlStatementClassifier('pgsql');
+        $update = $pgsql->analyze('UPDATE orders SET total = s.total FROM sums s WHERE s.id = orders.id');
+
+        $this->assertSame('orders', $update['table']);
+        $this->assertFalse($update['single_table']);
+    }
+}
@@ -0,0 +1,105 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\SqlStatementSplitter;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * SqlStatementSplitter Unit Tests
+ *
+ * Tests splitting of SQL scripts into statements for the admin SQL editor.
+ */
+class SqlStatementSplitterTest extends TestCase
+{
+    /**
+     * Test that statements are split on semicolons and trimmed
+     */
+    public function testSplitsOnSemicolons(): void
+    {
+        $splitter = new SqlStatementSplitter('mysql');
+
+        $this->assertSame(
+            ['SELECT 1', 'SELECT 2', 'UPDATE users SET active = 1 WHERE id = 3'],
+            $splitter->split("SELECT 1;\n  SELECT 2 ;\nUPDATE users SET active = 1 WHERE id = 3")
+        );
+    }
+
+    /**
+     * Test that semicolons inside strings, identifiers and comments are ignored
+     */
+    public function testIgnoresSemicolonsInStringsAndComments(): void
+    {
+        $splitter = new SqlStatementSplitter('mysql');
+        $sql = "SELECT 'a;b', \"c;d\", `e;f` FROM t; -- trailing; comment\n"
+            . "SELECT 'it''s; fine', 'back\\'slash;' /* block; comment */; # hash; comment";
+
+        $this->assertSame([
+            "SELECT 'a;b', \"c;d\", `e;f` FROM t",
+            "-- trailing; comment\nSELECT 'it''s; fine', 'back\\'slash;' /* block; comment */",
+        ], $splitter->split($sql));
+    }
+
+    /**
+     * Test that statements made only of comments and whitespace are dropped
+     */
+    public function testDropsEmptyStatements(): void
+    {
+        $splitter = new SqlStatementSplitter('sqlite');
+
+        $this->assertSame(['SELECT 1'], $splitter->split(";; SELECT 1;\n-- done\n;  "));
+        $this->assertSame([], $splitter->split('   '));
+    }
+
+    /**
+     * Test that PostgreSQL dollar-quoted bodies are kept whole
+     */
+    public function testKeepsPostgresDollarQuotedBodies(): void
+    {
+        $splitter = new SqlStatementSplitter('pgsql');
+        $function = "CREATE FUNCTION touch() RETURNS trigger AS \$body\$\nBEGIN\n"
+            . "  NEW.updated_at := now();\n  RETURN NEW;\nEND;\n\$body\$ LANGUAGE plpgsql";
+
+        $this->assertSame(
+            [$function, 'SELECT $1::int'],
+            $splitter->split($function . ";\nSELECT \$1::int;")
+        );
+    }
+
+    /**
+     * Test that BEGIN ... END bodies of triggers and procedures are kept whole
+     */
+    public function testKeepsRoutineBodies(): void
+    {
+        $splitter = new SqlStatementSplitter('mysql');
+        $procedure = "CREATE PROCEDURE archive(IN days INT)\nBEGIN\n"
+            . "  IF days > 0 THEN\n    DELETE FROM logs WHERE age > days;\n  END IF;\n"
+            . "  SELECT CASE WHEN days > 30 THEN 'old' ELSE 'new' END;\nEND";
+
+        $this->assertSame(
+            [$procedure, 'CALL archive(30)'],
+            $splitter->split($procedure . ";\nCALL archive(30);")
+        );
+
+        $sqlite = new SqlStatementSplitter('sqlite');
+        $trigger = "CREATE TRIGGER stamp AFTER UPDATE ON users BEGIN\n"
+            . "  UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;\nEND";
+
+        $this->assertSame([$trigger, 'SELECT 1'], $sqlite->split($trigger . '; SELECT 1'));
+    }
+
+    /**
+     * Test that the first keyword skips comments and parentheses
+     */
+    public function testFirstKeyword(): void
+    {
+        $splitter = new SqlStatementSplitter('mysql');
+
+        $this->assertSame('SELECT', $splitter->firstKeyword("-- note\n/* more */ (select 1)"));
+        $this->assertSame('DELETE', $splitter->firstKeyword("# hash\ndelete from users"));
+        $this->assertSame('WITH', $splitter->firstKeyword('WITH t AS (SELECT 1) SELECT * FROM t'));
+        $this->assertSame('', $splitter->firstKeyword('-- only a comment'));
+    }
+}
@@ -0,0 +1,123 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Database\Tools;
+
+use Glueful\Database\Tools\TableImporter;
+use PHPUnit\Framework\TestCase;
+use Tests\Unit\Database\Mocks\MockSQLiteConnection;
+
+/**
+ * TableImporter Unit Tests
+ *
+ * Tests chunked imports in insert and upsert mode on an in-memory SQLite database.
+ */
+class TableImporterTest extends TestCase
+{
+    /** @var MockSQLiteConnection */
+    private MockSQLiteConnection $connection;
+
+    /** @var array Column metadata of the items table */
+    private array $columns = [
+        ['name' => 'id', 'type' => 'integer', 'nullable' => false, 'default' => null, 'is_primary' => true],
+        ['name' => 'sku', 'type' => 'varchar(8)', 'nullable' => false, 'default' => null],
+        ['name' => 'qty', 'type' => 'integer', 'nullable' => true, 'default' => null],
+    ];
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->connection = new MockSQLiteConnection();
+        $pdo = $this->connection->getPDO();
+
+        $pdo->exec('CREATE TABLE items (id INTEGER PRIMARY KEY, sku VARCHAR(8) NOT NULL UNIQUE, qty INTEGER)');
+        $pdo->exec("INSERT INTO items (id, sku, qty) VALUES (1, 'A-1', 5)");
+    }
+
+    /**
+     * Test that valid rows are inserted and invalid rows are reported and skipped
+     */
+    public function testInsertSkipsInvalidRows(): void
+    {
+        $importer = new TableImporter($this->connection, 'items', $this->columns);
+
+        $report = $importer->run([
+            ['sku' => 'B-1', 'qty' => '3'],
+            ['sku' => 'B-2', 'qty' => 'many'],
+            ['qty' => '1'],
+        ], 10);
+
+        $this->assertTrue($report['written']);
+        $this->assertSame(1, $report['inserted']);
+        $this->assertSame(2, $report['skipped']);
+        $this->assertSame([
+            ['row' => 12, 'errors' => ['qty' => 'Must be a whole number']],
+            ['row' => 13, 'errors' => ['sku' => 'A value is required']],
+        ], $report['errors']);
+        $this->assertSame(2, $this->count());
+    }
+
+    /**
+     * Test that upsert updates matching rows, inserts the rest and writes nothing on a dry run
+     */
+    public function testUpsertByKeyColumn(): void
+    {
+        $importer = new TableImporter($this->connection, 'items', $this->columns, 'upsert', ['sku']);
+        $rows = [['sku' => 'A-1', 'qty' => '9'], ['sku' => 'C-1', 'qty' => '2'], ['sku' => 'A-1', 'qty' => '1']];
+
+        $preview = $importer->run($rows, 0, true);
+        $this->assertFalse($preview['written']);
+        $this->assertSame(1, $preview['to_update']);
+        $this->assertSame(1, $preview['to_insert']);
+        $this->assertSame([['row' => 3, 'errors' => ['_row' => 'Same key as row 1']]], $preview['errors']);
+        $this->assertSame(1, $this->count());
+
+        $report = $importer->run($rows);
+        $this->assertSame(1, $report['updated']);
+        $this->assertSame(1, $report['inserted']);
+        $this->assertSame(
+            '9',
+            (string)$this->connection->getPDO()->query("SELECT qty FROM items WHERE sku = 'A-1'")->fetchColumn()
+        );
+    }
+
+    /**
+     * Test that rows rejected by the database are skipped one by one
+     */
+    public function testSkipsRowsRejectedByDatabase(): void
+    {
+        $importer = new TableImporter($this->connection, 'items', $this->columns);
+
+        $report = $importer->run([['sku' => 'D-1'], ['sku' => 'A-1'], ['sku' => 'D-2']]);
+
+        $this->assertSame(2, $report['inserted']);
+        $this->assertSame(1, $report['skipped']);
+        $this->assertSame(2, $report['errors'][0]['row']);
+        $this->assertArrayHasKey('_row', $report['errors'][0]['errors']);
+        $this->assertSame(3, $this->count());
+    }
+
+    /**
+     * Test that nothing is written when bad rows may not be skipped
+     */
+    public function testWritesNothingWhenErrorsAreNotSkipped(): void
+    {
+        $importer = new TableImporter($this->connection, 'items', $this->columns, 'insert', [], false);
+
+        $report = $importer->run([['sku' => 'E-1'], ['sku' => 'far-too-long']]);
+
+        $this->assertFalse($report['written']);
+        $this->assertSame(1, $report['invalid']);
+        $this->assertSame(1, $this->count());
+    }
+
+    /**
+     * Count the rows of the items table
+     */
+    private function count(): int
+    {
+        return (int)$this->connection->getPDO()->query('SELECT COUNT(*) FROM items')->fetchColumn();
+    }
+}
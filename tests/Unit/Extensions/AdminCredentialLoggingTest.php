@@ -0,0 +1,81 @@
+<?php
+
+namespace Tests\Unit\Extensions;
+
+use Tests\TestCase;
+
+/**
+ * Guards the admin SPA bundle against logging credentials
+ *
+ * Every console call in the built assets is extracted and its arguments are
+ * checked for anything that could put a token or Authorization header into
+ * the browser console.
+ */
+class AdminCredentialLoggingTest extends TestCase
+{
+    /**
+     * @var string Pattern for credential-bearing expressions
+     */
+    private const CREDENTIAL_PATTERN =
+        '/Authorization|access_token|refresh_token|getAuthHeader|getAccessToken|getRefreshToken' .
+        '|getCsrfToken|X-CSRF-Token|Bearer/i';
+
+    /**
+     * Test that no console call in the admin bundle references credentials
+     */
+    public function testConsoleCallsNeverIncludeCredentials(): void
+    {
+        $assets = glob(dirname(__DIR__, 3) . '/extensions/Admin/public/assets/*.js');
+        $this->assertNotEmpty($assets, 'Admin SPA assets not found');
+
+        $violations = [];
+        foreach ($assets as $asset) {
+            foreach ($this->consoleArguments((string) file_get_contents($asset)) as $arguments) {
+                if (preg_match(self::CREDENTIAL_PATTERN, $arguments)) {
+                    $violations[] = basename($asset) . ': console(' . substr($arguments, 0, 120) . ')';
+                }
+            }
+        }
+
+        $this->assertSame([], $violations, "Console calls must never log credentials");
+    }
+
+    /**
+     * Extract the argument source of every console.* call
+     *
+     * @param string $source Minified JavaScript
+     * @return array<string> Argument lists
+     */
+    private function consoleArguments(string $source): array
+    {
+        preg_match_all('/console\.(?:log|debug|info|warn|error|trace)\(/', $source, $matches, PREG_OFFSET_CAPTURE);
+
+        $arguments = [];
+        foreach ($matches[0] as [$call, $offset]) {
+            $start = $offset + strlen($call);
+            $depth = 1;
+            $quote = null;
+
+            for ($i = $start, $length = strlen($source); $i < $length && $depth > 0; $i++) {
+                $char = $source[$i];
+                if ($quote !== null) {
+                    if ($char === '\\') {
+                        $i++;
+                    } elseif ($char === $quote) {
+                        $quote = null;
+                    }
+                } elseif ($char === '"' || $char === "'" || $char === '`') {
+                    $quote = $char;
+                } elseif ($char === '(') {
+                    $depth++;
+                } elseif ($char === ')') {
+                    $depth--;
+                }
+            }
+
+            $arguments[] = substr($source, $start, $i - $start - 1);
+        }
+
+        return $arguments;
+    }
+}
@@ -0,0 +1,454 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Extensions\RBAC;
+
+use Glueful\Extensions\RBAC\Models\Permission;
+use Glueful\Extensions\RBAC\Models\Role;
+use Glueful\Extensions\RBAC\Models\RolePermission;
+use Glueful\Extensions\RBAC\Models\UserPermission;
+use Glueful\Extensions\RBAC\Models\UserRole;
+use Glueful\Extensions\RBAC\Repositories\PermissionRepository;
+use Glueful\Extensions\RBAC\Repositories\RolePermissionRepository;
+use Glueful\Extensions\RBAC\Repositories\RoleRepository;
+use Glueful\Extensions\RBAC\Repositories\UserPermissionRepository;
+use Glueful\Extensions\RBAC\Repositories\UserRoleRepository;
+use Glueful\Extensions\RBAC\Services\PermissionAssignmentService;
+use InvalidArgumentException;
+use PHPUnit\Framework\MockObject\MockObject;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * PermissionAssignmentService Unit Tests
+ *
+ * Tests how grants are resolved to roles and users and how a user's
+ * permissions are traced back to them, with the repositories mocked so no
+ * database is needed.
+ */
+class PermissionAssignmentServiceTest extends TestCase
+{
+    /** @var string Expiry that has passed */
+    private const EXPIRED = '2000-01-01 00:00:00';
+
+    private PermissionAssignmentService $service;
+    private PermissionRepository|MockObject $permissions;
+    private UserPermissionRepository|MockObject $userPermissions;
+    private RoleRepository|MockObject $roles;
+    private UserRoleRepository|MockObject $userRoles;
+    private RolePermissionRepository|MockObject $rolePermissions;
+
+    public static function setUpBeforeClass(): void
+    {
+        // Extension classes are not part of the Composer autoloader
+        $extensionDir = __DIR__ . '/../../../../extensions/RBAC/src';
+
+        foreach (['Permission', 'Role', 'RolePermission', 'UserPermission', 'UserRole'] as $model) {
+            require_once "{$extensionDir}/Models/{$model}.php";
+        }
+        foreach (['Permission', 'Role', 'RolePermission', 'UserPermission', 'UserRole'] as $repository) {
+            require_once "{$extensionDir}/Repositories/{$repository}Repository.php";
+        }
+        require_once $extensionDir . '/Services/PermissionAssignmentService.php';
+    }
+
+    protected function setUp(): void
+    {
+        $this->permissions = $this->createMock(PermissionRepository::class);
+        $this->userPermissions = $this->createMock(UserPermissionRepository::class);
+        $this->roles = $this->createMock(RoleRepository::class);
+        $this->userRoles = $this->createMock(UserRoleRepository::class);
+        $this->rolePermissions = $this->createMock(RolePermissionRepository::class);
+
+        $this->service = new PermissionAssignmentService(
+            $this->permissions,
+            $this->userPermissions,
+            $this->roles,
+            $this->userRoles,
+            $this->rolePermissions
+        );
+
+        $this->permissions->method('findPermissionByUuid')
+            ->willReturnCallback(fn(string $uuid) => $uuid === 'perm-1' ? $this->permission() : null);
+        $this->permissions->method('getUserSummaries')
+            ->willReturnCallback(fn(array $uuids) => array_combine($uuids, array_map(
+                fn(string $uuid) => ['uuid' => $uuid, 'username' => "name-{$uuid}", 'email' => "{$uuid}@example.com"],
+                $uuids
+            )));
+    }
+
+    /**
+     * Test that a user with a direct grant is listed as a direct holder
+     */
+    public function testImpactListsDirectGrant(): void
+    {
+        $this->userPermissions->method('findByPermission')->with('perm-1')->willReturn([
+            new UserPermission([
+                'user_uuid' => 'user-1',
+                'permission_uuid' => 'perm-1',
+                'expires_at' => '2099-01-01 00:00:00'
+            ])
+        ]);
+
+        $impact = $this->service->getPermissionImpact('perm-1');
+
+        $this->assertSame('posts.edit', $impact['permission']['slug']);
+        $this->assertSame([], $impact['roles']);
+        $this->assertSame(1, $impact['user_count']);
+        $this->assertSame(1, $impact['direct_user_count']);
+        $this->assertSame([[
+            'uuid' => 'user-1',
+            'username' => 'name-user-1',
+            'email' => 'user-1@example.com',
+            'direct' => true,
+            'expires_at' => '2099-01-01 00:00:00',
+            'roles' => []
+        ]], $impact['users']);
+    }
+
+    /**
+     * Test that a grant reaches roles two levels below the granting role
+     */
+    public function testImpactFollowsInheritanceAcrossTwoLevels(): void
+    {
+        $this->givenRoles([
+            $this->role('editor', 'Editor'),
+            $this->role('author', 'Author', 'editor'),
+            $this->role('contributor', 'Contributor', 'author'),
+        ]);
+        $this->rolePermissions->method('getRolesWithPermission')->willReturn([$this->grant('editor')]);
+        $this->userRoles->method('getUsersWithRole')->willReturnCallback(
+            fn(string $roleUuid) => ['editor' => ['user-1'], 'contributor' => ['user-2', 'user-1']][$roleUuid] ?? []
+        );
+
+        $impact = $this->service->getPermissionImpact('perm-1');
+
+        $this->assertSame(
+            [['Editor', null, 1], ['Author', 'Editor', 0], ['Contributor', 'Editor', 2]],
+            array_map(
+                fn(array $role) => [$role['name'], $role['inherited_from'], $role['user_count']],
+                $impact['roles']
+            )
+        );
+        $this->assertSame(2, $impact['user_count']);
+        $this->assertSame(0, $impact['direct_user_count']);
+        $this->assertSame(['Editor', 'Contributor'], $impact['users'][0]['roles']);
+        $this->assertSame(['Contributor'], $impact['users'][1]['roles']);
+        $this->assertFalse($impact['users'][1]['direct']);
+    }
+
+    /**
+     * Test that expired role grants and role assignments are left out
+     */
+    public function testImpactSkipsExpiredAssignments(): void
+    {
+        $this->givenRoles([$this->role('editor', 'Editor'), $this->role('former', 'Former')]);
+        $this->rolePermissions->method('getRolesWithPermission')->willReturn([
+            $this->grant('editor'),
+            $this->grant('former', self::EXPIRED),
+        ]);
+        $this->userRoles->expects($this->once())
+            ->method('getUsersWithRole')
+            ->with('editor', ['active_only' => true])
+            ->willReturn(['user-1']);
+
+        $impact = $this->service->getPermissionImpact('perm-1');
+
+        $this->assertSame(['Editor'], array_column($impact['roles'], 'name'));
+        $this->assertSame(['user-1'], array_column($impact['users'], 'uuid'));
+    }
+
+    /**
+     * Test that the impact of an unknown permission cannot be read
+     */
+    public function testImpactThrowsForMissingPermission(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+
+        $this->service->getPermissionImpact('perm-missing');
+    }
+
+    /**
+     * Test that permissions cannot be batch assigned to a missing role
+     */
+    public function testBatchAssignThrowsForMissingRole(): void
+    {
+        $this->roles->method('findRoleByUuid')->willReturn(null);
+        $this->rolePermissions->expects($this->never())->method('assignPermissionToRole');
+
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Role not found');
+
+        $this->service->batchAssignPermissionsToRole('role-missing', [['permission' => 'posts.edit']]);
+    }
+
+    /**
+     * Test that permissions cannot be batch revoked from a missing role
+     */
+    public function testBatchRevokeThrowsForMissingRole(): void
+    {
+        $this->roles->method('findRoleByUuid')->willReturn(null);
+        $this->rolePermissions->expects($this->never())->method('revokePermissionFromRole');
+
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Role not found');
+
+        $this->service->batchRevokePermissionsFromRole('role-missing', ['posts.edit']);
+    }
+
+    /**
+     * Test that a batch assignment grants known permissions and reports unknown ones
+     */
+    public function testBatchAssignReportsUnknownPermissions(): void
+    {
+        $this->roles->method('findRoleByUuid')->willReturn($this->role('editor', 'Editor'));
+        $this->permissions->method('findPermissionBySlug')
+            ->willReturnCallback(fn(string $slug) => $slug === 'posts.edit' ? $this->permission() : null);
+        $this->rolePermissions->expects($this->once())
+            ->method('assignPermissionToRole')
+            ->with('editor', 'perm-1', ['granted_by' => 'admin-1', 'resource_filter' => ['resource' => 'posts']])
+            ->willReturn($this->grant('editor'));
+
+        $result = $this->service->batchAssignPermissionsToRole(
+            'editor',
+            [['permission' => 'posts.edit', 'resource' => 'posts'], ['permission' => 'posts.missing']],
+            ['granted_by' => 'admin-1']
+        );
+
+        $this->assertSame(2, $result['total']);
+        $this->assertSame(1, $result['successful']);
+        $this->assertSame(1, $result['failed']);
+        $this->assertSame('Permission not found: posts.missing', $result['results'][1]['error']);
+    }
+
+    /**
+     * Test that a batch revocation skips permissions that no longer exist
+     */
+    public function testBatchRevokeSkipsUnknownPermissions(): void
+    {
+        $this->roles->method('findRoleByUuid')->willReturn($this->role('editor', 'Editor'));
+        $this->permissions->method('findPermissionBySlug')
+            ->willReturnCallback(fn(string $slug) => $slug === 'posts.edit' ? $this->permission() : null);
+        $this->rolePermissions->expects($this->once())
+            ->method('revokePermissionFromRole')
+            ->with('editor', 'perm-1')
+            ->willReturn(true);
+
+        $result = $this->service->batchRevokePermissionsFromRole('editor', ['posts.edit', 'posts.missing']);
+
+        $this->assertSame(2, $result['successful']);
+        $this->assertSame(0, $result['failed']);
+    }
+
+    /**
+     * Test that traced permissions name the direct grant, held role or parent role behind them
+     */
+    public function testTraceListsDirectRoleAndInheritedSources(): void
+    {
+        $this->givenUserHoldsEditor(null, [
+            'editor' => [$this->grant('editor', null, 'perm-role')],
+            'manager' => [$this->grant('manager', null, 'perm-inherited')],
+        ]);
+        $this->userPermissions->method('findByUser')->with('user-1', ['active_only' => true])->willReturn([
+            new UserPermission(['user_uuid' => 'user-1', 'permission_uuid' => 'perm-direct'])
+        ]);
+
+        $trace = $this->service->traceUserPermissions('user-1');
+
+        $this->assertSame('name-user-1', $trace['user']['username']);
+        $this->assertSame(['editor'], array_column($trace['roles'], 'uuid'));
+        $this->assertSame(['perm-direct', 'perm-inherited', 'perm-role'], array_column($trace['permissions'], 'slug'));
+
+        [$direct, $inherited, $role] = array_column($trace['permissions'], 'sources');
+        $this->assertSame([[
+            'type' => 'direct',
+            'role_uuid' => null,
+            'role' => null,
+            'inherited_from_uuid' => null,
+            'inherited_from' => null,
+            'resource' => '*',
+            'expires_at' => null
+        ]], $direct);
+        $this->assertSame(['role', 'Editor', null], [$role[0]['type'], $role[0]['role'], $role[0]['inherited_from']]);
+        $this->assertSame(
+            ['inherited', 'Editor', 'manager', 'Manager'],
+            [
+                $inherited[0]['type'],
+                $inherited[0]['role'],
+                $inherited[0]['inherited_from_uuid'],
+                $inherited[0]['inherited_from']
+            ]
+        );
+    }
+
+    /**
+     * Test that a role source expires with the earlier of the role assignment and the role's grant
+     */
+    public function testTraceSourceExpiresWithEarliestOfAssignmentAndGrant(): void
+    {
+        $this->givenUserHoldsEditor('2099-06-01 00:00:00', [
+            'editor' => [
+                $this->grant('editor', '2099-01-01 00:00:00', 'perm-grant-expires'),
+                $this->grant('editor', null, 'perm-no-expiry'),
+            ],
+            'manager' => [$this->grant('manager', '2100-01-01 00:00:00', 'perm-parent')],
+        ]);
+
+        $trace = $this->service->traceUserPermissions('user-1');
+
+        $this->assertSame('2099-06-01 00:00:00', $trace['roles'][0]['expires_at']);
+        $this->assertSame(
+            [
+                'perm-grant-expires' => '2099-01-01 00:00:00',
+                'perm-no-expiry' => '2099-06-01 00:00:00',
+                'perm-parent' => '2099-06-01 00:00:00',
+            ],
+            array_combine(
+                array_column($trace['permissions'], 'slug'),
+                array_map(fn(array $permission) => $permission['sources'][0]['expires_at'], $trace['permissions'])
+            )
+        );
+    }
+
+    /**
+     * Test that expired direct grants, role grants and role assignments do not make a holder
+     */
+    public function testHoldersExcludeInactiveGrants(): void
+    {
+        $this->givenRoles([$this->role('editor', 'Editor'), $this->role('former', 'Former')]);
+        $this->userPermissions->method('findByPermission')->willReturn([
+            new UserPermission(['user_uuid' => 'user-1', 'permission_uuid' => 'perm-1']),
+            new UserPermission(['user_uuid' => 'user-2', 'permission_uuid' => 'perm-1', 'expires_at' => self::EXPIRED]),
+        ]);
+        $this->rolePermissions->method('getRolesWithPermission')->willReturn([
+            $this->grant('editor'),
+            $this->grant('former', self::EXPIRED),
+        ]);
+        $this->userRoles->method('findByRole')->willReturnCallback(fn(string $roleUuid) => [
+            'editor' => [$this->userRole('user-3', 'editor'), $this->userRole('user-4', 'editor', self::EXPIRED)],
+            'former' => [$this->userRole('user-5', 'former')],
+        ][$roleUuid] ?? []);
+
+        $holders = $this->service->getPermissionHolders('perm-1');
+
+        $this->assertSame(2, $holders['total']);
+        $this->assertSame(['user-1', 'user-3'], array_column($holders['holders'], 'uuid'));
+        $this->assertSame('direct', $holders['holders'][0]['sources'][0]['type']);
+        $this->assertSame('role', $holders['holders'][1]['sources'][0]['type']);
+    }
+
+    /**
+     * Test that holders of a child role are described as inheriting the grant
+     */
+    public function testHoldersDescribeInheritedSources(): void
+    {
+        $this->givenRoles([$this->role('editor', 'Editor'), $this->role('author', 'Author', 'editor')]);
+        $this->rolePermissions->method('getRolesWithPermission')
+            ->willReturn([$this->grant('editor', '2099-06-01 00:00:00')]);
+        $this->userRoles->method('findByRole')->willReturnCallback(fn(string $roleUuid) => [
+            'editor' => [$this->userRole('user-1', 'editor')],
+            'author' => [$this->userRole('user-2', 'author', '2099-01-01 00:00:00')],
+        ][$roleUuid] ?? []);
+
+        $holders = $this->service->getPermissionHolders('perm-1');
+
+        [$editor, $author] = array_map(fn(array $holder) => $holder['sources'][0], $holders['holders']);
+        $this->assertSame(['role', 'Editor', null, '2099-06-01 00:00:00'], [
+            $editor['type'],
+            $editor['role'],
+            $editor['inherited_from'],
+            $editor['expires_at']
+        ]);
+        $this->assertSame(['inherited', 'Author', 'Editor', '2099-01-01 00:00:00'], [
+            $author['type'],
+            $author['role'],
+            $author['inherited_from'],
+            $author['expires_at']
+        ]);
+    }
+
+    /**
+     * Make user-1 hold the editor role, which inherits from the manager role
+     *
+     * @param string|null $expiresAt Expiry of the role assignment
+     * @param array<string, array<RolePermission>> $grants Grants by role UUID
+     */
+    private function givenUserHoldsEditor(?string $expiresAt, array $grants): void
+    {
+        $editor = $this->role('editor', 'Editor', 'manager');
+        $manager = $this->role('manager', 'Manager');
+
+        $this->userRoles->method('getUserRoles')->with('user-1')->willReturn([
+            $this->userRole('user-1', 'editor', $expiresAt)
+        ]);
+        $this->roles->method('getRoleHierarchy')->with('editor')->willReturn([$editor, $manager]);
+        $this->rolePermissions->method('getRolePermissions')
+            ->willReturnCallback(fn(string $roleUuid) => $grants[$roleUuid] ?? []);
+        $this->permissions->method('findByUuids')->willReturnCallback(fn(array $uuids) => array_map(
+            fn(string $uuid) => new Permission(['uuid' => $uuid, 'name' => $uuid, 'slug' => $uuid]),
+            $uuids
+        ));
+    }
+
+    /**
+     * Register roles with the role repository, linked through their parent UUIDs
+     *
+     * @param array<Role> $roles Roles
+     */
+    private function givenRoles(array $roles): void
+    {
+        $this->roles->method('findByUuids')->willReturnCallback(fn(array $uuids) => array_values(array_filter(
+            $roles,
+            fn(Role $role) => in_array($role->getUuid(), $uuids, true)
+        )));
+        $this->roles->method('findChildren')->willReturnCallback(fn(string $parentUuid) => array_values(array_filter(
+            $roles,
+            fn(Role $role) => $role->getParentUuid() === $parentUuid
+        )));
+    }
+
+    /**
+     * Create the permission the tests grant
+     */
+    private function permission(): Permission
+    {
+        return new Permission(['uuid' => 'perm-1', 'name' => 'Edit posts', 'slug' => 'posts.edit']);
+    }
+
+    /**
+     * Create a role
+     */
+    private function role(string $uuid, string $name, ?string $parentUuid = null): Role
+    {
+        return new Role(['uuid' => $uuid, 'name' => $name, 'slug' => strtolower($name), 'parent_uuid' => $parentUuid]);
+    }
+
+    /**
+     * Create a grant of a permission to a role
+     */
+    private function grant(
+        string $roleUuid,
+        ?string $expiresAt = null,
+        string $permissionUuid = 'perm-1'
+    ): RolePermission {
+        return new RolePermission([
+            'uuid' => "grant-{$roleUuid}-{$permissionUuid}",
+            'role_uuid' => $roleUuid,
+            'permission_uuid' => $permissionUuid,
+            'expires_at' => $expiresAt
+        ]);
+    }
+
+    /**
+     * Create an assignment of a role to a user
+     */
+    private function userRole(string $userUuid, string $roleUuid, ?string $expiresAt = null): UserRole
+    {
+        return new UserRole([
+            'uuid' => "{$userUuid}-{$roleUuid}",
+            'user_uuid' => $userUuid,
+            'role_uuid' => $roleUuid,
+            'expires_at' => $expiresAt
+        ]);
+    }
+}
@@ -0,0 +1,138 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Logging;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use Glueful\Logging\AuditLogQuery;
+use InvalidArgumentException;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * AuditLogQuery Unit Tests
+ *
+ * Tests that the search syntax of the Audit Logs page is parsed into
+ * column filters and free text terms, and that invalid queries are rejected.
+ */
+class AuditLogQueryTest extends TestCase
+{
+    /**
+     * Test fields, severity comparisons and wildcards
+     */
+    public function testParsesFilters(): void
+    {
+        $query = new AuditLogQuery('user:alice severity>=warning ip:10.0.*');
+
+        $this->assertSame([
+            ['field' => 'user', 'column' => 'user_id', 'operator' => '=', 'values' => ['alice']],
+            [
+                'field' => 'severity',
+                'column' => 'severity',
+                'operator' => '=',
+                'values' => ['warning', 'error', 'critical']
+            ],
+            ['field' => 'ip', 'column' => 'ip_address', 'operator' => '=', 'values' => ['10.0.*']],
+        ], $query->getFilters());
+        $this->assertSame([], $query->getTerms());
+        $this->assertTrue($query->has('ip'));
+        $this->assertFalse($query->has('category'));
+    }
+
+    /**
+     * Test negation with a dash and with !=
+     */
+    public function testParsesNegation(): void
+    {
+        $query = new AuditLogQuery('-source:cli status!=success -severity>=error');
+
+        $this->assertSame(
+            [['!=', ['cli']], ['!=', ['success']], ['=', ['debug', 'info', 'warning']]],
+            array_map(fn ($filter) => [$filter['operator'], $filter['values']], $query->getFilters())
+        );
+    }
+
+    /**
+     * Test lists, quoted values and free text terms
+     */
+    public function testParsesListsQuotesAndTerms(): void
+    {
+        $query = new AuditLogQuery('category:security,auth action:"user login" timeout -"rate limit"');
+
+        $this->assertSame(['security', 'auth'], $query->getFilters()[0]['values']);
+        $this->assertSame(['user login'], $query->getFilters()[1]['values']);
+        $this->assertSame([
+            ['value' => 'timeout', 'negate' => false],
+            ['value' => 'rate limit', 'negate' => true],
+        ], $query->getTerms());
+    }
+
+    /**
+     * Test absolute and relative times and durations
+     */
+    public function testParsesTimesAndDurations(): void
+    {
+        $now = new DateTimeImmutable('2026-10-19 12:00:00', new DateTimeZone('UTC'));
+        $query = new AuditLogQuery('after:2h before:2026-10-19 duration>1s', $now);
+
+        $this->assertSame([
+            ['field' => 'after', 'column' => 'created_at', 'operator' => '>=', 'values' => ['2026-10-19 10:00:00']],
+            ['field' => 'before', 'column' => 'created_at', 'operator' => '<', 'values' => ['2026-10-19 00:00:00']],
+            ['field' => 'duration', 'column' => 'duration_ms', 'operator' => '>', 'values' => [1000]],
+        ], $query->getFilters());
+    }
+
+    /**
+     * Test that an empty query matches everything
+     */
+    public function testEmptyQuery(): void
+    {
+        $this->assertTrue((new AuditLogQuery('   '))->isEmpty());
+        $this->assertFalse((new AuditLogQuery('login'))->isEmpty());
+    }
+
+    /**
+     * Test that unknown fields are rejected
+     */
+    public function testRejectsUnknownField(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Unknown search field "colour"');
+
+        new AuditLogQuery('colour:red');
+    }
+
+    /**
+     * Test that unknown severities are rejected
+     */
+    public function testRejectsUnknownSeverity(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Unknown severity "loud"');
+
+        new AuditLogQuery('severity>=loud');
+    }
+
+    /**
+     * Test that comparisons are rejected on text fields
+     */
+    public function testRejectsComparisonOnTextField(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Operator > is not supported for ip');
+
+        new AuditLogQuery('ip>10');
+    }
+
+    /**
+     * Test that fields without a value are rejected
+     */
+    public function testRejectsMissingValue(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Missing value for user');
+
+        new AuditLogQuery('severity:error user:');
+    }
+}
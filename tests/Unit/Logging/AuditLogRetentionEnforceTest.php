@@ -0,0 +1,228 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Logging;
+
+use DateTimeImmutable;
+use Glueful\Logging\AuditLogRetention;
+use Tests\Mocks\MockConnection;
+use Tests\Unit\Repository\RepositoryTestCase;
+
+/**
+ * AuditLogRetention Enforcement Tests
+ *
+ * Runs the retention rules against an in-memory SQLite database and checks
+ * which entries are archived and deleted, and that an archive is only kept
+ * when its entries were deleted.
+ */
+class AuditLogRetentionEnforceTest extends RepositoryTestCase
+{
+    private MockConnection $connection;
+    private AuditLogRetention $retention;
+    private string $archivePath;
+    private DateTimeImmutable $now;
+
+    /**
+     * Create the audit log, retention rule and archive registry tables
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->connection = new MockConnection();
+        $pdo = $this->connection->getPDO();
+        $pdo->exec("CREATE TABLE audit_logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            uuid TEXT NOT NULL,
+            user_id TEXT NULL,
+            action TEXT NOT NULL,
+            category TEXT NOT NULL DEFAULT 'general',
+            severity TEXT NOT NULL DEFAULT 'info',
+            status TEXT NOT NULL DEFAULT 'success',
+            entity_type TEXT NOT NULL,
+            entity_id TEXT NOT NULL,
+            old_values TEXT NULL,
+            new_values TEXT NULL,
+            ip_address TEXT NULL,
+            user_agent TEXT NULL,
+            context TEXT NULL,
+            metadata TEXT NULL,
+            session_id TEXT NULL,
+            request_id TEXT NULL,
+            parent_audit_id TEXT NULL,
+            source TEXT NOT NULL DEFAULT 'api',
+            duration_ms INTEGER NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NULL
+        )");
+        $pdo->exec("CREATE TABLE audit_log_retention_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            uuid TEXT NOT NULL,
+            category TEXT NULL,
+            severity TEXT NULL,
+            retention_days INTEGER NOT NULL,
+            archive INTEGER NOT NULL DEFAULT 1,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            created_by TEXT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NULL
+        )");
+        $pdo->exec("CREATE TABLE archive_registry (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            uuid TEXT NOT NULL,
+            table_name TEXT NOT NULL,
+            archive_date DATE NOT NULL,
+            period_start DATETIME NOT NULL,
+            period_end DATETIME NOT NULL,
+            record_count INTEGER NOT NULL,
+            file_path TEXT NOT NULL,
+            file_size INTEGER NOT NULL,
+            compression_type TEXT NOT NULL DEFAULT 'gzip',
+            encryption_enabled INTEGER NOT NULL DEFAULT 1,
+            checksum_sha256 TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'creating',
+            metadata TEXT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NULL
+        )");
+
+        $this->archivePath = sys_get_temp_dir() . '/audit_log_retention_' . uniqid();
+        $this->retention = new AuditLogRetention($this->connection, $this->archivePath);
+        $this->now = new DateTimeImmutable('2026-03-01 00:00:00');
+    }
+
+    /**
+     * Remove the archive files written by a test
+     */
+    protected function tearDown(): void
+    {
+        foreach (glob($this->archivePath . '/*') ?: [] as $file) {
+            unlink($file);
+        }
+        if (is_dir($this->archivePath)) {
+            rmdir($this->archivePath);
+        }
+
+        parent::tearDown();
+    }
+
+    /**
+     * Test that expired entries are archived once and deleted
+     */
+    public function testEnforceArchivesAndDeletesExpiredEntries(): void
+    {
+        $this->rule('general', null, 30, true);
+        $this->entry('old', 'general', '2026-01-01 00:00:00');
+        $this->entry('new', 'general', '2026-02-20 00:00:00');
+        $this->entry('other', 'security', '2026-01-01 00:00:00');
+
+        $result = $this->retention->enforce($this->now);
+
+        $this->assertSame(1, $result['archived']);
+        $this->assertSame(1, $result['deleted']);
+        $this->assertNull($result['rules'][0]['error']);
+        $this->assertSame(['new', 'other'], $this->uuids());
+
+        $archives = $this->retention->archives(1, 10)['data'];
+        $this->assertCount(1, $archives);
+        $archive = $this->retention->findArchive($archives[0]['uuid']);
+        $this->assertSame(['old'], array_column($this->retention->entries($archive, 1, 10), 'uuid'));
+
+        // Nothing is left to expire, so the next run writes no archive
+        $result = $this->retention->enforce($this->now);
+
+        $this->assertSame(0, $result['deleted']);
+        $this->assertCount(1, $this->retention->archives(1, 10)['data']);
+        $this->assertCount(1, glob($this->archivePath . '/*.ndjson.gz'));
+    }
+
+    /**
+     * Test that entries of a more specific rule are left to it
+     */
+    public function testEnforceLeavesEntriesToMoreSpecificRules(): void
+    {
+        $this->rule(null, null, 30, false);
+        $this->rule('security', null, 90, false);
+        $this->entry('general', 'general', '2026-01-01 00:00:00');
+        $this->entry('recent-security', 'security', '2026-01-01 00:00:00');
+        $this->entry('old-security', 'security', '2025-11-01 00:00:00');
+
+        $result = $this->retention->enforce($this->now);
+
+        $this->assertSame(2, $result['deleted']);
+        $this->assertSame(['recent-security'], $this->uuids());
+    }
+
+    /**
+     * Test that the archive is removed again when its entries cannot be deleted
+     */
+    public function testEnforceDiscardsArchiveWhenDeleteFails(): void
+    {
+        $this->rule('general', null, 30, true);
+        $this->entry('old', 'general', '2026-01-01 00:00:00');
+        $this->connection->getPDO()->exec(
+            "CREATE TRIGGER keep_audit_logs BEFORE DELETE ON audit_logs BEGIN SELECT RAISE(ABORT, 'locked'); END"
+        );
+
+        $result = $this->retention->enforce($this->now);
+
+        $this->assertNotNull($result['rules'][0]['error']);
+        $this->assertNull($result['rules'][0]['archive']);
+        $this->assertSame(0, $result['archived']);
+        $this->assertSame(['old'], $this->uuids());
+        $this->assertCount(0, $this->retention->archives(1, 10)['data']);
+        $this->assertCount(0, glob($this->archivePath . '/*.ndjson.gz'));
+    }
+
+    /**
+     * Insert a retention rule
+     *
+     * @param string|null $category Category, null for any
+     * @param string|null $severity Severity, null for any
+     * @param int $days Retention days
+     * @param bool $archive Whether expired entries are archived
+     */
+    private function rule(?string $category, ?string $severity, int $days, bool $archive): void
+    {
+        $this->connection->table('audit_log_retention_rules')->insert([
+            'uuid' => uniqid(),
+            'category' => $category,
+            'severity' => $severity,
+            'retention_days' => $days,
+            'archive' => (int)$archive,
+            'enabled' => 1,
+        ]);
+    }
+
+    /**
+     * Insert an entry
+     *
+     * @param string $uuid Entry UUID
+     * @param string $category Category
+     * @param string $createdAt Creation time (Y-m-d H:i:s)
+     */
+    private function entry(string $uuid, string $category, string $createdAt): void
+    {
+        $this->connection->table('audit_logs')->insert([
+            'uuid' => $uuid,
+            'action' => 'test',
+            'category' => $category,
+            'entity_type' => 'test',
+            'entity_id' => $uuid,
+            'created_at' => $createdAt,
+        ]);
+    }
+
+    /**
+     * Get the UUIDs of the entries left in the log
+     *
+     * @return array<string> UUIDs in insertion order
+     */
+    private function uuids(): array
+    {
+        $rows = $this->connection->getPDO()->query('SELECT uuid FROM audit_logs ORDER BY id')->fetchAll();
+
+        return array_column($rows, 'uuid');
+    }
+}
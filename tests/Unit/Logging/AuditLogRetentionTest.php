@@ -0,0 +1,123 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Logging;
+
+use Glueful\Logging\AuditLogRetention;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * AuditLogRetention Unit Tests
+ *
+ * Tests which retention rule an audit log entry follows when several
+ * rules match it.
+ */
+class AuditLogRetentionTest extends TestCase
+{
+    /**
+     * Test the order in which rules take precedence
+     */
+    public function testSpecificity(): void
+    {
+        $this->assertSame(3, AuditLogRetention::specificity($this->rule('security', 'warning')));
+        $this->assertSame(2, AuditLogRetention::specificity($this->rule('security', null)));
+        $this->assertSame(1, AuditLogRetention::specificity($this->rule(null, 'debug')));
+        $this->assertSame(0, AuditLogRetention::specificity($this->rule(null, null)));
+    }
+
+    /**
+     * Test that the rule for everything leaves entries to every other rule
+     */
+    public function testEverythingRuleIsOverriddenByAllRules(): void
+    {
+        $rules = [
+            $this->rule(null, null),
+            $this->rule('security', null),
+            $this->rule(null, 'debug'),
+            $this->rule('security', 'critical'),
+        ];
+
+        $this->assertSame(
+            ['security/any', 'any/debug', 'security/critical'],
+            $this->scopes(AuditLogRetention::overrides($rules[0], $rules))
+        );
+    }
+
+    /**
+     * Test that category rules take precedence over severity rules
+     */
+    public function testCategoryRulesOverrideSeverityRules(): void
+    {
+        $rules = [
+            $this->rule(null, 'debug'),
+            $this->rule('security', null),
+            $this->rule('auth', 'info'),
+            $this->rule('auth', 'debug'),
+        ];
+
+        $this->assertSame(
+            ['security/any', 'auth/debug'],
+            $this->scopes(AuditLogRetention::overrides($rules[0], $rules))
+        );
+        $this->assertSame([], AuditLogRetention::overrides($rules[1], $rules));
+    }
+
+    /**
+     * Test that only rules of the same category override a category rule
+     */
+    public function testCategoryRuleIsOverriddenWithinItsCategory(): void
+    {
+        $rules = [
+            $this->rule('security', null),
+            $this->rule('security', 'debug'),
+            $this->rule('auth', 'debug'),
+        ];
+
+        $this->assertSame(['security/debug'], $this->scopes(AuditLogRetention::overrides($rules[0], $rules)));
+    }
+
+    /**
+     * Test that disabled rules do not take entries over
+     */
+    public function testDisabledRulesDoNotOverride(): void
+    {
+        $rules = [
+            $this->rule(null, null),
+            $this->rule('security', null, false),
+        ];
+
+        $this->assertSame([], AuditLogRetention::overrides($rules[0], $rules));
+    }
+
+    /**
+     * Create a rule
+     *
+     * @param string|null $category Category, null for any
+     * @param string|null $severity Severity, null for any
+     * @param bool $enabled Whether the rule is enabled
+     * @return array Rule
+     */
+    private function rule(?string $category, ?string $severity, bool $enabled = true): array
+    {
+        return [
+            'uuid' => ($category ?? 'any') . '/' . ($severity ?? 'any'),
+            'category' => $category,
+            'severity' => $severity,
+            'retention_days' => 30,
+            'archive' => true,
+            'enabled' => $enabled,
+        ];
+    }
+
+    /**
+     * Describe rules by their category and severity
+     *
+     * @param array $rules Rules
+     * @return array<string> category/severity of each rule
+     */
+    private function scopes(array $rules): array
+    {
+        return array_column($rules, 'uuid');
+    }
+}
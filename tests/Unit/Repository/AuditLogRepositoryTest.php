@@ -0,0 +1,218 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Repository;
+
+use Glueful\Repository\AuditLogRepository;
+use Tests\Mocks\MockConnection;
+
+/**
+ * Audit Log Repository Test
+ *
+ * Tests that deleting audit log entries removes exactly the entries the
+ * cutoff, category or retention rules select, against an in-memory SQLite
+ * database.
+ */
+class AuditLogRepositoryTest extends RepositoryTestCase
+{
+    private MockConnection $connection;
+    private AuditLogRepository $logs;
+
+    /**
+     * Create the audit_logs table
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->connection = new MockConnection();
+        $this->connection->getPDO()->exec("CREATE TABLE audit_logs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            uuid TEXT NOT NULL,
+            user_id TEXT NULL,
+            action TEXT NOT NULL,
+            category TEXT NOT NULL DEFAULT 'general',
+            severity TEXT NOT NULL DEFAULT 'info',
+            status TEXT NOT NULL DEFAULT 'success',
+            entity_type TEXT NOT NULL,
+            entity_id TEXT NOT NULL,
+            old_values TEXT NULL,
+            new_values TEXT NULL,
+            ip_address TEXT NULL,
+            user_agent TEXT NULL,
+            context TEXT NULL,
+            metadata TEXT NULL,
+            session_id TEXT NULL,
+            request_id TEXT NULL,
+            parent_audit_id TEXT NULL,
+            source TEXT NOT NULL DEFAULT 'api',
+            duration_ms INTEGER NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NULL
+        )");
+
+        $this->logs = new AuditLogRepository($this->connection);
+    }
+
+    /**
+     * Test that only entries created before the cutoff are deleted
+     */
+    public function testDeleteOlderThanKeepsNewerEntries(): void
+    {
+        $this->entry('a', 'auth', '2026-01-01 00:00:00');
+        $this->entry('b', 'auth', '2026-03-01 00:00:00');
+        $this->entry('c', 'security', '2026-01-01 00:00:00');
+
+        $this->assertSame(2, $this->logs->deleteOlderThan('2026-02-01 00:00:00'));
+        $this->assertSame(['b'], $this->uuids());
+    }
+
+    /**
+     * Test that a category limits the deleted entries to that category
+     */
+    public function testDeleteOlderThanWithCategory(): void
+    {
+        $this->entry('a', 'auth', '2026-01-01 00:00:00');
+        $this->entry('b', 'auth', '2026-03-01 00:00:00');
+        $this->entry('c', 'security', '2026-01-01 00:00:00');
+
+        $this->assertSame(1, $this->logs->deleteOlderThan('2026-02-01 00:00:00', 'auth'));
+        $this->assertSame(['b', 'c'], $this->uuids());
+    }
+
+    /**
+     * Test that entries a retention rule applies to are left to the retention job
+     */
+    public function testDeleteUncoveredSkipsEntriesOfRules(): void
+    {
+        $this->entry('auth', 'auth', '2026-01-01 00:00:00');
+        $this->entry('critical', 'security', '2026-01-01 00:00:00', 'critical');
+        $this->entry('info', 'security', '2026-01-01 00:00:00');
+        $this->entry('new', 'general', '2026-03-01 00:00:00');
+
+        $deleted = $this->logs->deleteUncovered('2026-02-01 00:00:00', [
+            ['category' => 'auth', 'severity' => null],
+            ['category' => 'security', 'severity' => 'critical'],
+        ]);
+
+        $this->assertSame(1, $deleted);
+        $this->assertSame(['auth', 'critical', 'new'], $this->uuids());
+    }
+
+    /**
+     * Test that a rule for every entry leaves nothing to delete
+     */
+    public function testDeleteUncoveredWithRuleForEverything(): void
+    {
+        $this->entry('a', 'auth', '2026-01-01 00:00:00');
+
+        $this->assertSame(0, $this->logs->deleteUncovered('2026-02-01 00:00:00', [
+            ['category' => null, 'severity' => null],
+        ]));
+        $this->assertSame(['a'], $this->uuids());
+    }
+
+    /**
+     * Test that a rule deletes its expired entries and leaves others to more specific rules
+     */
+    public function testDeleteExpired(): void
+    {
+        $this->entry('old', 'general', '2026-01-01 00:00:00');
+        $this->entry('override', 'security', '2026-01-01 00:00:00');
+        $this->entry('new', 'general', '2026-03-01 00:00:00');
+        $this->entry('held', 'general', '2026-01-01 00:00:00', 'info', '2026-04-01 00:00:00');
+        $this->entry('released', 'general', '2026-03-01 00:00:00', 'info', '2026-02-15 00:00:00');
+
+        $deleted = $this->logs->deleteExpired(
+            ['category' => null, 'severity' => null],
+            [['category' => 'security', 'severity' => null]],
+            '2026-02-01 00:00:00',
+            '2026-03-01 00:00:00'
+        );
+
+        $this->assertSame(2, $deleted);
+        $this->assertSame(['override', 'new', 'held'], $this->uuids());
+    }
+
+    /**
+     * Test that entries after the last archived entry are kept
+     */
+    public function testDeleteExpiredUpToMaxId(): void
+    {
+        $this->entry('a', 'general', '2026-01-01 00:00:00');
+        $this->entry('b', 'general', '2026-01-02 00:00:00');
+        $this->entry('c', 'general', '2026-01-03 00:00:00');
+
+        $deleted = $this->logs->deleteExpired(
+            ['category' => 'general', 'severity' => null],
+            [],
+            '2026-02-01 00:00:00',
+            '2026-03-01 00:00:00',
+            2
+        );
+
+        $this->assertSame(2, $deleted);
+        $this->assertSame(['c'], $this->uuids());
+    }
+
+    /**
+     * Test that entries are deleted across more than one chunk
+     */
+    public function testDeleteExpiredInChunks(): void
+    {
+        for ($i = 0; $i < 1005; $i++) {
+            $this->entry("e{$i}", 'general', '2026-01-01 00:00:00');
+        }
+
+        $deleted = $this->logs->deleteExpired(
+            ['category' => null, 'severity' => null],
+            [],
+            '2026-02-01 00:00:00',
+            '2026-03-01 00:00:00'
+        );
+
+        $this->assertSame(1005, $deleted);
+        $this->assertSame([], $this->uuids());
+    }
+
+    /**
+     * Insert an entry
+     *
+     * @param string $uuid Entry UUID
+     * @param string $category Category
+     * @param string $createdAt Creation time (Y-m-d H:i:s)
+     * @param string $severity Severity
+     * @param string|null $expiresAt Expiry time (Y-m-d H:i:s)
+     */
+    private function entry(
+        string $uuid,
+        string $category,
+        string $createdAt,
+        string $severity = 'info',
+        ?string $expiresAt = null
+    ): void {
+        $this->connection->table('audit_logs')->insert([
+            'uuid' => $uuid,
+            'action' => 'test',
+            'category' => $category,
+            'severity' => $severity,
+            'entity_type' => 'test',
+            'entity_id' => $uuid,
+            'created_at' => $createdAt,
+            'expires_at' => $expiresAt,
+        ]);
+    }
+
+    /**
+     * Get the UUIDs of the entries left in the log
+     *
+     * @return array<string> UUIDs in insertion order
+     */
+    private function uuids(): array
+    {
+        $rows = $this->connection->getPDO()->query('SELECT uuid FROM audit_logs ORDER BY id')->fetchAll();
+
+        return array_column($rows, 'uuid');
+    }
+}
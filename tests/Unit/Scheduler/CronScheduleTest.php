@@ -0,0 +1,85 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Scheduler;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use Glueful\Scheduler\CronSchedule;
+use InvalidArgumentException;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * CronSchedule Unit Tests
+ *
+ * Tests that schedules are evaluated on the wall clock of their timezone
+ * and that invalid expressions and timezones are rejected.
+ */
+class CronScheduleTest extends TestCase
+{
+    /**
+     * Test that fire times follow the schedule's timezone, across a daylight saving change
+     */
+    public function testNextRunDatesInTimezone(): void
+    {
+        $schedule = new CronSchedule('0 9 * * *', 'Europe/Berlin');
+        $from = new DateTimeImmutable('2026-03-27 12:00:00', new DateTimeZone('UTC'));
+
+        $dates = $schedule->nextRunDates(3, $from);
+
+        $this->assertSame(
+            ['2026-03-28T09:00:00+01:00', '2026-03-29T09:00:00+02:00', '2026-03-30T09:00:00+02:00'],
+            array_map(fn (DateTimeImmutable $date) => $date->format(DATE_ATOM), $dates)
+        );
+        $this->assertSame(
+            '2026-03-28 08:00:00',
+            $dates[0]->setTimezone(new DateTimeZone('UTC'))->format('Y-m-d H:i:s')
+        );
+    }
+
+    /**
+     * Test that due checks convert the time to the schedule's timezone
+     */
+    public function testIsDueInTimezone(): void
+    {
+        $schedule = new CronSchedule('30 8 * * 1-5', 'America/New_York');
+
+        $this->assertTrue($schedule->isDue(new DateTimeImmutable('2026-10-19 12:30:00', new DateTimeZone('UTC'))));
+        $this->assertFalse($schedule->isDue(new DateTimeImmutable('2026-10-19 08:30:00', new DateTimeZone('UTC'))));
+        $this->assertFalse($schedule->isDue(new DateTimeImmutable('2026-10-18 12:30:00', new DateTimeZone('UTC'))));
+    }
+
+    /**
+     * Test that the number of fire times is capped
+     */
+    public function testPreviewIsCapped(): void
+    {
+        $schedule = new CronSchedule('@hourly', 'UTC');
+
+        $this->assertCount(CronSchedule::MAX_PREVIEW, $schedule->nextRunDates(500));
+        $this->assertCount(1, $schedule->nextRunDates(0));
+    }
+
+    /**
+     * Test that invalid expressions are rejected
+     */
+    public function testRejectsInvalidExpression(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Invalid cron expression: 61 * * * *');
+
+        new CronSchedule('61 * * * *', 'UTC');
+    }
+
+    /**
+     * Test that unknown timezones are rejected
+     */
+    public function testRejectsUnknownTimezone(): void
+    {
+        $this->expectException(InvalidArgumentException::class);
+        $this->expectExceptionMessage('Unknown timezone: Mars/Olympus');
+
+        new CronSchedule('@daily', 'Mars/Olympus');
+    }
+}
@@ -0,0 +1,229 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Scheduler;
+
+use Glueful\Lock\LockManagerInterface;
+use Glueful\Repository\JobRunRepository;
+use Glueful\Scheduler\JobScheduler;
+use Glueful\Scheduler\JobTimeoutException;
+use Symfony\Component\Lock\Exception\LockConflictedException;
+use Tests\Mocks\MockConnection;
+use Tests\Unit\Repository\RepositoryTestCase;
+
+/**
+ * Job Run History Tests
+ *
+ * Tests what the scheduler records in job_runs for timed out, overlapping,
+ * skipped and abandoned runs, against an in-memory SQLite database.
+ */
+class JobRunHistoryTest extends RepositoryTestCase
+{
+    private MockConnection $connection;
+    private JobRunRepository $runs;
+
+    /**
+     * Create the job_runs table
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->connection = new MockConnection();
+        $this->connection->getPDO()->exec("CREATE TABLE job_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            uuid TEXT NOT NULL,
+            job_name TEXT NOT NULL,
+            trigger_type TEXT NOT NULL DEFAULT 'schedule',
+            status TEXT NOT NULL DEFAULT 'running',
+            started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            finished_at TIMESTAMP NULL,
+            duration_ms INTEGER NULL,
+            output TEXT NULL,
+            result TEXT NULL,
+            error TEXT NULL,
+            triggered_by TEXT NULL
+        )");
+
+        $this->runs = new JobRunRepository($this->connection);
+    }
+
+    /**
+     * Test that only runs started before the cutoff are failed
+     */
+    public function testFailStaleKeepsLiveRuns(): void
+    {
+        $this->run('report', 'running', '-2 hours');
+        $this->run('report', 'running', '-1 minute');
+        $this->run('report', 'success', '-2 hours');
+        $this->run('backup', 'running', '-2 hours');
+
+        $failed = $this->runs->failStale('report', date('Y-m-d H:i:s', strtotime('-1 hour')));
+
+        $this->assertSame(1, $failed);
+        $this->assertSame(
+            [['report', 'failed'], ['report', 'running'], ['report', 'success'], ['backup', 'running']],
+            $this->statuses()
+        );
+        $this->assertSame('Run did not finish', $this->rows()[0]['error']);
+    }
+
+    /**
+     * Test that a new run of an overlapping job leaves the runs still in progress alone
+     */
+    public function testOverlappingRunKeepsLiveRuns(): void
+    {
+        $this->run('report', 'running', '-10 minutes');
+        $this->run('report', 'running', '-30 seconds');
+
+        $this->scheduler()->run($this->job(['timeout' => 300]));
+
+        $this->assertSame(
+            [['report', 'failed'], ['report', 'running'], ['report', 'success']],
+            $this->statuses()
+        );
+    }
+
+    /**
+     * Test that a run interrupted at its timeout is recorded as timed out
+     */
+    public function testInterruptedRunIsTimedOut(): void
+    {
+        $job = $this->job(['callback' => function () {
+            echo 'partial';
+            throw new JobTimeoutException('report', 1);
+        }]);
+
+        try {
+            $this->scheduler()->run($job);
+            $this->fail('The timeout was not rethrown');
+        } catch (JobTimeoutException $e) {
+            $run = $this->rows()[0];
+            $this->assertSame('timed_out', $run['status']);
+            $this->assertSame('partial', $run['output']);
+            $this->assertSame($e->getMessage(), $run['error']);
+        }
+    }
+
+    /**
+     * Test that a run finishing after its timeout keeps its result and is recorded as timed out
+     */
+    public function testOverrunIsTimedOut(): void
+    {
+        $this->scheduler()->run($this->job(['timeout' => 1, 'callback' => function () {
+            usleep(1050000);
+            return 'done';
+        }]));
+
+        $run = $this->rows()[0];
+        $this->assertSame('timed_out', $run['status']);
+        $this->assertSame('done', $run['result']);
+        $this->assertStringContainsString('over the 1 second timeout', $run['error']);
+    }
+
+    /**
+     * Test that a run finding the job locked is recorded as skipped
+     */
+    public function testLockedRunIsSkipped(): void
+    {
+        $lockManager = $this->createMock(LockManagerInterface::class);
+        $lockManager->method('executeWithLock')->willThrowException(new LockConflictedException());
+
+        $this->scheduler($lockManager)->run($this->job(['allow_overlap' => false]));
+
+        $run = $this->rows()[0];
+        $this->assertSame('skipped', $run['status']);
+        $this->assertSame('Previous run is still in progress', $run['error']);
+    }
+
+    /**
+     * Create a scheduler recording runs in the test database
+     *
+     * Jobs are called without an alarm, so timeouts are raised by the job.
+     *
+     * @param LockManagerInterface|null $lockManager Lock manager, none to run without locking
+     * @return JobScheduler Scheduler with a public run() for runJobWithLock()
+     */
+    private function scheduler(?LockManagerInterface $lockManager = null): JobScheduler
+    {
+        return new class ($this->runs, $lockManager) extends JobScheduler {
+            public function __construct(JobRunRepository $runs, ?LockManagerInterface $lockManager)
+            {
+                $this->runs = $runs;
+                if ($lockManager !== null) {
+                    $this->lockManager = $lockManager;
+                }
+            }
+
+            public function run(array $job): mixed
+            {
+                return $this->runJobWithLock($job);
+            }
+
+            protected function callWithTimeout(array $job): mixed
+            {
+                return call_user_func($job['callback']);
+            }
+
+            protected function log(string $message, string $level = 'info'): void
+            {
+            }
+        };
+    }
+
+    /**
+     * Build a job definition
+     *
+     * Jobs allow overlapping runs unless overridden, so they run without a lock.
+     *
+     * @param array $overrides Values replacing the defaults
+     * @return array Job
+     */
+    private function job(array $overrides = []): array
+    {
+        return $overrides + [
+            'name' => 'report',
+            'timeout' => 60,
+            'allow_overlap' => true,
+            'callback' => fn () => null,
+        ];
+    }
+
+    /**
+     * Insert a run
+     *
+     * @param string $jobName Job name
+     * @param string $status Run status
+     * @param string $startedAgo Relative start time
+     */
+    private function run(string $jobName, string $status, string $startedAgo): void
+    {
+        $this->connection->table('job_runs')->insert([
+            'uuid' => uniqid(),
+            'job_name' => $jobName,
+            'status' => $status,
+            'started_at' => date('Y-m-d H:i:s', strtotime($startedAgo)),
+        ]);
+    }
+
+    /**
+     * Get the recorded runs oldest first
+     *
+     * @return array Raw rows
+     */
+    private function rows(): array
+    {
+        return $this->connection->getPDO()->query('SELECT * FROM job_runs ORDER BY id')->fetchAll();
+    }
+
+    /**
+     * Get the job name and status of each run oldest first
+     *
+     * @return array Pairs of job name and status
+     */
+    private function statuses(): array
+    {
+        return array_map(fn ($row) => [$row['job_name'], $row['status']], $this->rows());
+    }
+}
@@ -0,0 +1,83 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Services;
+
+use Glueful\Services\ApiMetricAlerts;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * ApiMetricAlerts Unit Tests
+ *
+ * Tests when window statistics breach an API metric threshold.
+ */
+class ApiMetricAlertsTest extends TestCase
+{
+    /**
+     * Test that each metric reads its window statistic
+     */
+    public function testMeasure(): void
+    {
+        $stats = $this->stats(120);
+
+        $this->assertSame(24.0, ApiMetricAlerts::measure($this->threshold('request_rate', 10), $stats));
+        $this->assertSame(5.0, ApiMetricAlerts::measure($this->threshold('error_rate', 10), $stats));
+        $this->assertSame(480.0, ApiMetricAlerts::measure($this->threshold('p95', 10), $stats));
+    }
+
+    /**
+     * Test that only values above the threshold breach it
+     */
+    public function testBreachedAboveValue(): void
+    {
+        $stats = $this->stats(120);
+
+        $this->assertTrue(ApiMetricAlerts::isBreached($this->threshold('p95', 400), $stats));
+        $this->assertFalse(ApiMetricAlerts::isBreached($this->threshold('p95', 480), $stats));
+        $this->assertFalse(ApiMetricAlerts::isBreached($this->threshold('error_rate', 5), $stats));
+    }
+
+    /**
+     * Test that quiet windows do not breach thresholds
+     */
+    public function testQuietWindowsDoNotBreach(): void
+    {
+        $this->assertFalse(ApiMetricAlerts::isBreached($this->threshold('p95', 400, 200), $this->stats(120)));
+        $this->assertTrue(ApiMetricAlerts::isBreached($this->threshold('p95', 400, 120), $this->stats(120)));
+        $this->assertFalse(ApiMetricAlerts::isBreached($this->threshold('request_rate', -1), $this->stats(0)));
+    }
+
+    /**
+     * Build a threshold
+     *
+     * @param string $metric Metric compared
+     * @param float $value Threshold value
+     * @param int $minRequests Requests needed before the threshold is checked
+     * @return array Threshold
+     */
+    private function threshold(string $metric, float $value, int $minRequests = 0): array
+    {
+        return ['metric' => $metric, 'value' => $value, 'min_requests' => $minRequests];
+    }
+
+    /**
+     * Build five minutes of window statistics
+     *
+     * @param int $requests Requests in the window
+     * @return array Window statistics
+     */
+    private function stats(int $requests): array
+    {
+        return [
+            'requests' => $requests,
+            'rate_per_min' => $requests / 5,
+            'error_rate' => $requests > 0 ? 5.0 : 0,
+            'avg_response_time' => 180.0,
+            'p50' => 120.0,
+            'p95' => 480.0,
+            'p99' => 900.0,
+            'max_response_time' => 1200.0,
+        ];
+    }
+}
@@ -0,0 +1,136 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Services;
+
+use Glueful\Cache\CacheStore;
+use Glueful\Database\Schema\Interfaces\SchemaBuilderInterface;
+use Glueful\Services\ApiMetricsService;
+use PHPUnit\Framework\TestCase;
+use Tests\Mocks\MockConnection;
+
+/**
+ * ApiMetricsService Unit Tests
+ *
+ * Tests that purging old metrics only removes rows past their TTL, against
+ * an in-memory SQLite database.
+ */
+class ApiMetricsServiceTest extends TestCase
+{
+    private MockConnection $connection;
+    private ApiMetricsService $service;
+
+    /**
+     * Create the metrics tables
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->connection = new MockConnection();
+        $pdo = $this->connection->getPDO();
+        $pdo->exec('CREATE TABLE api_metrics (id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp DATETIME NOT NULL)');
+        $pdo->exec('CREATE TABLE api_metrics_daily (id INTEGER PRIMARY KEY AUTOINCREMENT, date DATE NOT NULL)');
+        $pdo->exec('CREATE TABLE api_rate_limits (id INTEGER PRIMARY KEY AUTOINCREMENT, reset_time DATETIME NOT NULL)');
+        $pdo->exec('CREATE TABLE api_metrics_buckets (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            resolution INTEGER NOT NULL,
+            bucket_start DATETIME NOT NULL
+        )');
+
+        $schema = $this->createMock(SchemaBuilderInterface::class);
+        $schema->method('hasTable')->willReturn(true);
+
+        $this->service = new ApiMetricsService($this->createMock(CacheStore::class), $this->connection, $schema);
+    }
+
+    /**
+     * Test that minute and hour buckets are kept until their own TTL
+     */
+    public function testPurgeKeepsRecentBuckets(): void
+    {
+        $recentMinute = $this->bucket(60, '-1 hour');
+        $this->bucket(60, '-3 days');
+        $recentHour = $this->bucket(3600, '-3 days');
+        $this->bucket(3600, '-100 days');
+
+        $this->purge();
+
+        $rows = $this->connection->getPDO()
+            ->query('SELECT resolution, bucket_start FROM api_metrics_buckets ORDER BY id')
+            ->fetchAll();
+        $this->assertSame(
+            [[60, $recentMinute], [3600, $recentHour]],
+            array_map(fn ($row) => [(int)$row['resolution'], $row['bucket_start']], $rows)
+        );
+    }
+
+    /**
+     * Test that raw metrics, daily aggregates and rate limits are purged past their TTL
+     */
+    public function testPurgeRemovesExpiredRows(): void
+    {
+        $this->insert('api_metrics', 'timestamp', date('Y-m-d H:i:s', strtotime('-1 day')));
+        $this->insert('api_metrics', 'timestamp', date('Y-m-d H:i:s', strtotime('-31 days')));
+        $this->insert('api_metrics_daily', 'date', date('Y-m-d', strtotime('-1 day')));
+        $this->insert('api_metrics_daily', 'date', date('Y-m-d', strtotime('-400 days')));
+        $this->insert('api_rate_limits', 'reset_time', date('Y-m-d H:i:s'));
+        $this->insert('api_rate_limits', 'reset_time', date('Y-m-d H:i:s', strtotime('-2 hours')));
+
+        $this->purge();
+
+        $this->assertSame(1, $this->count('api_metrics'));
+        $this->assertSame(1, $this->count('api_metrics_daily'));
+        $this->assertSame(1, $this->count('api_rate_limits'));
+    }
+
+    /**
+     * Run the private purge the flush ends with
+     */
+    private function purge(): void
+    {
+        $method = new \ReflectionMethod(ApiMetricsService::class, 'purgeOldMetrics');
+        $method->setAccessible(true);
+        $method->invoke($this->service);
+    }
+
+    /**
+     * Insert a bucket
+     *
+     * @param int $resolution Bucket resolution in seconds
+     * @param string $age Relative time the bucket starts at
+     * @return string Bucket start (Y-m-d H:i:s)
+     */
+    private function bucket(int $resolution, string $age): string
+    {
+        $start = date('Y-m-d H:i:s', strtotime($age));
+        $this->insert('api_metrics_buckets', 'bucket_start', $start, ['resolution' => $resolution]);
+
+        return $start;
+    }
+
+    /**
+     * Insert a row with a time column
+     *
+     * @param string $table Table name
+     * @param string $column Time column
+     * @param string $value Time value
+     * @param array $values Other column values
+     */
+    private function insert(string $table, string $column, string $value, array $values = []): void
+    {
+        $this->connection->table($table)->insert([$column => $value] + $values);
+    }
+
+    /**
+     * Count the rows of a table
+     *
+     * @param string $table Table name
+     * @return int Number of rows
+     */
+    private function count(string $table): int
+    {
+        return (int)$this->connection->getPDO()->query("SELECT COUNT(*) FROM {$table}")->fetchColumn();
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+
+declare(strict_types=1);
+
+namespace Tests\Unit\Services;
+
+use Glueful\Services\LatencyHistogram;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * LatencyHistogram Unit Tests
+ *
+ * Tests how response times are binned and how percentiles are estimated
+ * from the bins.
+ */
+class LatencyHistogramTest extends TestCase
+{
+    /**
+     * Test that response times land in the bin of their upper bound
+     */
+    public function testBin(): void
+    {
+        $this->assertSame(0, LatencyHistogram::bin(0));
+        $this->assertSame(0, LatencyHistogram::bin(5));
+        $this->assertSame(1, LatencyHistogram::bin(5.01));
+        $this->assertSame(5, LatencyHistogram::bin(100));
+        $this->assertSame(count(LatencyHistogram::BOUNDS), LatencyHistogram::bin(60000));
+    }
+
+    /**
+     * Test that merging adds counts bin by bin
+     */
+    public function testMerge(): void
+    {
+        $first = LatencyHistogram::empty();
+        $first[2] = 3;
+        $second = LatencyHistogram::empty();
+        $second[2] = 1;
+        $second[4] = 2;
+
+        $merged = LatencyHistogram::merge($first, $second);
+
+        $this->assertSame(4, $merged[2]);
+        $this->assertSame(2, $merged[4]);
+        $this->assertSame(6, array_sum($merged));
+    }
+
+    /**
+     * Test that invalid stored values decode to an empty histogram
+     */
+    public function testDecode(): void
+    {
+        $this->assertSame(LatencyHistogram::empty(), LatencyHistogram::decode(null));
+        $this->assertSame(LatencyHistogram::empty(), LatencyHistogram::decode('not json'));
+        $this->assertSame(2, LatencyHistogram::decode('[0,2]')[1]);
+    }
+
+    /**
+     * Test percentiles interpolated within a bin
+     */
+    public function testPercentile(): void
+    {
+        // 100 requests between 50 and 75ms
+        $histogram = LatencyHistogram::empty();
+        $histogram[LatencyHistogram::bin(60)] = 100;
+
+        $this->assertSame(62.5, LatencyHistogram::percentile($histogram, 50, 74));
+        $this->assertSame(73.75, LatencyHistogram::percentile($histogram, 95, 75));
+        $this->assertSame(70.0, LatencyHistogram::percentile($histogram, 99, 70));
+    }
+
+    /**
+     * Test that slow outliers move the tail percentiles but not the median
+     */
+    public function testPercentileAcrossBins(): void
+    {
+        $histogram = LatencyHistogram::empty();
+        $histogram[LatencyHistogram::bin(20)] = 90;
+        $histogram[LatencyHistogram::bin(2500)] = 10;
+
+        $this->assertLessThanOrEqual(25.0, LatencyHistogram::percentile($histogram, 50, 2600));
+        $this->assertGreaterThan(2000.0, LatencyHistogram::percentile($histogram, 95, 2600));
+    }
+
+    /**
+     * Test the open last bin and an empty histogram
+     */
+    public function testPercentileEdges(): void
+    {
+        $histogram = LatencyHistogram::empty();
+        $this->assertSame(0.0, LatencyHistogram::percentile($histogram, 99, 0));
+
+        $histogram[count(LatencyHistogram::BOUNDS)] = 4;
+        $this->assertSame(20000.0, LatencyHistogram::percentile($histogram, 100, 20000));
+        $this->assertSame(15000.0, LatencyHistogram::percentile($histogram, 50, 20000));
+    }
+}
@@ -0,0 +1,100 @@
+<?php
+
+namespace Tests\Unit\Setup;
+
+use Tests\TestCase;
+use Glueful\Setup\Services\HeadlessSetup;
+use Glueful\Setup\Services\SystemCheck;
+
+/**
+ * Tests for the step results of headless setup
+ */
+class HeadlessSetupTest extends TestCase
+{
+    /**
+     * @var string Temporary project root without storage and config directories
+     */
+    private string $projectRoot;
+
+    /**
+     * Set up test environment
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->projectRoot = sys_get_temp_dir() . '/headless_setup_' . uniqid();
+        mkdir($this->projectRoot);
+    }
+
+    /**
+     * Remove the temporary project root
+     */
+    protected function tearDown(): void
+    {
+        foreach (['storage', 'config'] as $directory) {
+            if (is_dir("{$this->projectRoot}/{$directory}")) {
+                rmdir("{$this->projectRoot}/{$directory}");
+            }
+        }
+        rmdir($this->projectRoot);
+
+        parent::tearDown();
+    }
+
+    /**
+     * Test that a failed system check is reported and stops the run
+     */
+    public function testFailedSystemCheckStopsRun(): void
+    {
+        $result = (new HeadlessSetup($this->projectRoot))->run($this->answers());
+
+        $this->assertFalse($result['success']);
+        $this->assertSame('failed', $result['steps']['welcome']['status']);
+        $this->assertFalse($result['steps']['welcome']['checks']['permissions']['storage']);
+        $this->assertSame('skipped', $result['steps']['database']['status']);
+        $this->assertSame('skipped', $result['steps']['admin']['status']);
+        $this->assertSame('skipped', $result['steps']['complete']['status']);
+    }
+
+    /**
+     * Test that the steps run before a failing step are reported as passed
+     */
+    public function testInvalidDatabaseReportsEarlierSteps(): void
+    {
+        mkdir("{$this->projectRoot}/storage");
+        mkdir("{$this->projectRoot}/config");
+        if (!SystemCheck::passed((new SystemCheck($this->projectRoot))->run())) {
+            $this->markTestSkipped('A required PHP extension is missing');
+        }
+
+        $result = (new HeadlessSetup($this->projectRoot))->run($this->answers(['host' => '']));
+
+        $this->assertFalse($result['success']);
+        $this->assertSame('passed', $result['steps']['welcome']['status']);
+        $this->assertSame('failed', $result['steps']['database']['status']);
+        $this->assertArrayHasKey('db-host', $result['steps']['database']['errors']);
+        $this->assertNull($result['steps']['database']['connection']);
+        $this->assertSame('skipped', $result['steps']['admin']['status']);
+        $this->assertSame('skipped', $result['steps']['complete']['status']);
+    }
+
+    /**
+     * Build setup answers
+     *
+     * @param array $database Database values replacing the defaults
+     * @return array Answers as normalized by SetupAnswers
+     */
+    private function answers(array $database = []): array
+    {
+        return [
+            'database' => $database + ['driver' => 'mysql', 'host' => 'localhost', 'database' => 'app'],
+            'admin' => [
+                'username' => 'site_admin',
+                'email' => 'admin@example.com',
+                'password' => 'Secret123',
+                'password_confirmation' => 'Secret123',
+            ],
+        ];
+    }
+}
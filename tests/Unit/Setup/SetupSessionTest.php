@@ -0,0 +1,81 @@
+<?php
+
+namespace Tests\Unit\Setup;
+
+use Tests\TestCase;
+use Glueful\Setup\Services\SetupSession;
+
+/**
+ * Tests for the server-side setup wizard session
+ */
+class SetupSessionTest extends TestCase
+{
+    /**
+     * Test that steps are marked completed or invalid
+     */
+    public function testSaveStepRecordsStatus(): void
+    {
+        $session = new SetupSession(null, true);
+
+        $errors = $session->saveStep('database', ['driver' => 'mysql', 'host' => '', 'database' => 'app']);
+        $this->assertArrayHasKey('db-host', $errors);
+        $this->assertSame('invalid', $session->status('database'));
+        $this->assertSame('database', $session->furthestStep());
+
+        $session->saveStep('database', ['driver' => 'sqlite', 'database' => 'storage/database/app.sqlite']);
+        $this->assertSame('completed', $session->status('database'));
+        $this->assertSame('admin', $session->furthestStep());
+    }
+
+    /**
+     * Test that the welcome step follows the system check
+     */
+    public function testWelcomeStepFollowsSystemCheck(): void
+    {
+        $session = new SetupSession(null, false);
+
+        $this->assertSame('invalid', $session->status('welcome'));
+        $this->assertSame('welcome', $session->furthestStep());
+    }
+
+    /**
+     * Test that saved passwords are kept but never sent to the browser
+     */
+    public function testSecretsStayServerSide(): void
+    {
+        $session = new SetupSession(null, true);
+        $session->saveStep('admin', [
+            'username' => 'site_admin',
+            'email' => 'admin@example.com',
+            'password' => 'Secret123',
+            'password_confirmation' => 'Secret123',
+        ]);
+
+        // A later save without passwords keeps the saved ones
+        $session->saveStep('admin', ['username' => 'site_admin', 'email' => 'owner@example.com']);
+
+        $this->assertSame('completed', $session->status('admin'));
+        $this->assertSame('Secret123', $session->answers('admin')['password']);
+
+        $client = $session->toClient()['steps']['admin'];
+        $this->assertArrayNotHasKey('password', $client['data']);
+        $this->assertSame(['password', 'password_confirmation'], $client['saved_secrets']);
+    }
+
+    /**
+     * Test that state past its TTL is discarded
+     */
+    public function testExpiredStateIsDiscarded(): void
+    {
+        $session = new SetupSession(null, true);
+        $session->saveStep('database', ['driver' => 'sqlite', 'database' => 'storage/database/app.sqlite']);
+
+        $stored = $session->toStorage();
+        $stored['expires_at'] = time() - 1;
+
+        $restored = new SetupSession($stored, true);
+        $this->assertTrue($restored->wasExpired());
+        $this->assertFalse($restored->hasSavedAnswers());
+        $this->assertNull($restored->toStorage());
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+
+namespace Tests\Unit\Setup;
+
+use Tests\TestCase;
+use Glueful\Setup\Services\SetupAnswers;
+use Glueful\Setup\Services\SetupValidator;
+
+/**
+ * Tests for the Setup Validator used by the wizard and headless setup
+ */
+class SetupValidatorTest extends TestCase
+{
+    /**
+     * @var SetupValidator The validator being tested
+     */
+    private SetupValidator $validator;
+
+    /**
+     * Set up test environment
+     */
+    protected function setUp(): void
+    {
+        parent::setUp();
+
+        $this->validator = new SetupValidator();
+    }
+
+    /**
+     * Test that valid admin answers pass
+     */
+    public function testValidAdminPasses(): void
+    {
+        $errors = $this->validator->validateAdmin([
+            'username' => 'site_admin',
+            'email' => 'admin@example.com',
+            'password' => 'Secret123',
+            'password_confirmation' => 'Secret123',
+        ]);
+
+        $this->assertSame([], $errors);
+    }
+
+    /**
+     * Test that admin errors use the wizard's field ids and messages
+     */
+    public function testInvalidAdminReportsWizardMessages(): void
+    {
+        $errors = $this->validator->validateAdmin([
+            'username' => 'ad',
+            'email' => 'not-an-email',
+            'password' => 'lowercase1',
+            'password_confirmation' => 'different',
+        ]);
+
+        $this->assertSame(SetupValidator::RULES['admin-username']['message'], $errors['admin-username']);
+        $this->assertSame(SetupValidator::RULES['admin-email']['message'], $errors['admin-email']);
+        $this->assertSame(SetupValidator::RULES['admin-password']['message'], $errors['admin-password']);
+        $this->assertSame(SetupValidator::RULES['confirm-password']['message'], $errors['confirm-password']);
+    }
+
+    /**
+     * Test that missing admin fields are reported as required
+     */
+    public function testMissingAdminFieldsAreRequired(): void
+    {
+        $errors = $this->validator->validateAdmin([]);
+
+        $this->assertSame('This field is required', $errors['admin-username']);
+        $this->assertSame('This field is required', $errors['admin-email']);
+    }
+
+    /**
+     * Test database step rules per driver
+     */
+    public function testDatabaseRulesPerDriver(): void
+    {
+        $this->assertSame([], $this->validator->validateDatabase([
+            'driver' => 'sqlite',
+            'database' => 'storage/database/glueful.sqlite',
+        ]));
+
+        $errors = $this->validator->validateDatabase(['driver' => 'mysql', 'host' => '', 'database' => '']);
+        $this->assertArrayHasKey('db-host', $errors);
+        $this->assertArrayHasKey('db-database', $errors);
+
+        $errors = $this->validator->validateDatabase(['driver' => 'oracle']);
+        $this->assertSame(SetupValidator::RULES['db-driver']['message'], $errors['db-driver']);
+    }
+
+    /**
+     * Test that answers files get the wizard's defaults
+     */
+    public function testAnswersAreNormalized(): void
+    {
+        $answers = SetupAnswers::normalize(['admin' => ['password' => 'Secret123']]);
+
+        $this->assertSame('sqlite', $answers['database']['driver']);
+        $this->assertSame('storage/database/glueful.sqlite', $answers['database']['database']);
+        $this->assertSame('Secret123', $answers['admin']['password_confirmation']);
+    }
+}